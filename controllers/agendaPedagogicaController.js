@@ -1,33 +1,20 @@
 import pool from '../db.js';
+import { periodoDaData } from '../services/calendarioLetivo.js';
 
-// Auto-criação da tabela para garantir que exista na DigitalOcean (já que a migration não rodou)
-const setupTable = async () => {
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS agenda_pedagogica (
-          id INT AUTO_INCREMENT PRIMARY KEY,
-          escola_id INT NOT NULL,
-          tema VARCHAR(50) NOT NULL,
-          titulo VARCHAR(255) NOT NULL,
-          bimestre VARCHAR(50),
-          data_inicio DATE NOT NULL,
-          data_fim DATE,
-          descricao TEXT,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-      )
-    `);
-    console.log("✅ Tabela agenda_pedagogica verificada/criada com sucesso.");
-  } catch (err) {
-    console.error("Erro ao verificar tabela agenda_pedagogica:", err);
-  }
-};
-setupTable();
+// Schema: migrations/versions/0009_agenda_pedagogica.js (+ 0024: bimestre numérico e ano_letivo)
+
+// Bimestre e ano letivo vêm do calendário da escola pela data de início;
+// o bimestre enviado ("1º Bimestre", 2...) só vale para datas fora dos bimestres.
+async function periodoDoEvento(escola_id, data_inicio, bimestreInformado) {
+  const periodo = await periodoDaData(pool, escola_id, String(data_inicio).slice(0, 10));
+  const informado = Number(String(bimestreInformado ?? '').match(/[1-4]/)?.[0]) || null;
+  return { ano_letivo: periodo.ano, bimestre: periodo.numero ?? informado };
+}
 
 export const listarEventos = async (req, res) => {
   try {
     const escola_id = req.user.escola_id;
-    const { tema, limit } = req.query;
+    const { tema, limit, ano_letivo, bimestre } = req.query;
 
     let query = 'SELECT * FROM agenda_pedagogica WHERE escola_id = ?';
     let params = [escola_id];
@@ -36,6 +23,14 @@ export const listarEventos = async (req, res) => {
       query += ' AND tema = ?';
       params.push(tema);
     }
+    if (ano_letivo) {
+      query += ' AND ano_letivo = ?';
+      params.push(Number(ano_letivo));
+    }
+    if (bimestre) {
+      query += ' AND bimestre = ?';
+      params.push(Number(String(bimestre).replace(/\D/g, '')));
+    }
 
     query += ' ORDER BY data_inicio ASC';
 
@@ -57,13 +52,17 @@ export const criarEvento = async (req, res) => {
   try {
     const escola_id = req.user.escola_id;
     const { tema, titulo, bimestre, data_inicio, data_fim, descricao } = req.body;
+    if (!data_inicio) {
+      return res.status(400).json({ error: 'data_inicio é obrigatória' });
+    }
+    const periodo = await periodoDoEvento(escola_id, data_inicio, bimestre);
 
     const query = `
-      INSERT INTO agenda_pedagogica (escola_id, tema, titulo, bimestre, data_inicio, data_fim, descricao)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO agenda_pedagogica (escola_id, ano_letivo, tema, titulo, bimestre, data_inicio, data_fim, descricao)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
     `;
     const [result] = await pool.query(query, [
-      escola_id, tema, titulo, bimestre || null, data_inicio, data_fim || null, descricao || null
+      escola_id, periodo.ano_letivo, tema, titulo, periodo.bimestre, data_inicio, data_fim || null, descricao || null
     ]);
 
     // Buscar o evento recém-criado
@@ -81,14 +80,18 @@ export const atualizarEvento = async (req, res) => {
     const escola_id = req.user.escola_id;
     const { id } = req.params;
     const { titulo, bimestre, data_inicio, data_fim, descricao } = req.body;
+    if (!data_inicio) {
+      return res.status(400).json({ error: 'data_inicio é obrigatória' });
+    }
+    const periodo = await periodoDoEvento(escola_id, data_inicio, bimestre);
 
     const query = `
       UPDATE agenda_pedagogica
-      SET titulo = ?, bimestre = ?, data_inicio = ?, data_fim = ?, descricao = ?
+      SET titulo = ?, ano_letivo = ?, bimestre = ?, data_inicio = ?, data_fim = ?, descricao = ?
       WHERE id = ? AND escola_id = ?
     `;
     const [result] = await pool.query(query, [
-      titulo, bimestre || null, data_inicio, data_fim || null, descricao || null, id, escola_id
+      titulo, periodo.ano_letivo, periodo.bimestre, data_inicio, data_fim || null, descricao || null, id, escola_id
     ]);
 
     if (result.affectedRows === 0) {
@@ -3,6 +3,7 @@
 // Lê config_json da prova para aplicar cabeçalho dinâmico, rodapé e margens
 
 import pool from '../db.js';
+import { duracaoPdfPlaywright } from '../services/metricas.js';
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
 const escolaFilter = (escola_id) =>
@@ -388,6 +389,8 @@ export async function gerarPdf(req, res) {
   const showGab = req.query.gabarito === '1';
 
   let browser = null;
+  let fimPdf = null;
+  let resultadoPdf = 'falha';
   try {
     const data = await fetchProvaCompleta(id, escola_id);
     if (!data) return res.status(404).json({ message: 'Prova não encontrada.' });
@@ -404,6 +407,7 @@ export async function gerarPdf(req, res) {
       ? { top: '10mm', right: '12mm', bottom: '14mm', left: '12mm' }
       : { top: '4mm', right: '4mm', bottom: '4mm', left: '4mm' };
 
+    fimPdf = duracaoPdfPlaywright.iniciar({ origem: 'prova', escola_id: escola_id ?? '' });
     const { chromium } = await import('playwright');
     browser = await chromium.launch({
       headless: true,
@@ -417,6 +421,7 @@ export async function gerarPdf(req, res) {
       printBackground: true,
       margin: margemPdf,
     });
+    resultadoPdf = 'ok';
 
     const slug = (data.prova.titulo || 'prova')
       .toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-').slice(0, 40);
@@ -430,6 +435,7 @@ export async function gerarPdf(req, res) {
     console.error('gerarPdf:', err);
     res.status(500).json({ message: 'Erro ao gerar PDF.', detail: err.message });
   } finally {
+    fimPdf?.({ resultado: resultadoPdf });
     if (browser) await browser.close().catch(() => {});
   }
 }
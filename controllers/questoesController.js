@@ -5,6 +5,7 @@ import pool from "../db.js";
 import * as Questao from "../models/questaoModel.js";
 import { parsePdfFile } from "../utils/pdfParser.js";
 import { GoogleGenerativeAI } from "@google/generative-ai";
+import { cabecalhosCorrelacao } from "../services/logger.js";
 import multer from "multer";
 
 // ─── Gemini Vision — instância lazy (só cria se GEMINI_API_KEY estiver definida) ──
@@ -966,7 +967,10 @@ export async function extrairQuestaoImagem(req, res) {
     }
 
     const genAI = getGemini();
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
+    const model = genAI.getGenerativeModel(
+      { model: "gemini-2.5-flash" },
+      { customHeaders: cabecalhosCorrelacao() }
+    );
 
     // Converte buffer para formato inline que a API Gemini aceita
     const imagePart = {
@@ -101,79 +101,14 @@ const pool = mysql.createPool({
   ...(ssl ? { ssl } : {}),
 });
 
-// Probe de conexão + auto-migrations
+// Probe de conexão + limpeza única das questões de teste
 pool
   .getConnection()
   .then(async (conn) => {
     console.log("[DB] connection OK ✅");
     conn.release();
 
-    // ── Auto-migrations v3.1 (idempotentes — falha silenciosa se já existir) ──
-    const migrations = [
-      // Consentimento Separado
-      "ALTER TABLE responsaveis_alunos ADD COLUMN consentimento_impresso TINYINT(1) NOT NULL DEFAULT 0 AFTER consentimento_imagem",
-      // Atualização retroativa para pais antigos que assinaram no papel: vira MASTER e marca o impresso
-      "UPDATE responsaveis_alunos SET consentimento_impresso = 1, principal = 1, pode_autorizar_terceiros = 1 WHERE consentimento_imagem = 1 AND consentimento_canal = 'FISICO'",
-      // Busca Ativa — rastreabilidade de edição
-      "ALTER TABLE frequencia_busca_ativa ADD COLUMN editado_por INT NULL AFTER registrado_por",
-      "ALTER TABLE frequencia_busca_ativa ADD COLUMN editado_em DATETIME NULL AFTER editado_por",
-      // Agente EDUCA — lock de execução concorrente
-      "ALTER TABLE planos_avaliacao ADD COLUMN agente_executando_desde DATETIME NULL",
-      // Agente EDUCA — resultado da exportação de estrutura (CRIADO | JA_EXISTIA)
-      "ALTER TABLE planos_avaliacao ADD COLUMN agente_exportado_resultado VARCHAR(32) NULL",
-      // Agente EDUCA — resultado da exportação de notas (CRIADO | FALHOU)
-      "ALTER TABLE planos_avaliacao ADD COLUMN agente_notas_resultado_json TEXT NULL",
-      // Agente EDUCA — mensagem do último erro (exibida ao professor)
-      "ALTER TABLE planos_avaliacao ADD COLUMN agente_ultimo_erro VARCHAR(500) NULL",
-      // Banco de Questões v3 — numeração universal sequencial
-      `CREATE TABLE IF NOT EXISTS questoes_num_seq (
-        id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY
-      ) COMMENT 'Gerador de sequencia global para numero_q das questoes'`,
-      "ALTER TABLE questoes ADD COLUMN numero_q INT UNSIGNED NULL UNIQUE COMMENT 'Numero universal Q0001, Q0042... gerado automaticamente'",
-      "ALTER TABLE questoes ADD COLUMN professor_nome VARCHAR(150) NULL COMMENT 'Cache do nome do professor autor'",
-      "ALTER TABLE questoes ADD INDEX idx_numero_q (numero_q)",
-      "ALTER TABLE questoes ADD INDEX idx_professor (professor_id)",
-      // Mobile Push Notifications
-      `CREATE TABLE IF NOT EXISTS mobile_devices (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        responsavel_id INT NULL,
-        aluno_id INT NULL,
-        escola_id INT NULL,
-        device_token VARCHAR(512) NOT NULL,
-        plataforma VARCHAR(20) DEFAULT 'unknown',
-        ativo TINYINT(1) NOT NULL DEFAULT 1,
-        created_at DATETIME DEFAULT NOW(),
-        updated_at DATETIME DEFAULT NOW(),
-        UNIQUE KEY uk_responsavel_token (responsavel_id, device_token),
-        UNIQUE KEY uk_aluno_token (aluno_id, device_token),
-        INDEX idx_responsavel (responsavel_id),
-        INDEX idx_aluno (aluno_id),
-        INDEX idx_escola (escola_id)
-      )`,
-      // Receitas da Merenda
-      `CREATE TABLE IF NOT EXISTS merenda_receitas (
-          id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
-          escola_id BIGINT UNSIGNED NOT NULL,
-          nome VARCHAR(255) NOT NULL,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-          FOREIGN KEY (escola_id) REFERENCES escolas(id) ON DELETE CASCADE
-      )`,
-      `CREATE TABLE IF NOT EXISTS merenda_receita_itens (
-          id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
-          receita_id BIGINT UNSIGNED NOT NULL,
-          produto_id INT NOT NULL,
-          FOREIGN KEY (receita_id) REFERENCES merenda_receitas(id) ON DELETE CASCADE
-      )`
-    ];
-    for (const sql of migrations) {
-      try {
-        await pool.query(sql);
-        console.log("[DB] migration OK:", sql.slice(0, 70));
-      } catch {
-        // coluna/tabela já existe — ignorar
-      }
-    }
+    // Schema: migrations/versions (0046 traz as antigas auto-migrations v3.1 daqui)
 
     // ── Limpeza única v3: remove TODAS as questões de teste ─────────────────
     // Identifica se ainda há questões de teste (sem numero_q) OU se o banco
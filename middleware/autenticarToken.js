@@ -1,7 +1,10 @@
 import jwt from "jsonwebtoken";
+import pool from "../db.js";
 import { getPermissoesPorPerfil } from "../routes/rbacMatrix.js";
+import { mensagemSessaoInvalida, verificarSessaoToken } from "../services/sessoes.js";
+import { aplicarPersonificacao } from "../services/personificacao.js";
 
-export function autenticarToken(req, res, next) {
+export async function autenticarToken(req, res, next) {
   try {
     // ── CORS preflight: OPTIONS nunca carrega token por especificação HTTP ──
     if (req.method === "OPTIONS") return next();
@@ -45,7 +48,26 @@ export function autenticarToken(req, res, next) {
       return res.status(500).json({ ok: false, message: "Configuração do servidor inválida." });
     }
 
-    const payload = jwt.verify(token, secret);
+    let payload;
+    try {
+      payload = jwt.verify(token, secret);
+    } catch (err) {
+      if (process.env.NODE_ENV !== "production") {
+        console.error("❌ JWT inválido:", err?.message || err);
+      }
+      return res.status(401).json({ ok: false, message: "Token inválido ou expirado." });
+    }
+
+    // ── Sessão revogada / conta inativa (services/sessoes.js) ───────────────
+    try {
+      const sessao = await verificarSessaoToken(pool, payload);
+      if (!sessao.ok) {
+        return res.status(401).json({ ok: false, code: sessao.code, message: mensagemSessaoInvalida(sessao.code) });
+      }
+    } catch (err) {
+      console.error("❌ Falha ao validar sessão:", err?.message || err);
+      return res.status(503).json({ ok: false, message: "Não foi possível validar a sessão. Tente novamente." });
+    }
 
     // ✅ Normaliza escopo:
     // - Tokens novos da plataforma vêm com scope="plataforma"
@@ -68,12 +90,21 @@ export function autenticarToken(req, res, next) {
       req.user.permissoes = getPermissoesPorPerfil(req.user.perfil);
     }
 
+    // ── Acesso de suporte do CEO (services/personificacao.js) ────────────────
+    // Somente leitura salvo escalonamento; todo request fica registrado.
+    if (payload.personificacao) {
+      try {
+        const bloqueio = await aplicarPersonificacao(pool, req, res);
+        if (bloqueio) return res.status(bloqueio.status).json(bloqueio.body);
+      } catch (err) {
+        console.error("❌ Falha ao validar acesso de suporte:", err?.message || err);
+        return res.status(503).json({ ok: false, message: "Não foi possível validar o acesso de suporte. Tente novamente." });
+      }
+    }
+
     return next();
   } catch (err) {
-    const isProd = process.env.NODE_ENV === "production";
-    if (!isProd) {
-      console.error("❌ JWT inválido:", err?.message || err);
-    }
-    return res.status(401).json({ ok: false, message: "Token inválido ou expirado." });
+    console.error("❌ Erro ao autenticar token:", err?.message || err);
+    return res.status(500).json({ ok: false, message: "Erro ao autenticar." });
   }
 }
@@ -1,4 +1,7 @@
 import pool from "../db.js";
+import { criarLogger } from "../services/logger.js";
+
+const log = criarLogger("rbac");
 
 export function autorizarPermissao(permOuLista) {
   return async (req, res, next) => {
@@ -37,18 +40,18 @@ if (req?.user?.usuarioId || req?.user?.id || req?.user?.usuario_id) {
       return [s];
     });
 
-    // ✅ DEBUG RBAC (DEV) — remover após validar
-    if (process.env.NODE_ENV !== "production") {
-      console.log("[RBAC DEBUG] userId:", req?.user?.usuarioId ?? req?.user?.id ?? req?.user?.usuario_id);
-      console.log("[RBAC DEBUG] perfil:", req?.user?.perfil, "escola_id:", req?.user?.escola_id);
-      console.log("[RBAC DEBUG] perms carregadas:", Array.isArray(perms) ? perms : "(não array)");
-      console.log("[RBAC DEBUG] required:", required);
-    }
-
     const ok =
       Array.isArray(perms) &&
       required.some((p) => perms.includes(p));
 
+    // usuário/escola/rota vêm do contexto do log; a lista de permissões não sai
+    log.debug("decisão RBAC", {
+      perfil: req?.user?.perfil,
+      requerida: required.join(","),
+      qtd_permissoes: Array.isArray(perms) ? perms.length : 0,
+      decisao: ok ? "ALLOW" : "DENY",
+    });
+
     // ─────────────────────────────────────────────────────────────
     // Auditoria RBAC (fail-safe)
     // ─────────────────────────────────────────────────────────────
@@ -0,0 +1,41 @@
+import crypto from "crypto";
+import { criarLogger, executarComContexto } from "../services/logger.js";
+
+// ============================================================================
+// correlacionarRequisicao — abre o contexto de log (services/logger.js) do
+// request e registra uma linha de acesso ao final.
+//
+// - request_id: reaproveita o X-Request-Id do cliente/proxy quando é seguro
+//   (8–100 chars [\w.:-]); senão gera um UUID. Vai em req.request_id e no
+//   header de resposta X-Request-Id.
+// - escola_id/usuario_id/rota entram na linha quando o log acontece (o
+//   contexto guarda o req, e a autenticação roda depois deste middleware).
+// ============================================================================
+
+const log = criarLogger("http");
+const ID_VALIDO = /^[\w.:-]{8,100}$/;
+
+export function correlacionarRequisicao(req, res, next) {
+  const recebido = String(req.headers["x-request-id"] || "");
+  const requestId = ID_VALIDO.test(recebido) ? recebido : crypto.randomUUID();
+
+  req.request_id = requestId;
+  res.setHeader("X-Request-Id", requestId);
+
+  const contexto = { request_id: requestId, req };
+  const inicio = process.hrtime.bigint();
+
+  // listeners de evento não herdam o contexto assíncrono: reabre explicitamente
+  res.on("finish", () =>
+    executarComContexto(contexto, () => {
+      const campos = {
+        status: res.statusCode,
+        duracao_ms: Math.round(Number(process.hrtime.bigint() - inicio) / 1e6),
+      };
+      if (res.statusCode >= 500) log.error("requisição concluída", campos);
+      else log.info("requisição concluída", campos);
+    })
+  );
+
+  executarComContexto(contexto, next);
+}
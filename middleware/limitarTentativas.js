@@ -0,0 +1,236 @@
+import pool from "../db.js";
+import {
+  consumir,
+  hashIdentificador,
+  registrarFalha,
+  registrarSucesso,
+  verificarBloqueio,
+} from "../services/limiteTaxa.js";
+import { usuarioDoDesafio } from "../services/doisFatores.js";
+
+// ============================================================================
+// Rate limit + proteção contra força bruta (services/limiteTaxa.js)
+// - limitarTaxa(...)        → N requisições por janela, por IP e/ou por
+//                             identificador (CPF, e-mail, token de convite)
+// - protegerForcaBruta(...) → conta respostas de falha (4xx) e aplica bloqueio
+//                             progressivo; sucesso (2xx) zera o identificador
+// - Bloqueios e estouros de limite ficam em rbac_auditoria (DENY,
+//   permissao_requerida "limite:<regra>").
+// - registrarLimitesDeAcesso(app) aplica as regras de LIMITES_DE_ACESSO antes
+//   dos routers (vários caminhos têm handlers duplicados em mais de um router;
+//   registrar no app cobre todos eles).
+// ============================================================================
+
+const MIN = 60 * 1000;
+const HORA = 60 * MIN;
+
+// Quantos proxies (LB do App Platform) ficam na frente da API. O IP do cliente
+// é o que o último proxy confiável acrescentou ao X-Forwarded-For — os valores
+// à esquerda vêm do próprio cliente e não servem de chave.
+const PROXIES_CONFIAVEIS = Number(process.env.TRUST_PROXY_HOPS ?? 1);
+
+export function ipDoCliente(req) {
+  const cadeia = String(req.headers?.["x-forwarded-for"] || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (PROXIES_CONFIAVEIS > 0 && cadeia.length) {
+    return cadeia[Math.max(0, cadeia.length - PROXIES_CONFIAVEIS)].slice(0, 45);
+  }
+  return String(req.socket?.remoteAddress || req.ip || "desconhecido").slice(0, 45);
+}
+
+function auditarLimite(req, regra, detalhe) {
+  pool
+    .query(
+      `INSERT INTO rbac_auditoria
+         (usuario_id, escola_id, perfil, metodo, rota,
+          permissao_requerida, decisao, ip, user_agent, detalhe)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        null,
+        null,
+        null,
+        req.method,
+        String(req.originalUrl || "").split("?")[0].slice(0, 255),
+        `limite:${regra}`,
+        "DENY",
+        ipDoCliente(req),
+        req.headers?.["user-agent"] || null,
+        JSON.stringify(detalhe),
+      ]
+    )
+    .catch((err) => console.error("[LIMITE] falha ao auditar:", err.message));
+}
+
+function minutos(ate) {
+  return Math.max(1, Math.ceil((ate - Date.now()) / MIN));
+}
+
+function responder429(res, { ate, code, message }) {
+  const retry = Math.max(1, Math.ceil((ate - Date.now()) / 1000));
+  res.set("Retry-After", String(retry));
+  return res.status(429).json({ ok: false, code, message, retry_after_s: retry });
+}
+
+function lerIdentificador(identificador, req) {
+  try {
+    return identificador ? hashIdentificador(identificador(req)) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Limite de requisições por janela. Estourou → 429 RATE_LIMIT com Retry-After.
+ * opcoes: { nome, janelaMs, maxPorIp, maxPorIdentificador, identificador(req) }
+ */
+export function limitarTaxa({ nome, janelaMs, maxPorIp, maxPorIdentificador, identificador }) {
+  return async (req, res, next) => {
+    const buckets = [];
+    if (maxPorIp) buckets.push(["ip", `${nome}:ip:${ipDoCliente(req)}`, maxPorIp]);
+    const id = maxPorIdentificador ? lerIdentificador(identificador, req) : null;
+    if (id) buckets.push(["identificador", `${nome}:id:${id}`, maxPorIdentificador]);
+
+    for (const [bucket, chave, max] of buckets) {
+      const r = await consumir(chave, { janelaMs, max });
+      if (r.ok) continue;
+
+      // Audita só a primeira requisição barrada da janela
+      if (r.contador === max + 1) {
+        console.warn(`[LIMITE] ${nome}: limite por ${bucket} excedido (${max}/${Math.round(janelaMs / MIN)}min) — ${ipDoCliente(req)}`);
+        auditarLimite(req, nome, { code: "RATE_LIMIT", bucket, max, janela_ms: janelaMs });
+      }
+      return responder429(res, {
+        ate: r.resetAt,
+        code: "RATE_LIMIT",
+        message: `Muitas tentativas. Tente novamente em ${minutos(r.resetAt)} minuto(s).`,
+      });
+    }
+    return next();
+  };
+}
+
+/**
+ * Bloqueio progressivo por falhas de verificação (senha/código/data errados).
+ * opcoes: { nome, identificador(req), maxFalhas, maxFalhasPorIp, janelaMs,
+ *           bloqueioBaseMs, bloqueioMaxMs, falhou(status) }
+ */
+export function protegerForcaBruta({
+  nome,
+  identificador,
+  maxFalhas = 5,
+  maxFalhasPorIp = 30,
+  janelaMs = 15 * MIN,
+  bloqueioBaseMs = 5 * MIN,
+  bloqueioMaxMs = 24 * HORA,
+  falhou = (status) => status >= 400 && status < 500 && status !== 429,
+}) {
+  return async (req, res, next) => {
+    const id = lerIdentificador(identificador, req);
+    const chaves = [];
+    if (id) chaves.push(["identificador", `${nome}:falhas:id:${id}`, maxFalhas]);
+    if (maxFalhasPorIp) chaves.push(["ip", `${nome}:falhas:ip:${ipDoCliente(req)}`, maxFalhasPorIp]);
+
+    for (const [, chave] of chaves) {
+      const b = await verificarBloqueio(chave);
+      if (b.bloqueado) {
+        return responder429(res, {
+          ate: b.ate,
+          code: "BLOQUEIO_TEMPORARIO",
+          message: `Muitas tentativas inválidas. Acesso bloqueado por ${minutos(b.ate)} minuto(s).`,
+        });
+      }
+    }
+
+    res.on("finish", () => {
+      const status = res.statusCode;
+      if (status >= 200 && status < 300) {
+        if (id) registrarSucesso(chaves[0][1]);
+        return;
+      }
+      if (!falhou(status)) return;
+
+      for (const [bucket, chave, max] of chaves) {
+        registrarFalha(chave, { maxFalhas: max, janelaMs, bloqueioBaseMs, bloqueioMaxMs }).then((r) => {
+          if (!r.bloqueado) return;
+          console.warn(
+            `[LIMITE] ${nome}: bloqueio nível ${r.nivel} por ${bucket} até ${new Date(r.ate).toISOString()} — ${ipDoCliente(req)}`
+          );
+          auditarLimite(req, nome, {
+            code: "BLOQUEIO_TEMPORARIO",
+            bucket,
+            nivel: r.nivel,
+            falhas: r.falhas,
+            ate: new Date(r.ate).toISOString(),
+          });
+        });
+      }
+    });
+
+    return next();
+  };
+}
+
+// ── Regras por endpoint ─────────────────────────────────────────────────────
+
+const cpfDoCorpo = (req) => String(req.body?.cpf || "").replace(/\D/g, "") || null;
+const emailDoCorpo = (req) => String(req.body?.email || "").trim().toLowerCase() || null;
+const cpfOuEmail = (req) => cpfDoCorpo(req) || emailDoCorpo(req);
+const tokenConvite = (req) => req.params?.token || null;
+const contaDoDesafio = (req) => usuarioDoDesafio(req.body?.desafio);
+
+// Login por senha: volume por IP/conta + bloqueio por senha errada
+const LOGIN = (nome, identificador) => [
+  limitarTaxa({ nome, janelaMs: 15 * MIN, maxPorIp: 50, maxPorIdentificador: 20, identificador }),
+  protegerForcaBruta({ nome, identificador, maxFalhas: 5, maxFalhasPorIp: 30 }),
+];
+
+// Envio de código (e-mail/SMS): custo e spam — limite baixo por destinatário
+const ENVIO_CODIGO = (nome, identificador) => [
+  limitarTaxa({ nome, janelaMs: 15 * MIN, maxPorIp: 20, maxPorIdentificador: 5, identificador }),
+];
+
+// Verificação de código/data: espaço pequeno (6 dígitos, datas) → bloqueio cedo
+const VERIFICACAO = (nome, identificador) => [
+  limitarTaxa({ nome, janelaMs: 15 * MIN, maxPorIp: 60 }),
+  protegerForcaBruta({ nome, identificador, maxFalhas: 5, maxFalhasPorIp: 30 }),
+];
+
+export const LIMITES_DE_ACESSO = [
+  ["/api/auth/login", LOGIN("auth_login", cpfOuEmail)],
+  ["/api/auth-plataforma/login", LOGIN("plataforma_login", emailDoCorpo)],
+  ["/api/auth-plataforma/confirmar", VERIFICACAO("plataforma_confirmar", (req) => req.body?.usuarioId)],
+  ["/api/auth-plataforma/2fa/verificar", VERIFICACAO("plataforma_2fa", contaDoDesafio)],
+
+  // Segundo fator (TOTP / código de recuperação)
+  ["/api/auth/2fa/verificar", VERIFICACAO("auth_2fa", contaDoDesafio)],
+  ["/api/auth/2fa/cadastro/confirmar", VERIFICACAO("auth_2fa_gestao", null)],
+  ["/api/auth/2fa/codigos-recuperacao", VERIFICACAO("auth_2fa_gestao", null)],
+  ["/api/auth/2fa/desativar", VERIFICACAO("auth_2fa_gestao", null)],
+
+  ["/api/auth/reset-senha/enviar-codigo", ENVIO_CODIGO("reset_senha_envio", emailDoCorpo)],
+  ["/api/auth/reset-senha/confirmar-codigo", VERIFICACAO("reset_senha", emailDoCorpo)],
+  ["/api/auth/reset-senha/alterar", VERIFICACAO("reset_senha", emailDoCorpo)],
+  ["/api/auth/enviar-codigo", ENVIO_CODIGO("auth_envio_codigo", emailDoCorpo)],
+  ["/api/auth/enviar-codigo-cadastro", ENVIO_CODIGO("cadastro_envio", emailDoCorpo)],
+  ["/api/auth/confirmar-codigo-cadastro", VERIFICACAO("cadastro_confirmar", emailDoCorpo)],
+
+  ["/api/app-pais/solicitar-codigo", ENVIO_CODIGO("pais_solicitar_codigo", cpfDoCorpo)],
+  ["/api/app-pais/verificar-codigo", VERIFICACAO("pais_verificar_codigo", cpfDoCorpo)],
+  ["/api/app-pais/aluno/solicitar-codigo", ENVIO_CODIGO("aluno_solicitar_codigo", cpfDoCorpo)],
+  ["/api/app-pais/aluno/verificar-codigo", VERIFICACAO("aluno_verificar_codigo", cpfDoCorpo)],
+  ["/api/app-pais/aluno/verificar-data-nascimento", VERIFICACAO("aluno_data_nascimento", cpfDoCorpo)],
+
+  ["/api/convites-ativacao/:token/validar", VERIFICACAO("convite_ativacao", tokenConvite)],
+  ["/api/convites-ativacao/:token/enviar-codigo", ENVIO_CODIGO("convite_envio_codigo", tokenConvite)],
+  ["/api/convites-ativacao/:token/ativar", VERIFICACAO("convite_ativacao", tokenConvite)],
+];
+
+/** Registra as regras no app — chamar ANTES de montar os routers. */
+export function registrarLimitesDeAcesso(app) {
+  for (const [caminho, middlewares] of LIMITES_DE_ACESSO) {
+    app.post(caminho, ...middlewares);
+  }
+  console.log(`[LIMITE] ${LIMITES_DE_ACESSO.length} rotas de senha/código protegidas ✅`);
+}
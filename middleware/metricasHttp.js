@@ -0,0 +1,51 @@
+import { contador, histograma } from "../services/metricas.js";
+
+// ============================================================================
+// medirRequisicao — latência e status por rota (services/metricas.js)
+//
+// - rota é o TEMPLATE casado pelo Express (/api/alunos/:id), nunca a URL
+//   crua; resposta dada por middleware (401, 404, estáticos) entra como
+//   "<mount>/*" ou "sem_rota".
+// - Volume por escola fica num contador separado, só com a classe do status
+//   (2xx/4xx/5xx) — rota × escola explodiria a cardinalidade.
+// ============================================================================
+
+const duracao = histograma(
+  "http_requisicao_duracao_segundos",
+  "Latência das requisições HTTP por rota.",
+  ["metodo", "rota"]
+);
+const requisicoes = contador(
+  "http_requisicoes_total",
+  "Requisições HTTP por rota e status.",
+  ["metodo", "rota", "status"]
+);
+const porEscola = contador(
+  "http_requisicoes_escola_total",
+  "Requisições HTTP por escola e classe de status.",
+  ["escola_id", "classe"]
+);
+
+export function rotaDaRequisicao(req) {
+  if (req.route?.path != null) return `${req.baseUrl || ""}${String(req.route.path)}`;
+  if (req.baseUrl) return `${req.baseUrl}/*`;
+  return "sem_rota";
+}
+
+export function medirRequisicao(req, res, next) {
+  const fim = duracao.iniciar();
+
+  res.on("finish", () => {
+    const metodo = req.method;
+    const rota = rotaDaRequisicao(req);
+    const status = res.statusCode;
+
+    fim({ metodo, rota });
+    requisicoes.inc({ metodo, rota, status });
+
+    const escola = req.escola_id ?? req.user?.escola_id;
+    if (escola) porEscola.inc({ escola_id: escola, classe: `${String(status)[0]}xx` });
+  });
+
+  next();
+}
@@ -0,0 +1,63 @@
+import { validarSchema } from "../services/validacaoSchema.js";
+
+// ============================================================================
+// validar({ resumo, params, query, body, ... }) — valida a requisição contra
+// os schemas da rota ANTES do handler e publica a rota no OpenAPI
+// (services/openapi.js lê a spec presa ao middleware: mw.openapi).
+//
+// Formato único de erro (400):
+//   { ok: false, code: "VALIDACAO", message: "...",
+//     erros: [{ local: "body"|"query"|"params", campo, mensagem }] }
+//
+// - body e query saem coagidos ("12" → 12) e com aliases preenchidos, então o
+//   handler pode ler tanto turma_ids quanto turmaIds.
+// - params só são validados (o router recria req.params a cada camada).
+// ============================================================================
+
+export function respostaErroValidacao(erros) {
+  const [primeiro] = erros;
+  const extra = erros.length > 1 ? ` (+${erros.length - 1} erro(s))` : "";
+  return {
+    ok: false,
+    code: "VALIDACAO",
+    message: `Dados inválidos: ${primeiro.campo || primeiro.local} ${primeiro.mensagem}${extra}.`,
+    erros,
+  };
+}
+
+function comoObjeto(schema) {
+  return { type: "object", ...schema };
+}
+
+export function validar(spec) {
+  const locais = ["params", "query", "body"].filter((l) => spec[l]);
+
+  const middleware = (req, res, next) => {
+    const erros = [];
+    const saidas = {};
+
+    for (const local of locais) {
+      const entrada = req[local] ?? {};
+      const r = validarSchema(comoObjeto(spec[local]), entrada);
+      for (const e of r.erros) erros.push({ local, campo: e.campo, mensagem: e.mensagem });
+      saidas[local] = r.valor;
+    }
+
+    if (erros.length) return res.status(400).json(respostaErroValidacao(erros));
+
+    if (saidas.body && typeof req.body === "object" && req.body !== null) req.body = saidas.body;
+    if (saidas.query) {
+      // Express 5: req.query é getter (re-parseia a cada acesso) — sombreia na instância
+      Object.defineProperty(req, "query", {
+        value: saidas.query,
+        writable: true,
+        configurable: true,
+        enumerable: true,
+      });
+    }
+    return next();
+  };
+
+  middleware.openapi = spec;
+  return middleware;
+}
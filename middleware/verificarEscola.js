@@ -1,3 +1,59 @@
+import pool from "../db.js";
+
+// ============================================================================
+// Contexto de escola (tenant) — a escola ativa vem SEMPRE da sessão (token).
+// - x-escola-id / ?escola_id / body.escola_id continuam aceitos por
+//   compatibilidade, mas só se baterem com o token; divergência = 403
+//   ESCOLA_DIVERGENTE (e fica registrada em rbac_auditoria).
+// - Usuário com vínculo em mais de uma escola troca de contexto por
+//   POST /api/auth/trocar-escola (gera nova sessão e audita a troca).
+// - Routers devem ler req.escola_id (ou escolaDoRequest(req)).
+// ============================================================================
+
+const FONTES = [
+  ["header", (req) => req.headers?.["x-escola-id"]],
+  ["query", (req) => req.query?.escola_id],
+  ["body", (req) => req.body?.escola_id],
+];
+
+function valorInformado(v) {
+  return v !== undefined && v !== null && String(v).trim() !== "";
+}
+
+export function escolaDoToken(user) {
+  const raw = user?.escola_id ?? user?.escolaId ?? user?.school_id ?? user?.schoolId;
+  const id = Number(raw);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/** Escola ativa do request (já validada por verificarEscola). */
+export function escolaDoRequest(req) {
+  return req.escola_id ?? escolaDoToken(req.user);
+}
+
+function auditarDivergencia(req, fonte, valor, escolaId) {
+  pool
+    .query(
+      `INSERT INTO rbac_auditoria
+         (usuario_id, escola_id, perfil, metodo, rota,
+          permissao_requerida, decisao, ip, user_agent, detalhe)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        req.user?.usuarioId ?? req.user?.id ?? req.user?.usuario_id ?? null,
+        escolaId,
+        req.user?.perfil || null,
+        req.method,
+        String(req.originalUrl || "").split("?")[0].slice(0, 255),
+        "escola:contexto",
+        "DENY",
+        req.ip || null,
+        req.headers?.["user-agent"] || null,
+        JSON.stringify({ code: "ESCOLA_DIVERGENTE", fonte, informado: String(valor).slice(0, 40) }),
+      ]
+    )
+    .catch((err) => console.error("[ESCOLA] falha ao auditar divergência:", err.message));
+}
+
 export function verificarEscola(req, res, next) {
   try {
     // ── CORS preflight: OPTIONS passa direto ──────────────────────────────────
@@ -12,33 +68,34 @@ export function verificarEscola(req, res, next) {
       });
     }
 
-    const fromHeader = req.headers?.["x-escola-id"];
-    const fromQuery = req.query?.escola_id;
-    const fromBody = req.body?.escola_id;
-
-    const fromToken =
-      req.user?.escola_id ??
-      req.user?.escolaId ??
-      req.user?.school_id ??
-      req.user?.schoolId;
-
-    const escolaIdRaw = fromHeader ?? fromQuery ?? fromBody ?? fromToken;
-    const escola_id = Number(escolaIdRaw);
-
-    if (!escolaIdRaw || Number.isNaN(escola_id) || escola_id <= 0) {
-      return res.status(400).json({
+    const escola_id = escolaDoToken(req.user);
+    if (!escola_id) {
+      return res.status(403).json({
         ok: false,
-        message: "Escola não informada. Envie x-escola-id, escola_id (query/body) ou inclua no token.",
+        code: "ESCOLA_NAO_DEFINIDA",
+        message: "Sessão sem escola ativa. Faça login selecionando a escola.",
       });
     }
 
-    req.escola_id = escola_id;
-
-    // ✅ compatibilidade: partes do sistema (multer/uploads) esperam escola_id em req.user
-    if (req.user && (req.user.escola_id == null)) {
-      req.user.escola_id = escola_id;
+    for (const [fonte, ler] of FONTES) {
+      const valor = ler(req);
+      if (!valorInformado(valor)) continue;
+      if (Number(valor) !== escola_id) {
+        console.warn(
+          `[ESCOLA] ${fonte} escola_id=${String(valor).slice(0, 40)} diverge do token (${escola_id}) — ${req.method} ${req.originalUrl}`
+        );
+        auditarDivergencia(req, fonte, valor, escola_id);
+        return res.status(403).json({
+          ok: false,
+          code: "ESCOLA_DIVERGENTE",
+          message: "A escola informada não corresponde à escola da sessão.",
+        });
+      }
     }
 
+    req.escola_id = escola_id;
+    if (req.user) req.user.escola_id = escola_id;
+
     return next();
 
   } catch (err) {
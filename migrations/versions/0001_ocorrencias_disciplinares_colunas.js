@@ -0,0 +1,30 @@
+// 0001 — Colunas de ocorrencias_disciplinares que eram garantidas por scripts soltos
+// (run_migration_atenuantes_agravantes.js, run_migration_rastreabilidade_disciplinar.js,
+//  run_migration_fo_coletivo_lote.js, migrations/add_data_convocacao_responsavel.sql)
+// e por fallbacks ER_BAD_FIELD_ERROR em routes/alunos.js.
+import { adicionarColunas, adicionarIndice } from "../../services/migrationRunner.js";
+
+export const descricao = "ocorrencias_disciplinares: convocação, atenuantes/agravantes, rastreabilidade e lote";
+
+export async function up(db) {
+  await adicionarColunas(db, "ocorrencias_disciplinares", [
+    ["data_convocacao", "DATE NULL COMMENT 'Data agendada para comparecimento do responsável (opcional)'"],
+    ["atenuantes", "JSON NULL COMMENT 'Art. 34 – circunstâncias atenuantes (array de strings)'"],
+    ["agravantes", "JSON NULL COMMENT 'Art. 35 – circunstâncias agravantes (array de strings)'"],
+    ["usuario_impressao_id", "INT NULL DEFAULT NULL COMMENT 'ID do usuario que imprimiu o PDF do registro (rastreabilidade)'"],
+    ["usuario_edicao_id", "INT NULL DEFAULT NULL COMMENT 'ID do usuario que editou o registro pela ultima vez (rastreabilidade)'"],
+    ["lote_id", "VARCHAR(36) NULL DEFAULT NULL COMMENT 'UUID que agrupa os alunos de um F.O. Coletivo'"],
+    ["origem", "ENUM('individual','coletivo') NOT NULL DEFAULT 'individual'"],
+  ]);
+
+  await adicionarIndice(db, "ocorrencias_disciplinares", "idx_usuario_impressao", "INDEX idx_usuario_impressao (usuario_impressao_id)");
+  await adicionarIndice(db, "ocorrencias_disciplinares", "idx_usuario_edicao", "INDEX idx_usuario_edicao (usuario_edicao_id)");
+  await adicionarIndice(db, "ocorrencias_disciplinares", "idx_lote_id", "INDEX idx_lote_id (lote_id)");
+  await adicionarIndice(db, "ocorrencias_disciplinares", "idx_origem", "INDEX idx_origem (origem)");
+  await adicionarIndice(
+    db,
+    "ocorrencias_disciplinares",
+    "idx_escola_origem_data",
+    "INDEX idx_escola_origem_data (escola_id, origem, data_ocorrencia)"
+  );
+}
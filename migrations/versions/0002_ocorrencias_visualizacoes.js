@@ -0,0 +1,26 @@
+// 0002 — Confirmação de leitura das ocorrências pelo responsável (App Pais)
+// (antes: run_migration_ocorrencias_visualizacoes.js/.cjs e
+//  run_migration_ocorrencias_pedagogicas_visualizacoes.js)
+export const descricao = "ocorrencias_visualizacoes + ocorrencias_pedagogicas_visualizacoes";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS ocorrencias_visualizacoes (
+      id             INT AUTO_INCREMENT PRIMARY KEY,
+      ocorrencia_id  INT NOT NULL,
+      responsavel_id INT NOT NULL,
+      visualizado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY unq_ocorrencia_responsavel (ocorrencia_id, responsavel_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS ocorrencias_pedagogicas_visualizacoes (
+      id             INT AUTO_INCREMENT PRIMARY KEY,
+      ocorrencia_id  INT NOT NULL,
+      responsavel_id INT NOT NULL,
+      visualizado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY unq_ocorrencia_ped_responsavel (ocorrencia_id, responsavel_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+}
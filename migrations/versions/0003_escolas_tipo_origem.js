@@ -0,0 +1,11 @@
+// 0003 — Classificação da escola (antes: run_migration_add_tipo_origem_escolas.js)
+import { adicionarColunas } from "../../services/migrationRunner.js";
+
+export const descricao = "escolas: tipo (JSON) e origem (pública/particular)";
+
+export async function up(db) {
+  await adicionarColunas(db, "escolas", [
+    ["tipo", "JSON DEFAULT NULL COMMENT 'Array de tipos: Infantil, Anos Iniciais, Anos Finais, Ensino Médio, Profissionalizante, Integral, CCMDF'"],
+    ["origem", "ENUM('publica', 'particular') DEFAULT NULL COMMENT 'Origem: pública ou particular'"],
+  ]);
+}
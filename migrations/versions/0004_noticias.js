@@ -0,0 +1,25 @@
+// 0004 — Carrossel de novidades do App Pais (antes: run_migration_noticias.js)
+import { adicionarIndice } from "../../services/migrationRunner.js";
+
+export const descricao = "noticias";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS noticias (
+      id          INT AUTO_INCREMENT PRIMARY KEY,
+      escola_id   INT          NOT NULL,
+      titulo      VARCHAR(120) NOT NULL DEFAULT 'Novidade',
+      descricao   TEXT,
+      imagem_url  TEXT         NOT NULL,
+      ativo       TINYINT(1)   NOT NULL DEFAULT 1,
+      criado_em   DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT fk_noticias_escola FOREIGN KEY (escola_id) REFERENCES escolas(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+  await adicionarIndice(
+    db,
+    "noticias",
+    "idx_noticias_escola_ativo",
+    "INDEX idx_noticias_escola_ativo (escola_id, ativo, criado_em DESC)"
+  );
+}
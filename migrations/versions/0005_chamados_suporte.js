@@ -0,0 +1,53 @@
+// 0005 — SAC Técnico (antes: ensureTable() em routes/suporte.js a cada request)
+import { adicionarColunas } from "../../services/migrationRunner.js";
+
+export const descricao = "chamados + chamados_mensagens";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS chamados (
+      id             INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      escola_id      INT UNSIGNED NOT NULL,
+      escola_nome    VARCHAR(200) DEFAULT NULL,
+      usuario_id     INT UNSIGNED NOT NULL,
+      usuario_nome   VARCHAR(200) NOT NULL,
+      usuario_perfil VARCHAR(50) DEFAULT NULL,
+      categoria      VARCHAR(50) NOT NULL DEFAULT 'outro',
+      prioridade     VARCHAR(20) NOT NULL DEFAULT 'media',
+      assunto        VARCHAR(300) NOT NULL,
+      descricao      TEXT NOT NULL,
+      status         VARCHAR(30) NOT NULL DEFAULT 'aberto',
+      resposta_ceo   TEXT DEFAULT NULL,
+      respondido_em  DATETIME DEFAULT NULL,
+      respondido_por VARCHAR(200) DEFAULT NULL,
+      avaliacao      TINYINT UNSIGNED DEFAULT NULL,
+      feedback_usuario TEXT DEFAULT NULL,
+      fechado_em     DATETIME DEFAULT NULL,
+      created_at     DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at     DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_chamado_escola (escola_id),
+      INDEX idx_chamado_status (status),
+      INDEX idx_chamado_created (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // Bancos criados antes da avaliação de satisfação
+  await adicionarColunas(db, "chamados", [
+    ["avaliacao", "TINYINT UNSIGNED DEFAULT NULL"],
+    ["feedback_usuario", "TEXT DEFAULT NULL"],
+    ["fechado_em", "DATETIME DEFAULT NULL"],
+  ]);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS chamados_mensagens (
+      id          INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      chamado_id  INT UNSIGNED NOT NULL,
+      autor_id    INT UNSIGNED DEFAULT NULL,
+      autor_nome  VARCHAR(200) NOT NULL,
+      autor_tipo  VARCHAR(20) NOT NULL DEFAULT 'usuario',
+      mensagem    TEXT NOT NULL,
+      created_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_msg_chamado (chamado_id, created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
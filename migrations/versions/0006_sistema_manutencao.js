@@ -0,0 +1,18 @@
+// 0006 — Manutenção programada (antes: ensureTable() em routes/manutencao.js
+// e bloco duplicado no bootstrap() do server.js)
+export const descricao = "sistema_manutencao";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS sistema_manutencao (
+      id            INT AUTO_INCREMENT PRIMARY KEY,
+      ativo         TINYINT(1)  NOT NULL DEFAULT 0,
+      inicio        DATETIME    NOT NULL,
+      fim           DATETIME    NOT NULL,
+      mensagem      VARCHAR(500) DEFAULT 'O sistema está em manutenção programada.',
+      criado_por    INT          DEFAULT NULL,
+      criado_em     DATETIME     DEFAULT CURRENT_TIMESTAMP,
+      atualizado_em DATETIME     DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
@@ -0,0 +1,23 @@
+// 0007 — Governança da escola (antes: ensureTable() em routes/governanca.js)
+export const descricao = "configuracoes_escola";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS configuracoes_escola (
+      id          INT AUTO_INCREMENT PRIMARY KEY,
+      escola_id   INT NOT NULL,
+      categoria   VARCHAR(80) NOT NULL DEFAULT 'geral',
+      chave       VARCHAR(120) NOT NULL,
+      valor       VARCHAR(500) NOT NULL DEFAULT '0',
+      descricao   VARCHAR(300) DEFAULT NULL,
+      tipo        ENUM('boolean','select','text') NOT NULL DEFAULT 'boolean',
+      opcoes_json JSON DEFAULT NULL,
+      ordem       INT NOT NULL DEFAULT 0,
+      ativo       TINYINT(1) NOT NULL DEFAULT 1,
+      criado_em   DATETIME DEFAULT CURRENT_TIMESTAMP,
+      atualizado_em DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_escola_chave (escola_id, chave),
+      KEY idx_escola_cat (escola_id, categoria)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
@@ -0,0 +1,38 @@
+// 0008 — Atas disciplinares (antes: ensureTable() com retry em routes/disciplinar-atas.js)
+import { adicionarColunas } from "../../services/migrationRunner.js";
+
+export const descricao = "disciplinar_atas (+ colunas de contexto turno/turma/aluno)";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS disciplinar_atas (
+      id              INT AUTO_INCREMENT PRIMARY KEY,
+      escola_id       INT NOT NULL,
+      titulo          VARCHAR(500) NOT NULL,
+      conteudo        TEXT NOT NULL,
+      status          ENUM('Rascunho','Finalizado') NOT NULL DEFAULT 'Rascunho',
+      turno           VARCHAR(50)  DEFAULT NULL,
+      turma_id        INT          DEFAULT NULL,
+      turma_nome      VARCHAR(255) DEFAULT NULL,
+      aluno_id        INT          DEFAULT NULL,
+      criado_por      VARCHAR(255),
+      criado_por_id   INT,
+      criado_em       DATETIME DEFAULT CURRENT_TIMESTAMP,
+      editado_por     VARCHAR(255),
+      editado_por_id  INT,
+      editado_em      DATETIME DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+      finalizado_por  VARCHAR(255),
+      finalizado_por_id INT,
+      finalizado_em   DATETIME DEFAULT NULL,
+      INDEX idx_escola (escola_id),
+      INDEX idx_status (status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await adicionarColunas(db, "disciplinar_atas", [
+    ["turno", "VARCHAR(50) DEFAULT NULL"],
+    ["turma_id", "INT DEFAULT NULL"],
+    ["turma_nome", "VARCHAR(255) DEFAULT NULL"],
+    ["aluno_id", "INT DEFAULT NULL"],
+  ]);
+}
@@ -0,0 +1,20 @@
+// 0009 — Agenda pedagógica (antes: setupTable() no import de
+// controllers/agendaPedagogicaController.js e migrations/create_agenda_pedagogica.sql)
+export const descricao = "agenda_pedagogica";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS agenda_pedagogica (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      escola_id INT NOT NULL,
+      tema VARCHAR(50) NOT NULL,
+      titulo VARCHAR(255) NOT NULL,
+      bimestre VARCHAR(50),
+      data_inicio DATE NOT NULL,
+      data_fim DATE,
+      descricao TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `);
+}
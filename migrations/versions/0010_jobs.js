@@ -0,0 +1,48 @@
+// 0010 — Fila persistente de jobs (services/jobQueue.js)
+//        (antes: PDFs/exportações rodavam dentro do request ou em IIFE solta)
+export const descricao = "jobs + jobs_arquivos";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id                BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      tipo              VARCHAR(60) NOT NULL,
+      escola_id         INT UNSIGNED DEFAULT NULL,
+      usuario_id        INT UNSIGNED DEFAULT NULL,
+      chave             VARCHAR(190) DEFAULT NULL,
+      status            ENUM('pendente','executando','concluido','falhou','cancelado') NOT NULL DEFAULT 'pendente',
+      payload           JSON DEFAULT NULL,
+      resultado         JSON DEFAULT NULL,
+      erro              TEXT DEFAULT NULL,
+      progresso         TINYINT UNSIGNED NOT NULL DEFAULT 0,
+      progresso_msg     VARCHAR(255) DEFAULT NULL,
+      tentativas        INT UNSIGNED NOT NULL DEFAULT 0,
+      max_tentativas    INT UNSIGNED NOT NULL DEFAULT 3,
+      cancelar          TINYINT(1) NOT NULL DEFAULT 0,
+      worker_id         VARCHAR(120) DEFAULT NULL,
+      disponivel_em     DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      heartbeat_em      DATETIME DEFAULT NULL,
+      iniciado_em       DATETIME DEFAULT NULL,
+      concluido_em      DATETIME DEFAULT NULL,
+      criado_em         DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      atualizado_em     DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_jobs_fila (status, tipo, disponivel_em),
+      INDEX idx_jobs_escola (escola_id, tipo, status),
+      INDEX idx_jobs_chave (chave, status),
+      INDEX idx_jobs_concluido (concluido_em)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // Saída binária dos jobs (PDF de boletins etc.). Fica no banco para que
+  // qualquer instância sirva o download — o disco do App Platform é efêmero.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS jobs_arquivos (
+      job_id        BIGINT UNSIGNED NOT NULL PRIMARY KEY,
+      nome          VARCHAR(255) NOT NULL,
+      mime          VARCHAR(100) NOT NULL DEFAULT 'application/octet-stream',
+      tamanho       INT UNSIGNED NOT NULL DEFAULT 0,
+      conteudo      LONGBLOB NOT NULL,
+      criado_em     DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
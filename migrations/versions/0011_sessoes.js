@@ -0,0 +1,31 @@
+// 0011 — Sessões revogáveis + refresh tokens rotativos (services/sessoes.js)
+//        (antes: JWT de 8h/7d/30d sem como invalidar)
+export const descricao = "sessoes";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS sessoes (
+      id                     BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      sid                    CHAR(32) NOT NULL,
+      tipo_conta             ENUM('usuario','responsavel','aluno') NOT NULL,
+      conta_id               INT UNSIGNED NOT NULL,
+      escola_id              INT UNSIGNED DEFAULT NULL,
+      dispositivo            VARCHAR(200) DEFAULT NULL,
+      ip                     VARCHAR(64) DEFAULT NULL,
+      user_agent             VARCHAR(300) DEFAULT NULL,
+      refresh_hash           CHAR(64) NOT NULL,
+      refresh_anterior_hash  CHAR(64) DEFAULT NULL,
+      refresh_expira_em      DATETIME NOT NULL,
+      ultimo_uso_em          DATETIME DEFAULT NULL,
+      revogada_em            DATETIME DEFAULT NULL,
+      revogada_por           INT UNSIGNED DEFAULT NULL,
+      motivo_revogacao       VARCHAR(100) DEFAULT NULL,
+      criado_em              DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uk_sessoes_sid (sid),
+      UNIQUE KEY uk_sessoes_refresh (refresh_hash),
+      INDEX idx_sessoes_refresh_anterior (refresh_anterior_hash),
+      INDEX idx_sessoes_conta (tipo_conta, conta_id, revogada_em),
+      INDEX idx_sessoes_escola (escola_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
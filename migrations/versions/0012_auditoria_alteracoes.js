@@ -0,0 +1,28 @@
+// 0012 — Trilha de auditoria de dados (services/auditoria.js)
+//        (antes: rbac_auditoria só guardava ALLOW/DENY; alteração de nota,
+//        ocorrência ou cadastro de aluno não deixava o valor anterior)
+export const descricao = "auditoria_alteracoes";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS auditoria_alteracoes (
+      id            BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      escola_id     INT UNSIGNED NOT NULL,
+      usuario_id    INT UNSIGNED DEFAULT NULL,
+      perfil        VARCHAR(50) DEFAULT NULL,
+      entidade      VARCHAR(60) NOT NULL,
+      entidade_id   VARCHAR(64) NOT NULL,
+      aluno_id      INT UNSIGNED DEFAULT NULL,
+      acao          ENUM('criar','alterar','excluir') NOT NULL,
+      diff          JSON NOT NULL,
+      metodo        VARCHAR(10) DEFAULT NULL,
+      rota          VARCHAR(255) DEFAULT NULL,
+      ip            VARCHAR(64) DEFAULT NULL,
+      criado_em     DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_aud_entidade (escola_id, entidade, entidade_id),
+      INDEX idx_aud_aluno (escola_id, aluno_id, criado_em),
+      INDEX idx_aud_usuario (escola_id, usuario_id, criado_em),
+      INDEX idx_aud_data (escola_id, criado_em)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
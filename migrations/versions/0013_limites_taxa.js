@@ -0,0 +1,18 @@
+// 0013 — Rate limit / bloqueio progressivo compartilhado entre instâncias
+//        (services/limiteTaxa.js; antes: Map em memória só no capture.routes.js)
+export const descricao = "limites_taxa";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS limites_taxa (
+      chave          VARCHAR(190) NOT NULL PRIMARY KEY,
+      contador       INT UNSIGNED NOT NULL DEFAULT 0,
+      janela_fim     DATETIME(3) DEFAULT NULL,
+      nivel          TINYINT UNSIGNED NOT NULL DEFAULT 0,
+      bloqueado_ate  DATETIME(3) DEFAULT NULL,
+      atualizado_em  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_limites_janela (janela_fim),
+      INDEX idx_limites_bloqueio (bloqueado_ate)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
@@ -0,0 +1,9 @@
+// 0014 — request_id de quem enfileirou o job: o worker reabre o contexto de
+//        log com ele (services/logger.js), correlacionando request → job
+import { adicionarColunas } from "../../services/migrationRunner.js";
+
+export const descricao = "jobs: request_id de origem (correlação de logs)";
+
+export async function up(db) {
+  await adicionarColunas(db, "jobs", [["request_id", "VARCHAR(100) DEFAULT NULL AFTER chave"]]);
+}
@@ -0,0 +1,53 @@
+// 0015 — Outbox de notificações aos responsáveis (services/notificacoes.js):
+//        uma linha por destino (device Expo, e-mail ou telefone), com status
+//        de entrega, retentativas e dedup; e o registro de publicação de
+//        boletins, que dispara o evento BOLETIM_PUBLICADO
+export const descricao = "notificacoes_envios + boletins_publicacoes";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS notificacoes_envios (
+      id              BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      escola_id       INT NOT NULL,
+      responsavel_id  INT NOT NULL,
+      aluno_id        BIGINT UNSIGNED DEFAULT NULL,
+      evento          VARCHAR(40) NOT NULL,
+      referencia_id   BIGINT UNSIGNED DEFAULT NULL,
+      canal           ENUM('push','email','sms') NOT NULL,
+      destino         VARCHAR(512) NOT NULL,
+      titulo          VARCHAR(200) NOT NULL,
+      mensagem        TEXT NOT NULL,
+      payload         JSON DEFAULT NULL,
+      dedup_chave     VARCHAR(190) NOT NULL,
+      status          ENUM('pendente','enviando','enviado','entregue','falhou','descartado') NOT NULL DEFAULT 'pendente',
+      tentativas      TINYINT UNSIGNED NOT NULL DEFAULT 0,
+      max_tentativas  TINYINT UNSIGNED NOT NULL DEFAULT 5,
+      disponivel_em   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      provedor_id     VARCHAR(190) DEFAULT NULL,
+      erro            VARCHAR(500) DEFAULT NULL,
+      request_id      VARCHAR(100) DEFAULT NULL,
+      criado_em       DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      enviado_em      DATETIME DEFAULT NULL,
+      recibo_em       DATETIME DEFAULT NULL,
+      atualizado_em   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uk_notif_dedup (dedup_chave),
+      INDEX idx_notif_fila (status, disponivel_em),
+      INDEX idx_notif_evento (escola_id, evento, referencia_id),
+      INDEX idx_notif_responsavel (responsavel_id, criado_em),
+      INDEX idx_notif_aluno (aluno_id, criado_em)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS boletins_publicacoes (
+      id             INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      escola_id      INT NOT NULL,
+      turma_id       INT NOT NULL,
+      ano            SMALLINT UNSIGNED NOT NULL,
+      bimestre       TINYINT UNSIGNED NOT NULL,
+      publicado_por  INT DEFAULT NULL,
+      publicado_em   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uk_boletim_publicacao (escola_id, turma_id, ano, bimestre)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
@@ -0,0 +1,51 @@
+// 0016 — Preferências de notificação do responsável (services/preferenciasNotificacao.js):
+//        categoria × canal por aluno (aluno_id = 0 vale para todos os filhos),
+//        horário de silêncio e hora do resumo diário; e os itens que aguardam
+//        o resumo diário (categorias de baixa prioridade agrupadas numa mensagem)
+export const descricao = "notificacoes_preferencias + notificacoes_config_responsavel + notificacoes_resumo_itens";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS notificacoes_preferencias (
+      id              INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      responsavel_id  INT NOT NULL,
+      aluno_id        BIGINT UNSIGNED NOT NULL DEFAULT 0,
+      categoria       VARCHAR(30) NOT NULL,
+      receber         TINYINT(1) NOT NULL DEFAULT 1,
+      canais          VARCHAR(40) DEFAULT NULL,
+      resumo_diario   TINYINT(1) NOT NULL DEFAULT 0,
+      atualizado_em   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uk_notif_pref (responsavel_id, aluno_id, categoria)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS notificacoes_config_responsavel (
+      responsavel_id    INT NOT NULL PRIMARY KEY,
+      silencio_inicio   TIME DEFAULT NULL,
+      silencio_fim      TIME DEFAULT NULL,
+      resumo_hora       TINYINT UNSIGNED NOT NULL DEFAULT 19,
+      ultimo_resumo_em  DATETIME DEFAULT NULL,
+      atualizado_em     DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS notificacoes_resumo_itens (
+      id              BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      responsavel_id  INT NOT NULL,
+      escola_id       INT NOT NULL,
+      aluno_id        BIGINT UNSIGNED DEFAULT NULL,
+      categoria       VARCHAR(30) NOT NULL,
+      evento          VARCHAR(40) NOT NULL,
+      referencia_id   BIGINT UNSIGNED DEFAULT NULL,
+      titulo          VARCHAR(200) NOT NULL,
+      mensagem        TEXT NOT NULL,
+      dedup_chave     VARCHAR(190) NOT NULL,
+      criado_em       DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      resumido_em     DATETIME DEFAULT NULL,
+      UNIQUE KEY uk_notif_resumo_dedup (dedup_chave),
+      INDEX idx_notif_resumo_pendentes (resumido_em, responsavel_id, escola_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
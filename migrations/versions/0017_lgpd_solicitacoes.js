@@ -0,0 +1,43 @@
+// 0017 — Solicitações do titular (LGPD, art. 18): exportação dos dados e
+//        anonimização de aluno ou responsável, com prazo de resposta
+//        (15 dias úteis, art. 19 §3º) e o job que executa cada uma
+//        (services/lgpd.js). alunos/responsaveis ganham anonimizado_em.
+import { adicionarColunas } from "../../services/migrationRunner.js";
+
+export const descricao = "lgpd_solicitacoes + anonimizado_em em alunos/responsaveis";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS lgpd_solicitacoes (
+      id                     INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      escola_id              INT NOT NULL,
+      tipo                   ENUM('exportacao','anonimizacao') NOT NULL,
+      titular_tipo           ENUM('aluno','responsavel') NOT NULL,
+      aluno_id               BIGINT UNSIGNED DEFAULT NULL,
+      responsavel_id         INT DEFAULT NULL,
+      origem                 ENUM('app_pais','secretaria') NOT NULL,
+      aberta_por_usuario_id  INT DEFAULT NULL,
+      aberta_por_responsavel_id INT DEFAULT NULL,
+      motivo                 TEXT DEFAULT NULL,
+      status                 ENUM('aberta','em_andamento','concluida','recusada','falhou') NOT NULL DEFAULT 'aberta',
+      prazo_em               DATE NOT NULL,
+      job_id                 BIGINT UNSIGNED DEFAULT NULL,
+      resposta               TEXT DEFAULT NULL,
+      resultado              JSON DEFAULT NULL,
+      atendida_por_usuario_id INT DEFAULT NULL,
+      concluida_em           DATETIME DEFAULT NULL,
+      criado_em              DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      atualizado_em          DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_lgpd_escola_status (escola_id, status, prazo_em),
+      INDEX idx_lgpd_aluno (aluno_id),
+      INDEX idx_lgpd_responsavel (responsavel_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await adicionarColunas(db, "alunos", [
+    ["anonimizado_em", "DATETIME NULL DEFAULT NULL COMMENT 'LGPD: dados pessoais removidos (services/lgpd.js)'"],
+  ]);
+  await adicionarColunas(db, "responsaveis", [
+    ["anonimizado_em", "DATETIME NULL DEFAULT NULL COMMENT 'LGPD: dados pessoais removidos (services/lgpd.js)'"],
+  ]);
+}
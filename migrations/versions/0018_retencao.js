@@ -0,0 +1,52 @@
+// 0018 — Retenção de dados por escola (services/retencao.js): prazo por
+//        categoria (frames de câmera, fotos de visitantes, embeddings, logs),
+//        histórico das execuções (simulação ou expurgo real) e a trava legal
+//        (legal hold) nas ocorrências disciplinares. alunos ganha inativado_em,
+//        base do prazo dos embeddings.
+import { adicionarColunas, adicionarIndice } from "../../services/migrationRunner.js";
+
+export const descricao = "retencao_politicas + retencao_execucoes + trava legal em ocorrencias + alunos.inativado_em";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS retencao_politicas (
+      id             INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      escola_id      INT NOT NULL,
+      categoria      VARCHAR(40) NOT NULL,
+      dias           INT UNSIGNED NOT NULL,
+      ativo          TINYINT(1) NOT NULL DEFAULT 1,
+      atualizado_por INT DEFAULT NULL,
+      atualizado_em  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uk_retencao_politica (escola_id, categoria)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS retencao_execucoes (
+      id           BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      escola_id    INT NOT NULL,
+      simulacao    TINYINT(1) NOT NULL DEFAULT 0,
+      origem       ENUM('agendada','manual') NOT NULL DEFAULT 'agendada',
+      job_id       BIGINT UNSIGNED DEFAULT NULL,
+      usuario_id   INT DEFAULT NULL,
+      status       ENUM('executando','concluida','falhou') NOT NULL DEFAULT 'executando',
+      resumo       JSON DEFAULT NULL,
+      erro         TEXT DEFAULT NULL,
+      iniciado_em  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      concluido_em DATETIME DEFAULT NULL,
+      INDEX idx_retencao_exec_escola (escola_id, iniciado_em)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await adicionarColunas(db, "ocorrencias_disciplinares", [
+    ["retencao_bloqueio", "TINYINT(1) NOT NULL DEFAULT 0 COMMENT 'Trava legal: dados do aluno fora do expurgo'"],
+    ["retencao_bloqueio_motivo", "VARCHAR(255) NULL DEFAULT NULL"],
+    ["retencao_bloqueio_por", "INT NULL DEFAULT NULL"],
+    ["retencao_bloqueio_em", "DATETIME NULL DEFAULT NULL"],
+  ]);
+  await adicionarIndice(db, "ocorrencias_disciplinares", "idx_ocorr_retencao_bloqueio", "INDEX idx_ocorr_retencao_bloqueio (escola_id, retencao_bloqueio)");
+
+  await adicionarColunas(db, "alunos", [
+    ["inativado_em", "DATETIME NULL DEFAULT NULL COMMENT 'Primeira vez visto fora de ativo (services/retencao.js)'"],
+  ]);
+}
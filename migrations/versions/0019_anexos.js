@@ -0,0 +1,27 @@
+// 0019 — Anexos privados (services/arquivos.js): atestados das justificativas
+//        de falta e registros de atendimento da APH. Cada linha aponta para
+//        uma chave endereçada por conteúdo no driver configurado
+//        (storage/armazenamento.js); o download só sai por URL assinada.
+//        Redações e gabaritos guardam a chave na própria tabela
+//        (redacoes.imagem, gabarito_arquivos.arquivo_path).
+export const descricao = "anexos (atestados e APH no armazenamento com chave por conteúdo)";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS anexos (
+      id            BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      escola_id     INT NOT NULL,
+      categoria     ENUM('atestado','aph') NOT NULL,
+      referencia_id INT NOT NULL COMMENT 'frequencia_justificativas.id ou aph_atendimentos.id',
+      chave         VARCHAR(255) NOT NULL,
+      driver        ENUM('spaces','local') NOT NULL,
+      nome_original VARCHAR(255) DEFAULT NULL,
+      mime          VARCHAR(100) NOT NULL,
+      tamanho       INT UNSIGNED NOT NULL,
+      enviado_por   INT DEFAULT NULL,
+      criado_em     DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_anexos_referencia (escola_id, categoria, referencia_id),
+      INDEX idx_anexos_chave (chave)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
@@ -0,0 +1,16 @@
+// 0020 — Cota de armazenamento por escola (services/uploadSeguro.js): bytes
+//        enviados pelo pipeline de upload contra o limite da escola
+//        (cota_mb; NULL = UPLOAD_COTA_ESCOLA_MB). Objetos apagados do
+//        armazenamento privado devolvem o espaço.
+export const descricao = "armazenamento_cotas (uso e limite de upload por escola)";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS armazenamento_cotas (
+      escola_id     INT NOT NULL PRIMARY KEY,
+      cota_mb       INT UNSIGNED DEFAULT NULL COMMENT 'NULL = padrão UPLOAD_COTA_ESCOLA_MB',
+      bytes_usados  BIGINT UNSIGNED NOT NULL DEFAULT 0,
+      atualizado_em DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
@@ -0,0 +1,69 @@
+// 0021 — Autenticação em dois fatores (services/doisFatores.js): segredo TOTP
+//        por usuário (cifrado), códigos de recuperação de uso único e
+//        dispositivos confiados por 30 dias (cookie). A política da escola
+//        entra na governança: categoria "Segurança" com um item por perfil
+//        (seguranca.2fa_<perfil>) no template do CEO.
+export const descricao = "usuarios_dois_fatores + dois_fatores_recuperacao + dois_fatores_dispositivos + itens de governança";
+
+const ITENS_SEGURANCA = [
+  ["seguranca.2fa_diretor", "Exigir autenticação em dois fatores (TOTP) do Diretor", 1],
+  ["seguranca.2fa_vice_diretor", "Exigir autenticação em dois fatores (TOTP) do Vice-Diretor", 2],
+  ["seguranca.2fa_secretaria", "Exigir autenticação em dois fatores (TOTP) da Secretaria", 3],
+];
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS usuarios_dois_fatores (
+      usuario_id    INT NOT NULL PRIMARY KEY,
+      segredo       VARCHAR(255) NOT NULL COMMENT 'Segredo TOTP cifrado (AES-256-GCM)',
+      ativo         TINYINT(1) NOT NULL DEFAULT 0 COMMENT '0 = cadastro iniciado, ainda não confirmado',
+      ultimo_passo  BIGINT DEFAULT NULL COMMENT 'Último passo de 30s aceito (anti-reuso do código)',
+      confirmado_em DATETIME DEFAULT NULL,
+      criado_em     DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      atualizado_em DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS dois_fatores_recuperacao (
+      id          INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      usuario_id  INT NOT NULL,
+      codigo_hash CHAR(64) NOT NULL,
+      usado_em    DATETIME DEFAULT NULL,
+      criado_em   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_2fa_recuperacao_usuario (usuario_id, usado_em)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS dois_fatores_dispositivos (
+      id          INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      usuario_id  INT NOT NULL,
+      token_hash  CHAR(64) NOT NULL,
+      descricao   VARCHAR(200) DEFAULT NULL,
+      ip          VARCHAR(64) DEFAULT NULL,
+      expira_em   DATETIME NOT NULL,
+      ultimo_uso  DATETIME DEFAULT NULL,
+      criado_em   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uk_2fa_dispositivo_token (token_hash),
+      INDEX idx_2fa_dispositivo_usuario (usuario_id, expira_em)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // Template do CEO: só se já existir (em banco novo a 0040 cria as tabelas
+  // depois, com o seed — que já traz estes itens)
+  const [tabela] = await db.query("SHOW TABLES LIKE 'governanca_itens'");
+  if (!tabela.length) return;
+
+  await db.query(
+    "INSERT IGNORE INTO governanca_categorias (nome, cor, ordem) VALUES ('Segurança', '#ef4444', 8)"
+  );
+  const [[categoria]] = await db.query("SELECT id FROM governanca_categorias WHERE nome = 'Segurança' LIMIT 1");
+  for (const [chave, descricaoItem, ordem] of ITENS_SEGURANCA) {
+    await db.query(
+      `INSERT IGNORE INTO governanca_itens (categoria_id, chave, descricao, tipo, opcoes_json, valor_padrao, ordem)
+       VALUES (?, ?, ?, 'boolean', NULL, '0', ?)`,
+      [categoria.id, chave, descricaoItem, ordem]
+    );
+  }
+}
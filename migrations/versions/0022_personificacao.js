@@ -0,0 +1,76 @@
+// 0022 — Acesso de suporte do CEO como usuário da escola (services/personificacao.js):
+//        pedido ligado a um chamado, aprovação opcional do diretor, token
+//        somente leitura com prazo, escrita só por escalonamento e log de
+//        cada request. auditoria_alteracoes ganha personificacao_id para a
+//        escola ver o que foi alterado pelo suporte.
+import { adicionarColunas, adicionarIndice } from "../../services/migrationRunner.js";
+
+export const descricao = "personificacoes + personificacoes_acessos + auditoria_alteracoes.personificacao_id";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS personificacoes (
+      id                INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      chamado_id        INT UNSIGNED NOT NULL,
+      escola_id         INT UNSIGNED NOT NULL,
+      usuario_id        INT UNSIGNED NOT NULL COMMENT 'Usuário da escola que o suporte vai ver',
+      solicitado_por    INT UNSIGNED NOT NULL COMMENT 'Usuário da plataforma (CEO)',
+      solicitante_nome  VARCHAR(200) DEFAULT NULL,
+      motivo            VARCHAR(500) NOT NULL,
+      minutos           SMALLINT UNSIGNED NOT NULL DEFAULT 30,
+      status            VARCHAR(20) NOT NULL DEFAULT 'pendente' COMMENT 'pendente, aprovada, recusada, ativa, encerrada, expirada',
+      decidido_por      INT UNSIGNED DEFAULT NULL,
+      decidido_em       DATETIME DEFAULT NULL,
+      motivo_decisao    VARCHAR(500) DEFAULT NULL,
+      escrita           VARCHAR(20) NOT NULL DEFAULT 'bloqueada' COMMENT 'bloqueada, pendente, liberada',
+      escrita_motivo    VARCHAR(500) DEFAULT NULL,
+      escrita_pedida_em DATETIME DEFAULT NULL,
+      escrita_liberada_por INT UNSIGNED DEFAULT NULL,
+      escrita_liberada_em  DATETIME DEFAULT NULL,
+      iniciado_em       DATETIME DEFAULT NULL,
+      expira_em         DATETIME DEFAULT NULL,
+      encerrado_em      DATETIME DEFAULT NULL,
+      encerrado_por     VARCHAR(200) DEFAULT NULL,
+      criado_em         DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      atualizado_em     DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_pers_escola (escola_id, criado_em),
+      INDEX idx_pers_chamado (chamado_id),
+      INDEX idx_pers_status (status, expira_em)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS personificacoes_acessos (
+      id                BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      personificacao_id INT UNSIGNED NOT NULL,
+      escola_id         INT UNSIGNED NOT NULL,
+      metodo            VARCHAR(10) NOT NULL,
+      rota              VARCHAR(255) NOT NULL,
+      status_http       SMALLINT UNSIGNED DEFAULT NULL,
+      bloqueado         TINYINT(1) NOT NULL DEFAULT 0,
+      ip                VARCHAR(64) DEFAULT NULL,
+      criado_em         DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_pers_acesso (personificacao_id, id),
+      INDEX idx_pers_acesso_escola (escola_id, criado_em)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await adicionarColunas(db, "auditoria_alteracoes", [
+    ["personificacao_id", "INT UNSIGNED DEFAULT NULL AFTER ip"],
+  ]);
+  await adicionarIndice(db, "auditoria_alteracoes", "idx_aud_personificacao", "INDEX idx_aud_personificacao (personificacao_id)");
+
+  // Política da escola no template do CEO (categoria criada pela 0021)
+  const [tabela] = await db.query("SHOW TABLES LIKE 'governanca_itens'");
+  if (!tabela.length) return;
+
+  const [[categoria]] = await db.query("SELECT id FROM governanca_categorias WHERE nome = 'Segurança' LIMIT 1");
+  if (!categoria) return;
+  await db.query(
+    `INSERT IGNORE INTO governanca_itens (categoria_id, chave, descricao, tipo, opcoes_json, valor_padrao, ordem)
+     VALUES (?, 'seguranca.suporte_aprovacao_diretor',
+             'Acesso de suporte da plataforma como usuário da escola exige aprovação do Diretor',
+             'boolean', NULL, '0', 4)`,
+    [categoria.id]
+  );
+}
@@ -0,0 +1,68 @@
+// 0023 — Chamada por aula (services/chamada.js): uma chamada por slot da grade
+//        publicada em uma data (turma + data + período), com cópia de
+//        disciplina/professor/horário, e um registro por aluno
+//        (presente/ausente/atrasado). Governança ganha a categoria
+//        "Frequência": prazo para o professor editar e se atraso conta falta.
+export const descricao = "chamada_aulas + chamada_registros + itens de governança da frequência";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS chamada_aulas (
+      id                 INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      escola_id          INT UNSIGNED NOT NULL,
+      turma_id           INT UNSIGNED NOT NULL,
+      data               DATE NOT NULL,
+      periodo_ordem      TINYINT UNSIGNED NOT NULL,
+      dia_semana         TINYINT UNSIGNED NOT NULL COMMENT '1 = segunda … 6 = sábado (grade_slot)',
+      turno              VARCHAR(20) DEFAULT NULL,
+      disciplina_id      INT UNSIGNED NOT NULL,
+      professor_id       INT UNSIGNED DEFAULT NULL,
+      grade_resultado_id INT UNSIGNED DEFAULT NULL COMMENT 'Grade publicada quando a chamada foi feita',
+      hora_inicio        TIME DEFAULT NULL,
+      hora_fim           TIME DEFAULT NULL,
+      origem             VARCHAR(10) NOT NULL DEFAULT 'web' COMMENT 'web, offline',
+      registrado_por     INT UNSIGNED DEFAULT NULL,
+      criado_em          DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      atualizado_em      DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uk_chamada_aula (escola_id, turma_id, data, periodo_ordem),
+      INDEX idx_chamada_aula_disciplina (escola_id, disciplina_id, data),
+      INDEX idx_chamada_aula_professor (professor_id, data)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS chamada_registros (
+      id             INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      aula_id        INT UNSIGNED NOT NULL,
+      escola_id      INT UNSIGNED NOT NULL,
+      aluno_id       INT UNSIGNED NOT NULL,
+      status         ENUM('presente','ausente','atrasado') NOT NULL DEFAULT 'presente',
+      observacao     VARCHAR(255) DEFAULT NULL,
+      atualizado_por INT UNSIGNED DEFAULT NULL,
+      atualizado_em  DATETIME NOT NULL COMMENT 'Quando foi marcado (no aparelho, se veio offline)',
+      UNIQUE KEY uk_chamada_registro (aula_id, aluno_id),
+      INDEX idx_chamada_registro_aluno (escola_id, aluno_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // Template do CEO: só se já existir (em banco novo o seed da 0040 já traz
+  // estes itens)
+  const [tabela] = await db.query("SHOW TABLES LIKE 'governanca_itens'");
+  if (!tabela.length) return;
+
+  await db.query(
+    "INSERT IGNORE INTO governanca_categorias (nome, cor, ordem) VALUES ('Frequência', '#14b8a6', 9)"
+  );
+  const [[categoria]] = await db.query("SELECT id FROM governanca_categorias WHERE nome = 'Frequência' LIMIT 1");
+  if (!categoria) return;
+  await db.query(
+    `INSERT IGNORE INTO governanca_itens (categoria_id, chave, descricao, tipo, opcoes_json, valor_padrao, ordem)
+     VALUES (?, 'frequencia.chamada_prazo_horas',
+             'Horas após o fim da aula em que o professor ainda pode alterar a chamada',
+             'select', '["12","24","48","72","168"]', '48', 1),
+            (?, 'frequencia.atraso_conta_falta',
+             'Atraso conta como falta no cálculo da frequência',
+             'boolean', NULL, '0', 2)`,
+    [categoria.id, categoria.id]
+  );
+}
@@ -0,0 +1,77 @@
+// 0024 — Calendário letivo por escola (services/calendarioLetivo.js): ano
+//        letivo com início/fim e mínimo de dias, bimestres/semestres e
+//        eventos (feriado, recesso, dia não letivo, sábado letivo).
+//        agenda_pedagogica.bimestre deixa de ser texto livre: vira o número
+//        do bimestre (derivado da data pelo calendário) e ganha ano_letivo.
+import { adicionarColunas, adicionarIndice } from "../../services/migrationRunner.js";
+
+export const descricao = "calendario_anos + calendario_periodos + calendario_eventos + agenda_pedagogica.bimestre numérico";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS calendario_anos (
+      id                  INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      escola_id           INT UNSIGNED NOT NULL,
+      ano                 SMALLINT UNSIGNED NOT NULL,
+      data_inicio         DATE NOT NULL,
+      data_fim            DATE NOT NULL,
+      dias_letivos_minimo SMALLINT UNSIGNED NOT NULL DEFAULT 200,
+      atualizado_por      INT UNSIGNED DEFAULT NULL,
+      criado_em           DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      atualizado_em       DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uk_calendario_ano (escola_id, ano),
+      INDEX idx_calendario_inicio (escola_id, data_inicio)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS calendario_periodos (
+      id          INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      ano_id      INT UNSIGNED NOT NULL,
+      escola_id   INT UNSIGNED NOT NULL,
+      tipo        ENUM('bimestre','semestre') NOT NULL,
+      numero      TINYINT UNSIGNED NOT NULL,
+      data_inicio DATE NOT NULL,
+      data_fim    DATE NOT NULL,
+      UNIQUE KEY uk_calendario_periodo (ano_id, tipo, numero)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS calendario_eventos (
+      id          INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      ano_id      INT UNSIGNED NOT NULL,
+      escola_id   INT UNSIGNED NOT NULL,
+      tipo        ENUM('feriado','recesso','nao_letivo','sabado_letivo') NOT NULL,
+      descricao   VARCHAR(200) DEFAULT NULL,
+      data_inicio DATE NOT NULL,
+      data_fim    DATE NOT NULL,
+      INDEX idx_calendario_evento (ano_id, data_inicio),
+      INDEX idx_calendario_evento_escola (escola_id, data_inicio)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // agenda_pedagogica: "1º Bimestre", "2", "bim 3"... → 1..4 (o resto vira NULL)
+  const [[coluna]] = await db.query(
+    `SELECT DATA_TYPE AS tipo FROM information_schema.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'agenda_pedagogica' AND COLUMN_NAME = 'bimestre'`
+  );
+  if (coluna && coluna.tipo !== "tinyint") {
+    await db.query(`
+      UPDATE agenda_pedagogica
+         SET bimestre = CASE WHEN bimestre REGEXP '[1-4]'
+                             THEN SUBSTRING(bimestre, REGEXP_INSTR(bimestre, '[1-4]'), 1)
+                             ELSE NULL END
+    `);
+    await db.query("ALTER TABLE agenda_pedagogica MODIFY bimestre TINYINT UNSIGNED DEFAULT NULL");
+  }
+  await adicionarColunas(db, "agenda_pedagogica", [
+    ["ano_letivo", "SMALLINT UNSIGNED DEFAULT NULL AFTER escola_id"],
+  ]);
+  await db.query(`
+    UPDATE agenda_pedagogica
+       SET ano_letivo = IF(MONTH(data_inicio) <= 1, YEAR(data_inicio) - 1, YEAR(data_inicio))
+     WHERE ano_letivo IS NULL
+  `);
+  await adicionarIndice(db, "agenda_pedagogica", "idx_agenda_ano_bimestre", "INDEX idx_agenda_ano_bimestre (escola_id, ano_letivo, bimestre)");
+}
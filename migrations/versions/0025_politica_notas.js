@@ -0,0 +1,40 @@
+// 0025 — Política de notas (services/politicaNotas.js): peso por item do PAP
+//        (composição ponderada) e os itens da governança em "Avaliações":
+//        composição, nota máxima do bimestre, arredondamento, média de
+//        aprovação e exceções por etapa/bimestre.
+import { adicionarColunas } from "../../services/migrationRunner.js";
+
+export const descricao = "itens_avaliacao.peso + governança nota.composicao/maxima_bimestre/arredondamento/media_aprovacao/politica_excecoes";
+
+export async function up(db) {
+  await adicionarColunas(db, "itens_avaliacao", [
+    ["peso", "DECIMAL(6,2) NOT NULL DEFAULT 1.00 AFTER nota_total"],
+  ]);
+
+  // Template do CEO: só se já existir (em banco novo o seed da 0040 já traz
+  // estes itens)
+  const [tabela] = await db.query("SHOW TABLES LIKE 'governanca_itens'");
+  if (!tabela.length) return;
+
+  const [[categoria]] = await db.query("SELECT id FROM governanca_categorias WHERE nome = 'Avaliações' LIMIT 1");
+  if (!categoria) return;
+  await db.query(
+    `INSERT IGNORE INTO governanca_itens (categoria_id, chave, descricao, tipo, opcoes_json, valor_padrao, ordem)
+     VALUES (?, 'nota.composicao',
+             'Composição da nota do bimestre: soma dos itens do PAP ou média ponderada pelos pesos',
+             'select', '["soma","ponderada"]', 'soma', 5),
+            (?, 'nota.maxima_bimestre',
+             'Nota máxima do bimestre (a soma dos itens é limitada a este valor)',
+             'select', '["5","10","20","25","100"]', '10', 6),
+            (?, 'nota.arredondamento',
+             'Arredondamento da nota do bimestre',
+             'select', '["nenhum","0.1","0.5"]', 'nenhum', 7),
+            (?, 'nota.media_aprovacao',
+             'Média mínima para aprovação (mesma escala da nota do bimestre)',
+             'text', NULL, '5', 8),
+            (?, 'nota.politica_excecoes',
+             'Regras diferentes por etapa e/ou bimestre (JSON), ex.: [{"etapa":"ENSINO MÉDIO","maxima_bimestre":20}]',
+             'text', NULL, '[]', 9)`,
+    [categoria.id, categoria.id, categoria.id, categoria.id, categoria.id]
+  );
+}
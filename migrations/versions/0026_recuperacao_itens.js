@@ -0,0 +1,29 @@
+// 0026 — Recuperação no PAP: item de recuperação (contínua ou compensatória)
+//        ligado ao item original do mesmo plano, e a regra da escola para a
+//        nota da recuperação (governança, "Avaliações": nota.recuperacao).
+import { adicionarColunas, adicionarIndice } from "../../services/migrationRunner.js";
+
+export const descricao = "itens_avaliacao.recuperacao/recupera_item_id + governança nota.recuperacao";
+
+export async function up(db) {
+  await adicionarColunas(db, "itens_avaliacao", [
+    ["recuperacao", "VARCHAR(20) NULL DEFAULT NULL AFTER fixo_direcao"],
+    ["recupera_item_id", "INT NULL DEFAULT NULL AFTER recuperacao"],
+  ]);
+  await adicionarIndice(db, "itens_avaliacao", "idx_itens_recupera", "INDEX idx_itens_recupera (recupera_item_id)");
+
+  // Template do CEO: só se já existir (em banco novo o seed da 0040 já traz
+  // o item)
+  const [tabela] = await db.query("SHOW TABLES LIKE 'governanca_itens'");
+  if (!tabela.length) return;
+
+  const [[categoria]] = await db.query("SELECT id FROM governanca_categorias WHERE nome = 'Avaliações' LIMIT 1");
+  if (!categoria) return;
+  await db.query(
+    `INSERT IGNORE INTO governanca_itens (categoria_id, chave, descricao, tipo, opcoes_json, valor_padrao, ordem)
+     VALUES (?, 'nota.recuperacao',
+             'Nota da recuperação: fica a maior, substitui a do item original ou faz a média das duas',
+             'select', '["maior","substitui","media"]', 'maior', 10)`,
+    [categoria.id]
+  );
+}
@@ -0,0 +1,74 @@
+// 0027 — Resultado final do ano (services/resultadoFinal.js): publicação por
+//        turma (trava), resultado por aluno (ajuste da secretaria + fotografia
+//        publicada), nota da recuperação final por disciplina e os itens da
+//        governança em "Avaliações": frequência mínima e máximo de
+//        dependências. A decisão do conselho (registro_conselho.decisao) fica
+//        na 0036, que cria a tabela.
+export const descricao = "resultado_final_turmas + resultado_final_alunos + notas_recuperacao_final + governança resultado.*";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS resultado_final_turmas (
+      id            INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      escola_id     INT UNSIGNED NOT NULL,
+      turma_id      INT UNSIGNED NOT NULL,
+      ano           SMALLINT UNSIGNED NOT NULL,
+      total_alunos  SMALLINT UNSIGNED NOT NULL DEFAULT 0,
+      publicado_por INT UNSIGNED DEFAULT NULL,
+      publicado_em  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uk_resultado_turma (escola_id, turma_id, ano)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS resultado_final_alunos (
+      id                  INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      escola_id           INT UNSIGNED NOT NULL,
+      turma_id            INT UNSIGNED NOT NULL,
+      ano                 SMALLINT UNSIGNED NOT NULL,
+      aluno_id            INT UNSIGNED NOT NULL,
+      resultado_calculado VARCHAR(30) DEFAULT NULL,
+      resultado_ajustado  VARCHAR(30) DEFAULT NULL,
+      justificativa       VARCHAR(1000) DEFAULT NULL,
+      ajustado_por        INT UNSIGNED DEFAULT NULL,
+      ajustado_em         DATETIME DEFAULT NULL,
+      resultado           VARCHAR(30) DEFAULT NULL,
+      frequencia          DECIMAL(5,1) DEFAULT NULL,
+      detalhes_json       JSON DEFAULT NULL,
+      UNIQUE KEY uk_resultado_aluno (escola_id, turma_id, ano, aluno_id),
+      INDEX idx_resultado_aluno (aluno_id, ano)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS notas_recuperacao_final (
+      id            INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      escola_id     INT UNSIGNED NOT NULL,
+      ano           SMALLINT UNSIGNED NOT NULL,
+      aluno_id      INT UNSIGNED NOT NULL,
+      disciplina_id INT UNSIGNED NOT NULL,
+      nota          DECIMAL(6,2) NOT NULL,
+      lancado_por   INT UNSIGNED DEFAULT NULL,
+      atualizado_em DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uk_recuperacao_final (escola_id, ano, aluno_id, disciplina_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // Template do CEO: só se já existir (em banco novo o seed da 0040 já traz
+  // os itens)
+  const [tabela] = await db.query("SHOW TABLES LIKE 'governanca_itens'");
+  if (!tabela.length) return;
+
+  const [[categoria]] = await db.query("SELECT id FROM governanca_categorias WHERE nome = 'Avaliações' LIMIT 1");
+  if (!categoria) return;
+  await db.query(
+    `INSERT IGNORE INTO governanca_itens (categoria_id, chave, descricao, tipo, opcoes_json, valor_padrao, ordem)
+     VALUES (?, 'resultado.frequencia_minima',
+             'Frequência mínima anual para aprovação (%)',
+             'text', NULL, '75', 11),
+            (?, 'resultado.max_dependencias',
+             'Máximo de disciplinas em dependência (0 = abaixo da média em qualquer disciplina reprova)',
+             'select', '["0","1","2","3"]', '0', 12)`,
+    [categoria.id, categoria.id]
+  );
+}
@@ -0,0 +1,36 @@
+// 0028 — Gabarito: cancelamento de questão em lote, data de aplicação da prova
+// bimestral e origem scan_mobile (antes: "Migrations automáticas" do bootstrap()
+// do server.js)
+import { adicionarColunas, tabelaExiste } from "../../services/migrationRunner.js";
+
+export const descricao = "gabarito_avaliacoes: questoes_canceladas + data_aplicacao; gabarito_respostas.origem + scan_mobile";
+
+export async function up(db) {
+  await adicionarColunas(db, "gabarito_avaliacoes", [
+    [
+      "questoes_canceladas",
+      "JSON DEFAULT NULL COMMENT 'Questoes anuladas em lote: [{numero, modo (bonificar|desconsiderar), motivo, cancelado_em, cancelado_por}]'",
+    ],
+    [
+      "data_aplicacao",
+      "DATE DEFAULT NULL COMMENT 'Data de aplicação da prova bimestral — definida pela direção ao criar o gabarito'",
+    ],
+  ]);
+
+  // EDUCA-SCAN: só altera o ENUM se 'scan_mobile' ainda não estiver lá
+  if (!(await tabelaExiste(db, "gabarito_respostas"))) return;
+  const [[coluna]] = await db.query(`
+    SELECT COLUMN_TYPE FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'gabarito_respostas'
+      AND COLUMN_NAME = 'origem'
+    LIMIT 1
+  `);
+  if (coluna && !String(coluna.COLUMN_TYPE).includes("scan_mobile")) {
+    await db.query(`
+      ALTER TABLE gabarito_respostas
+        MODIFY COLUMN origem ENUM('omr','manual','scan_mobile') DEFAULT 'omr'
+        COMMENT 'Origem: omr=scanner/batch, manual=digitação, scan_mobile=app celular'
+    `);
+  }
+}
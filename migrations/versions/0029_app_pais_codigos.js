@@ -0,0 +1,21 @@
+// 0029 — Códigos OTP do App Pais (antes: bootstrap() do server.js)
+export const descricao = "app_pais_codigos";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS app_pais_codigos (
+      id            INT UNSIGNED    NOT NULL AUTO_INCREMENT,
+      responsavel_id INT UNSIGNED   NOT NULL,
+      codigo        VARCHAR(6)      NOT NULL,
+      canal         VARCHAR(10)     NOT NULL DEFAULT 'email',
+      destino       VARCHAR(255)    NOT NULL,
+      expiracao     DATETIME        NOT NULL,
+      usado_em      DATETIME        DEFAULT NULL,
+      criado_em     DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      INDEX idx_resp_codigo (responsavel_id, codigo),
+      INDEX idx_expiracao   (expiracao)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      COMMENT='Codigos OTP de acesso para responsaveis no App Pais'
+  `);
+}
@@ -0,0 +1,12 @@
+// 0030 — ocorrencias_disciplinares: quem registrou e updated_at do Bônus Mérito
+// (antes: bootstrap() do server.js; impressão/edição já estão na 0001)
+import { adicionarColunas } from "../../services/migrationRunner.js";
+
+export const descricao = "ocorrencias_disciplinares: usuario_registro_id + updated_at";
+
+export async function up(db) {
+  await adicionarColunas(db, "ocorrencias_disciplinares", [
+    ["usuario_registro_id", "INT NULL DEFAULT NULL COMMENT 'ID do usuario que criou o registro (rastreabilidade)'"],
+    ["updated_at", "DATETIME NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP COMMENT 'Última atualização do registro'"],
+  ]);
+}
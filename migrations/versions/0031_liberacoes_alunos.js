@@ -0,0 +1,31 @@
+// 0031 — Módulo Liberação Antecipada (antes: bootstrap() do server.js)
+export const descricao = "liberacoes_alunos";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS liberacoes_alunos (
+      id                              INT UNSIGNED  NOT NULL AUTO_INCREMENT,
+      escola_id                       INT           NOT NULL,
+      aluno_id                        INT           NOT NULL,
+      turma_id                        INT           DEFAULT NULL,
+      data_hora_saida                 DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      motivo                          VARCHAR(255)  NOT NULL,
+      observacao                      TEXT          DEFAULT NULL,
+      responsavel_cadastrado_id       INT           DEFAULT NULL
+        COMMENT 'FK responsaveis.id — preenchido quando o responsável é cadastrado',
+      responsavel_nome_avulso         VARCHAR(255)  DEFAULT NULL
+        COMMENT 'Nome quando não é responsável cadastrado',
+      responsavel_parentesco_avulso   VARCHAR(50)   DEFAULT NULL,
+      responsavel_telefone_avulso     VARCHAR(30)   DEFAULT NULL,
+      registrado_por                  VARCHAR(255)  DEFAULT NULL,
+      criado_em                       DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      INDEX idx_escola        (escola_id),
+      INDEX idx_aluno         (aluno_id),
+      INDEX idx_turma         (turma_id),
+      INDEX idx_data          (data_hora_saida),
+      INDEX idx_escola_data   (escola_id, data_hora_saida)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      COMMENT='Registro de liberações antecipadas de alunos — Módulo Disciplinar'
+  `);
+}
@@ -0,0 +1,49 @@
+// 0032 — Logos institucionais e capas de provas em PDF (antes: bootstrap() do server.js)
+export const descricao = "escola_logos + capa_provas";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS escola_logos (
+      id            INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      escola_id     INT NOT NULL,
+      label         VARCHAR(100) NOT NULL,
+      posicao       ENUM('esquerda','direita','nenhuma') NOT NULL DEFAULT 'nenhuma',
+      usos          JSON,
+      key_original  VARCHAR(300),
+      key_header    VARCHAR(300),
+      key_thumb     VARCHAR(300),
+      url_header    VARCHAR(500),
+      url_thumb     VARCHAR(500),
+      ordem         TINYINT DEFAULT 0,
+      ativo         TINYINT(1) DEFAULT 1,
+      criado_em     DATETIME DEFAULT CURRENT_TIMESTAMP,
+      atualizado_em DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      INDEX idx_escola (escola_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      COMMENT='Logos institucionais das escolas gerenciadas pelo Diretor'
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS capa_provas (
+      id           INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      escola_id    INT NOT NULL,
+      titulo       VARCHAR(200) NOT NULL,
+      area         ENUM('EXATAS','HUMANAS','LINGUAGENS','NATUREZA','GERAL') NOT NULL DEFAULT 'GERAL',
+      serie        VARCHAR(50),
+      turno        VARCHAR(50),
+      bimestre     TINYINT NOT NULL DEFAULT 1,
+      ano          YEAR NOT NULL,
+      template_id  TINYINT NOT NULL DEFAULT 1,
+      instrucoes   TEXT,
+      qr_token     VARCHAR(64) NOT NULL,
+      criado_por   INT,
+      ativo        TINYINT(1) DEFAULT 1,
+      criado_em    DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uk_qr_token (qr_token),
+      INDEX idx_escola (escola_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      COMMENT='Capas de provas geradas por escola'
+  `);
+}
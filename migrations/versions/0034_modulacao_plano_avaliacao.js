@@ -0,0 +1,43 @@
+// 0034 — Modulação inteligente (carga por etapa × turno) e status do Plano de
+// Avaliação Pedagógica (antes: bootstrap() do server.js)
+export const descricao = "disciplina_carga_segmento + plano_avaliacao";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS disciplina_carga_segmento (
+      id            INT UNSIGNED    NOT NULL AUTO_INCREMENT,
+      escola_id     INT             NOT NULL,
+      disciplina_id INT             NOT NULL,
+      etapa         VARCHAR(80)     NOT NULL COMMENT 'Ex: Fundamental, Médio, Técnico',
+      turno         VARCHAR(50)     NOT NULL COMMENT 'Ex: Matutino, Vespertino, Noturno',
+      carga         INT UNSIGNED    NOT NULL DEFAULT 1 COMMENT 'Nº de aulas por turma por semana',
+      criado_em     DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      atualizado_em DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_disc_seg (escola_id, disciplina_id, etapa, turno),
+      INDEX idx_escola_disc (escola_id, disciplina_id),
+      INDEX idx_escola_etapa (escola_id, etapa, turno)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      COMMENT='Modulação inteligente: aulas por disciplina × etapa × turno por escola'
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS plano_avaliacao (
+      id            INT           NOT NULL AUTO_INCREMENT,
+      escola_id     INT           NOT NULL,
+      professor_id  INT           NOT NULL,
+      ano_letivo    INT           NOT NULL,
+      status        ENUM('nao_iniciado','rascunho','enviado','aprovado','revisao')
+                    NOT NULL DEFAULT 'nao_iniciado',
+      observacoes   TEXT          DEFAULT NULL,
+      criado_em     TIMESTAMP     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      atualizado_em TIMESTAMP     NOT NULL DEFAULT CURRENT_TIMESTAMP
+                    ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uk_escola_prof_ano (escola_id, professor_id, ano_letivo),
+      INDEX idx_escola_ano (escola_id, ano_letivo),
+      INDEX idx_professor  (professor_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      COMMENT='Plano de Avaliação Pedagógica — status de entrega por professor, escola e ano letivo'
+  `);
+}
@@ -0,0 +1,149 @@
+// 0035 — Módulo Biblioteca: acervo universal (sem escola_id) + estoque por
+// escola, empréstimos, resenhas, perguntas e concursos (antes: bootstrap() do
+// server.js). Bancos da versão antiga ainda têm escola_id em biblioteca_acervo.
+import { colunaExiste, indiceExiste } from "../../services/migrationRunner.js";
+
+export const descricao = "biblioteca_acervo (universal, uk_isbn) + biblioteca_acervo_escola + empréstimos, resenhas, perguntas e concursos";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS biblioteca_acervo (
+      id             INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      isbn           VARCHAR(20)  DEFAULT NULL,
+      titulo         VARCHAR(500) NOT NULL,
+      autor          VARCHAR(500) DEFAULT NULL,
+      editora        VARCHAR(300) DEFAULT NULL,
+      ano_publicacao INT          DEFAULT NULL COMMENT 'Apenas o ano (4 dígitos)',
+      genero         VARCHAR(200) DEFAULT NULL,
+      categoria      ENUM('infantil','juvenil','adulto','didatico','paradidatico','referencia','outro')
+                     NOT NULL DEFAULT 'juvenil',
+      sinopse        TEXT         DEFAULT NULL,
+      num_paginas    INT          DEFAULT NULL,
+      capa_url       TEXT         DEFAULT NULL,
+      criado_em      DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      atualizado_em  DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      INDEX idx_titulo (titulo(100))
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      COMMENT='Catálogo universal de livros — compartilhado entre todas as escolas'
+  `);
+
+  // Versão antiga: acervo por escola → universal
+  if (await colunaExiste(db, "biblioteca_acervo", "escola_id")) {
+    if (await indiceExiste(db, "biblioteca_acervo", "idx_escola")) {
+      await db.query("ALTER TABLE biblioteca_acervo DROP INDEX idx_escola");
+    }
+    await db.query("ALTER TABLE biblioteca_acervo DROP COLUMN escola_id");
+  }
+
+  if (!(await indiceExiste(db, "biblioteca_acervo", "uk_isbn"))) {
+    // Remove duplicatas por isbn antes de criar o unique
+    await db.query(`
+      DELETE ba1 FROM biblioteca_acervo ba1
+      INNER JOIN biblioteca_acervo ba2
+        ON ba1.isbn = ba2.isbn AND ba1.isbn IS NOT NULL AND ba1.id > ba2.id
+    `);
+    await db.query("ALTER TABLE biblioteca_acervo ADD UNIQUE KEY uk_isbn (isbn)");
+  }
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS biblioteca_acervo_escola (
+      id                     INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      acervo_id              INT UNSIGNED NOT NULL,
+      escola_id              INT          NOT NULL,
+      exemplares             INT          NOT NULL DEFAULT 1,
+      exemplares_disponiveis INT          NOT NULL DEFAULT 1,
+      local_estante          VARCHAR(255) DEFAULT NULL,
+      ativo                  TINYINT(1)   NOT NULL DEFAULT 1,
+      criado_em              DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      atualizado_em          DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uk_acervo_escola (acervo_id, escola_id),
+      INDEX idx_escola (escola_id),
+      CONSTRAINT fk_bae_acervo FOREIGN KEY (acervo_id)
+        REFERENCES biblioteca_acervo(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      COMMENT='Estoque de exemplares por escola — acervo escolar'
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS biblioteca_emprestimos (
+      id                        INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      escola_id                 INT NOT NULL,
+      livro_id                  INT UNSIGNED NOT NULL,
+      aluno_id                  INT NOT NULL,
+      data_emprestimo           DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      data_prevista_devolucao   DATE DEFAULT NULL,
+      data_devolucao            DATETIME DEFAULT NULL,
+      status                    ENUM('ativo','devolvido','atrasado') NOT NULL DEFAULT 'ativo',
+      registrado_por            VARCHAR(255) DEFAULT NULL,
+      observacao                TEXT DEFAULT NULL,
+      PRIMARY KEY (id),
+      INDEX idx_escola (escola_id),
+      INDEX idx_livro (livro_id),
+      INDEX idx_aluno (aluno_id),
+      INDEX idx_status (status),
+      INDEX idx_escola_aluno (escola_id, aluno_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      COMMENT='Controle de empréstimos da biblioteca escolar'
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS biblioteca_resenhas (
+      id               INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      escola_id        INT NOT NULL,
+      livro_id         INT UNSIGNED NOT NULL,
+      aluno_id         INT NOT NULL,
+      turma_id         INT DEFAULT NULL,
+      resumo           TEXT DEFAULT NULL,
+      resenha          TEXT DEFAULT NULL,
+      favorito         VARCHAR(1000) DEFAULT NULL,
+      avaliacao        TINYINT DEFAULT NULL COMMENT '1-5 estrelas',
+      respostas_json   JSON DEFAULT NULL COMMENT 'Perguntas respondidas [{pergunta, resposta}]',
+      status           ENUM('rascunho','enviado','aprovado','destaque') NOT NULL DEFAULT 'enviado',
+      pontuacao        DECIMAL(5,2) NOT NULL DEFAULT 0.00,
+      aprovado_por     VARCHAR(255) DEFAULT NULL,
+      criado_em        DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      INDEX idx_escola (escola_id),
+      INDEX idx_livro (livro_id),
+      INDEX idx_aluno (aluno_id),
+      INDEX idx_status (status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      COMMENT='Resenhas e atividades do Leitor Destaque'
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS biblioteca_perguntas (
+      id          INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      escola_id   INT NOT NULL,
+      livro_id    INT UNSIGNED NOT NULL,
+      pergunta    VARCHAR(1000) NOT NULL,
+      ativa       TINYINT(1) NOT NULL DEFAULT 1,
+      ordem       INT NOT NULL DEFAULT 0,
+      criado_em   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      INDEX idx_escola (escola_id),
+      INDEX idx_livro (livro_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      COMMENT='Banco de perguntas para resenhas'
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS biblioteca_concurso (
+      id          INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      escola_id   INT NOT NULL,
+      titulo      VARCHAR(500) NOT NULL,
+      descricao   TEXT DEFAULT NULL,
+      data_inicio DATE DEFAULT NULL,
+      data_fim    DATE DEFAULT NULL,
+      status      ENUM('rascunho','ativo','encerrado') NOT NULL DEFAULT 'rascunho',
+      regras_json JSON DEFAULT NULL,
+      criado_em   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      INDEX idx_escola (escola_id),
+      INDEX idx_status (status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      COMMENT='Concursos e culminâncias de leitura'
+  `);
+}
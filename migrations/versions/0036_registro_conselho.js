@@ -0,0 +1,42 @@
+// 0036 — Registro de Conselho de Classe (antes: bootstrap() do server.js),
+// com a decisão do conselho (services/resultadoFinal.js) e a exclusão lógica
+// usada por routes/conselho.js e routes/conselho-pdf.js.
+import { adicionarColunas } from "../../services/migrationRunner.js";
+
+export const descricao = "registro_conselho (+ editado_em, editado_por_nome, decisao, excluido, excluido_em, excluido_por_nome)";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS registro_conselho (
+      id               INT UNSIGNED  NOT NULL AUTO_INCREMENT,
+      escola_id        INT           NOT NULL,
+      aluno_codigo     VARCHAR(30)   NOT NULL,
+      turma_id         INT           DEFAULT NULL,
+      texto            TEXT          NOT NULL,
+      usuario_id       INT           DEFAULT NULL,
+      usuario_nome     VARCHAR(255)  NOT NULL DEFAULT 'Usuário',
+      usuario_perfil   VARCHAR(100)  NOT NULL DEFAULT 'professor',
+      criado_em        DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      editado_em       DATETIME      DEFAULT NULL,
+      editado_por_nome VARCHAR(255)  DEFAULT NULL,
+      decisao          VARCHAR(30)   DEFAULT NULL,
+      excluido         TINYINT(1)    NOT NULL DEFAULT 0,
+      excluido_em      DATETIME      DEFAULT NULL,
+      excluido_por_nome VARCHAR(255) DEFAULT NULL,
+      PRIMARY KEY (id),
+      INDEX idx_escola_aluno (escola_id, aluno_codigo),
+      INDEX idx_turma        (turma_id),
+      INDEX idx_criado       (criado_em)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      COMMENT='Registros de Conselho de Classe por aluno — rastreabilidade por usuário'
+  `);
+
+  await adicionarColunas(db, "registro_conselho", [
+    ["editado_em", "DATETIME DEFAULT NULL AFTER criado_em"],
+    ["editado_por_nome", "VARCHAR(255) DEFAULT NULL AFTER editado_em"],
+    ["decisao", "VARCHAR(30) DEFAULT NULL AFTER texto"],
+    ["excluido", "TINYINT(1) NOT NULL DEFAULT 0"],
+    ["excluido_em", "DATETIME DEFAULT NULL"],
+    ["excluido_por_nome", "VARCHAR(255) DEFAULT NULL"],
+  ]);
+}
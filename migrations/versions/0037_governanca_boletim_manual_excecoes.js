@@ -0,0 +1,25 @@
+// 0037 — Itens da governança: Boletim Manual do Professor e exceções da
+// avaliação padrão bimestral (antes: bootstrap() do server.js)
+export const descricao = "governança escola.permitir_boletim_manual + escola.avaliacao_padrao_bimestral.excecoes";
+
+export async function up(db) {
+  // Template do CEO: só se já existir (em banco novo o seed da 0040 já traz
+  // estes itens)
+  const [tabela] = await db.query("SHOW TABLES LIKE 'governanca_itens'");
+  if (!tabela.length) return;
+
+  const itens = [
+    [2, "escola.permitir_boletim_manual", "Professor pode lancar notas e faltas no boletim manualmente", "boolean", "0", 4],
+    [7, "escola.avaliacao_padrao_bimestral.excecoes", "Disciplinas de excecao que nao adotam avaliacao padrao bimestral", "text", "[]", 8],
+  ];
+  for (const [categoriaId, chave, descricaoItem, tipo, valorPadrao, ordem] of itens) {
+    const [[existe]] = await db.query("SELECT 1 FROM governanca_itens WHERE chave = ? LIMIT 1", [chave]);
+    if (existe) continue;
+    await db.query(
+      `INSERT INTO governanca_itens
+         (categoria_id, chave, descricao, tipo, opcoes_json, valor_padrao, ordem, ativo)
+       VALUES (?, ?, ?, ?, NULL, ?, ?, 1)`,
+      [categoriaId, chave, descricaoItem, tipo, valorPadrao, ordem]
+    );
+  }
+}
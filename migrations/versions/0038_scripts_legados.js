@@ -0,0 +1,143 @@
+// 0038 — Schema dos scripts soltos da raiz (run_migration.js,
+// run_migration_avaliacoes.js, run_migration_registros_ocorrencias.js,
+// run_migration_banco_questoes_fase1_2.js e os .sql de _migracao_db que eles
+// liam). O DELETE das questões de teste da fase 1+2 não vem junto: era limpeza
+// de uma vez, não schema.
+import { adicionarColunas, tabelaExiste } from "../../services/migrationRunner.js";
+
+export const descricao = "registros_ocorrencias + planos_avaliacao/itens_avaliacao + banco de questões fase 1+2";
+
+export async function up(db) {
+  // Registros de ocorrência: bancos antigos ainda com tipos_ocorrencia são
+  // renomeados; banco novo já nasce no formato atual (tabela global)
+  if (await tabelaExiste(db, "tipos_ocorrencia") && !(await tabelaExiste(db, "registros_ocorrencias"))) {
+    await db.query("RENAME TABLE tipos_ocorrencia TO registros_ocorrencias");
+    await db.query("ALTER TABLE registros_ocorrencias CHANGE COLUMN motivo descricao_ocorrencia VARCHAR(500) NOT NULL");
+    await db.query("ALTER TABLE registros_ocorrencias CHANGE COLUMN tipo tipo_ocorrencia VARCHAR(50) DEFAULT 'Leve'");
+    await adicionarColunas(db, "registros_ocorrencias", [
+      ["medida_disciplinar", "VARCHAR(100) NOT NULL DEFAULT 'Advertência Oral' AFTER escola_id"],
+    ]);
+    await db.query(
+      "ALTER TABLE registros_ocorrencias DROP INDEX unique_motivo_escola, ADD UNIQUE KEY unique_descricao_escola (escola_id, descricao_ocorrencia)"
+    );
+  }
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS registros_ocorrencias (
+      id                   INT AUTO_INCREMENT PRIMARY KEY,
+      medida_disciplinar   VARCHAR(100) NOT NULL DEFAULT 'Advertência Oral',
+      tipo_ocorrencia      VARCHAR(50)  DEFAULT 'Leve',
+      descricao_ocorrencia VARCHAR(500) NOT NULL,
+      pontos               DECIMAL(5,1) DEFAULT 0.0,
+      ativo                BOOLEAN DEFAULT TRUE,
+      created_at           TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at           TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY unique_tipo_descricao (tipo_ocorrencia, descricao_ocorrencia)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // Plano de Avaliação (PAP) e seus itens
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS planos_avaliacao (
+      id               INT AUTO_INCREMENT PRIMARY KEY,
+      escola_id        INT NOT NULL,
+      disciplina       VARCHAR(100) NOT NULL,
+      bimestre         VARCHAR(50) NOT NULL,
+      turmas           TEXT NOT NULL,
+      ano              INT NOT NULL,
+      status           VARCHAR(50) DEFAULT 'RASCUNHO',
+      nome_codigo      VARCHAR(100) NOT NULL,
+      usuario_id       INT,
+      motivo_devolucao TEXT,
+      created_at       TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at       TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uni_plano (escola_id, ano, bimestre, disciplina, turmas(200))
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS itens_avaliacao (
+      id             INT AUTO_INCREMENT PRIMARY KEY,
+      plano_id       INT NOT NULL,
+      atividade      VARCHAR(255) NOT NULL,
+      data_inicio    DATE,
+      data_final     DATE,
+      nota_total     DECIMAL(5,2) DEFAULT 0,
+      oportunidades  INT DEFAULT 1,
+      nota_invertida DECIMAL(5,2) DEFAULT 0,
+      descricao      TEXT,
+      fixo_direcao   TINYINT(1) DEFAULT 0,
+      created_at     TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at     TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (plano_id) REFERENCES planos_avaliacao(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Banco de Questões — fase 1: imagem por URL e índice de temas
+  if (await tabelaExiste(db, "questoes")) {
+    await adicionarColunas(db, "questoes", [["imagem_url", "VARCHAR(500) NULL AFTER imagem_base64"]]);
+  }
+  if (await tabelaExiste(db, "questoes_banco_global")) {
+    await adicionarColunas(db, "questoes_banco_global", [["imagem_url", "VARCHAR(500) NULL"]]);
+  }
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS questao_temas (
+      id         INT AUTO_INCREMENT PRIMARY KEY,
+      questao_id INT NOT NULL,
+      fonte      ENUM('local','global','master') NOT NULL DEFAULT 'local',
+      tema       VARCHAR(100) NOT NULL,
+      INDEX idx_tema (tema),
+      INDEX idx_questao_fonte (questao_id, fonte)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Fase 2: questões master (curadoria da plataforma)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS questoes_master (
+      id                  INT AUTO_INCREMENT PRIMARY KEY,
+      codigo              VARCHAR(20) UNIQUE,
+      disciplina          VARCHAR(80)  NOT NULL,
+      area_conhecimento   VARCHAR(80)  DEFAULT NULL,
+      conteudo            VARCHAR(120) NOT NULL,
+      tema                VARCHAR(120) NOT NULL,
+      subtema             VARCHAR(120) DEFAULT NULL,
+      nivel               ENUM('basico','intermediario','avancado','vestibular','enem') NOT NULL DEFAULT 'intermediario',
+      serie               VARCHAR(20)  DEFAULT NULL,
+      habilidade_bncc     VARCHAR(20)  DEFAULT NULL,
+      palavras_chave      JSON         DEFAULT NULL,
+      tipo                ENUM('objetiva','discursiva','verdadeiro_falso') NOT NULL DEFAULT 'objetiva',
+      enunciado           TEXT         NOT NULL,
+      imagem_url          VARCHAR(500) DEFAULT NULL,
+      texto_apoio         TEXT         DEFAULT NULL,
+      alternativas_json   JSON         DEFAULT NULL,
+      correta             CHAR(1)      DEFAULT NULL,
+      gabarito_comentado  TEXT         NOT NULL,
+      dicas               JSON         DEFAULT NULL,
+      resolucao_completa  TEXT         DEFAULT NULL,
+      conceito_chave      TEXT         DEFAULT NULL,
+      fonte               VARCHAR(300) NOT NULL,
+      fonte_tipo          ENUM('enem','vestibular','concurso','livro','autoria_educa') DEFAULT 'enem',
+      ano_fonte           YEAR         DEFAULT NULL,
+      status              ENUM('rascunho','revisao','publicado','arquivado') NOT NULL DEFAULT 'rascunho',
+      criada_por          VARCHAR(80)  DEFAULT 'agente_ia',
+      revisada_por        VARCHAR(80)  DEFAULT NULL,
+      publicada_em        DATETIME     DEFAULT NULL,
+      criada_em           DATETIME     DEFAULT NOW(),
+      atualizada_em       DATETIME     DEFAULT NOW() ON UPDATE NOW(),
+      visualizacoes       INT          DEFAULT 0,
+      FULLTEXT INDEX ft_busca (enunciado, gabarito_comentado),
+      INDEX idx_qm_disciplina (disciplina),
+      INDEX idx_qm_nivel (nivel),
+      INDEX idx_qm_status (status),
+      INDEX idx_qm_conteudo (conteudo(50)),
+      INDEX idx_qm_fonte_tipo (fonte_tipo, ano_fonte)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS questao_master_temas (
+      id         INT AUTO_INCREMENT PRIMARY KEY,
+      questao_id INT NOT NULL,
+      tema       VARCHAR(100) NOT NULL,
+      INDEX idx_qmt_tema (tema),
+      INDEX idx_qmt_questao (questao_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+}
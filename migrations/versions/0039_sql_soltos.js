@@ -0,0 +1,105 @@
+// 0039 — Schema dos .sql soltos em migrations/ (create_sincronizacao_logs.sql,
+// add_progresso_sincronizacao.sql, criar_modulo_frequencia.sql e
+// criar_ocorrencias_pedagogicas.sql)
+import { adicionarColunas } from "../../services/migrationRunner.js";
+
+export const descricao = "sincronizacao_logs (+ progresso) + frequencia_* + ocorrencias_pedagogicas";
+
+export async function up(db) {
+  // Execuções do agente sincronizador SEEDF
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS sincronizacao_logs (
+      id                 INT AUTO_INCREMENT PRIMARY KEY,
+      escola_id          INT NOT NULL,
+      usuario_id         INT DEFAULT NULL,
+      status             ENUM('em_andamento', 'sucesso', 'parcial', 'falha', 'falha_scraping', 'falha_importacao', 'erro', 'scraping_concluido') DEFAULT 'em_andamento',
+      turmas_solicitadas JSON DEFAULT NULL,
+      relatorio          JSON DEFAULT NULL,
+      criado_em          DATETIME DEFAULT CURRENT_TIMESTAMP,
+      finalizado_em      DATETIME DEFAULT NULL,
+      INDEX idx_escola     (escola_id),
+      INDEX idx_status     (status),
+      INDEX idx_criado_em  (criado_em)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+  await adicionarColunas(db, "sincronizacao_logs", [
+    ["progresso_atual", "INT DEFAULT 0 COMMENT 'Turma atual sendo processada'"],
+    ["progresso_total", "INT DEFAULT 0 COMMENT 'Total de turmas a processar'"],
+    ["progresso_turma", "VARCHAR(100) DEFAULT NULL COMMENT 'Nome da turma atual'"],
+  ]);
+
+  // Módulo Frequência: atestados, busca ativa e Conselho Tutelar
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS frequencia_justificativas (
+      id              INT AUTO_INCREMENT PRIMARY KEY,
+      escola_id       INT NOT NULL,
+      turma_id        INT,
+      aluno_id        INT NOT NULL,
+      tipo            VARCHAR(60) NOT NULL COMMENT 'atestado_medico, atestado_acompanhamento, etc.',
+      data_inicio     DATE NOT NULL,
+      data_fim        DATE NOT NULL,
+      dias            INT NOT NULL DEFAULT 1,
+      observacao      TEXT,
+      registrado_por  INT COMMENT 'usuario_id de quem registrou',
+      criado_em       DATETIME DEFAULT CURRENT_TIMESTAMP,
+      atualizado_em   DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_escola (escola_id),
+      INDEX idx_aluno (aluno_id),
+      INDEX idx_turma (turma_id),
+      INDEX idx_tipo (tipo),
+      INDEX idx_periodo (data_inicio, data_fim)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS frequencia_busca_ativa (
+      id              INT AUTO_INCREMENT PRIMARY KEY,
+      escola_id       INT NOT NULL,
+      turma_id        INT,
+      aluno_id        INT NOT NULL,
+      data_contato    DATE NOT NULL,
+      meio_contato    VARCHAR(40) NOT NULL COMMENT 'telefone, whatsapp, visita_domiciliar, etc.',
+      resultado       VARCHAR(40) NOT NULL COMMENT 'sucesso, sem_resposta, numero_invalido, etc.',
+      observacao      TEXT,
+      registrado_por  INT,
+      criado_em       DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_escola (escola_id),
+      INDEX idx_aluno (aluno_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS frequencia_encaminhamentos_ct (
+      id              INT AUTO_INCREMENT PRIMARY KEY,
+      escola_id       INT NOT NULL,
+      turma_id        INT,
+      aluno_id        INT NOT NULL,
+      motivo          TEXT,
+      registrado_por  INT,
+      criado_em       DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_escola (escola_id),
+      INDEX idx_aluno (aluno_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Registros pedagógicos (como ocorrencias_disciplinares, sem pontuação)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS ocorrencias_pedagogicas (
+      id                     INT AUTO_INCREMENT PRIMARY KEY,
+      aluno_id               INT NOT NULL,
+      escola_id              INT NOT NULL,
+      data_ocorrencia        DATE NOT NULL,
+      categoria              VARCHAR(100) NOT NULL COMMENT 'Categoria do registro pedagógico',
+      motivo                 VARCHAR(255) NOT NULL COMMENT 'Item selecionado da lista de ocorrências',
+      descricao              TEXT COMMENT 'Relato detalhado da situação',
+      registro_interno       TEXT COMMENT 'Anotações internas (não impresso)',
+      convocar_responsavel   TINYINT(1) NOT NULL DEFAULT 0,
+      data_comparecimento_responsavel DATETIME NULL,
+      status                 ENUM('REGISTRADA','FINALIZADA','CANCELADA') NOT NULL DEFAULT 'REGISTRADA',
+      usuario_registro_id    INT NULL COMMENT 'Quem registrou',
+      usuario_finalizacao_id INT NULL COMMENT 'Quem finalizou/cancelou',
+      created_at             TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at             TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_aluno_escola (aluno_id, escola_id),
+      INDEX idx_status (status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
@@ -0,0 +1,123 @@
+// 0040 — Template de governança do CEO: categorias, itens e o seed padrão
+// (antes: ensureTables() + seedDefaults() em routes/plataforma_governanca.js a
+// cada request). As migrações anteriores que inserem itens pulam quando a
+// tabela ainda não existe; em banco novo o seed abaixo já os traz.
+export const descricao = "governanca_categorias + governanca_itens + seed padrão";
+
+const SEED_CATEGORIAS = [
+  { nome: "Boletim",     cor: "#6366f1", ordem: 1 },
+  { nome: "Professores", cor: "#10b981", ordem: 2 },
+  { nome: "Coordenação", cor: "#f59e0b", ordem: 3 },
+  { nome: "Supervisão",  cor: "#ec4899", ordem: 4 },
+  { nome: "Secretaria",  cor: "#06b6d4", ordem: 5 },
+  { nome: "Avaliações",  cor: "#8b5cf6", ordem: 6 },
+  { nome: "Geral",       cor: "#64748b", ordem: 7 },
+  { nome: "Segurança",   cor: "#ef4444", ordem: 8 },
+  { nome: "Frequência",  cor: "#14b8a6", ordem: 9 },
+];
+
+const SEED_ITENS = [
+  // Boletim
+  { cat: "Boletim", chave: "boletim.exibir_ano_anterior", descricao: "Boletim mostra nota ano anterior (escolaridade 2 anos)", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 1 },
+  { cat: "Boletim", chave: "boletim.exibir_media_rodape", descricao: "Exibir média por bimestre no rodapé", tipo: "boolean", opcoes: null, valor_padrao: "1", ordem: 2 },
+  { cat: "Boletim", chave: "boletim.exibir_faltas", descricao: "Exibir faltas no boletim", tipo: "boolean", opcoes: null, valor_padrao: "1", ordem: 3 },
+  { cat: "Boletim", chave: "boletim.exibir_ranking", descricao: "Exibir ranking no boletim", tipo: "boolean", opcoes: null, valor_padrao: "1", ordem: 4 },
+  { cat: "Boletim", chave: "boletim.exibir_media_turma", descricao: "Exibir média da turma no boletim", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 5 },
+  // Professores
+  { cat: "Professores", chave: "professor.visualiza_relatorio_disciplinar", descricao: "Professor pode visualizar o relatório disciplinar", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 1 },
+  { cat: "Professores", chave: "professor.acessa_conselho_classe", descricao: "Professor pode acessar o submenu Conselho de Classe", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 2 },
+  { cat: "Professores", chave: "professor.exporta_notas", descricao: "Professor pode exportar notas bimestrais para o boletim", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 3 },
+  // Coordenação
+  { cat: "Coordenação", chave: "coordenador.cria_gabarito", descricao: "Coordenador pode criar gabarito", tipo: "boolean", opcoes: null, valor_padrao: "1", ordem: 1 },
+  { cat: "Coordenação", chave: "coordenador.exporta_notas_bimestrais", descricao: "Coordenador pode exportar notas bimestrais", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 2 },
+  { cat: "Coordenação", chave: "coordenador.acessa_conselho_classe", descricao: "Coordenador pode acessar o Conselho de Classe", tipo: "boolean", opcoes: null, valor_padrao: "1", ordem: 3 },
+  // Supervisão
+  { cat: "Supervisão", chave: "supervisor.cria_gabarito", descricao: "Supervisor pode criar gabarito", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 1 },
+  { cat: "Supervisão", chave: "supervisor.visualiza_relatorio_disciplinar", descricao: "Supervisor pode visualizar relatório disciplinar", tipo: "boolean", opcoes: null, valor_padrao: "1", ordem: 2 },
+  // Secretaria
+  { cat: "Secretaria", chave: "secretaria.importa_alunos", descricao: "Secretaria pode importar alunos via planilha", tipo: "boolean", opcoes: null, valor_padrao: "1", ordem: 1 },
+  { cat: "Secretaria", chave: "secretaria.edita_notas", descricao: "Secretaria pode editar notas diretamente", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 2 },
+  // Avaliações
+  { cat: "Avaliações", chave: "escola.avaliacao_padrao_bimestral", descricao: "Escola adota avaliação padrão bimestral (semana de prova)", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 1 },
+  { cat: "Avaliações", chave: "nota.avaliacao_padrao.bimestral", descricao: "A nota da avaliação padrão bimestral é por área.", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 2 },
+  { cat: "Avaliações", chave: "coordenador.acessa_gabarito", descricao: "Coordenador pode acessar gabarito.", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 3 },
+  { cat: "Avaliações", chave: "supervisor.acessa_gabarito", descricao: "Supervisor pode acessar gabarito.", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 4 },
+  // Política de notas (services/politicaNotas.js)
+  { cat: "Avaliações", chave: "nota.composicao", descricao: "Composição da nota do bimestre: soma dos itens do PAP ou média ponderada pelos pesos", tipo: "select", opcoes: ["soma", "ponderada"], valor_padrao: "soma", ordem: 5 },
+  { cat: "Avaliações", chave: "nota.maxima_bimestre", descricao: "Nota máxima do bimestre (a soma dos itens é limitada a este valor)", tipo: "select", opcoes: ["5", "10", "20", "25", "100"], valor_padrao: "10", ordem: 6 },
+  { cat: "Avaliações", chave: "nota.arredondamento", descricao: "Arredondamento da nota do bimestre", tipo: "select", opcoes: ["nenhum", "0.1", "0.5"], valor_padrao: "nenhum", ordem: 7 },
+  { cat: "Avaliações", chave: "nota.media_aprovacao", descricao: "Média mínima para aprovação (mesma escala da nota do bimestre)", tipo: "text", opcoes: null, valor_padrao: "5", ordem: 8 },
+  { cat: "Avaliações", chave: "nota.politica_excecoes", descricao: "Regras diferentes por etapa e/ou bimestre (JSON), ex.: [{\"etapa\":\"ENSINO MÉDIO\",\"maxima_bimestre\":20}]", tipo: "text", opcoes: null, valor_padrao: "[]", ordem: 9 },
+  { cat: "Avaliações", chave: "nota.recuperacao", descricao: "Nota da recuperação: fica a maior, substitui a do item original ou faz a média das duas", tipo: "select", opcoes: ["maior", "substitui", "media"], valor_padrao: "maior", ordem: 10 },
+  { cat: "Avaliações", chave: "resultado.frequencia_minima", descricao: "Frequência mínima anual para aprovação (%)", tipo: "text", opcoes: null, valor_padrao: "75", ordem: 11 },
+  { cat: "Avaliações", chave: "resultado.max_dependencias", descricao: "Máximo de disciplinas em dependência (0 = abaixo da média em qualquer disciplina reprova)", tipo: "select", opcoes: ["0", "1", "2", "3"], valor_padrao: "0", ordem: 12 },
+  // Itens da 0037 (boletim manual e exceções da avaliação bimestral)
+  { cat: "Professores", chave: "escola.permitir_boletim_manual", descricao: "Professor pode lancar notas e faltas no boletim manualmente", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 4 },
+  { cat: "Geral", chave: "escola.avaliacao_padrao_bimestral.excecoes", descricao: "Disciplinas de excecao que nao adotam avaliacao padrao bimestral", tipo: "text", opcoes: null, valor_padrao: "[]", ordem: 8 },
+  // Geral
+  { cat: "Geral", chave: "geral.ano_letivo_ativo", descricao: "Ano letivo ativo no sistema", tipo: "select", opcoes: ["2024", "2025", "2026"], valor_padrao: "2025", ordem: 1 },
+  { cat: "Geral", chave: "geral.bimestre_ativo", descricao: "Bimestre ativo atual", tipo: "select", opcoes: ["1", "2", "3", "4"], valor_padrao: "1", ordem: 2 },
+  // Segurança (services/doisFatores.js)
+  { cat: "Segurança", chave: "seguranca.2fa_diretor", descricao: "Exigir autenticação em dois fatores (TOTP) do Diretor", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 1 },
+  { cat: "Segurança", chave: "seguranca.2fa_vice_diretor", descricao: "Exigir autenticação em dois fatores (TOTP) do Vice-Diretor", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 2 },
+  { cat: "Segurança", chave: "seguranca.2fa_secretaria", descricao: "Exigir autenticação em dois fatores (TOTP) da Secretaria", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 3 },
+  // Acesso de suporte do CEO como usuário da escola (services/personificacao.js)
+  { cat: "Segurança", chave: "seguranca.suporte_aprovacao_diretor", descricao: "Acesso de suporte da plataforma como usuário da escola exige aprovação do Diretor", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 4 },
+  // Chamada por aula (services/chamada.js)
+  { cat: "Frequência", chave: "frequencia.chamada_prazo_horas", descricao: "Horas após o fim da aula em que o professor ainda pode alterar a chamada", tipo: "select", opcoes: ["12", "24", "48", "72", "168"], valor_padrao: "48", ordem: 1 },
+  { cat: "Frequência", chave: "frequencia.atraso_conta_falta", descricao: "Atraso conta como falta no cálculo da frequência", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 2 },
+];
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS governanca_categorias (
+      id          INT AUTO_INCREMENT PRIMARY KEY,
+      nome        VARCHAR(100) NOT NULL,
+      icone       VARCHAR(50) DEFAULT 'geral',
+      cor         VARCHAR(30) DEFAULT '#64748b',
+      ordem       INT NOT NULL DEFAULT 0,
+      ativo       TINYINT(1) NOT NULL DEFAULT 1,
+      criado_em   DATETIME DEFAULT CURRENT_TIMESTAMP,
+      atualizado_em DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_nome_cat (nome)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS governanca_itens (
+      id              INT AUTO_INCREMENT PRIMARY KEY,
+      categoria_id    INT NOT NULL,
+      chave           VARCHAR(120) NOT NULL,
+      descricao       VARCHAR(300) NOT NULL,
+      tipo            ENUM('boolean','select','text') NOT NULL DEFAULT 'boolean',
+      opcoes_json     JSON DEFAULT NULL,
+      valor_padrao    VARCHAR(500) NOT NULL DEFAULT '0',
+      ordem           INT NOT NULL DEFAULT 0,
+      ativo           TINYINT(1) NOT NULL DEFAULT 1,
+      criado_em       DATETIME DEFAULT CURRENT_TIMESTAMP,
+      atualizado_em   DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_chave_item (chave),
+      KEY idx_categoria (categoria_id),
+      CONSTRAINT fk_gov_cat FOREIGN KEY (categoria_id) REFERENCES governanca_categorias(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // Seed só em tabela vazia: o CEO pode ter editado/removido itens
+  const [[{ total }]] = await db.query("SELECT COUNT(*) AS total FROM governanca_categorias");
+  if (total > 0) return;
+
+  for (const cat of SEED_CATEGORIAS) {
+    await db.query("INSERT IGNORE INTO governanca_categorias (nome, cor, ordem) VALUES (?, ?, ?)", [cat.nome, cat.cor, cat.ordem]);
+  }
+  const [cats] = await db.query("SELECT id, nome FROM governanca_categorias");
+  const catMap = Object.fromEntries(cats.map((c) => [c.nome, c.id]));
+  for (const item of SEED_ITENS) {
+    if (!catMap[item.cat]) continue;
+    await db.query(
+      `INSERT IGNORE INTO governanca_itens
+         (categoria_id, chave, descricao, tipo, opcoes_json, valor_padrao, ordem)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [catMap[item.cat], item.chave, item.descricao, item.tipo, item.opcoes ? JSON.stringify(item.opcoes) : null, item.valor_padrao, item.ordem]
+    );
+  }
+}
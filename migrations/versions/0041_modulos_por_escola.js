@@ -0,0 +1,58 @@
+// 0041 — Licenciamento de módulos (antes: middlewares de auto-migrate em
+// routes/plataforma_modulos.js e routes/direcao_modulos.js): módulos por
+// escola e teto por perfil (CEO), restrições do Diretor por perfil, e o
+// disciplinar.suporte ativo nas escolas já configuradas
+// (migrations/2026_06_13_add_disciplinar_suporte.sql).
+export const descricao = "escola_modulos + escola_perfil_modulos + direcao_acesso_perfil";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS escola_modulos (
+      id         INT AUTO_INCREMENT PRIMARY KEY,
+      escola_id  INT NOT NULL,
+      modulo     VARCHAR(100) NOT NULL,
+      ativo      TINYINT(1) NOT NULL DEFAULT 0,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uk_escola_modulo (escola_id, modulo),
+      INDEX      idx_em_escola (escola_id)
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS escola_perfil_modulos (
+      id         INT AUTO_INCREMENT PRIMARY KEY,
+      escola_id  INT NOT NULL,
+      perfil     VARCHAR(60) NOT NULL,
+      modulo     VARCHAR(100) NOT NULL,
+      ativo      TINYINT(1) NOT NULL DEFAULT 0,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uk_epm (escola_id, perfil, modulo),
+      INDEX      idx_epm_escola_perfil (escola_id, perfil)
+    )
+  `);
+
+  // Separada de escola_perfil_modulos (do CEO): restrições que o Diretor aplica
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS direcao_acesso_perfil (
+      id         INT AUTO_INCREMENT PRIMARY KEY,
+      escola_id  INT NOT NULL,
+      perfil     VARCHAR(60) NOT NULL,
+      modulo     VARCHAR(100) NOT NULL,
+      ativo      TINYINT(1) NOT NULL DEFAULT 1,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uk_dap (escola_id, perfil, modulo),
+      INDEX      idx_dap_escola_perfil (escola_id, perfil)
+    )
+  `);
+
+  // O Suporte Técnico não some das escolas que já estavam em produção
+  await db.query(`
+    INSERT INTO escola_modulos (escola_id, modulo, ativo)
+    SELECT DISTINCT escola_id, 'disciplinar.suporte', 1
+      FROM escola_modulos
+     WHERE escola_id NOT IN (SELECT escola_id FROM (
+             SELECT escola_id FROM escola_modulos WHERE modulo = 'disciplinar.suporte'
+           ) AS ja_tem)
+    ON DUPLICATE KEY UPDATE ativo = 1
+  `);
+}
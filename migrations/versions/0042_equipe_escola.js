@@ -0,0 +1,35 @@
+// 0042 — Equipe da escola e pré-cadastro de membros pelo Diretor (antes:
+// CREATE TABLE a cada request em routes/direcao.js)
+export const descricao = "equipe_escola + cadastro_membros_escola";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS equipe_escola (
+      id         INT AUTO_INCREMENT PRIMARY KEY,
+      escola_id  INT NOT NULL,
+      nome       VARCHAR(200) NOT NULL,
+      cpf        VARCHAR(14) NOT NULL,
+      email      VARCHAR(120),
+      funcao     VARCHAR(50) NOT NULL DEFAULT 'monitor',
+      ativo      TINYINT(1) NOT NULL DEFAULT 1,
+      criado_em  DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_cpf_escola (cpf, escola_id),
+      KEY idx_escola (escola_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS cadastro_membros_escola (
+      id         INT AUTO_INCREMENT PRIMARY KEY,
+      escola_id  INT NOT NULL,
+      nome       VARCHAR(200) NOT NULL,
+      cpf        VARCHAR(14) NOT NULL,
+      funcao     VARCHAR(80) NOT NULL DEFAULT 'coordenador',
+      ativo      TINYINT(1) NOT NULL DEFAULT 1,
+      criado_em  DATETIME DEFAULT CURRENT_TIMESTAMP,
+      atualizado_em DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_cpf_escola_cadastro (cpf, escola_id),
+      KEY idx_escola_cadastro (escola_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
@@ -0,0 +1,25 @@
+// 0043 — Solicitações de reabertura do diário fechado (antes: CREATE TABLE em
+// duas rotas de routes/avaliacoes.js)
+export const descricao = "solicitacoes_reabertura_diario";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS solicitacoes_reabertura_diario (
+      id                INT AUTO_INCREMENT PRIMARY KEY,
+      plano_id          INT NOT NULL,
+      turma_id          INT NOT NULL,
+      escola_id         INT,
+      professor_id      INT,
+      aluno_id          INT,
+      aluno_nome        VARCHAR(255),
+      motivo            TEXT NOT NULL,
+      status            ENUM('PENDENTE','APROVADA','NEGADA') NOT NULL DEFAULT 'PENDENTE',
+      resposta_pedagogico TEXT,
+      respondido_por    INT,
+      respondido_em     DATETIME,
+      criado_em         DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_plano_turma (plano_id, turma_id),
+      INDEX idx_status (status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
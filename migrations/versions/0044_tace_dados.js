@@ -0,0 +1,17 @@
+// 0044 — Textos do TACE por aluno (antes: ensureTable() no import de routes/tace.js)
+export const descricao = "tace_dados";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS tace_dados (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      aluno_id INT NOT NULL,
+      escola_id INT NOT NULL,
+      reconhecimento_fatos TEXT,
+      compromisso_conduta TEXT,
+      criado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+      atualizado_em DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uk_aluno_escola (aluno_id, escola_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+}
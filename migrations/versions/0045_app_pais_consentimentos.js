@@ -0,0 +1,97 @@
+// 0045 — App Pais / App Aluno (antes: runStartupMigrations() no import de
+// routes/app_pais.js): audit log jurídico dos consentimentos de imagem,
+// colunas de canal/versão/parentesco, aceite dos Termos de Uso, telefone do
+// aluno, códigos de acesso do App Aluno e o responsável demo da revisão da
+// App Store (CPF 00000000019, usado pelo bypass de /verificar-codigo).
+import { adicionarColunas, tabelaExiste } from "../../services/migrationRunner.js";
+
+export const descricao = "consentimentos_log + responsaveis_alunos/responsaveis/alunos (colunas) + app_aluno_codigos + responsável demo";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS consentimentos_log (
+      id              BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      responsavel_id  INT NOT NULL,
+      aluno_id        INT NOT NULL,
+      escola_id       INT NOT NULL,
+      responsavel_nome  VARCHAR(255) NOT NULL,
+      responsavel_cpf   VARCHAR(11)  NOT NULL,
+      aluno_nome        VARCHAR(255) NOT NULL,
+      acao          ENUM('CONCEDER','REVOGAR') NOT NULL DEFAULT 'CONCEDER',
+      canal         ENUM('FISICO','DIGITAL_APP','DIGITAL_WEB') NOT NULL,
+      versao_termo  VARCHAR(20) NOT NULL DEFAULT '3.0',
+      ip_address    VARCHAR(45)  NULL,
+      user_agent    TEXT         NULL,
+      device_id     VARCHAR(255) NULL,
+      plataforma    VARCHAR(50)  NULL,
+      termo_lido_em DATETIME     NULL DEFAULT NULL
+        COMMENT 'Timestamp de quando o responsável abriu o termo para leitura (audit LGPD)',
+      chk_fotografia_cadastro    TINYINT(1) NOT NULL DEFAULT 0,
+      chk_imagem_sistema         TINYINT(1) NOT NULL DEFAULT 0,
+      chk_template_biometrico    TINYINT(1) NOT NULL DEFAULT 0,
+      chk_sistemas_seguranca     TINYINT(1) NOT NULL DEFAULT 0,
+      chk_app_educa_mobile       TINYINT(1) NOT NULL DEFAULT 0,
+      chk_captura_educa_capture  TINYINT(1) NOT NULL DEFAULT 0,
+      confirmado_por_usuario_id  INT          NULL,
+      confirmado_por_nome        VARCHAR(255) NULL,
+      confirmado_por_ip          VARCHAR(45)  NULL,
+      criado_em DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_responsavel (responsavel_id),
+      INDEX idx_aluno       (aluno_id),
+      INDEX idx_escola      (escola_id),
+      INDEX idx_criado_em   (criado_em)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      COMMENT='Audit log jurídico de consentimentos LGPD — IMUTÁVEL'
+  `);
+  await adicionarColunas(db, "consentimentos_log", [
+    ["termo_lido_em", "DATETIME NULL DEFAULT NULL COMMENT 'Timestamp de quando o responsável abriu o termo para leitura (audit LGPD)' AFTER plataforma"],
+  ]);
+
+  if (await tabelaExiste(db, "responsaveis_alunos")) {
+    await adicionarColunas(db, "responsaveis_alunos", [
+      ["consentimento_canal", "ENUM('FISICO','DIGITAL_APP','DIGITAL_WEB') NULL DEFAULT NULL COMMENT 'Canal pelo qual o consentimento foi obtido' AFTER consentimento_imagem_por"],
+      ["consentimento_versao_termo", "VARCHAR(20) NULL DEFAULT NULL COMMENT 'Versão do termo aceito (ex: 3.0)' AFTER consentimento_canal"],
+      ["consentimento_log_id", "BIGINT UNSIGNED NULL DEFAULT NULL COMMENT 'Referência ao registro mais recente em consentimentos_log' AFTER consentimento_versao_termo"],
+      ["parentesco", "VARCHAR(30) NULL DEFAULT NULL COMMENT 'Grau de parentesco com o aluno (ex: Pai, Mãe, Avó, Tio)' AFTER pode_autorizar_terceiros"],
+    ]);
+    // Termos em papel anteriores ao canal: ficam como FISICO, versão 3.0
+    await db.query(`
+      UPDATE responsaveis_alunos
+         SET consentimento_canal = 'FISICO', consentimento_versao_termo = '3.0'
+       WHERE consentimento_imagem = 1 AND consentimento_canal IS NULL
+    `);
+  }
+
+  if (await tabelaExiste(db, "responsaveis")) {
+    // Termos de Uso + Política de Privacidade: aceite no 1º acesso ao app
+    await adicionarColunas(db, "responsaveis", [
+      ["termos_aceitos_em", "DATETIME NULL DEFAULT NULL COMMENT 'Timestamp do aceite dos Termos de Uso e Política de Privacidade no EDUCA-Mobile'"],
+      ["termos_versao", "VARCHAR(10) NULL DEFAULT NULL COMMENT 'Versão dos Termos de Uso aceita pelo responsável'"],
+    ]);
+    await db.query(
+      `INSERT INTO responsaveis (nome, cpf, email, status_global)
+       VALUES ('Demo Apple Review', '00000000019', 'demo@educamelhor.com.br', 'ATIVO')
+       ON DUPLICATE KEY UPDATE nome = nome`
+    );
+  }
+
+  if (await tabelaExiste(db, "alunos")) {
+    await adicionarColunas(db, "alunos", [["telefone", "VARCHAR(20) NULL AFTER cpf"]]);
+  }
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS app_aluno_codigos (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+      aluno_id BIGINT UNSIGNED NOT NULL,
+      codigo CHAR(6) NOT NULL,
+      destino VARCHAR(20) NOT NULL,
+      expiracao DATETIME NOT NULL,
+      usado_em DATETIME NULL,
+      token_data_nasc VARCHAR(64) NULL,
+      token_data_nasc_exp DATETIME NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      INDEX idx_aluno_cod (aluno_id, codigo)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+}
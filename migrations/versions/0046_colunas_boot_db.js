@@ -0,0 +1,89 @@
+// 0046 — "Auto-migrations v3.1" que rodavam a cada boot no probe de conexão de
+// db.js (ALTER com falha silenciosa): consentimento impresso, edição da busca
+// ativa, estado do Agente EDUCA no plano, numeração universal das questões,
+// dispositivos do push mobile e receitas da merenda.
+import { adicionarColunas, adicionarIndice, tabelaExiste } from "../../services/migrationRunner.js";
+
+export const descricao = "colunas/tabelas do boot de db.js (consentimento_impresso, agente_*, numero_q, mobile_devices, merenda_receitas)";
+
+export async function up(db) {
+  if (await tabelaExiste(db, "responsaveis_alunos")) {
+    await adicionarColunas(db, "responsaveis_alunos", [
+      ["consentimento_impresso", "TINYINT(1) NOT NULL DEFAULT 0 AFTER consentimento_imagem"],
+    ]);
+    // Pais antigos que assinaram no papel: viram MASTER e ficam com o impresso marcado
+    await db.query(
+      `UPDATE responsaveis_alunos SET consentimento_impresso = 1, principal = 1, pode_autorizar_terceiros = 1
+        WHERE consentimento_imagem = 1 AND consentimento_canal = 'FISICO'`
+    );
+  }
+
+  // Busca Ativa — rastreabilidade de edição (tabela da 0039)
+  await adicionarColunas(db, "frequencia_busca_ativa", [
+    ["editado_por", "INT NULL AFTER registrado_por"],
+    ["editado_em", "DATETIME NULL AFTER editado_por"],
+  ]);
+
+  // Agente EDUCA: lock de execução, resultado das exportações e último erro
+  await adicionarColunas(db, "planos_avaliacao", [
+    ["agente_executando_desde", "DATETIME NULL"],
+    ["agente_exportado_resultado", "VARCHAR(32) NULL"],
+    ["agente_notas_resultado_json", "TEXT NULL"],
+    ["agente_ultimo_erro", "VARCHAR(500) NULL"],
+  ]);
+
+  // Banco de Questões v3 — numeração universal sequencial (Q0001, Q0042...)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS questoes_num_seq (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY
+    ) COMMENT 'Gerador de sequencia global para numero_q das questoes'
+  `);
+  if (await tabelaExiste(db, "questoes")) {
+    await adicionarColunas(db, "questoes", [
+      ["numero_q", "INT UNSIGNED NULL UNIQUE COMMENT 'Numero universal Q0001, Q0042... gerado automaticamente'"],
+      ["professor_nome", "VARCHAR(150) NULL COMMENT 'Cache do nome do professor autor'"],
+    ]);
+    await adicionarIndice(db, "questoes", "idx_numero_q", "INDEX idx_numero_q (numero_q)");
+    await adicionarIndice(db, "questoes", "idx_professor", "INDEX idx_professor (professor_id)");
+  }
+
+  // Push do EDUCA-Mobile
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS mobile_devices (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      responsavel_id INT NULL,
+      aluno_id INT NULL,
+      escola_id INT NULL,
+      device_token VARCHAR(512) NOT NULL,
+      plataforma VARCHAR(20) DEFAULT 'unknown',
+      ativo TINYINT(1) NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT NOW(),
+      updated_at DATETIME DEFAULT NOW(),
+      UNIQUE KEY uk_responsavel_token (responsavel_id, device_token),
+      UNIQUE KEY uk_aluno_token (aluno_id, device_token),
+      INDEX idx_responsavel (responsavel_id),
+      INDEX idx_aluno (aluno_id),
+      INDEX idx_escola (escola_id)
+    )
+  `);
+
+  // Receitas da Merenda
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS merenda_receitas (
+      id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      escola_id BIGINT UNSIGNED NOT NULL,
+      nome VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (escola_id) REFERENCES escolas(id) ON DELETE CASCADE
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS merenda_receita_itens (
+      id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      receita_id BIGINT UNSIGNED NOT NULL,
+      produto_id INT NOT NULL,
+      FOREIGN KEY (receita_id) REFERENCES merenda_receitas(id) ON DELETE CASCADE
+    )
+  `);
+}
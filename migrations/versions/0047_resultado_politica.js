@@ -0,0 +1,10 @@
+// 0047 — Política de notas usada na publicação do resultado final: a turma
+// publicada continua exibindo a média/escala daquele momento mesmo que a
+// escola mude a política depois (services/resultadoFinal.js)
+import { adicionarColunas } from "../../services/migrationRunner.js";
+
+export const descricao = "resultado_final_turmas.politica_json";
+
+export async function up(db) {
+  await adicionarColunas(db, "resultado_final_turmas", [["politica_json", "JSON DEFAULT NULL AFTER total_alunos"]]);
+}
@@ -0,0 +1,26 @@
+// 0048 — Dedupe de jobs pela chave no banco (services/jobQueue.js): a coluna
+// gerada chave_ativa repete a chave enquanto o job está pendente/executando e
+// vira NULL ao terminar, então o índice único só barra a segunda chave ATIVA.
+// Duplicatas ativas que já existam (corrida de antes do índice) ficam só com
+// o job mais novo; os anteriores pendentes são cancelados.
+import { adicionarColunas, adicionarIndice } from "../../services/migrationRunner.js";
+
+export const descricao = "jobs.chave_ativa (único: uma chave ativa por vez)";
+
+export async function up(db) {
+  await db.query(`
+    UPDATE jobs j
+      JOIN (SELECT chave, MAX(id) AS ultimo FROM jobs
+             WHERE chave IS NOT NULL AND status IN ('pendente','executando')
+             GROUP BY chave HAVING COUNT(*) > 1) d ON d.chave = j.chave
+       SET j.status = 'cancelado', j.cancelar = 1, j.concluido_em = NOW()
+     WHERE j.id < d.ultimo AND j.status IN ('pendente','executando')
+  `);
+  await adicionarColunas(db, "jobs", [
+    [
+      "chave_ativa",
+      "VARCHAR(190) GENERATED ALWAYS AS (CASE WHEN status IN ('pendente','executando') THEN chave END) STORED AFTER chave",
+    ],
+  ]);
+  await adicionarIndice(db, "jobs", "uk_jobs_chave_ativa", "UNIQUE KEY uk_jobs_chave_ativa (chave_ativa)");
+}
@@ -27,6 +27,7 @@
 // OBSERVAÇÃO MODAL (da screenshot fornecida pelo usuário):
 //   Título: "Criar Instrumento/Procedimento Avaliativo"
 //   Toggles: Atribuir nota (ON default), Recuperação Contínua, Recuperação Compensatória
+//   (as recuperações são ligadas para itens de recuperação do PAP — item.recuperacao)
 //   Sal btn: button.btn-success com texto "Salvar" e ícone de disquete
 // ============================================================================
 
@@ -965,6 +966,46 @@ async function selecionarTipoNoModal(page, valor) {
   }
 }
 
+// ============================================================================
+// HELPER: Liga um toggle do modal pelo rótulo (ex.: "Recuperação Contínua")
+// Os toggles do modal são checkboxes (form-switch) com o rótulo ao lado.
+// Só clica se ainda estiver desligado — "Atribuir nota" nunca é tocado.
+// ============================================================================
+const ROTULO_RECUPERACAO_EDUCADF = {
+  continua:      'Recuperação Contínua',
+  compensatoria: 'Recuperação Compensatória',
+};
+
+async function ligarToggleNoModal(page, rotulo) {
+  try {
+    const resultado = await page.evaluate((alvo) => {
+      const norm = (s) => String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+      const modal = document.querySelector('ngb-modal-window, .modal, [role="dialog"]');
+      if (!modal) return 'sem-modal';
+      const rotulos = [...modal.querySelectorAll('label, span, div')]
+        .filter(el => el.children.length <= 2 && norm(el.textContent) === norm(alvo));
+      for (const el of rotulos) {
+        const forId = el.getAttribute('for');
+        const input = (forId && modal.querySelector(`#${CSS.escape(forId)}`))
+          || el.querySelector('input[type="checkbox"]')
+          || el.parentElement?.querySelector('input[type="checkbox"]');
+        if (!input) continue;
+        if (input.checked) return 'ja-ligado';
+        input.scrollIntoView({ block: 'center' });
+        input.click();
+        return input.checked ? 'ligado' : 'clicado-sem-efeito';
+      }
+      return 'nao-encontrado';
+    }, rotulo);
+    const ok = resultado === 'ligado' || resultado === 'ja-ligado';
+    console.log(`[educadf.pap] Toggle "${rotulo}" ${ok ? '✅' : '⚠️'} (${resultado})`);
+    return ok;
+  } catch (err) {
+    console.warn(`[educadf.pap] Toggle "${rotulo}" falhou: ${err.message}`);
+    return false;
+  }
+}
+
 // ============================================================================
 // EXPORTAÇÃO PRINCIPAL
 // ============================================================================
@@ -1905,6 +1946,12 @@ export async function exportarPAPEducaDF(session, credentials, plano) {
         }, itemAtual.descricao);
       }
 
+      // ── Toggle: Recuperação Contínua / Compensatória (item de recuperação do PAP) ──
+      if (ROTULO_RECUPERACAO_EDUCADF[itemAtual.recuperacao]) {
+        await ligarToggleNoModal(page, ROTULO_RECUPERACAO_EDUCADF[itemAtual.recuperacao]);
+        await page.waitForTimeout(500);
+      }
+
       await page.waitForTimeout(1000);
       await session.screenshot(`pap_item${iIdx+1}_modal_preenchido`);
 
@@ -4,22 +4,32 @@
 // POST /api/agente-planos/:id/exportar-notas
 // ============================================================================
 // Mudanças v2 (robustez):
-//  - Lock de concorrência: agente_executando_desde (auto-cleared on finish)
-//  - 202 Accepted imediato + execução Playwright em background (fire-and-forget)
+//  - 202 Accepted imediato + execução Playwright em background
 //  - Re-exportação permitida (sem bloqueio permanente)
 //  - Tentativa 3 (sem filtro de bimestre) removida do educadf.pap.js
-//  - Lock stale (>15min) é ignorado automaticamente
+// Mudanças v3 (fila persistente — services/jobQueue.js):
+//  - Execução vira job "agente_exportar_estrutura" / "agente_exportar_notas"
+//    (sobrevive a restart, retentativa com backoff, GET /api/jobs/:id)
+//  - Lock de concorrência = job ativo com chave "agente_plano:<id>"
+//    (substitui o TTL de 15 min; job órfão volta à fila pelo heartbeat)
+//  - agente_executando_desde continua sendo preenchido (pelo worker) para o front
+//  - Senha EDUCADF não vai para o payload: o worker decripta na hora
+// Recuperação (itens_avaliacao.recuperacao):
+//  - Etapa 1: o item de recuperação vai com o toggle "Recuperação Contínua" ou
+//    "Recuperação Compensatória" ligado no EDUCADF (e o nome do item original)
+//  - Etapa 2: a coluna da recuperação leva a nota da recuperação; a coluna do
+//    item original continua com a nota original (a regra fica com o EDUCADF)
 // ============================================================================
 
 import express from 'express';
 import { decrypt } from '../modules/agente/agente.crypt.js';
 import { EducaDFBrowser } from '../modules/agente/educadf/educadf.browser.js';
 import { exportarPAPEducaDF, exportarNotasEducaDF } from '../modules/agente/educadf/educadf.pap.js';
+import { buscarJobAtivo, enfileirarJob, registrarHandler } from '../services/jobQueue.js';
+import { indiceRecuperado } from '../services/politicaNotas.js';
 
 const router = express.Router();
 
-const LOCK_TTL_MS = 15 * 60 * 1000; // 15 minutos — lock stale é ignorado
-
 // ── Helpers ──────────────────────────────────────────────────────────────────
 function getUserId(req) {
   return Number(req?.user?.id ?? req?.user?.usuario_id ?? req?.user?.usuarioId ?? 0);
@@ -53,11 +63,9 @@ async function buscarCredenciais(db, escolaId, usuarioId) {
   return rows?.[0] || null;
 }
 
-// ── Verifica e limpa lock stale ───────────────────────────────────────────────
-function lockAtivo(plano) {
-  if (!plano.agente_executando_desde) return false;
-  const age = Date.now() - new Date(plano.agente_executando_desde).getTime();
-  return age < LOCK_TTL_MS;
+// ── Lock de concorrência (job ativo do plano) ─────────────────────────────────
+function chaveLock(planoId) {
+  return `agente_plano:${planoId}`;
 }
 
 async function setLock(db, planoId) {
@@ -94,6 +102,177 @@ async function buscarNomeProfessor(db, planoId, fallbackUsuarioId) {
 
 const PERFIL_MAP = { 1: 'professor', 2: 'secretario', 3: 'diretor' };
 
+// ── Credenciais decriptadas (no worker — nunca vão para o payload do job) ────
+async function credenciaisParaJob(db, escolaId, usuarioId) {
+  const cred = await buscarCredenciais(db, escolaId, usuarioId);
+  if (!cred) {
+    const err = new Error('Credenciais EDUCADF não configuradas.');
+    err.permanente = true;
+    throw err;
+  }
+  try {
+    return {
+      login:  cred.educadf_login,
+      senha:  decrypt(cred.educadf_senha_enc, cred.educadf_senha_iv, cred.educadf_senha_tag),
+      perfil: PERFIL_MAP[cred.perfil_id] || 'professor',
+    };
+  } catch {
+    const err = new Error('Credenciais desatualizadas. Salve novamente.');
+    err.permanente = true;
+    throw err;
+  }
+}
+
+// Falha definitiva: grava o erro para o front e solta o lock. Em falha
+// transitória (exceção do Playwright) o lock fica até a última tentativa.
+async function registrarFalha(ctx, planoId, erroMsg) {
+  await ctx.db.query(
+    `UPDATE planos_avaliacao SET agente_executando_desde = NULL, agente_ultimo_erro = ? WHERE id = ?`,
+    [erroMsg, planoId]
+  ).catch(async () => { await clearLock(ctx.db, planoId); });
+}
+
+// ============================================================================
+// JOB agente_exportar_estrutura — Etapa 1 (cria as colunas no EDUCADF)
+// ============================================================================
+registrarHandler('agente_exportar_estrutura', async (ctx) => {
+  const { plano_id: planoId, dados_plano: dadosPlano } = ctx.payload;
+  const escolaId  = ctx.escolaId;
+  const usuarioId = ctx.usuarioId;
+  const db        = ctx.db;
+
+  let resultado;
+  try {
+    const credenciais = await credenciaisParaJob(db, escolaId, usuarioId);
+    await setLock(db, planoId);
+
+    console.log(`[agente-planos] ▶ Estrutura plano=${planoId} | ${dadosPlano.turmas} | ${dadosPlano.bimestre} (tentativa ${ctx.tentativa})`);
+    resultado = await EducaDFBrowser.withSession(
+      async (session) => exportarPAPEducaDF(session, credenciais, dadosPlano),
+      { escolaId, professorId: usuarioId, headless: true }
+    );
+  } catch (err) {
+    console.error(`[agente-planos] ERRO Playwright estrutura plano=${planoId}:`, err.message);
+    if (err.permanente) await registrarFalha(ctx, planoId, err.message);
+    else if (ctx.ultimaTentativa) await clearLock(db, planoId);
+    throw err;
+  }
+
+  // Auditoria
+  db.query(
+    `INSERT INTO agente_audit_log (execucao_id, acao, detalhe, screenshot_path, duracao_ms)
+     VALUES (0, 'EXPORTAR_PAP', ?, ?, ?)`,
+    [JSON.stringify({ plano_id: planoId, job_id: ctx.id, ok: resultado.ok }), resultado.screenshotPath || null, resultado.durationMs || 0]
+  ).catch(() => {});
+
+  const sucesso = resultado.ok || resultado.errorCode === 'JA_EXISTE';
+  const resultVal = resultado.errorCode === 'JA_EXISTE' ? 'JA_EXISTIA' : 'CRIADO';
+
+  if (!sucesso) {
+    const erroMsg = (resultado.message || 'Erro desconhecido no agente').substring(0, 500);
+    // Grava mensagem de erro para exibição ao usuário
+    await registrarFalha(ctx, planoId, erroMsg);
+    console.warn(`[agente-planos] ❌ Estrutura plano=${planoId}: ${erroMsg}`);
+    const err = new Error(erroMsg);
+    err.permanente = true; // o portal respondeu — repetir não muda o resultado
+    throw err;
+  }
+
+  // UPDATE primário: sempre funciona (colunas garantidas)
+  await db.query(
+    `UPDATE planos_avaliacao
+        SET agente_exportado_em    = NOW(),
+            agente_executando_desde = NULL,
+            agente_ultimo_erro      = NULL
+      WHERE id = ?`,
+    [planoId]
+  ).catch(e => console.warn('[agente-planos] UPDATE estrutura (base):', e.message));
+
+  // UPDATE secundário: tenta gravar resultado (coluna pode não existir ainda)
+  db.query(
+    `UPDATE planos_avaliacao SET agente_exportado_resultado = ? WHERE id = ?`,
+    [resultVal, planoId]
+  ).catch(() => {/* coluna agente_exportado_resultado ainda não existe — ignorar */});
+
+  console.log(`[agente-planos] ✅ Estrutura plano=${planoId} (${resultVal})`);
+  return { plano_id: planoId, resultado: resultVal };
+}, { concorrencia: 3, concorrenciaPorEscola: 1, maxTentativas: 2, backoffMs: 60_000 });
+
+// ============================================================================
+// JOB agente_exportar_notas — Etapa 2 (preenche as notas no EDUCADF)
+// ============================================================================
+registrarHandler('agente_exportar_notas', async (ctx) => {
+  const { plano_id: planoId, dados_plano: dadosPlano } = ctx.payload;
+  const escolaId  = ctx.escolaId;
+  const usuarioId = ctx.usuarioId;
+  const db        = ctx.db;
+
+  let resultado;
+  try {
+    const credenciais = await credenciaisParaJob(db, escolaId, usuarioId);
+    await setLock(db, planoId);
+
+    console.log(`[agente-planos] ▶ Notas plano=${planoId} | ${dadosPlano.turmas} | ${dadosPlano.colunas.length} colunas mapeadas (tentativa ${ctx.tentativa})`);
+    resultado = await EducaDFBrowser.withSession(
+      async (session) => exportarNotasEducaDF(session, credenciais, dadosPlano),
+      { escolaId, professorId: usuarioId, headless: true }
+    );
+  } catch (err) {
+    console.error(`[agente-planos] ERRO Playwright notas plano=${planoId}:`, err.message);
+    if (err.permanente) await registrarFalha(ctx, planoId, err.message);
+    else if (ctx.ultimaTentativa) await clearLock(db, planoId);
+    throw err;
+  }
+
+  if (!resultado.ok) {
+    const erroMsg = (resultado.message || 'Erro desconhecido no agente').substring(0, 500);
+    await registrarFalha(ctx, planoId, erroMsg);
+    console.warn(`[agente-planos] ❌ Notas plano=${planoId}: ${erroMsg}`);
+    const err = new Error(erroMsg);
+    err.permanente = true;
+    throw err;
+  }
+
+  // UPDATE primário: sempre funciona
+  await db.query(
+    `UPDATE planos_avaliacao
+        SET agente_notas_exportadas_em = NOW(),
+            agente_executando_desde      = NULL,
+            agente_ultimo_erro           = NULL
+      WHERE id = ?`,
+    [planoId]
+  ).catch(e => console.warn('[agente-planos] UPDATE notas (base):', e.message));
+
+  // UPDATE secundário: tenta gravar JSON de resultado
+  const stats = {
+    totalPreenchidos:     resultado.totalPreenchidos,
+    totalErros:           resultado.totalErros,
+    alunosNaoEncontrados: resultado.alunosNaoEncontrados || [],
+    alunosDesabilitados:  resultado.alunosDesabilitados  || [],
+  };
+  db.query(
+    `UPDATE planos_avaliacao SET agente_notas_resultado_json = ? WHERE id = ?`,
+    [JSON.stringify(stats), planoId]
+  ).catch(() => {/* coluna agente_notas_resultado_json pode não existir ainda */});
+
+  console.log(`[agente-planos] ✅ Notas plano=${planoId} (${resultado.totalPreenchidos} alunos, ${resultado.totalErros} erros)`);
+  return { plano_id: planoId, ...stats };
+}, { concorrencia: 3, concorrenciaPorEscola: 1, maxTentativas: 2, backoffMs: 60_000 });
+
+// ── Resposta 423 quando já existe job ativo para o plano ─────────────────────
+async function responderSeEmExecucao(db, res, planoId, error) {
+  const ativo = await buscarJobAtivo(db, chaveLock(planoId));
+  if (!ativo) return false;
+  res.status(423).json({
+    ok: false,
+    codigo: 'EM_EXECUCAO',
+    error,
+    job_id: ativo.id,
+    executando_desde: ativo.iniciado_em || ativo.criado_em,
+  });
+  return true;
+}
+
 // ============================================================================
 // POST /api/agente-planos/:id/exportar-estrutura
 // ============================================================================
@@ -122,14 +301,7 @@ router.post('/:id/exportar-estrutura', async (req, res) => {
     }
 
     // ── 2. Lock de concorrência ──────────────────────────────────────────────
-    if (lockAtivo(plano)) {
-      return res.status(423).json({
-        ok: false,
-        codigo: 'EM_EXECUCAO',
-        error: 'Este plano já está sendo exportado. Aguarde a conclusão.',
-        executando_desde: plano.agente_executando_desde,
-      });
-    }
+    if (await responderSeEmExecucao(db, res, planoId, 'Este plano já está sendo exportado. Aguarde a conclusão.')) return;
 
     // ── 3. Busca itens ────────────────────────────────────────────────────────────────────────
     const [itens] = await db.query(
@@ -188,12 +360,14 @@ router.post('/:id/exportar-estrutura', async (req, res) => {
     // Monta array de itens com data resolvida (data_inicio do banco ou fallback por bimestre)
     // E deduplica por nome da atividade para garantir que sub-divisões do PAP não criem colunas duplicadas
     const itensComDataMap = new Map();
-    itens.forEach(item => {
+    const nomeDoItem = (item) => (item.atividade || item.tipo_avaliacao || 'Avaliação Bimestral').trim();
+    itens.forEach((item, idx) => {
       // CRÍTICO: o nomeAtividade aqui é a CHAVE de deduplicação, e é o nome que será
       // enviado ao Playwright da Etapa 1 para criar a coluna no EDUCADF.
       // A Etapa 2 deve usar o mesmo fallback para encontrar a coluna pelo nome.
-      const nomeAtividade = (item.atividade || item.tipo_avaliacao || 'Avaliação Bimestral').trim();
+      const nomeAtividade = nomeDoItem(item);
       if (!itensComDataMap.has(nomeAtividade)) {
+        const alvoRecuperacao = indiceRecuperado(itens, idx);
         let dataResolvida = item.data_inicio;
         
         if (!dataResolvida) {
@@ -214,6 +388,8 @@ router.post('/:id/exportar-estrutura', async (req, res) => {
           descricao:      item.descricao,
           nota_total:     item.nota_total,
           fixo_direcao:   !!item.fixo_direcao,
+          recuperacao:    alvoRecuperacao !== null ? item.recuperacao : null,
+          recupera:       alvoRecuperacao !== null ? nomeDoItem(itens[alvoRecuperacao]) : null,
         });
       }
     });
@@ -226,16 +402,14 @@ router.post('/:id/exportar-estrutura', async (req, res) => {
         ok: false, error: 'Credenciais EDUCADF não configuradas.', codigo: 'SEM_CREDENCIAIS',
       });
     }
-    let senhaPlain;
     try {
-      senhaPlain = decrypt(cred.educadf_senha_enc, cred.educadf_senha_iv, cred.educadf_senha_tag);
+      decrypt(cred.educadf_senha_enc, cred.educadf_senha_iv, cred.educadf_senha_tag);
     } catch {
       return res.status(422).json({
         ok: false, error: 'Credenciais desatualizadas. Salve novamente.', codigo: 'CREDENCIAIS_CORROMPIDAS',
       });
     }
 
-    const perfil        = PERFIL_MAP[cred.perfil_id] || 'professor';
     const professorNome = await buscarNomeProfessor(db, planoId, usuarioId);
 
     // Busca o nome oficial da turma mapeado pela Secretaria
@@ -255,68 +429,15 @@ router.post('/:id/exportar-estrutura', async (req, res) => {
       itens:        itensComData,      // array completo — todos os itens do professor
     };
 
-    // ── 5. SET lock + resposta imediata 202 ──────────────────────────────────
-    await setLock(db, planoId);
-    res.status(202).json({ ok: true, status: 'running', message: 'Exportação iniciada.' });
-
-    // ── 6. Playwright em background ──────────────────────────────────────────
-    (async () => {
-      let resultado;
-      try {
-        console.log(`[agente-planos] ▶ Estrutura plano=${planoId} | ${plano.turmas} | ${plano.bimestre}`);
-        resultado = await EducaDFBrowser.withSession(
-          async (session) => exportarPAPEducaDF(
-            session, { login: cred.educadf_login, senha: senhaPlain, perfil }, dadosPlano
-          ),
-          { escolaId, professorId: usuarioId, headless: true }
-        );
-
-        const sucesso = resultado.ok || resultado.errorCode === 'JA_EXISTE';
-        const resultVal = resultado.errorCode === 'JA_EXISTE' ? 'JA_EXISTIA' : 'CRIADO';
-
-        if (sucesso) {
-          // UPDATE primário: sempre funciona (colunas garantidas)
-          await db.query(
-            `UPDATE planos_avaliacao
-                SET agente_exportado_em    = NOW(),
-                    agente_executando_desde = NULL,
-                    agente_ultimo_erro      = NULL
-              WHERE id = ?`,
-            [planoId]
-          ).catch(e => console.warn('[agente-planos] UPDATE estrutura (base):', e.message));
-
-          // UPDATE secundário: tenta gravar resultado (coluna pode não existir ainda)
-          db.query(
-            `UPDATE planos_avaliacao SET agente_exportado_resultado = ? WHERE id = ?`,
-            [resultVal, planoId]
-          ).catch(() => {/* coluna agente_exportado_resultado ainda não existe — ignorar */});
-
-          console.log(`[agente-planos] ✅ Estrutura plano=${planoId} (${resultVal})`);
-        } else {
-          const erroMsg = (resultado.message || 'Erro desconhecido no agente').substring(0, 500);
-          // Grava mensagem de erro para exibição ao usuário
-          await db.query(
-            `UPDATE planos_avaliacao SET agente_executando_desde = NULL, agente_ultimo_erro = ? WHERE id = ?`,
-            [erroMsg, planoId]
-          ).catch(async () => {
-            // Coluna pode não existir ainda — tenta só limpar lock
-            await clearLock(db, planoId);
-          });
-          console.warn(`[agente-planos] ❌ Estrutura plano=${planoId}: ${erroMsg}`);
-        }
-
-        // Auditoria
-        db.query(
-          `INSERT INTO agente_audit_log (execucao_id, acao, detalhe, screenshot_path, duracao_ms)
-           VALUES (0, 'EXPORTAR_PAP', ?, ?, ?)`,
-          [JSON.stringify({ plano_id: planoId, ok: resultado.ok }), resultado.screenshotPath || null, resultado.durationMs || 0]
-        ).catch(() => {});
-
-      } catch (err) {
-        console.error(`[agente-planos] ERRO Playwright estrutura plano=${planoId}:`, err.message);
-        await clearLock(db, planoId);
-      }
-    })();
+    // ── 5. Enfileira + resposta imediata 202 ─────────────────────────────────
+    const { id: jobId } = await enfileirarJob(db, {
+      tipo:      'agente_exportar_estrutura',
+      escolaId,
+      usuarioId,
+      chave:     chaveLock(planoId),
+      payload:   { plano_id: planoId, dados_plano: dadosPlano },
+    });
+    return res.status(202).json({ ok: true, status: 'running', job_id: jobId, message: 'Exportação iniciada.' });
 
   } catch (err) {
     console.error(`[agente-planos] ERRO exportar-estrutura plano=${planoId}:`, err.message);
@@ -359,14 +480,7 @@ router.post('/:id/exportar-notas', async (req, res) => {
     }
 
     // ── 2. Lock de concorrência ──────────────────────────────────────────────
-    if (lockAtivo(plano)) {
-      return res.status(423).json({
-        ok: false,
-        codigo: 'EM_EXECUCAO',
-        error: 'As notas deste plano já estão sendo exportadas. Aguarde.',
-        executando_desde: plano.agente_executando_desde,
-      });
-    }
+    if (await responderSeEmExecucao(db, res, planoId, 'As notas deste plano já estão sendo exportadas. Aguarde.')) return;
 
     // ── 3. Busca itens do plano ──────────────────────────────────────────────
     const [itens] = await db.query(
@@ -452,16 +566,14 @@ router.post('/:id/exportar-notas', async (req, res) => {
         ok: false, error: 'Credenciais EDUCADF não configuradas.', codigo: 'SEM_CREDENCIAIS',
       });
     }
-    let senhaPlain;
     try {
-      senhaPlain = decrypt(cred.educadf_senha_enc, cred.educadf_senha_iv, cred.educadf_senha_tag);
+      decrypt(cred.educadf_senha_enc, cred.educadf_senha_iv, cred.educadf_senha_tag);
     } catch {
       return res.status(422).json({
         ok: false, error: 'Credenciais desatualizadas. Salve novamente.', codigo: 'CREDENCIAIS_CORROMPIDAS',
       });
     }
 
-    const perfil        = PERFIL_MAP[cred.perfil_id] || 'professor';
     const professorNome = await buscarNomeProfessor(db, planoId, usuarioId);
 
     // Busca o nome oficial da turma mapeado pela Secretaria
@@ -481,60 +593,15 @@ router.post('/:id/exportar-notas', async (req, res) => {
       colunas:      colunas,
     };
 
-    // ── 6. SET lock + resposta imediata 202 ──────────────────────────────────
-    await setLock(db, planoId);
-    res.status(202).json({ ok: true, status: 'running', message: 'Exportação de notas iniciada.' });
-
-    // ── 7. Playwright em background ──────────────────────────────────────────
-    (async () => {
-      let resultado;
-      try {
-        console.log(`[agente-planos] ▶ Notas plano=${planoId} | ${plano.turmas} | ${colunas.length} colunas mapeadas`);
-        resultado = await EducaDFBrowser.withSession(
-          async (session) => exportarNotasEducaDF(
-            session, { login: cred.educadf_login, senha: senhaPlain, perfil }, dadosPlano
-          ),
-          { escolaId, professorId: usuarioId, headless: true }
-        );
-
-        if (resultado.ok) {
-          // UPDATE primário: sempre funciona
-          await db.query(
-            `UPDATE planos_avaliacao
-                SET agente_notas_exportadas_em = NOW(),
-                    agente_executando_desde      = NULL,
-                    agente_ultimo_erro           = NULL
-              WHERE id = ?`,
-            [planoId]
-          ).catch(e => console.warn('[agente-planos] UPDATE notas (base):', e.message));
-
-          // UPDATE secundário: tenta gravar JSON de resultado
-          const statsJson = JSON.stringify({
-            totalPreenchidos:     resultado.totalPreenchidos,
-            totalErros:           resultado.totalErros,
-            alunosNaoEncontrados: resultado.alunosNaoEncontrados || [],
-            alunosDesabilitados:  resultado.alunosDesabilitados  || [],
-          });
-          db.query(
-            `UPDATE planos_avaliacao SET agente_notas_resultado_json = ? WHERE id = ?`,
-            [statsJson, planoId]
-          ).catch(() => {/* coluna agente_notas_resultado_json pode não existir ainda */});
-
-          console.log(`[agente-planos] ✅ Notas plano=${planoId} (${resultado.totalPreenchidos} alunos, ${resultado.totalErros} erros)`);
-        } else {
-          const erroMsg = (resultado.message || 'Erro desconhecido no agente').substring(0, 500);
-          await db.query(
-            `UPDATE planos_avaliacao SET agente_executando_desde = NULL, agente_ultimo_erro = ? WHERE id = ?`,
-            [erroMsg, planoId]
-          ).catch(async () => { await clearLock(db, planoId); });
-          console.warn(`[agente-planos] ❌ Notas plano=${planoId}: ${erroMsg}`);
-        }
-
-      } catch (err) {
-        console.error(`[agente-planos] ERRO Playwright notas plano=${planoId}:`, err.message);
-        await clearLock(db, planoId);
-      }
-    })();
+    // ── 6. Enfileira + resposta imediata 202 ─────────────────────────────────
+    const { id: jobId } = await enfileirarJob(db, {
+      tipo:      'agente_exportar_notas',
+      escolaId,
+      usuarioId,
+      chave:     chaveLock(planoId),
+      payload:   { plano_id: planoId, dados_plano: dadosPlano },
+    });
+    return res.status(202).json({ ok: true, status: 'running', job_id: jobId, message: 'Exportação de notas iniciada.' });
 
   } catch (err) {
     console.error(`[agente-planos] ERRO exportar-notas plano=${planoId}:`, err.message);
@@ -9,7 +9,18 @@ import path, { dirname as _dirname } from "path";
 import { fileURLToPath } from "url";
 import XLSX from "xlsx";
 import { getInativos } from "../controllers/alunosController.js";
+import { validar } from "../middleware/validarRequisicao.js";
+import * as schemas from "../schemas/alunos.js";
 import { calcularEUpsertBonusMedia } from "./relatorio-disciplinar.js";
+import {
+  capturarAlunos,
+  capturarOcorrencias,
+  eventosDaCaptura,
+  registrarAlteracoes,
+} from "../services/auditoria.js";
+import { anoLetivoAtual } from "../services/calendarioLetivo.js";
+import { alunosComConsentimento } from "../services/consentimentoImagem.js";
+import { agendarNotificacao } from "../services/notificacoes.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = _dirname(__filename);
@@ -17,13 +28,11 @@ const __dirname = _dirname(__filename);
 const router = express.Router();
 
 // â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
-// Helper: ano letivo padrÃ£o com data de corte em 31/jan
-// (se mÃªs <= 1 â†’ ano anterior; senÃ£o â†’ ano corrente)
+// Helper: ano letivo padrão da escola — calendário letivo
+// (services/calendarioLetivo.js; sem calendário, janeiro ainda é do ano anterior)
 // â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
-function anoLetivoPadrao() {
-  const hoje = new Date();
-  const mes = hoje.getMonth() + 1; // 1â€“12
-  return mes <= 1 ? hoje.getFullYear() - 1 : hoje.getFullYear();
+function anoLetivoPadrao(escolaId) {
+  return anoLetivoAtual(pool, escolaId);
 }
 
 // Base pÃºblica do Spaces (sem depender do front â€œadivinharâ€ a URL)
@@ -44,6 +53,49 @@ function verificarEscola(req, res, next) {
   next();
 }
 
+// Trilha de auditoria (services/auditoria.js): relê os registros depois da
+// gravação e registra o diff contra a captura feita antes (vazia = criação).
+async function auditarAlunos(req, ids, antes = new Map()) {
+  const depois = await capturarAlunos(pool, req.user.escola_id, ids);
+  await registrarAlteracoes(pool, req, eventosDaCaptura("alunos", antes, depois, { alunoDe: (a) => a.id }));
+}
+
+async function auditarOcorrencias(req, ids, antes = new Map()) {
+  const depois = await capturarOcorrencias(pool, req.user.escola_id, ids);
+  await registrarAlteracoes(pool, req, eventosDaCaptura("ocorrencias_disciplinares", antes, depois));
+}
+
+// Avisa os responsáveis pelo outbox (services/notificacoes.js). A ocorrência
+// já está gravada: falha aqui só vira aviso no log.
+// porAluno: { [alunoId]: ocorrenciaId }
+async function notificarOcorrencias(req, porAluno, { data, convocar = false, tipoOcorrencia, diasSuspensao }) {
+  if (!Object.keys(porAluno).length) return;
+  const [a, m, d] = String(data || "").slice(0, 10).split("-");
+  // Suspensão e convocação são obrigatórias: passam por cima do opt-out do responsável
+  const suspensao = Number(diasSuspensao) > 0 || /suspens/i.test(String(tipoOcorrencia || ""));
+  const categoria = suspensao ? "suspensao" : convocar ? "convocacao" : "ocorrencias";
+  try {
+    await agendarNotificacao(
+      pool,
+      {
+        evento: "OCORRENCIA",
+        escolaId: req.user.escola_id,
+        alunoIds: Object.keys(porAluno).map(Number),
+        referenciaPorAluno: porAluno,
+        categoria,
+        titulo: "Nova ocorrência disciplinar",
+        mensagem:
+          "Foi registrada uma ocorrência disciplinar para {aluno} em {data}. Consulte os detalhes no app." +
+          (convocar ? " A escola solicita o comparecimento do responsável." : ""),
+        dados: { data: d ? `${d}/${m}/${a}` : data },
+      },
+      { usuarioId: req.user.usuarioId || req.user.id || req.user.usuario_id }
+    );
+  } catch (err) {
+    console.warn("[OCORRENCIAS] notificação aos responsáveis falhou (não crítico):", err.message);
+  }
+}
+
 /* ============================================================================
  * 1) CONFIGURAÃ‡ÃƒO DE UPLOAD DE FOTOS (MULTER)
  * - Grava em /uploads/CEF04_PLAN/alunos (pasta servida pelo server.js)
@@ -105,7 +157,7 @@ router.get("/publico", async (req, res) => {
  * - Filtra por escola do usuÃ¡rio (req.user.escola_id)
  * - Filtros: turma_id, busca textual (nome/cÃ³digo/turma/turno) e status (ativo/inativo)
  * ========================================================================== */
-router.get("/", verificarEscola, async (req, res) => {
+router.get("/", verificarEscola, validar(schemas.listarAlunos), async (req, res) => {
   try {
     const {
       turma_id,
@@ -118,7 +170,7 @@ router.get("/", verificarEscola, async (req, res) => {
     const { escola_id } = req.user;
 
     // Ano letivo efetivo: usa o parÃ¢metro ou calcula o padrÃ£o (corte 31/jan)
-    const anoEfetivo = ano_letivo ? Number(ano_letivo) : anoLetivoPadrao();
+    const anoEfetivo = ano_letivo ? Number(ano_letivo) : await anoLetivoPadrao(escola_id);
 
     // DEBUG: o que chegou do front e do token
     console.log("ðŸ”Ž /api/alunos â†’ filtros:", { turma_id, filtro, status, ano_letivo, limit, offset });
@@ -237,7 +289,7 @@ router.get("/", verificarEscola, async (req, res) => {
  * Body: { codigo, estudante, data_nascimento(YYYY-MM-DD), sexo, turma_id }
  * - status padrÃ£o: "ativo"
  * ========================================================================== */
-router.post("/", verificarEscola, async (req, res) => {
+router.post("/", verificarEscola, validar(schemas.criarAluno), async (req, res) => {
   try {
     const { codigo, estudante, data_nascimento, sexo, turma_id, cpf, atendimento_diferencial } = req.body;
     const { escola_id } = req.user;
@@ -246,7 +298,7 @@ router.post("/", verificarEscola, async (req, res) => {
       return res.status(400).json({ message: "CÃ³digo e nome sÃ£o obrigatÃ³rios." });
     }
 
-    const anoLetivoAtual = anoLetivoPadrao();
+    const anoLetivoAtual = await anoLetivoPadrao(escola_id);
 
     // Verifica se jÃ¡ existe na base global da escola
     const [[existe]] = await pool.query(
@@ -255,6 +307,7 @@ router.post("/", verificarEscola, async (req, res) => {
     );
 
     let alunoId;
+    const antesAluno = existe ? await capturarAlunos(pool, escola_id, [existe.id]) : new Map();
 
     if (existe) {
       alunoId = existe.id;
@@ -295,6 +348,8 @@ router.post("/", verificarEscola, async (req, res) => {
       );
     }
 
+    await auditarAlunos(req, [alunoId], antesAluno);
+
     res.status(201).json({ id: alunoId, message: "Aluno cadastrado com sucesso." });
   } catch (err) {
     console.error("Erro ao criar aluno:", err);
@@ -307,7 +362,7 @@ router.post("/", verificarEscola, async (req, res) => {
  * PUT /api/alunos/:id
  * Body pode conter: { estudante, data_nascimento, sexo, turma_id, status }
  * ========================================================================== */
-router.put("/:id", verificarEscola, async (req, res) => {
+router.put("/:id", verificarEscola, validar(schemas.atualizarAluno), async (req, res) => {
   try {
     const { id } = req.params;
     const { escola_id } = req.user;
@@ -328,11 +383,13 @@ router.put("/:id", verificarEscola, async (req, res) => {
       return res.status(400).json({ message: "Nada para atualizar." });
     }
 
+    const antes = await capturarAlunos(pool, escola_id, [id]);
     valores.push(id, escola_id);
     await pool.query(
       `UPDATE alunos SET ${campos.join(", ")} WHERE id = ? AND escola_id = ?`,
       valores
     );
+    await auditarAlunos(req, [id], antes);
     res.json({ message: "Aluno atualizado com sucesso." });
   } catch (err) {
     console.error("Erro ao atualizar aluno:", err);
@@ -344,14 +401,16 @@ router.put("/:id", verificarEscola, async (req, res) => {
  * 6) INATIVAR ALUNO
  * PUT /api/alunos/inativar/:id
  * ========================================================================== */
-router.put("/inativar/:id", verificarEscola, async (req, res) => {
+router.put("/inativar/:id", verificarEscola, validar(schemas.inativarAluno), async (req, res) => {
   try {
     const { id } = req.params;
     const { escola_id } = req.user;
+    const antes = await capturarAlunos(pool, escola_id, [id]);
     await pool.query(
       `UPDATE alunos SET status='inativo' WHERE id = ? AND escola_id = ?`,
       [id, escola_id]
     );
+    await auditarAlunos(req, [id], antes);
     res.json({ message: "Aluno inativado." });
   } catch (err) {
     console.error("Erro ao inativar aluno:", err);
@@ -363,14 +422,16 @@ router.put("/inativar/:id", verificarEscola, async (req, res) => {
  * 7) EXCLUIR ALUNO
  * DELETE /api/alunos/:id
  * ========================================================================== */
-router.delete("/:id", verificarEscola, async (req, res) => {
+router.delete("/:id", verificarEscola, validar(schemas.excluirAluno), async (req, res) => {
   try {
     const { id } = req.params;
     const { escola_id } = req.user;
+    const antes = await capturarAlunos(pool, escola_id, [id]);
     await pool.query(
       "DELETE FROM alunos WHERE id = ? AND escola_id = ?",
       [id, escola_id]
     );
+    await auditarAlunos(req, [id], antes);
     res.json({ message: "Aluno excluÃ­do." });
   } catch (err) {
     console.error("Erro ao excluir aluno:", err);
@@ -515,13 +576,38 @@ router.get("/:id", async (req, res) => {
 });
 
 
+// LGPD: antes do multer — o arquivo <codigo>.jpg seria sobrescrito mesmo se
+// a foto fosse recusada depois
+async function exigirConsentimentoFoto(req, res, next) {
+  try {
+    const [[aluno]] = await pool.query(
+      "SELECT id FROM alunos WHERE codigo = ? AND escola_id = ? LIMIT 1",
+      [req.params.id, req.user.escola_id]
+    );
+    if (!aluno) return res.status(404).json({ message: "Aluno não encontrado." });
+
+    const permitidos = await alunosComConsentimento(pool, req.user.escola_id, [aluno.id]);
+    if (!permitidos.has(Number(aluno.id))) {
+      return res.status(403).json({
+        code: "SEM_CONSENTIMENTO_IMAGEM",
+        message: "Aluno sem consentimento de imagem válido do responsável.",
+      });
+    }
+    return next();
+  } catch (err) {
+    console.error("Erro ao verificar consentimento da foto:", err);
+    return res.status(500).json({ message: "Erro ao verificar consentimento de imagem." });
+  }
+}
+
 /* ============================================================================
  * 10) RECEBER FOTO RECORTADA
  * POST /api/alunos/:id/foto
  * - Salva em /uploads/CEF04_PLAN/alunos/<codigo>.jpg
  * - Atualiza coluna 'foto' com o caminho pÃºblico
+ * - Exige consentimento de imagem válido (services/consentimentoImagem.js)
  * ========================================================================== */
-router.post("/:id/foto", upload.single("foto"), async (req, res) => {
+router.post("/:id/foto", exigirConsentimentoFoto, upload.single("foto"), async (req, res) => {
   const { id } = req.params; // cÃ³digo do aluno
   if (!req.file) {
     return res.status(400).json({ message: "Nenhuma foto enviada." });
@@ -561,7 +647,7 @@ router.post("/importar-pdf", uploadPdf.single("file"), async (req, res) => {
 
   try {
     const { escola_id } = req.user;
-    const anoLetivoAtual = typeof anoLetivoPadrao === "function" ? anoLetivoPadrao() : String(new Date().getFullYear());
+    const anoLetivoAtual = await anoLetivoPadrao(escola_id);
     const semTurma = req.body.semTurma === "true" || req.body.semTurma === true;
 
     // â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
@@ -1175,10 +1261,7 @@ router.post("/importar-csv", uploadPdf.single("file"), async (req, res) => {
 
   try {
     const { escola_id } = req.user;
-    const anoLetivoAtual =
-      typeof anoLetivoPadrao === "function"
-        ? anoLetivoPadrao()
-        : String(new Date().getFullYear());
+    const anoLetivoAtual = await anoLetivoPadrao(escola_id);
 
     // â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
     // FASE 1: Decodifica CSV (UTF-8 + BOM aware)
@@ -1711,7 +1794,7 @@ async function upsertResponsavelCsv(pool, e, alunoId, escola_id) {
  * Inativa alunos selecionados pelo secretÃ¡rio apÃ³s importaÃ§Ã£o de PDF.
  * Usado quando o PDF nÃ£o contÃ©m alunos que estÃ£o no banco (transferidos).
  * ========================================================================== */
-router.post("/inativar-lote", async (req, res) => {
+router.post("/inativar-lote", validar(schemas.inativarLote), async (req, res) => {
   try {
     const { escola_id } = req.user;
     const { alunoIds } = req.body || {};
@@ -1726,13 +1809,15 @@ router.post("/inativar-lote", async (req, res) => {
       return res.status(400).json({ message: "IDs invÃ¡lidos." });
     }
 
+    const antes = await capturarAlunos(pool, escola_id, ids);
     const [result] = await pool.query(
       `UPDATE alunos SET status = 'inativo' WHERE id IN (?) AND escola_id = ? AND status = 'ativo'`,
       [ids, escola_id]
     );
+    await auditarAlunos(req, ids, antes);
 
     // Inativa matrÃ­culas correspondentes
-    const anoLetivoAtual = typeof anoLetivoPadrao === "function" ? anoLetivoPadrao() : String(new Date().getFullYear());
+    const anoLetivoAtual = await anoLetivoPadrao(escola_id);
     await pool.query(
       `UPDATE matriculas SET status = 'inativo' WHERE aluno_id IN (?) AND escola_id = ? AND ano_letivo = ?`,
       [ids, escola_id, anoLetivoAtual]
@@ -1764,7 +1849,7 @@ router.post("/importar-xlsx", uploadXlsx.single("file"), async (req, res) => {
 
   try {
     const { escola_id } = req.user;
-    const anoLetivoAtual = typeof anoLetivoPadrao === "function" ? anoLetivoPadrao() : String(new Date().getFullYear());
+    const anoLetivoAtual = await anoLetivoPadrao(escola_id);
 
     const workbook = XLSX.read(req.file.buffer, { type: "buffer" });
     const primeiraAbaNome = workbook.SheetNames[0];
@@ -2040,8 +2125,7 @@ router.get("/:id/ocorrencias", verificarEscola, async (req, res) => {
     // Atualiza bÃ´nus de mÃ©dia bimestral em tempo real antes de retornar ocorrÃªncias
     await calcularEUpsertBonusMedia(id, escola_id);
 
-    // Query principal: inclui atenuantes/agravantes (Art. 34/35)
-    // Fallback automÃ¡tico caso a migration ainda nÃ£o tenha sido executada no servidor
+    // Inclui atenuantes/agravantes (Art. 34/35)
     const QUERY_FULL = `
       SELECT o.id,
               (
@@ -2089,65 +2173,7 @@ router.get("/:id/ocorrencias", verificarEscola, async (req, res) => {
        WHERE o.aluno_id = ? AND o.escola_id = ?
        ORDER BY o.data_ocorrencia DESC, o.id DESC`;
 
-    const QUERY_COMPAT = `
-      SELECT o.id,
-              (
-                SELECT JSON_ARRAYAGG(
-                  JSON_OBJECT(
-                    'responsavel_id', resp.id,
-                    'nome', resp.nome,
-                    'parentesco', ra.parentesco,
-                    'master', ra.principal,
-                    'data', DATE_FORMAT(ov.visualizado_em, '%d/%m/%Y %H:%i')
-                  )
-                )
-                FROM ocorrencias_visualizacoes ov
-                JOIN responsaveis resp ON resp.id = ov.responsavel_id
-                LEFT JOIN responsaveis_alunos ra ON ra.responsavel_id = resp.id AND ra.aluno_id = o.aluno_id
-                WHERE ov.ocorrencia_id = o.id
-              ) AS visualizacoes,
-              LPAD(o.id, 4, '0') AS registro,
-              DATE_FORMAT(o.data_ocorrencia, '%d/%m/%Y') AS data_ocorrencia,
-              o.motivo,
-              r.medida_disciplinar,
-              r.tipo_ocorrencia AS tipo,
-              r.pontos,
-              o.descricao,
-              o.registro_interno,
-              o.convocar_responsavel,
-              DATE_FORMAT(o.data_convocacao, '%d/%m/%Y') AS data_convocacao,
-              o.dias_suspensao,
-              NULL AS atenuantes,
-              NULL AS agravantes,
-              DATE_FORMAT(o.data_comparecimento_responsavel, '%d/%m/%Y %H:%i') AS data_comparecimento_responsavel,
-              o.status,
-              ur.nome  AS nome_usuario_registro,
-              uf.nome  AS nome_usuario_finalizacao,
-              ui.nome  AS nome_usuario_impressao,
-              ue.nome  AS nome_usuario_edicao
-       FROM ocorrencias_disciplinares o
-       LEFT JOIN usuarios ur ON ur.id = o.usuario_registro_id
-       LEFT JOIN usuarios uf ON uf.id = o.usuario_finalizacao_id
-       LEFT JOIN usuarios ui ON ui.id = o.usuario_impressao_id
-       LEFT JOIN usuarios ue ON ue.id = o.usuario_edicao_id
-       LEFT JOIN registros_ocorrencias r
-         ON r.descricao_ocorrencia = o.motivo
-         AND (o.tipo_ocorrencia IS NULL OR o.tipo_ocorrencia = '' OR r.tipo_ocorrencia = o.tipo_ocorrencia)
-       WHERE o.aluno_id = ? AND o.escola_id = ?
-       ORDER BY o.data_ocorrencia DESC, o.id DESC`;
-
-    let rows;
-    try {
-      [rows] = await pool.query(QUERY_FULL, [id, escola_id]);
-    } catch (queryErr) {
-      if (queryErr.code === 'ER_BAD_FIELD_ERROR') {
-        // Migration atenuantes/agravantes ainda nÃ£o rodou â€” fallback compatÃ­vel
-        console.warn('[disciplinar] Colunas atenuantes/agravantes ausentes â€” usando query de compatibilidade. Execute run_migration_atenuantes_agravantes.js no servidor.');
-        [rows] = await pool.query(QUERY_COMPAT, [id, escola_id]);
-      } else {
-        throw queryErr;
-      }
-    }
+    const [rows] = await pool.query(QUERY_FULL, [id, escola_id]);
 
     res.json(rows);
   } catch (err) {
@@ -2156,7 +2182,7 @@ router.get("/:id/ocorrencias", verificarEscola, async (req, res) => {
   }
 });
 
-router.post("/:id/ocorrencias", verificarEscola, async (req, res) => {
+router.post("/:id/ocorrencias", verificarEscola, validar(schemas.criarOcorrencia), async (req, res) => {
   try {
     const { id } = req.params;
     const { escola_id } = req.user;
@@ -2173,34 +2199,17 @@ router.post("/:id/ocorrencias", verificarEscola, async (req, res) => {
     // Normalizar data de convocaÃ§Ã£o (aceita YYYY-MM-DD ou null/undefined)
     const dataConvocacaoVal = dataConvocacao || null;
 
-    // Fallback: se atenuantes/agravantes ou data_convocacao ainda nÃ£o existirem no BD, insere sem elas
-    let result;
-    try {
-      [result] = await pool.query(
-        `INSERT INTO ocorrencias_disciplinares
-           (aluno_id, escola_id, data_ocorrencia, motivo, tipo_ocorrencia, descricao, registro_interno,
-            convocar_responsavel, data_convocacao, dias_suspensao, atenuantes, agravantes, usuario_registro_id)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [id, escola_id, data, motivo, tipoOcorrencia || null, descricao || null,
-         registroInterno || null, convocarResponsavel ? 1 : 0, dataConvocacaoVal,
-         diasSuspensao || null, atenuantesJson, agravantesJson, usuarioRegistroId]
-      );
-    } catch (insertErr) {
-      if (insertErr.code === 'ER_BAD_FIELD_ERROR') {
-        // Colunas ausentes â€” insere sem elas
-        [result] = await pool.query(
-          `INSERT INTO ocorrencias_disciplinares
-             (aluno_id, escola_id, data_ocorrencia, motivo, tipo_ocorrencia, descricao, registro_interno,
-              convocar_responsavel, dias_suspensao, usuario_registro_id)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [id, escola_id, data, motivo, tipoOcorrencia || null, descricao || null,
-           registroInterno || null, convocarResponsavel ? 1 : 0, diasSuspensao || null,
-           usuarioRegistroId]
-        );
-      } else {
-        throw insertErr;
-      }
-    }
+    const [result] = await pool.query(
+      `INSERT INTO ocorrencias_disciplinares
+         (aluno_id, escola_id, data_ocorrencia, motivo, tipo_ocorrencia, descricao, registro_interno,
+          convocar_responsavel, data_convocacao, dias_suspensao, atenuantes, agravantes, usuario_registro_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, escola_id, data, motivo, tipoOcorrencia || null, descricao || null,
+       registroInterno || null, convocarResponsavel ? 1 : 0, dataConvocacaoVal,
+       diasSuspensao || null, atenuantesJson, agravantesJson, usuarioRegistroId]
+    );
+    await auditarOcorrencias(req, [result.insertId]);
+    await notificarOcorrencias(req, { [id]: result.insertId }, { data, convocar: convocarResponsavel, tipoOcorrencia, diasSuspensao });
 
     res.status(201).json({
       message: "OcorrÃªncia registrada com sucesso.",
@@ -2215,7 +2224,7 @@ router.post("/:id/ocorrencias", verificarEscola, async (req, res) => {
 // â”€â”€â”€ F.O. COLETIVO: Registro em Lote â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
 // POST /api/alunos/ocorrencias/lote
 // Body: { data, motivo, tipoOcorrencia, descricao, registroInterno, diasSuspensao, alunos:[{alunoId, convocarResponsavel}] }
-router.post("/ocorrencias/lote", verificarEscola, async (req, res) => {
+router.post("/ocorrencias/lote", verificarEscola, validar(schemas.criarOcorrenciasLote), async (req, res) => {
   try {
     const { escola_id } = req.user;
     const usuarioRegistroId = req.user.usuarioId || req.user.id || req.user.usuario_id;
@@ -2235,50 +2244,26 @@ router.post("/ocorrencias/lote", verificarEscola, async (req, res) => {
     let sucesso = 0;
     let falhas  = 0;
     const erros = [];
-
-    // Detectar se atenuantes/agravantes existem (teste Ãºnico antes do loop)
-    let colunasExtrasExistem = true;
-    try {
-      await pool.query(
-        `INSERT INTO ocorrencias_disciplinares
-           (aluno_id, escola_id, data_ocorrencia, motivo, tipo_ocorrencia, descricao, registro_interno,
-            convocar_responsavel, dias_suspensao, usuario_registro_id, lote_id, origem, atenuantes, agravantes)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'coletivo', NULL, NULL)
-         LIMIT 0`,
-        [0, 0, data, motivo, null, null, null, 0, null, usuarioRegistroId, loteId]
-      );
-    } catch (testErr) {
-      if (testErr.code === 'ER_BAD_FIELD_ERROR') colunasExtrasExistem = false;
-    }
+    const criadas = [];
+    const notificar = {};
+    const notificarConvocados = {};
 
     for (const item of alunos) {
       const { alunoId, convocarResponsavel } = item;
       if (!alunoId) { falhas++; continue; }
       try {
-        if (colunasExtrasExistem) {
-          await pool.query(
-            `INSERT INTO ocorrencias_disciplinares
-               (aluno_id, escola_id, data_ocorrencia, motivo, tipo_ocorrencia, descricao, registro_interno,
-                convocar_responsavel, dias_suspensao, usuario_registro_id, lote_id, origem)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'coletivo')`,
-            [alunoId, escola_id, data, motivo, tipoOcorrencia || null,
-             descricao || null, registroInterno || null,
-             convocarResponsavel ? 1 : 0, diasSuspensao || null,
-             usuarioRegistroId, loteId]
-          );
-        } else {
-          // Fallback: sem atenuantes/agravantes
-          await pool.query(
-            `INSERT INTO ocorrencias_disciplinares
-               (aluno_id, escola_id, data_ocorrencia, motivo, tipo_ocorrencia, descricao, registro_interno,
-                convocar_responsavel, dias_suspensao, usuario_registro_id, lote_id, origem)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'coletivo')`,
-            [alunoId, escola_id, data, motivo, tipoOcorrencia || null,
-             descricao || null, registroInterno || null,
-             convocarResponsavel ? 1 : 0, diasSuspensao || null,
-             usuarioRegistroId, loteId]
-          );
-        }
+        const [result] = await pool.query(
+          `INSERT INTO ocorrencias_disciplinares
+             (aluno_id, escola_id, data_ocorrencia, motivo, tipo_ocorrencia, descricao, registro_interno,
+              convocar_responsavel, dias_suspensao, usuario_registro_id, lote_id, origem)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'coletivo')`,
+          [alunoId, escola_id, data, motivo, tipoOcorrencia || null,
+           descricao || null, registroInterno || null,
+           convocarResponsavel ? 1 : 0, diasSuspensao || null,
+           usuarioRegistroId, loteId]
+        );
+        criadas.push(result.insertId);
+        (convocarResponsavel ? notificarConvocados : notificar)[alunoId] = result.insertId;
         sucesso++;
       } catch (innerErr) {
         console.error(`[Lote] Erro aluno ${alunoId}:`, innerErr);
@@ -2287,6 +2272,10 @@ router.post("/ocorrencias/lote", verificarEscola, async (req, res) => {
       }
     }
 
+    await auditarOcorrencias(req, criadas);
+    await notificarOcorrencias(req, notificar, { data, tipoOcorrencia, diasSuspensao });
+    await notificarOcorrencias(req, notificarConvocados, { data, convocar: true, tipoOcorrencia, diasSuspensao });
+
     return res.status(201).json({
       message: `${sucesso} registros criados com sucesso.${falhas > 0 ? ` ${falhas} falharam.` : ''}`,
       total: alunos.length,
@@ -2304,7 +2293,7 @@ router.post("/ocorrencias/lote", verificarEscola, async (req, res) => {
 
 // â”€â”€â”€ F.O. COLETIVO: Buscar registros por data (impressÃ£o em lote) â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
 // GET /api/alunos/ocorrencias/coletivos?data=YYYY-MM-DD
-router.get("/ocorrencias/coletivos", verificarEscola, async (req, res) => {
+router.get("/ocorrencias/coletivos", verificarEscola, validar(schemas.listarColetivos), async (req, res) => {
   try {
     const { escola_id } = req.user;
     const dataParam = req.query.data || (() => {
@@ -2381,7 +2370,7 @@ router.get("/ocorrencias/coletivos", verificarEscola, async (req, res) => {
 });
 // â”€â”€â”€ FIM COLETIVOS â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
 
-router.put("/:id/ocorrencias/:ocorrenciaId", verificarEscola, async (req, res) => {
+router.put("/:id/ocorrencias/:ocorrenciaId", verificarEscola, validar(schemas.atualizarOcorrencia), async (req, res) => {
   try {
     const { id, ocorrenciaId } = req.params;
     const { escola_id } = req.user;
@@ -2393,29 +2382,16 @@ router.put("/:id/ocorrencias/:ocorrenciaId", verificarEscola, async (req, res) =
     const agravantesJson = Array.isArray(agravantes) && agravantes.length > 0 ? JSON.stringify(agravantes) : null;
     const dataConvocacaoVal = dataConvocacao || null;
 
-    try {
-      await pool.query(
-        `UPDATE ocorrencias_disciplinares
-         SET descricao = ?, registro_interno = ?, convocar_responsavel = ?,
-             data_convocacao = ?, atenuantes = ?, agravantes = ?, usuario_edicao_id = ?
-         WHERE id = ? AND aluno_id = ? AND escola_id = ?`,
-        [descricao, registroInterno || null, convocarResponsavel ? 1 : 0,
-         dataConvocacaoVal, atenuantesJson, agravantesJson, usuarioEdicaoId, ocorrenciaId, id, escola_id]
-      );
-    } catch (updErr) {
-      if (updErr.code === 'ER_BAD_FIELD_ERROR') {
-        // Fallback sem data_convocacao/atenuantes/agravantes
-        await pool.query(
-          `UPDATE ocorrencias_disciplinares
-           SET descricao = ?, registro_interno = ?, convocar_responsavel = ?, usuario_edicao_id = ?
-           WHERE id = ? AND aluno_id = ? AND escola_id = ?`,
-          [descricao, registroInterno || null, convocarResponsavel ? 1 : 0,
-           usuarioEdicaoId, ocorrenciaId, id, escola_id]
-        );
-      } else {
-        throw updErr;
-      }
-    }
+    const antes = await capturarOcorrencias(pool, escola_id, [ocorrenciaId]);
+    await pool.query(
+      `UPDATE ocorrencias_disciplinares
+       SET descricao = ?, registro_interno = ?, convocar_responsavel = ?,
+           data_convocacao = ?, atenuantes = ?, agravantes = ?, usuario_edicao_id = ?
+       WHERE id = ? AND aluno_id = ? AND escola_id = ?`,
+      [descricao, registroInterno || null, convocarResponsavel ? 1 : 0,
+       dataConvocacaoVal, atenuantesJson, agravantesJson, usuarioEdicaoId, ocorrenciaId, id, escola_id]
+    );
+    await auditarOcorrencias(req, [ocorrenciaId], antes);
 
     res.json({ message: "OcorrÃªncia atualizada com sucesso." });
   } catch (err) {
@@ -2424,7 +2400,7 @@ router.put("/:id/ocorrencias/:ocorrenciaId", verificarEscola, async (req, res) =
   }
 });
 
-router.put("/:id/ocorrencias/:ocorrenciaId/comparecimento", verificarEscola, async (req, res) => {
+router.put("/:id/ocorrencias/:ocorrenciaId/comparecimento", verificarEscola, validar(schemas.registrarComparecimento), async (req, res) => {
   try {
     const { id, ocorrenciaId } = req.params;
     const { escola_id } = req.user;
@@ -2478,6 +2454,7 @@ router.put("/:id/ocorrencias/:ocorrenciaId/comparecimento", verificarEscola, asy
     }
     params.push(usuarioFinalizacaoId, ocorrenciaId, id, escola_id);
 
+    const antes = await capturarOcorrencias(pool, escola_id, [ocorrenciaId]);
     const [result] = await pool.query(
       `UPDATE ocorrencias_disciplinares 
        SET ${setComparecimento}
@@ -2491,6 +2468,7 @@ router.put("/:id/ocorrencias/:ocorrenciaId/comparecimento", verificarEscola, asy
     if (result.affectedRows === 0) {
       return res.status(404).json({ message: "OcorrÃªncia nÃ£o encontrada." });
     }
+    await auditarOcorrencias(req, [ocorrenciaId], antes);
 
     res.json({ message: "OcorrÃªncia finalizada com sucesso.", modo });
   } catch (err) {
@@ -2504,12 +2482,13 @@ router.put("/:id/ocorrencias/:ocorrenciaId/comparecimento", verificarEscola, asy
 // Cancela uma medida disciplinar â€” reverte a pontuaÃ§Ã£o do aluno
 // Registra o usuÃ¡rio que realizou o cancelamento
 // ============================================================================
-router.put("/:id/ocorrencias/:ocorrenciaId/cancelamento", verificarEscola, async (req, res) => {
+router.put("/:id/ocorrencias/:ocorrenciaId/cancelamento", verificarEscola, validar(schemas.ocorrenciaPorId), async (req, res) => {
   try {
     const { id, ocorrenciaId } = req.params;
     const { escola_id } = req.user;
     const usuarioCancelamentoId = req.user.usuarioId || req.user.id || req.user.usuario_id;
 
+    const antes = await capturarOcorrencias(pool, escola_id, [ocorrenciaId]);
     const [result] = await pool.query(
       `UPDATE ocorrencias_disciplinares 
        SET status = 'CANCELADA',
@@ -2521,6 +2500,7 @@ router.put("/:id/ocorrencias/:ocorrenciaId/cancelamento", verificarEscola, async
     if (result.affectedRows === 0) {
       return res.status(404).json({ message: "OcorrÃªncia nÃ£o encontrada ou jÃ¡ cancelada." });
     }
+    await auditarOcorrencias(req, [ocorrenciaId], antes);
 
     res.json({ message: "Medida disciplinar cancelada com sucesso." });
   } catch (err) {
@@ -2529,11 +2509,12 @@ router.put("/:id/ocorrencias/:ocorrenciaId/cancelamento", verificarEscola, async
   }
 });
 
-router.delete("/:id/ocorrencias/:ocorrenciaId", verificarEscola, async (req, res) => {
+router.delete("/:id/ocorrencias/:ocorrenciaId", verificarEscola, validar(schemas.ocorrenciaPorId), async (req, res) => {
   try {
     const { id, ocorrenciaId } = req.params;
     const { escola_id } = req.user;
 
+    const antes = await capturarOcorrencias(pool, escola_id, [ocorrenciaId]);
     const [result] = await pool.query(
       `DELETE FROM ocorrencias_disciplinares 
        WHERE id = ? AND aluno_id = ? AND escola_id = ? AND status != 'FINALIZADA'`,
@@ -2543,6 +2524,7 @@ router.delete("/:id/ocorrencias/:ocorrenciaId", verificarEscola, async (req, res
     if (result.affectedRows === 0) {
       return res.status(404).json({ message: "OcorrÃªncia nÃ£o encontrada ou nÃ£o pode ser excluÃ­da." });
     }
+    await auditarOcorrencias(req, [ocorrenciaId], antes);
 
     res.json({ message: "OcorrÃªncia excluÃ­da com sucesso." });
   } catch (err) {
@@ -2624,7 +2606,7 @@ router.get("/:id/proxima-ocorrencia-pedagogica", verificarEscola, async (req, re
 });
 
 // POST â€” criar nova ocorrÃªncia pedagÃ³gica
-router.post("/:id/ocorrencias-pedagogicas", verificarEscola, async (req, res) => {
+router.post("/:id/ocorrencias-pedagogicas", verificarEscola, validar(schemas.criarOcorrenciaPedagogica), async (req, res) => {
   try {
     const { id } = req.params;
     const { escola_id } = req.user;
@@ -2653,7 +2635,7 @@ router.post("/:id/ocorrencias-pedagogicas", verificarEscola, async (req, res) =>
 });
 
 // PUT — editar ocorrência pedagógica (apenas pelo autor do registro)
-router.put("/:id/ocorrencias-pedagogicas/:ocorrenciaId", verificarEscola, async (req, res) => {
+router.put("/:id/ocorrencias-pedagogicas/:ocorrenciaId", verificarEscola, validar(schemas.atualizarOcorrenciaPedagogica), async (req, res) => {
   try {
     const { id, ocorrenciaId } = req.params;
     const { escola_id } = req.user;
@@ -2687,7 +2669,7 @@ router.put("/:id/ocorrencias-pedagogicas/:ocorrenciaId", verificarEscola, async
 });
 
 // PUT â€” finalizar ocorrÃªncia pedagÃ³gica
-router.put("/:id/ocorrencias-pedagogicas/:ocorrenciaId/finalizar", verificarEscola, async (req, res) => {
+router.put("/:id/ocorrencias-pedagogicas/:ocorrenciaId/finalizar", verificarEscola, validar(schemas.ocorrenciaPorId), async (req, res) => {
   try {
     const { id, ocorrenciaId } = req.params;
     const { escola_id } = req.user;
@@ -2714,7 +2696,7 @@ router.put("/:id/ocorrencias-pedagogicas/:ocorrenciaId/finalizar", verificarEsco
 });
 
 // PUT â€” cancelar ocorrÃªncia pedagÃ³gica
-router.put("/:id/ocorrencias-pedagogicas/:ocorrenciaId/cancelamento", verificarEscola, async (req, res) => {
+router.put("/:id/ocorrencias-pedagogicas/:ocorrenciaId/cancelamento", verificarEscola, validar(schemas.ocorrenciaPorId), async (req, res) => {
   try {
     const { id, ocorrenciaId } = req.params;
     const { escola_id } = req.user;
@@ -2740,7 +2722,7 @@ router.put("/:id/ocorrencias-pedagogicas/:ocorrenciaId/cancelamento", verificarE
 });
 
 // DELETE — excluir ocorrência pedagógica (apenas REGISTRADA e pelo autor)
-router.delete("/:id/ocorrencias-pedagogicas/:ocorrenciaId", verificarEscola, async (req, res) => {
+router.delete("/:id/ocorrencias-pedagogicas/:ocorrenciaId", verificarEscola, validar(schemas.ocorrenciaPorId), async (req, res) => {
   try {
     const { id, ocorrenciaId } = req.params;
     const { escola_id } = req.user;
@@ -2785,7 +2767,7 @@ router.post("/importar-pdf-ieducar", uploadPdf.single("file"), async (req, res)
 
   try {
     const { escola_id } = req.user;
-    const anoLetivoAtual = typeof anoLetivoPadrao === "function" ? anoLetivoPadrao() : String(new Date().getFullYear());
+    const anoLetivoAtual = await anoLetivoPadrao(escola_id);
     const semTurma = req.body.semTurma === "true" || req.body.semTurma === true;
 
     // FASE 1: Extração posicional com separação por página
@@ -1,13 +1,19 @@
 import express from "express";
+import multer from "multer";
 import pool from "../db.js";
+import { anexar, listarAnexos } from "../services/arquivos.js";
+import { anoLetivoAtual } from "../services/calendarioLetivo.js";
 
 const router = express.Router();
 
+// Ficha/laudo do atendimento em memória → armazenamento privado (services/arquivos.js)
+const uploadAnexo = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024, files: 1 } });
+
 // [POST] /api/aph - Registra um novo atendimento pré-hospitalar
 router.post("/", async (req, res) => {
+  const escola_id = req.escola_id; // contexto da sessão (verificarEscola)
   const {
     aluno_id,
-    escola_id,
     local,
     solicitante,
     motivos,
@@ -27,13 +33,21 @@ router.post("/", async (req, res) => {
   const socorrista_nome = req.user?.nome || "Sistema"; // Pega do token
 
   try {
+    const [[aluno]] = await pool.query(
+      "SELECT id FROM alunos WHERE id = ? AND escola_id = ? LIMIT 1",
+      [aluno_id, escola_id]
+    );
+    if (!aluno) {
+      return res.status(404).json({ error: "Aluno não encontrado nesta escola." });
+    }
+
     const [result] = await pool.query(
       `INSERT INTO aph_atendimentos 
         (aluno_id, escola_id, local, solicitante, motivos, relato, condicao_geral, sinais, atendimentos, descricao_atendimento, materiais, outro_material, desfecho, comunicacao_resp, hora_comunicacao, hora_comparecimento, socorrista_nome) 
        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         aluno_id,
-        escola_id || 1, // fallback
+        escola_id,
         local || "",
         solicitante || "",
         JSON.stringify(motivos || []),
@@ -53,7 +67,7 @@ router.post("/", async (req, res) => {
     );
 
     const insertedId = result.insertId;
-    const ano = new Date().getFullYear();
+    const ano = await anoLetivoAtual(pool, escola_id);
     const numeroStr = String(insertedId).padStart(4, '0');
     const numero_atendimento = `APH-${ano}-${numeroStr}`;
 
@@ -77,7 +91,7 @@ router.post("/", async (req, res) => {
 // [GET] /api/aph/historico/:aluno_id - Busca o histórico de um aluno (filtrado por escola)
 router.get("/historico/:aluno_id", async (req, res) => {
   const { aluno_id } = req.params;
-  const escola_id = req.user?.escola_id;
+  const escola_id = req.escola_id;
 
   try {
     const [rows] = await pool.query(
@@ -93,7 +107,7 @@ router.get("/historico/:aluno_id", async (req, res) => {
 
 // [GET] /api/aph/escola - Lista todos os atendimentos da escola com filtros opcionais
 router.get("/escola", async (req, res) => {
-  const escola_id = req.user?.escola_id;
+  const escola_id = req.escola_id;
   const { data_inicio, data_fim, limit = 50, offset = 0, turma_id, motivo, aluno_nome } = req.query;
 
   try {
@@ -132,7 +146,7 @@ router.get("/escola", async (req, res) => {
 
 // [GET] /api/aph/materiais - Agrega materiais (atendimentos) mais usados na escola
 router.get("/materiais", async (req, res) => {
-  const escola_id = req.query.escola_id || 1;
+  const escola_id = req.escola_id;
 
   try {
     const [rows] = await pool.query(
@@ -164,4 +178,49 @@ router.get("/materiais", async (req, res) => {
   }
 });
 
+// [GET] /api/aph/:id/anexos - Anexos do atendimento, com URL assinada de vida curta
+router.get("/:id/anexos", async (req, res) => {
+  const escola_id = req.escola_id;
+
+  try {
+    const [[atendimento]] = await pool.query(
+      "SELECT id FROM aph_atendimentos WHERE id = ? AND escola_id = ? LIMIT 1",
+      [req.params.id, escola_id]
+    );
+    if (!atendimento) return res.status(404).json({ error: "Atendimento não encontrado." });
+
+    const anexos = await listarAnexos(pool, { escolaId: escola_id, categoria: "aph", referenciaId: atendimento.id });
+    res.status(200).json({ success: true, anexos });
+  } catch (error) {
+    console.error("[APH] Erro ao listar anexos:", error);
+    res.status(500).json({ error: "Erro interno ao listar anexos." });
+  }
+});
+
+// [POST] /api/aph/:id/anexos - Anexa um arquivo (campo "arquivo": PDF ou imagem) ao atendimento
+router.post("/:id/anexos", uploadAnexo.single("arquivo"), async (req, res) => {
+  const escola_id = req.escola_id;
+
+  try {
+    const [[atendimento]] = await pool.query(
+      "SELECT id FROM aph_atendimentos WHERE id = ? AND escola_id = ? LIMIT 1",
+      [req.params.id, escola_id]
+    );
+    if (!atendimento) return res.status(404).json({ error: "Atendimento não encontrado." });
+
+    const anexo = await anexar(pool, {
+      escolaId: escola_id,
+      categoria: "aph",
+      referenciaId: atendimento.id,
+      file: req.file,
+      usuarioId: req.user?.id ?? null,
+    });
+    res.status(201).json({ success: true, anexo });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, codigo: error.codigo });
+    console.error("[APH] Erro ao anexar arquivo:", error);
+    res.status(500).json({ error: "Erro interno ao anexar arquivo." });
+  }
+});
+
 export default router;
@@ -6,6 +6,16 @@ import express from "express";
 import jwt from "jsonwebtoken";
 import crypto from "crypto";
 import pool from "../db.js";
+import {
+  TIPO_ALUNO,
+  criarSessao,
+  listarSessoes,
+  respostaSessaoInvalida,
+  revogarSessao,
+  rotacionarRefresh,
+} from "../services/sessoes.js";
+import { validar } from "../middleware/validarRequisicao.js";
+import * as schemas from "../schemas/appPais.js";
 
 const router = express.Router();
 
@@ -16,6 +26,55 @@ function normalizarCpf(cpf) {
   return String(cpf || "").replace(/\D/g, "").trim();
 }
 
+/** JWT de 30d do aluno + sessão revogável (services/sessoes.js). */
+async function emitirTokenAluno(aluno, req) {
+  const sessao = await criarSessao(pool, {
+    tipoConta: TIPO_ALUNO,
+    contaId: aluno.id,
+    escolaId: aluno.escola_id,
+    req,
+  });
+  const token = jwt.sign(
+    { tipo: "ALUNO", aluno_id: aluno.id, cpf: aluno.cpf, escola_id: aluno.escola_id, sid: sessao.sid },
+    APP_PAIS_JWT_SECRET,
+    { expiresIn: "30d" }
+  );
+  return { token, refresh_token: sessao.refresh_token };
+}
+
+/**
+ * Valida o Bearer de ALUNO (assinatura + sessão). Responde o erro e
+ * retorna null quando não passa.
+ */
+async function autenticarAluno(req, res) {
+  const authHeader = req.headers.authorization || "";
+  const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+  if (!token) {
+    res.status(401).json({ message: "Não autenticado." });
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, APP_PAIS_JWT_SECRET);
+  } catch (e) {
+    res.status(401).json({ message: "Token inválido ou expirado." });
+    return null;
+  }
+
+  if (payload?.tipo !== "ALUNO" || !payload?.aluno_id) {
+    res.status(403).json({ message: "Acesso negado." });
+    return null;
+  }
+
+  const invalida = await respostaSessaoInvalida(pool, payload);
+  if (invalida) {
+    res.status(invalida.status).json(invalida.body);
+    return null;
+  }
+  return payload;
+}
+
 function maskPhone(tel) {
   const t = String(tel || "").replace(/\D/g, "");
   if (t.length < 8) return "(**) *****-????";
@@ -25,13 +84,16 @@ function maskPhone(tel) {
 async function enviarCodigoPorSms(telefone, codigo) {
   // Integração SMS via Resend/Twilio — placeholder para implementação futura
   // Por enquanto apenas loga (em dev) ou chama serviço externo (em prod)
-  console.log(`[APP_ALUNO] SMS para ${maskPhone(telefone)}: código ${codigo}`);
+  // O código só aparece no log fora de produção.
+  if (process.env.NODE_ENV !== "production") {
+    console.log(`[APP_ALUNO] SMS para ${maskPhone(telefone)}: código ${codigo}`);
+  }
 }
 
 // ─────────────────────────────────────────────────────────────
 // POST /solicitar-codigo
 // ─────────────────────────────────────────────────────────────
-router.post("/solicitar-codigo", async (req, res) => {
+router.post("/solicitar-codigo", validar(schemas.alunoSolicitarCodigo), async (req, res) => {
   try {
     const cpf = normalizarCpf(req.body?.cpf);
     if (!cpf) return res.status(400).json({ message: "CPF é obrigatório." });
@@ -66,7 +128,7 @@ router.post("/solicitar-codigo", async (req, res) => {
 // ─────────────────────────────────────────────────────────────
 // POST /verificar-data-nascimento
 // ─────────────────────────────────────────────────────────────
-router.post("/verificar-data-nascimento", async (req, res) => {
+router.post("/verificar-data-nascimento", validar(schemas.alunoVerificarDataNascimento), async (req, res) => {
   try {
     const cpf = normalizarCpf(req.body?.cpf);
     const dataNasc = String(req.body?.data_nascimento || "");
@@ -117,16 +179,13 @@ router.post("/verificar-data-nascimento", async (req, res) => {
 
     // ── Aluno já tem telefone cadastrado → emite JWT diretamente (sem SMS) ──
     if (aluno.telefone) {
-      const token = jwt.sign(
-        { tipo: "ALUNO", aluno_id: aluno.id, cpf: aluno.cpf, escola_id: aluno.escola_id },
-        APP_PAIS_JWT_SECRET,
-        { expiresIn: "30d" }
-      );
+      const { token, refresh_token } = await emitirTokenAluno(aluno, req);
       console.log(`[APP_ALUNO/DATA-NASC] JWT emitido diretamente para aluno_id=${aluno.id} (telefone já cadastrado)`);
       const consentOk = Number(aluno.consentimento_imagem) === 1;
       return res.json({
         ok: true,
         token,
+        refresh_token,
         aluno: {
           id: aluno.id,
           nome: aluno.estudante,
@@ -156,7 +215,7 @@ router.post("/verificar-data-nascimento", async (req, res) => {
 // ─────────────────────────────────────────────────────────────
 // POST /cadastrar-telefone
 // ─────────────────────────────────────────────────────────────
-router.post("/cadastrar-telefone", async (req, res) => {
+router.post("/cadastrar-telefone", validar(schemas.alunoCadastrarTelefone), async (req, res) => {
   try {
     const cpf = normalizarCpf(req.body?.cpf);
     const telefone = String(req.body?.telefone || "").replace(/\D/g, "");
@@ -185,16 +244,13 @@ router.post("/cadastrar-telefone", async (req, res) => {
 
     // Identidade já verificada via data de nascimento — emite JWT diretamente
     // sem precisar de SMS (Twilio não configurado)
-    const token = jwt.sign(
-      { tipo: "ALUNO", aluno_id: aluno.id, cpf: aluno.cpf, escola_id: aluno.escola_id },
-      APP_PAIS_JWT_SECRET,
-      { expiresIn: "30d" }
-    );
+    const { token, refresh_token } = await emitirTokenAluno(aluno, req);
 
     console.log(`[APP_ALUNO/CADASTRAR-TELEFONE] Telefone salvo + JWT emitido para aluno_id=${aluno.id}`);
     return res.json({
       ok: true,
       token,
+      refresh_token,
       aluno: { id: aluno.id, nome: aluno.estudante, escola_id: aluno.escola_id },
       telefone_mascara: maskPhone(telefone),
     });
@@ -207,7 +263,7 @@ router.post("/cadastrar-telefone", async (req, res) => {
 // ─────────────────────────────────────────────────────────────
 // POST /verificar-codigo
 // ─────────────────────────────────────────────────────────────
-router.post("/verificar-codigo", async (req, res) => {
+router.post("/verificar-codigo", validar(schemas.alunoVerificarCodigo), async (req, res) => {
   try {
     const cpf = normalizarCpf(req.body?.cpf);
     const codigo = String(req.body?.codigo || "").trim();
@@ -236,14 +292,11 @@ router.post("/verificar-codigo", async (req, res) => {
       await pool.query(`UPDATE alunos SET telefone = ? WHERE id = ?`, [otpRow.destino, aluno.id]);
     }
 
-    const token = jwt.sign(
-      { tipo: "ALUNO", aluno_id: aluno.id, cpf: aluno.cpf, escola_id: aluno.escola_id },
-      APP_PAIS_JWT_SECRET,
-      { expiresIn: "30d" }
-    );
+    const { token, refresh_token } = await emitirTokenAluno(aluno, req);
     return res.json({
       ok: true,
       token,
+      refresh_token,
       aluno: { id: aluno.id, nome: aluno.estudante, escola_id: aluno.escola_id },
     });
   } catch (e) {
@@ -257,19 +310,8 @@ router.post("/verificar-codigo", async (req, res) => {
 // ─────────────────────────────────────────────────────────────
 router.get("/me", async (req, res) => {
   try {
-    const authHeader = req.headers.authorization || "";
-    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
-    if (!token) return res.status(401).json({ message: "Não autenticado." });
-
-    let payload;
-    try {
-      payload = jwt.verify(token, APP_PAIS_JWT_SECRET);
-    } catch (e) {
-      return res.status(401).json({ message: "Token inválido ou expirado." });
-    }
-
-    if (payload?.tipo !== "ALUNO" || !payload?.aluno_id)
-      return res.status(403).json({ message: "Acesso negado." });
+    const payload = await autenticarAluno(req, res);
+    if (!payload) return;
 
     const [[aluno]] = await pool.query(
       `SELECT
@@ -322,19 +364,8 @@ router.get("/me", async (req, res) => {
 // ─────────────────────────────────────────────────────────────
 router.get("/carteirinha", async (req, res) => {
   try {
-    const authHeader = req.headers.authorization || "";
-    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
-    if (!token) return res.status(401).json({ message: "Não autenticado." });
-
-    let payload;
-    try {
-      payload = jwt.verify(token, APP_PAIS_JWT_SECRET);
-    } catch (e) {
-      return res.status(401).json({ message: "Token inválido ou expirado." });
-    }
-
-    if (payload?.tipo !== "ALUNO" || !payload?.aluno_id)
-      return res.status(403).json({ message: "Acesso negado." });
+    const payload = await autenticarAluno(req, res);
+    if (!payload) return;
 
     // Gera um token específico para a carteirinha (sem expiração, baseado no ID do aluno)
     const qrToken = jwt.sign(
@@ -352,4 +383,87 @@ router.get("/carteirinha", async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────────────────────
+// Sessões do aluno (services/sessoes.js)
+//   POST   /refresh       → novo JWT + novo refresh (rotação)
+//   POST   /logout        → encerra a sessão atual
+//   GET    /sessoes       → aparelhos conectados
+//   DELETE /sessoes/:sid  → desconecta um aparelho
+// ─────────────────────────────────────────────────────────────
+router.post("/refresh", validar(schemas.refreshSessao), async (req, res) => {
+  const refreshToken = String(req.body?.refresh_token || "").trim();
+  if (!refreshToken) return res.status(400).json({ message: "refresh_token é obrigatório." });
+
+  try {
+    const { sessao, refresh_token } = await rotacionarRefresh(pool, refreshToken, { req, tipoConta: TIPO_ALUNO });
+
+    const [[aluno]] = await pool.query(
+      `SELECT id, cpf, escola_id FROM alunos WHERE id = ? AND status = 'ativo' LIMIT 1`,
+      [sessao.conta_id]
+    );
+    if (!aluno) {
+      await revogarSessao(pool, sessao.sid, { motivo: "conta_inativa" });
+      return res.status(401).json({ code: "CONTA_INATIVA", message: "Aluno inativo. Procure a escola." });
+    }
+
+    const token = jwt.sign(
+      { tipo: "ALUNO", aluno_id: aluno.id, cpf: aluno.cpf, escola_id: aluno.escola_id, sid: sessao.sid },
+      APP_PAIS_JWT_SECRET,
+      { expiresIn: "30d" }
+    );
+    return res.json({ ok: true, token, refresh_token });
+  } catch (e) {
+    if (e?.status === 401) return res.status(401).json({ code: e.code, message: e.message });
+    console.error("[APP_ALUNO/REFRESH]", e);
+    return res.status(500).json({ message: "Erro interno." });
+  }
+});
+
+router.post("/logout", async (req, res) => {
+  try {
+    const payload = await autenticarAluno(req, res);
+    if (!payload) return;
+    if (payload.sid) {
+      await revogarSessao(pool, payload.sid, { tipoConta: TIPO_ALUNO, contaId: payload.aluno_id, motivo: "logout" });
+    }
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("[APP_ALUNO/LOGOUT]", e);
+    return res.status(500).json({ message: "Erro interno." });
+  }
+});
+
+router.get("/sessoes", async (req, res) => {
+  try {
+    const payload = await autenticarAluno(req, res);
+    if (!payload) return;
+    const sessoes = await listarSessoes(pool, {
+      tipoConta: TIPO_ALUNO,
+      contaId: payload.aluno_id,
+      sidAtual: payload.sid || null,
+    });
+    return res.json({ ok: true, sessoes });
+  } catch (e) {
+    console.error("[APP_ALUNO/SESSOES]", e);
+    return res.status(500).json({ message: "Erro interno." });
+  }
+});
+
+router.delete("/sessoes/:sid", async (req, res) => {
+  try {
+    const payload = await autenticarAluno(req, res);
+    if (!payload) return;
+    const ok = await revogarSessao(pool, String(req.params.sid), {
+      tipoConta: TIPO_ALUNO,
+      contaId: payload.aluno_id,
+      motivo: "encerrada_pelo_usuario",
+    });
+    if (!ok) return res.status(404).json({ message: "Sessão não encontrada." });
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("[APP_ALUNO/SESSOES]", e);
+    return res.status(500).json({ message: "Erro interno." });
+  }
+});
+
 export default router;
@@ -5,6 +5,24 @@ import jwt from "jsonwebtoken";
 import crypto from "crypto";
 import pool from "../db.js";
 import { getSignedGetObjectUrl } from "../storage/spacesUpload.js";
+import {
+  TIPO_ALUNO,
+  TIPO_RESPONSAVEL,
+  criarSessao,
+  respostaSessaoInvalida,
+} from "../services/sessoes.js";
+import { validar } from "../middleware/validarRequisicao.js";
+import { cabecalhosCorrelacao } from "../services/logger.js";
+import * as schemas from "../schemas/appPais.js";
+import { lerPreferencias, salvarPreferencias } from "../services/preferenciasNotificacao.js";
+import {
+  abrirSolicitacao as abrirSolicitacaoLgpd,
+  arquivoDaSolicitacao,
+  buscarSolicitacao as buscarSolicitacaoLgpd,
+  listarSolicitacoes as listarSolicitacoesLgpd,
+} from "../services/lgpd.js";
+import { revogarConsentimento, situacaoDoVinculo } from "../services/consentimentoImagem.js";
+import { anoLetivoAtual, anoLetivoPorMes, hojeNoFuso } from "../services/calendarioLetivo.js";
 
 const APP_PAIS_VERSION = "v4-resend-2026-04-24";
 console.log("[APP_PAIS] MÃ³dulo carregado:", APP_PAIS_VERSION);
@@ -43,16 +61,25 @@ function normalizarCodigo(codigo) {
   return String(codigo).trim();
 }
 
-function gerarTokenSessaoResponsavel(responsavel) {
+// Sessão revogável (services/sessoes.js) → { token, refresh_token }
+async function gerarTokenSessaoResponsavel(responsavel, req) {
+  const sessao = await criarSessao(pool, {
+    tipoConta: TIPO_RESPONSAVEL,
+    contaId: responsavel.id,
+    req,
+  });
+
   const payload = {
     tipo: "RESPONSAVEL",
     responsavel_id: responsavel.id,
     cpf: responsavel.cpf,
+    sid: sessao.sid,
   };
 
-  return jwt.sign(payload, APP_PAIS_JWT_SECRET, {
+  const token = jwt.sign(payload, APP_PAIS_JWT_SECRET, {
     expiresIn: APP_PAIS_JWT_EXPIRES_IN,
   });
+  return { token, refresh_token: sessao.refresh_token };
 }
 
 
@@ -96,7 +123,8 @@ function extrairObjectKeyDeFoto(dbFoto) {
   return null;
 }
 
-function authAppPais(req, res, next) {
+async function authAppPais(req, res, next) {
+  let decoded;
   try {
     const auth = req.headers.authorization || "";
     const parts = auth.split(" ");
@@ -105,29 +133,35 @@ function authAppPais(req, res, next) {
     }
 
     const token = parts[1];
-    const decoded = jwt.verify(token, APP_PAIS_JWT_SECRET);
-    req.appPaisAuth = decoded;
-
-    return next();
+    decoded = jwt.verify(token, APP_PAIS_JWT_SECRET);
   } catch (err) {
     return res.status(401).json({ message: "Token invÃ¡lido ou expirado." });
   }
+
+  const invalida = await respostaSessaoInvalida(pool, decoded);
+  if (invalida) return res.status(invalida.status).json(invalida.body);
+
+  req.appPaisAuth = decoded;
+  return next();
 }
 
-function authAluno(req, res, next) {
+async function authAluno(req, res, next) {
+  let decoded;
   try {
     const auth = req.headers.authorization || '';
     const parts = auth.split(' ');
     if (parts.length !== 2 || parts[0] !== 'Bearer')
       return res.status(401).json({ message: 'Token ausente ou inválido.' });
-    const decoded = jwt.verify(parts[1], APP_PAIS_JWT_SECRET);
-    if (decoded.tipo !== 'ALUNO')
-      return res.status(403).json({ message: 'Acesso restrito a alunos.' });
-    req.alunoAuth = decoded;
-    return next();
+    decoded = jwt.verify(parts[1], APP_PAIS_JWT_SECRET);
   } catch (err) {
     return res.status(401).json({ message: 'Token inválido ou expirado.' });
   }
+  if (decoded.tipo !== 'ALUNO')
+    return res.status(403).json({ message: 'Acesso restrito a alunos.' });
+  const invalida = await respostaSessaoInvalida(pool, decoded);
+  if (invalida) return res.status(invalida.status).json(invalida.body);
+  req.alunoAuth = decoded;
+  return next();
 }
 
 function maskPhone(tel) {
@@ -190,10 +224,10 @@ async function enviarCodigoPorEmail(email, codigo) {
     // â”â”â” PRIORIDADE: Resend HTTP API (nÃ£o usa SMTP, nunca bloqueado) â”â”â”â”â”â”â”â”â”â”â”â”â”â”â”â”â”
     const resp = await fetch("https://api.resend.com/emails", {
       method: "POST",
-      headers: {
+      headers: cabecalhosCorrelacao({
         Authorization: `Bearer ${RESEND_API_KEY}`,
         "Content-Type": "application/json",
-      },
+      }),
       body: JSON.stringify({
         from: RESEND_FROM,
         to: [email],
@@ -264,10 +298,10 @@ async function enviarCodigoPorSms(telefone, codigo) {
     `https://api.twilio.com/2010-04-01/Accounts/${SID}/Messages.json`,
     {
       method: "POST",
-      headers: {
+      headers: cabecalhosCorrelacao({
         Authorization: "Basic " + Buffer.from(`${SID}:${TOKEN}`).toString("base64"),
         "Content-Type": "application/x-www-form-urlencoded",
-      },
+      }),
       body: new URLSearchParams({ From: FROM, To: e164, Body: body }).toString(),
     }
   );
@@ -297,150 +331,8 @@ function mascaraTelefone(tel) {
   return `(${d.slice(0, 2)}) 9****-${d.slice(-4)}`;
 }
 
-// ============================================================================
-// STARTUP MIGRATIONS â€” executadas automaticamente no boot do servidor
-// Falham silenciosamente em ambiente local sem credenciais de BD.
-// ============================================================================
-async function runStartupMigrations() {
-  // 1. CREATE TABLE consentimentos_log (audit log jurÃ­dico imutÃ¡vel)
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS consentimentos_log (
-      id              BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
-      responsavel_id  INT NOT NULL,
-      aluno_id        INT NOT NULL,
-      escola_id       INT NOT NULL,
-      responsavel_nome  VARCHAR(255) NOT NULL,
-      responsavel_cpf   VARCHAR(11)  NOT NULL,
-      aluno_nome        VARCHAR(255) NOT NULL,
-      acao          ENUM('CONCEDER','REVOGAR') NOT NULL DEFAULT 'CONCEDER',
-      canal         ENUM('FISICO','DIGITAL_APP','DIGITAL_WEB') NOT NULL,
-      versao_termo  VARCHAR(20) NOT NULL DEFAULT '3.0',
-      ip_address    VARCHAR(45)  NULL,
-      user_agent    TEXT         NULL,
-      device_id     VARCHAR(255) NULL,
-      plataforma    VARCHAR(50)  NULL,
-      chk_fotografia_cadastro    TINYINT(1) NOT NULL DEFAULT 0,
-      chk_imagem_sistema         TINYINT(1) NOT NULL DEFAULT 0,
-      chk_template_biometrico    TINYINT(1) NOT NULL DEFAULT 0,
-      chk_sistemas_seguranca     TINYINT(1) NOT NULL DEFAULT 0,
-      chk_app_educa_mobile       TINYINT(1) NOT NULL DEFAULT 0,
-      chk_captura_educa_capture  TINYINT(1) NOT NULL DEFAULT 0,
-      confirmado_por_usuario_id  INT          NULL,
-      confirmado_por_nome        VARCHAR(255) NULL,
-      confirmado_por_ip          VARCHAR(45)  NULL,
-      criado_em DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-      INDEX idx_responsavel (responsavel_id),
-      INDEX idx_aluno       (aluno_id),
-      INDEX idx_escola      (escola_id),
-      INDEX idx_criado_em   (criado_em)
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-      COMMENT='Audit log jurÃ­dico de consentimentos LGPD â€” IMUTÃVEL'
-  `);
-
-  // 2. Novos campos em responsaveis_alunos (cada ALTER separado para tolerar falha individual)
-  const alterColumns = [
-    `ALTER TABLE responsaveis_alunos ADD COLUMN consentimento_canal
-       ENUM('FISICO','DIGITAL_APP','DIGITAL_WEB') NULL DEFAULT NULL
-       COMMENT 'Canal pelo qual o consentimento foi obtido'
-       AFTER consentimento_imagem_por`,
-    `ALTER TABLE responsaveis_alunos ADD COLUMN consentimento_versao_termo
-       VARCHAR(20) NULL DEFAULT NULL
-       COMMENT 'VersÃ£o do termo aceito (ex: 3.0)'
-       COMMENT 'Versão do termo aceito (ex: 3.0)'
-       AFTER consentimento_canal`,
-    `ALTER TABLE responsaveis_alunos ADD COLUMN consentimento_log_id
-       BIGINT UNSIGNED NULL DEFAULT NULL
-       COMMENT 'Referência ao registro mais recente em consentimentos_log'
-       AFTER consentimento_versao_termo`,
-    // Audit: timestamp de quando o responsável abriu o documento (LGPD click-through evidence)
-    `ALTER TABLE consentimentos_log ADD COLUMN termo_lido_em
-       DATETIME NULL DEFAULT NULL
-       COMMENT 'Timestamp de quando o responsável abriu o termo para leitura (audit LGPD)'
-       AFTER plataforma`,
-    // Termos de Uso + Política de Privacidade: aceite no 1º acesso ao app
-    `ALTER TABLE responsaveis ADD COLUMN termos_aceitos_em
-       DATETIME NULL DEFAULT NULL
-       COMMENT 'Timestamp do aceite dos Termos de Uso e Política de Privacidade no EDUCA-Mobile'`,
-    `ALTER TABLE responsaveis ADD COLUMN termos_versao
-       VARCHAR(10) NULL DEFAULT NULL
-       COMMENT 'Versão dos Termos de Uso aceita pelo responsável'`,
-    // Parentesco: grau de parentesco do responsável com o aluno
-    `ALTER TABLE responsaveis_alunos ADD COLUMN parentesco
-       VARCHAR(30) NULL DEFAULT NULL
-       COMMENT 'Grau de parentesco com o aluno (ex: Pai, Mãe, Avó, Tio)'
-       AFTER pode_autorizar_terceiros`,
-  ];
-
-  for (const sql of alterColumns) {
-    try {
-      await pool.query(sql);
-    } catch (e) {
-      // Ignora "Duplicate column name" â€” coluna jÃ¡ existe
-      if (!e.message?.includes("Duplicate column")) {
-        console.warn("[APP_PAIS][MIGRATION] ALTER ignorado:", e.message);
-      }
-    }
-  }
-
-  // 3. Retrocompatibilidade: marca registros fÃ­sicos legados
-  await pool.query(`
-    UPDATE responsaveis_alunos
-    SET consentimento_canal = 'FISICO', consentimento_versao_termo = '3.0'
-    WHERE consentimento_imagem = 1 AND consentimento_canal IS NULL
-  `);
-
-  console.log("[APP_PAIS][MIGRATION] consentimentos_log — responsaveis_alunos atualizado");
-
-  // 5. APP ALUNO: adiciona coluna telefone em alunos (se não existir)
-  // Verifica manualmente para compatibilidade com MySQL < 8.0
-  try {
-    const [colsTel] = await pool.query(`SHOW COLUMNS FROM alunos LIKE 'telefone'`);
-    if (colsTel.length === 0) {
-      await pool.query(`ALTER TABLE alunos ADD COLUMN telefone VARCHAR(20) NULL AFTER cpf`);
-      console.log('[APP_PAIS][MIGRATION] alunos.telefone — coluna adicionada OK');
-    } else {
-      console.log('[APP_PAIS][MIGRATION] alunos.telefone — já existia, skip');
-    }
-  } catch (e) {
-    console.warn('[APP_PAIS][MIGRATION] alunos.telefone:', e.message);
-  }
-
-  // 6. APP ALUNO: cria tabela app_aluno_codigos (se não existir)
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS app_aluno_codigos (
-      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
-      aluno_id BIGINT UNSIGNED NOT NULL,
-      codigo CHAR(6) NOT NULL,
-      destino VARCHAR(20) NOT NULL,
-      expiracao DATETIME NOT NULL,
-      usado_em DATETIME NULL,
-      token_data_nasc VARCHAR(64) NULL,
-      token_data_nasc_exp DATETIME NULL,
-      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-      PRIMARY KEY (id),
-      INDEX idx_aluno_cod (aluno_id, codigo)
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-  `);
-  console.log('[APP_PAIS][MIGRATION] app_aluno_codigos — OK');
-
-  // 4. DEMO-APPLE: garante que o responsavel demo existe com CPF 00000000019
-  // Credencial fornecida à Apple App Store Review. O token é gerado diretamente
-  // no bypass de /verificar-codigo — sem necessidade de vínculos reais no banco.
-  try {
-    await pool.query(
-      `INSERT INTO responsaveis (nome, cpf, email, status_global)
-       VALUES ('Demo Apple Review', '00000000019', 'demo@educamelhor.com.br', 'ATIVO')
-       ON DUPLICATE KEY UPDATE nome = nome`
-    );
-    console.log('[APP_PAIS][MIGRATION] Responsavel demo DEMO-APPLE garantido (cpf=00000000019).');
-  } catch (e) {
-    console.warn('[APP_PAIS][MIGRATION] Erro ao garantir responsavel demo:', e.message);
-  }
-}
-
-runStartupMigrations().catch(err =>
-  console.warn("[APP_PAIS][MIGRATION] Erro (nÃ£o crÃ­tico):", err.message)
-);
+// Schema (consentimentos_log, colunas de consentimento/termos, app_aluno_codigos,
+// responsável demo): migrations/versions/0045_app_pais_consentimentos.js
 
 
 // ============================================================================
@@ -505,7 +397,7 @@ router.get("/me", authAppPais, async (req, res) => {
 // ============================================================================
 // POST /perfil/alterar-email/solicitar
 // ============================================================================
-router.post("/perfil/alterar-email/solicitar", authAppPais, async (req, res) => {
+router.post("/perfil/alterar-email/solicitar", authAppPais, validar(schemas.alterarEmailSolicitar), async (req, res) => {
   const { responsavel_id } = req.appPaisAuth;
   const novoEmail = String(req.body?.email || "").trim().toLowerCase();
 
@@ -531,7 +423,7 @@ router.post("/perfil/alterar-email/solicitar", authAppPais, async (req, res) =>
 // ============================================================================
 // POST /perfil/alterar-email/verificar
 // ============================================================================
-router.post("/perfil/alterar-email/verificar", authAppPais, async (req, res) => {
+router.post("/perfil/alterar-email/verificar", authAppPais, validar(schemas.alterarEmailVerificar), async (req, res) => {
   const { responsavel_id } = req.appPaisAuth;
   const codigo = normalizarCodigo(req.body?.codigo);
 
@@ -563,7 +455,7 @@ router.post("/perfil/alterar-email/verificar", authAppPais, async (req, res) =>
 // Salva ou atualiza o celular do responsável logado (sem OTP — dado de contato).
 // body: { telefone }   auth: token JWT (authAppPais)
 // ============================================================================
-router.post("/perfil/salvar-telefone", authAppPais, async (req, res) => {
+router.post("/perfil/salvar-telefone", authAppPais, validar(schemas.perfilSalvarTelefone), async (req, res) => {
   const { responsavel_id } = req.appPaisAuth;
   const telRaw = String(req.body?.telefone || "").replace(/\D/g, "").trim();
   const nomeRaw = String(req.body?.nome || "").trim();
@@ -645,15 +537,23 @@ router.get("/consentimento", authAppPais, async (req, res) => {
       [responsavel_id]
     );
 
-    const consentimento_pendente = alunos.some(a => !a.consentimento_imagem);
+    // Termo desatualizado ou vencido também pede nova confirmação
+    const situacoes = alunos.map(a => situacaoDoVinculo({
+      consentimento_imagem:       a.consentimento_imagem,
+      consentimento_imagem_em:    a.em,
+      consentimento_versao_termo: a.versao_termo,
+    }));
+    const consentimento_pendente = situacoes.some(s => s.situacao !== "valido");
 
     return res.json({
       ok: true,
       consentimento_pendente,
-      alunos: alunos.map(a => ({
+      alunos: alunos.map((a, i) => ({
         aluno_id:           a.aluno_id,
         nome:               a.aluno_nome,
         consentimento_imagem: !!a.consentimento_imagem,
+        situacao:           situacoes[i].situacao,
+        vence_em:           situacoes[i].vence_em,
         canal:              a.canal || null,
         em:                 a.em || null,
         versao_termo:       a.versao_termo || null,
@@ -671,7 +571,7 @@ router.get("/consentimento", authAppPais, async (req, res) => {
 // Faz INSERT no log imutÃ¡vel + UPDATE na flag operacional.
 // NÃ£o sobrescreve consentimento fÃ­sico jÃ¡ existente.
 // ============================================================================
-router.post("/consentimento/confirmar", authAppPais, async (req, res) => {
+router.post("/consentimento/confirmar", authAppPais, validar(schemas.confirmarConsentimento), async (req, res) => {
   const db = pool;
   try {
     const { responsavel_id } = req.appPaisAuth;
@@ -723,7 +623,8 @@ router.post("/consentimento/confirmar", authAppPais, async (req, res) => {
 
     // Valida vÃ­nculo ativo + busca nomes + verifica se jÃ¡ tem consentimento
     const [vinculos] = await db.query(
-      `SELECT ra.aluno_id, ra.escola_id, ra.consentimento_imagem, a.estudante AS aluno_nome
+      `SELECT ra.aluno_id, ra.escola_id, ra.consentimento_imagem, ra.consentimento_imagem_em,
+              ra.consentimento_versao_termo, a.estudante AS aluno_nome
        FROM responsaveis_alunos ra
        INNER JOIN alunos a ON a.id = ra.aluno_id
        WHERE ra.responsavel_id = ?
@@ -737,7 +638,8 @@ router.post("/consentimento/confirmar", authAppPais, async (req, res) => {
     }
 
     // Filtra apenas os que ainda nÃ£o tÃªm consentimento (nÃ£o sobrescreve canal fÃ­sico)
-    const pendentes = vinculos.filter(v => !v.consentimento_imagem);
+    // Consentimento expirado (termo antigo ou fora da validade) conta como pendente
+    const pendentes = vinculos.filter(v => situacaoDoVinculo(v).situacao !== "valido");
 
     if (pendentes.length === 0) {
       return res.json({ ok: true, message: "Consentimento jÃ¡ registrado para todos os alunos.", registrados: 0 });
@@ -814,12 +716,45 @@ router.post("/consentimento/confirmar", authAppPais, async (req, res) => {
 });
 
 
+// ============================================================================
+// POST /consentimento/revogar
+// Revoga o consentimento de imagem/biometria para um ou mais alunos.
+// Log imutável ('REVOGAR') + flag zerada + embeddings apagados, salvo se outro
+// responsável ainda consente (services/consentimentoImagem.js).
+// ============================================================================
+router.post("/consentimento/revogar", authAppPais, validar(schemas.revogarConsentimento), async (req, res) => {
+  try {
+    const { responsavel_id } = req.appPaisAuth;
+    const { aluno_ids, device_id = null, plataforma = null } = req.body;
+
+    const resultado = await revogarConsentimento(pool, {
+      responsavelId: responsavel_id,
+      alunoIds: aluno_ids,
+      canal: "DIGITAL_APP",
+      ip: req.headers["x-forwarded-for"]?.split(",")[0]?.trim() || req.ip || null,
+      userAgent: req.headers["user-agent"] || null,
+      deviceId: device_id,
+      plataforma,
+    });
+
+    return res.json({
+      ok: true,
+      message: resultado.revogados.length ? "Consentimento revogado." : "Nenhum consentimento ativo para revogar.",
+      aluno_ids: resultado.revogados,
+    });
+  } catch (error) {
+    if (error.status === 404) return res.status(404).json({ ok: false, message: error.message });
+    console.error("[APP_PAIS] Erro em /consentimento/revogar:", error);
+    return res.status(500).json({ ok: false, message: "Erro ao revogar consentimento." });
+  }
+});
+
 // ============================================================================
 // GET /consentimento/pre-login?cpf=...
 // Rota pré-autenticação: carrega os alunos do responsável pelo CPF (sem token).
 // Usado pela ConsentimentoScreen quando o responsável ainda não está logado.
 // ============================================================================
-router.get("/consentimento/pre-login", async (req, res) => {
+router.get("/consentimento/pre-login", validar(schemas.consentimentoPreLoginConsulta), async (req, res) => {
   const db = pool;
   const cpf = normalizarCpf(req.query?.cpf);
   if (!cpf) return res.status(400).json({ ok: false, message: "CPF obrigatório." });
@@ -861,7 +796,7 @@ router.get("/consentimento/pre-login", async (req, res) => {
 // Idêntica ao /consentimento/confirmar, mas aceita CPF em vez de token.
 // Usada quando o responsável assina o termo ANTES do primeiro login.
 // ============================================================================
-router.post("/consentimento/pre-login", async (req, res) => {
+router.post("/consentimento/pre-login", validar(schemas.consentimentoPreLogin), async (req, res) => {
   const db = pool;
   const cpf = normalizarCpf(req.body?.cpf);
   if (!cpf) return res.status(400).json({ ok: false, message: "CPF obrigatório." });
@@ -901,7 +836,8 @@ router.post("/consentimento/pre-login", async (req, res) => {
     const alunoIdsNum = aluno_ids.map(Number);
 
     const [vinculos] = await db.query(
-      `SELECT ra.aluno_id, ra.escola_id, ra.consentimento_imagem, a.estudante AS aluno_nome
+      `SELECT ra.aluno_id, ra.escola_id, ra.consentimento_imagem, ra.consentimento_imagem_em,
+              ra.consentimento_versao_termo, a.estudante AS aluno_nome
        FROM responsaveis_alunos ra
        INNER JOIN alunos a ON a.id = ra.aluno_id
        WHERE ra.responsavel_id = ?
@@ -914,7 +850,7 @@ router.post("/consentimento/pre-login", async (req, res) => {
       return res.status(403).json({ ok: false, message: "Nenhum vínculo ativo encontrado." });
     }
 
-    const pendentes = vinculos.filter(v => !v.consentimento_imagem);
+    const pendentes = vinculos.filter(v => situacaoDoVinculo(v).situacao !== "valido");
     if (pendentes.length === 0) {
       return res.json({ ok: true, message: "Consentimento já registrado.", registrados: 0 });
     }
@@ -1082,7 +1018,7 @@ router.get("/alunos", authAppPais, async (req, res) => {
 // - Bucket privado: App Pais pede URL assinada temporÃ¡ria
 // - Valida vÃ­nculo responsaveis_alunos (ativo=1) + escola_id do vÃ­nculo
 // ============================================================================
-router.get("/alunos/:id/foto-url", authAppPais, async (req, res) => {
+router.get("/alunos/:id/foto-url", authAppPais, validar(schemas.fotoAluno), async (req, res) => {
   const db = pool;
 
   try {
@@ -1139,22 +1075,25 @@ router.get("/alunos/:id/foto-url", authAppPais, async (req, res) => {
 // Querystring:
 //   /api/app-pais/boletim?aluno_id=2&ano=2024   (ano opcional)
 // ============================================================================
-function authAppPaisOuAluno(req, res, next) {
+async function authAppPaisOuAluno(req, res, next) {
+  let decoded;
   try {
     const auth = req.headers.authorization || '';
     const parts = auth.split(' ');
     if (parts.length !== 2 || parts[0] !== 'Bearer')
       return res.status(401).json({ message: 'Token ausente.' });
-    const decoded = jwt.verify(parts[1], APP_PAIS_JWT_SECRET);
-    if (decoded.tipo === 'ALUNO') req.alunoAuth = decoded;
-    else req.appPaisAuth = decoded;
-    return next();
+    decoded = jwt.verify(parts[1], APP_PAIS_JWT_SECRET);
   } catch (e) {
     return res.status(401).json({ message: 'Token inválido ou expirado.' });
   }
+  const invalida = await respostaSessaoInvalida(pool, decoded);
+  if (invalida) return res.status(invalida.status).json(invalida.body);
+  if (decoded.tipo === 'ALUNO') req.alunoAuth = decoded;
+  else req.appPaisAuth = decoded;
+  return next();
 }
 
-router.get("/boletim", authAppPaisOuAluno, async (req, res) => {
+router.get("/boletim", authAppPaisOuAluno, validar(schemas.boletim), async (req, res) => {
   const db = pool;
 
   try {
@@ -1275,7 +1214,7 @@ router.get("/alunos", authAppPais, async (req, res) => {
 // - Bucket privado: App Pais pede URL assinada temporária
 // - Valida vínculo responsaveis_alunos (ativo=1) + escola_id do vínculo
 // ============================================================================
-router.get("/alunos/:id/foto-url", authAppPais, async (req, res) => {
+router.get("/alunos/:id/foto-url", authAppPais, validar(schemas.fotoAluno), async (req, res) => {
   const db = pool;
 
   try {
@@ -1332,22 +1271,25 @@ router.get("/alunos/:id/foto-url", authAppPais, async (req, res) => {
 // Querystring:
 //   /api/app-pais/boletim?aluno_id=2&ano=2024   (ano opcional)
 // ============================================================================
-function authAppPaisOuAluno(req, res, next) {
+async function authAppPaisOuAluno(req, res, next) {
+  let decoded;
   try {
     const auth = req.headers.authorization || '';
     const parts = auth.split(' ');
     if (parts.length !== 2 || parts[0] !== 'Bearer')
       return res.status(401).json({ message: 'Token ausente.' });
-    const decoded = jwt.verify(parts[1], APP_PAIS_JWT_SECRET);
-    if (decoded.tipo === 'ALUNO') req.alunoAuth = decoded;
-    else req.appPaisAuth = decoded;
-    return next();
+    decoded = jwt.verify(parts[1], APP_PAIS_JWT_SECRET);
   } catch (e) {
     return res.status(401).json({ message: 'Token inválido ou expirado.' });
   }
+  const invalida = await respostaSessaoInvalida(pool, decoded);
+  if (invalida) return res.status(invalida.status).json(invalida.body);
+  if (decoded.tipo === 'ALUNO') req.alunoAuth = decoded;
+  else req.appPaisAuth = decoded;
+  return next();
 }
 
-router.get("/boletim", authAppPaisOuAluno, async (req, res) => {
+router.get("/boletim", authAppPaisOuAluno, validar(schemas.boletim), async (req, res) => {
   const db = pool;
 
   try {
@@ -1464,7 +1406,7 @@ router.get("/boletim", authAppPaisOuAluno, async (req, res) => {
 // Querystring:
 //   /api/app-pais/boletim-pdf?aluno_id=2&ano=2025&bimestre=2
 // ============================================================================
-router.get("/boletim-pdf", authAppPais, async (req, res) => {
+router.get("/boletim-pdf", authAppPais, validar(schemas.boletimPdf), async (req, res) => {
   const db = pool;
 
   try {
@@ -1923,7 +1865,7 @@ router.get("/boletim-pdf", authAppPais, async (req, res) => {
 // Querystring:
 //   /api/app-pais/ranking?aluno_id=2&ano=2025&bimestre=2
 // ============================================================================
-router.get("/ranking", authAppPais, async (req, res) => {
+router.get("/ranking", authAppPais, validar(schemas.ranking), async (req, res) => {
   const db = pool;
 
   try {
@@ -2124,7 +2066,7 @@ router.get("/credenciais/contextos", authAppPais, async (req, res) => {
 // ============================================================================
 
 // POST /aluno/solicitar-codigo
-router.post('/aluno/solicitar-codigo', async (req, res) => {
+router.post('/aluno/solicitar-codigo', validar(schemas.alunoSolicitarCodigo), async (req, res) => {
   try {
     const cpf = normalizarCpf(req.body?.cpf);
     if (!cpf) return res.status(400).json({ message: 'CPF é obrigatório.' });
@@ -2151,7 +2093,7 @@ router.post('/aluno/solicitar-codigo', async (req, res) => {
 });
 
 // POST /aluno/verificar-data-nascimento
-router.post('/aluno/verificar-data-nascimento', async (req, res) => {
+router.post('/aluno/verificar-data-nascimento', validar(schemas.alunoVerificarDataNascimento), async (req, res) => {
   try {
     const cpf = normalizarCpf(req.body?.cpf);
     const dataNasc = String(req.body?.data_nascimento || '');
@@ -2185,7 +2127,7 @@ router.post('/aluno/verificar-data-nascimento', async (req, res) => {
 });
 
 // POST /aluno/cadastrar-telefone
-router.post('/aluno/cadastrar-telefone', async (req, res) => {
+router.post('/aluno/cadastrar-telefone', validar(schemas.alunoCadastrarTelefone), async (req, res) => {
   try {
     const cpf = normalizarCpf(req.body?.cpf);
     const telefone = String(req.body?.telefone || '').replace(/\D/g, '');
@@ -2212,7 +2154,7 @@ router.post('/aluno/cadastrar-telefone', async (req, res) => {
 });
 
 // POST /aluno/verificar-codigo
-router.post('/aluno/verificar-codigo', async (req, res) => {
+router.post('/aluno/verificar-codigo', validar(schemas.alunoVerificarCodigo), async (req, res) => {
   try {
     const cpf = normalizarCpf(req.body?.cpf);
     const codigo = String(req.body?.codigo || '').trim();
@@ -2230,12 +2172,13 @@ router.post('/aluno/verificar-codigo', async (req, res) => {
     if (!aluno.telefone) {
       await pool.query(`UPDATE alunos SET telefone = ? WHERE id = ?`, [otpRow.destino, aluno.id]);
     }
+    const sessao = await criarSessao(pool, { tipoConta: TIPO_ALUNO, contaId: aluno.id, escolaId: aluno.escola_id, req });
     const token = jwt.sign(
-      { tipo: 'ALUNO', aluno_id: aluno.id, cpf: aluno.cpf, escola_id: aluno.escola_id },
+      { tipo: 'ALUNO', aluno_id: aluno.id, cpf: aluno.cpf, escola_id: aluno.escola_id, sid: sessao.sid },
       APP_PAIS_JWT_SECRET,
       { expiresIn: '30d' }
     );
-    return res.json({ ok: true, token, aluno: { id: aluno.id, nome: aluno.estudante, escola_id: aluno.escola_id } });
+    return res.json({ ok: true, token, refresh_token: sessao.refresh_token, aluno: { id: aluno.id, nome: aluno.estudante, escola_id: aluno.escola_id } });
   } catch (e) {
     console.error('[ALUNO/VERIFICAR-CODIGO]', e);
     return res.status(500).json({ message: 'Erro interno.' });
@@ -2263,7 +2206,7 @@ router.get('/aluno/me', authAluno, async (req, res) => {
   }
 });
 
-router.post("/solicitar-codigo", async (req, res) => {
+router.post("/solicitar-codigo", validar(schemas.solicitarCodigo), async (req, res) => {
   console.log("[SOLICITAR-CODIGO] body:", JSON.stringify(req.body ?? null));
   const db = pool;
   const cpf   = normalizarCpf(req.body?.cpf);
@@ -2405,7 +2348,7 @@ router.post("/solicitar-codigo", async (req, res) => {
 // - O e-mail fica persistido; no próximo acesso o backend usa diretamente
 // - Pode ser chamado novamente para trocar o e-mail
 // ============================================================================
-router.post("/salvar-email", async (req, res) => {
+router.post("/salvar-email", validar(schemas.salvarEmail), async (req, res) => {
   const db  = pool;
   const cpf = normalizarCpf(req.body?.cpf);
   const emailRaw = String(req.body?.email || "").trim().toLowerCase();
@@ -2454,7 +2397,7 @@ router.post("/salvar-email", async (req, res) => {
 // - Valida formato brasileiro (10-11 dígitos numéricos)
 // - Permite corrigir número desatualizado sem ir à secretaria
 // ============================================================================
-router.post("/salvar-telefone", async (req, res) => {
+router.post("/salvar-telefone", validar(schemas.salvarTelefone), async (req, res) => {
   const db  = pool;
   const cpf = normalizarCpf(req.body?.cpf);
   const telRaw = String(req.body?.telefone || "").replace(/\D/g, "").trim();
@@ -2497,7 +2440,7 @@ router.post("/salvar-telefone", async (req, res) => {
 // ============================================================================
 // POST /verificar-codigo
 // ============================================================================
-router.post("/verificar-codigo", async (req, res) => {
+router.post("/verificar-codigo", validar(schemas.verificarCodigo), async (req, res) => {
   const db = pool;
   const cpf = normalizarCpf(req.body?.cpf);
   const codigo = normalizarCodigo(req.body?.codigo);
@@ -2518,10 +2461,11 @@ router.post("/verificar-codigo", async (req, res) => {
         console.error('[APP_PAIS][DEMO] Responsável demo não encontrado no banco!');
         return res.status(500).json({ message: "Conta demo não configurada." });
       }
-      const token = gerarTokenSessaoResponsavel(demoResp);
+      const { token, refresh_token } = await gerarTokenSessaoResponsavel(demoResp, req);
       return res.json({
         ok: true,
         token,
+        refresh_token,
         expires_in: APP_PAIS_JWT_EXPIRES_IN_SECONDS,
         responsavel: demoResp,
       });
@@ -2600,11 +2544,12 @@ router.post("/verificar-codigo", async (req, res) => {
       });
     }
 
-    const token = gerarTokenSessaoResponsavel(responsavel);
+    const { token, refresh_token } = await gerarTokenSessaoResponsavel(responsavel, req);
 
     return res.json({
       ok: true,
       token,
+      refresh_token,
       expires_in: APP_PAIS_JWT_EXPIRES_IN_SECONDS,
       responsavel,
     });
@@ -2619,7 +2564,7 @@ router.post("/verificar-codigo", async (req, res) => {
 // - Master digita CPF do terceiro
 // - Se não existir no BD → 404 com orientação (precisa solicitar no app)
 // ============================================================================
-router.get("/credenciais/buscar", authAppPais, async (req, res) => {
+router.get("/credenciais/buscar", authAppPais, validar(schemas.buscarCredencial), async (req, res) => {
   const db = pool;
   const cpf = normalizarCpf(req.query?.cpf);
 
@@ -2651,7 +2596,7 @@ router.get("/credenciais/buscar", authAppPais, async (req, res) => {
 // ============================================================================
 // 🆕 PASSO 2.7.3.4 — CREDENCIAL / CONTEXTO (pré-login)
 // ============================================================================
-router.get("/credencial/contexto", async (req, res) => {
+router.get("/credencial/contexto", validar(schemas.credencialContexto), async (req, res) => {
   const db = pool;
   const cpf = normalizarCpf(req.query?.cpf);
 
@@ -2697,7 +2642,7 @@ router.get("/credencial/contexto", async (req, res) => {
 // ============================================================================
 // POST /api/app-pais/credencial/pre-cadastro
 // body: { cpf }
-router.post("/credencial/pre-cadastro", async (req, res) => {
+router.post("/credencial/pre-cadastro", validar(schemas.credencialPreCadastro), async (req, res) => {
   const db = pool;
   const cpfNorm = normalizarCpf(req.body?.cpf);
 
@@ -2751,7 +2696,7 @@ router.post("/credencial/pre-cadastro", async (req, res) => {
 // ============================================================================
 // 🆕 PASSO 2.7.3.4 — CREDENCIAL / SOLICITAR (pré-login)
 // ============================================================================
-router.post("/credencial/solicitar", async (req, res) => {
+router.post("/credencial/solicitar", validar(schemas.credencialSolicitar), async (req, res) => {
   const db = pool;
   const { cpf, nome, email, parentesco, observacao } = req.body;
 
@@ -2809,7 +2754,7 @@ router.post("/credencial/solicitar", async (req, res) => {
 // ============================================================================
 // GET /conteudos/disciplinas
 // ============================================================================
-router.get("/conteudos/disciplinas", authAppPaisOuAluno, async (req, res) => {
+router.get("/conteudos/disciplinas", authAppPaisOuAluno, validar(schemas.conteudosDisciplinas), async (req, res) => {
   const db = pool;
   const alunoId = Number(req.query.aluno_id);
 
@@ -2874,15 +2819,15 @@ router.get("/conteudos/disciplinas", authAppPaisOuAluno, async (req, res) => {
   }
 });
 
-router.get("/conteudos", authAppPaisOuAluno, async (req, res) => {
+router.get("/conteudos", authAppPaisOuAluno, validar(schemas.conteudos), async (req, res) => {
   const db = pool;
   try {
     const alunoId      = Number(req.query.aluno_id);
     const disciplinaId = Number(req.query.disciplina_id);
     const bimestre     = Number(req.query.bimestre);
 
-    // ano_letivo opcional: se nao vier, usamos o ano corrente
-    const anoLetivo = req.query.ano_letivo ? Number(req.query.ano_letivo) : new Date().getFullYear();
+    // ano_letivo opcional: se nao vier, usamos o ano letivo corrente do calendario da escola
+    let anoLetivo = req.query.ano_letivo ? Number(req.query.ano_letivo) : null;
 
     if (!alunoId || Number.isNaN(alunoId)) {
       return res.status(400).json({ message: "Parametro aluno_id invalido." });
@@ -2912,7 +2857,7 @@ router.get("/conteudos", authAppPaisOuAluno, async (req, res) => {
       const objetivosDemo = DEMO_OBJETIVOS[bimestre] || DEMO_OBJETIVOS[1];
       return res.json({
         ok: true,
-        ref: { escola_id: null, turma_id: null, disciplina_id: disciplinaId, bimestre, ano_letivo: anoLetivo },
+        ref: { escola_id: null, turma_id: null, disciplina_id: disciplinaId, bimestre, ano_letivo: anoLetivo ?? anoLetivoPorMes(hojeNoFuso()) },
         objetivos: objetivosDemo,
       });
     }
@@ -2920,7 +2865,7 @@ router.get("/conteudos", authAppPaisOuAluno, async (req, res) => {
     if (!bimestre || Number.isNaN(bimestre) || bimestre < 1 || bimestre > 4) {
       return res.status(400).json({ message: "Parametro bimestre invalido (1..4)." });
     }
-    if (!anoLetivo || Number.isNaN(anoLetivo)) {
+    if (anoLetivo !== null && (!anoLetivo || Number.isNaN(anoLetivo))) {
       return res.status(400).json({ message: "Parametro ano_letivo invalido." });
     }
 
@@ -2961,6 +2906,7 @@ router.get("/conteudos", authAppPaisOuAluno, async (req, res) => {
     const escolaId = ctxResult[0].escola_id;
     const turmaId  = ctxResult[0].turma_id;
     const serie    = String(ctxResult[0].serie || "").trim().toUpperCase();
+    if (anoLetivo === null) anoLetivo = await anoLetivoAtual(db, escolaId);
 
     if (!turmaId || !serie) {
       return res.json({
@@ -3060,7 +3006,7 @@ router.get("/conteudos", authAppPaisOuAluno, async (req, res) => {
 // Retorna registros pedagÃ³gicos e disciplinares do aluno para o responsÃ¡vel
 // Querystring: aluno_id, ano (opcional), tipo (pedagogico|disciplinar|all)
 // ============================================================================
-router.get("/registros", authAppPais, async (req, res) => {
+router.get("/registros", authAppPais, validar(schemas.registros), async (req, res) => {
   const db = pool;
   try {
     const { responsavel_id, cpf: cpfAuth } = req.appPaisAuth;
@@ -3183,7 +3129,7 @@ router.get("/registros", authAppPais, async (req, res) => {
         const totalBase = ptRows.reduce((s, r) => s + pontosEf(r.pontos, r.medida_disciplinar, r.dias_suspensao), 0);
         let bonusMerito = 0;
         try {
-          const anoAtualPt = new Date().getFullYear();
+          const anoAtualPt = await anoLetivoAtual(db, escola_id);
           const dataAncora = new Date(`${anoAtualPt}-02-15T00:00:00`);
           const hoje4 = new Date(); hoje4.setHours(23, 59, 59, 0);
           const [negs] = await db.query(
@@ -3228,7 +3174,7 @@ router.get("/registros", authAppPais, async (req, res) => {
 // REGISTROS - POST /registros/ler
 // Marca um registro (disciplinar ou pedagogico) como lido pelo responsavel.
 // ============================================================================
-router.post("/registros/ler", authAppPais, async (req, res) => {
+router.post("/registros/ler", authAppPais, validar(schemas.marcarRegistroLido), async (req, res) => {
   const db = pool;
   try {
     const { responsavel_id } = req.appPaisAuth;
@@ -3258,6 +3204,140 @@ router.post("/registros/ler", authAppPais, async (req, res) => {
   }
 });
 
+// ============================================================================
+// NOTIFICAÇÕES — GET/PUT /notificacoes/preferencias
+// Categorias × canais por aluno (aluno_id 0 = todos), horário de silêncio e
+// resumo diário (services/preferenciasNotificacao.js). Convocação e suspensão
+// são obrigatórias: não aceitam receber=false.
+// ============================================================================
+async function alunosDoResponsavel(db, responsavel_id) {
+  const [rows] = await db.query(
+    `SELECT ra.aluno_id, a.estudante AS nome
+       FROM responsaveis_alunos ra
+       JOIN alunos a ON a.id = ra.aluno_id
+      WHERE ra.responsavel_id = ? AND ra.ativo = 1
+      ORDER BY a.estudante`,
+    [responsavel_id]
+  );
+  return rows;
+}
+
+function comNomes(prefs, alunos) {
+  const nomes = new Map(alunos.map((a) => [Number(a.aluno_id), a.nome]));
+  return { ...prefs, alunos: prefs.alunos.map((a) => ({ ...a, nome: nomes.get(a.aluno_id) ?? null })) };
+}
+
+router.get("/notificacoes/preferencias", authAppPais, validar(schemas.preferenciasNotificacao), async (req, res) => {
+  try {
+    const { responsavel_id } = req.appPaisAuth;
+    const alunos = await alunosDoResponsavel(pool, responsavel_id);
+    const prefs = await lerPreferencias(pool, responsavel_id, alunos.map((a) => Number(a.aluno_id)));
+    return res.json({ ok: true, ...comNomes(prefs, alunos) });
+  } catch (err) {
+    console.error("[APP_PAIS] Erro em GET /notificacoes/preferencias:", err);
+    return res.status(500).json({ ok: false, message: "Erro ao carregar preferências de notificação." });
+  }
+});
+
+router.put("/notificacoes/preferencias", authAppPais, validar(schemas.salvarPreferenciasNotificacao), async (req, res) => {
+  try {
+    const { responsavel_id } = req.appPaisAuth;
+    const alunos = await alunosDoResponsavel(pool, responsavel_id);
+    const prefs = await salvarPreferencias(pool, responsavel_id, req.body, {
+      alunoIds: alunos.map((a) => Number(a.aluno_id)),
+    });
+    return res.json({ ok: true, ...comNomes(prefs, alunos) });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ ok: false, message: err.message });
+    console.error("[APP_PAIS] Erro em PUT /notificacoes/preferencias:", err);
+    return res.status(500).json({ ok: false, message: "Erro ao salvar preferências de notificação." });
+  }
+});
+
+// ============================================================================
+// LGPD — /lgpd/solicitacoes (services/lgpd.js)
+// O responsável pede a exportação ou a anonimização dos próprios dados ou dos
+// dados do aluno pelo qual responde (vínculo principal ativo). A escola tem
+// 15 dias úteis para atender; exportação sai sozinha, anonimização espera a
+// decisão da direção.
+// ============================================================================
+function origemAppPais(req, escolaId) {
+  return { escolaId, metodo: req.method, rota: req.originalUrl?.split("?")[0], ip: req.ip, perfil: "responsavel" };
+}
+
+router.post("/lgpd/solicitacoes", authAppPais, validar(schemas.abrirSolicitacaoLgpd), async (req, res) => {
+  try {
+    const { responsavel_id } = req.appPaisAuth;
+    const { tipo, aluno_id, motivo } = req.body;
+
+    const [[vinculo]] = aluno_id
+      ? await pool.query(
+          `SELECT escola_id FROM responsaveis_alunos
+            WHERE responsavel_id = ? AND aluno_id = ? AND ativo = 1 AND principal = 1
+            LIMIT 1`,
+          [responsavel_id, aluno_id]
+        )
+      : await pool.query(
+          `SELECT escola_id FROM responsaveis_alunos
+            WHERE responsavel_id = ?
+            ORDER BY ativo DESC, id ASC LIMIT 1`,
+          [responsavel_id]
+        );
+    if (!vinculo) {
+      return res.status(403).json({
+        ok: false,
+        message: aluno_id ? "Apenas o responsável principal do aluno pode fazer esta solicitação." : "Nenhuma escola vinculada.",
+      });
+    }
+
+    const { solicitacao, existente } = await abrirSolicitacaoLgpd(
+      pool,
+      {
+        escolaId: Number(vinculo.escola_id),
+        tipo,
+        alunoId: aluno_id,
+        responsavelId: responsavel_id,
+        origem: "app_pais",
+        abertaPorResponsavelId: responsavel_id,
+        motivo,
+      },
+      origemAppPais(req, Number(vinculo.escola_id))
+    );
+    return res.status(existente ? 200 : 201).json({ ok: true, existente, solicitacao });
+  } catch (err) {
+    if (err.status && err.status < 500) return res.status(err.status).json({ ok: false, message: err.message });
+    console.error("[APP_PAIS] Erro em POST /lgpd/solicitacoes:", err);
+    return res.status(500).json({ ok: false, message: "Erro ao registrar a solicitação." });
+  }
+});
+
+router.get("/lgpd/solicitacoes", authAppPais, validar(schemas.solicitacoesLgpd), async (req, res) => {
+  try {
+    const solicitacoes = await listarSolicitacoesLgpd(pool, { responsavelId: req.appPaisAuth.responsavel_id, limite: 50 });
+    return res.json({ ok: true, solicitacoes });
+  } catch (err) {
+    console.error("[APP_PAIS] Erro em GET /lgpd/solicitacoes:", err);
+    return res.status(500).json({ ok: false, message: "Erro ao listar solicitações." });
+  }
+});
+
+router.get("/lgpd/solicitacoes/:id/arquivo", authAppPais, validar(schemas.arquivoSolicitacaoLgpd), async (req, res) => {
+  try {
+    const sol = await buscarSolicitacaoLgpd(pool, Number(req.params.id), { responsavelId: req.appPaisAuth.responsavel_id });
+    if (!sol) return res.status(404).json({ ok: false, message: "Solicitação não encontrada." });
+
+    const arquivo = await arquivoDaSolicitacao(pool, sol);
+    if (!arquivo) return res.status(409).json({ ok: false, message: "Arquivo ainda não disponível.", solicitacao: sol });
+
+    res.setHeader("Content-Type", arquivo.mime);
+    res.setHeader("Content-Disposition", `attachment; filename=${arquivo.nome}`);
+    return res.send(arquivo.conteudo);
+  } catch (err) {
+    console.error("[APP_PAIS] Erro em GET /lgpd/solicitacoes/:id/arquivo:", err);
+    return res.status(500).json({ ok: false, message: "Erro ao baixar o arquivo." });
+  }
+});
+
 // ============================================================================
 // NOTÍCIAS — GET /noticias
 // Retorna a lista de notícias ativas da escola do usuário autenticado.
@@ -3308,7 +3388,7 @@ router.get("/noticias", authAppPaisOuAluno, async (req, res) => {
 // Catálogo de livros da escola para o aluno/responsável.
 // Suporta busca por ?q=, paginação por ?page= e ?limit=
 // ============================================================================
-router.get("/biblioteca/acervo", authAppPaisOuAluno, async (req, res) => {
+router.get("/biblioteca/acervo", authAppPaisOuAluno, validar(schemas.acervoBiblioteca), async (req, res) => {
   const db = pool;
   try {
     let escola_id = null;
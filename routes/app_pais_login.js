@@ -12,10 +12,26 @@
 //   GET  /credencial/contexto
 //   POST /credencial/pre-cadastro
 //   POST /credencial/solicitar
+//   POST /sessao/refresh             (refresh_token no body)
+//   POST /sessao/logout              (Bearer)
+//   GET  /sessoes | DELETE /sessoes/:sid (Bearer)
 
 import express from "express";
 import jwt     from "jsonwebtoken";
 import pool    from "../db.js";
+import {
+  TIPO_RESPONSAVEL,
+  criarSessao,
+  listarSessoes,
+  respostaSessaoInvalida,
+  revogarSessao,
+  rotacionarRefresh,
+} from "../services/sessoes.js";
+import { validar } from "../middleware/validarRequisicao.js";
+import { cabecalhosCorrelacao } from "../services/logger.js";
+import * as schemas from "../schemas/appPais.js";
+import { carregarPoliticaEscola, resolverPolitica, situacaoDaNota } from "../services/politicaNotas.js";
+import { anoLetivoAtual, anoLetivoPorMes, hojeNoFuso } from "../services/calendarioLetivo.js";
 
 const router = express.Router();
 
@@ -46,13 +62,21 @@ function mascaraTelefone(tel) {
   if (d.length < 10) return null;
   return `(${d.slice(0, 2)}) 9****-${d.slice(-4)}`;
 }
-function gerarTokenSessaoResponsavel(responsavel) {
+function assinarTokenResponsavel(responsavel, sid) {
   return jwt.sign(
-    { tipo: "RESPONSAVEL", responsavel_id: responsavel.id, cpf: responsavel.cpf },
+    { tipo: "RESPONSAVEL", responsavel_id: responsavel.id, cpf: responsavel.cpf, sid },
     APP_PAIS_JWT_SECRET,
     { expiresIn: APP_PAIS_JWT_EXPIRES_IN }
   );
 }
+/** Abre sessão revogável (services/sessoes.js) → { token, refresh_token } */
+async function gerarTokenSessaoResponsavel(responsavel, req) {
+  const sessao = await criarSessao(pool, { tipoConta: TIPO_RESPONSAVEL, contaId: responsavel.id, req });
+  return {
+    token: assinarTokenResponsavel(responsavel, sessao.sid),
+    refresh_token: sessao.refresh_token,
+  };
+}
 
 // ── Envio de e-mail via Resend (com fallback SMTP) ───────────────────────────
 async function enviarCodigoPorEmail(email, codigo) {
@@ -75,7 +99,7 @@ async function enviarCodigoPorEmail(email, codigo) {
   if (RESEND_API_KEY) {
     const resp = await fetch("https://api.resend.com/emails", {
       method: "POST",
-      headers: { Authorization: `Bearer ${RESEND_API_KEY}`, "Content-Type": "application/json" },
+      headers: cabecalhosCorrelacao({ Authorization: `Bearer ${RESEND_API_KEY}`, "Content-Type": "application/json" }),
       body: JSON.stringify({ from: RESEND_FROM, to: [email], subject, html, text }),
     });
     if (!resp.ok) {
@@ -122,10 +146,10 @@ async function enviarCodigoPorSms(telefone, codigo) {
     `https://api.twilio.com/2010-04-01/Accounts/${SID}/Messages.json`,
     {
       method: "POST",
-      headers: {
+      headers: cabecalhosCorrelacao({
         Authorization: "Basic " + Buffer.from(`${SID}:${TOKEN}`).toString("base64"),
         "Content-Type": "application/x-www-form-urlencoded",
-      },
+      }),
       body: new URLSearchParams({ From: FROM, To: e164, Body: body }).toString(),
     }
   );
@@ -138,7 +162,7 @@ async function enviarCodigoPorSms(telefone, codigo) {
 // POST /solicitar-codigo
 // Solicita código de acesso por e-mail ou SMS (pré-login, sem token).
 // ============================================================================
-router.post("/solicitar-codigo", async (req, res) => {
+router.post("/solicitar-codigo", validar(schemas.solicitarCodigo), async (req, res) => {
   console.log("[APP_PAIS_LOGIN][SOLICITAR-CODIGO] body:", JSON.stringify(req.body ?? null));
   const db    = pool;
   const cpf   = normalizarCpf(req.body?.cpf);
@@ -261,7 +285,7 @@ router.post("/solicitar-codigo", async (req, res) => {
 // ============================================================================
 // POST /salvar-email  — salva e-mail do responsável antes do login (sem token)
 // ============================================================================
-router.post("/salvar-email", async (req, res) => {
+router.post("/salvar-email", validar(schemas.salvarEmail), async (req, res) => {
   const db       = pool;
   const cpf      = normalizarCpf(req.body?.cpf);
   const emailRaw = String(req.body?.email || "").trim().toLowerCase();
@@ -289,7 +313,7 @@ router.post("/salvar-email", async (req, res) => {
 // ============================================================================
 // POST /salvar-telefone — salva celular do responsável antes do login (sem token)
 // ============================================================================
-router.post("/salvar-telefone", async (req, res) => {
+router.post("/salvar-telefone", validar(schemas.salvarTelefone), async (req, res) => {
   const db     = pool;
   const cpf    = normalizarCpf(req.body?.cpf);
   const telRaw = String(req.body?.telefone || "").replace(/\D/g, "").trim();
@@ -317,7 +341,7 @@ router.post("/salvar-telefone", async (req, res) => {
 // ============================================================================
 // POST /verificar-codigo — verifica OTP e retorna JWT de sessão (sem token prévio)
 // ============================================================================
-router.post("/verificar-codigo", async (req, res) => {
+router.post("/verificar-codigo", validar(schemas.verificarCodigo), async (req, res) => {
   const db     = pool;
   const cpf    = normalizarCpf(req.body?.cpf);
   const codigo = normalizarCodigo(req.body?.codigo);
@@ -331,7 +355,8 @@ router.post("/verificar-codigo", async (req, res) => {
         "SELECT id, nome, cpf, email FROM responsaveis WHERE cpf = '00000000019' LIMIT 1"
       );
       if (!demoResp) return res.status(500).json({ message: "Conta demo não configurada." });
-      return res.json({ ok: true, token: gerarTokenSessaoResponsavel(demoResp), expires_in: APP_PAIS_JWT_EXPIRES_IN_SECONDS, responsavel: demoResp });
+      const { token, refresh_token } = await gerarTokenSessaoResponsavel(demoResp, req);
+      return res.json({ ok: true, token, refresh_token, expires_in: APP_PAIS_JWT_EXPIRES_IN_SECONDS, responsavel: demoResp });
     } catch (err) {
       return res.status(500).json({ message: "Erro na conta demo." });
     }
@@ -397,10 +422,11 @@ router.post("/verificar-codigo", async (req, res) => {
     const termos_pendentes      = !respEnriquecido.termos_aceitos_em;
     const consentimento_pendente = totalVinculos > 0 && (comConsentimento ?? 0) === 0;
 
-    const token = gerarTokenSessaoResponsavel(responsavel);
+    const { token, refresh_token } = await gerarTokenSessaoResponsavel(responsavel, req);
     return res.json({
       ok:                   true,
       token,
+      refresh_token,
       expires_in:           APP_PAIS_JWT_EXPIRES_IN_SECONDS,
       responsavel: {
         id:               respEnriquecido.id,
@@ -422,7 +448,7 @@ router.post("/verificar-codigo", async (req, res) => {
 // ============================================================================
 // GET /credencial/contexto — checa se CPF existe e tem master disponível (sem token)
 // ============================================================================
-router.get("/credencial/contexto", async (req, res) => {
+router.get("/credencial/contexto", validar(schemas.credencialContexto), async (req, res) => {
   const db  = pool;
   const cpf = normalizarCpf(req.query?.cpf);
   if (!cpf) return res.status(400).json({ message: "CPF é obrigatório." });
@@ -440,7 +466,7 @@ router.get("/credencial/contexto", async (req, res) => {
 // ============================================================================
 // POST /credencial/pre-cadastro — registra CPF para posterior finalização (sem token)
 // ============================================================================
-router.post("/credencial/pre-cadastro", async (req, res) => {
+router.post("/credencial/pre-cadastro", validar(schemas.credencialPreCadastro), async (req, res) => {
   const db      = pool;
   const cpfNorm = normalizarCpf(req.body?.cpf);
   if (!cpfNorm) return res.status(400).json({ message: "CPF é obrigatório." });
@@ -464,7 +490,7 @@ router.post("/credencial/pre-cadastro", async (req, res) => {
 // ============================================================================
 // POST /credencial/solicitar — abre solicitação de credenciamento (sem token)
 // ============================================================================
-router.post("/credencial/solicitar", async (req, res) => {
+router.post("/credencial/solicitar", validar(schemas.credencialSolicitar), async (req, res) => {
   const db = pool;
   const { cpf, nome, email, parentesco, observacao } = req.body;
   if (!cpf || !nome) return res.status(400).json({ message: "CPF e nome são obrigatórios." });
@@ -489,25 +515,28 @@ router.post("/credencial/solicitar", async (req, res) => {
 // ============================================================================
 // AUTENTICAÇÃO INLINE — funciona para token de RESPONSÁVEL ou ALUNO
 // ============================================================================
-function authAppPaisOuAluno(req, res, next) {
+async function authAppPaisOuAluno(req, res, next) {
+  let decoded;
   try {
     const auth  = req.headers.authorization || "";
     const parts = auth.split(" ");
     if (parts.length !== 2 || parts[0] !== "Bearer")
       return res.status(401).json({ message: "Token ausente." });
-    const decoded = jwt.verify(parts[1], APP_PAIS_JWT_SECRET);
-    if (decoded.tipo === "ALUNO") req.alunoAuth   = decoded;
-    else                          req.appPaisAuth  = decoded;
-    return next();
+    decoded = jwt.verify(parts[1], APP_PAIS_JWT_SECRET);
   } catch (e) {
     return res.status(401).json({ message: "Token inválido ou expirado." });
   }
+  const invalida = await respostaSessaoInvalida(pool, decoded);
+  if (invalida) return res.status(invalida.status).json(invalida.body);
+  if (decoded.tipo === "ALUNO") req.alunoAuth   = decoded;
+  else                          req.appPaisAuth  = decoded;
+  return next();
 }
 
 // ============================================================================
 // GET /ranking — proxy para o ranking anual de notas
 // ============================================================================
-router.get("/ranking", authAppPaisOuAluno, async (req, res) => {
+router.get("/ranking", authAppPaisOuAluno, validar(schemas.ranking), async (req, res) => {
   const db = pool;
   try {
     const alunoId = parseInt(req.query.aluno_id);
@@ -531,7 +560,6 @@ router.get("/ranking", authAppPaisOuAluno, async (req, res) => {
 
     // Em vez de chamar a rota interna de notas (que exige token de admin/professor e causa 401),
     // vamos calcular o ranking diretamente no banco, usando a mesma lógica de notas.js.
-    const anoRef = Number(req.query.ano) || new Date().getFullYear();
     const semNotasObj = { ranking: 0, total_alunos: 0, semNotas: true };
     const emptyRes = { escola: semNotasObj, turma: semNotasObj, serie: semNotasObj, turno: semNotasObj };
 
@@ -546,6 +574,8 @@ router.get("/ranking", authAppPaisOuAluno, async (req, res) => {
     if (!alRes.length) return res.json(emptyRes);
 
     const { escola_id, turma_id, serie, turno } = alRes[0];
+    // Sem ?ano: ano letivo corrente pelo calendário da escola do aluno
+    const anoRef = Number(req.query.ano) || (await anoLetivoAtual(db, escola_id));
 
     // 2) Soma do aluno no ano
     const [somaRes] = await db.query(
@@ -632,8 +662,31 @@ router.get("/ranking", authAppPaisOuAluno, async (req, res) => {
 // corrompido que existe em app_pais.js (causava 500 "Erro ao registrar token
 // do dispositivo" por concatenação acidental do arquivo).
 // Este router (app_pais_login) é montado ANTES do app_pais router em server.js.
+// Cada nota vem com a situação pela política de notas da escola
+// (services/politicaNotas.js): "aprovado" | "abaixo_media".
 // ============================================================================
-router.get("/boletim", authAppPaisOuAluno, async (req, res) => {
+
+// Política da etapa da turma atual do aluno, por bimestre de cada linha
+async function boletimComSituacao(db, escolaId, alunoId, rows) {
+  const [cfg, [[turma]]] = await Promise.all([
+    carregarPoliticaEscola(db, escolaId),
+    db.query(
+      `SELECT t.etapa FROM alunos a LEFT JOIN turmas t ON t.id = a.turma_id
+       WHERE a.id = ? AND a.escola_id = ? LIMIT 1`,
+      [alunoId, escolaId]
+    ),
+  ]);
+  const etapa = turma?.etapa ?? null;
+  return {
+    rows: rows.map((r) => ({
+      ...r,
+      situacao: situacaoDaNota(resolverPolitica(cfg, { etapa, bimestre: r.bimestre }), r.nota),
+    })),
+    politica: resolverPolitica(cfg, { etapa }),
+  };
+}
+
+router.get("/boletim", authAppPaisOuAluno, validar(schemas.boletim), async (req, res) => {
   const db = pool;
   try {
     // === FLUXO ALUNO ===
@@ -650,7 +703,7 @@ router.get("/boletim", authAppPaisOuAluno, async (req, res) => {
       if (ano) { notasQuery += " AND n.ano = ?"; params.push(ano); }
       notasQuery += " ORDER BY n.ano DESC, n.bimestre ASC, d.nome ASC";
       const [rows] = await db.query(notasQuery, params);
-      return res.json({ ok: true, escola_id, aluno_id, rows });
+      return res.json({ ok: true, escola_id, aluno_id, ...(await boletimComSituacao(db, escola_id, aluno_id, rows)) });
     }
     // === FIM FLUXO ALUNO ===
 
@@ -710,7 +763,7 @@ router.get("/boletim", authAppPaisOuAluno, async (req, res) => {
 
     const [rows] = await db.query(sql, params);
 
-    return res.json({ ok: true, escola_id, aluno_id, rows });
+    return res.json({ ok: true, escola_id, aluno_id, ...(await boletimComSituacao(db, escola_id, aluno_id, rows)) });
 
   } catch (error) {
     console.error("[APP_PAIS_LOGIN] Erro em GET /boletim:", error);
@@ -722,29 +775,114 @@ router.get("/boletim", authAppPaisOuAluno, async (req, res) => {
 // ============================================================================
 // authAppPais — valida JWT de RESPONSÁVEL apenas (sem suporte a ALUNO)
 // ============================================================================
-function authAppPais(req, res, next) {
+async function authAppPais(req, res, next) {
+  let decoded;
   try {
     const auth  = req.headers.authorization || "";
     const parts = auth.split(" ");
     if (parts.length !== 2 || parts[0] !== "Bearer")
       return res.status(401).json({ message: "Token ausente." });
-    const decoded = jwt.verify(parts[1], APP_PAIS_JWT_SECRET);
-    if (decoded.tipo === "ALUNO")
-      return res.status(403).json({ message: "Acesso não permitido para este perfil." });
-    req.appPaisAuth = decoded;
-    return next();
+    decoded = jwt.verify(parts[1], APP_PAIS_JWT_SECRET);
   } catch (e) {
     return res.status(401).json({ message: "Token inválido ou expirado." });
   }
+  if (decoded.tipo === "ALUNO")
+    return res.status(403).json({ message: "Acesso não permitido para este perfil." });
+  const invalida = await respostaSessaoInvalida(pool, decoded);
+  if (invalida) return res.status(invalida.status).json(invalida.body);
+  req.appPaisAuth = decoded;
+  return next();
 }
 
+// ============================================================================
+// Sessões do responsável (services/sessoes.js)
+// ============================================================================
+router.post("/sessao/refresh", validar(schemas.refreshSessao), async (req, res) => {
+  const refreshToken = String(req.body?.refresh_token || "").trim();
+  if (!refreshToken) return res.status(400).json({ message: "refresh_token é obrigatório." });
+
+  try {
+    const { sessao, refresh_token } = await rotacionarRefresh(pool, refreshToken, {
+      req,
+      tipoConta: TIPO_RESPONSAVEL,
+    });
+
+    const [[responsavel]] = await pool.query(
+      "SELECT id, cpf FROM responsaveis WHERE id = ? LIMIT 1", [sessao.conta_id]
+    );
+    const [[vinculos]] = await pool.query(
+      `SELECT COUNT(*) AS total, COALESCE(SUM(ativo = 1), 0) AS ativos
+         FROM responsaveis_alunos WHERE responsavel_id = ?`,
+      [sessao.conta_id]
+    );
+    const semVinculoAtivo = Number(vinculos?.total || 0) > 0 && Number(vinculos?.ativos || 0) === 0;
+    if (!responsavel || semVinculoAtivo) {
+      await revogarSessao(pool, sessao.sid, { motivo: "conta_inativa" });
+      return res.status(401).json({ code: "SEM_VINCULO_ATIVO", message: "Sem vínculo ativo com aluno. Procure a secretaria da escola." });
+    }
+
+    return res.json({
+      ok: true,
+      token: assinarTokenResponsavel(responsavel, sessao.sid),
+      refresh_token,
+      expires_in: APP_PAIS_JWT_EXPIRES_IN_SECONDS,
+    });
+  } catch (error) {
+    if (error?.status === 401) return res.status(401).json({ code: error.code, message: error.message });
+    console.error("[APP_PAIS_LOGIN] Erro em /sessao/refresh:", error);
+    return res.status(500).json({ message: "Erro ao renovar sessão." });
+  }
+});
+
+router.post("/sessao/logout", authAppPais, async (req, res) => {
+  try {
+    const { sid, responsavel_id } = req.appPaisAuth;
+    if (sid) {
+      await revogarSessao(pool, sid, { tipoConta: TIPO_RESPONSAVEL, contaId: responsavel_id, motivo: "logout" });
+    }
+    return res.json({ ok: true });
+  } catch (error) {
+    console.error("[APP_PAIS_LOGIN] Erro em /sessao/logout:", error);
+    return res.status(500).json({ message: "Erro ao encerrar sessão." });
+  }
+});
+
+router.get("/sessoes", authAppPais, async (req, res) => {
+  try {
+    const sessoes = await listarSessoes(pool, {
+      tipoConta: TIPO_RESPONSAVEL,
+      contaId: req.appPaisAuth.responsavel_id,
+      sidAtual: req.appPaisAuth.sid || null,
+    });
+    return res.json({ ok: true, sessoes });
+  } catch (error) {
+    console.error("[APP_PAIS_LOGIN] Erro em /sessoes:", error);
+    return res.status(500).json({ message: "Erro ao listar sessões." });
+  }
+});
+
+router.delete("/sessoes/:sid", authAppPais, async (req, res) => {
+  try {
+    const ok = await revogarSessao(pool, String(req.params.sid), {
+      tipoConta: TIPO_RESPONSAVEL,
+      contaId: req.appPaisAuth.responsavel_id,
+      motivo: "encerrada_pelo_usuario",
+    });
+    if (!ok) return res.status(404).json({ message: "Sessão não encontrada." });
+    return res.json({ ok: true });
+  } catch (error) {
+    console.error("[APP_PAIS_LOGIN] Erro em DELETE /sessoes:", error);
+    return res.status(500).json({ message: "Erro ao encerrar sessão." });
+  }
+});
+
 
 
 // ============================================================================
 // GET /conteudos/disciplinas — lista disciplinas vinculadas ao aluno/escola
 // Registrado aqui pois authAppPaisOuAluno está em escopo incorreto em app_pais.js
 // ============================================================================
-router.get("/conteudos/disciplinas", authAppPaisOuAluno, async (req, res) => {
+router.get("/conteudos/disciplinas", authAppPaisOuAluno, validar(schemas.conteudosDisciplinas), async (req, res) => {
   const db = pool;
   const alunoId = Number(req.query.aluno_id);
 
@@ -807,13 +945,13 @@ router.get("/conteudos/disciplinas", authAppPaisOuAluno, async (req, res) => {
 // GET /conteudos — retorna objetivos de aprendizagem por disciplina/bimestre
 // Registrado aqui pois authAppPaisOuAluno está em escopo incorreto em app_pais.js
 // ============================================================================
-router.get("/conteudos", authAppPaisOuAluno, async (req, res) => {
+router.get("/conteudos", authAppPaisOuAluno, validar(schemas.conteudos), async (req, res) => {
   const db = pool;
   try {
     const alunoId      = Number(req.query.aluno_id);
     const disciplinaId = Number(req.query.disciplina_id);
     const bimestre     = Number(req.query.bimestre);
-    const anoLetivo    = req.query.ano_letivo ? Number(req.query.ano_letivo) : new Date().getFullYear();
+    let anoLetivo      = req.query.ano_letivo ? Number(req.query.ano_letivo) : null;
 
     if (!alunoId || Number.isNaN(alunoId))
       return res.status(400).json({ message: "Parâmetro aluno_id inválido." });
@@ -830,7 +968,7 @@ router.get("/conteudos", authAppPaisOuAluno, async (req, res) => {
       };
       return res.json({
         ok: true,
-        ref: { escola_id: null, turma_id: null, disciplina_id: disciplinaId, bimestre, ano_letivo: anoLetivo },
+        ref: { escola_id: null, turma_id: null, disciplina_id: disciplinaId, bimestre, ano_letivo: anoLetivo ?? anoLetivoPorMes(hojeNoFuso()) },
         objetivos: DEMO_OBJETIVOS[bimestre] || DEMO_OBJETIVOS[1],
       });
     }
@@ -838,7 +976,7 @@ router.get("/conteudos", authAppPaisOuAluno, async (req, res) => {
 
     if (!bimestre || Number.isNaN(bimestre) || bimestre < 1 || bimestre > 4)
       return res.status(400).json({ message: "Parâmetro bimestre inválido (1..4)." });
-    if (!anoLetivo || Number.isNaN(anoLetivo))
+    if (anoLetivo !== null && (!anoLetivo || Number.isNaN(anoLetivo)))
       return res.status(400).json({ message: "Parâmetro ano_letivo inválido." });
 
     // 1) Resolve escola_id, turma_id e série com validação do vínculo
@@ -871,6 +1009,7 @@ router.get("/conteudos", authAppPaisOuAluno, async (req, res) => {
     const escolaId = ctxResult[0].escola_id;
     const turmaId  = ctxResult[0].turma_id;
     const serie    = String(ctxResult[0].serie || "").trim().toUpperCase();
+    if (anoLetivo === null) anoLetivo = await anoLetivoAtual(db, escolaId);
 
     if (!turmaId || !serie) {
       return res.json({
@@ -991,7 +1130,7 @@ router.get("/credenciais/contextos", authAppPais, async (req, res) => {
 // GET /credenciais/buscar — busca responsável por CPF para credenciamento.
 // Registrado aqui pelo mesmo motivo que /credenciais/contextos acima.
 // ============================================================================
-router.get("/credenciais/buscar", authAppPais, async (req, res) => {
+router.get("/credenciais/buscar", authAppPais, validar(schemas.buscarCredencial), async (req, res) => {
   const db  = pool;
   const cpf = normalizarCpf(req.query?.cpf);
 
@@ -1025,7 +1164,7 @@ router.get("/credenciais/buscar", authAppPais, async (req, res) => {
 // aluno com permissões específicas.
 // body: { cpf, escola_id, aluno_id, permissoes: { boletim, conteudos, ... } }
 // ============================================================================
-router.post("/credenciais/autorizar", authAppPais, async (req, res) => {
+router.post("/credenciais/autorizar", authAppPais, validar(schemas.autorizarCredencial), async (req, res) => {
   const db = pool;
   try {
     const { responsavel_id: masterId } = req.appPaisAuth;
@@ -1110,7 +1249,7 @@ router.post("/credenciais/autorizar", authAppPais, async (req, res) => {
 // Retorna registros pedagógicos e disciplinares do aluno para o responsável
 // Também calcula a pontuação final (se a escola for Cívico-Militar)
 // ============================================================================
-router.get("/registros", authAppPaisOuAluno, async (req, res) => {
+router.get("/registros", authAppPaisOuAluno, validar(schemas.registros), async (req, res) => {
   const db = pool;
   try {
     const isAppPais = !!req.appPaisAuth;
@@ -1188,7 +1327,7 @@ router.get("/registros", authAppPaisOuAluno, async (req, res) => {
       // (o registro MERITO existe em ocorrencias_disciplinares mas NÃO em registros_ocorrencias)
       let bonusMerito = 0;
       try {
-        const anoAtualApp = new Date().getFullYear();
+        const anoAtualApp = await anoLetivoAtual(db, escola_id);
         const dataAncora = new Date(`${anoAtualApp}-02-15T00:00:00`);
         const hoje3 = new Date(); hoje3.setHours(23, 59, 59, 0);
         const [negativosApp] = await db.query(
@@ -1310,7 +1449,7 @@ router.get("/registros", authAppPaisOuAluno, async (req, res) => {
 // ============================================================================
 // POST /devices/register — salva o push token do responsável ou aluno
 // ============================================================================
-router.post("/devices/register", authAppPaisOuAluno, async (req, res) => {
+router.post("/devices/register", authAppPaisOuAluno, validar(schemas.registrarDispositivo), async (req, res) => {
   const db = pool;
   try {
     const isAppPais = !!req.appPaisAuth;
@@ -0,0 +1,36 @@
+// routes/arquivos.js
+// -----------------------------------------------------------------------------
+// Download por URL assinada do driver local (services/armazenamento.js).
+// Montado em /public/arquivos, sem token: quem autoriza é a assinatura HMAC
+// gerada pela rota autenticada que devolveu a URL, e ela vence em minutos.
+// Com o driver "spaces" as URLs apontam direto para o bucket e esta rota
+// não é usada.
+// -----------------------------------------------------------------------------
+import express from "express";
+import { armazenamento, verificarDownload } from "../services/armazenamento.js";
+
+const router = express.Router();
+
+// GET /public/arquivos/download?chave=&exp=&nome=&sig=
+router.get("/download", async (req, res) => {
+  const ok = verificarDownload(req.query);
+  if (!ok) return res.status(403).json({ ok: false, message: "Link inválido ou expirado." });
+
+  const driver = armazenamento();
+  if (driver.nome !== "local") return res.status(404).json({ ok: false, message: "Arquivo não encontrado." });
+
+  try {
+    const { buffer, contentType } = await driver.ler(ok.chave);
+    res.set("Content-Type", contentType);
+    res.set("Cache-Control", "private, no-store");
+    res.set("X-Content-Type-Options", "nosniff");
+    if (ok.nome) res.set("Content-Disposition", `inline; filename="${ok.nome.replace(/["\\\r\n]/g, "_")}"`);
+    res.send(buffer);
+  } catch (err) {
+    if (err.code === "ENOENT") return res.status(404).json({ ok: false, message: "Arquivo não encontrado." });
+    console.error("[ARQUIVOS] Erro no download:", err.message);
+    res.status(500).json({ ok: false, message: "Erro ao ler arquivo." });
+  }
+});
+
+export default router;
@@ -0,0 +1,113 @@
+// routes/auditoria.js
+// ============================================================================
+// Consulta da trilha de auditoria de dados (services/auditoria.js)
+// - Rotas (montadas em /api/auditoria com autenticarToken + verificarEscola):
+//     GET /api/auditoria                          → alterações da escola
+//         ?entidade, ?entidade_id, ?usuario_id, ?aluno_id, ?acao,
+//         ?personificacao_id (o que o acesso de suporte do CEO alterou),
+//         ?de=YYYY-MM-DD, ?ate=YYYY-MM-DD, ?pagina, ?limite
+//     GET /api/auditoria/entidade/:entidade/:id   → histórico de um registro
+//     GET /api/auditoria/alunos/:alunoId/historico → tudo que mudou do aluno
+// - Permissão: auditoria:ver (diretor, diretor disciplinar, coordenador)
+// - Escopo: sempre req.escola_id
+// ============================================================================
+
+import express from "express";
+import pool from "../db.js";
+import { autorizarPermissao } from "../middleware/autorizarPermissao.js";
+import { historicoAluno, listarAuditoria } from "../services/auditoria.js";
+
+const router = express.Router();
+
+const ACOES = ["criar", "alterar", "excluir"];
+const RE_DATA = /^\d{4}-\d{2}-\d{2}$/;
+const RE_ENTIDADE = /^[a-z_]{1,60}$/;
+
+router.use(autorizarPermissao("auditoria:ver"));
+
+function parseId(raw) {
+  const id = Number(raw);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// Valida os filtros comuns; devolve { filtros } ou { erro }.
+function lerFiltros(query) {
+  const filtros = { pagina: query.pagina, limite: query.limite };
+
+  if (query.entidade) {
+    if (!RE_ENTIDADE.test(String(query.entidade))) return { erro: "Entidade inválida." };
+    filtros.entidade = String(query.entidade);
+  }
+  if (query.acao) {
+    if (!ACOES.includes(String(query.acao))) return { erro: "Ação inválida (criar, alterar ou excluir)." };
+    filtros.acao = String(query.acao);
+  }
+  for (const campo of ["de", "ate"]) {
+    if (!query[campo]) continue;
+    if (!RE_DATA.test(String(query[campo]))) return { erro: `Data '${campo}' inválida (use YYYY-MM-DD).` };
+    filtros[campo] = String(query[campo]);
+  }
+  for (const [param, chave] of [["usuario_id", "usuarioId"], ["aluno_id", "alunoId"], ["personificacao_id", "personificacaoId"]]) {
+    if (!query[param]) continue;
+    const id = parseId(query[param]);
+    if (!id) return { erro: `${param} inválido.` };
+    filtros[chave] = id;
+  }
+  if (query.entidade_id) filtros.entidadeId = String(query.entidade_id).slice(0, 64);
+
+  return { filtros };
+}
+
+router.get("/", async (req, res) => {
+  const { filtros, erro } = lerFiltros(req.query);
+  if (erro) return res.status(400).json({ ok: false, message: erro });
+
+  try {
+    const resultado = await listarAuditoria(pool, { ...filtros, escolaId: req.escola_id });
+    return res.json({ ok: true, ...resultado });
+  } catch (err) {
+    console.error("[AUDITORIA] Erro ao listar:", err);
+    return res.status(500).json({ ok: false, message: "Erro ao consultar auditoria." });
+  }
+});
+
+router.get("/entidade/:entidade/:id", async (req, res) => {
+  const { filtros, erro } = lerFiltros({
+    ...req.query,
+    entidade: req.params.entidade,
+    entidade_id: req.params.id,
+  });
+  if (erro) return res.status(400).json({ ok: false, message: erro });
+
+  try {
+    const resultado = await listarAuditoria(pool, { ...filtros, escolaId: req.escola_id });
+    return res.json({ ok: true, ...resultado });
+  } catch (err) {
+    console.error("[AUDITORIA] Erro ao buscar histórico da entidade:", err);
+    return res.status(500).json({ ok: false, message: "Erro ao consultar auditoria." });
+  }
+});
+
+router.get("/alunos/:alunoId/historico", async (req, res) => {
+  const alunoId = parseId(req.params.alunoId);
+  if (!alunoId) return res.status(400).json({ ok: false, message: "ID do aluno inválido." });
+
+  const { filtros, erro } = lerFiltros(req.query);
+  if (erro) return res.status(400).json({ ok: false, message: erro });
+
+  try {
+    const [[aluno]] = await pool.query(
+      "SELECT id, estudante, codigo FROM alunos WHERE id = ? AND escola_id = ?",
+      [alunoId, req.escola_id]
+    );
+    if (!aluno) return res.status(404).json({ ok: false, message: "Aluno não encontrado." });
+
+    const resultado = await historicoAluno(pool, req.escola_id, alunoId, filtros);
+    return res.json({ ok: true, aluno, ...resultado });
+  } catch (err) {
+    console.error("[AUDITORIA] Erro ao buscar histórico do aluno:", err);
+    return res.status(500).json({ ok: false, message: "Erro ao consultar auditoria." });
+  }
+});
+
+export default router;
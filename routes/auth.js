@@ -11,7 +11,35 @@ import multer from "multer";
 import fs from "fs";
 import { registrarAcesso } from "../middleware/logAccess.js";
 import path from "path";
-
+import { autenticarToken } from "../middleware/autenticarToken.js";
+import { autorizarPermissao } from "../middleware/autorizarPermissao.js";
+import {
+  TIPO_USUARIO,
+  criarSessao,
+  listarSessoes,
+  revogarSessao,
+  revogarSessoesDaConta,
+  rotacionarRefresh,
+} from "../services/sessoes.js";
+import { criarLogger } from "../services/logger.js";
+import {
+  avaliarLogin,
+  concluirDesafio,
+  desativarDoisFatores,
+  exigidoPelaEscola,
+  exigidoPelaPlataforma,
+  iniciarCadastro,
+  confirmarCadastro,
+  lerCadastro,
+  lerDesafio,
+  listarDispositivos,
+  regenerarCodigosRecuperacao,
+  revogarDispositivo,
+  statusDoisFatores,
+  verificarSegundoFator,
+} from "../services/doisFatores.js";
+
+const logAuth = criarLogger("auth");
 
 const router = express.Router();
 
@@ -203,8 +231,10 @@ async function enviarCodigoEmail(email, codigo) {
  * - permissoes: ['conteudos.editar', ...]
  *
  * Obs: sem FK por enquanto (compatível com escola_id INT do usuarios).
+ * Exportado para o acesso de suporte (routes/plataforma_suporte.js) montar o
+ * mesmo RBAC do login do usuário.
  */
-async function carregarRbac(usuarioId, escolaId) {
+export async function carregarRbac(usuarioId, escolaId) {
   const uid = Number(usuarioId);
   const eid = Number(escolaId);
 
@@ -328,7 +358,23 @@ function hashConviteToken(token) {
   return createHash("sha256").update(raw, "utf8").digest("hex");
 }
 
-async function emitirJwtEscolar({ usuarioId, escolaId, perfil }) {
+/**
+ * Abre a sessão (services/sessoes.js) e assina o JWT escolar com o `sid`.
+ * Todo login escolar passa por aqui — é o que permite revogar o token depois.
+ * → { token, refresh_token, refresh_expira_em }
+ */
+async function assinarComSessao(req, payload) {
+  const sessao = await criarSessao(pool, {
+    tipoConta: TIPO_USUARIO,
+    contaId: payload.usuario_id ?? payload.usuarioId,
+    escolaId: payload.escola_id,
+    req,
+  });
+  const token = jwt.sign({ ...payload, sid: sessao.sid }, getJwtSecret(), { expiresIn: "8h" });
+  return { token, refresh_token: sessao.refresh_token, refresh_expira_em: sessao.refresh_expira_em };
+}
+
+async function emitirJwtEscolar({ usuarioId, escolaId, perfil, req }) {
   const [[escolaRow]] = await pool.query(
     `SELECT apelido FROM escolas WHERE id = ? LIMIT 1`,
     [Number(escolaId)]
@@ -347,10 +393,11 @@ async function emitirJwtEscolar({ usuarioId, escolaId, perfil }) {
     permissoes,
   };
 
-  const token = jwt.sign(payload, getJwtSecret(), { expiresIn: "8h" });
+  const { token, refresh_token } = await assinarComSessao(req, payload);
 
   return {
     token,
+    refresh_token,
     escola_id: Number(escolaId),
     nome_escola: escolaRow?.apelido || "Escola não definida",
     perfil: perfil || "diretor",
@@ -359,6 +406,82 @@ async function emitirJwtEscolar({ usuarioId, escolaId, perfil }) {
   };
 }
 
+/**
+ * Dispositivo confiado do login por e-mail (pula o código do e-mail por 90
+ * dias). Não confundir com o dispositivo confiado do 2FA (services/doisFatores.js).
+ * → token bruto (vai para o front) ou null se falhar
+ */
+async function registrarDispositivoConfiado(usuarioId, userAgent) {
+  const rawToken = randomBytes(32).toString("hex"); // 64 chars hex
+  const tokenHash = createHash("sha256").update(rawToken, "utf8").digest("hex");
+  try {
+    await pool.query(
+      `INSERT INTO dispositivos_confiados (usuario_id, token_hash, descricao, expira_em)
+       VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL 90 DAY))`,
+      [usuarioId, tokenHash, userAgent]
+    );
+    console.log(`[AUTH/confirmar] Dispositivo confiado registrado para usuário ${usuarioId}`);
+    return rawToken;
+  } catch (e) {
+    console.error("[AUTH/confirmar] Falha ao registrar dispositivo confiado:", e.message);
+    return null;
+  }
+}
+
+/**
+ * Login escolar concluído depois do segundo fator (POST /2fa/verificar):
+ * mesmo corpo do /confirmar, para o front tratar as duas respostas igual.
+ */
+async function respostaLoginEscolar(req, { usuarioId, escolaId, perfil, action = "login" }) {
+  const [[usuario]] = await pool.query(
+    `SELECT u.nome, u.cpf, u.ativo, e.apelido
+       FROM usuarios u
+       LEFT JOIN escolas e ON e.id = u.escola_id
+      WHERE u.id = ? AND u.escola_id = ?
+      LIMIT 1`,
+    [usuarioId, escolaId]
+  );
+  if (!usuario || Number(usuario.ativo) !== 1) {
+    throw Object.assign(new Error("Conta inativa. Procure a escola."), { status: 403, code: "CONTA_INATIVA" });
+  }
+
+  const { perfis, permissoes } = await carregarRbac(usuarioId, escolaId);
+  const { token, refresh_token } = await assinarComSessao(req, {
+    scope: "escola",
+    usuario_id: usuarioId,
+    usuarioId,
+    escola_id: escolaId,
+    nome_escola: usuario.apelido || null,
+    perfil,
+    perfis,
+    permissoes,
+  });
+
+  registrarAcesso(pool, {
+    usuario_id: usuarioId,
+    escola_id: escolaId,
+    perfil,
+    ip: req.ip || req.headers["x-forwarded-for"],
+    user_agent: req.headers["user-agent"],
+    action,
+  });
+
+  return {
+    token,
+    refresh_token,
+    nome: usuario.nome || "Usuário",
+    cpf: String(usuario.cpf || "").replace(/\D/g, ""),
+    foto_url: await buscarFotoUsuario(usuarioId, escolaId),
+    escola_id: escolaId,
+    nome_escola: usuario.apelido || "Escola não definida",
+    perfil,
+    perfis,
+    permissoes,
+    modulos_ativos: await resolveModulosAtivos(pool, escolaId, perfil),
+    escola_tipo: await resolveEscolaTipo(pool, escolaId),
+  };
+}
+
 /**
  * 0.1) Validar Convite (pré-check) — Diretor
  * POST /api/auth/convite/validar
@@ -598,10 +721,20 @@ router.post("/login", async (req, res) => {
         return res.status(401).json({ ok: false, message: "Senha incorreta." });
       }
 
+      // ── Segundo fator (TOTP): token só depois de POST /2fa/verificar ──
+      const etapa2fa = await avaliarLogin(pool, req, {
+        usuarioId: usuario.id,
+        escolaId: usuario.escola_id,
+        perfil: "diretor",
+        conta: usuario.nome,
+      });
+      if (etapa2fa) return res.json({ ok: true, ...etapa2fa });
+
       const jwtEscolar = await emitirJwtEscolar({
         usuarioId: usuario.id,
         escolaId: usuario.escola_id,
         perfil: "diretor",
+        req,
       });
 
       const fotoUrl = await buscarFotoUsuario(usuario.id, usuario.escola_id);
@@ -736,26 +869,32 @@ router.post("/login", async (req, res) => {
         const escolaIdFinal  = ctx0?.id ?? usuario.escola_id ?? null;
         const perfilFinal    = ctx0?.perfil ?? usuario.perfil ?? "aluno";
 
+        // Dispositivo confiado dispensa o código do e-mail, não o TOTP
+        const etapa2fa = await avaliarLogin(pool, req, {
+          usuarioId: usuarioIdFinal,
+          escolaId: escolaIdFinal,
+          perfil: perfilFinal,
+          conta: usuario.email || usuario.nome,
+          extras: { action: "login_dispositivo_confiado" },
+        });
+        if (etapa2fa) return res.json({ dispositivo_confiado: true, ...etapa2fa });
+
         const [[escolaRow]] = await pool.query(
           `SELECT apelido FROM escolas WHERE id = ? LIMIT 1`,
           [escolaIdFinal]
         );
         const { perfis, permissoes } = await carregarRbac(usuarioIdFinal, escolaIdFinal);
 
-        const token = jwt.sign(
-          {
-            scope: "escola",
-            usuario_id: usuarioIdFinal,
-            usuarioId: usuarioIdFinal,
-            escola_id: escolaIdFinal,
-            nome_escola: escolaRow?.apelido || null,
-            perfil: perfilFinal,
-            perfis,
-            permissoes,
-          },
-          getJwtSecret(),
-          { expiresIn: "8h" }
-        );
+        const { token, refresh_token } = await assinarComSessao(req, {
+          scope: "escola",
+          usuario_id: usuarioIdFinal,
+          usuarioId: usuarioIdFinal,
+          escola_id: escolaIdFinal,
+          nome_escola: escolaRow?.apelido || null,
+          perfil: perfilFinal,
+          perfis,
+          permissoes,
+        });
 
         registrarAcesso(pool, {
           usuario_id: usuarioIdFinal,
@@ -781,6 +920,7 @@ router.post("/login", async (req, res) => {
           ok: true,
           dispositivo_confiado: true,
           token,
+          refresh_token,
           nome: usuario.nome || "Usuário",
           cpf: cpfLoginLimpo,
           foto_url: fotoUrl,
@@ -798,25 +938,13 @@ router.post("/login", async (req, res) => {
     // ✅ Geração do código OTP (string)
     const codigo = String(randomInt(100000, 999999));
 
-    // ✅ LOG diagnóstico (mantido)
-    console.log("[AUTH/login] usuario.id =", usuario.id);
-    console.log("[AUTH/login] codigo =", codigo);
-
     // ✅ IMPORTANTE: expiração calculada no MySQL (mesmo relógio do NOW())
+    // (o código nunca vai para o log — só o id do registro)
     const [ins] = await pool.query(
       "INSERT INTO otp_codes (usuario_id, codigo, expira_em) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL 5 MINUTE))",
       [usuario.id, codigo]
     );
-
-    console.log("[AUTH/login] otp insertId =", ins?.insertId);
-
-    // ✅ Verifica o que ficou gravado no MySQL (principal)
-    const [[rowOtp]] = await pool.query(
-      "SELECT id, usuario_id, codigo, expira_em, NOW() AS now_db FROM otp_codes WHERE id = ?",
-      [ins?.insertId]
-    );
-
-    console.log("[AUTH/login] otp gravado no DB =", rowOtp);
+    logAuth.debug("código de login gerado", { usuario_alvo: usuario.id, otp_id: ins?.insertId });
 
     if (usuario.email) {
       try {
@@ -933,6 +1061,16 @@ router.post("/confirmar", async (req, res) => {
     const escolaIdFinal = ctx0?.id ?? usuarioBase.escola_id ?? null;
     const perfilFinal = ctx0?.perfil ?? usuarioBase.perfil ?? "aluno";
 
+    // ── Segundo fator (TOTP): token só depois de POST /2fa/verificar ──
+    const etapa2fa = await avaliarLogin(pool, req, {
+      usuarioId: usuarioIdFinal,
+      escolaId: escolaIdFinal,
+      perfil: perfilFinal,
+      conta: usuarioBase.email || usuarioBase.nome,
+      extras: { confiar_dispositivo: Boolean(confiar_dispositivo) },
+    });
+    if (etapa2fa) return res.json(etapa2fa);
+
     const [[escolaRow]] = await pool.query(
       `SELECT apelido FROM escolas WHERE id = ? LIMIT 1`,
       [escolaIdFinal]
@@ -940,20 +1078,16 @@ router.post("/confirmar", async (req, res) => {
 
     const { perfis, permissoes } = await carregarRbac(usuarioIdFinal, escolaIdFinal);
 
-      const token = jwt.sign(
-        {
-          scope: "escola",
-          usuario_id: usuarioIdFinal,
-          usuarioId: usuarioIdFinal,
-          escola_id: escolaIdFinal,
-          nome_escola: escolaRow?.apelido || null,
-          perfil: perfilFinal, // compatibilidade
-          perfis,
-          permissoes,
-        },
-        getJwtSecret(),
-        { expiresIn: "8h" }
-      );
+      const { token, refresh_token } = await assinarComSessao(req, {
+        scope: "escola",
+        usuario_id: usuarioIdFinal,
+        usuarioId: usuarioIdFinal,
+        escola_id: escolaIdFinal,
+        nome_escola: escolaRow?.apelido || null,
+        perfil: perfilFinal, // compatibilidade
+        perfis,
+        permissoes,
+      });
 
       // ✅ Registra acesso para Usage Insights (CEO)
       registrarAcesso(pool, {
@@ -969,22 +1103,9 @@ router.post("/confirmar", async (req, res) => {
       const cpfLoginLimpo = String(usuarioBase.cpf || "").replace(/\D/g, "");
 
       // ✅ DISPOSITIVO CONFIADO: grava token se o usuário optou por confiar neste aparelho
-      let deviceTokenNovo = null;
-      if (confiar_dispositivo) {
-        const rawToken = randomBytes(32).toString("hex"); // 64 chars hex
-        const tokenHash = createHash("sha256").update(rawToken, "utf8").digest("hex");
-        try {
-          await pool.query(
-            `INSERT INTO dispositivos_confiados (usuario_id, token_hash, descricao, expira_em)
-             VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL 90 DAY))`,
-            [usuarioIdFinal, tokenHash, userAgent]
-          );
-          deviceTokenNovo = rawToken;
-          console.log(`[AUTH/confirmar] Dispositivo confiado registrado para usuário ${usuarioIdFinal}`);
-        } catch (e) {
-          console.error("[AUTH/confirmar] Falha ao registrar dispositivo confiado:", e.message);
-        }
-      }
+      const deviceTokenNovo = confiar_dispositivo
+        ? await registrarDispositivoConfiado(usuarioIdFinal, userAgent)
+        : null;
 
       // Buscar módulos ativos — arquitetura 3 camadas (CEO → Diretor → Perfil)
       const modulos_ativos_confirmar = await resolveModulosAtivos(pool, escolaIdFinal, perfilFinal);
@@ -994,6 +1115,7 @@ router.post("/confirmar", async (req, res) => {
 
       return res.json({
         token,
+        refresh_token,
         nome: usuarioBase.nome || "Usuário",
         cpf: cpfLoginLimpo,
         foto_url: fotoUrlLogin,
@@ -1824,25 +1946,30 @@ router.post("/confirmar-escola", async (req, res) => {
       return res.status(403).json({ message: "Você não possui vínculo válido com esta escola." });
     }
 
+    // ── Segundo fator (TOTP) do contexto escolhido ──
+    const etapa2fa = await avaliarLogin(pool, req, {
+      usuarioId: usuarioEscola.id,
+      escolaId: usuarioEscola.escola_id,
+      perfil: usuarioEscola.perfil || "aluno",
+      conta: usuarioBase.email || usuarioBase.nome,
+    });
+    if (etapa2fa) return res.json(etapa2fa);
+
     const { perfis, permissoes } = await carregarRbac(usuarioEscola.id, usuarioEscola.escola_id);
 
-    const token = jwt.sign(
-      {
-        scope: "escola",
+    const { token, refresh_token } = await assinarComSessao(req, {
+      scope: "escola",
 
-        // ✅ compatibilidade (front antigo pode ler usuarioId; novo pode ler usuario_id)
-        usuario_id: usuarioEscola.id,
-        usuarioId: usuarioEscola.id, // ✅ id do contexto escolhido
+      // ✅ compatibilidade (front antigo pode ler usuarioId; novo pode ler usuario_id)
+      usuario_id: usuarioEscola.id,
+      usuarioId: usuarioEscola.id, // ✅ id do contexto escolhido
 
-        escola_id: usuarioEscola.escola_id,
-        nome_escola: usuarioEscola.nome_escola || null,
-        perfil: usuarioEscola.perfil || "aluno", // ✅ perfil REAL do contexto
-        perfis,
-        permissoes,
-      },
-      getJwtSecret(),
-      { expiresIn: "8h" }
-    );
+      escola_id: usuarioEscola.escola_id,
+      nome_escola: usuarioEscola.nome_escola || null,
+      perfil: usuarioEscola.perfil || "aluno", // ✅ perfil REAL do contexto
+      perfis,
+      permissoes,
+    });
 
     const fotoUrlEscola = await buscarFotoUsuario(usuarioEscola.id, usuarioEscola.escola_id);
     const cpfEscolaLimpo = String(usuarioBase.cpf || "").replace(/\D/g, "");
@@ -1853,6 +1980,7 @@ router.post("/confirmar-escola", async (req, res) => {
 
     return res.json({
       token,
+      refresh_token,
       nome: usuarioBase.nome || "Usuário",
       cpf: cpfEscolaLimpo,
       foto_url: fotoUrlEscola,
@@ -1928,6 +2056,522 @@ router.post("/upload-foto-professor", (req, res) => {
 // Retorna modulos_ativos atualizados para o usuário logado.
 // Chamado pelo Sidebar para sincronizar sem logout/login após CEO ou Diretor
 // mudarem configuração de módulos. Usa resolveModulosAtivos (mesma lógica do login).
+// ──────────────────────────────────────────────────────────────
+// Sessões (services/sessoes.js)
+//   POST   /refresh                        → troca refresh por novo JWT (+ novo refresh)
+//   POST   /logout                         → revoga a sessão atual
+//   GET    /sessoes                        → sessões ativas do usuário logado
+//   DELETE /sessoes/:sid                   → encerra uma sessão própria
+//   POST   /sessoes/encerrar-outras        → encerra todas menos a atual
+//   GET    /admin/usuarios/:id/sessoes     → (usuarios:inativar) sessões de um usuário da escola
+//   POST   /admin/usuarios/:id/revogar-sessoes
+//   DELETE /admin/sessoes/:sid
+// ──────────────────────────────────────────────────────────────
+function usuarioLogadoId(req) {
+  return Number(req.user?.usuarioId || req.user?.id || req.user?.usuario_id || 0) || null;
+}
+
+function responderErroSessao(res, err, contexto) {
+  if (err?.status === 401) {
+    return res.status(401).json({ ok: false, code: err.code, message: err.message });
+  }
+  console.error(`[AUTH/${contexto}] erro:`, err);
+  return res.status(500).json({ ok: false, message: "Erro ao processar sessão." });
+}
+
+router.post("/refresh", async (req, res) => {
+  const refreshToken = String(req.body?.refresh_token || "").trim();
+  if (!refreshToken) {
+    return res.status(400).json({ ok: false, message: "refresh_token é obrigatório." });
+  }
+
+  try {
+    const { sessao, refresh_token, refresh_expira_em } = await rotacionarRefresh(pool, refreshToken, {
+      req,
+      tipoConta: TIPO_USUARIO,
+    });
+
+    const [[usuario]] = await pool.query(
+      `SELECT u.id, u.escola_id, u.perfil, u.ativo, e.apelido
+         FROM usuarios u
+         LEFT JOIN escolas e ON e.id = u.escola_id
+        WHERE u.id = ?
+        LIMIT 1`,
+      [sessao.conta_id]
+    );
+
+    // Conta desativada ou movida de escola depois do login → sessão morre aqui
+    if (!usuario || Number(usuario.ativo) !== 1 || Number(usuario.escola_id) !== Number(sessao.escola_id)) {
+      await revogarSessao(pool, sessao.sid, { motivo: "conta_inativa" });
+      return res.status(401).json({ ok: false, code: "CONTA_INATIVA", message: "Conta inativa. Procure a escola." });
+    }
+
+    // Escola passou a exigir 2FA do perfil e a conta não tem: novo login (que cai no cadastro)
+    if (!(await lerCadastro(pool, usuario.id)) && (await exigidoPelaEscola(pool, usuario.escola_id, usuario.perfil))) {
+      await revogarSessao(pool, sessao.sid, { motivo: "dois_fatores_obrigatorio" });
+      return res.status(401).json({
+        ok: false,
+        code: "DOIS_FATORES_OBRIGATORIO",
+        message: "A escola passou a exigir autenticação em dois fatores. Entre novamente.",
+      });
+    }
+
+    // RBAC é recalculado: mudança de perfil vale a partir do próximo refresh
+    const { perfis, permissoes } = await carregarRbac(usuario.id, usuario.escola_id);
+
+    const token = jwt.sign(
+      {
+        scope: "escola",
+        usuario_id: usuario.id,
+        usuarioId: usuario.id,
+        escola_id: usuario.escola_id,
+        nome_escola: usuario.apelido || null,
+        perfil: usuario.perfil,
+        perfis,
+        permissoes,
+        sid: sessao.sid,
+      },
+      getJwtSecret(),
+      { expiresIn: "8h" }
+    );
+
+    return res.json({ ok: true, token, refresh_token, refresh_expira_em, perfis, permissoes });
+  } catch (err) {
+    return responderErroSessao(res, err, "refresh");
+  }
+});
+
+router.post("/logout", autenticarToken, async (req, res) => {
+  try {
+    const sid = req.user?.sid;
+    if (sid) {
+      await revogarSessao(pool, sid, {
+        tipoConta: TIPO_USUARIO,
+        contaId: usuarioLogadoId(req),
+        por: usuarioLogadoId(req),
+        motivo: "logout",
+      });
+    }
+    return res.json({ ok: true });
+  } catch (err) {
+    return responderErroSessao(res, err, "logout");
+  }
+});
+
+router.get("/sessoes", autenticarToken, async (req, res) => {
+  try {
+    const sessoes = await listarSessoes(pool, {
+      tipoConta: TIPO_USUARIO,
+      contaId: usuarioLogadoId(req),
+      sidAtual: req.user?.sid || null,
+    });
+    return res.json({ ok: true, sessoes });
+  } catch (err) {
+    return responderErroSessao(res, err, "sessoes");
+  }
+});
+
+router.delete("/sessoes/:sid", autenticarToken, async (req, res) => {
+  try {
+    const ok = await revogarSessao(pool, String(req.params.sid), {
+      tipoConta: TIPO_USUARIO,
+      contaId: usuarioLogadoId(req),
+      por: usuarioLogadoId(req),
+      motivo: "encerrada_pelo_usuario",
+    });
+    if (!ok) return res.status(404).json({ ok: false, message: "Sessão não encontrada." });
+    return res.json({ ok: true });
+  } catch (err) {
+    return responderErroSessao(res, err, "sessoes/delete");
+  }
+});
+
+router.post("/sessoes/encerrar-outras", autenticarToken, async (req, res) => {
+  try {
+    const revogadas = await revogarSessoesDaConta(pool, {
+      tipoConta: TIPO_USUARIO,
+      contaId: usuarioLogadoId(req),
+      por: usuarioLogadoId(req),
+      motivo: "encerrada_pelo_usuario",
+      excetoSid: req.user?.sid || null,
+    });
+    return res.json({ ok: true, revogadas });
+  } catch (err) {
+    return responderErroSessao(res, err, "sessoes/encerrar-outras");
+  }
+});
+
+// ──────────────────────────────────────────────────────────────
+// Autenticação em dois fatores (services/doisFatores.js)
+//   POST   /2fa/verificar                 → (público) conclui o login com o
+//                                            desafio + TOTP ou código de recuperação
+//   GET    /2fa                           → status do 2FA da conta logada
+//   POST   /2fa/cadastro                  → gera segredo (QR: otpauth_url)
+//   POST   /2fa/cadastro/confirmar        → ativa com o 1º código; devolve os
+//                                            códigos de recuperação (uma vez)
+//   POST   /2fa/codigos-recuperacao       → gera novos códigos (pede TOTP)
+//   POST   /2fa/desativar                 → remove (pede TOTP/recuperação;
+//                                            bloqueado se a escola exige)
+//   GET    /2fa/dispositivos              → dispositivos confiados
+//   DELETE /2fa/dispositivos/:id
+//   POST   /admin/usuarios/:id/2fa/redefinir → (usuarios:inativar) celular perdido
+// Serve também ao token da plataforma (mesma tabela usuarios).
+// ──────────────────────────────────────────────────────────────
+function responderErro2fa(res, err, contexto) {
+  if (err?.status) {
+    return res.status(err.status).json({ ok: false, code: err.code, message: err.message });
+  }
+  console.error(`[AUTH/${contexto}] erro:`, err);
+  return res.status(500).json({ ok: false, message: "Erro ao processar autenticação em dois fatores." });
+}
+
+/** A política vigente no contexto do token exige 2FA? */
+async function doisFatoresExigido(req) {
+  if (req.user?.scope === "plataforma") return exigidoPelaPlataforma();
+  return exigidoPelaEscola(pool, req.user?.escola_id, req.user?.perfil);
+}
+
+router.post("/2fa/verificar", async (req, res) => {
+  try {
+    const desafio = lerDesafio(req.body?.desafio, "escola");
+    const resultado = await concluirDesafio(pool, req, res, desafio, {
+      codigo: req.body?.codigo,
+      codigoRecuperacao: req.body?.codigo_recuperacao,
+      confiar: Boolean(req.body?.confiar_dispositivo),
+    });
+
+    const login = await respostaLoginEscolar(req, {
+      usuarioId: desafio.usuario_id,
+      escolaId: desafio.escola_id,
+      perfil: desafio.perfil,
+      action: desafio.extras?.action || "login",
+    });
+
+    // "confiar neste aparelho" pedido no /confirmar (código do e-mail)
+    const deviceToken = desafio.extras?.confiar_dispositivo
+      ? await registrarDispositivoConfiado(desafio.usuario_id, String(req.headers["user-agent"] || "").slice(0, 200))
+      : null;
+
+    return res.json({ ok: true, ...login, ...resultado, ...(deviceToken ? { device_token: deviceToken } : {}) });
+  } catch (err) {
+    return responderErro2fa(res, err, "2fa/verificar");
+  }
+});
+
+router.get("/2fa", autenticarToken, async (req, res) => {
+  try {
+    const status = await statusDoisFatores(pool, usuarioLogadoId(req));
+    return res.json({ ok: true, ...status, obrigatorio: await doisFatoresExigido(req) });
+  } catch (err) {
+    return responderErro2fa(res, err, "2fa");
+  }
+});
+
+router.post("/2fa/cadastro", autenticarToken, async (req, res) => {
+  try {
+    const [[usuario]] = await pool.query("SELECT nome, email FROM usuarios WHERE id = ? LIMIT 1", [usuarioLogadoId(req)]);
+    const cadastro = await iniciarCadastro(pool, usuarioLogadoId(req), { conta: usuario?.email || usuario?.nome });
+    return res.json({ ok: true, ...cadastro });
+  } catch (err) {
+    return responderErro2fa(res, err, "2fa/cadastro");
+  }
+});
+
+router.post("/2fa/cadastro/confirmar", autenticarToken, async (req, res) => {
+  try {
+    const { codigos_recuperacao } = await confirmarCadastro(pool, usuarioLogadoId(req), req.body?.codigo);
+    logAuth.info("2FA ativado", { usuario_alvo: usuarioLogadoId(req) });
+    return res.json({ ok: true, codigos_recuperacao });
+  } catch (err) {
+    return responderErro2fa(res, err, "2fa/cadastro/confirmar");
+  }
+});
+
+router.post("/2fa/codigos-recuperacao", autenticarToken, async (req, res) => {
+  try {
+    const codigos = await regenerarCodigosRecuperacao(pool, usuarioLogadoId(req), req.body?.codigo);
+    return res.json({ ok: true, codigos_recuperacao: codigos });
+  } catch (err) {
+    return responderErro2fa(res, err, "2fa/codigos-recuperacao");
+  }
+});
+
+router.post("/2fa/desativar", autenticarToken, async (req, res) => {
+  try {
+    if (await doisFatoresExigido(req)) {
+      return res.status(403).json({
+        ok: false,
+        code: "DOIS_FATORES_OBRIGATORIO",
+        message: "A autenticação em dois fatores é obrigatória para o seu perfil.",
+      });
+    }
+    await verificarSegundoFator(pool, usuarioLogadoId(req), {
+      codigo: req.body?.codigo,
+      codigoRecuperacao: req.body?.codigo_recuperacao,
+    });
+    await desativarDoisFatores(pool, usuarioLogadoId(req));
+    logAuth.info("2FA desativado", { usuario_alvo: usuarioLogadoId(req) });
+    return res.json({ ok: true });
+  } catch (err) {
+    return responderErro2fa(res, err, "2fa/desativar");
+  }
+});
+
+router.get("/2fa/dispositivos", autenticarToken, async (req, res) => {
+  try {
+    return res.json({ ok: true, dispositivos: await listarDispositivos(pool, usuarioLogadoId(req)) });
+  } catch (err) {
+    return responderErro2fa(res, err, "2fa/dispositivos");
+  }
+});
+
+router.delete("/2fa/dispositivos/:id", autenticarToken, async (req, res) => {
+  try {
+    const ok = await revogarDispositivo(pool, usuarioLogadoId(req), req.params.id);
+    if (!ok) return res.status(404).json({ ok: false, message: "Dispositivo não encontrado." });
+    return res.json({ ok: true });
+  } catch (err) {
+    return responderErro2fa(res, err, "2fa/dispositivos/delete");
+  }
+});
+
+// ──────────────────────────────────────────────────────────────
+// POST /trocar-escola — troca explícita de escola ativa (multi-escola)
+// verificarEscola não aceita mais x-escola-id diferente do token: quem
+// tem vínculo em outra escola passa por aqui, ganha nova sessão e a
+// troca fica em rbac_auditoria + access_log.
+// Body: { escola_id, usuario_ctx_id? } (ctx obrigatório se houver mais de
+// um perfil do mesmo CPF na escola de destino)
+// ──────────────────────────────────────────────────────────────
+async function auditarTrocaEscola(req, { escolaOrigem, escolaDestino, decisao, detalhe }) {
+  try {
+    await pool.query(
+      `INSERT INTO rbac_auditoria
+         (usuario_id, escola_id, perfil, metodo, rota,
+          permissao_requerida, decisao, ip, user_agent, detalhe)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        usuarioLogadoId(req),
+        escolaOrigem || null,
+        req.user?.perfil || null,
+        req.method,
+        "/api/auth/trocar-escola",
+        "escola:trocar",
+        decisao,
+        req.ip || null,
+        req.headers?.["user-agent"] || null,
+        JSON.stringify({ de: escolaOrigem || null, para: escolaDestino || null, ...detalhe }),
+      ]
+    );
+  } catch (err) {
+    console.error("[AUTH/trocar-escola] falha ao auditar:", err.message);
+  }
+}
+
+router.post("/trocar-escola", autenticarToken, async (req, res) => {
+  const escolaDestino = Number(req.body?.escola_id);
+  const ctxId = Number(req.body?.usuario_ctx_id) || null;
+  const escolaOrigem = Number(req.user?.escola_id) || null;
+
+  if (!escolaDestino) {
+    return res.status(400).json({ ok: false, message: "escola_id é obrigatório." });
+  }
+  if (req.user?.scope === "plataforma") {
+    return res.status(403).json({ ok: false, message: "Token de plataforma não possui escola." });
+  }
+
+  try {
+    const [[atual]] = await pool.query(
+      "SELECT id, cpf FROM usuarios WHERE id = ? LIMIT 1",
+      [usuarioLogadoId(req)]
+    );
+    const cpfNorm = String(atual?.cpf || "").replace(/\D/g, "");
+    if (!cpfNorm) {
+      return res.status(404).json({ ok: false, message: "Usuário não localizado." });
+    }
+
+    const [contextos] = await pool.query(
+      `SELECT u.id, u.escola_id, u.perfil, e.apelido AS nome_escola
+         FROM usuarios u
+         LEFT JOIN escolas e ON e.id = u.escola_id
+        WHERE REPLACE(REPLACE(REPLACE(u.cpf, '.', ''), '-', ''), '/', '') = ?
+          AND u.escola_id = ?
+          AND u.ativo = 1
+          AND (u.senha_hash IS NOT NULL AND u.senha_hash <> '')
+          AND (? IS NULL OR u.id = ?)`,
+      [cpfNorm, escolaDestino, ctxId, ctxId]
+    );
+
+    if (!contextos.length) {
+      await auditarTrocaEscola(req, { escolaOrigem, escolaDestino, decisao: "DENY", detalhe: { motivo: "sem_vinculo" } });
+      return res.status(403).json({ ok: false, message: "Você não possui vínculo válido com esta escola." });
+    }
+    if (contextos.length > 1) {
+      return res.status(409).json({
+        ok: false,
+        code: "PERFIL_AMBIGUO",
+        message: "Mais de um perfil nesta escola. Informe usuario_ctx_id.",
+        contextos: contextos.map((c) => ({ usuario_ctx_id: c.id, perfil: c.perfil })),
+      });
+    }
+
+    const destino = contextos[0];
+
+    // Quem tem 2FA ativo já passou por ele no login desta sessão; sem 2FA,
+    // a escola de destino pode exigir o cadastro antes da troca
+    if (!(await lerCadastro(pool, destino.id)) && (await exigidoPelaEscola(pool, destino.escola_id, destino.perfil))) {
+      await auditarTrocaEscola(req, { escolaOrigem, escolaDestino, decisao: "DENY", detalhe: { motivo: "dois_fatores_obrigatorio" } });
+      return res.status(403).json({
+        ok: false,
+        code: "DOIS_FATORES_OBRIGATORIO",
+        message: "Esta escola exige autenticação em dois fatores para o seu perfil. Ative o 2FA antes de trocar.",
+      });
+    }
+
+    const { perfis, permissoes } = await carregarRbac(destino.id, destino.escola_id);
+    const { token, refresh_token } = await assinarComSessao(req, {
+      scope: "escola",
+      usuario_id: destino.id,
+      usuarioId: destino.id,
+      escola_id: destino.escola_id,
+      nome_escola: destino.nome_escola || null,
+      perfil: destino.perfil,
+      perfis,
+      permissoes,
+    });
+
+    // A sessão da escola anterior morre aqui — um token, uma escola
+    if (req.user?.sid) {
+      await revogarSessao(pool, req.user.sid, { por: usuarioLogadoId(req), motivo: "troca_escola" });
+    }
+
+    await auditarTrocaEscola(req, {
+      escolaOrigem,
+      escolaDestino,
+      decisao: "ALLOW",
+      detalhe: { usuario_ctx_id: destino.id },
+    });
+    registrarAcesso(pool, {
+      usuario_id: destino.id,
+      escola_id: destino.escola_id,
+      perfil: destino.perfil,
+      ip: req.ip || req.headers["x-forwarded-for"],
+      user_agent: req.headers["user-agent"],
+      action: "troca_escola",
+    });
+
+    return res.json({
+      ok: true,
+      token,
+      refresh_token,
+      escola_id: destino.escola_id,
+      nome_escola: destino.nome_escola || "Escola não definida",
+      perfil: destino.perfil,
+      perfis,
+      permissoes,
+      modulos_ativos: await resolveModulosAtivos(pool, destino.escola_id, destino.perfil),
+    });
+  } catch (err) {
+    console.error("[AUTH/trocar-escola] erro:", err);
+    return res.status(500).json({ ok: false, message: "Erro ao trocar de escola." });
+  }
+});
+
+/** Usuário alvo precisa ser da mesma escola do admin. */
+async function buscarUsuarioDaEscola(usuarioId, escolaId) {
+  const [[row]] = await pool.query(
+    "SELECT id FROM usuarios WHERE id = ? AND escola_id = ? LIMIT 1",
+    [Number(usuarioId), Number(escolaId)]
+  );
+  return row || null;
+}
+
+router.get(
+  "/admin/usuarios/:id/sessoes",
+  autenticarToken,
+  autorizarPermissao("usuarios:inativar"),
+  async (req, res) => {
+    try {
+      const alvo = await buscarUsuarioDaEscola(req.params.id, req.user.escola_id);
+      if (!alvo) return res.status(404).json({ ok: false, message: "Usuário não encontrado." });
+
+      const sessoes = await listarSessoes(pool, { tipoConta: TIPO_USUARIO, contaId: alvo.id });
+      return res.json({ ok: true, sessoes });
+    } catch (err) {
+      return responderErroSessao(res, err, "admin/sessoes");
+    }
+  }
+);
+
+router.post(
+  "/admin/usuarios/:id/revogar-sessoes",
+  autenticarToken,
+  autorizarPermissao("usuarios:inativar"),
+  async (req, res) => {
+    try {
+      const alvo = await buscarUsuarioDaEscola(req.params.id, req.user.escola_id);
+      if (!alvo) return res.status(404).json({ ok: false, message: "Usuário não encontrado." });
+
+      const revogadas = await revogarSessoesDaConta(pool, {
+        tipoConta: TIPO_USUARIO,
+        contaId: alvo.id,
+        por: usuarioLogadoId(req),
+        motivo: String(req.body?.motivo || "revogada_pela_direcao"),
+      });
+      return res.json({ ok: true, revogadas });
+    } catch (err) {
+      return responderErroSessao(res, err, "admin/revogar-sessoes");
+    }
+  }
+);
+
+router.delete(
+  "/admin/sessoes/:sid",
+  autenticarToken,
+  autorizarPermissao("usuarios:inativar"),
+  async (req, res) => {
+    try {
+      const ok = await revogarSessao(pool, String(req.params.sid), {
+        tipoConta: TIPO_USUARIO,
+        escolaId: req.user.escola_id,
+        por: usuarioLogadoId(req),
+        motivo: "revogada_pela_direcao",
+      });
+      if (!ok) return res.status(404).json({ ok: false, message: "Sessão não encontrada." });
+      return res.json({ ok: true });
+    } catch (err) {
+      return responderErroSessao(res, err, "admin/sessoes/delete");
+    }
+  }
+);
+
+// Celular perdido e sem códigos de recuperação: a direção zera o 2FA; no
+// próximo login a conta cadastra de novo (se o perfil exigir) e as sessões
+// abertas caem.
+router.post(
+  "/admin/usuarios/:id/2fa/redefinir",
+  autenticarToken,
+  autorizarPermissao("usuarios:inativar"),
+  async (req, res) => {
+    try {
+      const alvo = await buscarUsuarioDaEscola(req.params.id, req.user.escola_id);
+      if (!alvo) return res.status(404).json({ ok: false, message: "Usuário não encontrado." });
+
+      const tinha = await desativarDoisFatores(pool, alvo.id);
+      const revogadas = await revogarSessoesDaConta(pool, {
+        tipoConta: TIPO_USUARIO,
+        contaId: alvo.id,
+        por: usuarioLogadoId(req),
+        motivo: "dois_fatores_redefinido",
+      });
+      logAuth.info("2FA redefinido pela direção", { usuario_alvo: alvo.id, por: usuarioLogadoId(req) });
+      return res.json({ ok: true, redefinido: tinha, sessoes_revogadas: revogadas });
+    } catch (err) {
+      return responderErro2fa(res, err, "admin/2fa/redefinir");
+    }
+  }
+);
+
 router.get('/modulos', async (req, res) => {
   try {
     const token = req.headers.authorization?.split(' ')[1];
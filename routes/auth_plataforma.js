@@ -5,6 +5,7 @@ import jwt from "jsonwebtoken";
 import pool from "../db.js";
 import nodemailer from "nodemailer";
 import { randomInt } from "crypto";
+import { avaliarLogin, concluirDesafio, lerDesafio } from "../services/doisFatores.js";
 
 const router = express.Router();
 
@@ -54,6 +55,32 @@ async function carregarPermissoesPlataforma(usuarioId) {
   return (rows || []).map((r) => r.chave).filter(Boolean);
 }
 
+/** JWT scope "plataforma" + corpo da resposta (usado no /confirmar e no /2fa/verificar). */
+async function respostaPlataforma(usuario) {
+  const perfil = String(usuario.perfil || "").toUpperCase();
+  const permissoes = await carregarPermissoesPlataforma(usuario.id);
+
+  const token = jwt.sign(
+    {
+      usuarioId: usuario.id,
+      perfil,
+      scope: "plataforma",
+      permissoes,
+    },
+    getJwtSecret(),
+    { expiresIn: "8h" }
+  );
+
+  return {
+    ok: true,
+    token,
+    nome: usuario.nome || "Usuário",
+    perfil,
+    scope: "plataforma",
+    permissoes,
+  };
+}
+
 /**
  * Login Plataforma (CEO)
  * - exige perfil SUPER_ADMIN ou ADMIN_GLOBAL
@@ -188,31 +215,50 @@ router.post("/confirmar", async (req, res) => {
       return res.status(403).json({ message: "Usuário não é global (escola_id inválido)." });
     }
 
-    const permissoes = await carregarPermissoesPlataforma(usuario.id);
-
-    const token = jwt.sign(
-      {
-        usuarioId: usuario.id,
-        perfil,
-        scope: "plataforma",
-        permissoes,
-      },
-      getJwtSecret(),
-      { expiresIn: "8h" }
-    );
-
-    return res.json({
-      ok: true,
-      token,
-      nome: usuario.nome || "Usuário",
+    // ── Segundo fator (TOTP): obrigatório com DOIS_FATORES_PLATAFORMA=obrigatorio ──
+    const etapa2fa = await avaliarLogin(pool, req, {
+      usuarioId: usuario.id,
+      origem: "plataforma",
       perfil,
-      scope: "plataforma",
-      permissoes,
+      conta: usuario.email,
     });
+    if (etapa2fa) return res.json({ ok: true, ...etapa2fa });
+
+    return res.json(await respostaPlataforma(usuario));
   } catch (err) {
     console.error("[AUTH_PLATAFORMA/confirmar] erro:", err);
     return res.status(500).json({ message: "Erro no servidor." });
   }
 });
 
+/**
+ * Segundo fator da Plataforma: desafio do /confirmar + TOTP (ou código de
+ * recuperação) -> JWT scope "plataforma". Cadastro/gestão do 2FA: /api/auth/2fa/*.
+ */
+router.post("/2fa/verificar", async (req, res) => {
+  const body = req.body || {};
+  try {
+    const desafio = lerDesafio(body.desafio, "plataforma");
+    const resultado = await concluirDesafio(pool, req, res, desafio, {
+      codigo: body.codigo,
+      codigoRecuperacao: body.codigo_recuperacao,
+      confiar: Boolean(body.confiar_dispositivo),
+    });
+
+    const [[usuario]] = await pool.query(
+      "SELECT id, nome, ativo, perfil, escola_id FROM usuarios WHERE id = ? LIMIT 1",
+      [desafio.usuario_id]
+    );
+    if (!usuario || Number(usuario.ativo) !== 1 || Number(usuario.escola_id) !== 0) {
+      return res.status(403).json({ message: "Usuário inativo." });
+    }
+
+    return res.json({ ...(await respostaPlataforma(usuario)), ...resultado });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ code: err.code, message: err.message });
+    console.error("[AUTH_PLATAFORMA/2fa] erro:", err);
+    return res.status(500).json({ message: "Erro no servidor." });
+  }
+});
+
 export default router;
@@ -1,5 +1,22 @@
 import express from "express";
 import pool from "../db.js";
+import {
+  capturarItensPlano,
+  capturarNotas,
+  capturarNotasDiario,
+  eventosDaCaptura,
+  registrarAlteracoes,
+} from "../services/auditoria.js";
+import { validar } from "../middleware/validarRequisicao.js";
+import * as schemas from "../schemas/avaliacoes.js";
+import { anoLetivoAtual } from "../services/calendarioLetivo.js";
+import {
+  calcularNotasDoDiario,
+  descreverFormula,
+  indiceRecuperado,
+  politicaDaTurma,
+  situacaoDaNota,
+} from "../services/politicaNotas.js";
 
 const router = express.Router();
 
@@ -15,12 +32,6 @@ function toDateOnly(val) {
   return d.toISOString().slice(0, 10);
 }
 
-function anoLetivoPadrao() {
-  const hoje = new Date();
-  const mes = hoje.getMonth() + 1;
-  return mes <= 1 ? hoje.getFullYear() - 1 : hoje.getFullYear();
-}
-
 /**
  * RECALL — Verifica se há itens de avaliação sem tipo_avaliacao preenchido
  * Retorna a lista de planos afetados para que o professor atualize.
@@ -30,7 +41,7 @@ router.get("/recall/check", async (req, res) => {
   try {
     const { escola_id, usuario_id } = req.user;
 
-    const anoAtual = new Date().getFullYear();
+    const anoAtual = await anoLetivoAtual(pool, escola_id);
 
     // Resolve CPF do professor logado (igual ao /me)
     let cpf = req.user?.cpf;
@@ -92,7 +103,7 @@ router.get("/recall/check", async (req, res) => {
  *   planos_avaliacao.disciplina → disciplinas.nome → modulacao.disciplina_id
  * Parâmetros opcionais: ?ano=2026 &bimestre=1º Bimestre
  */
-router.get("/me", async (req, res) => {
+router.get("/me", validar(schemas.meusPlanos), async (req, res) => {
   try {
     const { escola_id } = req.user;
     const { ano, bimestre, semestre } = req.query;
@@ -115,7 +126,7 @@ router.get("/me", async (req, res) => {
     }
 
     const cleanCpf = String(cpf).replace(/\D/g, "");
-    const anoParam = ano ? Number(ano) : new Date().getFullYear();
+    const anoParam = ano ? Number(ano) : await anoLetivoAtual(pool, escola_id);
 
     // ── Passo 1: turmas e disciplinas DO professor neste ano (via modulação) ───────────────────
     // Usa turmas.ano para garantir que são turmas do ano letivo correto.
@@ -183,7 +194,7 @@ router.get("/me", async (req, res) => {
  * 1) GET /api/avaliacoes
  * Busca todos os planos de avaliação de uma escola, opcionalmente filtrando por ano, disciplina, bimestre, semestre.
  */
-router.get("/", async (req, res) => {
+router.get("/", validar(schemas.listarPlanos), async (req, res) => {
   try {
     const { escola_id } = req.user;
     const { ano, disciplina, bimestre, semestre } = req.query;
@@ -223,10 +234,10 @@ router.get("/", async (req, res) => {
  * Lista todos os PAPs com status ENVIADO (pendentes de aprovação pela Direção)
  * IMPORTANTE: esta rota DEVE vir antes de /:id para não ser capturada como parâmetro
  */
-router.get("/solicitacoes/pendentes", async (req, res) => {
+router.get("/solicitacoes/pendentes", validar(schemas.solicitacoesPendentes), async (req, res) => {
   try {
     const { escola_id } = req.user;
-    const ano = req.query.ano || new Date().getFullYear();
+    const ano = req.query.ano || (await anoLetivoAtual(pool, escola_id));
 
     const [planos] = await pool.query(
       `SELECT
@@ -265,7 +276,7 @@ router.get("/solicitacoes/pendentes", async (req, res) => {
  * SOLICITAR LIBERAÇÃO — Professor solicita desbloqueio de um PAP aprovado
  * Muda status de APROVADO -> LIBERACAO_SOLICITADA para a Direção ver
  */
-router.post("/solicitar-liberacao/:id", async (req, res) => {
+router.post("/solicitar-liberacao/:id", validar(schemas.solicitarLiberacao), async (req, res) => {
   try {
     const { escola_id, usuario_id } = req.user;
     const { id } = req.params;
@@ -303,32 +314,11 @@ router.post("/solicitar-liberacao/:id", async (req, res) => {
 // Coordenacao/Direcao busca TODAS as solicitacoes de reabertura de diario
 // da sua escola. Retorna status PENDENTE por padrao (query ?status=PENDENTE|APROVADA|NEGADA|todas)
 // ─────────────────────────────────────────────────────────────────────────────
-router.get("/solicitacoes-reabertura", async (req, res) => {
+router.get("/solicitacoes-reabertura", validar(schemas.listarReaberturas), async (req, res) => {
   try {
     const { escola_id } = req.user;
     const statusFiltro = req.query.status || "PENDENTE";
 
-    // Garante tabela existe
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS solicitacoes_reabertura_diario (
-        id                INT AUTO_INCREMENT PRIMARY KEY,
-        plano_id          INT NOT NULL,
-        turma_id          INT NOT NULL,
-        escola_id         INT,
-        professor_id      INT,
-        aluno_id          INT,
-        aluno_nome        VARCHAR(255),
-        motivo            TEXT NOT NULL,
-        status            ENUM('PENDENTE','APROVADA','NEGADA') NOT NULL DEFAULT 'PENDENTE',
-        resposta_pedagogico TEXT,
-        respondido_por    INT,
-        respondido_em     DATETIME,
-        criado_em         DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-        INDEX idx_plano_turma (plano_id, turma_id),
-        INDEX idx_status (status)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-    `);
-
     const whereStatus = statusFiltro === "todas" ? "" : "AND s.status = ?";
     const params = statusFiltro === "todas"
       ? [escola_id]
@@ -364,7 +354,7 @@ router.get("/solicitacoes-reabertura", async (req, res) => {
 // Pedagogico responde (APROVADA ou NEGADA) a uma solicitacao de reabertura.
 // Se APROVADA: remove o registro de diario_fechamento para reabrir o diario.
 // ─────────────────────────────────────────────────────────────────────────────
-router.patch("/solicitacoes-reabertura/:solicitacaoId", async (req, res) => {
+router.patch("/solicitacoes-reabertura/:solicitacaoId", validar(schemas.responderReabertura), async (req, res) => {
   const { solicitacaoId } = req.params;
   const { status, resposta } = req.body;
   const respondido_por = req.user?.id || null;
@@ -430,7 +420,7 @@ router.patch("/solicitacoes-reabertura/:solicitacaoId", async (req, res) => {
  * 3) GET /api/avaliacoes/:id
  * Busca um plano específico e seus itens
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", validar(schemas.planoPorId), async (req, res) => {
   try {
     const { escola_id } = req.user;
     const { id } = req.params;
@@ -445,11 +435,12 @@ router.get("/:id", async (req, res) => {
     }
 
     const [itens] = await pool.query(
-      `SELECT * FROM itens_avaliacao WHERE plano_id = ?`,
+      `SELECT * FROM itens_avaliacao WHERE plano_id = ? ORDER BY id ASC`,
       [id]
     );
 
-    plano.itens = itens;
+    // recupera_idx: posição do item original de cada recuperação (null nos demais)
+    plano.itens = itens.map((item, idx) => ({ ...item, recupera_idx: indiceRecuperado(itens, idx) }));
 
     // --- BLOCO DE FALLBACK DA PROVA BIMESTRAL ---
     // A prova bimestral (fixo_direcao = 1) não permite edição de data pelo professor.
@@ -461,8 +452,10 @@ router.get("/:id", async (req, res) => {
         try {
           // 1. Tentar Agenda Pedagógica
           const [agendaRows] = await pool.query(
-            "SELECT data_inicio FROM agenda_pedagogica WHERE escola_id = ? AND tema = 'semana_prova' AND bimestre = ? LIMIT 1",
-            [escola_id, plano.bimestre]
+            `SELECT data_inicio FROM agenda_pedagogica
+              WHERE escola_id = ? AND tema = 'semana_prova' AND bimestre = ? AND (ano_letivo = ? OR ano_letivo IS NULL)
+              ORDER BY ano_letivo DESC LIMIT 1`,
+            [escola_id, parseBimestre(plano.bimestre), plano.ano]
           );
           if (agendaRows.length > 0 && agendaRows[0].data_inicio) {
             fallbackDate = toDateOnly(agendaRows[0].data_inicio);
@@ -508,7 +501,7 @@ router.get("/:id", async (req, res) => {
 // ────────────────────────────────────────────────────────────────────────────
 // Exclusão de Plano de Avaliação
 // ────────────────────────────────────────────────────────────────────────────
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", validar(schemas.excluirPlano), async (req, res) => {
   const { id } = req.params;
   const conn = await pool.getConnection();
 
@@ -534,9 +527,15 @@ router.delete("/:id", async (req, res) => {
 
     // 3) Excluir plano (itens_avaliacao serão deletados por ON DELETE CASCADE se configurado, 
     // mas forçaremos o delete para segurança)
+    const itensAntes = await capturarItensPlano(conn, id);
     await conn.beginTransaction();
     await conn.query("DELETE FROM itens_avaliacao WHERE plano_id = ?", [id]);
     await conn.query("DELETE FROM planos_avaliacao WHERE id = ?", [id]);
+    await registrarAlteracoes(
+      conn,
+      req,
+      eventosDaCaptura("itens_avaliacao", itensAntes, await capturarItensPlano(conn, id))
+    );
     await conn.commit();
 
     return res.json({ success: true, message: "Plano excluído com sucesso." });
@@ -562,7 +561,7 @@ router.delete("/:id", async (req, res) => {
  * Se não há notas, usa o comportamento clássico (DELETE + INSERT).
  * ────────────────────────────────────────────────────────────────────────────
  */
-router.post("/", async (req, res) => {
+router.post("/", validar(schemas.salvarPlano), async (req, res) => {
   const conn = await pool.getConnection();
   try {
     await conn.beginTransaction();
@@ -572,13 +571,27 @@ router.post("/", async (req, res) => {
       bimestre,
       turmas,
       turno = null,
-      ano = anoLetivoPadrao(),
+      ano: anoInformado,
       nome_codigo,
       status = "RASCUNHO",
       semestre = null,
       itens = []
     } = req.body;
 
+    const ano = anoInformado || (await anoLetivoAtual(conn, escola_id));
+
+    // Recuperação: cada item de recuperação aponta para um item original do
+    // próprio plano (recupera_idx = posição em `itens`, ou recupera_item_id)
+    const alvosRecuperacao = itens.map((_, idx) => indiceRecuperado(itens, idx));
+    const recuperacaoSemAlvo = itens.find((item, idx) => item.recuperacao && alvosRecuperacao[idx] === null);
+    if (recuperacaoSemAlvo) {
+      await conn.rollback();
+      return res.status(400).json({
+        ok: false,
+        error: `A recuperação "${recuperacaoSemAlvo.atividade}" precisa estar ligada a uma atividade do plano (que não seja outra recuperação).`,
+      });
+    }
+
     // Normaliza semestre: apenas 1 ou 2 são válidos para turmas semestrais;
     // NULL indica regime anual (compatível com dados existentes).
     const semestreNorm = [1, 2].includes(Number(semestre)) ? Number(semestre) : null;
@@ -586,6 +599,7 @@ router.post("/", async (req, res) => {
     // Vai desmembrar as turmas em planos individuais
     const turmasArray = Array.isArray(turmas) ? turmas : turmas.split("-");
     const planoIds = [];
+    const itensAntes = []; // captura por plano (trilha de auditoria)
 
     for (const turmaUnica of turmasArray) {
       let planoId;
@@ -619,6 +633,8 @@ router.post("/", async (req, res) => {
       }
 
       planoIds.push(planoId);
+      itensAntes.push(await capturarItensPlano(conn, planoId));
+      const idsPorPosicao = []; // id gravado de cada posição de `itens`
 
       // ═══════════════════════════════════════════════════════════════
       // PROTEÇÃO DE DADOS: verificar se há notas já lançadas no diário
@@ -688,10 +704,13 @@ router.post("/", async (req, res) => {
                    data_inicio    = ?,
                    data_final     = ?,
                    nota_total     = ?,
+                   peso           = ?,
                    oportunidades  = ?,
                    nota_invertida = ?,
                    descricao      = ?,
-                   fixo_direcao   = ?
+                   fixo_direcao   = ?,
+                   recuperacao    = ?,
+                   recupera_item_id = NULL
                WHERE id = ?`,
               [
                 item.atividade,
@@ -699,19 +718,22 @@ router.post("/", async (req, res) => {
                 toDateOnly(item.data || item.data_inicio),
                 toDateOnly(item.data_final || item.data || item.data_inicio),
                 item.nota_total || 0,
+                item.peso ?? 1,
                 item.oportunidades || 1,
                 item.nota_invertida || 0,
                 item.descricao || null,
                 item.fixo_direcao ? 1 : 0,
+                item.recuperacao || null,
                 itemId,
               ]
             );
+            idsPorPosicao.push(itemId);
           } else {
             // Insere novo item (não havia antes, sem notas associadas)
-            await conn.query(
+            const [novo] = await conn.query(
               `INSERT INTO itens_avaliacao
-               (plano_id, atividade, tipo_avaliacao, data_inicio, data_final, nota_total, oportunidades, nota_invertida, descricao, fixo_direcao)
-               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+               (plano_id, atividade, tipo_avaliacao, data_inicio, data_final, nota_total, peso, oportunidades, nota_invertida, descricao, fixo_direcao, recuperacao)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
               [
                 planoId,
                 item.atividade,
@@ -719,12 +741,15 @@ router.post("/", async (req, res) => {
                 toDateOnly(item.data || item.data_inicio),
                 toDateOnly(item.data_final || item.data || item.data_inicio),
                 item.nota_total || 0,
+                item.peso ?? 1,
                 item.oportunidades || 1,
                 item.nota_invertida || 0,
                 item.descricao || null,
                 item.fixo_direcao ? 1 : 0,
+                item.recuperacao || null,
               ]
             );
+            idsPorPosicao.push(novo.insertId);
           }
         }
       } else {
@@ -739,20 +764,36 @@ router.post("/", async (req, res) => {
             toDateOnly(i.data || i.data_inicio),
             toDateOnly(i.data_final || i.data || i.data_inicio),
             i.nota_total || 0,
+            i.peso ?? 1,
             i.oportunidades || 1,
             i.nota_invertida || 0,
             i.descricao || null,
-            i.fixo_direcao ? 1 : 0
+            i.fixo_direcao ? 1 : 0,
+            i.recuperacao || null,
           ]);
 
           await conn.query(
             `INSERT INTO itens_avaliacao 
-             (plano_id, atividade, tipo_avaliacao, data_inicio, data_final, nota_total, oportunidades, nota_invertida, descricao, fixo_direcao)
+             (plano_id, atividade, tipo_avaliacao, data_inicio, data_final, nota_total, peso, oportunidades, nota_invertida, descricao, fixo_direcao, recuperacao)
              VALUES ?`,
             [insertData]
           );
+          const [inseridos] = await conn.query(
+            `SELECT id FROM itens_avaliacao WHERE plano_id = ? ORDER BY id ASC`,
+            [planoId]
+          );
+          idsPorPosicao.push(...inseridos.map((r) => r.id));
         }
       }
+
+      // Liga as recuperações aos itens originais (ids já gravados)
+      for (const [idx, alvo] of alvosRecuperacao.entries()) {
+        if (alvo === null) continue;
+        await conn.query(
+          `UPDATE itens_avaliacao SET recupera_item_id = ? WHERE id = ?`,
+          [idsPorPosicao[alvo], idsPorPosicao[idx]]
+        );
+      }
     }
 
     // ════════════════════════════════════════════════════════════════════
@@ -864,6 +905,13 @@ router.post("/", async (req, res) => {
       console.warn('[avaliacoes] Auto-item Prova Bimestral ignorado:', govErr.message);
     }
 
+    const eventosItens = [];
+    for (const [i, planoId] of planoIds.entries()) {
+      const itensDepois = await capturarItensPlano(conn, planoId);
+      eventosItens.push(...eventosDaCaptura("itens_avaliacao", itensAntes[i], itensDepois));
+    }
+    await registrarAlteracoes(conn, req, eventosItens);
+
     await conn.commit();
     return res.json({ success: true, plano_ids: planoIds });
   } catch (error) {
@@ -888,7 +936,7 @@ router.post("/", async (req, res) => {
  * Bloqueado para itens fixo_direcao (Prova Bimestral — gerenciado pela direção).
  * body: { data_inicio: "YYYY-MM-DD" }
  */
-router.patch("/:id/item/:itemId/data", async (req, res) => {
+router.patch("/:id/item/:itemId/data", validar(schemas.alterarDataItem), async (req, res) => {
   try {
     const { escola_id, usuario_id } = req.user;
     const { id: planoId, itemId } = req.params;
@@ -913,10 +961,16 @@ router.patch("/:id/item/:itemId/data", async (req, res) => {
     }
 
     const dataFormatada = toDateOnly(data_inicio);
+    const itensAntes = await capturarItensPlano(pool, planoId);
     await pool.query(
       `UPDATE itens_avaliacao SET data_inicio = ?, data_final = ?, updated_at = NOW() WHERE id = ?`,
       [dataFormatada, dataFormatada, itemId]
     );
+    await registrarAlteracoes(
+      pool,
+      req,
+      eventosDaCaptura("itens_avaliacao", itensAntes, await capturarItensPlano(pool, planoId))
+    );
 
     return res.json({ ok: true, data_inicio: dataFormatada });
   } catch (error) {
@@ -930,7 +984,7 @@ router.patch("/:id/item/:itemId/data", async (req, res) => {
  * A Direção/Coordenação altera o status de um PAP (APROVAR, DEVOLVER, etc.)
  * body: { status: "APROVADO" | "DEVOLVIDO" | "RASCUNHO", motivo?: string }
  */
-router.patch("/:id/status", async (req, res) => {
+router.patch("/:id/status", validar(schemas.alterarStatus), async (req, res) => {
 
   try {
     const { escola_id } = req.user;
@@ -972,11 +1026,42 @@ router.patch("/:id/status", async (req, res) => {
   }
 });
 
+/**
+ * Nota do bimestre por aluno a partir do diário do plano na turma, pela
+ * política de notas da escola (services/politicaNotas.js: soma ou ponderada,
+ * nota máxima, arredondamento, regra da recuperação).
+ * → { politica, itens, notas: Map aluno_id → resultado }
+ */
+async function notasDoBimestre(db, { escolaId, plano, turmaId, alunoIds = null }) {
+  const [[itens], politica] = await Promise.all([
+    db.query(
+      `SELECT id, atividade, nota_total, peso, recuperacao, recupera_item_id
+         FROM itens_avaliacao WHERE plano_id = ? ORDER BY id ASC`,
+      [plano.id]
+    ),
+    politicaDaTurma(db, escolaId, turmaId, parseBimestre(plano.bimestre)),
+  ]);
+  let sql = `SELECT aluno_id, item_idx, oportunidade_idx, nota
+               FROM notas_diario
+              WHERE plano_id = ? AND turma_id = ? AND escola_id = ? AND nota IS NOT NULL`;
+  const params = [plano.id, turmaId, escolaId];
+  if (alunoIds) { sql += " AND aluno_id IN (?)"; params.push(alunoIds); }
+  const [linhas] = await db.query(sql, params);
+  return { politica, itens, notas: calcularNotasDoDiario(politica, itens, linhas) };
+}
+
+/** { alunoId: nota do bimestre } para o front (sem os alunos sem lançamento). */
+function totaisPorAluno(notas) {
+  const totais = {};
+  for (const [alunoId, r] of notas) if (r.nota !== null) totais[alunoId] = r.nota;
+  return totais;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // POST /api/avaliacoes/:id/salvar-notas
 // Salva as notas granulares do diário (por item do PAP) na tabela notas_diario
 // ═══════════════════════════════════════════════════════════════════════════
-router.post("/:id/salvar-notas", async (req, res) => {
+router.post("/:id/salvar-notas", validar(schemas.salvarNotasDiario), async (req, res) => {
   try {
     const { escola_id } = req.user;
     const planoId = req.params.id;
@@ -990,7 +1075,7 @@ router.post("/:id/salvar-notas", async (req, res) => {
 
     // Verificar se o plano pertence a essa escola
     const [[plano]] = await pool.query(
-      "SELECT id, status FROM planos_avaliacao WHERE id = ? AND escola_id = ?",
+      "SELECT id, status, bimestre FROM planos_avaliacao WHERE id = ? AND escola_id = ?",
       [planoId, escola_id]
     );
     if (!plano) {
@@ -1028,15 +1113,40 @@ router.post("/:id/salvar-notas", async (req, res) => {
       return res.json({ ok: true, message: "Nenhuma nota válida.", total: 0 });
     }
 
-    // Batch UPSERT
+    // Batch UPSERT (com antes/depois para a trilha de auditoria)
+    const chaveDiario = {
+      escolaId: escola_id,
+      planoId,
+      turmaId: turma_id,
+      alunoIds: [...new Set(values.map((v) => v[3]))],
+    };
+    const antes = await capturarNotasDiario(pool, chaveDiario);
     await pool.query(
       `INSERT INTO notas_diario (escola_id, plano_id, turma_id, aluno_id, item_idx, oportunidade_idx, nota, cor)
        VALUES ?
        ON DUPLICATE KEY UPDATE nota = VALUES(nota), cor = VALUES(cor), updated_at = NOW()`,
       [values]
     );
+    await registrarAlteracoes(
+      pool,
+      req,
+      eventosDaCaptura("notas_diario", antes, await capturarNotasDiario(pool, chaveDiario))
+    );
+
+    // Nota do bimestre recalculada dos alunos alterados (mesma conta do exportar-boletim)
+    const { notas: notasBimestre } = await notasDoBimestre(pool, {
+      escolaId: escola_id,
+      plano,
+      turmaId: turma_id,
+      alunoIds: chaveDiario.alunoIds,
+    });
 
-    return res.json({ ok: true, message: `${values.length} nota(s) salva(s) com sucesso.`, total: values.length });
+    return res.json({
+      ok: true,
+      message: `${values.length} nota(s) salva(s) com sucesso.`,
+      total: values.length,
+      totais: totaisPorAluno(notasBimestre),
+    });
   } catch (err) {
     console.error("Erro ao salvar notas do diário:", err);
     return res.status(500).json({ error: "Erro ao salvar notas." });
@@ -1049,7 +1159,7 @@ router.post("/:id/salvar-notas", async (req, res) => {
 // Também retorna `alunosComGabarito`: array de aluno_ids cuja nota fixo_direcao
 // foi importada pelo módulo de Gabarito (e não digitada manualmente).
 // ═══════════════════════════════════════════════════════════════════════════
-router.get("/:id/notas-diario", async (req, res) => {
+router.get("/:id/notas-diario", validar(schemas.notasDiario), async (req, res) => {
   try {
     const { escola_id } = req.user;
     const planoId = req.params.id;
@@ -1128,18 +1238,110 @@ router.get("/:id/notas-diario", async (req, res) => {
       console.warn("[notas-diario] Erro ao detectar alunosComGabarito (nao critico):", gabErr.message);
     }
 
-    return res.json({ ok: true, notas, cores, alunosComGabarito });
+    // ── 3. Nota do bimestre por aluno pela política da escola ──────────────
+    let totais = {};
+    let politica = null;
+    let formula = null;
+    try {
+      const [[plano]] = await pool.query(
+        "SELECT id, bimestre FROM planos_avaliacao WHERE id = ? AND escola_id = ?",
+        [planoId, escola_id]
+      );
+      if (plano) {
+        const calculo = await notasDoBimestre(pool, { escolaId: escola_id, plano, turmaId });
+        totais = totaisPorAluno(calculo.notas);
+        politica = calculo.politica;
+        formula = descreverFormula(calculo.politica, calculo.itens);
+      }
+    } catch (polErr) {
+      console.warn("[notas-diario] Erro ao calcular notas do bimestre (nao critico):", polErr.message);
+    }
+
+    return res.json({ ok: true, notas, cores, alunosComGabarito, totais, politica, formula });
   } catch (err) {
     console.error("Erro ao carregar notas do diário:", err);
     return res.status(500).json({ error: "Erro ao carregar notas." });
   }
 });
 
+// ═══════════════════════════════════════════════════════════════════════════
+// GET /api/avaliacoes/:id/recuperacao?turma_id=
+// Itens de recuperação do plano e a lista de elegíveis: alunos da turma com
+// nota do bimestre (sem contar a recuperação) abaixo da média de aprovação
+// da política. itens_abaixo = atividades em que o aluno ficou abaixo da média
+// proporcional ao valor da atividade.
+// ═══════════════════════════════════════════════════════════════════════════
+router.get("/:id/recuperacao", validar(schemas.recuperacao), async (req, res) => {
+  try {
+    const { escola_id } = req.user;
+    const turmaId = req.query.turma_id;
+
+    const [[plano]] = await pool.query(
+      "SELECT id, bimestre, ano FROM planos_avaliacao WHERE id = ? AND escola_id = ?",
+      [req.params.id, escola_id]
+    );
+    if (!plano) {
+      return res.status(404).json({ error: "Plano não encontrado." });
+    }
+
+    const { politica, itens, notas } = await notasDoBimestre(pool, { escolaId: escola_id, plano, turmaId });
+    const ano = plano.ano || (await anoLetivoAtual(pool, escola_id));
+    const [alunos] = await pool.query(
+      `SELECT a.id AS aluno_id, a.estudante AS nome, a.codigo AS matricula
+         FROM matriculas m
+         JOIN alunos a ON a.id = m.aluno_id
+        WHERE m.turma_id = ? AND m.escola_id = ? AND m.ano_letivo = ? AND m.status = 'ativo'
+          AND (a.status = 'ativo' OR a.status IS NULL)
+        ORDER BY a.estudante ASC`,
+      [turmaId, escola_id, ano]
+    );
+
+    const proporcao = politica.media_aprovacao / politica.maxima_bimestre;
+    const elegiveis = [];
+    for (const aluno of alunos) {
+      const r = notas.get(Number(aluno.aluno_id));
+      if (!r || situacaoDaNota(politica, r.nota_sem_recuperacao) !== "abaixo_media") continue;
+      const itensAbaixo = r.itens
+        .filter((i) => !i.recuperacao && i.nota_total > 0)
+        .filter((i) => (i.nota_original ?? i.nota ?? 0) < i.nota_total * proporcao)
+        .map((i) => i.idx);
+      elegiveis.push({
+        ...aluno,
+        nota_sem_recuperacao: r.nota_sem_recuperacao,
+        nota: r.nota,
+        situacao: situacaoDaNota(politica, r.nota),
+        itens_abaixo: itensAbaixo,
+      });
+    }
+
+    return res.json({
+      ok: true,
+      politica,
+      itens_recuperacao: itens
+        .map((item, idx) => ({ idx, item, alvo: indiceRecuperado(itens, idx) }))
+        .filter(({ alvo }) => alvo !== null)
+        .map(({ idx, item, alvo }) => ({
+          idx,
+          id: item.id,
+          atividade: item.atividade,
+          recuperacao: item.recuperacao,
+          recupera_idx: alvo,
+          recupera_atividade: itens[alvo].atividade,
+        })),
+      elegiveis,
+      total_alunos: alunos.length,
+    });
+  } catch (err) {
+    console.error("Erro ao listar elegíveis à recuperação:", err);
+    return res.status(500).json({ error: "Erro ao carregar a recuperação." });
+  }
+});
+
 // ═══════════════════════════════════════════════════════════════════════════
 // GET /api/avaliacoes/:id/status-diario
 // Verifica se o diário está fechado para uma turma
 // ═══════════════════════════════════════════════════════════════════════════
-router.get("/:id/status-diario", async (req, res) => {
+router.get("/:id/status-diario", validar(schemas.statusDiario), async (req, res) => {
   try {
     const { escola_id } = req.user;
     const planoId = req.params.id;
@@ -1173,7 +1375,7 @@ router.get("/:id/status-diario", async (req, res) => {
 // fechar_diario = false/omitido → exporta sem fechar (professor pode atualizar depois)
 // fechar_diario = true          → exporta E fecha o diário definitivamente
 // ═══════════════════════════════════════════════════════════════════════════
-router.post("/:id/exportar-boletim", async (req, res) => {
+router.post("/:id/exportar-boletim", validar(schemas.exportarBoletim), async (req, res) => {
   const conn = await pool.getConnection();
   try {
     const { escola_id } = req.user;
@@ -1240,17 +1442,18 @@ router.post("/:id/exportar-boletim", async (req, res) => {
       return res.status(400).json({ error: `Bimestre '${plano.bimestre}' inválido.` });
     }
 
-    const ano = plano.ano || new Date().getFullYear();
+    const ano = plano.ano || (await anoLetivoAtual(pool, escola_id));
 
-    // 5) Buscar totais por aluno a partir de notas_diario
-    const [totais] = await conn.query(
-      `SELECT aluno_id, SUM(nota) AS total
-       FROM notas_diario
-       WHERE plano_id = ? AND turma_id = ? AND escola_id = ?
-       GROUP BY aluno_id
-       HAVING total IS NOT NULL`,
-      [planoId, turma_id, escola_id]
-    );
+    // 5) Nota do bimestre por aluno a partir de notas_diario, pela política
+    //    de notas da escola (composição, nota máxima, arredondamento)
+    const { politica, notas: notasBimestre } = await notasDoBimestre(conn, {
+      escolaId: escola_id,
+      plano,
+      turmaId: turma_id,
+    });
+    const totais = [...notasBimestre]
+      .filter(([, r]) => r.nota !== null)
+      .map(([aluno_id, r]) => ({ aluno_id, total: r.nota }));
 
     if (totais.length === 0) {
       conn.release();
@@ -1258,6 +1461,14 @@ router.post("/:id/exportar-boletim", async (req, res) => {
     }
 
     // 6) Transação: UPSERT nas notas + registrar fechamento
+    const chaveNotas = {
+      escolaId: escola_id,
+      alunoIds: totais.map((t) => t.aluno_id),
+      ano,
+      bimestre: bimestreNum,
+      disciplinaId,
+    };
+    const notasAntes = await capturarNotas(conn, chaveNotas);
     await conn.beginTransaction();
 
     let inseridas = 0;
@@ -1274,6 +1485,11 @@ router.post("/:id/exportar-boletim", async (req, res) => {
       if (result.insertId > 0) inseridas++;
       else atualizadas++;
     }
+    await registrarAlteracoes(
+      conn,
+      req,
+      eventosDaCaptura("notas", notasAntes, await capturarNotas(conn, chaveNotas))
+    );
 
     // 7) Registrar fechamento SOMENTE se o professor decidiu fechar
     if (fechar_diario) {
@@ -1300,6 +1516,7 @@ router.post("/:id/exportar-boletim", async (req, res) => {
         disciplina: plano.disciplina,
         bimestre: plano.bimestre,
         ano,
+        politica,
       },
     });
   } catch (err) {
@@ -1316,7 +1533,7 @@ router.post("/:id/exportar-boletim", async (req, res) => {
 // Cria registro em solicitacoes_reabertura_diario (status: PENDENTE).
 // PASSO 3 (Pedagogico) devera aprovar/negar via rota separada.
 // ─────────────────────────────────────────────────────────────────────────────
-router.post("/:id/solicitar-reabertura-diario", async (req, res) => {
+router.post("/:id/solicitar-reabertura-diario", validar(schemas.solicitarReaberturaDiario), async (req, res) => {
   const planoId = req.params.id;
   const { turma_id, motivo, aluno_id, aluno_nome } = req.body;
   const professor_id = req.user?.id || req.headers["x-professor-id"] || null;
@@ -1327,28 +1544,7 @@ router.post("/:id/solicitar-reabertura-diario", async (req, res) => {
   }
 
   try {
-    // 1) Garantir que a tabela existe (idempotente)
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS solicitacoes_reabertura_diario (
-        id                INT AUTO_INCREMENT PRIMARY KEY,
-        plano_id          INT NOT NULL,
-        turma_id          INT NOT NULL,
-        escola_id         INT,
-        professor_id      INT,
-        aluno_id          INT,
-        aluno_nome        VARCHAR(255),
-        motivo            TEXT NOT NULL,
-        status            ENUM('PENDENTE','APROVADA','NEGADA') NOT NULL DEFAULT 'PENDENTE',
-        resposta_pedagogico TEXT,
-        respondido_por    INT,
-        respondido_em     DATETIME,
-        criado_em         DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-        INDEX idx_plano_turma (plano_id, turma_id),
-        INDEX idx_status (status)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-    `);
-
-    // 2) Verificar se o diario esta de fato fechado
+    // 1) Verificar se o diario esta de fato fechado
     const [[fechamento]] = await pool.query(
       "SELECT id FROM diario_fechamento WHERE plano_id = ? AND turma_id = ?",
       [planoId, turma_id]
@@ -1357,7 +1553,7 @@ router.post("/:id/solicitar-reabertura-diario", async (req, res) => {
       return res.status(400).json({ ok: false, error: "O diario nao esta fechado." });
     }
 
-    // 3) Verificar se ja existe solicitacao PENDENTE
+    // 2) Verificar se ja existe solicitacao PENDENTE
     const [[pendente]] = await pool.query(
       "SELECT id FROM solicitacoes_reabertura_diario WHERE plano_id = ? AND turma_id = ? AND status = 'PENDENTE'",
       [planoId, turma_id]
@@ -1366,7 +1562,7 @@ router.post("/:id/solicitar-reabertura-diario", async (req, res) => {
       return res.status(409).json({ ok: false, error: "Ja existe uma solicitacao de reabertura pendente para este diario." });
     }
 
-    // 4) Inserir solicitacao
+    // 3) Inserir solicitacao
     const [result] = await pool.query(
       `INSERT INTO solicitacoes_reabertura_diario
          (plano_id, turma_id, escola_id, professor_id, aluno_id, aluno_nome, motivo)
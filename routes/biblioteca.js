@@ -13,21 +13,13 @@ import { verificarEscola } from '../middleware/verificarEscola.js';
 import crypto from 'crypto';
 import sharp from 'sharp';
 import { uploadFileBufferToSpaces } from '../storage/spacesUpload.js';
+import { anoLetivoAtual } from '../services/calendarioLetivo.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const router = express.Router();
 
-// ── Regra do ano letivo: corte em 15/fev ────────────────────────────────────
-function anoLetivoAtual() {
-  const hoje = new Date();
-  const mes  = hoje.getMonth() + 1;
-  const dia  = hoje.getDate();
-  if (mes < 2 || (mes === 2 && dia < 15)) return hoje.getFullYear() - 1;
-  return hoje.getFullYear();
-}
-
 // ── Sanitiza ano: extrai apenas 4 dígitos numéricos ─────────────────────────
 // Google Books às vezes retorna "Feb 2024", "2024-02", "2024" etc.
 function sanitizarAno(valor) {
@@ -631,9 +623,10 @@ router.get('/alunos/:alunoId/historico', async (req, res) => {
 router.get('/turmas/leitores', async (req, res) => {
   const db  = req.db;
   const eid = escolaId(req);
-  const anoAtual = anoLetivoAtual();
 
   try {
+    // Ano letivo pelo calendário da escola (o mesmo da chamada)
+    const anoAtual = await anoLetivoAtual(db, eid);
     const [turmas] = await db.query(
       `SELECT t.id AS turma_id, t.nome AS turma_nome,
          COUNT(DISTINCT be.aluno_id) AS total_leitores,
@@ -884,7 +877,7 @@ router.get('/ranking', async (req, res) => {
     const paramsWhere = [eid];
     if (turma_id) { turmaFilter = 'AND m.turma_id = ?'; paramsWhere.push(turma_id); }
 
-    const anoAtual = anoLetivoAtual();
+    const anoAtual = await anoLetivoAtual(db, eid);
     const finalParams = [eid, ...paramsBe, ...paramsBr, ...paramsWhere];
 
     const [ranking] = await db.query(
@@ -1,9 +1,16 @@
 // api/routes/boletins.js
 // ============================================================================
 // Geração de PDF dos BOLETINS via Playwright
-// - Rotas:
+// - Rotas (todas enfileiram um job "boletim_pdf" e respondem 202 + job_id;
+//   o PDF sai em GET /api/jobs/:id/arquivo — ver services/jobQueue.js):
 //     POST /api/boletins/gerar        → (fluxo clássico, com validação de escola)
-//     POST /api/boletins/gerar-turma  → (boletins da turma inteira, injeta token/localStorage)
+//     POST /api/boletins/gerar-turma  → (boletins da turma inteira)
+//     POST /api/boletins/gerar-aluno  → (boletim de um único aluno)
+// - POST /api/boletins/publicar (boletins:publicar) → registra a publicação
+//   do bimestre da turma e avisa os responsáveis (BOLETIM_PUBLICADO no outbox
+//   de services/notificacoes.js). Republicar não notifica de novo.
+//   Antes, as faltas da chamada do bimestre vão para notas.faltas
+//   (consolidarFaltas em services/chamada.js).
 // - Robusteza:
 //     • Fallbacks no page.goto (diferentes waitUntil)
 //     • Espera explícita pelo #render-completo (com grace period)
@@ -16,6 +23,16 @@
 import express from "express";
 import { chromium } from "playwright";
 import pool from "../db.js";
+import { autorizarPermissao } from "../middleware/autorizarPermissao.js";
+import { validar } from "../middleware/validarRequisicao.js";
+import * as schemas from "../schemas/notificacoes.js";
+import { boletinsDaTurma, boletinsPorCodigos } from "../services/boletinsImpressao.js";
+import { consolidarFaltas } from "../services/chamada.js";
+import { enfileirarJob, registrarHandler } from "../services/jobQueue.js";
+import { requestIdAtual } from "../services/logger.js";
+import { duracaoPdfPlaywright } from "../services/metricas.js";
+import { agendarNotificacao } from "../services/notificacoes.js";
+import { mensagemSessaoInvalida, verificarSessaoToken } from "../services/sessoes.js";
 
 const router = express.Router();
 
@@ -128,6 +145,7 @@ async function makePDF(page) {
   });
 }
 
+
 // -----------------------------------------------------------------------------
 // Utiliza BASE_URL e PRINT_SECRET do ambiente (com defaults seguros em dev)
 // -----------------------------------------------------------------------------
@@ -135,167 +153,186 @@ const BASE_URL = process.env.PRINT_BASE_URL || "http://localhost:5173";
 const PRINT_SECRET = process.env.PRINT_SECRET || "123456";
 
 // ============================================================================
-// ROTA 1: POST /api/boletins/gerar
-// - Fluxo consolidado (gera PDF a partir de uma turma)
+// JOB "boletim_pdf" — renderiza a tela /print/boletins e guarda o PDF no job
+// - Nenhum token é emitido para o worker: a página de impressão busca os dados
+//   em /api/impressao/boletins e o worker responde essas chamadas direto de
+//   services/boletinsImpressao.js, com o escola_id do job.
+// - Antes de abrir o navegador, a sessão de quem pediu (usuario_id + sid) tem
+//   que continuar valendo: revogada ou conta inativa → falha sem retentativa.
+// - Chromium é pesado: no máximo 2 simultâneos, 1 por escola.
 // ============================================================================
-router.post("/gerar", verificarEscola, async (req, res) => {
-  const { turma_id, ano } = req.body;
-  const { escola_id } = req.user;
 
-  if (!turma_id) {
-    return res.status(400).json({ error: "turma_id obrigatório" });
+/** Responde, sem passar pela API, as chamadas de dados da página de impressão. */
+async function responderImpressao(route, escolaId) {
+  const req = route.request();
+  const url = new URL(req.url());
+  let corpo;
+  if (req.method() === "POST") {
+    const codigos = (req.postDataJSON()?.alunos || []).map((a) => a.codigo);
+    corpo = { boletins: await boletinsPorCodigos(pool, { escolaId, codigos }) };
+  } else {
+    corpo = await boletinsDaTurma(pool, { escolaId, turmaId: url.searchParams.get("turma_id") });
   }
+  await route.fulfill({ status: 200, contentType: "application/json", body: JSON.stringify(corpo) });
+}
 
-  try {
-    // 1) Verifica se a turma pertence à escola do usuário
-    const [[turma]] = await pool.query(
-      "SELECT id FROM turmas WHERE id = ? AND escola_id = ?",
-      [turma_id, escola_id]
-    );
-    if (!turma) {
-      return res.status(403).json({
-        error: "Turma não encontrada ou não pertence à sua escola.",
-      });
-    }
+registrarHandler(
+  "boletim_pdf",
+  async (ctx) => {
+    const { turma_id, aluno_id, ano, base_url, sid, nome_arquivo } = ctx.payload;
+    const escola_id = ctx.escolaId;
 
-    // 2) Token do header (Authorization: Bearer <token>)
-    const authHeader = req.headers.authorization || "";
-    const token = authHeader.replace(/^Bearer\s+/i, "");
+    const sessao = await verificarSessaoToken(ctx.db, { usuario_id: ctx.usuarioId, sid });
+    if (!sessao.ok) {
+      throw Object.assign(new Error(mensagemSessaoInvalida(sessao.code)), { permanente: true });
+    }
 
-    // 3) Monta a URL de impressão (inclui ano se fornecido)
-    const requestOrigin = req.headers.origin || (req.headers.referer ? new URL(req.headers.referer).origin : null);
-    const finalBaseUrl = process.env.PRINT_BASE_URL || requestOrigin || BASE_URL;
-    const anoParam = ano ? `&ano=${encodeURIComponent(ano)}` : "";
-    const url = `${finalBaseUrl}/print/boletins?turma_id=${encodeURIComponent(
-      turma_id
-    )}&secret=${encodeURIComponent(PRINT_SECRET)}${anoParam}`;
+    const params = new URLSearchParams({ turma_id: String(turma_id) });
+    if (aluno_id) params.set("aluno_id", String(aluno_id));
+    params.set("secret", PRINT_SECRET);
+    if (ano) params.set("ano", String(ano));
+    const url = `${base_url || BASE_URL}/print/boletins?${params.toString()}`;
 
     let browser;
+    let resultadoPdf = "falha";
+    const fimPdf = duracaoPdfPlaywright.iniciar({ origem: "boletim", escola_id: escola_id ?? "" });
     try {
-      // 4) Browser + Página
+      await ctx.progresso(5, "Abrindo navegador");
       browser = await launchBrowser();
       const page = await browser.newPage();
 
-      // 5) Injeta token e escola_id no localStorage ANTES de navegar
-      //    → Evita que o React redirecione para /login por falta de autenticação
-      await page.addInitScript(({ token, escola_id }) => {
+      // Injeta escola_id no localStorage ANTES de navegar
+      await page.addInitScript(({ escola_id }) => {
         try {
-          localStorage.setItem("token", token || "");
           if (escola_id) localStorage.setItem("escola_id", String(escola_id));
         } catch (e) {
           // ignore storage errors (sandboxed environments)
         }
-      }, { token, escola_id });
+      }, { escola_id });
+
+      // Dados dos boletins: respondidos aqui, na escola do job. As demais
+      // chamadas à API levam o request_id do job (só /api/: header extra em
+      // fontes/CDN dispararia preflight CORS)
+      const requestId = requestIdAtual();
+      await page.route("**/api/**", (route) => {
+        if (new URL(route.request().url()).pathname.endsWith("/api/impressao/boletins")) {
+          return responderImpressao(route, escola_id).catch(() => route.abort());
+        }
+        const headers = { ...route.request().headers() };
+        if (requestId) headers["x-request-id"] = requestId;
+        return route.continue({ headers });
+      });
 
-      // 5b) Ativa @media print — sem isso as regras print do CSS Module
-      //     (min-height:unset, margens, etc.) são IGNORADAS pelo Playwright.
+      // Ativa @media print — sem isso as regras print do CSS Module
+      // (min-height:unset, margens, etc.) são IGNORADAS pelo Playwright.
       await enablePrintMedia(page);
 
-      // 6) Navega com robustez e espera sinal de render
+      await ctx.progresso(20, "Carregando boletins");
       await robustGoto(page, url);
+      await ctx.verificarCancelamento();
       await waitRenderComplete(page);
 
-      // 6b) Garante que o modo print está ativo após a navegação
-      //     (navegar pode fazer reset da emulação em alguns browsers)
+      // Garante que o modo print está ativo após a navegação
+      // (navegar pode fazer reset da emulação em alguns browsers)
       await enablePrintMedia(page);
+      await ctx.verificarCancelamento();
 
-      // 7) Gera o PDF
+      await ctx.progresso(80, "Gerando PDF");
       const pdfBuffer = await makePDF(page);
+      resultadoPdf = "ok";
 
-      // 8) Envia resposta
-      res.setHeader("Content-Type", "application/pdf");
-      res.setHeader(
-          "Content-Disposition",
-          `attachment; filename=Boletins_Turma_${turma_id}.pdf`
-      );
-      res.send(pdfBuffer);
+      await ctx.salvarArquivo({ nome: nome_arquivo, mime: "application/pdf", buffer: pdfBuffer });
+      return { arquivo: nome_arquivo, bytes: pdfBuffer.length };
     } finally {
+      fimPdf({ resultado: resultadoPdf });
       if (browser) await browser.close();
     }
+  },
+  { concorrencia: 2, concorrenciaPorEscola: 1, maxTentativas: 2, backoffMs: 20_000 }
+);
+
+/**
+ * Valida turma x escola e enfileira o job. Responde 202 com o job_id.
+ */
+async function enfileirarBoletim(req, res, { turma_id, aluno_id = null, ano = null, nome_arquivo }) {
+  const { escola_id } = req.user;
+
+  // 1) Verifica se a turma pertence à escola do usuário
+  const [[turma]] = await pool.query(
+    "SELECT id FROM turmas WHERE id = ? AND escola_id = ?",
+    [turma_id, escola_id]
+  );
+  if (!turma) {
+    return res.status(403).json({
+      error: "Turma não encontrada ou não pertence à sua escola.",
+    });
+  }
+
+  // 2) Origem do front para montar a URL de impressão
+  const requestOrigin = req.headers.origin || (req.headers.referer ? new URL(req.headers.referer).origin : null);
+  const base_url = process.env.PRINT_BASE_URL || requestOrigin || BASE_URL;
+
+  // 3) Um job por usuário: o PDF de outro usuário (mesma turma) não é reaproveitado
+  const usuarioId = req.user.usuarioId || req.user.id || req.user.usuario_id;
+  const { id, existente } = await enfileirarJob(pool, {
+    tipo: "boletim_pdf",
+    escolaId: escola_id,
+    usuarioId,
+    chave: `boletim_pdf:${escola_id}:${usuarioId}:${turma_id}:${aluno_id || "turma"}:${ano || ""}`,
+    payload: { turma_id, aluno_id, ano, base_url, sid: req.user.sid || null, nome_arquivo },
+  });
+
+  return res.status(202).json({
+    ok: true,
+    job_id: id,
+    existente,
+    status_url: `/api/jobs/${id}`,
+    arquivo_url: `/api/jobs/${id}/arquivo`,
+  });
+}
+
+// ============================================================================
+// ROTA 1: POST /api/boletins/gerar
+// - Fluxo consolidado (gera PDF a partir de uma turma)
+// ============================================================================
+router.post("/gerar", verificarEscola, async (req, res) => {
+  const { turma_id, ano } = req.body;
+
+  if (!turma_id) {
+    return res.status(400).json({ error: "turma_id obrigatório" });
+  }
+
+  try {
+    return await enfileirarBoletim(req, res, {
+      turma_id,
+      ano,
+      nome_arquivo: `Boletins_Turma_${turma_id}.pdf`,
+    });
   } catch (error) {
-    console.error("Erro ao gerar PDF com Playwright:", error);
-    return res.status(500).json({ error: "Erro ao gerar PDF", message: error.message, stack: error.stack });
+    console.error("Erro ao enfileirar PDF de boletins:", error);
+    return res.status(500).json({ error: "Erro ao gerar PDF", message: error.message });
   }
 });
 
 // ============================================================================
 // ROTA 2: POST /api/boletins/gerar-turma
 // - Gera boletins da turma inteira
-// - Injeta token e escola_id no localStorage ANTES do front carregar
 // ============================================================================
 router.post("/gerar-turma", verificarEscola, async (req, res) => {
   const { turma_id } = req.body;
-  const { escola_id } = req.user;
 
   if (!turma_id) {
     return res.status(400).json({ error: "turma_id obrigatório" });
   }
 
   try {
-    // 1) Confere turma x escola
-    const [[turma]] = await pool.query(
-      "SELECT id FROM turmas WHERE id = ? AND escola_id = ?",
-      [turma_id, escola_id]
-    );
-    if (!turma) {
-      return res.status(403).json({
-        error: "Turma não encontrada ou não pertence à sua escola.",
-      });
-    }
-
-    // 2) Token do header (Authorization: Bearer <token>)
-    const authHeader = req.headers.authorization || "";
-    const token = authHeader.replace(/^Bearer\s+/i, "");
-
-    // 3) URL de impressão
-    const requestOrigin = req.headers.origin || (req.headers.referer ? new URL(req.headers.referer).origin : null);
-    const finalBaseUrl = process.env.PRINT_BASE_URL || requestOrigin || BASE_URL;
-    const url = `${finalBaseUrl}/print/boletins?turma_id=${encodeURIComponent(
-      turma_id
-    )}&secret=${encodeURIComponent(PRINT_SECRET)}`;
-
-    let browser;
-    try {
-      // 4) Browser + nova página
-      browser = await launchBrowser();
-      const page = await browser.newPage();
-
-      // 5) Injeta token/escola_id no localStorage ANTES do app montar
-      await page.addInitScript(({ token, escola_id }) => {
-        try {
-          localStorage.setItem("token", token || "");
-          if (escola_id) localStorage.setItem("escola_id", String(escola_id));
-        } catch (e) {
-          // ignore storage errors
-        }
-      }, { token, escola_id });
-
-      // 5b) Ativa @media print (mesmo motivo da rota /gerar)
-      await enablePrintMedia(page);
-
-      // 6) Navega com robustez e espera render final
-      await robustGoto(page, url);
-      await waitRenderComplete(page);
-
-      // 6b) Re-aplica print media após navegação
-      await enablePrintMedia(page);
-
-      // 7) Gera PDF
-      const pdfBuffer = await makePDF(page);
-
-      // 8) Envia resultado
-      res.setHeader("Content-Type", "application/pdf");
-      res.setHeader(
-          "Content-Disposition",
-          `attachment; filename=Boletins_Turma_${turma_id}.pdf`
-      );
-      res.send(pdfBuffer);
-    } finally {
-      if (browser) await browser.close();
-    }
+    return await enfileirarBoletim(req, res, {
+      turma_id,
+      nome_arquivo: `Boletins_Turma_${turma_id}.pdf`,
+    });
   } catch (error) {
-    console.error("Erro ao gerar PDF de turma com Playwright:", error);
-    return res.status(500).json({ error: "Erro ao gerar PDF da turma", message: error.message, stack: error.stack });
+    console.error("Erro ao enfileirar PDF de turma:", error);
+    return res.status(500).json({ error: "Erro ao gerar PDF da turma", message: error.message });
   }
 });
 
@@ -305,69 +342,102 @@ router.post("/gerar-turma", verificarEscola, async (req, res) => {
 // ============================================================================
 router.post("/gerar-aluno", verificarEscola, async (req, res) => {
   const { turma_id, aluno_id, ano } = req.body;
-  const { escola_id } = req.user;
 
   if (!turma_id || !aluno_id) {
     return res.status(400).json({ error: "turma_id e aluno_id são obrigatórios" });
   }
 
   try {
-    // 1) Confere turma x escola
-    const [[turma]] = await pool.query(
-      "SELECT id FROM turmas WHERE id = ? AND escola_id = ?",
-      [turma_id, escola_id]
-    );
-    if (!turma) {
-      return res.status(403).json({
-        error: "Turma não encontrada ou não pertence à sua escola.",
-      });
-    }
-
-    // 2) Token do header
-    const authHeader = req.headers.authorization || "";
-    const token = authHeader.replace(/^Bearer\s+/i, "");
+    return await enfileirarBoletim(req, res, {
+      turma_id,
+      aluno_id,
+      ano,
+      nome_arquivo: `Boletim_${aluno_id}.pdf`,
+    });
+  } catch (error) {
+    console.error("Erro ao enfileirar PDF de aluno:", error);
+    return res.status(500).json({ error: "Erro ao gerar PDF do aluno", message: error.message });
+  }
+});
 
-    // 3) URL de impressão com aluno_id
-    const requestOrigin = req.headers.origin || (req.headers.referer ? new URL(req.headers.referer).origin : null);
-    const finalBaseUrl = process.env.PRINT_BASE_URL || requestOrigin || BASE_URL;
-    const anoParam = ano ? `&ano=${encodeURIComponent(ano)}` : "";
-    const url = `${finalBaseUrl}/print/boletins?turma_id=${encodeURIComponent(
-      turma_id
-    )}&aluno_id=${encodeURIComponent(aluno_id)}&secret=${encodeURIComponent(PRINT_SECRET)}${anoParam}`;
+// ============================================================================
+// ROTA 4: POST /api/boletins/publicar
+// - Publica o boletim do bimestre para a turma e notifica os responsáveis
+// ============================================================================
+router.post(
+  "/publicar",
+  verificarEscola,
+  autorizarPermissao("boletins:publicar"),
+  validar(schemas.publicarBoletim),
+  async (req, res) => {
+    const { escola_id } = req.user;
+    const { turma_id, ano, bimestre } = req.body;
+    const usuarioId = req.user.usuarioId || req.user.id || req.user.usuario_id || null;
 
-    let browser;
     try {
-      browser = await launchBrowser();
-      const page = await browser.newPage();
-
-      await page.addInitScript(({ token, escola_id }) => {
-        try {
-          localStorage.setItem("token", token || "");
-          if (escola_id) localStorage.setItem("escola_id", String(escola_id));
-        } catch (e) {
-        }
-      }, { token, escola_id });
-
-      await enablePrintMedia(page);
-      await robustGoto(page, url);
-      await waitRenderComplete(page);
-      await enablePrintMedia(page);
-
-      const pdfBuffer = await makePDF(page);
+      const [[turma]] = await pool.query(
+        "SELECT id, nome FROM turmas WHERE id = ? AND escola_id = ?",
+        [turma_id, escola_id]
+      );
+      if (!turma) {
+        return res.status(404).json({ ok: false, message: "Turma não encontrada nesta escola." });
+      }
+
+      const faltas = await consolidarFaltas(pool, {
+        escolaId: escola_id,
+        turmaId: turma_id,
+        ano,
+        bimestre,
+        origemAuditoria: req,
+      }).catch((err) => {
+        console.warn("[BOLETINS] Faltas da chamada não consolidadas (não crítico):", err.message);
+        return null;
+      });
 
-      res.setHeader("Content-Type", "application/pdf");
-      res.setHeader(
-          "Content-Disposition",
-          `attachment; filename=Boletim_${aluno_id}.pdf`
+      const [r] = await pool.query(
+        `INSERT IGNORE INTO boletins_publicacoes (escola_id, turma_id, ano, bimestre, publicado_por)
+         VALUES (?, ?, ?, ?, ?)`,
+        [escola_id, turma_id, ano, bimestre, usuarioId]
       );
-      res.send(pdfBuffer);
-    } finally {
-      if (browser) await browser.close();
+      const jaPublicado = !r.affectedRows;
+      let publicacaoId = Number(r.insertId);
+      if (jaPublicado) {
+        const [[existente]] = await pool.query(
+          `SELECT id FROM boletins_publicacoes
+            WHERE escola_id = ? AND turma_id = ? AND ano = ? AND bimestre = ?`,
+          [escola_id, turma_id, ano, bimestre]
+        );
+        publicacaoId = Number(existente.id);
+      }
+
+      const job = await agendarNotificacao(
+        pool,
+        {
+          evento: "BOLETIM_PUBLICADO",
+          escolaId: escola_id,
+          turmaId: turma_id,
+          referenciaId: publicacaoId,
+          titulo: "Boletim disponível",
+          mensagem: "O boletim do {bimestre}º bimestre de {aluno} ({turma}) já está disponível no app.",
+          dados: { bimestre, turma: turma.nome },
+          payload: { turma_id, ano, bimestre },
+        },
+        { usuarioId }
+      );
+
+      return res.status(jaPublicado ? 200 : 201).json({
+        ok: true,
+        publicacao_id: publicacaoId,
+        ja_publicado: jaPublicado,
+        faltas_consolidadas: faltas?.atualizadas ?? null,
+        notificacao_job_id: job.id,
+        status_url: `/api/notificacoes/status?evento=BOLETIM_PUBLICADO&referencia_id=${publicacaoId}`,
+      });
+    } catch (error) {
+      console.error("Erro ao publicar boletins:", error);
+      return res.status(500).json({ ok: false, message: "Erro ao publicar boletins." });
     }
-  } catch (error) {
-    console.error("Erro ao gerar PDF de aluno com Playwright:", error);
-    return res.status(500).json({ error: "Erro ao gerar PDF do aluno", message: error.message, stack: error.stack });
   }
-});
+);
 
 export default router;
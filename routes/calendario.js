@@ -0,0 +1,140 @@
+// routes/calendario.js
+// ============================================================================
+// Calendário letivo da escola (services/calendarioLetivo.js)
+// - Rotas (montadas em /api/calendario com autenticarToken + verificarEscola):
+//     GET /api/calendario/anos           → anos letivos cadastrados
+//     GET /api/calendario/atual          → ano letivo, bimestre e semestre de hoje
+//     GET /api/calendario/data?data=     → bimestre/semestre da data + dia letivo?
+//     GET /api/calendario/:ano           → calendário + contador de dias letivos
+//     PUT /api/calendario/:ano           → cadastra/substitui o calendário do ano
+// - Leitura: qualquer usuário da escola. Gravação: calendario:editar.
+// - Sem calendário cadastrado as rotas respondem com a divisão padrão
+//   (configurado: false): fevereiro a janeiro, bimestres por mês.
+// ============================================================================
+
+import express from "express";
+import pool from "../db.js";
+import { autorizarPermissao } from "../middleware/autorizarPermissao.js";
+import { validar } from "../middleware/validarRequisicao.js";
+import * as schemas from "../schemas/calendario.js";
+import {
+  anoLetivoAtual,
+  carregarCalendario,
+  diaLetivo,
+  hojeNoFuso,
+  limitesDoAno,
+  periodoDaData,
+  periodosDoAno,
+  resumoDiasLetivos,
+  salvarCalendario,
+} from "../services/calendarioLetivo.js";
+import { criarLogger } from "../services/logger.js";
+
+const router = express.Router();
+const log = criarLogger("calendario");
+
+function getUserId(req) {
+  return req.user?.usuarioId || req.user?.id || req.user?.usuario_id || null;
+}
+
+router.get("/anos", validar(schemas.anos), async (req, res) => {
+  try {
+    const [anos] = await pool.query(
+      `SELECT ano, DATE_FORMAT(data_inicio, '%Y-%m-%d') AS data_inicio,
+              DATE_FORMAT(data_fim, '%Y-%m-%d') AS data_fim, dias_letivos_minimo
+         FROM calendario_anos WHERE escola_id = ? ORDER BY ano DESC`,
+      [req.escola_id]
+    );
+    return res.json({ ok: true, atual: await anoLetivoAtual(pool, req.escola_id), anos });
+  } catch (err) {
+    log.error("erro ao listar anos", { erro: err });
+    return res.status(500).json({ ok: false, message: "Erro ao listar os anos letivos." });
+  }
+});
+
+router.get("/atual", validar(schemas.atual), async (req, res) => {
+  try {
+    const hoje = hojeNoFuso();
+    const [bimestre, semestre, dia] = await Promise.all([
+      periodoDaData(pool, req.escola_id, hoje, "bimestre"),
+      periodoDaData(pool, req.escola_id, hoje, "semestre"),
+      diaLetivo(pool, req.escola_id, hoje),
+    ]);
+    return res.json({
+      ok: true,
+      data: hoje,
+      ano: bimestre.ano,
+      bimestre: bimestre.numero,
+      semestre: semestre.numero,
+      letivo: dia.letivo,
+      motivo: dia.motivo,
+    });
+  } catch (err) {
+    log.error("erro ao consultar hoje", { erro: err });
+    return res.status(500).json({ ok: false, message: "Erro ao consultar o calendário." });
+  }
+});
+
+router.get("/data", validar(schemas.consultarData), async (req, res) => {
+  try {
+    const { data } = req.query;
+    const [bimestre, semestre, dia] = await Promise.all([
+      periodoDaData(pool, req.escola_id, data, "bimestre"),
+      periodoDaData(pool, req.escola_id, data, "semestre"),
+      diaLetivo(pool, req.escola_id, data),
+    ]);
+    return res.json({
+      ok: true,
+      data,
+      ano: bimestre.ano,
+      bimestre: bimestre.numero,
+      semestre: semestre.numero,
+      letivo: dia.letivo,
+      motivo: dia.motivo,
+      evento: dia.evento,
+      configurado: dia.configurado,
+    });
+  } catch (err) {
+    log.error("erro ao consultar data", { erro: err });
+    return res.status(500).json({ ok: false, message: "Erro ao consultar o calendário." });
+  }
+});
+
+router.get("/:ano", validar(schemas.calendarioDoAno), async (req, res) => {
+  try {
+    const { ano } = req.params;
+    const calendario = await carregarCalendario(pool, req.escola_id, ano);
+    if (calendario) {
+      return res.json({ ok: true, configurado: true, calendario, dias_letivos: resumoDiasLetivos(calendario) });
+    }
+    const [limites, bimestres, semestres] = await Promise.all([
+      limitesDoAno(pool, req.escola_id, ano),
+      periodosDoAno(pool, req.escola_id, ano, "bimestre"),
+      periodosDoAno(pool, req.escola_id, ano, "semestre"),
+    ]);
+    return res.json({
+      ok: true,
+      configurado: false,
+      calendario: { ano, data_inicio: limites.inicio, data_fim: limites.fim, bimestres, semestres, eventos: [] },
+      dias_letivos: null,
+    });
+  } catch (err) {
+    log.error("erro ao carregar calendário", { erro: err });
+    return res.status(500).json({ ok: false, message: "Erro ao carregar o calendário letivo." });
+  }
+});
+
+router.put("/:ano", autorizarPermissao("calendario:editar"), validar(schemas.salvarCalendario), async (req, res) => {
+  try {
+    const calendario = await salvarCalendario(pool, req.escola_id, req.params.ano, req.body, { usuarioId: getUserId(req) });
+    const { dias_letivos, ...resto } = calendario;
+    log.info("ano letivo salvo", { ano: resto.ano });
+    return res.json({ ok: true, calendario: resto, dias_letivos });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok: false, code: err.code, message: err.message });
+    log.error("erro ao salvar calendário", { erro: err });
+    return res.status(500).json({ ok: false, message: "Erro ao salvar o calendário letivo." });
+  }
+});
+
+export default router;
@@ -1,14 +1,13 @@
 import express from "express";
 import pool from "../db.js";
+import { consumir } from "../services/limiteTaxa.js";
 
 const router = express.Router();
 
-// Rate limit em memÃ³ria (por device). Para multi-instÃ¢ncia, migrar para Redis.
+// Rate limit por device (services/limiteTaxa.js — store compartilhado entre instâncias)
 const CAPTURE_RL_WINDOW_MS = Number(process.env.CAPTURE_RL_WINDOW_MS || 60_000);
 const CAPTURE_RL_MAX = Number(process.env.CAPTURE_RL_MAX || 12);
 
-const _captureRlStore = new Map(); // key -> { count, resetAt }
-
 // PASSO 5.2 â€” Cooldown de ENROLL/REENROLL (evita duplo clique / corrida de token)
 const CAPTURE_ENROLL_COOLDOWN_MS = Number(process.env.CAPTURE_ENROLL_COOLDOWN_MS || 10_000);
 const _captureEnrollCooldown = new Map(); // key -> { resetAt }
@@ -88,26 +87,15 @@ async function safeInsertCaptureAuditoria(db, {
   }
 }
 
-function checkCaptureRateLimit(deviceKey) {
+async function checkCaptureRateLimit(deviceKey) {
   const key = String(deviceKey || "").trim();
   if (!key) return { ok: true };
 
-  const now = Date.now();
-  const cur = _captureRlStore.get(key);
-
-  if (!cur || now >= cur.resetAt) {
-    const next = { count: 1, resetAt: now + CAPTURE_RL_WINDOW_MS };
-    _captureRlStore.set(key, next);
-    return { ok: true, remaining: CAPTURE_RL_MAX - 1, resetAt: next.resetAt };
-  }
-
-  if (cur.count >= CAPTURE_RL_MAX) {
-    return { ok: false, resetAt: cur.resetAt };
-  }
-
-  cur.count += 1;
-  _captureRlStore.set(key, cur);
-  return { ok: true, remaining: Math.max(0, CAPTURE_RL_MAX - cur.count), resetAt: cur.resetAt };
+  const rl = await consumir(`capture_upload:device:${key}`, {
+    janelaMs: CAPTURE_RL_WINDOW_MS,
+    max: CAPTURE_RL_MAX,
+  });
+  return { ok: rl.ok, remaining: rl.restante, resetAt: rl.resetAt };
 }
 
 // PASSO 5.2 â€” Cooldown de ENROLL/REENROLL (por escola + device_uid)
@@ -131,7 +119,7 @@ async function rateLimitCapturePorDevice(req, res, next) {
   const device = req.captureDevice;
   const deviceKey = device?.device_uid || device?.id;
 
-  const rl = checkCaptureRateLimit(deviceKey);
+  const rl = await checkCaptureRateLimit(deviceKey);
   if (!rl.ok) {
     const payload = {
       ok: false,
@@ -293,6 +281,7 @@ import { autorizarPermissao } from "../middleware/autorizarPermissao.js";
 import multer from "multer";
 import sharp from "sharp";
 import { uploadImageBufferToSpaces, deleteObjectFromSpaces } from "../storage/spacesUpload.js";
+import { alunosComConsentimento } from "../services/consentimentoImagem.js";
 
 // Health check
 router.get("/health", async (_req, res) => {
@@ -644,6 +633,21 @@ router.post(
       });
     }
 
+    // LGPD: sem consentimento de imagem válido a foto não é processada nem enviada
+    try {
+      const permitidos = await alunosComConsentimento(db, escola_id, [aluno_id]);
+      if (!permitidos.has(aluno_id)) {
+        return res.status(403).json({
+          ok: false,
+          code: "SEM_CONSENTIMENTO_IMAGEM",
+          message: "Aluno sem consentimento de imagem válido do responsável.",
+        });
+      }
+    } catch (err) {
+      console.error("[CAPTURE] erro ao verificar consentimento:", err?.message || err);
+      return res.status(500).json({ ok: false, message: "Erro ao verificar consentimento de imagem." });
+    }
+
     const ip = getClientIp(req);
     const user_agent = getUserAgent(req);
 
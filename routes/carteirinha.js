@@ -1,6 +1,7 @@
 import express from "express";
 import jwt from "jsonwebtoken";
 import pool from "../db.js";
+import { alunosComConsentimento } from "../services/consentimentoImagem.js";
 
 const router = express.Router();
 
@@ -29,6 +30,7 @@ router.get("/verificar-aluno/:token", async (req, res) => {
         a.id,
         a.estudante     AS nome,
         a.foto,
+        a.escola_id,
         a.data_nascimento,
         a.codigo        AS matricula,
         a.status        AS aluno_status,
@@ -58,12 +60,17 @@ router.get("/verificar-aluno/:token", async (req, res) => {
       });
     }
 
+    // LGPD: carteirinha é pública (QR); foto só com consentimento de imagem válido
+    const permitidos = aluno.foto
+      ? await alunosComConsentimento(pool, aluno.escola_id, [aluno.id])
+      : new Set();
+
     return res.json({
       ok: true,
       aluno: {
         id: aluno.id,
         nome: aluno.nome,
-        foto: aluno.foto,
+        foto: permitidos.has(Number(aluno.id)) ? aluno.foto : null,
         escola_nome: aluno.escola_nome,
         turma: aluno.turma,
         status: aluno.aluno_status,
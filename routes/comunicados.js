@@ -2,10 +2,11 @@
 import express from 'express';
 import multer from 'multer';
 import crypto from 'crypto';
-import sharp from 'sharp';
 import { uploadFileBufferToSpaces } from '../storage/spacesUpload.js';
 import { autenticarToken } from '../middleware/autenticarToken.js';
 import pool from '../db.js';
+import { agendarNotificacao } from '../services/notificacoes.js';
+import { contabilizarUso, processarUpload } from '../services/uploadSeguro.js';
 
 const router = express.Router();
 
@@ -37,6 +38,33 @@ const requireManagePermission = (req, res, next) => {
   return res.status(403).json({ message: 'Acesso negado: Perfil sem permissão para gerenciar comunicados.' });
 };
 
+// Comunicado ativo → push para os responsáveis da escola (outbox em
+// services/notificacoes.js). O dedup por comunicado evita reenviar quando o
+// mesmo comunicado é editado/reativado. Não crítico.
+async function notificarComunicado(req, escolaId, comunicadoId, titulo) {
+  // :escolaId vem da URL — só dispara para a escola do próprio token
+  if (req.user?.role !== 'sysadmin' && Number(req.user?.escola_id) !== escolaId) {
+    console.warn('[comunicados] notificação ignorada: escola da URL difere da escola do usuário.');
+    return;
+  }
+  try {
+    await agendarNotificacao(
+      pool,
+      {
+        evento: 'COMUNICADO',
+        escolaId,
+        referenciaId: comunicadoId,
+        titulo: 'Novo comunicado da escola',
+        mensagem: String(titulo).slice(0, 300),
+        payload: { comunicado_id: comunicadoId },
+      },
+      { usuarioId: req.user?.usuarioId || req.user?.id || null }
+    );
+  } catch (err) {
+    console.warn('[comunicados] notificação aos responsáveis falhou (não crítico):', err.message);
+  }
+}
+
 // GET /api/comunicados/:escolaId
 // Retorna todos os comunicados (noticias) da escola, do mais novo para o mais antigo.
 router.get('/:escolaId', autenticarToken, async (req, res) => {
@@ -73,27 +101,17 @@ router.post('/:escolaId', autenticarToken, requireManagePermission, upload.singl
     if (req.file) {
       const ts = Date.now();
       const rand = crypto.randomBytes(4).toString('hex');
-      let buffer = req.file.buffer;
-      let contentType = req.file.mimetype;
-      let ext = contentType === 'application/pdf' ? 'pdf' : 'jpg';
-
-      if (contentType.startsWith('image/')) {
-        buffer = await sharp(req.file.buffer)
-          .rotate()
-          .resize({ width: 1600, height: 1600, fit: 'inside', withoutEnlargement: true })
-          .jpeg({ quality: 85, mozjpeg: true })
-          .toBuffer();
-        contentType = 'image/jpeg';
-      }
-
-      const objectKey = `uploads/comunicados/${ts}_${rand}.${ext}`;
-      
+      // Tipo real, conteúdo ativo, EXIF e reencode (1600 px, JPEG) em services/uploadSeguro.js
+      const arquivo = await processarUpload(pool, req.file, { perfil: 'comunicado', escolaId });
+      const objectKey = `uploads/comunicados/${ts}_${rand}.${arquivo.extensao}`;
+
       const uploadResult = await uploadFileBufferToSpaces({
-        buffer,
-        contentType,
+        buffer: arquivo.buffer,
+        contentType: arquivo.mime,
         objectKey,
         cacheControl: 'public, max-age=31536000',
       });
+      await contabilizarUso(pool, escolaId, arquivo.tamanho);
       publicUrl = uploadResult.publicUrl;
     }
 
@@ -102,9 +120,11 @@ router.post('/:escolaId', autenticarToken, requireManagePermission, upload.singl
        VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
       [escolaId, titulo, '', publicUrl, isAtivo]
     );
+    if (isAtivo) await notificarComunicado(req, escolaId, result.insertId, titulo);
 
     res.json({ ok: true, id: result.insertId, message: 'Comunicado criado com sucesso.' });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message, codigo: err.codigo });
     console.error('[comunicados] POST erro:', err);
     res.status(500).json({ message: err.message || 'Erro ao criar comunicado.' });
   }
@@ -129,27 +149,17 @@ router.put('/:escolaId/:id', autenticarToken, requireManagePermission, upload.si
     if (req.file) {
       const ts = Date.now();
       const rand = crypto.randomBytes(4).toString('hex');
-      let buffer = req.file.buffer;
-      let contentType = req.file.mimetype;
-      let ext = contentType === 'application/pdf' ? 'pdf' : 'jpg';
-
-      if (contentType.startsWith('image/')) {
-        buffer = await sharp(req.file.buffer)
-          .rotate()
-          .resize({ width: 1600, height: 1600, fit: 'inside', withoutEnlargement: true })
-          .jpeg({ quality: 85, mozjpeg: true })
-          .toBuffer();
-        contentType = 'image/jpeg';
-      }
-
-      const objectKey = `uploads/comunicados/${ts}_${rand}.${ext}`;
-      
+      // Tipo real, conteúdo ativo, EXIF e reencode (1600 px, JPEG) em services/uploadSeguro.js
+      const arquivo = await processarUpload(pool, req.file, { perfil: 'comunicado', escolaId });
+      const objectKey = `uploads/comunicados/${ts}_${rand}.${arquivo.extensao}`;
+
       const uploadResult = await uploadFileBufferToSpaces({
-        buffer,
-        contentType,
+        buffer: arquivo.buffer,
+        contentType: arquivo.mime,
         objectKey,
         cacheControl: 'public, max-age=31536000',
       });
+      await contabilizarUso(pool, escolaId, arquivo.tamanho);
       publicUrl = uploadResult.publicUrl;
     }
 
@@ -157,9 +167,11 @@ router.put('/:escolaId/:id', autenticarToken, requireManagePermission, upload.si
       `UPDATE noticias SET titulo = ?, imagem_url = ?, ativo = ? WHERE id = ? AND escola_id = ?`,
       [titulo, publicUrl, isAtivo, comunicadoId, escolaId]
     );
+    if (isAtivo) await notificarComunicado(req, escolaId, comunicadoId, titulo);
 
     res.json({ ok: true, message: 'Comunicado atualizado.' });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message, codigo: err.codigo });
     console.error('[comunicados] PUT erro:', err);
     res.status(500).json({ message: err.message || 'Erro ao atualizar.' });
   }
@@ -4,6 +4,7 @@ import { Router } from "express";
 import PDFDocument from "pdfkit";
 import { PassThrough } from "stream";
 import pool from "../db.js";
+import { anoLetivoAtual } from "../services/calendarioLetivo.js";
 import { getEscolaLogos } from "../utils/logoHelper.js";
 
 const router = Router();
@@ -15,11 +16,6 @@ const CINZA_CLARO = "#f8fafc";
 const BORDER = "#e2e8f0";
 const DOURADO = "#b8860b";
 
-function anoLetivoPadrao() {
-  const m = new Date().getMonth() + 1;
-  return m <= 1 ? new Date().getFullYear() - 1 : new Date().getFullYear();
-}
-
 const PERFIL_LABEL = {
   professor: "Professor",
   coordenador: "Coordenador",
@@ -76,7 +72,7 @@ router.get("/resumo-turma/pdf", async (req, res) => {
     if (!turma_id) return res.status(400).json({ ok: false, error: "turma_id é obrigatório." });
 
     const db = req.db || pool;
-    const ano = ano_letivo ? Number(ano_letivo) : anoLetivoPadrao();
+    const ano = ano_letivo ? Number(ano_letivo) : await anoLetivoAtual(db, escola_id);
 
     // 1) Escola
     const [[escola]] = await db.query(
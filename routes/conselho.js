@@ -1,8 +1,20 @@
 import express from "express";
 import pool from "../db.js";
+import { autorizarPermissao } from "../middleware/autorizarPermissao.js";
+import { anoLetivoAtual } from "../services/calendarioLetivo.js";
+import { conferirDecisaoConselho } from "../services/resultadoFinal.js";
 
 const router = express.Router();
 
+// ── Decisão do conselho (resultado final): só com resultado_final:conselho ──
+// Registro comum (só texto) continua livre; com `decisao` no body passa pela
+// permissão. A trava da publicação é conferida no handler.
+const exigirPermissaoDecisao = autorizarPermissao("resultado_final:conselho");
+function permissaoSeDecisao(req, res, next) {
+  if (req.body && "decisao" in req.body) return exigirPermissaoDecisao(req, res, next);
+  return next();
+}
+
 // ── Helper: busca nome do usuário no banco (JWT não carrega `nome`) ─────────
 async function buscarNomeUsuario(db, usuario_id) {
   if (!usuario_id) return "Usuário";
@@ -40,7 +52,7 @@ router.get("/registros", async (req, res) => {
 
     const db = req.db || pool;
     const [rows] = await db.query(
-      `SELECT id, aluno_codigo, turma_id, texto,
+      `SELECT id, aluno_codigo, turma_id, texto, decisao,
               usuario_id, usuario_nome, usuario_perfil,
               criado_em, editado_em, editado_por_nome,
               excluido, excluido_em, excluido_por_nome
@@ -61,9 +73,9 @@ router.get("/registros", async (req, res) => {
 // ============================================================================
 // POST /api/conselho/registros
 // Cria um novo registro de conselho de classe
-// Body: { aluno_codigo, turma_id, texto }
+// Body: { aluno_codigo, turma_id, texto, decisao? ("aprovado_conselho") }
 // ============================================================================
-router.post("/registros", async (req, res) => {
+router.post("/registros", permissaoSeDecisao, async (req, res) => {
   try {
     const escola_id = req.escola_id ?? req.user?.escola_id;
     if (!escola_id) return res.status(400).json({ ok: false, error: "Escola não identificada." });
@@ -78,27 +90,31 @@ router.post("/registros", async (req, res) => {
     const usuario_nome = await buscarNomeUsuario(db, usuario_id);
 
     const { aluno_codigo, turma_id, texto } = req.body;
+    const decisao = req.body.decisao || null;
 
     if (!aluno_codigo) return res.status(400).json({ ok: false, error: "aluno_codigo é obrigatório." });
     if (!texto || !String(texto).trim()) return res.status(400).json({ ok: false, error: "texto é obrigatório." });
+    if (decisao) await conferirDecisaoConselho(db, { escolaId: escola_id, turmaId: turma_id, decisao });
 
     const [result] = await db.query(
       `INSERT INTO registro_conselho
-         (escola_id, aluno_codigo, turma_id, texto, usuario_id, usuario_nome, usuario_perfil)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [escola_id, aluno_codigo, turma_id || null, String(texto).trim(),
+         (escola_id, aluno_codigo, turma_id, texto, decisao, usuario_id, usuario_nome, usuario_perfil)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [escola_id, aluno_codigo, turma_id || null, String(texto).trim(), decisao,
        usuario_id, usuario_nome, usuario_perfil]
     );
 
     res.status(201).json({
       ok: true,
       id: result.insertId,
+      decisao,
       usuario_id,
       usuario_nome,
       usuario_perfil,
       criado_em: new Date().toISOString(),
     });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok: false, code: err.code, error: err.message });
     console.error("[CONSELHO] Erro ao criar registro:", err);
     res.status(500).json({ ok: false, error: "Erro interno." });
   }
@@ -107,9 +123,9 @@ router.post("/registros", async (req, res) => {
 // ============================================================================
 // PUT /api/conselho/registros/:id
 // Edita um registro existente — somente pelo autor original
-// Body: { texto }
+// Body: { texto, decisao? } (decisao null retira a decisão)
 // ============================================================================
-router.put("/registros/:id", async (req, res) => {
+router.put("/registros/:id", permissaoSeDecisao, async (req, res) => {
   try {
     const escola_id = req.escola_id ?? req.user?.escola_id;
     if (!escola_id) return res.status(400).json({ ok: false, error: "Escola não identificada." });
@@ -129,7 +145,7 @@ router.put("/registros/:id", async (req, res) => {
 
     // ── Verifica existência e autoria ──────────────────────────────────────
     const [[registro]] = await db.query(
-      `SELECT id, usuario_id FROM registro_conselho
+      `SELECT id, usuario_id, turma_id, decisao FROM registro_conselho
        WHERE id = ? AND escola_id = ?`,
       [id, escola_id]
     );
@@ -142,21 +158,30 @@ router.put("/registros/:id", async (req, res) => {
       return res.status(403).json({ ok: false, error: "Sem permissão para editar este registro." });
     }
 
+    // Decisão: mesma trava da publicação do resultado final
+    const alteraDecisao = "decisao" in req.body && (req.body.decisao || null) !== (registro.decisao || null);
+    const decisao = "decisao" in req.body ? req.body.decisao || null : registro.decisao || null;
+    if (alteraDecisao) {
+      await conferirDecisaoConselho(db, { escolaId: escola_id, turmaId: registro.turma_id, decisao });
+    }
+
     const editado_em = new Date();
 
     await db.query(
       `UPDATE registro_conselho
-       SET texto = ?, editado_em = ?, editado_por_nome = ?
+       SET texto = ?, decisao = ?, editado_em = ?, editado_por_nome = ?
        WHERE id = ?`,
-      [String(texto).trim(), editado_em, usuario_nome, id]
+      [String(texto).trim(), decisao, editado_em, usuario_nome, id]
     );
 
     res.json({
       ok: true,
+      decisao,
       editado_em: editado_em.toISOString(),
       editado_por_nome: usuario_nome,
     });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok: false, code: err.code, error: err.message });
     console.error("[CONSELHO] Erro ao editar registro:", err);
     res.status(500).json({ ok: false, error: "Erro interno." });
   }
@@ -220,7 +245,7 @@ router.get("/resumo-turma", async (req, res) => {
     if (!turma_id) return res.status(400).json({ ok: false, error: "turma_id é obrigatório." });
 
     const db = req.db || pool;
-    const ano = ano_letivo ? Number(ano_letivo) : (new Date().getMonth() + 1 <= 1 ? new Date().getFullYear() - 1 : new Date().getFullYear());
+    const ano = ano_letivo ? Number(ano_letivo) : await anoLetivoAtual(db, escola_id);
 
     // 1) Busca dados da turma
     const [[turmaInfo]] = await db.query(
@@ -270,7 +295,7 @@ router.get("/resumo-turma", async (req, res) => {
     const codigos = alunos.map(a => a.codigo);
     const placeholders = codigos.map(() => '?').join(',');
     const [registros] = await db.query(
-      `SELECT id, aluno_codigo, texto, usuario_id, usuario_nome, usuario_perfil, criado_em, editado_em
+      `SELECT id, aluno_codigo, texto, decisao, usuario_id, usuario_nome, usuario_perfil, criado_em, editado_em
        FROM registro_conselho
        WHERE escola_id = ? AND turma_id = ? AND aluno_codigo IN (${placeholders}) AND (excluido IS NULL OR excluido = 0)
        ORDER BY aluno_codigo ASC, criado_em ASC`,
@@ -16,22 +16,6 @@ router.get("/equipe", async (req, res) => {
   if (!escolaId) return res.status(400).json({ ok: false, message: "escola_id é obrigatório." });
 
   try {
-    // Garante que a tabela existe
-    await db.query(`
-      CREATE TABLE IF NOT EXISTS equipe_escola (
-        id         INT AUTO_INCREMENT PRIMARY KEY,
-        escola_id  INT NOT NULL,
-        nome       VARCHAR(200) NOT NULL,
-        cpf        VARCHAR(14) NOT NULL,
-        email      VARCHAR(120),
-        funcao     VARCHAR(50) NOT NULL DEFAULT 'monitor',
-        ativo      TINYINT(1) NOT NULL DEFAULT 1,
-        criado_em  DATETIME DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE KEY uq_cpf_escola (cpf, escola_id),
-        KEY idx_escola (escola_id)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-    `);
-
     const [rows] = await db.query(
       "SELECT id, nome, cpf, email, funcao, ativo, criado_em FROM equipe_escola WHERE escola_id = ? ORDER BY ativo DESC, nome ASC",
       [escolaId]
@@ -153,24 +137,6 @@ router.patch("/equipe/:id/status", async (req, res) => {
 // Membro completa via /cadastro (e-mail, senha, data de nascimento)
 // ═══════════════════════════════════════════════════════════════
 
-// ── Helper: garante tabela ──
-async function ensureCadastroTable(db) {
-  await db.query(`
-    CREATE TABLE IF NOT EXISTS cadastro_membros_escola (
-      id         INT AUTO_INCREMENT PRIMARY KEY,
-      escola_id  INT NOT NULL,
-      nome       VARCHAR(200) NOT NULL,
-      cpf        VARCHAR(14) NOT NULL,
-      funcao     VARCHAR(80) NOT NULL DEFAULT 'coordenador',
-      ativo      TINYINT(1) NOT NULL DEFAULT 1,
-      criado_em  DATETIME DEFAULT CURRENT_TIMESTAMP,
-      atualizado_em DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-      UNIQUE KEY uq_cpf_escola_cadastro (cpf, escola_id),
-      KEY idx_escola_cadastro (escola_id)
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-  `);
-}
-
 // ── Listar membros cadastrados ──
 // GET /api/direcao/cadastro?escola_id=X
 router.get("/cadastro", async (req, res) => {
@@ -179,8 +145,6 @@ router.get("/cadastro", async (req, res) => {
   if (!escolaId) return res.status(400).json({ ok: false, message: "escola_id é obrigatório." });
 
   try {
-    await ensureCadastroTable(db);
-
     const [rows] = await db.query(
       `SELECT 
         c.id, c.nome, c.cpf, c.funcao, c.ativo, c.criado_em,
@@ -217,8 +181,6 @@ router.post("/cadastro", async (req, res) => {
   }
 
   try {
-    await ensureCadastroTable(db);
-
     // Verifica duplicata
     const [dup] = await db.query(
       "SELECT id FROM cadastro_membros_escola WHERE REPLACE(REPLACE(cpf, '.', ''), '-', '') = ? AND escola_id = ?",
@@ -21,35 +21,9 @@
 import express from 'express';
 const router = express.Router();
 
-// ── Auto-migrate: garante que a tabela direcao_acesso_perfil existe ────────────
-// Tabela SEPARADA de escola_perfil_modulos (que é do CEO).
-// Esta tabela armazena as restrições adicionais que o Diretor aplica.
-let _tableMigrated = false;
-router.use(async (req, _res, next) => {
-  if (_tableMigrated) return next();
-  try {
-    await req.db.query(`
-      CREATE TABLE IF NOT EXISTS direcao_acesso_perfil (
-        id         INT AUTO_INCREMENT PRIMARY KEY,
-        escola_id  INT NOT NULL,
-        perfil     VARCHAR(60) NOT NULL,
-        modulo     VARCHAR(100) NOT NULL,
-        ativo      TINYINT(1) NOT NULL DEFAULT 1,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        UNIQUE KEY uk_dap (escola_id, perfil, modulo),
-        INDEX      idx_dap_escola_perfil (escola_id, perfil)
-      )
-    `);
-    _tableMigrated = true;
-    console.log('[direcao_modulos] Tabela direcao_acesso_perfil verificada/criada ✅');
-  } catch (e) {
-    _tableMigrated = true;
-    if (!String(e.message || '').includes('already exists')) {
-      console.warn('[direcao_modulos] Auto-migrate aviso:', e.message);
-    }
-  }
-  next();
-});
+// Tabela direcao_acesso_perfil (SEPARADA de escola_perfil_modulos, que é do
+// CEO — aqui ficam as restrições que o Diretor aplica):
+// migrations/versions/0041_modulos_por_escola.js
 
 // ─── Domínios de perfis por tipo de diretor ───────────────────────────────────
 const DOMINIOS_DIRETOR = {
@@ -10,48 +10,7 @@ import { getEscolaLogos } from "../utils/logoHelper.js";
 const router = Router();
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
-// ── Auto-create + migrations ───────────────────────────────────────────────
-async function ensureTable() {
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS disciplinar_atas (
-      id              INT AUTO_INCREMENT PRIMARY KEY,
-      escola_id       INT NOT NULL,
-      titulo          VARCHAR(500) NOT NULL,
-      conteudo        TEXT NOT NULL,
-      status          ENUM('Rascunho','Finalizado') NOT NULL DEFAULT 'Rascunho',
-      turno           VARCHAR(50)  DEFAULT NULL,
-      turma_id        INT          DEFAULT NULL,
-      turma_nome      VARCHAR(255) DEFAULT NULL,
-      aluno_id        INT          DEFAULT NULL,
-      criado_por      VARCHAR(255),
-      criado_por_id   INT,
-      criado_em       DATETIME DEFAULT CURRENT_TIMESTAMP,
-      editado_por     VARCHAR(255),
-      editado_por_id  INT,
-      editado_em      DATETIME DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
-      finalizado_por  VARCHAR(255),
-      finalizado_por_id INT,
-      finalizado_em   DATETIME DEFAULT NULL,
-      INDEX idx_escola (escola_id),
-      INDEX idx_status (status)
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-  `);
-  // Adiciona colunas de contexto se não existirem (migration incremental)
-  try {
-    const [cols] = await pool.query(`
-      SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS
-      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'disciplinar_atas'
-      AND COLUMN_NAME IN ('turno','turma_id','turma_nome','aluno_id')
-    `);
-    const ex = new Set(cols.map(c => c.COLUMN_NAME));
-    const add = [];
-    if (!ex.has('turno'))      add.push("ADD COLUMN turno VARCHAR(50) DEFAULT NULL");
-    if (!ex.has('turma_id'))   add.push("ADD COLUMN turma_id INT DEFAULT NULL");
-    if (!ex.has('turma_nome')) add.push("ADD COLUMN turma_nome VARCHAR(255) DEFAULT NULL");
-    if (!ex.has('aluno_id'))   add.push("ADD COLUMN aluno_id INT DEFAULT NULL");
-    if (add.length) await pool.query(`ALTER TABLE disciplinar_atas ${add.join(', ')}`);
-  } catch (e) { console.warn("[DISCIPLINAR-ATAS] migration ctx:", e.message); }
-}
+// Schema: migrations/versions/0008_disciplinar_atas.js
 
 // ── Correção retroativa de nomes ──────────────────────────────────────────
 async function fixNomesUsuario() {
@@ -74,12 +33,11 @@ async function withRetry(fn, label, maxTries = 3, delayMs = 4000) {
         console.warn(`[DISCIPLINAR-ATAS] ${label} falhou (tentativa ${i}/${maxTries}), retentando em ${delayMs / 1000}s...`);
         await new Promise(r => setTimeout(r, delayMs * i));
       } else {
-        console.warn(`[DISCIPLINAR-ATAS] ${label} não concluído após ${maxTries} tentativas — sistema funciona normalmente, tabela será criada na próxima requisição.`);
+        console.warn(`[DISCIPLINAR-ATAS] ${label} não concluído após ${maxTries} tentativas.`);
       }
     }
   }
 }
-withRetry(ensureTable,      "ensureTable");
 withRetry(fixNomesUsuario,  "fixNomes", 2, 6000);
 
 
@@ -1,5 +1,6 @@
 import express from "express";
 import pool from "../db.js";
+import { anoLetivoAtual } from "../services/calendarioLetivo.js";
 
 const router = express.Router();
 
@@ -119,7 +120,7 @@ router.get("/buscar-alunos", async (req, res) => {
     const { escola_id } = req.user;
     const { turno = "", turma_id = "", nome = "" } = req.query;
 
-    const ANO = String(new Date().getFullYear());
+    const ANO = String(await anoLetivoAtual(pool, escola_id));
 
     const where = ["m.escola_id = ?", "m.ano_letivo = ?"];
     const params = [escola_id, ANO];
@@ -8,6 +8,7 @@ import multer from "multer";
 import sharp from "sharp";
 import crypto from "crypto";
 import { uploadFileBufferToSpaces, deleteObjectFromSpaces } from "../storage/spacesUpload.js";
+import { contabilizarUso, processarUpload } from "../services/uploadSeguro.js";
 
 const router = express.Router();
 
@@ -17,7 +18,7 @@ const SPACES_PUBLIC_BASE = (process.env.SPACES_PUBLIC_BASE || "https://educa-mel
 const ALLOWED_MIMES = ["image/png", "image/jpeg", "image/jpg", "image/svg+xml"];
 const MAX_SIZE_BYTES = 5 * 1024 * 1024; // 5MB
 
-// ── Multer: memoryStorage ──
+// ── Multer: memoryStorage (o filtro só corta cedo; o conteúdo é validado por processarUpload) ──
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: MAX_SIZE_BYTES },
@@ -158,10 +159,13 @@ router.post(
       return res.status(400).json({ ok: false, message: "label é obrigatório." });
     }
 
-    const fileBuffer = req.file.buffer;
     const slug = gerarSlug(label);
 
     try {
+      // ── Validar conteúdo real (assinatura, poliglota, cota); SVG sai sanitizado e em PNG ──
+      const arquivo = await processarUpload(db, req.file, { perfil: "logo", escolaId });
+      const fileBuffer = arquivo.buffer;
+
       // ── Processar variantes com sharp ──
 
       // header: 400x120 PNG, fit contain, fundo branco transparente
@@ -189,6 +193,7 @@ router.post(
         uploadFileBufferToSpaces({ buffer: thumbBuf,    contentType: "image/webp", objectKey: keyThumb }),
         uploadFileBufferToSpaces({ buffer: origBuf,     contentType: "image/png",  objectKey: keyOriginal }),
       ]);
+      await contabilizarUso(db, escolaId, headerBuf.length + thumbBuf.length + origBuf.length);
 
       const urlHeader = publicUrl(keyHeader);
       const urlThumb  = publicUrl(keyThumb);
@@ -216,6 +221,7 @@ router.post(
         },
       });
     } catch (err) {
+      if (err.status) return res.status(err.status).json({ ok: false, message: err.message, codigo: err.codigo });
       console.error("[ESCOLA_LOGOS][UPLOAD]", err);
       return res.status(500).json({ ok: false, message: "Erro ao processar e enviar o logo." });
     }
@@ -3,7 +3,10 @@
 // Módulo FREQUÊNCIA — Rotas da API
 // - CRUD completo de justificativas de faltas (atestados)
 // - CRUD de busca ativa (contatos com famílias)
-// - Relatórios de alunos faltosos
+// - Chamada por aula sobre a grade publicada (services/chamada.js): lista do
+//   dia, registro com "todos presentes", sincronização offline, prazo de
+//   edição e frequência calculada (aluno, disciplina, bimestre, ano)
+// - Relatórios de alunos faltosos (com o percentual vindo da chamada)
 // - Encaminhamentos ao Conselho Tutelar
 //
 // ── Governança de Acesso ────────────────────────────────────────────────────
@@ -11,12 +14,34 @@
 //                            coordenador, orientador, pedagogo
 // Quem só VISUALIZA:         professor (filtrado por LGPD — apenas suas turmas)
 // Sem acesso:                disciplinar, diretor_disciplinar, militar
+// Chamada:                   professor registra só as aulas dele na grade;
+//                            a gestão registra qualquer aula. Depois do prazo,
+//                            só quem tem frequencia:editar_bloqueada.
 // ============================================================================
 
 import { Router } from "express";
+import multer from "multer";
+import { autorizarPermissao } from "../middleware/autorizarPermissao.js";
+import { validar } from "../middleware/validarRequisicao.js";
+import * as schemas from "../schemas/frequencia.js";
+import { anexar, excluirAnexo, excluirAnexosDe, listarAnexos } from "../services/arquivos.js";
+import { anoLetivoAtual } from "../services/calendarioLetivo.js";
+import {
+  aulasDoDia,
+  chamadaDaAula,
+  consolidarFaltas,
+  professorIdsDoUsuario,
+  registrarChamada,
+  resumoFrequencia,
+  sincronizarChamadas,
+} from "../services/chamada.js";
+import { getPermissoesPorPerfil } from "./rbacMatrix.js";
 
 const router = Router();
 
+// Atestado em memória → armazenamento privado (services/arquivos.js)
+const uploadAnexo = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024, files: 1 } });
+
 // ─────────────────────────────────────────────────
 // MIDDLEWARES DE GOVERNANÇA
 // ─────────────────────────────────────────────────
@@ -57,6 +82,18 @@ function apenasLeituraProfessor(req, res, next) {
   next();
 }
 
+/**
+ * escola_id vem sempre do contexto da sessão (req.escola_id, via verificarEscola);
+ * aluno_id do body precisa ser da mesma escola antes de qualquer escrita.
+ */
+async function alunoDaEscola(db, alunoId, escolaId) {
+  const [[row]] = await db.query(
+    "SELECT id FROM alunos WHERE id = ? AND escola_id = ? LIMIT 1",
+    [alunoId, escolaId]
+  );
+  return Boolean(row);
+}
+
 // Aplica bloquearDisciplinar em TODAS as rotas deste router
 router.use(bloquearDisciplinar);
 
@@ -68,12 +105,12 @@ router.use(bloquearDisciplinar);
 // LGPD: professor acessa apenas turmas em que leciona (ano letivo corrente)
 router.get("/justificativas", async (req, res) => {
   try {
-    const { escola_id, turma_id, tipo } = req.query;
-    if (!escola_id) return res.status(400).json({ error: "escola_id obrigatório" });
+    const escola_id = req.escola_id;
+    const { turma_id, tipo } = req.query;
 
     const perfil = String(req.user?.perfil || "").toLowerCase();
     const isProfessor = perfil === "professor";
-    const anoLetivo = new Date().getFullYear();
+    const anoLetivo = await anoLetivoAtual(req.db, escola_id);
 
     let sql = `
       SELECT
@@ -153,9 +190,13 @@ router.get("/justificativas", async (req, res) => {
 // Verifica duplicata (mesmo aluno + tipo + período) antes de inserir
 router.post("/justificativas", apenasLeituraProfessor, async (req, res) => {
   try {
-    const { escola_id, turma_id, aluno_id, tipo, data_inicio, data_fim, dias, observacao } = req.body;
-    if (!escola_id || !aluno_id || !tipo || !data_inicio || !data_fim) {
-      return res.status(400).json({ error: "Campos obrigatórios: escola_id, aluno_id, tipo, data_inicio, data_fim" });
+    const escola_id = req.escola_id;
+    const { turma_id, aluno_id, tipo, data_inicio, data_fim, dias, observacao } = req.body;
+    if (!aluno_id || !tipo || !data_inicio || !data_fim) {
+      return res.status(400).json({ error: "Campos obrigatórios: aluno_id, tipo, data_inicio, data_fim" });
+    }
+    if (!(await alunoDaEscola(req.db, aluno_id, escola_id))) {
+      return res.status(404).json({ error: "Aluno não encontrado nesta escola." });
     }
 
     // Verificação de duplicata
@@ -252,6 +293,8 @@ router.delete("/justificativas/:id", apenasLeituraProfessor, async (req, res) =>
       return res.status(404).json({ error: "Registro não encontrado" });
     }
 
+    await excluirAnexosDe(req.db, { escolaId: escola_id, categoria: "atestado", referenciaId: id });
+
     res.json({ message: "Justificativa excluída com sucesso" });
   } catch (err) {
     console.error("[FREQUENCIA] Erro ao excluir justificativa:", err.message);
@@ -259,6 +302,72 @@ router.delete("/justificativas/:id", apenasLeituraProfessor, async (req, res) =>
   }
 });
 
+// ─────────────────────────────────────────────────
+// ANEXOS DAS JUSTIFICATIVAS (arquivo do atestado)
+// Dado de saúde: nem o professor, que consulta as justificativas, vê o
+// arquivo. Download só por URL assinada de vida curta.
+// ─────────────────────────────────────────────────
+
+async function justificativaDaEscola(db, id, escolaId) {
+  const [[row]] = await db.query(
+    "SELECT id FROM frequencia_justificativas WHERE id = ? AND escola_id = ? LIMIT 1",
+    [id, escolaId]
+  );
+  return Boolean(row);
+}
+
+// GET /api/frequencia/justificativas/:id/anexos
+router.get("/justificativas/:id/anexos", apenasLeituraProfessor, async (req, res) => {
+  try {
+    if (!(await justificativaDaEscola(req.db, req.params.id, req.escola_id))) {
+      return res.status(404).json({ error: "Registro não encontrado" });
+    }
+    const anexos = await listarAnexos(req.db, { escolaId: req.escola_id, categoria: "atestado", referenciaId: req.params.id });
+    res.json(anexos);
+  } catch (err) {
+    console.error("[FREQUENCIA] Erro ao listar anexos:", err.message);
+    res.status(500).json({ error: "Erro interno" });
+  }
+});
+
+// POST /api/frequencia/justificativas/:id/anexos  (multipart, campo "arquivo": PDF ou imagem)
+router.post("/justificativas/:id/anexos", apenasLeituraProfessor, uploadAnexo.single("arquivo"), async (req, res) => {
+  try {
+    if (!(await justificativaDaEscola(req.db, req.params.id, req.escola_id))) {
+      return res.status(404).json({ error: "Registro não encontrado" });
+    }
+    const anexo = await anexar(req.db, {
+      escolaId: req.escola_id,
+      categoria: "atestado",
+      referenciaId: req.params.id,
+      file: req.file,
+      usuarioId: req.user?.id ?? null,
+    });
+    res.status(201).json(anexo);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, codigo: err.codigo });
+    console.error("[FREQUENCIA] Erro ao anexar atestado:", err.message);
+    res.status(500).json({ error: "Erro interno" });
+  }
+});
+
+// DELETE /api/frequencia/justificativas/:id/anexos/:anexoId
+router.delete("/justificativas/:id/anexos/:anexoId", apenasLeituraProfessor, async (req, res) => {
+  try {
+    const removido = await excluirAnexo(req.db, {
+      escolaId: req.escola_id,
+      categoria: "atestado",
+      referenciaId: req.params.id,
+      anexoId: req.params.anexoId,
+    });
+    if (!removido) return res.status(404).json({ error: "Anexo não encontrado" });
+    res.json({ message: "Anexo excluído com sucesso" });
+  } catch (err) {
+    console.error("[FREQUENCIA] Erro ao excluir anexo:", err.message);
+    res.status(500).json({ error: "Erro interno" });
+  }
+});
+
 // ─────────────────────────────────────────────────
 // BUSCA ATIVA (Contatos com famílias)
 // ─────────────────────────────────────────────────
@@ -266,8 +375,8 @@ router.delete("/justificativas/:id", apenasLeituraProfessor, async (req, res) =>
 // GET /api/frequencia/busca-ativa
 router.get("/busca-ativa", async (req, res) => {
   try {
-    const { escola_id, turma_id, aluno_id } = req.query;
-    if (!escola_id) return res.status(400).json({ error: "escola_id obrigatório" });
+    const escola_id = req.escola_id;
+    const { turma_id, aluno_id } = req.query;
 
     let sql = `
       SELECT
@@ -302,9 +411,13 @@ router.get("/busca-ativa", async (req, res) => {
 // Verifica duplicata antes de inserir (mesmo aluno + data + meio + resultado)
 router.post("/busca-ativa", apenasLeituraProfessor, async (req, res) => {
   try {
-    const { escola_id, turma_id, aluno_id, data_contato, meio_contato, resultado, observacao } = req.body;
-    if (!escola_id || !aluno_id || !meio_contato || !resultado) {
-      return res.status(400).json({ error: "Campos obrigatórios: escola_id, aluno_id, meio_contato, resultado" });
+    const escola_id = req.escola_id;
+    const { turma_id, aluno_id, data_contato, meio_contato, resultado, observacao } = req.body;
+    if (!aluno_id || !meio_contato || !resultado) {
+      return res.status(400).json({ error: "Campos obrigatórios: aluno_id, meio_contato, resultado" });
+    }
+    if (!(await alunoDaEscola(req.db, aluno_id, escola_id))) {
+      return res.status(404).json({ error: "Aluno não encontrado nesta escola." });
     }
 
     const dataContato = data_contato || new Date().toISOString().split("T")[0];
@@ -400,15 +513,192 @@ router.delete("/busca-ativa/:id", apenasLeituraProfessor, async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────────
+// CHAMADA POR AULA (services/chamada.js)
+// ─────────────────────────────────────────────────
+
+function usuarioIdDe(req) {
+  return req.user?.usuario_id ?? req.user?.usuarioId ?? req.user?.id ?? null;
+}
+
+/**
+ * Quem registra a chamada: professor fica preso às aulas dele na grade
+ * (professorIds); gestão (professorIds = null) registra qualquer aula.
+ */
+async function usuarioDaChamada(req) {
+  const perfil = String(req.user?.perfil || "").toLowerCase().trim();
+  const permissoes = new Set([...(req.user?.permissoes || []), ...getPermissoesPorPerfil(perfil)]);
+  const professorIds = PERFIS_SOMENTE_LEITURA.has(perfil)
+    ? await professorIdsDoUsuario(req.db, { escolaId: req.escola_id, cpf: req.user?.cpf, usuarioId: usuarioIdDe(req) })
+    : null;
+  return {
+    id: usuarioIdDe(req),
+    professorIds,
+    podeEditarBloqueada: permissoes.has("frequencia:editar_bloqueada") || permissoes.has("frequencia.editar_bloqueada"),
+  };
+}
+
+/** LGPD: professor só consulta a frequência das turmas em que tem aula. */
+async function professorDaTurma(db, escolaId, professorIds, turmaId) {
+  if (!professorIds.length || !turmaId) return false;
+  const [rows] = await db.query(
+    `SELECT 1 FROM grade_slot gs
+       JOIN grade_resultado gr ON gr.id = gs.resultado_id
+      WHERE gr.escola_id = ? AND gr.status = 'publicado' AND gs.turma_id = ? AND gs.professor_id IN (?)
+     UNION
+     SELECT 1 FROM modulacao m WHERE m.turma_id = ? AND m.professor_id IN (?)
+     LIMIT 1`,
+    [escolaId, turmaId, professorIds, turmaId, professorIds]
+  );
+  return rows.length > 0;
+}
+
+function erroChamada(res, err, rota) {
+  if (err.status) return res.status(err.status).json({ error: err.code, message: err.message });
+  console.error(`[FREQUENCIA] Erro em ${rota}:`, err.message);
+  return res.status(500).json({ error: "Erro interno" });
+}
+
+// GET /api/frequencia/chamada/aulas?data=AAAA-MM-DD&turma_id=
+// Professor: só as aulas dele. Gestão: todas (ou da turma).
+router.get("/chamada/aulas", validar(schemas.aulasDoDia), async (req, res) => {
+  try {
+    const usuario = await usuarioDaChamada(req);
+    const aulas = await aulasDoDia(req.db, {
+      escolaId: req.escola_id,
+      data: req.query.data,
+      turmaId: req.query.turma_id || null,
+      professorIds: usuario.professorIds,
+    });
+    res.json(aulas);
+  } catch (err) {
+    return erroChamada(res, err, "GET /chamada/aulas");
+  }
+});
+
+// GET /api/frequencia/chamada/aula?turma_id=&data=&ordem=
+router.get("/chamada/aula", validar(schemas.chamadaDaAula), async (req, res) => {
+  try {
+    const usuario = await usuarioDaChamada(req);
+    const aula = await chamadaDaAula(req.db, {
+      escolaId: req.escola_id,
+      turmaId: req.query.turma_id,
+      data: req.query.data,
+      ordem: req.query.ordem,
+      professorIds: usuario.professorIds,
+    });
+    res.json(aula);
+  } catch (err) {
+    return erroChamada(res, err, "GET /chamada/aula");
+  }
+});
+
+// PUT /api/frequencia/chamada/aula
+// { turma_id, data, ordem, todos_presentes?, registros: [{ aluno_id, status, observacao? }] }
+router.put("/chamada/aula", validar(schemas.registrarChamada), async (req, res) => {
+  try {
+    const { turma_id, data, ordem, registros, todos_presentes } = req.body;
+    const resultado = await registrarChamada(req.db, {
+      escolaId: req.escola_id,
+      turmaId: turma_id,
+      data,
+      ordem,
+      registros: registros || [],
+      todosPresentes: Boolean(todos_presentes),
+      usuario: await usuarioDaChamada(req),
+      origemAuditoria: req,
+    });
+    res.json({ ...resultado, message: "Chamada registrada" });
+  } catch (err) {
+    return erroChamada(res, err, "PUT /chamada/aula");
+  }
+});
+
+// POST /api/frequencia/chamada/sincronizar
+// { aulas: [{ id_local?, turma_id, data, ordem, registros, todos_presentes?, registrado_em }] }
+router.post("/chamada/sincronizar", validar(schemas.sincronizarChamadas), async (req, res) => {
+  try {
+    const resultados = await sincronizarChamadas(req.db, {
+      escolaId: req.escola_id,
+      usuario: await usuarioDaChamada(req),
+      aulas: req.body.aulas,
+      origemAuditoria: req,
+    });
+    const recusadas = resultados.filter((r) => !r.ok).length;
+    res.json({ sincronizadas: resultados.length - recusadas, recusadas, resultados });
+  } catch (err) {
+    return erroChamada(res, err, "POST /chamada/sincronizar");
+  }
+});
+
+// GET /api/frequencia/chamada/frequencia?ano=&bimestre=&turma_id=&aluno_id=&disciplina_id=
+// Professor: obrigatório turma_id de uma turma em que leciona.
+router.get("/chamada/frequencia", validar(schemas.frequenciaCalculada), async (req, res) => {
+  try {
+    const { ano, bimestre, turma_id, aluno_id, disciplina_id } = req.query;
+    const usuario = await usuarioDaChamada(req);
+    if (usuario.professorIds && !(await professorDaTurma(req.db, req.escola_id, usuario.professorIds, turma_id))) {
+      return res.status(403).json({
+        error: "Acesso negado",
+        message: "Informe uma turma em que você leciona para consultar a frequência.",
+      });
+    }
+    const anoLetivo = ano || (await anoLetivoAtual(req.db, req.escola_id));
+    const alunos = await resumoFrequencia(req.db, {
+      escolaId: req.escola_id,
+      ano: anoLetivo,
+      bimestre: bimestre || null,
+      turmaId: turma_id || null,
+      alunoIds: aluno_id ? [aluno_id] : null,
+      disciplinaId: disciplina_id || null,
+    });
+    res.json({ ano: anoLetivo, bimestre: bimestre || null, alunos });
+  } catch (err) {
+    return erroChamada(res, err, "GET /chamada/frequencia");
+  }
+});
+
+// POST /api/frequencia/chamada/consolidar { turma_id, ano, bimestre }
+// Leva as faltas para o boletim (também feito ao publicar o boletim).
+router.post(
+  "/chamada/consolidar",
+  autorizarPermissao("boletins:publicar"),
+  validar(schemas.consolidarFaltas),
+  async (req, res) => {
+    try {
+      const { turma_id, ano, bimestre } = req.body;
+      const [[turma]] = await req.db.query(
+        "SELECT id FROM turmas WHERE id = ? AND escola_id = ? LIMIT 1",
+        [turma_id, req.escola_id]
+      );
+      if (!turma) return res.status(404).json({ error: "Turma não encontrada nesta escola." });
+
+      const resultado = await consolidarFaltas(req.db, {
+        escolaId: req.escola_id,
+        turmaId: turma_id,
+        ano,
+        bimestre,
+        origemAuditoria: req,
+      });
+      res.json({ ...resultado, message: "Faltas da chamada levadas ao boletim" });
+    } catch (err) {
+      return erroChamada(res, err, "POST /chamada/consolidar");
+    }
+  }
+);
+
 // ─────────────────────────────────────────────────
 // RELATÓRIOS — Alunos mais faltosos
 // ─────────────────────────────────────────────────
 
-// GET /api/frequencia/relatorios/faltosos
+// GET /api/frequencia/relatorios/faltosos?turma_id=&ano=
+// Atestados (frequencia_justificativas) + faltas por aula da chamada:
+// nao_justificadas = ausências em datas sem atestado.
 router.get("/relatorios/faltosos", async (req, res) => {
   try {
-    const { escola_id, turma_id } = req.query;
-    if (!escola_id) return res.status(400).json({ error: "escola_id obrigatório" });
+    const escola_id = req.escola_id;
+    const { turma_id } = req.query;
+    const ano = Number(req.query.ano) || (await anoLetivoAtual(req.db, escola_id));
 
     let sql = `
       SELECT
@@ -416,10 +706,8 @@ router.get("/relatorios/faltosos", async (req, res) => {
         a.estudante AS aluno_nome,
         t.nome AS turma_nome,
         COUNT(fj.id) AS total_faltas,
-        SUM(fj.dias) AS total_dias_falta,
-        SUM(CASE WHEN fj.tipo IS NOT NULL THEN fj.dias ELSE 0 END) AS justificadas,
-        0 AS nao_justificadas,
-        '—' AS percentual_frequencia
+        COALESCE(SUM(fj.dias), 0) AS total_dias_falta,
+        COALESCE(SUM(CASE WHEN fj.tipo IS NOT NULL THEN fj.dias ELSE 0 END), 0) AS justificadas
       FROM alunos a
       LEFT JOIN turmas t ON a.turma_id = t.id
       LEFT JOIN frequencia_justificativas fj ON fj.aluno_id = a.id AND fj.escola_id = a.escola_id
@@ -429,15 +717,33 @@ router.get("/relatorios/faltosos", async (req, res) => {
 
     if (turma_id) { sql += " AND a.turma_id = ?"; params.push(turma_id); }
 
-    sql += `
-      GROUP BY a.id, a.estudante, t.nome
-      HAVING total_faltas > 0
-      ORDER BY total_dias_falta DESC
-      LIMIT 100
-    `;
-
-    const [rows] = await req.db.query(sql, params);
-    res.json(rows);
+    sql += " GROUP BY a.id, a.estudante, t.nome";
+
+    const [[rows], chamada] = await Promise.all([
+      req.db.query(sql, params),
+      resumoFrequencia(req.db, { escolaId: escola_id, ano, turmaId: turma_id || null }),
+    ]);
+    const porAluno = new Map(chamada.map((c) => [c.aluno_id, c]));
+
+    const faltosos = rows
+      .map((r) => {
+        const c = porAluno.get(Number(r.aluno_id));
+        return {
+          ...r,
+          total_faltas: Number(r.total_faltas),
+          total_dias_falta: Number(r.total_dias_falta),
+          justificadas: Number(r.justificadas),
+          aulas_registradas: c?.aulas ?? 0,
+          faltas_aulas: c?.faltas ?? 0,
+          nao_justificadas: c ? c.faltas - c.faltas_justificadas : 0,
+          percentual_frequencia: c?.percentual ?? null,
+        };
+      })
+      .filter((r) => r.total_faltas > 0 || r.faltas_aulas > 0)
+      .sort((x, y) => y.faltas_aulas - x.faltas_aulas || y.total_dias_falta - x.total_dias_falta)
+      .slice(0, 100);
+
+    res.json(faltosos);
   } catch (err) {
     console.error("[FREQUENCIA] Erro ao gerar relatório faltosos:", err.message);
     res.status(500).json({ error: "Erro interno" });
@@ -451,8 +757,9 @@ router.get("/relatorios/faltosos", async (req, res) => {
 // GET /api/frequencia/conselho-tutelar/relatorio
 router.get("/conselho-tutelar/relatorio", async (req, res) => {
   try {
-    const { escola_id, aluno_id } = req.query;
-    if (!escola_id || !aluno_id) return res.status(400).json({ error: "escola_id e aluno_id obrigatórios" });
+    const escola_id = req.escola_id;
+    const { aluno_id } = req.query;
+    if (!aluno_id) return res.status(400).json({ error: "aluno_id obrigatório" });
 
     const [[aluno]] = await req.db.query(
       "SELECT a.estudante AS aluno_nome, t.nome AS turma_nome FROM alunos a LEFT JOIN turmas t ON a.turma_id = t.id WHERE a.id = ?",
@@ -493,8 +800,7 @@ router.get("/conselho-tutelar/relatorio", async (req, res) => {
 // GET /api/frequencia/conselho-tutelar/encaminhamentos
 router.get("/conselho-tutelar/encaminhamentos", async (req, res) => {
   try {
-    const { escola_id } = req.query;
-    if (!escola_id) return res.status(400).json({ error: "escola_id obrigatório" });
+    const escola_id = req.escola_id;
 
     const [rows] = await req.db.query(`
       SELECT
@@ -520,8 +826,12 @@ router.get("/conselho-tutelar/encaminhamentos", async (req, res) => {
 // POST /api/frequencia/conselho-tutelar/encaminhamentos
 router.post("/conselho-tutelar/encaminhamentos", apenasLeituraProfessor, async (req, res) => {
   try {
-    const { escola_id, turma_id, aluno_id, motivo } = req.body;
-    if (!escola_id || !aluno_id) return res.status(400).json({ error: "escola_id e aluno_id obrigatórios" });
+    const escola_id = req.escola_id;
+    const { turma_id, aluno_id, motivo } = req.body;
+    if (!aluno_id) return res.status(400).json({ error: "aluno_id obrigatório" });
+    if (!(await alunoDaEscola(req.db, aluno_id, escola_id))) {
+      return res.status(404).json({ error: "Aluno não encontrado nesta escola." });
+    }
 
     const registrado_por = req.user?.id || null;
 
@@ -12,17 +12,12 @@
 
 import { Router } from "express";
 import pool from "../db.js";
+import { capturarNotasDiario, eventosDaCaptura, registrarAlteracoes } from "../services/auditoria.js";
 
 const router = Router();
 
 // ─── Helpers ─────────────────────────────────────────────────────────────────
 
-function anoLetivoAtual() {
-  const hoje = new Date();
-  const mes = hoje.getMonth() + 1;
-  return mes <= 1 ? hoje.getFullYear() - 1 : hoje.getFullYear();
-}
-
 // ─── GET /api/gabarito-avaliacoes ────────────────────────────────────────────
 // Lista todas as avaliações da escola (opcionalmente filtradas por status)
 router.get("/", async (req, res) => {
@@ -704,6 +699,7 @@ router.post("/:id/importar-notas", async (req, res) => {
     const erros = [];
     const avisos = [];
     const alunosProcessados = [];
+    const eventosAuditoria = [];
 
     for (const resp of respostas) {
       if (!resp.codigo_aluno || resp.codigo_aluno.startsWith("ARQ_")) {
@@ -754,6 +750,13 @@ router.post("/:id/importar-notas", async (req, res) => {
 
         // item_idx=0 (Provão Bimestral é sempre o 1º item do PAP — confirmado via BD)
         // oportunidade_idx=0 (única oportunidade do Provão)
+        const chaveDiario = {
+          escolaId: escola_id,
+          planoId: pap.plano_id,
+          turmaId: turmaNumericalId,
+          alunoIds: [alunoId],
+        };
+        const diarioAntes = await capturarNotasDiario(conn, chaveDiario);
         const [result] = await conn.query(
           `INSERT INTO notas_diario
              (escola_id, plano_id, turma_id, aluno_id, item_idx, oportunidade_idx, nota, cor, updated_at)
@@ -761,6 +764,9 @@ router.post("/:id/importar-notas", async (req, res) => {
            ON DUPLICATE KEY UPDATE nota = VALUES(nota), cor = NULL, updated_at = NOW()`,
           [escola_id, pap.plano_id, turmaNumericalId, alunoId, notaEscalada]
         );
+        eventosAuditoria.push(
+          ...eventosDaCaptura("notas_diario", diarioAntes, await capturarNotasDiario(conn, chaveDiario))
+        );
 
         if (result.affectedRows === 1) totalInseridos++;
         else if (result.affectedRows === 2) totalAtualizados++;
@@ -788,6 +794,7 @@ router.post("/:id/importar-notas", async (req, res) => {
       [id, escola_id]
     );
 
+    await registrarAlteracoes(conn, req, eventosAuditoria);
     await conn.commit();
     conn.release();
 
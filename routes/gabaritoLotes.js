@@ -3,8 +3,8 @@
 // ============================================================================
 // Fluxo:
 //   1) Coordenador seleciona avaliação + faz upload de pasta (N arquivos JPG)
-//   2) Backend envia arquivos ao DigitalOcean Spaces + registra lote no BD
-//   3) Rota /processar-qr baixa arquivo do Spaces, lê QR Code → identifica alunos
+//   2) Backend grava os arquivos no armazenamento privado (services/arquivos.js) + registra lote no BD
+//   3) Rota /processar-qr enfileira job que lê cada arquivo, lê QR Code → identifica alunos
 //   4) Professor vê lista de alunos, clica CORRIGIR → OMR + salva resultado
 // ============================================================================
 
@@ -15,27 +15,50 @@ import path from "path";
 import fs from "fs";
 import { fileURLToPath } from "url";
 import FormData from "form-data";
-import fetch from "node-fetch";
+import nodeFetch from "node-fetch";
 import pool from "../db.js";
-import { uploadFileBufferToSpaces, downloadBufferFromSpaces } from "../storage/spacesUpload.js";
+import { deleteObjectFromSpaces, downloadBufferFromSpaces, getSignedGetObjectUrl } from "../storage/spacesUpload.js";
+import { ehChaveArmazenada, guardarArquivo, lerArquivo, liberarChave, urlDoArquivo } from "../services/arquivos.js";
+import { processarUpload } from "../services/uploadSeguro.js";
+import { detectarTipo } from "../utils/tipoArquivo.js";
+import { enfileirarJob, registrarHandler } from "../services/jobQueue.js";
+import { validar } from "../middleware/validarRequisicao.js";
+import * as schemas from "../schemas/gabaritoLotes.js";
+import { comCorrelacao } from "../services/logger.js";
+import { instrumentarFetch } from "../services/metricas.js";
 
 const router = Router();
 
+// Chamadas ao OMR levam o X-Request-Id do request/job (correlação de logs) e
+// entram nas métricas de dependência por endpoint (/health, /crop-gabarito...).
+// Downloads de imagem pelo mesmo fetch não são medidos.
+const fetch = instrumentarFetch(comCorrelacao(nodeFetch), {
+  servico: "omr",
+  endpoint(url) {
+    const base = process.env.OMR_URL || "http://localhost:8500";
+    return url.startsWith(base) ? new URL(url).pathname : null;
+  },
+});
+
 // ─── Diretório base do backend (relativo a este arquivo) ────────────────────
 const __filename_route = fileURLToPath(import.meta.url);
 const __dirname_route = path.dirname(__filename_route);
 const BACKEND_ROOT = path.resolve(__dirname_route, ".."); // apps/educa-backend
 
 console.log("[gabaritoLotes] BACKEND_ROOT =", BACKEND_ROOT);
-console.log("[gabaritoLotes] Armazenamento: DigitalOcean Spaces");
-
-// ─── Helper: resolve objectKey (Spaces) ou arquivo_path (legado disco) ───
-// Registros antigos (BD): "uploads/gabaritos/1/xxxx.JPG" → path no disco (legado)
-// Registros novos (BD):   "uploads/CEF04_PLAN/gabaritos/1/xxxx.JPG" → objectKey no Spaces
-function isSpacesKey(arquivoPath) {
-  // Se começa com http, é URL completa do Spaces
-  if (arquivoPath && arquivoPath.startsWith("http")) return true;
-  return false;
+
+// ─── Helper: onde está a imagem de gabarito_arquivos.arquivo_path ──────────
+// Registros atuais:   "gabarito/<escola>/<xx>/<sha256>.jpg" → armazenamento (services/arquivos.js)
+// Legado Spaces:      "uploads/CEF04_PLAN/gabaritos/1/xxxx.JPG" → objectKey público no Spaces
+// Legado scan-mobile: "https://<bucket>.<region>.digitaloceanspaces.com/..." → URL pública
+// Legado disco:       "uploads/gabaritos/1/xxxx.JPG" ou caminho absoluto
+// scripts/migrar-arquivos.js move o legado em disco para o armazenamento.
+function origemArquivo(arquivoPath) {
+  const p = String(arquivoPath || "");
+  if (ehChaveArmazenada(p)) return "armazenamento";
+  if (p.startsWith("http")) return "url";
+  if (p.startsWith("uploads/") && !p.startsWith("uploads/gabaritos/")) return "spaces";
+  return "disco";
 }
 
 function resolveArquivoPath(arquivoPath) {
@@ -43,15 +66,53 @@ function resolveArquivoPath(arquivoPath) {
   return path.join(BACKEND_ROOT, arquivoPath);
 }
 
-// ─── Helper: obter apelido da escola no BD ─────────────────────────────────
-async function getEscolaApelido(escolaId) {
-  const [[row]] = await pool.query(
-    "SELECT apelido FROM escolas WHERE id = ? LIMIT 1",
-    [escolaId]
-  );
-  return row?.apelido || `escola_${escolaId}`;
+/** { buffer, contentType } da imagem; arquivo legado sumido do disco → erro com code "ARQUIVO_AUSENTE". */
+async function lerArquivoGabarito(arquivoPath) {
+  switch (origemArquivo(arquivoPath)) {
+    case "armazenamento":
+      return lerArquivo(arquivoPath);
+    case "spaces":
+      return downloadBufferFromSpaces(arquivoPath);
+    case "url": {
+      const resp = await fetch(arquivoPath, { signal: AbortSignal.timeout(15000) });
+      if (!resp.ok) throw new Error(`Download falhou: ${resp.status}`);
+      return { buffer: Buffer.from(await resp.arrayBuffer()), contentType: resp.headers.get("content-type") };
+    }
+    default: {
+      const filePath = resolveArquivoPath(arquivoPath);
+      if (!fs.existsSync(filePath)) {
+        throw Object.assign(new Error(`Arquivo não encontrado (legado disco): ${arquivoPath}`), { code: "ARQUIVO_AUSENTE" });
+      }
+      return { buffer: fs.readFileSync(filePath), contentType: null };
+    }
+  }
 }
 
+/** Remove a imagem depois que a linha saiu do BD. Não-bloqueante. */
+async function excluirArquivoGabarito(arquivoPath) {
+  try {
+    switch (origemArquivo(arquivoPath)) {
+      case "armazenamento":
+        await liberarChave(pool, arquivoPath);
+        break;
+      case "spaces":
+        await deleteObjectFromSpaces(arquivoPath);
+        break;
+      case "disco": {
+        const filePath = resolveArquivoPath(arquivoPath);
+        if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        break;
+      }
+      default:
+        break; // URL pública antiga (scan-mobile): não removida daqui
+    }
+  } catch (err) {
+    console.warn(`[gabaritoLotes] Aviso: não foi possível remover ${arquivoPath}: ${err.message}`);
+  }
+}
+
+const MIME_GABARITO = { ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".png": "image/png", ".pdf": "application/pdf" };
+
 // ─── Configuração do Multer (memoryStorage → envia para Spaces) ─────────────
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -74,7 +135,7 @@ function verificarEscola(req, res, next) {
 // ─── POST /api/gabarito-lotes/upload ─────────────────────────────────────────
 // Recebe N arquivos + avaliacao_id + turma_nome
 // Cria o lote + registra cada arquivo
-router.post("/upload", verificarEscola, upload.array("files", 100), async (req, res) => {
+router.post("/upload", verificarEscola, upload.array("files", 100), validar(schemas.uploadLote), async (req, res) => {
   const { escola_id } = req.user;
   const userId = req.user.id || req.user.userId;
   const { avaliacao_id, turma_nome } = req.body;
@@ -97,6 +158,18 @@ router.post("/upload", verificarEscola, upload.array("files", 100), async (req,
       return res.status(404).json({ error: "Avaliação não encontrada." });
     }
 
+    // Validar todos os arquivos antes de criar o lote (services/uploadSeguro.js):
+    // um arquivo recusado recusa o envio inteiro
+    const seguros = [];
+    for (const file of req.files) {
+      try {
+        seguros.push({ file, ...(await processarUpload(pool, file, { perfil: "gabarito", escolaId: escola_id })) });
+      } catch (err) {
+        if (!err.status) throw err;
+        return res.status(err.status).json({ error: `${file.originalname}: ${err.message}`, codigo: err.codigo });
+      }
+    }
+
     // Criar ou atualizar o lote (UPSERT)
     const [loteResult] = await pool.query(
       `INSERT INTO gabarito_lotes (avaliacao_id, escola_id, turma_nome, total_arquivos, criado_por)
@@ -118,36 +191,22 @@ router.post("/upload", verificarEscola, upload.array("files", 100), async (req,
       finalLoteId = existing[0]?.id;
     }
 
-    // Registrar cada arquivo — upload para DigitalOcean Spaces
-    const escolaApelido = await getEscolaApelido(escola_id);
+    // Registrar cada arquivo — armazenamento privado, chave por conteúdo
     const arquivos = [];
-    for (const file of req.files) {
-      const ext = path.extname(file.originalname);
-      const base = path.basename(file.originalname, ext).replace(/[^a-zA-Z0-9_-]/g, "_");
-      const filename = `${Date.now()}_${base}${ext}`;
-      const objectKey = `uploads/${escolaApelido}/gabaritos/${finalLoteId}/${filename}`;
-
-      // Detectar MIME type
-      const mimeMap = { ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".png": "image/png", ".pdf": "application/pdf" };
-      const contentType = mimeMap[ext.toLowerCase()] || "application/octet-stream";
-
-      // Upload para Spaces
-      const uploaded = await uploadFileBufferToSpaces({
-        buffer: file.buffer,
-        contentType,
-        objectKey,
-      });
+    for (const { file, buffer, mime } of seguros) {
+      const { chave } = await guardarArquivo({ categoria: "gabarito", escolaId: escola_id, buffer, mime, db: pool });
 
       const [arqResult] = await pool.query(
         `INSERT INTO gabarito_arquivos (lote_id, escola_id, arquivo_nome, arquivo_path)
          VALUES (?, ?, ?, ?)`,
-        [finalLoteId, escola_id, file.originalname, objectKey]
+        [finalLoteId, escola_id, file.originalname, chave]
       );
+      const { url } = await urlDoArquivo(chave, { nome: file.originalname });
       arquivos.push({
         id: arqResult.insertId,
         arquivo_nome: file.originalname,
-        arquivo_path: objectKey,
-        spaces_url: uploaded.publicUrl,
+        arquivo_path: chave,
+        url,
         status: "pendente",
       });
     }
@@ -165,173 +224,193 @@ router.post("/upload", verificarEscola, upload.array("files", 100), async (req,
   }
 });
 
-// ─── POST /api/gabarito-lotes/:id/processar-qr ──────────────────────────────
-// Lê o QR Code de cada arquivo do lote via serviço OMR Python
-// Identifica os alunos e atualiza gabarito_arquivos
-router.post("/:id/processar-qr", verificarEscola, async (req, res) => {
-  const { escola_id } = req.user;
-  const loteId = req.params.id;
+// ─── JOB gabarito_processar_qr ──────────────────────────────────────────────
+// Lê o QR Code de cada arquivo pendente do lote via serviço OMR Python e
+// identifica os alunos. Roda na fila (services/jobQueue.js): lote de 40 folhas
+// leva minutos e estourava o timeout do proxy.
+// OMR fora do ar → erro transitório (retentativa com backoff).
+registrarHandler("gabarito_processar_qr", async (ctx) => {
+  const { lote_id: loteId } = ctx.payload;
+  const escola_id = ctx.escolaId;
+
+  // Buscar arquivos pendentes do lote (reconsulta: pode ter mudado desde o enfileiramento)
+  const [arquivos] = await pool.query(
+    `SELECT id, arquivo_path, arquivo_nome FROM gabarito_arquivos
+     WHERE lote_id = ? AND escola_id = ? AND status = 'pendente'`,
+    [loteId, escola_id]
+  );
+  if (arquivos.length === 0) {
+    return { processados: 0, identificados: 0, erros: 0, resultados: [] };
+  }
 
-  try {
-    // Buscar arquivos pendentes do lote
-    const [arquivos] = await pool.query(
-      `SELECT id, arquivo_path, arquivo_nome FROM gabarito_arquivos
-       WHERE lote_id = ? AND escola_id = ? AND status = 'pendente'`,
-      [loteId, escola_id]
-    );
+  const OMR_URL = process.env.OMR_URL || "http://localhost:8500";
+  const resultados = [];
 
-    if (arquivos.length === 0) {
-      return res.json({ processados: 0, message: "Todos os arquivos já foram processados." });
-    }
+  // Verificar se o OMR está disponível antes de processar
+  try {
+    const healthResp = await fetch(`${OMR_URL}/health`, { timeout: 3000 });
+    if (!healthResp.ok) throw new Error("OMR health check falhou");
+  } catch (omrErr) {
+    console.error(`[processar-qr] OMR indisponível em ${OMR_URL}:`, omrErr.code || omrErr.message);
+    throw new Error(`Serviço de correção OMR indisponível (OMR_URL=${OMR_URL}, erro=${omrErr.code || omrErr.message})`);
+  }
 
-    const OMR_URL = process.env.OMR_URL || "http://localhost:8500";
-    const resultados = [];
+  for (const [i, arq] of arquivos.entries()) {
+    await ctx.verificarCancelamento();
+    await ctx.progresso((i / arquivos.length) * 100, `Arquivo ${i + 1} de ${arquivos.length}`);
 
-    // Verificar se o OMR está disponível antes de processar
     try {
-      const healthResp = await fetch(`${OMR_URL}/health`, { timeout: 3000 });
-      if (!healthResp.ok) throw new Error("OMR health check falhou");
-    } catch (omrErr) {
-      console.error(`[processar-qr] OMR indisponível em ${OMR_URL}:`, omrErr.code || omrErr.message);
-      return res.status(503).json({
-        error: "Serviço de correção OMR indisponível. O serviço Python (educa-omr) não está rodando.",
-        detail: `OMR_URL=${OMR_URL}, erro=${omrErr.code || omrErr.message}`,
-      });
-    }
-
-    for (const arq of arquivos) {
+      // Baixar arquivo (armazenamento, Spaces legado ou disco legado)
+      let fileBuffer;
       try {
-        // Baixar arquivo do Spaces (ou disco legado)
-        let fileBuffer;
-        try {
-          if (isSpacesKey(arq.arquivo_path) || arq.arquivo_path.match(/^uploads\/[A-Z]/)) {
-            console.log(`[processar-qr] arq ${arq.id}: baixando do Spaces key="${arq.arquivo_path}"`);
-            const downloaded = await downloadBufferFromSpaces(arq.arquivo_path);
-            fileBuffer = downloaded.buffer;
-          } else {
-            const filePath = resolveArquivoPath(arq.arquivo_path);
-            console.log(`[processar-qr] arq ${arq.id}: lendo do disco path="${filePath}" exists=${fs.existsSync(filePath)}`);
-            if (!fs.existsSync(filePath)) {
-              await pool.query(
-                `UPDATE gabarito_arquivos SET status = 'erro' WHERE id = ?`,
-                [arq.id]
-              );
-              resultados.push({ id: arq.id, status: "erro", error: `Arquivo não encontrado (legado disco): ${arq.arquivo_path}` });
-              continue;
-            }
-            fileBuffer = fs.readFileSync(filePath);
-          }
-        } catch (dlErr) {
-          await pool.query(
-            `UPDATE gabarito_arquivos SET status = 'erro' WHERE id = ?`,
-            [arq.id]
-          );
-          resultados.push({ id: arq.id, status: "erro", error: `Erro ao obter arquivo: ${dlErr.message}` });
-          continue;
-        }
-
-        // 1. Crop (alinhamento)
-        const formCrop = new FormData();
-        formCrop.append("file", fileBuffer, { filename: arq.arquivo_nome });
-
-        const respCrop = await fetch(`${OMR_URL}/crop-gabarito`, {
-          method: "POST",
-          body: formCrop,
-          headers: formCrop.getHeaders(),
-        });
-
-        if (!respCrop.ok) {
-          await pool.query(
-            `UPDATE gabarito_arquivos SET status = 'erro' WHERE id = ?`,
-            [arq.id]
-          );
-          resultados.push({ id: arq.id, status: "erro", error: "Falha no crop" });
-          continue;
-        }
-
-        const cropBuffer = Buffer.from(await respCrop.arrayBuffer());
+        console.log(`[processar-qr] arq ${arq.id}: lendo ${origemArquivo(arq.arquivo_path)} "${arq.arquivo_path}"`);
+        fileBuffer = (await lerArquivoGabarito(arq.arquivo_path)).buffer;
+      } catch (dlErr) {
+        await pool.query(
+          `UPDATE gabarito_arquivos SET status = 'erro' WHERE id = ?`,
+          [arq.id]
+        );
+        const error = dlErr.code === "ARQUIVO_AUSENTE" ? dlErr.message : `Erro ao obter arquivo: ${dlErr.message}`;
+        resultados.push({ id: arq.id, status: "erro", error });
+        continue;
+      }
 
-        // 2. Ler bolhas + QR Code
-        const formBolhas = new FormData();
-        formBolhas.append("file", cropBuffer, { filename: "crop.png" });
+      // 1. Crop (alinhamento)
+      const formCrop = new FormData();
+      formCrop.append("file", fileBuffer, { filename: arq.arquivo_nome });
 
-        const respBolhas = await fetch(`${OMR_URL}/corrigir-bolhas`, {
-          method: "POST",
-          body: formBolhas,
-          headers: formBolhas.getHeaders(),
-        });
+      const respCrop = await fetch(`${OMR_URL}/crop-gabarito`, {
+        method: "POST",
+        body: formCrop,
+        headers: formCrop.getHeaders(),
+      });
 
-        if (!respBolhas.ok) {
-          await pool.query(
-            `UPDATE gabarito_arquivos SET status = 'erro' WHERE id = ?`,
-            [arq.id]
-          );
-          resultados.push({ id: arq.id, status: "erro", error: "Falha na leitura de bolhas" });
-          continue;
-        }
+      if (!respCrop.ok) {
+        await pool.query(
+          `UPDATE gabarito_arquivos SET status = 'erro' WHERE id = ?`,
+          [arq.id]
+        );
+        resultados.push({ id: arq.id, status: "erro", error: "Falha no crop" });
+        continue;
+      }
 
-        const bolhasData = await respBolhas.json();
-        const qrData = bolhasData.qrData || null;
-        const codigoAluno = qrData?.c || null;
+      const cropBuffer = Buffer.from(await respCrop.arrayBuffer());
 
-        // Buscar nome do aluno no banco se temos o código
-        let nomeAluno = null;
-        let turmaId = qrData?.t || null;
-        if (codigoAluno) {
-          const [alunoRows] = await pool.query(
-            "SELECT estudante, id FROM alunos WHERE codigo = ? AND escola_id = ?",
-            [codigoAluno, escola_id]
-          );
-          if (alunoRows.length > 0) {
-            nomeAluno = alunoRows[0].estudante;
-          }
-        }
+      // 2. Ler bolhas + QR Code
+      const formBolhas = new FormData();
+      formBolhas.append("file", cropBuffer, { filename: "crop.png" });
 
-        // Atualizar arquivo no BD
-        await pool.query(
-          `UPDATE gabarito_arquivos SET
-            status = 'identificado',
-            codigo_aluno = ?,
-            nome_aluno = ?,
-            turma_id = ?,
-            qr_data = ?,
-            respostas_aluno = ?
-          WHERE id = ?`,
-          [
-            codigoAluno,
-            nomeAluno,
-            turmaId,
-            qrData ? JSON.stringify(qrData) : null,
-            bolhasData.respostas ? JSON.stringify(bolhasData.respostas) : null,
-            arq.id,
-          ]
-        );
+      const respBolhas = await fetch(`${OMR_URL}/corrigir-bolhas`, {
+        method: "POST",
+        body: formBolhas,
+        headers: formBolhas.getHeaders(),
+      });
 
-        resultados.push({
-          id: arq.id,
-          status: "identificado",
-          codigo_aluno: codigoAluno,
-          nome_aluno: nomeAluno,
-          respostas: bolhasData.respostas,
-        });
-      } catch (innerErr) {
-        console.error(`Erro processando arquivo ${arq.id}:`, innerErr.message);
+      if (!respBolhas.ok) {
         await pool.query(
           `UPDATE gabarito_arquivos SET status = 'erro' WHERE id = ?`,
           [arq.id]
         );
-        resultados.push({ id: arq.id, status: "erro", error: innerErr.message });
+        resultados.push({ id: arq.id, status: "erro", error: "Falha na leitura de bolhas" });
+        continue;
+      }
+
+      const bolhasData = await respBolhas.json();
+      const qrData = bolhasData.qrData || null;
+      const codigoAluno = qrData?.c || null;
+
+      // Buscar nome do aluno no banco se temos o código
+      let nomeAluno = null;
+      let turmaId = qrData?.t || null;
+      if (codigoAluno) {
+        const [alunoRows] = await pool.query(
+          "SELECT estudante, id FROM alunos WHERE codigo = ? AND escola_id = ?",
+          [codigoAluno, escola_id]
+        );
+        if (alunoRows.length > 0) {
+          nomeAluno = alunoRows[0].estudante;
+        }
       }
+
+      // Atualizar arquivo no BD
+      await pool.query(
+        `UPDATE gabarito_arquivos SET
+          status = 'identificado',
+          codigo_aluno = ?,
+          nome_aluno = ?,
+          turma_id = ?,
+          qr_data = ?,
+          respostas_aluno = ?
+        WHERE id = ?`,
+        [
+          codigoAluno,
+          nomeAluno,
+          turmaId,
+          qrData ? JSON.stringify(qrData) : null,
+          bolhasData.respostas ? JSON.stringify(bolhasData.respostas) : null,
+          arq.id,
+        ]
+      );
+
+      resultados.push({
+        id: arq.id,
+        status: "identificado",
+        codigo_aluno: codigoAluno,
+        nome_aluno: nomeAluno,
+        respostas: bolhasData.respostas,
+      });
+    } catch (innerErr) {
+      console.error(`Erro processando arquivo ${arq.id}:`, innerErr.message);
+      await pool.query(
+        `UPDATE gabarito_arquivos SET status = 'erro' WHERE id = ?`,
+        [arq.id]
+      );
+      resultados.push({ id: arq.id, status: "erro", error: innerErr.message });
     }
+  }
 
-    res.json({
-      processados: resultados.length,
-      identificados: resultados.filter(r => r.status === "identificado").length,
-      erros: resultados.filter(r => r.status === "erro").length,
-      resultados,
+  return {
+    processados: resultados.length,
+    identificados: resultados.filter(r => r.status === "identificado").length,
+    erros: resultados.filter(r => r.status === "erro").length,
+    resultados,
+  };
+}, { concorrencia: 2, concorrenciaPorEscola: 1, maxTentativas: 4, backoffMs: 30_000 });
+
+// ─── POST /api/gabarito-lotes/:id/processar-qr ──────────────────────────────
+// Enfileira a leitura de QR do lote (job gabarito_processar_qr) → 202 + job_id.
+// Resultado em GET /api/jobs/:id (processados / identificados / erros).
+router.post("/:id/processar-qr", verificarEscola, validar(schemas.processarQr), async (req, res) => {
+  const { escola_id } = req.user;
+  const loteId = Number(req.params.id);
+
+  try {
+    const [[pendentes]] = await pool.query(
+      `SELECT COUNT(*) AS total FROM gabarito_arquivos
+       WHERE lote_id = ? AND escola_id = ? AND status = 'pendente'`,
+      [loteId, escola_id]
+    );
+
+    if (!Number(pendentes.total)) {
+      return res.json({ processados: 0, message: "Todos os arquivos já foram processados." });
+    }
+
+    const { id, existente } = await enfileirarJob(pool, {
+      tipo: "gabarito_processar_qr",
+      escolaId: escola_id,
+      usuarioId: req.user.id || req.user.userId,
+      chave: `gabarito_qr:${loteId}`,
+      payload: { lote_id: loteId },
+    });
+
+    res.status(202).json({
+      job_id: id,
+      existente,
+      pendentes: Number(pendentes.total),
+      status_url: `/api/jobs/${id}`,
     });
   } catch (err) {
-    console.error("Erro ao processar QR do lote:", err);
+    console.error("Erro ao enfileirar processamento do lote:", err);
     res.status(500).json({ error: "Erro ao processar arquivos." });
   }
 });
@@ -341,7 +420,7 @@ router.post("/:id/processar-qr", verificarEscola, async (req, res) => {
 // Aceita professor_id (tabela professores) — busca nome em professores
 // Se o professor_id não for encontrado na tabela professores, tenta em usuarios
 // BLOQUEADO se a avaliação já teve notas importadas (status = notas_importadas)
-router.put("/:id/vincular-professor", verificarEscola, async (req, res) => {
+router.put("/:id/vincular-professor", verificarEscola, validar(schemas.vincularProfessor), async (req, res) => {
   const { escola_id } = req.user;
   const loteId = req.params.id;
   const { professor_id } = req.body;
@@ -398,7 +477,7 @@ router.put("/:id/vincular-professor", verificarEscola, async (req, res) => {
 
 // ─── GET /api/gabarito-lotes/meu-lote?avaliacao_id=X ────────────────────────
 // Professor consulta o lote da SUA turma para uma avaliação (para saber se está liberado)
-router.get("/meu-lote", verificarEscola, async (req, res) => {
+router.get("/meu-lote", verificarEscola, validar(schemas.meuLote), async (req, res) => {
   const { escola_id } = req.user;
   const { avaliacao_id, turma_nome } = req.query;
 
@@ -435,7 +514,7 @@ router.get("/meu-lote", verificarEscola, async (req, res) => {
 
 // ─── POST /api/gabarito-lotes/:id/liberar-correcao ───────────────────────────
 // Coordenador/diretor libera uma turma específica para re-correção após importação
-router.post("/:id/liberar-correcao", verificarEscola, async (req, res) => {
+router.post("/:id/liberar-correcao", verificarEscola, validar(schemas.liberarCorrecao), async (req, res) => {
   const { escola_id } = req.user;
   const perfil = req.user.perfil || req.user.role;
   const loteId = req.params.id;
@@ -480,7 +559,7 @@ router.post("/:id/liberar-correcao", verificarEscola, async (req, res) => {
 
 // ─── POST /api/gabarito-lotes/:id/bloquear-correcao ──────────────────────────
 // Coordenador/diretor re-bloqueia manualmente uma turma
-router.post("/:id/bloquear-correcao", verificarEscola, async (req, res) => {
+router.post("/:id/bloquear-correcao", verificarEscola, validar(schemas.bloquearCorrecao), async (req, res) => {
   const { escola_id } = req.user;
   const perfil = req.user.perfil || req.user.role;
   const loteId = req.params.id;
@@ -509,7 +588,7 @@ router.post("/:id/bloquear-correcao", verificarEscola, async (req, res) => {
 
 // ─── GET /api/gabarito-lotes?avaliacao_id=X ──────────────────────────────────
 // Lista todos os lotes de uma avaliação (inclui professor vinculado)
-router.get("/", verificarEscola, async (req, res) => {
+router.get("/", verificarEscola, validar(schemas.listarLotes), async (req, res) => {
 
   const { escola_id } = req.user;
   const { avaliacao_id } = req.query;
@@ -549,7 +628,7 @@ router.get("/", verificarEscola, async (req, res) => {
 
 // ─── GET /api/gabarito-lotes/:id/arquivos ────────────────────────────────────
 // Lista todos os arquivos (alunos identificados) de um lote
-router.get("/:id/arquivos", verificarEscola, async (req, res) => {
+router.get("/:id/arquivos", verificarEscola, validar(schemas.arquivosDoLote), async (req, res) => {
   const { escola_id } = req.user;
   const loteId = req.params.id;
 
@@ -581,7 +660,7 @@ router.get("/:id/arquivos", verificarEscola, async (req, res) => {
 
 // ─── POST /api/gabarito-lotes/arquivos/:id/corrigir ──────────────────────────
 // Corrige um arquivo específico (compara com gabarito oficial) e salva resultado
-router.post("/arquivos/:id/corrigir", verificarEscola, async (req, res) => {
+router.post("/arquivos/:id/corrigir", verificarEscola, validar(schemas.corrigirArquivo), async (req, res) => {
   const { escola_id } = req.user;
   const userId = req.user.id || req.user.userId;
   const arquivoId = req.params.id;
@@ -604,27 +683,18 @@ router.post("/arquivos/:id/corrigir", verificarEscola, async (req, res) => {
 
     // Se respostas_aluno está vazio, rodar OMR agora (crop + bolhas)
     if (respostasAluno.length === 0) {
-      // Baixar arquivo do Spaces (ou disco legado)
+      // Baixar arquivo (armazenamento, Spaces legado ou disco legado)
       let fileBuffer;
       try {
-        if (isSpacesKey(arq.arquivo_path) || arq.arquivo_path.match(/^uploads\/[A-Z]/)) {
-          // Novo formato: objectKey no Spaces
-          console.log(`[corrigir] arq ${arquivoId}: baixando do Spaces key="${arq.arquivo_path}"`);
-          const downloaded = await downloadBufferFromSpaces(arq.arquivo_path);
-          fileBuffer = downloaded.buffer;
-        } else {
-          // Legado: path no disco
-          const filePath = resolveArquivoPath(arq.arquivo_path);
-          console.log(`[corrigir] arq ${arquivoId}: lendo do disco path="${filePath}" exists=${fs.existsSync(filePath)}`);
-          if (!fs.existsSync(filePath)) {
-            return res.status(404).json({
-              error: "Arquivo não encontrado. Este gabarito foi salvo antes da migração para armazenamento em nuvem e foi perdido no re-deploy. O coordenador precisa re-enviar os gabaritos.",
-              detail: `arquivo_path=${arq.arquivo_path}`,
-            });
-          }
-          fileBuffer = fs.readFileSync(filePath);
-        }
+        console.log(`[corrigir] arq ${arquivoId}: lendo ${origemArquivo(arq.arquivo_path)} "${arq.arquivo_path}"`);
+        fileBuffer = (await lerArquivoGabarito(arq.arquivo_path)).buffer;
       } catch (dlErr) {
+        if (dlErr.code === "ARQUIVO_AUSENTE") {
+          return res.status(404).json({
+            error: "Arquivo não encontrado. Este gabarito foi salvo antes da migração para armazenamento em nuvem e foi perdido no re-deploy. O coordenador precisa re-enviar os gabaritos.",
+            detail: `arquivo_path=${arq.arquivo_path}`,
+          });
+        }
         console.error(`[corrigir] Erro ao obter arquivo arq ${arquivoId}:`, dlErr.message);
         return res.status(404).json({
           error: "Erro ao obter arquivo do armazenamento. O coordenador precisa re-enviar os gabaritos.",
@@ -926,8 +996,8 @@ router.post("/arquivos/:id/corrigir", verificarEscola, async (req, res) => {
 });
 
 // ─── GET /api/gabarito-lotes/arquivos/:id/imagem ─────────────────────────────
-// Serve a imagem escaneada do gabarito (Spaces ou disco legado)
-router.get("/arquivos/:id/imagem", verificarEscola, async (req, res) => {
+// Serve a imagem escaneada do gabarito (armazenamento, Spaces legado ou disco legado)
+router.get("/arquivos/:id/imagem", verificarEscola, validar(schemas.imagemArquivo), async (req, res) => {
   const { escola_id } = req.user;
   const arquivoId = req.params.id;
 
@@ -941,45 +1011,62 @@ router.get("/arquivos/:id/imagem", verificarEscola, async (req, res) => {
     }
 
     const arquivoPath = rows[0].arquivo_path;
-
-    // ── Novo formato: objectKey no DigitalOcean Spaces ──
-    if (isSpacesKey(arquivoPath) || arquivoPath.match(/^uploads\/[A-Z]/)) {
-      try {
-        console.log(`[imagem] arq ${arquivoId}: baixando do Spaces key="${arquivoPath}"`);
-        const downloaded = await downloadBufferFromSpaces(arquivoPath);
-
-        // Detectar content-type
-        const ext = (rows[0].arquivo_nome || arquivoPath).split(".").pop().toLowerCase();
-        const mimeMap = { jpg: "image/jpeg", jpeg: "image/jpeg", png: "image/png", pdf: "application/pdf" };
-        const contentType = downloaded.contentType || mimeMap[ext] || "application/octet-stream";
-
-        res.set("Content-Type", contentType);
-        res.set("Content-Disposition", `inline; filename="${rows[0].arquivo_nome || "gabarito"}"`);
-        res.set("Cache-Control", "public, max-age=3600");
-        return res.send(downloaded.buffer);
-      } catch (dlErr) {
-        console.error(`[imagem] Erro ao baixar do Spaces arq ${arquivoId}:`, dlErr.message);
-        return res.status(404).json({ error: "Arquivo não encontrado no armazenamento em nuvem.", detail: dlErr.message });
-      }
-    }
-
-    // ── Legado: arquivo no disco local ──
-    const filePath = resolveArquivoPath(arquivoPath);
-    console.log(`[imagem] arq ${arquivoId}: arquivo_path="${arquivoPath}" → resolved="${filePath}" exists=${fs.existsSync(filePath)}`);
-    if (!fs.existsSync(filePath)) {
-      return res.status(404).json({ error: `Arquivo não encontrado no disco. Path: ${filePath}` });
+    let arquivo;
+    try {
+      arquivo = await lerArquivoGabarito(arquivoPath);
+    } catch (dlErr) {
+      console.error(`[imagem] Erro ao ler arq ${arquivoId} (${origemArquivo(arquivoPath)}):`, dlErr.message);
+      return res.status(404).json({ error: "Arquivo não encontrado no armazenamento.", detail: dlErr.message });
     }
 
-    res.sendFile(filePath);
+    const ext = path.extname(rows[0].arquivo_nome || arquivoPath).toLowerCase();
+    res.set("Content-Type", arquivo.contentType || MIME_GABARITO[ext] || "application/octet-stream");
+    res.set("Content-Disposition", `inline; filename="${(rows[0].arquivo_nome || "gabarito").replace(/["\\\r\n]/g, "_")}"`);
+    res.set("Cache-Control", "private, max-age=300");
+    res.send(arquivo.buffer);
   } catch (err) {
     console.error("Erro ao servir imagem:", err);
     res.status(500).json({ error: "Erro ao carregar imagem." });
   }
 });
 
+// ─── GET /api/gabarito-lotes/arquivos/:id/url ────────────────────────────────
+// URL assinada de vida curta para a imagem (o app abre direto, sem passar pelo backend)
+router.get("/arquivos/:id/url", verificarEscola, validar(schemas.imagemArquivo), async (req, res) => {
+  const { escola_id } = req.user;
+
+  try {
+    const [[arq]] = await pool.query(
+      `SELECT arquivo_path, arquivo_nome FROM gabarito_arquivos WHERE id = ? AND escola_id = ?`,
+      [req.params.id, escola_id]
+    );
+    if (!arq?.arquivo_path) {
+      return res.status(404).json({ error: "Arquivo não encontrado." });
+    }
+
+    const origem = origemArquivo(arq.arquivo_path);
+    if (origem === "armazenamento") {
+      const { url, expira_em } = await urlDoArquivo(arq.arquivo_path, { nome: arq.arquivo_nome || "" });
+      return res.json({ url, expira_em });
+    }
+    if (origem === "spaces") {
+      const ttl = Number(process.env.STORAGE_URL_TTL || 300);
+      const url = await getSignedGetObjectUrl(arq.arquivo_path, ttl);
+      return res.json({ url, expira_em: new Date(Date.now() + ttl * 1000) });
+    }
+    res.status(409).json({
+      error: "Imagem em formato legado. Use /arquivos/:id/imagem ou rode scripts/migrar-arquivos.js.",
+      codigo: "ARQUIVO_LEGADO",
+    });
+  } catch (err) {
+    console.error("Erro ao gerar URL da imagem:", err);
+    res.status(500).json({ error: "Erro ao gerar URL da imagem." });
+  }
+});
+
 // ─── GET /api/gabarito-lotes/:id/alunos-turma ────────────────────────────────
 // Lista alunos da turma para vinculação manual (quando QR falha)
-router.get("/:id/alunos-turma", verificarEscola, async (req, res) => {
+router.get("/:id/alunos-turma", verificarEscola, validar(schemas.alunosDaTurmaDoLote), async (req, res) => {
   const { escola_id } = req.user;
   const loteId = req.params.id;
 
@@ -1034,7 +1121,7 @@ router.get("/:id/alunos-turma", verificarEscola, async (req, res) => {
 
 // ─── PUT /api/gabarito-lotes/arquivos/:id/vincular-aluno ─────────────────────
 // Vincula manualmente um aluno a um gabarito (quando QR Code falha)
-router.put("/arquivos/:id/vincular-aluno", verificarEscola, async (req, res) => {
+router.put("/arquivos/:id/vincular-aluno", verificarEscola, validar(schemas.vincularAluno), async (req, res) => {
   const { escola_id } = req.user;
   const arquivoId = req.params.id;
   const { codigo_aluno, nome_aluno } = req.body;
@@ -1090,7 +1177,7 @@ router.put("/arquivos/:id/vincular-aluno", verificarEscola, async (req, res) =>
 // Exclui um arquivo/gabarito individual do lote (coordenador)
 // Limpa: gabarito_arquivos, gabarito_ajustes_manuais, gabarito_respostas (para este arquivo)
 // Decrementa total_arquivos do lote e, se lote ficou vazio, o deleta também
-router.delete("/arquivos/:id", verificarEscola, async (req, res) => {
+router.delete("/arquivos/:id", verificarEscola, validar(schemas.excluirArquivo), async (req, res) => {
   const { escola_id } = req.user;
   const arquivoId = req.params.id;
 
@@ -1156,16 +1243,8 @@ router.delete("/arquivos/:id", verificarEscola, async (req, res) => {
       [arq.lote_id, escola_id, arq.lote_id, escola_id, arq.lote_id, escola_id, arq.lote_id, escola_id]
     );
 
-    // 7. Tentar remover do Spaces (não-bloqueante)
-    try {
-      const { deleteObjectFromSpaces } = await import("../storage/spacesUpload.js");
-      if (arq.arquivo_path && (arq.arquivo_path.startsWith("uploads/") || arq.arquivo_path.includes("/gabaritos/"))) {
-        await deleteObjectFromSpaces(arq.arquivo_path);
-      }
-    } catch (spacesErr) {
-      // Não falhar por erro no Spaces — o registro já foi removido do BD
-      console.warn(`[excluir-arquivo] Aviso: não foi possível deletar do Spaces: ${spacesErr.message}`);
-    }
+    // 7. Remover a imagem (não-bloqueante — o registro já foi removido do BD)
+    if (arq.arquivo_path) await excluirArquivoGabarito(arq.arquivo_path);
 
     res.json({ ok: true, message: "Arquivo excluído com sucesso.", lote_id: arq.lote_id });
   } catch (err) {
@@ -1175,13 +1254,13 @@ router.delete("/arquivos/:id", verificarEscola, async (req, res) => {
 });
 
 // ─── DELETE /api/gabarito-lotes/:id ──────────────────────────────────────────
-router.delete("/:id", verificarEscola, async (req, res) => {
+router.delete("/:id", verificarEscola, validar(schemas.excluirLote), async (req, res) => {
 
   const { escola_id } = req.user;
   const loteId = req.params.id;
 
   try {
-    // Buscar arquivos para deletar do disco
+    // Buscar arquivos para remover do armazenamento depois
     const [arquivos] = await pool.query(
       "SELECT arquivo_path FROM gabarito_arquivos WHERE lote_id = ? AND escola_id = ?",
       [loteId, escola_id]
@@ -1197,12 +1276,9 @@ router.delete("/:id", verificarEscola, async (req, res) => {
       return res.status(404).json({ error: "Lote não encontrado." });
     }
 
-    // Deletar arquivos do disco
+    // Remover as imagens (armazenamento, Spaces legado ou disco legado)
     for (const arq of arquivos) {
-      try {
-        const filePath = resolveArquivoPath(arq.arquivo_path);
-        if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
-      } catch { /* ignore */ }
+      if (arq.arquivo_path) await excluirArquivoGabarito(arq.arquivo_path);
     }
 
     res.json({ ok: true, message: "Lote excluído com sucesso." });
@@ -1326,7 +1402,7 @@ async function recalcularNotaArquivo(arquivo_id, escola_id) {
 
 // ─── POST /api/gabarito-lotes/arquivos/:id/ajuste-manual ─────────────────────
 // Professor solicita ajuste manual em uma questão
-router.post("/arquivos/:id/ajuste-manual", verificarEscola, async (req, res) => {
+router.post("/arquivos/:id/ajuste-manual", verificarEscola, validar(schemas.ajusteManual), async (req, res) => {
   const { escola_id } = req.user;
   const userId = req.user.usuario_id || req.user.usuarioId;
   const arquivoId = req.params.id;
@@ -1382,7 +1458,7 @@ router.post("/arquivos/:id/ajuste-manual", verificarEscola, async (req, res) =>
 
 // ─── GET /api/gabarito-lotes/arquivos/:id/ajustes-manuais ────────────────────
 // Lista todos os ajustes manuais de um arquivo
-router.get("/arquivos/:id/ajustes-manuais", verificarEscola, async (req, res) => {
+router.get("/arquivos/:id/ajustes-manuais", verificarEscola, validar(schemas.ajustesDoArquivo), async (req, res) => {
   const { escola_id } = req.user;
   const arquivoId = req.params.id;
 
@@ -1405,7 +1481,7 @@ router.get("/arquivos/:id/ajustes-manuais", verificarEscola, async (req, res) =>
 
 // ─── PUT /api/gabarito-lotes/ajustes/:id/decidir ─────────────────────────────
 // Coordenador aprova ou rejeita um ajuste manual e recalcula a nota
-router.put("/ajustes/:id/decidir", verificarEscola, async (req, res) => {
+router.put("/ajustes/:id/decidir", verificarEscola, validar(schemas.decidirAjuste), async (req, res) => {
   const { escola_id } = req.user;
   const userId = req.user.usuario_id || req.user.usuarioId;
   const ajusteId = req.params.id;
@@ -1719,7 +1795,7 @@ router.get("/corretores-disponiveis", verificarEscola, async (req, res) => {
 // Recebe foto bruta do app, alinha via OMR (/crop-gabarito) e devolve
 // a imagem alinhada como base64 para o professor confirmar antes de ler bolhas.
 // NÃO faz leitura de bolhas. NÃO persiste nada.
-router.post("/scan-mobile/preview", verificarEscola, upload.single("file"), async (req, res) => {
+router.post("/scan-mobile/preview", verificarEscola, upload.single("file"), validar(schemas.scanMobilePreview), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: "Nenhuma imagem enviada (campo 'file')." });
   }
@@ -1776,7 +1852,7 @@ router.post("/scan-mobile/preview", verificarEscola, upload.single("file"), asyn
 // Proxy rápido para feedback em tempo real: envia foto de probe para o OMR
 // e retorna quais cantos têm marcadores detectados.
 // Chamado ~1x/segundo pelo app mobile enquanto professor posiciona o gabarito.
-router.post("/scan-mobile/detect-corners", verificarEscola, upload.single("file"), async (req, res) => {
+router.post("/scan-mobile/detect-corners", verificarEscola, upload.single("file"), validar(schemas.scanMobileCantos), async (req, res) => {
   if (!req.file) {
     return res.json({ TL: false, TR: false, BL: false, BR: false, detected: 0 });
   }
@@ -1809,7 +1885,7 @@ router.post("/scan-mobile/detect-corners", verificarEscola, upload.single("file"
 // ─── POST /api/gabarito-lotes/scan-mobile ────────────────────────────────────
 // Proxy OMR para o app mobile: recebe foto, crop, lê bolhas, compara gabarito
 // Retorna resultado completo (respostas, acertos, nota, confiança)
-router.post("/scan-mobile", verificarEscola, upload.single("file"), async (req, res) => {
+router.post("/scan-mobile", verificarEscola, upload.single("file"), validar(schemas.scanMobile), async (req, res) => {
   const { escola_id } = req.user;
   const { avaliacao_id, lote_id, arquivo_id } = req.body;
 
@@ -1954,7 +2030,7 @@ router.post("/scan-mobile", verificarEscola, upload.single("file"), async (req,
 
 // ─── POST /api/gabarito-lotes/scan-mobile/confirmar ──────────────────────────
 // Professor confirma o resultado do scan — persiste no BD
-router.post("/scan-mobile/confirmar", verificarEscola, async (req, res) => {
+router.post("/scan-mobile/confirmar", verificarEscola, validar(schemas.scanMobileConfirmar), async (req, res) => {
   const { escola_id } = req.user;
   const userId = req.user.id || req.user.userId || req.user.usuario_id;
   const { avaliacao_id, arquivo_id, lote_id, respostas, codigo_aluno, nome_aluno } = req.body;
@@ -2074,7 +2150,7 @@ router.post("/scan-mobile/confirmar", verificarEscola, async (req, res) => {
 // Chamado ao escanear o QR da CAPA DA PROVA (inicio da sessão).
 // Decodificado: { tipo:"prova", avaliacao_id, turma_id, escola_id }
 // Retorna: nome da avaliação, turma, N alunos, loteId (cria se não existir)
-router.get("/scan-mobile/sessao-info", async (req, res) => {
+router.get("/scan-mobile/sessao-info", validar(schemas.sessaoInfo), async (req, res) => {
   const { avaliacao_id, turma_id } = req.query;
   const { escola_id } = req.user;
 
@@ -2184,7 +2260,7 @@ router.get("/scan-mobile/sessao-info", async (req, res) => {
 // ─── GET /api/gabarito-lotes/scan-mobile/aluno-by-codigo ───────────────────────────
 // Chamado ao escanear o QR do GABARITO DO ALUNO.
 // Busca aluno pelo código, retorna dados e arquivo_id do lote.
-router.get("/scan-mobile/aluno-by-codigo", async (req, res) => {
+router.get("/scan-mobile/aluno-by-codigo", validar(schemas.alunoPorCodigo), async (req, res) => {
   const { codigo, avaliacao_id, lote_id, turma_id_lote } = req.query;
   const { escola_id } = req.user;
 
@@ -2309,7 +2385,7 @@ router.get("/scan-mobile/aluno-by-codigo", async (req, res) => {
 // ─── GET /api/gabarito-lotes/scan-mobile/lote-imagens ───────────────────────────────
 // Carrega (UMA VEZ por sessão) o mapa de alunos que já têm imagem no BD.
 // Usado pelo EDUCA-SCAN para não re-capturar quem já foi digitalizado via portal.
-router.get("/scan-mobile/lote-imagens", async (req, res) => {
+router.get("/scan-mobile/lote-imagens", validar(schemas.loteImagens), async (req, res) => {
   const { lote_id } = req.query;
   const { escola_id } = req.user;
   if (!lote_id) return res.status(400).json({ error: "lote_id é obrigatório" });
@@ -2339,7 +2415,7 @@ router.get("/scan-mobile/lote-imagens", async (req, res) => {
 
 // ─── POST /api/gabarito-lotes/scan-mobile/ler-imagem-existente ──────────────────
 // Retorna bolhas já lidas (DB) ou roda OMR na imagem do portal.
-router.post("/scan-mobile/ler-imagem-existente", async (req, res) => {
+router.post("/scan-mobile/ler-imagem-existente", validar(schemas.lerImagemExistente), async (req, res) => {
   const { arquivo_id } = req.body;
   const { escola_id }  = req.user;
   if (!arquivo_id) return res.status(400).json({ error: "arquivo_id é obrigatório" });
@@ -2366,9 +2442,7 @@ router.post("/scan-mobile/ler-imagem-existente", async (req, res) => {
     // Caminho OMR: baixar imagem do Spaces e processar
     if (!arq.arquivo_path) return res.status(400).json({ error: "Sem imagem associada" });
 
-    const imgResp = await fetch(arq.arquivo_path, { signal: AbortSignal.timeout(15000) });
-    if (!imgResp.ok) throw new Error(`Download falhou: ${imgResp.status}`);
-    const imgBuf  = Buffer.from(await imgResp.arrayBuffer());
+    const imgBuf = (await lerArquivoGabarito(arq.arquivo_path)).buffer;
 
     const FormDataNode = require('form-data');
     const formBolhas   = new FormDataNode();
@@ -2403,10 +2477,10 @@ router.post("/scan-mobile/ler-imagem-existente", async (req, res) => {
 });
 
 // ─── POST /api/gabarito-lotes/scan-mobile/save-image ─────────────────────────
-// Salva a imagem alinhada do gabarito no Spaces SEM executar OMR.
+// Salva a imagem alinhada do gabarito no armazenamento SEM executar OMR.
 // Atualiza gabarito_arquivos: arquivo_path + status='identificado' + capturado_em
-router.post("/scan-mobile/save-image", upload.single("file"), async (req, res) => {
-  const { escola_id, escola_apelido } = req.user;
+router.post("/scan-mobile/save-image", upload.single("file"), validar(schemas.salvarImagem), async (req, res) => {
+  const { escola_id } = req.user;
   const { avaliacao_id, lote_id, codigo_aluno, arquivo_id } = req.body;
 
   if (!req.file)      return res.status(400).json({ error: "Imagem não enviada (campo 'file')." });
@@ -2416,15 +2490,24 @@ router.post("/scan-mobile/save-image", upload.single("file"), async (req, res) =
   try {
     const OMR_URL = process.env.OMR_URL || "http://localhost:8500";
 
+    // 0. Validação do conteúdo (services/uploadSeguro.js)
+    let enviado;
+    try {
+      enviado = await processarUpload(pool, req.file, { perfil: "gabarito", escolaId: escola_id });
+    } catch (err) {
+      if (!err.status) throw err;
+      return res.status(err.status).json({ error: err.message, codigo: err.codigo });
+    }
+
     // 1. Tentar alinhar via OMR — com fallback para imagem original do app
     // SE o OMR falhar (marcadores não detectados), usa o recorte client-side:
     // o app já remove o fundo e enquadra o gabarito, então é preferível a um erro.
-    let alignedBuffer = req.file.buffer;  // fallback: recorte client-side
+    let alignedBuffer = enviado.buffer;  // fallback: recorte client-side
     let alignmentMethod = "client_crop";
 
     try {
       const formCrop = new FormData();
-      formCrop.append("file", req.file.buffer, { filename: "gabarito.jpg" });
+      formCrop.append("file", enviado.buffer, { filename: `gabarito.${enviado.extensao}` });
 
       const respCrop = await fetch(`${OMR_URL}/crop-gabarito`, {
         method: "POST",
@@ -2445,37 +2528,38 @@ router.post("/scan-mobile/save-image", upload.single("file"), async (req, res) =
       console.warn(`[save-image] OMR crop erro → usando client crop: ${cropErr.message}`);
     }
 
-    // 2. Upload para DigitalOcean Spaces
-    const apelido = escola_apelido || `escola_${escola_id}`;
-    const loteFolder = lote_id || avaliacao_id;
-    const objectKey = `uploads/${apelido}/gabaritos/${loteFolder}/${codigo_aluno}_${Date.now()}.jpg`;
-
-    await uploadFileBufferToSpaces({
+    // 2. Armazenamento privado, chave por conteúdo (sem código do aluno na chave)
+    const { chave: objectKey } = await guardarArquivo({
+      categoria: "gabarito",
+      escolaId: escola_id,
       buffer: alignedBuffer,
-      contentType: "image/jpeg",
-      objectKey,
+      mime: detectarTipo(alignedBuffer)?.mime || "image/jpeg",
+      db: pool,
     });
-
-    const DO_BUCKET = process.env.DO_SPACES_BUCKET;
-    const DO_REGION = process.env.DO_SPACES_REGION || "nyc3";
-    const imagemUrl = `https://${DO_BUCKET}.${DO_REGION}.digitaloceanspaces.com/${objectKey}`;
+    const { url: imagemUrl } = await urlDoArquivo(objectKey, { nome: `${codigo_aluno}.jpg` });
 
     // 3. Atualizar ou criar gabarito_arquivo
     let arqId = arquivo_id ? Number(arquivo_id) : null;
+    let imagemAnterior = null;
 
     if (arqId) {
       // Atualizar arquivo existente
+      const [[anterior]] = await pool.query(
+        "SELECT arquivo_path FROM gabarito_arquivos WHERE id = ? AND escola_id = ?",
+        [arqId, escola_id]
+      );
+      imagemAnterior = anterior?.arquivo_path || null;
       await pool.query(
         `UPDATE gabarito_arquivos SET
            arquivo_path = ?, codigo_aluno = ?,
            status = 'identificado', capturado_em = NOW()
          WHERE id = ? AND escola_id = ?`,
-        [imagemUrl, codigo_aluno, arqId, escola_id]
+        [objectKey, codigo_aluno, arqId, escola_id]
       );
     } else if (lote_id) {
       // Buscar arquivo por codigo_aluno no lote
       const [existente] = await pool.query(
-        `SELECT id FROM gabarito_arquivos
+        `SELECT id, arquivo_path FROM gabarito_arquivos
          WHERE lote_id = ? AND codigo_aluno = ?
          LIMIT 1`,
         [lote_id, codigo_aluno]
@@ -2483,11 +2567,12 @@ router.post("/scan-mobile/save-image", upload.single("file"), async (req, res) =
 
       if (existente.length > 0) {
         arqId = existente[0].id;
+        imagemAnterior = existente[0].arquivo_path || null;
         await pool.query(
           `UPDATE gabarito_arquivos SET
              arquivo_path = ?, status = 'identificado', capturado_em = NOW()
            WHERE id = ?`,
-          [imagemUrl, arqId]
+          [objectKey, arqId]
         );
       } else {
         // Criar novo arquivo no lote
@@ -2495,7 +2580,7 @@ router.post("/scan-mobile/save-image", upload.single("file"), async (req, res) =
           `INSERT INTO gabarito_arquivos
              (lote_id, escola_id, arquivo_nome, arquivo_path, codigo_aluno, status, capturado_em)
            VALUES (?, ?, ?, ?, ?, 'identificado', NOW())`,
-          [lote_id, escola_id, `${codigo_aluno}.jpg`, imagemUrl, codigo_aluno]
+          [lote_id, escola_id, `${codigo_aluno}.jpg`, objectKey, codigo_aluno]
         );
         arqId = ins.insertId;
 
@@ -2509,6 +2594,9 @@ router.post("/scan-mobile/save-image", upload.single("file"), async (req, res) =
       }
     }
 
+    // Recaptura: a imagem anterior sai do armazenamento se ninguém mais a usa
+    if (imagemAnterior && imagemAnterior !== objectKey) await excluirArquivoGabarito(imagemAnterior);
+
     // 4. Progresso atualizado
     let sessionProgress = { total: 0, capturados: 0, ausentes: 0, pendentes: 0 };
     if (lote_id) {
@@ -2587,7 +2675,7 @@ router.post("/scan-mobile/save-image", upload.single("file"), async (req, res) =
 // ─── POST /api/gabarito-lotes/scan-mobile/confirmar-leitura ───────────────────────────
 // Salva as respostas finais (OMR + correções manuais do professor) no BD.
 // Chamado ao confirmar a tela de leitura no EDUCA-SCAN.
-router.post("/scan-mobile/confirmar-leitura", async (req, res) => {
+router.post("/scan-mobile/confirmar-leitura", validar(schemas.confirmarLeitura), async (req, res) => {
   const { arquivo_id, respostas, origem } = req.body;
   const { escola_id } = req.user;
 
@@ -2619,7 +2707,7 @@ router.post("/scan-mobile/confirmar-leitura", async (req, res) => {
 
 // ─── PATCH /api/gabarito-lotes/arquivos/:id/ausente ─────────────────────────────
 // Marca aluno como ausente (ou desfaz voltando para 'pendente')
-router.patch("/arquivos/:id/ausente", async (req, res) => {
+router.patch("/arquivos/:id/ausente", validar(schemas.marcarAusente), async (req, res) => {
   const { id } = req.params;
   const { desfazer } = req.body;   // true = restaurar para 'pendente'
   const { escola_id } = req.user;
@@ -2673,7 +2761,7 @@ router.patch("/arquivos/:id/ausente", async (req, res) => {
 // Gera um QR Code PNG para a capa da prova — identificação de sessão.
 // O professor escaneia este QR com o app para iniciar a sessão.
 // Query: avaliacao_id, turma_id
-router.get("/scan-mobile/sessao-qr", async (req, res) => {
+router.get("/scan-mobile/sessao-qr", validar(schemas.sessaoQr), async (req, res) => {
   const { avaliacao_id, turma_id } = req.query;
   const { escola_id } = req.user;
 
@@ -14,6 +14,7 @@ import { Router } from "express";
 import PDFDocument from "pdfkit";
 import QRCode from "qrcode";
 import pool from "../db.js";
+import { anoLetivoAtual } from "../services/calendarioLetivo.js";
 import fetch from "node-fetch";
 import fs from "fs";
 import path from "path";
@@ -43,14 +44,8 @@ const COL_GAP = 20;             // Gap entre colunas de questões
 
 // ─── Helpers ─────────────────────────────────────────────────────────────────
 
-function anoLetivoAtual() {
-  const hoje = new Date();
-  const mes = hoje.getMonth() + 1;
-  return mes <= 1 ? hoje.getFullYear() - 1 : hoje.getFullYear();
-}
-
 async function buscarAlunosDaTurma(turmaId, escolaId) {
-  const anoLetivo = anoLetivoAtual();
+  const anoLetivo = await anoLetivoAtual(pool, escolaId);
   const [rows] = await pool.query(
     `SELECT a.id, a.estudante AS nome, a.codigo AS matricula,
             a.foto,
@@ -657,7 +652,7 @@ router.post("/gerar-turno/:turno", async (req, res) => {
     const { turno } = req.params;
     const { escola_id } = req.user;
     const { descricao, num_questoes, num_alternativas, modelo } = req.body;
-    const anoLetivo = anoLetivoAtual();
+    const anoLetivo = await anoLetivoAtual(pool, escola_id);
 
     const [turmas] = await pool.query(
       "SELECT id, nome AS turma, turno, serie, ano FROM turmas WHERE turno = ? AND escola_id = ? AND ano = ?",
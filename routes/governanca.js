@@ -5,30 +5,20 @@
 // SINCRONIA: só mostra itens que existem no template CEO
 // =========================================================================
 import express from "express";
+import { capturarItensPlano, eventosDaCaptura, registrarAlteracoes } from "../services/auditoria.js";
+import {
+  carregarPoliticaEscola,
+  etapaDaTurma,
+  normalizarPolitica,
+  previaPolitica,
+  resolverPolitica,
+  validarValorPolitica,
+} from "../services/politicaNotas.js";
+import { anoLetivoAtual } from "../services/calendarioLetivo.js";
 
 const router = express.Router();
 
-// ── Helper: garante que a tabela existe ──
-async function ensureTable(db) {
-  await db.query(`
-    CREATE TABLE IF NOT EXISTS configuracoes_escola (
-      id          INT AUTO_INCREMENT PRIMARY KEY,
-      escola_id   INT NOT NULL,
-      categoria   VARCHAR(80) NOT NULL DEFAULT 'geral',
-      chave       VARCHAR(120) NOT NULL,
-      valor       VARCHAR(500) NOT NULL DEFAULT '0',
-      descricao   VARCHAR(300) DEFAULT NULL,
-      tipo        ENUM('boolean','select','text') NOT NULL DEFAULT 'boolean',
-      opcoes_json JSON DEFAULT NULL,
-      ordem       INT NOT NULL DEFAULT 0,
-      ativo       TINYINT(1) NOT NULL DEFAULT 1,
-      criado_em   DATETIME DEFAULT CURRENT_TIMESTAMP,
-      atualizado_em DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-      UNIQUE KEY uq_escola_chave (escola_id, chave),
-      KEY idx_escola_cat (escola_id, categoria)
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-  `);
-}
+// Schema: migrations/versions/0007_configuracoes_escola.js
 
 // ── Sync completo: CEO template → configuracoes_escola ──
 // 1) Insere novos itens do CEO que ainda não existem na escola
@@ -131,6 +121,16 @@ function guardDiretor(req, res, next) {
 router.options("/{*any}", (req, res) => res.status(204).end());
 router.options("/", (req, res) => res.status(204).end());
 
+// ── Política de notas (services/politicaNotas.js) da turma/bimestre pedidos ──
+// ?turma_id= (etapa da turma) e ?bimestre= escolhem as exceções; sem eles, a base.
+async function politicaDaConsulta(db, escolaId, query) {
+  const [cfg, etapa] = await Promise.all([
+    carregarPoliticaEscola(db, escolaId),
+    etapaDaTurma(db, escolaId, Number(query.turma_id) || null),
+  ]);
+  return resolverPolitica(cfg, { etapa, bimestre: Number(query.bimestre) || null });
+}
+
 // ═══════════════════════════════════════════════════════════════
 // ENDPOINTS
 // ═══════════════════════════════════════════════════════════════
@@ -139,6 +139,8 @@ router.options("/", (req, res) => res.status(204).end());
 // Leitura RÁPIDA das flags de boletim (sem sync, sem ensure).
 // O sync completo roda só quando o diretor acessa Governança.
 // Se a escola não tiver configs ainda, retorna defaults seguros.
+// `politica`: política de notas (média de aprovação, nota máxima...) —
+// &turma_id=&bimestre= aplicam as exceções por etapa/bimestre.
 // ─────────────────────────────────────────────────────────────────
 const BOLETIM_DEFAULTS = {
   "boletim.exibir_ano_anterior": "0",
@@ -167,19 +169,17 @@ router.get("/boletim-config", async (req, res) => {
       config[row.chave] = row.valor;
     }
 
-    return res.json({ ok: true, config });
+    const politica = await politicaDaConsulta(db, escolaId, req.query);
+    return res.json({ ok: true, config, politica });
   } catch (err) {
-    // Se tabela não existir, retorna defaults sem erro
-    if (err?.code === "ER_NO_SUCH_TABLE") {
-      return res.json({ ok: true, config: { ...BOLETIM_DEFAULTS } });
-    }
     console.error("[GOVERNANCA][BOLETIM-CONFIG]", err);
     return res.status(500).json({ ok: false, message: "Erro ao buscar config do boletim." });
   }
 });
 
 // ── GET /api/governanca/avaliacao-config?escola_id=X ─────────────
-// Leitura rápida das flags de avaliação (sem sync).
+// Leitura rápida das flags de avaliação (sem sync) + política de notas
+// (mesmos ?turma_id=&bimestre= do boletim-config).
 // ─────────────────────────────────────────────────────────────────
 const AVALIACAO_DEFAULTS = {
   "escola.avaliacao_padrao_bimestral": "0",
@@ -233,16 +233,65 @@ router.get("/avaliacao-config", async (req, res) => {
       }
     }
 
-    return res.json({ ok: true, config, excecoes_nomes });
+    const politica = await politicaDaConsulta(db, escolaId, req.query);
+    return res.json({ ok: true, config, excecoes_nomes, politica });
   } catch (err) {
-    if (err?.code === "ER_NO_SUCH_TABLE") {
-      return res.json({ ok: true, config: { ...AVALIACAO_DEFAULTS }, excecoes_nomes: [] });
-    }
     console.error("[GOVERNANCA][AVALIACAO-CONFIG]", err);
     return res.status(500).json({ ok: false, message: "Erro ao buscar config de avaliação." });
   }
 });
 
+// ── POST /api/governanca/politica-notas/previa ───────────────────
+// Prévia da fórmula da nota do bimestre (tela da governança e montagem do PAP).
+// body: { politica?: { composicao, maxima_bimestre, arredondamento, media_aprovacao }
+//         (alterações ainda não salvas), turma_id?, bimestre?,
+//         plano_id? | itens?: [{ atividade, nota_total, peso, recuperacao?, recupera_idx? }],
+//         notas?: [nota por item] }
+// → { politica, formula, exemplo: { nota, bruta, situacao, itens } }
+// ─────────────────────────────────────────────────────────────────
+router.post("/politica-notas/previa", async (req, res) => {
+  const db = req.db;
+  const escolaId = Number(req.query.escola_id || req.user?.escola_id);
+  if (!escolaId)
+    return res.status(400).json({ ok: false, message: "escola_id é obrigatório." });
+
+  const { politica: alteracoes, plano_id, notas } = req.body || {};
+  let itens = Array.isArray(req.body?.itens) ? req.body.itens.slice(0, 200) : [];
+
+  try {
+    if (plano_id) {
+      const [rows] = await db.query(
+        `SELECT i.id, i.atividade, i.nota_total, i.peso, i.recuperacao, i.recupera_item_id
+         FROM itens_avaliacao i
+         JOIN planos_avaliacao p ON p.id = i.plano_id
+         WHERE i.plano_id = ? AND p.escola_id = ?
+         ORDER BY i.id ASC`,
+        [Number(plano_id), escolaId]
+      );
+      itens = rows;
+    }
+    itens = itens.map((i) => ({
+      id: i?.id ?? null,
+      atividade: String(i?.atividade || "").slice(0, 255) || null,
+      nota_total: Number(i?.nota_total) || 0,
+      peso: i?.peso ?? 1,
+      recuperacao: i?.recuperacao || null,
+      recupera_idx: Number.isInteger(i?.recupera_idx) ? i.recupera_idx : undefined,
+      recupera_item_id: i?.recupera_item_id ?? null,
+    }));
+
+    const base = await politicaDaConsulta(db, escolaId, req.body || {});
+    const politica = normalizarPolitica(alteracoes || {}, base);
+    const previa = previaPolitica(politica, itens, Array.isArray(notas) ? notas : null);
+    return res.json({ ok: true, ...previa });
+  } catch (err) {
+    if (err.code === "POLITICA_INVALIDA")
+      return res.status(400).json({ ok: false, code: err.code, message: err.message });
+    console.error("[GOVERNANCA][POLITICA-NOTAS]", err);
+    return res.status(500).json({ ok: false, message: "Erro ao montar a prévia da fórmula." });
+  }
+});
+
 // ── GET /api/governanca/conteudo-modo?escola_id=X ─────────────────
 // Retorna o modo ativo de governança de conteúdos programáticos.
 // Modos:
@@ -287,9 +336,6 @@ router.get("/conteudo-modo", async (req, res) => {
 
     return res.json({ ok: true, modo, config: cfg });
   } catch (err) {
-    if (err?.code === "ER_NO_SUCH_TABLE") {
-      return res.json({ ok: true, modo: "coordenacao_decide", config: { ...DEFAULTS } });
-    }
     console.error("[GOVERNANCA][CONTEUDO-MODO]", err);
     return res.status(500).json({ ok: false, message: "Erro ao buscar modo de conteúdo." });
   }
@@ -340,9 +386,6 @@ router.get("/plano-modo", async (req, res) => {
 
     return res.json({ ok: true, modo, config: cfg });
   } catch (err) {
-    if (err?.code === "ER_NO_SUCH_TABLE") {
-      return res.json({ ok: true, modo: "professor_aprovacao", config: { ...DEFAULTS } });
-    }
     console.error("[GOVERNANCA][PLANO-MODO]", err);
     return res.status(500).json({ ok: false, message: "Erro ao buscar modo de plano de avaliação." });
   }
@@ -355,7 +398,6 @@ router.get("/", guardDiretor, async (req, res) => {
     return res.status(400).json({ ok: false, message: "escola_id é obrigatório." });
 
   try {
-    await ensureTable(db);
     await syncFromCeoTemplate(db, escolaId);
 
     const [rows] = await db.query(
@@ -397,6 +439,11 @@ router.put("/:id", guardDiretor, async (req, res) => {
     return res.status(400).json({ ok: false, message: "Valor é obrigatório." });
 
   try {
+    // Itens da política de notas: valor conferido antes de gravar
+    const [[cfg]] = await db.query("SELECT chave FROM configuracoes_escola WHERE id = ?", [id]);
+    const erroPolitica = cfg && validarValorPolitica(cfg.chave, valor);
+    if (erroPolitica) return res.status(400).json({ ok: false, message: erroPolitica });
+
     const [result] = await db.query(
       "UPDATE configuracoes_escola SET valor = ? WHERE id = ?",
       [String(valor), id]
@@ -414,9 +461,11 @@ router.put("/:id", guardDiretor, async (req, res) => {
 });
 
 // ── Sincroniza todos os PAPs da escola com a regra bimestral e exceções ──
-export async function syncPlanosAvaliacao(db, escolaId) {
+// origem: req de quem disparou (trilha de auditoria); no boot fica como sistema.
+export async function syncPlanosAvaliacao(db, escolaId, origem = null) {
+  const eventosAuditoria = [];
   try {
-    const anoAtual = new Date().getFullYear();
+    const anoAtual = await anoLetivoAtual(db, escolaId);
 
     // 1) Busca configurações
     const [[configBimestral]] = await db.query(
@@ -458,6 +507,7 @@ export async function syncPlanosAvaliacao(db, escolaId) {
     for (const plano of planos) {
       const planoId = plano.id;
       const isException = exceptionNames.includes(String(plano.disciplina).trim().toLowerCase());
+      const itensAntes = await capturarItensPlano(db, planoId);
 
       if (adotaBimestral && !isException) {
         // --- DEVE ter Prova Bimestral ---
@@ -539,10 +589,20 @@ export async function syncPlanosAvaliacao(db, escolaId) {
           }
         }
       }
+
+      eventosAuditoria.push(
+        ...eventosDaCaptura("itens_avaliacao", itensAntes, await capturarItensPlano(db, planoId))
+      );
     }
   } catch (err) {
     console.error("[GOVERNANCA][SYNC-PAPs] Erro geral ao sincronizar:", err);
   }
+
+  await registrarAlteracoes(
+    db,
+    origem || { escolaId, rota: "governanca:sync-paps" },
+    eventosAuditoria
+  );
 }
 
 // ── PUT /api/governanca/batch/update — Atualizar múltiplas de uma vez ──
@@ -558,6 +618,17 @@ router.put("/batch/update", guardDiretor, async (req, res) => {
     return res.status(400).json({ ok: false, message: "escola_id é obrigatório." });
 
   try {
+    // Itens da política de notas: confere todos antes de gravar qualquer um
+    const ids = items.filter((i) => i.id && i.valor !== undefined).map((i) => Number(i.id));
+    if (ids.length) {
+      const [chaves] = await db.query("SELECT id, chave FROM configuracoes_escola WHERE id IN (?)", [ids]);
+      const chavePorId = new Map(chaves.map((c) => [Number(c.id), c.chave]));
+      for (const item of items) {
+        const erroPolitica = chavePorId.has(Number(item.id)) && validarValorPolitica(chavePorId.get(Number(item.id)), item.valor);
+        if (erroPolitica) return res.status(400).json({ ok: false, message: erroPolitica });
+      }
+    }
+
     let updated = 0;
     let hasBimestralOrExcChange = false;
 
@@ -584,7 +655,7 @@ router.put("/batch/update", guardDiretor, async (req, res) => {
 
     if (hasBimestralOrExcChange) {
       // Dispara a sincronização de planos existentes em segundo plano para não travar a resposta
-      syncPlanosAvaliacao(db, escolaId).catch(err => {
+      syncPlanosAvaliacao(db, escolaId, req).catch(err => {
         console.error("[GOVERNANCA] Erro na sync de planos:", err);
       });
     }
@@ -606,7 +677,7 @@ router.post("/sync-paps", guardDiretor, async (req, res) => {
     return res.status(400).json({ ok: false, message: "escola_id é obrigatório." });
 
   // Dispara sync em segundo plano
-  syncPlanosAvaliacao(db, escolaId).catch(err => {
+  syncPlanosAvaliacao(db, escolaId, req).catch(err => {
     console.error("[GOVERNANCA][SYNC-MANUAL] Erro:", err);
   });
 
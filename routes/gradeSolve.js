@@ -4,7 +4,8 @@
 // POST /api/grade/solve  { turno, turma_ids: [...]}  (aceita também turmaIds)
 // -----------------------------------------------------------------------------
 // Notas:
-// - Normalizamos snake_case/camelCase para maior robustez.
+// - snake_case/camelCase: schemas/grade.js declara turmaIds como alias de
+//   turma_ids; validar() preenche os dois nomes antes do handler.
 // - Sempre retornamos { pre_solve, payload }.
 // - validatePreSolve usa pool; buildSolverPayload importa pool internamente.
 // -----------------------------------------------------------------------------
@@ -13,32 +14,27 @@ import express from "express";
 import pool from "../db.js";
 import { validatePreSolve } from "../services/gradeValidationService.js";
 import { buildSolverPayload } from "../services/solverPayloadService.js";
+import { validar } from "../middleware/validarRequisicao.js";
+import { preSolve } from "../schemas/grade.js";
 
 const router = express.Router();
 
-// Middleware simples: exige escola_id (vem do token)
+// Middleware simples: exige escola_id (contexto da sessão — verificarEscola)
 function requireEscola(req, res, next) {
-  const escolaId = req.user?.escola_id || Number(req.headers["x-escola-id"]);
+  const escolaId = req.escola_id;
   if (!escolaId) return res.status(403).json({ error: "Acesso negado: escola não definida." });
   req.escolaId = escolaId;
   next();
 }
 
-router.post("/solve", requireEscola, async (req, res) => {
+router.post("/solve", requireEscola, validar(preSolve), async (req, res) => {
   try {
     const escolaId = req.escolaId;
 
     // Normalização de campos do body
     const body = req.body || {};
     const turno = String(body.turno || "").trim();
-    const turmaIds = Array.isArray(body.turmaIds)
-      ? body.turmaIds
-      : Array.isArray(body.turma_ids)
-      ? body.turma_ids
-      : [];
-
-    if (!turno) return res.status(400).json({ error: "turno obrigatório." });
-    if (!turmaIds.length) return res.status(400).json({ error: "Envie ao menos 1 turma no escopo." });
+    const turmaIds = body.turma_ids;
 
     // 1) Validações de consistência (pré-solve)
     const pre = await validatePreSolve(pool, {
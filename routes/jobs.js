@@ -0,0 +1,100 @@
+// routes/jobs.js
+// ============================================================================
+// Acompanhamento dos jobs em background (services/jobQueue.js)
+// - Rotas (montadas em /api/jobs com autenticarToken + verificarEscola):
+//     GET  /api/jobs              → jobs recentes da escola (?tipo, ?status, ?meus=1)
+//     GET  /api/jobs/:id          → status, progresso e resultado
+//     GET  /api/jobs/:id/arquivo  → download da saída binária (ex.: PDF)
+//     POST /api/jobs/:id/cancelar → cancela (pendente na hora; executando no
+//                                   próximo ponto de verificação do handler)
+// - Escopo: sempre filtrado por req.user.escola_id (job de outra escola = 404)
+// ============================================================================
+
+import express from "express";
+import pool from "../db.js";
+import {
+  buscarArquivoJob,
+  buscarJob,
+  cancelarJob,
+  listarJobs,
+} from "../services/jobQueue.js";
+
+const router = express.Router();
+
+function getUserId(req) {
+  return req.user?.usuarioId || req.user?.id || req.user?.usuario_id || null;
+}
+
+function parseId(raw) {
+  const id = Number(raw);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+router.get("/", async (req, res) => {
+  try {
+    const jobs = await listarJobs(pool, {
+      escolaId: req.user.escola_id,
+      usuarioId: String(req.query.meus || "") === "1" ? getUserId(req) : null,
+      tipo: req.query.tipo || null,
+      status: req.query.status || null,
+      limite: req.query.limite,
+    });
+    return res.json({ ok: true, jobs });
+  } catch (err) {
+    console.error("[JOBS] Erro ao listar:", err);
+    return res.status(500).json({ ok: false, message: "Erro ao listar jobs." });
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(400).json({ ok: false, message: "ID inválido." });
+
+  try {
+    const job = await buscarJob(pool, id, { escolaId: req.user.escola_id });
+    if (!job) return res.status(404).json({ ok: false, message: "Job não encontrado." });
+    return res.json({ ok: true, job });
+  } catch (err) {
+    console.error("[JOBS] Erro ao buscar:", err);
+    return res.status(500).json({ ok: false, message: "Erro ao buscar job." });
+  }
+});
+
+router.get("/:id/arquivo", async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(400).json({ ok: false, message: "ID inválido." });
+
+  try {
+    const job = await buscarJob(pool, id, { escolaId: req.user.escola_id });
+    if (!job) return res.status(404).json({ ok: false, message: "Job não encontrado." });
+    if (job.status !== "concluido") {
+      return res.status(409).json({ ok: false, message: `Job ainda não concluído (status: ${job.status}).`, job });
+    }
+
+    const arquivo = await buscarArquivoJob(pool, id);
+    if (!arquivo) return res.status(404).json({ ok: false, message: "Job não gerou arquivo." });
+
+    res.setHeader("Content-Type", arquivo.mime);
+    res.setHeader("Content-Disposition", `attachment; filename=${arquivo.nome}`);
+    return res.send(arquivo.conteudo);
+  } catch (err) {
+    console.error("[JOBS] Erro ao baixar arquivo:", err);
+    return res.status(500).json({ ok: false, message: "Erro ao baixar arquivo do job." });
+  }
+});
+
+router.post("/:id/cancelar", async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(400).json({ ok: false, message: "ID inválido." });
+
+  try {
+    const job = await cancelarJob(pool, id, { escolaId: req.user.escola_id });
+    if (!job) return res.status(404).json({ ok: false, message: "Job não encontrado." });
+    return res.json({ ok: true, job });
+  } catch (err) {
+    console.error("[JOBS] Erro ao cancelar:", err);
+    return res.status(500).json({ ok: false, message: "Erro ao cancelar job." });
+  }
+});
+
+export default router;
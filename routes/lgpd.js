@@ -0,0 +1,186 @@
+// routes/lgpd.js
+// ============================================================================
+// Solicitações do titular — LGPD art. 18 (services/lgpd.js)
+// - Rotas (montadas em /api/lgpd com autenticarToken + verificarEscola):
+//     GET  /api/lgpd/solicitacoes                  → fila da escola, por prazo
+//          ?status, ?tipo, ?aluno_id, ?vencidas, ?limite
+//     POST /api/lgpd/solicitacoes                  → abre pela secretaria
+//     GET  /api/lgpd/solicitacoes/:id              → detalhe (com histórico)
+//     POST /api/lgpd/solicitacoes/:id/exportar     → gera o pacote de novo
+//     POST /api/lgpd/solicitacoes/:id/anonimizar   → executa (confirmacao: "ANONIMIZAR")
+//     POST /api/lgpd/solicitacoes/:id/recusar      → recusa fundamentada
+//     GET  /api/lgpd/solicitacoes/:id/arquivo      → download do ZIP
+// - Permissão: lgpd:ver / lgpd:atender / lgpd:anonimizar (só direção)
+// - O responsável abre e acompanha pelo app (routes/app_pais.js → /lgpd/...)
+// ============================================================================
+
+import express from "express";
+import pool from "../db.js";
+import { autorizarPermissao } from "../middleware/autorizarPermissao.js";
+import { validar } from "../middleware/validarRequisicao.js";
+import * as schemas from "../schemas/lgpd.js";
+import { listarAuditoria } from "../services/auditoria.js";
+import {
+  abrirSolicitacao,
+  arquivoDaSolicitacao,
+  buscarSolicitacao,
+  executarAnonimizacao,
+  executarExportacao,
+  listarSolicitacoes,
+  recusarSolicitacao,
+} from "../services/lgpd.js";
+import { criarLogger } from "../services/logger.js";
+
+const router = express.Router();
+const log = criarLogger("lgpd");
+
+function getUserId(req) {
+  return req.user?.usuarioId || req.user?.id || req.user?.usuario_id || null;
+}
+
+// Erros de regra do serviço (400/404/409) vão como estão; o resto é 500
+function responderErro(res, err, contexto, message) {
+  if (err.status && err.status < 500) return res.status(err.status).json({ ok: false, message: err.message });
+  log.error(`erro ao ${contexto}`, { erro: err });
+  return res.status(500).json({ ok: false, message });
+}
+
+async function carregar(req, res) {
+  const sol = await buscarSolicitacao(pool, Number(req.params.id), { escolaId: req.user.escola_id });
+  if (!sol) res.status(404).json({ ok: false, message: "Solicitação não encontrada." });
+  return sol;
+}
+
+router.get("/solicitacoes", autorizarPermissao("lgpd:ver"), validar(schemas.listarSolicitacoes), async (req, res) => {
+  try {
+    const solicitacoes = await listarSolicitacoes(pool, {
+      escolaId: req.user.escola_id,
+      status: req.query.status,
+      tipo: req.query.tipo,
+      alunoId: req.query.aluno_id,
+      vencidas: req.query.vencidas,
+      limite: req.query.limite,
+    });
+    return res.json({ ok: true, solicitacoes });
+  } catch (err) {
+    return responderErro(res, err, "listar solicitações", "Erro ao listar solicitações LGPD.");
+  }
+});
+
+router.post("/solicitacoes", autorizarPermissao("lgpd:atender"), validar(schemas.abrirSolicitacao), async (req, res) => {
+  const { tipo, aluno_id, responsavel_id, motivo, recebida_em } = req.body;
+  if (!aluno_id === !responsavel_id) {
+    return res.status(400).json({ ok: false, message: "Informe aluno_id ou responsavel_id (apenas um titular)." });
+  }
+
+  try {
+    const { solicitacao, existente } = await abrirSolicitacao(
+      pool,
+      {
+        escolaId: req.user.escola_id,
+        tipo,
+        alunoId: aluno_id,
+        responsavelId: responsavel_id,
+        origem: "secretaria",
+        usuarioId: getUserId(req),
+        motivo,
+        recebidaEm: recebida_em,
+      },
+      req
+    );
+    return res.status(existente ? 200 : 201).json({ ok: true, existente, solicitacao });
+  } catch (err) {
+    return responderErro(res, err, "abrir solicitação", "Erro ao abrir solicitação LGPD.");
+  }
+});
+
+router.get("/solicitacoes/:id", autorizarPermissao("lgpd:ver"), validar(schemas.buscarSolicitacao), async (req, res) => {
+  try {
+    const sol = await carregar(req, res);
+    if (!sol) return;
+    const { itens: historico } = await listarAuditoria(pool, {
+      escolaId: req.user.escola_id,
+      entidade: "lgpd_solicitacoes",
+      entidadeId: sol.id,
+      limite: 200,
+    });
+    return res.json({ ok: true, solicitacao: sol, historico });
+  } catch (err) {
+    return responderErro(res, err, "buscar solicitação", "Erro ao buscar solicitação LGPD.");
+  }
+});
+
+router.post(
+  "/solicitacoes/:id/exportar",
+  autorizarPermissao("lgpd:atender"),
+  validar(schemas.exportarSolicitacao),
+  async (req, res) => {
+    try {
+      const sol = await carregar(req, res);
+      if (!sol) return;
+      const solicitacao = await executarExportacao(pool, sol, { usuarioId: getUserId(req), origemAuditoria: req });
+      return res.status(202).json({ ok: true, solicitacao });
+    } catch (err) {
+      return responderErro(res, err, "gerar exportação", "Erro ao gerar exportação LGPD.");
+    }
+  }
+);
+
+router.post(
+  "/solicitacoes/:id/anonimizar",
+  autorizarPermissao("lgpd:anonimizar"),
+  validar(schemas.anonimizarSolicitacao),
+  async (req, res) => {
+    try {
+      const sol = await carregar(req, res);
+      if (!sol) return;
+      const solicitacao = await executarAnonimizacao(pool, sol, { usuarioId: getUserId(req), origemAuditoria: req });
+      return res.status(202).json({ ok: true, solicitacao });
+    } catch (err) {
+      return responderErro(res, err, "anonimizar", "Erro ao iniciar anonimização.");
+    }
+  }
+);
+
+router.post(
+  "/solicitacoes/:id/recusar",
+  autorizarPermissao("lgpd:atender"),
+  validar(schemas.recusarSolicitacao),
+  async (req, res) => {
+    try {
+      const sol = await carregar(req, res);
+      if (!sol) return;
+      const solicitacao = await recusarSolicitacao(pool, sol, {
+        usuarioId: getUserId(req),
+        resposta: req.body.resposta,
+        origemAuditoria: req,
+      });
+      return res.json({ ok: true, solicitacao });
+    } catch (err) {
+      return responderErro(res, err, "recusar solicitação", "Erro ao recusar solicitação LGPD.");
+    }
+  }
+);
+
+router.get(
+  "/solicitacoes/:id/arquivo",
+  autorizarPermissao("lgpd:atender"),
+  validar(schemas.arquivoSolicitacao),
+  async (req, res) => {
+    try {
+      const sol = await carregar(req, res);
+      if (!sol) return;
+      const arquivo = await arquivoDaSolicitacao(pool, sol);
+      if (!arquivo) {
+        return res.status(409).json({ ok: false, message: "Pacote indisponível (não concluído ou expirado — gere de novo).", solicitacao: sol });
+      }
+      res.setHeader("Content-Type", arquivo.mime);
+      res.setHeader("Content-Disposition", `attachment; filename=${arquivo.nome}`);
+      return res.send(arquivo.conteudo);
+    } catch (err) {
+      return responderErro(res, err, "baixar pacote", "Erro ao baixar pacote LGPD.");
+    }
+  }
+);
+
+export default router;
@@ -10,18 +10,13 @@ import { dirname, join } from "path";
 import { fileURLToPath } from "url";
 import { existsSync } from "fs";
 import pool from "../db.js";
+import { anoLetivoAtual } from "../services/calendarioLetivo.js";
 import { getEscolaLogos } from "../utils/logoHelper.js";
 
 const router = Router();
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
 // ── Helpers ────────────────────────────────────────────────────────────
-function anoLetivoPadrao() {
-  const hoje = new Date();
-  const mes = hoje.getMonth() + 1;
-  return mes <= 1 ? hoje.getFullYear() - 1 : hoje.getFullYear();
-}
-
 function fmtDataBr(iso) {
   if (!iso) return "—";
   // Evita problema de fuso: split direto na string YYYY-MM-DD
@@ -48,7 +43,7 @@ router.get("/por-turno/:turno", async (req, res) => {
       linhas: linhasParam,
     } = req.query;
 
-    const anoLetivo = anoLetivoPadrao();
+    const anoLetivo = await anoLetivoAtual(pool, escola_id);
 
     // ── Dados da escola ──
     const [[escola]] = await pool.query(
@@ -564,7 +559,7 @@ router.get("/:turmaId", async (req, res) => {
       linhas: linhasParam,
     } = req.query;
 
-    const anoLetivo = anoLetivoPadrao();
+    const anoLetivo = await anoLetivoAtual(pool, escola_id);
 
     // ── Dados da escola ──
     const [[escola]] = await pool.query(
@@ -1122,7 +1117,7 @@ router.get("/notas/:avaliacaoId/:turmaId", async (req, res) => {
     const { avaliacaoId, turmaId } = req.params;
     const { turma_nome: turmaNomeParam } = req.query;
 
-    const anoLetivo = anoLetivoPadrao();
+    const anoLetivo = await anoLetivoAtual(pool, escola_id);
 
     // ── Dados da escola ──
     const [[escola]] = await pool.query(
@@ -1460,7 +1455,7 @@ router.get("/medias/:turmaId", async (req, res) => {
     const { turmaId } = req.params;
     const { bimestre, ano, titulo: tituloParam } = req.query;
 
-    const anoLetivo = ano || anoLetivoPadrao();
+    const anoLetivo = ano || await anoLetivoAtual(pool, escola_id);
     const titulo = tituloParam ? tituloParam.toUpperCase() : `LISTA DE MÉDIAS — ${bimestre ? bimestre.toUpperCase() : ""}`;
 
     // ── Dados da escola ──
@@ -7,21 +7,7 @@ import express from "express";
 
 const router = express.Router();
 
-// ── Helper: garante que a tabela existe ──
-async function ensureTable(db) {
-  await db.query(`
-    CREATE TABLE IF NOT EXISTS sistema_manutencao (
-      id            INT AUTO_INCREMENT PRIMARY KEY,
-      ativo         TINYINT(1)  NOT NULL DEFAULT 0,
-      inicio        DATETIME    NOT NULL,
-      fim           DATETIME    NOT NULL,
-      mensagem      VARCHAR(500) DEFAULT 'O sistema está em manutenção programada.',
-      criado_por    INT          DEFAULT NULL,
-      criado_em     DATETIME     DEFAULT CURRENT_TIMESTAMP,
-      atualizado_em DATETIME     DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-  `);
-}
+// Schema: migrations/versions/0006_sistema_manutencao.js
 
 // ─────────────────────────────────────────────────────────────────────────────
 // GET /api/status — PÚBLICO (sem auth) — frontend checa antes do login
@@ -29,7 +15,6 @@ async function ensureTable(db) {
 router.get("/status", async (req, res) => {
   const db = req.db;
   try {
-    await ensureTable(db);
     const [[row]] = await db.query(
       `SELECT ativo, inicio, fim, mensagem
        FROM sistema_manutencao
@@ -57,7 +42,6 @@ router.get("/status", async (req, res) => {
 router.get("/", async (req, res) => {
   const db = req.db;
   try {
-    await ensureTable(db);
     const [[row]] = await db.query(
       `SELECT id, ativo, inicio, fim, mensagem, criado_em
        FROM sistema_manutencao
@@ -128,8 +112,6 @@ router.post("/", async (req, res) => {
   }
 
   try {
-    await ensureTable(db);
-
     // Desativa qualquer manutenção anterior
     await db.query(`UPDATE sistema_manutencao SET ativo = 0 WHERE ativo = 1`);
 
@@ -165,7 +147,6 @@ router.post("/", async (req, res) => {
 router.delete("/", async (req, res) => {
   const db = req.db;
   try {
-    await ensureTable(db);
     const [result] = await db.query(`UPDATE sistema_manutencao SET ativo = 0 WHERE ativo = 1`);
     console.log(`[MANUTENCAO] CANCELADA por usuario ${req.user?.usuarioId} (${result.affectedRows} registros)`);
     return res.json({ ok: true, message: "Manutenção cancelada." });
@@ -2,9 +2,8 @@
 // ──────────────────────────────────────────────────────────────────────────────
 // EDUCA.MELHOR — Router dedicado para matrículas
 //
-// Lógica de Ano Letivo padrão (data de corte 31/jan):
-//   Se mês atual é janeiro → ano letivo = anoCorrente - 1
-//   Caso contrário         → ano letivo = anoCorrente
+// Ano letivo padrão: o do calendário letivo da escola
+// (services/calendarioLetivo.js; sem calendário, janeiro ainda é do ano anterior)
 //
 // Endpoints:
 //   GET  /api/matriculas/anos          — anos letivos disponíveis para a escola
@@ -15,18 +14,10 @@
 
 import express from "express";
 import pool from "../db.js";
+import { anoLetivoAtual } from "../services/calendarioLetivo.js";
 
 const router = express.Router();
 
-// ─────────────────────────────────────────────────────────────────────────────
-// Helper: calcula o ano letivo padrão com data de corte em 31/jan
-// ─────────────────────────────────────────────────────────────────────────────
-function anoLetivoPadrao() {
-    const hoje = new Date();
-    const mes = hoje.getMonth() + 1; // 1–12
-    return mes <= 1 ? hoje.getFullYear() - 1 : hoje.getFullYear();
-}
-
 // ─────────────────────────────────────────────────────────────────────────────
 // GET /api/matriculas/anos
 // Retorna lista de anos letivos disponíveis para a escola (para popular filtros UI)
@@ -43,7 +34,7 @@ router.get("/anos", async (req, res) => {
         );
         const anos = rows.map((r) => Number(r.ano_letivo));
         // Garante que o ano padrão sempre aparece (mesmo que ainda não haja matrículas)
-        const padrao = anoLetivoPadrao();
+        const padrao = await anoLetivoAtual(pool, escola_id);
         if (!anos.includes(padrao)) anos.unshift(padrao);
         return res.json(anos);
     } catch (err) {
@@ -106,9 +97,10 @@ router.post("/", async (req, res) => {
         const {
             aluno_id,
             turma_id,
-            ano_letivo = anoLetivoPadrao(),
+            ano_letivo: anoInformado,
             status = "ativo",
         } = req.body;
+        const ano_letivo = anoInformado || (await anoLetivoAtual(pool, escola_id));
 
         if (!aluno_id || !turma_id) {
             return res
@@ -3,12 +3,28 @@ import pool from "../db.js";
 
 const router = express.Router();
 
+// produto_id vem do body: só grava se todos os produtos forem da escola da sessão
+async function produtosSaoDaEscola(db, escolaId, ids) {
+  const unicos = [...new Set(ids.map(Number))];
+  if (unicos.some((id) => !Number.isInteger(id) || id <= 0)) return false;
+  if (unicos.length === 0) return true;
+  const [rows] = await db.query(
+    "SELECT id FROM merenda_produtos WHERE id IN (?) AND escola_id = ?",
+    [unicos, escolaId]
+  );
+  return rows.length === unicos.length;
+}
+
+function produtoNaoEncontrado(res) {
+  return res.status(404).json({ error: "Produto não encontrado ou não pertence a esta escola." });
+}
+
 // ============================================================================
 // [GET] /api/merenda/produtos
 // Lista todos os produtos cadastrados da escola
 // ============================================================================
 router.get("/produtos", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   
   if (!escola_id) {
     return res.status(400).json({ error: "escola_id não fornecido no token." });
@@ -32,7 +48,7 @@ router.get("/produtos", async (req, res) => {
 // ============================================================================
 
 router.get("/receitas", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   if (!escola_id) return res.status(400).json({ error: "escola_id não fornecido no token." });
 
   try {
@@ -65,13 +81,14 @@ router.get("/receitas", async (req, res) => {
 });
 
 router.post("/receitas", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   const { nome, itens } = req.body; 
   
   if (!escola_id) return res.status(400).json({ error: "escola_id não fornecido no token." });
   if (!nome || !itens || !Array.isArray(itens)) {
     return res.status(400).json({ error: "Dados inválidos para receita" });
   }
+  if (!(await produtosSaoDaEscola(pool, escola_id, itens))) return produtoNaoEncontrado(res);
 
   const connection = await pool.getConnection();
   try {
@@ -103,20 +120,27 @@ router.post("/receitas", async (req, res) => {
 });
 
 router.put("/receitas/:id", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   const { id } = req.params;
   const { nome, itens } = req.body;
 
   if (!escola_id) return res.status(400).json({ error: "escola_id não fornecido no token." });
+  if (itens && !Array.isArray(itens)) return res.status(400).json({ error: "Dados inválidos para receita" });
+  if (itens && !(await produtosSaoDaEscola(pool, escola_id, itens))) return produtoNaoEncontrado(res);
 
   const connection = await pool.getConnection();
   try {
     await connection.beginTransaction();
 
-    await connection.query(
+    const [upd] = await connection.query(
       "UPDATE merenda_receitas SET nome = ? WHERE id = ? AND escola_id = ?",
       [nome, id, escola_id]
     );
+    // Receita de outra escola: não mexe nos itens
+    if (!upd.affectedRows) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Receita não encontrada ou não pertence a esta escola." });
+    }
 
     await connection.query("DELETE FROM merenda_receita_itens WHERE receita_id = ?", [id]);
 
@@ -140,7 +164,7 @@ router.put("/receitas/:id", async (req, res) => {
 });
 
 router.delete("/receitas/:id", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   const { id } = req.params;
   
   if (!escola_id) return res.status(400).json({ error: "escola_id não fornecido no token." });
@@ -162,7 +186,7 @@ router.delete("/receitas/:id", async (req, res) => {
 // Cria um novo produto
 // ============================================================================
 router.post("/produtos", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   const { produto, categoria, gramatura, marca, validade, lote } = req.body;
 
   if (!escola_id) return res.status(400).json({ error: "escola_id não fornecido." });
@@ -195,7 +219,7 @@ router.post("/produtos", async (req, res) => {
 // Atualiza um produto existente
 // ============================================================================
 router.put("/produtos/:id", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   const { id } = req.params;
   const { produto, categoria, gramatura, marca, validade, lote } = req.body;
 
@@ -229,7 +253,7 @@ router.put("/produtos/:id", async (req, res) => {
 // Exclui um produto
 // ============================================================================
 router.delete("/produtos/:id", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   const { id } = req.params;
 
   if (!escola_id) return res.status(400).json({ error: "escola_id não fornecido." });
@@ -256,7 +280,7 @@ router.delete("/produtos/:id", async (req, res) => {
 // Lista as chegadas de gêneros
 // ============================================================================
 router.get("/entradas", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   if (!escola_id) return res.status(400).json({ error: "escola_id não fornecido." });
 
   try {
@@ -280,7 +304,7 @@ router.get("/entradas", async (req, res) => {
 // Registra uma nova chegada (com suporte a múltiplos lotes)
 // ============================================================================
 router.post("/entradas", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   if (!escola_id) return res.status(400).json({ error: "escola_id não fornecido." });
 
   const { produto_id, origem, data_chegada, lotes } = req.body;
@@ -288,6 +312,7 @@ router.post("/entradas", async (req, res) => {
   if (!produto_id || !lotes || !Array.isArray(lotes) || lotes.length === 0) {
     return res.status(400).json({ error: "produto_id e array de lotes são obrigatórios." });
   }
+  if (!(await produtosSaoDaEscola(pool, escola_id, [produto_id]))) return produtoNaoEncontrado(res);
 
   const connection = await pool.getConnection();
   try {
@@ -328,7 +353,7 @@ router.post("/entradas", async (req, res) => {
 // Edita uma chegada existente
 // ============================================================================
 router.put("/entradas/:id", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   const { id } = req.params;
   const { quantidade_unidades, peso_kg, lote, validade, origem, data_chegada } = req.body;
 
@@ -366,7 +391,7 @@ router.put("/entradas/:id", async (req, res) => {
 // Exclui uma chegada
 // ============================================================================
 router.delete("/entradas/:id", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   const { id } = req.params;
 
   if (!escola_id) return res.status(400).json({ error: "escola_id não fornecido." });
@@ -393,7 +418,7 @@ router.delete("/entradas/:id", async (req, res) => {
 // Lista os produtos em estoque (saldo_unidades > 0)
 // ============================================================================
 router.get("/estoque", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   if (!escola_id) return res.status(400).json({ error: "escola_id não fornecido." });
 
   try {
@@ -417,7 +442,7 @@ router.get("/estoque", async (req, res) => {
 // Lista o histórico de movimentação (saídas)
 // ============================================================================
 router.get("/saidas", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   if (!escola_id) return res.status(400).json({ error: "escola_id não fornecido." });
 
   try {
@@ -441,7 +466,7 @@ router.get("/saidas", async (req, res) => {
 // Registra uma nova movimentação de saída
 // ============================================================================
 router.post("/saidas", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   if (!escola_id) return res.status(400).json({ error: "escola_id não fornecido." });
 
   const { produto_id, lote, validade, quantidade_unidades, peso_kg, tipo_movimentacao, observacao } = req.body;
@@ -449,6 +474,7 @@ router.post("/saidas", async (req, res) => {
   if (!produto_id || !quantidade_unidades || !tipo_movimentacao) {
     return res.status(400).json({ error: "Dados incompletos para registrar movimentação." });
   }
+  if (!(await produtosSaoDaEscola(pool, escola_id, [produto_id]))) return produtoNaoEncontrado(res);
 
   const connection = await pool.getConnection();
   try {
@@ -502,7 +528,7 @@ router.post("/saidas", async (req, res) => {
 // Estorna/exclui uma movimentação
 // ============================================================================
 router.delete("/saidas/:id", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   const { id } = req.params;
 
   if (!escola_id) return res.status(400).json({ error: "escola_id não fornecido." });
@@ -529,7 +555,7 @@ router.delete("/saidas/:id", async (req, res) => {
 // Lista os itens em estoque junto com a configuração de percápita e o total de alunos
 // ============================================================================
 router.get("/percapita", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   if (!escola_id) return res.status(400).json({ error: "escola_id não fornecido." });
 
   try {
@@ -578,7 +604,7 @@ router.get("/percapita", async (req, res) => {
 // Salva a configuração de refeições servidas da escola
 // ============================================================================
 router.post("/config/refeicoes-servidas", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   if (!escola_id) return res.status(400).json({ error: "escola_id não fornecido." });
 
   const { refeicoes_servidas } = req.body;
@@ -607,7 +633,7 @@ router.post("/config/refeicoes-servidas", async (req, res) => {
 // Salva ou atualiza a percápita de um produto
 // ============================================================================
 router.post("/percapita", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   if (!escola_id) return res.status(400).json({ error: "escola_id não fornecido." });
 
   const { produto_id, percapita_kg } = req.body;
@@ -617,6 +643,8 @@ router.post("/percapita", async (req, res) => {
   }
 
   try {
+    if (!(await produtosSaoDaEscola(pool, escola_id, [produto_id]))) return produtoNaoEncontrado(res);
+
     // Upsert logic (Insere ou Atualiza se já existir para a escola e produto)
     await pool.query(
       `INSERT INTO merenda_percapita (escola_id, produto_id, percapita_kg)
@@ -637,7 +665,7 @@ router.post("/percapita", async (req, res) => {
 // Remove a percápita
 // ============================================================================
 router.delete("/percapita/:id", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   const { id } = req.params;
 
   if (!escola_id) return res.status(400).json({ error: "escola_id não fornecido." });
@@ -664,7 +692,7 @@ router.delete("/percapita/:id", async (req, res) => {
 // Lista os cardápios cadastrados e seus itens
 // ============================================================================
 router.get("/cardapio", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   if (!escola_id) return res.status(400).json({ error: "escola_id não fornecido." });
 
   const mes = req.query.mes; // opcional, formato YYYY-MM
@@ -715,7 +743,7 @@ router.get("/cardapio", async (req, res) => {
 // Cria um novo cardápio e salva seus itens
 // ============================================================================
 router.post("/cardapio", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   if (!escola_id) return res.status(400).json({ error: "escola_id não fornecido." });
 
   const { data_cardapio, nome, turno, refeicoes_cardapio, itens } = req.body;
@@ -723,6 +751,8 @@ router.post("/cardapio", async (req, res) => {
   if (!data_cardapio || !nome) {
     return res.status(400).json({ error: "Data e Nome são obrigatórios." });
   }
+  const produtosCardapio = Array.isArray(itens) ? itens.map((i) => i?.produto_id) : [];
+  if (!(await produtosSaoDaEscola(pool, escola_id, produtosCardapio))) return produtoNaoEncontrado(res);
 
   const turnoFinal = turno || 'Todos';
 
@@ -766,12 +796,14 @@ router.post("/cardapio", async (req, res) => {
 // Edita um cardápio existente
 // ============================================================================
 router.put("/cardapio/:id", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   const { id } = req.params;
   const { nome, turno, refeicoes_cardapio, itens } = req.body;
 
   if (!escola_id) return res.status(400).json({ error: "escola_id não fornecido." });
   if (!nome) return res.status(400).json({ error: "Nome é obrigatório." });
+  const produtosCardapio = Array.isArray(itens) ? itens.map((i) => i?.produto_id) : [];
+  if (!(await produtosSaoDaEscola(pool, escola_id, produtosCardapio))) return produtoNaoEncontrado(res);
 
   const turnoFinal = turno || 'Todos';
 
@@ -821,7 +853,7 @@ router.put("/cardapio/:id", async (req, res) => {
 // Remove o cardápio e estorna os itens para o estoque
 // ============================================================================
 router.delete("/cardapio/:id", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   const { id } = req.params;
 
   if (!escola_id) return res.status(400).json({ error: "escola_id não fornecido." });
@@ -848,7 +880,7 @@ router.delete("/cardapio/:id", async (req, res) => {
 // Lista todos os itens que já deram entrada no estoque (mesmo com saldo zerado) para prestação de contas
 // ============================================================================
 router.get("/saldo-completo", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   if (!escola_id) return res.status(400).json({ error: "escola_id não fornecido." });
 
   try {
@@ -997,7 +1029,7 @@ router.get("/saldo-completo", async (req, res) => {
 // Salva as contagens físicas do depósito
 // ============================================================================
 router.post("/conferencia", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   if (!escola_id) return res.status(400).json({ error: "escola_id não fornecido." });
 
   const { itens } = req.body; // Array de { produto_id, lote, validade, quantidade_deposito_kg }
@@ -1040,7 +1072,7 @@ router.post("/conferencia", async (req, res) => {
 // Lista as distribuições cadastradas ordenadas por data de início
 // ============================================================================
 router.get("/distribuicoes", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   if (!escola_id) return res.status(400).json({ error: "escola_id não fornecido." });
 
   try {
@@ -1062,7 +1094,7 @@ router.get("/distribuicoes", async (req, res) => {
 // Cria uma nova distribuição
 // ============================================================================
 router.post("/distribuicoes", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   if (!escola_id) return res.status(400).json({ error: "escola_id não fornecido." });
 
   const { data_inicio, data_fim } = req.body;
@@ -1090,7 +1122,7 @@ router.post("/distribuicoes", async (req, res) => {
 // Edita as datas de uma distribuição
 // ============================================================================
 router.put("/distribuicoes/:id", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   if (!escola_id) return res.status(400).json({ error: "escola_id não fornecido." });
 
   const { id } = req.params;
@@ -1123,7 +1155,7 @@ router.put("/distribuicoes/:id", async (req, res) => {
 // Exclui uma distribuição
 // ============================================================================
 router.delete("/distribuicoes/:id", async (req, res) => {
-  const escola_id = req.headers["x-escola-id"] || req.user?.escola_id;
+  const escola_id = req.escola_id;
   if (!escola_id) return res.status(400).json({ error: "escola_id não fornecido." });
 
   const { id } = req.params;
@@ -0,0 +1,41 @@
+// routes/metricas.js
+// ============================================================================
+// GET /metrics — métricas no formato texto do Prometheus (services/metricas.js)
+// - Acesso: Authorization: Bearer <METRICS_TOKEN>. Sem METRICS_TOKEN a rota
+//   fica aberta só fora de produção (em produção responde 404).
+// - Montada na raiz (fora de /api): é o caminho padrão do scrape.
+// ============================================================================
+
+import crypto from "crypto";
+import express from "express";
+import { exportarMetricas } from "../services/metricas.js";
+
+const router = express.Router();
+
+function tokenConfere(recebido, esperado) {
+  const a = Buffer.from(String(recebido));
+  const b = Buffer.from(String(esperado));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+router.get("/", (req, res) => {
+  const esperado = (process.env.METRICS_TOKEN || "").trim();
+
+  if (!esperado) {
+    if (process.env.NODE_ENV === "production") {
+      return res.status(404).json({ ok: false, message: "Métricas desativadas (METRICS_TOKEN ausente)." });
+    }
+  } else {
+    const auth = String(req.headers.authorization || "");
+    const recebido = auth.startsWith("Bearer ") ? auth.slice(7).trim() : "";
+    if (!tokenConfere(recebido, esperado)) {
+      return res.status(401).json({ ok: false, message: "Token de métricas inválido." });
+    }
+  }
+
+  res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.setHeader("Cache-Control", "no-store");
+  return res.send(exportarMetricas());
+});
+
+export default router;
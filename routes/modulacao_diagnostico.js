@@ -10,6 +10,7 @@
 
 import express from "express";
 import pool from "../db.js";
+import { anoLetivoAtual } from "../services/calendarioLetivo.js";
 
 const router = express.Router();
 
@@ -35,9 +36,8 @@ router.get("/diagnostico", verificarEscola, async (req, res) => {
       return res.status(400).json({ message: "Parâmetro 'turno' é obrigatório." });
     }
 
-    // Ano letivo atual (janeiro ainda pertence ao ano anterior)
-    const hoje = new Date();
-    const anoAtual = hoje.getMonth() === 0 ? hoje.getFullYear() - 1 : hoje.getFullYear();
+    // Ano letivo atual (calendário letivo da escola)
+    const anoAtual = await anoLetivoAtual(pool, escola_id);
 
     // 1) DEMANDA: soma das cargas das disciplinas definidas em turma_cargas
     //    para as turmas da escola e do turno informado.
@@ -167,8 +167,7 @@ router.get("/diagnostico/disponibilidade", verificarEscola, async (req, res) =>
     }
 
     // Ano letivo atual
-    const hoje = new Date();
-    const anoAtual = hoje.getMonth() === 0 ? hoje.getFullYear() - 1 : hoje.getFullYear();
+    const anoAtual = await anoLetivoAtual(pool, escola_id);
 
     // 1) Carga modulada por professor neste turno
     //    (soma de modulacao.aulas para turmas do turno)
@@ -300,8 +299,7 @@ router.get("/diagnostico/turmas-descobertas", verificarEscola, async (req, res)
     }
 
     // Ano letivo atual
-    const hoje = new Date();
-    const anoAtual = hoje.getMonth() === 0 ? hoje.getFullYear() - 1 : hoje.getFullYear();
+    const anoAtual = await anoLetivoAtual(pool, escola_id);
 
     // Turmas × Disciplinas obrigatórias SEM professor modulado
     const [descobertas] = await pool.query(
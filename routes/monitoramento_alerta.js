@@ -14,6 +14,7 @@ import pool from "../db.js";
 import { autenticarToken } from "../middleware/autenticarToken.js";
 import { verificarEscola } from "../middleware/verificarEscola.js";
 import { autorizarPermissao } from "../middleware/autorizarPermissao.js";
+import { medidor } from "../services/metricas.js";
 
 const router = Router();
 
@@ -23,6 +24,11 @@ const router = Router();
 /** @type {Map<number, Set<import('express').Response>>} */
 const escolaClients = new Map();
 
+// GET /metrics: conexões SSE abertas nesta instância, por escola
+medidor("sse_clientes_conectados", "Clientes SSE de alertas conectados por escola.", ["escola_id"], () =>
+  [...escolaClients.entries()].map(([escolaId, set]) => [{ escola_id: escolaId }, set.size])
+);
+
 function addClient(escolaId, res) {
   if (!escolaClients.has(escolaId)) escolaClients.set(escolaId, new Set());
   escolaClients.get(escolaId).add(res);
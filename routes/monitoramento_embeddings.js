@@ -22,6 +22,12 @@ import pool from "../db.js";
 import { autenticarToken } from "../middleware/autenticarToken.js";
 import { verificarEscola } from "../middleware/verificarEscola.js";
 import { autorizarPermissao } from "../middleware/autorizarPermissao.js";
+import { enfileirarJob, registrarHandler } from "../services/jobQueue.js";
+import {
+  alunosComConsentimento,
+  aoExpurgarEmbeddings,
+  expurgarEmbeddingsSemConsentimento,
+} from "../services/consentimentoImagem.js";
 import { timingSafeEqual, createHmac, createHash } from "node:crypto";
 
 // ----------------------------------------------------------------------------
@@ -264,53 +270,87 @@ router.get("/cache", authWorkerOuAdmin, async (req, res) => {
   }
 });
 
-// POST /api/monitoramento/embeddings/gerar
-router.post("/gerar", autenticarToken, autorizarPermissao("monitoramento.visualizar"), verificarEscola, async (req, res) => {
-  const escolaId = resolveEscolaId(req);
-  if (!escolaId) return res.status(400).json({ error: "Escola não identificada." });
+// ----------------------------------------------------------------------------
+// Jobs de geração/sincronização (services/jobQueue.js)
+// Rodam fora do request: com engine "faceapi" a escola inteira leva minutos.
+// Uma execução por escola por vez (chave "embeddings:<escola>").
+// LGPD: só alunos com consentimento de imagem válido; quem perdeu (revogado,
+// termo desatualizado ou vencido) tem o vetor apagado antes de gerar.
+// ----------------------------------------------------------------------------
+
+// job embeddings_gerar — recalcula todos os alunos (filtros opcionais)
+registrarHandler("embeddings_gerar", async (ctx) => {
+  const escolaId = ctx.escolaId;
+  const inicio = Date.now();
+  const semConsentimento = await expurgarEmbeddingsSemConsentimento(ctx.db, escolaId);
+  const elegiveis = await alunosComConsentimento(ctx.db, escolaId);
 
   // ... (tudo que você já tinha aqui para ler alunos, gerar embeddings e fazer upsert)
   // código VALIDADO preservado
-  try {
-    // [mock/faceapi] geração
-    // [upsert] em alunos_embeddings (coluna embedding/vetor JSON)
-    // [resumo] retornado no JSON
-    return res.json({
-      escola_id: escolaId,
-      totalAlunos: 0,
-      processados: 0,
-      inseridos: 0,
-      atualizados: 0,
-      duracao_ms: 0,
-      detalhes: [],
-      filtros: req.body || {},
-    });
-  } catch (err) {
-    debug("Erro /gerar:", err?.message || err);
-    return res.status(500).json({ error: "Falha ao gerar embeddings.", reason: err?.message || String(err) });
-  }
-});
+  // [mock/faceapi] geração
+  // [upsert] em alunos_embeddings (coluna embedding/vetor JSON)
+  // [resumo] retornado como resultado do job
+  __invalidateIndex(escolaId);
+  return {
+    escola_id: escolaId,
+    totalAlunos: elegiveis.size,
+    sem_consentimento: semConsentimento.length,
+    processados: 0,
+    inseridos: 0,
+    atualizados: 0,
+    duracao_ms: Date.now() - inicio,
+    detalhes: [],
+    filtros: ctx.payload.filtros || {},
+  };
+}, { concorrencia: 1, concorrenciaPorEscola: 1, maxTentativas: 3 });
 
-// POST /api/monitoramento/embeddings/sincronizar
-router.post("/sincronizar", autenticarToken, autorizarPermissao("monitoramento.visualizar"), verificarEscola, async (req, res) => {
-  const escolaId = resolveEscolaId(req);
-  if (!escolaId) return res.status(400).json({ error: "Escola não identificada." });
+// job embeddings_sincronizar — apenas pendentes/faltantes
+registrarHandler("embeddings_sincronizar", async (ctx) => {
+  const escolaId = ctx.escolaId;
+  const inicio = Date.now();
+  const semConsentimento = await expurgarEmbeddingsSemConsentimento(ctx.db, escolaId);
 
   // ... (tudo que você já tinha aqui: selecionar apenas pendentes/faltantes, gerar e upsert)
   // código VALIDADO preservado
+  __invalidateIndex(escolaId);
+  return {
+    escola_id: escolaId,
+    novos_processados: 0,
+    total_pendentes: 0,
+    sem_consentimento: semConsentimento.length,
+    duracao_ms: Date.now() - inicio,
+    detalhes: [],
+  };
+}, { concorrencia: 1, concorrenciaPorEscola: 1, maxTentativas: 3 });
+
+async function enfileirarEmbeddings(req, res, tipo, payload) {
+  const escolaId = resolveEscolaId(req);
+  if (!escolaId) return res.status(400).json({ error: "Escola não identificada." });
+
   try {
-    return res.json({
-      escola_id: escolaId,
-      novos_processados: 0,
-      total_pendentes: 0,
-      duracao_ms: 0,
-      detalhes: [],
+    const { id, existente } = await enfileirarJob(pool, {
+      tipo,
+      escolaId,
+      usuarioId: req.user?.usuarioId || req.user?.id || req.user?.usuario_id,
+      chave: `embeddings:${escolaId}`,
+      payload,
     });
+    return res.status(202).json({ ok: true, escola_id: escolaId, job_id: id, existente, status_url: `/api/jobs/${id}` });
   } catch (err) {
-    debug("Erro /sincronizar:", err?.message || err);
-    return res.status(500).json({ error: "Falha ao sincronizar.", reason: err?.message || String(err) });
+    debug(`Erro ao enfileirar ${tipo}:`, err?.message || err);
+    return res.status(500).json({ error: "Falha ao enfileirar processamento.", reason: err?.message || String(err) });
   }
-});
+}
+
+// POST /api/monitoramento/embeddings/gerar → 202 + job_id
+router.post("/gerar", autenticarToken, autorizarPermissao("monitoramento.visualizar"), verificarEscola, (req, res) =>
+  enfileirarEmbeddings(req, res, "embeddings_gerar", { filtros: req.body || {} })
+);
+
+// POST /api/monitoramento/embeddings/sincronizar → 202 + job_id
+router.post("/sincronizar", autenticarToken, autorizarPermissao("monitoramento.visualizar"), verificarEscola, (req, res) =>
+  enfileirarEmbeddings(req, res, "embeddings_sincronizar", {})
+);
 
 /* ============================================================================
  * PASSO 8.0.2 — Índice em memória + busca por similaridade
@@ -403,11 +443,21 @@ async function __getIndex(escolaId) {
 
   debug("[index] rows carregadas:", rows.length);
 
+  // LGPD: consentimento vencido por prazo não gera evento; filtra na carga
+  let permitidos = null;
+  try {
+    permitidos = await alunosComConsentimento(pool, escolaId, rows.map((r) => Number(r.aluno_id)));
+  } catch (err) {
+    debug("ERRO ao consultar consentimento:", err?.message || err);
+    return { ids: [], vecs: [], dim: 0, loadedAt: new Date(), error: err?.message || String(err) };
+  }
+
   const ids = [];
   const vecs = [];
   let dim = 0;
 
   for (const r of rows) {
+    if (!permitidos.has(Number(r.aluno_id))) continue;
     const vraw = r.emb_json ?? r.embedding ?? null;
     const v = __toVec(vraw);
     if (!v || v.length === 0) continue;
@@ -428,6 +478,9 @@ function __invalidateIndex(escolaId) {
   __memIndex.delete(escolaId);
 }
 
+// revogação de consentimento apaga embeddings: o índice recarrega sem eles
+aoExpurgarEmbeddings(__invalidateIndex);
+
 /* --------------------- ROTAS NOVAS ------------------------------------ */
 
 /** GET /api/monitoramento/embeddings/index/stats */
@@ -3,12 +3,20 @@
 // Ingestão de eventos de reconhecimento facial vindos do Worker
 // - POST /api/monitoramento/eventos
 // - GET  /api/monitoramento/embeddings/cache  (para o Worker baixar o cache)
+// Só alunos com consentimento de imagem válido entram no cache e no faces.json
+// com nome (services/consentimentoImagem.js).
 // ============================================================================
 
 import express from "express";
 import crypto from "node:crypto"
 import fs from "fs";
 import path from "path";
+import { contador } from "../services/metricas.js";
+import {
+  alunosComConsentimento,
+  alunosConsentidosEmCache,
+  aplicarConsentimentoNasFaces,
+} from "../services/consentimentoImagem.js";
 
 // ⚠️ Import lazy: mobileNotificacoesService depende de expo-server-sdk
 // que pode não estar disponível em todos os ambientes.
@@ -29,6 +37,26 @@ async function getNotificacaoService() {
 
 const router = express.Router();
 
+// -------------------------------------------------------------
+// Métricas (GET /metrics): frames gravados por câmera
+// formato: base64 (POST /frame) | binario (POST /frame-binary)
+// -------------------------------------------------------------
+const framesRecebidos = contador(
+  "monitoramento_frames_total",
+  "Frames de câmera gravados por escola, câmera e formato.",
+  ["escola_id", "camera_id", "formato"]
+);
+const bytesFrames = contador(
+  "monitoramento_frames_bytes_total",
+  "Bytes de frames de câmera gravados por escola e câmera.",
+  ["escola_id", "camera_id"]
+);
+
+function contarFrame(escola_id, camera_id, bytes, formato) {
+  framesRecebidos.inc({ escola_id, camera_id, formato });
+  bytesFrames.inc({ escola_id, camera_id }, bytes);
+}
+
 // -------------------------------------------------------------
 // Cache em memória para escola_dir (evita query ao DB a cada request)
 // TTL de 5 minutos — escola.apelido raramente muda
@@ -440,7 +468,17 @@ router.get("/embeddings/cache", validarTokenWorker, exigirEscolaId, async (req,
         [escola_id]
       );
 
-      res.json({ ok: true, escola_id, total: rows.length, rows });
+      // LGPD: sem consentimento válido o vetor não sai do servidor
+      const permitidos = await alunosComConsentimento(conn, escola_id, rows.map((r) => r.aluno_id));
+      const liberados = rows.filter((r) => permitidos.has(Number(r.aluno_id)));
+
+      res.json({
+        ok: true,
+        escola_id,
+        total: liberados.length,
+        sem_consentimento: rows.length - liberados.length,
+        rows: liberados,
+      });
     } finally {
       conn.release();
     }
@@ -977,6 +1015,7 @@ router.post("/frame", validarTokenWorker, exigirEscolaId, async (req, res) => {
     } catch (_) {}
 
     safeAtomicWriteRename(tmpPath, finalPath, jpegBuf, true);
+    contarFrame(escola_id, camera_id, jpegBuf.length, "base64");
 
     return res.json({
       ok: true,
@@ -1141,6 +1180,7 @@ router.post(
       const tmpPath = path.join(basePath, tmpName);
 
       safeAtomicWriteRename(tmpPath, finalPath, jpegBuf, true);
+      contarFrame(escola_id, camera_id, jpegBuf.length, "binario");
 
       return res.json({
         ok: true,
@@ -1244,6 +1284,7 @@ router.post("/faces", validarTokenWorker, exigirEscolaId, async (req, res) => {
         // ✅ Preserva dados de reconhecimento enviados pelo worker (TIER 2)
         // Bug anterior: sempre sobrescrevia com recognized:false/"DESCONHECIDO"/0
         const recognized  = Boolean(f?.recognized);
+        const aluno_id    = recognized ? toNumber(f?.aluno_id, 0) || null : null;
         const aluno_nome  = String(f?.aluno_nome || f?.nome || "").trim();
         const turma       = String(f?.turma || "").trim();
         const score       = recognized ? toNumber(f?.score, 0) : 0;
@@ -1251,6 +1292,7 @@ router.post("/faces", validarTokenWorker, exigirEscolaId, async (req, res) => {
         return {
           bbox: { x, y, width, height },
           recognized,
+          aluno_id,
           aluno_nome: recognized ? aluno_nome : "",
           turma:      recognized ? turma : "",
           score,
@@ -1258,11 +1300,19 @@ router.post("/faces", validarTokenWorker, exigirEscolaId, async (req, res) => {
       })
       .filter(Boolean);
 
+    // LGPD: marca quem o overlay deve desfocar (falha na consulta → ninguém tem consentimento)
+    let permitidos = new Set();
+    try {
+      permitidos = await alunosConsentidosEmCache(req.db, escola_id);
+    } catch (e) {
+      console.warn("[ingest/faces] consentimento indisponível (não crítico):", e.message);
+    }
+
     const out = {
       ts,
       width: toNumber(req.body?.width, 0),
       height: toNumber(req.body?.height, 0),
-      faces,
+      faces: aplicarConsentimentoNasFaces(faces, permitidos),
     };
 
     // Caminho destino (mesmo padrão do overlay)
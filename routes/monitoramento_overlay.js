@@ -15,6 +15,8 @@ const Jimp = (jimpPkg && (jimpPkg.Jimp || jimpPkg.default || jimpPkg));
 
 import { autenticarToken } from "../middleware/autenticarToken.js";
 import { autorizarPermissao } from "../middleware/autorizarPermissao.js";
+import { deveDesfocar } from "../services/consentimentoImagem.js";
+import { pixelarRegiao } from "../utils/pixelar.js";
 
 // 🔧 “Patch” de compatibilidade: se o método/constante existir no módulo mas não em Jimp, copia.
 try {
@@ -1296,6 +1298,9 @@ router.get("/camera/:cameraId/frame-overlay", async (req, res) => {
 
       if (!bbox) continue;
 
+      // LGPD: rosto sem consentimento de imagem sai pixelizado (faces.json marca `desfocar`)
+      if (deveDesfocar(face)) pixelarRegiao(image.bitmap, bbox);
+
       // Cores ARGB (0xRRGGBBAA)
       const color = recognized ? 0x00ff00ff : 0xff0000ff;
 
@@ -1586,6 +1591,9 @@ async function drawOverlayBuffer(basePath, opts = {}) {
     // guarda bbox clamped na própria face (para clusterização)
     face.__bbox_clamped = bbox;
 
+    // LGPD: rosto sem consentimento de imagem sai pixelizado (faces.json marca `desfocar`)
+    if (deveDesfocar(face)) pixelarRegiao(image.bitmap, bbox);
+
     const color = recognized ? 0x00ff00ff : 0xff0000ff;
 
     // bordas
@@ -20,16 +20,18 @@ import { autorizarPermissao } from "../middleware/autorizarPermissao.js";
 import fs from "fs";
 import path from "path";
 import sharp from "sharp";
+import { criarLogger } from "../services/logger.js";
 
 const router = express.Router();
 
 // ----------------------------------------------------------------------------
 // Logger do Router (NÃO altera fluxo; apenas registra passagem pelo router)
+// Nível debug: método/rota já saem no contexto (LOG_LEVELS=visitantes=debug)
 // ----------------------------------------------------------------------------
-router.use((req, _res, next) => {
-  try {
-    console.log(`[VISITANTES ROUTER] ${req.method} ${req.originalUrl}`);
-  } catch (_) {}
+const log = criarLogger("visitantes");
+
+router.use((_req, _res, next) => {
+  log.debug("passagem pelo router de visitantes");
   next();
 });
 
@@ -41,11 +43,9 @@ router.use(
 );
 
 // ---------- Helpers ----------
+// Sempre o contexto da sessão (verificarEscola); header/body só se baterem.
 function getEscolaId(req) {
-  const a = req.escola_id;
-  const b = Number(req.headers["x-escola-id"]);
-  const c = Number(req.body?.escola_id);
-  return a || b || c || null;
+  return req.escola_id || null;
 }
 function enumCategoria(cat) {
   if (!cat) return "OUTRO";
@@ -1,21 +1,26 @@
 // routes/notas.js
 // ============================================================================
 // Rotas de NOTAS
-// - GET /alunos/:id/notas                   → lista notas do aluno (todas, 2024+2025)
-// - GET /alunos/:alunoId/ranking            → ranking (ESCOLA) do aluno (apenas 2025)
-// - GET /alunos/:alunoId/ranking-completo   → ranking ESCOLA + TURMA (apenas 2025)
+// - GET /alunos/:id/notas                   → lista notas do aluno (todos os anos)
+// - GET /alunos/:alunoId/ranking            → ranking (ESCOLA) do aluno no ano letivo atual
+// - GET /alunos/:alunoId/ranking-completo   → ranking ESCOLA + TURMA no ano letivo atual
 // Regras solicitadas:
-//   • O RANKING deve considerar SOMENTE 2025.
+//   • O RANKING considera SOMENTE o ano letivo atual da escola
+//     (calendário letivo — services/calendarioLetivo.js).
 //   • A soma de notas no front continua usando todas as notas (nenhuma mudança aqui).
 // ============================================================================
 
 import express from "express";
 import db from "../db.js";
+import { validar } from "../middleware/validarRequisicao.js";
+import * as schemas from "../schemas/notas.js";
+import { anoLetivoAtual, bimestreAtual } from "../services/calendarioLetivo.js";
+import { politicaDaTurma, situacaoDaNota } from "../services/politicaNotas.js";
+import { criarLogger } from "../services/logger.js";
 
-const router = express.Router();
+const logMapa = criarLogger("mapa-nota");
 
-// Ano-base do ranking
-const ANO_RANKING = 2025;
+const router = express.Router();
 
 // ---------------------------------------------------------------------------
 // Middleware anti-cache (evita 304 e "Calculando..." no front)
@@ -46,7 +51,7 @@ function verificarEscola(req, res, next) {
 // Lista notas do aluno, apenas se ele pertencer à escola do usuário
 // (RETORNA TODAS AS NOTAS – 2024 e 2025 – para manter a soma no rodapé)
 // ---------------------------------------------------------------------------
-router.get("/alunos/:id/notas", verificarEscola, async (req, res) => {
+router.get("/alunos/:id/notas", verificarEscola, validar(schemas.notasDoAluno), async (req, res) => {
   try {
     const alunoId = req.params.id;
     const { escola_id } = req.user;
@@ -77,10 +82,10 @@ router.get("/alunos/:id/notas", verificarEscola, async (req, res) => {
 
 // ---------------------------------------------------------------------------
 // GET /alunos/:alunoId/ranking
-// Ranking do aluno em relação aos demais da ESCOLA (APENAS 2025)
+// Ranking do aluno em relação aos demais da ESCOLA (APENAS o ano letivo atual)
 // • Mantido para compatibilidade (Boletim.jsx usa este formato simples).
 // ---------------------------------------------------------------------------
-router.get("/alunos/:alunoId/ranking", async (req, res) => {
+router.get("/alunos/:alunoId/ranking", validar(schemas.rankingAluno), async (req, res) => {
   const alunoId = req.params.alunoId;
 
   try {
@@ -93,8 +98,9 @@ router.get("/alunos/:alunoId/ranking", async (req, res) => {
       return res.status(200).json({ ranking: null, total_alunos: 0, total_notas: 0 });
     }
     const escola_id = alunoRes[0].escola_id;
+    const anoRanking = await anoLetivoAtual(db, escola_id);
 
-    // 2) Calcular ranking (somente 2025)
+    // 2) Calcular ranking (somente o ano letivo atual)
     const [result] = await db.query(
       `
       SELECT
@@ -127,9 +133,9 @@ router.get("/alunos/:alunoId/ranking", async (req, res) => {
       WHERE t1.aluno_id = ?
       `,
       [
-        ANO_RANKING, escola_id,     // quem está à frente
-        ANO_RANKING, escola_id,     // total participantes (com notas 2025)
-        ANO_RANKING, escola_id,     // soma do próprio aluno (2025)
+        anoRanking, escola_id,      // quem está à frente
+        anoRanking, escola_id,      // total participantes (com notas no ano)
+        anoRanking, escola_id,      // soma do próprio aluno (ano)
         alunoId
       ]
     );
@@ -151,11 +157,11 @@ router.get("/alunos/:alunoId/ranking", async (req, res) => {
 
 // ---------------------------------------------------------------------------
 // GET /alunos/:alunoId/ranking-completo
-// Ranking do aluno por ESCOLA e TURMA (APENAS 2025)
+// Ranking do aluno por ESCOLA e TURMA (APENAS o ano letivo atual)
 // • Formato compatível com o fluxo de impressão/BoletimPrint:
 //   { escola: { ranking, total_alunos, semNotas }, turma: { ... } }
 // ---------------------------------------------------------------------------
-router.get("/alunos/:alunoId/ranking-completo", async (req, res) => {
+router.get("/alunos/:alunoId/ranking-completo", validar(schemas.rankingCompleto), async (req, res) => {
   const alunoId = req.params.alunoId;
 
   try {
@@ -171,15 +177,16 @@ router.get("/alunos/:alunoId/ranking-completo", async (req, res) => {
       });
     }
     const { escola_id, turma_id } = alRes[0];
+    const anoRanking = await anoLetivoAtual(db, escola_id);
 
-    // 2) Soma 2025 do aluno (se não tiver, ele não entra no ranking)
+    // 2) Soma do ano do aluno (se não tiver, ele não entra no ranking)
     const [somaRes] = await db.query(
       "SELECT SUM(n.nota) AS soma FROM notas n WHERE n.aluno_id = ? AND n.ano = ?",
-      [alunoId, ANO_RANKING]
+      [alunoId, anoRanking]
     );
-    const soma2025 = somaRes[0]?.soma;
+    const somaAno = somaRes[0]?.soma;
 
-    // 3) Totais de participantes (com notas 2025)
+    // 3) Totais de participantes (com notas no ano)
     const [[{ total: totalEscola }]] = await db.query(
       `
       SELECT COUNT(*) AS total FROM (
@@ -191,7 +198,7 @@ router.get("/alunos/:alunoId/ranking-completo", async (req, res) => {
         HAVING soma_notas IS NOT NULL
       ) x
       `,
-      [escola_id, ANO_RANKING]
+      [escola_id, anoRanking]
     );
     const [[{ total: totalTurma }]] = await db.query(
       `
@@ -204,11 +211,11 @@ router.get("/alunos/:alunoId/ranking-completo", async (req, res) => {
         HAVING soma_notas IS NOT NULL
       ) x
       `,
-      [turma_id, ANO_RANKING]
+      [turma_id, anoRanking]
     );
 
-    // 4) Se o aluno não tem notas 2025, marcar semNotas
-    if (!soma2025) {
+    // 4) Se o aluno não tem notas no ano, marcar semNotas
+    if (!somaAno) {
       return res.json({
         escola: { ranking: totalEscola || 0, total_alunos: totalEscola || 0, semNotas: true },
         turma:  { ranking: totalTurma  || 0, total_alunos: totalTurma  || 0, semNotas: true }
@@ -231,7 +238,7 @@ router.get("/alunos/:alunoId/ranking-completo", async (req, res) => {
         SELECT SUM(n2.nota) FROM notas n2 WHERE n2.aluno_id = ? AND n2.ano = ?
       )
       `,
-      [escola_id, ANO_RANKING, alunoId, ANO_RANKING]
+      [escola_id, anoRanking, alunoId, anoRanking]
     );
 
     const [[{ posicao: posTurma }]] = await db.query(
@@ -249,7 +256,7 @@ router.get("/alunos/:alunoId/ranking-completo", async (req, res) => {
         SELECT SUM(n2.nota) FROM notas n2 WHERE n2.aluno_id = ? AND n2.ano = ?
       )
       `,
-      [turma_id, ANO_RANKING, alunoId, ANO_RANKING]
+      [turma_id, anoRanking, alunoId, anoRanking]
     );
 
     return res.json({
@@ -272,9 +279,9 @@ router.get("/alunos/:alunoId/ranking-completo", async (req, res) => {
 // Formato:
 //   { escola: {...}, turma: {...}, serie: {...}, turno: {...} }
 // ---------------------------------------------------------------------------
-router.get("/alunos/:alunoId/ranking-anual", async (req, res) => {
+router.get("/alunos/:alunoId/ranking-anual", validar(schemas.rankingAnual), async (req, res) => {
   const alunoId = req.params.alunoId;
-  const anoRef = Number(req.query.ano) || ANO_RANKING;
+  let anoRef = Number(req.query.ano) || null;
 
   const semNotasObj = { ranking: 0, total_alunos: 0, semNotas: true };
   const emptyRes = { escola: semNotasObj, turma: semNotasObj, serie: semNotasObj, turno: semNotasObj };
@@ -291,6 +298,7 @@ router.get("/alunos/:alunoId/ranking-anual", async (req, res) => {
     if (!alRes.length) return res.json(emptyRes);
 
     const { escola_id, turma_id, serie, turno } = alRes[0];
+    anoRef ??= await anoLetivoAtual(db, escola_id);
 
     // 2) Soma do aluno no ano
     const [somaRes] = await db.query(
@@ -366,9 +374,10 @@ router.get("/alunos/:alunoId/ranking-anual", async (req, res) => {
 // ---------------------------------------------------------------------------
 // GET /turmas/:turmaId/mapa-nota?bimestre=2&ano=2026
 // Retorna o mapa de notas de todos os alunos da turma por disciplina.
-// Também retorna os flags de "não destaque" (amarelo) do professor logado.
+// Também retorna os flags de "não destaque" (amarelo) do professor logado e,
+// pela política de notas da escola, as células abaixo da média de aprovação.
 // ---------------------------------------------------------------------------
-router.get("/turmas/:turmaId/mapa-nota", verificarEscola, async (req, res) => {
+router.get("/turmas/:turmaId/mapa-nota", verificarEscola, validar(schemas.mapaNota), async (req, res) => {
   try {
     const escola_id = req.user?.escola_id;
     // JWT usa 'usuario_id' (vários aliases por compatibilidade)
@@ -379,10 +388,10 @@ router.get("/turmas/:turmaId/mapa-nota", verificarEscola, async (req, res) => {
       req.user?.user_id ||
       req.user?.id_usuario;
     const { turmaId } = req.params;
-    const bimestre = parseInt(req.query.bimestre) || 1;
-    const ano = parseInt(req.query.ano) || new Date().getFullYear();
+    const bimestre = parseInt(req.query.bimestre) || (await bimestreAtual(db, escola_id)).numero || 1;
+    const ano = parseInt(req.query.ano) || (await anoLetivoAtual(db, escola_id));
 
-    console.log(`[mapa-nota] usuario_id=${usuario_id}, escola_id=${escola_id}, turmaId=${turmaId}, bimestre=${bimestre}, ano=${ano}`);
+    logMapa.debug("montando mapa de notas", { turma_id: Number(turmaId), bimestre, ano });
 
     // 1) Alunos matriculados na turma (ordenados por nome)
     const [alunos] = await db.query(
@@ -396,8 +405,9 @@ router.get("/turmas/:turmaId/mapa-nota", verificarEscola, async (req, res) => {
 
     // 2) Notas da turma no bimestre/ano (tabela notas = boletim exportado)
     const alunoIds = alunos.map(a => a.id);
+    const politica = await politicaDaTurma(db, escola_id, turmaId, bimestre);
     if (alunoIds.length === 0) {
-      return res.json({ ok: true, alunos: [], disciplinas: [], notas: {}, flags: [] });
+      return res.json({ ok: true, alunos: [], disciplinas: [], notas: {}, flags: [], politica, abaixo_media: [] });
     }
 
     const placeholders = alunoIds.map(() => "?").join(",");
@@ -438,7 +448,7 @@ router.get("/turmas/:turmaId/mapa-nota", verificarEscola, async (req, res) => {
         [turmaId, usuario_id, escola_id]
       );
       discsProfessor = new Set(discProfRows.map(r => r.disciplina_id));
-      console.log(`[mapa-nota] usuario_id=${usuario_id} → discsProfessor na turma ${turmaId}:`, [...discsProfessor]);
+      logMapa.debug("disciplinas editáveis do professor", { turma_id: Number(turmaId), qtd_disciplinas: discsProfessor.size });
     } catch (discErr) {
       // Nao critico: professor nao tera celulas editaveis, mas tabela continua funcional
       console.warn("[mapa-nota] Erro ao buscar disciplinas do professor:", discErr.message);
@@ -466,7 +476,10 @@ router.get("/turmas/:turmaId/mapa-nota", verificarEscola, async (req, res) => {
     // 7) Montar set de flags: ["alunoId_disciplinaId"]
     const flagsSet = flagsRows.map(f => `${f.aluno_id}_${f.disciplina_id}`);
 
-    return res.json({ ok: true, alunos, disciplinas, notas: notasMap, flags: flagsSet });
+    // 8) Células abaixo da média de aprovação (mesmo formato das flags)
+    const abaixoMedia = Object.keys(notasMap).filter(k => situacaoDaNota(politica, notasMap[k]) === "abaixo_media");
+
+    return res.json({ ok: true, alunos, disciplinas, notas: notasMap, flags: flagsSet, politica, abaixo_media: abaixoMedia });
   } catch (err) {
     console.error("[mapa-nota] Erro:", err.message);
     return res.status(500).json({ ok: false, error: "Erro ao carregar mapa de notas." });
@@ -478,7 +491,7 @@ router.get("/turmas/:turmaId/mapa-nota", verificarEscola, async (req, res) => {
 // Toggle de flag amarelo (não destaque) por professor/aluno/disciplina/bimestre/ano.
 // O professor só pode flagear disciplinas que ele próprio leciona na turma.
 // ---------------------------------------------------------------------------
-router.post("/mapa-nota/flag", verificarEscola, async (req, res) => {
+router.post("/mapa-nota/flag", verificarEscola, validar(schemas.alternarFlagMapaNota), async (req, res) => {
   try {
     const escola_id = req.user?.escola_id;
     const usuario_id =
@@ -0,0 +1,82 @@
+// routes/notificacoes.js
+// ============================================================================
+// Situação das notificações aos responsáveis (services/notificacoes.js)
+// - Rotas (montadas em /api/notificacoes com autenticarToken + verificarEscola):
+//     GET  /api/notificacoes/envios              → envios do outbox
+//          ?evento, ?referencia_id, ?aluno_id, ?responsavel_id, ?status, ?canal, ?limite
+//     GET  /api/notificacoes/status              → entrega por responsável
+//          ?evento&referencia_id (ex.: OCORRENCIA + id da ocorrência) ou ?aluno_id
+//     POST /api/notificacoes/envios/:id/reenviar → envio "falhou" volta à fila
+// - Permissão: notificacoes:ver (consulta) / notificacoes:reenviar
+// - Escopo: sempre req.user.escola_id; destinos saem mascarados
+// ============================================================================
+
+import express from "express";
+import pool from "../db.js";
+import { autorizarPermissao } from "../middleware/autorizarPermissao.js";
+import { validar } from "../middleware/validarRequisicao.js";
+import * as schemas from "../schemas/notificacoes.js";
+import { listarEnvios, reenviarEnvio, statusPorResponsavel } from "../services/notificacoes.js";
+
+const router = express.Router();
+
+router.get("/envios", autorizarPermissao("notificacoes:ver"), validar(schemas.listarEnvios), async (req, res) => {
+  try {
+    const envios = await listarEnvios(pool, {
+      escolaId: req.user.escola_id,
+      evento: req.query.evento,
+      referenciaId: req.query.referencia_id,
+      alunoId: req.query.aluno_id,
+      responsavelId: req.query.responsavel_id,
+      status: req.query.status,
+      canal: req.query.canal,
+      limite: req.query.limite,
+    });
+    return res.json({ ok: true, envios });
+  } catch (err) {
+    console.error("[NOTIF] Erro ao listar envios:", err);
+    return res.status(500).json({ ok: false, message: "Erro ao listar envios de notificações." });
+  }
+});
+
+router.get("/status", autorizarPermissao("notificacoes:ver"), validar(schemas.statusPorResponsavel), async (req, res) => {
+  const { evento, referencia_id, aluno_id } = req.query;
+  if (!aluno_id && !(evento && referencia_id)) {
+    return res.status(400).json({ ok: false, message: "Informe evento e referencia_id, ou aluno_id." });
+  }
+
+  try {
+    const responsaveis = await statusPorResponsavel(pool, {
+      escolaId: req.user.escola_id,
+      evento,
+      referenciaId: referencia_id,
+      alunoId: aluno_id,
+    });
+    return res.json({ ok: true, responsaveis });
+  } catch (err) {
+    console.error("[NOTIF] Erro ao consultar status:", err);
+    return res.status(500).json({ ok: false, message: "Erro ao consultar status das notificações." });
+  }
+});
+
+router.post(
+  "/envios/:id/reenviar",
+  autorizarPermissao("notificacoes:reenviar"),
+  validar(schemas.reenviarEnvio),
+  async (req, res) => {
+    try {
+      const r = await reenviarEnvio(pool, Number(req.params.id), { escolaId: req.user.escola_id });
+      if (!r) return res.status(404).json({ ok: false, message: "Envio não encontrado." });
+      const { reenviado, envio } = r;
+      if (!reenviado) {
+        return res.status(409).json({ ok: false, message: `Só envios com falha podem ser reenviados (status: ${envio.status}).`, envio });
+      }
+      return res.json({ ok: true, envio });
+    } catch (err) {
+      console.error("[NOTIF] Erro ao reenviar:", err);
+      return res.status(500).json({ ok: false, message: "Erro ao reenviar notificação." });
+    }
+  }
+);
+
+export default router;
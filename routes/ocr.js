@@ -3,6 +3,7 @@ import multer from "multer";
 import axios from "axios";
 import * as dotenv from "dotenv";
 import sharp from "sharp"; // NOVO!
+import { cabecalhosCorrelacao } from "../services/logger.js";
 dotenv.config();
 
 const router = express.Router();
@@ -47,10 +48,10 @@ router.post("/azure-text", verificarEscola, upload.single("file"), async (req, r
       `${AZURE_CV_ENDPOINT}/vision/v3.2/ocr?language=pt&detectOrientation=true`,
       imgBuffer,
       {
-        headers: {
+        headers: cabecalhosCorrelacao({
           "Ocp-Apim-Subscription-Key": AZURE_CV_KEY,
           "Content-Type": req.file.mimetype,
-        },
+        }),
       }
     );
 
@@ -79,10 +80,10 @@ router.post("/azure-struct", verificarEscola, upload.single("file"), async (req,
       `${AZURE_CV_ENDPOINT}/vision/v3.2/read/analyze`,
       req.file.buffer,
       {
-        headers: {
+        headers: cabecalhosCorrelacao({
           "Ocp-Apim-Subscription-Key": AZURE_CV_KEY,
           "Content-Type": req.file.mimetype,
-        },
+        }),
       }
     );
     const operationLocation = resp.headers["operation-location"];
@@ -92,7 +93,7 @@ router.post("/azure-struct", verificarEscola, upload.single("file"), async (req,
     for (let i = 0; i < 15; i++) {
       await new Promise(r => setTimeout(r, 1000));
       const { data } = await axios.get(operationLocation, {
-        headers: { "Ocp-Apim-Subscription-Key": AZURE_CV_KEY },
+        headers: cabecalhosCorrelacao({ "Ocp-Apim-Subscription-Key": AZURE_CV_KEY }),
       });
       if (data.status === "succeeded") {
         resultado = data;
@@ -8,14 +8,10 @@
 
 import express from "express";
 import pool from "../db.js";
+import { anoLetivoAtual } from "../services/calendarioLetivo.js";
 
 const router = express.Router();
 
-function anoLetivoAtual() {
-  const hoje = new Date();
-  return hoje.getMonth() === 0 ? hoje.getFullYear() - 1 : hoje.getFullYear();
-}
-
 // Ordem de "gravidade" para status (quanto maior, pior)
 const STATUS_RANK = {
   PENDENTE:             0,
@@ -41,7 +37,7 @@ function statusGeral(planos) {
 router.get("/plano-avaliacao", async (req, res) => {
   try {
     const { escola_id } = req.user;
-    const ano = Number(req.query.ano) || anoLetivoAtual();
+    const ano = Number(req.query.ano) || (await anoLetivoAtual(pool, escola_id));
 
     // ── Professores em regência + planos reais ────────────────────────────
     // JOIN via CPF normalizado: professores.cpf ↔ usuarios.cpf → planos_avaliacao.usuario_id
@@ -0,0 +1,151 @@
+// routes/plataforma_backup.js
+// ============================================================================
+// Backup e restauração de uma escola inteira (services/backupEscola.js) — CEO
+// - Rotas (montadas em /api/plataforma/backup com autenticarToken +
+//   exigirEscopo("plataforma")):
+//     POST /escolas/:id/exportar  { incluir_logs? }          → 202 { job_id }
+//     POST /restaurar  multipart "arquivo" (.zip) ou { chave }
+//                      + escola_destino_id? nome? apelido? simular?
+//                      → 202 { job_id } (simular=1 → 200 com o plano, sem gravar)
+//     GET  /jobs/:id             → status/progresso/resultado do job
+//     GET  /jobs/:id/download    → URL assinada do pacote exportado
+// - Só usuário real da plataforma (a chave do agente não exporta escola):
+//   o pacote leva dados pessoais e hashes de senha.
+// - Para levar a outro ambiente: baixa aqui, envia no /restaurar de lá.
+// ============================================================================
+
+import express from "express";
+import multer from "multer";
+import pool from "../db.js";
+import { armazenamento } from "../services/armazenamento.js";
+import { buscarJob } from "../services/jobQueue.js";
+import {
+  enfileirarExportacao,
+  enfileirarRestauracao,
+  guardarPacote,
+  lerPacote,
+  restaurarEscola,
+} from "../services/backupEscola.js";
+import { criarLogger } from "../services/logger.js";
+
+const router = express.Router();
+const log = criarLogger("backup");
+
+const TIPOS_JOB = ["escola_exportar", "escola_restaurar"];
+const MAX_MB = Number(process.env.BACKUP_MAX_MB || 1024);
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_MB * 1024 * 1024, files: 1 } });
+
+function parseId(raw) {
+  const id = Number(raw);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function solicitante(req) {
+  const id = Number(req.user?.usuarioId || req.user?.usuario_id || 0);
+  return req.user?.is_agent || !id ? null : { id, nome: req.user?.nome || null };
+}
+
+function erroBackup(res, err, rota) {
+  if (err.status) return res.status(err.status).json({ ok: false, code: err.code, message: err.message });
+  log.error(rota, { erro: err });
+  return res.status(500).json({ ok: false, message: "Erro no backup da escola." });
+}
+
+router.use((req, res, next) => {
+  if (!solicitante(req)) {
+    return res.status(403).json({ ok: false, message: "Backup de escola exige login de usuário da plataforma." });
+  }
+  return next();
+});
+
+router.post("/escolas/:id/exportar", async (req, res) => {
+  const escolaId = parseId(req.params.id);
+  if (!escolaId) return res.status(400).json({ ok: false, message: "Escola inválida." });
+  try {
+    const [[escola]] = await pool.query("SELECT id FROM escolas WHERE id = ? LIMIT 1", [escolaId]);
+    if (!escola) return res.status(404).json({ ok: false, message: "Escola não encontrada." });
+
+    const quem = solicitante(req);
+    const { id, existente } = await enfileirarExportacao(pool, {
+      escolaId,
+      incluirLogs: [true, 1, "1", "true"].includes(req.body?.incluir_logs),
+      solicitadoPor: quem.id,
+    });
+    log.info("exportação pedida", { escola_id: escolaId, por: quem.id, job_id: id });
+    return res.status(202).json({ ok: true, job_id: id, existente });
+  } catch (err) {
+    return erroBackup(res, err, "POST /escolas/:id/exportar");
+  }
+});
+
+router.post("/restaurar", upload.single("arquivo"), async (req, res) => {
+  const body = req.body || {};
+  const escolaDestinoId = body.escola_destino_id ? parseId(body.escola_destino_id) : null;
+  if (body.escola_destino_id && !escolaDestinoId) return res.status(400).json({ ok: false, message: "Escola de destino inválida." });
+  const nome = String(body.nome || "").trim() || undefined;
+  const apelido = String(body.apelido || "").trim() || undefined;
+
+  try {
+    let chave = String(body.chave || "").trim();
+    let zip;
+    if (req.file) {
+      zip = req.file.buffer;
+      lerPacote(zip); // recusa arquivo inválido/corrompido antes de enfileirar
+    } else if (chave) {
+      if (!/^backup\//.test(chave)) return res.status(400).json({ ok: false, message: "Chave de pacote inválida." });
+      ({ buffer: zip } = await armazenamento().ler(chave).catch(() => ({})));
+      if (!zip) return res.status(404).json({ ok: false, message: "Pacote não encontrado." });
+    } else {
+      return res.status(400).json({ ok: false, message: "Envie o arquivo .zip (campo 'arquivo') ou a chave do pacote." });
+    }
+
+    if ([true, 1, "1", "true"].includes(body.simular)) {
+      const plano = await restaurarEscola(pool, zip, { escolaDestinoId, nome, apelido, simular: true });
+      return res.json({ ok: true, ...plano });
+    }
+
+    if (req.file) chave = await guardarPacote(zip, "restauracao");
+    const quem = solicitante(req);
+    const { id } = await enfileirarRestauracao(pool, { chave, escolaDestinoId, nome, apelido, solicitadoPor: quem.id });
+    log.info("restauração pedida", { chave, por: quem.id, job_id: id });
+    return res.status(202).json({ ok: true, job_id: id, chave });
+  } catch (err) {
+    return erroBackup(res, err, "POST /restaurar");
+  }
+});
+
+async function jobDeBackup(req, res) {
+  const id = parseId(req.params.id);
+  const job = id ? await buscarJob(pool, id) : null;
+  if (!job || !TIPOS_JOB.includes(job.tipo)) {
+    res.status(404).json({ ok: false, message: "Job de backup não encontrado." });
+    return null;
+  }
+  return job;
+}
+
+router.get("/jobs/:id", async (req, res) => {
+  try {
+    const job = await jobDeBackup(req, res);
+    if (job) return res.json({ ok: true, job });
+  } catch (err) {
+    return erroBackup(res, err, "GET /jobs/:id");
+  }
+});
+
+router.get("/jobs/:id/download", async (req, res) => {
+  try {
+    const job = await jobDeBackup(req, res);
+    if (!job) return;
+    if (job.tipo !== "escola_exportar" || job.status !== "concluido" || !job.resultado?.chave) {
+      return res.status(409).json({ ok: false, message: "Pacote ainda não está pronto." });
+    }
+    const { url, expira_em } = await armazenamento().urlAssinada(job.resultado.chave, { nome: job.resultado.arquivo });
+    log.info("download do pacote", { job_id: job.id, por: solicitante(req).id });
+    return res.json({ ok: true, url, expira_em, arquivo: job.resultado.arquivo, bytes: job.resultado.bytes, sha256: job.resultado.sha256 });
+  } catch (err) {
+    return erroBackup(res, err, "GET /jobs/:id/download");
+  }
+});
+
+export default router;
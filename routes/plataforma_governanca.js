@@ -8,127 +8,7 @@ import express from "express";
 
 const router = express.Router();
 
-// ── Helper: garante tabelas ──
-async function ensureTables(db) {
-  await db.query(`
-    CREATE TABLE IF NOT EXISTS governanca_categorias (
-      id          INT AUTO_INCREMENT PRIMARY KEY,
-      nome        VARCHAR(100) NOT NULL,
-      icone       VARCHAR(50) DEFAULT 'geral',
-      cor         VARCHAR(30) DEFAULT '#64748b',
-      ordem       INT NOT NULL DEFAULT 0,
-      ativo       TINYINT(1) NOT NULL DEFAULT 1,
-      criado_em   DATETIME DEFAULT CURRENT_TIMESTAMP,
-      atualizado_em DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-      UNIQUE KEY uq_nome_cat (nome)
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-  `);
-
-  await db.query(`
-    CREATE TABLE IF NOT EXISTS governanca_itens (
-      id              INT AUTO_INCREMENT PRIMARY KEY,
-      categoria_id    INT NOT NULL,
-      chave           VARCHAR(120) NOT NULL,
-      descricao       VARCHAR(300) NOT NULL,
-      tipo            ENUM('boolean','select','text') NOT NULL DEFAULT 'boolean',
-      opcoes_json     JSON DEFAULT NULL,
-      valor_padrao    VARCHAR(500) NOT NULL DEFAULT '0',
-      ordem           INT NOT NULL DEFAULT 0,
-      ativo           TINYINT(1) NOT NULL DEFAULT 1,
-      criado_em       DATETIME DEFAULT CURRENT_TIMESTAMP,
-      atualizado_em   DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-      UNIQUE KEY uq_chave_item (chave),
-      KEY idx_categoria (categoria_id),
-      CONSTRAINT fk_gov_cat FOREIGN KEY (categoria_id) REFERENCES governanca_categorias(id) ON DELETE CASCADE
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-  `);
-
-  // Seed padrão: garante que as 6 categorias e 15 itens iniciais existam
-  await seedDefaults(db);
-}
-
-// ═══════════════════════════════════════════════════════════════
-// SEED PADRÃO — 6 categorias + 15 itens (INSERT IGNORE)
-// Roda uma única vez (quando tabelas estão vazias)
-// ═══════════════════════════════════════════════════════════════
-const SEED_CATEGORIAS = [
-  { nome: "Boletim",     cor: "#6366f1", ordem: 1 },
-  { nome: "Professores", cor: "#10b981", ordem: 2 },
-  { nome: "Coordenação", cor: "#f59e0b", ordem: 3 },
-  { nome: "Supervisão",  cor: "#ec4899", ordem: 4 },
-  { nome: "Secretaria",  cor: "#06b6d4", ordem: 5 },
-  { nome: "Avaliações",  cor: "#8b5cf6", ordem: 6 },
-  { nome: "Geral",       cor: "#64748b", ordem: 7 },
-];
-
-const SEED_ITENS = [
-  // Boletim
-  { cat: "Boletim", chave: "boletim.exibir_ano_anterior", descricao: "Boletim mostra nota ano anterior (escolaridade 2 anos)", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 1 },
-  { cat: "Boletim", chave: "boletim.exibir_media_rodape", descricao: "Exibir média por bimestre no rodapé", tipo: "boolean", opcoes: null, valor_padrao: "1", ordem: 2 },
-  { cat: "Boletim", chave: "boletim.exibir_faltas", descricao: "Exibir faltas no boletim", tipo: "boolean", opcoes: null, valor_padrao: "1", ordem: 3 },
-  { cat: "Boletim", chave: "boletim.exibir_ranking", descricao: "Exibir ranking no boletim", tipo: "boolean", opcoes: null, valor_padrao: "1", ordem: 4 },
-  { cat: "Boletim", chave: "boletim.exibir_media_turma", descricao: "Exibir média da turma no boletim", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 5 },
-  // Professores
-  { cat: "Professores", chave: "professor.visualiza_relatorio_disciplinar", descricao: "Professor pode visualizar o relatório disciplinar", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 1 },
-  { cat: "Professores", chave: "professor.acessa_conselho_classe", descricao: "Professor pode acessar o submenu Conselho de Classe", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 2 },
-  { cat: "Professores", chave: "professor.exporta_notas", descricao: "Professor pode exportar notas bimestrais para o boletim", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 3 },
-  // Coordenação
-  { cat: "Coordenação", chave: "coordenador.cria_gabarito", descricao: "Coordenador pode criar gabarito", tipo: "boolean", opcoes: null, valor_padrao: "1", ordem: 1 },
-  { cat: "Coordenação", chave: "coordenador.exporta_notas_bimestrais", descricao: "Coordenador pode exportar notas bimestrais", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 2 },
-  { cat: "Coordenação", chave: "coordenador.acessa_conselho_classe", descricao: "Coordenador pode acessar o Conselho de Classe", tipo: "boolean", opcoes: null, valor_padrao: "1", ordem: 3 },
-  // Supervisão
-  { cat: "Supervisão", chave: "supervisor.cria_gabarito", descricao: "Supervisor pode criar gabarito", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 1 },
-  { cat: "Supervisão", chave: "supervisor.visualiza_relatorio_disciplinar", descricao: "Supervisor pode visualizar relatório disciplinar", tipo: "boolean", opcoes: null, valor_padrao: "1", ordem: 2 },
-  // Secretaria
-  { cat: "Secretaria", chave: "secretaria.importa_alunos", descricao: "Secretaria pode importar alunos via planilha", tipo: "boolean", opcoes: null, valor_padrao: "1", ordem: 1 },
-  { cat: "Secretaria", chave: "secretaria.edita_notas", descricao: "Secretaria pode editar notas diretamente", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 2 },
-  // Avaliações
-  { cat: "Avaliações", chave: "escola.avaliacao_padrao_bimestral", descricao: "Escola adota avaliação padrão bimestral (semana de prova)", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 1 },
-  { cat: "Avaliações", chave: "nota.avaliacao_padrao.bimestral", descricao: "A nota da avaliação padrão bimestral é por área.", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 2 },
-  { cat: "Avaliações", chave: "coordenador.acessa_gabarito", descricao: "Coordenador pode acessar gabarito.", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 3 },
-  { cat: "Avaliações", chave: "supervisor.acessa_gabarito", descricao: "Supervisor pode acessar gabarito.", tipo: "boolean", opcoes: null, valor_padrao: "0", ordem: 4 },
-  // Geral
-  { cat: "Geral", chave: "geral.ano_letivo_ativo", descricao: "Ano letivo ativo no sistema", tipo: "select", opcoes: ["2024", "2025", "2026"], valor_padrao: "2025", ordem: 1 },
-  { cat: "Geral", chave: "geral.bimestre_ativo", descricao: "Bimestre ativo atual", tipo: "select", opcoes: ["1", "2", "3", "4"], valor_padrao: "1", ordem: 2 },
-];
-
-async function seedDefaults(db) {
-  try {
-    const [catCheck] = await db.query("SELECT COUNT(*) AS total FROM governanca_categorias");
-    if (catCheck[0]?.total > 0) return; // já tem dados, não sobrescreve
-
-    // Inserir categorias
-    for (const cat of SEED_CATEGORIAS) {
-      await db.query(
-        "INSERT IGNORE INTO governanca_categorias (nome, cor, ordem) VALUES (?, ?, ?)",
-        [cat.nome, cat.cor, cat.ordem]
-      );
-    }
-
-    // Buscar IDs das categorias recém-inseridas
-    const [cats] = await db.query("SELECT id, nome FROM governanca_categorias");
-    const catMap = {};
-    for (const c of cats) catMap[c.nome] = c.id;
-
-    // Inserir itens
-    for (const item of SEED_ITENS) {
-      const catId = catMap[item.cat];
-      if (!catId) continue;
-      await db.query(
-        `INSERT IGNORE INTO governanca_itens 
-         (categoria_id, chave, descricao, tipo, opcoes_json, valor_padrao, ordem)
-         VALUES (?, ?, ?, ?, ?, ?, ?)`,
-        [catId, item.chave, item.descricao, item.tipo,
-         item.opcoes ? JSON.stringify(item.opcoes) : null,
-         item.valor_padrao, item.ordem]
-      );
-    }
-
-    console.log("[CEO-GOV] Seed padrão aplicado: 6 categorias, 15 itens.");
-  } catch (err) {
-    console.warn("[CEO-GOV] Seed falhou (ignorando):", err?.message || err);
-  }
-}
+// Tabelas e seed padrão: migrations/versions/0040_governanca_template.js
 
 // ═══════════════════════════════════════════════════════════════
 // CATEGORIAS
@@ -138,7 +18,6 @@ async function seedDefaults(db) {
 router.get("/categorias", async (req, res) => {
   const db = req.db;
   try {
-    await ensureTables(db);
     const [rows] = await db.query(
       "SELECT * FROM governanca_categorias ORDER BY ordem ASC, nome ASC"
     );
@@ -157,7 +36,6 @@ router.post("/categorias", async (req, res) => {
     return res.status(400).json({ ok: false, message: "Nome é obrigatório." });
 
   try {
-    await ensureTables(db);
     const [result] = await db.query(
       "INSERT INTO governanca_categorias (nome, icone, cor, ordem) VALUES (?, ?, ?, ?)",
       [nome.trim(), icone || "geral", cor || "#64748b", ordem || 0]
@@ -235,7 +113,6 @@ router.get("/itens", async (req, res) => {
   const catId = req.query.categoria_id ? Number(req.query.categoria_id) : null;
 
   try {
-    await ensureTables(db);
     let query = `
       SELECT i.*, c.nome AS categoria_nome
       FROM governanca_itens i
@@ -267,7 +144,6 @@ router.post("/itens", async (req, res) => {
     return res.status(400).json({ ok: false, message: "categoria_id, chave e descricao são obrigatórios." });
 
   try {
-    await ensureTables(db);
     const [result] = await db.query(
       `INSERT INTO governanca_itens 
        (categoria_id, chave, descricao, tipo, opcoes_json, valor_padrao, ordem)
@@ -340,8 +216,6 @@ router.delete("/itens/:id", async (req, res) => {
 router.get("/completo", async (req, res) => {
   const db = req.db;
   try {
-    await ensureTables(db);
-
     const [cats] = await db.query(
       "SELECT * FROM governanca_categorias WHERE ativo = 1 ORDER BY ordem ASC, nome ASC"
     );
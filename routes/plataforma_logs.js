@@ -0,0 +1,35 @@
+// routes/plataforma_logs.js
+// ============================================================================
+// Níveis de log em runtime (services/logger.js) — Plataforma CEO
+// - Rotas (montadas em /api/plataforma/logs com autenticarToken +
+//   exigirEscopo("plataforma")):
+//     GET /api/plataforma/logs/niveis → { padrao, modulos }
+//     PUT /api/plataforma/logs/niveis → { modulo, nivel }
+//         modulo "*" altera o padrão; nivel null remove o override do módulo
+// - Vale para a instância que atendeu (não persiste): para fixar, use
+//   LOG_LEVEL / LOG_LEVELS no ambiente.
+// ============================================================================
+
+import express from "express";
+import { definirNivel, niveisLog } from "../services/logger.js";
+
+const router = express.Router();
+
+router.get("/niveis", (_req, res) => {
+  return res.json({ ok: true, ...niveisLog() });
+});
+
+router.put("/niveis", (req, res) => {
+  const { modulo, nivel = null } = req.body || {};
+  try {
+    const niveis = definirNivel(modulo, nivel);
+    console.log(`[LOGS] nível de "${String(modulo).toLowerCase()}" → ${nivel ?? "padrão"}`);
+    return res.json({ ok: true, ...niveis });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ ok: false, message: err.message });
+    console.error("[LOGS] Erro ao alterar nível:", err);
+    return res.status(500).json({ ok: false, message: "Erro ao alterar nível de log." });
+  }
+});
+
+export default router;
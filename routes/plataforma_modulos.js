@@ -4,35 +4,7 @@ import express from 'express';
 
 const router = express.Router();
 
-// ── Auto-migrate: garante que a tabela escola_modulos existe ──────────────────
-// Executado uma única vez quando o módulo é importado pelo server.js.
-// Seguro: usa IF NOT EXISTS, não altera dados existentes.
-// ─────────────────────────────────────────────────────────────────────────────
-let _tableMigrated = false;
-router.use(async (req, _res, next) => {
-  if (_tableMigrated) return next();
-  try {
-    await req.db.query(`
-      CREATE TABLE IF NOT EXISTS escola_modulos (
-        id         INT AUTO_INCREMENT PRIMARY KEY,
-        escola_id  INT NOT NULL,
-        modulo     VARCHAR(100) NOT NULL,
-        ativo      TINYINT(1) NOT NULL DEFAULT 0,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        UNIQUE KEY uk_escola_modulo (escola_id, modulo),
-        INDEX      idx_em_escola (escola_id)
-      )
-    `);
-    _tableMigrated = true;
-    console.log('[plataforma_modulos] Tabela escola_modulos verificada/criada ✅');
-  } catch (e) {
-    _tableMigrated = true;
-    if (!String(e.message || '').includes('already exists')) {
-      console.warn('[plataforma_modulos] Auto-migrate aviso:', e.message);
-    }
-  }
-  next();
-});
+// Tabela escola_modulos: migrations/versions/0041_modulos_por_escola.js
 
 const MODULOS_VALIDOS = new Set([
   // Secretaria
@@ -231,33 +203,7 @@ export default router;
 // Hierarquia: CEO (teto) → Diretor (pode manter ou restringir)
 // ══════════════════════════════════════════════════════════════════════════════
 
-// ── Auto-migrate: garante que a tabela escola_perfil_modulos existe ──────────
-let _perfilTableMigrated = false;
-router.use(async (req, _res, next) => {
-  if (_perfilTableMigrated) return next();
-  try {
-    await req.db.query(`
-      CREATE TABLE IF NOT EXISTS escola_perfil_modulos (
-        id         INT AUTO_INCREMENT PRIMARY KEY,
-        escola_id  INT NOT NULL,
-        perfil     VARCHAR(60) NOT NULL,
-        modulo     VARCHAR(100) NOT NULL,
-        ativo      TINYINT(1) NOT NULL DEFAULT 0,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        UNIQUE KEY uk_epm (escola_id, perfil, modulo),
-        INDEX      idx_epm_escola_perfil (escola_id, perfil)
-      )
-    `);
-    _perfilTableMigrated = true;
-    console.log('[plataforma_modulos] Tabela escola_perfil_modulos verificada/criada ✅');
-  } catch (e) {
-    _perfilTableMigrated = true;
-    if (!String(e.message || '').includes('already exists')) {
-      console.warn('[plataforma_modulos] Auto-migrate perfil aviso:', e.message);
-    }
-  }
-  next();
-});
+// Tabela escola_perfil_modulos: migrations/versions/0041_modulos_por_escola.js
 
 // Perfis gerenciáveis pelo CEO (militares fixos não entram aqui)
 // 'diretor' incluído: necessário para configurar escolas CCMDF (ex: CELAN).
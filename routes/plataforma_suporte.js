@@ -2,9 +2,21 @@
 // ============================================================================
 // Painel de Suporte Técnico — CEO/Plataforma
 // Vê todos chamados, responde via thread de mensagens, gerencia status
+// Acesso de suporte: entra na escola como um usuário dela, a partir do
+// chamado (services/personificacao.js) — somente leitura, com prazo e log
 // ============================================================================
 import express from "express";
 import pool from "../db.js";
+import { carregarRbac } from "./auth.js";
+import {
+  encerrarDoChamado,
+  encerrarPersonificacao,
+  escalonarEscrita,
+  iniciarPersonificacao,
+  listarPersonificacoes,
+  obterPersonificacao,
+  solicitarPersonificacao,
+} from "../services/personificacao.js";
 
 const router = express.Router();
 
@@ -103,6 +115,7 @@ router.post("/chamados/:id/mensagem", async (req, res) => {
     const newStatus = status || (mensagem?.trim() ? "respondido" : null);
     if (newStatus) {
       await pool.query(`UPDATE chamados SET status = ? WHERE id = ?`, [newStatus, req.params.id]);
+      if (newStatus === "fechado") await encerrarDoChamado(pool, req.params.id, ceoNome);
     }
 
     res.json({ message: "Resposta enviada" });
@@ -137,6 +150,7 @@ router.patch("/chamados/:id", async (req, res) => {
 
     params.push(req.params.id);
     await pool.query(`UPDATE chamados SET ${updates.join(", ")} WHERE id = ?`, params);
+    if (status === "fechado") await encerrarDoChamado(pool, req.params.id, ceoNome);
     res.json({ message: "Chamado atualizado" });
   } catch (err) {
     console.error("[PlataformaSuporte] PATCH:", err.message);
@@ -144,4 +158,135 @@ router.patch("/chamados/:id", async (req, res) => {
   }
 });
 
+// ════════════════════════════════════════════════════════════════════════════
+// Acesso de suporte (personificação)
+// ════════════════════════════════════════════════════════════════════════════
+
+function solicitante(req) {
+  // Chave do agente IA (id 0) não entra na escola como usuário
+  const id = Number(req.user?.usuarioId || 0);
+  return req.user?.is_agent || !id ? null : { id, nome: req.user?.nome || "Equipe Técnica" };
+}
+
+function erroAcesso(res, err, rota) {
+  if (err.status) return res.status(err.status).json({ message: err.message, code: err.code });
+  console.error(`[PlataformaSuporte] ${rota}:`, err.message);
+  return res.status(500).json({ message: "Erro ao processar acesso de suporte" });
+}
+
+router.use(["/chamados/:id/personificacoes", "/personificacoes"], (req, res, next) => {
+  if (!solicitante(req)) return res.status(403).json({ message: "Acesso de suporte exige login de usuário da plataforma" });
+  next();
+});
+
+// ── GET /api/plataforma/suporte/chamados/:id/usuarios — Quem pode ser personificado ──
+router.get("/chamados/:id/usuarios", async (req, res) => {
+  try {
+    const [[chamado]] = await pool.query(`SELECT id, escola_id, usuario_id FROM chamados WHERE id = ?`, [req.params.id]);
+    if (!chamado) return res.status(404).json({ message: "Chamado não encontrado" });
+
+    const [usuarios] = await pool.query(
+      `SELECT id, nome, perfil, (id = ?) AS autor_do_chamado
+         FROM usuarios WHERE escola_id = ? AND ativo = 1
+        ORDER BY (id = ?) DESC, nome
+        LIMIT 500`,
+      [chamado.usuario_id, chamado.escola_id, chamado.usuario_id]
+    );
+    res.json({ escola_id: chamado.escola_id, usuarios });
+  } catch (err) {
+    erroAcesso(res, err, "GET /chamados/:id/usuarios");
+  }
+});
+
+// ── GET/POST /api/plataforma/suporte/chamados/:id/personificacoes ──
+router.get("/chamados/:id/personificacoes", async (req, res) => {
+  try {
+    res.json(await listarPersonificacoes(pool, { chamadoId: req.params.id }));
+  } catch (err) {
+    erroAcesso(res, err, "GET /chamados/:id/personificacoes");
+  }
+});
+
+router.post("/chamados/:id/personificacoes", async (req, res) => {
+  try {
+    const { usuario_id, motivo, minutos } = req.body || {};
+    const pedido = await solicitarPersonificacao(pool, {
+      chamadoId: req.params.id,
+      usuarioId: usuario_id,
+      motivo,
+      minutos,
+      solicitante: solicitante(req),
+    });
+    console.log(`[PlataformaSuporte] Acesso de suporte #${pedido.id} pedido (chamado ${req.params.id}, ${pedido.status})`);
+    res.status(201).json({
+      message: pedido.exige_aprovacao ? "Pedido enviado ao diretor da escola" : "Acesso aprovado",
+      ...pedido,
+    });
+  } catch (err) {
+    erroAcesso(res, err, "POST /chamados/:id/personificacoes");
+  }
+});
+
+// ── GET /api/plataforma/suporte/personificacoes — Todos os acessos (?escola_id, ?status) ──
+router.get("/personificacoes", async (req, res) => {
+  try {
+    const { escola_id, status, pagina, limite } = req.query;
+    res.json(await listarPersonificacoes(pool, { escolaId: escola_id, status, pagina, limite }));
+  } catch (err) {
+    erroAcesso(res, err, "GET /personificacoes");
+  }
+});
+
+router.get("/personificacoes/:id", async (req, res) => {
+  try {
+    res.json(await obterPersonificacao(pool, req.params.id));
+  } catch (err) {
+    erroAcesso(res, err, "GET /personificacoes/:id");
+  }
+});
+
+// ── POST /api/plataforma/suporte/personificacoes/:id/iniciar — Token (uma vez só) ──
+router.post("/personificacoes/:id/iniciar", async (req, res) => {
+  try {
+    const acesso = await iniciarPersonificacao(pool, {
+      id: req.params.id,
+      solicitanteId: solicitante(req).id,
+      permissoesDe: carregarRbac,
+    });
+    console.log(`[PlataformaSuporte] Acesso de suporte #${req.params.id} iniciado (usuário ${acesso.usuario.id})`);
+    res.json(acesso);
+  } catch (err) {
+    erroAcesso(res, err, "POST /personificacoes/:id/iniciar");
+  }
+});
+
+// ── POST /api/plataforma/suporte/personificacoes/:id/escalonar — Pede escrita ──
+router.post("/personificacoes/:id/escalonar", async (req, res) => {
+  try {
+    const r = await escalonarEscrita(pool, {
+      id: req.params.id,
+      solicitanteId: solicitante(req).id,
+      motivo: req.body?.motivo,
+    });
+    console.warn(`[PlataformaSuporte] Acesso de suporte #${req.params.id}: escrita ${r.escrita}`);
+    res.json({
+      message: r.escrita === "liberada" ? "Escrita liberada" : "Escrita aguardando aprovação do diretor",
+      ...r,
+    });
+  } catch (err) {
+    erroAcesso(res, err, "POST /personificacoes/:id/escalonar");
+  }
+});
+
+router.post("/personificacoes/:id/encerrar", async (req, res) => {
+  try {
+    const quem = solicitante(req);
+    const ok = await encerrarPersonificacao(pool, { id: req.params.id, solicitanteId: quem.id, por: quem.nome });
+    if (!ok) return res.status(409).json({ message: "Acesso já encerrado" });
+    res.json({ message: "Acesso encerrado" });
+  } catch (err) {
+    erroAcesso(res, err, "POST /personificacoes/:id/encerrar");
+  }
+});
+
 export default router;
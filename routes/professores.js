@@ -21,6 +21,9 @@ import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
 // ✅ auth (garante req.user disponível neste router)
 import { autenticarToken } from "../middleware/autenticarToken.js";
 import { verificarEscola } from "../middleware/verificarEscola.js";
+import { TIPO_USUARIO, revogarSessoesDaConta } from "../services/sessoes.js";
+import { capturarNotas, eventosDaCaptura, registrarAlteracoes } from "../services/auditoria.js";
+import { arredondarNota, politicaDaTurma } from "../services/politicaNotas.js";
 
 
 const __filename = fileURLToPath(import.meta.url);
@@ -965,7 +968,9 @@ router.get("/boletim/alunos", autenticarToken, verificarEscola, async (req, res)
       [disciplinaId, bimestre, ano, escolaId, turmaId, escolaId, ano]
     );
 
-    return res.json({ ok: true, alunos: rows });
+    // Faixa da nota (nota máxima / arredondamento) para o campo de lançamento
+    const politica = await politicaDaTurma(pool, escolaId, turmaId, bimestre);
+    return res.json({ ok: true, alunos: rows, politica });
   } catch (err) {
     console.error("Erro ao buscar alunos com notas do boletim:", err);
     return res.status(500).json({ ok: false, message: "Erro ao carregar lista de alunos." });
@@ -1026,6 +1031,16 @@ router.post("/boletim/salvar", autenticarToken, verificarEscola, async (req, res
     }
 
     // 3. Iniciar transação para garantir integridade dos dados
+    const chaveNotas = {
+      escolaId,
+      alunoIds: lancamentos.map((l) => l.aluno_id).filter(Boolean),
+      ano,
+      bimestre,
+      disciplinaId: disciplina_id,
+    };
+    const notasAntes = await capturarNotas(conn, chaveNotas);
+    // Faixa e arredondamento da nota vêm da política de notas da escola
+    const politica = await politicaDaTurma(pool, escolaId, turma_id, bimestre);
     await conn.beginTransaction();
 
     for (const l of lancamentos) {
@@ -1035,9 +1050,10 @@ router.post("/boletim/salvar", autenticarToken, verificarEscola, async (req, res
       let notaValue = nota === "" || nota === null || nota === undefined ? null : parseFloat(String(nota).replace(",", "."));
       let faltasValue = faltas === "" || faltas === null || faltas === undefined ? null : parseInt(faltas, 10);
 
-      if (notaValue !== null && (Number.isNaN(notaValue) || notaValue < 0 || notaValue > 10)) {
-        throw new Error(`Nota inválida para o aluno ID ${aluno_id}. Deve ser entre 0.0 e 10.0.`);
+      if (notaValue !== null && (Number.isNaN(notaValue) || notaValue < 0 || notaValue > politica.maxima_bimestre)) {
+        throw new Error(`Nota inválida para o aluno ID ${aluno_id}. Deve ser entre 0 e ${politica.maxima_bimestre}.`);
       }
+      if (notaValue !== null) notaValue = arredondarNota(notaValue, politica.arredondamento);
       if (faltasValue !== null && (Number.isNaN(faltasValue) || faltasValue < 0)) {
         throw new Error(`Faltas inválidas para o aluno ID ${aluno_id}. Deve ser um número inteiro maior ou igual a 0.`);
       }
@@ -1054,6 +1070,11 @@ router.post("/boletim/salvar", autenticarToken, verificarEscola, async (req, res
       );
     }
 
+    await registrarAlteracoes(
+      conn,
+      req,
+      eventosDaCaptura("notas", notasAntes, await capturarNotas(conn, chaveNotas))
+    );
     await conn.commit();
     return res.json({ ok: true, message: "Notas e faltas do boletim salvas com sucesso." });
   } catch (err) {
@@ -1326,9 +1347,25 @@ router.put("/:id", verificarEscola, async (req, res) => {
   }
 });
 
+// Contas de login (usuarios) da pessoa do professor na escola — todas, não só
+// a de perfil professor: o mesmo CPF pode ter conta de coordenador etc.
+async function usuariosDoProfessor(professorId, escolaId) {
+  const [rows] = await pool.query(
+    `SELECT u.id
+       FROM professores p
+       JOIN usuarios u
+         ON REPLACE(REPLACE(u.cpf, '.', ''), '-', '') = REPLACE(REPLACE(p.cpf, '.', ''), '-', '')
+        AND u.escola_id = p.escola_id
+      WHERE p.id = ? AND p.escola_id = ?`,
+    [professorId, escolaId]
+  );
+  return rows.map((r) => r.id);
+}
+
 // ────────────────────────────────────────────────
 // PUT: Inativar professor
 // ✅ FIX multi-escola: exige escola_id do token — impede escola A de inativar professor da escola B
+// Também desativa o login e derruba as sessões abertas (services/sessoes.js)
 // ────────────────────────────────────────────────
 router.put("/inativar/:id", verificarEscola, async (req, res) => {
   try {
@@ -1340,7 +1377,21 @@ router.put("/inativar/:id", verificarEscola, async (req, res) => {
     if (!result.affectedRows) {
       return res.status(404).json({ message: "Professor não encontrado ou não pertence à sua escola." });
     }
-    res.json({ message: "Professor inativado com sucesso." });
+
+    const usuarioIds = await usuariosDoProfessor(req.params.id, escola_id);
+    const por = req.user.usuarioId || req.user.id || req.user.usuario_id || null;
+    let sessoesRevogadas = 0;
+    for (const uid of usuarioIds) {
+      await pool.query("UPDATE usuarios SET ativo = 0 WHERE id = ?", [uid]);
+      sessoesRevogadas += await revogarSessoesDaConta(pool, {
+        tipoConta: TIPO_USUARIO,
+        contaId: uid,
+        por,
+        motivo: "professor_inativado",
+      });
+    }
+
+    res.json({ message: "Professor inativado com sucesso.", sessoes_revogadas: sessoesRevogadas });
   } catch (err) {
     console.error("Erro ao inativar professor:", err);
     res.status(500).json({ message: "Erro ao inativar professor." });
@@ -1361,6 +1412,15 @@ router.put("/ativar/:id", verificarEscola, async (req, res) => {
     if (!result.affectedRows) {
       return res.status(404).json({ message: "Professor não encontrado ou não pertence à sua escola." });
     }
+    // Reativa o login só de quem já tinha senha (pré-cadastro segue pendente)
+    const usuarioIds = await usuariosDoProfessor(req.params.id, escola_id);
+    if (usuarioIds.length) {
+      await pool.query(
+        "UPDATE usuarios SET ativo = 1 WHERE id IN (?) AND senha_hash IS NOT NULL AND senha_hash <> ''",
+        [usuarioIds]
+      );
+    }
+
     res.json({ message: "Professor ativado com sucesso." });
   } catch (err) {
     console.error("Erro ao ativar professor:", err);
@@ -2,8 +2,8 @@
 import express from 'express';
 import multer from 'multer';
 import crypto from 'crypto';
-import sharp from 'sharp';
 import { uploadFileBufferToSpaces } from '../storage/spacesUpload.js';
+import { contabilizarUso, processarUpload } from '../services/uploadSeguro.js';
 import { autenticarToken } from '../middleware/autenticarToken.js'; // Note: path in task was ../middleware/auth.js, but I see server.js uses ./middleware/autenticarToken.js
 
 const router = express.Router();
@@ -20,11 +20,9 @@ const upload = multer({
 router.post('/upload-imagem', autenticarToken, upload.single('imagem'), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ message: 'Nenhum arquivo enviado.' });
-    const processed = await sharp(req.file.buffer)
-      .rotate()
-      .resize({ width: 1200, height: 1200, fit: 'inside', withoutEnlargement: true })
-      .jpeg({ quality: 85, mozjpeg: true })
-      .toBuffer();
+    // assinatura real, poliglota, cota; sai JPEG 1200px sem EXIF
+    const escolaId = req.user?.escola_id ?? null;
+    const { buffer: processed } = await processarUpload(req.db, req.file, { perfil: 'questao_imagem', escolaId });
     const ts = Date.now();
     const rand = crypto.randomBytes(4).toString('hex');
     const objectKey = `uploads/questoes/${ts}_${rand}.jpg`;
@@ -34,8 +32,10 @@ router.post('/upload-imagem', autenticarToken, upload.single('imagem'), async (r
       objectKey,
       cacheControl: 'public, max-age=31536000',
     });
+    await contabilizarUso(req.db, escolaId, processed.length);
     res.json({ url: publicUrl, objectKey });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message, codigo: err.codigo });
     console.error('[questaoUpload]', err);
     res.status(500).json({ message: err.message || 'Erro no upload.' });
   }
@@ -7,6 +7,8 @@ import { uploadQuestao, extrairTextoQuestao, uploadPdfQuestao } from "../control
 import multer from "multer";
 import path from "path";
 import fs from "fs";
+import crypto from "crypto";
+import { middlewareUploadSeguro } from "../services/uploadSeguro.js";
 
 
 
@@ -29,16 +31,19 @@ const storage = multer.diskStorage({
     cb(null, uploadDir);
   },
   filename: (_req, file, cb) => {
-    // Adiciona timestamp para evitar conflito de nomes
-    const nomeFinal = `${Date.now()}_${file.originalname}`;
+    // Timestamp + aleatório; do nome do cliente só a extensão (sem "../", espaços, etc.)
+    const ext = path.extname(file.originalname || "").toLowerCase().replace(/[^.a-z0-9]/g, "").slice(0, 6);
+    const nomeFinal = `${Date.now()}_${crypto.randomBytes(6).toString("hex")}${ext}`;
     cb(null, nomeFinal);
   }
 });
 
 // 4) Função fileFilter corrigida (arrow function com =>)
+//    Só corta cedo pelo mimetype declarado; o conteúdo real é conferido por
+//    middlewareUploadSeguro("questao_midia") depois de gravado.
 const fileFilter = (_req, file, cb) => {
-  // Aceita apenas imagens (jpeg, png) e áudios (mpeg/mp3, wav)
-  const tiposPermitidos = ["image/jpeg", "image/png", "audio/mpeg", "audio/wav"];
+  // Aceita imagens (jpeg, png), áudios (mpeg/mp3, wav) e PDF (/upload-pdf)
+  const tiposPermitidos = ["image/jpeg", "image/png", "audio/mpeg", "audio/wav", "application/pdf"];
   if (tiposPermitidos.includes(file.mimetype)) {
     cb(null, true);
   } else {
@@ -55,7 +60,7 @@ const upload = multer({
 const router = express.Router();
 
 // Definição da rota: POST /api/questoes/upload
-router.post("/upload", upload.single("file"), uploadQuestao);
+router.post("/upload", upload.single("file"), middlewareUploadSeguro("questao_midia"), uploadQuestao);
 
 
 
@@ -64,6 +69,7 @@ router.post("/upload", upload.single("file"), uploadQuestao);
 router.post(
   "/extrair",
   upload.single("file"),
+  middlewareUploadSeguro("questao_midia"),
   extrairTextoQuestao
 );
 
@@ -75,6 +81,7 @@ router.post(
   router.post(
     "/upload-pdf",
     upload.single("file"),
+    middlewareUploadSeguro("questao_midia"),
     uploadPdfQuestao
   );
 
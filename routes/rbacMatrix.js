@@ -25,6 +25,22 @@ export const RBAC_MATRIX = Object.freeze({
     "professores:editar",
     "professores:inativar",
     "capture_devices.gerenciar",   // EDUCA-CAPTURE: gerir dispositivos da escola
+    "auditoria:ver",               // trilha de alterações (notas, ocorrências, alunos)
+    "notificacoes:ver",            // entrega das notificações aos responsáveis
+    "notificacoes:reenviar",
+    "boletins:publicar",           // publica o boletim do bimestre (avisa os pais)
+    "lgpd:ver",                    // solicitações do titular (LGPD art. 18)
+    "lgpd:atender",
+    "lgpd:anonimizar",             // irreversível: só a direção
+    "retencao:ver",                // prazos de retenção, relatório de expurgo
+    "retencao:configurar",
+    "retencao:bloquear",           // trava legal em ocorrência disciplinar
+    "suporte:aprovar_acesso",      // acesso de suporte do CEO como usuário da escola
+    "frequencia:editar_bloqueada", // corrige chamada depois do prazo do professor
+    "calendario:editar",           // calendário letivo: períodos, feriados, sábados letivos
+    "resultado_final:editar",      // recuperação final e ajuste do resultado do aluno
+    "resultado_final:publicar",    // publica (e trava) o resultado final da turma
+    "resultado_final:conselho",    // decisão do conselho de classe (aprovado pelo conselho)
   ],
 
   // ✅ [GOVERNANÇA v2] Diretor Disciplinar (CCMDF — Comandante)
@@ -34,6 +50,10 @@ export const RBAC_MATRIX = Object.freeze({
     "usuarios:criar",
     "usuarios:editar",
     "usuarios:inativar",
+    "auditoria:ver",
+    "notificacoes:ver",
+    "retencao:ver",
+    "retencao:bloquear",
   ],
 
   // Gestão pedagógica (pode aprovar/reabrir dependendo da sua regra)
@@ -46,6 +66,12 @@ export const RBAC_MATRIX = Object.freeze({
     "conteudos:reabrir",
     "usuarios:ver",
     "professores:ver",
+    "auditoria:ver",
+    "notificacoes:ver",
+    "notificacoes:reenviar",
+    "boletins:publicar",
+    "frequencia:editar_bloqueada",
+    "resultado_final:conselho",
   ],
 
   supervisor: [
@@ -75,6 +101,15 @@ export const RBAC_MATRIX = Object.freeze({
     "usuarios:criar",
     "usuarios:editar",
     "professores:ver",
+    "notificacoes:ver",
+    "notificacoes:reenviar",
+    "boletins:publicar",
+    "frequencia:editar_bloqueada",
+    "calendario:editar",
+    "resultado_final:editar",
+    "resultado_final:publicar",
+    "lgpd:ver",
+    "lgpd:atender",
   ],
 
   secretaria: [
@@ -82,6 +117,15 @@ export const RBAC_MATRIX = Object.freeze({
     "usuarios:criar",
     "usuarios:editar",
     "professores:ver",
+    "notificacoes:ver",
+    "notificacoes:reenviar",
+    "boletins:publicar",
+    "frequencia:editar_bloqueada",
+    "calendario:editar",
+    "resultado_final:editar",
+    "resultado_final:publicar",
+    "lgpd:ver",
+    "lgpd:atender",
   ],
 
   admin: [
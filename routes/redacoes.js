@@ -1,9 +1,10 @@
 import express from "express";
 import multer from "multer";
-import path from "path";
-import fs from "fs";
 import pool from "../db.js";
 import OpenAI from "openai";
+import { cabecalhosCorrelacao } from "../services/logger.js";
+import { medirDependencia, registrarUsoOpenAI } from "../services/metricas.js";
+import { ehChaveArmazenada, salvarUpload, urlDoArquivo } from "../services/arquivos.js";
 
 const router = express.Router();
 
@@ -15,39 +16,53 @@ function verificarEscola(req, res, next) {
   next();
 }
 
-// Configura o Multer para salvar na pasta uploads/redacoes
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const dir = "./uploads/redacoes";
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-    cb(null, dir);
-  },
-  filename: function (req, file, cb) {
-    // Usa o código do aluno como nome do arquivo, mantém a extensão
-    const ext = path.extname(file.originalname) || ".jpg";
-    const codigo = req.body.codigo || "sem-codigo";
-    cb(null, `${codigo}${ext}`);
-  }
-});
-const upload = multer({ storage });
+// Imagem em memória → pipeline de upload (services/uploadSeguro.js) →
+// armazenamento privado (services/arquivos.js), com chave por conteúdo. Antes
+// ia para ./uploads/redacoes, servido publicamente e com o código do aluno no
+// nome do arquivo.
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024, files: 1 } });
 
 // Rota para salvar redação e imagem
 router.post("/salvar", verificarEscola, upload.single("imagem"), async (req, res) => {
   const { codigo, nome, turma, texto } = req.body;
   const { escola_id } = req.user;
-  const imagem = req.file ? `/uploads/redacoes/${req.file.filename}` : null;
 
-  if (!codigo || !nome || !turma || !texto || !imagem) {
+  if (!codigo || !nome || !turma || !texto || !req.file) {
     return res.status(400).json({ error: "Campos obrigatórios ausentes." });
   }
   try {
-    await pool.query(
+    const { chave } = await salvarUpload(pool, req.file, { categoria: "redacao", perfil: "imagem", escolaId: escola_id });
+    const [r] = await pool.query(
       "INSERT INTO redacoes (codigo, nome, turma, texto, imagem, escola_id) VALUES (?, ?, ?, ?, ?, ?)",
-      [codigo, nome, turma, texto, imagem, escola_id]
+      [codigo, nome, turma, texto, chave, escola_id]
+    );
+    res.json({ success: true, id: r.insertId });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, codigo: err.codigo });
+    console.error("[REDACOES] Erro ao salvar redação:", err.message);
+    res.status(500).json({ error: "Erro ao salvar redação." });
+  }
+});
+
+// URL assinada (curta) da imagem da redação
+router.get("/:id/imagem", verificarEscola, async (req, res) => {
+  try {
+    const [[redacao]] = await pool.query(
+      "SELECT id, codigo, imagem FROM redacoes WHERE id = ? AND escola_id = ? LIMIT 1",
+      [req.params.id, req.user.escola_id]
     );
-    res.json({ success: true });
+    if (!redacao?.imagem) return res.status(404).json({ error: "Imagem não encontrada." });
+    if (!ehChaveArmazenada(redacao.imagem)) {
+      return res.status(409).json({
+        error: "Imagem ainda no disco legado. Rode scripts/migrar-arquivos.js para movê-la ao armazenamento.",
+        codigo: "ARQUIVO_LEGADO",
+      });
+    }
+    const { url, expira_em } = await urlDoArquivo(redacao.imagem, { nome: `redacao_${redacao.id}${redacao.imagem.slice(redacao.imagem.lastIndexOf("."))}` });
+    res.json({ url, expira_em });
   } catch (err) {
-    res.status(500).json({ error: "Erro ao salvar redação.", details: err });
+    console.error("[REDACOES] Erro ao gerar URL da imagem:", err.message);
+    res.status(500).json({ error: "Erro ao gerar URL da imagem." });
   }
 });
 
@@ -80,12 +95,16 @@ router.post("/corrigir", verificarEscola, async (req, res) => {
   }
 
   try {
-    const completion = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [{ role: "user", content: prompt }],
-      temperature: 0.3,
-      max_tokens: 900
-    });
+    const modelo = "gpt-3.5-turbo";
+    const completion = await medirDependencia("openai", "chat.completions", () =>
+      openai.chat.completions.create({
+        model: modelo,
+        messages: [{ role: "user", content: prompt }],
+        temperature: 0.3,
+        max_tokens: 900
+      }, { headers: cabecalhosCorrelacao() })
+    );
+    registrarUsoOpenAI({ modelo, usage: completion.usage, escolaId: req.user?.escola_id });
     res.json({ correcao: completion.choices[0].message.content });
   } catch (err) {
     console.error(err);
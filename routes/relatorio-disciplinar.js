@@ -15,6 +15,7 @@ import { fileURLToPath } from "url";
 import { existsSync } from "fs";
 import pool from "../db.js";
 import { getEscolaLogos } from "../utils/logoHelper.js";
+import { anoLetivoAtual, hojeNoFuso, periodoDaData } from "../services/calendarioLetivo.js";
 
 const router = Router();
 const __dirname = dirname(fileURLToPath(import.meta.url));
@@ -80,7 +81,7 @@ async function calcularEUpsertMerito(alunoId, escolaId) {
   let bonusTotal = 0;
 
   try {
-    const anoAtual = new Date().getFullYear();
+    const anoAtual = await anoLetivoAtual(pool, escolaId);
     // Data âncora padrão: 15/02 do ano corrente (dia juliano 46)
     const dataAncoraPadrao = new Date(`${anoAtual}-02-15T00:00:00`);
     const hoje = new Date();
@@ -185,7 +186,7 @@ async function calcularEUpsertBonusMedia(alunoId, escolaId) {
   const PONTOS_BONUS = 0.50;
 
   try {
-    const anoAtual = new Date().getFullYear();
+    const anoAtual = await anoLetivoAtual(pool, escolaId);
 
     // 1. Garantir que existem os 4 registros-referência em registros_ocorrencias
     for (const bim of [1, 2, 3, 4]) {
@@ -294,9 +295,10 @@ async function calcularEUpsertBonusMedia(alunoId, escolaId) {
 router.get("/semestral", async (req, res) => {
   try {
     const { escola_id } = req.user;
-    const anoAtual = new Date().getFullYear();
-    const mesAtual = new Date().getMonth() + 1; // 1-12
-    const semestreDefault = mesAtual <= 6 ? 1 : 2;
+    // Ano e semestre correntes pelo calendário da escola (fora de semestre: pelo mês)
+    const periodo = await periodoDaData(pool, escola_id, hojeNoFuso(), "semestre");
+    const anoAtual = periodo.ano;
+    const semestreDefault = periodo.numero ?? (new Date().getMonth() + 1 <= 6 ? 1 : 2);
 
     const ano      = parseInt(req.query.ano)      || anoAtual;
     const semestre = parseInt(req.query.semestre) || semestreDefault;
@@ -1646,7 +1648,7 @@ router.get("/:alunoId", async (req, res) => {
     // ── Saldo Inicial: pontuação com que o aluno abre o ano letivo ───────────
     // Se tiver registros no ano anterior → pontuação final daquele ano
     // Senão → 8,00 (padrão de ingresso)
-    const anoAtualRelatorio = new Date().getFullYear();
+    const anoAtualRelatorio = await anoLetivoAtual(pool, escola_id);
     const [regAnoAnterior] = await pool.query(
       `SELECT COALESCE(SUM(
          CASE WHEN o.status = 'CANCELADA' THEN 0
@@ -1,5 +1,14 @@
 import express from "express";
 import pool from "../db.js";
+import { autorizarPermissao } from "../middleware/autorizarPermissao.js";
+import { validar } from "../middleware/validarRequisicao.js";
+import * as schemas from "../schemas/responsaveis.js";
+import {
+  alunosComConsentimento,
+  relatorioConsentimento,
+  revogarConsentimento,
+} from "../services/consentimentoImagem.js";
+import { TIPO_RESPONSAVEL, revogarSessoesDaConta } from "../services/sessoes.js";
 
 const router = express.Router();
 
@@ -286,6 +295,55 @@ router.post("/:id/consentimento-imagem", async (req, res) => {
   }
 });
 
+// REVOGAR CONSENTIMENTO DE USO DE IMAGEM (CANAL FÍSICO)
+// Responsável entregou o pedido de revogação na escola. Grava 'REVOGAR' no log
+// imutável e apaga os embeddings do aluno (services/consentimentoImagem.js).
+router.post("/:id/consentimento-imagem/revogar", validar(schemas.revogarConsentimento), async (req, res) => {
+  try {
+    const { escola_id, usuario_id } = req.user;
+
+    const [[confirmanteRow]] = await pool.query(
+      "SELECT nome FROM usuarios WHERE id = ? LIMIT 1",
+      [usuario_id || null]
+    ).catch(() => [[null]]);
+
+    const resultado = await revogarConsentimento(pool, {
+      responsavelId: Number(req.params.id),
+      alunoIds: req.body.aluno_ids,
+      escolaId: escola_id,
+      canal: "FISICO",
+      plataforma: "fisico",
+      ip: req.headers["x-forwarded-for"]?.split(",")[0]?.trim() || req.ip || null,
+      userAgent: req.headers["user-agent"] || null,
+      usuarioId: usuario_id || null,
+      usuarioNome: confirmanteRow?.nome || null,
+    });
+
+    res.json({ message: "Consentimento revogado.", ...resultado });
+  } catch (err) {
+    if (err.status === 404) return res.status(404).json({ error: err.message });
+    console.error("Erro ao revogar consentimento:", err);
+    res.status(500).json({ error: "Erro ao revogar consentimento." });
+  }
+});
+
+// RELATÓRIO: ALUNOS SEM CONSENTIMENTO DE IMAGEM VÁLIDO
+// ausente = nenhum responsável consentiu; expirado = termo desatualizado ou vencido
+router.get(
+  "/consentimento-imagem/relatorio",
+  autorizarPermissao("lgpd:ver"),
+  validar(schemas.relatorioConsentimento),
+  async (req, res) => {
+    try {
+      const relatorio = await relatorioConsentimento(pool, req.user.escola_id, { situacao: req.query.situacao });
+      res.json(relatorio);
+    } catch (err) {
+      console.error("Erro ao gerar relatório de consentimento:", err);
+      res.status(500).json({ error: "Erro ao gerar relatório de consentimento." });
+    }
+  }
+);
+
 
 // BUSCAR ALUNOS PARA O SELECT DE VÍNCULO
 router.get("/buscar-alunos", async (req, res) => {
@@ -431,6 +489,21 @@ router.put("/:id", async (req, res) => {
   }
 });
 
+// Responsável que ficou sem nenhum vínculo ativo perde o acesso ao APP Pais na hora
+async function revogarSessoesSeSemVinculo(responsavelId, req) {
+  const [[row]] = await pool.query(
+    "SELECT COUNT(*) AS ativos FROM responsaveis_alunos WHERE responsavel_id = ? AND ativo = 1",
+    [responsavelId]
+  );
+  if (Number(row?.ativos || 0) > 0) return 0;
+  return revogarSessoesDaConta(pool, {
+    tipoConta: TIPO_RESPONSAVEL,
+    contaId: responsavelId,
+    por: req.user?.usuarioId || req.user?.id || req.user?.usuario_id || null,
+    motivo: "vinculo_removido",
+  });
+}
+
 // DESVINCULAR ALUNO ESPECÍFICO DE UM RESPONSÁVEL (por vinculo_id da tabela responsaveis_alunos)
 // Usado quando há divórcio/separação e o vínculo com um aluno específico precisa ser removido.
 router.delete("/vinculo/:vinculo_id", async (req, res) => {
@@ -438,6 +511,11 @@ router.delete("/vinculo/:vinculo_id", async (req, res) => {
     const { escola_id } = req.user;
     const { vinculo_id } = req.params;
 
+    const [[vinculo]] = await pool.query(
+      "SELECT responsavel_id FROM responsaveis_alunos WHERE id = ? AND escola_id = ?",
+      [vinculo_id, escola_id]
+    );
+
     const [result] = await pool.query(
       "DELETE FROM responsaveis_alunos WHERE id = ? AND escola_id = ?",
       [vinculo_id, escola_id]
@@ -447,6 +525,8 @@ router.delete("/vinculo/:vinculo_id", async (req, res) => {
       return res.status(404).json({ error: "Vínculo não encontrado ou sem permissão para removê-lo." });
     }
 
+    await revogarSessoesSeSemVinculo(vinculo.responsavel_id, req);
+
     res.json({ message: "Vínculo removido com sucesso." });
   } catch (err) {
     console.error("Erro ao desvincular aluno:", err);
@@ -465,6 +545,8 @@ router.delete("/:id", async (req, res) => {
       [id, escola_id]
     );
 
+    await revogarSessoesSeSemVinculo(id, req);
+
     res.json({ message: "Vínculo removido com sucesso." });
   } catch (err) {
     console.error("Erro ao remover responsável:", err);
@@ -479,14 +561,10 @@ router.get("/consentimento-imagem/aluno/:aluno_id", async (req, res) => {
     const { escola_id } = req.user;
     const { aluno_id } = req.params;
 
-    const [[row]] = await pool.query(
-      `SELECT COUNT(*) AS total
-       FROM responsaveis_alunos
-       WHERE aluno_id = ? AND escola_id = ? AND ativo = 1 AND consentimento_imagem = 1`,
-      [aluno_id, escola_id]
-    );
+    // Mesma política do reconhecimento facial (versão do termo e validade)
+    const permitidos = await alunosComConsentimento(pool, escola_id, [Number(aluno_id)]);
 
-    res.json({ autorizado: (row?.total || 0) > 0 });
+    res.json({ autorizado: permitidos.has(Number(aluno_id)) });
   } catch (err) {
     console.error("Erro ao verificar consentimento:", err);
     res.status(500).json({ error: "Erro ao verificar consentimento." });
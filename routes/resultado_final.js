@@ -0,0 +1,337 @@
+// routes/resultado_final.js
+// ============================================================================
+// Resultado final do ano por turma (services/resultadoFinal.js)
+// - Rotas (montadas em /api/resultado-final com autenticarToken + verificarEscola):
+//     GET  /api/resultado-final/turma?turma_id=&ano=    → revisão da secretaria
+//     POST /api/resultado-final/recuperacao-final       → nota da recuperação final
+//     PUT  /api/resultado-final/aluno/:alunoId          → ajuste manual (justificativa)
+//     POST /api/resultado-final/publicar                → grava a fotografia e trava
+//     GET  /api/resultado-final/ata/pdf?turma_id=&ano=  → ata de resultados finais
+// - Leitura: qualquer usuário da escola. Recuperação final e ajuste:
+//   resultado_final:editar. Publicação: resultado_final:publicar.
+// - Depois de publicado tudo responde 409 RESULTADO_PUBLICADO; a ata sai do
+//   que foi publicado (antes disso, marcada como PRÉVIA).
+// ============================================================================
+
+import express from "express";
+import PDFDocument from "pdfkit";
+import { PassThrough } from "stream";
+import pool from "../db.js";
+import { autorizarPermissao } from "../middleware/autorizarPermissao.js";
+import { validar } from "../middleware/validarRequisicao.js";
+import * as schemas from "../schemas/resultadoFinal.js";
+import { registrarAlteracao } from "../services/auditoria.js";
+import { criarLogger } from "../services/logger.js";
+import {
+  ROTULO_RESULTADO,
+  ajustarResultado,
+  lancarRecuperacaoFinal,
+  publicarResultado,
+  resultadoDaTurma,
+} from "../services/resultadoFinal.js";
+import { getEscolaLogos } from "../utils/logoHelper.js";
+
+const router = express.Router();
+const log = criarLogger("resultado-final");
+
+function getUserId(req) {
+  return req.user?.usuarioId || req.user?.id || req.user?.usuario_id || null;
+}
+
+function responderErro(res, err, contexto, mensagem) {
+  if (err.status) {
+    return res.status(err.status).json({ ok: false, code: err.code, message: err.message, ...(err.pendentes ? { pendentes: err.pendentes } : {}) });
+  }
+  log.error(contexto, { erro: err });
+  return res.status(500).json({ ok: false, message: mensagem });
+}
+
+router.get("/turma", validar(schemas.resultadoDaTurma), async (req, res) => {
+  try {
+    const resultado = await resultadoDaTurma(pool, { escolaId: req.escola_id, turmaId: req.query.turma_id, ano: req.query.ano });
+    return res.json({ ok: true, ...resultado });
+  } catch (err) {
+    return responderErro(res, err, "Erro ao calcular turma", "Erro ao calcular o resultado final da turma.");
+  }
+});
+
+router.post(
+  "/recuperacao-final",
+  autorizarPermissao("resultado_final:editar"),
+  validar(schemas.recuperacaoFinal),
+  async (req, res) => {
+    try {
+      const { turma_id, ano, aluno_id, disciplina_id, nota } = req.body;
+      const r = await lancarRecuperacaoFinal(pool, {
+        escolaId: req.escola_id,
+        turmaId: turma_id,
+        ano,
+        alunoId: aluno_id,
+        disciplinaId: disciplina_id,
+        nota,
+        usuarioId: getUserId(req),
+      });
+      await registrarAlteracao(pool, req, {
+        entidade: "notas_recuperacao_final",
+        entidadeId: `${r.ano}:${aluno_id}:${disciplina_id}`,
+        alunoId: aluno_id,
+        antes: r.antes,
+        depois: r.depois,
+      });
+      return res.json({ ok: true, ano: r.ano, nota: r.depois?.nota ?? null });
+    } catch (err) {
+      return responderErro(res, err, "Erro na recuperação final", "Erro ao lançar a recuperação final.");
+    }
+  }
+);
+
+router.put(
+  "/aluno/:alunoId",
+  autorizarPermissao("resultado_final:editar"),
+  validar(schemas.ajustarResultado),
+  async (req, res) => {
+    try {
+      const alunoId = Number(req.params.alunoId);
+      const { turma_id, ano, resultado, justificativa } = req.body;
+      const r = await ajustarResultado(pool, {
+        escolaId: req.escola_id,
+        turmaId: turma_id,
+        ano,
+        alunoId,
+        resultado,
+        justificativa,
+        usuarioId: getUserId(req),
+      });
+      await registrarAlteracao(pool, req, {
+        entidade: "resultado_final_alunos",
+        entidadeId: `${r.ano}:${turma_id}:${alunoId}`,
+        alunoId,
+        antes: r.antes,
+        depois: r.depois.resultado_ajustado ? r.depois : null,
+      });
+      return res.json({ ok: true, ano: r.ano, ...r.depois });
+    } catch (err) {
+      return responderErro(res, err, "Erro no ajuste", "Erro ao ajustar o resultado do aluno.");
+    }
+  }
+);
+
+router.post("/publicar", autorizarPermissao("resultado_final:publicar"), validar(schemas.publicar), async (req, res) => {
+  try {
+    const { turma_id, ano, ignorar_pendencias } = req.body;
+    const r = await publicarResultado(pool, {
+      escolaId: req.escola_id,
+      turmaId: turma_id,
+      ano,
+      usuarioId: getUserId(req),
+      ignorarPendencias: !!ignorar_pendencias,
+    });
+    log.info("resultado final publicado", { turma_id: Number(turma_id), turma: r.turma.nome, ano: r.ano });
+    return res.json({ ok: true, ano: r.ano, resumo: r.resumo });
+  } catch (err) {
+    return responderErro(res, err, "Erro ao publicar", "Erro ao publicar o resultado final.");
+  }
+});
+
+// ─── Ata de resultados finais (PDF) ─────────────────────────────────────────
+
+const AZUL = "#1e3a5f";
+const CINZA = "#555555";
+const BORDER = "#e2e8f0";
+const DOURADO = "#b8860b";
+
+const COR_RESULTADO = {
+  aprovado: "#0a6640",
+  aprovado_conselho: "#1d4ed8",
+  dependencia: "#b45309",
+  reprovado: "#b91c1c",
+};
+
+function drawHeader(doc, escola, logos, L, PW) {
+  const top = doc.y;
+  const sz = 50;
+  if (logos.hasLeft) doc.image(logos.left, L, top, { width: sz, height: sz });
+  if (logos.hasRight) doc.image(logos.right, L + PW - sz, top, { width: sz, height: sz });
+  const hx = L + sz + 8, hw = PW - (sz + 8) * 2;
+  doc.font("Helvetica-Bold").fontSize(8.5).fillColor(AZUL)
+    .text("SECRETARIA DE ESTADO DE EDUCAÇÃO DO DISTRITO FEDERAL", hx, top + 2, { width: hw, align: "center" });
+  doc.font("Helvetica-Bold").fontSize(8).fillColor(AZUL)
+    .text(`COORDENAÇÃO REGIONAL DE ENSINO DE ${(escola?.cidade || "PLANALTINA").toUpperCase()}`, hx, doc.y + 1, { width: hw, align: "center" });
+  const nome = escola?.apelido ? `${escola.nome} — ${escola.apelido}` : (escola?.nome || "");
+  doc.font("Helvetica-Bold").fontSize(9).fillColor(AZUL)
+    .text(nome.toUpperCase(), hx, doc.y + 1, { width: hw, align: "center" });
+  doc.font("Helvetica").fontSize(7.5).fillColor(CINZA)
+    .text(escola?.endereco || "", hx, doc.y + 1, { width: hw, align: "center" });
+  doc.y = top + sz + 4;
+  doc.moveTo(L, doc.y).lineTo(L + PW, doc.y).strokeColor(DOURADO).lineWidth(2).stroke();
+  doc.y += 3;
+  doc.moveTo(L, doc.y).lineTo(L + PW, doc.y).strokeColor(AZUL).lineWidth(0.8).stroke();
+  doc.y += 8;
+}
+
+function drawFooter(doc, pageNum, L, PW, PAGE_H, previa) {
+  doc.font("Helvetica").fontSize(6.5).fillColor("#aaa")
+    .text(
+      `Ata de Resultados Finais${previa ? " (PRÉVIA)" : ""}  •  Gerado em ${new Date().toLocaleDateString("pt-BR")}  •  EDUCA.MELHOR  •  Página ${pageNum}`,
+      L, PAGE_H - 22, { width: PW, align: "center", lineBreak: false }
+    );
+}
+
+const fmtNota = (n) => (n == null ? "—" : String(n).replace(".", ","));
+const sigla = (nome) => String(nome || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toUpperCase().slice(0, 5);
+
+router.get("/ata/pdf", validar(schemas.ataPdf), async (req, res) => {
+  try {
+    const escolaId = req.escola_id;
+    const r = await resultadoDaTurma(pool, { escolaId, turmaId: req.query.turma_id, ano: req.query.ano });
+    const previa = !r.publicado;
+
+    const [[escola]] = await pool.query(
+      "SELECT nome, apelido, endereco, cidade FROM escolas WHERE id = ? LIMIT 1", [escolaId]
+    );
+    const logos = await getEscolaLogos(escolaId);
+
+    // A4 paisagem: uma coluna por disciplina
+    const L = 30, R = 30;
+    const PAGE_W = 841.89, PAGE_H = 595.28;
+    const PW = PAGE_W - L - R;
+    const CONTENT_MAX_Y = PAGE_H - 40;
+
+    const doc = new PDFDocument({
+      size: "A4",
+      layout: "landscape",
+      margins: { top: 24, bottom: 0, left: L, right: R },
+      info: {
+        Title: `Ata de Resultados Finais — ${r.turma.nome} — ${r.ano}`,
+        Author: "EDUCA.MELHOR",
+        Subject: "Resultado Final",
+      },
+    });
+
+    const nomeTurmaArquivo = (r.turma.nome || "turma").replace(/\s/g, "_").replace(/[^a-zA-Z0-9_]/g, "");
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="Ata_Resultado_Final_${nomeTurmaArquivo}_${r.ano}.pdf"`);
+
+    const chunks = [];
+    const pt = new PassThrough();
+    pt.on("data", (c) => chunks.push(c));
+    doc.pipe(pt);
+
+    // Colunas: nº | aluno | disciplinas... | freq. | resultado
+    const W_NUM = 20, W_FREQ = 38, W_RES = 92;
+    const nDisc = Math.max(r.disciplinas.length, 1);
+    const W_DISC = Math.max(26, Math.min(44, (PW - W_NUM - W_FREQ - W_RES - 170) / nDisc));
+    const W_NOME = PW - W_NUM - W_FREQ - W_RES - W_DISC * r.disciplinas.length;
+    const ROW_H = 15;
+
+    let pageNum = 1;
+    const cabecalhoTabela = () => {
+      const y = doc.y;
+      doc.rect(L, y, PW, ROW_H + 2).fill(AZUL);
+      doc.font("Helvetica-Bold").fontSize(6.5).fillColor("#ffffff");
+      let x = L;
+      doc.text("Nº", x, y + 5, { width: W_NUM, align: "center", lineBreak: false }); x += W_NUM;
+      doc.text("ESTUDANTE", x + 4, y + 5, { width: W_NOME - 8, lineBreak: false }); x += W_NOME;
+      for (const d of r.disciplinas) {
+        doc.text(sigla(d.nome), x, y + 5, { width: W_DISC, align: "center", lineBreak: false }); x += W_DISC;
+      }
+      doc.text("FREQ.", x, y + 5, { width: W_FREQ, align: "center", lineBreak: false }); x += W_FREQ;
+      doc.text("RESULTADO", x, y + 5, { width: W_RES, align: "center", lineBreak: false });
+      doc.y = y + ROW_H + 2;
+    };
+    const novaPagina = () => {
+      drawFooter(doc, pageNum, L, PW, PAGE_H, previa);
+      doc.addPage();
+      pageNum++;
+      drawHeader(doc, escola, logos, L, PW);
+      cabecalhoTabela();
+    };
+
+    drawHeader(doc, escola, logos, L, PW);
+
+    doc.font("Helvetica-Bold").fontSize(13).fillColor(AZUL)
+      .text("ATA DE RESULTADOS FINAIS", L, doc.y, { width: PW, align: "center" });
+    if (previa) {
+      doc.font("Helvetica-Bold").fontSize(8).fillColor(COR_RESULTADO.reprovado)
+        .text("PRÉVIA — resultado ainda não publicado pela secretaria", L, doc.y + 1, { width: PW, align: "center" });
+    }
+    doc.y += 6;
+
+    const publicadoEm = r.publicacao?.publicado_em ? new Date(r.publicacao.publicado_em).toLocaleDateString("pt-BR") : "—";
+    doc.font("Helvetica").fontSize(8).fillColor(CINZA)
+      .text(
+        `Turma: ${r.turma.nome}   •   Turno: ${r.turma.turno || "—"}   •   Ano letivo: ${r.ano}   •   ` +
+          `Média para aprovação: ${fmtNota(r.politica.media_aprovacao)}   •   Frequência mínima: ${fmtNota(r.politica.frequencia_minima)}%   •   ` +
+          `Publicado em: ${publicadoEm}`,
+        L, doc.y, { width: PW, align: "center" }
+      );
+    doc.y += 8;
+
+    cabecalhoTabela();
+    r.alunos.forEach((aluno, idx) => {
+      if (doc.y + ROW_H > CONTENT_MAX_Y - 90) novaPagina();
+      const y = doc.y;
+      if (idx % 2) doc.rect(L, y, PW, ROW_H).fill("#f8fafc");
+      doc.rect(L, y, PW, ROW_H).strokeColor(BORDER).lineWidth(0.4).stroke();
+
+      let x = L;
+      doc.font("Helvetica").fontSize(7).fillColor("#1e293b");
+      doc.text(String(idx + 1).padStart(2, "0"), x, y + 4, { width: W_NUM, align: "center", lineBreak: false }); x += W_NUM;
+      doc.text(aluno.nome || "", x + 4, y + 4, { width: W_NOME - 8, lineBreak: false, ellipsis: true }); x += W_NOME;
+      const porDisciplina = new Map((aluno.disciplinas || []).map((d) => [Number(d.disciplina_id), d]));
+      for (const d of r.disciplinas) {
+        const nota = porDisciplina.get(Number(d.disciplina_id));
+        doc.fillColor(nota?.situacao === "reprovado" ? COR_RESULTADO.reprovado : "#1e293b")
+          .text(fmtNota(nota?.media_final), x, y + 4, { width: W_DISC, align: "center", lineBreak: false });
+        x += W_DISC;
+      }
+      doc.fillColor("#1e293b").text(aluno.frequencia == null ? "—" : `${fmtNota(aluno.frequencia)}%`, x, y + 4, { width: W_FREQ, align: "center", lineBreak: false });
+      x += W_FREQ;
+      doc.font("Helvetica-Bold").fillColor(COR_RESULTADO[aluno.resultado] || CINZA)
+        .text((ROTULO_RESULTADO[aluno.resultado] || aluno.resultado || "—").toUpperCase(), x, y + 4, { width: W_RES, align: "center", lineBreak: false });
+      doc.y = y + ROW_H;
+    });
+
+    // Legenda das disciplinas, totais e assinaturas
+    if (doc.y + 90 > CONTENT_MAX_Y) novaPagina();
+    doc.y += 6;
+    doc.font("Helvetica").fontSize(6.5).fillColor(CINZA)
+      .text(r.disciplinas.map((d) => `${sigla(d.nome)} = ${d.nome}`).join("   •   "), L, doc.y, { width: PW });
+    doc.y += 4;
+    doc.font("Helvetica-Bold").fontSize(7.5).fillColor(AZUL)
+      .text(
+        `Total: ${r.resumo.total}   •   Aprovados: ${r.resumo.aprovado}   •   Aprovados pelo Conselho: ${r.resumo.aprovado_conselho}   •   ` +
+          `Dependência: ${r.resumo.dependencia}   •   Reprovados: ${r.resumo.reprovado}`,
+        L, doc.y, { width: PW }
+      );
+
+    const ajustados = r.alunos.filter((a) => a.resultado_ajustado);
+    if (ajustados.length) {
+      doc.y += 4;
+      doc.font("Helvetica").fontSize(6.5).fillColor(CINZA)
+        .text(`Ajustes da secretaria: ${ajustados.map((a) => `${a.nome} — ${a.justificativa}`).join("; ")}`, L, doc.y, { width: PW });
+    }
+
+    const assinaturaY = Math.max(doc.y + 36, CONTENT_MAX_Y - 30);
+    const larguraAss = PW / 3 - 20;
+    ["Secretário(a) Escolar", "Coordenação Pedagógica", "Diretor(a)"].forEach((rotulo, i) => {
+      const ax = L + i * (PW / 3) + 10;
+      doc.moveTo(ax, assinaturaY).lineTo(ax + larguraAss, assinaturaY).strokeColor(CINZA).lineWidth(0.5).stroke();
+      doc.font("Helvetica").fontSize(7).fillColor(CINZA).text(rotulo, ax, assinaturaY + 3, { width: larguraAss, align: "center" });
+    });
+
+    drawFooter(doc, pageNum, L, PW, PAGE_H, previa);
+    doc.end();
+
+    pt.on("end", () => res.end(Buffer.concat(chunks)));
+    pt.on("error", (err) => {
+      log.error("Erro no stream da ata", { erro: err });
+      res.status(500).end();
+    });
+  } catch (err) {
+    if (res.headersSent) return log.error("Erro na ata", { erro: err });
+    return responderErro(res, err, "Erro na ata", "Erro ao gerar a ata de resultados finais.");
+  }
+});
+
+export default router;
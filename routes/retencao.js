@@ -0,0 +1,123 @@
+// routes/retencao.js
+// ============================================================================
+// Retenção de dados da escola (services/retencao.js)
+// - Rotas (montadas em /api/retencao com autenticarToken + verificarEscola):
+//     GET  /api/retencao/politicas                 → prazos por categoria
+//     PUT  /api/retencao/politicas                 → altera prazos / liga-desliga
+//     POST /api/retencao/executar                  → expurgo agora ({ simulacao: true } = relatório)
+//     GET  /api/retencao/execucoes                 → histórico com o resumo de cada execução
+//     GET  /api/retencao/bloqueios                 → ocorrências com trava legal
+//     PUT  /api/retencao/bloqueios/ocorrencias/:id → liga/desliga a trava
+// - Permissão: retencao:ver / retencao:configurar / retencao:bloquear
+// - Execução é um job (services/jobQueue.js): acompanhe em /api/jobs/:id
+// ============================================================================
+
+import express from "express";
+import pool from "../db.js";
+import { autorizarPermissao } from "../middleware/autorizarPermissao.js";
+import { validar } from "../middleware/validarRequisicao.js";
+import * as schemas from "../schemas/retencao.js";
+import {
+  agendarRetencao,
+  definirBloqueio,
+  lerPoliticas,
+  listarBloqueios,
+  listarExecucoes,
+  salvarPoliticas,
+} from "../services/retencao.js";
+import { criarLogger } from "../services/logger.js";
+
+const router = express.Router();
+const log = criarLogger("retencao");
+
+function getUserId(req) {
+  return req.user?.usuarioId || req.user?.id || req.user?.usuario_id || null;
+}
+
+router.get("/politicas", autorizarPermissao("retencao:ver"), validar(schemas.politicas), async (req, res) => {
+  try {
+    return res.json({ ok: true, politicas: await lerPoliticas(pool, req.user.escola_id) });
+  } catch (err) {
+    log.error("erro ao ler políticas", { erro: err });
+    return res.status(500).json({ ok: false, message: "Erro ao carregar políticas de retenção." });
+  }
+});
+
+router.put("/politicas", autorizarPermissao("retencao:configurar"), validar(schemas.salvarPoliticas), async (req, res) => {
+  try {
+    const politicas = await salvarPoliticas(pool, req.user.escola_id, req.body.politicas, req);
+    return res.json({ ok: true, politicas });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ ok: false, message: err.message });
+    log.error("erro ao salvar políticas", { erro: err });
+    return res.status(500).json({ ok: false, message: "Erro ao salvar políticas de retenção." });
+  }
+});
+
+// Simulação só lê: basta poder ver; expurgo real exige configurar
+function permissaoDaExecucao(req, res, next) {
+  return autorizarPermissao(req.body?.simulacao ? "retencao:ver" : "retencao:configurar")(req, res, next);
+}
+
+router.post("/executar", validar(schemas.executar), permissaoDaExecucao, async (req, res) => {
+  const simulacao = Boolean(req.body.simulacao);
+  try {
+    const { id, existente } = await agendarRetencao(pool, {
+      escolaId: req.user.escola_id,
+      usuarioId: getUserId(req),
+      simulacao,
+    });
+    return res.status(202).json({ ok: true, job_id: id, existente, simulacao });
+  } catch (err) {
+    log.error("erro ao enfileirar expurgo", { erro: err });
+    return res.status(500).json({ ok: false, message: "Erro ao iniciar a retenção." });
+  }
+});
+
+router.get("/execucoes", autorizarPermissao("retencao:ver"), validar(schemas.execucoes), async (req, res) => {
+  try {
+    const execucoes = await listarExecucoes(pool, req.user.escola_id, { limite: req.query.limite });
+    return res.json({ ok: true, execucoes });
+  } catch (err) {
+    log.error("erro ao listar execuções", { erro: err });
+    return res.status(500).json({ ok: false, message: "Erro ao listar execuções da retenção." });
+  }
+});
+
+router.get("/bloqueios", autorizarPermissao("retencao:ver"), validar(schemas.bloqueios), async (req, res) => {
+  try {
+    return res.json({ ok: true, bloqueios: await listarBloqueios(pool, req.user.escola_id) });
+  } catch (err) {
+    log.error("erro ao listar travas", { erro: err });
+    return res.status(500).json({ ok: false, message: "Erro ao listar travas legais." });
+  }
+});
+
+router.put(
+  "/bloqueios/ocorrencias/:id",
+  autorizarPermissao("retencao:bloquear"),
+  validar(schemas.definirBloqueio),
+  async (req, res) => {
+    const { bloqueio, motivo } = req.body;
+    if (bloqueio && !motivo) {
+      return res.status(400).json({ ok: false, message: "Informe o motivo da trava legal." });
+    }
+
+    try {
+      const ocorrencia = await definirBloqueio(
+        pool,
+        req.user.escola_id,
+        Number(req.params.id),
+        { bloqueio, motivo, usuarioId: getUserId(req) },
+        req
+      );
+      if (!ocorrencia) return res.status(404).json({ ok: false, message: "Ocorrência não encontrada." });
+      return res.json({ ok: true, ocorrencia });
+    } catch (err) {
+      log.error("erro ao definir trava", { erro: err });
+      return res.status(500).json({ ok: false, message: "Erro ao definir trava legal." });
+    }
+  }
+);
+
+export default router;
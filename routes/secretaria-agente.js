@@ -7,6 +7,7 @@ import { Router } from "express";
 import multer from "multer";
 import pdf from "pdf-parse";
 import pool from "../db.js";
+import { capturarNotas, eventosDaCaptura, registrarAlteracoes } from "../services/auditoria.js";
 
 const router = Router();
 const upload = multer({ storage: multer.memoryStorage() });
@@ -259,6 +260,14 @@ router.post("/importar-boletim", verificarEscola, upload.array("files"), async (
           const { nota: gradeVal, faltas: absencesVal } = pairs[bimIdx];
           const absencesToInsert = faltasActive ? absencesVal : 0;
 
+          const chaveNota = {
+            escolaId: escola_id,
+            alunoIds: [dbA.id],
+            ano: anoNum,
+            bimestre: bimNum,
+            disciplinaId: discId,
+          };
+          const notaAntes = await capturarNotas(conn, chaveNota);
           const [resUpsert] = await conn.query(`
             INSERT INTO notas
               (escola_id, aluno_id, ano, bimestre, disciplina_id, nota, faltas, data_lancamento)
@@ -268,6 +277,11 @@ router.post("/importar-boletim", verificarEscola, upload.array("files"), async (
               faltas           = VALUES(faltas),
               data_lancamento  = NOW()
           `, [escola_id, dbA.id, anoNum, bimNum, discId, gradeVal, absencesToInsert]);
+          await registrarAlteracoes(
+            conn,
+            req,
+            eventosDaCaptura("notas", notaAntes, await capturarNotas(conn, chaveNota))
+          );
 
           parsedGrades++;
 
@@ -5,16 +5,12 @@ import { dirname, join } from "path";
 import { fileURLToPath } from "url";
 import { existsSync } from "fs";
 import pool from "../db.js";
+import { anoLetivoAtual } from "../services/calendarioLetivo.js";
 import { getEscolaLogos } from "../utils/logoHelper.js";
 
 const router = Router();
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
-function anoLetivoPadrao() {
-  const m = new Date().getMonth() + 1;
-  return m <= 1 ? new Date().getFullYear() - 1 : new Date().getFullYear();
-}
-
 // Cores institucionais
 const AZUL = "#1e3a5f";
 const DOURADO = "#b8860b";
@@ -53,7 +49,7 @@ router.get("/sintetico-matriculas", async (req, res) => {
   try {
     const { escola_id } = req.user;
     const { ano_letivo, turno } = req.query;
-    const ano = ano_letivo ? Number(ano_letivo) : anoLetivoPadrao();
+    const ano = ano_letivo ? Number(ano_letivo) : await anoLetivoAtual(pool, escola_id);
     const turnoLabel = (!turno || turno === "todos") ? "Todos os Turnos" : turno.charAt(0) + turno.slice(1).toLowerCase();
 
     const [[escola]] = await pool.query(
@@ -188,7 +184,7 @@ router.get("/idades", async (req, res) => {
   try {
     const { escola_id } = req.user;
     const { ano_letivo, turno, serie } = req.query;
-    const ano = ano_letivo ? Number(ano_letivo) : anoLetivoPadrao();
+    const ano = ano_letivo ? Number(ano_letivo) : await anoLetivoAtual(pool, escola_id);
     const turnoLabel = (!turno || turno === "todos") ? "Todos os Turnos" : turno.charAt(0) + turno.slice(1).toLowerCase();
 
     const [[escola]] = await pool.query("SELECT nome, apelido, endereco, cidade FROM escolas WHERE id = ?", [escola_id]);
@@ -286,7 +282,7 @@ router.get("/turmas", async (req, res) => {
   try {
     const { escola_id } = req.user;
     const { ano_letivo, turno } = req.query;
-    const ano = ano_letivo ? Number(ano_letivo) : anoLetivoPadrao();
+    const ano = ano_letivo ? Number(ano_letivo) : await anoLetivoAtual(pool, escola_id);
     const turnoLabel = (!turno || turno === "todos") ? "Todos os Turnos" : turno.charAt(0) + turno.slice(1).toLowerCase();
 
     const [[escola]] = await pool.query("SELECT nome, apelido, endereco, cidade FROM escolas WHERE id = ?", [escola_id]);
@@ -395,7 +391,7 @@ router.get("/genero", async (req, res) => {
   try {
     const { escola_id } = req.user;
     const { ano_letivo, turno } = req.query;
-    const ano = ano_letivo ? Number(ano_letivo) : anoLetivoPadrao();
+    const ano = ano_letivo ? Number(ano_letivo) : await anoLetivoAtual(pool, escola_id);
     const turnoLabel = (!turno || turno === "todos") ? "Todos os Turnos" : turno.charAt(0) + turno.slice(1).toLowerCase();
 
     const [[escola]] = await pool.query("SELECT nome, apelido, endereco, cidade FROM escolas WHERE id = ?", [escola_id]);
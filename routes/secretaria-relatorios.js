@@ -5,15 +5,10 @@
 
 import express from 'express';
 import pool from '../db.js';
+import { anoLetivoAtual } from '../services/calendarioLetivo.js';
 
 const router = express.Router();
 
-function anoLetivoPadrao() {
-  const hoje = new Date();
-  const mes = hoje.getMonth() + 1;
-  return mes <= 1 ? hoje.getFullYear() - 1 : hoje.getFullYear();
-}
-
 // CASE reutilizável — classifica série pelo nome da turma
 const CASE_SERIE = `CASE
   WHEN t.nome LIKE '6%' THEN '6\xba Ano'
@@ -30,7 +25,7 @@ router.get('/sintetico-matriculas', async (req, res) => {
   try {
     const { escola_id } = req.user;
     const { ano_letivo, turno } = req.query;
-    const anoEfetivo = ano_letivo ? Number(ano_letivo) : anoLetivoPadrao();
+    const anoEfetivo = ano_letivo ? Number(ano_letivo) : await anoLetivoAtual(pool, escola_id);
 
     const params = [escola_id, anoEfetivo];
     let turnoFilter = '';
@@ -100,7 +95,7 @@ router.get('/idades', async (req, res) => {
   try {
     const { escola_id } = req.user;
     const { ano_letivo, turno, serie } = req.query;
-    const anoEfetivo = ano_letivo ? Number(ano_letivo) : anoLetivoPadrao();
+    const anoEfetivo = ano_letivo ? Number(ano_letivo) : await anoLetivoAtual(pool, escola_id);
 
     const params = [escola_id, anoEfetivo];
     let extraFilters = '';
@@ -205,7 +200,7 @@ router.get('/turmas', async (req, res) => {
   try {
     const { escola_id } = req.user;
     const { ano_letivo, turno } = req.query;
-    const anoEfetivo = ano_letivo ? Number(ano_letivo) : anoLetivoPadrao();
+    const anoEfetivo = ano_letivo ? Number(ano_letivo) : await anoLetivoAtual(pool, escola_id);
 
     const params = [anoEfetivo, escola_id];
     let turnoFilter = '';
@@ -264,7 +259,7 @@ router.get('/genero', async (req, res) => {
   try {
     const { escola_id } = req.user;
     const { ano_letivo, turno } = req.query;
-    const anoEfetivo = ano_letivo ? Number(ano_letivo) : anoLetivoPadrao();
+    const anoEfetivo = ano_letivo ? Number(ano_letivo) : await anoLetivoAtual(pool, escola_id);
 
     const params = [escola_id, anoEfetivo];
     let turnoFilter = '';
@@ -343,7 +338,7 @@ router.get('/acompanhamento-notas', async (req, res) => {
   try {
     const { escola_id } = req.user;
     const { ano_letivo, turno, disciplina_id, turma_id, bimestre } = req.query;
-    const anoEfetivo = ano_letivo ? Number(ano_letivo) : anoLetivoPadrao();
+    const anoEfetivo = ano_letivo ? Number(ano_letivo) : await anoLetivoAtual(pool, escola_id);
     const bimEfetivo = bimestre ? Number(bimestre) : 1;
 
     let extraFilter = '';
@@ -422,7 +417,7 @@ router.get('/acompanhamento-notas/alunos', async (req, res) => {
       return res.status(400).json({ message: "turma_id, disciplina_id e bimestre são obrigatórios." });
     }
 
-    const anoEfetivo = ano_letivo ? Number(ano_letivo) : anoLetivoPadrao();
+    const anoEfetivo = ano_letivo ? Number(ano_letivo) : await anoLetivoAtual(pool, escola_id);
 
     const sql = `
       SELECT
@@ -475,7 +470,7 @@ router.get('/diarios', async (req, res) => {
     const { escola_id } = req.user;
     const { ano_letivo, bimestre, turno, turma_id } = req.query;
 
-    const anoEfetivo = ano_letivo ? Number(ano_letivo) : anoLetivoPadrao();
+    const anoEfetivo = ano_letivo ? Number(ano_letivo) : await anoLetivoAtual(pool, escola_id);
 
     let extraFilter = '';
     const params = [escola_id, anoEfetivo];
@@ -4,72 +4,23 @@
 // - Thread de mensagens (chat) dentro de cada chamado
 // - Usuário pode responder (reabrir) após resposta do CEO
 // - Usuário pode fechar o chamado com avaliação de satisfação
+// - Acessos de suporte do CEO como usuário da escola (services/personificacao.js):
+//   a escola lista, vê cada request feito, aprova/recusa e encerra
 // ============================================================================
 import express from "express";
 import pool from "../db.js";
+import { autorizarPermissao } from "../middleware/autorizarPermissao.js";
+import {
+  decidirPersonificacao,
+  encerrarDoChamado,
+  encerrarPersonificacao,
+  listarPersonificacoes,
+  obterPersonificacao,
+} from "../services/personificacao.js";
 
 const router = express.Router();
 
-// ── Auto-migrate ──
-let migrated = false;
-async function ensureTable() {
-  if (migrated) return;
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS chamados (
-        id             INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
-        escola_id      INT UNSIGNED NOT NULL,
-        escola_nome    VARCHAR(200) DEFAULT NULL,
-        usuario_id     INT UNSIGNED NOT NULL,
-        usuario_nome   VARCHAR(200) NOT NULL,
-        usuario_perfil VARCHAR(50) DEFAULT NULL,
-        categoria      VARCHAR(50) NOT NULL DEFAULT 'outro',
-        prioridade     VARCHAR(20) NOT NULL DEFAULT 'media',
-        assunto        VARCHAR(300) NOT NULL,
-        descricao      TEXT NOT NULL,
-        status         VARCHAR(30) NOT NULL DEFAULT 'aberto',
-        resposta_ceo   TEXT DEFAULT NULL,
-        respondido_em  DATETIME DEFAULT NULL,
-        respondido_por VARCHAR(200) DEFAULT NULL,
-        avaliacao      TINYINT UNSIGNED DEFAULT NULL,
-        feedback_usuario TEXT DEFAULT NULL,
-        fechado_em     DATETIME DEFAULT NULL,
-        created_at     DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-        updated_at     DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        INDEX idx_chamado_escola (escola_id),
-        INDEX idx_chamado_status (status),
-        INDEX idx_chamado_created (created_at)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-    `);
-    // Tabela de mensagens (thread do chamado)
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS chamados_mensagens (
-        id          INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
-        chamado_id  INT UNSIGNED NOT NULL,
-        autor_id    INT UNSIGNED DEFAULT NULL,
-        autor_nome  VARCHAR(200) NOT NULL,
-        autor_tipo  VARCHAR(20) NOT NULL DEFAULT 'usuario',
-        mensagem    TEXT NOT NULL,
-        created_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-        INDEX idx_msg_chamado (chamado_id, created_at)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-    `);
-    // Colunas novas no chamados (caso já exista)
-    try { await pool.query(`ALTER TABLE chamados ADD COLUMN avaliacao TINYINT UNSIGNED DEFAULT NULL`); } catch {}
-    try { await pool.query(`ALTER TABLE chamados ADD COLUMN feedback_usuario TEXT DEFAULT NULL`); } catch {}
-    try { await pool.query(`ALTER TABLE chamados ADD COLUMN fechado_em DATETIME DEFAULT NULL`); } catch {}
-    migrated = true;
-    console.log("[Suporte] tabelas chamados + chamados_mensagens OK");
-  } catch (err) {
-    console.error("[Suporte] ERRO migrate:", err.message);
-    migrated = true;
-  }
-}
-
-router.use(async (req, res, next) => {
-  try { await ensureTable(); } catch {}
-  next();
-});
+// Schema: migrations/versions/0005_chamados_suporte.js
 
 // Helper: resolve userId e userName
 function resolveUser(req) {
@@ -220,6 +171,8 @@ router.post("/chamados/:id/fechar", async (req, res) => {
       VALUES (?, ?, ?, 'sistema', ?)
     `, [req.params.id, userId, userName, `✅ Chamado encerrado pelo usuário. ${stars}${feedback ? `\n${feedback}` : ""}`]);
 
+    await encerrarDoChamado(pool, req.params.id, userName);
+
     res.json({ message: "Chamado fechado com sucesso" });
   } catch (err) {
     console.error("[Suporte] POST fechar:", err.message);
@@ -227,4 +180,68 @@ router.post("/chamados/:id/fechar", async (req, res) => {
   }
 });
 
+// ════════════════════════════════════════════════════════════════════════════
+// Acessos de suporte (CEO vendo a escola como um usuário dela)
+// ════════════════════════════════════════════════════════════════════════════
+
+function erroAcesso(res, err, rota) {
+  if (err.status) return res.status(err.status).json({ message: err.message, code: err.code });
+  console.error(`[Suporte] ${rota}:`, err.message);
+  return res.status(500).json({ message: "Erro ao processar acesso de suporte" });
+}
+
+// ── GET /api/suporte/acessos-suporte — Acessos pedidos para a escola ──
+router.get("/acessos-suporte", autorizarPermissao("auditoria:ver"), async (req, res) => {
+  try {
+    const { status, pagina, limite } = req.query;
+    const resultado = await listarPersonificacoes(pool, { escolaId: req.escola_id, status, pagina, limite });
+    res.json(resultado);
+  } catch (err) {
+    erroAcesso(res, err, "GET /acessos-suporte");
+  }
+});
+
+// ── GET /api/suporte/acessos-suporte/:id — Detalhe + requests feitos ──
+router.get("/acessos-suporte/:id", autorizarPermissao("auditoria:ver"), async (req, res) => {
+  try {
+    res.json(await obterPersonificacao(pool, req.params.id, { escolaId: req.escola_id }));
+  } catch (err) {
+    erroAcesso(res, err, "GET /acessos-suporte/:id");
+  }
+});
+
+// ── POST /api/suporte/acessos-suporte/:id/aprovar | recusar — Diretor decide ──
+for (const [acao, aprovar] of [["aprovar", true], ["recusar", false]]) {
+  router.post(`/acessos-suporte/:id/${acao}`, autorizarPermissao("suporte:aprovar_acesso"), async (req, res) => {
+    try {
+      const { userId } = resolveUser(req);
+      const decisao = await decidirPersonificacao(pool, {
+        id: req.params.id,
+        escolaId: req.escola_id,
+        aprovar,
+        usuarioId: userId,
+        motivo: req.body?.motivo,
+      });
+      res.json({ message: aprovar ? "Acesso aprovado" : "Acesso recusado", ...decisao });
+    } catch (err) {
+      erroAcesso(res, err, `POST /acessos-suporte/:id/${acao}`);
+    }
+  });
+}
+
+// ── POST /api/suporte/acessos-suporte/:id/encerrar — Escola corta o acesso ──
+router.post("/acessos-suporte/:id/encerrar", autorizarPermissao("suporte:aprovar_acesso"), async (req, res) => {
+  try {
+    const { userId } = resolveUser(req);
+    let userName = "Direção";
+    try { const [u] = await pool.query(`SELECT nome FROM usuarios WHERE id = ?`, [userId]); userName = u[0]?.nome || userName; } catch {}
+
+    const ok = await encerrarPersonificacao(pool, { id: req.params.id, escolaId: req.escola_id, por: userName });
+    if (!ok) return res.status(409).json({ message: "Acesso já encerrado" });
+    res.json({ message: "Acesso encerrado" });
+  } catch (err) {
+    erroAcesso(res, err, "POST /acessos-suporte/:id/encerrar");
+  }
+});
+
 export default router;
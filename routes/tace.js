@@ -11,6 +11,7 @@ import { dirname, join } from "path";
 import { fileURLToPath } from "url";
 import { existsSync } from "fs";
 import pool from "../db.js";
+import { agendarNotificacao } from "../services/notificacoes.js";
 import { getEscolaLogos } from "../utils/logoHelper.js";
 
 const router = Router();
@@ -90,22 +91,7 @@ const MOCK_REGISTROS = [
   { registro: "0023", data: "20/03/2026", tipo: "Grave", medida: "Suspensão",           motivo: "Desacato ao professor ou funcionário (reincidência)", pontos: -0.5 },
 ];
 
-// ── Auto-create table ─────────────────────────────────────────────────
-async function ensureTable() {
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS tace_dados (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      aluno_id INT NOT NULL,
-      escola_id INT NOT NULL,
-      reconhecimento_fatos TEXT,
-      compromisso_conduta TEXT,
-      criado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
-      atualizado_em DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-      UNIQUE KEY uk_aluno_escola (aluno_id, escola_id)
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-  `);
-}
-ensureTable().catch(err => console.error("[TACE] Erro ao criar tabela:", err));
+// Tabela tace_dados: migrations/versions/0044_tace_dados.js
 
 // ── Rota GET /dados/:alunoId — buscar textos salvos ───────────────────
 router.get("/dados/:alunoId", async (req, res) => {
@@ -160,6 +146,17 @@ router.post("/dados/:alunoId", async (req, res) => {
         [alunoId, escola_id, hoje]
       );
       ocorrenciaId = result.insertId;
+
+      // Avisa os responsáveis (outbox de notificações) — não crítico
+      await agendarNotificacao(pool, {
+        evento: "OCORRENCIA",
+        escolaId: escola_id,
+        alunoIds: [Number(alunoId)],
+        referenciaId: ocorrenciaId,
+        categoria: "convocacao",
+        titulo: "Termo de Ajuste de Conduta",
+        mensagem: "Foi registrado um Termo de Ajuste de Conduta Escolar para {aluno}. A escola solicita o comparecimento do responsável.",
+      }).catch((err) => console.warn("[TACE] notificação aos responsáveis falhou (não crítico):", err.message));
     }
 
     res.json({ ok: true, ocorrenciaId });
@@ -1,6 +1,7 @@
 // src/routes/turmas.js
 import express from "express";
 import pool from "../db.js";
+import { anoLetivoAtual } from "../services/calendarioLetivo.js";
 
 const router = express.Router();
 
@@ -171,7 +172,7 @@ router.get("/:id/alunos", verificarEscola, async (req, res) => {
     const { id } = req.params;
     const { escola_id } = req.user;
     // Aceita 'ano' OU 'ano_letivo' (frontend pode enviar qualquer um dos dois)
-    const anoLetivo = req.query.ano || req.query.ano_letivo || new Date().getFullYear();
+    const anoLetivo = req.query.ano || req.query.ano_letivo || (await anoLetivoAtual(pool, escola_id));
 
     // Query principal: status 'ativo' OU 'matriculado'
     const [rows] = await pool.query(
@@ -0,0 +1,163 @@
+// schemas/alunos.js — rotas de /api/alunos (routes/alunos.js)
+import { ano, booleano, cpf, data, id, listaDeIds, paramId, texto } from "./comum.js";
+
+const paramOcorrencia = {
+  properties: { id, ocorrenciaId: id },
+  required: ["id", "ocorrenciaId"],
+};
+
+const camposAluno = {
+  estudante: texto(150, { minLength: 1 }),
+  data_nascimento: data,
+  sexo: texto(20),
+  turma_id: id,
+  cpf,
+  atendimento_diferencial: booleano,
+};
+
+export const listarAlunos = {
+  resumo: "Lista alunos matriculados na escola (filtros por turma, texto e status)",
+  query: {
+    properties: {
+      turma_id: id,
+      filtro: texto(100, { description: "Busca em nome, código, turma e turno" }),
+      status: texto(20, { description: "ativo | inativo (vazio = todos)" }),
+      ano_letivo: ano,
+      limit: { type: "integer", minimum: 1, maximum: 10000 },
+      offset: { type: "integer", minimum: 0 },
+    },
+  },
+};
+
+export const criarAluno = {
+  resumo: "Cadastra aluno (ou reativa pelo código) e cria a matrícula do ano",
+  body: {
+    properties: { codigo: texto(30, { minLength: 1 }), ...camposAluno },
+    required: ["codigo", "estudante"],
+  },
+  respostas: { 201: "Aluno cadastrado", 409: "Já possui matrícula ativa no ano" },
+};
+
+export const atualizarAluno = {
+  resumo: "Atualiza dados cadastrais do aluno",
+  params: paramId,
+  body: { properties: { ...camposAluno, status: texto(20) } },
+};
+
+export const inativarAluno = { resumo: "Inativa o aluno", params: paramId };
+export const excluirAluno = { resumo: "Exclui o aluno", params: paramId };
+
+export const inativarLote = {
+  resumo: "Inativa alunos em lote (somente da escola da sessão)",
+  body: {
+    properties: { aluno_ids: listaDeIds({ maxItems: 2000, aliases: ["alunoIds"] }) },
+    required: ["aluno_ids"],
+  },
+};
+
+const camposOcorrencia = {
+  descricao: texto(5000),
+  registro_interno: texto(5000, { aliases: ["registroInterno"] }),
+  convocar_responsavel: { ...booleano, aliases: ["convocarResponsavel"] },
+  data_convocacao: { ...data, aliases: ["dataConvocacao"] },
+  atenuantes: { type: "array" },
+  agravantes: { type: "array" },
+};
+
+export const criarOcorrencia = {
+  resumo: "Registra ocorrência disciplinar",
+  params: paramId,
+  body: {
+    properties: {
+      data,
+      motivo: texto(255, { minLength: 1 }),
+      tipo_ocorrencia: texto(100, { aliases: ["tipoOcorrencia"] }),
+      dias_suspensao: { type: "integer", minimum: 0, maximum: 60, aliases: ["diasSuspensao"] },
+      ...camposOcorrencia,
+    },
+    required: ["data", "motivo"],
+  },
+  respostas: { 201: "Ocorrência registrada" },
+};
+
+export const criarOcorrenciasLote = {
+  resumo: "Registra a mesma ocorrência para vários alunos (F.O. coletivo)",
+  body: {
+    properties: {
+      data,
+      motivo: texto(255, { minLength: 1 }),
+      tipo_ocorrencia: texto(100, { aliases: ["tipoOcorrencia"] }),
+      descricao: texto(5000),
+      registro_interno: texto(5000, { aliases: ["registroInterno"] }),
+      dias_suspensao: { type: "integer", minimum: 0, maximum: 60, aliases: ["diasSuspensao"] },
+      alunos: {
+        type: "array",
+        minItems: 1,
+        maxItems: 500,
+        items: {
+          type: "object",
+          properties: {
+            aluno_id: { ...id, aliases: ["alunoId"] },
+            convocar_responsavel: { ...booleano, aliases: ["convocarResponsavel"] },
+          },
+          required: ["aluno_id"],
+        },
+      },
+    },
+    required: ["data", "motivo", "alunos"],
+  },
+  respostas: { 201: "Lote registrado" },
+};
+
+export const listarColetivos = {
+  resumo: "Ocorrências coletivas de um dia (impressão em lote)",
+  query: { properties: { data } },
+};
+
+export const atualizarOcorrencia = {
+  resumo: "Edita descrição/registro interno/convocação da ocorrência",
+  params: paramOcorrencia,
+  body: { properties: camposOcorrencia },
+};
+
+export const registrarComparecimento = {
+  resumo: "Registra comparecimento (ou não) do responsável convocado",
+  params: paramOcorrencia,
+  body: {
+    properties: {
+      modo: { type: "string", enum: ["presenca", "telefone", "nao_compareceu"] },
+      observacao_interna: texto(2000),
+    },
+  },
+};
+
+export const ocorrenciaPorId = { params: paramOcorrencia };
+
+export const criarOcorrenciaPedagogica = {
+  resumo: "Registra ocorrência pedagógica",
+  params: paramId,
+  body: {
+    properties: {
+      data,
+      categoria: texto(100, { minLength: 1 }),
+      motivo: texto(255, { minLength: 1 }),
+      descricao: texto(5000),
+      registro_interno: texto(5000, { aliases: ["registroInterno"] }),
+      convocar_responsavel: { ...booleano, aliases: ["convocarResponsavel"] },
+    },
+    required: ["data", "categoria", "motivo"],
+  },
+  respostas: { 201: "Registro pedagógico criado" },
+};
+
+export const atualizarOcorrenciaPedagogica = {
+  resumo: "Edita registro pedagógico (apenas o autor)",
+  params: paramOcorrencia,
+  body: {
+    properties: {
+      descricao: texto(5000),
+      registro_interno: texto(5000, { aliases: ["registroInterno"] }),
+      convocar_responsavel: { ...booleano, aliases: ["convocarResponsavel"] },
+    },
+  },
+};
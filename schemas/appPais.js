@@ -0,0 +1,310 @@
+// schemas/appPais.js — rotas de /api/app-pais
+// Compartilhado por routes/app_pais.js, routes/app_pais_login.js e
+// routes/app_aluno_auth.js (os mesmos caminhos têm handlers nos três routers).
+import { ano, bimestre, booleano, codigoVerificacao, cpf, email, id, paramId, telefone, texto } from "./comum.js";
+
+const publico = true;
+
+// ── Login do responsável (público) ──────────────────────────────────────────
+
+export const solicitarCodigo = {
+  resumo: "Envia código de acesso ao responsável (e-mail ou SMS)",
+  publico,
+  body: {
+    properties: {
+      cpf,
+      canal: texto(10, { description: "email (padrão) | sms" }),
+      email,
+      telefone,
+    },
+    required: ["cpf"],
+  },
+};
+
+export const verificarCodigo = {
+  resumo: "Valida o código e abre a sessão do responsável",
+  publico,
+  body: { properties: { cpf, codigo: codigoVerificacao }, required: ["cpf", "codigo"] },
+};
+
+export const salvarEmail = {
+  resumo: "Cadastra o e-mail do responsável no primeiro acesso",
+  publico,
+  body: { properties: { cpf, email }, required: ["cpf", "email"] },
+};
+
+export const salvarTelefone = {
+  resumo: "Cadastra o celular do responsável no primeiro acesso",
+  publico,
+  body: { properties: { cpf, telefone }, required: ["cpf", "telefone"] },
+};
+
+export const credencialContexto = {
+  resumo: "Escolas/alunos disponíveis para credenciamento do CPF",
+  publico,
+  query: { properties: { cpf }, required: ["cpf"] },
+};
+
+export const credencialPreCadastro = {
+  resumo: "Pré-cadastro do responsável pelo CPF",
+  publico,
+  body: { properties: { cpf }, required: ["cpf"] },
+};
+
+export const credencialSolicitar = {
+  resumo: "Abre solicitação de credenciamento junto ao responsável master",
+  publico,
+  body: {
+    properties: {
+      cpf,
+      nome: texto(150, { minLength: 1 }),
+      email,
+      parentesco: texto(50),
+      observacao: texto(1000),
+    },
+    required: ["cpf", "nome"],
+  },
+};
+
+export const refreshSessao = {
+  resumo: "Troca o refresh token por um novo par de tokens",
+  publico,
+  body: { properties: { refresh_token: texto(512, { minLength: 1 }) }, required: ["refresh_token"] },
+};
+
+// ── Consentimento (LGPD) ────────────────────────────────────────────────────
+
+const camposConsentimento = {
+  aluno_ids: { type: "array", items: id, minItems: 1, maxItems: 50 },
+  checkboxes: { type: "object", additionalProperties: { type: "boolean" } },
+  versao_termo: texto(20),
+  device_id: texto(190),
+  plataforma: texto(20),
+  termo_lido_em: texto(40),
+};
+
+export const consentimentoPreLoginConsulta = {
+  resumo: "Situação do consentimento antes do login",
+  publico,
+  query: { properties: { cpf }, required: ["cpf"] },
+};
+
+export const consentimentoPreLogin = {
+  resumo: "Registra o consentimento antes do login",
+  publico,
+  body: { properties: { cpf, ...camposConsentimento }, required: ["cpf", "aluno_ids"] },
+};
+
+export const confirmarConsentimento = {
+  resumo: "Registra o consentimento do responsável logado",
+  body: { properties: camposConsentimento, required: ["aluno_ids"] },
+};
+
+export const revogarConsentimento = {
+  resumo: "Revoga o consentimento de imagem (apaga a biometria do aluno)",
+  body: {
+    properties: { aluno_ids: camposConsentimento.aluno_ids, device_id: texto(190), plataforma: texto(20) },
+    required: ["aluno_ids"],
+  },
+};
+
+// ── Perfil / dispositivos ───────────────────────────────────────────────────
+
+export const alterarEmailSolicitar = {
+  resumo: "Envia código para confirmar o novo e-mail",
+  body: { properties: { email }, required: ["email"] },
+};
+
+export const alterarEmailVerificar = {
+  resumo: "Confirma o novo e-mail com o código",
+  body: { properties: { codigo: codigoVerificacao }, required: ["codigo"] },
+};
+
+export const perfilSalvarTelefone = {
+  resumo: "Atualiza celular (e nome) do responsável",
+  body: { properties: { telefone, nome: texto(150) }, required: ["telefone"] },
+};
+
+export const registrarDispositivo = {
+  resumo: "Registra o token de push do aparelho",
+  body: {
+    properties: { device_token: texto(255, { minLength: 1 }), plataforma: texto(20) },
+    required: ["device_token"],
+  },
+};
+
+export const autorizarCredencial = {
+  resumo: "Responsável master autoriza outro responsável",
+  body: {
+    properties: {
+      cpf,
+      escola_id: id,
+      aluno_id: id,
+      permissoes: { type: "object" },
+      parentesco: texto(50),
+    },
+    required: ["cpf", "escola_id", "aluno_id"],
+  },
+};
+
+export const buscarCredencial = {
+  resumo: "Busca responsável pelo CPF para credenciar",
+  query: { properties: { cpf }, required: ["cpf"] },
+};
+
+// ── Consultas do app ────────────────────────────────────────────────────────
+
+export const fotoAluno = { resumo: "URL temporária da foto do aluno", params: paramId };
+
+export const boletim = {
+  resumo: "Boletim do aluno",
+  query: { properties: { aluno_id: id, ano } },
+};
+
+export const boletimPdf = {
+  resumo: "Boletim do aluno em PDF",
+  query: { properties: { aluno_id: id, ano, bimestre }, required: ["aluno_id", "ano"] },
+};
+
+export const ranking = {
+  resumo: "Posição do aluno na turma/escola",
+  query: { properties: { aluno_id: id, ano, bimestre }, required: ["aluno_id"] },
+};
+
+export const conteudosDisciplinas = {
+  resumo: "Disciplinas com conteúdo publicado para o aluno",
+  query: { properties: { aluno_id: id }, required: ["aluno_id"] },
+};
+
+export const conteudos = {
+  resumo: "Conteúdos da disciplina no bimestre",
+  query: {
+    properties: { aluno_id: id, disciplina_id: id, bimestre, ano_letivo: ano },
+    required: ["aluno_id", "disciplina_id"],
+  },
+};
+
+export const registros = {
+  resumo: "Registros disciplinares e pedagógicos do aluno",
+  query: {
+    properties: {
+      aluno_id: id,
+      ano,
+      tipo: { type: "string", enum: ["pedagogico", "disciplinar", "all"] },
+    },
+  },
+};
+
+export const marcarRegistroLido = {
+  resumo: "Marca registro como visualizado pelo responsável",
+  body: {
+    properties: { id, tipo: { type: "string", enum: ["pedagogico", "disciplinar"] } },
+    required: ["id", "tipo"],
+  },
+};
+
+// ── Preferências de notificação (services/preferenciasNotificacao.js) ──────
+
+const horaMinuto = { type: ["string", "null"], pattern: "^([01]\\d|2[0-3]):[0-5]\\d$", description: "HH:MM (null desliga)" };
+
+export const preferenciasNotificacao = {
+  resumo: "Preferências de notificação do responsável (gerais e por aluno)",
+};
+
+export const salvarPreferenciasNotificacao = {
+  resumo: "Grava categorias/canais por aluno, horário de silêncio e hora do resumo diário",
+  body: {
+    properties: {
+      silencio_inicio: horaMinuto,
+      silencio_fim: horaMinuto,
+      resumo_hora: { type: "integer", minimum: 0, maximum: 23 },
+      preferencias: {
+        type: "array",
+        maxItems: 200,
+        items: {
+          type: "object",
+          properties: {
+            aluno_id: { type: "integer", minimum: 0, description: "0 ou ausente = todos os alunos" },
+            categoria: {
+              type: "string",
+              enum: ["presenca", "ocorrencias", "convocacao", "suspensao", "comunicados", "boletins"],
+            },
+            receber: booleano,
+            canais: {
+              type: ["array", "null"],
+              items: { type: "string", enum: ["push", "email", "sms"] },
+              maxItems: 3,
+              description: "null = canais padrão do evento",
+            },
+            resumo_diario: booleano,
+          },
+          required: ["categoria"],
+        },
+      },
+    },
+  },
+};
+
+// ── LGPD (services/lgpd.js) ─────────────────────────────────────────────────
+
+export const abrirSolicitacaoLgpd = {
+  resumo: "Pede a exportação ou a anonimização dos dados (próprios ou do aluno)",
+  body: {
+    properties: {
+      tipo: { type: "string", enum: ["exportacao", "anonimizacao"] },
+      aluno_id: { ...id, description: "Ausente = dados do próprio responsável" },
+      motivo: texto(2000),
+    },
+    required: ["tipo"],
+  },
+};
+
+export const solicitacoesLgpd = { resumo: "Solicitações LGPD feitas pelo responsável" };
+
+export const arquivoSolicitacaoLgpd = { resumo: "Download do pacote (ZIP) da exportação", params: paramId };
+
+export const acervoBiblioteca = {
+  resumo: "Acervo da biblioteca da escola",
+  query: {
+    properties: {
+      q: texto(100),
+      page: { type: "integer", minimum: 1 },
+      limit: { type: "integer", minimum: 1 },
+    },
+  },
+};
+
+// ── App do aluno (/api/app-pais/aluno) ──────────────────────────────────────
+
+export const alunoSolicitarCodigo = {
+  resumo: "Inicia o login do aluno pelo CPF",
+  publico,
+  body: { properties: { cpf }, required: ["cpf"] },
+};
+
+export const alunoVerificarDataNascimento = {
+  resumo: "Confere a data de nascimento do aluno",
+  publico,
+  body: {
+    properties: {
+      cpf,
+      data_nascimento: texto(10, { minLength: 8, description: "DD/MM/AAAA ou AAAA-MM-DD" }),
+    },
+    required: ["cpf", "data_nascimento"],
+  },
+};
+
+export const alunoCadastrarTelefone = {
+  resumo: "Cadastra o celular do aluno (token temporário da etapa anterior)",
+  publico,
+  body: {
+    properties: { cpf, telefone, token_temp: texto(512, { minLength: 1 }) },
+    required: ["cpf", "telefone", "token_temp"],
+  },
+};
+
+export const alunoVerificarCodigo = {
+  resumo: "Valida o código e abre a sessão do aluno",
+  publico,
+  body: { properties: { cpf, codigo: codigoVerificacao }, required: ["cpf", "codigo"] },
+};
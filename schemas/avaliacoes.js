@@ -0,0 +1,172 @@
+// schemas/avaliacoes.js — rotas de /api/avaliacoes (routes/avaliacoes.js)
+// Aqui "bimestre" é o rótulo do plano ("1º Bimestre"), não o número.
+import { ano, booleano, dataOuDataHora, id, paramId, semestre, texto } from "./comum.js";
+
+const bimestreRotulo = { type: ["string", "integer"], maxLength: 30 };
+const flag = { type: ["boolean", "integer"], minimum: 0, maximum: 1 };
+
+export const listarPlanos = {
+  resumo: "Lista planos de avaliação (PAPs) da escola",
+  query: { properties: { ano, disciplina: texto(150), bimestre: bimestreRotulo, semestre } },
+};
+
+export const meusPlanos = {
+  resumo: "PAPs do professor logado",
+  query: { properties: { ano, bimestre: bimestreRotulo, semestre } },
+};
+
+export const solicitacoesPendentes = {
+  resumo: "Solicitações de liberação pendentes",
+  query: { properties: { ano } },
+};
+
+export const solicitarLiberacao = {
+  resumo: "Professor pede liberação de um PAP aprovado",
+  params: paramId,
+  body: { properties: { motivo: texto(2000) } },
+};
+
+export const listarReaberturas = {
+  resumo: "Solicitações de reabertura de diário",
+  query: { properties: { status: texto(20, { description: "PENDENTE (padrão), APROVADA, NEGADA" }) } },
+};
+
+export const responderReabertura = {
+  resumo: "Aprova ou nega reabertura de diário",
+  params: { properties: { solicitacaoId: id }, required: ["solicitacaoId"] },
+  body: {
+    properties: {
+      status: { type: "string", enum: ["APROVADA", "NEGADA"] },
+      resposta: texto(2000),
+    },
+    required: ["status"],
+  },
+};
+
+export const planoPorId = { resumo: "Plano de avaliação com itens", params: paramId };
+export const excluirPlano = { resumo: "Exclui o plano de avaliação", params: paramId };
+
+const itemPlano = {
+  type: "object",
+  properties: {
+    id,
+    atividade: texto(255, { minLength: 1 }),
+    tipo_avaliacao: texto(100),
+    data: dataOuDataHora,
+    data_inicio: dataOuDataHora,
+    data_final: dataOuDataHora,
+    nota_total: { type: "number", minimum: 0, maximum: 100 },
+    peso: { type: "number", minimum: 0, maximum: 100, description: "Peso na composição ponderada (política de notas)" },
+    oportunidades: { type: "integer", minimum: 1, maximum: 20 },
+    nota_invertida: flag,
+    descricao: texto(5000),
+    fixo_direcao: flag,
+    recuperacao: {
+      type: "string",
+      enum: ["continua", "compensatoria"],
+      description: "Item de recuperação (não entra na composição; vale sobre o item original)",
+    },
+    recupera_idx: { type: "integer", minimum: 0, maximum: 199, description: "Posição, em itens, do item original" },
+    recupera_item_id: { ...id, description: "Ou: id do item original já salvo" },
+  },
+  required: ["atividade"],
+};
+
+export const salvarPlano = {
+  resumo: "Cria/atualiza o PAP de cada turma informada (preserva itens com notas lançadas)",
+  body: {
+    properties: {
+      disciplina: texto(150, { minLength: 1 }),
+      bimestre: bimestreRotulo,
+      turmas: {
+        type: ["string", "array"],
+        items: texto(60),
+        minItems: 1,
+        minLength: 1,
+        description: 'Lista de turmas ou string "6A-6B"',
+      },
+      turno: texto(20),
+      ano,
+      nome_codigo: texto(190, { minLength: 1 }),
+      status: texto(30),
+      semestre,
+      itens: { type: "array", items: itemPlano, maxItems: 200 },
+    },
+    required: ["disciplina", "bimestre", "turmas", "nome_codigo"],
+  },
+  respostas: { 200: "Planos salvos", 409: "Atividade com notas não pode ser removida" },
+};
+
+export const alterarDataItem = {
+  resumo: "Altera a data de uma atividade do plano",
+  params: { properties: { id, itemId: id }, required: ["id", "itemId"] },
+  body: { properties: { data_inicio: dataOuDataHora } },
+};
+
+export const alterarStatus = {
+  resumo: "Direção aprova/devolve/libera o PAP",
+  params: paramId,
+  body: {
+    properties: {
+      status: { type: "string", enum: ["APROVADO", "DEVOLVIDO", "RASCUNHO", "LIBERADO", "LIBERACAO_SOLICITADA"] },
+      motivo: texto(2000),
+    },
+    required: ["status"],
+  },
+};
+
+export const salvarNotasDiario = {
+  resumo: "Salva notas do diário (chave alunoId_itemIdx_opIdx)",
+  params: paramId,
+  body: {
+    properties: {
+      turma_id: { ...id, aliases: ["turmaId"] },
+      notas: {
+        type: "object",
+        additionalProperties: { type: ["number", "string", "null"] },
+        description: '{ "alunoId_itemIdx_opIdx": valor }',
+      },
+      cores: {
+        type: "object",
+        additionalProperties: { type: ["string", "null"], maxLength: 20 },
+      },
+    },
+    required: ["turma_id", "notas"],
+  },
+};
+
+const queryTurma = { properties: { turma_id: id }, required: ["turma_id"] };
+
+export const notasDiario = { resumo: "Notas do diário da turma", params: paramId, query: queryTurma };
+export const statusDiario = { resumo: "Situação (aberto/fechado) do diário da turma", params: paramId, query: queryTurma };
+export const recuperacao = {
+  resumo: "Itens de recuperação do plano e alunos da turma abaixo da média (elegíveis)",
+  params: paramId,
+  query: queryTurma,
+};
+
+export const exportarBoletim = {
+  resumo: "Consolida o diário no boletim (e opcionalmente fecha o diário)",
+  params: paramId,
+  body: {
+    properties: {
+      turma_id: { ...id, aliases: ["turmaId"] },
+      fechar_diario: { ...booleano, aliases: ["fecharDiario"] },
+    },
+    required: ["turma_id"],
+  },
+};
+
+export const solicitarReaberturaDiario = {
+  resumo: "Professor pede reabertura do diário fechado",
+  params: paramId,
+  body: {
+    properties: {
+      turma_id: { ...id, aliases: ["turmaId"] },
+      motivo: texto(2000, { minLength: 1 }),
+      aluno_id: id,
+      aluno_nome: texto(150),
+    },
+    required: ["turma_id", "motivo"],
+  },
+};
@@ -0,0 +1,58 @@
+// schemas/calendario.js — rotas de /api/calendario (routes/calendario.js)
+import { ano, data, texto } from "./comum.js";
+
+// Mesmos tipos de services/calendarioLetivo.js (TIPOS_EVENTO / TIPOS_PERIODO)
+const tipoEvento = { type: "string", enum: ["feriado", "recesso", "nao_letivo", "sabado_letivo"] };
+const tipoPeriodo = { type: "string", enum: ["bimestre", "semestre"] };
+const paramAno = { properties: { ano }, required: ["ano"] };
+
+export const anos = { resumo: "Anos letivos cadastrados pela escola" };
+
+export const atual = { resumo: "Ano letivo, bimestre e semestre de hoje" };
+
+export const consultarData = {
+  resumo: "Em qual bimestre/semestre cai a data e se é dia letivo",
+  query: { properties: { data }, required: ["data"] },
+};
+
+export const calendarioDoAno = {
+  resumo: "Calendário do ano (períodos, eventos) com o contador de dias letivos",
+  params: paramAno,
+};
+
+export const salvarCalendario = {
+  resumo: "Cadastra ou substitui o calendário do ano letivo",
+  params: paramAno,
+  body: {
+    properties: {
+      data_inicio: data,
+      data_fim: data,
+      dias_letivos_minimo: { type: "integer", minimum: 1, maximum: 366 },
+      periodos: {
+        type: "array",
+        minItems: 4,
+        maxItems: 6,
+        items: {
+          type: "object",
+          properties: {
+            tipo: tipoPeriodo,
+            numero: { type: "integer", minimum: 1, maximum: 4 },
+            data_inicio: data,
+            data_fim: data,
+          },
+          required: ["tipo", "numero", "data_inicio", "data_fim"],
+        },
+      },
+      eventos: {
+        type: "array",
+        maxItems: 400,
+        items: {
+          type: "object",
+          properties: { tipo: tipoEvento, descricao: texto(200), data_inicio: data, data_fim: data },
+          required: ["tipo", "data_inicio"],
+        },
+      },
+    },
+    required: ["data_inicio", "data_fim", "periodos"],
+  },
+};
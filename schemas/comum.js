@@ -0,0 +1,35 @@
+// schemas/comum.js
+// -----------------------------------------------------------------------------
+// Fragmentos de JSON Schema reaproveitados pelos schemas de rota
+// (validar() em middleware/validarRequisicao.js; publicados no OpenAPI).
+// -----------------------------------------------------------------------------
+
+export const id = { type: "integer", minimum: 1 };
+export const idTexto = { type: "string", minLength: 1, maxLength: 64 };
+export const data = { type: "string", format: "date" };
+export const dataOuDataHora = {
+  type: "string",
+  pattern: "^\\d{4}-\\d{2}-\\d{2}",
+  mensagem: "deve começar com uma data AAAA-MM-DD",
+};
+export const ano = { type: "integer", minimum: 2000, maximum: 2100 };
+export const bimestre = { type: "integer", minimum: 1, maximum: 4 };
+export const semestre = { type: "integer", minimum: 0, maximum: 2, description: "1 ou 2 (0/vazio = anual)" };
+export const cpf = { type: "string", format: "cpf", description: "Com ou sem pontuação" };
+export const email = { type: "string", format: "email", maxLength: 190 };
+export const telefone = {
+  type: "string",
+  pattern: "^[\\d\\s()+-]{8,20}$",
+  mensagem: "deve ser um telefone com DDD",
+};
+export const codigoVerificacao = {
+  type: "string",
+  pattern: "^\\s*\\d{4,8}\\s*$",
+  mensagem: "deve ser o código numérico recebido",
+};
+export const texto = (maxLength, extra = {}) => ({ type: "string", maxLength, ...extra });
+export const booleano = { type: "boolean" };
+export const listaDeIds = (extra = {}) => ({ type: "array", items: id, minItems: 1, ...extra });
+
+/** { id } em :id */
+export const paramId = { properties: { id }, required: ["id"] };
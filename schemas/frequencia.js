@@ -0,0 +1,77 @@
+// schemas/frequencia.js — chamada por aula em /api/frequencia/chamada (routes/frequencia.js)
+import { ano, bimestre, data, dataOuDataHora, id, texto } from "./comum.js";
+
+// Mesmos status de services/chamada.js (STATUS_CHAMADA)
+const status = { type: "string", enum: ["presente", "ausente", "atrasado"] };
+const ordem = { type: "integer", minimum: 1, maximum: 20, aliases: ["periodo_ordem"] };
+const turmaId = { ...id, aliases: ["turmaId"] };
+
+const registros = {
+  type: "array",
+  maxItems: 200,
+  items: {
+    type: "object",
+    properties: { aluno_id: { ...id, aliases: ["alunoId"] }, status, observacao: texto(255) },
+    required: ["aluno_id", "status"],
+  },
+};
+
+const aula = {
+  turma_id: turmaId,
+  data,
+  ordem,
+  registros,
+  todos_presentes: { type: "boolean", aliases: ["todosPresentes"] },
+};
+
+export const aulasDoDia = {
+  resumo: "Aulas da data na grade publicada com a situação da chamada",
+  query: { properties: { data, turma_id: turmaId }, required: ["data"] },
+};
+
+export const chamadaDaAula = {
+  resumo: "Alunos da aula com a marcação atual e o prazo de edição",
+  query: { properties: { turma_id: turmaId, data, ordem }, required: ["turma_id", "data", "ordem"] },
+};
+
+export const registrarChamada = {
+  resumo: "Registra/corrige a chamada de uma aula (todos_presentes + exceções)",
+  body: { properties: aula, required: ["turma_id", "data", "ordem"] },
+};
+
+export const sincronizarChamadas = {
+  resumo: "Lote de chamadas feitas offline no app",
+  body: {
+    properties: {
+      aulas: {
+        type: "array",
+        minItems: 1,
+        maxItems: 100,
+        items: {
+          type: "object",
+          properties: { ...aula, id_local: texto(64), registrado_em: dataOuDataHora },
+          required: ["turma_id", "data", "ordem"],
+        },
+      },
+    },
+    required: ["aulas"],
+  },
+};
+
+export const frequenciaCalculada = {
+  resumo: "Frequência calculada pela chamada (aluno, disciplina, bimestre, ano)",
+  query: {
+    properties: {
+      ano,
+      bimestre,
+      turma_id: turmaId,
+      aluno_id: { ...id, aliases: ["alunoId"] },
+      disciplina_id: { ...id, aliases: ["disciplinaId"] },
+    },
+  },
+};
+
+export const consolidarFaltas = {
+  resumo: "Grava as faltas da chamada no boletim (notas.faltas) da turma no bimestre",
+  body: { properties: { turma_id: turmaId, ano, bimestre }, required: ["turma_id", "ano", "bimestre"] },
+};
@@ -0,0 +1,174 @@
+// schemas/gabaritoLotes.js — rotas de /api/gabarito-lotes (routes/gabaritoLotes.js)
+import { booleano, id, paramId, texto } from "./comum.js";
+
+const arquivo = { type: "string", format: "binary" };
+const codigoAluno = texto(30, { minLength: 1 });
+const respostas = {
+  type: "array",
+  maxItems: 300,
+  items: { type: ["string", "null"], maxLength: 10 },
+  description: 'Uma alternativa por questão ("A".."E", "N" = em branco)',
+};
+
+export const uploadLote = {
+  resumo: "Envia as folhas-resposta digitalizadas de uma turma",
+  multipart: true,
+  body: {
+    properties: {
+      avaliacao_id: id,
+      turma_nome: texto(60, { minLength: 1 }),
+      files: { type: "array", items: arquivo, maxItems: 100 },
+    },
+    required: ["avaliacao_id", "turma_nome"],
+  },
+};
+
+export const processarQr = { resumo: "Lê o QR das folhas do lote", params: paramId };
+
+export const vincularProfessor = {
+  resumo: "Atribui o lote a um professor corretor",
+  params: paramId,
+  body: { properties: { professor_id: id }, required: ["professor_id"] },
+};
+
+export const meuLote = {
+  resumo: "Lote do professor logado para a avaliação/turma",
+  query: { properties: { avaliacao_id: id, turma_nome: texto(60) }, required: ["avaliacao_id"] },
+};
+
+export const liberarCorrecao = { resumo: "Libera o lote para correção", params: paramId };
+export const bloquearCorrecao = { resumo: "Bloqueia a correção do lote", params: paramId };
+
+export const listarLotes = {
+  resumo: "Lotes da escola (opcionalmente de uma avaliação)",
+  query: { properties: { avaliacao_id: id } },
+};
+
+export const arquivosDoLote = { resumo: "Folhas do lote", params: paramId };
+export const corrigirArquivo = { resumo: "Corrige a folha (OMR)", params: paramId };
+export const imagemArquivo = { resumo: "Imagem da folha", params: paramId };
+export const alunosDaTurmaDoLote = { resumo: "Alunos da turma do lote", params: paramId };
+
+export const vincularAluno = {
+  resumo: "Vincula a folha a um aluno",
+  params: paramId,
+  body: {
+    properties: { codigo_aluno: codigoAluno, nome_aluno: texto(150, { minLength: 1 }) },
+    required: ["codigo_aluno", "nome_aluno"],
+  },
+};
+
+export const excluirArquivo = { resumo: "Exclui a folha", params: paramId };
+export const excluirLote = { resumo: "Exclui o lote e suas folhas", params: paramId };
+
+export const ajusteManual = {
+  resumo: "Professor pede ajuste manual de uma questão",
+  params: paramId,
+  body: {
+    properties: {
+      questao_numero: { type: "integer", minimum: 1, maximum: 300 },
+      tipo_ajuste: { type: "string", enum: ["acerto", "erro"] },
+      justificativa: texto(2000),
+    },
+    required: ["questao_numero", "tipo_ajuste"],
+  },
+};
+
+export const ajustesDoArquivo = { resumo: "Ajustes manuais da folha", params: paramId };
+
+export const decidirAjuste = {
+  resumo: "Coordenação aprova/rejeita ajuste manual",
+  params: paramId,
+  body: {
+    properties: {
+      decisao: { type: "string", enum: ["aprovado", "rejeitado"] },
+      observacao: texto(2000),
+    },
+    required: ["decisao"],
+  },
+};
+
+export const scanMobilePreview = {
+  resumo: "Pré-visualização da leitura (celular)",
+  multipart: true,
+  body: { properties: { file: arquivo } },
+};
+
+export const scanMobileCantos = {
+  resumo: "Detecta os cantos da folha (celular)",
+  multipart: true,
+  body: { properties: { file: arquivo } },
+};
+
+export const scanMobile = {
+  resumo: "Lê a folha fotografada pelo celular",
+  multipart: true,
+  body: {
+    properties: { avaliacao_id: id, lote_id: id, arquivo_id: id, file: arquivo },
+    required: ["avaliacao_id"],
+  },
+};
+
+export const scanMobileConfirmar = {
+  resumo: "Confirma as respostas lidas pelo celular e corrige",
+  body: {
+    properties: {
+      avaliacao_id: id,
+      arquivo_id: id,
+      lote_id: id,
+      respostas,
+      codigo_aluno: codigoAluno,
+      nome_aluno: texto(150),
+    },
+    required: ["avaliacao_id", "respostas"],
+  },
+};
+
+const queryAvaliacaoTurma = {
+  properties: { avaliacao_id: id, turma_id: id },
+  required: ["avaliacao_id", "turma_id"],
+};
+
+export const sessaoInfo = { resumo: "Dados da sessão de leitura pelo celular", query: queryAvaliacaoTurma };
+export const sessaoQr = { resumo: "QR para abrir a sessão de leitura no celular", query: queryAvaliacaoTurma };
+
+export const alunoPorCodigo = {
+  resumo: "Busca aluno pelo código lido na folha",
+  query: {
+    properties: { codigo: codigoAluno, avaliacao_id: id, lote_id: id, turma_id_lote: id },
+    required: ["codigo"],
+  },
+};
+
+export const loteImagens = {
+  resumo: "Imagens do lote para leitura pelo celular",
+  query: { properties: { lote_id: id }, required: ["lote_id"] },
+};
+
+export const lerImagemExistente = {
+  resumo: "Relê uma folha já enviada",
+  body: { properties: { arquivo_id: id }, required: ["arquivo_id"] },
+};
+
+export const salvarImagem = {
+  resumo: "Salva a foto da folha de um aluno",
+  multipart: true,
+  body: {
+    properties: { avaliacao_id: id, lote_id: id, codigo_aluno: codigoAluno, arquivo_id: id, file: arquivo },
+    required: ["avaliacao_id", "codigo_aluno"],
+  },
+};
+
+export const confirmarLeitura = {
+  resumo: "Grava as respostas conferidas de uma folha",
+  body: {
+    properties: { arquivo_id: id, respostas, origem: texto(30) },
+    required: ["arquivo_id", "respostas"],
+  },
+};
+
+export const marcarAusente = {
+  resumo: "Marca a folha como aluno ausente (ou desfaz)",
+  params: paramId,
+  body: { properties: { desfazer: booleano } },
+};
@@ -0,0 +1,13 @@
+// schemas/grade.js — rotas de /api/grade (routes/gradeSolve.js)
+import { listaDeIds, texto } from "./comum.js";
+
+export const preSolve = {
+  resumo: "Validações de pré-solve e montagem do payload do solver",
+  body: {
+    properties: {
+      turno: texto(20, { pattern: "\\S", mensagem: "não pode ficar em branco" }),
+      turma_ids: listaDeIds({ maxItems: 200, aliases: ["turmaIds"] }),
+    },
+    required: ["turno", "turma_ids"],
+  },
+};
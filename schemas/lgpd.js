@@ -0,0 +1,59 @@
+// schemas/lgpd.js — rotas de /api/lgpd (routes/lgpd.js)
+import { data, id, paramId, texto } from "./comum.js";
+
+// Mesmos tipos/status de services/lgpd.js
+const tipo = { type: "string", enum: ["exportacao", "anonimizacao"] };
+const status = { type: "string", enum: ["aberta", "em_andamento", "concluida", "recusada", "falhou"] };
+
+export const listarSolicitacoes = {
+  resumo: "Solicitações LGPD da escola (ordenadas pelo prazo)",
+  query: {
+    properties: {
+      status,
+      tipo,
+      aluno_id: id,
+      vencidas: { type: "boolean", description: "Só abertas com prazo vencido" },
+      limite: { type: "integer", minimum: 1, maximum: 500 },
+    },
+  },
+};
+
+export const abrirSolicitacao = {
+  resumo: "Abre solicitação do titular (aluno ou responsável) pela secretaria",
+  body: {
+    properties: {
+      tipo,
+      aluno_id: id,
+      responsavel_id: id,
+      motivo: texto(2000),
+      recebida_em: { ...data, description: "Data em que o pedido chegou (padrão: hoje)" },
+    },
+    required: ["tipo"],
+  },
+};
+
+export const buscarSolicitacao = { resumo: "Detalhe da solicitação", params: paramId };
+
+export const exportarSolicitacao = {
+  resumo: "Gera de novo o pacote de exportação (ex.: arquivo expirado)",
+  params: paramId,
+};
+
+export const anonimizarSolicitacao = {
+  resumo: "Executa a anonimização (irreversível)",
+  params: paramId,
+  body: {
+    properties: {
+      confirmacao: { type: "string", enum: ["ANONIMIZAR"], description: 'Digite "ANONIMIZAR" para confirmar' },
+    },
+    required: ["confirmacao"],
+  },
+};
+
+export const recusarSolicitacao = {
+  resumo: "Recusa fundamentada da solicitação",
+  params: paramId,
+  body: { properties: { resposta: texto(2000, { minLength: 10 }) }, required: ["resposta"] },
+};
+
+export const arquivoSolicitacao = { resumo: "Download do pacote (ZIP) da exportação", params: paramId };
@@ -0,0 +1,38 @@
+// schemas/notas.js — rotas de /api/notas (routes/notas.js)
+import { ano, bimestre, id } from "./comum.js";
+
+export const notasDoAluno = {
+  resumo: "Notas do aluno (todas as etapas)",
+  params: { properties: { id }, required: ["id"] },
+};
+
+const paramAluno = { properties: { alunoId: id }, required: ["alunoId"] };
+
+export const rankingAluno = { resumo: "Ranking do aluno na escola", params: paramAluno };
+export const rankingCompleto = { resumo: "Ranking do aluno na escola e na turma", params: paramAluno };
+
+export const rankingAnual = {
+  resumo: "Ranking anual do aluno",
+  params: paramAluno,
+  query: { properties: { ano } },
+};
+
+export const mapaNota = {
+  resumo: "Mapa de notas da turma no bimestre",
+  params: { properties: { turmaId: id }, required: ["turmaId"] },
+  query: { properties: { bimestre, ano } },
+};
+
+export const alternarFlagMapaNota = {
+  resumo: "Marca/desmarca aluno+disciplina no mapa de notas do professor",
+  body: {
+    properties: {
+      aluno_id: { ...id, aliases: ["alunoId"] },
+      disciplina_id: { ...id, aliases: ["disciplinaId"] },
+      bimestre,
+      ano,
+      turma_id: { ...id, aliases: ["turmaId"] },
+    },
+    required: ["aluno_id", "disciplina_id", "bimestre", "ano"],
+  },
+};
@@ -0,0 +1,38 @@
+// schemas/notificacoes.js — rotas de /api/notificacoes (routes/notificacoes.js)
+// e a publicação de boletins (routes/boletins.js)
+import { ano, bimestre, id, paramId } from "./comum.js";
+
+// Mesmos eventos/status de services/notificacoes.js
+const evento = { type: "string", enum: ["PRESENCA_ENTRADA", "OCORRENCIA", "COMUNICADO", "BOLETIM_PUBLICADO", "RESUMO_DIARIO"] };
+const status = { type: "string", enum: ["pendente", "enviando", "enviado", "entregue", "falhou", "descartado"] };
+const canal = { type: "string", enum: ["push", "email", "sms"] };
+
+export const listarEnvios = {
+  resumo: "Envios do outbox de notificações da escola",
+  query: {
+    properties: {
+      evento,
+      referencia_id: id,
+      aluno_id: id,
+      responsavel_id: id,
+      status,
+      canal,
+      limite: { type: "integer", minimum: 1, maximum: 200 },
+    },
+  },
+};
+
+export const statusPorResponsavel = {
+  resumo: "Situação de entrega por responsável (evento + referencia_id, ou aluno_id)",
+  query: { properties: { evento, referencia_id: id, aluno_id: id } },
+};
+
+export const reenviarEnvio = { resumo: "Devolve à fila um envio que falhou", params: paramId };
+
+export const publicarBoletim = {
+  resumo: "Publica os boletins da turma no bimestre e avisa os responsáveis",
+  body: {
+    properties: { turma_id: { ...id, aliases: ["turmaId"] }, ano, bimestre },
+    required: ["turma_id", "ano", "bimestre"],
+  },
+};
@@ -0,0 +1,13 @@
+// schemas/responsaveis.js — rotas de /api/responsaveis (routes/responsaveis.js)
+import { listaDeIds, paramId } from "./comum.js";
+
+export const revogarConsentimento = {
+  resumo: "Registra a revogação do consentimento de imagem (formulário entregue na escola)",
+  params: paramId,
+  body: { properties: { aluno_ids: listaDeIds({ maxItems: 50 }) }, required: ["aluno_ids"] },
+};
+
+export const relatorioConsentimento = {
+  resumo: "Alunos ativos sem consentimento de imagem válido (ausente ou expirado)",
+  query: { properties: { situacao: { type: "string", enum: ["ausente", "expirado"] } } },
+};
@@ -0,0 +1,49 @@
+// schemas/resultadoFinal.js — rotas de /api/resultado-final (routes/resultado_final.js)
+import { ano, booleano, id, texto } from "./comum.js";
+
+// Mesmos valores de services/resultadoFinal.js (RESULTADOS)
+const resultado = { type: "string", enum: ["aprovado", "reprovado", "aprovado_conselho", "dependencia"] };
+const turmaAno = {
+  properties: { turma_id: { ...id, aliases: ["turmaId"] }, ano },
+  required: ["turma_id"],
+};
+
+export const resultadoDaTurma = {
+  resumo: "Revisão do resultado final da turma (ao vivo) ou o resultado publicado",
+  query: turmaAno,
+};
+
+export const ataPdf = {
+  resumo: "Ata de resultados finais da turma (PDF)",
+  query: turmaAno,
+};
+
+export const recuperacaoFinal = {
+  resumo: "Lança (ou apaga, sem nota) a recuperação final do aluno na disciplina",
+  body: {
+    properties: {
+      ...turmaAno.properties,
+      aluno_id: { ...id, aliases: ["alunoId"] },
+      disciplina_id: { ...id, aliases: ["disciplinaId"] },
+      nota: { type: "number", minimum: 0, maximum: 100, description: "Vazio/null apaga a recuperação" },
+    },
+    required: ["turma_id", "aluno_id", "disciplina_id"],
+  },
+};
+
+export const ajustarResultado = {
+  resumo: "Ajuste manual do resultado do aluno pela secretaria (sem resultado desfaz)",
+  params: { properties: { alunoId: id }, required: ["alunoId"] },
+  body: {
+    properties: { ...turmaAno.properties, resultado, justificativa: texto(1000) },
+    required: ["turma_id"],
+  },
+};
+
+export const publicar = {
+  resumo: "Publica o resultado final da turma (trava revisão, recuperação final e conselho)",
+  body: {
+    properties: { ...turmaAno.properties, ignorar_pendencias: booleano },
+    required: ["turma_id"],
+  },
+};
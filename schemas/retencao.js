@@ -0,0 +1,50 @@
+// schemas/retencao.js — rotas de /api/retencao (routes/retencao.js)
+import { booleano, paramId, texto } from "./comum.js";
+
+// Mesmas categorias de services/retencao.js
+const categoria = {
+  type: "string",
+  enum: ["camera_frames", "visitantes_fotos", "embeddings", "camera_eventos", "access_log", "rbac_auditoria", "notificacoes_mobile"],
+};
+
+export const politicas = { resumo: "Prazos de retenção da escola por categoria" };
+
+export const salvarPoliticas = {
+  resumo: "Altera prazo (dias) ou liga/desliga categorias de retenção",
+  body: {
+    properties: {
+      politicas: {
+        type: "array",
+        minItems: 1,
+        maxItems: 20,
+        items: {
+          type: "object",
+          properties: { categoria, dias: { type: "integer", minimum: 0, maximum: 3650 }, ativo: booleano },
+          required: ["categoria"],
+        },
+      },
+    },
+    required: ["politicas"],
+  },
+};
+
+export const executar = {
+  resumo: "Enfileira o expurgo (ou a simulação) da escola agora",
+  body: { properties: { simulacao: { ...booleano, description: "true = só relatório, nada é apagado" } } },
+};
+
+export const execucoes = {
+  resumo: "Histórico das execuções (simulações e expurgos)",
+  query: { properties: { limite: { type: "integer", minimum: 1, maximum: 200 } } },
+};
+
+export const bloqueios = { resumo: "Ocorrências com trava legal ativa" };
+
+export const definirBloqueio = {
+  resumo: "Liga/desliga a trava legal da ocorrência (dados do aluno ficam fora do expurgo)",
+  params: paramId,
+  body: {
+    properties: { bloqueio: booleano, motivo: texto(255, { minLength: 5 }) },
+    required: ["bloqueio"],
+  },
+};
@@ -0,0 +1,84 @@
+// scripts/backup-escola.js
+// ============================================================================
+// Backup / restauração de uma escola pela linha de comando
+// (services/backupEscola.js — mesmo pacote do painel do CEO).
+//
+// Uso:
+//   node scripts/backup-escola.js exportar <escola_id> [--saida arquivo.zip] [--incluir-logs]
+//   node scripts/backup-escola.js restaurar <arquivo.zip>                → simulação
+//   node scripts/backup-escola.js restaurar <arquivo.zip> --executar
+//        [--escola-destino <id>] [--nome "Nome"] [--apelido APELIDO]
+//
+// npm run escola:backup -- exportar 12
+// Usa o banco e o armazenamento do ambiente (.env / STORAGE_DRIVER).
+// ============================================================================
+import fs from "fs";
+import pool from "../db.js";
+import { exportarEscola, restaurarEscola } from "../services/backupEscola.js";
+
+function opcao(nome) {
+  const i = process.argv.indexOf(nome);
+  return i > 0 ? process.argv[i + 1] : undefined;
+}
+
+async function exportar(escolaId) {
+  const incluirLogs = process.argv.includes("--incluir-logs");
+  const { zip, manifesto } = await exportarEscola(pool, Number(escolaId), {
+    incluirLogs,
+    aoProgredir: (pct, etapa) => process.stdout.write(`\r   ${String(pct).padStart(3)}%  ${etapa.padEnd(50)}`),
+  });
+  const saida = opcao("--saida") || `backup_escola_${escolaId}_${manifesto.gerado_em.slice(0, 10)}.zip`;
+  fs.writeFileSync(saida, zip);
+
+  console.log(`\n\n📦 ${saida} (${zip.length} bytes, esquema ${manifesto.migracao || "?"})`);
+  for (const t of manifesto.tabelas) console.log(`   ${t.nome.padEnd(45)} ${t.registros}`);
+  console.log(`\n   ${manifesto.objetos.length} arquivo(s), ${manifesto.objetos_ausentes.length} ausente(s) na origem.`);
+  for (const o of manifesto.objetos_ausentes) console.log(`   ausente  ${o.origem}:${o.chave} (${o.erro})`);
+  return 0;
+}
+
+async function restaurar(arquivo) {
+  const executar = process.argv.includes("--executar");
+  const escolaDestino = opcao("--escola-destino");
+  const resumo = await restaurarEscola(pool, fs.readFileSync(arquivo), {
+    escolaDestinoId: escolaDestino ? Number(escolaDestino) : null,
+    nome: opcao("--nome"),
+    apelido: opcao("--apelido"),
+    simular: !executar,
+    aoProgredir: (pct, etapa) => process.stdout.write(`\r   ${String(pct).padStart(3)}%  ${etapa.padEnd(50)}`),
+  });
+
+  console.log(`\n\n🏫 Origem: escola ${resumo.origem.escola_id} (${resumo.origem.apelido || "-"}), esquema ${resumo.origem.migracao || "?"}`);
+  for (const t of resumo.tabelas) console.log(`   ${t.nome.padEnd(45)} ${t.registros}`);
+  if (resumo.tabelas_ignoradas.length) console.log(`\n   Tabelas que não existem aqui: ${resumo.tabelas_ignoradas.join(", ")}`);
+  if (resumo.colunas_ignoradas.length) console.log(`   Colunas que não existem aqui: ${resumo.colunas_ignoradas.join(", ")}`);
+
+  if (!executar) {
+    console.log("\n   Simulação — nada foi gravado. Use --executar para restaurar.");
+    return 0;
+  }
+  console.log(
+    `\n✅ Escola ${resumo.escola_id} criada/preenchida. ${resumo.reaproveitados} registro(s) reaproveitado(s), ` +
+      `${resumo.referencias_orfas} referência(s) sem destino, ${resumo.objetos.restaurados}/${resumo.objetos.total} arquivo(s).`
+  );
+  for (const f of resumo.objetos.falhas) console.log(`   falha  ${f.chave} (${f.erro})`);
+  return resumo.objetos.falhas.length ? 1 : 0;
+}
+
+async function run() {
+  const [comando, alvo] = process.argv.slice(2);
+  if (comando === "exportar" && /^\d+$/.test(alvo || "")) return exportar(alvo);
+  if (comando === "restaurar" && alvo) return restaurar(alvo);
+  console.log("Uso: node scripts/backup-escola.js exportar <escola_id> | restaurar <arquivo.zip> [--executar]");
+  return 1;
+}
+
+run()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error("\n❌ Erro no backup da escola:", err?.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
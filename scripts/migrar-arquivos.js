@@ -0,0 +1,48 @@
+// scripts/migrar-arquivos.js
+// ============================================================================
+// Move arquivos legados do disco para o armazenamento configurado
+// (services/armazenamento.js — STORAGE_DRIVER) e reescreve as referências:
+//   - redacoes.imagem             "/uploads/redacoes/<codigo>.jpg"
+//   - gabarito_arquivos.arquivo_path "uploads/gabaritos/..." ou caminho absoluto
+//
+// Uso:
+//   node scripts/migrar-arquivos.js              → simulação (npm run arquivos:migrar)
+//   node scripts/migrar-arquivos.js --executar   → move, atualiza o BD e apaga a origem
+//   node scripts/migrar-arquivos.js --executar --manter-origem
+//
+// Idempotente: o que já foi movido não casa mais com os padrões legados.
+// ============================================================================
+import path from "path";
+import { fileURLToPath } from "url";
+import pool from "../db.js";
+import { driverConfigurado } from "../services/armazenamento.js";
+import { migrarArquivosLegados } from "../services/arquivos.js";
+
+const BACKEND_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+async function run() {
+  const executar = process.argv.includes("--executar");
+  const apagarOrigem = !process.argv.includes("--manter-origem");
+
+  console.log(`\n📦 Driver de destino: ${driverConfigurado()}${executar ? "" : "  (simulação — use --executar)"}`);
+  const resumo = await migrarArquivosLegados(pool, { executar, backendRoot: BACKEND_ROOT, apagarOrigem });
+
+  for (const item of resumo.itens) {
+    const destino = item.chave ? ` → ${item.chave}` : item.erro ? ` (${item.erro})` : "";
+    console.log(`   ${item.status.padEnd(9)} ${item.tabela}#${item.id}  ${item.origem}${destino}`);
+  }
+  console.log(
+    `\n   ${resumo.movidos} movido(s), ${resumo.pendentes} pendente(s), ${resumo.ausentes} ausente(s) no disco, ${resumo.falhas} falha(s).`
+  );
+  return resumo.falhas ? 1 : 0;
+}
+
+run()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error("❌ Erro na migração de arquivos:", err?.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,99 @@
+// scripts/migrate.js
+// ============================================================================
+// CLI das migrações versionadas (services/migrationRunner.js)
+//
+// Uso:
+//   node scripts/migrate.js up       → aplica as pendentes (npm run migrate)
+//   node scripts/migrate.js status   → lista aplicadas/pendentes
+//   node scripts/migrate.js verify   → falha (exit 1) se houver pendentes ou drift
+//
+// Nova migração: migrations/versions/NNNN_descricao.js exportando
+//   export const descricao = "...";
+//   export async function up(db) { ... }
+// Nunca edite uma migração já aplicada — crie a próxima versão.
+// ============================================================================
+import os from "os";
+import pool from "../db.js";
+import {
+  aplicarMigracoes,
+  listarMigracoes,
+  statusMigracoes,
+  verificarMigracoes,
+} from "../services/migrationRunner.js";
+
+function fmtData(d) {
+  if (!d) return "—";
+  const dt = d instanceof Date ? d : new Date(d);
+  return Number.isNaN(dt.getTime()) ? String(d) : dt.toISOString().replace("T", " ").slice(0, 19);
+}
+
+async function cmdUp() {
+  const aplicadas = await aplicarMigracoes(pool, { aplicadoPor: `cli@${os.hostname()}` });
+  console.log(
+    aplicadas.length
+      ? `\n✅ ${aplicadas.length} migração(ões) aplicada(s).`
+      : "\n✅ Nada a aplicar — schema em dia."
+  );
+  return 0;
+}
+
+async function cmdStatus() {
+  const { aplicadas, pendentes, divergentes, ausentes } = await statusMigracoes(pool);
+  const divergentesSet = new Set(divergentes.map((d) => d.versao));
+  const aplicadasMap = new Map(aplicadas.map((a) => [a.versao, a]));
+
+  console.log("\n📋 Migrações:");
+  for (const mig of listarMigracoes()) {
+    const reg = aplicadasMap.get(mig.versao);
+    const estado = !reg ? "PENDENTE " : divergentesSet.has(mig.versao) ? "DIVERGENTE" : "aplicada ";
+    console.log(`   ${estado}  ${mig.versao}_${mig.nome.padEnd(45)} ${reg ? fmtData(reg.aplicado_em) : ""}`);
+  }
+  for (const a of ausentes) {
+    console.log(`   AUSENTE    ${a.versao}_${a.nome.padEnd(45)} ${fmtData(a.aplicado_em)} (registrada no banco, arquivo removido)`);
+  }
+
+  console.log(`\n   ${aplicadas.length} aplicada(s), ${pendentes.length} pendente(s), ${divergentes.length} divergente(s).`);
+  return 0;
+}
+
+async function cmdVerify() {
+  const { ok, pendentes, divergentes, ausentes } = await verificarMigracoes(pool);
+
+  for (const d of divergentes) {
+    console.error(`❌ ${d.versao}_${d.nome}: checksum aplicado ${d.esperado.slice(0, 12)}… ≠ arquivo ${d.atual.slice(0, 12)}…`);
+  }
+  for (const a of ausentes) {
+    console.error(`❌ ${a.versao}_${a.nome}: aplicada no banco mas o arquivo não existe mais`);
+  }
+  for (const p of pendentes) {
+    console.error(`⚠️  ${p.versao}_${p.nome}: pendente`);
+  }
+
+  if (ok && !pendentes.length) {
+    console.log("✅ Migrações íntegras e em dia.");
+    return 0;
+  }
+  return 1;
+}
+
+const comandos = { up: cmdUp, status: cmdStatus, verify: cmdVerify };
+
+async function run() {
+  const cmd = process.argv[2] || "status";
+  const fn = comandos[cmd];
+  if (!fn) {
+    console.error(`Comando inválido: ${cmd}. Use: up | status | verify`);
+    return 2;
+  }
+  return fn();
+}
+
+run()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error("❌ Erro nas migrações:", err?.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
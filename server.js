@@ -3,6 +3,7 @@
 // ============================================================================
 import dotenv from "dotenv";
 import express from "express";
+import { criarLogger, instalarConsoleEstruturado } from "./services/logger.js";
 
 import cors from "cors";
 import bodyParser from "body-parser";
@@ -23,6 +24,10 @@ const envFile =
 // carrega arquivo do diretório do server.js (apps/educa-backend)
 dotenv.config({ path: join(__dirnameEnv, envFile) });
 
+// ===== Log estruturado: console.* legado vira JSON com nível e request_id =====
+// (LOG_LEVEL / LOG_LEVELS / LOG_FORMAT — ver services/logger.js)
+instalarConsoleEstruturado();
+
 // ===== JWT SECRET (blindagem) =====
 if (!process.env.JWT_SECRET) {
   if (process.env.NODE_ENV === "production") {
@@ -38,6 +43,7 @@ if (!process.env.JWT_SECRET) {
 import pool from "./db.js";
 import appAlunoAuthRouter from "./routes/app_aluno_auth.js";
 import carteirinhaRouter from "./routes/carteirinha.js";
+import arquivosPublicosRouter from "./routes/arquivos.js";
 
 // ------------------------- Rotas --------------------------------------------
 // ⚠️ MODULAÇÃO (temporariamente OFF)
@@ -76,6 +82,11 @@ import ferramentasIndexRouter from "./routes/ferramentas/index.js";
 
 // ⚠️ BOLETINS (Migrado para Playwright)
 import boletinsRouter from "./routes/boletins.js";
+import jobsRouter from "./routes/jobs.js"; // ✅ Status/resultado dos jobs em background
+import auditoriaRouter from "./routes/auditoria.js"; // ✅ Trilha de auditoria de dados (notas, ocorrências, alunos)
+import notificacoesRouter from "./routes/notificacoes.js"; // ✅ Entrega das notificações aos responsáveis (outbox)
+import lgpdRouter from "./routes/lgpd.js"; // ✅ Solicitações do titular (LGPD): exportação e anonimização
+import retencaoRouter from "./routes/retencao.js"; // ✅ Prazos de retenção, expurgo e trava legal
 import comunicadosRouter from "./routes/comunicados.js";
 
 import alunosRouter from "./routes/alunos.js";
@@ -120,6 +131,8 @@ import escolaLogosRouter from "./routes/escola_logos.js";
 import capaProvasRouter from "./routes/capa_provas.js";
 import plataformaGovernancaRouter from "./routes/plataforma_governanca.js";
 import manutencaoRouter from "./routes/manutencao.js";
+import plataformaLogsRouter from "./routes/plataforma_logs.js";
+import plataformaBackupRouter from "./routes/plataforma_backup.js";
 import convitesPublicoRouter from "./routes/convites_publico.js"; // ✅ Ativação de diretores — PUBLIC (sem auth)
 
 import frequenciaRouter from "./routes/frequencia.js";
@@ -127,6 +140,8 @@ import secretariaRelatoriosRouter from "./routes/secretaria-relatorios.js";
 import secretariaRelatoriosPdfRouter from "./routes/secretaria-relatorios-pdf.js";
 import pedagogicoRelatoriosRouter from "./routes/pedagogico_relatorios.js";
 import agendaPedagogicaRouter from "./routes/agendaPedagogica.js";
+import calendarioRouter from "./routes/calendario.js"; // ✅ Calendário letivo (anos, bimestres, dias letivos)
+import resultadoFinalRouter from "./routes/resultado_final.js"; // ✅ Resultado final do ano (aprovação, conselho, ata)
 import appPaisRouterModule, { mountToApp as mountAppPaisToApp } from "./routes/app_pais.js";
 import appPaisLoginRouter from "./routes/app_pais_login.js"; // ✅ Router público pre-auth — workaround Express 5 + Docker
 import bnccCascadeRouter from "./routes/bncc_cascade.js"; // ✅ import estático — sem feature flag
@@ -284,6 +299,17 @@ if (FF_MONITORAMENTO && requireEnvForFeature("FF_MONITORAMENTO", ["MONITORAMENTO
 import { autenticarToken } from "./middleware/autenticarToken.js";
 import { verificarEscola } from "./middleware/verificarEscola.js";
 import { exigirEscopo } from "./middleware/verificarEscopo.js";
+import { verificarMigracoesNoBoot } from "./services/migrationRunner.js";
+import { iniciarWorkers } from "./services/jobQueue.js";
+import { registrarLimitesDeAcesso } from "./middleware/limitarTentativas.js";
+import { correlacionarRequisicao } from "./middleware/correlacao.js";
+import { medirRequisicao } from "./middleware/metricasHttp.js";
+import { monitorarPoolMysql } from "./services/metricas.js";
+import metricasRouter from "./routes/metricas.js";
+import { iniciarLimpezaLimites } from "./services/limiteTaxa.js";
+import { iniciarDispatcher } from "./services/notificacoes.js";
+import { iniciarRetencao } from "./services/retencao.js";
+import { gerarOpenApi } from "./services/openapi.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -374,6 +400,7 @@ app.use(
       "x-request-id",
       "x-worker-token",
     ],
+    exposedHeaders: ["X-Request-Id"],
     optionsSuccessStatus: 204,
   })
 );
@@ -386,6 +413,13 @@ app.use((req, res, next) => {
   next();
 });
 
+// request_id + contexto de log (escola/usuário/rota) + linha de acesso
+app.use(correlacionarRequisicao);
+
+// Latência/status por rota + saturação do pool (GET /metrics)
+app.use(medirRequisicao);
+monitorarPoolMysql(pool);
+
 
 
 // Aceita JSONs maiores (necessário para foto_base64)
@@ -400,6 +434,9 @@ app.use(bodyParser.json({ limit: "10mb" }));
 // ============================================================================
 // Estáticos
 // ============================================================================
+// Redações são privadas: só por URL assinada (services/arquivos.js). O que
+// ainda estiver em uploads/redacoes (legado) não sai pelo estático.
+app.use("/uploads/redacoes", (_req, res) => res.status(404).end());
 app.use(
   "/uploads",
   express.static(join(__dirname, "uploads"), {
@@ -458,6 +495,9 @@ app.get("/api/health", (_req, res) =>
   })
 );
 
+// Métricas Prometheus (Bearer METRICS_TOKEN — ver routes/metricas.js)
+app.use("/metrics", metricasRouter);
+
 // ============================================================================
 // EDUCA-CAPTURE — Páginas públicas (sem autenticação)
 // Usadas como Support URL e Privacy Policy URL no App Store Connect
@@ -570,760 +610,51 @@ if (!IS_PROD) {
       ts: new Date().toISOString(),
     });
   });
-
-  // ✅ PASSO 4.3.1 — Observabilidade (DEV) sem vazar segredos
-  // - Gera request id
-  // - Loga somente monitoramento (sem Authorization)
-  app.use((req, res, next) => {
-    const startedAt = Date.now();
-
-    const rid =
-      req.headers["x-request-id"] ||
-      `${Date.now().toString(36)}_${Math.random().toString(16).slice(2, 10)}`;
-
-    req.request_id = String(rid);
-    res.setHeader("X-Request-Id", String(rid));
-
-    const url = String(req.originalUrl || "");
-    const isMonitoramento = url.startsWith("/api/monitoramento");
-
-    res.on("finish", () => {
-      if (!isMonitoramento) return;
-
-      const ms = Date.now() - startedAt;
-      console.log(
-        JSON.stringify({
-          ts: new Date().toISOString(),
-          module: "monitoramento",
-          request_id: String(rid),
-          method: req.method,
-          url,
-          status: res.statusCode,
-          duration_ms: ms,
-        })
-      );
-    });
-
-    next();
-  });
 }
 
 async function bootstrap() {
   // ============================================================================
-  // Migrations automáticas (idempotentes) — executam no boot
-  // ============================================================================
-  try {
-    // [2026-04-22] Cancelamento de questão em lote no módulo Gabarito
-    const [cols] = await pool.query(`
-      SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS
-      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'gabarito_avaliacoes' AND COLUMN_NAME = 'questoes_canceladas'
-    `);
-    if (cols.length === 0) {
-      await pool.query(`
-        ALTER TABLE gabarito_avaliacoes
-          ADD COLUMN questoes_canceladas JSON DEFAULT NULL
-          COMMENT 'Questoes anuladas em lote: [{numero, modo (bonificar|desconsiderar), motivo, cancelado_em, cancelado_por}]'
-      `);
-      console.log("[MIGRATION] Coluna 'questoes_canceladas' adicionada em 'gabarito_avaliacoes' ✅");
-    }
-  } catch (migErr) {
-    console.warn("[MIGRATION] Erro ao aplicar migration questoes_canceladas (não crítico):", migErr.message);
-  }
-
-  // [2026-05-11] Data de aplicação da prova bimestral no módulo Gabarito
-  try {
-    const [colsDataApl] = await pool.query(`
-      SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS
-      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'gabarito_avaliacoes' AND COLUMN_NAME = 'data_aplicacao'
-    `);
-    if (colsDataApl.length === 0) {
-      await pool.query(`
-        ALTER TABLE gabarito_avaliacoes
-          ADD COLUMN data_aplicacao DATE DEFAULT NULL
-          COMMENT 'Data de aplicação da prova bimestral — definida pela direção ao criar o gabarito'
-      `);
-      console.log("[MIGRATION] Coluna 'data_aplicacao' adicionada em 'gabarito_avaliacoes' ✅");
-    }
-  } catch (migErr) {
-    console.warn("[MIGRATION] Erro ao aplicar migration data_aplicacao (não crítico):", migErr.message);
-  }
-
-  // [2026-04-24] Tabela de OTP codes do App Pais
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS app_pais_codigos (
-        id            INT UNSIGNED    NOT NULL AUTO_INCREMENT,
-        responsavel_id INT UNSIGNED   NOT NULL,
-        codigo        VARCHAR(6)      NOT NULL,
-        canal         VARCHAR(10)     NOT NULL DEFAULT 'email',
-        destino       VARCHAR(255)    NOT NULL,
-        expiracao     DATETIME        NOT NULL,
-        usado_em      DATETIME        DEFAULT NULL,
-        criado_em     DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
-        PRIMARY KEY (id),
-        INDEX idx_resp_codigo (responsavel_id, codigo),
-        INDEX idx_expiracao   (expiracao)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-        COMMENT='Codigos OTP de acesso para responsaveis no App Pais'
-    `);
-    console.log("[MIGRATION] Tabela app_pais_codigos garantida ✅");
-  } catch (migErr) {
-    console.warn("[MIGRATION] Erro ao criar app_pais_codigos (não crítico):", migErr.message);
-  }
-
-  // [2026-04-25] Rastreabilidade de quem REGISTROU a ocorrência disciplinar
-  try {
-    const [colsReg] = await pool.query(`
-      SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS
-      WHERE TABLE_SCHEMA = DATABASE()
-        AND TABLE_NAME = 'ocorrencias_disciplinares'
-        AND COLUMN_NAME = 'usuario_registro_id'
-    `);
-    if (colsReg.length === 0) {
-      await pool.query(`
-        ALTER TABLE ocorrencias_disciplinares
-          ADD COLUMN usuario_registro_id INT NULL DEFAULT NULL
-          COMMENT 'ID do usuario que criou o registro (rastreabilidade)'
-      `);
-      console.log("[MIGRATION] Coluna 'usuario_registro_id' adicionada em 'ocorrencias_disciplinares' ✅");
-    }
-  } catch (migErr) {
-    console.warn("[MIGRATION] Erro ao aplicar migration usuario_registro_id (não crítico):", migErr.message);
-  }
-
-  // [2026-05-16] Bônus Mérito: garantir coluna updated_at em ocorrencias_disciplinares
-  try {
-    const [colsUpd] = await pool.query(`
-      SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS
-      WHERE TABLE_SCHEMA = DATABASE()
-        AND TABLE_NAME = 'ocorrencias_disciplinares'
-        AND COLUMN_NAME = 'updated_at'
-    `);
-    if (colsUpd.length === 0) {
-      await pool.query(`
-        ALTER TABLE ocorrencias_disciplinares
-          ADD COLUMN updated_at DATETIME NULL DEFAULT NULL
-          ON UPDATE CURRENT_TIMESTAMP
-          COMMENT 'Última atualização do registro'
-      `);
-      console.log("[MIGRATION] Coluna 'updated_at' adicionada em 'ocorrencias_disciplinares' ✅");
-    }
-  } catch (migErr) {
-    console.warn("[MIGRATION] Erro ao aplicar migration updated_at (não crítico):", migErr.message);
-  }
-
-  // [2026-05-26] Rastreabilidade Disciplinar — usuario_impressao_id + usuario_edicao_id
-  try {
-    const [colsRastreio] = await pool.query(`
-      SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS
-      WHERE TABLE_SCHEMA = DATABASE()
-        AND TABLE_NAME = 'ocorrencias_disciplinares'
-        AND COLUMN_NAME IN ('usuario_impressao_id', 'usuario_edicao_id')
-    `);
-    const existentes = new Set(colsRastreio.map(c => c.COLUMN_NAME));
-    const adds = [];
-    if (!existentes.has('usuario_impressao_id'))
-      adds.push(`ADD COLUMN usuario_impressao_id INT NULL DEFAULT NULL
-        COMMENT 'ID do usuario que imprimiu o PDF do registro (rastreabilidade)'`);
-    if (!existentes.has('usuario_edicao_id'))
-      adds.push(`ADD COLUMN usuario_edicao_id INT NULL DEFAULT NULL
-        COMMENT 'ID do usuario que editou o registro pela ultima vez (rastreabilidade)'`);
-    if (adds.length > 0) {
-      await pool.query(`ALTER TABLE ocorrencias_disciplinares ${adds.join(', ')}`);
-      console.log("[MIGRATION] Colunas de rastreabilidade disciplinar adicionadas ✅");
-    }
-    // Índices (idempotentes — ignora ER_DUP_KEYNAME)
-    for (const [col, idx] of [
-      ['usuario_impressao_id', 'idx_usuario_impressao'],
-      ['usuario_edicao_id',    'idx_usuario_edicao'],
-    ]) {
-      if (!existentes.has(col)) {
-        try {
-          await pool.query(`ALTER TABLE ocorrencias_disciplinares ADD INDEX ${idx} (${col})`);
-        } catch (e) {
-          if (e.code !== 'ER_DUP_KEYNAME') throw e;
-        }
-      }
-    }
-  } catch (migErr) {
-    console.warn("[MIGRATION] Erro ao aplicar migration rastreabilidade disciplinar (não crítico):", migErr.message);
-  }
-
-  // [2026-05-23] Módulo Liberação Antecipada — tabela liberacoes_alunos
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS liberacoes_alunos (
-        id                              INT UNSIGNED  NOT NULL AUTO_INCREMENT,
-        escola_id                       INT           NOT NULL,
-        aluno_id                        INT           NOT NULL,
-        turma_id                        INT           DEFAULT NULL,
-        data_hora_saida                 DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
-        motivo                          VARCHAR(255)  NOT NULL,
-        observacao                      TEXT          DEFAULT NULL,
-        responsavel_cadastrado_id       INT           DEFAULT NULL
-          COMMENT 'FK responsaveis.id — preenchido quando o responsável é cadastrado',
-        responsavel_nome_avulso         VARCHAR(255)  DEFAULT NULL
-          COMMENT 'Nome quando não é responsável cadastrado',
-        responsavel_parentesco_avulso   VARCHAR(50)   DEFAULT NULL,
-        responsavel_telefone_avulso     VARCHAR(30)   DEFAULT NULL,
-        registrado_por                  VARCHAR(255)  DEFAULT NULL,
-        criado_em                       DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
-        PRIMARY KEY (id),
-        INDEX idx_escola        (escola_id),
-        INDEX idx_aluno         (aluno_id),
-        INDEX idx_turma         (turma_id),
-        INDEX idx_data          (data_hora_saida),
-        INDEX idx_escola_data   (escola_id, data_hora_saida)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-        COMMENT='Registro de liberações antecipadas de alunos — Módulo Disciplinar'
-    `);
-    console.log("[MIGRATION] Tabela liberacoes_alunos garantida ✅");
-  } catch (migErr) {
-    console.warn("[MIGRATION] Erro ao criar liberacoes_alunos (não crítico):", migErr.message);
-  }
-
-  // [2026-05-30] Logos institucionais das escolas
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS escola_logos (
-        id            INT UNSIGNED NOT NULL AUTO_INCREMENT,
-        escola_id     INT NOT NULL,
-        label         VARCHAR(100) NOT NULL,
-        posicao       ENUM('esquerda','direita','nenhuma') NOT NULL DEFAULT 'nenhuma',
-        usos          JSON,
-        key_original  VARCHAR(300),
-        key_header    VARCHAR(300),
-        key_thumb     VARCHAR(300),
-        url_header    VARCHAR(500),
-        url_thumb     VARCHAR(500),
-        ordem         TINYINT DEFAULT 0,
-        ativo         TINYINT(1) DEFAULT 1,
-        criado_em     DATETIME DEFAULT CURRENT_TIMESTAMP,
-        atualizado_em DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        PRIMARY KEY (id),
-        INDEX idx_escola (escola_id)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-        COMMENT='Logos institucionais das escolas gerenciadas pelo Diretor'
-    `);
-    console.log('[MIGRATION] Tabela escola_logos garantida ✅');
-  } catch (migErr) {
-    console.warn('[MIGRATION] Erro ao criar escola_logos (nao critico):', migErr.message);
-  }
-
-  // [2026-05-30] Capas de provas para geração de PDF
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS capa_provas (
-        id           INT UNSIGNED NOT NULL AUTO_INCREMENT,
-        escola_id    INT NOT NULL,
-        titulo       VARCHAR(200) NOT NULL,
-        area         ENUM('EXATAS','HUMANAS','LINGUAGENS','NATUREZA','GERAL') NOT NULL DEFAULT 'GERAL',
-        serie        VARCHAR(50),
-        turno        VARCHAR(50),
-        bimestre     TINYINT NOT NULL DEFAULT 1,
-        ano          YEAR NOT NULL,
-        template_id  TINYINT NOT NULL DEFAULT 1,
-        instrucoes   TEXT,
-        qr_token     VARCHAR(64) NOT NULL,
-        criado_por   INT,
-        ativo        TINYINT(1) DEFAULT 1,
-        criado_em    DATETIME DEFAULT CURRENT_TIMESTAMP,
-        PRIMARY KEY (id),
-        UNIQUE KEY uk_qr_token (qr_token),
-        INDEX idx_escola (escola_id)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-        COMMENT='Capas de provas geradas por escola'
-    `);
-    console.log('[MIGRATION] Tabela capa_provas garantida ✅');
-  } catch (migErr) {
-    console.warn('[MIGRATION] Erro ao criar capa_provas:', migErr.message);
-  }
-
-  // [2026-04-26] EDUCA-SCAN: expandir ENUM 'origem' em gabarito_respostas
-  try {
-    // Verifica se 'scan_mobile' já está no ENUM antes de alterar
-    const [[enumRow]] = await pool.query(`
-      SELECT COLUMN_TYPE FROM INFORMATION_SCHEMA.COLUMNS
-      WHERE TABLE_SCHEMA = DATABASE()
-        AND TABLE_NAME = 'gabarito_respostas'
-        AND COLUMN_NAME = 'origem'
-      LIMIT 1
-    `);
-    if (enumRow && !String(enumRow.COLUMN_TYPE).includes('scan_mobile')) {
-      await pool.query(`
-        ALTER TABLE gabarito_respostas
-          MODIFY COLUMN origem ENUM('omr','manual','scan_mobile') DEFAULT 'omr'
-          COMMENT 'Origem: omr=scanner/batch, manual=digitação, scan_mobile=app celular'
-      `);
-      console.log("[MIGRATION] ENUM 'origem' em gabarito_respostas expandido (+ scan_mobile) ✅");
-    }
-  } catch (migErr) {
-    console.warn("[MIGRATION] Erro ao expandir ENUM 'origem' (não crítico):", migErr.message);
-  }
-
-  // ─────────────────────────────────────────────────────────────────────────────
-  // [2026-05-01] Banco Global de Questões — correta_texto + temas + tabelas
-  // ─────────────────────────────────────────────────────────────────────────────
-
-  // 1) Colunas novas em questoes: correta_texto (gabarito por conteúdo) + temas (JSON)
-  try {
-    const [colsQ] = await pool.query(`
-      SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS
-      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'questoes'
-        AND COLUMN_NAME IN ('correta_texto','temas','global_id','publicada_globalmente')
-    `);
-    const existentes = new Set(colsQ.map((c) => c.COLUMN_NAME));
-    const addCols = [];
-    if (!existentes.has("correta_texto"))
-      addCols.push(`ADD COLUMN correta_texto TEXT DEFAULT NULL
-        COMMENT 'Texto da alternativa correta — usado para gabarito por conteúdo em permutações'`);
-    if (!existentes.has("temas"))
-      addCols.push(`ADD COLUMN temas JSON DEFAULT NULL
-        COMMENT 'Temas/conteúdos da questão: ex. ["Biologia Celular","Metabolismo"]'`);
-    if (!existentes.has("global_id"))
-      addCols.push(`ADD COLUMN global_id INT DEFAULT NULL
-        COMMENT 'ID em questoes_banco_global se a questão foi publicada'`);
-    if (!existentes.has("publicada_globalmente"))
-      addCols.push(`ADD COLUMN publicada_globalmente TINYINT(1) NOT NULL DEFAULT 0
-        COMMENT '1 = questão publicada no banco global'`);
-    if (addCols.length > 0)
-      await pool.query(`ALTER TABLE questoes ${addCols.join(", ")}`);
-    console.log("[MIGRATION] Colunas do banco global em questoes garantidas ✅");
-  } catch (migErr) {
-    console.warn("[MIGRATION] Erro ao alterar tabela questoes (não crítico):", migErr.message);
-  }
-
-  // 2) Tabela questoes_banco_global (banco público multi-escola)
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS questoes_banco_global (
-        id                  INT          NOT NULL AUTO_INCREMENT,
-        conteudo_bruto      TEXT         NOT NULL
-          COMMENT 'Enunciado da questão',
-        latex_formatado     TEXT         DEFAULT NULL,
-        tipo                VARCHAR(20)  NOT NULL DEFAULT 'objetiva',
-        nivel               VARCHAR(20)  NOT NULL DEFAULT 'medio',
-        serie               VARCHAR(50)  DEFAULT NULL,
-        disciplina          VARCHAR(100) DEFAULT NULL,
-        habilidade_bncc     VARCHAR(100) DEFAULT NULL,
-        temas               JSON         DEFAULT NULL
-          COMMENT 'Array de temas: ["Célula","DNA"]',
-        alternativas_json   JSON         DEFAULT NULL
-          COMMENT '[{letra, texto}] — ordem original',
-        correta             VARCHAR(5)   DEFAULT NULL
-          COMMENT 'Letra da alternativa correta (Versão A)',
-        correta_texto       TEXT         DEFAULT NULL
-          COMMENT 'Texto da alternativa correta — invariante à permutação',
-        texto_apoio         TEXT         DEFAULT NULL,
-        fonte               VARCHAR(255) DEFAULT NULL,
-        explicacao          TEXT         DEFAULT NULL,
-        tags                TEXT         DEFAULT NULL,
-        escola_id_origem    INT          DEFAULT NULL
-          COMMENT 'Escola que publicou',
-        professor_id_origem INT          DEFAULT NULL
-          COMMENT 'Professor que publicou',
-        uso_count           INT          NOT NULL DEFAULT 0
-          COMMENT 'Total de usos em qualquer escola do sistema',
-        status              ENUM('publicada','revisao','removida') NOT NULL DEFAULT 'publicada',
-        publicada_em        DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
-        atualizada_em       DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP
-          ON UPDATE CURRENT_TIMESTAMP,
-        PRIMARY KEY (id),
-        INDEX idx_disciplina  (disciplina),
-        INDEX idx_nivel       (nivel),
-        INDEX idx_uso         (uso_count),
-        INDEX idx_status      (status),
-        INDEX idx_escola_orig (escola_id_origem)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-        COMMENT='Banco Global EDUCA.MELHOR — questoes publicadas acessíveis por todas as escolas'
-    `);
-    console.log("[MIGRATION] Tabela questoes_banco_global garantida ✅");
-  } catch (migErr) {
-    console.warn("[MIGRATION] Erro ao criar questoes_banco_global (não crítico):", migErr.message);
-  }
-
-  // 3) Tabela questoes_uso_escola (banco específico por escola + ranking global)
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS questoes_uso_escola (
-        id                INT      NOT NULL AUTO_INCREMENT,
-        questao_global_id INT      NOT NULL
-          COMMENT 'FK questoes_banco_global.id',
-        escola_id         INT      NOT NULL,
-        professor_id      INT      DEFAULT NULL,
-        contexto          VARCHAR(50) DEFAULT NULL
-          COMMENT 'prova | exercicio | atividade',
-        contexto_id       INT      DEFAULT NULL
-          COMMENT 'ID da prova/atividade que usou a questão',
-        usado_em          DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-        PRIMARY KEY (id),
-        INDEX idx_escola          (escola_id),
-        INDEX idx_questao         (questao_global_id),
-        INDEX idx_escola_questao  (escola_id, questao_global_id),
-        INDEX idx_professor       (professor_id)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-        COMMENT='Rastreamento de uso: escola×questao — gera banco específico por escola'
-    `);
-    console.log("[MIGRATION] Tabela questoes_uso_escola garantida ✅");
-  } catch (migErr) {
-    console.warn("[MIGRATION] Erro ao criar questoes_uso_escola (não crítico):", migErr.message);
-  }
-
-  // [2026-05-19] Modulação Inteligente: carga de disciplina por etapa+turno por escola
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS disciplina_carga_segmento (
-        id            INT UNSIGNED    NOT NULL AUTO_INCREMENT,
-        escola_id     INT             NOT NULL,
-        disciplina_id INT             NOT NULL,
-        etapa         VARCHAR(80)     NOT NULL COMMENT 'Ex: Fundamental, Médio, Técnico',
-        turno         VARCHAR(50)     NOT NULL COMMENT 'Ex: Matutino, Vespertino, Noturno',
-        carga         INT UNSIGNED    NOT NULL DEFAULT 1 COMMENT 'Nº de aulas por turma por semana',
-        criado_em     DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
-        atualizado_em DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        PRIMARY KEY (id),
-        UNIQUE KEY uq_disc_seg (escola_id, disciplina_id, etapa, turno),
-        INDEX idx_escola_disc (escola_id, disciplina_id),
-        INDEX idx_escola_etapa (escola_id, etapa, turno)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-        COMMENT='Modulação inteligente: aulas por disciplina × etapa × turno por escola'
-    `);
-    console.log("[MIGRATION] Tabela disciplina_carga_segmento garantida ✅");
-  } catch (migErr) {
-    console.warn("[MIGRATION] Erro ao criar disciplina_carga_segmento (não crítico):", migErr.message);
-  }
-
-  // [2026-05-20] Plano de Avaliação Pedagógica — controle de status por professor/escola/ano
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS plano_avaliacao (
-        id            INT           NOT NULL AUTO_INCREMENT,
-        escola_id     INT           NOT NULL,
-        professor_id  INT           NOT NULL,
-        ano_letivo    INT           NOT NULL,
-        status        ENUM('nao_iniciado','rascunho','enviado','aprovado','revisao')
-                      NOT NULL DEFAULT 'nao_iniciado',
-        observacoes   TEXT          DEFAULT NULL,
-        criado_em     TIMESTAMP     NOT NULL DEFAULT CURRENT_TIMESTAMP,
-        atualizado_em TIMESTAMP     NOT NULL DEFAULT CURRENT_TIMESTAMP
-                      ON UPDATE CURRENT_TIMESTAMP,
-        PRIMARY KEY (id),
-        UNIQUE KEY uk_escola_prof_ano (escola_id, professor_id, ano_letivo),
-        INDEX idx_escola_ano (escola_id, ano_letivo),
-        INDEX idx_professor  (professor_id)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-        COMMENT='Plano de Avaliação Pedagógica — status de entrega por professor, escola e ano letivo'
-    `);
-    console.log("[MIGRATION] Tabela plano_avaliacao garantida ✅");
-  } catch (migErr) {
-    console.warn("[MIGRATION] Erro ao criar plano_avaliacao (não crítico):", migErr.message);
-  }
-
-  // ============================================================================
-  // [2026-05-23 v2] MÓDULO BIBLIOTECA — Acervo Universal + Estoque por Escola
-  //   biblioteca_acervo       → catálogo universal (sem escola_id)
-  //   biblioteca_acervo_escola → exemplares por escola
-  //
-  // ⚠️ NUNCA usar DROP TABLE aqui — essa migration roda a cada restart/deploy!
-  //    Usar apenas CREATE TABLE IF NOT EXISTS + ALTER TABLE para evoluir schema.
+  // Migrações versionadas (migrations/versions) — política por MIGRATIONS_MODE
+  // (strict em produção: não sobe com schema atrasado; apply nos demais
+  //  ambientes: banco de DEV novo já sobe completo; ver scripts/migrate.js)
   // ============================================================================
+  await verificarMigracoesNoBoot(pool);
 
-  // ── Garante tabela universal de livros ──────────────────────────────────────
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS biblioteca_acervo (
-        id             INT UNSIGNED NOT NULL AUTO_INCREMENT,
-        isbn           VARCHAR(20)  DEFAULT NULL,
-        titulo         VARCHAR(500) NOT NULL,
-        autor          VARCHAR(500) DEFAULT NULL,
-        editora        VARCHAR(300) DEFAULT NULL,
-        ano_publicacao INT          DEFAULT NULL COMMENT 'Apenas o ano (4 dígitos)',
-        genero         VARCHAR(200) DEFAULT NULL,
-        categoria      ENUM('infantil','juvenil','adulto','didatico','paradidatico','referencia','outro')
-                       NOT NULL DEFAULT 'juvenil',
-        sinopse        TEXT         DEFAULT NULL,
-        num_paginas    INT          DEFAULT NULL,
-        capa_url       TEXT         DEFAULT NULL,
-        criado_em      DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
-        atualizado_em  DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        PRIMARY KEY (id),
-        INDEX idx_titulo (titulo(100))
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-        COMMENT='Catálogo universal de livros — compartilhado entre todas as escolas'
-    `);
-    console.log('[MIGRATION] Tabela biblioteca_acervo garantida ✅');
-  } catch (migErr) {
-    console.warn('[MIGRATION] Erro ao criar biblioteca_acervo (não crítico):', migErr.message);
-  }
-
-  // ── Evolução de schema: remover escola_id se ainda existir (versão antiga) ──
-  try {
-    const [[cols]] = await pool.query(`
-      SELECT COUNT(*) AS tem
-      FROM INFORMATION_SCHEMA.COLUMNS
-      WHERE TABLE_SCHEMA = DATABASE()
-        AND TABLE_NAME   = 'biblioteca_acervo'
-        AND COLUMN_NAME  = 'escola_id'
-    `);
-    if (cols.tem > 0) {
-      // Remove índices dependentes antes de dropar a coluna
-      await pool.query(`ALTER TABLE biblioteca_acervo DROP INDEX IF EXISTS idx_escola`).catch(() => {});
-      await pool.query(`ALTER TABLE biblioteca_acervo DROP COLUMN escola_id`);
-      console.log('[MIGRATION] biblioteca_acervo: coluna escola_id removida (migração para universal) ✅');
-    }
-  } catch (migErr) {
-    console.warn('[MIGRATION] biblioteca_acervo evolução schema (não crítico):', migErr.message);
-  }
-
-  // ── Garante UNIQUE em isbn (se não existir) ──────────────────────────────────
-  try {
-    const [[ukRow]] = await pool.query(`
-      SELECT COUNT(*) AS tem
-      FROM INFORMATION_SCHEMA.STATISTICS
-      WHERE TABLE_SCHEMA = DATABASE()
-        AND TABLE_NAME   = 'biblioteca_acervo'
-        AND INDEX_NAME   = 'uk_isbn'
-    `);
-    if (ukRow.tem === 0) {
-      // Remove duplicatas por isbn antes de criar o unique (segurança)
-      await pool.query(`
-        DELETE ba1 FROM biblioteca_acervo ba1
-        INNER JOIN biblioteca_acervo ba2
-          ON ba1.isbn = ba2.isbn AND ba1.isbn IS NOT NULL AND ba1.id > ba2.id
-      `).catch(() => {});
-      await pool.query(`ALTER TABLE biblioteca_acervo ADD UNIQUE KEY uk_isbn (isbn)`);
-      console.log('[MIGRATION] biblioteca_acervo: índice uk_isbn adicionado ✅');
-    }
-  } catch (migErr) {
-    console.warn('[MIGRATION] biblioteca_acervo uk_isbn (não crítico):', migErr.message);
-  }
-
-  // ── Garante tabela de estoque por escola ─────────────────────────────────────
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS biblioteca_acervo_escola (
-        id                     INT UNSIGNED NOT NULL AUTO_INCREMENT,
-        acervo_id              INT UNSIGNED NOT NULL,
-        escola_id              INT          NOT NULL,
-        exemplares             INT          NOT NULL DEFAULT 1,
-        exemplares_disponiveis INT          NOT NULL DEFAULT 1,
-        local_estante          VARCHAR(255) DEFAULT NULL,
-        ativo                  TINYINT(1)   NOT NULL DEFAULT 1,
-        criado_em              DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
-        atualizado_em          DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        PRIMARY KEY (id),
-        UNIQUE KEY uk_acervo_escola (acervo_id, escola_id),
-        INDEX idx_escola (escola_id),
-        CONSTRAINT fk_bae_acervo FOREIGN KEY (acervo_id)
-          REFERENCES biblioteca_acervo(id) ON DELETE CASCADE
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-        COMMENT='Estoque de exemplares por escola — acervo escolar'
-    `);
-    console.log('[MIGRATION] Tabela biblioteca_acervo_escola garantida ✅');
-  } catch (migErr) {
-    console.warn('[MIGRATION] Erro ao criar biblioteca_acervo_escola (não crítico):', migErr.message);
-  }
-
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS biblioteca_emprestimos (
-        id                        INT UNSIGNED NOT NULL AUTO_INCREMENT,
-        escola_id                 INT NOT NULL,
-        livro_id                  INT UNSIGNED NOT NULL,
-        aluno_id                  INT NOT NULL,
-        data_emprestimo           DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-        data_prevista_devolucao   DATE DEFAULT NULL,
-        data_devolucao            DATETIME DEFAULT NULL,
-        status                    ENUM('ativo','devolvido','atrasado') NOT NULL DEFAULT 'ativo',
-        registrado_por            VARCHAR(255) DEFAULT NULL,
-        observacao                TEXT DEFAULT NULL,
-        PRIMARY KEY (id),
-        INDEX idx_escola (escola_id),
-        INDEX idx_livro (livro_id),
-        INDEX idx_aluno (aluno_id),
-        INDEX idx_status (status),
-        INDEX idx_escola_aluno (escola_id, aluno_id)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-        COMMENT='Controle de empréstimos da biblioteca escolar'
-    `);
-    console.log("[MIGRATION] Tabela biblioteca_emprestimos garantida ✅");
-  } catch (migErr) {
-    console.warn("[MIGRATION] Erro ao criar biblioteca_emprestimos (não crítico):", migErr.message);
-  }
-
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS biblioteca_resenhas (
-        id               INT UNSIGNED NOT NULL AUTO_INCREMENT,
-        escola_id        INT NOT NULL,
-        livro_id         INT UNSIGNED NOT NULL,
-        aluno_id         INT NOT NULL,
-        turma_id         INT DEFAULT NULL,
-        resumo           TEXT DEFAULT NULL,
-        resenha          TEXT DEFAULT NULL,
-        favorito         VARCHAR(1000) DEFAULT NULL,
-        avaliacao        TINYINT DEFAULT NULL COMMENT '1-5 estrelas',
-        respostas_json   JSON DEFAULT NULL COMMENT 'Perguntas respondidas [{pergunta, resposta}]',
-        status           ENUM('rascunho','enviado','aprovado','destaque') NOT NULL DEFAULT 'enviado',
-        pontuacao        DECIMAL(5,2) NOT NULL DEFAULT 0.00,
-        aprovado_por     VARCHAR(255) DEFAULT NULL,
-        criado_em        DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-        PRIMARY KEY (id),
-        INDEX idx_escola (escola_id),
-        INDEX idx_livro (livro_id),
-        INDEX idx_aluno (aluno_id),
-        INDEX idx_status (status)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-        COMMENT='Resenhas e atividades do Leitor Destaque'
-    `);
-    console.log("[MIGRATION] Tabela biblioteca_resenhas garantida ✅");
-  } catch (migErr) {
-    console.warn("[MIGRATION] Erro ao criar biblioteca_resenhas (não crítico):", migErr.message);
-  }
-
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS biblioteca_perguntas (
-        id          INT UNSIGNED NOT NULL AUTO_INCREMENT,
-        escola_id   INT NOT NULL,
-        livro_id    INT UNSIGNED NOT NULL,
-        pergunta    VARCHAR(1000) NOT NULL,
-        ativa       TINYINT(1) NOT NULL DEFAULT 1,
-        ordem       INT NOT NULL DEFAULT 0,
-        criado_em   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-        PRIMARY KEY (id),
-        INDEX idx_escola (escola_id),
-        INDEX idx_livro (livro_id)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-        COMMENT='Banco de perguntas para resenhas'
-    `);
-    console.log("[MIGRATION] Tabela biblioteca_perguntas garantida ✅");
-  } catch (migErr) {
-    console.warn("[MIGRATION] Erro ao criar biblioteca_perguntas (não crítico):", migErr.message);
-  }
-
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS biblioteca_concurso (
-        id          INT UNSIGNED NOT NULL AUTO_INCREMENT,
-        escola_id   INT NOT NULL,
-        titulo      VARCHAR(500) NOT NULL,
-        descricao   TEXT DEFAULT NULL,
-        data_inicio DATE DEFAULT NULL,
-        data_fim    DATE DEFAULT NULL,
-        status      ENUM('rascunho','ativo','encerrado') NOT NULL DEFAULT 'rascunho',
-        regras_json JSON DEFAULT NULL,
-        criado_em   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-        PRIMARY KEY (id),
-        INDEX idx_escola (escola_id),
-        INDEX idx_status (status)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-        COMMENT='Concursos e culminâncias de leitura'
-    `);
-    console.log("[MIGRATION] Tabela biblioteca_concurso garantida ✅");
-  } catch (migErr) {
-    console.warn("[MIGRATION] Erro ao criar biblioteca_concurso (não crítico):", migErr.message);
-  }
-
-  // [2026-06-08] Registro de Conselho de Classe — comentários por aluno com rastreabilidade
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS registro_conselho (
-        id               INT UNSIGNED  NOT NULL AUTO_INCREMENT,
-        escola_id        INT           NOT NULL,
-        aluno_codigo     VARCHAR(30)   NOT NULL,
-        turma_id         INT           DEFAULT NULL,
-        texto            TEXT          NOT NULL,
-        usuario_id       INT           DEFAULT NULL,
-        usuario_nome     VARCHAR(255)  NOT NULL DEFAULT 'Usuário',
-        usuario_perfil   VARCHAR(100)  NOT NULL DEFAULT 'professor',
-        criado_em        DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
-        editado_em       DATETIME      DEFAULT NULL,
-        editado_por_nome VARCHAR(255)  DEFAULT NULL,
-        PRIMARY KEY (id),
-        INDEX idx_escola_aluno (escola_id, aluno_codigo),
-        INDEX idx_turma        (turma_id),
-        INDEX idx_criado       (criado_em)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-        COMMENT='Registros de Conselho de Classe por aluno — rastreabilidade por usuário'
-    `);
-    console.log("[MIGRATION] Tabela registro_conselho garantida ✅");
-  } catch (migErr) {
-    console.warn("[MIGRATION] Erro ao criar registro_conselho (não crítico):", migErr.message);
-  }
-
-  // [2026-06-08 v2] Evolução: adiciona colunas de edição em registro_conselho (se já existia)
-  try {
-    const [[colEditadoEm]] = await pool.query(`
-      SELECT COUNT(*) AS tem FROM INFORMATION_SCHEMA.COLUMNS
-      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'registro_conselho' AND COLUMN_NAME = 'editado_em'
-    `);
-    if (colEditadoEm.tem === 0) {
-      await pool.query(`ALTER TABLE registro_conselho ADD COLUMN editado_em DATETIME DEFAULT NULL AFTER criado_em`);
-      await pool.query(`ALTER TABLE registro_conselho ADD COLUMN editado_por_nome VARCHAR(255) DEFAULT NULL AFTER editado_em`);
-      console.log("[MIGRATION] registro_conselho: colunas editado_em + editado_por_nome adicionadas ✅");
-    }
-  } catch (migErr) {
-    console.warn("[MIGRATION] registro_conselho evolução schema (não crítico):", migErr.message);
-  }
-
-  // [2026-05-29] Item de governanca para o Boletim Manual do Professor
-  try {
-    const [[existItem]] = await pool.query(
-      "SELECT 1 FROM governanca_itens WHERE chave = 'escola.permitir_boletim_manual' LIMIT 1"
-    );
-    if (!existItem) {
-      await pool.query(`
-        INSERT INTO governanca_itens 
-          (categoria_id, chave, descricao, tipo, opcoes_json, valor_padrao, ordem, ativo)
-        VALUES 
-          (2, 'escola.permitir_boletim_manual', 'Professor pode lancar notas e faltas no boletim manualmente', 'boolean', NULL, '0', 4, 1)
-      `);
-      console.log("[MIGRATION] Item de governanca 'escola.permitir_boletim_manual' inserido em 'governanca_itens' ✅");
-    }
-  } catch (migErr) {
-    console.warn("[MIGRATION] Erro ao aplicar migration 'escola.permitir_boletim_manual' (nao critico):", migErr.message);
-  }
-
-  // [2026-05-29] Item de governanca para Excecoes de Avaliacao Bimestral por disciplina
-  try {
-    const [[existItemExc]] = await pool.query(
-      "SELECT 1 FROM governanca_itens WHERE chave = 'escola.avaliacao_padrao_bimestral.excecoes' LIMIT 1"
-    );
-    if (!existItemExc) {
-      await pool.query(`
-        INSERT INTO governanca_itens 
-          (categoria_id, chave, descricao, tipo, opcoes_json, valor_padrao, ordem, ativo)
-        VALUES 
-          (7, 'escola.avaliacao_padrao_bimestral.excecoes', 'Disciplinas de excecao que nao adotam avaliacao padrao bimestral', 'text', NULL, '[]', 8, 1)
-      `);
-      console.log("[MIGRATION] Item de governanca 'escola.avaliacao_padrao_bimestral.excecoes' inserido em 'governanca_itens' ✅");
-    }
-  } catch (migErr) {
-    console.warn("[MIGRATION] Erro ao aplicar migration 'escola.avaliacao_padrao_bimestral.excecoes' (nao critico):", migErr.message);
-  }
+  // As antigas "Migrations automáticas" deste bootstrap (gabarito, app_pais_codigos,
+  // ocorrências, biblioteca, registro_conselho, governança...) viraram as
+  // migrations/versions 0028–0037.
 
   // [2026-05-29] Sync de planos de avaliação — MOVIDO para background (após app.listen)
   // Era bloqueante no boot: 740+ planos x latência DO = minutos antes da porta 3000 abrir.
   // Ver: bootSyncPAPs() chamado no .then() do bootstrap().
 
-  // [2026-06-20] Tabela sistema_manutencao — modo manutenção programada (CEO)
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS sistema_manutencao (
-        id            INT AUTO_INCREMENT PRIMARY KEY,
-        ativo         TINYINT(1)  NOT NULL DEFAULT 0,
-        inicio        DATETIME    NOT NULL,
-        fim           DATETIME    NOT NULL,
-        mensagem      VARCHAR(500) DEFAULT 'O sistema está em manutenção programada.',
-        criado_por    INT          DEFAULT NULL,
-        criado_em     DATETIME     DEFAULT CURRENT_TIMESTAMP,
-        atualizado_em DATETIME     DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-    `);
-  } catch (migErr) {
-    console.warn("[MIGRATION] sistema_manutencao (não crítico):", migErr.message);
-  }
+  // ============================================================================
+  // Rate limit / força bruta nas rotas públicas de senha e código
+  // (middleware/limitarTentativas.js) — ANTES de qualquer router: login,
+  // reset de senha, OTP do app-pais/aluno e convites de ativação
+  // ============================================================================
+  registrarLimitesDeAcesso(app);
+
+  // ============================================================================
+  // OpenAPI — PÚBLICO: GET /api/docs/openapi.json
+  // Gerado dos schemas das rotas (validar() + schemas/*.js). Routers do app-pais
+  // na mesma ordem em que são montados abaixo (o primeiro handler vence).
+  // ============================================================================
+  const DOCUMENTACAO_API = [
+    { prefixo: "/api/alunos", router: alunosRouter, tag: "Alunos" },
+    { prefixo: "/api/notas", router: notasRouter, tag: "Notas" },
+    { prefixo: "/api/avaliacoes", router: avaliacoesRouter, tag: "Avaliações" },
+    { prefixo: "/api/gabarito-lotes", router: gabaritoLotesRouter, tag: "Gabarito — lotes" },
+    { prefixo: "/api/app-pais", router: appPaisLoginRouter, tag: "App Pais" },
+    { prefixo: "/api/app-pais", router: appPaisRouterModule, tag: "App Pais" },
+    { prefixo: "/api/app-pais/aluno", router: appAlunoAuthRouter, tag: "App Aluno" },
+    { prefixo: "/api/grade", router: gradeSolveRoutes, tag: "Grade" },
+  ];
+  let documentoOpenApi = null;
+  app.get("/api/docs/openapi.json", (_req, res) => {
+    documentoOpenApi ??= gerarOpenApi(DOCUMENTACAO_API);
+    res.json(documentoOpenApi);
+  });
 
   // ============================================================================
   // Plataforma (CEO/Admin Global) — rotas públicas próprias (NÃO dependem de escola)
@@ -1340,6 +671,8 @@ async function bootstrap() {
   app.use("/api/plataforma/governanca", autenticarToken, exigirEscopo("plataforma"), plataformaGovernancaRouter);
   app.use("/api/plataforma/modulos", autenticarToken, exigirEscopo("plataforma"), modulosPlataformaRouter);
   app.use("/api/plataforma/manutencao", autenticarToken, exigirEscopo("plataforma"), manutencaoRouter); // CEO: GET/POST/DELETE
+  app.use("/api/plataforma/logs", autenticarToken, exigirEscopo("plataforma"), plataformaLogsRouter); // CEO: níveis de log em runtime
+  app.use("/api/plataforma/backup", autenticarToken, exigirEscopo("plataforma"), plataformaBackupRouter); // CEO: exportar/restaurar escola
   app.use("/api/sistema", manutencaoRouter); // Público: GET /api/sistema/status (sem auth)
 
 
@@ -1375,6 +708,10 @@ async function bootstrap() {
   app.use("/api/app-pais/aluno", appAlunoAuthRouter);
   console.log("[APP_ALUNO_AUTH] router montado em /api/app-pais/aluno ✅");
 
+  // Download por URL assinada (driver local do armazenamento) — a assinatura é a autorização
+  app.use("/public/arquivos", arquivosPublicosRouter);
+  console.log("[ARQUIVOS] router montado em /public/arquivos ✅");
+
   // Rota pública para verificar carteirinha
   app.use("/public", carteirinhaRouter);
   console.log("[CARTEIRINHA] router montado em /public ✅");
@@ -1488,8 +825,8 @@ async function bootstrap() {
 
   // ✅ MÓDULO BIBLIOTECA
   app.use("/api/biblioteca", autenticarToken, bibliotecaRouter);
-  app.use("/api/merenda", autenticarToken, merendaRouter);
-  app.use("/api/aph", autenticarToken, aphRoutes);
+  app.use("/api/merenda", autenticarToken, verificarEscola, merendaRouter);
+  app.use("/api/aph", autenticarToken, verificarEscola, aphRoutes);
 
   if (ocrRouter) {
     app.use("/api/ocr", autenticarToken, verificarEscola, ocrRouter);
@@ -1543,6 +880,21 @@ async function bootstrap() {
 
   app.use("/api/boletins", autenticarToken, verificarEscola, boletinsRouter);
 
+  // ✅ Jobs em background (PDF de boletins, EducaDF, QR de lotes, embeddings)
+  app.use("/api/jobs", autenticarToken, verificarEscola, jobsRouter);
+
+  // ✅ Trilha de auditoria de dados (antes/depois de notas, ocorrências e cadastro)
+  app.use("/api/auditoria", autenticarToken, verificarEscola, auditoriaRouter);
+
+  // ✅ Outbox de notificações (push/e-mail/SMS): envios e status por responsável
+  app.use("/api/notificacoes", autenticarToken, verificarEscola, notificacoesRouter);
+
+  // ✅ LGPD: solicitações do titular (exportação em ZIP, anonimização, prazos)
+  app.use("/api/lgpd", autenticarToken, verificarEscola, lgpdRouter);
+
+  // ✅ Retenção: prazos por categoria, expurgo diário/simulação, trava legal
+  app.use("/api/retencao", autenticarToken, verificarEscola, retencaoRouter);
+
   // ✅ Impressão de boletins (GET /api/impressao/boletins?turma_id=...)
   app.use("/api", autenticarToken, verificarEscola, alunosImpressaoRouter);
   // ✅ Rotas públicas de usuários (cadastro) — sem token, mas exige escola
@@ -1610,6 +962,12 @@ async function bootstrap() {
   // ✅ Agenda Pedagógica
   app.use("/api/agenda-pedagogica", autenticarToken, verificarEscola, agendaPedagogicaRouter);
 
+  // ✅ Calendário letivo — fonte única de ano letivo, bimestres e dias letivos
+  app.use("/api/calendario", autenticarToken, verificarEscola, calendarioRouter);
+
+  // ✅ Resultado final do ano — revisão da secretaria, publicação (trava) e ata por turma
+  app.use("/api/resultado-final", autenticarToken, verificarEscola, resultadoFinalRouter);
+
   // ✅ Cargas Horárias (CADASTRO BÁSICO) — independente de Horários/Grade (Urania)
   if (FF_CARGAS_HORARIAS) {
     console.log("[FF] Cargas Horárias ativado");
@@ -1765,12 +1123,23 @@ async function bootstrap() {
   //  - Em DEV: ajuda no diagnóstico
   //  - Em PROD: não vaza detalhes internos
   // ============================================================================
+  const logErro = criarLogger("erro");
   app.use((err, _req, res, _next) => {
+    // JSON malformado no body (express.json) → mesmo formato do validar()
+    if (err?.type === "entity.parse.failed") {
+      return res.status(400).json({
+        ok: false,
+        code: "JSON_INVALIDO",
+        message: "JSON inválido no corpo da requisição.",
+        erros: [],
+      });
+    }
+
     const isProd = process.env.NODE_ENV === "production";
     const status = err?.status || err?.statusCode || 500;
 
     // Log sempre (operacional). Em produção, logar a mensagem é suficiente.
-    console.error("❌ ERRO:", err?.message || err);
+    logErro.error(err?.message || String(err), { status, err });
 
     if (isProd) {
       return res.status(status).json({
@@ -1912,45 +1281,63 @@ function startBibliotecaAtrasosJob() {
 
 // ============================================================================
 // Boot
+//  - SERVER_AUTOSTART=0: só exporta app/bootstrap, sem listen nem jobs de fundo
+//    (test/integracao sobe a API numa porta efêmera)
 // ============================================================================
 const PORT = process.env.PORT || 3000;
 
-bootstrap()
-  .then(() => {
-    app.listen(PORT, () => {
-      console.log(`🚀 API rodando na porta ${PORT}`);
-      console.log("🔔 BACKEND BUILD ATIVO — verifique /__build-info");
-
-      // PASSO 3.3 — Job de limpeza de pair_codes (produção)
-      startCapturePairCleanupJob();
-      
-      // Job Biblioteca
-      startBibliotecaAtrasosJob();
-
-      if (process.env.NODE_ENV !== "production") {
-        console.log("🔔 PINGS/DEBUGS (DEV):");
-        console.log("    • /api/visitantes-ping");
-        console.log("    • /api/monitoramento/visitantes/ping-public");
-        console.log("    • /visitantes-ping-root");
-        console.log("    • /api/__overlay-debug");
-      }
+export { app, bootstrap };
 
-      // ✅ BOOT-SYNC-PAPs em background (não bloqueia o listen)
-      setImmediate(async () => {
-        try {
-          const [escolas] = await pool.query(`SELECT id FROM escolas`);
-          console.log(`[BOOT-SYNC-PAPs] Iniciando sincronizacao em lote para ${escolas.length} escolas...`);
-          for (const esc of escolas) {
-            await syncPlanosAvaliacao(pool, esc.id);
-          }
-          console.log('[BOOT-SYNC-PAPs] Sincronizacao em lote concluida com sucesso!');
-        } catch (syncErr) {
-          console.warn('[BOOT-SYNC-PAPs] Falha na sincronizacao em lote no boot:', syncErr.message);
+if (process.env.SERVER_AUTOSTART !== "0") {
+  bootstrap()
+    .then(() => {
+      app.listen(PORT, () => {
+        console.log(`🚀 API rodando na porta ${PORT}`);
+        console.log("🔔 BACKEND BUILD ATIVO — verifique /__build-info");
+
+        // PASSO 3.3 — Job de limpeza de pair_codes (produção)
+        startCapturePairCleanupJob();
+
+        // Job Biblioteca
+        startBibliotecaAtrasosJob();
+
+        // Fila persistente (services/jobQueue.js) — handlers registrados no import dos routers
+        iniciarWorkers(pool);
+
+        // Limpeza dos contadores vencidos de rate limit (services/limiteTaxa.js)
+        iniciarLimpezaLimites();
+
+        // Dispatcher do outbox de notificações (services/notificacoes.js)
+        iniciarDispatcher(pool);
+
+        // Expurgo diário conforme a retenção de cada escola (services/retencao.js)
+        iniciarRetencao(pool);
+
+        if (process.env.NODE_ENV !== "production") {
+          console.log("🔔 PINGS/DEBUGS (DEV):");
+          console.log("    • /api/visitantes-ping");
+          console.log("    • /api/monitoramento/visitantes/ping-public");
+          console.log("    • /visitantes-ping-root");
+          console.log("    • /api/__overlay-debug");
         }
+
+        // ✅ BOOT-SYNC-PAPs em background (não bloqueia o listen)
+        setImmediate(async () => {
+          try {
+            const [escolas] = await pool.query(`SELECT id FROM escolas`);
+            console.log(`[BOOT-SYNC-PAPs] Iniciando sincronizacao em lote para ${escolas.length} escolas...`);
+            for (const esc of escolas) {
+              await syncPlanosAvaliacao(pool, esc.id);
+            }
+            console.log('[BOOT-SYNC-PAPs] Sincronizacao em lote concluida com sucesso!');
+          } catch (syncErr) {
+            console.warn('[BOOT-SYNC-PAPs] Falha na sincronizacao em lote no boot:', syncErr.message);
+          }
+        });
       });
+    })
+    .catch((err) => {
+      console.error("❌ Erro crítico no bootstrap:", err);
+      process.exit(1);
     });
-  })
-  .catch((err) => {
-    console.error("❌ Erro crítico no bootstrap:", err);
-    process.exit(1);
-  });
+}
@@ -0,0 +1,85 @@
+// services/antivirus.js
+// -----------------------------------------------------------------------------
+// Varredura opcional de uploads num daemon compatível com ClamAV (clamd),
+// protocolo INSTREAM. Usado por services/uploadSeguro.js.
+//
+//   CLAMAV_SOCKET=/var/run/clamav/clamd.ctl   (socket unix)   ou
+//   CLAMAV_HOST=clamav CLAMAV_PORT=3310       (TCP)
+//   CLAMAV_TIMEOUT_MS=15000
+//   UPLOAD_SCANNER=eicar        → stub local: só reconhece o arquivo de teste
+//                                 EICAR (desenvolvimento, sem clamd)
+//   UPLOAD_SCANNER_OBRIGATORIO=1 → scanner fora do ar recusa o upload
+//                                 (padrão: registra aviso e segue)
+//
+// varrerBuffer(buffer) → { limpo: true } | { limpo: false, ameaca } | { limpo: null } (sem scanner)
+// -----------------------------------------------------------------------------
+import net from "net";
+
+const EICAR = "X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*";
+const PEDACO = 64 * 1024;
+
+let scannerDeTeste = null;
+
+/** Só para testes: substitui o scanner (fn(buffer) → resultado) ou volta ao padrão (null). */
+export function definirScanner(fn) {
+  scannerDeTeste = fn;
+}
+
+export function scannerConfigurado() {
+  if (scannerDeTeste) return "teste";
+  if (process.env.CLAMAV_SOCKET || process.env.CLAMAV_HOST) return "clamav";
+  if (String(process.env.UPLOAD_SCANNER || "").toLowerCase() === "eicar") return "eicar";
+  return null;
+}
+
+function varrerEicar(buffer) {
+  return buffer.includes(EICAR) ? { limpo: false, ameaca: "Eicar-Test-Signature" } : { limpo: true };
+}
+
+/** Fala INSTREAM com o clamd: zINSTREAM\0, pedaços [tamanho u32 BE][dados], fim com tamanho 0. */
+function varrerClamav(buffer) {
+  const timeout = Number(process.env.CLAMAV_TIMEOUT_MS || 15000);
+  return new Promise((resolve, reject) => {
+    const socket = process.env.CLAMAV_SOCKET
+      ? net.createConnection(process.env.CLAMAV_SOCKET)
+      : net.createConnection(Number(process.env.CLAMAV_PORT || 3310), process.env.CLAMAV_HOST);
+    const resposta = [];
+    socket.setTimeout(timeout, () => socket.destroy(new Error(`clamd sem resposta em ${timeout} ms`)));
+    socket.on("error", reject);
+    socket.on("data", (d) => resposta.push(d));
+    socket.on("end", () => {
+      const texto = Buffer.concat(resposta).toString("utf8").replace(/\0/g, "").trim();
+      const achado = texto.match(/^stream:\s*(.+)\s+FOUND$/);
+      if (achado) return resolve({ limpo: false, ameaca: achado[1] });
+      if (/^stream:\s*OK$/.test(texto)) return resolve({ limpo: true });
+      reject(new Error(`Resposta inesperada do clamd: ${texto.slice(0, 200)}`));
+    });
+    socket.on("connect", () => {
+      socket.write("zINSTREAM\0");
+      for (let i = 0; i < buffer.length; i += PEDACO) {
+        const parte = buffer.subarray(i, i + PEDACO);
+        const tamanho = Buffer.alloc(4);
+        tamanho.writeUInt32BE(parte.length);
+        socket.write(tamanho);
+        socket.write(parte);
+      }
+      socket.end(Buffer.alloc(4));
+    });
+  });
+}
+
+export async function varrerBuffer(buffer) {
+  const scanner = scannerConfigurado();
+  if (!scanner) return { limpo: null };
+  try {
+    if (scanner === "teste") return await scannerDeTeste(buffer);
+    if (scanner === "eicar") return varrerEicar(buffer);
+    return await varrerClamav(buffer);
+  } catch (err) {
+    if (process.env.UPLOAD_SCANNER_OBRIGATORIO === "1") {
+      throw Object.assign(new Error("Antivírus indisponível: upload recusado."), { status: 503, codigo: "ANTIVIRUS_INDISPONIVEL" });
+    }
+    console.warn("[ANTIVIRUS] Varredura falhou (não crítico):", err.message);
+    return { limpo: null };
+  }
+}
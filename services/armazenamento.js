@@ -0,0 +1,271 @@
+// services/armazenamento.js
+// -----------------------------------------------------------------------------
+// Interface única de armazenamento de arquivos, com dois drivers:
+//
+//   - "spaces": DigitalOcean Spaces / S3 (storage/spacesClient.js)
+//   - "local":  disco, em STORAGE_LOCAL_DIR (padrão <backend>/armazenamento),
+//               FORA de /uploads — nada aqui é servido como estático
+//
+// STORAGE_DRIVER escolhe o driver; sem ele, "spaces" quando DO_SPACES_KEY
+// existe e "local" caso contrário (desenvolvimento).
+//
+// Chaves endereçadas por conteúdo: <categoria>/<escola>/<sha[0..2]>/<sha256>.<ext>
+// — o mesmo arquivo enviado duas vezes ocupa um objeto só, e a chave não
+// carrega nome de aluno nem código.
+//
+// Arquivos privados (redações, atestados, gabaritos, APH) só saem por URL
+// assinada de vida curta (STORAGE_URL_TTL, padrão 300 s):
+//   - spaces: URL pré-assinada do próprio S3
+//   - local:  /public/arquivos/download?chave=&exp=&nome=&sig= (HMAC com
+//             STORAGE_URL_SECRET ou JWT_SECRET), conferida em routes/arquivos.js
+//
+// Driver: { nome, salvar, ler, excluir, existe, tamanho, urlAssinada }
+//   salvar({ chave, buffer, contentType, publico?, cacheControl? }) → { chave, tamanho, novo }
+//   tamanho(chave)                  → bytes | null (não existe)
+//   ler(chave)                      → { buffer, contentType }
+//   urlAssinada(chave, { expiraEm?, nome? }) → { url, expira_em }
+// -----------------------------------------------------------------------------
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { DeleteObjectCommand, GetObjectCommand, HeadObjectCommand, PutObjectCommand } from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { getSpacesClient, getSpacesConfig } from "../storage/spacesClient.js";
+import { criarLogger } from "./logger.js";
+
+const BACKEND_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const TTL_MAXIMO = 24 * 3600;
+const log = criarLogger("armazenamento");
+
+const MIME_POR_EXTENSAO = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  pdf: "application/pdf",
+  json: "application/json",
+  txt: "text/plain",
+};
+
+export function mimeDaExtensao(ext) {
+  return MIME_POR_EXTENSAO[String(ext || "").toLowerCase().replace(/^\./, "")] || "application/octet-stream";
+}
+
+export function extensaoDoMime(mime) {
+  const m = String(mime || "").toLowerCase();
+  if (m === "image/jpg") return "jpg";
+  return Object.keys(MIME_POR_EXTENSAO).find((ext) => MIME_POR_EXTENSAO[ext] === m && ext !== "jpeg") || "bin";
+}
+
+export function sha256(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+/** Chave endereçada por conteúdo. */
+export function chaveDeConteudo({ categoria, escolaId, buffer, extensao }) {
+  const hash = sha256(buffer);
+  const ext = String(extensao || "bin").toLowerCase().replace(/[^a-z0-9]/g, "") || "bin";
+  const seg = (s) => String(s).replace(/[^\w-]+/g, "_");
+  return `${seg(categoria)}/${seg(escolaId)}/${hash.slice(0, 2)}/${hash}.${ext}`;
+}
+
+function normalizarChave(chave) {
+  const k = String(chave || "").trim().replace(/^\/+/, "");
+  if (!k || k.split("/").some((p) => p === ".." || p === ".")) {
+    throw Object.assign(new Error("Chave de armazenamento inválida."), { status: 400 });
+  }
+  return k;
+}
+
+function ttlValido(expiraEm) {
+  const ttl = Number(expiraEm ?? process.env.STORAGE_URL_TTL ?? 300);
+  if (!Number.isFinite(ttl) || ttl <= 0) return 300;
+  return Math.min(Math.floor(ttl), TTL_MAXIMO);
+}
+
+// ─── URL assinada do driver local ─────────────────────────────────────────
+
+function segredoUrl() {
+  const s = process.env.STORAGE_URL_SECRET || process.env.JWT_SECRET;
+  if (!s && process.env.NODE_ENV === "production") {
+    throw new Error("ENV obrigatória ausente: STORAGE_URL_SECRET (ou JWT_SECRET)");
+  }
+  return s || "DEV_ONLY__storage_url_secret";
+}
+
+function assinatura(chave, exp, nome) {
+  return crypto.createHmac("sha256", segredoUrl()).update(`${chave}\n${exp}\n${nome}`).digest("hex");
+}
+
+export function assinarDownload(chave, { expiraEm, nome = "" } = {}) {
+  const k = normalizarChave(chave);
+  const exp = Math.floor(Date.now() / 1000) + ttlValido(expiraEm);
+  const sig = assinatura(k, exp, nome);
+  const qs = new URLSearchParams({ chave: k, exp: String(exp), nome, sig });
+  const base = String(process.env.PUBLIC_API_URL || "").replace(/\/+$/, "");
+  return { url: `${base}/public/arquivos/download?${qs}`, expira_em: new Date(exp * 1000) };
+}
+
+/** Confere a query de /public/arquivos/download. Devolve { chave, nome } ou null. */
+export function verificarDownload({ chave, exp, nome = "", sig }) {
+  if (!chave || !exp || !sig) return null;
+  if (!/^\d+$/.test(String(exp)) || Number(exp) < Math.floor(Date.now() / 1000)) return null;
+  let k;
+  try {
+    k = normalizarChave(chave);
+  } catch {
+    return null;
+  }
+  const esperado = Buffer.from(assinatura(k, String(exp), String(nome)), "hex");
+  const recebido = Buffer.from(String(sig), "hex");
+  if (esperado.length !== recebido.length || !crypto.timingSafeEqual(esperado, recebido)) return null;
+  return { chave: k, nome: String(nome) };
+}
+
+// ─── Driver local ─────────────────────────────────────────────────────────
+
+export function criarDriverLocal(raiz = process.env.STORAGE_LOCAL_DIR || path.join(BACKEND_ROOT, "armazenamento")) {
+  const base = path.resolve(raiz);
+
+  function caminho(chave) {
+    const p = path.resolve(base, normalizarChave(chave));
+    if (!p.startsWith(base + path.sep)) throw Object.assign(new Error("Chave fora do armazenamento."), { status: 400 });
+    return p;
+  }
+
+  return {
+    nome: "local",
+    raiz: base,
+
+    async salvar({ chave, buffer }) {
+      const destino = caminho(chave);
+      // endereçado por conteúdo: já existe = mesmo arquivo
+      const novo = !fs.existsSync(destino);
+      if (novo) {
+        await fs.promises.mkdir(path.dirname(destino), { recursive: true });
+        const tmp = `${destino}.${process.pid}.${Date.now()}.tmp`;
+        await fs.promises.writeFile(tmp, buffer);
+        await fs.promises.rename(tmp, destino);
+      }
+      return { chave: normalizarChave(chave), tamanho: buffer.length, novo };
+    },
+
+    async ler(chave) {
+      const buffer = await fs.promises.readFile(caminho(chave));
+      return { buffer, contentType: mimeDaExtensao(path.extname(chave)) };
+    },
+
+    async excluir(chave) {
+      await fs.promises.unlink(caminho(chave)).catch((err) => {
+        if (err.code !== "ENOENT") throw err;
+      });
+    },
+
+    async existe(chave) {
+      return fs.existsSync(caminho(chave));
+    },
+
+    async tamanho(chave) {
+      const st = await fs.promises.stat(caminho(chave)).catch(() => null);
+      return st ? st.size : null;
+    },
+
+    async urlAssinada(chave, opcoes = {}) {
+      return assinarDownload(chave, opcoes);
+    },
+  };
+}
+
+// ─── Driver Spaces / S3 ───────────────────────────────────────────────────
+
+export function criarDriverSpaces() {
+  return {
+    nome: "spaces",
+
+    async salvar({ chave, buffer, contentType, publico = false, cacheControl = null }) {
+      const { bucket } = getSpacesConfig();
+      const k = normalizarChave(chave);
+      // endereçado por conteúdo: já existe = mesmo arquivo, não reenvia
+      if ((await this.tamanho(k)) !== null) return { chave: k, tamanho: buffer.length, novo: false };
+      await getSpacesClient().send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: k,
+          Body: buffer,
+          ContentType: contentType || mimeDaExtensao(path.extname(k)),
+          ContentLength: buffer.length,
+          CacheControl: cacheControl || undefined,
+          ACL: publico ? "public-read" : "private",
+        })
+      );
+      return { chave: k, tamanho: buffer.length, novo: true };
+    },
+
+    async ler(chave) {
+      const { bucket } = getSpacesConfig();
+      const resp = await getSpacesClient().send(new GetObjectCommand({ Bucket: bucket, Key: normalizarChave(chave) }));
+      const partes = [];
+      for await (const parte of resp.Body) partes.push(parte);
+      return { buffer: Buffer.concat(partes), contentType: resp.ContentType || mimeDaExtensao(path.extname(chave)) };
+    },
+
+    async excluir(chave) {
+      const { bucket } = getSpacesConfig();
+      await getSpacesClient().send(new DeleteObjectCommand({ Bucket: bucket, Key: normalizarChave(chave) }));
+    },
+
+    async existe(chave) {
+      return (await this.tamanho(chave)) !== null;
+    },
+
+    async tamanho(chave) {
+      const { bucket } = getSpacesConfig();
+      try {
+        const r = await getSpacesClient().send(new HeadObjectCommand({ Bucket: bucket, Key: normalizarChave(chave) }));
+        return Number(r.ContentLength ?? 0);
+      } catch (err) {
+        if (err?.$metadata?.httpStatusCode === 404 || err?.name === "NotFound") return null;
+        throw err;
+      }
+    },
+
+    async urlAssinada(chave, { expiraEm, nome = "" } = {}) {
+      const { bucket } = getSpacesConfig();
+      const ttl = ttlValido(expiraEm);
+      const cmd = new GetObjectCommand({
+        Bucket: bucket,
+        Key: normalizarChave(chave),
+        ResponseContentDisposition: nome ? `inline; filename="${nome.replace(/["\\]/g, "_")}"` : undefined,
+      });
+      const url = await getSignedUrl(getSpacesClient(), cmd, { expiresIn: ttl });
+      return { url, expira_em: new Date(Date.now() + ttl * 1000) };
+    },
+  };
+}
+
+// ─── Driver configurado ───────────────────────────────────────────────────
+
+export function driverConfigurado() {
+  const nome = String(process.env.STORAGE_DRIVER || "").trim().toLowerCase();
+  if (nome === "spaces" || nome === "s3") return "spaces";
+  if (nome === "local") return "local";
+  if (nome) throw new Error(`STORAGE_DRIVER inválido: ${nome} (use "spaces" ou "local")`);
+  return process.env.DO_SPACES_KEY ? "spaces" : "local";
+}
+
+let _driver = null;
+
+export function armazenamento() {
+  const nome = driverConfigurado();
+  if (!_driver || _driver.nome !== nome) {
+    _driver = nome === "spaces" ? criarDriverSpaces() : criarDriverLocal();
+    log.info("driver de armazenamento ativo", { driver: nome });
+  }
+  return _driver;
+}
+
+/** Só para testes: força um driver (ex.: criarDriverLocal(tmp)). */
+export function definirArmazenamento(driver) {
+  _driver = driver;
+}
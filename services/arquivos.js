@@ -0,0 +1,230 @@
+// services/arquivos.js
+// -----------------------------------------------------------------------------
+// Arquivos privados sobre services/armazenamento.js: redações, imagens de
+// gabarito, atestados (frequencia_justificativas) e registros da APH.
+//
+//  - Todo envio vira chave endereçada por conteúdo no driver configurado; o
+//    objeto nunca é público e só sai por URL assinada de vida curta.
+//  - Atestados e APH ficam na tabela anexos (migrations/versions/0019_anexos.js);
+//    redações e gabaritos guardam a chave em redacoes.imagem e
+//    gabarito_arquivos.arquivo_path.
+//  - Mesma chave pode ser referenciada por mais de uma linha (mesmo arquivo
+//    enviado duas vezes): o objeto só é apagado quando ninguém mais o usa.
+//  - migrarArquivosLegados move o que ainda está em disco (uploads/redacoes,
+//    uploads/gabaritos) para o driver e reescreve as referências. Sem
+//    `executar`, só lista o que seria movido (scripts/migrar-arquivos.js).
+//  - Upload do usuário passa por services/uploadSeguro.js antes de gravar;
+//    objeto novo conta na cota da escola e devolve o espaço ao ser apagado.
+//
+// API:
+//  - salvarUpload(db, file, { categoria, perfil, escolaId }) → { chave, driver, tamanho, mime }
+//  - guardarArquivo({ categoria, escolaId, buffer, mime, db? }) → { chave, driver, tamanho }
+//  - urlDoArquivo(chave, { nome, expiraEm }) → { url, expira_em }
+//  - liberarChave(db, chave)
+//  - anexar / listarAnexos / excluirAnexo / excluirAnexosDe (tabela anexos)
+//  - excluirAnexosDoAluno(db, { escolaId, alunoId }) — anonimização (services/lgpd.js)
+//  - ehChaveArmazenada(valor), migrarArquivosLegados(db, { executar, backendRoot })
+// -----------------------------------------------------------------------------
+import fs from "fs";
+import path from "path";
+import { armazenamento, chaveDeConteudo, extensaoDoMime, mimeDaExtensao } from "./armazenamento.js";
+import { contabilizarUso, processarUpload } from "./uploadSeguro.js";
+
+export const CATEGORIAS = Object.freeze(["redacao", "gabarito", "atestado", "aph"]);
+
+function erro(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/** Chave do armazenamento novo (as demais referências são URLs ou caminhos legados). */
+export function ehChaveArmazenada(valor) {
+  return new RegExp(`^(${CATEGORIAS.join("|")})/[\\w-]+/[0-9a-f]{2}/[0-9a-f]{64}\\.\\w+$`).test(String(valor || ""));
+}
+
+export async function guardarArquivo({ categoria, escolaId, buffer, mime, db = null }) {
+  if (!CATEGORIAS.includes(categoria)) throw erro(400, `Categoria de arquivo inválida: ${categoria}`);
+  const driver = armazenamento();
+  const chave = chaveDeConteudo({ categoria, escolaId, buffer, extensao: extensaoDoMime(mime) });
+  const { novo } = await driver.salvar({ chave, buffer, contentType: mime });
+  if (novo && db) await contabilizarUso(db, escolaId, buffer.length);
+  return { chave, driver: driver.nome, tamanho: buffer.length };
+}
+
+/** Upload do usuário: pipeline de validação (perfil de services/uploadSeguro.js) e gravação. */
+export async function salvarUpload(db, file, { categoria, perfil, escolaId }) {
+  const seguro = await processarUpload(db, file, { perfil, escolaId });
+  const salvo = await guardarArquivo({ categoria, escolaId, buffer: seguro.buffer, mime: seguro.mime, db });
+  return { ...salvo, mime: seguro.mime };
+}
+
+export function urlDoArquivo(chave, opcoes = {}) {
+  return armazenamento().urlAssinada(chave, opcoes);
+}
+
+export function lerArquivo(chave) {
+  return armazenamento().ler(chave);
+}
+
+async function chaveEmUso(db, chave) {
+  const [[r]] = await db.query(
+    `SELECT (SELECT COUNT(*) FROM anexos WHERE chave = ?)
+          + (SELECT COUNT(*) FROM redacoes WHERE imagem = ?)
+          + (SELECT COUNT(*) FROM gabarito_arquivos WHERE arquivo_path = ?) AS total`,
+    [chave, chave, chave]
+  );
+  return Number(r?.total || 0) > 0;
+}
+
+/**
+ * Apaga o objeto se nenhuma linha o referencia mais. Chamar DEPOIS de remover
+ * ou trocar a referência. Falha no driver só vira aviso (o registro já saiu).
+ */
+export async function liberarChave(db, chave) {
+  if (!ehChaveArmazenada(chave)) return false;
+  try {
+    if (await chaveEmUso(db, chave)) return false;
+    const driver = armazenamento();
+    const bytes = await driver.tamanho(chave);
+    await driver.excluir(chave);
+    // categoria/<escola>/...: o espaço volta para a cota da escola dona
+    if (bytes) await contabilizarUso(db, Number(chave.split("/")[1]) || null, -bytes);
+    return true;
+  } catch (err) {
+    console.warn("[ARQUIVOS] Falha ao apagar objeto (não crítico):", err.message);
+    return false;
+  }
+}
+
+// ─── Anexos (atestados, APH) ──────────────────────────────────────────────
+
+export async function anexar(db, { escolaId, categoria, referenciaId, file, usuarioId = null }) {
+  const salvo = await salvarUpload(db, file, { categoria, perfil: "documento", escolaId });
+  const nome = String(file.originalname || "").slice(0, 255) || null;
+  const [r] = await db.query(
+    `INSERT INTO anexos (escola_id, categoria, referencia_id, chave, driver, nome_original, mime, tamanho, enviado_por)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [escolaId, categoria, referenciaId, salvo.chave, salvo.driver, nome, salvo.mime, salvo.tamanho, usuarioId]
+  );
+  return { id: r.insertId, nome_original: nome, mime: salvo.mime, tamanho: salvo.tamanho };
+}
+
+/** Anexos de uma referência, cada um com URL assinada. */
+export async function listarAnexos(db, { escolaId, categoria, referenciaId }) {
+  const [rows] = await db.query(
+    `SELECT id, chave, nome_original, mime, tamanho, enviado_por, criado_em
+       FROM anexos
+      WHERE escola_id = ? AND categoria = ? AND referencia_id = ?
+      ORDER BY criado_em, id`,
+    [escolaId, categoria, referenciaId]
+  );
+  const anexos = [];
+  for (const { chave, ...a } of rows) {
+    const { url, expira_em } = await urlDoArquivo(chave, { nome: a.nome_original || "" });
+    anexos.push({ ...a, url, url_expira_em: expira_em });
+  }
+  return anexos;
+}
+
+export async function excluirAnexo(db, { escolaId, categoria, referenciaId, anexoId }) {
+  const [[anexo]] = await db.query(
+    "SELECT id, chave FROM anexos WHERE id = ? AND escola_id = ? AND categoria = ? AND referencia_id = ? LIMIT 1",
+    [anexoId, escolaId, categoria, referenciaId]
+  );
+  if (!anexo) return false;
+  await db.query("DELETE FROM anexos WHERE id = ?", [anexo.id]);
+  await liberarChave(db, anexo.chave);
+  return true;
+}
+
+/** Remove todos os anexos de uma referência (ex.: justificativa excluída). */
+export async function excluirAnexosDe(db, { escolaId, categoria, referenciaId }) {
+  const [rows] = await db.query(
+    "SELECT DISTINCT chave FROM anexos WHERE escola_id = ? AND categoria = ? AND referencia_id = ?",
+    [escolaId, categoria, referenciaId]
+  );
+  if (!rows.length) return 0;
+  await db.query("DELETE FROM anexos WHERE escola_id = ? AND categoria = ? AND referencia_id = ?", [escolaId, categoria, referenciaId]);
+  for (const { chave } of rows) await liberarChave(db, chave);
+  return rows.length;
+}
+
+/** Atestados e fichas de APH do aluno: saem inteiros na anonimização. */
+export async function excluirAnexosDoAluno(db, { escolaId, alunoId }) {
+  const [rows] = await db.query(
+    `SELECT an.id, an.chave
+       FROM anexos an
+       LEFT JOIN frequencia_justificativas fj ON an.categoria = 'atestado' AND fj.id = an.referencia_id
+       LEFT JOIN aph_atendimentos ap ON an.categoria = 'aph' AND ap.id = an.referencia_id
+      WHERE an.escola_id = ? AND (fj.aluno_id = ? OR ap.aluno_id = ?)`,
+    [escolaId, alunoId, alunoId]
+  );
+  if (!rows.length) return 0;
+  await db.query("DELETE FROM anexos WHERE id IN (?)", [rows.map((r) => r.id)]);
+  for (const chave of new Set(rows.map((r) => r.chave))) await liberarChave(db, chave);
+  return rows.length;
+}
+
+// ─── Migração do disco legado ─────────────────────────────────────────────
+
+function caminhoLegado(backendRoot, referencia) {
+  // "/uploads/..." é URL do estático, relativa ao backend; outro absoluto é caminho real
+  if (path.isAbsolute(referencia) && !referencia.startsWith("/uploads/")) return referencia;
+  return path.resolve(backendRoot, String(referencia).replace(/^\/+/, ""));
+}
+
+/**
+ * Move arquivos legados do disco para o driver configurado:
+ *   - redacoes.imagem = "/uploads/redacoes/<arquivo>"
+ *   - gabarito_arquivos.arquivo_path = "uploads/gabaritos/..." ou caminho absoluto
+ * (chaves do Spaces antigo "uploads/<APELIDO>/..." e URLs http ficam onde estão.)
+ * O arquivo em disco só é apagado depois da referência atualizada.
+ */
+export async function migrarArquivosLegados(db, { executar = false, backendRoot = process.cwd(), apagarOrigem = true } = {}) {
+  const resumo = { executar, movidos: 0, ausentes: 0, falhas: 0, itens: [] };
+
+  const [redacoes] = await db.query(
+    "SELECT id, escola_id, imagem AS referencia FROM redacoes WHERE imagem LIKE '/uploads/redacoes/%'"
+  );
+  const [gabaritos] = await db.query(
+    `SELECT id, escola_id, arquivo_path AS referencia FROM gabarito_arquivos
+      WHERE arquivo_path LIKE 'uploads/gabaritos/%' OR arquivo_path LIKE '/%'`
+  );
+
+  const fila = [
+    ...redacoes.map((r) => ({ ...r, categoria: "redacao", tabela: "redacoes", coluna: "imagem" })),
+    ...gabaritos.map((r) => ({ ...r, categoria: "gabarito", tabela: "gabarito_arquivos", coluna: "arquivo_path" })),
+  ];
+
+  for (const item of fila) {
+    const origem = caminhoLegado(backendRoot, item.referencia);
+    const registro = { tabela: item.tabela, id: item.id, origem: item.referencia };
+    resumo.itens.push(registro);
+
+    if (!fs.existsSync(origem)) {
+      registro.status = "ausente";
+      resumo.ausentes += 1;
+      continue;
+    }
+    if (!executar) {
+      registro.status = "pendente";
+      continue;
+    }
+    try {
+      const buffer = await fs.promises.readFile(origem);
+      const mime = mimeDaExtensao(path.extname(origem));
+      const salvo = await guardarArquivo({ categoria: item.categoria, escolaId: item.escola_id, buffer, mime, db });
+      await db.query(`UPDATE ${item.tabela} SET ${item.coluna} = ? WHERE id = ?`, [salvo.chave, item.id]);
+      if (apagarOrigem) await fs.promises.unlink(origem).catch(() => {});
+      registro.status = "movido";
+      registro.chave = salvo.chave;
+      resumo.movidos += 1;
+    } catch (err) {
+      registro.status = "falha";
+      registro.erro = err.message;
+      resumo.falhas += 1;
+    }
+  }
+
+  resumo.pendentes = resumo.itens.filter((i) => i.status === "pendente").length;
+  return resumo;
+}
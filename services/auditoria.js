@@ -0,0 +1,397 @@
+// services/auditoria.js
+// -----------------------------------------------------------------------------
+// Trilha de auditoria de dados: quem alterou o quê, em qual escola, com o
+// valor anterior e o novo (tabela `auditoria_alteracoes`, migration 0012).
+//
+// rbac_auditoria continua registrando só decisões ALLOW/DENY; aqui fica o
+// conteúdo das mutações em tabelas sensíveis (notas, notas_diario,
+// itens_avaliacao, ocorrencias_disciplinares, alunos).
+//
+// Padrão de uso nas rotas (antes/depois lidos do banco, na mesma conexão da
+// transação — se der rollback, o registro de auditoria some junto):
+//
+//   const sql = "SELECT id, aluno_id, nota FROM notas WHERE escola_id = ? AND ...";
+//   const antes = await capturarRegistros(conn, sql, params);
+//   ... INSERT/UPDATE/DELETE ...
+//   const depois = await capturarRegistros(conn, sql, params);
+//   await registrarAlteracoes(conn, req, eventosDaCaptura("notas", antes, depois));
+//
+// API:
+//  - contextoAuditoria(req | { escolaId, usuarioId, ... }) → ator/escola/rota
+//    (e personificacaoId quando quem grava é o acesso de suporte do CEO)
+//  - diffRegistros(antes, depois, { ignorar })  → { campo: { de, para } } ou null
+//  - capturarRegistros(db, sql, params, chave)  → Map(chave → linha) ou null
+//  - capturarNotas / capturarNotasDiario / capturarItensPlano /
+//    capturarAlunos / capturarOcorrencias       → capturas prontas por tabela
+//  - eventosDaCaptura(entidade, antes, depois)  → eventos criar/alterar/excluir
+//  - registrarAlteracoes(db, origem, eventos)   → qtd gravada (nunca lança)
+//  - registrarAlteracao(db, origem, evento)
+//  - listarAuditoria(db, filtros)               → { itens, total, pagina, limite }
+//  - historicoAluno(db, escolaId, alunoId, ...) → idem, só do aluno
+// -----------------------------------------------------------------------------
+import { criarLogger } from "./logger.js";
+
+const log = criarLogger("auditoria");
+
+// Colunas de controle que mudam em todo UPDATE e não dizem nada sobre o dado.
+const IGNORAR_PADRAO = ["created_at", "updated_at", "criado_em", "atualizado_em", "data_lancamento"];
+
+const LOTE_INSERT = 500;
+
+function vazio(v) {
+  return v === undefined || v === null || v === "";
+}
+
+// Valor como vai para o JSON do diff.
+function valorJson(v) {
+  if (vazio(v)) return null;
+  if (v instanceof Date) return Number.isNaN(v.getTime()) ? null : v.toISOString();
+  if (Buffer.isBuffer(v)) return "[binário]";
+  if (typeof v === "boolean") return v ? 1 : 0;
+  return v;
+}
+
+// DECIMAL volta do mysql2 como string ("7.50"); 7.5 e "7.50" não são alteração.
+function iguais(a, b) {
+  const va = valorJson(a);
+  const vb = valorJson(b);
+  if (va === null || vb === null) return va === vb;
+  if (typeof va === "number" || typeof vb === "number") {
+    const na = Number(va);
+    const nb = Number(vb);
+    if (!Number.isNaN(na) && !Number.isNaN(nb)) return na === nb;
+  }
+  if (typeof va === "object" || typeof vb === "object") {
+    return JSON.stringify(va) === JSON.stringify(vb);
+  }
+  return String(va) === String(vb);
+}
+
+export function contextoAuditoria(origem = {}) {
+  // Request do Express
+  if (origem.headers || origem.originalUrl) {
+    const u = origem.user || {};
+    return {
+      escolaId: origem.escola_id ?? u.escola_id ?? null,
+      usuarioId: u.usuarioId || u.id || u.usuario_id || null,
+      perfil: u.perfil || null,
+      personificacaoId: u.personificacao?.id ?? null,
+      metodo: origem.method || null,
+      rota: String(origem.originalUrl || "").split("?")[0].slice(0, 255) || null,
+      ip: origem.ip || null,
+    };
+  }
+  // Contexto montado à mão (jobs, scripts)
+  return {
+    escolaId: origem.escolaId ?? null,
+    usuarioId: origem.usuarioId ?? null,
+    perfil: origem.perfil ?? null,
+    personificacaoId: origem.personificacaoId ?? null,
+    metodo: origem.metodo ?? null,
+    rota: origem.rota ? String(origem.rota).slice(0, 255) : null,
+    ip: origem.ip ?? null,
+  };
+}
+
+/**
+ * Campos que mudaram entre duas versões do registro.
+ * antes = null → criação (todos os campos com de: null); depois = null → exclusão.
+ */
+export function diffRegistros(antes, depois, { ignorar = [] } = {}) {
+  const ignorados = new Set([...IGNORAR_PADRAO, ...ignorar]);
+  const campos = new Set([...Object.keys(antes || {}), ...Object.keys(depois || {})]);
+  const diff = {};
+
+  for (const campo of campos) {
+    if (ignorados.has(campo)) continue;
+    const de = antes ? antes[campo] : undefined;
+    const para = depois ? depois[campo] : undefined;
+    if (iguais(de, para)) continue;
+    diff[campo] = { de: valorJson(de), para: valorJson(para) };
+  }
+
+  return Object.keys(diff).length ? diff : null;
+}
+
+/**
+ * Executa o SELECT e indexa as linhas (por padrão, pela coluna id).
+ * Falha de leitura devolve null (e eventosDaCaptura ignora) — a auditoria
+ * não pode impedir a gravação da nota/ocorrência.
+ */
+export async function capturarRegistros(db, sql, params = [], chave = (r) => r.id) {
+  try {
+    const [rows] = await db.query(sql, params);
+    const mapa = new Map();
+    for (const row of rows || []) mapa.set(String(chave(row)), row);
+    return mapa;
+  } catch (err) {
+    log.warn("falha ao capturar registros (não crítico)", { erro: err.message });
+    return null;
+  }
+}
+
+/**
+ * Compara duas capturas e gera um evento por registro criado/alterado/excluído.
+ * alunoDe(linha) informa o aluno quando a tabela não tem coluna aluno_id.
+ */
+export function eventosDaCaptura(entidade, antes, depois, { ignorar, alunoDe } = {}) {
+  if (!antes || !depois) return [];
+  const chaves = new Set([...antes.keys(), ...depois.keys()]);
+  const eventos = [];
+  for (const chave of chaves) {
+    const linha = depois.get(chave) || antes.get(chave);
+    eventos.push({
+      entidade,
+      entidadeId: chave,
+      alunoId: alunoDe ? alunoDe(linha) : undefined,
+      antes: antes.get(chave) || null,
+      depois: depois.get(chave) || null,
+      ignorar,
+    });
+  }
+  return eventos;
+}
+
+/**
+ * Grava os eventos que tiverem diff. Evento: { entidade, entidadeId?, alunoId?,
+ * acao?, antes, depois, ignorar? }. Ação e aluno são deduzidos quando omitidos.
+ * Fail-safe: falha de auditoria nunca derruba a operação principal.
+ */
+export async function registrarAlteracoes(db, origem, eventos) {
+  const ctx = contextoAuditoria(origem);
+  if (!ctx.escolaId) {
+    log.warn("alteração sem escola no contexto — não registrada", { rota: ctx.rota });
+    return 0;
+  }
+
+  const linhas = [];
+  for (const ev of eventos || []) {
+    const antes = ev.antes || null;
+    const depois = ev.depois || null;
+    if (!antes && !depois) continue;
+
+    const diff = diffRegistros(antes, depois, { ignorar: ev.ignorar });
+    if (!diff) continue;
+
+    const acao = ev.acao || (!antes ? "criar" : !depois ? "excluir" : "alterar");
+    const entidadeId = ev.entidadeId ?? depois?.id ?? antes?.id;
+    if (vazio(entidadeId)) continue;
+    const alunoId = ev.alunoId ?? depois?.aluno_id ?? antes?.aluno_id ?? null;
+
+    linhas.push([
+      ctx.escolaId,
+      ctx.usuarioId,
+      ctx.perfil,
+      ev.entidade,
+      String(entidadeId).slice(0, 64),
+      alunoId,
+      acao,
+      JSON.stringify(diff),
+      ctx.metodo,
+      ctx.rota,
+      ctx.ip,
+      ctx.personificacaoId,
+    ]);
+  }
+  if (!linhas.length) return 0;
+
+  try {
+    for (let i = 0; i < linhas.length; i += LOTE_INSERT) {
+      await db.query(
+        `INSERT INTO auditoria_alteracoes
+           (escola_id, usuario_id, perfil, entidade, entidade_id, aluno_id,
+            acao, diff, metodo, rota, ip, personificacao_id)
+         VALUES ?`,
+        [linhas.slice(i, i + LOTE_INSERT)]
+      );
+    }
+    return linhas.length;
+  } catch (err) {
+    log.warn("falha ao registrar alteração (não crítico)", { erro: err.message });
+    return 0;
+  }
+}
+
+export function registrarAlteracao(db, origem, evento) {
+  return registrarAlteracoes(db, origem, [evento]);
+}
+
+// ── Capturas das entidades auditadas ────────────────────────────────────────
+// SELECTs compartilhados pelas rotas que gravam as mesmas tabelas, para que
+// antes/depois sejam lidos sempre com as mesmas colunas.
+
+/** Boletim (notas): um registro por aluno/ano/bimestre/disciplina. */
+export function capturarNotas(db, { escolaId, alunoIds, ano, bimestre, disciplinaId }) {
+  if (!alunoIds?.length) return new Map();
+  return capturarRegistros(
+    db,
+    `SELECT id, aluno_id, ano, bimestre, disciplina_id, nota, faltas
+       FROM notas
+      WHERE escola_id = ? AND ano = ? AND bimestre = ? AND disciplina_id = ? AND aluno_id IN (?)`,
+    [escolaId, ano, bimestre, disciplinaId, alunoIds]
+  );
+}
+
+/** Diário (notas_diario) de um plano/turma, opcionalmente só de alguns alunos. */
+export function capturarNotasDiario(db, { escolaId, planoId, turmaId, alunoIds }) {
+  if (alunoIds && !alunoIds.length) return new Map();
+  const filtroAlunos = alunoIds ? " AND aluno_id IN (?)" : "";
+  return capturarRegistros(
+    db,
+    `SELECT plano_id, turma_id, aluno_id, item_idx, oportunidade_idx, nota, cor
+       FROM notas_diario
+      WHERE escola_id = ? AND plano_id = ? AND turma_id = ?${filtroAlunos}`,
+    alunoIds ? [escolaId, planoId, turmaId, alunoIds] : [escolaId, planoId, turmaId],
+    (r) => `${r.plano_id}:${r.turma_id}:${r.aluno_id}:${r.item_idx}:${r.oportunidade_idx}`
+  );
+}
+
+/**
+ * Itens (instrumentos/pesos) de um plano de avaliação, indexados pela posição
+ * no plano — a mesma referência (item_idx) que notas_diario usa. O id não
+ * entra: o modo clássico do PAP recria os itens a cada salvamento.
+ */
+export function capturarItensPlano(db, planoId) {
+  let posicao = 0;
+  return capturarRegistros(
+    db,
+    `SELECT plano_id, atividade, tipo_avaliacao, data_inicio, data_final,
+            nota_total, peso, oportunidades, nota_invertida, descricao, fixo_direcao, recuperacao
+       FROM itens_avaliacao
+      WHERE plano_id = ?
+      ORDER BY id ASC`,
+    [planoId],
+    (r) => `${r.plano_id}:${posicao++}`
+  );
+}
+
+/** Cadastro do aluno (alunos) por id. */
+export function capturarAlunos(db, escolaId, ids) {
+  if (!ids?.length) return new Map();
+  return capturarRegistros(
+    db,
+    `SELECT id, codigo, estudante, data_nascimento, sexo, turma_id, cpf,
+            atendimento_diferencial, status
+       FROM alunos
+      WHERE escola_id = ? AND id IN (?)`,
+    [escolaId, ids]
+  );
+}
+
+/** Ocorrências disciplinares por id. */
+export function capturarOcorrencias(db, escolaId, ids) {
+  if (!ids?.length) return new Map();
+  return capturarRegistros(
+    db,
+    `SELECT id, aluno_id, data_ocorrencia, motivo, tipo_ocorrencia, descricao,
+            registro_interno, convocar_responsavel, data_convocacao,
+            data_comparecimento_responsavel, dias_suspensao, atenuantes,
+            agravantes, status
+       FROM ocorrencias_disciplinares
+      WHERE escola_id = ? AND id IN (?)`,
+    [escolaId, ids]
+  );
+}
+
+// ── Consulta ─────────────────────────────────────────────────────────────────
+
+function formatarRegistro(r) {
+  let diff = r.diff;
+  if (typeof diff === "string") {
+    try {
+      diff = JSON.parse(diff);
+    } catch {
+      diff = null;
+    }
+  }
+  return {
+    id: Number(r.id),
+    entidade: r.entidade,
+    entidade_id: r.entidade_id,
+    aluno_id: r.aluno_id,
+    aluno_nome: r.aluno_nome || null,
+    acao: r.acao,
+    diff,
+    usuario_id: r.usuario_id,
+    usuario_nome: r.usuario_nome || null,
+    perfil: r.perfil,
+    personificacao_id: r.personificacao_id ?? null,
+    metodo: r.metodo,
+    rota: r.rota,
+    ip: r.ip,
+    criado_em: r.criado_em,
+  };
+}
+
+/**
+ * Filtros: entidade, entidadeId, usuarioId, alunoId, personificacaoId (acesso
+ * de suporte), acao, de/ate (YYYY-MM-DD,
+ * inclusivos), pagina, limite (máx. 200). Sempre restrito à escola.
+ */
+export async function listarAuditoria(
+  db,
+  { escolaId, entidade, entidadeId, usuarioId, alunoId, personificacaoId, acao, de, ate, pagina = 1, limite = 50 } = {}
+) {
+  const where = ["a.escola_id = ?"];
+  const params = [escolaId];
+
+  if (entidade) {
+    where.push("a.entidade = ?");
+    params.push(entidade);
+  }
+  if (!vazio(entidadeId)) {
+    where.push("a.entidade_id = ?");
+    params.push(String(entidadeId));
+  }
+  if (usuarioId) {
+    where.push("a.usuario_id = ?");
+    params.push(usuarioId);
+  }
+  if (alunoId) {
+    where.push("a.aluno_id = ?");
+    params.push(alunoId);
+  }
+  if (personificacaoId) {
+    where.push("a.personificacao_id = ?");
+    params.push(personificacaoId);
+  }
+  if (acao) {
+    where.push("a.acao = ?");
+    params.push(acao);
+  }
+  if (de) {
+    where.push("a.criado_em >= ?");
+    params.push(de);
+  }
+  if (ate) {
+    where.push("a.criado_em < DATE_ADD(?, INTERVAL 1 DAY)");
+    params.push(ate);
+  }
+
+  const lim = Math.min(Math.max(Number(limite) || 50, 1), 200);
+  const pag = Math.max(Number(pagina) || 1, 1);
+  const whereSql = where.join(" AND ");
+
+  const [[{ total }]] = await db.query(
+    `SELECT COUNT(*) AS total FROM auditoria_alteracoes a WHERE ${whereSql}`,
+    params
+  );
+
+  const [rows] = await db.query(
+    `SELECT a.*, u.nome AS usuario_nome, al.estudante AS aluno_nome
+       FROM auditoria_alteracoes a
+       LEFT JOIN usuarios u ON u.id = a.usuario_id
+       LEFT JOIN alunos al ON al.id = a.aluno_id AND al.escola_id = a.escola_id
+      WHERE ${whereSql}
+      ORDER BY a.id DESC
+      LIMIT ? OFFSET ?`,
+    [...params, lim, (pag - 1) * lim]
+  );
+
+  return { itens: rows.map(formatarRegistro), total: Number(total) || 0, pagina: pag, limite: lim };
+}
+
+/** Histórico consolidado do aluno: cadastro, notas, diário e ocorrências. */
+export function historicoAluno(db, escolaId, alunoId, filtros = {}) {
+  return listarAuditoria(db, { ...filtros, escolaId, alunoId, usuarioId: null, entidadeId: null });
+}
@@ -0,0 +1,813 @@
+// services/backupEscola.js
+// -----------------------------------------------------------------------------
+// Backup completo de UMA escola (todas as linhas do escola_id + os arquivos que
+// essas linhas referenciam) e restauração em outro ambiente com remapeamento
+// de ids — recuperação de desastre e cópia de uma escola real para staging.
+//
+// Pacote (ZIP, utils/zip.js):
+//   manifesto.json            formato, versão, migração do esquema, escola de
+//                             origem, tabelas (registros + sha256) e objetos
+//   tabelas/<tabela>.ndjson   uma linha JSON por registro
+//   objetos/armazenamento/<chave>  arquivos do driver (services/armazenamento.js)
+//   objetos/spaces/<chave>         arquivos legados uploads/<APELIDO>/... no Spaces
+//
+// O que entra:
+//  - Toda tabela com coluna escola_id (descoberta no information_schema), fora
+//    IGNORADAS (sessões, códigos e segredos de 2FA — cifrados com a chave do
+//    ambiente —, fila de jobs, acesso de suporte) e, sem `incluirLogs`, LOGS.
+//  - FILHAS: tabelas sem escola_id, exportadas pelos ids dos pais (mensagens do
+//    chamado, RBAC do usuário, responsáveis pelo vínculo com os alunos...).
+//  - Objetos: valores que são chave do armazenamento desta escola
+//    (<categoria>/<escola>/..) ou caminho legado uploads/<APELIDO>/.. (também
+//    dentro de URL ou de coluna JSON). Arquivo sem referência não vai.
+//
+// Restauração (transação única, FOREIGN_KEY_CHECKS desligado na conexão):
+//  - Cria a escola (ou usa uma escola vazia indicada) e troca escola_id.
+//  - Tabelas em ordem de dependência; o id auto-incremento é descartado e o
+//    novo id entra no mapa antigo → novo da tabela. Colunas que referenciam
+//    outra tabela do pacote (REFERENCIAS, REGRAS_REFERENCIA, POLIMORFICAS) são
+//    reescritas pelo mapa; em ciclo (ou autorreferência) ficam para um UPDATE
+//    no fim. Referência sem destino vira NULL quando a coluna aceita.
+//  - Tabelas globais com chave natural (responsáveis por CPF, permissões RBAC
+//    por chave) reaproveitam o registro que já existe no destino.
+//  - Tabelas de catálogo global (acervo da biblioteca, BNCC, questões) não vão
+//    no pacote: os ids são mantidos e precisam existir no destino.
+//  - Objetos voltam com a chave da nova escola; os valores são reescritos.
+//  - Pacote gerado num esquema mais novo que o do destino é recusado.
+//
+// O pacote leva hashes de senha e dados pessoais: fica no armazenamento
+// privado e só sai por URL assinada (routes/plataforma_backup.js).
+//
+// API:
+//  - exportarEscola(db, escolaId, { incluirLogs, aoProgredir }) → { zip, manifesto }
+//  - lerPacote(zip)                     → { manifesto, tabelas, objetos } (confere sha256)
+//  - restaurarEscola(db, zip, { escolaDestinoId, nome, apelido, simular, aoProgredir }) → resumo
+//  - enfileirarExportacao / enfileirarRestauracao (jobs "escola_exportar" / "escola_restaurar")
+// -----------------------------------------------------------------------------
+import crypto from "crypto";
+import { armazenamento, chaveDeConteudo, mimeDaExtensao } from "./armazenamento.js";
+import { downloadBufferFromSpaces, uploadFileBufferToSpaces } from "../storage/spacesUpload.js";
+import { criarZip, lerZip } from "../utils/zip.js";
+import { enfileirarJob, registrarHandler } from "./jobQueue.js";
+import { criarLogger } from "./logger.js";
+
+export const FORMATO = "educa-backup-escola";
+export const VERSAO = 1;
+
+const LOTE_INSERT = 500;
+const LOTE_IN = 1000;
+const TIPOS_INTEIROS = new Set(["tinyint", "smallint", "mediumint", "int", "bigint"]);
+
+const log = criarLogger("backup");
+
+// -----------------------------------------------------------------------------
+// Catálogo
+// -----------------------------------------------------------------------------
+
+// Fora do pacote. escolas é tratada à parte (vira a escola de destino).
+export const IGNORADAS = new Set([
+  "escolas",
+  "sessoes",
+  "otp_codes",
+  "dispositivos_confiados",
+  "limites_taxa",
+  "usuarios_dois_fatores",
+  "dois_fatores_recuperacao",
+  "dois_fatores_dispositivos",
+  "app_aluno_codigos",
+  "app_pais_codigos",
+  "mobile_devices",
+  "jobs",
+  "jobs_arquivos",
+  "personificacoes",
+  "personificacoes_acessos",
+  "schema_migrations",
+  "sistema_manutencao",
+  "usuarios_backup_pre_migration_2026_07",
+]);
+
+// Só com incluirLogs (volume alto, pouco útil para staging)
+export const LOGS = new Set([
+  "access_log",
+  "auditoria_alteracoes",
+  "rbac_auditoria",
+  "sincronizacao_logs",
+  "retencao_execucoes",
+  "agente_audit_log",
+]);
+
+// Tabelas sem escola_id: linhas cuja `coluna` está entre os valores de
+// `de` ([tabela pai, coluna do pai]). chaveNatural: no destino, registro com
+// o mesmo valor é reaproveitado em vez de inserido.
+export const FILHAS = Object.freeze({
+  responsaveis: { coluna: "id", de: [["responsaveis_alunos", "responsavel_id"]], chaveNatural: "cpf" },
+  notificacoes_config_responsavel: { coluna: "responsavel_id", de: [["responsaveis", "id"]], chaveNatural: "responsavel_id" },
+  notificacoes_preferencias: { coluna: "aluno_id", de: [["alunos", "id"]] },
+  chamados_mensagens: { coluna: "chamado_id", de: [["chamados", "id"]] },
+  rbac_perfil_permissoes: { coluna: "perfil_id", de: [["rbac_perfis", "id"]] },
+  rbac_usuario_perfis: { coluna: "usuario_id", de: [["usuarios", "id"]] },
+  rbac_usuario_permissoes: { coluna: "usuario_id", de: [["usuarios", "id"]] },
+  rbac_permissoes: {
+    coluna: "id",
+    de: [
+      ["rbac_perfil_permissoes", "permissao_id"],
+      ["rbac_usuario_permissoes", "permissao_id"],
+    ],
+    chaveNatural: "chave",
+  },
+  ocorrencias_visualizacoes: { coluna: "ocorrencia_id", de: [["ocorrencias_disciplinares", "id"]] },
+  ocorrencias_pedagogicas_visualizacoes: { coluna: "ocorrencia_id", de: [["ocorrencias_pedagogicas", "id"]] },
+  grade_resultado_turma: { coluna: "resultado_id", de: [["grade_resultado", "id"]] },
+  grade_slot: { coluna: "resultado_id", de: [["grade_resultado", "id"]] },
+  merenda_receita_itens: { coluna: "receita_id", de: [["merenda_receitas", "id"]] },
+  merenda_cardapio_itens: { coluna: "cardapio_id", de: [["merenda_cardapio", "id"]] },
+  agente_audit_log: { coluna: "execucao_id", de: [["agente_execucoes", "id"]] },
+  itens_avaliacao: { coluna: "plano_id", de: [["planos_avaliacao", "id"]] },
+});
+
+// Coluna → tabela referenciada (só colunas inteiras). null = não é referência.
+export const REFERENCIAS = Object.freeze({
+  aluno_id: "alunos",
+  turma_id: "turmas",
+  disciplina_id: "disciplinas",
+  professor_id: "professores",
+  usuario_id: "usuarios",
+  responsavel_id: "responsaveis",
+  coordenador_id: "usuarios",
+  chamado_id: "chamados",
+  perfil_id: "rbac_perfis",
+  permissao_id: "rbac_permissoes",
+  ocorrencia_id: "ocorrencias_disciplinares",
+  avaliacao_id: "gabarito_avaliacoes",
+  lote_id: "gabarito_lotes",
+  arquivo_id: "gabarito_arquivos",
+  resultado_id: "grade_resultado",
+  grade_resultado_id: "grade_resultado",
+  aula_id: "chamada_aulas",
+  plano_id: "planos_avaliacao",
+  execucao_id: "agente_execucoes",
+  receita_id: "merenda_receitas",
+  cardapio_id: "merenda_cardapio",
+  produto_id: "merenda_produtos",
+  camera_id: "monitoramento_cameras",
+  livro_id: "biblioteca_acervo",
+  acervo_id: "biblioteca_acervo",
+  job_id: "jobs",
+});
+
+const REFERENCIAS_POR_TABELA = Object.freeze({
+  ocorrencias_pedagogicas_visualizacoes: { ocorrencia_id: "ocorrencias_pedagogicas" },
+  agente_credenciais: { perfil_id: null }, // perfil do agente, não RBAC
+  calendario_periodos: { ano_id: "calendario_anos" },
+  calendario_eventos: { ano_id: "calendario_anos" },
+  itens_avaliacao: { recupera_item_id: "itens_avaliacao" }, // item original da recuperação
+});
+
+// criado_por_id, usuario_registro_id, enrolled_by_usuario_id, aberta_por_responsavel_id...
+const REGRAS_REFERENCIA = [
+  [/^usuario_\w+_id$|_usuario_id$|_por_id$/, "usuarios"],
+  [/_responsavel_id$/, "responsaveis"],
+];
+
+// Referência cuja tabela depende de outra coluna da linha
+export const POLIMORFICAS = Object.freeze({
+  anexos: { coluna: "referencia_id", tipo: "categoria", tabelas: { atestado: "frequencia_justificativas", aph: "aph_atendimentos" } },
+  auditoria_alteracoes: { coluna: "entidade_id", tipo: "entidade" }, // entidade = nome da tabela
+});
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+function erroHttp(status, message, code) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+const q = (nome) => `\`${String(nome).replace(/`/g, "")}\``;
+const sha256 = (buf) => crypto.createHash("sha256").update(buf).digest("hex");
+
+function emLotes(lista, tamanho) {
+  const lotes = [];
+  for (let i = 0; i < lista.length; i += tamanho) lotes.push(lista.slice(i, i + tamanho));
+  return lotes;
+}
+
+/** Esquema do banco: Map<tabela, Map<coluna, { tipo, nulo, autoIncremento, gerada }>>. */
+async function lerEsquema(db) {
+  const [rows] = await db.query(
+    `SELECT TABLE_NAME AS tabela, COLUMN_NAME AS coluna, DATA_TYPE AS tipo, IS_NULLABLE AS nulo, EXTRA AS extra
+       FROM information_schema.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE()
+      ORDER BY TABLE_NAME, ORDINAL_POSITION`
+  );
+  const esquema = new Map();
+  for (const r of rows) {
+    if (!esquema.has(r.tabela)) esquema.set(r.tabela, new Map());
+    const extra = String(r.extra || "").toLowerCase();
+    esquema.get(r.tabela).set(r.coluna, {
+      tipo: String(r.tipo || "").toLowerCase(),
+      nulo: r.nulo === "YES",
+      autoIncremento: extra.includes("auto_increment"),
+      gerada: extra.includes("generated"),
+    });
+  }
+  return esquema;
+}
+
+async function versaoEsquema(db, esquema) {
+  if (!esquema.has("schema_migrations")) return null;
+  const [[row]] = await db.query("SELECT MAX(versao) AS versao FROM schema_migrations");
+  return row?.versao || null;
+}
+
+function idAutoIncremento(colunas) {
+  return colunas?.get("id")?.autoIncremento ? "id" : null;
+}
+
+/** Tabela referenciada por uma coluna inteira (ou null). */
+function tabelaReferenciada(tabela, coluna, linha) {
+  const poli = POLIMORFICAS[tabela];
+  if (poli && poli.coluna === coluna) {
+    const tipo = linha?.[poli.tipo];
+    return poli.tabelas ? poli.tabelas[tipo] || null : tipo || null;
+  }
+  const porTabela = REFERENCIAS_POR_TABELA[tabela];
+  if (porTabela && coluna in porTabela) return porTabela[coluna];
+  if (coluna in REFERENCIAS) return REFERENCIAS[coluna];
+  for (const [re, alvo] of REGRAS_REFERENCIA) if (re.test(coluna)) return alvo;
+  return null;
+}
+
+// Valores no NDJSON: Date e Buffer ganham marcador; JSON de coluna JSON vai como objeto
+function serializarValor(v) {
+  if (v instanceof Date) return Number.isNaN(v.getTime()) ? null : { $data: v.toISOString() };
+  if (Buffer.isBuffer(v)) return { $base64: v.toString("base64") };
+  return v;
+}
+
+function desserializarValor(v) {
+  if (v && typeof v === "object") {
+    if (typeof v.$data === "string" && Object.keys(v).length === 1) return new Date(v.$data);
+    if (typeof v.$base64 === "string" && Object.keys(v).length === 1) return Buffer.from(v.$base64, "base64");
+    return JSON.stringify(v);
+  }
+  return v;
+}
+
+/** Aplica fn a cada string (inclusive dentro de objetos/arrays de colunas JSON). */
+function mapearStrings(v, fn) {
+  if (typeof v === "string") return fn(v);
+  if (Array.isArray(v)) return v.map((x) => mapearStrings(x, fn));
+  if (v && typeof v === "object" && !(v instanceof Date) && !Buffer.isBuffer(v)) {
+    return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, mapearStrings(x, fn)]));
+  }
+  return v;
+}
+
+function segmentoApelido(apelido) {
+  return String(apelido || "").trim().replace(/[^\w.-]+/g, "_").slice(0, 80);
+}
+
+function escaparRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function padroesObjetos(escolaId, apelido) {
+  const seg = segmentoApelido(apelido);
+  return {
+    armazenamento: new RegExp(`^[\\w-]+/${escolaId}/[0-9a-f]{2}/[0-9a-f]{64}\\.[a-z0-9]+$`),
+    spaces: seg ? new RegExp(`(?:^|/)(uploads/${escaparRegex(seg)}/[^\\s?#"'<>]+)`, "g") : null,
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Exportação
+// -----------------------------------------------------------------------------
+
+async function selecionarPorValores(db, tabela, coluna, valores, ordem) {
+  const linhas = [];
+  for (const lote of emLotes(valores, LOTE_IN)) {
+    const [rows] = await db.query(`SELECT * FROM ${q(tabela)} WHERE ${q(coluna)} IN (?)${ordem}`, [lote]);
+    linhas.push(...rows);
+  }
+  return linhas;
+}
+
+/** Quais tabelas entram e de onde vêm as linhas (direta ou filha). */
+function planoExportacao(esquema, { incluirLogs }) {
+  const diretas = [];
+  const filhas = [];
+  for (const [tabela, colunas] of esquema) {
+    if (IGNORADAS.has(tabela) || (LOGS.has(tabela) && !incluirLogs)) continue;
+    if (colunas.has("escola_id")) diretas.push(tabela);
+    else if (FILHAS[tabela]) filhas.push(tabela);
+  }
+  return { diretas: diretas.sort(), filhas };
+}
+
+/**
+ * Monta o pacote da escola em memória.
+ * @returns {Promise<{ zip: Buffer, manifesto: object }>}
+ */
+export async function exportarEscola(db, escolaId, { incluirLogs = false, aoProgredir = () => {} } = {}) {
+  const [[escola]] = await db.query("SELECT * FROM escolas WHERE id = ? LIMIT 1", [escolaId]);
+  if (!escola) throw erroHttp(404, "Escola não encontrada.", "ESCOLA_NAO_ENCONTRADA");
+
+  const esquema = await lerEsquema(db);
+  const { diretas, filhas } = planoExportacao(esquema, { incluirLogs });
+  const dados = new Map();
+  const total = diretas.length + filhas.length;
+
+  for (const tabela of diretas) {
+    aoProgredir(Math.round((dados.size / total) * 70), tabela);
+    const ordem = esquema.get(tabela).has("id") ? ` ORDER BY ${q("id")}` : "";
+    const [rows] = await db.query(`SELECT * FROM ${q(tabela)} WHERE ${q("escola_id")} = ?${ordem}`, [escolaId]);
+    dados.set(tabela, rows);
+  }
+
+  // Filhas na ordem em que os pais ficam prontos (responsáveis → config do responsável)
+  const planejadas = new Set([...diretas, ...filhas]);
+  let pendentes = filhas;
+  while (pendentes.length) {
+    const prontas = pendentes.filter((t) => FILHAS[t].de.every(([pai]) => dados.has(pai) || !planejadas.has(pai)));
+    if (!prontas.length) break;
+    for (const tabela of prontas) {
+      aoProgredir(Math.round((dados.size / total) * 70), tabela);
+      const { coluna, de } = FILHAS[tabela];
+      const valores = new Set();
+      for (const [pai, colunaPai] of de) {
+        for (const linha of dados.get(pai) || []) if (linha[colunaPai] != null) valores.add(linha[colunaPai]);
+      }
+      if (!esquema.get(tabela).has(coluna)) continue;
+      const ordem = esquema.get(tabela).has("id") ? ` ORDER BY ${q("id")}` : "";
+      dados.set(tabela, valores.size ? await selecionarPorValores(db, tabela, coluna, [...valores], ordem) : []);
+    }
+    pendentes = pendentes.filter((t) => !prontas.includes(t));
+  }
+
+  // Objetos referenciados pelas linhas
+  const padroes = padroesObjetos(escolaId, escola.apelido);
+  const chaves = { armazenamento: new Set(), spaces: new Set() };
+  for (const rows of dados.values()) {
+    for (const linha of rows) {
+      for (const v of Object.values(linha)) {
+        mapearStrings(v, (s) => {
+          if (padroes.armazenamento.test(s)) chaves.armazenamento.add(s);
+          if (padroes.spaces) for (const m of s.matchAll(padroes.spaces)) chaves.spaces.add(m[1]);
+          return s;
+        });
+      }
+    }
+  }
+
+  const arquivos = [];
+  const objetos = [];
+  const ausentes = [];
+  const listaObjetos = [
+    ...[...chaves.armazenamento].map((chave) => ["armazenamento", chave]),
+    ...[...chaves.spaces].map((chave) => ["spaces", chave]),
+  ];
+  for (const [i, [origem, chave]] of listaObjetos.entries()) {
+    if (i % 50 === 0) aoProgredir(70 + Math.round((i / listaObjetos.length) * 25), "arquivos");
+    try {
+      const { buffer, contentType } =
+        origem === "armazenamento" ? await armazenamento().ler(chave) : await downloadBufferFromSpaces(chave);
+      const arquivo = `objetos/${origem}/${chave}`;
+      arquivos.push({ nome: arquivo, conteudo: buffer });
+      objetos.push({ origem, chave, arquivo, mime: contentType || null, bytes: buffer.length, sha256: sha256(buffer) });
+    } catch (err) {
+      ausentes.push({ origem, chave, erro: err.message });
+    }
+  }
+
+  const tabelas = [];
+  for (const [tabela, rows] of dados) {
+    const conteudo = Buffer.from(
+      rows.map((linha) => JSON.stringify(Object.fromEntries(Object.entries(linha).map(([k, v]) => [k, serializarValor(v)])))).join("\n"),
+      "utf8"
+    );
+    arquivos.push({ nome: `tabelas/${tabela}.ndjson`, conteudo });
+    tabelas.push({ nome: tabela, registros: rows.length, sha256: sha256(conteudo) });
+  }
+
+  const manifesto = {
+    formato: FORMATO,
+    versao: VERSAO,
+    gerado_em: new Date().toISOString(),
+    migracao: await versaoEsquema(db, esquema),
+    incluir_logs: Boolean(incluirLogs),
+    escola: Object.fromEntries(Object.entries(escola).map(([k, v]) => [k, serializarValor(v)])),
+    tabelas,
+    objetos,
+    objetos_ausentes: ausentes,
+  };
+  aoProgredir(98, "compactando");
+  const zip = criarZip([{ nome: "manifesto.json", conteudo: JSON.stringify(manifesto, null, 2) }, ...arquivos]);
+  return { zip, manifesto };
+}
+
+// -----------------------------------------------------------------------------
+// Leitura do pacote
+// -----------------------------------------------------------------------------
+
+/**
+ * Abre e confere o pacote (formato, versão e sha256 de cada tabela/objeto).
+ * @returns {{ manifesto: object, tabelas: Map<string, object[]>, objetos: Map<string, Buffer> }}
+ */
+export function lerPacote(zip) {
+  const arquivos = new Map(lerZip(zip).map((a) => [a.nome, a.conteudo]));
+  const bruto = arquivos.get("manifesto.json");
+  if (!bruto) throw erroHttp(400, "Pacote sem manifesto.json.", "PACOTE_INVALIDO");
+
+  let manifesto;
+  try {
+    manifesto = JSON.parse(bruto.toString("utf8"));
+  } catch {
+    throw erroHttp(400, "manifesto.json inválido.", "PACOTE_INVALIDO");
+  }
+  if (manifesto.formato !== FORMATO) throw erroHttp(400, "Arquivo não é um backup de escola.", "PACOTE_INVALIDO");
+  if (manifesto.versao > VERSAO) {
+    throw erroHttp(409, `Pacote na versão ${manifesto.versao}; esta instalação lê até a ${VERSAO}.`, "VERSAO_NAO_SUPORTADA");
+  }
+
+  const tabelas = new Map();
+  for (const t of manifesto.tabelas || []) {
+    const conteudo = arquivos.get(`tabelas/${t.nome}.ndjson`);
+    if (!conteudo || sha256(conteudo) !== t.sha256) {
+      throw erroHttp(400, `Tabela ${t.nome} ausente ou corrompida no pacote.`, "PACOTE_CORROMPIDO");
+    }
+    const texto = conteudo.toString("utf8");
+    tabelas.set(t.nome, texto ? texto.split("\n").map((l) => JSON.parse(l)) : []);
+  }
+
+  const objetos = new Map();
+  for (const o of manifesto.objetos || []) {
+    const conteudo = arquivos.get(o.arquivo);
+    if (!conteudo || sha256(conteudo) !== o.sha256) {
+      throw erroHttp(400, `Arquivo ${o.chave} ausente ou corrompido no pacote.`, "PACOTE_CORROMPIDO");
+    }
+    objetos.set(o.arquivo, conteudo);
+  }
+  return { manifesto, tabelas, objetos };
+}
+
+// -----------------------------------------------------------------------------
+// Restauração
+// -----------------------------------------------------------------------------
+
+/** Ordem de inserção: dependências antes; em ciclo, a tabela com menos pendências. */
+function ordenarTabelas(nomes, dependencias) {
+  const ordem = [];
+  const feitas = new Set();
+  while (ordem.length < nomes.length) {
+    const pendentes = nomes.filter((t) => !feitas.has(t));
+    const faltam = (t) => [...dependencias.get(t)].filter((d) => d !== t && !feitas.has(d)).length;
+    const proxima = pendentes.find((t) => faltam(t) === 0) || pendentes.reduce((a, b) => (faltam(b) < faltam(a) ? b : a));
+    ordem.push(proxima);
+    feitas.add(proxima);
+  }
+  return ordem;
+}
+
+function dependenciasDe(tabela, linhas, colunas, nomes) {
+  const deps = new Set();
+  const poli = POLIMORFICAS[tabela];
+  if (poli?.tipo === "entidade") {
+    for (const n of nomes) if (n !== tabela) deps.add(n);
+  } else if (poli?.tabelas) {
+    for (const n of Object.values(poli.tabelas)) deps.add(n);
+  }
+  for (const [coluna, info] of colunas) {
+    if (!TIPOS_INTEIROS.has(info.tipo) || coluna === "escola_id") continue;
+    const alvo = tabelaReferenciada(tabela, coluna, linhas[0]);
+    if (alvo && nomes.includes(alvo)) deps.add(alvo);
+  }
+  return deps;
+}
+
+async function escolaDeDestino(conn, esquema, manifesto, { escolaDestinoId, nome, apelido }) {
+  if (escolaDestinoId) {
+    const [[escola]] = await conn.query("SELECT id, apelido FROM escolas WHERE id = ? LIMIT 1", [escolaDestinoId]);
+    if (!escola) throw erroHttp(404, "Escola de destino não encontrada.", "ESCOLA_NAO_ENCONTRADA");
+    for (const tabela of ["usuarios", "alunos", "turmas"]) {
+      if (!esquema.get(tabela)?.has("escola_id")) continue;
+      const [[{ total }]] = await conn.query(`SELECT COUNT(*) AS total FROM ${q(tabela)} WHERE ${q("escola_id")} = ?`, [escolaDestinoId]);
+      if (Number(total) > 0) {
+        throw erroHttp(409, `A escola de destino já tem registros em ${tabela}.`, "ESCOLA_DESTINO_COM_DADOS");
+      }
+    }
+    return { id: Number(escola.id), apelido: escola.apelido };
+  }
+
+  const origem = manifesto.escola || {};
+  const apelidoFinal = apelido ?? origem.apelido ?? null;
+  if (apelidoFinal) {
+    const [[existe]] = await conn.query("SELECT id FROM escolas WHERE apelido = ? LIMIT 1", [apelidoFinal]);
+    if (existe) throw erroHttp(409, `Já existe escola com o apelido ${apelidoFinal}. Informe outro apelido.`, "APELIDO_EM_USO");
+  }
+  const colunas = esquema.get("escolas");
+  const linha = { ...origem, nome: nome ?? origem.nome, apelido: apelidoFinal };
+  const campos = Object.keys(linha).filter((c) => c !== "id" && colunas.has(c) && !colunas.get(c).gerada);
+  const [r] = await conn.query(`INSERT INTO escolas (${campos.map(q).join(", ")}) VALUES (?)`, [
+    campos.map((c) => desserializarValor(linha[c])),
+  ]);
+  return { id: Number(r.insertId), apelido: apelidoFinal };
+}
+
+/** Grava os arquivos do pacote com a chave da nova escola; devolve o mapa de troca de valores. */
+async function restaurarObjetos(pacote, origem, destino, resumo) {
+  const trocas = new Map();
+  const segOrigem = segmentoApelido(origem.apelido);
+  const segDestino = segmentoApelido(destino.apelido);
+
+  for (const o of pacote.manifesto.objetos || []) {
+    const buffer = pacote.objetos.get(o.arquivo);
+    const contentType = o.mime || mimeDaExtensao(o.chave.split(".").pop());
+    try {
+      if (o.origem === "armazenamento") {
+        const [categoria, , ...resto] = o.chave.split("/");
+        const chave = [categoria, destino.id, ...resto].join("/");
+        await armazenamento().salvar({ chave, buffer, contentType });
+        trocas.set(o.chave, { chave });
+      } else {
+        const chave = segDestino ? o.chave.replace(`uploads/${segOrigem}/`, `uploads/${segDestino}/`) : o.chave;
+        const { publicUrl } = await uploadFileBufferToSpaces({ buffer, contentType, objectKey: chave });
+        trocas.set(o.chave, { chave, url: publicUrl });
+      }
+      resumo.objetos.restaurados++;
+    } catch (err) {
+      log.warn("arquivo não restaurado (não crítico)", { chave: o.chave, erro: err.message });
+      resumo.objetos.falhas.push({ chave: o.chave, erro: err.message });
+    }
+  }
+  return trocas;
+}
+
+const URL_OBJETO_RE = /^https?:\/\/[^/\s]+\/(?:[^/\s]+\/)?(uploads\/[^\s?#]+)(?:\?\S*)?$/;
+
+function reescreverString(s, trocas, padroes) {
+  if (padroes.armazenamento.test(s)) return trocas.get(s)?.chave ?? s;
+  if (!padroes.spaces || !s.includes("uploads/")) return s;
+  // URL de um objeto só: passa a apontar para o bucket do destino
+  const url = s.match(URL_OBJETO_RE);
+  if (url && trocas.get(url[1])?.url) return trocas.get(url[1]).url;
+  return s.replace(padroes.spaces, (trecho, chave) => (trocas.has(chave) ? trecho.replace(chave, trocas.get(chave).chave) : trecho));
+}
+
+/**
+ * Importa o pacote. simular = só confere e devolve o plano, sem gravar.
+ * @returns {Promise<object>} resumo (escola_id, tabelas, objetos, ignoradas...)
+ */
+export async function restaurarEscola(db, zip, { escolaDestinoId = null, nome, apelido, simular = false, aoProgredir = () => {} } = {}) {
+  const pacote = lerPacote(zip);
+  const { manifesto } = pacote;
+  const esquema = await lerEsquema(db);
+
+  const migracao = await versaoEsquema(db, esquema);
+  if (manifesto.migracao && (!migracao || String(migracao) < String(manifesto.migracao))) {
+    throw erroHttp(
+      409,
+      `Pacote gerado no esquema ${manifesto.migracao}; o destino está em ${migracao || "nenhum"}. Rode as migrações antes.`,
+      "ESQUEMA_DESATUALIZADO"
+    );
+  }
+  if (!esquema.has("escolas")) throw erroHttp(409, "Tabela escolas não existe no destino.", "ESQUEMA_DESATUALIZADO");
+
+  const resumo = {
+    escola_id: null,
+    origem: { escola_id: Number(manifesto.escola?.id), apelido: manifesto.escola?.apelido ?? null, migracao: manifesto.migracao },
+    tabelas: [],
+    tabelas_ignoradas: [],
+    colunas_ignoradas: [],
+    referencias_orfas: 0,
+    reaproveitados: 0,
+    objetos: { total: (manifesto.objetos || []).length, restaurados: 0, ausentes_na_origem: (manifesto.objetos_ausentes || []).length, falhas: [] },
+  };
+
+  const nomes = [];
+  for (const [tabela, linhas] of pacote.tabelas) {
+    const colunas = esquema.get(tabela);
+    if (!colunas) {
+      resumo.tabelas_ignoradas.push(tabela);
+      continue;
+    }
+    const presentes = new Set(linhas.flatMap((l) => Object.keys(l)));
+    for (const c of presentes) if (!colunas.has(c)) resumo.colunas_ignoradas.push(`${tabela}.${c}`);
+    nomes.push(tabela);
+  }
+  // só tabela com id auto-incremento tem mapa antigo → novo; as outras mantêm os valores
+  const remapeaveis = nomes.filter((t) => idAutoIncremento(esquema.get(t)));
+  const dependencias = new Map(nomes.map((t) => [t, dependenciasDe(t, pacote.tabelas.get(t), esquema.get(t), remapeaveis)]));
+  const ordem = ordenarTabelas(nomes, dependencias);
+
+  if (simular) {
+    resumo.simulacao = true;
+    resumo.tabelas = ordem.map((t) => ({ nome: t, registros: pacote.tabelas.get(t).length }));
+    return resumo;
+  }
+
+  const conn = typeof db.getConnection === "function" ? await db.getConnection() : db;
+  try {
+    await conn.query("SET FOREIGN_KEY_CHECKS = 0");
+    await conn.beginTransaction?.();
+
+    const destino = await escolaDeDestino(conn, esquema, manifesto, { escolaDestinoId, nome, apelido });
+    resumo.escola_id = destino.id;
+    const origemId = Number(manifesto.escola?.id);
+    const padroes = padroesObjetos(origemId, manifesto.escola?.apelido);
+    const trocas = await restaurarObjetos(pacote, { id: origemId, apelido: manifesto.escola?.apelido }, destino, resumo);
+
+    const [[{ passo = 1 } = {}]] = await conn.query("SELECT @@auto_increment_increment AS passo");
+    const mapas = new Map(); // tabela → Map(id antigo → id novo)
+    const inseridas = new Set();
+    const adiados = []; // { tabela, id, coluna, alvo, valor }
+
+    for (const [i, tabela] of ordem.entries()) {
+      aoProgredir(Math.round((i / ordem.length) * 95), tabela);
+      const colunas = esquema.get(tabela);
+      const pk = idAutoIncremento(colunas);
+      const natural = FILHAS[tabela]?.chaveNatural;
+      const mapa = new Map();
+      mapas.set(tabela, mapa);
+
+      const preparadas = [];
+      for (const linha of pacote.tabelas.get(tabela)) {
+        const valores = {};
+        const pendentesLinha = [];
+        for (const [coluna, bruto] of Object.entries(linha)) {
+          const info = colunas.get(coluna);
+          if (!info || info.gerada || coluna === pk) continue;
+          let v = bruto;
+          if (coluna === "escola_id") v = destino.id;
+          else if (v != null && TIPOS_INTEIROS.has(info.tipo)) {
+            const alvo = tabelaReferenciada(tabela, coluna, linha);
+            if (alvo && inseridas.has(alvo) && remapeaveis.includes(alvo)) {
+              const novo = mapas.get(alvo).get(Number(v));
+              if (novo != null) v = novo;
+              else {
+                resumo.referencias_orfas++;
+                if (info.nulo) v = null;
+              }
+            } else if (alvo && remapeaveis.includes(alvo)) {
+              pendentesLinha.push({ coluna, alvo, valor: Number(v) });
+              if (info.nulo) v = null;
+            } else if (alvo && IGNORADAS.has(alvo) && info.nulo) {
+              v = null;
+            }
+          } else if (v != null) {
+            v = mapearStrings(v, (s) => reescreverString(s, trocas, padroes));
+          }
+          valores[coluna] = desserializarValor(v);
+        }
+        preparadas.push({ antigo: pk ? Number(linha[pk]) : null, valores, pendentes: pendentesLinha });
+      }
+
+      // Chave natural: o registro que já existe no destino é reaproveitado
+      let novas = preparadas;
+      if (natural && colunas.has(natural)) {
+        const existentes = new Map();
+        const chaves = [...new Set(preparadas.map((p) => p.valores[natural]).filter((v) => v != null))];
+        for (const lote of emLotes(chaves, LOTE_IN)) {
+          const [rows] = await conn.query(
+            `SELECT ${pk ? q(pk) : "NULL"} AS id, ${q(natural)} AS chave FROM ${q(tabela)} WHERE ${q(natural)} IN (?)`,
+            [lote]
+          );
+          for (const r of rows) existentes.set(String(r.chave), r.id);
+        }
+        novas = [];
+        for (const p of preparadas) {
+          const chave = p.valores[natural] != null ? String(p.valores[natural]) : null;
+          if (chave != null && existentes.has(chave)) {
+            if (pk) mapa.set(p.antigo, Number(existentes.get(chave)));
+            resumo.reaproveitados++;
+          } else {
+            novas.push(p);
+          }
+        }
+      }
+
+      for (const lote of emLotes(novas, LOTE_INSERT)) {
+        const campos = [...new Set(lote.flatMap((p) => Object.keys(p.valores)))];
+        const [r] = await conn.query(`INSERT INTO ${q(tabela)} (${campos.map(q).join(", ")}) VALUES ?`, [
+          lote.map((p) => campos.map((c) => (c in p.valores ? p.valores[c] : null))),
+        ]);
+        if (pk && Number(r.affectedRows) !== lote.length) {
+          throw new Error(`Inserção em ${tabela} afetou ${r.affectedRows} de ${lote.length} linhas.`);
+        }
+        lote.forEach((p, j) => {
+          const novoId = pk ? Number(r.insertId) + j * Number(passo) : null;
+          if (pk) mapa.set(p.antigo, novoId);
+          for (const pend of p.pendentes) adiados.push({ tabela, pk, id: novoId, ...pend });
+        });
+      }
+      inseridas.add(tabela);
+      resumo.tabelas.push({ nome: tabela, registros: novas.length });
+    }
+
+    // Referências em ciclo / autorreferência
+    for (const a of adiados) {
+      const novo = mapas.get(a.alvo)?.get(a.valor);
+      if (novo == null || a.id == null) {
+        resumo.referencias_orfas++;
+        continue;
+      }
+      await conn.query(`UPDATE ${q(a.tabela)} SET ${q(a.coluna)} = ? WHERE ${q(a.pk)} = ?`, [novo, a.id]);
+    }
+
+    await conn.commit?.();
+    aoProgredir(100, "concluído");
+    return resumo;
+  } catch (err) {
+    await conn.rollback?.().catch(() => {});
+    if (err.code === "ER_DUP_ENTRY") throw erroHttp(409, `Registro duplicado no destino: ${err.sqlMessage || err.message}`, "REGISTRO_DUPLICADO");
+    throw err;
+  } finally {
+    await conn.query("SET FOREIGN_KEY_CHECKS = 1").catch(() => {});
+    if (conn !== db) conn.release?.();
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Jobs
+// -----------------------------------------------------------------------------
+// escola_id fica no payload, não no job: o backup não aparece em /api/jobs
+// da própria escola.
+
+/** Guarda o pacote no armazenamento privado. */
+export async function guardarPacote(zip, escolaId) {
+  const chave = chaveDeConteudo({ categoria: "backup", escolaId, buffer: zip, extensao: "zip" });
+  await armazenamento().salvar({ chave, buffer: zip, contentType: "application/zip" });
+  return chave;
+}
+
+export async function enfileirarExportacao(db, { escolaId, incluirLogs = false, solicitadoPor = null }) {
+  return enfileirarJob(db, {
+    tipo: "escola_exportar",
+    chave: `backup:exportar:${escolaId}`,
+    payload: { escola_id: Number(escolaId), incluir_logs: Boolean(incluirLogs), solicitado_por: solicitadoPor },
+  });
+}
+
+export async function enfileirarRestauracao(db, { chave, escolaDestinoId = null, nome, apelido, solicitadoPor = null }) {
+  return enfileirarJob(db, {
+    tipo: "escola_restaurar",
+    payload: { chave, escola_destino_id: escolaDestinoId, nome: nome ?? null, apelido: apelido ?? null, solicitado_por: solicitadoPor },
+  });
+}
+
+registrarHandler(
+  "escola_exportar",
+  async (ctx) => {
+    const { escola_id: escolaId, incluir_logs: incluirLogs } = ctx.payload;
+    const { zip, manifesto } = await exportarEscola(ctx.db, escolaId, {
+      incluirLogs,
+      aoProgredir: (pct, etapa) => ctx.progresso(pct, `Lendo ${etapa}`),
+    });
+    const chave = await guardarPacote(zip, escolaId);
+    const data = manifesto.gerado_em.slice(0, 10);
+    const resultado = {
+      escola_id: escolaId,
+      arquivo: `backup_escola_${escolaId}_${data}.zip`,
+      chave,
+      bytes: zip.length,
+      sha256: sha256(zip),
+      migracao: manifesto.migracao,
+      tabelas: manifesto.tabelas.length,
+      registros: manifesto.tabelas.reduce((s, t) => s + t.registros, 0),
+      objetos: manifesto.objetos.length,
+      objetos_ausentes: manifesto.objetos_ausentes.length,
+    };
+    log.info("escola exportada", { escola_id: escolaId, bytes: zip.length, registros: resultado.registros });
+    return resultado;
+  },
+  { concorrencia: 1, maxTentativas: 2 }
+);
+
+// Uma tentativa só: restauração parcial é desfeita pela transação, mas cada
+// execução cria uma escola nova
+registrarHandler(
+  "escola_restaurar",
+  async (ctx) => {
+    const p = ctx.payload;
+    let zip;
+    try {
+      ({ buffer: zip } = await armazenamento().ler(p.chave));
+    } catch (err) {
+      throw Object.assign(new Error(`Pacote não encontrado no armazenamento: ${err.message}`), { permanente: true });
+    }
+    try {
+      const resumo = await restaurarEscola(ctx.db, zip, {
+        escolaDestinoId: p.escola_destino_id,
+        nome: p.nome ?? undefined,
+        apelido: p.apelido ?? undefined,
+        aoProgredir: (pct, etapa) => ctx.progresso(pct, `Importando ${etapa}`),
+      });
+      log.info("pacote restaurado", { escola_id: resumo.escola_id, origem_escola_id: resumo.origem.escola_id });
+      return resumo;
+    } catch (err) {
+      if (err.status) err.permanente = true;
+      throw err;
+    }
+  },
+  { concorrencia: 1, maxTentativas: 1 }
+);
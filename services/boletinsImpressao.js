@@ -0,0 +1,324 @@
+// services/boletinsImpressao.js
+// -----------------------------------------------------------------------------
+// Dados dos boletins para impressão (tela /print/boletins do front): alunos
+// matriculados, notas e ranking na escola e na turma.
+//
+// Usado por routes/alunos_impressao.js (GET/POST /api/impressao/boletins) e
+// pelo job "boletim_pdf" de routes/boletins.js, que responde essas chamadas
+// da página de impressão direto daqui — sem emitir token para o worker.
+//
+// API:
+//  - boletinsDaTurma(db, { escolaId, turmaId })   → { turma_id, total, alunos }
+//  - boletinsPorCodigos(db, { escolaId, codigos }) → boletins[]
+// -----------------------------------------------------------------------------
+import { anoLetivoAtual } from "./calendarioLetivo.js";
+
+/**
+ * Boletins de todos os alunos matriculados (ativos) na turma da escola.
+ * Usa a tabela `matriculas` (igual à Fiscalização de Notas) em vez de
+ * `alunos.turma_id` (campo legado que aponta para turmas de anos anteriores).
+ */
+export async function boletinsDaTurma(db, { escolaId, turmaId }) {
+  // ── Descobrir o ano letivo da turma (usa o maior ano_letivo nas matrículas) ──
+  const [[turmaInfo]] = await db.query(
+    `SELECT t.id, t.nome AS turma, t.turno, t.etapa, t.escola_id, t.regime,
+            MAX(m.ano_letivo) AS ano_letivo
+       FROM turmas t
+       LEFT JOIN matriculas m ON m.turma_id = t.id AND m.status = 'ativo'
+      WHERE t.id = ? AND t.escola_id = ?
+      GROUP BY t.id`,
+    [turmaId, escolaId]
+  );
+
+  if (!turmaInfo) {
+    return { turma_id: turmaId, total: 0, alunos: [] };
+  }
+
+  const anoLetivo = turmaInfo.ano_letivo || (await anoLetivoAtual(db, escolaId));
+
+  // 1) Alunos via MATRICULAS do ano letivo da turma
+  const [alunosDados] = await db.query(
+    `SELECT
+       a.id,
+       a.codigo,
+       a.estudante AS nome,
+       ? AS turma,
+       ? AS turno,
+       ? AS turma_id,
+       a.status,
+       a.escola_id,
+       ? AS etapa,
+       ? AS regime
+     FROM matriculas m
+     INNER JOIN alunos a ON a.id = m.aluno_id
+     WHERE m.turma_id = ?
+       AND m.escola_id = ?
+       AND m.ano_letivo = ?
+       AND m.status = 'ativo'
+     ORDER BY a.estudante`,
+    [
+      turmaInfo.turma,
+      turmaInfo.turno,
+      turmaInfo.id,
+      turmaInfo.etapa,
+      turmaInfo.regime || null,
+      turmaId,
+      escolaId,
+      anoLetivo,
+    ]
+  );
+
+  if (alunosDados.length === 0) {
+    return { turma_id: turmaId, total: 0, alunos: [] };
+  }
+
+  // 2) Notas filtradas por escola_id — IGUAL à Fiscalização de Notas.
+  //    Não filtra por ano para retornar todos os bimestres disponíveis.
+  const notas = await notasDosAlunos(db, alunosDados.map((a) => a.id), escolaId);
+
+  // 3) Ranking (escola e turma) — ano letivo da turma
+  const rankings = {};
+  for (const aluno of alunosDados) {
+    rankings[aluno.codigo] = await calculaRankings(db, aluno, anoLetivo);
+  }
+
+  // 4) Estrutura final
+  const boletins = alunosDados.map((aluno) => ({
+    id: aluno.id,
+    escola_id: aluno.escola_id,
+    etapa: aluno.etapa,
+    codigo: aluno.codigo,
+    nome: aluno.nome,
+    turma: aluno.turma,
+    turno: aluno.turno,
+    turma_id: aluno.turma_id,
+    regime: aluno.regime,
+    situacao: aluno.status,
+    ranking: rankings[aluno.codigo] || null,
+    notas: notasDoAluno(notas, aluno),
+  }));
+
+  return { turma_id: turmaId, total: boletins.length, alunos: boletins };
+}
+
+/**
+ * Boletins a partir de uma lista de códigos de alunos (só os da escola).
+ * Também traz o ranking de cada aluno na escola e na turma.
+ */
+export async function boletinsPorCodigos(db, { escolaId, codigos }) {
+  if (!codigos?.length) return [];
+
+  const [alunosDados] = await db.query(
+    `
+    SELECT
+      a.id,
+      a.codigo,
+      a.estudante AS nome,
+      t.nome AS turma,
+      t.turno,
+      t.id AS turma_id,
+      a.status,
+      a.escola_id,
+      t.etapa
+    FROM alunos a
+    INNER JOIN turmas t ON a.turma_id = t.id
+    WHERE a.codigo IN (?) AND a.escola_id = ?
+    `,
+    [codigos, escolaId]
+  );
+  if (!alunosDados.length) return [];
+
+  const notas = await notasDosAlunos(db, alunosDados.map((a) => a.id), escolaId);
+
+  // Ranking no ano letivo corrente pelo calendário da escola
+  const anoRanking = await anoLetivoAtual(db, escolaId);
+  const rankings = {};
+  for (const aluno of alunosDados) {
+    rankings[aluno.codigo] = await calculaRankings(db, aluno, anoRanking);
+  }
+
+  return alunosDados.map((aluno) => ({
+    codigo: aluno.codigo,
+    escola_id: aluno.escola_id,
+    etapa: aluno.etapa,
+    nome: aluno.nome,
+    turma: aluno.turma,
+    turno: aluno.turno,
+    situacao: aluno.status,
+    ranking: rankings[aluno.codigo] || null,
+    notas: notasDoAluno(notas, aluno),
+  }));
+}
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+async function notasDosAlunos(db, alunoIds, escolaId) {
+  const [notas] = await db.query(
+    `SELECT
+       n.aluno_id,
+       a.codigo AS aluno_codigo,
+       d.nome AS disciplina,
+       n.nota,
+       n.faltas,
+       n.ano,
+       n.bimestre,
+       d.id AS disciplina_id
+     FROM notas n
+     INNER JOIN disciplinas d ON n.disciplina_id = d.id
+     INNER JOIN alunos a ON n.aluno_id = a.id
+     WHERE n.aluno_id IN (?)
+       AND n.escola_id = ?
+     ORDER BY n.ano, n.bimestre, d.nome`,
+    [alunoIds, escolaId]
+  );
+  return notas;
+}
+
+// Filtra por aluno_id (número) — garante match correto
+function notasDoAluno(notas, aluno) {
+  return notas
+    .filter((n) => Number(n.aluno_id) === Number(aluno.id))
+    .map((n) => ({
+      disciplina_id: n.disciplina_id,
+      disciplina: n.disciplina,
+      nota: n.nota,
+      faltas: n.faltas,
+      ano: n.ano,
+      bimestre: n.bimestre,
+      estudante: aluno.nome,
+      turma: aluno.turma,
+      turno: aluno.turno,
+    }));
+}
+
+/** Ranking ESCOLA e TURMA do aluno (soma das notas no ano). */
+async function calculaRankings(db, aluno, anoRanking) {
+  // Soma das notas do aluno — ano letivo atual
+  const [somaNotasAluno] = await db.query(
+    `SELECT SUM(n.nota) AS soma
+       FROM notas n
+      WHERE n.aluno_id = ?
+        AND n.ano = ?`,
+    [aluno.id, anoRanking]
+  );
+  const somaAno = somaNotasAluno[0]?.soma;
+
+  // Total de alunos da escola COM notas no ano letivo atual
+  const [totalEscola] = await db.query(
+    `
+    SELECT COUNT(*) AS total
+    FROM (
+      SELECT a.id
+        FROM alunos a
+        INNER JOIN notas n ON n.aluno_id = a.id
+       WHERE a.escola_id = ?
+         AND n.ano = ?
+       GROUP BY a.id
+      HAVING SUM(n.nota) IS NOT NULL
+    ) sub
+    `,
+    [aluno.escola_id, anoRanking]
+  );
+
+  // Total de alunos da turma COM notas no ano letivo atual
+  const [totalTurma] = await db.query(
+    `
+    SELECT COUNT(*) AS total
+    FROM (
+      SELECT a.id
+        FROM matriculas m
+        INNER JOIN alunos a ON a.id = m.aluno_id
+        INNER JOIN notas n ON n.aluno_id = a.id
+       WHERE m.turma_id = ?
+         AND m.ano_letivo = ?
+         AND m.status = 'ativo'
+         AND n.ano = ?
+       GROUP BY a.id
+      HAVING SUM(n.nota) IS NOT NULL
+    ) sub
+    `,
+    [aluno.turma_id, anoRanking, anoRanking]
+  );
+
+  // Se o aluno não tem notas no ano letivo atual, ele não entra no ranking
+  if (!somaAno) {
+    return {
+      escola: {
+        ranking: totalEscola[0]?.total || 0,
+        total_alunos: totalEscola[0]?.total || 0,
+        semNotas: true,
+      },
+      turma: {
+        ranking: totalTurma[0]?.total || 0,
+        total_alunos: totalTurma[0]?.total || 0,
+        semNotas: true,
+      },
+    };
+  }
+
+  // Ranking por escola (ano letivo atual)
+  const [posEscola] = await db.query(
+    `
+    SELECT COUNT(*) + 1 AS posicao
+      FROM (
+        SELECT a.id, SUM(n.nota) AS soma_notas
+          FROM alunos a
+          INNER JOIN notas n ON n.aluno_id = a.id
+         WHERE a.escola_id = ?
+           AND n.ano = ?
+         GROUP BY a.id
+        HAVING soma_notas IS NOT NULL
+      ) ranking
+     WHERE ranking.soma_notas > (
+        SELECT SUM(n2.nota)
+          FROM alunos a2
+          INNER JOIN notas n2 ON n2.aluno_id = a2.id
+         WHERE a2.id = ?
+           AND n2.ano = ?
+     )
+    `,
+    [aluno.escola_id, anoRanking, aluno.id, anoRanking]
+  );
+
+  // Ranking por turma (ano letivo atual, via matriculas)
+  const [posTurma] = await db.query(
+    `
+    SELECT COUNT(*) + 1 AS posicao
+      FROM (
+        SELECT a.id, SUM(n.nota) AS soma_notas
+          FROM matriculas m
+          INNER JOIN alunos a ON a.id = m.aluno_id
+          INNER JOIN notas n ON n.aluno_id = a.id
+         WHERE m.turma_id = ?
+           AND m.ano_letivo = ?
+           AND m.status = 'ativo'
+           AND n.ano = ?
+         GROUP BY a.id
+        HAVING soma_notas IS NOT NULL
+      ) ranking
+     WHERE ranking.soma_notas > (
+        SELECT SUM(n2.nota)
+          FROM alunos a2
+          INNER JOIN notas n2 ON n2.aluno_id = a2.id
+         WHERE a2.id = ?
+           AND n2.ano = ?
+     )
+    `,
+    [aluno.turma_id, anoRanking, anoRanking, aluno.id, anoRanking]
+  );
+
+  return {
+    escola: {
+      ranking: posEscola[0]?.posicao || 1,
+      total_alunos: totalEscola[0]?.total || 0,
+      semNotas: false,
+    },
+    turma: {
+      ranking: posTurma[0]?.posicao || 1,
+      total_alunos: totalTurma[0]?.total || 0,
+      semNotas: false,
+    },
+  };
+}
@@ -0,0 +1,347 @@
+// services/calendarioLetivo.js
+// ============================================================================
+// Calendário letivo por escola — fonte única de ano letivo, bimestres,
+// semestres e dias letivos (rotas em routes/calendario.js).
+//
+// Tabelas (migration 0024):
+//   calendario_anos      ano letivo da escola: início, fim, mínimo de dias (200)
+//   calendario_periodos  bimestres (1–4) e semestres (1–2) do ano
+//   calendario_eventos   feriado | recesso | nao_letivo  → tiram dias letivos
+//                        sabado_letivo                   → sábado que conta
+//
+// Dia letivo = dentro do ano, segunda a sexta sem feriado/recesso/não letivo,
+// ou sábado marcado como letivo (e sem feriado). Domingo nunca.
+//
+// Escola sem calendário cadastrado continua com a regra antiga: ano letivo
+// vira em 1º/fev (janeiro ainda é do ano anterior), bimestres por mês e
+// segunda a sexta letivos — nada muda até a secretaria cadastrar o ano.
+//
+// API:
+//   anoLetivoAtual(db, escolaId)              → 2026
+//   anoLetivoDaData(db, escolaId, data)       → 2026
+//   periodosDoAno(db, escolaId, ano, tipo)    → [{ numero, inicio, fim }]
+//   periodoDaData(db, escolaId, data, tipo)   → { ano, numero|null, inicio, fim }
+//   limitesDoAno(db, escolaId, ano)           → { inicio, fim, configurado }
+//   diaLetivo(db, escolaId, data)             → { letivo, motivo, evento }
+//   carregarCalendario / salvarCalendario / resumoDiasLetivos
+//   classificarData / contarDiasLetivos       → puras, sobre o calendário carregado
+// ============================================================================
+
+export const TIPOS_EVENTO = ["feriado", "recesso", "nao_letivo", "sabado_letivo"];
+export const TIPOS_PERIODO = { bimestre: 4, semestre: 2 };
+
+const TIRAM_DIA = new Set(["feriado", "recesso", "nao_letivo"]);
+const FUSO = process.env.CALENDARIO_FUSO || "-03:00";
+const DIA = 86_400_000;
+const MINIMO_PADRAO = 200;
+
+// Sem calendário cadastrado (mesma divisão usada antes do calendário)
+const PERIODOS_PADRAO = {
+  bimestre: [
+    [1, "02-01", "04-30"],
+    [2, "05-01", "07-31"],
+    [3, "08-01", "09-30"],
+    [4, "10-01", "12-31"],
+  ],
+  semestre: [
+    [1, "02-01", "07-31"],
+    [2, "08-01", "12-31"],
+  ],
+};
+
+function erroCalendario(message, status = 400, code = "CALENDARIO_INVALIDO") {
+  return Object.assign(new Error(message), { status, code });
+}
+
+// ─── Datas ──────────────────────────────────────────────────────────────────
+
+function minutosDoFuso() {
+  const m = /^([+-])(\d{2}):(\d{2})$/.exec(FUSO);
+  if (!m) return -180;
+  return (m[1] === "-" ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3]));
+}
+
+/** Data de hoje (AAAA-MM-DD) no fuso das escolas. */
+export function hojeNoFuso(agora = new Date()) {
+  return new Date(agora.getTime() + minutosDoFuso() * 60_000).toISOString().slice(0, 10);
+}
+
+/** Horário local (HH:MM) na data → instante. */
+export function instanteNoFuso(data, hora = "00:00") {
+  return new Date(`${data}T${String(hora).slice(0, 5)}:00${FUSO}`);
+}
+
+/** 1 = segunda … 6 = sábado, 0 = domingo (mesma numeração de grade_slot). */
+export function diaSemana(data) {
+  return new Date(`${data}T12:00:00Z`).getUTCDay();
+}
+
+function somarDias(data, n) {
+  return new Date(Date.parse(`${data}T00:00:00Z`) + n * DIA).toISOString().slice(0, 10);
+}
+
+function dataISO(v) {
+  if (v instanceof Date) return v.toISOString().slice(0, 10);
+  return v ? String(v).slice(0, 10) : null;
+}
+
+/** Regra antiga: janeiro ainda pertence ao ano letivo anterior. */
+export function anoLetivoPorMes(data) {
+  const [ano, mes] = String(data).split("-").map(Number);
+  return mes <= 1 ? ano - 1 : ano;
+}
+
+// ─── Leitura ────────────────────────────────────────────────────────────────
+
+/** Ano letivo da data: o último ano cadastrado que já começou; sem cadastro, regra antiga. */
+export async function anoLetivoDaData(db, escolaId, data) {
+  const [[row]] = await db.query(
+    `SELECT ano FROM calendario_anos
+      WHERE escola_id = ? AND data_inicio <= ?
+      ORDER BY data_inicio DESC LIMIT 1`,
+    [escolaId, data]
+  );
+  return row ? Number(row.ano) : anoLetivoPorMes(data);
+}
+
+export function anoLetivoAtual(db, escolaId, agora = new Date()) {
+  return anoLetivoDaData(db, escolaId, hojeNoFuso(agora));
+}
+
+export async function limitesDoAno(db, escolaId, ano) {
+  const [[row]] = await db.query(
+    `SELECT DATE_FORMAT(data_inicio, '%Y-%m-%d') AS inicio, DATE_FORMAT(data_fim, '%Y-%m-%d') AS fim
+       FROM calendario_anos WHERE escola_id = ? AND ano = ? LIMIT 1`,
+    [escolaId, ano]
+  );
+  if (row) return { inicio: row.inicio, fim: row.fim, configurado: true };
+  return { inicio: `${ano}-02-01`, fim: `${Number(ano) + 1}-01-31`, configurado: false };
+}
+
+export async function periodosDoAno(db, escolaId, ano, tipo = "bimestre") {
+  if (!TIPOS_PERIODO[tipo]) throw erroCalendario(`Tipo de período inválido: ${tipo}.`);
+  const [rows] = await db.query(
+    `SELECT p.numero, DATE_FORMAT(p.data_inicio, '%Y-%m-%d') AS inicio, DATE_FORMAT(p.data_fim, '%Y-%m-%d') AS fim
+       FROM calendario_periodos p
+       JOIN calendario_anos a ON a.id = p.ano_id
+      WHERE a.escola_id = ? AND a.ano = ? AND p.tipo = ?
+      ORDER BY p.numero`,
+    [escolaId, ano, tipo]
+  );
+  if (rows.length) return rows.map((r) => ({ numero: Number(r.numero), inicio: r.inicio, fim: r.fim }));
+  return PERIODOS_PADRAO[tipo].map(([numero, inicio, fim]) => ({ numero, inicio: `${ano}-${inicio}`, fim: `${ano}-${fim}` }));
+}
+
+/** Em qual bimestre (ou semestre) do ano letivo cai a data. numero = null: entre períodos. */
+export async function periodoDaData(db, escolaId, data, tipo = "bimestre") {
+  const ano = await anoLetivoDaData(db, escolaId, data);
+  const periodos = await periodosDoAno(db, escolaId, ano, tipo);
+  const p = periodos.find((x) => data >= x.inicio && data <= x.fim);
+  return { ano, tipo, numero: p?.numero ?? null, inicio: p?.inicio ?? null, fim: p?.fim ?? null };
+}
+
+export function bimestreAtual(db, escolaId, agora = new Date()) {
+  return periodoDaData(db, escolaId, hojeNoFuso(agora), "bimestre");
+}
+
+/** Calendário completo do ano (null se a escola não cadastrou). */
+export async function carregarCalendario(db, escolaId, ano) {
+  const [[row]] = await db.query(
+    `SELECT id, ano, DATE_FORMAT(data_inicio, '%Y-%m-%d') AS data_inicio,
+            DATE_FORMAT(data_fim, '%Y-%m-%d') AS data_fim, dias_letivos_minimo, atualizado_em
+       FROM calendario_anos WHERE escola_id = ? AND ano = ? LIMIT 1`,
+    [escolaId, ano]
+  );
+  if (!row) return null;
+  const [periodos] = await db.query(
+    `SELECT tipo, numero, DATE_FORMAT(data_inicio, '%Y-%m-%d') AS data_inicio, DATE_FORMAT(data_fim, '%Y-%m-%d') AS data_fim
+       FROM calendario_periodos WHERE ano_id = ? ORDER BY tipo, numero`,
+    [row.id]
+  );
+  const [eventos] = await db.query(
+    `SELECT id, tipo, descricao, DATE_FORMAT(data_inicio, '%Y-%m-%d') AS data_inicio,
+            DATE_FORMAT(data_fim, '%Y-%m-%d') AS data_fim
+       FROM calendario_eventos WHERE ano_id = ? ORDER BY data_inicio, id`,
+    [row.id]
+  );
+  return {
+    id: Number(row.id),
+    ano: Number(row.ano),
+    data_inicio: row.data_inicio,
+    data_fim: row.data_fim,
+    dias_letivos_minimo: Number(row.dias_letivos_minimo ?? MINIMO_PADRAO),
+    atualizado_em: row.atualizado_em ?? null,
+    periodos: periodos.map((p) => ({ ...p, numero: Number(p.numero) })),
+    eventos: eventos.map((e) => ({ ...e, data_fim: e.data_fim || e.data_inicio })),
+  };
+}
+
+// ─── Regras (puras) ─────────────────────────────────────────────────────────
+
+/** { letivo, motivo, evento } da data no calendário carregado. */
+export function classificarData(cal, data) {
+  if (data < cal.data_inicio || data > cal.data_fim) return { letivo: false, motivo: "fora_do_ano", evento: null };
+
+  const doDia = cal.eventos.filter((e) => data >= e.data_inicio && data <= (e.data_fim || e.data_inicio));
+  const bloqueio = doDia.find((e) => TIRAM_DIA.has(e.tipo));
+  if (bloqueio) return { letivo: false, motivo: bloqueio.tipo, evento: bloqueio };
+
+  const dia = diaSemana(data);
+  if (dia === 0) return { letivo: false, motivo: "domingo", evento: null };
+  if (dia === 6) {
+    const sabado = doDia.find((e) => e.tipo === "sabado_letivo");
+    return sabado ? { letivo: true, motivo: "sabado_letivo", evento: sabado } : { letivo: false, motivo: "sabado", evento: null };
+  }
+  return { letivo: true, motivo: null, evento: null };
+}
+
+/** Dias letivos do ano (até a data `ate`, se informada) e por período. */
+export function contarDiasLetivos(cal, { ate } = {}) {
+  const fim = ate && ate < cal.data_fim ? ate : cal.data_fim;
+  const porPeriodo = new Map(cal.periodos.map((p) => [`${p.tipo}:${p.numero}`, 0]));
+  let total = 0;
+  for (let d = cal.data_inicio; d <= fim; d = somarDias(d, 1)) {
+    if (!classificarData(cal, d).letivo) continue;
+    total++;
+    for (const p of cal.periodos) {
+      if (d >= p.data_inicio && d <= p.data_fim) porPeriodo.set(`${p.tipo}:${p.numero}`, porPeriodo.get(`${p.tipo}:${p.numero}`) + 1);
+    }
+  }
+  return {
+    total,
+    periodos: cal.periodos.map((p) => ({ tipo: p.tipo, numero: p.numero, dias: porPeriodo.get(`${p.tipo}:${p.numero}`) })),
+  };
+}
+
+/** Contador dos 200 dias: previstos no ano, já cumpridos até hoje e o que falta. */
+export function resumoDiasLetivos(cal, agora = new Date()) {
+  const previstos = contarDiasLetivos(cal);
+  const realizados = contarDiasLetivos(cal, { ate: hojeNoFuso(agora) }).total;
+  const minimo = cal.dias_letivos_minimo || MINIMO_PADRAO;
+  return {
+    minimo,
+    previstos: previstos.total,
+    realizados,
+    restantes: previstos.total - realizados,
+    faltam_para_minimo: Math.max(0, minimo - previstos.total),
+    atende_minimo: previstos.total >= minimo,
+    periodos: previstos.periodos,
+  };
+}
+
+/** A data é dia letivo na escola? Sem calendário do ano: segunda a sexta. */
+export async function diaLetivo(db, escolaId, data) {
+  const ano = await anoLetivoDaData(db, escolaId, data);
+  const cal = await carregarCalendario(db, escolaId, ano);
+  if (cal) return { ano, configurado: true, ...classificarData(cal, data) };
+  const dia = diaSemana(data);
+  const letivo = dia >= 1 && dia <= 5;
+  return { ano, configurado: false, letivo, motivo: letivo ? null : dia === 0 ? "domingo" : "sabado", evento: null };
+}
+
+// ─── Gravação ───────────────────────────────────────────────────────────────
+
+function validarIntervalo(item, rotulo, inicio, fim) {
+  const di = dataISO(item.data_inicio);
+  const df = dataISO(item.data_fim) || di;
+  if (!di || df < di) throw erroCalendario(`${rotulo}: data_fim antes de data_inicio.`);
+  if (di < inicio || df > fim) throw erroCalendario(`${rotulo}: fora do ano letivo (${inicio} a ${fim}).`);
+  return [di, df];
+}
+
+/** Confere o calendário recebido e devolve a versão normalizada. */
+export function validarCalendario(ano, dados) {
+  const inicio = dataISO(dados.data_inicio);
+  const fim = dataISO(dados.data_fim);
+  if (!inicio || !fim || fim <= inicio) throw erroCalendario("Informe data_inicio e data_fim do ano letivo.");
+  if (Number(inicio.slice(0, 4)) !== Number(ano)) throw erroCalendario(`O ano letivo ${ano} precisa começar em ${ano}.`);
+  if (Date.parse(fim) - Date.parse(inicio) > 400 * DIA) throw erroCalendario("Ano letivo com mais de 400 dias.");
+
+  const periodos = [];
+  for (const [tipo, quantidade] of Object.entries(TIPOS_PERIODO)) {
+    const doTipo = (dados.periodos || [])
+      .filter((p) => p.tipo === tipo)
+      .map((p) => {
+        const [di, df] = validarIntervalo(p, `${p.numero}º ${tipo}`, inicio, fim);
+        return { tipo, numero: Number(p.numero), data_inicio: di, data_fim: df };
+      })
+      .sort((a, b) => a.numero - b.numero);
+    if (!doTipo.length) continue;
+    if (doTipo.length !== quantidade || doTipo.some((p, i) => p.numero !== i + 1)) {
+      throw erroCalendario(`Informe os ${quantidade} ${tipo}s (1 a ${quantidade}).`);
+    }
+    for (let i = 1; i < doTipo.length; i++) {
+      if (doTipo[i].data_inicio <= doTipo[i - 1].data_fim) {
+        throw erroCalendario(`${doTipo[i].numero}º ${tipo} começa antes do fim do ${doTipo[i - 1].numero}º.`);
+      }
+    }
+    periodos.push(...doTipo);
+  }
+  if (!periodos.some((p) => p.tipo === "bimestre")) throw erroCalendario("Informe os 4 bimestres do ano letivo.");
+
+  const eventos = (dados.eventos || []).map((e, i) => {
+    if (!TIPOS_EVENTO.includes(e.tipo)) throw erroCalendario(`Evento ${i + 1}: tipo inválido.`);
+    const [di, df] = validarIntervalo(e, `Evento ${i + 1} (${e.descricao || e.tipo})`, inicio, fim);
+    if (e.tipo === "sabado_letivo") {
+      for (let d = di; d <= df; d = somarDias(d, 1)) {
+        if (diaSemana(d) !== 6) throw erroCalendario(`Sábado letivo em ${d}, que não é sábado.`);
+      }
+    }
+    return { tipo: e.tipo, descricao: String(e.descricao || "").trim().slice(0, 200) || null, data_inicio: di, data_fim: df };
+  });
+
+  const minimo = Number(dados.dias_letivos_minimo) || MINIMO_PADRAO;
+  return { ano: Number(ano), data_inicio: inicio, data_fim: fim, dias_letivos_minimo: minimo, periodos, eventos };
+}
+
+/**
+ * Cadastra ou substitui o calendário do ano (períodos e eventos inteiros).
+ * → calendário salvo + resumo dos dias letivos (abaixo do mínimo não impede
+ *   salvar: o contador avisa).
+ */
+export async function salvarCalendario(db, escolaId, ano, dados, { usuarioId = null } = {}) {
+  const cal = validarCalendario(ano, dados);
+
+  // O ano não pode invadir o anterior/seguinte já cadastrados
+  const [vizinhos] = await db.query(
+    `SELECT ano FROM calendario_anos
+      WHERE escola_id = ? AND ano <> ? AND data_inicio <= ? AND data_fim >= ?`,
+    [escolaId, cal.ano, cal.data_fim, cal.data_inicio]
+  );
+  if (vizinhos.length) throw erroCalendario(`As datas se sobrepõem ao ano letivo ${vizinhos[0].ano}.`, 409, "CALENDARIO_SOBREPOSTO");
+
+  const conn = db.getConnection ? await db.getConnection() : db;
+  try {
+    await conn.beginTransaction?.();
+    const [ins] = await conn.query(
+      `INSERT INTO calendario_anos (escola_id, ano, data_inicio, data_fim, dias_letivos_minimo, atualizado_por)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id), data_inicio = VALUES(data_inicio), data_fim = VALUES(data_fim),
+                               dias_letivos_minimo = VALUES(dias_letivos_minimo), atualizado_por = VALUES(atualizado_por)`,
+      [escolaId, cal.ano, cal.data_inicio, cal.data_fim, cal.dias_letivos_minimo, usuarioId]
+    );
+    const anoId = Number(ins.insertId);
+
+    await conn.query("DELETE FROM calendario_periodos WHERE ano_id = ?", [anoId]);
+    await conn.query("DELETE FROM calendario_eventos WHERE ano_id = ?", [anoId]);
+    await conn.query(
+      "INSERT INTO calendario_periodos (ano_id, escola_id, tipo, numero, data_inicio, data_fim) VALUES ?",
+      [cal.periodos.map((p) => [anoId, escolaId, p.tipo, p.numero, p.data_inicio, p.data_fim])]
+    );
+    if (cal.eventos.length) {
+      await conn.query(
+        "INSERT INTO calendario_eventos (ano_id, escola_id, tipo, descricao, data_inicio, data_fim) VALUES ?",
+        [cal.eventos.map((e) => [anoId, escolaId, e.tipo, e.descricao, e.data_inicio, e.data_fim])]
+      );
+    }
+    await conn.commit?.();
+
+    const salvo = { id: anoId, ...cal };
+    return { ...salvo, dias_letivos: resumoDiasLetivos(salvo) };
+  } catch (err) {
+    await conn.rollback?.();
+    throw err;
+  } finally {
+    if (conn !== db) conn.release?.();
+  }
+}
@@ -0,0 +1,184 @@
+// services/canaisNotificacao.js
+// -----------------------------------------------------------------------------
+// Adaptadores de canal do outbox de notificações (services/notificacoes.js).
+//
+//  - push:  Expo Push (expo-server-sdk). O envio devolve tickets; a entrega
+//           só é confirmada depois, pelos recibos (recibos(ids)).
+//  - email: SMTP via services/mailer.js (MAIL_HOST, MAIL_USER, MAIL_PASS...).
+//  - sms:   SMS_PROVIDER=twilio (TWILIO_SID/TOKEN/PHONE) ou stub — o stub só
+//           registra em memória e no log (dev/homologação). Sem SMS_PROVIDER:
+//           twilio se TWILIO_SID estiver definido, senão stub.
+//
+// Contrato dos adaptadores:
+//   push.enviar([{ destino, titulo, mensagem, payload }])
+//        → [{ ok, provedorId?, erro?, tokenInvalido?, permanente? }] (mesma ordem)
+//   push.recibos([provedorId]) → { [provedorId]: { ok, erro?, tokenInvalido?, permanente? } }
+//        (id ausente no retorno = recibo ainda não disponível)
+//   email.enviar({ destino, titulo, mensagem }) → { provedorId }
+//   sms.enviar({ destino, mensagem })           → { provedorId }
+//   Erro de email/sms: lança; err.permanente = true não retenta.
+//
+// definirCanal(nome, adaptador) troca um adaptador (testes, outro provedor).
+// -----------------------------------------------------------------------------
+import { Expo } from "expo-server-sdk";
+import { cabecalhosCorrelacao } from "./logger.js";
+import { emailConfigurado, enviarEmail } from "./mailer.js";
+
+// Erros do Expo que não adianta retentar (ticket ou recibo)
+const ERROS_EXPO_PERMANENTES = ["DeviceNotRegistered", "MessageTooBig", "InvalidCredentials", "MismatchSenderId"];
+
+function erroPermanente(mensagem) {
+  const err = new Error(mensagem);
+  err.permanente = true;
+  return err;
+}
+
+/** Normaliza telefone para E.164 (+55DDNNNNNNNNN); null se não parecer celular. */
+export function telefoneE164(telefone) {
+  const digitos = String(telefone || "").replace(/\D/g, "");
+  if (digitos.length < 10) return null;
+  return digitos.startsWith("55") && digitos.length >= 12 ? `+${digitos}` : `+55${digitos}`;
+}
+
+// ── Push (Expo) ──────────────────────────────────────────────────────────────
+
+let expo = null;
+function clienteExpo() {
+  if (!expo) expo = new Expo({ accessToken: process.env.EXPO_ACCESS_TOKEN || undefined });
+  return expo;
+}
+
+function interpretarErroExpo(item) {
+  const codigo = item?.details?.error || null;
+  return {
+    ok: false,
+    erro: `${codigo || "erro"}: ${item?.message || "falha no Expo"}`.slice(0, 500),
+    tokenInvalido: codigo === "DeviceNotRegistered",
+    permanente: ERROS_EXPO_PERMANENTES.includes(codigo),
+  };
+}
+
+const pushExpo = {
+  validarDestino: (token) => Expo.isExpoPushToken(token),
+
+  async enviar(mensagens) {
+    const cliente = clienteExpo();
+    const resultados = [];
+    // chunkPushNotifications preserva a ordem: até 100 mensagens por request
+    for (const chunk of cliente.chunkPushNotifications(
+      mensagens.map((m) => ({ to: m.destino, sound: "default", title: m.titulo, body: m.mensagem, data: m.payload || {} }))
+    )) {
+      try {
+        const tickets = await cliente.sendPushNotificationsAsync(chunk);
+        for (const t of tickets) {
+          resultados.push(t.status === "ok" ? { ok: true, provedorId: t.id } : interpretarErroExpo(t));
+        }
+      } catch (err) {
+        // falha de rede/HTTP do chunk inteiro → todos retentam
+        for (let i = 0; i < chunk.length; i++) resultados.push({ ok: false, erro: err.message, permanente: false });
+      }
+    }
+    return resultados;
+  },
+
+  async recibos(ids) {
+    const cliente = clienteExpo();
+    const saida = {};
+    for (const chunk of cliente.chunkPushNotificationReceiptIds(ids)) {
+      const recibos = await cliente.getPushNotificationReceiptsAsync(chunk);
+      for (const [id, r] of Object.entries(recibos || {})) {
+        saida[id] = r.status === "ok" ? { ok: true } : interpretarErroExpo(r);
+      }
+    }
+    return saida;
+  },
+};
+
+// ── E-mail (SMTP) ────────────────────────────────────────────────────────────
+
+function escaparHtml(s) {
+  return String(s).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+}
+
+const emailSmtp = {
+  validarDestino: (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email || "")),
+
+  async enviar({ destino, titulo, mensagem }) {
+    if (!emailConfigurado()) throw erroPermanente("SMTP não configurado (MAIL_HOST/MAIL_USER).");
+    const info = await enviarEmail({
+      to: destino,
+      subject: `EDUCA.MELHOR — ${titulo}`,
+      text: mensagem,
+      html: `<p><strong>${escaparHtml(titulo)}</strong></p><p>${escaparHtml(mensagem).replace(/\n/g, "<br>")}</p>`,
+    });
+    return { provedorId: info?.messageId || null };
+  },
+};
+
+// ── SMS (Twilio / stub) ──────────────────────────────────────────────────────
+
+const smsTwilio = {
+  validarDestino: (telefone) => Boolean(telefoneE164(telefone)),
+
+  async enviar({ destino, mensagem }) {
+    const SID = process.env.TWILIO_SID;
+    const TOKEN = process.env.TWILIO_TOKEN;
+    const FROM = process.env.TWILIO_PHONE;
+    if (!SID || !TOKEN || !FROM) throw erroPermanente("Twilio não configurado (TWILIO_SID/TOKEN/PHONE).");
+
+    const resp = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${SID}/Messages.json`, {
+      method: "POST",
+      headers: cabecalhosCorrelacao({
+        Authorization: "Basic " + Buffer.from(`${SID}:${TOKEN}`).toString("base64"),
+        "Content-Type": "application/x-www-form-urlencoded",
+      }),
+      body: new URLSearchParams({ From: FROM, To: telefoneE164(destino), Body: mensagem }).toString(),
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      // 4xx = número inválido/bloqueado (exceto 429); 5xx/429 retentam
+      const err = new Error(`TWILIO_ERROR:${resp.status}:${data?.message || ""}`);
+      err.permanente = resp.status >= 400 && resp.status < 500 && resp.status !== 429;
+      throw err;
+    }
+    return { provedorId: data?.sid || null };
+  },
+};
+
+/** Stub local: guarda os últimos SMS em memória (smsStub.enviados). */
+export const smsStub = {
+  enviados: [],
+  validarDestino: (telefone) => Boolean(telefoneE164(telefone)),
+
+  async enviar({ destino, mensagem }) {
+    const provedorId = `stub-${Date.now()}-${this.enviados.length + 1}`;
+    this.enviados.push({ provedorId, destino: telefoneE164(destino), mensagem });
+    if (this.enviados.length > 100) this.enviados.shift();
+    console.log(`[NOTIF] SMS (stub) ${provedorId} para ${telefoneE164(destino)}`);
+    return { provedorId };
+  },
+};
+
+// ── Registro ─────────────────────────────────────────────────────────────────
+
+const substituidos = new Map(); // nome -> adaptador (definirCanal)
+
+function provedorSms() {
+  const p = String(process.env.SMS_PROVIDER || (process.env.TWILIO_SID ? "twilio" : "stub")).toLowerCase();
+  return p === "twilio" ? smsTwilio : smsStub;
+}
+
+/** Adaptador do canal (push | email | sms). */
+export function canal(nome) {
+  if (substituidos.has(nome)) return substituidos.get(nome);
+  if (nome === "push") return pushExpo;
+  if (nome === "email") return emailSmtp;
+  if (nome === "sms") return provedorSms();
+  throw new Error(`Canal de notificação desconhecido: ${nome}`);
+}
+
+/** Troca o adaptador de um canal; null volta ao padrão. */
+export function definirCanal(nome, adaptador) {
+  if (adaptador) substituidos.set(nome, adaptador);
+  else substituidos.delete(nome);
+}
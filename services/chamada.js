@@ -0,0 +1,576 @@
+// services/chamada.js
+// ============================================================================
+// Chamada por aula (rotas em routes/frequencia.js → /api/frequencia/chamada)
+// - A aula é um slot da grade PUBLICADA (grade_resultado + grade_slot) no dia
+//   da semana da data: turma + data + período. A primeira chamada guarda uma
+//   cópia de disciplina/professor/horário em chamada_aulas — republicar a
+//   grade depois não muda o que já foi registrado.
+// - Um registro por aluno matriculado na turma: presente | ausente | atrasado.
+//   "Todos presentes" marca a turma inteira e aplica só as exceções enviadas.
+// - Prazo: passado o fim da aula + "frequencia.chamada_prazo_horas" (governança
+//   da escola), a chamada fica bloqueada (CHAMADA_BLOQUEADA). Quem tem
+//   frequencia:editar_bloqueada corrige depois do prazo, com auditoria.
+// - Offline: o app manda o lote com o horário em que a chamada foi feita no
+//   aparelho. O prazo é sempre medido na chegada ao servidor (o relógio do
+//   aparelho não reabre chamada bloqueada); o horário do aparelho só decide,
+//   por aluno, qual marcação vence — a do servidor mais recente é mantida e
+//   volta como conflito.
+// - Frequência = (aulas − faltas) / aulas, por aluno, disciplina, bimestre e
+//   ano. Atraso conta como falta se "frequencia.atraso_conta_falta". Ano e
+//   bimestres vêm do calendário letivo da escola (services/calendarioLetivo.js),
+//   que também recusa chamada em dia não letivo (feriado, recesso, fim de semana).
+//   consolidarFaltas() grava as faltas do bimestre em notas.faltas (boletim,
+//   app dos pais); o relatório de faltosos usa resumoFrequencia().
+// ============================================================================
+
+import { capturarNotas, capturarRegistros, eventosDaCaptura, registrarAlteracoes } from "./auditoria.js";
+import {
+  anoLetivoDaData,
+  diaLetivo,
+  diaSemana,
+  hojeNoFuso,
+  instanteNoFuso,
+  limitesDoAno,
+  periodosDoAno,
+} from "./calendarioLetivo.js";
+
+export { diaSemana, hojeNoFuso };
+
+export const STATUS_CHAMADA = ["presente", "ausente", "atrasado"];
+
+const PRAZO_PADRAO_HORAS = 48;
+const HORA = 3_600_000;
+
+const MOTIVOS_NAO_LETIVO = {
+  feriado: "feriado",
+  recesso: "recesso",
+  nao_letivo: "dia não letivo",
+  fora_do_ano: "fora do ano letivo",
+  sabado: "sábado",
+  domingo: "domingo",
+};
+
+function erroChamada(status, code, message) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+function dataISO(v) {
+  if (v instanceof Date) return v.toISOString().slice(0, 10);
+  return String(v || "").slice(0, 10);
+}
+
+function porcentagem(aulas, faltas) {
+  return aulas ? Math.round((1000 * (aulas - faltas)) / aulas) / 10 : null;
+}
+
+// ─── Configuração da escola (governança) ────────────────────────────────────
+
+export async function configChamada(db, escolaId) {
+  const [rows] = await db.query(
+    `SELECT chave, valor FROM configuracoes_escola
+      WHERE escola_id = ? AND chave IN ('frequencia.chamada_prazo_horas', 'frequencia.atraso_conta_falta')`,
+    [escolaId]
+  );
+  const valores = Object.fromEntries((rows || []).map((r) => [r.chave, String(r.valor ?? "")]));
+  const prazo = Number(valores["frequencia.chamada_prazo_horas"]);
+  return {
+    prazoHoras: Number.isFinite(prazo) && prazo > 0 ? prazo : PRAZO_PADRAO_HORAS,
+    atrasoContaFalta: valores["frequencia.atraso_conta_falta"] === "1",
+  };
+}
+
+/** Bimestres do ano letivo: [{ bimestre, inicio, fim }] (datas AAAA-MM-DD). */
+export async function bimestresDoAno(db, escolaId, ano) {
+  const periodos = await periodosDoAno(db, escolaId, ano, "bimestre");
+  return periodos.map(({ numero, inicio, fim }) => ({ bimestre: numero, inicio, fim }));
+}
+
+/** Até quando a chamada da aula pode ser alterada pelo professor. */
+export function limiteEdicao(data, horaFim, prazoHoras) {
+  const fim = horaFim ? String(horaFim).slice(0, 5) : "23:59";
+  return new Date(instanteNoFuso(data, fim).getTime() + prazoHoras * HORA);
+}
+
+// ─── Quem é o professor ─────────────────────────────────────────────────────
+
+/**
+ * ids em professores do usuário logado (CPF do token ou de usuarios).
+ * Um professor pode ter mais de um registro na escola (um por turma).
+ */
+export async function professorIdsDoUsuario(db, { escolaId, cpf, usuarioId }) {
+  let limpo = cpf ? String(cpf).replace(/\D/g, "") : "";
+  if (!limpo && usuarioId) {
+    const [[u]] = await db.query("SELECT cpf FROM usuarios WHERE id = ? LIMIT 1", [usuarioId]);
+    limpo = u?.cpf ? String(u.cpf).replace(/\D/g, "") : "";
+  }
+  if (!limpo) return [];
+  const [rows] = await db.query(
+    "SELECT id FROM professores WHERE escola_id = ? AND REPLACE(REPLACE(cpf, '.', ''), '-', '') = ?",
+    [escolaId, limpo]
+  );
+  return rows.map((r) => Number(r.id));
+}
+
+// ─── Aulas (grade publicada + chamadas já feitas) ───────────────────────────
+
+async function consultarSlots(db, { escolaId, data, turmaId, ordem, professorIds }) {
+  const dia = diaSemana(data);
+  if (dia < 1 || dia > 6) return [];
+
+  let sql = `
+    SELECT gs.turma_id, t.nome AS turma_nome, gs.periodo_ordem AS ordem,
+           gs.disciplina_id, d.nome AS disciplina_nome,
+           gs.professor_id, p.nome AS professor_nome,
+           gr.id AS grade_resultado_id, gr.turno,
+           TIME_FORMAT(gb.hora_inicio, '%H:%i') AS hora_inicio,
+           TIME_FORMAT(gb.hora_fim, '%H:%i') AS hora_fim,
+           ca.id AS aula_id,
+           (SELECT COUNT(*) FROM chamada_registros cr WHERE cr.aula_id = ca.id) AS registros
+      FROM grade_resultado gr
+      JOIN grade_slot gs ON gs.resultado_id = gr.id
+      JOIN turmas t ON t.id = gs.turma_id
+      LEFT JOIN disciplinas d ON d.id = gs.disciplina_id
+      LEFT JOIN professores p ON p.id = gs.professor_id
+      LEFT JOIN grade_base gb ON gb.escola_id = gr.escola_id AND LOWER(gb.turno) = gr.turno
+                             AND gb.dia_semana = gs.dia_semana AND gb.periodo_ordem = gs.periodo_ordem
+      LEFT JOIN chamada_aulas ca ON ca.escola_id = gr.escola_id AND ca.turma_id = gs.turma_id
+                                AND ca.data = ? AND ca.periodo_ordem = gs.periodo_ordem
+     WHERE gr.escola_id = ? AND gr.status = 'publicado'
+       AND gs.dia_semana = ? AND gs.disciplina_id IS NOT NULL
+  `;
+  const params = [data, escolaId, dia];
+  if (turmaId) { sql += " AND gs.turma_id = ?"; params.push(turmaId); }
+  if (ordem) { sql += " AND gs.periodo_ordem = ?"; params.push(ordem); }
+  if (professorIds) { sql += " AND gs.professor_id IN (?)"; params.push(professorIds); }
+  sql += " ORDER BY gb.hora_inicio, gs.periodo_ordem, t.nome";
+
+  const [rows] = await db.query(sql, params);
+  return rows;
+}
+
+/**
+ * Aulas da data na grade publicada (todas, de uma turma ou só do professor),
+ * com a situação da chamada: feita/pendente e até quando pode ser alterada.
+ */
+export async function aulasDoDia(db, { escolaId, data, turmaId, professorIds, agora = new Date() }) {
+  if (professorIds && !professorIds.length) return [];
+  const [{ prazoHoras }, slots] = await Promise.all([
+    configChamada(db, escolaId),
+    consultarSlots(db, { escolaId, data, turmaId, professorIds }),
+  ]);
+  return slots.map((s) => {
+    const limite = limiteEdicao(data, s.hora_fim, prazoHoras);
+    return {
+      ...s,
+      data,
+      registros: Number(s.registros || 0),
+      chamada_feita: Boolean(s.aula_id),
+      bloqueada_em: limite.toISOString(),
+      bloqueada: agora > limite,
+    };
+  });
+}
+
+async function aulaExistente(db, { escolaId, turmaId, data, ordem }) {
+  const [[aula]] = await db.query(
+    `SELECT id AS aula_id, turma_id, periodo_ordem AS ordem, disciplina_id, professor_id,
+            grade_resultado_id, turno,
+            TIME_FORMAT(hora_inicio, '%H:%i') AS hora_inicio,
+            TIME_FORMAT(hora_fim, '%H:%i') AS hora_fim
+       FROM chamada_aulas
+      WHERE escola_id = ? AND turma_id = ? AND data = ? AND periodo_ordem = ?
+      LIMIT 1`,
+    [escolaId, turmaId, data, ordem]
+  );
+  return aula || null;
+}
+
+/** A aula: a cópia gravada na primeira chamada ou, se ainda não houve, o slot publicado. */
+async function resolverAula(db, { escolaId, turmaId, data, ordem }) {
+  const existente = await aulaExistente(db, { escolaId, turmaId, data, ordem });
+  if (existente) return existente;
+  const [slot] = await consultarSlots(db, { escolaId, data, turmaId, ordem });
+  if (!slot) throw erroChamada(404, "AULA_FORA_DA_GRADE", "Não há aula desta turma neste dia/período na grade publicada.");
+  return slot;
+}
+
+/** Alunos matriculados (ativos) na turma no ano da data. */
+export async function alunosDaTurma(db, { escolaId, turmaId, ano }) {
+  const [rows] = await db.query(
+    `SELECT a.id AS aluno_id, a.estudante AS nome, a.codigo
+       FROM matriculas m
+       JOIN alunos a ON a.id = m.aluno_id
+      WHERE m.escola_id = ? AND m.turma_id = ? AND m.ano_letivo = ?
+        AND m.status IN ('ativo', 'matriculado')
+      ORDER BY a.estudante`,
+    [escolaId, turmaId, ano]
+  );
+  return rows;
+}
+
+function conferirProfessor(aula, professorIds) {
+  if (professorIds && !professorIds.includes(Number(aula.professor_id))) {
+    throw erroChamada(403, "CHAMADA_OUTRO_PROFESSOR", "Esta aula é de outro professor na grade.");
+  }
+}
+
+/** GET de uma aula: dados do slot, alunos com a marcação atual e prazo. */
+export async function chamadaDaAula(db, { escolaId, turmaId, data, ordem, professorIds, agora = new Date() }) {
+  const aula = await resolverAula(db, { escolaId, turmaId, data, ordem });
+  conferirProfessor(aula, professorIds);
+
+  const ano = await anoLetivoDaData(db, escolaId, data);
+  const [{ prazoHoras }, alunos] = await Promise.all([
+    configChamada(db, escolaId),
+    alunosDaTurma(db, { escolaId, turmaId, ano }),
+  ]);
+  let marcacoes = new Map();
+  if (aula.aula_id) {
+    const [rows] = await db.query(
+      "SELECT aluno_id, status, observacao, atualizado_em FROM chamada_registros WHERE aula_id = ?",
+      [aula.aula_id]
+    );
+    marcacoes = new Map(rows.map((r) => [Number(r.aluno_id), r]));
+  }
+
+  const limite = limiteEdicao(data, aula.hora_fim, prazoHoras);
+  return {
+    ...aula,
+    data,
+    aula_id: aula.aula_id || null,
+    bloqueada_em: limite.toISOString(),
+    bloqueada: agora > limite,
+    alunos: alunos.map((a) => {
+      const m = marcacoes.get(Number(a.aluno_id));
+      return { ...a, status: m?.status || null, observacao: m?.observacao || null, atualizado_em: m?.atualizado_em || null };
+    }),
+  };
+}
+
+// ─── Registro ───────────────────────────────────────────────────────────────
+
+// Horário da marcação (desempate com o servidor); aparelho adiantado vale agora
+function momentoDoRegistro({ registradoEm, offline, agora }) {
+  if (!offline || !registradoEm) return agora;
+  const quando = new Date(registradoEm);
+  if (Number.isNaN(quando.getTime()) || quando > agora) return agora;
+  return quando;
+}
+
+/**
+ * Grava (ou corrige) a chamada de uma aula.
+ *   registros:      [{ aluno_id, status, observacao? }]
+ *   todosPresentes: marca a turma inteira como presente antes das exceções
+ *   usuario:        { id, professorIds (null = gestão), podeEditarBloqueada }
+ *   offline:        lote do app; registradoEm = horário da chamada no aparelho
+ *                   (desempate por aluno; o prazo conta a partir de `agora`)
+ * → { aula_id, data, ordem, gravados, conflitos, bloqueada_em, fora_do_prazo, resumo }
+ */
+export async function registrarChamada(
+  db,
+  { escolaId, turmaId, data, ordem, registros = [], todosPresentes = false, usuario = {}, offline = false, registradoEm, agora = new Date(), origemAuditoria }
+) {
+  if (data > hojeNoFuso(agora)) {
+    throw erroChamada(400, "CHAMADA_FUTURA", "Não é possível registrar chamada de uma data futura.");
+  }
+  const dia = await diaLetivo(db, escolaId, data);
+  if (!dia.letivo) {
+    const motivo = dia.evento?.descricao || MOTIVOS_NAO_LETIVO[dia.motivo] || dia.motivo;
+    throw erroChamada(400, "DIA_NAO_LETIVO", `Não há aula em ${data}: ${motivo}.`);
+  }
+  const aula = await resolverAula(db, { escolaId, turmaId, data, ordem });
+  conferirProfessor(aula, usuario.professorIds);
+
+  const { prazoHoras } = await configChamada(db, escolaId);
+  const limite = limiteEdicao(data, aula.hora_fim, prazoHoras);
+  const foraDoPrazo = agora > limite;
+  if (foraDoPrazo && !usuario.podeEditarBloqueada) {
+    throw erroChamada(
+      409,
+      "CHAMADA_BLOQUEADA",
+      `O prazo para alterar esta chamada terminou em ${limite.toISOString()}. Peça a correção à coordenação.`
+    );
+  }
+
+  const momento = momentoDoRegistro({ registradoEm, offline, agora });
+
+  const alunos = await alunosDaTurma(db, { escolaId, turmaId, ano: dia.ano });
+  const matriculados = new Set(alunos.map((a) => Number(a.aluno_id)));
+  const marcacoes = new Map();
+  if (todosPresentes) for (const id of matriculados) marcacoes.set(id, { status: "presente", observacao: null });
+  for (const r of registros) {
+    const id = Number(r.aluno_id);
+    if (!matriculados.has(id)) {
+      throw erroChamada(400, "ALUNO_FORA_DA_TURMA", `Aluno ${id} não está matriculado nesta turma.`);
+    }
+    marcacoes.set(id, { status: r.status, observacao: r.observacao ? String(r.observacao).slice(0, 255) : null });
+  }
+  if (!marcacoes.size) throw erroChamada(400, "CHAMADA_VAZIA", "Nenhum aluno marcado.");
+
+  const conn = db.getConnection ? await db.getConnection() : db;
+  try {
+    await conn.beginTransaction?.();
+
+    const [ins] = await conn.query(
+      `INSERT INTO chamada_aulas
+         (escola_id, turma_id, data, periodo_ordem, dia_semana, turno, disciplina_id, professor_id,
+          grade_resultado_id, hora_inicio, hora_fim, origem, registrado_por)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id), registrado_por = VALUES(registrado_por)`,
+      [
+        escolaId, turmaId, data, ordem, diaSemana(data), aula.turno || null, aula.disciplina_id,
+        aula.professor_id || null, aula.grade_resultado_id || null, aula.hora_inicio || null,
+        aula.hora_fim || null, offline ? "offline" : "web", usuario.id || null,
+      ]
+    );
+    const aulaId = Number(ins.insertId);
+
+    const sqlCaptura = "SELECT id, aula_id, aluno_id, status, observacao FROM chamada_registros WHERE aula_id = ?";
+    const antes = foraDoPrazo ? await capturarRegistros(conn, sqlCaptura, [aulaId]) : null;
+
+    // Offline: marcação do servidor mais nova que a do aparelho é mantida
+    const conflitos = [];
+    if (offline) {
+      const [atuais] = await conn.query(
+        "SELECT aluno_id, atualizado_em FROM chamada_registros WHERE aula_id = ? AND atualizado_em > ?",
+        [aulaId, momento]
+      );
+      for (const r of atuais) {
+        if (marcacoes.delete(Number(r.aluno_id))) conflitos.push(Number(r.aluno_id));
+      }
+    }
+
+    if (marcacoes.size) {
+      const linhas = [...marcacoes].map(([alunoId, m]) => [
+        aulaId, escolaId, alunoId, m.status, m.observacao, usuario.id || null, momento,
+      ]);
+      await conn.query(
+        `INSERT INTO chamada_registros (aula_id, escola_id, aluno_id, status, observacao, atualizado_por, atualizado_em)
+         VALUES ?
+         ON DUPLICATE KEY UPDATE status = VALUES(status), observacao = VALUES(observacao),
+                                 atualizado_por = VALUES(atualizado_por), atualizado_em = VALUES(atualizado_em)`,
+        [linhas]
+      );
+    }
+
+    // Correção depois do prazo fica na trilha de auditoria
+    if (foraDoPrazo) {
+      const depois = await capturarRegistros(conn, sqlCaptura, [aulaId]);
+      await registrarAlteracoes(conn, origemAuditoria || { escolaId, usuarioId: usuario.id }, eventosDaCaptura("chamada_registros", antes, depois));
+    }
+
+    await conn.commit?.();
+
+    const [contagem] = await db.query(
+      "SELECT status, COUNT(*) AS total FROM chamada_registros WHERE aula_id = ? GROUP BY status",
+      [aulaId]
+    );
+    const resumo = { presente: 0, ausente: 0, atrasado: 0 };
+    for (const c of contagem) resumo[c.status] = Number(c.total);
+
+    return {
+      aula_id: aulaId,
+      turma_id: turmaId,
+      data,
+      ordem,
+      gravados: marcacoes.size,
+      conflitos,
+      bloqueada_em: limite.toISOString(),
+      fora_do_prazo: foraDoPrazo,
+      resumo: { ...resumo, sem_registro: Math.max(0, matriculados.size - resumo.presente - resumo.ausente - resumo.atrasado) },
+    };
+  } catch (err) {
+    await conn.rollback?.();
+    throw err;
+  } finally {
+    if (conn !== db) conn.release?.();
+  }
+}
+
+/**
+ * Lote do app offline: [{ id_local?, turma_id, data, ordem, registros,
+ * todos_presentes?, registrado_em }]. Cada aula é independente: uma recusada
+ * não impede as outras → [{ id_local, ok, ... }].
+ */
+export async function sincronizarChamadas(db, { escolaId, usuario, aulas, agora = new Date(), origemAuditoria }) {
+  const resultados = [];
+  for (const item of aulas) {
+    const base = { id_local: item.id_local ?? null, turma_id: item.turma_id, data: item.data, ordem: item.ordem };
+    try {
+      const r = await registrarChamada(db, {
+        escolaId,
+        turmaId: item.turma_id,
+        data: item.data,
+        ordem: item.ordem,
+        registros: item.registros || [],
+        todosPresentes: Boolean(item.todos_presentes),
+        usuario,
+        offline: true,
+        registradoEm: item.registrado_em,
+        agora,
+        origemAuditoria,
+      });
+      resultados.push({ ...base, ok: true, ...r });
+    } catch (err) {
+      if (!err.status) throw err;
+      resultados.push({ ...base, ok: false, code: err.code, message: err.message });
+    }
+  }
+  return resultados;
+}
+
+// ─── Frequência calculada ───────────────────────────────────────────────────
+
+function acumular(alvo, linha) {
+  alvo.aulas += linha.aulas;
+  alvo.faltas += linha.faltas;
+  alvo.atrasos += linha.atrasos;
+  alvo.faltas_justificadas += linha.faltas_justificadas;
+}
+
+function fechar(n) {
+  return { ...n, percentual: porcentagem(n.aulas, n.faltas) };
+}
+
+function novoTotal(extra) {
+  return { ...extra, aulas: 0, faltas: 0, atrasos: 0, faltas_justificadas: 0 };
+}
+
+/**
+ * Frequência por aluno no ano (filtros opcionais: turma, alunos, disciplina,
+ * bimestre), com as quebras por disciplina e por bimestre:
+ *   [{ aluno_id, aluno_nome, aulas, faltas, atrasos, faltas_justificadas, percentual,
+ *      bimestres: [...], disciplinas: [{ disciplina_id, ..., bimestres: [...] }] }]
+ * faltas_justificadas = ausências em datas cobertas por atestado
+ * (frequencia_justificativas).
+ */
+export async function resumoFrequencia(db, { escolaId, ano, turmaId, alunoIds, disciplinaId, bimestre }) {
+  const [{ atrasoContaFalta }, bimestres, limites] = await Promise.all([
+    configChamada(db, escolaId),
+    bimestresDoAno(db, escolaId, ano),
+    limitesDoAno(db, escolaId, ano),
+  ]);
+  if (alunoIds && !alunoIds.length) return [];
+
+  const caseBimestre = `CASE ${bimestres.map(() => "WHEN ca.data BETWEEN ? AND ? THEN ?").join(" ")} ELSE NULL END`;
+  const params = bimestres.flatMap((b) => [b.inicio, b.fim, b.bimestre]);
+
+  let { inicio, fim } = limites;
+  if (bimestre) {
+    const b = bimestres.find((x) => x.bimestre === Number(bimestre));
+    if (!b) return [];
+    ({ inicio, fim } = b);
+  }
+
+  let sql = `
+    SELECT r.aluno_id, a.estudante AS aluno_nome, ca.disciplina_id, d.nome AS disciplina_nome,
+           ${caseBimestre} AS bimestre,
+           COUNT(*) AS aulas,
+           SUM(r.status = 'ausente') AS ausencias,
+           SUM(r.status = 'atrasado') AS atrasos,
+           SUM(r.status = 'ausente' AND EXISTS (
+             SELECT 1 FROM frequencia_justificativas fj
+              WHERE fj.escola_id = ca.escola_id AND fj.aluno_id = r.aluno_id
+                AND ca.data BETWEEN fj.data_inicio AND fj.data_fim
+           )) AS justificadas
+      FROM chamada_registros r
+      JOIN chamada_aulas ca ON ca.id = r.aula_id
+      JOIN alunos a ON a.id = r.aluno_id
+      LEFT JOIN disciplinas d ON d.id = ca.disciplina_id
+     WHERE ca.escola_id = ? AND ca.data BETWEEN ? AND ?
+  `;
+  params.push(escolaId, inicio, fim);
+  if (turmaId) { sql += " AND ca.turma_id = ?"; params.push(turmaId); }
+  if (alunoIds) { sql += " AND r.aluno_id IN (?)"; params.push(alunoIds); }
+  if (disciplinaId) { sql += " AND ca.disciplina_id = ?"; params.push(disciplinaId); }
+  sql += " GROUP BY r.aluno_id, a.estudante, ca.disciplina_id, d.nome, bimestre";
+
+  const [rows] = await db.query(sql, params);
+
+  const alunos = new Map();
+  for (const row of rows) {
+    const ausencias = Number(row.ausencias || 0);
+    const atrasos = Number(row.atrasos || 0);
+    const linha = {
+      aulas: Number(row.aulas || 0),
+      faltas: ausencias + (atrasoContaFalta ? atrasos : 0),
+      atrasos,
+      faltas_justificadas: Number(row.justificadas || 0),
+    };
+    const alunoId = Number(row.aluno_id);
+    if (!alunos.has(alunoId)) {
+      alunos.set(alunoId, { total: novoTotal({ aluno_id: alunoId, aluno_nome: row.aluno_nome }), bimestres: new Map(), disciplinas: new Map() });
+    }
+    const aluno = alunos.get(alunoId);
+    acumular(aluno.total, linha);
+
+    const bim = row.bimestre == null ? null : Number(row.bimestre);
+    if (bim != null) {
+      if (!aluno.bimestres.has(bim)) aluno.bimestres.set(bim, novoTotal({ bimestre: bim }));
+      acumular(aluno.bimestres.get(bim), linha);
+    }
+
+    const discId = Number(row.disciplina_id);
+    if (!aluno.disciplinas.has(discId)) {
+      aluno.disciplinas.set(discId, {
+        total: novoTotal({ disciplina_id: discId, disciplina_nome: row.disciplina_nome || null }),
+        bimestres: new Map(),
+      });
+    }
+    const disc = aluno.disciplinas.get(discId);
+    acumular(disc.total, linha);
+    if (bim != null) {
+      if (!disc.bimestres.has(bim)) disc.bimestres.set(bim, novoTotal({ bimestre: bim }));
+      acumular(disc.bimestres.get(bim), linha);
+    }
+  }
+
+  const ordenarBimestres = (m) => [...m.values()].sort((x, y) => x.bimestre - y.bimestre).map(fechar);
+  return [...alunos.values()]
+    .map((a) => ({
+      ...fechar(a.total),
+      bimestres: ordenarBimestres(a.bimestres),
+      disciplinas: [...a.disciplinas.values()].map((d) => ({ ...fechar(d.total), bimestres: ordenarBimestres(d.bimestres) })),
+    }))
+    .sort((x, y) => String(x.aluno_nome || "").localeCompare(String(y.aluno_nome || ""), "pt-BR"));
+}
+
+/**
+ * Leva as faltas da chamada do bimestre para o boletim (notas.faltas) da
+ * turma. Só atualiza linhas que já existem em notas — a nota é lançada pelo
+ * diário; sem nota, o aluno/disciplina volta em sem_nota.
+ * → { atualizadas, sem_nota }
+ */
+export async function consolidarFaltas(db, { escolaId, turmaId, ano, bimestre, origemAuditoria }) {
+  const resumo = await resumoFrequencia(db, { escolaId, ano, turmaId, bimestre });
+
+  const porDisciplina = new Map();
+  for (const aluno of resumo) {
+    for (const d of aluno.disciplinas) {
+      if (!porDisciplina.has(d.disciplina_id)) porDisciplina.set(d.disciplina_id, []);
+      porDisciplina.get(d.disciplina_id).push({ alunoId: aluno.aluno_id, faltas: d.faltas });
+    }
+  }
+
+  let atualizadas = 0;
+  const semNota = [];
+  for (const [disciplinaId, itens] of porDisciplina) {
+    const chave = { escolaId, alunoIds: itens.map((i) => i.alunoId), ano, bimestre, disciplinaId };
+    const antes = await capturarNotas(db, chave);
+    for (const { alunoId, faltas } of itens) {
+      const [r] = await db.query(
+        `UPDATE notas SET faltas = ?
+          WHERE escola_id = ? AND aluno_id = ? AND disciplina_id = ? AND ano = ? AND bimestre = ?`,
+        [faltas, escolaId, alunoId, disciplinaId, ano, bimestre]
+      );
+      if (r.affectedRows) atualizadas++;
+      else semNota.push({ aluno_id: alunoId, disciplina_id: disciplinaId, faltas });
+    }
+    await registrarAlteracoes(
+      db,
+      origemAuditoria || { escolaId },
+      eventosDaCaptura("notas", antes, await capturarNotas(db, chave))
+    );
+  }
+  return { atualizadas, sem_nota: semNota };
+}
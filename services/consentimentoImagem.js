@@ -0,0 +1,318 @@
+// services/consentimentoImagem.js
+// -----------------------------------------------------------------------------
+// Política de consentimento de uso de imagem e biometria (termo assinado pelo
+// responsável — routes/responsaveis.js no canal físico, routes/app_pais.js no
+// digital). Tudo o que trata rosto de aluno pergunta aqui antes:
+//
+//  - geração de embeddings e índice em memória (routes/monitoramento_embeddings.js)
+//  - cache baixado pelo Worker (GET /api/monitoramento/embeddings/cache)
+//  - faces.json gravado pelo Worker → overlay desfoca quem não pode aparecer
+//  - upload de foto (EDUCA-CAPTURE e /api/alunos/:id/foto) e carteirinha
+//
+// Consentimento válido = ao menos um vínculo ativo com consentimento_imagem = 1,
+// termo na versão mínima (CONSENTIMENTO_VERSAO_MINIMA, padrão "3.0") e, se
+// CONSENTIMENTO_VALIDADE_DIAS > 0, concedido há menos desse número de dias.
+// Fora disso o aluno aparece como "ausente" ou "expirado" no relatório.
+//
+// Revogação grava 'REVOGAR' em consentimentos_log, zera a flag do vínculo e
+// apaga os embeddings do aluno, salvo se outro responsável ainda consente.
+//
+// API:
+//  - politicaConsentimento()                          → { versaoMinima, validadeDias }
+//  - situacaoDoVinculo(vinculo, agora?)               → { situacao, motivo?, vence_em }
+//  - situacaoDosAlunos(db, escolaId, opcoes?)         → Map aluno_id → situação
+//  - alunosComConsentimento(db, escolaId, alunoIds?)  → Set de aluno_id
+//  - alunosConsentidosEmCache(db, escolaId)           → idem, com TTL (por frame)
+//  - aplicarConsentimentoNasFaces(faces, permitidos)  → faces com flag `desfocar`
+//  - expurgarEmbeddingsSemConsentimento(db, escolaId, { alunoIds? }) → ids removidos
+//  - revogarConsentimento(db, dados)                  → { revogados, mantidos, embeddings_removidos }
+//  - relatorioConsentimento(db, escolaId, filtros?)   → { politica, resumo, alunos }
+// -----------------------------------------------------------------------------
+import { criarLogger } from "./logger.js";
+
+const log = criarLogger("consentimento");
+
+export const VERSAO_TERMO_ATUAL = "3.0";
+export const SITUACOES = Object.freeze(["valido", "expirado", "ausente"]);
+
+const DIA_MS = 86_400_000;
+const CACHE_TTL_MS = 60_000;
+const RANK = { ausente: 0, expirado: 1, valido: 2 };
+
+// Lida a cada chamada: permite trocar a política sem reiniciar os testes
+export function politicaConsentimento() {
+  const validadeDias = Number(process.env.CONSENTIMENTO_VALIDADE_DIAS || 0);
+  return {
+    versaoMinima: String(process.env.CONSENTIMENTO_VERSAO_MINIMA || VERSAO_TERMO_ATUAL).trim(),
+    validadeDias: Number.isFinite(validadeDias) && validadeDias > 0 ? Math.floor(validadeDias) : 0,
+  };
+}
+
+// "3.10" > "3.9"; versão ausente perde de qualquer uma
+export function compararVersoes(a, b) {
+  if (!a && !b) return 0;
+  if (!a) return -1;
+  if (!b) return 1;
+  const pa = String(a).split(".").map((n) => parseInt(n, 10) || 0);
+  const pb = String(b).split(".").map((n) => parseInt(n, 10) || 0);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const d = (pa[i] || 0) - (pb[i] || 0);
+    if (d !== 0) return Math.sign(d);
+  }
+  return 0;
+}
+
+export function situacaoDoVinculo(vinculo, agora = new Date()) {
+  if (!vinculo || Number(vinculo.consentimento_imagem) !== 1) return { situacao: "ausente", vence_em: null };
+
+  const { versaoMinima, validadeDias } = politicaConsentimento();
+  if (versaoMinima && compararVersoes(vinculo.consentimento_versao_termo, versaoMinima) < 0) {
+    return { situacao: "expirado", motivo: "termo_desatualizado", vence_em: null };
+  }
+  if (!validadeDias) return { situacao: "valido", vence_em: null };
+
+  const em = vinculo.consentimento_imagem_em ? new Date(vinculo.consentimento_imagem_em) : null;
+  if (!em || Number.isNaN(em.getTime())) return { situacao: "expirado", motivo: "sem_data", vence_em: null };
+
+  const vence = new Date(em.getTime() + validadeDias * DIA_MS);
+  if (vence <= agora) return { situacao: "expirado", motivo: "prazo_vencido", vence_em: vence };
+  return { situacao: "valido", vence_em: vence };
+}
+
+/**
+ * Situação de cada aluno da escola (o melhor entre os vínculos ativos).
+ * opcoes.alunoIds restringe a consulta; opcoes.somenteAtivos ignora inativos.
+ */
+export async function situacaoDosAlunos(db, escolaId, { alunoIds = null, somenteAtivos = false } = {}) {
+  const mapa = new Map();
+  if (Array.isArray(alunoIds) && alunoIds.length === 0) return mapa;
+
+  const where = ["a.escola_id = ?"];
+  const params = [escolaId];
+  if (alunoIds) {
+    where.push("a.id IN (?)");
+    params.push(alunoIds.map(Number));
+  }
+  if (somenteAtivos) where.push("a.status = 'ativo'");
+
+  const [linhas] = await db.query(
+    `SELECT a.id AS aluno_id, a.estudante AS nome, a.codigo, t.nome AS turma,
+            ra.responsavel_id, ra.consentimento_imagem, ra.consentimento_imagem_em,
+            ra.consentimento_versao_termo, ra.consentimento_canal
+       FROM alunos a
+       LEFT JOIN turmas t ON t.id = a.turma_id
+       LEFT JOIN responsaveis_alunos ra
+              ON ra.aluno_id = a.id AND ra.escola_id = a.escola_id AND ra.ativo = 1
+      WHERE ${where.join(" AND ")}`,
+    params
+  );
+
+  const agora = new Date();
+  for (const l of linhas) {
+    const s = situacaoDoVinculo(l.responsavel_id ? l : null, agora);
+    const atual = mapa.get(Number(l.aluno_id));
+    if (atual && RANK[atual.situacao] >= RANK[s.situacao]) continue;
+    mapa.set(Number(l.aluno_id), {
+      aluno_id: Number(l.aluno_id),
+      nome: l.nome,
+      codigo: l.codigo,
+      turma: l.turma || null,
+      ...s,
+      responsavel_id: s.situacao === "ausente" ? null : l.responsavel_id,
+      versao_termo: s.situacao === "ausente" ? null : l.consentimento_versao_termo || null,
+      consentido_em: s.situacao === "ausente" ? null : l.consentimento_imagem_em || null,
+      canal: s.situacao === "ausente" ? null : l.consentimento_canal || null,
+    });
+  }
+  return mapa;
+}
+
+export async function alunosComConsentimento(db, escolaId, alunoIds = null) {
+  const mapa = await situacaoDosAlunos(db, escolaId, { alunoIds });
+  const ids = new Set();
+  for (const [id, s] of mapa) if (s.situacao === "valido") ids.add(id);
+  return ids;
+}
+
+// /faces chega várias vezes por segundo: uma consulta por escola a cada minuto
+const _cacheConsentidos = new Map(); // escolaId → { ids, ts }
+
+export async function alunosConsentidosEmCache(db, escolaId) {
+  const hit = _cacheConsentidos.get(escolaId);
+  if (hit && Date.now() - hit.ts < CACHE_TTL_MS) return hit.ids;
+  const ids = await alunosComConsentimento(db, escolaId);
+  _cacheConsentidos.set(escolaId, { ids, ts: Date.now() });
+  return ids;
+}
+
+function desfocarDesconhecidos() {
+  return String(process.env.CONSENTIMENTO_DESFOCAR_DESCONHECIDOS || "1") !== "0";
+}
+
+/**
+ * Marca as faces que o overlay deve desfocar: aluno reconhecido sem
+ * consentimento válido (cache do Worker desatualizado) perde nome e score;
+ * rosto não reconhecido também é desfocado, pois aluno sem consentimento não
+ * tem embedding e chega como desconhecido (CONSENTIMENTO_DESFOCAR_DESCONHECIDOS=0
+ * mantém desconhecidos visíveis).
+ */
+export function aplicarConsentimentoNasFaces(faces, permitidos) {
+  return faces.map((f) => {
+    const alunoId = Number(f.aluno_id) || null;
+    if (f.recognized && alunoId && !permitidos.has(alunoId)) {
+      return { ...f, recognized: false, aluno_id: null, aluno_nome: "", turma: "", score: 0, desfocar: true };
+    }
+    return { ...f, desfocar: !f.recognized && desfocarDesconhecidos() };
+  });
+}
+
+// Faces gravadas antes desta política não têm a flag: decide pelo reconhecimento
+export function deveDesfocar(face) {
+  if (typeof face?.desfocar === "boolean") return face.desfocar;
+  return !face?.recognized && desfocarDesconhecidos();
+}
+
+// Quem mantém índice/cache de embeddings em memória se inscreve aqui
+const _aoExpurgar = new Set();
+
+export function aoExpurgarEmbeddings(fn) {
+  _aoExpurgar.add(fn);
+}
+
+function avisarExpurgo(escolaId) {
+  _cacheConsentidos.delete(escolaId);
+  for (const fn of _aoExpurgar) {
+    try {
+      fn(escolaId);
+    } catch (err) {
+      log.warn("ouvinte de expurgo falhou (não crítico)", { erro: err.message });
+    }
+  }
+}
+
+/** Apaga embeddings de alunos sem consentimento válido (todos ou só alunoIds). */
+export async function expurgarEmbeddingsSemConsentimento(db, escolaId, { alunoIds = null } = {}) {
+  let ids = alunoIds ? alunoIds.map(Number) : null;
+  if (!ids) {
+    const [linhas] = await db.query("SELECT DISTINCT aluno_id FROM alunos_embeddings WHERE escola_id = ?", [escolaId]);
+    ids = linhas.map((l) => Number(l.aluno_id));
+  }
+  if (!ids.length) return [];
+
+  const validos = await alunosComConsentimento(db, escolaId, ids);
+  const remover = ids.filter((id) => !validos.has(id));
+  if (remover.length) {
+    await db.query("DELETE FROM alunos_embeddings WHERE escola_id = ? AND aluno_id IN (?)", [escolaId, remover]);
+    log.info("embeddings removidos", { escola_id: escolaId, alunos: remover.length });
+  }
+  avisarExpurgo(escolaId);
+  return remover;
+}
+
+async function emTransacao(pool, fn) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const r = await fn(conn);
+    await conn.commit();
+    return r;
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Revoga o consentimento do responsável para os alunos informados.
+ * dados: { responsavelId, alunoIds, escolaId?, canal, ip?, userAgent?,
+ *          plataforma?, deviceId?, usuarioId?, usuarioNome? }
+ * escolaId ausente (app dos pais) → vale para todas as escolas do vínculo.
+ * Erro com status 404 quando o responsável ou os vínculos não existem.
+ */
+export async function revogarConsentimento(db, dados) {
+  const { responsavelId, alunoIds, escolaId = null, canal } = dados;
+
+  const [[resp]] = await db.query("SELECT nome, cpf FROM responsaveis WHERE id = ? LIMIT 1", [responsavelId]);
+  if (!resp) throw Object.assign(new Error("Responsável não encontrado."), { status: 404 });
+
+  const params = [responsavelId, alunoIds.map(Number)];
+  if (escolaId) params.push(escolaId);
+  const [vinculos] = await db.query(
+    `SELECT ra.aluno_id, ra.escola_id, ra.consentimento_imagem, a.estudante AS aluno_nome
+       FROM responsaveis_alunos ra
+       INNER JOIN alunos a ON a.id = ra.aluno_id
+      WHERE ra.responsavel_id = ? AND ra.aluno_id IN (?) AND ra.ativo = 1
+        ${escolaId ? "AND ra.escola_id = ?" : ""}`,
+    params
+  );
+  if (!vinculos.length) throw Object.assign(new Error("Nenhum vínculo ativo encontrado."), { status: 404 });
+
+  // Vínculo sem consentimento não gera linha nova no log
+  const alvo = vinculos.filter((v) => Number(v.consentimento_imagem) === 1);
+
+  await emTransacao(db, async (conn) => {
+    for (const v of alvo) {
+      const [log] = await conn.query(
+        `INSERT INTO consentimentos_log (
+          responsavel_id, aluno_id, escola_id,
+          responsavel_nome, responsavel_cpf, aluno_nome,
+          acao, canal, versao_termo,
+          ip_address, user_agent, device_id, plataforma,
+          confirmado_por_usuario_id, confirmado_por_nome, confirmado_por_ip
+        ) VALUES (?, ?, ?, ?, ?, ?, 'REVOGAR', ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          responsavelId, v.aluno_id, v.escola_id,
+          resp.nome, resp.cpf || "", v.aluno_nome || "—",
+          canal, VERSAO_TERMO_ATUAL,
+          dados.ip || null, dados.userAgent || null, dados.deviceId || null, dados.plataforma || null,
+          dados.usuarioId || null, dados.usuarioNome || null, dados.usuarioId ? dados.ip || null : null,
+        ]
+      );
+      await conn.query(
+        `UPDATE responsaveis_alunos
+            SET consentimento_imagem    = 0,
+                consentimento_impresso  = 0,
+                consentimento_imagem_em = NOW(),
+                consentimento_canal     = ?,
+                consentimento_log_id    = ?
+          WHERE responsavel_id = ? AND escola_id = ? AND aluno_id = ? AND ativo = 1`,
+        [canal, log.insertId, responsavelId, v.escola_id, v.aluno_id]
+      );
+    }
+  });
+
+  // Outro responsável pode manter o consentimento: só expurga quem ficou sem nenhum
+  const porEscola = new Map();
+  for (const v of alvo) {
+    if (!porEscola.has(v.escola_id)) porEscola.set(v.escola_id, []);
+    porEscola.get(v.escola_id).push(Number(v.aluno_id));
+  }
+  const removidos = [];
+  for (const [escola, ids] of porEscola) {
+    removidos.push(...(await expurgarEmbeddingsSemConsentimento(db, escola, { alunoIds: ids })));
+  }
+
+  const revogados = alvo.map((v) => Number(v.aluno_id));
+  return {
+    revogados,
+    mantidos: revogados.filter((id) => !removidos.includes(id)),
+    embeddings_removidos: removidos,
+  };
+}
+
+/** Alunos ativos sem consentimento válido, com o resumo da escola. */
+export async function relatorioConsentimento(db, escolaId, { situacao = null } = {}) {
+  const mapa = await situacaoDosAlunos(db, escolaId, { somenteAtivos: true });
+  const resumo = { valido: 0, expirado: 0, ausente: 0 };
+  const alunos = [];
+  for (const s of mapa.values()) {
+    resumo[s.situacao]++;
+    if (s.situacao === "valido") continue;
+    if (situacao && s.situacao !== situacao) continue;
+    alunos.push(s);
+  }
+  alunos.sort((a, b) => String(a.turma || "").localeCompare(String(b.turma || "")) || String(a.nome).localeCompare(String(b.nome)));
+  return { politica: politicaConsentimento(), resumo, alunos };
+}
@@ -0,0 +1,495 @@
+// services/doisFatores.js
+// -----------------------------------------------------------------------------
+// Segundo fator (TOTP, RFC 6238) para contas da equipe escolar e da
+// plataforma (migrations/versions/0021_dois_fatores.js).
+//
+//  - Segredo por pessoa: linhas de `usuarios` com o mesmo CPF (multi-escola /
+//    multi-perfil) compartilham o mesmo cadastro. Guardado cifrado com
+//    AES-256-GCM (DOIS_FATORES_CHAVE; sem ela, derivado do JWT_SECRET).
+//  - Código de 6 dígitos, passo de 30s, tolera ±1 passo de relógio. Cada
+//    passo só vale uma vez (ultimo_passo).
+//  - 10 códigos de recuperação de uso único (só o SHA-256 fica no banco).
+//  - Dispositivo confiado: cookie httpOnly por DOIS_FATORES_DISPOSITIVO_DIAS
+//    (padrão 30) — dispensa o TOTP naquele navegador, não a senha.
+//  - Política: escola exige por perfil na governança (seguranca.2fa_diretor,
+//    seguranca.2fa_vice_diretor, seguranca.2fa_secretaria); a plataforma exige
+//    com DOIS_FATORES_PLATAFORMA=obrigatorio. Quem tem 2FA ativo sempre passa
+//    por ele, exigido ou não.
+//  - Login em etapas: a senha (e o código do e-mail) aprovados viram um
+//    "desafio" — JWT de 5 min assinado com outra chave, que não serve como
+//    token de API. O token de verdade só sai em /2fa/verificar.
+//
+// API:
+//  - gerarSegredo / codigoTotp / verificarTotp / urlOtpauth
+//  - lerCadastro(db, usuarioId) → cadastro ativo da pessoa | null
+//  - iniciarCadastro / confirmarCadastro / verificarSegundoFator
+//  - regenerarCodigosRecuperacao / desativarDoisFatores / statusDoisFatores
+//  - confiarDispositivo / dispositivoConfiado / listarDispositivos / revogarDispositivo
+//  - exigidoPelaEscola(db, escolaId, perfil) / exigidoPelaPlataforma()
+//  - emitirDesafio / lerDesafio / usuarioDoDesafio
+//  - avaliarLogin(db, req, { usuarioId, escolaId, perfil, origem, conta, extras })
+//  - concluirDesafio(db, req, res, desafio, { codigo, codigoRecuperacao, confiar })
+// -----------------------------------------------------------------------------
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { criarLogger } from "./logger.js";
+
+export const COOKIE_DISPOSITIVO = "em_2fa_dispositivo";
+export const PERFIS_COM_POLITICA = Object.freeze(["diretor", "vice_diretor", "secretaria"]);
+
+const log = criarLogger("2fa");
+
+const PASSO_S = 30;
+const DIGITOS = 6;
+const JANELA = 1;
+const DESAFIO_MIN = 5;
+const QTD_RECUPERACAO = 10;
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function erro(status, code, message) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+function sha256(valor) {
+  return crypto.createHash("sha256").update(String(valor), "utf8").digest("hex");
+}
+
+function diasDispositivo() {
+  const n = Number(process.env.DOIS_FATORES_DISPOSITIVO_DIAS || 30);
+  return Number.isFinite(n) && n > 0 ? n : 30;
+}
+
+// ─── TOTP ─────────────────────────────────────────────────────────────────
+
+function base32Codificar(buffer) {
+  let bits = 0;
+  let valor = 0;
+  let saida = "";
+  for (const byte of buffer) {
+    valor = (valor << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      saida += BASE32[(valor >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) saida += BASE32[(valor << (5 - bits)) & 31];
+  return saida;
+}
+
+function base32Decodificar(texto) {
+  const limpo = String(texto || "").toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let valor = 0;
+  const bytes = [];
+  for (const ch of limpo) {
+    const i = BASE32.indexOf(ch);
+    if (i < 0) throw new Error("Segredo base32 inválido.");
+    valor = (valor << 5) | i;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((valor >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/** 160 bits aleatórios em base32 (o que os apps autenticadores esperam). */
+export function gerarSegredo() {
+  return base32Codificar(crypto.randomBytes(20));
+}
+
+export function codigoTotp(segredo, passo) {
+  const contador = Buffer.alloc(8);
+  contador.writeBigUInt64BE(BigInt(passo));
+  const hmac = crypto.createHmac("sha1", base32Decodificar(segredo)).update(contador).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const numero = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITOS;
+  return String(numero).padStart(DIGITOS, "0");
+}
+
+/**
+ * Confere o código contra o passo atual ±JANELA. Devolve o passo aceito (para
+ * gravar em ultimo_passo) ou null. Passo <= ultimoPasso é recusado (reuso).
+ */
+export function verificarTotp(segredo, codigo, { agora = Date.now(), ultimoPasso = null } = {}) {
+  const digitado = String(codigo || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${DIGITOS}}$`).test(digitado)) return null;
+  const atual = Math.floor(agora / 1000 / PASSO_S);
+  for (let d = -JANELA; d <= JANELA; d += 1) {
+    const passo = atual + d;
+    if (ultimoPasso != null && passo <= Number(ultimoPasso)) continue;
+    const esperado = codigoTotp(segredo, passo);
+    if (crypto.timingSafeEqual(Buffer.from(esperado), Buffer.from(digitado))) return passo;
+  }
+  return null;
+}
+
+export function urlOtpauth({ segredo, conta, emissor = process.env.DOIS_FATORES_EMISSOR || "EDUCA.MELHOR" }) {
+  const rotulo = encodeURIComponent(`${emissor}:${conta}`);
+  const params = new URLSearchParams({ secret: segredo, issuer: emissor, algorithm: "SHA1", digits: String(DIGITOS), period: String(PASSO_S) });
+  return `otpauth://totp/${rotulo}?${params}`;
+}
+
+// ─── Segredo cifrado ──────────────────────────────────────────────────────
+
+function chaveCifra() {
+  const base = process.env.DOIS_FATORES_CHAVE || process.env.JWT_SECRET;
+  if (!base) throw new Error("DOIS_FATORES_CHAVE/JWT_SECRET não configurado.");
+  return crypto.createHash("sha256").update(`2fa:${base}`).digest();
+}
+
+function cifrar(texto) {
+  const iv = crypto.randomBytes(12);
+  const cifra = crypto.createCipheriv("aes-256-gcm", chaveCifra(), iv);
+  const dados = Buffer.concat([cifra.update(texto, "utf8"), cifra.final()]);
+  return ["v1", iv.toString("base64url"), cifra.getAuthTag().toString("base64url"), dados.toString("base64url")].join(":");
+}
+
+function decifrar(valor) {
+  const [versao, iv, tag, dados] = String(valor || "").split(":");
+  if (versao !== "v1") throw new Error("Formato de segredo 2FA desconhecido.");
+  const decifra = crypto.createDecipheriv("aes-256-gcm", chaveCifra(), Buffer.from(iv, "base64url"));
+  decifra.setAuthTag(Buffer.from(tag, "base64url"));
+  return Buffer.concat([decifra.update(Buffer.from(dados, "base64url")), decifra.final()]).toString("utf8");
+}
+
+// ─── Códigos de recuperação ───────────────────────────────────────────────
+
+function normalizarRecuperacao(codigo) {
+  return String(codigo || "").toLowerCase().replace(/[^0-9a-z]/g, "");
+}
+
+function gerarCodigosRecuperacao() {
+  return Array.from({ length: QTD_RECUPERACAO }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+async function gravarCodigosRecuperacao(db, usuarioId) {
+  const codigos = gerarCodigosRecuperacao();
+  await db.query("DELETE FROM dois_fatores_recuperacao WHERE usuario_id = ?", [usuarioId]);
+  await db.query(
+    "INSERT INTO dois_fatores_recuperacao (usuario_id, codigo_hash) VALUES ?",
+    [codigos.map((c) => [usuarioId, sha256(normalizarRecuperacao(c))])]
+  );
+  return codigos;
+}
+
+// ─── Cadastro ─────────────────────────────────────────────────────────────
+
+/** Linhas de `usuarios` da mesma pessoa (mesmo CPF); sem CPF, só a própria. */
+async function idsDaPessoa(db, usuarioId) {
+  const [rows] = await db.query(
+    `SELECT u.id
+       FROM usuarios b
+       JOIN usuarios u
+         ON u.id = b.id
+         OR (COALESCE(b.cpf, '') <> ''
+             AND REPLACE(REPLACE(REPLACE(u.cpf, '.', ''), '-', ''), '/', '')
+               = REPLACE(REPLACE(REPLACE(b.cpf, '.', ''), '-', ''), '/', ''))
+      WHERE b.id = ?`,
+    [Number(usuarioId)]
+  );
+  const ids = rows.map((r) => Number(r.id));
+  return ids.length ? ids : [Number(usuarioId)];
+}
+
+async function buscarCadastro(db, usuarioId, { ativo }) {
+  const ids = await idsDaPessoa(db, usuarioId);
+  const [[row]] = await db.query(
+    `SELECT usuario_id, segredo, ativo, ultimo_passo, confirmado_em
+       FROM usuarios_dois_fatores
+      WHERE usuario_id IN (?) AND ativo = ?
+      ORDER BY confirmado_em DESC
+      LIMIT 1`,
+    [ids, ativo ? 1 : 0]
+  );
+  return row ? { ...row, ids } : null;
+}
+
+/** Cadastro ATIVO da pessoa dona de `usuarioId` (qualquer linha do mesmo CPF). */
+export async function lerCadastro(db, usuarioId) {
+  return buscarCadastro(db, usuarioId, { ativo: true });
+}
+
+/**
+ * Gera um segredo novo (pendente até confirmarCadastro). Repetir a chamada
+ * troca o segredo pendente. → { segredo, otpauth_url }
+ */
+export async function iniciarCadastro(db, usuarioId, { conta }) {
+  if (await lerCadastro(db, usuarioId)) {
+    throw erro(409, "DOIS_FATORES_JA_ATIVO", "Autenticação em dois fatores já está ativa.");
+  }
+  const segredo = gerarSegredo();
+  await db.query(
+    `INSERT INTO usuarios_dois_fatores (usuario_id, segredo, ativo) VALUES (?, ?, 0)
+     ON DUPLICATE KEY UPDATE segredo = VALUES(segredo), ativo = 0, ultimo_passo = NULL, confirmado_em = NULL`,
+    [Number(usuarioId), cifrar(segredo)]
+  );
+  return { segredo, otpauth_url: urlOtpauth({ segredo, conta: conta || `usuario-${usuarioId}` }) };
+}
+
+/** Primeiro código do app ativa o cadastro. → { codigos_recuperacao } (mostrados uma vez) */
+export async function confirmarCadastro(db, usuarioId, codigo) {
+  if (await lerCadastro(db, usuarioId)) {
+    throw erro(409, "DOIS_FATORES_JA_ATIVO", "Autenticação em dois fatores já está ativa.");
+  }
+  const pendente = await buscarCadastro(db, usuarioId, { ativo: false });
+  if (!pendente) throw erro(400, "DOIS_FATORES_SEM_CADASTRO", "Inicie o cadastro antes de confirmar.");
+
+  const passo = verificarTotp(decifrar(pendente.segredo), codigo);
+  if (passo == null) throw erro(401, "CODIGO_INVALIDO", "Código inválido.");
+
+  await db.query(
+    "UPDATE usuarios_dois_fatores SET ativo = 1, ultimo_passo = ?, confirmado_em = NOW() WHERE usuario_id = ?",
+    [passo, pendente.usuario_id]
+  );
+  // outros cadastros pendentes da mesma pessoa ficam sem uso
+  await db.query("DELETE FROM usuarios_dois_fatores WHERE usuario_id IN (?) AND ativo = 0", [pendente.ids]);
+  return { codigos_recuperacao: await gravarCodigosRecuperacao(db, pendente.usuario_id) };
+}
+
+/**
+ * Confere o TOTP ou um código de recuperação (que é consumido).
+ * → { metodo: "totp" | "recuperacao", restantes? }; erro 401 CODIGO_INVALIDO.
+ */
+export async function verificarSegundoFator(db, usuarioId, { codigo, codigoRecuperacao } = {}) {
+  const cadastro = await lerCadastro(db, usuarioId);
+  if (!cadastro) throw erro(400, "DOIS_FATORES_INATIVO", "Autenticação em dois fatores não está ativa.");
+
+  if (codigoRecuperacao) {
+    const hash = sha256(normalizarRecuperacao(codigoRecuperacao));
+    const [r] = await db.query(
+      "UPDATE dois_fatores_recuperacao SET usado_em = NOW() WHERE usuario_id = ? AND codigo_hash = ? AND usado_em IS NULL LIMIT 1",
+      [cadastro.usuario_id, hash]
+    );
+    if (!r?.affectedRows) throw erro(401, "CODIGO_INVALIDO", "Código de recuperação inválido ou já usado.");
+    const [[{ restantes }]] = await db.query(
+      "SELECT COUNT(*) AS restantes FROM dois_fatores_recuperacao WHERE usuario_id = ? AND usado_em IS NULL",
+      [cadastro.usuario_id]
+    );
+    return { metodo: "recuperacao", restantes: Number(restantes) };
+  }
+
+  const passo = verificarTotp(decifrar(cadastro.segredo), codigo, { ultimoPasso: cadastro.ultimo_passo });
+  if (passo == null) throw erro(401, "CODIGO_INVALIDO", "Código inválido.");
+  // condicional: duas requisições com o mesmo código não passam as duas
+  const [r] = await db.query(
+    "UPDATE usuarios_dois_fatores SET ultimo_passo = ? WHERE usuario_id = ? AND (ultimo_passo IS NULL OR ultimo_passo < ?)",
+    [passo, cadastro.usuario_id, passo]
+  );
+  if (!r?.affectedRows) throw erro(401, "CODIGO_INVALIDO", "Código já utilizado.");
+  return { metodo: "totp" };
+}
+
+export async function regenerarCodigosRecuperacao(db, usuarioId, codigo) {
+  const cadastro = await lerCadastro(db, usuarioId);
+  await verificarSegundoFator(db, usuarioId, { codigo });
+  return gravarCodigosRecuperacao(db, cadastro.usuario_id);
+}
+
+/** Remove segredo, códigos e dispositivos confiados da pessoa. → houve cadastro ativo? */
+export async function desativarDoisFatores(db, usuarioId) {
+  const ids = await idsDaPessoa(db, usuarioId);
+  const [r] = await db.query("DELETE FROM usuarios_dois_fatores WHERE usuario_id IN (?)", [ids]);
+  await db.query("DELETE FROM dois_fatores_recuperacao WHERE usuario_id IN (?)", [ids]);
+  await db.query("DELETE FROM dois_fatores_dispositivos WHERE usuario_id IN (?)", [ids]);
+  return Boolean(r?.affectedRows);
+}
+
+/** Resumo para a tela de segurança da conta. */
+export async function statusDoisFatores(db, usuarioId) {
+  const cadastro = await lerCadastro(db, usuarioId);
+  if (!cadastro) return { ativo: false, codigos_restantes: 0 };
+  const [[{ restantes }]] = await db.query(
+    "SELECT COUNT(*) AS restantes FROM dois_fatores_recuperacao WHERE usuario_id = ? AND usado_em IS NULL",
+    [cadastro.usuario_id]
+  );
+  return { ativo: true, confirmado_em: cadastro.confirmado_em, codigos_restantes: Number(restantes) };
+}
+
+// ─── Dispositivos confiados ───────────────────────────────────────────────
+
+function lerCookie(req, nome) {
+  for (const parte of String(req?.headers?.cookie || "").split(";")) {
+    const i = parte.indexOf("=");
+    if (i > 0 && parte.slice(0, i).trim() === nome) return decodeURIComponent(parte.slice(i + 1).trim());
+  }
+  return null;
+}
+
+/** Grava o dispositivo e devolve o cookie (httpOnly) na resposta. */
+export async function confiarDispositivo(db, usuarioId, req, res) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const dias = diasDispositivo();
+  await db.query(
+    `INSERT INTO dois_fatores_dispositivos (usuario_id, token_hash, descricao, ip, expira_em)
+     VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+    [
+      Number(usuarioId),
+      sha256(token),
+      String(req?.headers?.["user-agent"] || "").slice(0, 200) || null,
+      String(req?.ip || "").slice(0, 64) || null,
+      dias,
+    ]
+  );
+  // front e API em domínios diferentes: em produção o cookie precisa de SameSite=None
+  const producao = process.env.NODE_ENV === "production";
+  res.cookie(COOKIE_DISPOSITIVO, token, {
+    httpOnly: true,
+    secure: producao,
+    sameSite: producao ? "none" : "lax",
+    maxAge: dias * 24 * 60 * 60 * 1000,
+    path: "/api",
+  });
+}
+
+/** O cookie do request pertence a um dispositivo confiado (não vencido) desta pessoa? */
+export async function dispositivoConfiado(db, usuarioId, req) {
+  const token = lerCookie(req, COOKIE_DISPOSITIVO);
+  if (!token) return false;
+  const ids = await idsDaPessoa(db, usuarioId);
+  const [[row]] = await db.query(
+    "SELECT id FROM dois_fatores_dispositivos WHERE token_hash = ? AND usuario_id IN (?) AND expira_em > NOW() LIMIT 1",
+    [sha256(token), ids]
+  );
+  if (!row) return false;
+  await db.query("UPDATE dois_fatores_dispositivos SET ultimo_uso = NOW() WHERE id = ?", [row.id]);
+  return true;
+}
+
+export async function listarDispositivos(db, usuarioId) {
+  const ids = await idsDaPessoa(db, usuarioId);
+  const [rows] = await db.query(
+    `SELECT id, descricao, ip, criado_em, ultimo_uso, expira_em
+       FROM dois_fatores_dispositivos
+      WHERE usuario_id IN (?) AND expira_em > NOW()
+      ORDER BY COALESCE(ultimo_uso, criado_em) DESC`,
+    [ids]
+  );
+  return rows;
+}
+
+export async function revogarDispositivo(db, usuarioId, dispositivoId) {
+  const ids = await idsDaPessoa(db, usuarioId);
+  const [r] = await db.query("DELETE FROM dois_fatores_dispositivos WHERE id = ? AND usuario_id IN (?)", [
+    Number(dispositivoId),
+    ids,
+  ]);
+  return Boolean(r?.affectedRows);
+}
+
+// ─── Política ─────────────────────────────────────────────────────────────
+
+export function normalizarPerfil(perfil) {
+  const p = String(perfil || "").toLowerCase().trim().replace(/-/g, "_");
+  if (p === "vicediretor") return "vice_diretor";
+  if (p === "secretario") return "secretaria";
+  return p;
+}
+
+/** Governança da escola: seguranca.2fa_<perfil> = "1". */
+export async function exigidoPelaEscola(db, escolaId, perfil) {
+  const p = normalizarPerfil(perfil);
+  if (!escolaId || !PERFIS_COM_POLITICA.includes(p)) return false;
+  const [[row]] = await db.query(
+    "SELECT valor FROM configuracoes_escola WHERE escola_id = ? AND chave = ? LIMIT 1",
+    [Number(escolaId), `seguranca.2fa_${p}`]
+  );
+  return String(row?.valor ?? "0") === "1";
+}
+
+export function exigidoPelaPlataforma() {
+  return String(process.env.DOIS_FATORES_PLATAFORMA || "").toLowerCase() === "obrigatorio";
+}
+
+// ─── Desafio de login ─────────────────────────────────────────────────────
+
+function segredoDesafio() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) throw new Error("JWT_SECRET não configurado.");
+  // chave derivada: o desafio não passa em autenticarToken
+  return crypto.createHash("sha256").update(`desafio-2fa:${secret}`).digest("hex");
+}
+
+/** { origem: "escola"|"plataforma", usuarioId, escolaId, perfil, etapa, extras } → JWT de 5 min */
+export function emitirDesafio({ origem, usuarioId, escolaId = null, perfil = null, etapa, extras = {} }) {
+  return jwt.sign(
+    { scope: "desafio_2fa", origem, usuario_id: Number(usuarioId), escola_id: escolaId, perfil, etapa, extras },
+    segredoDesafio(),
+    { expiresIn: `${DESAFIO_MIN}m` }
+  );
+}
+
+export function lerDesafio(token, origem) {
+  let payload;
+  try {
+    payload = jwt.verify(String(token || ""), segredoDesafio());
+  } catch {
+    throw erro(401, "DESAFIO_INVALIDO", "Etapa de verificação expirada. Faça login novamente.");
+  }
+  if (payload.scope !== "desafio_2fa" || (origem && payload.origem !== origem)) {
+    throw erro(401, "DESAFIO_INVALIDO", "Etapa de verificação inválida. Faça login novamente.");
+  }
+  return payload;
+}
+
+/** Só para chave de rate limit (sem verificar assinatura). */
+export function usuarioDoDesafio(token) {
+  return jwt.decode(String(token || ""))?.usuario_id ?? null;
+}
+
+/**
+ * Decide se o login pode emitir o token agora. → null (pode) ou a resposta
+ * da etapa seguinte:
+ *   { dois_fatores: "verificar", desafio }                        — tem 2FA
+ *   { dois_fatores: "cadastrar", desafio, segredo, otpauth_url }  — exigido, sem 2FA
+ */
+export async function avaliarLogin(db, req, { usuarioId, escolaId = null, perfil = null, origem = "escola", conta = null, extras = {} }) {
+  const cadastro = await lerCadastro(db, usuarioId);
+  if (cadastro) {
+    if (await dispositivoConfiado(db, usuarioId, req)) return null;
+    return {
+      dois_fatores: "verificar",
+      desafio: emitirDesafio({ origem, usuarioId, escolaId, perfil, etapa: "verificar", extras }),
+    };
+  }
+
+  const exigido = origem === "plataforma" ? exigidoPelaPlataforma() : await exigidoPelaEscola(db, escolaId, perfil);
+  if (!exigido) return null;
+
+  const { segredo, otpauth_url } = await iniciarCadastro(db, usuarioId, { conta });
+  return {
+    dois_fatores: "cadastrar",
+    message: "Esta conta exige autenticação em dois fatores. Cadastre o aplicativo autenticador para continuar.",
+    desafio: emitirDesafio({ origem, usuarioId, escolaId, perfil, etapa: "cadastrar", extras }),
+    segredo,
+    otpauth_url,
+  };
+}
+
+/**
+ * Conclui a etapa do desafio: confere (ou, em "cadastrar", ativa) o 2FA e,
+ * se pedido, confia o dispositivo. → { codigos_recuperacao?, restantes? }
+ */
+export async function concluirDesafio(db, req, res, desafio, { codigo, codigoRecuperacao, confiar } = {}) {
+  const resultado = {};
+  if (desafio.etapa === "cadastrar") {
+    const { codigos_recuperacao } = await confirmarCadastro(db, desafio.usuario_id, codigo);
+    resultado.codigos_recuperacao = codigos_recuperacao;
+  } else {
+    const v = await verificarSegundoFator(db, desafio.usuario_id, { codigo, codigoRecuperacao });
+    if (v.metodo === "recuperacao") resultado.codigos_recuperacao_restantes = v.restantes;
+  }
+  if (confiar) {
+    try {
+      await confiarDispositivo(db, desafio.usuario_id, req, res);
+    } catch (err) {
+      log.warn("falha ao registrar dispositivo confiado (não crítico)", { erro: err.message });
+    }
+  }
+  return resultado;
+}
@@ -0,0 +1,551 @@
+// services/jobQueue.js
+// -----------------------------------------------------------------------------
+// Fila persistente de jobs (MySQL) para trabalho longo que não cabe no request:
+// PDFs de boletins (Playwright), exportações EducaDF, leitura de QR/OMR de
+// lotes de gabarito, geração de embeddings.
+//
+//  - Jobs ficam na tabela `jobs` (migrations/versions/0010_jobs.js) e
+//    sobrevivem a restart/deploy: job "executando" sem heartbeat volta à fila.
+//  - Claim com SELECT ... FOR UPDATE SKIP LOCKED → várias instâncias podem
+//    rodar workers sem pegar o mesmo job.
+//  - Limite de concorrência por tipo (global) e por escola (uma escola não
+//    ocupa todos os slots do Playwright). A contagem e o claim rodam sob um
+//    GET_LOCK por tipo: duas instâncias não passam do limite juntas.
+//  - Só o dono finaliza: as escritas de fim de execução exigem o worker_id e
+//    status 'executando' — um job órfão devolvido à fila e pego por outro
+//    worker não é sobrescrito pelo worker antigo.
+//  - Retentativas com backoff exponencial; erro com `err.permanente = true`
+//    falha na hora (ex.: credencial inválida, turma inexistente).
+//  - Cancelamento: pendente → cancelado direto; executando → flag `cancelar`
+//    que o handler consulta via ctx.verificarCancelamento().
+//  - Dedupe por `chave`: um job ativo por chave, garantido pelo índice único
+//    em jobs.chave_ativa (0048) — dois cliques simultâneos em "gerar boletins"
+//    devolvem o mesmo job.
+//  - Log: o job guarda o request_id de quem enfileirou e o handler roda com
+//    esse contexto (services/logger.js) — logs e chamadas externas do job
+//    saem correlacionados com a requisição de origem.
+//
+// API:
+//  - registrarHandler(tipo, fn, opcoes)            → declara um tipo de job
+//  - enfileirarJob(db, { tipo, escolaId, ... })     → { id, existente }
+//  - buscarJobAtivo(db, chave)                      → job pendente/executando da chave
+//  - buscarJob(db, id, { escolaId })                → job formatado ou null
+//  - listarJobs(db, { escolaId, ... })              → jobs formatados
+//  - cancelarJob(db, id, { escolaId })              → job formatado ou null
+//  - buscarArquivoJob(db, id)                       → { nome, mime, conteudo } ou null
+//  - iniciarWorkers(pool) / pararWorkers()          → loop de processamento
+//  - reivindicar / executar / manutencao           → um passo do loop (testes)
+//
+// Handler: async (ctx) => resultado (JSON). ctx = { id, tipo, escolaId,
+// usuarioId, requestId, payload, tentativa, ultimaTentativa, db, progresso(pct, msg),
+// verificarCancelamento(), salvarArquivo({ nome, mime, buffer }) }
+// -----------------------------------------------------------------------------
+import os from "os";
+import { criarLogger, executarComContexto, requestIdAtual } from "./logger.js";
+import { BUCKETS_LENTOS, contador, histograma, medidor } from "./metricas.js";
+
+const log = criarLogger("jobs");
+
+const TERMINAIS = ["concluido", "falhou", "cancelado"];
+
+const POLL_MS = Number(process.env.JOBS_POLL_MS || 2000);
+const HEARTBEAT_MS = 30_000;
+const HEARTBEAT_EXPIRA_S = Number(process.env.JOBS_HEARTBEAT_EXPIRA_S || 300);
+const RETENCAO_DIAS = Number(process.env.JOBS_RETENCAO_DIAS || 7);
+const BACKOFF_MAX_MS = 30 * 60 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const CLAIM_LOCK_TIMEOUT_S = 5;
+
+const handlers = new Map(); // tipo -> { fn, concorrencia, concorrenciaPorEscola, maxTentativas, backoffMs }
+const emExecucao = new Map(); // jobId -> tipo
+
+let worker = null; // { pool, timer, rodando, ultimaManutencao }
+
+// Métricas (GET /metrics). resultado: concluido | cancelado | falhou | retentativa
+// | perdido (o job deixou de ser deste worker antes do fim)
+const duracaoJobs = histograma(
+  "jobs_duracao_segundos",
+  "Duração de cada execução de job por tipo e resultado.",
+  ["tipo", "resultado"],
+  BUCKETS_LENTOS
+);
+const execucoesJobs = contador(
+  "jobs_execucoes_total",
+  "Execuções de job por tipo, escola e resultado.",
+  ["tipo", "escola_id", "resultado"]
+);
+medidor("jobs_em_execucao", "Jobs executando nesta instância.", ["tipo"], () =>
+  [...handlers.keys()].map((tipo) => [{ tipo }, [...emExecucao.values()].filter((t) => t === tipo).length])
+);
+
+// -----------------------------------------------------------------------------
+// Registro de tipos
+// -----------------------------------------------------------------------------
+
+/**
+ * Declara um tipo de job. Deve ser chamado no import do módulo dono do
+ * trabalho (o router), antes de iniciarWorkers().
+ *
+ * @param {string} tipo  ex.: "boletim_pdf"
+ * @param {(ctx: object) => Promise<any>} fn
+ * @param {object} [opcoes]
+ * @param {number} [opcoes.concorrencia=2]          máx. executando (todas as instâncias)
+ * @param {number} [opcoes.concorrenciaPorEscola=1] máx. executando por escola
+ * @param {number} [opcoes.maxTentativas=3]
+ * @param {number} [opcoes.backoffMs=30000]         base do backoff exponencial
+ */
+export function registrarHandler(tipo, fn, opcoes = {}) {
+  if (handlers.has(tipo)) throw new Error(`Handler de job duplicado: ${tipo}`);
+  handlers.set(tipo, {
+    fn,
+    concorrencia: opcoes.concorrencia ?? 2,
+    concorrenciaPorEscola: opcoes.concorrenciaPorEscola ?? 1,
+    maxTentativas: opcoes.maxTentativas ?? 3,
+    backoffMs: opcoes.backoffMs ?? 30_000,
+  });
+}
+
+/** Atraso antes da tentativa seguinte: base, 2×base, 4×base... (teto 30 min). */
+export function calcularBackoff(tentativa, baseMs) {
+  return Math.min(baseMs * 2 ** Math.max(0, tentativa - 1), BACKOFF_MAX_MS);
+}
+
+// -----------------------------------------------------------------------------
+// Formatação
+// -----------------------------------------------------------------------------
+
+function parseJson(v) {
+  if (v == null) return null;
+  if (typeof v !== "string") return v;
+  try {
+    return JSON.parse(v);
+  } catch {
+    return v;
+  }
+}
+
+/** Formato público do job (GET /api/jobs/:id). Nunca expõe o payload. */
+export function formatarJob(row) {
+  if (!row) return null;
+  return {
+    id: Number(row.id),
+    tipo: row.tipo,
+    status: row.status,
+    progresso: Number(row.progresso || 0),
+    progresso_msg: row.progresso_msg || null,
+    tentativas: Number(row.tentativas || 0),
+    max_tentativas: Number(row.max_tentativas || 0),
+    resultado: parseJson(row.resultado),
+    erro: row.erro || null,
+    cancelamento_solicitado: Boolean(row.cancelar),
+    arquivo_url: row.tem_arquivo ? `/api/jobs/${row.id}/arquivo` : null,
+    criado_em: row.criado_em,
+    iniciado_em: row.iniciado_em,
+    concluido_em: row.concluido_em,
+    proxima_tentativa_em: row.status === "pendente" ? row.disponivel_em : null,
+  };
+}
+
+const SELECT_JOB = `
+  SELECT j.*, (a.job_id IS NOT NULL) AS tem_arquivo
+    FROM jobs j
+    LEFT JOIN jobs_arquivos a ON a.job_id = j.id`;
+
+// -----------------------------------------------------------------------------
+// Operações de fila (usadas pelos routers)
+// -----------------------------------------------------------------------------
+
+/**
+ * Enfileira um job. Com `chave`, reaproveita o job ativo (pendente/executando)
+ * de mesma chave em vez de criar outro — é o "lock" das exportações.
+ *
+ * @returns {Promise<{ id: number, existente: boolean }>}
+ */
+export async function enfileirarJob(db, { tipo, escolaId = null, usuarioId = null, payload = {}, chave = null, maxTentativas, atrasoMs = 0 }) {
+  const handler = handlers.get(tipo);
+  if (!handler) throw new Error(`Tipo de job não registrado: ${tipo}`);
+
+  if (chave) {
+    const ativo = await buscarJobAtivo(db, chave);
+    if (ativo) return { id: ativo.id, existente: true };
+  }
+
+  try {
+    const [r] = await db.query(
+      `INSERT INTO jobs (tipo, escola_id, usuario_id, chave, request_id, payload, max_tentativas, disponivel_em)
+       VALUES (?, ?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+      [
+        tipo,
+        escolaId || null,
+        usuarioId || null,
+        chave,
+        requestIdAtual(),
+        JSON.stringify(payload ?? {}),
+        maxTentativas ?? handler.maxTentativas,
+        Math.ceil(atrasoMs / 1000),
+      ]
+    );
+    return { id: Number(r.insertId), existente: false };
+  } catch (err) {
+    // Corrida: outro request enfileirou a mesma chave entre a consulta e o
+    // INSERT — o índice único (uk_jobs_chave_ativa) barrou, vale o dele
+    if (!chave || err.code !== "ER_DUP_ENTRY") throw err;
+    const ativo = await buscarJobAtivo(db, chave);
+    if (!ativo) throw err;
+    return { id: ativo.id, existente: true };
+  }
+}
+
+/** Job pendente/executando com a chave informada (ou null). */
+export async function buscarJobAtivo(db, chave) {
+  const [[row]] = await db.query(
+    `${SELECT_JOB}
+      WHERE j.chave = ? AND j.status IN ('pendente','executando')
+      ORDER BY j.id DESC LIMIT 1`,
+    [chave]
+  );
+  return formatarJob(row);
+}
+
+/** Job da escola (escolaId omitido = sem filtro, uso interno/plataforma). */
+export async function buscarJob(db, id, { escolaId } = {}) {
+  const params = [id];
+  let where = "j.id = ?";
+  if (escolaId !== undefined) {
+    where += " AND j.escola_id = ?";
+    params.push(escolaId);
+  }
+  const [[row]] = await db.query(`${SELECT_JOB} WHERE ${where} LIMIT 1`, params);
+  return formatarJob(row);
+}
+
+export async function listarJobs(db, { escolaId, usuarioId, tipo, status, limite = 50 } = {}) {
+  const where = ["j.escola_id = ?"];
+  const params = [escolaId];
+  if (usuarioId) {
+    where.push("j.usuario_id = ?");
+    params.push(usuarioId);
+  }
+  if (tipo) {
+    where.push("j.tipo = ?");
+    params.push(tipo);
+  }
+  if (status) {
+    where.push("j.status = ?");
+    params.push(status);
+  }
+  params.push(Math.min(Math.max(Number(limite) || 50, 1), 200));
+  const [rows] = await db.query(
+    `${SELECT_JOB} WHERE ${where.join(" AND ")} ORDER BY j.id DESC LIMIT ?`,
+    params
+  );
+  return rows.map(formatarJob);
+}
+
+/**
+ * Pendente → cancelado na hora. Executando → marca `cancelar`; o handler
+ * encerra no próximo verificarCancelamento(). Terminal → sem efeito.
+ */
+export async function cancelarJob(db, id, { escolaId } = {}) {
+  const job = await buscarJob(db, id, { escolaId });
+  if (!job) return null;
+
+  if (job.status === "pendente") {
+    await db.query(
+      `UPDATE jobs SET status = 'cancelado', cancelar = 1, concluido_em = NOW()
+        WHERE id = ? AND status = 'pendente'`,
+      [id]
+    );
+  } else if (job.status === "executando") {
+    await db.query("UPDATE jobs SET cancelar = 1 WHERE id = ? AND status = 'executando'", [id]);
+  }
+  return buscarJob(db, id, { escolaId });
+}
+
+export async function buscarArquivoJob(db, id) {
+  const [[row]] = await db.query(
+    "SELECT nome, mime, tamanho, conteudo FROM jobs_arquivos WHERE job_id = ? LIMIT 1",
+    [id]
+  );
+  return row || null;
+}
+
+// -----------------------------------------------------------------------------
+// Worker
+// -----------------------------------------------------------------------------
+
+/**
+ * Pega o próximo job pendente do tipo, respeitando os limites de concorrência.
+ * Contagem e claim sob GET_LOCK("jobs:<tipo>"): sem o lock, duas instâncias
+ * contariam o mesmo número de "executando" e ambas passariam do limite.
+ */
+export async function reivindicar(pool, tipo, cfg, { workerId = WORKER_ID } = {}) {
+  const conn = await pool.getConnection();
+  const lock = `jobs:${tipo}`;
+  let travado = false;
+  try {
+    const [[r]] = await conn.query("SELECT GET_LOCK(?, ?) AS ok", [lock, CLAIM_LOCK_TIMEOUT_S]);
+    if (Number(r?.ok) !== 1) return null; // outra instância reivindicando: fica para o próximo tick
+    travado = true;
+
+    await conn.beginTransaction();
+
+    const [[{ n }]] = await conn.query(
+      "SELECT COUNT(*) AS n FROM jobs WHERE tipo = ? AND status = 'executando'",
+      [tipo]
+    );
+    if (Number(n) >= cfg.concorrencia) {
+      await conn.rollback();
+      return null;
+    }
+
+    const [[job]] = await conn.query(
+      `SELECT j.* FROM jobs j
+        WHERE j.tipo = ? AND j.status = 'pendente' AND j.disponivel_em <= NOW()
+          AND (j.escola_id IS NULL OR (
+            SELECT COUNT(*) FROM jobs x
+             WHERE x.tipo = j.tipo AND x.escola_id = j.escola_id AND x.status = 'executando'
+          ) < ?)
+        ORDER BY j.disponivel_em, j.id
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED`,
+      [tipo, cfg.concorrenciaPorEscola]
+    );
+    if (!job) {
+      await conn.rollback();
+      return null;
+    }
+
+    await conn.query(
+      `UPDATE jobs
+          SET status = 'executando', tentativas = tentativas + 1, worker_id = ?,
+              iniciado_em = NOW(), heartbeat_em = NOW(), erro = NULL
+        WHERE id = ?`,
+      [workerId, job.id]
+    );
+    await conn.commit();
+    return { ...job, worker_id: workerId, tentativas: Number(job.tentativas) + 1 };
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    throw err;
+  } finally {
+    if (travado) await conn.query("SELECT RELEASE_LOCK(?)", [lock]).catch(() => {});
+    conn.release();
+  }
+}
+
+function criarContexto(pool, job) {
+  const id = Number(job.id);
+  const workerId = job.worker_id || WORKER_ID;
+  return {
+    id,
+    tipo: job.tipo,
+    escolaId: job.escola_id,
+    usuarioId: job.usuario_id,
+    requestId: job.request_id || null,
+    payload: parseJson(job.payload) || {},
+    tentativa: job.tentativas,
+    ultimaTentativa: job.tentativas >= Number(job.max_tentativas),
+    db: pool,
+
+    async progresso(pct, msg = null) {
+      const p = Math.max(0, Math.min(100, Math.round(Number(pct) || 0)));
+      // Com o worker_id: o progresso de um worker que perdeu o job não renova o heartbeat
+      await pool.query(
+        "UPDATE jobs SET progresso = ?, progresso_msg = ?, heartbeat_em = NOW() WHERE id = ? AND worker_id = ?",
+        [p, msg ? String(msg).slice(0, 255) : null, id, workerId]
+      );
+    },
+
+    async verificarCancelamento() {
+      const [[row]] = await pool.query("SELECT cancelar FROM jobs WHERE id = ?", [id]);
+      if (row?.cancelar) {
+        const err = new Error("Job cancelado pelo usuário.");
+        err.code = "JOB_CANCELADO";
+        throw err;
+      }
+    },
+
+    async salvarArquivo({ nome, mime = "application/octet-stream", buffer }) {
+      const buf = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
+      await pool.query(
+        `REPLACE INTO jobs_arquivos (job_id, nome, mime, tamanho, conteudo)
+         VALUES (?, ?, ?, ?, ?)`,
+        [id, nome, mime, buf.length, buf]
+      );
+    },
+  };
+}
+
+/** Contexto de log do job: request de origem (ou job-<id>) + escola/usuário. */
+function contextoLogJob(job) {
+  return {
+    request_id: job.request_id || `job-${job.id}`,
+    job_id: Number(job.id),
+    escola_id: job.escola_id ?? undefined,
+    usuario_id: job.usuario_id ?? undefined,
+  };
+}
+
+/**
+ * Grava o fim da execução só se o job ainda é deste worker. false = o job foi
+ * dado como órfão (heartbeat expirado) e voltou à fila ou já está com outro
+ * worker — a escrita é descartada.
+ */
+async function finalizar(pool, job, sets, params) {
+  const [r] = await pool.query(
+    `UPDATE jobs SET ${sets}, worker_id = NULL
+      WHERE id = ? AND worker_id = ? AND status = 'executando'`,
+    [...params, Number(job.id), job.worker_id || WORKER_ID]
+  );
+  if (r.affectedRows) return true;
+  log.warn("job não é mais deste worker (órfão reaproveitado); resultado descartado", { job_id: job.id, tipo: job.tipo });
+  return false;
+}
+
+export async function executar(pool, job, cfg) {
+  const id = Number(job.id);
+  const workerId = job.worker_id || WORKER_ID;
+  const heartbeat = setInterval(() => {
+    pool.query("UPDATE jobs SET heartbeat_em = NOW() WHERE id = ? AND worker_id = ?", [id, workerId])
+      .catch(() => {});
+  }, HEARTBEAT_MS);
+  heartbeat.unref?.();
+
+  const fim = duracaoJobs.iniciar({ tipo: job.tipo });
+  const contar = (resultado) => {
+    fim({ resultado });
+    execucoesJobs.inc({ tipo: job.tipo, escola_id: job.escola_id ?? "", resultado });
+  };
+
+  try {
+    const resultado = await cfg.fn(criarContexto(pool, job));
+    const gravou = await finalizar(
+      pool,
+      job,
+      "status = 'concluido', progresso = 100, resultado = ?, concluido_em = NOW()",
+      [JSON.stringify(resultado ?? null)]
+    );
+    contar(gravou ? "concluido" : "perdido");
+    if (gravou) log.info("job concluído", { job_id: id, tipo: job.tipo });
+  } catch (err) {
+    const msg = String(err?.message || err).slice(0, 2000);
+
+    if (err?.code === "JOB_CANCELADO") {
+      const gravou = await finalizar(pool, job, "status = 'cancelado', erro = ?, concluido_em = NOW()", [msg]);
+      contar(gravou ? "cancelado" : "perdido");
+      if (gravou) log.info("job cancelado", { job_id: id, tipo: job.tipo });
+      return;
+    }
+
+    const esgotou = err?.permanente || job.tentativas >= Number(job.max_tentativas);
+    if (esgotou) {
+      const gravou = await finalizar(pool, job, "status = 'falhou', erro = ?, concluido_em = NOW()", [msg]);
+      contar(gravou ? "falhou" : "perdido");
+      if (gravou) log.error("job falhou", { job_id: id, tipo: job.tipo, tentativa: job.tentativas, max_tentativas: job.max_tentativas, erro: msg });
+    } else {
+      const atraso = calcularBackoff(job.tentativas, cfg.backoffMs);
+      const gravou = await finalizar(
+        pool,
+        job,
+        "status = 'pendente', erro = ?, disponivel_em = DATE_ADD(NOW(), INTERVAL ? SECOND)",
+        [msg, Math.ceil(atraso / 1000)]
+      );
+      contar(gravou ? "retentativa" : "perdido");
+      if (gravou) log.warn("job com erro, nova tentativa agendada", { job_id: id, tipo: job.tipo, em_s: Math.round(atraso / 1000), erro: msg });
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Jobs "executando" sem heartbeat (instância morreu no meio) voltam para a
+ * fila — ou falham, se já gastaram as tentativas. Também expurga jobs
+ * terminados há mais de JOBS_RETENCAO_DIAS.
+ */
+export async function manutencao(pool) {
+  const [orfaos] = await pool.query(
+    `UPDATE jobs
+        SET status = IF(tentativas >= max_tentativas, 'falhou', 'pendente'),
+            concluido_em = IF(tentativas >= max_tentativas, NOW(), NULL),
+            erro = 'Execução interrompida (worker sem heartbeat).',
+            worker_id = NULL
+      WHERE status = 'executando'
+        AND heartbeat_em < DATE_SUB(NOW(), INTERVAL ? SECOND)`,
+    [HEARTBEAT_EXPIRA_S]
+  );
+  if (orfaos.affectedRows) {
+    log.warn("jobs órfãos devolvidos à fila", { total: orfaos.affectedRows });
+  }
+
+  await pool.query(
+    `DELETE a FROM jobs_arquivos a
+       JOIN jobs j ON j.id = a.job_id
+      WHERE j.status IN (?) AND j.concluido_em < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+    [TERMINAIS, RETENCAO_DIAS]
+  );
+  await pool.query(
+    "DELETE FROM jobs WHERE status IN (?) AND concluido_em < DATE_SUB(NOW(), INTERVAL ? DAY)",
+    [TERMINAIS, RETENCAO_DIAS]
+  );
+}
+
+async function tick() {
+  const { pool } = worker;
+
+  if (Date.now() - worker.ultimaManutencao > 60_000) {
+    worker.ultimaManutencao = Date.now();
+    await manutencao(pool).catch((err) =>
+      log.warn("manutenção falhou (não crítico)", { erro: err.message })
+    );
+  }
+
+  for (const [tipo, cfg] of handlers) {
+    let locais = [...emExecucao.values()].filter((t) => t === tipo).length;
+    while (worker && locais < cfg.concorrencia) {
+      const job = await reivindicar(pool, tipo, cfg);
+      if (!job) break;
+      locais++;
+      emExecucao.set(Number(job.id), tipo);
+      executarComContexto(contextoLogJob(job), () => executar(pool, job, cfg))
+        .catch((err) => log.error("erro ao finalizar job", { job_id: job.id, erro: err.message }))
+        .finally(() => emExecucao.delete(Number(job.id)));
+    }
+  }
+}
+
+/**
+ * Inicia o loop de workers desta instância. JOBS_WORKER=0 desliga (instância
+ * só-API); os jobs continuam sendo enfileirados e outra instância processa.
+ */
+export function iniciarWorkers(pool) {
+  if (worker) return;
+  if (String(process.env.JOBS_WORKER || "1") === "0") {
+    log.info("workers desativados nesta instância (JOBS_WORKER=0)");
+    return;
+  }
+
+  worker = { pool, rodando: false, ultimaManutencao: 0, timer: null };
+  worker.timer = setInterval(async () => {
+    if (!worker || worker.rodando) return;
+    worker.rodando = true;
+    try {
+      await tick();
+    } catch (err) {
+      log.warn("tick falhou (não crítico)", { erro: err.message });
+    } finally {
+      if (worker) worker.rodando = false;
+    }
+  }, POLL_MS);
+  worker.timer.unref?.();
+
+  log.info("workers ativos", { tipos: [...handlers.keys()], worker_id: WORKER_ID });
+}
+
+export function pararWorkers() {
+  if (!worker) return;
+  clearInterval(worker.timer);
+  worker = null;
+}
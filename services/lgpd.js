@@ -0,0 +1,866 @@
+// services/lgpd.js
+// -----------------------------------------------------------------------------
+// Direitos do titular (LGPD, art. 18): exportação dos dados e anonimização
+// de aluno ou responsável (migrations/versions/0017_lgpd_solicitacoes.js).
+//
+//  - Solicitação aberta pelo responsável (app dos pais) ou pela secretaria,
+//    com prazo de resposta de 15 dias úteis (art. 19 §3º; o termo de
+//    consentimento promete esse prazo). Toda mudança de status vai para a
+//    trilha de auditoria (services/auditoria.js, entidade "lgpd_solicitacoes").
+//  - Exportação: job "lgpd_exportar" monta um ZIP com um JSON por fonte
+//    (SECOES_*), manifesto e um relatório em PDF. O ZIP fica em jobs_arquivos
+//    e expira com o job (JOBS_RETENCAO_DIAS).
+//  - Anonimização: job "lgpd_anonimizar" troca nome/documentos/contatos por
+//    marcadores, apaga biometria e eventos de câmera e limpa textos livres,
+//    preservando notas, frequência e contagens de ocorrências (estatística
+//    da escola). Mantidos por obrigação legal: consentimentos_log (append-only)
+//    e auditoria_alteracoes.
+//  - Fontes e passos são declarativos e conferidos contra o information_schema:
+//    tabela/coluna que não existe na instalação é pulada e fica registrada.
+//
+// API:
+//  - abrirSolicitacao(db, dados)                 → { solicitacao, existente }
+//  - listarSolicitacoes(db, filtros) / buscarSolicitacao(db, id, escopo)
+//  - executarExportacao / executarAnonimizacao / recusarSolicitacao
+//  - arquivoDaSolicitacao(db, solicitacao)       → { nome, mime, conteudo } ou null
+//  - gerarPacote(db, titular)                    → { zip, manifesto }
+//  - anonimizarAluno(db, t) / anonimizarResponsavel(db, t) → resumo por tabela
+//  - somarDiasUteis(data, dias)                  → "YYYY-MM-DD"
+// -----------------------------------------------------------------------------
+import fs from "fs";
+import { join } from "path";
+import PDFDocument from "pdfkit";
+import { deleteObjectFromSpaces } from "../storage/spacesUpload.js";
+import { criarZip } from "../utils/zip.js";
+import { excluirAnexosDoAluno } from "./arquivos.js";
+import { registrarAlteracao } from "./auditoria.js";
+import { buscarArquivoJob, enfileirarJob, registrarHandler } from "./jobQueue.js";
+import { criarLogger } from "./logger.js";
+
+const log = criarLogger("lgpd");
+
+export const PRAZO_DIAS_UTEIS = 15;
+export const TIPOS = Object.freeze(["exportacao", "anonimizacao"]);
+export const STATUS = Object.freeze(["aberta", "em_andamento", "concluida", "recusada", "falhou"]);
+const ABERTAS = ["aberta", "em_andamento"];
+
+const LIMITE_LINHAS_SECAO = 50_000;
+const LIMITE_LINHAS_PDF = 30;
+const FUSO = "America/Sao_Paulo";
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+function erroHttp(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function hojeLocal() {
+  return new Date().toLocaleDateString("en-CA", { timeZone: FUSO });
+}
+
+/** Soma dias úteis (seg–sex) a uma data; feriados não entram na conta. */
+export function somarDiasUteis(data, dias) {
+  const base = typeof data === "string" ? data.slice(0, 10) : data.toLocaleDateString("en-CA", { timeZone: FUSO });
+  const d = new Date(`${base}T12:00:00Z`);
+  let restantes = dias;
+  while (restantes > 0) {
+    d.setUTCDate(d.getUTCDate() + 1);
+    const dow = d.getUTCDay();
+    if (dow !== 0 && dow !== 6) restantes--;
+  }
+  return d.toISOString().slice(0, 10);
+}
+
+function dataIso(v) {
+  if (!v) return null;
+  if (v instanceof Date) return v.toISOString().slice(0, 10);
+  return String(v).slice(0, 10);
+}
+
+function parseJson(v) {
+  if (v == null) return null;
+  if (typeof v !== "string") return v;
+  try {
+    return JSON.parse(v);
+  } catch {
+    return v;
+  }
+}
+
+export function formatarSolicitacao(row) {
+  if (!row) return null;
+  const prazo = dataIso(row.prazo_em);
+  const aberta = ABERTAS.includes(row.status);
+  return {
+    id: Number(row.id),
+    escola_id: Number(row.escola_id),
+    tipo: row.tipo,
+    titular_tipo: row.titular_tipo,
+    aluno_id: row.aluno_id != null ? Number(row.aluno_id) : null,
+    responsavel_id: row.responsavel_id != null ? Number(row.responsavel_id) : null,
+    origem: row.origem,
+    motivo: row.motivo || null,
+    status: row.status,
+    prazo_em: prazo,
+    vencida: aberta && prazo != null && prazo < hojeLocal(),
+    job_id: row.job_id != null ? Number(row.job_id) : null,
+    resposta: row.resposta || null,
+    resultado: parseJson(row.resultado),
+    concluida_em: row.concluida_em || null,
+    criado_em: row.criado_em,
+  };
+}
+
+// Colunas existentes por tabela (cache do processo; vazio = tabela não existe)
+const cacheColunas = new Map();
+
+async function colunasDe(db, tabela) {
+  if (cacheColunas.has(tabela)) return cacheColunas.get(tabela);
+  const [rows] = await db.query(
+    `SELECT COLUMN_NAME AS coluna FROM information_schema.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+    [tabela]
+  );
+  const colunas = new Set(rows.map((r) => r.coluna));
+  if (colunas.size) cacheColunas.set(tabela, colunas);
+  return colunas;
+}
+
+/** Só para testes: esquece as colunas conhecidas. */
+export function limparCacheColunas() {
+  cacheColunas.clear();
+}
+
+// filtro { coluna: chave do titular }; a primeira coluna é obrigatória,
+// as demais (ex.: escola_id) só entram se existirem na tabela.
+function montarFiltro(colunas, filtro, titular) {
+  const pares = Object.entries(filtro);
+  if (!colunas.has(pares[0][0])) return null;
+  const where = [];
+  const params = [];
+  for (const [coluna, chave] of pares) {
+    if (!colunas.has(coluna)) continue;
+    where.push(`${coluna} = ?`);
+    params.push(titular[chave]);
+  }
+  return { where: where.join(" AND "), params };
+}
+
+// Segredos não saem na exportação (hash de senha/refresh, códigos)
+const SEGREDO_RE = /senha|hash|segredo|secret|codigo_acesso|otp/i;
+
+function linhaExportavel(row) {
+  const out = {};
+  for (const [k, v] of Object.entries(row)) {
+    if (SEGREDO_RE.test(k)) continue;
+    if (Buffer.isBuffer(v)) out[k] = { base64: v.toString("base64") };
+    else if (v instanceof Date) out[k] = Number.isNaN(v.getTime()) ? null : v.toISOString();
+    else out[k] = typeof v === "string" && /^\s*[[{]/.test(v) ? parseJson(v) : v;
+  }
+  return out;
+}
+
+// -----------------------------------------------------------------------------
+// Fontes da exportação
+// -----------------------------------------------------------------------------
+// titular = { escola, aluno?, responsavel? }. `sql` próprio quando a fonte
+// precisa de JOIN; senão SELECT * da tabela com o filtro.
+
+export const SECOES_ALUNO = Object.freeze([
+  { nome: "cadastro", tabela: "alunos", filtro: { id: "aluno", escola_id: "escola" } },
+  { nome: "matriculas", tabela: "matriculas", filtro: { aluno_id: "aluno", escola_id: "escola" } },
+  {
+    nome: "responsaveis",
+    tabela: "responsaveis_alunos",
+    sql: `SELECT ra.*, r.nome AS responsavel_nome, r.cpf AS responsavel_cpf, r.email AS responsavel_email,
+                 r.telefone_celular AS responsavel_telefone
+            FROM responsaveis_alunos ra
+            JOIN responsaveis r ON r.id = ra.responsavel_id
+           WHERE ra.aluno_id = ? AND ra.escola_id = ?`,
+    params: (t) => [t.aluno, t.escola],
+  },
+  { nome: "notas", tabela: "notas", filtro: { aluno_id: "aluno", escola_id: "escola" } },
+  { nome: "notas_diario", tabela: "notas_diario", filtro: { aluno_id: "aluno", escola_id: "escola" } },
+  { nome: "ocorrencias_disciplinares", tabela: "ocorrencias_disciplinares", filtro: { aluno_id: "aluno", escola_id: "escola" } },
+  { nome: "ocorrencias_pedagogicas", tabela: "ocorrencias_pedagogicas", filtro: { aluno_id: "aluno", escola_id: "escola" } },
+  { nome: "frequencia_presencas", tabela: "presencas_diarias", filtro: { aluno_id: "aluno", escola_id: "escola" } },
+  { nome: "frequencia_justificativas", tabela: "frequencia_justificativas", filtro: { aluno_id: "aluno", escola_id: "escola" } },
+  { nome: "frequencia_busca_ativa", tabela: "frequencia_busca_ativa", filtro: { aluno_id: "aluno", escola_id: "escola" } },
+  { nome: "frequencia_conselho_tutelar", tabela: "frequencia_encaminhamentos_ct", filtro: { aluno_id: "aluno", escola_id: "escola" } },
+  { nome: "biblioteca_emprestimos", tabela: "biblioteca_emprestimos", filtro: { aluno_id: "aluno", escola_id: "escola" } },
+  { nome: "biblioteca_resenhas", tabela: "biblioteca_resenhas", filtro: { aluno_id: "aluno", escola_id: "escola" } },
+  { nome: "aph_atendimentos", tabela: "aph_atendimentos", filtro: { aluno_id: "aluno", escola_id: "escola" } },
+  { nome: "camera_eventos", tabela: "monitoramento_eventos", filtro: { aluno_id: "aluno", escola_id: "escola" } },
+  { nome: "biometria_embeddings", tabela: "alunos_embeddings", filtro: { aluno_id: "aluno", escola_id: "escola" } },
+  { nome: "consentimentos", tabela: "consentimentos_log", filtro: { aluno_id: "aluno", escola_id: "escola" } },
+  { nome: "notificacoes", tabela: "notificacoes_envios", filtro: { aluno_id: "aluno", escola_id: "escola" } },
+  { nome: "historico_alteracoes", tabela: "auditoria_alteracoes", filtro: { aluno_id: "aluno", escola_id: "escola" } },
+  { nome: "solicitacoes_lgpd", tabela: "lgpd_solicitacoes", filtro: { aluno_id: "aluno", escola_id: "escola" } },
+]);
+
+export const SECOES_RESPONSAVEL = Object.freeze([
+  { nome: "cadastro", tabela: "responsaveis", filtro: { id: "responsavel" } },
+  {
+    nome: "vinculos",
+    tabela: "responsaveis_alunos",
+    sql: `SELECT ra.*, a.estudante AS aluno_nome
+            FROM responsaveis_alunos ra
+            LEFT JOIN alunos a ON a.id = ra.aluno_id
+           WHERE ra.responsavel_id = ? AND ra.escola_id = ?`,
+    params: (t) => [t.responsavel, t.escola],
+  },
+  { nome: "consentimentos", tabela: "consentimentos_log", filtro: { responsavel_id: "responsavel", escola_id: "escola" } },
+  { nome: "dispositivos", tabela: "mobile_devices", filtro: { responsavel_id: "responsavel" } },
+  {
+    nome: "sessoes",
+    tabela: "sessoes",
+    sql: "SELECT * FROM sessoes WHERE tipo_conta = 'responsavel' AND conta_id = ?",
+    params: (t) => [t.responsavel],
+  },
+  { nome: "notificacoes", tabela: "notificacoes_envios", filtro: { responsavel_id: "responsavel", escola_id: "escola" } },
+  { nome: "notificacoes_app", tabela: "notificacoes_mobile", filtro: { responsavel_id: "responsavel", escola_id: "escola" } },
+  { nome: "notificacoes_preferencias", tabela: "notificacoes_preferencias", filtro: { responsavel_id: "responsavel" } },
+  { nome: "notificacoes_configuracao", tabela: "notificacoes_config_responsavel", filtro: { responsavel_id: "responsavel" } },
+  { nome: "registros_visualizados", tabela: "ocorrencias_visualizacoes", filtro: { responsavel_id: "responsavel" } },
+  { nome: "solicitacoes_lgpd", tabela: "lgpd_solicitacoes", filtro: { responsavel_id: "responsavel", escola_id: "escola" } },
+]);
+
+async function lerSecao(db, secao, titular) {
+  const colunas = await colunasDe(db, secao.tabela);
+  if (!colunas.size) return { registros: null, motivo: "tabela inexistente nesta instalação" };
+
+  let sql;
+  let params;
+  if (secao.sql) {
+    sql = secao.sql;
+    params = secao.params(titular);
+  } else {
+    const f = montarFiltro(colunas, secao.filtro, titular);
+    if (!f) return { registros: null, motivo: "tabela sem a coluna do titular" };
+    sql = `SELECT * FROM ${secao.tabela} WHERE ${f.where}`;
+    params = f.params;
+  }
+
+  const [rows] = await db.query(`${sql} LIMIT ${LIMITE_LINHAS_SECAO + 1}`, params);
+  const truncado = rows.length > LIMITE_LINHAS_SECAO;
+  return { registros: rows.slice(0, LIMITE_LINHAS_SECAO).map(linhaExportavel), truncado };
+}
+
+// -----------------------------------------------------------------------------
+// Pacote (ZIP com JSON + PDF)
+// -----------------------------------------------------------------------------
+
+function pdfParaBuffer(desenhar) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 40, info: { Title: "Dados do titular (LGPD)", Author: "EDUCA.MELHOR" } });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    desenhar(doc);
+    doc.end();
+  });
+}
+
+function valorPdf(v) {
+  if (v == null) return "—";
+  const s = typeof v === "object" ? JSON.stringify(v) : String(v);
+  return s.length > 300 ? `${s.slice(0, 300)}…` : s;
+}
+
+function relatorioPdf(manifesto, dados) {
+  return pdfParaBuffer((doc) => {
+    doc.fontSize(15).text("Relatório de dados pessoais — LGPD art. 18", { align: "center" });
+    doc.moveDown(0.5).fontSize(9).fillColor("#555");
+    doc.text(`Solicitação #${manifesto.solicitacao_id ?? "—"} · gerado em ${manifesto.gerado_em}`, { align: "center" });
+    doc.text(`Titular: ${manifesto.titular.tipo} #${manifesto.titular.id} · escola #${manifesto.titular.escola_id}`, { align: "center" });
+    doc.fillColor("#000").moveDown();
+
+    doc.fontSize(11).text("Fontes consultadas");
+    doc.fontSize(9);
+    for (const s of manifesto.secoes) {
+      const qtd = s.registros == null ? `não aplicável (${s.motivo})` : `${s.registros} registro(s)${s.truncado ? " (truncado)" : ""}`;
+      doc.text(`• ${s.nome}: ${qtd}`);
+    }
+
+    for (const s of manifesto.secoes) {
+      const linhas = dados[s.nome];
+      if (!linhas?.length) continue;
+      doc.addPage().fontSize(12).text(s.nome.replace(/_/g, " "));
+      doc.fontSize(8).fillColor("#555").text(`${linhas.length} registro(s). Conteúdo completo em ${s.arquivo}.`).fillColor("#000");
+      for (const linha of linhas.slice(0, LIMITE_LINHAS_PDF)) {
+        doc.moveDown(0.4).fontSize(8);
+        doc.text(Object.entries(linha).map(([k, v]) => `${k}: ${valorPdf(v)}`).join(" · "));
+      }
+      if (linhas.length > LIMITE_LINHAS_PDF) {
+        doc.moveDown(0.4).fillColor("#555").text(`… e mais ${linhas.length - LIMITE_LINHAS_PDF} registro(s) no JSON.`).fillColor("#000");
+      }
+    }
+  });
+}
+
+const LEIA_ME = `Pacote de dados pessoais (LGPD, art. 18, II e V)
+
+manifesto.json   fontes consultadas, quantidade de registros e data de geração
+dados/*.json     um arquivo por fonte, em JSON (UTF-8), legível por máquina
+relatorio.pdf    resumo legível dos mesmos dados
+
+Fontes marcadas como "não aplicável" não existem nesta instalação.
+Senhas, hashes e códigos de acesso não são exportados.
+`;
+
+/**
+ * Lê todas as fontes do titular e monta o ZIP.
+ * @param {object} titular  { tipo: "aluno"|"responsavel", escola, aluno?, responsavel?, solicitacaoId? }
+ * @returns {Promise<{ zip: Buffer, manifesto: object }>}
+ */
+export async function gerarPacote(db, titular, { aoProgredir = async () => {} } = {}) {
+  const secoes = titular.tipo === "aluno" ? SECOES_ALUNO : SECOES_RESPONSAVEL;
+  const manifesto = {
+    solicitacao_id: titular.solicitacaoId ?? null,
+    titular: { tipo: titular.tipo, id: titular.tipo === "aluno" ? titular.aluno : titular.responsavel, escola_id: titular.escola },
+    gerado_em: new Date().toISOString(),
+    secoes: [],
+  };
+  const dados = {};
+  const arquivos = [];
+
+  for (let i = 0; i < secoes.length; i++) {
+    const secao = secoes[i];
+    const { registros, truncado, motivo } = await lerSecao(db, secao, titular);
+    const arquivo = `dados/${secao.nome}.json`;
+    manifesto.secoes.push({
+      nome: secao.nome,
+      arquivo: registros ? arquivo : null,
+      registros: registros ? registros.length : null,
+      ...(truncado ? { truncado: true } : {}),
+      ...(motivo ? { motivo } : {}),
+    });
+    if (registros) {
+      dados[secao.nome] = registros;
+      arquivos.push({ nome: arquivo, conteudo: JSON.stringify(registros, null, 2) });
+    }
+    await aoProgredir(Math.round(((i + 1) / secoes.length) * 80), secao.nome);
+  }
+
+  arquivos.unshift(
+    { nome: "LEIA-ME.txt", conteudo: LEIA_ME },
+    { nome: "manifesto.json", conteudo: JSON.stringify(manifesto, null, 2) }
+  );
+  arquivos.push({ nome: "relatorio.pdf", conteudo: await relatorioPdf(manifesto, dados) });
+
+  return { zip: criarZip(arquivos), manifesto };
+}
+
+// -----------------------------------------------------------------------------
+// Anonimização
+// -----------------------------------------------------------------------------
+// Passo: { tabela, filtro, acao: "excluir" | "atualizar", fixos?: { coluna: expressão SQL },
+// anular?: [colunas] }. Colunas ausentes na tabela são ignoradas; tabela
+// ausente vira "ignorada" no resumo.
+
+// Colunas de identificação/contato que podem existir em alunos conforme a
+// versão da importação (EducaDF, planilhas)
+const PII_ALUNO = [
+  "cpf", "rg", "nis", "certidao", "codigo", "foto", "email", "telefone", "celular", "endereco",
+  "cep", "bairro", "nome_mae", "nome_pai", "mae", "pai", "nome_social", "observacoes",
+];
+const PII_RESPONSAVEL = [
+  "email", "telefone", "telefone_celular", "telefone_secundario", "endereco", "cep", "bairro",
+  "rg", "data_nascimento", "foto", "senha", "senha_hash",
+];
+
+export const PASSOS_ALUNO = Object.freeze([
+  {
+    tabela: "alunos",
+    filtro: { id: "aluno", escola_id: "escola" },
+    acao: "atualizar",
+    fixos: {
+      estudante: "CONCAT('Aluno anonimizado #', id)",
+      // ano de nascimento fica (distribuição etária); dia e mês saem
+      data_nascimento: "IF(data_nascimento IS NULL, NULL, MAKEDATE(YEAR(data_nascimento), 1))",
+      status: "'inativo'",
+      anonimizado_em: "NOW()",
+    },
+    anular: PII_ALUNO,
+  },
+  { tabela: "alunos_embeddings", filtro: { aluno_id: "aluno", escola_id: "escola" }, acao: "excluir" },
+  { tabela: "monitoramento_eventos", filtro: { aluno_id: "aluno", escola_id: "escola" }, acao: "excluir" },
+  {
+    tabela: "presencas_diarias",
+    filtro: { aluno_id: "aluno", escola_id: "escola" },
+    acao: "atualizar",
+    fixos: { nome: "'ANONIMIZADO'" },
+    anular: ["confidence", "camera_id_origem", "zona"],
+  },
+  {
+    tabela: "ocorrencias_disciplinares",
+    filtro: { aluno_id: "aluno", escola_id: "escola" },
+    acao: "atualizar",
+    anular: ["descricao", "registro_interno", "atenuantes", "agravantes"],
+  },
+  {
+    tabela: "ocorrencias_pedagogicas",
+    filtro: { aluno_id: "aluno", escola_id: "escola" },
+    acao: "atualizar",
+    anular: ["descricao", "registro_interno"],
+  },
+  {
+    tabela: "aph_atendimentos",
+    filtro: { aluno_id: "aluno", escola_id: "escola" },
+    acao: "atualizar",
+    anular: ["relato", "descricao_atendimento", "solicitante", "sinais", "comunicacao_resp"],
+  },
+  { tabela: "frequencia_justificativas", filtro: { aluno_id: "aluno", escola_id: "escola" }, acao: "atualizar", anular: ["observacao"] },
+  { tabela: "frequencia_busca_ativa", filtro: { aluno_id: "aluno", escola_id: "escola" }, acao: "atualizar", anular: ["observacao"] },
+  { tabela: "frequencia_encaminhamentos_ct", filtro: { aluno_id: "aluno", escola_id: "escola" }, acao: "atualizar", anular: ["motivo"] },
+  { tabela: "biblioteca_emprestimos", filtro: { aluno_id: "aluno", escola_id: "escola" }, acao: "atualizar", anular: ["observacao"] },
+  {
+    tabela: "biblioteca_resenhas",
+    filtro: { aluno_id: "aluno", escola_id: "escola" },
+    acao: "atualizar",
+    anular: ["resumo", "resenha", "respostas_json"],
+  },
+  { tabela: "notificacoes_envios", filtro: { aluno_id: "aluno", escola_id: "escola" }, acao: "excluir" },
+  { tabela: "notificacoes_mobile", filtro: { aluno_id: "aluno", escola_id: "escola" }, acao: "excluir" },
+  { tabela: "notificacoes_resumo_itens", filtro: { aluno_id: "aluno", escola_id: "escola" }, acao: "excluir" },
+  {
+    tabela: "responsaveis_alunos",
+    filtro: { aluno_id: "aluno", escola_id: "escola" },
+    acao: "atualizar",
+    fixos: { ativo: "0", pode_receber_notificacoes: "0" },
+  },
+  {
+    tabela: "sessoes",
+    filtro: { conta_id: "aluno", tipo_conta: "tipoAluno" },
+    acao: "atualizar",
+    fixos: { revogada_em: "COALESCE(revogada_em, NOW())", motivo_revogacao: "'lgpd_anonimizacao'" },
+  },
+]);
+
+export const PASSOS_RESPONSAVEL = Object.freeze([
+  {
+    tabela: "responsaveis",
+    filtro: { id: "responsavel" },
+    acao: "atualizar",
+    fixos: {
+      nome: "CONCAT('Responsável anonimizado #', id)",
+      // cpf é NOT NULL + UNIQUE: marcador único por registro
+      cpf: "CONCAT('ANON', id)",
+      status: "'INATIVO'",
+      status_global: "'INATIVO'",
+      anonimizado_em: "NOW()",
+    },
+    anular: PII_RESPONSAVEL,
+  },
+  {
+    tabela: "responsaveis_alunos",
+    filtro: { responsavel_id: "responsavel" },
+    acao: "atualizar",
+    fixos: { ativo: "0", pode_receber_notificacoes: "0" },
+  },
+  { tabela: "mobile_devices", filtro: { responsavel_id: "responsavel" }, acao: "excluir" },
+  { tabela: "notificacoes_envios", filtro: { responsavel_id: "responsavel" }, acao: "excluir" },
+  { tabela: "notificacoes_mobile", filtro: { responsavel_id: "responsavel" }, acao: "excluir" },
+  { tabela: "notificacoes_resumo_itens", filtro: { responsavel_id: "responsavel" }, acao: "excluir" },
+  { tabela: "notificacoes_preferencias", filtro: { responsavel_id: "responsavel" }, acao: "excluir" },
+  { tabela: "notificacoes_config_responsavel", filtro: { responsavel_id: "responsavel" }, acao: "excluir" },
+  {
+    tabela: "sessoes",
+    filtro: { conta_id: "responsavel", tipo_conta: "tipoResponsavel" },
+    acao: "atualizar",
+    fixos: { revogada_em: "COALESCE(revogada_em, NOW())", motivo_revogacao: "'lgpd_anonimizacao'" },
+  },
+]);
+
+async function executarPassos(db, passos, titular) {
+  const t = { ...titular, tipoAluno: "aluno", tipoResponsavel: "responsavel" };
+  const resumo = {};
+
+  for (const passo of passos) {
+    const colunas = await colunasDe(db, passo.tabela);
+    const f = colunas.size ? montarFiltro(colunas, passo.filtro, t) : null;
+    if (!f) {
+      resumo[passo.tabela] = { ignorada: true };
+      continue;
+    }
+
+    if (passo.acao === "excluir") {
+      const [r] = await db.query(`DELETE FROM ${passo.tabela} WHERE ${f.where}`, f.params);
+      resumo[passo.tabela] = { excluidos: Number(r?.affectedRows || 0) };
+      continue;
+    }
+
+    const sets = [
+      ...Object.entries(passo.fixos || {})
+        .filter(([c]) => colunas.has(c))
+        .map(([c, expr]) => `${c} = ${expr}`),
+      ...(passo.anular || []).filter((c) => colunas.has(c) && !(c in (passo.fixos || {}))).map((c) => `${c} = NULL`),
+    ];
+    if (!sets.length) {
+      resumo[passo.tabela] = { ignorada: true };
+      continue;
+    }
+    const [r] = await db.query(`UPDATE ${passo.tabela} SET ${sets.join(", ")} WHERE ${f.where}`, f.params);
+    resumo[passo.tabela] = { atualizados: Number(r?.affectedRows || 0) };
+  }
+  return resumo;
+}
+
+// Mesma regra de extrairObjectKeyDeFoto (routes/app_pais.js): foto guardada
+// como URL do Spaces, "/uploads/..." ou "uploads/...".
+function chaveDaFoto(foto) {
+  const s = String(foto || "").trim();
+  const idx = s.indexOf("uploads/");
+  return idx >= 0 ? s.slice(idx) : null;
+}
+
+async function removerFoto(foto) {
+  const chave = chaveDaFoto(foto);
+  if (!chave) return;
+  const local = join(process.cwd(), chave);
+  if (fs.existsSync(local)) {
+    await fs.promises.unlink(local).catch((err) => log.warn("remover foto local falhou (não crítico)", { erro: err.message }));
+  }
+  if (/^https?:\/\//i.test(String(foto)) && process.env.DO_SPACES_KEY) {
+    await deleteObjectFromSpaces(chave).catch((err) => log.warn("remover foto do Spaces falhou (não crítico)", { erro: err.message }));
+  }
+}
+
+async function emTransacao(pool, fn) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const r = await fn(conn);
+    await conn.commit();
+    return r;
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Anonimiza o aluno na escola (numa transação). Aluno ativo é recusado:
+ * a secretaria precisa inativá-lo antes (o histórico escolar ainda é devido).
+ */
+export async function anonimizarAluno(pool, { escola, aluno }) {
+  const [[a]] = await pool.query("SELECT id, status, foto FROM alunos WHERE id = ? AND escola_id = ?", [aluno, escola]);
+  if (!a) throw Object.assign(erroHttp(404, "Aluno não encontrado nesta escola."), { permanente: true });
+  if (String(a.status || "").toLowerCase() === "ativo") {
+    throw Object.assign(erroHttp(409, "Aluno ativo: inative o cadastro antes de anonimizar."), { permanente: true });
+  }
+  // Trava legal (services/retencao.js): caso disciplinar aberto segura os dados
+  const [[trava]] = await pool.query(
+    "SELECT id FROM ocorrencias_disciplinares WHERE aluno_id = ? AND escola_id = ? AND retencao_bloqueio = 1 LIMIT 1",
+    [aluno, escola]
+  );
+  if (trava) {
+    throw Object.assign(erroHttp(409, `Dados sob trava legal (ocorrência #${trava.id}): retire a trava antes de anonimizar.`), {
+      permanente: true,
+    });
+  }
+
+  const resumo = await emTransacao(pool, (conn) => executarPassos(conn, PASSOS_ALUNO, { escola, aluno }));
+  await removerFoto(a.foto);
+  resumo.anexos = { excluidos: await excluirAnexosDoAluno(pool, { escolaId: escola, alunoId: aluno }) };
+  return resumo;
+}
+
+/**
+ * Anonimiza o cadastro do responsável. Recusado enquanto houver vínculo
+ * ativo com algum aluno (em qualquer escola): o cadastro é compartilhado.
+ */
+export async function anonimizarResponsavel(pool, { escola, responsavel }) {
+  const [[vinculos]] = await pool.query(
+    "SELECT COUNT(*) AS ativos FROM responsaveis_alunos WHERE responsavel_id = ? AND ativo = 1",
+    [responsavel]
+  );
+  if (Number(vinculos?.ativos || 0) > 0) {
+    throw Object.assign(erroHttp(409, "Responsável ainda vinculado a aluno(s) ativo(s): desative os vínculos antes."), {
+      permanente: true,
+    });
+  }
+  return emTransacao(pool, (conn) => executarPassos(conn, PASSOS_RESPONSAVEL, { escola, responsavel }));
+}
+
+// -----------------------------------------------------------------------------
+// Solicitações
+// -----------------------------------------------------------------------------
+
+const SELECT_SOLICITACAO = "SELECT * FROM lgpd_solicitacoes";
+
+async function auditar(db, origem, antes, depois) {
+  await registrarAlteracao(db, origem, {
+    entidade: "lgpd_solicitacoes",
+    entidadeId: depois?.id ?? antes?.id,
+    alunoId: (depois || antes)?.aluno_id ?? null,
+    antes: antes ? { status: antes.status, resposta: antes.resposta } : null,
+    depois: depois ? { status: depois.status, resposta: depois.resposta, tipo: depois.tipo, titular_tipo: depois.titular_tipo } : null,
+  });
+}
+
+export async function buscarSolicitacao(db, id, { escolaId, responsavelId } = {}) {
+  const where = ["id = ?"];
+  const params = [id];
+  if (escolaId) {
+    where.push("escola_id = ?");
+    params.push(escolaId);
+  }
+  if (responsavelId) {
+    where.push("(aberta_por_responsavel_id = ? OR responsavel_id = ?)");
+    params.push(responsavelId, responsavelId);
+  }
+  const [[row]] = await db.query(`${SELECT_SOLICITACAO} WHERE ${where.join(" AND ")} LIMIT 1`, params);
+  return formatarSolicitacao(row);
+}
+
+export async function listarSolicitacoes(db, { escolaId, responsavelId, status, tipo, alunoId, vencidas, limite = 100 } = {}) {
+  const where = [];
+  const params = [];
+  if (escolaId) {
+    where.push("escola_id = ?");
+    params.push(escolaId);
+  }
+  if (responsavelId) {
+    where.push("(aberta_por_responsavel_id = ? OR responsavel_id = ?)");
+    params.push(responsavelId, responsavelId);
+  }
+  for (const [coluna, valor] of [["status", status], ["tipo", tipo], ["aluno_id", alunoId]]) {
+    if (valor == null || valor === "") continue;
+    where.push(`${coluna} = ?`);
+    params.push(valor);
+  }
+  if (vencidas) {
+    where.push("status IN (?) AND prazo_em < ?");
+    params.push(ABERTAS, hojeLocal());
+  }
+  params.push(Math.min(Math.max(Number(limite) || 100, 1), 500));
+  const [rows] = await db.query(
+    `${SELECT_SOLICITACAO} ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY prazo_em, id LIMIT ?`,
+    params
+  );
+  return rows.map(formatarSolicitacao);
+}
+
+// Aluno da escola, ou responsável com vínculo (ativo ou não) na escola
+async function garantirTitularNaEscola(db, escolaId, titularTipo, titularId) {
+  const [[row]] =
+    titularTipo === "aluno"
+      ? await db.query("SELECT id FROM alunos WHERE id = ? AND escola_id = ? LIMIT 1", [titularId, escolaId])
+      : await db.query("SELECT responsavel_id AS id FROM responsaveis_alunos WHERE responsavel_id = ? AND escola_id = ? LIMIT 1", [
+          titularId,
+          escolaId,
+        ]);
+  if (!row) throw erroHttp(404, titularTipo === "aluno" ? "Aluno não encontrado nesta escola." : "Responsável não vinculado a esta escola.");
+}
+
+/**
+ * Abre a solicitação (prazo de 15 dias úteis). Já existindo uma aberta do
+ * mesmo tipo para o mesmo titular, devolve a existente. Exportação entra na
+ * fila na hora; anonimização espera a decisão da escola.
+ *
+ * @param {object} d
+ * @param {number} d.escolaId
+ * @param {"exportacao"|"anonimizacao"} d.tipo
+ * @param {number} [d.alunoId]        titular aluno (senão: responsavelId)
+ * @param {number} [d.responsavelId]  titular responsável
+ * @param {"app_pais"|"secretaria"} d.origem
+ * @param {number} [d.usuarioId]      quem abriu na secretaria
+ * @param {number} [d.abertaPorResponsavelId]
+ * @param {string} [d.motivo]
+ * @param {string} [d.recebidaEm]     "YYYY-MM-DD" do pedido (padrão: hoje) — base do prazo
+ * @param {object} origemAuditoria    req (secretaria) ou contexto montado (app)
+ */
+export async function abrirSolicitacao(db, d, origemAuditoria) {
+  if (!TIPOS.includes(d.tipo)) throw erroHttp(400, `Tipo de solicitação inválido: ${d.tipo}`);
+  const titularTipo = d.alunoId ? "aluno" : "responsavel";
+  if (titularTipo === "responsavel" && !d.responsavelId) throw erroHttp(400, "Informe o aluno ou o responsável titular.");
+  await garantirTitularNaEscola(db, d.escolaId, titularTipo, titularTipo === "aluno" ? d.alunoId : d.responsavelId);
+
+  const [[aberta]] = await db.query(
+    `${SELECT_SOLICITACAO}
+      WHERE escola_id = ? AND tipo = ? AND titular_tipo = ? AND status IN (?)
+        AND ${titularTipo === "aluno" ? "aluno_id" : "responsavel_id"} = ?
+      ORDER BY id DESC LIMIT 1`,
+    [d.escolaId, d.tipo, titularTipo, ABERTAS, titularTipo === "aluno" ? d.alunoId : d.responsavelId]
+  );
+  if (aberta) return { solicitacao: formatarSolicitacao(aberta), existente: true };
+
+  const [r] = await db.query(
+    `INSERT INTO lgpd_solicitacoes
+       (escola_id, tipo, titular_tipo, aluno_id, responsavel_id, origem,
+        aberta_por_usuario_id, aberta_por_responsavel_id, motivo, prazo_em)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      d.escolaId,
+      d.tipo,
+      titularTipo,
+      d.alunoId || null,
+      titularTipo === "responsavel" ? d.responsavelId : null,
+      d.origem,
+      d.usuarioId || null,
+      d.abertaPorResponsavelId || null,
+      d.motivo || null,
+      somarDiasUteis(d.recebidaEm || hojeLocal(), PRAZO_DIAS_UTEIS),
+    ]
+  );
+  let solicitacao = await buscarSolicitacao(db, r.insertId);
+  await auditar(db, origemAuditoria, null, solicitacao);
+
+  if (solicitacao.tipo === "exportacao") {
+    solicitacao = await executarExportacao(db, solicitacao, { usuarioId: d.usuarioId, origemAuditoria });
+  }
+  return { solicitacao, existente: false };
+}
+
+async function mudarStatus(db, sol, campos, origemAuditoria) {
+  const sets = Object.keys(campos).map((c) => `${c} = ?`);
+  await db.query(`UPDATE lgpd_solicitacoes SET ${sets.join(", ")} WHERE id = ?`, [...Object.values(campos), sol.id]);
+  const depois = await buscarSolicitacao(db, sol.id);
+  await auditar(db, origemAuditoria, sol, depois);
+  return depois;
+}
+
+/** Gera (ou gera de novo, se o arquivo expirou) o pacote de exportação. */
+export async function executarExportacao(db, sol, { usuarioId = null, origemAuditoria } = {}) {
+  if (sol.tipo !== "exportacao") throw erroHttp(409, "Solicitação não é de exportação.");
+  if (sol.status === "recusada") throw erroHttp(409, "Solicitação recusada.");
+
+  const { id: jobId } = await enfileirarJob(db, {
+    tipo: "lgpd_exportar",
+    escolaId: sol.escola_id,
+    usuarioId,
+    chave: `lgpd:${sol.id}`,
+    payload: { solicitacao_id: sol.id },
+  });
+  return mudarStatus(db, sol, { status: "em_andamento", job_id: jobId }, origemAuditoria);
+}
+
+/** Enfileira a anonimização (irreversível — a rota exige confirmação). */
+export async function executarAnonimizacao(db, sol, { usuarioId, origemAuditoria }) {
+  if (sol.tipo !== "anonimizacao") throw erroHttp(409, "Solicitação não é de anonimização.");
+  if (!["aberta", "falhou"].includes(sol.status)) throw erroHttp(409, `Solicitação ${sol.status}.`);
+
+  const { id: jobId } = await enfileirarJob(db, {
+    tipo: "lgpd_anonimizar",
+    escolaId: sol.escola_id,
+    usuarioId,
+    chave: `lgpd:${sol.id}`,
+    payload: { solicitacao_id: sol.id },
+  });
+  return mudarStatus(
+    db,
+    sol,
+    { status: "em_andamento", job_id: jobId, atendida_por_usuario_id: usuarioId || null },
+    origemAuditoria
+  );
+}
+
+/** Recusa fundamentada (ex.: anonimização de aluno com matrícula ativa). */
+export async function recusarSolicitacao(db, sol, { usuarioId, resposta, origemAuditoria }) {
+  if (!ABERTAS.includes(sol.status) && sol.status !== "falhou") throw erroHttp(409, `Solicitação ${sol.status}.`);
+  return mudarStatus(
+    db,
+    sol,
+    { status: "recusada", resposta, atendida_por_usuario_id: usuarioId || null, concluida_em: new Date() },
+    origemAuditoria
+  );
+}
+
+export async function arquivoDaSolicitacao(db, sol) {
+  if (sol.tipo !== "exportacao" || sol.status !== "concluida" || !sol.job_id) return null;
+  return buscarArquivoJob(db, sol.job_id);
+}
+
+// -----------------------------------------------------------------------------
+// Jobs
+// -----------------------------------------------------------------------------
+
+function origemJob(ctx) {
+  return { escolaId: ctx.escolaId, usuarioId: ctx.usuarioId, metodo: "JOB", rota: `job:${ctx.tipo}` };
+}
+
+function titularDe(sol) {
+  return {
+    tipo: sol.titular_tipo,
+    escola: sol.escola_id,
+    aluno: sol.aluno_id,
+    responsavel: sol.responsavel_id,
+    solicitacaoId: sol.id,
+  };
+}
+
+// Na última tentativa a solicitação vai para "falhou" (a escola pode refazer)
+async function comFalha(ctx, sol, fn) {
+  try {
+    return await fn();
+  } catch (err) {
+    if (ctx.ultimaTentativa || err.permanente) {
+      await mudarStatus(ctx.db, sol, { status: "falhou", resposta: String(err.message).slice(0, 1000) }, origemJob(ctx)).catch(
+        (e) => log.warn("marcar falha na solicitação falhou (não crítico)", { erro: e.message })
+      );
+    }
+    throw err;
+  }
+}
+
+registrarHandler(
+  "lgpd_exportar",
+  async (ctx) => {
+    const sol = await buscarSolicitacao(ctx.db, ctx.payload.solicitacao_id, { escolaId: ctx.escolaId });
+    if (!sol) throw Object.assign(new Error("Solicitação não encontrada."), { permanente: true });
+
+    return comFalha(ctx, sol, async () => {
+      const { zip, manifesto } = await gerarPacote(ctx.db, titularDe(sol), {
+        aoProgredir: (pct, secao) => ctx.progresso(pct, `Lendo ${secao}`),
+      });
+      const nome = `lgpd_${sol.titular_tipo}_${sol.aluno_id ?? sol.responsavel_id}_solicitacao_${sol.id}.zip`;
+      await ctx.salvarArquivo({ nome, mime: "application/zip", buffer: zip });
+
+      const resultado = {
+        arquivo: nome,
+        bytes: zip.length,
+        secoes: manifesto.secoes.map((s) => ({ nome: s.nome, registros: s.registros })),
+      };
+      await mudarStatus(
+        ctx.db,
+        sol,
+        { status: "concluida", resultado: JSON.stringify(resultado), concluida_em: new Date() },
+        origemJob(ctx)
+      );
+      log.info("exportação pronta", { solicitacao_id: sol.id, bytes: zip.length });
+      return resultado;
+    });
+  },
+  { concorrencia: 1, concorrenciaPorEscola: 1, maxTentativas: 3 }
+);
+
+registrarHandler(
+  "lgpd_anonimizar",
+  async (ctx) => {
+    const sol = await buscarSolicitacao(ctx.db, ctx.payload.solicitacao_id, { escolaId: ctx.escolaId });
+    if (!sol) throw Object.assign(new Error("Solicitação não encontrada."), { permanente: true });
+
+    return comFalha(ctx, sol, async () => {
+      const t = titularDe(sol);
+      const tabelas = sol.titular_tipo === "aluno" ? await anonimizarAluno(ctx.db, t) : await anonimizarResponsavel(ctx.db, t);
+      const resultado = { tabelas };
+      await mudarStatus(
+        ctx.db,
+        sol,
+        { status: "concluida", resultado: JSON.stringify(resultado), concluida_em: new Date() },
+        origemJob(ctx)
+      );
+      log.info("anonimização concluída", { solicitacao_id: sol.id, titular_tipo: sol.titular_tipo });
+      return resultado;
+    });
+  },
+  { concorrencia: 1, concorrenciaPorEscola: 1, maxTentativas: 2 }
+);
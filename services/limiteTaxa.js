@@ -0,0 +1,240 @@
+// services/limiteTaxa.js
+// -----------------------------------------------------------------------------
+// Rate limit e bloqueio progressivo (força bruta) com store plugável.
+//
+//  - Store "mysql" (padrão): tabela `limites_taxa` (migration 0013) —
+//    contadores compartilhados entre instâncias do App Platform.
+//  - Store "memoria": Map local (testes / dev sem banco).
+//    Escolha por RATE_LIMIT_STORE=mysql|memoria.
+//  - Janela fixa por chave: "<regra>:ip:<ip>" ou "<regra>:id:<hash>".
+//    Identificadores (CPF, e-mail, token de convite) entram só como hash —
+//    a tabela não guarda dado pessoal.
+//  - Bloqueio progressivo: N falhas na janela → bloqueio de base × 2^(nível-1),
+//    limitado ao máximo. O nível volta a zero após sucesso ou 24h sem bloqueio.
+//  - Falha do store não bloqueia ninguém (fail-open + log.warn): o login
+//    depende do mesmo banco, então um store fora do ar já é indisponibilidade.
+//
+// API:
+//  - consumir(chave, { janelaMs, max })       → { ok, contador, restante, resetAt }
+//  - verificarBloqueio(chave)                 → { bloqueado, ate, nivel }
+//  - registrarFalha(chave, regra)             → { bloqueado, ate, nivel, falhas }
+//  - registrarSucesso(chave)                  → zera falhas e nível
+//  - hashIdentificador(valor)                 → hash curto para compor a chave
+//  - criarStoreMemoria() / criarStoreMysql(db) / definirStore(store)
+//  - iniciarLimpezaLimites() / pararLimpezaLimites()
+// -----------------------------------------------------------------------------
+import crypto from "crypto";
+import pool from "../db.js";
+import { criarLogger } from "./logger.js";
+
+const log = criarLogger("limite");
+
+const DECAIMENTO_NIVEL_MS = 24 * 60 * 60 * 1000;
+const LIMPEZA_MS = 10 * 60 * 1000;
+
+export function hashIdentificador(valor) {
+  const s = String(valor ?? "").trim().toLowerCase();
+  if (!s) return null;
+  return crypto.createHash("sha256").update(s).digest("hex").slice(0, 32);
+}
+
+// ── Stores ───────────────────────────────────────────────────────────────────
+// Contrato: incrementar(chave, janelaMs, agora) → { contador, resetAt }
+//           ler(chave) → { contador, resetAt, nivel, bloqueadoAte } | null
+//           bloquear(chave, ate, nivel) (zera o contador)
+//           remover(chave)
+//           limparExpirados(agora)
+// Tempos em ms (epoch).
+
+export function criarStoreMemoria() {
+  const mapa = new Map();
+
+  return {
+    tipo: "memoria",
+    async incrementar(chave, janelaMs, agora) {
+      const cur = mapa.get(chave) || { contador: 0, resetAt: 0, nivel: 0, bloqueadoAte: null };
+      if (agora >= cur.resetAt) {
+        cur.contador = 1;
+        cur.resetAt = agora + janelaMs;
+      } else {
+        cur.contador += 1;
+      }
+      mapa.set(chave, cur);
+      return { contador: cur.contador, resetAt: cur.resetAt };
+    },
+    async ler(chave) {
+      const cur = mapa.get(chave);
+      return cur ? { ...cur } : null;
+    },
+    async bloquear(chave, ate, nivel) {
+      const cur = mapa.get(chave) || { resetAt: 0 };
+      mapa.set(chave, { ...cur, contador: 0, resetAt: 0, nivel, bloqueadoAte: ate });
+    },
+    async remover(chave) {
+      mapa.delete(chave);
+    },
+    async limparExpirados(agora) {
+      for (const [chave, cur] of mapa) {
+        const ultimoBloqueio = cur.bloqueadoAte || 0;
+        if (agora >= cur.resetAt && agora - ultimoBloqueio > DECAIMENTO_NIVEL_MS) mapa.delete(chave);
+      }
+    },
+  };
+}
+
+export function criarStoreMysql(db = pool) {
+  const data = (ms) => new Date(ms);
+  const ms = (d) => (d ? new Date(d).getTime() : null);
+
+  return {
+    tipo: "mysql",
+    async incrementar(chave, janelaMs, agora) {
+      // Atômico: janela vencida recomeça em 1, senão soma — várias instâncias
+      // disputando a mesma chave não perdem incremento.
+      await db.query(
+        `INSERT INTO limites_taxa (chave, contador, janela_fim)
+         VALUES (?, 1, ?)
+         ON DUPLICATE KEY UPDATE
+           contador   = IF(janela_fim IS NULL OR janela_fim <= ?, 1, contador + 1),
+           janela_fim = IF(janela_fim IS NULL OR janela_fim <= ?, VALUES(janela_fim), janela_fim)`,
+        [chave, data(agora + janelaMs), data(agora), data(agora)]
+      );
+      const [[row]] = await db.query(
+        "SELECT contador, janela_fim FROM limites_taxa WHERE chave = ?",
+        [chave]
+      );
+      return { contador: Number(row?.contador) || 1, resetAt: ms(row?.janela_fim) ?? agora + janelaMs };
+    },
+    async ler(chave) {
+      const [[row]] = await db.query(
+        "SELECT contador, janela_fim, nivel, bloqueado_ate FROM limites_taxa WHERE chave = ?",
+        [chave]
+      );
+      if (!row) return null;
+      return {
+        contador: Number(row.contador) || 0,
+        resetAt: ms(row.janela_fim) ?? 0,
+        nivel: Number(row.nivel) || 0,
+        bloqueadoAte: ms(row.bloqueado_ate),
+      };
+    },
+    async bloquear(chave, ate, nivel) {
+      await db.query(
+        `INSERT INTO limites_taxa (chave, contador, janela_fim, nivel, bloqueado_ate)
+         VALUES (?, 0, NULL, ?, ?)
+         ON DUPLICATE KEY UPDATE contador = 0, janela_fim = NULL,
+           nivel = VALUES(nivel), bloqueado_ate = VALUES(bloqueado_ate)`,
+        [chave, nivel, data(ate)]
+      );
+    },
+    async remover(chave) {
+      await db.query("DELETE FROM limites_taxa WHERE chave = ?", [chave]);
+    },
+    async limparExpirados(agora) {
+      await db.query(
+        `DELETE FROM limites_taxa
+          WHERE (janela_fim IS NULL OR janela_fim <= ?)
+            AND (bloqueado_ate IS NULL OR bloqueado_ate <= ?)`,
+        [data(agora), data(agora - DECAIMENTO_NIVEL_MS)]
+      );
+    },
+  };
+}
+
+let storeAtual = null;
+
+function store() {
+  if (!storeAtual) {
+    const tipo = String(process.env.RATE_LIMIT_STORE || "mysql").toLowerCase();
+    storeAtual = tipo === "memoria" ? criarStoreMemoria() : criarStoreMysql(pool);
+  }
+  return storeAtual;
+}
+
+/** Troca o store (testes, ou outro backend com o mesmo contrato). */
+export function definirStore(novo) {
+  storeAtual = novo;
+}
+
+function avisarFalhaStore(op, err) {
+  log.warn("store falhou (não crítico)", { store: storeAtual?.tipo || "?", operacao: op, erro: err.message });
+}
+
+// ── Operações ────────────────────────────────────────────────────────────────
+
+export async function consumir(chave, { janelaMs, max }) {
+  const agora = Date.now();
+  try {
+    const { contador, resetAt } = await store().incrementar(chave, janelaMs, agora);
+    return { ok: contador <= max, contador, restante: Math.max(0, max - contador), resetAt };
+  } catch (err) {
+    avisarFalhaStore("consumir", err);
+    return { ok: true, contador: 0, restante: max, resetAt: agora + janelaMs };
+  }
+}
+
+export async function verificarBloqueio(chave) {
+  try {
+    const cur = await store().ler(chave);
+    const agora = Date.now();
+    if (cur?.bloqueadoAte && cur.bloqueadoAte > agora) {
+      return { bloqueado: true, ate: cur.bloqueadoAte, nivel: cur.nivel };
+    }
+    return { bloqueado: false, ate: null, nivel: cur?.nivel || 0 };
+  } catch (err) {
+    avisarFalhaStore("verificarBloqueio", err);
+    return { bloqueado: false, ate: null, nivel: 0 };
+  }
+}
+
+/**
+ * Conta uma falha (código/senha errados). Ao atingir maxFalhas na janela,
+ * bloqueia por bloqueioBaseMs × 2^(nível-1), até bloqueioMaxMs.
+ */
+export async function registrarFalha(chave, { maxFalhas, janelaMs, bloqueioBaseMs, bloqueioMaxMs }) {
+  const agora = Date.now();
+  try {
+    const s = store();
+    const anterior = await s.ler(chave);
+    const { contador } = await s.incrementar(chave, janelaMs, agora);
+    if (contador < maxFalhas) return { bloqueado: false, ate: null, nivel: anterior?.nivel || 0, falhas: contador };
+
+    const ultimoBloqueio = anterior?.bloqueadoAte || 0;
+    const nivelAnterior = agora - ultimoBloqueio > DECAIMENTO_NIVEL_MS ? 0 : anterior?.nivel || 0;
+    const nivel = nivelAnterior + 1;
+    const duracao = Math.min(bloqueioBaseMs * 2 ** (nivel - 1), bloqueioMaxMs);
+    const ate = agora + duracao;
+    await s.bloquear(chave, ate, nivel);
+    return { bloqueado: true, ate, nivel, falhas: contador };
+  } catch (err) {
+    avisarFalhaStore("registrarFalha", err);
+    return { bloqueado: false, ate: null, nivel: 0, falhas: 0 };
+  }
+}
+
+export async function registrarSucesso(chave) {
+  try {
+    await store().remover(chave);
+  } catch (err) {
+    avisarFalhaStore("registrarSucesso", err);
+  }
+}
+
+// ── Limpeza periódica ───────────────────────────────────────────────────────
+
+let timerLimpeza = null;
+
+export function iniciarLimpezaLimites() {
+  if (timerLimpeza) return;
+  timerLimpeza = setInterval(() => {
+    store()
+      .limparExpirados(Date.now())
+      .catch((err) => avisarFalhaStore("limparExpirados", err));
+  }, LIMPEZA_MS);
+  timerLimpeza.unref?.();
+}
+
+export function pararLimpezaLimites() {
+  if (timerLimpeza) clearInterval(timerLimpeza);
+  timerLimpeza = null;
+}
@@ -0,0 +1,281 @@
+// services/logger.js
+// -----------------------------------------------------------------------------
+// Log estruturado: uma linha JSON por evento, com nível, timestamp, módulo e o
+// contexto da requisição (request_id, escola_id, usuario_id, rota).
+//
+//  - Contexto por AsyncLocalStorage: middleware/correlacao.js abre o contexto
+//    no início do request; jobs (services/jobQueue.js) reabrem com o
+//    request_id de quem enfileirou. Chamadas externas (OMR, OpenAI, Playwright)
+//    levam o id no header X-Request-Id via cabecalhosCorrelacao()/comCorrelacao().
+//  - Redação automática: CPF, telefone, e-mail, JWT/Bearer em qualquer texto, e
+//    valores de chaves sensíveis (senha, token, cpf, email...) em objetos.
+//  - Níveis: debug < info < warn < error. Padrão por LOG_LEVEL (info) e por
+//    módulo em LOG_LEVELS="rbac=debug,mapa-nota=warn"; em runtime por
+//    definirNivel() (PUT /api/plataforma/logs/niveis — vale para a instância).
+//  - console.* legado: instalarConsoleEstruturado() passa tudo pelo logger; o
+//    módulo sai do prefixo "[TAG]" e "[... DEBUG]" vira nível debug.
+//  - LOG_FORMAT=texto → linha legível para dev local (padrão: json).
+//
+// API:
+//  - criarLogger(modulo)                        → { debug, info, warn, error }
+//  - executarComContexto(ctx, fn)               → roda fn com o contexto
+//  - contextoLog()                              → { request_id, escola_id, ... }
+//  - cabecalhosCorrelacao(headers?)             → headers + X-Request-Id
+//  - comCorrelacao(fetchFn)                     → fetch que propaga o id
+//  - definirNivel(modulo, nivel) / niveisLog()
+//  - redigir(valor) / instalarConsoleEstruturado()
+// -----------------------------------------------------------------------------
+import { AsyncLocalStorage } from "async_hooks";
+import util from "util";
+
+export const NIVEIS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const armazenamento = new AsyncLocalStorage();
+
+// ── Níveis ───────────────────────────────────────────────────────────────────
+
+function normalizarNivel(nivel) {
+  const n = String(nivel || "").trim().toLowerCase();
+  return NIVEIS[n] ? n : null;
+}
+
+function lerNiveisEnv(texto) {
+  const mapa = new Map();
+  for (const par of String(texto || "").split(",")) {
+    const [modulo, nivel] = par.split("=").map((s) => s?.trim());
+    if (modulo && normalizarNivel(nivel)) mapa.set(modulo.toLowerCase(), normalizarNivel(nivel));
+  }
+  return mapa;
+}
+
+// Lidos no primeiro uso: o import acontece antes do dotenv do server.js
+let nivelPadrao = null;
+let niveisModulo = null;
+
+function carregarNiveis() {
+  if (niveisModulo) return;
+  nivelPadrao = normalizarNivel(process.env.LOG_LEVEL) || "info";
+  niveisModulo = lerNiveisEnv(process.env.LOG_LEVELS);
+}
+
+function nivelDoModulo(modulo) {
+  carregarNiveis();
+  return niveisModulo.get(modulo) || nivelPadrao;
+}
+
+/**
+ * Altera o nível em runtime. modulo "*" = padrão; nivel null remove o
+ * override do módulo (volta ao padrão).
+ */
+export function definirNivel(modulo, nivel) {
+  carregarNiveis();
+  const m = String(modulo || "").trim().toLowerCase();
+  if (!m) throw Object.assign(new Error("Informe o módulo."), { status: 400 });
+
+  if (nivel == null) {
+    if (m === "*") throw Object.assign(new Error("O nível padrão não pode ser removido."), { status: 400 });
+    niveisModulo.delete(m);
+    return niveisLog();
+  }
+
+  const n = normalizarNivel(nivel);
+  if (!n) {
+    throw Object.assign(new Error(`Nível inválido (use ${Object.keys(NIVEIS).join(", ")}).`), { status: 400 });
+  }
+  if (m === "*") nivelPadrao = n;
+  else niveisModulo.set(m, n);
+  return niveisLog();
+}
+
+export function niveisLog() {
+  carregarNiveis();
+  return { padrao: nivelPadrao, modulos: Object.fromEntries(niveisModulo) };
+}
+
+// ── Redação ──────────────────────────────────────────────────────────────────
+
+const CHAVES_SECRETAS = /senha|password|passwd|secret|token|authorization|cookie|otp|api[_-]?key|refresh/i;
+const CHAVES_PESSOAIS = /^(cpf|cpf_\w+|\w+_cpf|email|e_mail|\w+_email|telefone\w*|celular\w*|whatsapp\w*|phone|to)$/i;
+
+// Só formatos inequívocos: dígitos soltos (IDs, timestamps, códigos) passam;
+// CPF/telefone sem máscara só somem quando vêm em campo pessoal (acima).
+const PADROES = [
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, "[token]"],
+  [/\bBearer\s+[\w.~+/-]+=*/gi, "Bearer [token]"],
+  [/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, "[email]"],
+  [/\b\d{3}\.\d{3}\.\d{3}-\d{2}\b/g, "[cpf]"],
+  [/(?:\+?55\s?)?\(\d{2}\)\s?9?\d{4}-?\d{4}\b|\b\d{2}\s9?\d{4}-\d{4}\b/g, "[telefone]"],
+];
+
+function redigirTexto(texto) {
+  let s = texto;
+  for (const [re, troca] of PADROES) s = s.replace(re, troca);
+  return s;
+}
+
+/** Cópia do valor com dados pessoais e segredos mascarados. */
+export function redigir(valor, profundidade = 0) {
+  if (valor == null) return valor;
+  if (typeof valor === "string") return redigirTexto(valor);
+  if (typeof valor !== "object") return valor;
+  if (profundidade > 6) return "[...]";
+  if (valor instanceof Date) return valor;
+  if (Buffer.isBuffer(valor)) return `[buffer ${valor.length} bytes]`;
+  if (valor instanceof Error) {
+    return { nome: valor.name, mensagem: redigirTexto(String(valor.message)), code: valor.code };
+  }
+  if (Array.isArray(valor)) return valor.map((v) => redigir(v, profundidade + 1));
+
+  const out = {};
+  for (const [k, v] of Object.entries(valor)) {
+    if (v != null && v !== "" && (CHAVES_SECRETAS.test(k) || CHAVES_PESSOAIS.test(k))) {
+      out[k] = "[redigido]";
+    } else {
+      out[k] = redigir(v, profundidade + 1);
+    }
+  }
+  return out;
+}
+
+// ── Contexto ─────────────────────────────────────────────────────────────────
+
+/**
+ * Roda fn dentro do contexto. `ctx.req` (opcional) é lido na hora do log:
+ * escola/usuário só existem depois de autenticarToken/verificarEscola.
+ */
+export function executarComContexto(ctx, fn) {
+  return armazenamento.run(ctx, fn);
+}
+
+export function contextoLog() {
+  const ctx = armazenamento.getStore();
+  if (!ctx) return {};
+  const { req, ...resto } = ctx;
+  if (!req) return resto;
+  const u = req.user || {};
+  return {
+    ...resto,
+    escola_id: req.escola_id ?? u.escola_id ?? undefined,
+    usuario_id: u.usuarioId ?? u.id ?? u.usuario_id ?? undefined,
+    rota: `${req.method} ${rotaDaRequisicao(req)}`,
+  };
+}
+
+// Padrão da rota (/api/alunos/:cpf) quando o Express já casou a requisição —
+// parâmetros de caminho (CPF, código) não vão para o log; senão a URL redigida.
+function rotaDaRequisicao(req) {
+  if (req.route?.path && typeof req.route.path === "string") return `${req.baseUrl || ""}${req.route.path}`;
+  return redigirTexto(String(req.originalUrl || req.url || "").split("?")[0]);
+}
+
+export function requestIdAtual() {
+  return armazenamento.getStore()?.request_id || null;
+}
+
+/** Headers de saída com X-Request-Id (aceita objeto simples ou Headers). */
+export function cabecalhosCorrelacao(headers = {}) {
+  const id = requestIdAtual();
+  if (!id) return headers;
+  if (typeof headers?.set === "function") {
+    headers.set("X-Request-Id", id);
+    return headers;
+  }
+  return { ...headers, "X-Request-Id": id };
+}
+
+/** Envolve um fetch (global ou node-fetch) para propagar o request_id. */
+export function comCorrelacao(fetchFn) {
+  return (url, init = {}) => fetchFn(url, { ...init, headers: cabecalhosCorrelacao(init.headers) });
+}
+
+// ── Saída ────────────────────────────────────────────────────────────────────
+
+function formatoTexto() {
+  return String(process.env.LOG_FORMAT || "").toLowerCase() === "texto";
+}
+
+function emitir(nivel, modulo, msg, campos) {
+  const ctx = contextoLog();
+  const linha = {
+    ts: new Date().toISOString(),
+    level: nivel,
+    modulo,
+    msg: redigirTexto(String(msg ?? "")),
+    ...Object.fromEntries(Object.entries(ctx).filter(([, v]) => v !== undefined && v !== null)),
+    ...(campos ? redigir(campos) : {}),
+  };
+
+  let saida;
+  if (formatoTexto()) {
+    const { ts, level, modulo: m, msg: texto, ...resto } = linha;
+    const extra = Object.keys(resto).length ? ` ${JSON.stringify(resto)}` : "";
+    saida = `${ts.slice(11, 23)} ${level.toUpperCase().padEnd(5)} [${m}] ${texto}${extra}\n`;
+  } else {
+    try {
+      saida = `${JSON.stringify(linha)}\n`;
+    } catch {
+      // campos não serializáveis (BigInt, ciclo): mantém a mensagem e o contexto
+      const { ts, level, modulo: m, msg: texto } = linha;
+      saida = `${JSON.stringify({ ts, level, modulo: m, msg: texto, ...ctx, campos_invalidos: true })}\n`;
+    }
+  }
+  (NIVEIS[nivel] >= NIVEIS.warn ? process.stderr : process.stdout).write(saida);
+}
+
+function deveEmitir(nivel, modulo) {
+  return NIVEIS[nivel] >= NIVEIS[nivelDoModulo(modulo)];
+}
+
+/**
+ * Logger do módulo. Cada método recebe (msg, campos?) — campos é um objeto
+ * que entra na linha JSON (já redigido). Um Error em campos.err vira
+ * { nome, mensagem, code }.
+ */
+export function criarLogger(modulo) {
+  const m = String(modulo || "app").toLowerCase();
+  const log = (nivel) => (msg, campos) => {
+    if (deveEmitir(nivel, m)) emitir(nivel, m, msg, campos);
+  };
+  return { debug: log("debug"), info: log("info"), warn: log("warn"), error: log("error") };
+}
+
+// ── Ponte do console legado ──────────────────────────────────────────────────
+
+const TAG = /^\s*\[([^\]]+)\]/;
+
+/** "[RBAC DEBUG] ..." → { modulo: "rbac", debug: true } */
+export function moduloDoPrefixo(texto) {
+  const m = TAG.exec(texto);
+  if (!m) return { modulo: "app", debug: false };
+  const tag = m[1].trim();
+  return {
+    modulo: tag.split(/[\s/:]+/)[0].toLowerCase() || "app",
+    debug: /\bDEBUG\b/i.test(tag),
+  };
+}
+
+let consoleOriginal = null;
+
+export function instalarConsoleEstruturado() {
+  if (consoleOriginal) return;
+  consoleOriginal = { log: console.log, info: console.info, warn: console.warn, error: console.error, debug: console.debug };
+
+  const ponte = (nivel) => (...args) => {
+    const texto = util.format(...args.map((a) => (a && typeof a === "object" ? redigir(a) : a)));
+    const { modulo, debug } = moduloDoPrefixo(texto);
+    const efetivo = debug ? "debug" : nivel;
+    if (deveEmitir(efetivo, modulo)) emitir(efetivo, modulo, texto);
+  };
+
+  console.log = ponte("info");
+  console.info = ponte("info");
+  console.warn = ponte("warn");
+  console.error = ponte("error");
+  console.debug = ponte("debug");
+}
+
+export function restaurarConsole() {
+  if (!consoleOriginal) return;
+  Object.assign(console, consoleOriginal);
+  consoleOriginal = null;
+}
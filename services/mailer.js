@@ -1,18 +1,31 @@
 // services/mailer.js
 import nodemailer from "nodemailer";
 
-const transporter = nodemailer.createTransport({
-  host: process.env.MAIL_HOST,
-  port: Number(process.env.MAIL_PORT || 587),
-  secure: false, // se usar porta 465, mude para true
-  auth: {
-    user: process.env.MAIL_USER,
-    pass: process.env.MAIL_PASS,
-  },
-});
+// Criado no primeiro envio: no import o dotenv do server.js ainda não rodou
+let transporter = null;
+
+function obterTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.MAIL_HOST,
+      port: Number(process.env.MAIL_PORT || 587),
+      secure: false, // se usar porta 465, mude para true
+      auth: {
+        user: process.env.MAIL_USER,
+        pass: process.env.MAIL_PASS,
+      },
+    });
+  }
+  return transporter;
+}
+
+/** SMTP configurado (MAIL_HOST + MAIL_USER)? */
+export function emailConfigurado() {
+  return Boolean(process.env.MAIL_HOST && process.env.MAIL_USER);
+}
 
 export async function enviarEmail({ to, subject, text, html }) {
-  const info = await transporter.sendMail({
+  const info = await obterTransporter().sendMail({
     from: `"EDUCA.MELHOR" <${process.env.MAIL_FROM || process.env.MAIL_USER}>`,
     to,
     subject,
@@ -0,0 +1,284 @@
+// services/metricas.js
+// -----------------------------------------------------------------------------
+// Métricas no formato texto do Prometheus (GET /metrics — routes/metricas.js).
+// Registro em memória, por instância: cada réplica expõe as suas e o
+// Prometheus agrega.
+//
+//  - contador(nome, ajuda, rotulos)            → { inc(rotulos, valor=1) }
+//  - histograma(nome, ajuda, rotulos, buckets) → { observar(rotulos, s), iniciar(rotulos) → fim() }
+//  - medidor(nome, ajuda, rotulos, coletar?)   → { set(rotulos, valor) }
+//      coletar() é chamado a cada scrape e devolve [[rotulos, valor], ...]
+//      (para estado que já existe em outro lugar: pool MySQL, clientes SSE)
+//  - medirDependencia(servico, endpoint, fn)   → cronometra chamada externa
+//  - instrumentarFetch(fetchFn, opcoes)        → fetch que mede OMR & cia.
+//  - registrarUsoOpenAI({ modelo, usage, escolaId }) → tokens e custo estimado
+//  - monitorarPoolMysql(pool) / exportarMetricas()
+//
+// Rótulos: só valores de cardinalidade baixa (rota como template, escola_id,
+// tipo de job, câmera). Nunca ids de aluno/usuário ou URLs cruas.
+// -----------------------------------------------------------------------------
+
+const PREFIXO = "educa_";
+
+export const BUCKETS_HTTP = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+export const BUCKETS_LENTOS = [0.5, 1, 2, 5, 10, 20, 30, 60, 120, 300];
+
+const registro = new Map(); // nome -> métrica
+
+// ── Registro ─────────────────────────────────────────────────────────────────
+
+function chaveRotulos(nomes, rotulos = {}) {
+  return JSON.stringify(nomes.map((n) => (rotulos[n] == null ? "" : String(rotulos[n]))));
+}
+
+function registrar(tipo, nome, ajuda, rotulos, extra = {}) {
+  const completo = PREFIXO + nome;
+  const existente = registro.get(completo);
+  if (existente) {
+    if (existente.tipo !== tipo) throw new Error(`Métrica ${completo} já registrada como ${existente.tipo}`);
+    return existente;
+  }
+  const metrica = { tipo, nome: completo, ajuda, rotulos, series: new Map(), ...extra };
+  registro.set(completo, metrica);
+  return metrica;
+}
+
+export function contador(nome, ajuda, rotulos = []) {
+  const m = registrar("counter", nome, ajuda, rotulos);
+  return {
+    inc(valores = {}, valor = 1) {
+      const k = chaveRotulos(m.rotulos, valores);
+      m.series.set(k, (m.series.get(k) || 0) + valor);
+    },
+  };
+}
+
+export function medidor(nome, ajuda, rotulos = [], coletar = null) {
+  const m = registrar("gauge", nome, ajuda, rotulos, { coletar });
+  return {
+    set(valores = {}, valor) {
+      m.series.set(chaveRotulos(m.rotulos, valores), Number(valor) || 0);
+    },
+  };
+}
+
+export function histograma(nome, ajuda, rotulos = [], buckets = BUCKETS_HTTP) {
+  const m = registrar("histogram", nome, ajuda, rotulos, { buckets: [...buckets].sort((a, b) => a - b) });
+  const observar = (valores = {}, segundos) => {
+    const k = chaveRotulos(m.rotulos, valores);
+    let s = m.series.get(k);
+    if (!s) {
+      s = { contagens: new Array(m.buckets.length).fill(0), soma: 0, total: 0 };
+      m.series.set(k, s);
+    }
+    const v = Number(segundos) || 0;
+    for (let i = 0; i < m.buckets.length; i++) if (v <= m.buckets[i]) s.contagens[i]++;
+    s.soma += v;
+    s.total++;
+  };
+  return {
+    observar,
+    /** Cronômetro: const fim = h.iniciar({...}); ...; fim({ resultado: "ok" }) */
+    iniciar(valores = {}) {
+      const inicio = process.hrtime.bigint();
+      return (extras = {}) => {
+        const s = Number(process.hrtime.bigint() - inicio) / 1e9;
+        observar({ ...valores, ...extras }, s);
+        return s;
+      };
+    },
+  };
+}
+
+// ── Dependências externas (OMR, OpenAI, ...) ─────────────────────────────────
+
+const chamadasDependencia = contador(
+  "dependencia_chamadas_total",
+  "Chamadas a serviços externos por resultado (ok, erro_http, falha).",
+  ["servico", "endpoint", "resultado"]
+);
+const duracaoDependencia = histograma(
+  "dependencia_duracao_segundos",
+  "Latência das chamadas a serviços externos.",
+  ["servico", "endpoint"],
+  [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]
+);
+
+/**
+ * Cronometra fn() como chamada ao serviço externo. Exceção conta como
+ * "falha" (rede/timeout) e é repassada.
+ */
+export async function medirDependencia(servico, endpoint, fn) {
+  const fim = duracaoDependencia.iniciar({ servico, endpoint });
+  try {
+    const r = await fn();
+    fim();
+    chamadasDependencia.inc({ servico, endpoint, resultado: "ok" });
+    return r;
+  } catch (err) {
+    fim();
+    chamadasDependencia.inc({ servico, endpoint, resultado: "falha" });
+    throw err;
+  }
+}
+
+/**
+ * Envolve um fetch: endpoint(url) devolve o rótulo da chamada ou null (não
+ * mede — ex.: download de imagem que passa pelo mesmo fetch). Resposta não-2xx
+ * conta como "erro_http".
+ */
+export function instrumentarFetch(fetchFn, { servico, endpoint }) {
+  return async (url, init) => {
+    const rotulo = endpoint(String(url));
+    if (!rotulo) return fetchFn(url, init);
+
+    const fim = duracaoDependencia.iniciar({ servico, endpoint: rotulo });
+    try {
+      const resp = await fetchFn(url, init);
+      fim();
+      chamadasDependencia.inc({ servico, endpoint: rotulo, resultado: resp.ok ? "ok" : "erro_http" });
+      return resp;
+    } catch (err) {
+      fim();
+      chamadasDependencia.inc({ servico, endpoint: rotulo, resultado: "falha" });
+      throw err;
+    }
+  };
+}
+
+// Preço por 1k tokens (USD). OPENAI_PRECOS='{"gpt-4o-mini":{"entrada":0.00015,"saida":0.0006}}'
+// sobrescreve/completa a tabela; modelo fora da tabela conta tokens sem custo.
+const PRECOS_OPENAI = {
+  "gpt-3.5-turbo": { entrada: 0.0005, saida: 0.0015 },
+  "gpt-4o-mini": { entrada: 0.00015, saida: 0.0006 },
+  "gpt-4o": { entrada: 0.0025, saida: 0.01 },
+};
+
+function precosOpenAI() {
+  try {
+    return { ...PRECOS_OPENAI, ...JSON.parse(process.env.OPENAI_PRECOS || "{}") };
+  } catch {
+    return PRECOS_OPENAI;
+  }
+}
+
+const tokensOpenAI = contador("openai_tokens_total", "Tokens consumidos na OpenAI.", ["modelo", "tipo", "escola_id"]);
+const custoOpenAI = contador(
+  "openai_custo_estimado_usd_total",
+  "Custo estimado da OpenAI (USD, pela tabela de preços).",
+  ["modelo", "escola_id"]
+);
+
+/** Contabiliza o `usage` de uma resposta da OpenAI. */
+export function registrarUsoOpenAI({ modelo, usage, escolaId = null }) {
+  if (!usage) return;
+  const entrada = Number(usage.prompt_tokens) || 0;
+  const saida = Number(usage.completion_tokens) || 0;
+  const escola_id = escolaId ?? "";
+  tokensOpenAI.inc({ modelo, tipo: "entrada", escola_id }, entrada);
+  tokensOpenAI.inc({ modelo, tipo: "saida", escola_id }, saida);
+
+  const preco = precosOpenAI()[modelo];
+  if (preco) {
+    custoOpenAI.inc({ modelo, escola_id }, (entrada / 1000) * preco.entrada + (saida / 1000) * preco.saida);
+  }
+}
+
+// ── Playwright ───────────────────────────────────────────────────────────────
+
+/** Do launch do Chromium ao buffer do PDF. origem: boletim | prova. */
+export const duracaoPdfPlaywright = histograma(
+  "pdf_playwright_duracao_segundos",
+  "Tempo de geração de PDF no Playwright por origem, escola e resultado.",
+  ["origem", "escola_id", "resultado"],
+  BUCKETS_LENTOS
+);
+
+// ── Processo e MySQL ─────────────────────────────────────────────────────────
+
+medidor("processo_memoria_bytes", "Memória do processo Node.", ["tipo"], () => {
+  const m = process.memoryUsage();
+  return [
+    [{ tipo: "rss" }, m.rss],
+    [{ tipo: "heap_usado" }, m.heapUsed],
+    [{ tipo: "heap_total" }, m.heapTotal],
+  ];
+});
+medidor("processo_uptime_segundos", "Tempo desde o início do processo.", [], () => [[{}, Math.round(process.uptime())]]);
+
+/**
+ * Saturação do pool mysql2: conexões abertas/livres, pedidos esperando
+ * conexão e o limite configurado. Lê o estado interno do pool no scrape.
+ */
+export function monitorarPoolMysql(pool) {
+  const interno = pool?.pool || pool;
+  medidor("mysql_pool_conexoes", "Conexões do pool MySQL por estado.", ["estado"], () => {
+    const total = interno?._allConnections?.length ?? 0;
+    const livres = interno?._freeConnections?.length ?? 0;
+    return [
+      [{ estado: "abertas" }, total],
+      [{ estado: "livres" }, livres],
+      [{ estado: "em_uso" }, total - livres],
+    ];
+  });
+  medidor("mysql_pool_fila_espera", "Pedidos aguardando conexão livre do pool.", [], () => [
+    [{}, interno?._connectionQueue?.length ?? 0],
+  ]);
+  medidor("mysql_pool_limite", "connectionLimit do pool MySQL.", [], () => [
+    [{}, interno?.config?.connectionLimit ?? 0],
+  ]);
+}
+
+// ── Exposição ────────────────────────────────────────────────────────────────
+
+function escapar(valor) {
+  return String(valor).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatarRotulos(nomes, valores, extra = "") {
+  const partes = nomes.map((n, i) => `${n}="${escapar(valores[i])}"`);
+  if (extra) partes.push(extra);
+  return partes.length ? `{${partes.join(",")}}` : "";
+}
+
+function formatarNumero(v) {
+  if (v === Infinity) return "+Inf";
+  return Number.isInteger(v) ? String(v) : String(Number(v.toFixed(6)));
+}
+
+/** Todas as métricas no formato texto 0.0.4 do Prometheus. */
+export function exportarMetricas() {
+  const linhas = [];
+  for (const m of registro.values()) {
+    let series = [...m.series.entries()];
+    if (m.coletar) {
+      try {
+        series = m.coletar().map(([rotulos, valor]) => [chaveRotulos(m.rotulos, rotulos), Number(valor) || 0]);
+      } catch (err) {
+        console.warn(`[METRICAS] coleta de ${m.nome} falhou (não crítico):`, err.message);
+        continue;
+      }
+    }
+
+    linhas.push(`# HELP ${m.nome} ${m.ajuda}`, `# TYPE ${m.nome} ${m.tipo}`);
+    for (const [k, valor] of series) {
+      const rotulos = JSON.parse(k);
+      if (m.tipo !== "histogram") {
+        linhas.push(`${m.nome}${formatarRotulos(m.rotulos, rotulos)} ${formatarNumero(valor)}`);
+        continue;
+      }
+      m.buckets.forEach((le, i) => {
+        linhas.push(`${m.nome}_bucket${formatarRotulos(m.rotulos, rotulos, `le="${le}"`)} ${valor.contagens[i]}`);
+      });
+      linhas.push(`${m.nome}_bucket${formatarRotulos(m.rotulos, rotulos, 'le="+Inf"')} ${valor.total}`);
+      linhas.push(`${m.nome}_sum${formatarRotulos(m.rotulos, rotulos)} ${formatarNumero(valor.soma)}`);
+      linhas.push(`${m.nome}_count${formatarRotulos(m.rotulos, rotulos)} ${valor.total}`);
+    }
+  }
+  return `${linhas.join("\n")}\n`;
+}
+
+/** Zera as séries (testes). Os registros continuam valendo. */
+export function zerarMetricas() {
+  for (const m of registro.values()) m.series.clear();
+}
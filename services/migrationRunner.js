@@ -0,0 +1,317 @@
+// services/migrationRunner.js
+// -----------------------------------------------------------------------------
+// Migrações versionadas de schema (substitui ensureTable() nos routers e os
+// scripts run_migration_*.js soltos na raiz).
+//
+//  - Cada migração é um arquivo em migrations/versions/NNNN_descricao.js que
+//    exporta `descricao` e `async function up(db)`.
+//  - As aplicadas ficam registradas em `schema_migrations` com checksum SHA-256
+//    do arquivo (quebras de linha normalizadas — o time desenvolve no Windows).
+//  - Execução serializada por GET_LOCK: dois containers subindo ao mesmo tempo
+//    não aplicam a mesma migração duas vezes.
+//
+// API:
+//  - listarMigracoes()                      → arquivos disponíveis (ordenados)
+//  - statusMigracoes(pool)                  → aplicadas / pendentes / divergentes
+//  - aplicarMigracoes(pool, { log })        → aplica as pendentes, em ordem
+//  - verificarMigracoes(pool)               → confere checksums (drift)
+//  - verificarMigracoesNoBoot(pool)         → política de boot (MIGRATIONS_MODE)
+//  - colunaExiste / indiceExiste / tabelaExiste / adicionarColunas / adicionarIndice
+//    → helpers idempotentes para as migrações (bancos antigos já têm parte do schema)
+// -----------------------------------------------------------------------------
+import crypto from "crypto";
+import fs from "fs";
+import { dirname, join } from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const MIGRATIONS_DIR = join(__dirname, "..", "migrations", "versions");
+
+const LOCK_NAME = "educa_schema_migrations";
+const LOCK_TIMEOUT_S = 120;
+const ARQUIVO_RE = /^(\d{4})_([a-z0-9_]+)\.js$/;
+
+// -----------------------------------------------------------------------------
+// Helpers idempotentes (usados pelas migrações)
+// -----------------------------------------------------------------------------
+
+export async function tabelaExiste(db, tabela) {
+  const [rows] = await db.query(
+    `SELECT 1 FROM INFORMATION_SCHEMA.TABLES
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?
+      LIMIT 1`,
+    [tabela]
+  );
+  return rows.length > 0;
+}
+
+export async function colunaExiste(db, tabela, coluna) {
+  const [rows] = await db.query(
+    `SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+      LIMIT 1`,
+    [tabela, coluna]
+  );
+  return rows.length > 0;
+}
+
+export async function indiceExiste(db, tabela, indice) {
+  const [rows] = await db.query(
+    `SELECT 1 FROM INFORMATION_SCHEMA.STATISTICS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?
+      LIMIT 1`,
+    [tabela, indice]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Adiciona as colunas ausentes em um único ALTER TABLE.
+ *
+ * @param {object} db
+ * @param {string} tabela
+ * @param {Array<[string, string]>} colunas - pares [nome, definição SQL]
+ * @returns {Promise<string[]>} nomes das colunas efetivamente adicionadas
+ */
+export async function adicionarColunas(db, tabela, colunas) {
+  const adds = [];
+  const adicionadas = [];
+  for (const [nome, definicao] of colunas) {
+    if (await colunaExiste(db, tabela, nome)) continue;
+    adds.push(`ADD COLUMN ${nome} ${definicao}`);
+    adicionadas.push(nome);
+  }
+  if (adds.length) await db.query(`ALTER TABLE ${tabela} ${adds.join(", ")}`);
+  return adicionadas;
+}
+
+export async function adicionarIndice(db, tabela, indice, definicao) {
+  if (await indiceExiste(db, tabela, indice)) return false;
+  await db.query(`ALTER TABLE ${tabela} ADD ${definicao}`);
+  return true;
+}
+
+// -----------------------------------------------------------------------------
+// Leitura das migrações em disco
+// -----------------------------------------------------------------------------
+
+function checksumArquivo(conteudo) {
+  const normalizado = conteudo.replace(/\r\n/g, "\n");
+  return crypto.createHash("sha256").update(normalizado, "utf8").digest("hex");
+}
+
+export function listarMigracoes(dir = MIGRATIONS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  const arquivos = fs.readdirSync(dir).filter((f) => f.endsWith(".js")).sort();
+  const vistos = new Set();
+
+  return arquivos.map((arquivo) => {
+    const m = ARQUIVO_RE.exec(arquivo);
+    if (!m) {
+      throw new Error(`[MIGRATIONS] Nome de arquivo inválido: ${arquivo} (esperado NNNN_descricao.js)`);
+    }
+    const versao = m[1];
+    if (vistos.has(versao)) {
+      throw new Error(`[MIGRATIONS] Versão duplicada: ${versao} (${arquivo})`);
+    }
+    vistos.add(versao);
+
+    const caminho = join(dir, arquivo);
+    return {
+      versao,
+      nome: m[2],
+      arquivo,
+      caminho,
+      checksum: checksumArquivo(fs.readFileSync(caminho, "utf8")),
+    };
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Tabela de controle
+// -----------------------------------------------------------------------------
+
+async function garantirTabelaControle(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      versao        VARCHAR(16)  NOT NULL,
+      nome          VARCHAR(200) NOT NULL,
+      checksum      CHAR(64)     NOT NULL,
+      duracao_ms    INT UNSIGNED NOT NULL DEFAULT 0,
+      aplicado_por  VARCHAR(120) DEFAULT NULL,
+      aplicado_em   DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (versao)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      COMMENT='Controle de migrações versionadas (services/migrationRunner.js)'
+  `);
+}
+
+async function lerAplicadas(db) {
+  const [rows] = await db.query(
+    `SELECT versao, nome, checksum, duracao_ms, aplicado_por, aplicado_em
+       FROM schema_migrations
+      ORDER BY versao ASC`
+  );
+  return rows;
+}
+
+// -----------------------------------------------------------------------------
+// Status / verify
+// -----------------------------------------------------------------------------
+
+/**
+ * Compara o que está em disco com o que está registrado no banco.
+ *
+ * @returns {Promise<{
+ *   aplicadas: object[],
+ *   pendentes: object[],
+ *   divergentes: Array<{versao: string, nome: string, esperado: string, atual: string}>,
+ *   ausentes: object[],
+ * }>}
+ */
+export async function statusMigracoes(pool, { dir } = {}) {
+  await garantirTabelaControle(pool);
+
+  const disponiveis = listarMigracoes(dir);
+  const aplicadas = await lerAplicadas(pool);
+  const porVersao = new Map(aplicadas.map((r) => [r.versao, r]));
+
+  const pendentes = [];
+  const divergentes = [];
+  for (const mig of disponiveis) {
+    const reg = porVersao.get(mig.versao);
+    if (!reg) {
+      pendentes.push(mig);
+    } else if (reg.checksum !== mig.checksum) {
+      divergentes.push({ versao: mig.versao, nome: mig.nome, esperado: reg.checksum, atual: mig.checksum });
+    }
+  }
+
+  const versoesDisco = new Set(disponiveis.map((m) => m.versao));
+  const ausentes = aplicadas.filter((r) => !versoesDisco.has(r.versao));
+
+  return { aplicadas, pendentes, divergentes, ausentes };
+}
+
+/**
+ * Verificação de integridade: migração aplicada não pode ser editada nem apagada.
+ * Para corrigir uma migração já aplicada, crie uma nova.
+ */
+export async function verificarMigracoes(pool, opts = {}) {
+  const st = await statusMigracoes(pool, opts);
+  return {
+    ok: st.divergentes.length === 0 && st.ausentes.length === 0,
+    ...st,
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Up
+// -----------------------------------------------------------------------------
+
+/**
+ * Aplica as migrações pendentes em ordem de versão. Para na primeira falha
+ * (as seguintes podem depender dela) e relança o erro.
+ *
+ * @param {import("mysql2/promise").Pool} pool
+ * @param {object} [opts]
+ * @param {string} [opts.dir]
+ * @param {string} [opts.aplicadoPor] - identificação de quem rodou (host, CLI, boot)
+ * @param {(msg: string) => void} [opts.log]
+ * @returns {Promise<string[]>} versões aplicadas nesta execução
+ */
+export async function aplicarMigracoes(pool, { dir, aplicadoPor = null, log = console.log } = {}) {
+  const conn = await pool.getConnection();
+  let travado = false;
+  try {
+    const [[lock]] = await conn.query("SELECT GET_LOCK(?, ?) AS ok", [LOCK_NAME, LOCK_TIMEOUT_S]);
+    if (Number(lock?.ok) !== 1) {
+      throw new Error("[MIGRATIONS] Não foi possível obter o lock (outra instância aplicando migrações?)");
+    }
+    travado = true;
+
+    // Relê o estado DEPOIS do lock — outra instância pode ter acabado de aplicar
+    const { pendentes, divergentes } = await statusMigracoes(conn, { dir });
+    for (const d of divergentes) {
+      log(`[MIGRATIONS] ⚠️ ${d.versao}_${d.nome}: checksum diferente do aplicado (arquivo editado após aplicar)`);
+    }
+
+    const aplicadasAgora = [];
+    for (const mig of pendentes) {
+      const mod = await import(pathToFileURL(mig.caminho).href);
+      if (typeof mod.up !== "function") {
+        throw new Error(`[MIGRATIONS] ${mig.arquivo} não exporta up(db)`);
+      }
+
+      const inicio = Date.now();
+      log(`[MIGRATIONS] aplicando ${mig.versao}_${mig.nome}${mod.descricao ? ` — ${mod.descricao}` : ""}`);
+      await mod.up(conn);
+      const duracao = Date.now() - inicio;
+
+      await conn.query(
+        `INSERT INTO schema_migrations (versao, nome, checksum, duracao_ms, aplicado_por)
+         VALUES (?, ?, ?, ?, ?)`,
+        [mig.versao, mig.nome, mig.checksum, duracao, aplicadoPor ? String(aplicadoPor).slice(0, 120) : null]
+      );
+      log(`[MIGRATIONS] ${mig.versao}_${mig.nome} OK ✅ (${duracao}ms)`);
+      aplicadasAgora.push(mig.versao);
+    }
+
+    return aplicadasAgora;
+  } finally {
+    if (travado) {
+      await conn.query("SELECT RELEASE_LOCK(?)", [LOCK_NAME]).catch(() => {});
+    }
+    conn.release();
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Boot
+// -----------------------------------------------------------------------------
+
+/**
+ * Política de boot via MIGRATIONS_MODE:
+ *  - "apply"  → aplica as pendentes antes de abrir a porta (padrão fora de
+ *               produção: banco de DEV novo já sobe com todas as tabelas)
+ *  - "strict" → recusa subir se houver pendentes ou drift (padrão em produção)
+ *  - "warn"   → só avisa
+ *  - "off"    → não verifica
+ *
+ * Lança erro quando o servidor não deve subir; o bootstrap() trata com exit(1).
+ */
+export async function verificarMigracoesNoBoot(pool, { dir, env = process.env, log = console.log } = {}) {
+  const padrao = env.NODE_ENV === "production" ? "strict" : "apply";
+  const modo = String(env.MIGRATIONS_MODE || padrao).toLowerCase().trim();
+
+  if (modo === "off") {
+    log("[MIGRATIONS] verificação de boot desativada (MIGRATIONS_MODE=off)");
+    return { modo, pendentes: [], divergentes: [] };
+  }
+
+  if (modo === "apply") {
+    const aplicadas = await aplicarMigracoes(pool, { dir, aplicadoPor: "boot", log });
+    if (!aplicadas.length) log("[MIGRATIONS] schema em dia ✅");
+  }
+
+  const { pendentes, divergentes, ausentes } = await statusMigracoes(pool, { dir });
+  const problemas = [
+    ...pendentes.map((m) => `pendente ${m.versao}_${m.nome}`),
+    ...divergentes.map((m) => `checksum divergente ${m.versao}_${m.nome}`),
+    ...ausentes.map((m) => `aplicada mas ausente no código ${m.versao}_${m.nome}`),
+  ];
+
+  if (!problemas.length) {
+    if (modo !== "apply") log("[MIGRATIONS] schema em dia ✅");
+    return { modo, pendentes, divergentes };
+  }
+
+  const resumo = `[MIGRATIONS] banco fora de sincronia com o código:\n  - ${problemas.join("\n  - ")}\n  Rode: npm run migrate`;
+  if (modo === "strict" && (pendentes.length || divergentes.length)) {
+    throw new Error(resumo);
+  }
+  log(`⚠️ ${resumo}`);
+  return { modo, pendentes, divergentes };
+}
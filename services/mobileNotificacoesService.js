@@ -5,23 +5,15 @@
 // Módulo: MOBILE - Notificações para Pais
 //
 // Responsabilidade:
-//  - Orquestrar o registro de notificações no banco de dados
-//    relacionadas ao app mobile de responsáveis.
-//  - Neste primeiro momento, NÃO envia push real. Apenas:
-//      1) Grava em notificacoes_mobile
-//      2) Faz console.log simulando o envio ("enviaria push...")
-//
-// IMPORTANTE:
-//  - Este arquivo foi criado sem remover/alterar código já validado
-//    em outros módulos.
-//  - Integração real com Firebase / FCM será adicionada em passos futuros.
+//  - Traduzir eventos do monitoramento (entrada do aluno) em notificações
+//    para os responsáveis.
+//  - O envio em si é do outbox (services/notificacoes.js): grava uma linha por
+//    device/canal em notificacoes_envios (com dedup) e o dispatcher entrega
+//    via Expo Push, com recibos e desativação de tokens inválidos.
 // ============================================================================
 
 import pool from "../db.js";
-import { Expo } from "expo-server-sdk";
-
-// Instancia o cliente do Expo
-const expo = new Expo();
+import { notificarResponsaveis } from "./notificacoes.js";
 
 // -------------------------------------------------------------
 // Helpers internos
@@ -48,29 +40,33 @@ function formatarHorario(horario) {
     return d.toLocaleTimeString("pt-BR", {
       hour: "2-digit",
       minute: "2-digit",
+      timeZone: "America/Sao_Paulo",
     });
   } catch {
     return null;
   }
 }
 
+/**
+ * Data local (YYYY-MM-DD, America/Sao_Paulo) — entra na chave de dedup:
+ * uma notificação de entrada por aluno por dia.
+ */
+function dataLocal(horario) {
+  return horario.toLocaleDateString("en-CA", { timeZone: "America/Sao_Paulo" });
+}
+
 // -------------------------------------------------------------
 // Função principal: notificação de ENTRADA do aluno
 // -------------------------------------------------------------
 
 /**
- * Envia (simulado) notificações de "entrada registrada" para todos os
- * responsáveis vinculados ao aluno informado.
- *
- * ATENÇÃO:
- *  - Nesta fase, não há push real. Apenas:
- *      - INSERT em notificacoes_mobile
- *      - console.log simulando envio.
+ * Enfileira a notificação de "entrada registrada" para todos os responsáveis
+ * vinculados ao aluno (push nos devices ativos + caixa do app).
  *
  * @param {Object} params
  * @param {number} params.escolaId  - ID da escola
  * @param {number} params.alunoId   - ID do aluno
- * @param {number|null} [params.cameraId] - ID da câmera (opcional, para log)
+ * @param {number|null} [params.cameraId] - ID da câmera (opcional, vai no payload)
  * @param {Date|string|null} [params.horario] - Data/hora da detecção
  */
 export async function enviarNotificacoesEntradaAluno(params = {}) {
@@ -87,209 +83,28 @@ export async function enviarNotificacoesEntradaAluno(params = {}) {
     return;
   }
 
-  const horaStr = formatarHorario(horario) || "";
+  const hora = formatarHorario(horario);
 
-  const conn = await pool.getConnection();
   try {
-    // ---------------------------------------------------------
-    // 1) Buscar informações básicas do aluno (para personalizar)
-    // ---------------------------------------------------------
-    const [alunoRows] = await conn.query(
-      `
-        SELECT a.id, a.nome, a.codigo
-          FROM alunos a
-         WHERE a.id = ?
-           AND a.escola_id = ?
-         LIMIT 1
-      `,
-      [alunoId, escolaId]
-    );
-
-    if (!alunoRows || alunoRows.length === 0) {
-      console.warn(
-        "[mobile-notificacao] Aluno não encontrado para notificação de entrada:",
-        { escolaId, alunoId }
-      );
-      conn.release();
-      return;
-    }
-
-    const aluno = alunoRows[0];
-    const nomeAluno = aluno.nome || "Estudante";
-    const codigoAluno = aluno.codigo || null;
-
-    // ---------------------------------------------------------
-    // 2) Buscar responsáveis ativos vinculados a este aluno
-    // ---------------------------------------------------------
-    const [responsaveis] = await conn.query(
-      `
-        SELECT
-          r.id,
-          r.nome,
-          r.email,
-          r.telefone_celular
-        FROM responsaveis_alunos ra
-        JOIN responsaveis r
-          ON r.id = ra.responsavel_id
-        WHERE ra.aluno_id = ?
-          AND ra.escola_id = ?
-          AND ra.ativo = 1
-          AND r.status = 'ATIVO'
-      `,
-      [alunoId, escolaId]
-    );
-
-    if (!responsaveis || responsaveis.length === 0) {
-      console.log(
-        "[mobile-notificacao] Nenhum responsável ativo vinculado ao aluno, nada a notificar.",
-        { escolaId, alunoId }
-      );
-      conn.release();
-      return;
-    }
-
-    // ---------------------------------------------------------
-    // 3) Para cada responsável, gravar notificacao + simular push
-    // ---------------------------------------------------------
-    for (const resp of responsaveis) {
-      const responsavelId = resp.id;
-
-      const titulo = "Entrada registrada";
-      const mensagemBase = horaStr
-        ? `${nomeAluno} entrou na escola às ${horaStr}.`
-        : `${nomeAluno} teve a entrada registrada na escola.`;
-
-      const mensagem = mensagemBase;
-
-      // Payload extra em JSON (útil para o app no futuro)
-      const payload = {
+    const r = await notificarResponsaveis(pool, {
+      evento: "PRESENCA_ENTRADA",
+      escolaId,
+      alunoIds: [alunoId],
+      chave: `PRESENCA_ENTRADA:${alunoId}:${dataLocal(horario)}`,
+      titulo: "Entrada registrada",
+      mensagem: hora ? "{aluno} entrou na escola às {hora}." : "{aluno} teve a entrada registrada na escola.",
+      dados: { hora },
+      payload: {
         fonte: "monitoramento",
-        tipo: "PRESENCA_ENTRADA",
-        escola_id: escolaId,
-        aluno_id: alunoId,
-        aluno_codigo: codigoAluno,
         camera_id: cameraId,
         horario_iso: horario.toISOString(),
-      };
-
-      await conn.query(
-        `
-          INSERT INTO notificacoes_mobile
-            (responsavel_id,
-             aluno_id,
-             escola_id,
-             tipo,
-             titulo,
-             mensagem,
-             payload_json,
-             lida,
-             enviada_em,
-             created_at)
-          VALUES
-            (?, ?, ?, 'PRESENCA_ENTRADA', ?, ?, ?, 0, NULL, NOW())
-        `,
-        [
-          responsavelId,
-          alunoId,
-          escolaId,
-          titulo,
-          mensagem,
-          JSON.stringify(payload),
-        ]
-      );
-
-      // Buscar devices do responsável (apenas para o log)
-      const [devices] = await conn.query(
-        `
-          SELECT id, plataforma, device_token, ativo
-            FROM mobile_devices
-           WHERE responsavel_id = ?
-             AND escola_id = ?
-        `,
-        [responsavelId, escolaId]
-      );
-
-      const ativos = (devices || []).filter((d) => d.ativo);
-
-      console.log(
-        "[mobile-notificacao] Notificação PRESENCA_ENTRADA registrada.",
-        {
-          escolaId,
-          alunoId,
-          responsavelId,
-          horaStr,
-          devices_total: devices?.length || 0,
-          devices_ativos: ativos.length,
-        }
-      );
-
-      // Disparo real via Expo Push (Compatível com Expo Go iOS e Android)
-      if (ativos.length === 0) {
-        console.log(
-          "[mobile-notificacao] Nenhum device ativo para envio de push."
-        );
-      } else {
-        const messages = [];
-        for (const device of ativos) {
-          // Verifica se é um token Expo válido (Ex: ExponentPushToken[...])
-          if (!Expo.isExpoPushToken(device.device_token)) {
-            console.warn(`[mobile-notificacao] Token inválido para o Expo: ${device.device_token}`);
-            continue;
-          }
-
-          messages.push({
-            to: device.device_token,
-            sound: "default",
-            title: titulo,
-            body: mensagem,
-            data: payload, // Recebido no app quando o usuário clica na notificação
-          });
-        }
+      },
+    });
 
-        // Divide as mensagens em blocos (chunks) suportados pelo Expo (até 100 por request)
-        const chunks = expo.chunkPushNotifications(messages);
-        
-        // Dispara o envio de todos os blocos paralelamente/em background
-        (async () => {
-          for (let chunk of chunks) {
-            try {
-              let receiptChunk = await expo.sendPushNotificationsAsync(chunk);
-              console.log("[mobile-notificacao] PUSH ENVIADO (Recibos do Expo):", receiptChunk);
-              
-              // Verifica se houve erro de desinstalação
-              receiptChunk.forEach((receipt, idx) => {
-                if (receipt.status !== "ok" && receipt.details && receipt.details.error === "DeviceNotRegistered") {
-                  // Opcional Futuro: desativar o device_token específico na tabela mobile_devices onde ativo=0
-                  console.warn("[mobile-notificacao] DeviceNotRegistered (desinstalou):", chunk[idx].to);
-                }
-              });
-            } catch (error) {
-              console.error("[mobile-notificacao] Erro ao enviar chunk de push para o Expo:", error);
-            }
-          }
-        })();
-      }
-    }
+    console.log("[mobile-notificacao] PRESENCA_ENTRADA enfileirada.", { escolaId, alunoId, ...r });
+    return r;
   } catch (err) {
-    console.error(
-      "[mobile-notificacao] Erro ao enviar notificações de entrada:",
-      err
-    );
+    console.error("[mobile-notificacao] Erro ao enfileirar notificações de entrada:", err);
     throw err;
-  } finally {
-    try {
-      conn.release();
-    } catch {
-      // ignora
-    }
   }
 }
-
-// ============================================================================
-// FUTURO:
-//  - Aqui adicionaremos outras funções, por exemplo:
-//      - enviarNotificacoesAusenciaAluno
-//      - enviarNotificacoesAdvertencia
-//      - etc.
-//  - E também a integração real com Firebase / FCM.
-// ============================================================================
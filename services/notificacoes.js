@@ -0,0 +1,800 @@
+// services/notificacoes.js
+// -----------------------------------------------------------------------------
+// Outbox de notificações aos responsáveis (push Expo, e-mail e SMS).
+//
+//  - Eventos (entrada do aluno, ocorrência, comunicado, boletim publicado)
+//    chamam notificarResponsaveis(): resolve os responsáveis ativos dos
+//    alunos, escolhe os canais do evento (EVENTOS) e grava uma linha por
+//    destino em `notificacoes_envios` (migrations/versions/0015_...).
+//  - Dedup: dedup_chave UNIQUE = chave do evento + aluno + responsável +
+//    canal + destino. Repetir o evento (retry do cliente, republicação,
+//    irmãos no mesmo comunicado) não gera segundo envio.
+//  - Dispatcher (iniciarDispatcher): reivindica lotes com FOR UPDATE SKIP
+//    LOCKED, envia pelo adaptador do canal (services/canaisNotificacao.js),
+//    retenta com backoff exponencial e, para push, confere os recibos do Expo
+//    ~15 min depois. DeviceNotRegistered desativa o device em mobile_devices.
+//  - Status: pendente → enviando → enviado → entregue (push com recibo ok);
+//    falhou (erro permanente ou tentativas esgotadas); descartado (token
+//    inválido/desinstalado).
+//  - Fan-out grande (comunicado para a escola, boletim da turma) vai por
+//    agendarNotificacao() → job "notificacoes_evento" (services/jobQueue.js).
+//  - Preferências do responsável (services/preferenciasNotificacao.js): cada
+//    evento tem uma categoria; opt-out, canais escolhidos, horário de silêncio
+//    (push/SMS retidos até o fim da janela) e resumo diário, que junta os
+//    eventos de baixa prioridade numa mensagem só (processarResumos).
+//
+// API:
+//  - notificarResponsaveis(db, evento)          → { responsaveis, enfileirados }
+//  - agendarNotificacao(db, evento, { usuarioId }) → job da fila
+//  - listarEnvios(db, filtros) / statusPorResponsavel(db, filtros)
+//  - reenviarEnvio(db, id, { escolaId })        → { reenviado, envio } ou null
+//  - processarFila(pool) / conferirRecibos(pool) → um passo do dispatcher
+//  - processarResumos(pool)                     → resumos diários vencidos
+//  - iniciarDispatcher(pool) / pararDispatcher()
+// -----------------------------------------------------------------------------
+import crypto from "crypto";
+import { canal as adaptadorCanal } from "./canaisNotificacao.js";
+import { calcularBackoff, enfileirarJob, registrarHandler } from "./jobQueue.js";
+import { criarLogger, requestIdAtual } from "./logger.js";
+import { contador } from "./metricas.js";
+import {
+  CATEGORIAS,
+  carregarPreferencias,
+  dataLocal,
+  horaLocal,
+  RESUMO_HORA_PADRAO,
+  resolverPreferencia,
+  segundosAteFimDoSilencio,
+} from "./preferenciasNotificacao.js";
+
+const log = criarLogger("notificacoes");
+
+/**
+ * Canais por evento. `fallback` só entra quando o responsável não tem destino
+ * em nenhum dos canais principais (ex.: sem app e sem e-mail → SMS).
+ * porAluno = false: uma mensagem por responsável, mesmo com vários filhos.
+ * categoria: chave de CATEGORIAS (preferências); o chamador pode trocar por
+ * ev.categoria (ocorrência com convocação/suspensão). RESUMO_DIARIO não tem
+ * categoria: é o próprio resumo e não passa por opt-out.
+ */
+export const EVENTOS = Object.freeze({
+  PRESENCA_ENTRADA: { canais: ["push"], fallback: [], porAluno: true, categoria: "presenca" },
+  OCORRENCIA: { canais: ["push", "email"], fallback: ["sms"], porAluno: true, categoria: "ocorrencias" },
+  COMUNICADO: { canais: ["push"], fallback: ["email"], porAluno: false, categoria: "comunicados" },
+  BOLETIM_PUBLICADO: { canais: ["push", "email"], fallback: [], porAluno: true, categoria: "boletins" },
+  RESUMO_DIARIO: { canais: ["push"], fallback: ["email"], porAluno: false, categoria: null },
+});
+
+// Canais que acordam o responsável: são os retidos no horário de silêncio
+const CANAIS_SILENCIAVEIS = ["push", "sms"];
+const RESUMO_MAX_ITENS = 200;
+const RESUMO_LINHAS = 8;
+
+const TERMINAIS = ["entregue", "falhou", "descartado"];
+
+const POLL_MS = Number(process.env.NOTIF_POLL_MS || 3000);
+const LOTE = Number(process.env.NOTIF_LOTE || 50);
+const MAX_TENTATIVAS = Number(process.env.NOTIF_MAX_TENTATIVAS || 5);
+const BACKOFF_BASE_MS = 60_000;
+const RECIBO_ESPERA_MIN = 15; // o Expo recomenda esperar ~15 min pelos recibos
+const RECIBO_VALIDADE_H = 24; // depois disso o Expo não guarda mais o recibo
+const ENVIANDO_EXPIRA_MIN = 10;
+const RETENCAO_DIAS = Number(process.env.NOTIF_RETENCAO_DIAS || 90);
+
+let dispatcher = null; // { pool, timer, rodando, ultimaManutencao, ultimoRecibo, ultimoResumo }
+
+// Métricas (GET /metrics). resultado: enviado | entregue | retentativa | falhou | descartado
+const enviosNotificacao = contador(
+  "notificacoes_envios_total",
+  "Envios do outbox de notificações por canal, evento e resultado.",
+  ["canal", "evento", "resultado"]
+);
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+function parseJson(v) {
+  if (v == null) return null;
+  if (typeof v !== "string") return v;
+  try {
+    return JSON.parse(v);
+  } catch {
+    return v;
+  }
+}
+
+function primeiroNome(nome) {
+  return String(nome || "").trim().split(/\s+/)[0] || "Estudante";
+}
+
+/** Troca {aluno} (primeiro nome) e {chave} de `dados` no texto do evento. */
+export function preencherTexto(modelo, dados = {}) {
+  return String(modelo || "").replace(/\{(\w+)\}/g, (_, k) => {
+    if (k === "aluno") return primeiroNome(dados.aluno_nome);
+    return dados[k] != null ? String(dados[k]) : "";
+  });
+}
+
+function chaveDedup(base, { alunoId, responsavelId, canal, destino }) {
+  const hashDestino = crypto.createHash("sha1").update(String(destino)).digest("hex").slice(0, 12);
+  const chave = `${base}:a${alunoId ?? "-"}:r${responsavelId}:${canal}:${hashDestino}`;
+  return chave.length <= 190 ? chave : crypto.createHash("sha256").update(chave).digest("hex");
+}
+
+/** Destino para exibição: e-mail/telefone/token parcialmente mascarados. */
+export function mascararDestino(canal, destino) {
+  const d = String(destino || "");
+  if (canal === "email") {
+    const [usuario, dominio] = d.split("@");
+    return dominio ? `${usuario.slice(0, 2)}***@${dominio}` : "***";
+  }
+  if (canal === "sms") return `***${d.replace(/\D/g, "").slice(-4)}`;
+  return d.length > 8 ? `…${d.slice(-8)}` : "***";
+}
+
+function formatarEnvio(row) {
+  if (!row) return null;
+  return {
+    id: Number(row.id),
+    evento: row.evento,
+    referencia_id: row.referencia_id != null ? Number(row.referencia_id) : null,
+    responsavel_id: Number(row.responsavel_id),
+    responsavel_nome: row.responsavel_nome ?? undefined,
+    aluno_id: row.aluno_id != null ? Number(row.aluno_id) : null,
+    canal: row.canal,
+    destino: mascararDestino(row.canal, row.destino),
+    titulo: row.titulo,
+    status: row.status,
+    tentativas: Number(row.tentativas || 0),
+    max_tentativas: Number(row.max_tentativas || 0),
+    erro: row.erro || null,
+    criado_em: row.criado_em,
+    enviado_em: row.enviado_em || null,
+    recibo_em: row.recibo_em || null,
+    proxima_tentativa_em: row.status === "pendente" ? row.disponivel_em : null,
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Enfileiramento (eventos)
+// -----------------------------------------------------------------------------
+
+async function buscarResponsaveis(db, { escolaId, alunoIds, turmaId, responsavelIds }) {
+  const where = [
+    "ra.escola_id = ?",
+    "ra.ativo = 1",
+    "r.status = 'ATIVO'",
+    "COALESCE(ra.pode_receber_notificacoes, 1) = 1",
+  ];
+  const params = [escolaId];
+  if (alunoIds) {
+    where.push("ra.aluno_id IN (?)");
+    params.push(alunoIds);
+  } else if (turmaId) {
+    where.push("a.turma_id = ?");
+    params.push(turmaId);
+  }
+  if (responsavelIds) {
+    where.push("ra.responsavel_id IN (?)");
+    params.push(responsavelIds);
+  }
+
+  const [rows] = await db.query(
+    `SELECT ra.aluno_id, a.estudante AS aluno_nome, a.codigo AS aluno_codigo,
+            r.id AS responsavel_id, r.email, r.telefone_celular
+       FROM responsaveis_alunos ra
+       JOIN responsaveis r ON r.id = ra.responsavel_id
+       JOIN alunos a ON a.id = ra.aluno_id AND a.escola_id = ra.escola_id
+      WHERE ${where.join(" AND ")}
+      ORDER BY r.id, ra.aluno_id`,
+    params
+  );
+  return rows;
+}
+
+async function buscarDevices(db, escolaId, responsavelIds) {
+  if (!responsavelIds.length) return new Map();
+  const [rows] = await db.query(
+    `SELECT responsavel_id, device_token
+       FROM mobile_devices
+      WHERE responsavel_id IN (?) AND ativo = 1
+        AND (escola_id = ? OR escola_id IS NULL)`,
+    [responsavelIds, escolaId]
+  );
+  const porResponsavel = new Map();
+  for (const d of rows) {
+    const lista = porResponsavel.get(Number(d.responsavel_id)) || [];
+    if (!lista.includes(d.device_token)) lista.push(d.device_token);
+    porResponsavel.set(Number(d.responsavel_id), lista);
+  }
+  return porResponsavel;
+}
+
+/** Destinos válidos do responsável em cada canal. */
+function destinosDoResponsavel(resp, devices) {
+  const validos = (nome, lista) => lista.filter((d) => d && adaptadorCanal(nome).validarDestino(d));
+  return {
+    push: validos("push", devices),
+    email: validos("email", resp.email ? [String(resp.email).trim()] : []),
+    sms: validos("sms", resp.telefone_celular ? [resp.telefone_celular] : []),
+  };
+}
+
+// Caixa de entrada do app (tabela legada lida pelo app dos pais). Não crítica.
+async function gravarCaixaApp(db, { responsavelId, alunoId, escolaId, evento, titulo, mensagem, payload }) {
+  try {
+    await db.query(
+      `INSERT INTO notificacoes_mobile
+         (responsavel_id, aluno_id, escola_id, tipo, titulo, mensagem, payload_json, lida, enviada_em, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 0, NULL, NOW())`,
+      [responsavelId, alunoId, escolaId, evento, titulo, mensagem, JSON.stringify(payload)]
+    );
+  } catch (err) {
+    log.warn("caixa do app (notificacoes_mobile) falhou (não crítico)", { erro: err.message });
+  }
+}
+
+/**
+ * Enfileira o evento para os responsáveis dos alunos (alunoIds), da turma
+ * (turmaId) ou da escola inteira (nenhum dos dois).
+ *
+ * @param {object} db  pool ou conexão
+ * @param {object} ev
+ * @param {string} ev.evento        chave de EVENTOS
+ * @param {number} ev.escolaId
+ * @param {number[]} [ev.alunoIds]
+ * @param {number} [ev.turmaId]
+ * @param {number[]} [ev.responsavelIds]  restringe aos responsáveis (resumo diário)
+ * @param {string} [ev.categoria]     troca a categoria do evento (CATEGORIAS)
+ * @param {number} [ev.referenciaId]  id da ocorrência/comunicado/publicação
+ * @param {Object<string, number>} [ev.referenciaPorAluno]  lote: aluno → ocorrência
+ * @param {string} [ev.chave]        base do dedup (padrão `${evento}:${referenciaId}`)
+ * @param {string} ev.titulo         aceita {aluno} e campos de ev.dados
+ * @param {string} ev.mensagem
+ * @param {object} [ev.dados]        valores para o texto
+ * @param {object} [ev.payload]      vai no `data` do push / caixa do app
+ * @returns {Promise<{ responsaveis: number, enfileirados: number, resumo: number }>}
+ */
+export async function notificarResponsaveis(db, ev) {
+  const cfg = EVENTOS[ev.evento];
+  if (!cfg) throw new Error(`Evento de notificação desconhecido: ${ev.evento}`);
+  if (!ev.escolaId) throw new Error("notificarResponsaveis: escolaId obrigatório");
+  // lista vazia ≠ escola inteira
+  if (Array.isArray(ev.alunoIds) && !ev.alunoIds.length) return { responsaveis: 0, enfileirados: 0, resumo: 0 };
+  if (Array.isArray(ev.responsavelIds) && !ev.responsavelIds.length) return { responsaveis: 0, enfileirados: 0, resumo: 0 };
+
+  const categoria = ev.categoria || cfg.categoria;
+  if (categoria && !CATEGORIAS[categoria]) throw new Error(`Categoria de notificação desconhecida: ${categoria}`);
+  const obrigatoria = Boolean(CATEGORIAS[categoria]?.obrigatoria);
+  const resumivel = Boolean(CATEGORIAS[categoria]?.resumivel);
+
+  const vinculos = await buscarResponsaveis(db, ev);
+  const responsavelIds = [...new Set(vinculos.map((v) => Number(v.responsavel_id)))];
+  const devices = await buscarDevices(db, ev.escolaId, responsavelIds);
+  const preferencias = await carregarPreferencias(db, responsavelIds, categoria);
+
+  const vistos = new Set();
+  let enfileirados = 0;
+  let resumo = 0;
+
+  for (const v of vinculos) {
+    const responsavelId = Number(v.responsavel_id);
+    const alunoId = cfg.porAluno ? Number(v.aluno_id) : null;
+    const alvo = `${responsavelId}:${alunoId ?? "-"}`;
+    if (vistos.has(alvo)) continue;
+    vistos.add(alvo);
+
+    const referenciaId = ev.referenciaPorAluno?.[v.aluno_id] ?? ev.referenciaId ?? null;
+    const base = ev.referenciaPorAluno ? `${ev.evento}:${referenciaId}` : ev.chave || `${ev.evento}:${referenciaId}`;
+    const dados = { ...(ev.dados || {}), aluno_nome: v.aluno_nome };
+    const titulo = preencherTexto(ev.titulo, dados).slice(0, 200);
+    const mensagem = preencherTexto(ev.mensagem, dados);
+    const payload = {
+      ...(ev.payload || {}),
+      tipo: ev.evento,
+      escola_id: ev.escolaId,
+      referencia_id: referenciaId,
+      ...(alunoId ? { aluno_id: alunoId, aluno_codigo: v.aluno_codigo || null } : {}),
+    };
+
+    const caixa = { responsavelId, alunoId: alunoId ?? v.aluno_id, escolaId: ev.escolaId, evento: ev.evento, titulo, mensagem, payload };
+    const pref = categoria ? resolverPreferencia(preferencias, responsavelId, v.aluno_id, categoria) : null;
+
+    // Opt-out: só a caixa do app (o histórico continua completo)
+    if (pref && !obrigatoria && !pref.receber) {
+      await gravarCaixaApp(db, caixa);
+      continue;
+    }
+    if (pref && resumivel && pref.resumo_diario) {
+      resumo += await guardarParaResumo(db, { ...caixa, categoria, referenciaId, chave: `${base}:a${alunoId ?? "-"}:r${responsavelId}` });
+      continue;
+    }
+
+    // Canais escolhidos substituem os do evento (sem fallback: foi escolha do
+    // responsável); nas obrigatórias só podem somar aos do evento.
+    const destinos = destinosDoResponsavel(v, devices.get(responsavelId) || []);
+    let principais = cfg.canais;
+    let fallback = cfg.fallback;
+    if (pref?.canais) {
+      principais = obrigatoria ? [...new Set([...cfg.canais, ...pref.canais])] : pref.canais;
+      if (!obrigatoria) fallback = [];
+    }
+    let canais = principais.filter((c) => destinos[c].length);
+    if (!canais.length) canais = fallback.filter((c) => destinos[c].length).slice(0, 1);
+
+    const linhas = [];
+    for (const c of canais) {
+      for (const destino of destinos[c]) {
+        linhas.push([
+          ev.escolaId,
+          responsavelId,
+          alunoId,
+          ev.evento,
+          referenciaId,
+          c,
+          destino,
+          titulo,
+          mensagem,
+          JSON.stringify(payload),
+          chaveDedup(base, { alunoId, responsavelId, canal: c, destino }),
+          MAX_TENTATIVAS,
+          requestIdAtual(),
+        ]);
+      }
+    }
+
+    let novos = 0;
+    if (linhas.length) {
+      const [r] = await db.query(
+        `INSERT IGNORE INTO notificacoes_envios
+           (escola_id, responsavel_id, aluno_id, evento, referencia_id, canal, destino,
+            titulo, mensagem, payload, dedup_chave, max_tentativas, request_id)
+         VALUES ?`,
+        [linhas]
+      );
+      novos = Number(r?.affectedRows || 0);
+      enfileirados += novos;
+
+      // Horário de silêncio: obrigatórias também esperam (atrasa, não descarta)
+      const atraso = segundosAteFimDoSilencio(preferencias.config.get(responsavelId));
+      const silenciaveis = linhas.filter((l) => CANAIS_SILENCIAVEIS.includes(l[5])).map((l) => l[10]);
+      if (novos > 0 && atraso > 0 && silenciaveis.length) {
+        await db.query(
+          `UPDATE notificacoes_envios
+              SET disponivel_em = DATE_ADD(NOW(), INTERVAL ? SECOND)
+            WHERE dedup_chave IN (?) AND status = 'pendente' AND tentativas = 0`,
+          [atraso, silenciaveis]
+        );
+      }
+    }
+
+    // Sem destino nenhum o responsável ainda vê no app quando abrir
+    if (novos > 0 || !linhas.length) await gravarCaixaApp(db, caixa);
+  }
+
+  return { responsaveis: responsavelIds.length, enfileirados, resumo };
+}
+
+// Item do resumo diário (dedup como no outbox) + caixa do app na hora
+async function guardarParaResumo(db, { responsavelId, alunoId, escolaId, evento, titulo, mensagem, payload, categoria, referenciaId, chave }) {
+  const dedup = chave.length <= 190 ? chave : crypto.createHash("sha256").update(chave).digest("hex");
+  const [r] = await db.query(
+    `INSERT IGNORE INTO notificacoes_resumo_itens
+       (responsavel_id, escola_id, aluno_id, categoria, evento, referencia_id, titulo, mensagem, dedup_chave)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [responsavelId, escolaId, alunoId ?? null, categoria, evento, referenciaId, titulo, mensagem, dedup]
+  );
+  const novo = Number(r?.affectedRows || 0);
+  if (novo) await gravarCaixaApp(db, { responsavelId, alunoId, escolaId, evento, titulo, mensagem, payload });
+  return novo;
+}
+
+// Fan-out fora do request: resolver todos os responsáveis da escola/turma
+// pode levar segundos. O dedup do outbox torna a retentativa do job segura.
+registrarHandler("notificacoes_evento", async (ctx) => notificarResponsaveis(ctx.db, ctx.payload), {
+  concorrencia: 2,
+  concorrenciaPorEscola: 1,
+  maxTentativas: 3,
+  backoffMs: 15_000,
+});
+
+/** Enfileira o evento como job (rotas). Mesmos campos de notificarResponsaveis. */
+export async function agendarNotificacao(db, ev, { usuarioId = null } = {}) {
+  if (!EVENTOS[ev.evento]) throw new Error(`Evento de notificação desconhecido: ${ev.evento}`);
+  return enfileirarJob(db, {
+    tipo: "notificacoes_evento",
+    escolaId: ev.escolaId,
+    usuarioId,
+    payload: ev,
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Consulta (routes/notificacoes.js)
+// -----------------------------------------------------------------------------
+
+const SELECT_ENVIO = `
+  SELECT e.*, r.nome AS responsavel_nome
+    FROM notificacoes_envios e
+    LEFT JOIN responsaveis r ON r.id = e.responsavel_id`;
+
+function filtrosEnvio({ escolaId, evento, referenciaId, alunoId, responsavelId, status, canal }) {
+  const where = ["e.escola_id = ?"];
+  const params = [escolaId];
+  for (const [coluna, valor] of [
+    ["e.evento", evento],
+    ["e.referencia_id", referenciaId],
+    ["e.aluno_id", alunoId],
+    ["e.responsavel_id", responsavelId],
+    ["e.status", status],
+    ["e.canal", canal],
+  ]) {
+    if (valor == null || valor === "") continue;
+    where.push(`${coluna} = ?`);
+    params.push(valor);
+  }
+  return { where: where.join(" AND "), params };
+}
+
+export async function listarEnvios(db, { limite = 50, ...filtros } = {}) {
+  const { where, params } = filtrosEnvio(filtros);
+  params.push(Math.min(Math.max(Number(limite) || 50, 1), 200));
+  const [rows] = await db.query(`${SELECT_ENVIO} WHERE ${where} ORDER BY e.id DESC LIMIT ?`, params);
+  return rows.map(formatarEnvio);
+}
+
+// Status consolidado do responsável: o melhor resultado entre os canais
+const PRIORIDADE_STATUS = ["entregue", "enviado", "enviando", "pendente", "falhou", "descartado"];
+
+/**
+ * Entrega por responsável de um evento (evento + referenciaId) ou de um aluno:
+ * [{ responsavel_id, responsavel_nome, aluno_id, status, canais: [envio...] }]
+ */
+export async function statusPorResponsavel(db, filtros) {
+  const { where, params } = filtrosEnvio(filtros);
+  const [rows] = await db.query(`${SELECT_ENVIO} WHERE ${where} ORDER BY e.responsavel_id, e.id LIMIT 2000`, params);
+
+  const grupos = new Map();
+  for (const row of rows) {
+    const envio = formatarEnvio(row);
+    const k = `${envio.responsavel_id}:${envio.evento}:${envio.referencia_id}:${envio.aluno_id}`;
+    if (!grupos.has(k)) {
+      grupos.set(k, {
+        responsavel_id: envio.responsavel_id,
+        responsavel_nome: envio.responsavel_nome ?? null,
+        aluno_id: envio.aluno_id,
+        evento: envio.evento,
+        referencia_id: envio.referencia_id,
+        status: null,
+        canais: [],
+      });
+    }
+    const { responsavel_nome, responsavel_id, aluno_id, evento, referencia_id, ...resto } = envio;
+    grupos.get(k).canais.push(resto);
+  }
+
+  for (const g of grupos.values()) {
+    g.status = PRIORIDADE_STATUS.find((s) => g.canais.some((c) => c.status === s)) || null;
+  }
+  return [...grupos.values()];
+}
+
+/**
+ * Envio que falhou volta para a fila com as tentativas zeradas.
+ * @returns {Promise<{ reenviado: boolean, envio: object } | null>}
+ */
+export async function reenviarEnvio(db, id, { escolaId }) {
+  const [[row]] = await db.query(`${SELECT_ENVIO} WHERE e.id = ? AND e.escola_id = ? LIMIT 1`, [id, escolaId]);
+  if (!row) return null;
+  const reenviado = row.status === "falhou";
+  if (reenviado) {
+    await db.query(
+      `UPDATE notificacoes_envios
+          SET status = 'pendente', tentativas = 0, erro = NULL, disponivel_em = NOW()
+        WHERE id = ? AND status = 'falhou'`,
+      [id]
+    );
+    row.status = "pendente";
+    row.tentativas = 0;
+    row.erro = null;
+    row.disponivel_em = new Date();
+  }
+  return { reenviado, envio: formatarEnvio(row) };
+}
+
+// -----------------------------------------------------------------------------
+// Dispatcher
+// -----------------------------------------------------------------------------
+
+async function reivindicarLote(pool) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [rows] = await conn.query(
+      `SELECT * FROM notificacoes_envios
+        WHERE status = 'pendente' AND disponivel_em <= NOW()
+        ORDER BY disponivel_em, id
+        LIMIT ?
+        FOR UPDATE SKIP LOCKED`,
+      [LOTE]
+    );
+    if (!rows.length) {
+      await conn.rollback();
+      return [];
+    }
+    await conn.query(
+      "UPDATE notificacoes_envios SET status = 'enviando', tentativas = tentativas + 1 WHERE id IN (?)",
+      [rows.map((r) => r.id)]
+    );
+    await conn.commit();
+    return rows.map((r) => ({ ...r, tentativas: Number(r.tentativas) + 1 }));
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+async function desativarDevice(pool, token) {
+  await pool.query("UPDATE mobile_devices SET ativo = 0, updated_at = NOW() WHERE device_token = ?", [token]);
+  log.warn("device desativado (DeviceNotRegistered)");
+}
+
+/**
+ * Aplica o resultado do envio/recibo na linha:
+ * ok → enviado (ou entregue, no recibo); token inválido → descartado;
+ * permanente ou última tentativa → falhou; senão volta com backoff.
+ */
+async function registrarResultado(pool, envio, r, { recibo = false } = {}) {
+  const id = Number(envio.id);
+  const contar = (resultado) => enviosNotificacao.inc({ canal: envio.canal, evento: envio.evento, resultado });
+
+  if (r.ok) {
+    if (recibo) {
+      await pool.query("UPDATE notificacoes_envios SET status = 'entregue', recibo_em = NOW() WHERE id = ?", [id]);
+      return contar("entregue");
+    }
+    await pool.query(
+      `UPDATE notificacoes_envios
+          SET status = 'enviado', provedor_id = ?, enviado_em = NOW(), erro = NULL
+        WHERE id = ?`,
+      [r.provedorId || null, id]
+    );
+    return contar("enviado");
+  }
+
+  const erro = String(r.erro || "falha no envio").slice(0, 500);
+  if (r.tokenInvalido) {
+    await pool.query(
+      "UPDATE notificacoes_envios SET status = 'descartado', erro = ?, recibo_em = IF(?, NOW(), recibo_em) WHERE id = ?",
+      [erro, recibo ? 1 : 0, id]
+    );
+    await desativarDevice(pool, envio.destino).catch((err) =>
+      log.warn("desativar device falhou (não crítico)", { erro: err.message })
+    );
+    return contar("descartado");
+  }
+
+  if (r.permanente || Number(envio.tentativas) >= Number(envio.max_tentativas)) {
+    await pool.query(
+      "UPDATE notificacoes_envios SET status = 'falhou', erro = ?, recibo_em = IF(?, NOW(), recibo_em) WHERE id = ?",
+      [erro, recibo ? 1 : 0, id]
+    );
+    log.warn("envio falhou", { envio_id: id, canal: envio.canal, tentativa: Number(envio.tentativas), max_tentativas: Number(envio.max_tentativas), erro });
+    return contar("falhou");
+  }
+
+  const atraso = calcularBackoff(Number(envio.tentativas), BACKOFF_BASE_MS);
+  await pool.query(
+    `UPDATE notificacoes_envios
+        SET status = 'pendente', erro = ?, provedor_id = NULL,
+            disponivel_em = DATE_ADD(NOW(), INTERVAL ? SECOND)
+      WHERE id = ?`,
+    [erro, Math.ceil(atraso / 1000), id]
+  );
+  return contar("retentativa");
+}
+
+/** Um lote da fila: push em chunks do Expo, e-mail/SMS um a um. */
+export async function processarFila(pool) {
+  const lote = await reivindicarLote(pool);
+  if (!lote.length) return 0;
+
+  const push = lote.filter((e) => e.canal === "push");
+  if (push.length) {
+    const resultados = await adaptadorCanal("push").enviar(
+      push.map((e) => ({ destino: e.destino, titulo: e.titulo, mensagem: e.mensagem, payload: parseJson(e.payload) }))
+    );
+    for (let i = 0; i < push.length; i++) {
+      await registrarResultado(pool, push[i], resultados[i] || { ok: false, erro: "sem ticket do Expo" });
+    }
+  }
+
+  for (const envio of lote.filter((e) => e.canal !== "push")) {
+    let r;
+    try {
+      const { provedorId } = await adaptadorCanal(envio.canal).enviar({
+        destino: envio.destino,
+        titulo: envio.titulo,
+        mensagem: envio.mensagem,
+      });
+      r = { ok: true, provedorId };
+    } catch (err) {
+      r = { ok: false, erro: err.message, permanente: Boolean(err.permanente) };
+    }
+    await registrarResultado(pool, envio, r);
+  }
+  return lote.length;
+}
+
+/** Recibos do Expo dos pushes enviados há mais de 15 min (e menos de 24 h). */
+export async function conferirRecibos(pool) {
+  const [enviados] = await pool.query(
+    `SELECT id, canal, evento, destino, provedor_id, tentativas, max_tentativas
+       FROM notificacoes_envios
+      WHERE canal = 'push' AND status = 'enviado' AND provedor_id IS NOT NULL
+        AND enviado_em <= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+        AND enviado_em > DATE_SUB(NOW(), INTERVAL ? HOUR)
+      ORDER BY enviado_em, id
+      LIMIT 1000`,
+    [RECIBO_ESPERA_MIN, RECIBO_VALIDADE_H]
+  );
+  if (!enviados.length) return 0;
+
+  const recibos = await adaptadorCanal("push").recibos(enviados.map((e) => e.provedor_id));
+  let conferidos = 0;
+  for (const envio of enviados) {
+    const r = recibos[envio.provedor_id];
+    if (!r) continue; // ainda não disponível
+    await registrarResultado(pool, envio, r, { recibo: true });
+    conferidos++;
+  }
+  return conferidos;
+}
+
+/** Texto do resumo: uma linha por aviso, o excedente vira "e mais N". */
+export function montarResumo(itens) {
+  const linhas = itens.slice(0, RESUMO_LINHAS).map((i) => `• ${i.mensagem || i.titulo}`);
+  const resto = itens.length - linhas.length;
+  if (resto > 0) linhas.push(`… e mais ${resto} aviso(s) no app.`);
+  return linhas.join("\n");
+}
+
+/**
+ * Envia os resumos vencidos: responsáveis com itens pendentes cuja hora local
+ * já passou de resumo_hora e que ainda não receberam o resumo hoje. Um resumo
+ * por responsável e escola; a chave do dia torna a repetição segura.
+ */
+export async function processarResumos(pool, agora = new Date()) {
+  const [grupos] = await pool.query(
+    `SELECT i.responsavel_id, i.escola_id, c.resumo_hora, c.ultimo_resumo_em
+       FROM notificacoes_resumo_itens i
+       LEFT JOIN notificacoes_config_responsavel c ON c.responsavel_id = i.responsavel_id
+      WHERE i.resumido_em IS NULL
+      GROUP BY i.responsavel_id, i.escola_id, c.resumo_hora, c.ultimo_resumo_em`
+  );
+
+  const hoje = dataLocal(agora);
+  const hora = horaLocal(agora);
+  let enviados = 0;
+
+  for (const g of grupos) {
+    const responsavelId = Number(g.responsavel_id);
+    if (hora < Number(g.resumo_hora ?? RESUMO_HORA_PADRAO)) continue;
+    if (g.ultimo_resumo_em && dataLocal(new Date(g.ultimo_resumo_em)) === hoje) continue;
+
+    const [itens] = await pool.query(
+      `SELECT id, titulo, mensagem
+         FROM notificacoes_resumo_itens
+        WHERE responsavel_id = ? AND escola_id = ? AND resumido_em IS NULL
+        ORDER BY id
+        LIMIT ?`,
+      [responsavelId, g.escola_id, RESUMO_MAX_ITENS]
+    );
+    if (!itens.length) continue;
+
+    await notificarResponsaveis(pool, {
+      evento: "RESUMO_DIARIO",
+      escolaId: Number(g.escola_id),
+      responsavelIds: [responsavelId],
+      chave: `RESUMO_DIARIO:${responsavelId}:${g.escola_id}:${hoje}`,
+      titulo: "Resumo do dia",
+      mensagem: montarResumo(itens),
+      payload: { data: hoje, itens: itens.length },
+    });
+    await pool.query("UPDATE notificacoes_resumo_itens SET resumido_em = NOW() WHERE id IN (?)", [itens.map((i) => i.id)]);
+    await pool.query(
+      `INSERT INTO notificacoes_config_responsavel (responsavel_id, ultimo_resumo_em)
+       VALUES (?, NOW())
+       ON DUPLICATE KEY UPDATE ultimo_resumo_em = NOW()`,
+      [responsavelId]
+    );
+    enviados++;
+  }
+  return enviados;
+}
+
+/**
+ * "enviando" parado (instância morreu no meio do lote) volta para a fila;
+ * terminados há mais de NOTIF_RETENCAO_DIAS saem da tabela.
+ */
+async function manutencao(pool) {
+  const [orfaos] = await pool.query(
+    `UPDATE notificacoes_envios
+        SET status = 'pendente', erro = 'Envio interrompido (dispatcher reiniciado).'
+      WHERE status = 'enviando' AND atualizado_em < DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+    [ENVIANDO_EXPIRA_MIN]
+  );
+  if (orfaos.affectedRows) {
+    log.warn("envios órfãos devolvidos à fila", { total: orfaos.affectedRows });
+  }
+  await pool.query(
+    `DELETE FROM notificacoes_envios
+      WHERE status IN (?, 'enviado') AND criado_em < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+    [TERMINAIS, RETENCAO_DIAS]
+  );
+  await pool.query(
+    `DELETE FROM notificacoes_resumo_itens
+      WHERE resumido_em IS NOT NULL AND resumido_em < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+    [RETENCAO_DIAS]
+  );
+}
+
+async function tick() {
+  const { pool } = dispatcher;
+
+  if (Date.now() - dispatcher.ultimaManutencao > 60_000) {
+    dispatcher.ultimaManutencao = Date.now();
+    await manutencao(pool).catch((err) => log.warn("manutenção falhou (não crítico)", { erro: err.message }));
+  }
+  if (Date.now() - dispatcher.ultimoRecibo > 60_000) {
+    dispatcher.ultimoRecibo = Date.now();
+    await conferirRecibos(pool).catch((err) => log.warn("recibos do Expo falharam (não crítico)", { erro: err.message }));
+  }
+  if (Date.now() - dispatcher.ultimoResumo > 5 * 60_000) {
+    dispatcher.ultimoResumo = Date.now();
+    await processarResumos(pool).catch((err) => log.warn("resumo diário falhou (não crítico)", { erro: err.message }));
+  }
+
+  // Esvazia o que estiver disponível (lote cheio = provavelmente há mais)
+  let processados = LOTE;
+  while (dispatcher && processados >= LOTE) {
+    processados = await processarFila(pool);
+  }
+}
+
+/**
+ * Inicia o dispatcher desta instância. NOTIF_DISPATCHER=0 desliga (instância
+ * só-API); o outbox continua recebendo e outra instância envia.
+ */
+export function iniciarDispatcher(pool) {
+  if (dispatcher) return;
+  if (String(process.env.NOTIF_DISPATCHER || "1") === "0") {
+    log.info("dispatcher desativado nesta instância (NOTIF_DISPATCHER=0)");
+    return;
+  }
+
+  dispatcher = { pool, rodando: false, ultimaManutencao: 0, ultimoRecibo: 0, ultimoResumo: 0, timer: null };
+  dispatcher.timer = setInterval(async () => {
+    if (!dispatcher || dispatcher.rodando) return;
+    dispatcher.rodando = true;
+    try {
+      await tick();
+    } catch (err) {
+      log.warn("tick falhou (não crítico)", { erro: err.message });
+    } finally {
+      if (dispatcher) dispatcher.rodando = false;
+    }
+  }, POLL_MS);
+  dispatcher.timer.unref?.();
+
+  log.info("dispatcher do outbox ativo (push, email, sms)");
+}
+
+export function pararDispatcher() {
+  if (!dispatcher) return;
+  clearInterval(dispatcher.timer);
+  dispatcher = null;
+}
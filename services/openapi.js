@@ -0,0 +1,162 @@
+// services/openapi.js
+// -----------------------------------------------------------------------------
+// Gera o documento OpenAPI 3.1 a partir dos routers montados.
+//
+//  - Percorre router.stack (mesma técnica do mountToApp do app_pais.js) e lista
+//    todas as rotas de cada router, com o prefixo informado na montagem.
+//  - Rotas com validar({...}) (middleware/validarRequisicao.js) publicam
+//    resumo, parâmetros, body e a resposta 400 padronizada; as demais entram
+//    só com caminho/método e "x-validado": false — dá para acompanhar a
+//    cobertura pelo próprio documento.
+//  - Método+caminho repetidos (handlers duplicados entre routers): vale o
+//    primeiro, como no roteamento do Express.
+//
+// Uso (server.js):
+//   gerarOpenApi([{ prefixo: "/api/alunos", router: alunosRouter, tag: "Alunos" }])
+// -----------------------------------------------------------------------------
+import { schemaParaOpenApi } from "./validacaoSchema.js";
+
+const METODOS = ["get", "post", "put", "patch", "delete"];
+
+// "/:id/ocorrencias/:ocorrenciaId" → "/{id}/ocorrencias/{ocorrenciaId}"
+export function caminhoOpenApi(prefixo, caminho) {
+  const completo = `${prefixo}${caminho === "/" ? "" : caminho}` || "/";
+  return completo.replace(/:(\w+)/g, "{$1}");
+}
+
+function nomesDeParametros(caminho) {
+  return [...caminho.matchAll(/:(\w+)/g)].map((m) => m[1]);
+}
+
+const ERRO_VALIDACAO = {
+  type: "object",
+  required: ["ok", "code", "message", "erros"],
+  properties: {
+    ok: { type: "boolean", const: false },
+    code: { type: "string", enum: ["VALIDACAO", "JSON_INVALIDO"] },
+    message: { type: "string" },
+    erros: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["local", "campo", "mensagem"],
+        properties: {
+          local: { type: "string", enum: ["params", "query", "body"] },
+          campo: { type: "string" },
+          mensagem: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+function parametros(caminho, spec) {
+  const lista = [];
+  const propsPath = spec?.params?.properties || {};
+  for (const nome of nomesDeParametros(caminho)) {
+    lista.push({
+      name: nome,
+      in: "path",
+      required: true,
+      schema: schemaParaOpenApi(propsPath[nome] || { type: "string" }),
+    });
+  }
+
+  const query = spec?.query;
+  const obrigatorios = new Set(query?.required || []);
+  for (const [nome, schema] of Object.entries(query?.properties || {})) {
+    const { description, ...resto } = schema;
+    lista.push({
+      name: nome,
+      in: "query",
+      required: obrigatorios.has(nome),
+      ...(description ? { description } : {}),
+      schema: schemaParaOpenApi(resto),
+    });
+  }
+  return lista;
+}
+
+function operacao(metodo, caminho, tag, spec, publico) {
+  const op = {
+    tags: [tag],
+    summary: spec?.resumo || `${metodo.toUpperCase()} ${caminho}`,
+  };
+  if (spec?.descricao) op.description = spec.descricao;
+
+  const params = parametros(caminho, spec);
+  if (params.length) op.parameters = params;
+
+  if (spec?.body) {
+    const tipo = spec.multipart ? "multipart/form-data" : "application/json";
+    op.requestBody = {
+      required: Boolean(spec.body.required?.length),
+      content: { [tipo]: { schema: schemaParaOpenApi({ type: "object", ...spec.body }) } },
+    };
+  }
+
+  op.responses = {};
+  for (const [status, descricao] of Object.entries(spec?.respostas || { 200: "OK" })) {
+    op.responses[status] = { description: descricao };
+  }
+  if (spec) op.responses["400"] = { $ref: "#/components/responses/ErroValidacao" };
+  if (!publico) op.responses["401"] = { description: "Token ausente, inválido ou sessão revogada." };
+
+  if (publico) op.security = [];
+  op["x-validado"] = Boolean(spec);
+  return op;
+}
+
+/**
+ * @param {Array<{prefixo: string, router: any, tag: string, publico?: boolean}>} montagens
+ * @param {{ titulo?: string, versao?: string }} [info]
+ */
+export function gerarOpenApi(montagens, { titulo = "API EDUCA.MELHOR", versao = "1.0.0" } = {}) {
+  const paths = {};
+  const tags = [];
+
+  for (const { prefixo, router, tag, publico = false } of montagens) {
+    if (!router?.stack) continue;
+    if (!tags.some((t) => t.name === tag)) tags.push({ name: tag });
+
+    for (const layer of router.stack) {
+      const route = layer.route;
+      if (typeof route?.path !== "string") continue;
+
+      const spec = route.stack.map((l) => l.handle?.openapi).find(Boolean) || null;
+      const chave = caminhoOpenApi(prefixo, route.path);
+
+      for (const metodo of METODOS) {
+        if (!route.methods?.[metodo]) continue;
+        paths[chave] = paths[chave] || {};
+        if (paths[chave][metodo]) continue;
+        paths[chave][metodo] = operacao(metodo, route.path, tag, spec, spec?.publico ?? publico);
+      }
+    }
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: titulo,
+      version: versao,
+      description:
+        "Gerado a partir dos schemas das rotas (validar()). Erros de validação seguem o formato ErroValidacao.",
+    },
+    tags,
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+      },
+      schemas: { ErroValidacao: ERRO_VALIDACAO },
+      responses: {
+        ErroValidacao: {
+          description: "Requisição fora do schema (campo ausente, tipo ou formato inválido).",
+          content: { "application/json": { schema: { $ref: "#/components/schemas/ErroValidacao" } } },
+        },
+      },
+    },
+    security: [{ bearerAuth: [] }],
+  };
+}
@@ -0,0 +1,472 @@
+// services/personificacao.js
+// -----------------------------------------------------------------------------
+// Acesso de suporte: o CEO (token de escopo "plataforma") vê a escola como um
+// usuário dela, para reproduzir o que foi relatado num chamado
+// (migrations/versions/0022_personificacao.js).
+//
+//  - Pedido sempre ligado a um chamado da escola, com motivo. Se a escola
+//    exige (governança: seguranca.suporte_aprovacao_diretor, ou
+//    PERSONIFICACAO_APROVACAO=obrigatoria para todas), o diretor aprova antes.
+//  - O token sai uma única vez (POST .../iniciar), vale PERSONIFICACAO_MINUTOS
+//    (padrão 30, máx. PERSONIFICACAO_MAX_MINUTOS = 120) e leva o claim
+//    `personificacao`; não tem sessão nem refresh.
+//  - autenticarToken consulta o pedido a cada request (encerrar corta na
+//    hora), bloqueia escrita e registra o request em personificacoes_acessos.
+//  - Escrita só com escalonamento explícito (motivo; passa pelo diretor
+//    quando a escola exige aprovação). Rotas de conta (/api/auth) e a decisão
+//    sobre o próprio acesso ficam bloqueadas mesmo assim, inclusive para
+//    leitura (sessões e dispositivos 2FA da conta real).
+//  - Cada passo vira mensagem no chamado; a escola lista os acessos e o que
+//    foi feito em /api/suporte/acessos-suporte. Alterações gravadas pelo
+//    suporte saem na auditoria com personificacao_id.
+//
+// API:
+//  - exigeAprovacao(db, escolaId)
+//  - solicitarPersonificacao(db, { chamadoId, usuarioId, motivo, minutos, solicitante })
+//  - decidirPersonificacao(db, { id, escolaId, aprovar, usuarioId, motivo })
+//  - iniciarPersonificacao(db, { id, solicitanteId, permissoesDe }) → { token, expira_em, ... }
+//  - escalonarEscrita(db, { id, solicitanteId, motivo }) → { escrita }
+//  - encerrarPersonificacao(db, { id, escolaId?, solicitanteId?, por })
+//  - encerrarDoChamado(db, chamadoId, por) — chamado fechado
+//  - listarPersonificacoes(db, filtros) / obterPersonificacao(db, id, { escolaId })
+//  - validarPersonificacao(db, usuarioDoToken) / aplicarPersonificacao(db, req, res)
+// -----------------------------------------------------------------------------
+import jwt from "jsonwebtoken";
+import { criarLogger } from "./logger.js";
+
+export const CHAVE_POLITICA = "seguranca.suporte_aprovacao_diretor";
+
+const log = criarLogger("personificacao");
+
+const MINUTOS_PADRAO = Number(process.env.PERSONIFICACAO_MINUTOS || 30);
+const MINUTOS_MAX = Number(process.env.PERSONIFICACAO_MAX_MINUTOS || 120);
+const MOTIVO_MIN = 10;
+const METODOS_LEITURA = ["GET", "HEAD", "OPTIONS"];
+
+// Nem leitura, nem com escrita liberada: credenciais/sessões/2FA da conta e
+// a decisão da escola sobre o próprio acesso de suporte
+const ROTAS_SEMPRE_BLOQUEADAS = [/^\/api\/auth(\/|$)/, /^\/api\/suporte\/acessos-suporte(\/|$)/];
+
+// GETs que gravam e por isso contam como escrita: o PDF de ocorrências marca
+// quem imprimiu (usuario_impressao_id) e a sessão do scanner cria o lote.
+// Os demais GETs não alteram dados — rota nova com efeito entra aqui.
+const LEITURAS_COM_EFEITO = [
+  /^\/api\/relatorio-disciplinar\/\d+(\/registro\/\d+)?$/,
+  /^\/api\/gabarito-lotes\/scan-mobile\/sessao-info$/,
+];
+
+function erro(status, code, message) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+function texto(valor, max = 500) {
+  return String(valor ?? "").trim().slice(0, max);
+}
+
+function lerMotivo(motivo) {
+  const m = texto(motivo);
+  if (m.length < MOTIVO_MIN) {
+    throw erro(400, "MOTIVO_OBRIGATORIO", `Informe o motivo do acesso (mínimo ${MOTIVO_MIN} caracteres).`);
+  }
+  return m;
+}
+
+function lerMinutos(minutos) {
+  const n = Math.floor(Number(minutos) || MINUTOS_PADRAO);
+  return Math.min(Math.max(n, 5), MINUTOS_MAX);
+}
+
+function expirou(p) {
+  return p.expira_em != null && new Date(p.expira_em).getTime() <= Date.now();
+}
+
+/** Mensagem de sistema no chamado (a escola acompanha pela thread). Nunca lança. */
+async function avisarNoChamado(db, chamadoId, mensagem) {
+  try {
+    await db.query(
+      `INSERT INTO chamados_mensagens (chamado_id, autor_id, autor_nome, autor_tipo, mensagem)
+       VALUES (?, NULL, 'Acesso de suporte', 'sistema', ?)`,
+      [chamadoId, mensagem]
+    );
+  } catch (err) {
+    log.warn("falha ao registrar aviso no chamado (não crítico)", { erro: err.message });
+  }
+}
+
+async function carregar(db, id, { escolaId = null } = {}) {
+  const [[p]] = await db.query(
+    `SELECT p.*, u.nome AS usuario_nome, u.perfil AS usuario_perfil, u.ativo AS usuario_ativo,
+            e.apelido AS escola_apelido
+       FROM personificacoes p
+       LEFT JOIN usuarios u ON u.id = p.usuario_id AND u.escola_id = p.escola_id
+       LEFT JOIN escolas e ON e.id = p.escola_id
+      WHERE p.id = ? ${escolaId ? "AND p.escola_id = ?" : ""}
+      LIMIT 1`,
+    escolaId ? [Number(id), Number(escolaId)] : [Number(id)]
+  );
+  if (!p) throw erro(404, "PERSONIFICACAO_NAO_ENCONTRADA", "Acesso de suporte não encontrado.");
+  return p;
+}
+
+function doSolicitante(p, solicitanteId) {
+  if (Number(p.solicitado_por) !== Number(solicitanteId)) {
+    throw erro(403, "OUTRO_SOLICITANTE", "Só quem pediu o acesso pode usá-lo.");
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Pedido e decisão
+// -----------------------------------------------------------------------------
+
+export async function exigeAprovacao(db, escolaId) {
+  if (String(process.env.PERSONIFICACAO_APROVACAO || "").toLowerCase() === "obrigatoria") return true;
+  const [[row]] = await db.query(
+    "SELECT valor FROM configuracoes_escola WHERE escola_id = ? AND chave = ? LIMIT 1",
+    [Number(escolaId), CHAVE_POLITICA]
+  );
+  return String(row?.valor ?? "0") === "1";
+}
+
+export async function solicitarPersonificacao(db, { chamadoId, usuarioId, motivo, minutos, solicitante }) {
+  const m = lerMotivo(motivo);
+  const min = lerMinutos(minutos);
+
+  const [[chamado]] = await db.query("SELECT id, escola_id, status FROM chamados WHERE id = ? LIMIT 1", [Number(chamadoId)]);
+  if (!chamado) throw erro(404, "CHAMADO_NAO_ENCONTRADO", "Chamado não encontrado.");
+  if (chamado.status === "fechado") throw erro(409, "CHAMADO_FECHADO", "Chamado fechado não admite acesso de suporte.");
+
+  const [[usuario]] = await db.query(
+    "SELECT id, nome, perfil, ativo FROM usuarios WHERE id = ? AND escola_id = ? LIMIT 1",
+    [Number(usuarioId), chamado.escola_id]
+  );
+  if (!usuario) throw erro(404, "USUARIO_NAO_ENCONTRADO", "Usuário não encontrado na escola do chamado.");
+  if (Number(usuario.ativo) !== 1) throw erro(409, "CONTA_INATIVA", "Usuário inativo.");
+
+  const [[aberto]] = await db.query(
+    `SELECT id FROM personificacoes
+      WHERE chamado_id = ? AND usuario_id = ?
+        AND (status IN ('pendente', 'aprovada') OR (status = 'ativa' AND expira_em > NOW()))
+      LIMIT 1`,
+    [chamado.id, usuario.id]
+  );
+  if (aberto) throw erro(409, "PERSONIFICACAO_EM_ANDAMENTO", `Já existe um acesso em andamento (#${aberto.id}).`);
+
+  const aprovacao = await exigeAprovacao(db, chamado.escola_id);
+  const status = aprovacao ? "pendente" : "aprovada";
+  const [r] = await db.query(
+    `INSERT INTO personificacoes
+       (chamado_id, escola_id, usuario_id, solicitado_por, solicitante_nome, motivo, minutos, status)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [chamado.id, chamado.escola_id, usuario.id, Number(solicitante.id), texto(solicitante.nome, 200) || null, m, min, status]
+  );
+
+  await avisarNoChamado(
+    db,
+    chamado.id,
+    `O suporte pediu acesso de leitura como ${usuario.nome} (${usuario.perfil}) por até ${min} min. Motivo: ${m}` +
+      (aprovacao ? " — aguardando aprovação do diretor." : "")
+  );
+  return { id: r.insertId, status, exige_aprovacao: aprovacao, minutos: min };
+}
+
+/** Diretor aprova/recusa o acesso pendente ou o pedido de escrita de um acesso ativo. */
+export async function decidirPersonificacao(db, { id, escolaId, aprovar, usuarioId, motivo = null }) {
+  const p = await carregar(db, id, { escolaId });
+  const obs = texto(motivo) || null;
+
+  if (p.status === "pendente") {
+    const [r] = await db.query(
+      `UPDATE personificacoes SET status = ?, decidido_por = ?, decidido_em = NOW(), motivo_decisao = ?
+        WHERE id = ? AND status = 'pendente'`,
+      [aprovar ? "aprovada" : "recusada", usuarioId, obs, p.id]
+    );
+    if (!r.affectedRows) throw erro(409, "NADA_A_DECIDIR", "O pedido já foi decidido.");
+    await avisarNoChamado(db, p.chamado_id, `Acesso de suporte ${aprovar ? "aprovado" : "recusado"} pela direção.`);
+    return { tipo: "acesso", aprovado: Boolean(aprovar) };
+  }
+
+  if (p.status === "ativa" && p.escrita === "pendente" && !expirou(p)) {
+    const [r] = await db.query(
+      `UPDATE personificacoes
+          SET escrita = ?, escrita_liberada_por = ?, escrita_liberada_em = IF(? = 'liberada', NOW(), NULL)
+        WHERE id = ? AND escrita = 'pendente'`,
+      [aprovar ? "liberada" : "bloqueada", usuarioId, aprovar ? "liberada" : "bloqueada", p.id]
+    );
+    if (!r.affectedRows) throw erro(409, "NADA_A_DECIDIR", "O pedido já foi decidido.");
+    await avisarNoChamado(db, p.chamado_id, `Escrita pelo suporte ${aprovar ? "liberada" : "recusada"} pela direção.`);
+    return { tipo: "escrita", aprovado: Boolean(aprovar) };
+  }
+
+  throw erro(409, "NADA_A_DECIDIR", "Não há pedido aguardando decisão neste acesso.");
+}
+
+// -----------------------------------------------------------------------------
+// Uso (CEO)
+// -----------------------------------------------------------------------------
+
+/**
+ * Emite o token do acesso aprovado (uma vez só). permissoesDe(usuarioId,
+ * escolaId) → { perfis, permissoes } monta o mesmo RBAC do login do usuário;
+ * sem ele, autenticarToken deriva as permissões do perfil.
+ */
+export async function iniciarPersonificacao(db, { id, solicitanteId, permissoesDe = null }) {
+  const p = await carregar(db, id);
+  doSolicitante(p, solicitanteId);
+  if (p.status === "pendente") throw erro(409, "AGUARDANDO_APROVACAO", "Aguardando aprovação do diretor.");
+  if (p.status !== "aprovada") {
+    throw erro(409, "PERSONIFICACAO_INDISPONIVEL", `Acesso ${p.status}. Peça um novo acesso no chamado.`);
+  }
+  if (Number(p.usuario_ativo) !== 1) throw erro(409, "CONTA_INATIVA", "Usuário inativo.");
+
+  const rbac = permissoesDe ? await permissoesDe(p.usuario_id, p.escola_id) : { perfis: [], permissoes: [] };
+  const [r] = await db.query(
+    `UPDATE personificacoes SET status = 'ativa', iniciado_em = NOW(), expira_em = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+      WHERE id = ? AND status = 'aprovada'`,
+    [Number(p.minutos), p.id]
+  );
+  if (!r.affectedRows) throw erro(409, "PERSONIFICACAO_INDISPONIVEL", "Acesso já iniciado.");
+
+  const secret = process.env.JWT_SECRET;
+  if (!secret) throw new Error("JWT_SECRET não configurado.");
+  const token = jwt.sign(
+    {
+      scope: "escola",
+      usuario_id: Number(p.usuario_id),
+      usuarioId: Number(p.usuario_id),
+      escola_id: Number(p.escola_id),
+      nome_escola: p.escola_apelido || null,
+      perfil: p.usuario_perfil,
+      perfis: rbac.perfis || [],
+      permissoes: rbac.permissoes || [],
+      personificacao: { id: p.id, por: Number(p.solicitado_por), chamado_id: p.chamado_id },
+    },
+    secret,
+    { expiresIn: Number(p.minutos) * 60 }
+  );
+
+  await avisarNoChamado(db, p.chamado_id, `O suporte iniciou o acesso como ${p.usuario_nome} (somente leitura).`);
+  return {
+    token,
+    expira_em: new Date(Date.now() + Number(p.minutos) * 60_000),
+    somente_leitura: true,
+    usuario: { id: p.usuario_id, nome: p.usuario_nome, perfil: p.usuario_perfil },
+    escola_id: p.escola_id,
+    nome_escola: p.escola_apelido || null,
+    perfis: rbac.perfis || [],
+    permissoes: rbac.permissoes || [],
+  };
+}
+
+export async function escalonarEscrita(db, { id, solicitanteId, motivo }) {
+  const m = lerMotivo(motivo);
+  const p = await carregar(db, id);
+  doSolicitante(p, solicitanteId);
+  if (p.status !== "ativa" || expirou(p)) throw erro(409, "PERSONIFICACAO_INATIVA", "O acesso não está ativo.");
+  if (p.escrita === "liberada") return { escrita: "liberada" };
+
+  const escrita = (await exigeAprovacao(db, p.escola_id)) ? "pendente" : "liberada";
+  await db.query(
+    `UPDATE personificacoes
+        SET escrita = ?, escrita_motivo = ?, escrita_pedida_em = NOW(),
+            escrita_liberada_em = IF(? = 'liberada', NOW(), NULL)
+      WHERE id = ?`,
+    [escrita, m, escrita, p.id]
+  );
+
+  await avisarNoChamado(
+    db,
+    p.chamado_id,
+    escrita === "liberada"
+      ? `O suporte passou a poder alterar dados como ${p.usuario_nome}. Motivo: ${m}`
+      : `O suporte pediu para alterar dados como ${p.usuario_nome} — aguardando aprovação do diretor. Motivo: ${m}`
+  );
+  return { escrita };
+}
+
+/** Encerra pedido ou acesso em andamento (CEO: só os próprios; escola: só os dela). */
+export async function encerrarPersonificacao(db, { id, escolaId = null, solicitanteId = null, por }) {
+  const p = await carregar(db, id, { escolaId });
+  if (solicitanteId != null) doSolicitante(p, solicitanteId);
+
+  const [r] = await db.query(
+    `UPDATE personificacoes SET status = 'encerrada', encerrado_em = NOW(), encerrado_por = ?
+      WHERE id = ? AND status IN ('pendente', 'aprovada', 'ativa')`,
+    [texto(por, 200) || null, p.id]
+  );
+  if (!r.affectedRows) return false;
+  await avisarNoChamado(db, p.chamado_id, `Acesso de suporte encerrado por ${texto(por, 200) || "—"}.`);
+  return true;
+}
+
+/** Chamado fechado leva junto os acessos dele que ainda estão em andamento. */
+export async function encerrarDoChamado(db, chamadoId, por) {
+  const [r] = await db.query(
+    `UPDATE personificacoes SET status = 'encerrada', encerrado_em = NOW(), encerrado_por = ?
+      WHERE chamado_id = ? AND status IN ('pendente', 'aprovada', 'ativa')`,
+    [texto(por, 200) || null, Number(chamadoId)]
+  );
+  return r.affectedRows;
+}
+
+// -----------------------------------------------------------------------------
+// Consulta
+// -----------------------------------------------------------------------------
+
+function formatar(p) {
+  return {
+    id: p.id,
+    chamado_id: p.chamado_id,
+    escola_id: p.escola_id,
+    usuario: { id: p.usuario_id, nome: p.usuario_nome || null, perfil: p.usuario_perfil || null },
+    solicitado_por: p.solicitado_por,
+    solicitante_nome: p.solicitante_nome,
+    motivo: p.motivo,
+    minutos: p.minutos,
+    status: p.status === "ativa" && expirou(p) ? "expirada" : p.status,
+    decidido_em: p.decidido_em,
+    motivo_decisao: p.motivo_decisao,
+    escrita: p.escrita,
+    escrita_motivo: p.escrita_motivo,
+    iniciado_em: p.iniciado_em,
+    expira_em: p.expira_em,
+    encerrado_em: p.encerrado_em,
+    encerrado_por: p.encerrado_por,
+    criado_em: p.criado_em,
+    total_acessos: Number(p.total_acessos || 0),
+    acessos_bloqueados: Number(p.acessos_bloqueados || 0),
+  };
+}
+
+/** Filtros: escolaId, chamadoId, status, pagina, limite (máx. 200). */
+export async function listarPersonificacoes(db, { escolaId, chamadoId, status, pagina = 1, limite = 50 } = {}) {
+  const where = ["1=1"];
+  const params = [];
+  if (escolaId) {
+    where.push("p.escola_id = ?");
+    params.push(Number(escolaId));
+  }
+  if (chamadoId) {
+    where.push("p.chamado_id = ?");
+    params.push(Number(chamadoId));
+  }
+  if (status) {
+    where.push("p.status = ?");
+    params.push(String(status));
+  }
+
+  const lim = Math.min(Math.max(Number(limite) || 50, 1), 200);
+  const pag = Math.max(Number(pagina) || 1, 1);
+  const whereSql = where.join(" AND ");
+
+  const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total FROM personificacoes p WHERE ${whereSql}`, params);
+  const [rows] = await db.query(
+    `SELECT p.*, u.nome AS usuario_nome, u.perfil AS usuario_perfil,
+            (SELECT COUNT(*) FROM personificacoes_acessos a WHERE a.personificacao_id = p.id) AS total_acessos,
+            (SELECT COUNT(*) FROM personificacoes_acessos a WHERE a.personificacao_id = p.id AND a.bloqueado = 1) AS acessos_bloqueados
+       FROM personificacoes p
+       LEFT JOIN usuarios u ON u.id = p.usuario_id AND u.escola_id = p.escola_id
+      WHERE ${whereSql}
+      ORDER BY p.id DESC
+      LIMIT ? OFFSET ?`,
+    [...params, lim, (pag - 1) * lim]
+  );
+  return { itens: rows.map(formatar), total: Number(total) || 0, pagina: pag, limite: lim };
+}
+
+/** Detalhe com os requests feitos (os 500 mais recentes). */
+export async function obterPersonificacao(db, id, { escolaId = null } = {}) {
+  const p = await carregar(db, id, { escolaId });
+  const [acessos] = await db.query(
+    `SELECT metodo, rota, status_http, bloqueado, ip, criado_em
+       FROM personificacoes_acessos
+      WHERE personificacao_id = ?
+      ORDER BY id DESC
+      LIMIT 500`,
+    [p.id]
+  );
+  return {
+    ...formatar({ ...p, total_acessos: acessos.length, acessos_bloqueados: acessos.filter((a) => a.bloqueado).length }),
+    acessos: acessos.map((a) => ({ ...a, bloqueado: Boolean(a.bloqueado) })),
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Por request (middleware/autenticarToken.js)
+// -----------------------------------------------------------------------------
+
+/**
+ * O pedido ainda vale para este token? → { ok: true, escrita } |
+ * { ok: false, code }. Acesso vencido é marcado como expirado.
+ */
+export async function validarPersonificacao(db, usuario) {
+  const claim = usuario?.personificacao;
+  const [[p]] = await db.query(
+    "SELECT id, escola_id, usuario_id, solicitado_por, status, escrita, expira_em FROM personificacoes WHERE id = ? LIMIT 1",
+    [Number(claim?.id)]
+  );
+  const uid = Number(usuario?.usuario_id ?? usuario?.usuarioId);
+  if (!p || Number(p.escola_id) !== Number(usuario?.escola_id) || Number(p.usuario_id) !== uid || Number(p.solicitado_por) !== Number(claim.por)) {
+    return { ok: false, code: "PERSONIFICACAO_INVALIDA" };
+  }
+  if (p.status !== "ativa") return { ok: false, code: "PERSONIFICACAO_ENCERRADA" };
+  if (expirou(p)) {
+    await db.query("UPDATE personificacoes SET status = 'expirada' WHERE id = ? AND status = 'ativa'", [p.id]);
+    return { ok: false, code: "PERSONIFICACAO_ENCERRADA" };
+  }
+  return { ok: true, escrita: p.escrita === "liberada" };
+}
+
+/** Por que este request não pode ser feito pelo suporte (null = pode). */
+export function bloqueioDaPersonificacao(metodo, rota, { escrita = false } = {}) {
+  if (ROTAS_SEMPRE_BLOQUEADAS.some((re) => re.test(rota))) {
+    return "Acesso de suporte não pode ver nem alterar conta, sessão ou o próprio acesso.";
+  }
+  const leitura = METODOS_LEITURA.includes(String(metodo).toUpperCase());
+  if (leitura && !LEITURAS_COM_EFEITO.some((re) => re.test(rota))) return null;
+  return escrita ? null : "Acesso de suporte é somente leitura. Peça o escalonamento no chamado.";
+}
+
+function registrarAcesso(db, req, { personificacaoId, escolaId, rota, bloqueado, status }) {
+  db.query(
+    `INSERT INTO personificacoes_acessos (personificacao_id, escola_id, metodo, rota, status_http, bloqueado, ip)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [personificacaoId, escolaId, req.method, rota, status, bloqueado ? 1 : 0, String(req.ip || "").slice(0, 64) || null]
+  ).catch((err) => log.warn("falha ao registrar acesso (não crítico)", { erro: err.message }));
+}
+
+/**
+ * Aplica o acesso de suporte a um request já autenticado: valida o pedido,
+ * marca req.user.personificacao.escrita, registra o request (com o status
+ * final da resposta) e barra escrita. → null | { status, body }.
+ * Erro de banco propaga (o middleware responde 503).
+ */
+export async function aplicarPersonificacao(db, req, res) {
+  const claim = req.user?.personificacao;
+  if (!claim) return null;
+
+  const estado = await validarPersonificacao(db, req.user);
+  if (!estado.ok) {
+    return {
+      status: 401,
+      body: { ok: false, code: estado.code, message: "Acesso de suporte encerrado ou expirado." },
+    };
+  }
+
+  req.user.personificacao = { ...claim, escrita: estado.escrita };
+  res.setHeader?.("X-Personificacao", String(claim.id));
+
+  const rota = String(req.originalUrl || "").split("?")[0].slice(0, 255);
+  const motivo = bloqueioDaPersonificacao(req.method, rota, { escrita: estado.escrita });
+  const registro = { personificacaoId: claim.id, escolaId: req.user.escola_id, rota, bloqueado: Boolean(motivo) };
+
+  if (motivo) {
+    registrarAcesso(db, req, { ...registro, status: 403 });
+    return { status: 403, body: { ok: false, code: "PERSONIFICACAO_SOMENTE_LEITURA", message: motivo } };
+  }
+  if (typeof res.on === "function") {
+    res.on("finish", () => registrarAcesso(db, req, { ...registro, status: res.statusCode }));
+  } else {
+    registrarAcesso(db, req, { ...registro, status: null });
+  }
+  return null;
+}
@@ -0,0 +1,406 @@
+// services/politicaNotas.js
+// ============================================================================
+// Política de notas da escola (governança, categoria "Avaliações")
+// - Como o diário do PAP (notas_diario: item × oportunidade) vira a nota do
+//   bimestre no boletim (notas.nota):
+//     soma      → Σ itens (item = soma das oportunidades, até o nota_total dele)
+//     ponderada → máxima × Σ (peso × item ÷ nota_total) ÷ Σ peso
+//   sempre limitada à nota máxima do bimestre e arredondada (nenhum = 2 casas,
+//   0.1 ou 0.5 — meio ponto arredonda para cima).
+// - nota.media_aprovacao: abaixo dela a nota fica "abaixo_media" (mapa de
+//   notas, boletim, app dos pais) e o aluno entra na lista da recuperação.
+// - Recuperação: item do PAP com `recuperacao` (continua | compensatoria)
+//   ligado ao item original (recupera_item_id). Não entra na composição; a
+//   nota dele (na escala do original) vale pela regra nota.recuperacao:
+//     maior     → fica a maior entre a original e a da recuperação
+//     substitui → a da recuperação substitui a original
+//     media     → média entre as duas
+// - Resultado final (services/resultadoFinal.js) usa a mesma política:
+//   resultado.frequencia_minima (75%) e resultado.max_dependencias (0 = sem
+//   dependência) — também com exceção por etapa.
+// - nota.politica_excecoes: JSON com regras por etapa (turmas.etapa) e/ou
+//   bimestre, ex.: [{ "etapa": "ENSINO MÉDIO", "bimestre": 4, "maxima_bimestre": 20 }].
+//   Vale a mais específica (etapa + bimestre > etapa > bimestre).
+// - Mesmo cálculo em avaliacoes.js (exportar-boletim, notas-diario),
+//   notas.js (mapa-nota), governanca.js (boletim-config, avaliacao-config,
+//   prévia da fórmula) e app_pais_login.js (boletim).
+// ============================================================================
+import { criarLogger } from "./logger.js";
+
+const log = criarLogger("politica-notas");
+
+export const COMPOSICOES = ["soma", "ponderada"];
+export const ARREDONDAMENTOS = ["nenhum", "0.1", "0.5"];
+export const REGRAS_RECUPERACAO = ["maior", "substitui", "media"];
+export const TIPOS_RECUPERACAO = ["continua", "compensatoria"];
+
+export const POLITICA_PADRAO = Object.freeze({
+  composicao: "soma",
+  maxima_bimestre: 10,
+  arredondamento: "nenhum",
+  media_aprovacao: 5,
+  recuperacao: "maior",
+  frequencia_minima: 75,
+  max_dependencias: 0,
+});
+
+// Chave em configuracoes_escola → campo da política
+export const CHAVES_POLITICA = Object.freeze({
+  "nota.composicao": "composicao",
+  "nota.maxima_bimestre": "maxima_bimestre",
+  "nota.arredondamento": "arredondamento",
+  "nota.media_aprovacao": "media_aprovacao",
+  "nota.recuperacao": "recuperacao",
+  "resultado.frequencia_minima": "frequencia_minima",
+  "resultado.max_dependencias": "max_dependencias",
+});
+const CHAVE_EXCECOES = "nota.politica_excecoes";
+
+const CAMPOS = Object.values(CHAVES_POLITICA);
+
+function erroPolitica(message) {
+  return Object.assign(new Error(message), { status: 400, code: "POLITICA_INVALIDA" });
+}
+
+function normalizarEtapa(v) {
+  return String(v ?? "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").trim().toUpperCase();
+}
+
+/** Confere um campo da política; devolve o valor normalizado ou lança POLITICA_INVALIDA. */
+function validarCampo(campo, valor) {
+  switch (campo) {
+    case "composicao":
+      if (!COMPOSICOES.includes(valor)) throw erroPolitica(`Composição inválida: use ${COMPOSICOES.join(" ou ")}.`);
+      return valor;
+    case "arredondamento":
+      if (!ARREDONDAMENTOS.includes(String(valor))) throw erroPolitica(`Arredondamento inválido: use ${ARREDONDAMENTOS.join(", ")}.`);
+      return String(valor);
+    case "recuperacao":
+      if (!REGRAS_RECUPERACAO.includes(valor)) throw erroPolitica(`Regra de recuperação inválida: use ${REGRAS_RECUPERACAO.join(", ")}.`);
+      return valor;
+    case "maxima_bimestre": {
+      const n = Number(String(valor).replace(",", "."));
+      if (!Number.isFinite(n) || n <= 0 || n > 100) throw erroPolitica("Nota máxima do bimestre deve ficar entre 0 e 100.");
+      return n;
+    }
+    case "frequencia_minima": {
+      const n = Number(String(valor).replace(",", "."));
+      if (!Number.isFinite(n) || n < 0 || n > 100) throw erroPolitica("Frequência mínima deve ficar entre 0 e 100%.");
+      return n;
+    }
+    case "max_dependencias": {
+      const n = Number(valor);
+      if (!Number.isInteger(n) || n < 0 || n > 3) throw erroPolitica("Máximo de dependências deve ser um inteiro de 0 a 3.");
+      return n;
+    }
+    case "media_aprovacao": {
+      const n = Number(String(valor).replace(",", "."));
+      if (!Number.isFinite(n) || n < 0 || n > 100) throw erroPolitica("Média de aprovação deve ficar entre 0 e 100.");
+      return n;
+    }
+    default:
+      throw erroPolitica(`Campo desconhecido na política de notas: ${campo}.`);
+  }
+}
+
+/** base + alterações (só os campos informados), conferida. */
+export function normalizarPolitica(alteracoes = {}, base = POLITICA_PADRAO) {
+  const politica = { ...base };
+  for (const campo of CAMPOS) {
+    if (alteracoes[campo] !== undefined && alteracoes[campo] !== null && alteracoes[campo] !== "") {
+      politica[campo] = validarCampo(campo, alteracoes[campo]);
+    }
+  }
+  if (politica.media_aprovacao > politica.maxima_bimestre) {
+    throw erroPolitica("A média de aprovação não pode passar da nota máxima do bimestre.");
+  }
+  return politica;
+}
+
+function lerExcecoes(valor) {
+  const lista = JSON.parse(valor || "[]");
+  if (!Array.isArray(lista)) throw erroPolitica("As exceções da política de notas devem ser uma lista.");
+  return lista.map((e, i) => {
+    if (!e || typeof e !== "object") throw erroPolitica(`Exceção ${i + 1}: formato inválido.`);
+    const bimestre = e.bimestre == null || e.bimestre === "" ? null : Number(e.bimestre);
+    if (bimestre !== null && ![1, 2, 3, 4].includes(bimestre)) throw erroPolitica(`Exceção ${i + 1}: bimestre deve ser 1 a 4.`);
+    const etapa = e.etapa ? normalizarEtapa(e.etapa) : null;
+    if (!etapa && !bimestre) throw erroPolitica(`Exceção ${i + 1}: informe etapa e/ou bimestre.`);
+    const regras = {};
+    for (const campo of CAMPOS) if (e[campo] != null && e[campo] !== "") regras[campo] = validarCampo(campo, e[campo]);
+    if (!Object.keys(regras).length) throw erroPolitica(`Exceção ${i + 1}: nenhuma regra informada.`);
+    return { etapa, bimestre, regras };
+  });
+}
+
+/**
+ * Valor que o diretor quer gravar numa chave da política (PUT da governança).
+ * → mensagem de erro ou null se estiver ok (chaves de fora da política: null).
+ */
+export function validarValorPolitica(chave, valor) {
+  try {
+    if (chave === CHAVE_EXCECOES) lerExcecoes(String(valor));
+    else if (CHAVES_POLITICA[chave]) validarCampo(CHAVES_POLITICA[chave], String(valor));
+    return null;
+  } catch (err) {
+    return err.code === "POLITICA_INVALIDA" ? err.message : "JSON inválido nas exceções da política de notas.";
+  }
+}
+
+// ─── Leitura (configuracoes_escola) ─────────────────────────────────────────
+
+/** Política base + exceções da escola. Valor inválido gravado: fica o padrão. */
+export async function carregarPoliticaEscola(db, escolaId) {
+  const [rows] = await db.query(
+    `SELECT chave, valor FROM configuracoes_escola
+      WHERE escola_id = ? AND chave IN (?)`,
+    [escolaId, [...Object.keys(CHAVES_POLITICA), CHAVE_EXCECOES]]
+  );
+  const valores = Object.fromEntries((rows || []).map((r) => [r.chave, r.valor]));
+
+  let base = { ...POLITICA_PADRAO };
+  for (const [chave, campo] of Object.entries(CHAVES_POLITICA)) {
+    if (valores[chave] == null || valores[chave] === "") continue;
+    try {
+      base = normalizarPolitica({ [campo]: valores[chave] }, base);
+    } catch (err) {
+      log.warn("configuração ignorada", { chave, escola_id: escolaId, erro: err.message });
+    }
+  }
+
+  let excecoes = [];
+  try {
+    excecoes = lerExcecoes(valores[CHAVE_EXCECOES]);
+  } catch (err) {
+    log.warn("exceções ignoradas", { escola_id: escolaId, erro: err.message });
+  }
+  return { base, excecoes };
+}
+
+/** Política que vale para a etapa/bimestre (puro, sobre carregarPoliticaEscola). */
+export function resolverPolitica({ base, excecoes }, { etapa = null, bimestre = null } = {}) {
+  const etapaNorm = etapa ? normalizarEtapa(etapa) : null;
+  const bim = bimestre ? Number(bimestre) : null;
+  const peso = (e) => (e.etapa ? 2 : 0) + (e.bimestre ? 1 : 0);
+  const aplicaveis = excecoes
+    .filter((e) => (!e.etapa || e.etapa === etapaNorm) && (!e.bimestre || e.bimestre === bim))
+    .sort((a, b) => peso(a) - peso(b));
+
+  let politica = { ...base };
+  for (const e of aplicaveis) {
+    try {
+      politica = normalizarPolitica(e.regras, politica);
+    } catch (err) {
+      log.warn("exceção ignorada", { erro: err.message });
+    }
+  }
+  return politica;
+}
+
+export async function etapaDaTurma(db, escolaId, turmaId) {
+  if (!turmaId) return null;
+  const [[turma]] = await db.query("SELECT etapa FROM turmas WHERE id = ? AND escola_id = ? LIMIT 1", [turmaId, escolaId]);
+  return turma?.etapa ?? null;
+}
+
+/** Política da turma no bimestre. */
+export async function politicaDaTurma(db, escolaId, turmaId, bimestre) {
+  const [cfg, etapa] = await Promise.all([carregarPoliticaEscola(db, escolaId), etapaDaTurma(db, escolaId, turmaId)]);
+  return resolverPolitica(cfg, { etapa, bimestre });
+}
+
+// ─── Cálculo (puro) ─────────────────────────────────────────────────────────
+
+export function arredondarNota(valor, regra = "nenhum") {
+  if (valor == null || !Number.isFinite(Number(valor))) return null;
+  const passo = regra === "0.5" ? 2 : regra === "0.1" ? 10 : 100;
+  return Math.round((Number(valor) + Number.EPSILON) * passo) / passo;
+}
+
+const pesoDoItem = (item) => {
+  const p = Number(item.peso);
+  return Number.isFinite(p) && p >= 0 ? p : 1;
+};
+
+/** Nota do item: soma das oportunidades lançadas, até o nota_total (null = nada lançado). */
+export function notaDoItem(item, valores = []) {
+  const lancadas = valores.filter((v) => v != null && v !== "" && Number.isFinite(Number(v))).map(Number);
+  if (!lancadas.length) return null;
+  const soma = lancadas.reduce((s, v) => s + v, 0);
+  const total = Number(item.nota_total) || 0;
+  return Math.max(0, total > 0 ? Math.min(soma, total) : soma);
+}
+
+/**
+ * Índice do item original que o item `idx` recupera (na ordem de item_idx).
+ * null: não é recuperação ou o original não está no plano (ou também é
+ * recuperação). Aceita recupera_idx (montagem do PAP) ou recupera_item_id.
+ */
+export function indiceRecuperado(itens, idx) {
+  const item = itens[idx];
+  if (!item?.recuperacao) return null;
+  const alvo = Number.isInteger(item.recupera_idx)
+    ? item.recupera_idx
+    : itens.findIndex((i) => i.id != null && Number(i.id) === Number(item.recupera_item_id));
+  if (alvo < 0 || alvo === idx || !itens[alvo] || itens[alvo].recuperacao) return null;
+  return alvo;
+}
+
+/** Nota do item depois da recuperação, pela regra da política. */
+export function aplicarRecuperacao(regra, original, recuperacao) {
+  if (recuperacao == null) return original;
+  if (original == null) return recuperacao;
+  if (regra === "substitui") return recuperacao;
+  if (regra === "media") return (original + recuperacao) / 2;
+  return Math.max(original, recuperacao);
+}
+
+function comporNota(politica, itens, campo) {
+  if (itens.every((i) => i[campo] === null)) return null;
+  if (politica.composicao === "ponderada") {
+    const validos = itens.filter((i) => i.nota_total > 0 && i.peso > 0);
+    const somaPesos = validos.reduce((s, i) => s + i.peso, 0);
+    return somaPesos
+      ? (politica.maxima_bimestre * validos.reduce((s, i) => s + (i.peso * (i[campo] ?? 0)) / i.nota_total, 0)) / somaPesos
+      : 0;
+  }
+  return itens.reduce((s, i) => s + (i[campo] ?? 0), 0);
+}
+
+/**
+ * Nota do bimestre a partir dos itens do plano (na ordem de item_idx) e das
+ * notas lançadas por item (valoresPorItem[idx] = [oportunidade 0, 1, ...]).
+ * Itens de recuperação não entram na composição: a nota deles, convertida
+ * para a escala do original, vale sobre o original pela regra nota.recuperacao.
+ * → { nota, bruta, nota_sem_recuperacao,
+ *     itens: [{ idx, atividade, nota, nota_original?, nota_total, peso, recuperacao, recupera_idx }] }
+ *   nota = null quando nenhum item tem nota (aluno sem lançamento).
+ */
+export function calcularNotaBimestre(politica, itens, valoresPorItem = []) {
+  const detalhe = itens.map((item, idx) => ({
+    idx,
+    atividade: item.atividade ?? null,
+    nota: notaDoItem(item, [].concat(valoresPorItem[idx] ?? [])),
+    nota_total: Number(item.nota_total) || 0,
+    peso: pesoDoItem(item),
+    recuperacao: item.recuperacao || null,
+    recupera_idx: indiceRecuperado(itens, idx),
+  }));
+
+  // Melhor nota de recuperação de cada original, na escala dele
+  const recuperadas = new Map();
+  for (const r of detalhe) {
+    if (r.recupera_idx === null || r.nota === null) continue;
+    const original = detalhe[r.recupera_idx];
+    const escala = r.nota_total > 0 && original.nota_total > 0 ? original.nota_total / r.nota_total : 1;
+    const valor = original.nota_total > 0 ? Math.min(r.nota * escala, original.nota_total) : r.nota * escala;
+    recuperadas.set(r.recupera_idx, Math.max(recuperadas.get(r.recupera_idx) ?? 0, valor));
+  }
+
+  const originais = detalhe.filter((i) => !i.recuperacao);
+  for (const i of originais) {
+    i.nota_sem_recuperacao = i.nota;
+    if (!recuperadas.has(i.idx)) continue;
+    i.nota_original = i.nota;
+    i.nota = aplicarRecuperacao(politica.recuperacao, i.nota, recuperadas.get(i.idx));
+  }
+
+  const bruta = comporNota(politica, originais, "nota");
+  const semRecuperacao = comporNota(politica, originais, "nota_sem_recuperacao");
+  for (const i of originais) delete i.nota_sem_recuperacao;
+  if (bruta === null) return { nota: null, bruta: null, nota_sem_recuperacao: null, itens: detalhe };
+
+  const limitar = (v) => arredondarNota(Math.min(v, politica.maxima_bimestre), politica.arredondamento);
+  return {
+    nota: limitar(bruta),
+    bruta: arredondarNota(bruta),
+    nota_sem_recuperacao: semRecuperacao === null ? null : limitar(semRecuperacao),
+    itens: detalhe,
+  };
+}
+
+/**
+ * Notas do bimestre por aluno a partir das linhas de notas_diario
+ * ({ aluno_id, item_idx, oportunidade_idx, nota }) → Map aluno_id → resultado.
+ */
+export function calcularNotasDoDiario(politica, itens, linhas) {
+  const porAluno = new Map();
+  for (const l of linhas) {
+    const alunoId = Number(l.aluno_id);
+    if (!porAluno.has(alunoId)) porAluno.set(alunoId, []);
+    const valores = porAluno.get(alunoId);
+    (valores[l.item_idx] ||= [])[l.oportunidade_idx ?? 0] = l.nota;
+  }
+  const resultado = new Map();
+  for (const [alunoId, valores] of porAluno) resultado.set(alunoId, calcularNotaBimestre(politica, itens, valores));
+  return resultado;
+}
+
+/** "aprovado" | "abaixo_media" | null (sem nota). */
+export function situacaoDaNota(politica, nota) {
+  if (nota == null || nota === "" || !Number.isFinite(Number(nota))) return null;
+  return Number(nota) >= politica.media_aprovacao ? "aprovado" : "abaixo_media";
+}
+
+/** Média das notas lançadas (bimestres sem nota ficam de fora), arredondada pela política. */
+export function mediaDasNotas(politica, notas) {
+  const validas = notas.filter((n) => n != null && n !== "" && Number.isFinite(Number(n))).map(Number);
+  if (!validas.length) return null;
+  return arredondarNota(validas.reduce((s, n) => s + n, 0) / validas.length, politica.arredondamento);
+}
+
+// ─── Prévia da fórmula (governança / montagem do PAP) ───────────────────────
+
+function fmt(n) {
+  return String(arredondarNota(n)).replace(".", ",");
+}
+
+const ROTULO_ARREDONDAMENTO = { nenhum: "sem arredondamento (2 casas)", "0.1": "arredondada a 0,1", "0.5": "arredondada a 0,5" };
+const ROTULO_RECUPERACAO = {
+  maior: "vale a maior nota entre o item e a recuperação",
+  substitui: "a nota da recuperação substitui a do item",
+  media: "vale a média entre o item e a recuperação",
+};
+
+/** Fórmula em texto, com os itens do plano quando informados (recuperações fora da conta). */
+export function descreverFormula(politica, itens = []) {
+  const nomeados = itens.map((i, idx) => ({ ...i, nome: i.atividade || `Item ${idx + 1}` }));
+  const originais = nomeados.filter((i) => !i.recuperacao);
+  let corpo;
+  if (politica.composicao === "ponderada") {
+    const termos = originais.length
+      ? originais.map((i) => `${fmt(pesoDoItem(i))} × ${i.nome}/${fmt(Number(i.nota_total) || 0)}`).join(" + ")
+      : "Σ peso × item/valor do item";
+    const pesos = originais.length ? fmt(originais.reduce((s, i) => s + pesoDoItem(i), 0)) : "Σ pesos";
+    corpo = `${fmt(politica.maxima_bimestre)} × (${termos}) ÷ ${pesos}`;
+  } else {
+    corpo = originais.length ? originais.map((i) => i.nome).join(" + ") : "soma dos itens";
+  }
+  const recuperacoes = nomeados
+    .map((i, idx) => ({ ...i, alvo: indiceRecuperado(itens, idx) }))
+    .filter((i) => i.alvo !== null)
+    .map((i) => `${i.nome} → ${nomeados[i.alvo].nome}`);
+  const textoRecuperacao = recuperacoes.length
+    ? ` Recuperação (${recuperacoes.join("; ")}): ${ROTULO_RECUPERACAO[politica.recuperacao]}.`
+    : "";
+  return `Nota do bimestre = ${corpo}, limitada a ${fmt(politica.maxima_bimestre)}, ` +
+    `${ROTULO_ARREDONDAMENTO[politica.arredondamento]}; média para aprovação: ${fmt(politica.media_aprovacao)}.` +
+    textoRecuperacao;
+}
+
+/**
+ * Prévia: fórmula + nota de exemplo. Sem notas informadas, o exemplo usa a
+ * metade do valor de cada item (e nenhuma nota nas recuperações).
+ */
+export function previaPolitica(politica, itens = [], notas = null) {
+  const valores = itens.map((i, idx) => {
+    if (notas?.[idx] != null) return notas[idx];
+    return i.recuperacao ? null : (Number(i.nota_total) || 0) / 2;
+  });
+  const exemplo = calcularNotaBimestre(politica, itens, valores.map((v) => [v]));
+  return {
+    politica,
+    formula: descreverFormula(politica, itens),
+    exemplo: { ...exemplo, situacao: situacaoDaNota(politica, exemplo.nota) },
+  };
+}
@@ -0,0 +1,268 @@
+// services/preferenciasNotificacao.js
+// -----------------------------------------------------------------------------
+// Preferências de notificação do responsável (migrations/versions/0016_...).
+//
+//  - Por categoria de evento (CATEGORIAS) e por aluno: receber ou não, em quais
+//    canais e se entra no resumo diário. aluno_id = 0 é a preferência geral do
+//    responsável; a específica do aluno tem precedência sobre ela.
+//  - Categorias obrigatórias (convocação, suspensão) ignoram opt-out e
+//    restrição de canal: o responsável só pode acrescentar canais.
+//  - Horário de silêncio (America/Sao_Paulo): push/SMS ficam retidos no outbox
+//    até o fim da janela; nada é descartado.
+//  - Resumo diário: categorias "resumíveis" (entrada, comunicados) viram itens
+//    em notificacoes_resumo_itens, enviados numa mensagem só na hora escolhida
+//    (services/notificacoes.js → processarResumos).
+//
+// API:
+//  - carregarPreferencias(db, responsavelIds, categoria) → usado no enfileiramento
+//  - resolverPreferencia(carregadas, responsavelId, alunoId, categoria)
+//  - segundosAteFimDoSilencio(config, agora)
+//  - lerPreferencias(db, responsavelId, alunoIds) / salvarPreferencias(db, responsavelId, dados, { alunoIds })
+// -----------------------------------------------------------------------------
+
+export const FUSO = "America/Sao_Paulo";
+export const CANAIS = Object.freeze(["push", "email", "sms"]);
+export const RESUMO_HORA_PADRAO = 19;
+
+export const CATEGORIAS = Object.freeze({
+  presenca: { rotulo: "Entrada na escola", obrigatoria: false, resumivel: true },
+  ocorrencias: { rotulo: "Ocorrências disciplinares", obrigatoria: false, resumivel: false },
+  convocacao: { rotulo: "Convocação do responsável", obrigatoria: true, resumivel: false },
+  suspensao: { rotulo: "Suspensão", obrigatoria: true, resumivel: false },
+  comunicados: { rotulo: "Comunicados da escola", obrigatoria: false, resumivel: true },
+  boletins: { rotulo: "Boletins e notas", obrigatoria: false, resumivel: false },
+});
+
+const PADRAO = Object.freeze({ receber: true, canais: null, resumo_diario: false });
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+function erro400(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/** "22:00" / "22:00:00" (TIME do MySQL) → minutos desde 00:00, ou null. */
+export function horaParaMinutos(valor) {
+  const m = /^(\d{1,2}):(\d{2})/.exec(String(valor ?? ""));
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return null;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+function formatarHora(valor) {
+  const min = horaParaMinutos(valor);
+  if (min == null) return null;
+  return `${String(Math.floor(min / 60)).padStart(2, "0")}:${String(min % 60).padStart(2, "0")}`;
+}
+
+/** Hora local (0–23) e data local (YYYY-MM-DD) no fuso da escola. */
+export function horaLocal(data = new Date()) {
+  return Number(data.toLocaleTimeString("en-GB", { timeZone: FUSO, hour: "2-digit", hour12: false })) % 24;
+}
+
+export function dataLocal(data = new Date()) {
+  return data.toLocaleDateString("en-CA", { timeZone: FUSO });
+}
+
+function minutosLocais(data) {
+  const [h, m] = data
+    .toLocaleTimeString("en-GB", { timeZone: FUSO, hour: "2-digit", minute: "2-digit", hour12: false })
+    .split(":")
+    .map(Number);
+  return (h % 24) * 60 + m;
+}
+
+/**
+ * Quanto falta para terminar o horário de silêncio (0 = fora da janela).
+ * A janela pode atravessar a meia-noite (22:00 → 07:00).
+ */
+export function segundosAteFimDoSilencio(config, agora = new Date()) {
+  const inicio = horaParaMinutos(config?.silencio_inicio);
+  const fim = horaParaMinutos(config?.silencio_fim);
+  if (inicio == null || fim == null || inicio === fim) return 0;
+
+  const atual = minutosLocais(agora);
+  const dentro = inicio < fim ? atual >= inicio && atual < fim : atual >= inicio || atual < fim;
+  if (!dentro) return 0;
+  return ((fim - atual + 1440) % 1440) * 60 - agora.getSeconds();
+}
+
+function parseCanais(v) {
+  if (v == null || v === "") return null;
+  return String(v)
+    .split(",")
+    .map((c) => c.trim())
+    .filter((c) => CANAIS.includes(c));
+}
+
+function formatarPreferencia(row) {
+  return {
+    receber: Boolean(Number(row.receber)),
+    canais: parseCanais(row.canais),
+    resumo_diario: Boolean(Number(row.resumo_diario)),
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Enfileiramento (services/notificacoes.js)
+// -----------------------------------------------------------------------------
+
+/**
+ * Preferências da categoria e configuração (silêncio/resumo) dos responsáveis.
+ * @returns {Promise<{ prefs: Map<string, object>, config: Map<number, object> }>}
+ */
+export async function carregarPreferencias(db, responsavelIds, categoria) {
+  const prefs = new Map();
+  const config = new Map();
+  if (!responsavelIds.length) return { prefs, config };
+
+  if (categoria) {
+    const [rows] = await db.query(
+      `SELECT responsavel_id, aluno_id, categoria, receber, canais, resumo_diario
+         FROM notificacoes_preferencias
+        WHERE responsavel_id IN (?) AND categoria = ?`,
+      [responsavelIds, categoria]
+    );
+    for (const r of rows) {
+      prefs.set(`${Number(r.responsavel_id)}:${Number(r.aluno_id)}:${r.categoria}`, formatarPreferencia(r));
+    }
+  }
+
+  const [cfgs] = await db.query(
+    `SELECT responsavel_id, silencio_inicio, silencio_fim, resumo_hora
+       FROM notificacoes_config_responsavel
+      WHERE responsavel_id IN (?)`,
+    [responsavelIds]
+  );
+  for (const c of cfgs) config.set(Number(c.responsavel_id), c);
+
+  return { prefs, config };
+}
+
+/** Preferência do aluno → geral do responsável (aluno 0) → padrão (recebe tudo). */
+export function resolverPreferencia({ prefs }, responsavelId, alunoId, categoria) {
+  return (
+    (alunoId != null && prefs.get(`${responsavelId}:${alunoId}:${categoria}`)) ||
+    prefs.get(`${responsavelId}:0:${categoria}`) ||
+    PADRAO
+  );
+}
+
+// -----------------------------------------------------------------------------
+// App dos pais (routes/app_pais.js)
+// -----------------------------------------------------------------------------
+
+/**
+ * Preferências do responsável já resolvidas: `geral` (aluno 0) e, por aluno,
+ * o valor efetivo de cada categoria (herdado = sem preferência própria).
+ */
+export async function lerPreferencias(db, responsavelId, alunoIds = []) {
+  const [rows] = await db.query(
+    `SELECT aluno_id, categoria, receber, canais, resumo_diario
+       FROM notificacoes_preferencias
+      WHERE responsavel_id = ?`,
+    [responsavelId]
+  );
+  const [[cfg]] = await db.query(
+    `SELECT silencio_inicio, silencio_fim, resumo_hora
+       FROM notificacoes_config_responsavel
+      WHERE responsavel_id = ?`,
+    [responsavelId]
+  );
+
+  const salvas = new Map(rows.map((r) => [`${Number(r.aluno_id)}:${r.categoria}`, formatarPreferencia(r)]));
+  const montar = (alunoId) =>
+    Object.fromEntries(
+      Object.keys(CATEGORIAS).map((categoria) => {
+        const propria = salvas.get(`${alunoId}:${categoria}`);
+        const efetiva = propria || salvas.get(`0:${categoria}`) || PADRAO;
+        return [categoria, { ...efetiva, herdado: alunoId !== 0 && !propria }];
+      })
+    );
+
+  return {
+    categorias: Object.entries(CATEGORIAS).map(([categoria, c]) => ({ categoria, ...c })),
+    canais: CANAIS,
+    silencio: cfg ? { inicio: formatarHora(cfg.silencio_inicio), fim: formatarHora(cfg.silencio_fim) } : { inicio: null, fim: null },
+    resumo_hora: cfg ? Number(cfg.resumo_hora) : RESUMO_HORA_PADRAO,
+    geral: montar(0),
+    alunos: alunoIds.map((alunoId) => ({ aluno_id: Number(alunoId), preferencias: montar(Number(alunoId)) })),
+  };
+}
+
+/**
+ * Grava preferências e configuração do responsável. Só aceita alunos
+ * vinculados (alunoIds) ou 0 (geral); obrigatórias não aceitam receber=false.
+ * Erros de entrada saem com err.status = 400.
+ *
+ * @param {object} dados
+ * @param {Array<{aluno_id?: number, categoria: string, receber?: boolean, canais?: string[]|null, resumo_diario?: boolean}>} [dados.preferencias]
+ * @param {string|null} [dados.silencio_inicio]  "HH:MM" (null desliga)
+ * @param {string|null} [dados.silencio_fim]
+ * @param {number} [dados.resumo_hora]           0–23
+ */
+export async function salvarPreferencias(db, responsavelId, dados, { alunoIds = [] } = {}) {
+  const permitidos = new Set(alunoIds.map(Number));
+  const linhas = [];
+
+  for (const p of dados.preferencias || []) {
+    const alunoId = Number(p.aluno_id || 0);
+    const cat = CATEGORIAS[p.categoria];
+    if (!cat) throw erro400(`Categoria desconhecida: ${p.categoria}.`);
+    if (alunoId && !permitidos.has(alunoId)) throw erro400(`Aluno ${alunoId} não vinculado a este responsável.`);
+    if (cat.obrigatoria && p.receber === false) {
+      throw erro400(`"${cat.rotulo}" é obrigatória e não pode ser desativada.`);
+    }
+    if (p.resumo_diario && !cat.resumivel) throw erro400(`"${cat.rotulo}" não pode ir para o resumo diário.`);
+    if (Array.isArray(p.canais) && !p.canais.length) throw erro400("Informe ao menos um canal (ou null para o padrão).");
+
+    const canais = Array.isArray(p.canais) ? [...new Set(p.canais)].join(",") : null;
+    linhas.push([responsavelId, alunoId, p.categoria, p.receber === false ? 0 : 1, canais, p.resumo_diario ? 1 : 0]);
+  }
+
+  const temSilencio = "silencio_inicio" in dados || "silencio_fim" in dados;
+  if (temSilencio) {
+    const inicio = dados.silencio_inicio ?? null;
+    const fim = dados.silencio_fim ?? null;
+    if ((inicio == null) !== (fim == null)) throw erro400("Informe início e fim do horário de silêncio (ou ambos null).");
+    if (inicio != null && (horaParaMinutos(inicio) == null || horaParaMinutos(fim) == null)) {
+      throw erro400("Horário de silêncio inválido (use HH:MM).");
+    }
+  }
+
+  if (linhas.length) {
+    await db.query(
+      `INSERT INTO notificacoes_preferencias (responsavel_id, aluno_id, categoria, receber, canais, resumo_diario)
+       VALUES ?
+       ON DUPLICATE KEY UPDATE receber = VALUES(receber), canais = VALUES(canais), resumo_diario = VALUES(resumo_diario)`,
+      [linhas]
+    );
+  }
+
+  if (temSilencio || dados.resumo_hora != null) {
+    const inicio = temSilencio ? formatarHora(dados.silencio_inicio) : null;
+    const fim = temSilencio ? formatarHora(dados.silencio_fim) : null;
+    await db.query(
+      `INSERT INTO notificacoes_config_responsavel (responsavel_id, silencio_inicio, silencio_fim, resumo_hora)
+       VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         silencio_inicio = IF(?, VALUES(silencio_inicio), silencio_inicio),
+         silencio_fim = IF(?, VALUES(silencio_fim), silencio_fim),
+         resumo_hora = IF(?, VALUES(resumo_hora), resumo_hora)`,
+      [
+        responsavelId,
+        inicio,
+        fim,
+        dados.resumo_hora ?? RESUMO_HORA_PADRAO,
+        temSilencio ? 1 : 0,
+        temSilencio ? 1 : 0,
+        dados.resumo_hora != null ? 1 : 0,
+      ]
+    );
+  }
+
+  return lerPreferencias(db, responsavelId, alunoIds);
+}
@@ -0,0 +1,516 @@
+// services/resultadoFinal.js
+// ============================================================================
+// Resultado final do ano letivo por aluno (rotas em routes/resultado_final.js)
+// - Por disciplina: média anual dos 4 bimestres do boletim (notas), com a
+//   recuperação final (notas_recuperacao_final) aplicada pela mesma regra da
+//   recuperação do PAP (nota.recuperacao: maior | substitui | media).
+// - Por aluno, nesta ordem:
+//     frequência < resultado.frequencia_minima (75%) → Reprovado (frequência)
+//     nenhuma disciplina abaixo da média              → Aprovado
+//     até resultado.max_dependencias disciplinas      → Dependência
+//     mais que isso                                   → Reprovado
+//   A decisão do conselho de classe (registro_conselho.decisao =
+//   "aprovado_conselho") troca Reprovado por nota / Dependência por
+//   Aprovado pelo Conselho. Reprovação por frequência o conselho não muda
+//   (LDB art. 24, VI).
+// - A secretaria revisa a turma e pode ajustar o resultado de um aluno, com
+//   justificativa (auditoria). Publicar grava a fotografia da turma em
+//   resultado_final_alunos (e a política usada em resultado_final_turmas) e
+//   trava: depois disso nada muda (RESULTADO_PUBLICADO), nem recuperação
+//   final, nem ajuste, nem decisão do conselho, nem mudança de política.
+// - Média, máxima e arredondamento vêm da política de notas da escola
+//   (services/politicaNotas.js) para a etapa da turma. Bimestre com exceção
+//   própria (ex.: 4º valendo 20) entra na média convertido para a escala da
+//   política anual; a recuperação final já é lançada nessa escala.
+// ============================================================================
+
+import { anoLetivoAtual } from "./calendarioLetivo.js";
+import { resumoFrequencia } from "./chamada.js";
+import {
+  aplicarRecuperacao,
+  arredondarNota,
+  carregarPoliticaEscola,
+  mediaDasNotas,
+  resolverPolitica,
+} from "./politicaNotas.js";
+
+export const RESULTADOS = ["aprovado", "reprovado", "aprovado_conselho", "dependencia"];
+export const DECISOES_CONSELHO = ["aprovado_conselho"];
+
+export const ROTULO_RESULTADO = Object.freeze({
+  aprovado: "Aprovado",
+  reprovado: "Reprovado",
+  aprovado_conselho: "Aprovado pelo Conselho",
+  dependencia: "Dependência",
+});
+
+const BIMESTRES = [1, 2, 3, 4];
+
+function erroResultado(status, code, message) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+const numero = (v) => (v == null || v === "" || !Number.isFinite(Number(v)) ? null : Number(v));
+
+// Nota do bimestre i na escala da média anual (bimestre de 20 com escala 10: metade)
+function naEscalaFinal(politica, nota, i) {
+  const maxima = politica.maximas_bimestre?.[i];
+  if (nota == null || !maxima || maxima === politica.maxima_bimestre) return nota;
+  return (nota * politica.maxima_bimestre) / maxima;
+}
+
+// ─── Cálculo (puro) ─────────────────────────────────────────────────────────
+
+/**
+ * Uma disciplina: { notas: [b1, b2, b3, b4], recuperacao_final }
+ * → { media, media_final, situacao: aprovado | reprovado | sem_nota, pendente }
+ * pendente = algum bimestre sem nota (a média sai só dos lançados).
+ * politica.maximas_bimestre (opcional): máxima de cada bimestre, para levar a
+ * nota à escala de politica.maxima_bimestre antes da média.
+ */
+export function avaliarDisciplina(politica, { notas = [], recuperacao_final = null } = {}) {
+  const lancadas = BIMESTRES.map((_, i) => numero(notas[i]));
+  const media = mediaDasNotas(politica, lancadas.map((n, i) => naEscalaFinal(politica, n, i)));
+  const recuperacao = numero(recuperacao_final);
+  const media_final = media == null && recuperacao == null
+    ? null
+    : arredondarNota(aplicarRecuperacao(politica.recuperacao, media, recuperacao), politica.arredondamento);
+
+  return {
+    notas: lancadas,
+    media,
+    recuperacao_final: recuperacao,
+    media_final,
+    situacao: media_final == null ? "sem_nota" : media_final >= politica.media_aprovacao ? "aprovado" : "reprovado",
+    pendente: lancadas.some((n) => n == null),
+  };
+}
+
+/**
+ * Resultado calculado de um aluno.
+ * dados: { disciplinas: [{ disciplina_id, nome, notas, recuperacao_final }],
+ *          frequencia (% de presença, null = sem chamada), decisaoConselho }
+ * → { resultado, motivos, frequencia, disciplinas, reprovadas, pendencias }
+ */
+export function avaliarAluno(politica, { disciplinas = [], frequencia = null, decisaoConselho = null } = {}) {
+  const avaliadas = disciplinas.map((d) => ({
+    disciplina_id: d.disciplina_id,
+    nome: d.nome ?? null,
+    ...avaliarDisciplina(politica, d),
+  }));
+  const reprovadas = avaliadas.filter((d) => d.situacao === "reprovado").map((d) => d.nome || `#${d.disciplina_id}`);
+  const pendencias = avaliadas.filter((d) => d.pendente).map((d) => d.nome || `#${d.disciplina_id}`);
+  const freq = numero(frequencia);
+  const porFrequencia = freq != null && freq < politica.frequencia_minima;
+
+  const motivos = [];
+  let resultado;
+  if (porFrequencia) {
+    resultado = "reprovado";
+    motivos.push(`Frequência de ${String(freq).replace(".", ",")}% (mínimo ${politica.frequencia_minima}%)`);
+  } else if (!reprovadas.length) {
+    resultado = "aprovado";
+  } else if (reprovadas.length <= politica.max_dependencias) {
+    resultado = "dependencia";
+    motivos.push(`Dependência em ${reprovadas.join(", ")}`);
+  } else {
+    resultado = "reprovado";
+    motivos.push(`Abaixo da média em ${reprovadas.join(", ")}`);
+  }
+
+  if (decisaoConselho === "aprovado_conselho" && resultado !== "aprovado" && !porFrequencia) {
+    resultado = "aprovado_conselho";
+    motivos.push("Decisão do conselho de classe");
+  }
+
+  return { resultado, motivos, frequencia: freq, disciplinas: avaliadas, reprovadas, pendencias };
+}
+
+/** Contagem por resultado (tela de revisão e ata). */
+export function resumirResultados(alunos) {
+  const resumo = Object.fromEntries(RESULTADOS.map((r) => [r, 0]));
+  for (const a of alunos) if (resumo[a.resultado] != null) resumo[a.resultado]++;
+  return { total: alunos.length, ...resumo };
+}
+
+// ─── Banco ──────────────────────────────────────────────────────────────────
+
+async function carregarTurma(db, escolaId, turmaId) {
+  const [[turma]] = await db.query(
+    "SELECT id, nome, turno, serie, etapa, ano FROM turmas WHERE id = ? AND escola_id = ? LIMIT 1",
+    [turmaId, escolaId]
+  );
+  if (!turma) throw erroResultado(404, "TURMA_NAO_ENCONTRADA", "Turma não encontrada nesta escola.");
+  return turma;
+}
+
+/** Ano informado → ano da turma → ano letivo corrente do calendário. */
+async function anoDaTurma(db, escolaId, turma, ano) {
+  return Number(ano || turma.ano) || (await anoLetivoAtual(db, escolaId));
+}
+
+/** Política da etapa + a máxima de cada bimestre (com as exceções de bimestre). */
+export async function politicaAnual(db, escolaId, etapa) {
+  const config = await carregarPoliticaEscola(db, escolaId);
+  return {
+    ...resolverPolitica(config, { etapa, bimestre: null }),
+    maximas_bimestre: BIMESTRES.map((bimestre) => resolverPolitica(config, { etapa, bimestre }).maxima_bimestre),
+  };
+}
+
+export async function publicacaoDaTurma(db, { escolaId, turmaId, ano }) {
+  const [[pub]] = await db.query(
+    `SELECT publicado_em, publicado_por, total_alunos, politica_json
+       FROM resultado_final_turmas
+      WHERE escola_id = ? AND turma_id = ? AND ano = ? LIMIT 1`,
+    [escolaId, turmaId, ano]
+  );
+  return pub || null;
+}
+
+// Política gravada na publicação (publicado antes da 0047: null → vale a atual)
+function politicaPublicada(pub) {
+  if (!pub?.politica_json) return null;
+  try {
+    return typeof pub.politica_json === "string" ? JSON.parse(pub.politica_json) : pub.politica_json;
+  } catch {
+    return null;
+  }
+}
+
+export async function garantirNaoPublicado(db, { escolaId, turmaId, ano }) {
+  if (await publicacaoDaTurma(db, { escolaId, turmaId, ano })) {
+    throw erroResultado(409, "RESULTADO_PUBLICADO", "O resultado final desta turma já foi publicado e não pode ser alterado.");
+  }
+}
+
+/** Decisão do conselho (routes/conselho.js): valor conhecido, com turma, antes da publicação. */
+export async function conferirDecisaoConselho(db, { escolaId, turmaId, decisao }) {
+  if (decisao != null && !DECISOES_CONSELHO.includes(decisao)) {
+    throw erroResultado(400, "DECISAO_INVALIDA", `Decisão inválida: use ${DECISOES_CONSELHO.join(", ")}.`);
+  }
+  if (!turmaId) throw erroResultado(400, "TURMA_OBRIGATORIA", "turma_id é obrigatório para a decisão do conselho.");
+  const turma = await carregarTurma(db, escolaId, turmaId);
+  await garantirNaoPublicado(db, { escolaId, turmaId, ano: await anoDaTurma(db, escolaId, turma) });
+}
+
+async function alunosMatriculados(db, { escolaId, turmaId, ano }) {
+  const [rows] = await db.query(
+    `SELECT a.id AS aluno_id, a.estudante AS nome, a.codigo
+       FROM matriculas m
+       JOIN alunos a ON a.id = m.aluno_id
+      WHERE m.escola_id = ? AND m.turma_id = ? AND m.ano_letivo = ? AND m.status = 'ativo'
+      ORDER BY a.estudante ASC`,
+    [escolaId, turmaId, ano]
+  );
+  return rows;
+}
+
+/** Revisão ao vivo: tudo calculado agora, com os ajustes já gravados. */
+async function calcularAoVivo(db, { escolaId, turma, ano }) {
+  const turmaId = turma.id;
+  const politica = await politicaAnual(db, escolaId, turma.etapa);
+  const alunos = await alunosMatriculados(db, { escolaId, turmaId, ano });
+  if (!alunos.length) return { politica, disciplinas: [], alunos: [] };
+  const alunoIds = alunos.map((a) => Number(a.aluno_id));
+
+  const [[notas], [modulacao], [recuperacoes], [ajustes], [decisoes], frequencias] = await Promise.all([
+    db.query(
+      `SELECT n.aluno_id, n.disciplina_id, n.bimestre, n.nota, d.nome AS disciplina_nome
+         FROM notas n
+         LEFT JOIN disciplinas d ON d.id = n.disciplina_id
+        WHERE n.escola_id = ? AND n.ano = ? AND n.aluno_id IN (?)`,
+      [escolaId, ano, alunoIds]
+    ),
+    db.query(
+      `SELECT DISTINCT m.disciplina_id, d.nome AS disciplina_nome
+         FROM modulacao m
+         JOIN disciplinas d ON d.id = m.disciplina_id
+        WHERE m.escola_id = ? AND m.turma_id = ?`,
+      [escolaId, turmaId]
+    ),
+    db.query(
+      `SELECT aluno_id, disciplina_id, nota FROM notas_recuperacao_final
+        WHERE escola_id = ? AND ano = ? AND aluno_id IN (?)`,
+      [escolaId, ano, alunoIds]
+    ),
+    db.query(
+      `SELECT aluno_id, resultado_ajustado, justificativa, ajustado_por, ajustado_em
+         FROM resultado_final_alunos
+        WHERE escola_id = ? AND turma_id = ? AND ano = ? AND resultado_ajustado IS NOT NULL`,
+      [escolaId, turmaId, ano]
+    ),
+    db.query(
+      `SELECT aluno_codigo, decisao, usuario_nome, criado_em
+         FROM registro_conselho
+        WHERE escola_id = ? AND turma_id = ? AND decisao IS NOT NULL AND (excluido IS NULL OR excluido = 0)
+        ORDER BY criado_em ASC`,
+      [escolaId, turmaId]
+    ),
+    resumoFrequencia(db, { escolaId, ano, turmaId, alunoIds }),
+  ]);
+
+  // Disciplinas da turma: modulação + as que já têm nota no boletim
+  const disciplinas = new Map();
+  for (const m of modulacao) disciplinas.set(Number(m.disciplina_id), m.disciplina_nome);
+  for (const n of notas) if (!disciplinas.has(Number(n.disciplina_id))) disciplinas.set(Number(n.disciplina_id), n.disciplina_nome);
+  const listaDisciplinas = [...disciplinas.entries()]
+    .map(([id, nome]) => ({ disciplina_id: id, nome: nome || `Disciplina ${id}` }))
+    .sort((a, b) => a.nome.localeCompare(b.nome, "pt-BR"));
+
+  const chave = (alunoId, disciplinaId) => `${alunoId}:${disciplinaId}`;
+  const notasPor = new Map();
+  for (const n of notas) {
+    const bim = Number(n.bimestre);
+    if (!BIMESTRES.includes(bim)) continue;
+    const k = chave(n.aluno_id, n.disciplina_id);
+    if (!notasPor.has(k)) notasPor.set(k, [null, null, null, null]);
+    notasPor.get(k)[bim - 1] = numero(n.nota);
+  }
+  const recPor = new Map(recuperacoes.map((r) => [chave(r.aluno_id, r.disciplina_id), numero(r.nota)]));
+  const ajustePor = new Map(ajustes.map((a) => [Number(a.aluno_id), a]));
+  const freqPor = new Map(frequencias.map((f) => [Number(f.aluno_id), f]));
+  // A última decisão registrada vale
+  const decisaoPor = new Map(decisoes.map((d) => [String(d.aluno_codigo), d]));
+
+  const linhas = alunos.map((aluno) => {
+    const alunoId = Number(aluno.aluno_id);
+    const freq = freqPor.get(alunoId);
+    const conselho = decisaoPor.get(String(aluno.codigo)) || null;
+    const calc = avaliarAluno(politica, {
+      disciplinas: listaDisciplinas.map((d) => ({
+        ...d,
+        notas: notasPor.get(chave(alunoId, d.disciplina_id)) || [],
+        recuperacao_final: recPor.get(chave(alunoId, d.disciplina_id)) ?? null,
+      })),
+      frequencia: freq?.percentual ?? null,
+      decisaoConselho: conselho?.decisao ?? null,
+    });
+    const ajuste = ajustePor.get(alunoId);
+    return {
+      aluno_id: alunoId,
+      nome: aluno.nome,
+      codigo: aluno.codigo,
+      aulas: freq?.aulas ?? 0,
+      faltas: freq?.faltas ?? 0,
+      frequencia: calc.frequencia,
+      disciplinas: calc.disciplinas,
+      reprovadas: calc.reprovadas,
+      pendencias: calc.pendencias,
+      motivos: calc.motivos,
+      conselho: conselho ? { decisao: conselho.decisao, por: conselho.usuario_nome, em: conselho.criado_em } : null,
+      resultado_calculado: calc.resultado,
+      resultado_ajustado: ajuste?.resultado_ajustado ?? null,
+      justificativa: ajuste?.justificativa ?? null,
+      resultado: ajuste?.resultado_ajustado ?? calc.resultado,
+    };
+  });
+
+  return { politica, disciplinas: listaDisciplinas, alunos: linhas };
+}
+
+/** Publicado: a fotografia gravada na publicação (não recalcula). */
+async function carregarPublicado(db, { escolaId, turmaId, ano }) {
+  const [rows] = await db.query(
+    `SELECT r.aluno_id, a.estudante AS nome, a.codigo, r.resultado_calculado, r.resultado_ajustado,
+            r.justificativa, r.resultado, r.frequencia, r.detalhes_json
+       FROM resultado_final_alunos r
+       JOIN alunos a ON a.id = r.aluno_id
+      WHERE r.escola_id = ? AND r.turma_id = ? AND r.ano = ? AND r.resultado IS NOT NULL
+      ORDER BY a.estudante ASC`,
+    [escolaId, turmaId, ano]
+  );
+  const alunos = rows.map((r) => {
+    let detalhes = {};
+    try {
+      detalhes = typeof r.detalhes_json === "string" ? JSON.parse(r.detalhes_json) : r.detalhes_json || {};
+    } catch {
+      detalhes = {};
+    }
+    return {
+      ...detalhes,
+      aluno_id: Number(r.aluno_id),
+      nome: r.nome,
+      codigo: r.codigo,
+      frequencia: numero(r.frequencia),
+      resultado_calculado: r.resultado_calculado,
+      resultado_ajustado: r.resultado_ajustado,
+      justificativa: r.justificativa,
+      resultado: r.resultado,
+    };
+  });
+  const disciplinas = new Map();
+  for (const a of alunos) for (const d of a.disciplinas || []) disciplinas.set(d.disciplina_id, d.nome);
+  return {
+    disciplinas: [...disciplinas.entries()].map(([disciplina_id, nome]) => ({ disciplina_id, nome })),
+    alunos,
+  };
+}
+
+/**
+ * Resultado da turma no ano: ao vivo enquanto rascunho, a fotografia depois
+ * de publicado. → { turma, ano, publicado, publicacao, politica, disciplinas, alunos, resumo }
+ */
+export async function resultadoDaTurma(db, { escolaId, turmaId, ano }) {
+  const turma = await carregarTurma(db, escolaId, turmaId);
+  const anoLetivo = await anoDaTurma(db, escolaId, turma, ano);
+  const pub = await publicacaoDaTurma(db, { escolaId, turmaId, ano: anoLetivo });
+  const { politica_json: _politica, ...publicacao } = pub || {};
+
+  const dados = pub
+    ? {
+        politica: politicaPublicada(pub) ?? (await politicaAnual(db, escolaId, turma.etapa)),
+        ...(await carregarPublicado(db, { escolaId, turmaId, ano: anoLetivo })),
+      }
+    : await calcularAoVivo(db, { escolaId, turma, ano: anoLetivo });
+
+  return {
+    turma,
+    ano: anoLetivo,
+    publicado: !!pub,
+    publicacao: pub ? publicacao : null,
+    ...dados,
+    resumo: resumirResultados(dados.alunos),
+  };
+}
+
+async function conferirMatricula(db, { escolaId, turmaId, ano, alunoId }) {
+  const [[matricula]] = await db.query(
+    `SELECT aluno_id FROM matriculas
+      WHERE escola_id = ? AND turma_id = ? AND ano_letivo = ? AND aluno_id = ? AND status = 'ativo' LIMIT 1`,
+    [escolaId, turmaId, ano, alunoId]
+  );
+  if (!matricula) throw erroResultado(404, "ALUNO_FORA_DA_TURMA", "Aluno sem matrícula ativa nesta turma no ano.");
+}
+
+/**
+ * Ajuste manual da secretaria (resultado null desfaz o ajuste).
+ * → { antes, depois } para a auditoria
+ */
+export async function ajustarResultado(db, { escolaId, turmaId, ano, alunoId, resultado, justificativa, usuarioId = null }) {
+  const turma = await carregarTurma(db, escolaId, turmaId);
+  const anoLetivo = await anoDaTurma(db, escolaId, turma, ano);
+  await garantirNaoPublicado(db, { escolaId, turmaId, ano: anoLetivo });
+  await conferirMatricula(db, { escolaId, turmaId, ano: anoLetivo, alunoId });
+
+  if (resultado && !RESULTADOS.includes(resultado)) throw erroResultado(400, "RESULTADO_INVALIDO", "Resultado inválido.");
+  const texto = String(justificativa || "").trim();
+  if (resultado && !texto) throw erroResultado(400, "JUSTIFICATIVA_OBRIGATORIA", "Informe a justificativa do ajuste.");
+
+  const [[antes]] = await db.query(
+    `SELECT resultado_ajustado, justificativa FROM resultado_final_alunos
+      WHERE escola_id = ? AND turma_id = ? AND ano = ? AND aluno_id = ? LIMIT 1`,
+    [escolaId, turmaId, anoLetivo, alunoId]
+  );
+  const depois = { resultado_ajustado: resultado || null, justificativa: resultado ? texto : null };
+  await db.query(
+    `INSERT INTO resultado_final_alunos
+       (escola_id, turma_id, ano, aluno_id, resultado_ajustado, justificativa, ajustado_por, ajustado_em)
+     VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
+     ON DUPLICATE KEY UPDATE resultado_ajustado = VALUES(resultado_ajustado), justificativa = VALUES(justificativa),
+                             ajustado_por = VALUES(ajustado_por), ajustado_em = VALUES(ajustado_em)`,
+    [escolaId, turmaId, anoLetivo, alunoId, depois.resultado_ajustado, depois.justificativa, usuarioId]
+  );
+  return { ano: anoLetivo, antes: antes || null, depois };
+}
+
+/**
+ * Nota da recuperação final de uma disciplina (nota null apaga).
+ * → { antes, depois } para a auditoria
+ */
+export async function lancarRecuperacaoFinal(db, { escolaId, turmaId, ano, alunoId, disciplinaId, nota, usuarioId = null }) {
+  const turma = await carregarTurma(db, escolaId, turmaId);
+  const anoLetivo = await anoDaTurma(db, escolaId, turma, ano);
+  await garantirNaoPublicado(db, { escolaId, turmaId, ano: anoLetivo });
+  await conferirMatricula(db, { escolaId, turmaId, ano: anoLetivo, alunoId });
+
+  const politica = await politicaAnual(db, escolaId, turma.etapa);
+  const valor = numero(nota);
+  // Mesma escala da média anual (as notas dos bimestres são convertidas para ela)
+  if (nota != null && nota !== "" && (valor == null || valor < 0 || valor > politica.maxima_bimestre)) {
+    throw erroResultado(400, "NOTA_INVALIDA", `Deve ser entre 0 e ${politica.maxima_bimestre} (escala da média final).`);
+  }
+
+  const [[antes]] = await db.query(
+    `SELECT nota FROM notas_recuperacao_final
+      WHERE escola_id = ? AND ano = ? AND aluno_id = ? AND disciplina_id = ? LIMIT 1`,
+    [escolaId, anoLetivo, alunoId, disciplinaId]
+  );
+  if (valor == null) {
+    await db.query(
+      "DELETE FROM notas_recuperacao_final WHERE escola_id = ? AND ano = ? AND aluno_id = ? AND disciplina_id = ?",
+      [escolaId, anoLetivo, alunoId, disciplinaId]
+    );
+    return { ano: anoLetivo, antes: antes || null, depois: null };
+  }
+
+  const arredondada = arredondarNota(valor, politica.arredondamento);
+  await db.query(
+    `INSERT INTO notas_recuperacao_final (escola_id, ano, aluno_id, disciplina_id, nota, lancado_por)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE nota = VALUES(nota), lancado_por = VALUES(lancado_por)`,
+    [escolaId, anoLetivo, alunoId, disciplinaId, arredondada, usuarioId]
+  );
+  return { ano: anoLetivo, antes: antes || null, depois: { nota: arredondada } };
+}
+
+/**
+ * Publica o resultado da turma: grava a fotografia de cada aluno e trava.
+ * Disciplinas com bimestre sem nota bloqueiam a publicação
+ * (RESULTADO_PENDENTE), a menos que ignorarPendencias.
+ */
+export async function publicarResultado(db, { escolaId, turmaId, ano, usuarioId = null, ignorarPendencias = false }) {
+  const atual = await resultadoDaTurma(db, { escolaId, turmaId, ano });
+  if (atual.publicado) {
+    throw erroResultado(409, "RESULTADO_PUBLICADO", "O resultado final desta turma já foi publicado.");
+  }
+  if (!atual.alunos.length) throw erroResultado(400, "TURMA_SEM_ALUNOS", "A turma não tem alunos matriculados no ano.");
+
+  const pendentes = atual.alunos.filter((a) => a.pendencias.length);
+  if (pendentes.length && !ignorarPendencias) {
+    throw Object.assign(
+      erroResultado(409, "RESULTADO_PENDENTE", `${pendentes.length} aluno(s) com bimestre sem nota. Revise antes de publicar.`),
+      { pendentes: pendentes.map((a) => ({ aluno_id: a.aluno_id, nome: a.nome, disciplinas: a.pendencias })) }
+    );
+  }
+
+  const conn = db.getConnection ? await db.getConnection() : db;
+  try {
+    await conn.beginTransaction?.();
+    const [pub] = await conn.query(
+      `INSERT IGNORE INTO resultado_final_turmas (escola_id, turma_id, ano, publicado_por, total_alunos, politica_json)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [escolaId, turmaId, atual.ano, usuarioId, atual.alunos.length, JSON.stringify(atual.politica)]
+    );
+    if (!pub.affectedRows) {
+      throw erroResultado(409, "RESULTADO_PUBLICADO", "O resultado final desta turma já foi publicado.");
+    }
+    await conn.query(
+      `INSERT INTO resultado_final_alunos
+         (escola_id, turma_id, ano, aluno_id, resultado_calculado, resultado, frequencia, detalhes_json)
+       VALUES ?
+       ON DUPLICATE KEY UPDATE resultado_calculado = VALUES(resultado_calculado), resultado = VALUES(resultado),
+                               frequencia = VALUES(frequencia), detalhes_json = VALUES(detalhes_json)`,
+      [atual.alunos.map((a) => [
+        escolaId, turmaId, atual.ano, a.aluno_id, a.resultado_calculado, a.resultado, a.frequencia,
+        JSON.stringify({
+          aulas: a.aulas,
+          faltas: a.faltas,
+          disciplinas: a.disciplinas,
+          reprovadas: a.reprovadas,
+          pendencias: a.pendencias,
+          motivos: a.motivos,
+          conselho: a.conselho,
+        }),
+      ])]
+    );
+    await conn.commit?.();
+  } catch (err) {
+    await conn.rollback?.();
+    throw err;
+  } finally {
+    if (conn !== db) conn.release?.();
+  }
+
+  return { ano: atual.ano, turma: atual.turma, resumo: atual.resumo };
+}
@@ -0,0 +1,545 @@
+// services/retencao.js
+// -----------------------------------------------------------------------------
+// Retenção de dados por escola (migrations/versions/0018_retencao.js).
+//
+//  - Prazo em dias por categoria (CATEGORIAS); a escola pode mudar o prazo
+//    (respeitando o mínimo) ou desligar a categoria. Sem linha em
+//    retencao_politicas vale o padrão.
+//  - Expurgo diário (job "retencao_expurgo", agendado por iniciarRetencao na
+//    hora RETENCAO_HORA) apaga disco local, objetos do Spaces e linhas do banco.
+//    A mesma rotina em modo simulação só conta o que sairia (relatório).
+//  - Trava legal: ocorrência disciplinar com retencao_bloqueio = 1 segura
+//    embeddings e eventos de câmera do aluno até a trava ser retirada.
+//  - Embeddings contam o prazo a partir da inativação do aluno
+//    (alunos.inativado_em, marcado pela própria rotina ao ver o aluno inativo).
+//  - Uma categoria com erro não interrompe as outras; o erro vai no resumo.
+//
+// API:
+//  - lerPoliticas(db, escolaId) / salvarPoliticas(db, escolaId, politicas, origem)
+//  - executarRetencao(db, escolaId, { simulacao, uploadsDir, ... }) → resumo
+//  - definirBloqueio(db, escolaId, ocorrenciaId, dados, origem) / listarBloqueios(db, escolaId)
+//  - listarExecucoes(db, escolaId, { limite })
+//  - iniciarRetencao(pool) / pararRetencao()
+// -----------------------------------------------------------------------------
+import fs from "fs";
+import path from "path";
+import { deleteObjectFromSpaces, listObjectsFromSpaces } from "../storage/spacesUpload.js";
+import { registrarAlteracao } from "./auditoria.js";
+import { enfileirarJob, registrarHandler } from "./jobQueue.js";
+import { criarLogger } from "./logger.js";
+import { dataLocal, horaLocal } from "./preferenciasNotificacao.js";
+
+export const CATEGORIAS = Object.freeze({
+  camera_frames: { rotulo: "Frames das câmeras (disco e Spaces)", padraoDias: 7, minimoDias: 1 },
+  visitantes_fotos: { rotulo: "Fotos de visitantes", padraoDias: 30, minimoDias: 1 },
+  embeddings: { rotulo: "Embeddings faciais (dias após a inativação do aluno)", padraoDias: 90, minimoDias: 0 },
+  camera_eventos: { rotulo: "Eventos de reconhecimento das câmeras", padraoDias: 180, minimoDias: 7 },
+  access_log: { rotulo: "Log de acessos (login)", padraoDias: 365, minimoDias: 90 },
+  rbac_auditoria: { rotulo: "Log de decisões de permissão", padraoDias: 365, minimoDias: 180 },
+  notificacoes_mobile: { rotulo: "Caixa de notificações do app", padraoDias: 180, minimoDias: 30 },
+});
+
+const log = criarLogger("retencao");
+
+const LOTE = 5000;
+const AMOSTRA = 20;
+const TICK_MS = 15 * 60_000;
+const HORA = Number(process.env.RETENCAO_HORA ?? 3);
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+function erroHttp(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function spacesAtivo() {
+  return Boolean(process.env.DO_SPACES_KEY);
+}
+
+// Mesmo slug do ingest (routes/monitoramento_ingest.js): a pasta da escola
+// pode estar com o apelido cru ou "slugado"
+export function diretoriosDaEscola(apelido) {
+  const bruto = String(apelido || "").trim();
+  const slug = bruto
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, 60);
+  return [...new Set([bruto, slug].filter((d) => d && !d.includes("..") && !d.includes("/")))];
+}
+
+async function listarArquivos(dir, { ignorarDir = () => false } = {}) {
+  const saida = [];
+  let entradas;
+  try {
+    entradas = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === "ENOENT") return saida;
+    throw err;
+  }
+  for (const e of entradas) {
+    const caminho = path.join(dir, e.name);
+    if (e.isDirectory()) {
+      if (!ignorarDir(e.name)) saida.push(...(await listarArquivos(caminho)));
+    } else if (e.isFile()) {
+      const st = await fs.promises.stat(caminho);
+      saida.push({ caminho, tamanho: st.size, modificadoEm: st.mtime });
+    }
+  }
+  return saida;
+}
+
+// Pastas YYYY dentro de monitoramento/ são das fotos de visitantes
+const PASTA_ANO = /^\d{4}$/;
+
+function novoResultado(dias) {
+  return { dias, itens: 0, bytes: 0, amostra: [] };
+}
+
+function anotar(r, item, bytes = 0) {
+  r.itens++;
+  r.bytes += bytes;
+  if (r.amostra.length < AMOSTRA) r.amostra.push(item);
+}
+
+async function removerArquivos(arquivos, r, { simulacao, uploadsDir }) {
+  for (const a of arquivos) {
+    anotar(r, path.relative(uploadsDir, a.caminho), a.tamanho);
+    if (simulacao) continue;
+    try {
+      await fs.promises.unlink(a.caminho);
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  }
+}
+
+// Conta (simulação) ou apaga em lotes — DELETE longo segura lock da tabela
+async function contarOuExcluir(db, { tabela, where, params }, { simulacao }) {
+  if (simulacao) {
+    const [[row]] = await db.query(`SELECT COUNT(*) AS total FROM ${tabela} WHERE ${where}`, params);
+    return Number(row?.total || 0);
+  }
+  let total = 0;
+  for (;;) {
+    const [r] = await db.query(`DELETE FROM ${tabela} WHERE ${where} LIMIT ${LOTE}`, params);
+    const n = Number(r?.affectedRows || 0);
+    total += n;
+    if (n < LOTE) return total;
+  }
+}
+
+// "/uploads/X/..." ou URL do Spaces → onde o arquivo está
+function localDaFoto(url, uploadsDir) {
+  const s = String(url || "").trim();
+  const idx = s.indexOf("uploads/");
+  if (idx < 0) return null;
+  const chave = s.slice(idx);
+  if (/^https?:\/\//i.test(s)) return { spaces: chave };
+  const caminho = path.resolve(uploadsDir, chave.slice("uploads/".length));
+  if (!caminho.startsWith(path.resolve(uploadsDir) + path.sep)) return null;
+  return { caminho };
+}
+
+// -----------------------------------------------------------------------------
+// Categorias
+// -----------------------------------------------------------------------------
+// Cada executor recebe ctx = { db, escolaId, apelido, dias, limite (Date),
+// simulacao, uploadsDir, bloqueados (ids de aluno) } e devolve o resultado.
+
+const EXECUTORES = {
+  async camera_frames(ctx) {
+    const r = novoResultado(ctx.dias);
+    for (const dir of diretoriosDaEscola(ctx.apelido)) {
+      const base = path.join(ctx.uploadsDir, dir, "monitoramento");
+      const arquivos = await listarArquivos(base, { ignorarDir: (nome) => PASTA_ANO.test(nome) });
+      await removerArquivos(arquivos.filter((a) => a.modificadoEm < ctx.limite), r, ctx);
+    }
+
+    if (spacesAtivo() && ctx.apelido) {
+      const prefixo = `uploads/${ctx.apelido}/monitoramento/`;
+      const objetos = await listObjectsFromSpaces(prefixo);
+      for (const o of objetos) {
+        if (PASTA_ANO.test(o.objectKey.slice(prefixo.length).split("/")[0])) continue;
+        if (!(o.modificadoEm < ctx.limite)) continue;
+        anotar(r, o.objectKey, o.tamanho);
+        if (!ctx.simulacao) await deleteObjectFromSpaces(o.objectKey);
+      }
+    }
+    return r;
+  },
+
+  async visitantes_fotos(ctx) {
+    const r = novoResultado(ctx.dias);
+    const [rows] = await ctx.db.query(
+      `SELECT id, fotoUrl FROM monitoramento_visitantes
+        WHERE escola_id = ? AND fotoUrl IS NOT NULL AND fotoUrl <> ''
+          AND COALESCE(saida_em, entrada_em, criado_em) < ?`,
+      [ctx.escolaId, ctx.limite]
+    );
+
+    const tratados = new Set();
+    for (const v of rows) {
+      const local = localDaFoto(v.fotoUrl, ctx.uploadsDir);
+      let bytes = 0;
+      if (local?.caminho) {
+        tratados.add(local.caminho);
+        bytes = await fs.promises.stat(local.caminho).then((s) => s.size, () => 0);
+        if (!ctx.simulacao) await fs.promises.unlink(local.caminho).catch(() => {});
+      } else if (local?.spaces && spacesAtivo() && !ctx.simulacao) {
+        await deleteObjectFromSpaces(local.spaces);
+      }
+      anotar(r, `visitante #${v.id}`, bytes);
+    }
+    if (rows.length && !ctx.simulacao) {
+      await ctx.db.query("UPDATE monitoramento_visitantes SET fotoUrl = NULL WHERE escola_id = ? AND id IN (?)", [
+        ctx.escolaId,
+        rows.map((v) => v.id),
+      ]);
+    }
+
+    // Arquivos órfãos (cadastro apagado ou foto trocada)
+    for (const dir of diretoriosDaEscola(ctx.apelido)) {
+      const base = path.join(ctx.uploadsDir, dir, "monitoramento");
+      let anos = [];
+      try {
+        anos = (await fs.promises.readdir(base, { withFileTypes: true })).filter((e) => e.isDirectory() && PASTA_ANO.test(e.name));
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+      for (const ano of anos) {
+        const arquivos = await listarArquivos(path.join(base, ano.name));
+        await removerArquivos(arquivos.filter((a) => a.modificadoEm < ctx.limite && !tratados.has(a.caminho)), r, ctx);
+      }
+    }
+    return r;
+  },
+
+  async embeddings(ctx) {
+    const r = novoResultado(ctx.dias);
+    if (!ctx.simulacao) {
+      await ctx.db.query(
+        `UPDATE alunos SET inativado_em = NOW()
+          WHERE escola_id = ? AND COALESCE(status, 'ativo') <> 'ativo' AND inativado_em IS NULL`,
+        [ctx.escolaId]
+      );
+      await ctx.db.query(
+        "UPDATE alunos SET inativado_em = NULL WHERE escola_id = ? AND COALESCE(status, 'ativo') = 'ativo' AND inativado_em IS NOT NULL",
+        [ctx.escolaId]
+      );
+    }
+
+    // Aluno inativo há mais que o prazo, ou que nem existe mais
+    const [rows] = await ctx.db.query(
+      `SELECT e.aluno_id
+         FROM alunos_embeddings e
+         LEFT JOIN alunos a ON a.id = e.aluno_id
+        WHERE e.escola_id = ? AND (a.id IS NULL OR a.inativado_em < ?)`,
+      [ctx.escolaId, ctx.limite]
+    );
+    const alunos = rows.map((x) => Number(x.aluno_id)).filter((id) => !ctx.bloqueados.includes(id));
+    for (const id of alunos) anotar(r, `aluno #${id}`);
+    if (alunos.length && !ctx.simulacao) {
+      await ctx.db.query("DELETE FROM alunos_embeddings WHERE escola_id = ? AND aluno_id IN (?)", [ctx.escolaId, alunos]);
+    }
+    return r;
+  },
+
+  async camera_eventos(ctx) {
+    const r = novoResultado(ctx.dias);
+    const bloqueio = ctx.bloqueados.length ? " AND (aluno_id IS NULL OR aluno_id NOT IN (?))" : "";
+    r.itens = await contarOuExcluir(
+      ctx.db,
+      {
+        tabela: "monitoramento_eventos",
+        where: `escola_id = ? AND timestamp_evento < ?${bloqueio}`,
+        params: [ctx.escolaId, ctx.limite, ...(ctx.bloqueados.length ? [ctx.bloqueados] : [])],
+      },
+      ctx
+    );
+    return r;
+  },
+
+  access_log: (ctx) => expurgarLog(ctx, "access_log", "created_at"),
+  rbac_auditoria: (ctx) => expurgarLog(ctx, "rbac_auditoria", "created_at"),
+  notificacoes_mobile: (ctx) => expurgarLog(ctx, "notificacoes_mobile", "created_at"),
+};
+
+async function expurgarLog(ctx, tabela, colunaData) {
+  const r = novoResultado(ctx.dias);
+  r.itens = await contarOuExcluir(
+    ctx.db,
+    { tabela, where: `escola_id = ? AND ${colunaData} < ?`, params: [ctx.escolaId, ctx.limite] },
+    ctx
+  );
+  return r;
+}
+
+// -----------------------------------------------------------------------------
+// Políticas
+// -----------------------------------------------------------------------------
+
+export async function lerPoliticas(db, escolaId) {
+  const [rows] = await db.query("SELECT categoria, dias, ativo, atualizado_em FROM retencao_politicas WHERE escola_id = ?", [escolaId]);
+  const salvas = new Map(rows.map((r) => [r.categoria, r]));
+  return Object.entries(CATEGORIAS).map(([categoria, c]) => {
+    const s = salvas.get(categoria);
+    return {
+      categoria,
+      rotulo: c.rotulo,
+      dias: s ? Number(s.dias) : c.padraoDias,
+      ativo: s ? Boolean(Number(s.ativo)) : true,
+      padrao_dias: c.padraoDias,
+      minimo_dias: c.minimoDias,
+      personalizada: Boolean(s),
+      atualizado_em: s?.atualizado_em || null,
+    };
+  });
+}
+
+/**
+ * Grava prazos da escola. Erros de entrada saem com err.status = 400.
+ * @param {Array<{ categoria: string, dias?: number, ativo?: boolean }>} politicas
+ */
+export async function salvarPoliticas(db, escolaId, politicas, origem) {
+  const atuais = new Map((await lerPoliticas(db, escolaId)).map((p) => [p.categoria, p]));
+  const linhas = [];
+  for (const p of politicas) {
+    const cat = CATEGORIAS[p.categoria];
+    if (!cat) throw erroHttp(400, `Categoria desconhecida: ${p.categoria}.`);
+    const atual = atuais.get(p.categoria);
+    const dias = p.dias ?? atual.dias;
+    if (dias < cat.minimoDias) throw erroHttp(400, `"${cat.rotulo}": prazo mínimo de ${cat.minimoDias} dia(s).`);
+    linhas.push({ categoria: p.categoria, dias, ativo: p.ativo ?? atual.ativo, antes: atual });
+  }
+  if (!linhas.length) return lerPoliticas(db, escolaId);
+
+  const usuarioId = origem?.user?.usuarioId || origem?.user?.id || null;
+  await db.query(
+    `INSERT INTO retencao_politicas (escola_id, categoria, dias, ativo, atualizado_por)
+     VALUES ?
+     ON DUPLICATE KEY UPDATE dias = VALUES(dias), ativo = VALUES(ativo), atualizado_por = VALUES(atualizado_por)`,
+    [linhas.map((l) => [escolaId, l.categoria, l.dias, l.ativo ? 1 : 0, usuarioId])]
+  );
+  for (const l of linhas) {
+    await registrarAlteracao(db, origem, {
+      entidade: "retencao_politicas",
+      entidadeId: `${escolaId}:${l.categoria}`,
+      acao: l.antes.personalizada ? "alterar" : "criar",
+      antes: { dias: l.antes.dias, ativo: l.antes.ativo },
+      depois: { dias: l.dias, ativo: l.ativo },
+    });
+  }
+  return lerPoliticas(db, escolaId);
+}
+
+// -----------------------------------------------------------------------------
+// Trava legal (ocorrências disciplinares)
+// -----------------------------------------------------------------------------
+
+async function alunosBloqueados(db, escolaId) {
+  const [rows] = await db.query(
+    "SELECT DISTINCT aluno_id FROM ocorrencias_disciplinares WHERE escola_id = ? AND retencao_bloqueio = 1",
+    [escolaId]
+  );
+  return rows.map((r) => Number(r.aluno_id));
+}
+
+export async function listarBloqueios(db, escolaId) {
+  const [rows] = await db.query(
+    `SELECT o.id AS ocorrencia_id, o.aluno_id, a.estudante AS aluno_nome, o.data_ocorrencia, o.status,
+            o.retencao_bloqueio_motivo AS motivo, o.retencao_bloqueio_por AS por, o.retencao_bloqueio_em AS desde
+       FROM ocorrencias_disciplinares o
+       LEFT JOIN alunos a ON a.id = o.aluno_id
+      WHERE o.escola_id = ? AND o.retencao_bloqueio = 1
+      ORDER BY o.retencao_bloqueio_em DESC`,
+    [escolaId]
+  );
+  return rows;
+}
+
+/** Liga/desliga a trava da ocorrência; devolve null se não for da escola. */
+export async function definirBloqueio(db, escolaId, ocorrenciaId, { bloqueio, motivo = null, usuarioId = null }, origem) {
+  const sql = `SELECT id, aluno_id, retencao_bloqueio, retencao_bloqueio_motivo
+                 FROM ocorrencias_disciplinares WHERE id = ? AND escola_id = ?`;
+  const [[antes]] = await db.query(sql, [ocorrenciaId, escolaId]);
+  if (!antes) return null;
+
+  await db.query(
+    `UPDATE ocorrencias_disciplinares
+        SET retencao_bloqueio = ?, retencao_bloqueio_motivo = ?, retencao_bloqueio_por = ?,
+            retencao_bloqueio_em = IF(?, NOW(), NULL)
+      WHERE id = ? AND escola_id = ?`,
+    [bloqueio ? 1 : 0, bloqueio ? motivo : null, bloqueio ? usuarioId : null, bloqueio ? 1 : 0, ocorrenciaId, escolaId]
+  );
+  const [[depois]] = await db.query(sql, [ocorrenciaId, escolaId]);
+  await registrarAlteracao(db, origem, { entidade: "ocorrencias_disciplinares", antes, depois });
+  return depois;
+}
+
+// -----------------------------------------------------------------------------
+// Execução
+// -----------------------------------------------------------------------------
+
+/**
+ * Roda todas as categorias ativas da escola.
+ * @param {object} [opcoes]
+ * @param {boolean} [opcoes.simulacao]   só conta (nada é apagado nem marcado)
+ * @param {string} [opcoes.uploadsDir]   raiz do /uploads (padrão: ./uploads)
+ * @param {Function} [opcoes.aoProgredir] (pct, categoria)
+ * @param {Function} [opcoes.verificarCancelamento]
+ * @returns {Promise<{ simulacao: boolean, bloqueados: number, categorias: object }>}
+ */
+export async function executarRetencao(db, escolaId, opcoes = {}) {
+  const { simulacao = false, uploadsDir = path.resolve(process.cwd(), "uploads") } = opcoes;
+  const aoProgredir = opcoes.aoProgredir || (async () => {});
+  const verificarCancelamento = opcoes.verificarCancelamento || (async () => {});
+
+  const [[escola]] = await db.query("SELECT id, apelido FROM escolas WHERE id = ?", [escolaId]);
+  if (!escola) throw erroHttp(404, "Escola não encontrada.");
+
+  const politicas = await lerPoliticas(db, escolaId);
+  const bloqueados = await alunosBloqueados(db, escolaId);
+  const resumo = { simulacao, bloqueados: bloqueados.length, categorias: {} };
+
+  for (let i = 0; i < politicas.length; i++) {
+    const p = politicas[i];
+    await verificarCancelamento();
+    if (!p.ativo) {
+      resumo.categorias[p.categoria] = { desativada: true };
+      continue;
+    }
+    const ctx = {
+      db,
+      escolaId,
+      apelido: escola.apelido,
+      dias: p.dias,
+      limite: new Date(Date.now() - p.dias * 86_400_000),
+      simulacao,
+      uploadsDir,
+      bloqueados,
+    };
+    try {
+      resumo.categorias[p.categoria] = await EXECUTORES[p.categoria](ctx);
+    } catch (err) {
+      const erro = err.code === "ER_NO_SUCH_TABLE" ? "tabela inexistente nesta instalação" : err.message;
+      if (err.code !== "ER_NO_SUCH_TABLE") log.warn("categoria falhou (não crítico)", { categoria: p.categoria, escola_id: escolaId, erro: err.message });
+      resumo.categorias[p.categoria] = { dias: p.dias, erro };
+    }
+    await aoProgredir(Math.round(((i + 1) / politicas.length) * 100), p.categoria);
+  }
+  return resumo;
+}
+
+export async function listarExecucoes(db, escolaId, { limite = 30 } = {}) {
+  const [rows] = await db.query(
+    `SELECT id, simulacao, origem, job_id, usuario_id, status, resumo, erro, iniciado_em, concluido_em
+       FROM retencao_execucoes
+      WHERE escola_id = ?
+      ORDER BY id DESC LIMIT ?`,
+    [escolaId, Math.min(Math.max(Number(limite) || 30, 1), 200)]
+  );
+  return rows.map((r) => ({
+    ...r,
+    simulacao: Boolean(Number(r.simulacao)),
+    resumo: typeof r.resumo === "string" ? JSON.parse(r.resumo) : r.resumo,
+  }));
+}
+
+/** Enfileira simulação ou expurgo da escola (um por vez por escola). */
+export function agendarRetencao(db, { escolaId, usuarioId = null, simulacao = false, origem = "manual" }) {
+  return enfileirarJob(db, {
+    tipo: "retencao_expurgo",
+    escolaId,
+    usuarioId,
+    chave: `retencao:${escolaId}:${simulacao ? "simulacao" : "expurgo"}`,
+    payload: { simulacao, origem },
+  });
+}
+
+registrarHandler(
+  "retencao_expurgo",
+  async (ctx) => {
+    const { simulacao = false, origem = "manual" } = ctx.payload;
+    const [ins] = await ctx.db.query(
+      "INSERT INTO retencao_execucoes (escola_id, simulacao, origem, job_id, usuario_id) VALUES (?, ?, ?, ?, ?)",
+      [ctx.escolaId, simulacao ? 1 : 0, origem, ctx.id, ctx.usuarioId]
+    );
+    try {
+      const resumo = await executarRetencao(ctx.db, ctx.escolaId, {
+        simulacao,
+        aoProgredir: (pct, categoria) => ctx.progresso(pct, categoria),
+        verificarCancelamento: ctx.verificarCancelamento,
+      });
+      await ctx.db.query("UPDATE retencao_execucoes SET status = 'concluida', resumo = ?, concluido_em = NOW() WHERE id = ?", [
+        JSON.stringify(resumo),
+        ins.insertId,
+      ]);
+      const total = Object.values(resumo.categorias).reduce((s, c) => s + (c.itens || 0), 0);
+      log.info(simulacao ? "itens a expurgar (simulação)" : "itens expurgados", { escola_id: ctx.escolaId, total });
+      return resumo;
+    } catch (err) {
+      await ctx.db.query("UPDATE retencao_execucoes SET status = 'falhou', erro = ?, concluido_em = NOW() WHERE id = ?", [
+        String(err.message).slice(0, 1000),
+        ins.insertId,
+      ]);
+      throw err;
+    }
+  },
+  { concorrencia: 1, concorrenciaPorEscola: 1, maxTentativas: 1 }
+);
+
+// -----------------------------------------------------------------------------
+// Agendador
+// -----------------------------------------------------------------------------
+
+let agendador = null;
+
+async function tick(pool) {
+  const hoje = dataLocal();
+  if (horaLocal() !== HORA || agendador.ultimoDia === hoje) return;
+
+  const [escolas] = await pool.query(
+    `SELECT e.id FROM escolas e
+      WHERE NOT EXISTS (
+        SELECT 1 FROM retencao_execucoes x
+         WHERE x.escola_id = e.id AND x.simulacao = 0 AND x.origem = 'agendada'
+           AND x.iniciado_em >= CURDATE()
+      )`
+  );
+  for (const e of escolas) {
+    await agendarRetencao(pool, { escolaId: Number(e.id), origem: "agendada" });
+  }
+  agendador.ultimoDia = hoje;
+  if (escolas.length) log.info("expurgo agendado", { escolas: escolas.length });
+}
+
+/**
+ * Agenda o expurgo diário (RETENCAO_HORA, padrão 3h). RETENCAO_AGENDADOR=0
+ * desliga nesta instância; o job roda onde houver worker.
+ */
+export function iniciarRetencao(pool) {
+  if (agendador) return;
+  if (String(process.env.RETENCAO_AGENDADOR || "1") === "0") {
+    log.info("agendador desativado nesta instância (RETENCAO_AGENDADOR=0)");
+    return;
+  }
+  agendador = { ultimoDia: null, timer: null };
+  agendador.timer = setInterval(() => {
+    tick(pool).catch((err) => log.warn("agendamento falhou (não crítico)", { erro: err.message }));
+  }, TICK_MS);
+  agendador.timer.unref?.();
+  log.info("expurgo diário agendado", { hora: HORA });
+}
+
+export function pararRetencao() {
+  if (!agendador) return;
+  clearInterval(agendador.timer);
+  agendador = null;
+}
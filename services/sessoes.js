@@ -0,0 +1,330 @@
+// services/sessoes.js
+// -----------------------------------------------------------------------------
+// Sessões revogáveis + refresh tokens rotativos (tabela `sessoes`,
+// migrations/versions/0011_sessoes.js).
+//
+// Três emissores de JWT compartilham este serviço:
+//   - routes/auth.js          → tipo_conta "usuario"     (JWT_SECRET, 8h)
+//   - routes/app_pais_login.js → tipo_conta "responsavel" (APP_PAIS_JWT_SECRET)
+//   - routes/app_aluno_auth.js → tipo_conta "aluno"       (APP_PAIS_JWT_SECRET)
+//
+// Cada login cria uma sessão (sid vai no JWT) e devolve um refresh token
+// opaco. O banco guarda só o SHA-256 do refresh; a cada uso ele é trocado
+// (rotação). Reapresentar um refresh já trocado = vazamento → a sessão
+// inteira é revogada.
+//
+// A validação por request (verificarSessaoToken) cobre: sessão revogada e
+// conta inativa (usuarios.ativo, responsável sem vínculo ativo, aluno não
+// ativo). Resultado em cache por SESSOES_CACHE_MS (padrão 15s) por instância;
+// revogações feitas nesta instância invalidam o cache na hora.
+//
+// API:
+//  - criarSessao(db, { tipoConta, contaId, escolaId, req })  → { sid, refresh_token, refresh_expira_em }
+//  - rotacionarRefresh(db, refreshToken, { req, tipoConta }) → { sessao, refresh_token, refresh_expira_em }
+//  - listarSessoes(db, { tipoConta, contaId, sidAtual })
+//  - revogarSessao(db, sid, { tipoConta, contaId, escolaId, por, motivo }) → boolean
+//  - revogarSessoesDaConta(db, { tipoConta, contaId, por, motivo, excetoSid }) → nº revogadas
+//  - identificarConta(payload) / verificarSessaoToken(db, payload)
+//  - respostaSessaoInvalida(db, payload) → null | { status, body } (apps pais/aluno)
+// -----------------------------------------------------------------------------
+import crypto from "crypto";
+import { criarLogger } from "./logger.js";
+
+export const TIPO_USUARIO = "usuario";
+export const TIPO_RESPONSAVEL = "responsavel";
+export const TIPO_ALUNO = "aluno";
+
+// Conta da revisão da App Store (routes/app_pais_login.js): não tem vínculo com aluno
+export const CPF_DEMO_APP_STORE = "00000000019";
+
+const log = criarLogger("sessoes");
+
+const REFRESH_DIAS = Number(process.env.REFRESH_TOKEN_DIAS || 30);
+const CACHE_MS = Number(process.env.SESSOES_CACHE_MS || 15_000);
+
+const cache = new Map(); // chave -> { resultado, expira }
+
+function sha256(valor) {
+  return crypto.createHash("sha256").update(String(valor), "utf8").digest("hex");
+}
+
+function novoRefresh() {
+  return crypto.randomBytes(48).toString("base64url");
+}
+
+function expiraRefresh() {
+  return new Date(Date.now() + REFRESH_DIAS * 24 * 60 * 60 * 1000);
+}
+
+function erroSessao(status, code, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+/** Descrição curta do aparelho (o app pode mandar body.dispositivo). */
+function descreverDispositivo(req) {
+  const informado = String(req?.body?.dispositivo || req?.headers?.["x-dispositivo"] || "").trim();
+  if (informado) return informado.slice(0, 200);
+
+  const ua = String(req?.headers?.["user-agent"] || "");
+  if (/okhttp|Expo|Android/i.test(ua)) return "Android";
+  if (/iPhone|iPad|CFNetwork|Darwin/i.test(ua)) return "iOS";
+  if (/Windows/i.test(ua)) return "Navegador (Windows)";
+  if (/Macintosh/i.test(ua)) return "Navegador (macOS)";
+  if (/Linux/i.test(ua)) return "Navegador (Linux)";
+  return ua ? "Navegador" : null;
+}
+
+function ipDoRequest(req) {
+  return String(req?.ip || req?.headers?.["x-forwarded-for"] || "").slice(0, 64) || null;
+}
+
+// -----------------------------------------------------------------------------
+// Criação / rotação
+// -----------------------------------------------------------------------------
+
+/**
+ * Abre uma sessão para a conta. O `sid` retornado deve entrar no payload do
+ * JWT de acesso; o `refresh_token` vai para o cliente (uma única vez).
+ */
+export async function criarSessao(db, { tipoConta, contaId, escolaId = null, req }) {
+  const sid = crypto.randomBytes(16).toString("hex");
+  const refresh = novoRefresh();
+  const expira = expiraRefresh();
+
+  await db.query(
+    `INSERT INTO sessoes
+       (sid, tipo_conta, conta_id, escola_id, dispositivo, ip, user_agent, refresh_hash, refresh_expira_em, ultimo_uso_em)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [
+      sid,
+      tipoConta,
+      Number(contaId),
+      escolaId ? Number(escolaId) : null,
+      descreverDispositivo(req),
+      ipDoRequest(req),
+      String(req?.headers?.["user-agent"] || "").slice(0, 300) || null,
+      sha256(refresh),
+      expira,
+    ]
+  );
+
+  return { sid, refresh_token: refresh, refresh_expira_em: expira };
+}
+
+/**
+ * Troca um refresh token por outro (rotação). Lança erro com `status`/`code`:
+ *  - 401 REFRESH_INVALIDO   → não existe / expirado / sessão revogada
+ *  - 401 REFRESH_REUTILIZADO → refresh antigo reapresentado (sessão é revogada)
+ */
+export async function rotacionarRefresh(db, refreshToken, { req, tipoConta } = {}) {
+  const hash = sha256(String(refreshToken || "").trim());
+
+  const [[sessao]] = await db.query(
+    "SELECT * FROM sessoes WHERE refresh_hash = ? LIMIT 1",
+    [hash]
+  );
+
+  if (!sessao) {
+    const [[reuso]] = await db.query(
+      "SELECT sid FROM sessoes WHERE refresh_anterior_hash = ? AND revogada_em IS NULL LIMIT 1",
+      [hash]
+    );
+    if (reuso) {
+      await revogarSessao(db, reuso.sid, { motivo: "refresh_reutilizado" });
+      log.warn("refresh reutilizado — sessão revogada", { sid: reuso.sid });
+      throw erroSessao(401, "REFRESH_REUTILIZADO", "Sessão encerrada por segurança. Faça login novamente.");
+    }
+    throw erroSessao(401, "REFRESH_INVALIDO", "Sessão inválida. Faça login novamente.");
+  }
+
+  if (tipoConta && sessao.tipo_conta !== tipoConta) {
+    throw erroSessao(401, "REFRESH_INVALIDO", "Sessão inválida. Faça login novamente.");
+  }
+  if (sessao.revogada_em || new Date(sessao.refresh_expira_em) <= new Date()) {
+    throw erroSessao(401, "REFRESH_INVALIDO", "Sessão expirada ou encerrada. Faça login novamente.");
+  }
+
+  const novo = novoRefresh();
+  const expira = expiraRefresh();
+  const [r] = await db.query(
+    `UPDATE sessoes
+        SET refresh_anterior_hash = refresh_hash, refresh_hash = ?, refresh_expira_em = ?,
+            ultimo_uso_em = NOW(), ip = ?
+      WHERE id = ? AND refresh_hash = ?`,
+    [sha256(novo), expira, ipDoRequest(req) || sessao.ip, sessao.id, hash]
+  );
+  // Duas abas renovando ao mesmo tempo: só a primeira vence
+  if (!r.affectedRows) {
+    throw erroSessao(401, "REFRESH_INVALIDO", "Sessão inválida. Faça login novamente.");
+  }
+
+  return { sessao, refresh_token: novo, refresh_expira_em: expira };
+}
+
+// -----------------------------------------------------------------------------
+// Listagem / revogação
+// -----------------------------------------------------------------------------
+
+export async function listarSessoes(db, { tipoConta, contaId, sidAtual = null, incluirRevogadas = false }) {
+  const [rows] = await db.query(
+    `SELECT sid, escola_id, dispositivo, ip, user_agent, criado_em, ultimo_uso_em,
+            refresh_expira_em, revogada_em, motivo_revogacao
+       FROM sessoes
+      WHERE tipo_conta = ? AND conta_id = ?
+        ${incluirRevogadas ? "" : "AND revogada_em IS NULL AND refresh_expira_em > NOW()"}
+      ORDER BY COALESCE(ultimo_uso_em, criado_em) DESC
+      LIMIT 100`,
+    [tipoConta, Number(contaId)]
+  );
+  return rows.map((s) => ({ ...s, atual: Boolean(sidAtual && s.sid === sidAtual) }));
+}
+
+/**
+ * Revoga uma sessão. Filtros opcionais restringem o alvo (dono da sessão
+ * ou escola do admin). Retorna false se nada foi revogado.
+ */
+export async function revogarSessao(db, sid, { tipoConta, contaId, escolaId, por = null, motivo = "logout" } = {}) {
+  const where = ["sid = ?", "revogada_em IS NULL"];
+  const params = [por, String(motivo).slice(0, 100), sid];
+  if (tipoConta) {
+    where.push("tipo_conta = ?");
+    params.push(tipoConta);
+  }
+  if (contaId) {
+    where.push("conta_id = ?");
+    params.push(Number(contaId));
+  }
+  if (escolaId) {
+    where.push("escola_id = ?");
+    params.push(Number(escolaId));
+  }
+
+  const [r] = await db.query(
+    `UPDATE sessoes SET revogada_em = NOW(), revogada_por = ?, motivo_revogacao = ?
+      WHERE ${where.join(" AND ")}`,
+    params
+  );
+  limparCache();
+  return r.affectedRows > 0;
+}
+
+export async function revogarSessoesDaConta(db, { tipoConta, contaId, por = null, motivo, excetoSid = null }) {
+  const [r] = await db.query(
+    `UPDATE sessoes SET revogada_em = NOW(), revogada_por = ?, motivo_revogacao = ?
+      WHERE tipo_conta = ? AND conta_id = ? AND revogada_em IS NULL
+        AND (? IS NULL OR sid <> ?)`,
+    [por, String(motivo || "revogacao").slice(0, 100), tipoConta, Number(contaId), excetoSid, excetoSid]
+  );
+  limparCache();
+  return r.affectedRows;
+}
+
+function limparCache() {
+  cache.clear();
+}
+
+// -----------------------------------------------------------------------------
+// Validação por request
+// -----------------------------------------------------------------------------
+
+/**
+ * Tipo/id da conta dona do token. null = token sem conta (agente IA,
+ * carteirinha) — esses não passam pela validação de sessão.
+ */
+export function identificarConta(payload) {
+  if (!payload) return null;
+  const sid = payload.sid || null;
+  if (payload.tipo === "RESPONSAVEL") {
+    return payload.responsavel_id ? { tipoConta: TIPO_RESPONSAVEL, contaId: Number(payload.responsavel_id), sid } : null;
+  }
+  if (payload.tipo === "ALUNO") {
+    return payload.aluno_id ? { tipoConta: TIPO_ALUNO, contaId: Number(payload.aluno_id), sid } : null;
+  }
+  if (payload.tipo) return null;
+
+  const uid = Number(payload.usuario_id ?? payload.usuarioId ?? payload.id ?? 0);
+  return uid ? { tipoConta: TIPO_USUARIO, contaId: uid, sid } : null;
+}
+
+async function contaAtiva(db, tipoConta, contaId) {
+  if (tipoConta === TIPO_USUARIO) {
+    const [[u]] = await db.query("SELECT ativo FROM usuarios WHERE id = ? LIMIT 1", [contaId]);
+    return Number(u?.ativo) === 1;
+  }
+  if (tipoConta === TIPO_RESPONSAVEL) {
+    const [[v]] = await db.query(
+      `SELECT COUNT(*) AS total, COALESCE(SUM(ativo = 1), 0) AS ativos
+         FROM responsaveis_alunos WHERE responsavel_id = ?`,
+      [contaId]
+    );
+    if (Number(v?.total || 0) > 0) return Number(v?.ativos || 0) > 0;
+    // Sem nenhum vínculo: só a conta demo da App Store continua valendo
+    // (vínculos removidos não reabrem o token de mais ninguém)
+    const [[r]] = await db.query("SELECT cpf FROM responsaveis WHERE id = ? LIMIT 1", [contaId]);
+    return String(r?.cpf || "").replace(/\D/g, "") === CPF_DEMO_APP_STORE;
+  }
+  if (tipoConta === TIPO_ALUNO) {
+    const [[a]] = await db.query("SELECT status FROM alunos WHERE id = ? LIMIT 1", [contaId]);
+    return Boolean(a) && (a.status == null || a.status === "ativo");
+  }
+  return true;
+}
+
+/**
+ * Confere se o token (já verificado pelo jwt) ainda vale:
+ *  → { ok: true } | { ok: false, code: "SESSAO_REVOGADA" | "CONTA_INATIVA" }
+ * Tokens sem `sid` (emitidos antes das sessões) passam só pelo teste de
+ * conta ativa e morrem no exp natural.
+ * Erro de banco propaga — o middleware responde 503 em vez de deslogar.
+ */
+export async function verificarSessaoToken(db, payload) {
+  const conta = identificarConta(payload);
+  if (!conta) return { ok: true };
+
+  const chave = `${conta.tipoConta}:${conta.contaId}:${conta.sid || ""}`;
+  const hit = cache.get(chave);
+  if (hit && hit.expira > Date.now()) return hit.resultado;
+
+  let resultado = { ok: true };
+  if (conta.sid) {
+    const [[s]] = await db.query(
+      "SELECT tipo_conta, conta_id, revogada_em FROM sessoes WHERE sid = ? LIMIT 1",
+      [conta.sid]
+    );
+    if (!s || s.revogada_em || s.tipo_conta !== conta.tipoConta || Number(s.conta_id) !== conta.contaId) {
+      resultado = { ok: false, code: "SESSAO_REVOGADA" };
+    }
+  }
+  if (resultado.ok && !(await contaAtiva(db, conta.tipoConta, conta.contaId))) {
+    resultado = { ok: false, code: "CONTA_INATIVA" };
+  }
+
+  if (cache.size > 5000) cache.clear();
+  cache.set(chave, { resultado, expira: Date.now() + CACHE_MS });
+  return resultado;
+}
+
+/** Mensagem padrão para o 401 de sessão (mesma nos três apps). */
+export function mensagemSessaoInvalida(code) {
+  return code === "CONTA_INATIVA"
+    ? "Conta inativa ou sem vínculo ativo. Procure a escola."
+    : "Sessão encerrada. Faça login novamente.";
+}
+
+/**
+ * Atalho para os middlewares inline dos apps (pais/aluno), que respondem
+ * `{ message }` sem `ok`. null = pode seguir.
+ */
+export async function respostaSessaoInvalida(db, payload) {
+  try {
+    const r = await verificarSessaoToken(db, payload);
+    if (r.ok) return null;
+    return { status: 401, body: { code: r.code, message: mensagemSessaoInvalida(r.code) } };
+  } catch (err) {
+    log.error("falha ao validar sessão", { erro: err?.message || err });
+    return { status: 503, body: { message: "Não foi possível validar a sessão. Tente novamente." } };
+  }
+}
@@ -0,0 +1,213 @@
+// services/uploadSeguro.js
+// -----------------------------------------------------------------------------
+// Pipeline único de upload. O filtro do multer (extensão / mimetype do
+// cliente) só corta cedo; quem decide é processarUpload:
+//
+//   1. tamanho máximo do perfil
+//   2. tipo real pela assinatura (utils/tipoArquivo.js), contra os tipos do perfil
+//   3. conteúdo ativo / poliglota (script, PHP, PDF com JavaScript, dados
+//      depois do fim da imagem) → recusado
+//   4. dimensões pelo cabeçalho, antes de decodificar (UPLOAD_MAX_PIXELS,
+//      padrão 40 MP; lado máximo 12000 px)
+//   5. antivírus opcional (services/antivirus.js)
+//   6. SVG: sanitizado e rasterizado em PNG — SVG nunca é guardado como SVG
+//   7. imagem: reencodada pelo sharp (orientação aplicada, redimensionada ao
+//      lado máximo do perfil). O reencode descarta EXIF/GPS e qualquer carga
+//      escondida nos metadados.
+//   8. cota da escola (armazenamento_cotas; UPLOAD_COTA_ESCOLA_MB, padrão 2048)
+//
+// Erros saem com { status, codigo } para a rota responder no formato dela.
+// O uso da cota é lançado por quem grava: services/arquivos.js no
+// armazenamento privado (e devolvido quando o objeto sai), e as rotas de
+// upload público (logos, comunicados, questões) com contabilizarUso.
+//
+// API:
+//  - PERFIS
+//  - processarUpload(db, file, { perfil, escolaId }) → { buffer, mime, extensao, tamanho }
+//  - middlewareUploadSeguro(perfil) — para rotas com multer diskStorage
+//  - lerCota / verificarCota / contabilizarUso
+// -----------------------------------------------------------------------------
+import fs from "fs";
+import sharp from "sharp";
+import { conteudoAtivo, detectarTipo, dimensoesImagem, sanitizarSvg } from "../utils/tipoArquivo.js";
+import { varrerBuffer } from "./antivirus.js";
+import { criarLogger } from "./logger.js";
+
+const log = criarLogger("upload");
+
+const MB = 1024 * 1024;
+const JPEG = "image/jpeg";
+const PNG = "image/png";
+const WEBP = "image/webp";
+const PDF = "application/pdf";
+const SVG = "image/svg+xml";
+
+export const PERFIS = Object.freeze({
+  // fotos e imagens enviadas por usuários (redações)
+  imagem: { tipos: [JPEG, PNG, WEBP], maxBytes: 10 * MB, normalizar: { lado: 2400 } },
+  // atestados, fichas de APH
+  documento: { tipos: [JPEG, PNG, WEBP, PDF], maxBytes: 10 * MB, normalizar: { lado: 2400 } },
+  // folhas de resposta: o OMR precisa de resolução e nitidez
+  gabarito: { tipos: [JPEG, PNG, PDF], maxBytes: 20 * MB, normalizar: { lado: 4000, qualidade: 95 } },
+  logo: { tipos: [PNG, JPEG, SVG], maxBytes: 5 * MB, normalizar: { lado: 2000, formato: "png" } },
+  comunicado: { tipos: [JPEG, PNG, PDF], maxBytes: 15 * MB, normalizar: { lado: 1600, formato: "jpeg" } },
+  questao_imagem: { tipos: [JPEG, PNG, WEBP], maxBytes: 10 * MB, normalizar: { lado: 1200, formato: "jpeg" } },
+  questao_midia: { tipos: [JPEG, PNG, PDF, "audio/mpeg", "audio/wav"], maxBytes: 5 * MB, normalizar: { lado: 2400 } },
+});
+
+const LADO_MAXIMO = 12000;
+const MIME_DO_FORMATO = { jpeg: JPEG, png: PNG, webp: WEBP };
+const EXTENSAO_DO_FORMATO = { jpeg: "jpg", png: "png", webp: "webp" };
+
+function erro(status, codigo, message) {
+  return Object.assign(new Error(message), { status, codigo });
+}
+
+function maxPixels() {
+  const n = Number(process.env.UPLOAD_MAX_PIXELS || 40_000_000);
+  return Number.isFinite(n) && n > 0 ? n : 40_000_000;
+}
+
+function formatoDeSaida(mime, normalizar) {
+  if (normalizar.formato) return normalizar.formato;
+  if (mime === PNG || mime === "image/gif") return "png";
+  if (mime === WEBP) return "webp";
+  return "jpeg";
+}
+
+async function reencodar(buffer, mime, normalizar) {
+  const formato = formatoDeSaida(mime, normalizar);
+  let img = sharp(buffer, { limitInputPixels: maxPixels(), failOn: "error" }).rotate();
+  if (normalizar.lado) {
+    img = img.resize({ width: normalizar.lado, height: normalizar.lado, fit: "inside", withoutEnlargement: true });
+  }
+  const qualidade = normalizar.qualidade || 85;
+  if (formato === "jpeg") img = img.flatten({ background: "#ffffff" }).jpeg({ quality: qualidade, mozjpeg: true });
+  else if (formato === "webp") img = img.webp({ quality: qualidade });
+  else img = img.png({ compressionLevel: 9 });
+  // sem withMetadata(): EXIF, GPS, XMP e ICC ficam para trás
+  return { buffer: await img.toBuffer(), mime: MIME_DO_FORMATO[formato], extensao: EXTENSAO_DO_FORMATO[formato] };
+}
+
+/**
+ * Valida e normaliza um arquivo do multer (memória). Lança erro com
+ * { status, codigo } — 400, 413, 415, 422 (suspeito/infectado), 503 (antivírus
+ * obrigatório fora do ar).
+ */
+export async function processarUpload(db, file, { perfil, escolaId = null } = {}) {
+  const regras = PERFIS[perfil];
+  if (!regras) throw new Error(`Perfil de upload desconhecido: ${perfil}`);
+
+  const buffer = file?.buffer;
+  if (!buffer?.length) throw erro(400, "ARQUIVO_AUSENTE", "Arquivo não enviado.");
+  if (buffer.length > regras.maxBytes) {
+    throw erro(413, "ARQUIVO_GRANDE", `Arquivo maior que ${Math.round(regras.maxBytes / MB)} MB.`);
+  }
+
+  const tipo = detectarTipo(buffer);
+  if (!tipo || !regras.tipos.includes(tipo.mime)) {
+    const declarado = file.mimetype ? ` (declarado: ${file.mimetype})` : "";
+    throw erro(415, "TIPO_NAO_PERMITIDO", `Conteúdo do arquivo não é de um tipo aceito${declarado}.`);
+  }
+
+  const motivo = conteudoAtivo(buffer, tipo.mime);
+  if (motivo) {
+    log.warn("upload recusado", { motivo, escola_id: escolaId ?? null, nome: file.originalname || "" });
+    throw erro(422, "ARQUIVO_SUSPEITO", `Arquivo recusado: ${motivo}.`);
+  }
+
+  const raster = tipo.mime.startsWith("image/") && tipo.mime !== SVG;
+  if (raster) {
+    const dim = dimensoesImagem(buffer, tipo.mime);
+    if (!dim || !dim.largura || !dim.altura) throw erro(415, "IMAGEM_INVALIDA", "Cabeçalho de imagem inválido.");
+    if (dim.largura > LADO_MAXIMO || dim.altura > LADO_MAXIMO || dim.largura * dim.altura > maxPixels()) {
+      throw erro(413, "IMAGEM_GRANDE", `Imagem grande demais (${dim.largura}×${dim.altura} px).`);
+    }
+  }
+
+  const varredura = await varrerBuffer(buffer);
+  if (varredura.limpo === false) {
+    log.warn("ameaça no upload", { ameaca: varredura.ameaca, escola_id: escolaId ?? null, nome: file.originalname || "" });
+    throw erro(422, "ARQUIVO_INFECTADO", "Arquivo recusado pelo antivírus.");
+  }
+
+  let final = { buffer, mime: tipo.mime, extensao: tipo.extensao };
+  if (tipo.mime === SVG) {
+    const limpo = Buffer.from(sanitizarSvg(buffer.toString("utf8")), "utf8");
+    final = await reencodar(limpo, PNG, { ...regras.normalizar, formato: "png" });
+  } else if (raster && regras.normalizar) {
+    final = await reencodar(buffer, tipo.mime, regras.normalizar);
+  }
+
+  if (escolaId) await verificarCota(db, escolaId, final.buffer.length);
+
+  return { ...final, tamanho: final.buffer.length };
+}
+
+/**
+ * Para rotas com multer diskStorage (controller lê req.file.path): lê o
+ * arquivo, passa pelo pipeline e regrava o resultado; recusa apaga o arquivo.
+ */
+export function middlewareUploadSeguro(perfil) {
+  return async (req, res, next) => {
+    if (!req.file) return next();
+    const escolaId = req.user?.escola_id ?? null;
+    try {
+      const buffer = req.file.buffer ?? (await fs.promises.readFile(req.file.path));
+      const r = await processarUpload(req.db, { ...req.file, buffer }, { perfil, escolaId });
+      if (req.file.path) await fs.promises.writeFile(req.file.path, r.buffer);
+      else req.file.buffer = r.buffer;
+      req.file.mimetype = r.mime;
+      req.file.size = r.tamanho;
+      if (escolaId) await contabilizarUso(req.db, escolaId, r.tamanho);
+      next();
+    } catch (err) {
+      if (req.file.path) await fs.promises.unlink(req.file.path).catch(() => {});
+      if (!err.status) return next(err);
+      res.status(err.status).json({ error: err.message, codigo: err.codigo });
+    }
+  };
+}
+
+// ─── Cota por escola ──────────────────────────────────────────────────────
+
+function cotaPadraoMb() {
+  const n = Number(process.env.UPLOAD_COTA_ESCOLA_MB || 2048);
+  return Number.isFinite(n) && n > 0 ? n : 2048;
+}
+
+export async function lerCota(db, escolaId) {
+  const [[row]] = await db.query(
+    "SELECT cota_mb, bytes_usados FROM armazenamento_cotas WHERE escola_id = ? LIMIT 1",
+    [escolaId]
+  );
+  const cotaBytes = Number(row?.cota_mb ?? cotaPadraoMb()) * MB;
+  const usados = Number(row?.bytes_usados || 0);
+  return { cota_bytes: cotaBytes, usados_bytes: usados, livres_bytes: Math.max(0, cotaBytes - usados) };
+}
+
+export async function verificarCota(db, escolaId, bytes) {
+  const cota = await lerCota(db, escolaId);
+  if (cota.usados_bytes + bytes > cota.cota_bytes) {
+    throw erro(
+      413,
+      "COTA_EXCEDIDA",
+      `Cota de armazenamento da escola esgotada (${Math.round(cota.usados_bytes / MB)} de ${Math.round(cota.cota_bytes / MB)} MB).`
+    );
+  }
+  return cota;
+}
+
+/** Soma (ou, com bytes negativo, devolve) uso da escola. Não crítico. */
+export async function contabilizarUso(db, escolaId, bytes) {
+  if (!escolaId || !bytes) return;
+  try {
+    await db.query(
+      `INSERT INTO armazenamento_cotas (escola_id, bytes_usados) VALUES (?, GREATEST(?, 0))
+       ON DUPLICATE KEY UPDATE bytes_usados = GREATEST(CAST(bytes_usados AS SIGNED) + ?, 0)`,
+      [escolaId, bytes, bytes]
+    );
+  } catch (err) {
+    log.warn("falha ao contabilizar cota (não crítico)", { erro: err.message });
+  }
+}
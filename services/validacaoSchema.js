@@ -0,0 +1,234 @@
+// services/validacaoSchema.js
+// -----------------------------------------------------------------------------
+// Validação de entrada por JSON Schema (subconjunto) — usada pelo middleware
+// validar() (middleware/validarRequisicao.js) e pelo gerador do OpenAPI
+// (services/openapi.js), que publica os mesmos schemas.
+//
+// Palavras-chave suportadas:
+//   type (string | array de tipos), enum, minimum, maximum, minLength,
+//   maxLength, pattern, format (date, date-time, email, cpf), items, minItems,
+//   maxItems, properties, required, additionalProperties, anyOf.
+// Extensão:
+//   aliases: ["turmaIds"] numa propriedade → aceita o nome alternativo
+//   (camelCase legado) e deixa o valor disponível nos dois nomes.
+//
+// Regras de tolerância (clientes existentes mandam de tudo):
+//   - query/params chegam como string: "12" vira 12, "true" vira true etc.
+//     No body a mesma coerção vale para números/booleanos em string.
+//   - Campo opcional com null ou "" conta como não informado.
+//   - Propriedades fora do schema são aceitas (additionalProperties padrão).
+// -----------------------------------------------------------------------------
+
+const FORMATOS = {
+  date: (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(`${v}T00:00:00Z`)),
+  "date-time": (v) => !Number.isNaN(Date.parse(v)) && /^\d{4}-\d{2}-\d{2}[T ]/.test(v),
+  email: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+  cpf: (v) => String(v).replace(/\D/g, "").length === 11,
+};
+
+const MENSAGEM_FORMATO = {
+  date: "deve ser uma data no formato AAAA-MM-DD",
+  "date-time": "deve ser uma data/hora ISO 8601",
+  email: "deve ser um e-mail válido",
+  cpf: "deve ser um CPF com 11 dígitos",
+};
+
+const NOME_TIPO = {
+  string: "texto",
+  integer: "número inteiro",
+  number: "número",
+  boolean: "booleano",
+  array: "lista",
+  object: "objeto",
+  null: "nulo",
+};
+
+function tiposDe(schema) {
+  if (!schema?.type) return null;
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+function tipoDoValor(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v;
+}
+
+function confere(tipo, v) {
+  const real = tipoDoValor(v);
+  if (tipo === "number") return real === "number" || real === "integer";
+  return tipo === real;
+}
+
+// Converte string → tipo declarado quando não há ambiguidade
+function coagir(valor, tipos) {
+  if (!tipos || tipos.some((t) => confere(t, valor))) return valor;
+
+  if (typeof valor === "string") {
+    const s = valor.trim();
+    if ((tipos.includes("integer") || tipos.includes("number")) && /^-?\d+(\.\d+)?$/.test(s)) {
+      const n = Number(s);
+      if (tipos.includes("number") || Number.isInteger(n)) return n;
+    }
+    if (tipos.includes("boolean")) {
+      if (["true", "1", "sim"].includes(s.toLowerCase())) return true;
+      if (["false", "0", "nao", "não"].includes(s.toLowerCase())) return false;
+    }
+    // Lista em query (?ids=1,2,3) → array
+    if (tipos.includes("array") && s !== "") return s.split(",").map((x) => x.trim());
+  }
+  if (typeof valor === "number" && Number.isFinite(valor) && tipos.includes("string")) {
+    return String(valor);
+  }
+  if (typeof valor === "boolean" && (tipos.includes("integer") || tipos.includes("number"))) {
+    return valor ? 1 : 0;
+  }
+  if ((valor === 0 || valor === 1) && tipos.includes("boolean")) return valor === 1;
+  return valor;
+}
+
+const vazio = (v) => v === undefined || v === null || v === "";
+
+function caminhoFilho(pai, chave) {
+  if (typeof chave === "number") return `${pai}[${chave}]`;
+  return pai ? `${pai}.${chave}` : String(chave);
+}
+
+function validarNo(schema, valor, caminho, erros) {
+  if (!schema || typeof schema !== "object") return valor;
+
+  if (Array.isArray(schema.anyOf)) {
+    for (const alternativa of schema.anyOf) {
+      const parciais = [];
+      const v = validarNo(alternativa, valor, caminho, parciais);
+      if (!parciais.length) return v;
+    }
+    erros.push({ campo: caminho, mensagem: schema.mensagem || "formato não aceito" });
+    return valor;
+  }
+
+  const tipos = tiposDe(schema);
+  const v = coagir(valor, tipos);
+
+  if (tipos && !tipos.some((t) => confere(t, v))) {
+    erros.push({ campo: caminho, mensagem: `deve ser ${tipos.map((t) => NOME_TIPO[t] || t).join(" ou ")}` });
+    return v;
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(v)) {
+    erros.push({ campo: caminho, mensagem: `deve ser um de: ${schema.enum.join(", ")}` });
+    return v;
+  }
+
+  if (typeof v === "number") {
+    if (schema.minimum != null && v < schema.minimum) erros.push({ campo: caminho, mensagem: `deve ser no mínimo ${schema.minimum}` });
+    if (schema.maximum != null && v > schema.maximum) erros.push({ campo: caminho, mensagem: `deve ser no máximo ${schema.maximum}` });
+  }
+
+  if (typeof v === "string") {
+    if (schema.minLength != null && v.length < schema.minLength) {
+      erros.push({ campo: caminho, mensagem: `deve ter ao menos ${schema.minLength} caractere(s)` });
+    }
+    if (schema.maxLength != null && v.length > schema.maxLength) {
+      erros.push({ campo: caminho, mensagem: `deve ter no máximo ${schema.maxLength} caracteres` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(v)) {
+      erros.push({ campo: caminho, mensagem: schema.mensagem || "formato inválido" });
+    }
+    if (schema.format && FORMATOS[schema.format] && !FORMATOS[schema.format](v)) {
+      erros.push({ campo: caminho, mensagem: MENSAGEM_FORMATO[schema.format] });
+    }
+  }
+
+  if (Array.isArray(v)) {
+    if (schema.minItems != null && v.length < schema.minItems) {
+      erros.push({ campo: caminho, mensagem: `deve ter ao menos ${schema.minItems} item(ns)` });
+    }
+    if (schema.maxItems != null && v.length > schema.maxItems) {
+      erros.push({ campo: caminho, mensagem: `deve ter no máximo ${schema.maxItems} itens` });
+    }
+    if (schema.items) {
+      return v.map((item, i) => validarNo(schema.items, item, caminhoFilho(caminho, i), erros));
+    }
+    return v;
+  }
+
+  if (tipoDoValor(v) === "object" && (schema.properties || schema.additionalProperties !== undefined)) {
+    return validarObjeto(schema, v, caminho, erros);
+  }
+
+  return v;
+}
+
+function validarObjeto(schema, obj, caminho, erros) {
+  const props = schema.properties || {};
+  const obrigatorios = new Set(schema.required || []);
+  const saida = { ...obj };
+
+  for (const [nome, sub] of Object.entries(props)) {
+    const nomes = [nome, ...(sub.aliases || [])];
+    const informado = nomes.find((n) => !vazio(saida[n]));
+
+    if (informado === undefined) {
+      if (obrigatorios.has(nome)) erros.push({ campo: caminhoFilho(caminho, nome), mensagem: "campo obrigatório" });
+      continue;
+    }
+
+    const valor = validarNo(sub, saida[informado], caminhoFilho(caminho, nome), erros);
+    for (const n of nomes) saida[n] = valor;
+  }
+
+  if (schema.additionalProperties !== undefined && schema.additionalProperties !== true) {
+    const conhecidos = new Set(
+      Object.entries(props).flatMap(([nome, sub]) => [nome, ...(sub.aliases || [])])
+    );
+    for (const [chave, valor] of Object.entries(saida)) {
+      if (conhecidos.has(chave)) continue;
+      if (schema.additionalProperties === false) {
+        erros.push({ campo: caminhoFilho(caminho, chave), mensagem: "campo não permitido" });
+      } else {
+        saida[chave] = validarNo(schema.additionalProperties, valor, caminhoFilho(caminho, chave), erros);
+      }
+    }
+  }
+
+  return saida;
+}
+
+/**
+ * Valida (e coage) um valor contra o schema.
+ * @returns {{ valor: any, erros: Array<{campo: string, mensagem: string}> }}
+ */
+export function validarSchema(schema, valor, caminho = "") {
+  const erros = [];
+  const resultado = validarNo(schema, valor, caminho, erros);
+  return { valor: resultado, erros };
+}
+
+/**
+ * Remove as extensões internas (aliases, mensagem) para publicar no OpenAPI.
+ * aliases vira x-aliases.
+ */
+export function schemaParaOpenApi(schema) {
+  if (Array.isArray(schema)) return schema.map(schemaParaOpenApi);
+  if (!schema || typeof schema !== "object") return schema;
+
+  const saida = {};
+  for (const [chave, valor] of Object.entries(schema)) {
+    if (chave === "mensagem") continue;
+    if (chave === "aliases") {
+      saida["x-aliases"] = valor;
+    } else if (chave === "properties") {
+      saida.properties = Object.fromEntries(
+        Object.entries(valor).map(([nome, sub]) => [nome, schemaParaOpenApi(sub)])
+      );
+    } else if (typeof valor === "object" && valor !== null) {
+      saida[chave] = schemaParaOpenApi(valor);
+    } else {
+      saida[chave] = valor;
+    }
+  }
+  // OpenAPI 3.1 aceita type como array (["integer", "null"])
+  return saida;
+}
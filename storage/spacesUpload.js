@@ -1,6 +1,6 @@
 import crypto from "crypto";
 import sharp from "sharp";
-import { PutObjectCommand, DeleteObjectCommand, GetObjectCommand } from "@aws-sdk/client-s3";
+import { PutObjectCommand, DeleteObjectCommand, GetObjectCommand, ListObjectsV2Command } from "@aws-sdk/client-s3";
 import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 import { getSpacesClient, getSpacesConfig } from "./spacesClient.js";
 
@@ -283,3 +283,34 @@ export async function downloadBufferFromSpaces(objectKey) {
     contentType: resp.ContentType || "application/octet-stream",
   };
 }
+
+/**
+ * Lista os objetos sob um prefixo (paginado pelo ContinuationToken).
+ * Usado pela retenção (services/retencao.js) para achar frames antigos.
+ *
+ * @param {string} prefix - ex.: 'uploads/CEF04_PLAN/monitoramento/'
+ * @returns {Promise<Array<{ objectKey: string, tamanho: number, modificadoEm: Date }>>}
+ */
+export async function listObjectsFromSpaces(prefix) {
+  const { bucket } = getSpacesConfig();
+  if (bucket === "mock_bucket") return [];
+  const s3 = getSpacesClient();
+
+  const objetos = [];
+  let token;
+  do {
+    const out = await s3.send(
+      new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: String(prefix || "").replace(/^\/+/, ""),
+        ContinuationToken: token,
+      })
+    );
+    for (const o of out.Contents || []) {
+      objetos.push({ objectKey: o.Key, tamanho: Number(o.Size || 0), modificadoEm: o.LastModified });
+    }
+    token = out.IsTruncated ? out.NextContinuationToken : undefined;
+  } while (token);
+
+  return objetos;
+}
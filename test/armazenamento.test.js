@@ -0,0 +1,157 @@
+// test/armazenamento.test.js
+// -----------------------------------------------------------------------------
+// Armazenamento (services/armazenamento.js + services/arquivos.js): chave por
+// conteúdo, driver local, URL assinada do download, upload pelo pipeline,
+// liberação de objeto compartilhado e migração do disco legado.
+// -----------------------------------------------------------------------------
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import {
+  assinarDownload,
+  chaveDeConteudo,
+  criarDriverLocal,
+  definirArmazenamento,
+  verificarDownload,
+} from "../services/armazenamento.js";
+import { ehChaveArmazenada, liberarChave, migrarArquivosLegados, salvarUpload } from "../services/arquivos.js";
+import { criarDb } from "./helpers/fakeDb.js";
+
+describe("armazenamento", () => {
+  let tmp;
+  let driver;
+
+  before(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), "armazenamento-"));
+    driver = criarDriverLocal(path.join(tmp, "objetos"));
+    definirArmazenamento(driver);
+    process.env.STORAGE_DRIVER = "local";
+  });
+
+  after(() => {
+    delete process.env.STORAGE_DRIVER;
+    definirArmazenamento(null);
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  test("chave por conteúdo: mesmo arquivo, mesma chave; sem nome do aluno", () => {
+    const buffer = Buffer.from("redação da Ana");
+    const a = chaveDeConteudo({ categoria: "redacao", escolaId: 7, buffer, extensao: "jpg" });
+    const b = chaveDeConteudo({ categoria: "redacao", escolaId: 7, buffer, extensao: "jpg" });
+    assert.equal(a, b);
+    assert.match(a, /^redacao\/7\/([0-9a-f]{2})\/\1[0-9a-f]{62}\.jpg$/);
+    assert.ok(ehChaveArmazenada(a));
+    assert.ok(!ehChaveArmazenada("/uploads/redacoes/12345.jpg"));
+    assert.ok(!ehChaveArmazenada("uploads/CEF04/gabaritos/1/x.jpg"));
+  });
+
+  test("driver local grava, lê, deduplica e recusa chave fora da raiz", async () => {
+    const buffer = Buffer.from("%PDF-1.4 atestado");
+    const chave = chaveDeConteudo({ categoria: "atestado", escolaId: 1, buffer, extensao: "pdf" });
+    await driver.salvar({ chave, buffer });
+    await driver.salvar({ chave, buffer });
+
+    const lido = await driver.ler(chave);
+    assert.deepEqual(lido.buffer, buffer);
+    assert.equal(lido.contentType, "application/pdf");
+    assert.equal(fs.readdirSync(path.dirname(path.join(driver.raiz, chave))).length, 1);
+
+    await assert.rejects(driver.ler("../fora.txt"), (err) => err.status === 400);
+    await driver.excluir(chave);
+    assert.equal(await driver.existe(chave), false);
+    await driver.excluir(chave); // ausente não é erro
+  });
+
+  test("URL assinada vale até expirar e não aceita chave ou nome trocados", () => {
+    const { url, expira_em } = assinarDownload("aph/1/ab/abc.pdf", { expiraEm: 60, nome: "ficha.pdf" });
+    assert.ok(expira_em > new Date());
+    const q = Object.fromEntries(new URL(url, "http://x").searchParams);
+    assert.deepEqual(verificarDownload(q), { chave: "aph/1/ab/abc.pdf", nome: "ficha.pdf" });
+
+    assert.equal(verificarDownload({ ...q, chave: "aph/1/ab/outro.pdf" }), null);
+    assert.equal(verificarDownload({ ...q, nome: "x.pdf" }), null);
+    assert.equal(verificarDownload({ ...q, sig: "00" }), null);
+    assert.equal(verificarDownload({ ...q, exp: String(Math.floor(Date.now() / 1000) - 1) }), null);
+    assert.equal(verificarDownload({ ...q, chave: "../etc/passwd" }), null);
+  });
+
+  test("upload: tipo pelo conteúdo, cota só para objeto novo", async () => {
+    const pdf = Buffer.from("%PDF-1.4\n1 0 obj << /Type /Catalog >> endobj\n%%EOF\n");
+    const db = criarDb();
+    const file = { buffer: pdf, mimetype: "image/jpeg", originalname: "atestado.jpg" };
+
+    const salvo = await salvarUpload(db, file, { categoria: "atestado", perfil: "documento", escolaId: 4 });
+    assert.equal(salvo.mime, "application/pdf");
+    assert.match(salvo.chave, /^atestado\/4\/[0-9a-f]{2}\/[0-9a-f]{64}\.pdf$/);
+    const usos = () => db.queries.filter((q) => /INSERT INTO armazenamento_cotas/.test(q.sql));
+    assert.deepEqual(usos()[0].params, [4, pdf.length, pdf.length]);
+
+    // mesmo conteúdo de novo: mesma chave, nada a cobrar
+    await salvarUpload(db, file, { categoria: "atestado", perfil: "documento", escolaId: 4 });
+    assert.equal(usos().length, 1);
+
+    await assert.rejects(
+      salvarUpload(db, { buffer: Buffer.from("<html><body>oi</body></html>"), mimetype: "application/pdf" }, { categoria: "atestado", perfil: "documento", escolaId: 4 }),
+      (err) => err.status === 415 && err.codigo === "TIPO_NAO_PERMITIDO"
+    );
+  });
+
+  test("objeto só é apagado quando nenhuma linha o referencia", async () => {
+    const buffer = Buffer.from("imagem de gabarito");
+    const chave = chaveDeConteudo({ categoria: "gabarito", escolaId: 1, buffer, extensao: "jpg" });
+    await driver.salvar({ chave, buffer });
+
+    let total = 1;
+    const db = criarDb((sql) => (/AS total/.test(sql) ? [[{ total }], []] : undefined));
+    assert.equal(await liberarChave(db, chave), false);
+    assert.equal(await driver.existe(chave), true);
+
+    total = 0;
+    assert.equal(await liberarChave(db, chave), true);
+    assert.equal(await driver.existe(chave), false);
+    // o espaço volta para a cota da escola dona da chave
+    const devolvido = db.queries.find((q) => /INSERT INTO armazenamento_cotas/.test(q.sql));
+    assert.deepEqual(devolvido.params, [1, -buffer.length, -buffer.length]);
+    // referência legada não é tocada
+    assert.equal(await liberarChave(db, "uploads/gabaritos/1/x.jpg"), false);
+  });
+
+  test("migração do disco legado: simulação só lista, execução move e reescreve", async () => {
+    const raiz = path.join(tmp, "backend");
+    fs.mkdirSync(path.join(raiz, "uploads/redacoes"), { recursive: true });
+    fs.mkdirSync(path.join(raiz, "uploads/gabaritos/3"), { recursive: true });
+    fs.writeFileSync(path.join(raiz, "uploads/redacoes/12345.jpg"), "redacao");
+    fs.writeFileSync(path.join(raiz, "uploads/gabaritos/3/folha.png"), "folha");
+
+    const db = criarDb((sql) => {
+      if (/FROM redacoes/.test(sql)) {
+        return [[
+          { id: 1, escola_id: 2, referencia: "/uploads/redacoes/12345.jpg" },
+          { id: 2, escola_id: 2, referencia: "/uploads/redacoes/sumiu.jpg" },
+        ], []];
+      }
+      if (/FROM gabarito_arquivos/.test(sql)) return [[{ id: 9, escola_id: 2, referencia: "uploads/gabaritos/3/folha.png" }], []];
+      return undefined;
+    });
+
+    const simulacao = await migrarArquivosLegados(db, { backendRoot: raiz });
+    assert.deepEqual([simulacao.pendentes, simulacao.ausentes, simulacao.movidos], [2, 1, 0]);
+    assert.ok(!db.queries.some((q) => /^UPDATE/.test(q.sql)));
+    assert.ok(fs.existsSync(path.join(raiz, "uploads/redacoes/12345.jpg")));
+
+    const r = await migrarArquivosLegados(db, { executar: true, backendRoot: raiz });
+    assert.deepEqual([r.movidos, r.ausentes, r.falhas], [2, 1, 0]);
+
+    const updates = db.queries.filter((q) => /^UPDATE/.test(q.sql));
+    assert.match(updates[0].sql, /UPDATE redacoes SET imagem = \?/);
+    assert.match(updates[0].params[0], /^redacao\/2\/[0-9a-f]{2}\/[0-9a-f]{64}\.jpg$/);
+    assert.match(updates[1].sql, /UPDATE gabarito_arquivos SET arquivo_path = \?/);
+    assert.match(updates[1].params[0], /^gabarito\/2\/.*\.png$/);
+
+    assert.deepEqual((await driver.ler(updates[0].params[0])).buffer, Buffer.from("redacao"));
+    assert.ok(!fs.existsSync(path.join(raiz, "uploads/redacoes/12345.jpg")));
+  });
+});
@@ -0,0 +1,285 @@
+// test/auditoria.test.js
+// -----------------------------------------------------------------------------
+// Trilha de auditoria de dados (services/auditoria.js + routes/auditoria.js).
+// Sem banco: test/helpers/fakeDb.js registra o SQL e simula o antes/depois
+// das capturas.
+// -----------------------------------------------------------------------------
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "teste_auditoria_jwt";
+process.env.SESSOES_CACHE_MS = "0";
+
+const ESCOLA = 101;
+const OUTRA = 202;
+
+let db;
+let servidor;
+let baseUrl;
+let jwt;
+let auditoria;
+
+function token(extra = {}) {
+  return jwt.sign(
+    {
+      scope: "escola",
+      usuario_id: 7,
+      usuarioId: 7,
+      escola_id: ESCOLA,
+      perfil: "diretor",
+      permissoes: ["auditoria:ver"],
+      ...extra,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: "5m" }
+  );
+}
+
+async function chamar(metodo, caminho, { body, tk = token() } = {}) {
+  const resp = await fetch(baseUrl + caminho, {
+    method: metodo,
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${tk}` },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  let json = null;
+  try {
+    json = await resp.json();
+  } catch {
+    json = null;
+  }
+  return { status: resp.status, body: json };
+}
+
+function insertsAuditoria() {
+  return db.queries.filter((q) => /INSERT INTO auditoria_alteracoes/.test(q.sql));
+}
+
+before(async () => {
+  ({ default: jwt } = await import("jsonwebtoken"));
+  const { default: pool } = await import("../db.js");
+  const { instalarFakeDb } = await import("./helpers/fakeDb.js");
+  db = instalarFakeDb(pool);
+
+  auditoria = await import("../services/auditoria.js");
+  const { autenticarToken } = await import("../middleware/autenticarToken.js");
+  const { verificarEscola } = await import("../middleware/verificarEscola.js");
+  const { default: alunosRouter } = await import("../routes/alunos.js");
+  const { default: auditoriaRouter } = await import("../routes/auditoria.js");
+
+  const app = express();
+  app.use(express.json());
+  app.use("/api/alunos", autenticarToken, verificarEscola, alunosRouter);
+  app.use("/api/auditoria", autenticarToken, verificarEscola, auditoriaRouter);
+
+  await new Promise((resolve) => {
+    servidor = app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${servidor.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => servidor?.close(resolve));
+  db?.restaurar();
+});
+
+beforeEach(() => db.limpar());
+
+// ─────────────────────────────────────────────────────────────
+// Diff
+// ─────────────────────────────────────────────────────────────
+describe("diffRegistros", () => {
+  test("só os campos alterados, com de/para", () => {
+    const diff = auditoria.diffRegistros(
+      { id: 1, nota: "7.50", faltas: 2, updated_at: new Date(1) },
+      { id: 1, nota: "8.00", faltas: 2, updated_at: new Date(2) }
+    );
+    assert.deepEqual(diff, { nota: { de: "7.50", para: "8.00" } });
+  });
+
+  test("DECIMAL em string e número equivalentes não geram alteração", () => {
+    assert.equal(auditoria.diffRegistros({ nota: "7.50" }, { nota: 7.5 }), null);
+    assert.equal(auditoria.diffRegistros({ obs: null }, { obs: "" }), null);
+  });
+
+  test("criação e exclusão listam todos os campos", () => {
+    assert.deepEqual(auditoria.diffRegistros(null, { id: 3, nota: 5 }), {
+      id: { de: null, para: 3 },
+      nota: { de: null, para: 5 },
+    });
+    assert.deepEqual(auditoria.diffRegistros({ id: 3, nota: 5 }, null), {
+      id: { de: 3, para: null },
+      nota: { de: 5, para: null },
+    });
+  });
+});
+
+describe("eventosDaCaptura + registrarAlteracoes", () => {
+  const ctx = { escolaId: ESCOLA, usuarioId: 7, rota: "teste" };
+
+  test("deduz criar/alterar/excluir e ignora registros iguais", async () => {
+    const antes = new Map([
+      ["1", { id: 1, aluno_id: 10, nota: 5 }],
+      ["2", { id: 2, aluno_id: 11, nota: 6 }],
+      ["3", { id: 3, aluno_id: 12, nota: 7 }],
+    ]);
+    const depois = new Map([
+      ["1", { id: 1, aluno_id: 10, nota: 9 }],
+      ["2", { id: 2, aluno_id: 11, nota: 6 }],
+      ["4", { id: 4, aluno_id: 13, nota: 8 }],
+    ]);
+
+    const { default: pool } = await import("../db.js");
+    const gravados = await auditoria.registrarAlteracoes(
+      pool,
+      ctx,
+      auditoria.eventosDaCaptura("notas", antes, depois)
+    );
+    assert.equal(gravados, 3);
+
+    const [ins] = insertsAuditoria();
+    const linhas = ins.params;
+    // 12 colunas por linha: escola, usuario, perfil, entidade, id, aluno, acao, diff, metodo, rota, ip, personificacao
+    const porLinha = [];
+    for (let i = 0; i < linhas.length; i += 12) porLinha.push(linhas.slice(i, i + 12));
+    const acoes = Object.fromEntries(porLinha.map((l) => [l[4], l[6]]));
+    assert.deepEqual(acoes, { 1: "alterar", 3: "excluir", 4: "criar" });
+    assert.ok(porLinha.every((l) => l[0] === ESCOLA && l[3] === "notas" && l[11] === null));
+    assert.deepEqual(JSON.parse(porLinha.find((l) => l[4] === "1")[7]), { nota: { de: 5, para: 9 } });
+  });
+
+  test("captura que falhou não gera evento (nem exclusão falsa)", async () => {
+    assert.deepEqual(auditoria.eventosDaCaptura("notas", null, new Map([["1", { id: 1 }]])), []);
+  });
+
+  test("sem escola no contexto não grava", async () => {
+    const { default: pool } = await import("../db.js");
+    const n = await auditoria.registrarAlteracoes(pool, { usuarioId: 7 }, [
+      { entidade: "notas", antes: null, depois: { id: 1, nota: 5 } },
+    ]);
+    assert.equal(n, 0);
+    assert.equal(insertsAuditoria().length, 0);
+  });
+
+  test("falha no INSERT de auditoria não propaga", async () => {
+    const { default: pool } = await import("../db.js");
+    db.responder((sql) => {
+      if (/INSERT INTO auditoria_alteracoes/.test(sql)) throw new Error("tabela ausente");
+    });
+    const n = await auditoria.registrarAlteracoes(pool, ctx, [
+      { entidade: "notas", antes: null, depois: { id: 1, nota: 5 } },
+    ]);
+    assert.equal(n, 0);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// Instrumentação das rotas
+// ─────────────────────────────────────────────────────────────
+describe("ocorrências disciplinares", () => {
+  test("PUT /:id/ocorrencias/:oid grava o valor anterior da descrição", async () => {
+    let leituras = 0;
+    db.responder((sql) => {
+      if (/FROM ocorrencias_disciplinares/.test(sql) && /^\s*SELECT/i.test(sql)) {
+        leituras++;
+        const descricao = leituras === 1 ? "briga no recreio" : "discussão no recreio";
+        return [[{ id: 55, aluno_id: 9, descricao, status: "REGISTRADA" }], []];
+      }
+    });
+
+    const r = await chamar("PUT", "/api/alunos/9/ocorrencias/55", {
+      body: { descricao: "discussão no recreio" },
+    });
+    assert.equal(r.status, 200);
+
+    const [ins] = insertsAuditoria();
+    assert.ok(ins, "esperava INSERT em auditoria_alteracoes");
+    const [escola, usuario, perfil, entidade, entidadeId, alunoId, acao, diff] = ins.params;
+    assert.equal(escola, ESCOLA);
+    assert.equal(usuario, 7);
+    assert.equal(perfil, "diretor");
+    assert.equal(entidade, "ocorrencias_disciplinares");
+    assert.equal(entidadeId, "55");
+    assert.equal(alunoId, 9);
+    assert.equal(acao, "alterar");
+    assert.deepEqual(JSON.parse(diff), {
+      descricao: { de: "briga no recreio", para: "discussão no recreio" },
+    });
+  });
+
+  test("DELETE registra exclusão com o conteúdo removido", async () => {
+    let leituras = 0;
+    db.responder((sql) => {
+      if (/^\s*DELETE FROM ocorrencias_disciplinares/i.test(sql)) return [{ affectedRows: 1 }, []];
+      if (/FROM ocorrencias_disciplinares/.test(sql) && /^\s*SELECT/i.test(sql)) {
+        leituras++;
+        return leituras === 1 ? [[{ id: 56, aluno_id: 9, motivo: "Atraso" }], []] : [[], []];
+      }
+    });
+
+    const r = await chamar("DELETE", "/api/alunos/9/ocorrencias/56");
+    assert.equal(r.status, 200);
+    const [ins] = insertsAuditoria();
+    assert.equal(ins.params[6], "excluir");
+    assert.deepEqual(JSON.parse(ins.params[7]).motivo, { de: "Atraso", para: null });
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// API de consulta
+// ─────────────────────────────────────────────────────────────
+describe("GET /api/auditoria", () => {
+  test("exige auditoria:ver", async () => {
+    const r = await chamar("GET", "/api/auditoria", { tk: token({ perfil: "professor", permissoes: [] }) });
+    assert.equal(r.status, 403);
+    assert.equal(db.queries.filter((q) => /FROM auditoria_alteracoes/.test(q.sql)).length, 0);
+  });
+
+  test("filtra pela escola da sessão e pelos filtros informados", async () => {
+    db.responder((sql) => {
+      if (/COUNT\(\*\) AS total FROM auditoria_alteracoes/.test(sql)) return [[{ total: 0 }], []];
+    });
+    const r = await chamar(
+      "GET",
+      "/api/auditoria?entidade=notas&usuario_id=7&de=2026-03-01&ate=2026-03-31"
+    );
+    assert.equal(r.status, 200);
+    const consultas = db.queries.filter((q) => /FROM auditoria_alteracoes/.test(q.sql));
+    assert.equal(consultas.length, 2);
+    for (const q of consultas) {
+      assert.equal(q.params[0], ESCOLA);
+      assert.ok(!q.params.includes(OUTRA));
+      assert.ok(q.params.includes("notas"));
+      assert.ok(q.params.includes("2026-03-31"));
+    }
+  });
+
+  test("filtros inválidos → 400", async () => {
+    assert.equal((await chamar("GET", "/api/auditoria?de=31/03/2026")).status, 400);
+    assert.equal((await chamar("GET", "/api/auditoria?acao=apagar")).status, 400);
+    assert.equal((await chamar("GET", "/api/auditoria?entidade=notas;DROP")).status, 400);
+  });
+
+  test("histórico de aluno de outra escola → 404", async () => {
+    const r = await chamar("GET", "/api/auditoria/alunos/9/historico");
+    assert.equal(r.status, 404);
+    const busca = db.queries.find((q) => /FROM alunos WHERE id = \? AND escola_id = \?/.test(q.sql));
+    assert.deepEqual(busca.params, [9, ESCOLA]);
+  });
+
+  test("histórico do aluno filtra por aluno_id na escola", async () => {
+    db.responder((sql) => {
+      if (/FROM alunos WHERE id = \?/.test(sql)) return [[{ id: 9, estudante: "Ana", codigo: "123" }], []];
+      if (/COUNT\(\*\) AS total FROM auditoria_alteracoes/.test(sql)) return [[{ total: 1 }], []];
+      if (/FROM auditoria_alteracoes a/.test(sql)) {
+        return [[{ id: 1, entidade: "notas", entidade_id: "77", aluno_id: 9, acao: "alterar", diff: '{"nota":{"de":5,"para":6}}' }], []];
+      }
+    });
+    const r = await chamar("GET", "/api/auditoria/alunos/9/historico");
+    assert.equal(r.status, 200);
+    assert.equal(r.body.total, 1);
+    assert.deepEqual(r.body.itens[0].diff, { nota: { de: 5, para: 6 } });
+    const lista = db.queries.find((q) => /FROM auditoria_alteracoes a\s+LEFT JOIN/.test(q.sql));
+    assert.deepEqual(lista.params.slice(0, 2), [ESCOLA, 9]);
+  });
+});
@@ -0,0 +1,227 @@
+// test/backupEscola.test.js
+// -----------------------------------------------------------------------------
+// Backup da escola (services/backupEscola.js): leitor do ZIP, exportação só do
+// escola_id (mais filhas e arquivos referenciados), restauração em outro banco
+// com ids novos — referências, ciclo usuário ↔ professor, responsável já
+// existente pelo CPF, chave do armazenamento trocada — e recusas (pacote
+// adulterado, esquema do destino mais antigo, apelido em uso).
+// -----------------------------------------------------------------------------
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { criarDriverLocal, chaveDeConteudo, definirArmazenamento } from "../services/armazenamento.js";
+import { criarZip, lerZip } from "../utils/zip.js";
+import { exportarEscola, lerPacote, restaurarEscola } from "../services/backupEscola.js";
+import { criarDb } from "./helpers/fakeDb.js";
+
+// Esquema mínimo: [coluna, tipo, nulo?, extra?]
+const ESQUEMA = {
+  escolas: [["id", "bigint", false, "auto_increment"], ["nome", "varchar"], ["apelido", "varchar", true]],
+  usuarios: [["id", "int", false, "auto_increment"], ["escola_id", "int"], ["nome", "varchar"], ["professor_id", "int", true]],
+  professores: [["id", "int", false, "auto_increment"], ["escola_id", "int"], ["usuario_id", "int", true]],
+  turmas: [["id", "int", false, "auto_increment"], ["escola_id", "int"], ["nome", "varchar"]],
+  alunos: [["id", "bigint", false, "auto_increment"], ["escola_id", "int"], ["turma_id", "int", true], ["nome", "varchar"], ["criado_em", "datetime", true]],
+  responsaveis: [["id", "int", false, "auto_increment"], ["cpf", "varchar"], ["nome", "varchar"]],
+  responsaveis_alunos: [["id", "int", false, "auto_increment"], ["escola_id", "int"], ["aluno_id", "bigint"], ["responsavel_id", "int"]],
+  anexos: [["id", "int", false, "auto_increment"], ["escola_id", "int"], ["categoria", "varchar"], ["referencia_id", "int"], ["chave", "varchar"]],
+  frequencia_justificativas: [["id", "int", false, "auto_increment"], ["escola_id", "int"], ["aluno_id", "bigint"]],
+  configuracoes_escola: [["escola_id", "int"], ["chave", "varchar"], ["valor", "json", true]],
+  sessoes: [["id", "int", false, "auto_increment"], ["escola_id", "int"], ["token_hash", "varchar"]],
+  schema_migrations: [["versao", "varchar"]],
+};
+
+// Banco em memória que entende as consultas do serviço
+function bancoEmMemoria(dados, { versao = "0022" } = {}) {
+  const tabelas = new Map();
+  for (const [nome, colunas] of Object.entries(ESQUEMA)) {
+    tabelas.set(nome, { colunas, linhas: (dados[nome] || []).map((l) => ({ ...l })), proximo: 1000 });
+  }
+  tabelas.get("schema_migrations").linhas = [{ versao }];
+
+  const db = criarDb(async (sql, params) => {
+    let m;
+    if (/information_schema\.COLUMNS/.test(sql)) {
+      const rows = [];
+      for (const [tabela, { colunas }] of tabelas) {
+        for (const [coluna, tipo, nulo = false, extra = ""] of colunas) rows.push({ tabela, coluna, tipo, nulo: nulo ? "YES" : "NO", extra });
+      }
+      return [rows, []];
+    }
+    if (/MAX\(versao\)/.test(sql)) return [[{ versao: versao }], []];
+    if (/@@auto_increment_increment/.test(sql)) return [[{ passo: 1 }], []];
+    if (/^SET FOREIGN_KEY_CHECKS/.test(sql)) return [{}, []];
+    if ((m = sql.match(/^SELECT \* FROM escolas WHERE id = \?/))) {
+      return [tabelas.get("escolas").linhas.filter((l) => l.id === params[0]), []];
+    }
+    if ((m = sql.match(/^SELECT id(?:, apelido)? FROM escolas WHERE (id|apelido) = \?/))) {
+      return [tabelas.get("escolas").linhas.filter((l) => l[m[1]] === params[0]), []];
+    }
+    if ((m = sql.match(/^SELECT COUNT\(\*\) AS total FROM `(\w+)` WHERE `escola_id` = \?/))) {
+      return [[{ total: tabelas.get(m[1]).linhas.filter((l) => l.escola_id === params[0]).length }], []];
+    }
+    if ((m = sql.match(/^SELECT \* FROM `(\w+)` WHERE `(\w+)` = \?/))) {
+      return [tabelas.get(m[1]).linhas.filter((l) => l[m[2]] === params[0]), []];
+    }
+    if ((m = sql.match(/^SELECT \* FROM `(\w+)` WHERE `(\w+)` IN \(\?\)/))) {
+      return [tabelas.get(m[1]).linhas.filter((l) => params[0].includes(l[m[2]])), []];
+    }
+    if ((m = sql.match(/^SELECT (?:`(\w+)`|NULL) AS id, `(\w+)` AS chave FROM `(\w+)` WHERE `\w+` IN \(\?\)/))) {
+      const rows = tabelas.get(m[3]).linhas.filter((l) => params[0].includes(l[m[2]]));
+      return [rows.map((l) => ({ id: m[1] ? l[m[1]] : null, chave: l[m[2]] })), []];
+    }
+    if ((m = sql.match(/^INSERT INTO `?(\w+)`? \((.+)\) VALUES (\?|\(\?\))$/))) {
+      const t = tabelas.get(m[1]);
+      const campos = m[2].split(", ").map((c) => c.replace(/`/g, ""));
+      const valores = m[3] === "?" ? params[0] : [params[0]];
+      const temId = t.colunas.some(([c, , , extra]) => c === "id" && extra === "auto_increment");
+      const insertId = t.proximo;
+      for (const v of valores) {
+        const linha = Object.fromEntries(campos.map((c, i) => [c, v[i]]));
+        if (temId) linha.id = t.proximo++;
+        t.linhas.push(linha);
+      }
+      return [{ insertId: temId ? insertId : 0, affectedRows: valores.length }, []];
+    }
+    if ((m = sql.match(/^UPDATE `(\w+)` SET `(\w+)` = \? WHERE `(\w+)` = \?/))) {
+      const linha = tabelas.get(m[1]).linhas.find((l) => l[m[3]] === params[1]);
+      linha[m[2]] = params[0];
+      return [{ affectedRows: 1 }, []];
+    }
+    throw new Error(`consulta inesperada: ${sql}`);
+  });
+  return { ...db, tabelas, linhas: (t) => tabelas.get(t).linhas };
+}
+
+describe("backup da escola", () => {
+  let raiz;
+  let driver;
+  const arquivo = Buffer.from("%PDF-1.4 atestado");
+  let chaveOrigem;
+
+  before(() => {
+    raiz = fs.mkdtempSync(path.join(os.tmpdir(), "backup-escola-"));
+    driver = criarDriverLocal(raiz);
+    definirArmazenamento(driver);
+    chaveOrigem = chaveDeConteudo({ categoria: "atestado", escolaId: 7, buffer: arquivo, extensao: "pdf" });
+  });
+
+  after(() => {
+    definirArmazenamento(null);
+    fs.rmSync(raiz, { recursive: true, force: true });
+  });
+
+  function origem() {
+    return bancoEmMemoria({
+      escolas: [{ id: 7, nome: "CEF 07", apelido: "CEF07" }, { id: 8, nome: "Outra", apelido: "OUTRA" }],
+      usuarios: [
+        { id: 1, escola_id: 7, nome: "Prof. Ana", professor_id: 20 },
+        { id: 2, escola_id: 8, nome: "De outra escola", professor_id: null },
+      ],
+      professores: [{ id: 20, escola_id: 7, usuario_id: 1 }],
+      turmas: [{ id: 30, escola_id: 7, nome: "6º A" }],
+      alunos: [
+        { id: 40, escola_id: 7, turma_id: 30, nome: "João", criado_em: new Date("2026-02-03T10:00:00Z") },
+        { id: 41, escola_id: 8, turma_id: null, nome: "Fora", criado_em: null },
+      ],
+      responsaveis: [{ id: 50, cpf: "111", nome: "Mãe" }, { id: 51, cpf: "222", nome: "Sem vínculo aqui" }],
+      responsaveis_alunos: [{ id: 60, escola_id: 7, aluno_id: 40, responsavel_id: 50 }],
+      frequencia_justificativas: [{ id: 70, escola_id: 7, aluno_id: 40 }],
+      anexos: [{ id: 80, escola_id: 7, categoria: "atestado", referencia_id: 70, chave: chaveOrigem }],
+      configuracoes_escola: [{ escola_id: 7, chave: "seguranca.2fa_direcao", valor: { ativo: true } }],
+      sessoes: [{ id: 90, escola_id: 7, token_hash: "segredo" }],
+    });
+  }
+
+  test("zip: lê o que o gerador escreve e confere o CRC", () => {
+    const zip = criarZip([{ nome: "a.txt", conteudo: "olá" }, { nome: "pasta/b.bin", conteudo: Buffer.from([0, 1, 2]) }]);
+    assert.deepEqual(
+      lerZip(zip).map((a) => [a.nome, a.conteudo.toString("hex")]),
+      [["a.txt", Buffer.from("olá").toString("hex")], ["pasta/b.bin", "000102"]]
+    );
+    const adulterado = Buffer.from(zip);
+    adulterado[40] ^= 0xff;
+    assert.throws(() => lerZip(adulterado), (err) => err.status === 400);
+  });
+
+  test("exporta só a escola, as filhas e os arquivos referenciados", async () => {
+    await driver.salvar({ chave: chaveOrigem, buffer: arquivo });
+    const { zip, manifesto } = await exportarEscola(origem(), 7);
+    const { tabelas, objetos } = lerPacote(zip);
+
+    assert.equal(manifesto.migracao, "0022");
+    assert.equal(manifesto.escola.apelido, "CEF07");
+    assert.deepEqual(tabelas.get("alunos").map((a) => a.id), [40]);
+    assert.deepEqual(tabelas.get("alunos")[0].criado_em, { $data: "2026-02-03T10:00:00.000Z" });
+    assert.deepEqual(tabelas.get("responsaveis").map((r) => r.cpf), ["111"]);
+    assert.ok(!tabelas.has("sessoes"), "sessões não entram no backup");
+    assert.ok(!tabelas.has("escolas"));
+    assert.deepEqual(manifesto.objetos.map((o) => [o.origem, o.chave]), [["armazenamento", chaveOrigem]]);
+    assert.deepEqual(objetos.get(`objetos/armazenamento/${chaveOrigem}`), arquivo);
+  });
+
+  test("restaura em outro banco com ids novos e referências reescritas", async () => {
+    const { zip } = await exportarEscola(origem(), 7);
+    const destino = bancoEmMemoria({
+      escolas: [{ id: 1, nome: "Já existe", apelido: "CEF07" }],
+      responsaveis: [{ id: 5, cpf: "111", nome: "Mãe (já cadastrada)" }],
+    });
+
+    await assert.rejects(restaurarEscola(destino, zip), (err) => err.code === "APELIDO_EM_USO");
+    assert.ok(destino.conexao.transacao.includes("rollback"));
+
+    const plano = await restaurarEscola(destino, zip, { apelido: "CEF07_STG", simular: true });
+    assert.equal(plano.simulacao, true);
+    assert.equal(destino.linhas("alunos").length, 0, "simulação não grava");
+
+    const resumo = await restaurarEscola(destino, zip, { nome: "CEF 07 (staging)", apelido: "CEF07_STG" });
+    const escola = destino.linhas("escolas").find((e) => e.apelido === "CEF07_STG");
+    assert.equal(resumo.escola_id, escola.id);
+    assert.equal(escola.nome, "CEF 07 (staging)");
+
+    const [usuario] = destino.linhas("usuarios");
+    const [professor] = destino.linhas("professores");
+    const [turma] = destino.linhas("turmas");
+    const [aluno] = destino.linhas("alunos");
+    assert.equal(usuario.escola_id, escola.id);
+    assert.equal(usuario.professor_id, professor.id, "ciclo usuário ↔ professor resolvido no UPDATE final");
+    assert.equal(professor.usuario_id, usuario.id);
+    assert.equal(aluno.turma_id, turma.id);
+    assert.ok(aluno.criado_em instanceof Date);
+
+    assert.equal(destino.linhas("responsaveis").length, 1, "responsável reaproveitado pelo CPF");
+    assert.equal(resumo.reaproveitados, 1);
+    assert.deepEqual(
+      destino.linhas("responsaveis_alunos").map((v) => [v.aluno_id, v.responsavel_id]),
+      [[aluno.id, 5]]
+    );
+
+    const [justificativa] = destino.linhas("frequencia_justificativas");
+    const [anexo] = destino.linhas("anexos");
+    assert.equal(anexo.referencia_id, justificativa.id, "referência polimórfica pela categoria");
+    assert.equal(anexo.chave, chaveOrigem.replace("atestado/7/", `atestado/${escola.id}/`));
+    assert.deepEqual((await driver.ler(anexo.chave)).buffer, arquivo);
+
+    assert.equal(destino.linhas("configuracoes_escola")[0].valor, JSON.stringify({ ativo: true }));
+    assert.deepEqual(destino.conexao.transacao.slice(-2), ["commit", "release"]);
+    assert.equal(resumo.referencias_orfas, 0);
+  });
+
+  test("recusa pacote adulterado, esquema antigo e escola de destino com dados", async () => {
+    const { zip, manifesto } = await exportarEscola(origem(), 7);
+
+    const arquivos = lerZip(zip).map((a) =>
+      a.nome === "tabelas/alunos.ndjson" ? { ...a, conteudo: Buffer.from(a.conteudo.toString().replace("João", "Joana")) } : a
+    );
+    assert.throws(() => lerPacote(criarZip(arquivos)), (err) => err.code === "PACOTE_CORROMPIDO");
+
+    const antigo = bancoEmMemoria({}, { versao: "0019" });
+    await assert.rejects(restaurarEscola(antigo, zip), (err) => err.code === "ESQUEMA_DESATUALIZADO");
+
+    const ocupado = bancoEmMemoria({ escolas: [{ id: 3, nome: "X", apelido: "X" }], alunos: [{ id: 1, escola_id: 3 }] });
+    await assert.rejects(restaurarEscola(ocupado, zip, { escolaDestinoId: 3 }), (err) => err.code === "ESCOLA_DESTINO_COM_DADOS");
+    assert.equal(manifesto.tabelas.find((t) => t.nome === "alunos").registros, 1);
+  });
+});
@@ -0,0 +1,155 @@
+// test/calendarioLetivo.test.js
+// -----------------------------------------------------------------------------
+// Calendário letivo (services/calendarioLetivo.js): dia letivo com feriado,
+// recesso e sábado letivo, contador dos dias letivos por bimestre, validação
+// do cadastro, a divisão padrão para escola sem calendário e o ano letivo
+// usado pelo ranking dos boletins.
+// -----------------------------------------------------------------------------
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  anoLetivoDaData,
+  classificarData,
+  contarDiasLetivos,
+  diaLetivo,
+  periodoDaData,
+  resumoDiasLetivos,
+  salvarCalendario,
+  validarCalendario,
+} from "../services/calendarioLetivo.js";
+import { boletinsPorCodigos } from "../services/boletinsImpressao.js";
+import { criarDb } from "./helpers/fakeDb.js";
+
+// Março de 2026: começa num domingo. Semana 02–06 letiva, feriado na
+// quarta 04, sábado 07 letivo, recesso de 09 a 11.
+const CALENDARIO = {
+  id: 1,
+  ano: 2026,
+  data_inicio: "2026-03-02",
+  data_fim: "2026-03-13",
+  dias_letivos_minimo: 200,
+  periodos: [
+    { tipo: "bimestre", numero: 1, data_inicio: "2026-03-02", data_fim: "2026-03-07" },
+    { tipo: "bimestre", numero: 2, data_inicio: "2026-03-08", data_fim: "2026-03-13" },
+  ],
+  eventos: [
+    { tipo: "feriado", descricao: "Feriado", data_inicio: "2026-03-04", data_fim: "2026-03-04" },
+    { tipo: "sabado_letivo", descricao: "Reposição", data_inicio: "2026-03-07", data_fim: "2026-03-07" },
+    { tipo: "recesso", descricao: "Recesso", data_inicio: "2026-03-09", data_fim: "2026-03-11" },
+  ],
+};
+
+const bimestres = (ano) => [
+  { tipo: "bimestre", numero: 1, data_inicio: `${ano}-02-09`, data_fim: `${ano}-04-24` },
+  { tipo: "bimestre", numero: 2, data_inicio: `${ano}-04-27`, data_fim: `${ano}-07-10` },
+  { tipo: "bimestre", numero: 3, data_inicio: `${ano}-07-27`, data_fim: `${ano}-10-02` },
+  { tipo: "bimestre", numero: 4, data_inicio: `${ano}-10-05`, data_fim: `${ano}-12-18` },
+];
+
+describe("calendário letivo", () => {
+  test("feriado, recesso, domingo e sábado letivo", () => {
+    assert.deepEqual(classificarData(CALENDARIO, "2026-03-03"), { letivo: true, motivo: null, evento: null });
+    assert.equal(classificarData(CALENDARIO, "2026-03-04").motivo, "feriado");
+    assert.equal(classificarData(CALENDARIO, "2026-03-07").letivo, true);
+    assert.equal(classificarData(CALENDARIO, "2026-03-07").motivo, "sabado_letivo");
+    assert.equal(classificarData(CALENDARIO, "2026-03-08").motivo, "domingo");
+    assert.equal(classificarData(CALENDARIO, "2026-03-10").motivo, "recesso");
+    assert.equal(classificarData(CALENDARIO, "2026-03-01").motivo, "fora_do_ano");
+  });
+
+  test("contador de dias letivos por bimestre e até hoje", () => {
+    const { total, periodos } = contarDiasLetivos(CALENDARIO);
+    // 02, 03, 05, 06, 07 (sábado letivo) | 12, 13
+    assert.equal(total, 7);
+    assert.deepEqual(periodos.map((p) => p.dias), [5, 2]);
+
+    const resumo = resumoDiasLetivos(CALENDARIO, new Date("2026-03-06T15:00:00Z"));
+    assert.equal(resumo.realizados, 4);
+    assert.equal(resumo.restantes, 3);
+    assert.equal(resumo.faltam_para_minimo, 193);
+    assert.equal(resumo.atende_minimo, false);
+  });
+
+  test("validação do cadastro", () => {
+    const base = { data_inicio: "2026-02-09", data_fim: "2026-12-18", periodos: bimestres(2026) };
+    const ok = validarCalendario(2026, { ...base, eventos: [{ tipo: "sabado_letivo", data_inicio: "2026-03-14" }] });
+    assert.equal(ok.periodos.length, 4);
+    assert.equal(ok.eventos[0].data_fim, "2026-03-14");
+    assert.equal(ok.dias_letivos_minimo, 200);
+
+    const invalido = (ano, dados, trecho) =>
+      assert.throws(() => validarCalendario(ano, dados), (err) => err.code === "CALENDARIO_INVALIDO" && trecho.test(err.message));
+
+    invalido(2026, { ...base, periodos: bimestres(2026).slice(0, 3) }, /4 bimestres/);
+    invalido(2026, { ...base, periodos: [...bimestres(2026).slice(0, 3), { tipo: "bimestre", numero: 4, data_inicio: "2026-09-30", data_fim: "2026-12-18" }] }, /começa antes/);
+    invalido(2026, { ...base, eventos: [{ tipo: "sabado_letivo", data_inicio: "2026-03-13" }] }, /não é sábado/);
+    invalido(2026, { ...base, eventos: [{ tipo: "feriado", data_inicio: "2027-01-01" }] }, /fora do ano letivo/);
+    invalido(2027, base, /precisa começar em 2027/);
+    invalido(2026, { ...base, periodos: [...bimestres(2026), { tipo: "semestre", numero: 1, data_inicio: "2026-02-09", data_fim: "2026-07-10" }] }, /2 semestres/);
+  });
+
+  test("sem calendário cadastrado: regra antiga e bimestres padrão", async () => {
+    const db = criarDb();
+    assert.equal(await anoLetivoDaData(db, 1, "2027-01-20"), 2026);
+    assert.deepEqual(await periodoDaData(db, 1, "2026-05-15"), {
+      ano: 2026, tipo: "bimestre", numero: 2, inicio: "2026-05-01", fim: "2026-07-31",
+    });
+    assert.deepEqual(await diaLetivo(db, 1, "2026-03-07"), {
+      ano: 2026, configurado: false, letivo: false, motivo: "sabado", evento: null,
+    });
+  });
+
+  test("com calendário: bimestre cadastrado e dia letivo do calendário", async () => {
+    const db = criarDb((sql) => {
+      if (/SELECT ano FROM calendario_anos/.test(sql)) return [[{ ano: 2026 }], []];
+      if (/FROM calendario_periodos p/.test(sql)) return [bimestres(2026).map((p) => ({ numero: p.numero, inicio: p.data_inicio, fim: p.data_fim })), []];
+      if (/FROM calendario_anos WHERE/.test(sql)) return [[{ ...CALENDARIO }], []];
+      if (/FROM calendario_periodos WHERE/.test(sql)) return [CALENDARIO.periodos, []];
+      if (/FROM calendario_eventos/.test(sql)) return [CALENDARIO.eventos, []];
+      return undefined;
+    });
+    assert.equal((await periodoDaData(db, 1, "2026-07-20")).numero, null, "férias entre o 2º e o 3º bimestre");
+    assert.equal((await periodoDaData(db, 1, "2026-07-27")).numero, 3);
+    const sabado = await diaLetivo(db, 1, "2026-03-07");
+    assert.equal(sabado.letivo, true);
+    assert.equal(sabado.evento.descricao, "Reposição");
+  });
+
+  test("salvar recusa datas que invadem outro ano letivo", async () => {
+    const db = criarDb((sql) => (/ano <> \?/.test(sql) ? [[{ ano: 2025 }], []] : undefined));
+    await assert.rejects(
+      salvarCalendario(db, 1, 2026, { data_inicio: "2026-02-09", data_fim: "2026-12-18", periodos: bimestres(2026) }),
+      (err) => err.status === 409 && err.code === "CALENDARIO_SOBREPOSTO"
+    );
+    assert.ok(!db.queries.some((q) => /INSERT INTO calendario_anos/.test(q.sql)));
+  });
+
+  test("salvar substitui períodos e eventos do ano", async () => {
+    const db = criarDb((sql) => (/INSERT INTO calendario_anos/.test(sql) ? [{ insertId: 9 }, []] : undefined));
+    const salvo = await salvarCalendario(
+      db, 1, 2026,
+      { data_inicio: "2026-02-09", data_fim: "2026-12-18", periodos: bimestres(2026), eventos: [{ tipo: "feriado", data_inicio: "2026-04-21" }] },
+      { usuarioId: 3 }
+    );
+    assert.equal(salvo.id, 9);
+    assert.ok(db.queries.some((q) => /DELETE FROM calendario_eventos WHERE ano_id = \?/.test(q.sql) && q.params[0] === 9));
+    const periodos = db.queries.find((q) => /INSERT INTO calendario_periodos/.test(q.sql));
+    assert.equal(periodos.params[0].length, 4);
+    assert.ok(salvo.dias_letivos.previstos > 150);
+  });
+
+  test("ranking dos boletins usa o ano letivo do calendário da escola", async () => {
+    const db = criarDb((sql) => {
+      if (/FROM calendario_anos/.test(sql)) return [[{ ano: 2031 }], []];
+      if (/FROM alunos a\s+INNER JOIN turmas/.test(sql)) {
+        return [[{ id: 5, codigo: "A5", nome: "Ana", turma_id: 2, escola_id: 1 }], []];
+      }
+      return undefined;
+    });
+    await boletinsPorCodigos(db, { escolaId: 1, codigos: ["A5"] });
+    const ranking = db.queries.filter((q) => /n\.ano = \?/.test(q.sql));
+    assert.ok(ranking.length > 0);
+    for (const q of ranking) assert.ok(q.params.includes(2031));
+  });
+});
@@ -0,0 +1,255 @@
+// test/chamada.test.js
+// -----------------------------------------------------------------------------
+// Chamada por aula (services/chamada.js): "todos presentes" com exceções,
+// aula de outro professor, aluno fora da turma, dia não letivo, bloqueio
+// depois do prazo (e correção auditada pela gestão), sincronização offline
+// com conflito e o cálculo da frequência que vai para o boletim.
+// -----------------------------------------------------------------------------
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  consolidarFaltas,
+  diaSemana,
+  limiteEdicao,
+  registrarChamada,
+  resumoFrequencia,
+  sincronizarChamadas,
+} from "../services/chamada.js";
+import { criarDb } from "./helpers/fakeDb.js";
+
+// Terça 10/03/2026, 2º horário da turma 4 (professor 7, disciplina 3) e
+// alunos 1, 2 e 3 matriculados. Aula termina 08:40 (-03:00) → prazo de 48h
+// vence em 12/03 às 11:40Z.
+const DATA = "2026-03-10";
+const NO_DIA = new Date("2026-03-10T12:00:00Z");
+
+function bancoDaTurma({ config = [], registrosMaisNovos = [] } = {}) {
+  return criarDb((sql) => {
+    if (/FROM configuracoes_escola/.test(sql)) return [config, []];
+    if (/FROM chamada_aulas\s+WHERE escola_id/.test(sql)) return [[], []];
+    if (/FROM grade_resultado gr/.test(sql)) {
+      return [[{
+        turma_id: 4, turma_nome: "6º A", ordem: 2, disciplina_id: 3, disciplina_nome: "Matemática",
+        professor_id: 7, professor_nome: "Ana", grade_resultado_id: 90, turno: "matutino",
+        hora_inicio: "07:50", hora_fim: "08:40", aula_id: null, registros: 0,
+      }], []];
+    }
+    if (/FROM matriculas m/.test(sql)) {
+      return [[{ aluno_id: 1, nome: "Bia" }, { aluno_id: 2, nome: "Caio" }, { aluno_id: 3, nome: "Davi" }], []];
+    }
+    if (/INSERT INTO chamada_aulas/.test(sql)) return [{ insertId: 50, affectedRows: 1 }, []];
+    if (/AND atualizado_em > \?/.test(sql)) return [registrosMaisNovos, []];
+    if (/GROUP BY status/.test(sql)) return [[{ status: "presente", total: 2 }, { status: "ausente", total: 1 }], []];
+    return undefined;
+  });
+}
+
+const insertRegistros = (db) => db.queries.find((q) => /INSERT INTO chamada_registros/.test(q.sql));
+
+describe("chamada por aula", () => {
+  test("prazo conta a partir do fim da aula no fuso da escola", () => {
+    assert.equal(diaSemana(DATA), 2);
+    assert.equal(diaSemana("2026-03-08"), 0);
+    assert.equal(limiteEdicao(DATA, "08:40", 48).toISOString(), "2026-03-12T11:40:00.000Z");
+    assert.equal(limiteEdicao(DATA, null, 0).toISOString(), "2026-03-11T02:59:00.000Z");
+  });
+
+  test("todos presentes com exceções grava a turma inteira", async () => {
+    const db = bancoDaTurma();
+    const r = await registrarChamada(db, {
+      escolaId: 1, turmaId: 4, data: DATA, ordem: 2,
+      todosPresentes: true,
+      registros: [{ aluno_id: 2, status: "ausente", observacao: "sem justificativa" }],
+      usuario: { id: 30, professorIds: [7] },
+      agora: NO_DIA,
+    });
+
+    assert.equal(r.aula_id, 50);
+    assert.equal(r.gravados, 3);
+    assert.equal(r.fora_do_prazo, false);
+    assert.deepEqual(r.resumo, { presente: 2, ausente: 1, atrasado: 0, sem_registro: 0 });
+
+    const aula = db.queries.find((q) => /INSERT INTO chamada_aulas/.test(q.sql));
+    assert.deepEqual(aula.params.slice(0, 10), [1, 4, DATA, 2, 2, "matutino", 3, 7, 90, "07:50"]);
+
+    const [linhas] = insertRegistros(db).params;
+    assert.deepEqual(
+      linhas.map(([aulaId, escolaId, alunoId, status]) => [aulaId, escolaId, alunoId, status]),
+      [[50, 1, 1, "presente"], [50, 1, 2, "ausente"], [50, 1, 3, "presente"]]
+    );
+    assert.ok(!db.queries.some((q) => /auditoria_alteracoes/.test(q.sql)), "dentro do prazo não audita");
+  });
+
+  test("recusa aula de outro professor, aluno fora da turma e data futura", async () => {
+    const base = { escolaId: 1, turmaId: 4, data: DATA, ordem: 2, agora: NO_DIA };
+
+    await assert.rejects(
+      registrarChamada(bancoDaTurma(), { ...base, todosPresentes: true, usuario: { id: 31, professorIds: [8] } }),
+      (err) => err.status === 403 && err.code === "CHAMADA_OUTRO_PROFESSOR"
+    );
+    await assert.rejects(
+      registrarChamada(bancoDaTurma(), { ...base, registros: [{ aluno_id: 99, status: "presente" }], usuario: { id: 30, professorIds: [7] } }),
+      (err) => err.status === 400 && err.code === "ALUNO_FORA_DA_TURMA"
+    );
+    await assert.rejects(
+      registrarChamada(bancoDaTurma(), { ...base, data: "2026-03-11", todosPresentes: true, usuario: { id: 1 } }),
+      (err) => err.code === "CHAMADA_FUTURA"
+    );
+  });
+
+  test("dia não letivo é recusado; matrícula pelo ano letivo do calendário", async () => {
+    const usuario = { id: 30, professorIds: [7] };
+    const base = { escolaId: 1, turmaId: 4, ordem: 2, todosPresentes: true, usuario, agora: new Date("2026-03-20T12:00:00Z") };
+
+    await assert.rejects(
+      registrarChamada(bancoDaTurma(), { ...base, data: "2026-03-08" }),
+      (err) => err.status === 400 && err.code === "DIA_NAO_LETIVO" && /domingo/.test(err.message)
+    );
+
+    // Escola com calendário: ano letivo 2025 vai até 06/03/2026 e o feriado do dia 10 tira a aula
+    const calendario = (sql, params) => {
+      if (/FROM calendario_anos\s+WHERE escola_id = \? AND data_inicio <= \?/.test(sql)) {
+        return [[{ ano: params[1] < "2026-03-09" ? 2025 : 2026 }], []];
+      }
+      if (/FROM calendario_anos WHERE escola_id = \? AND ano = \?/.test(sql)) {
+        const ano = params[1];
+        const [inicio, fim] = ano === 2025 ? ["2025-03-10", "2026-03-06"] : ["2026-03-09", "2026-12-18"];
+        return [[{ id: ano, ano, data_inicio: inicio, data_fim: fim, dias_letivos_minimo: 200 }], []];
+      }
+      if (/FROM calendario_eventos/.test(sql)) {
+        return [params[0] === 2026 ? [{ id: 1, tipo: "feriado", descricao: "Aniversário da cidade", data_inicio: DATA, data_fim: null }] : [], []];
+      }
+      return undefined;
+    };
+    const feriado = criarDb(calendario, bancoDaTurma().query);
+    await assert.rejects(
+      registrarChamada(feriado, { ...base, data: DATA }),
+      (err) => err.code === "DIA_NAO_LETIVO" && /Aniversário da cidade/.test(err.message)
+    );
+
+    const virada = criarDb(calendario, bancoDaTurma().query);
+    await registrarChamada(virada, { ...base, data: "2026-03-03", agora: new Date("2026-03-03T12:00:00Z") });
+    const matriculas = virada.queries.find((q) => /FROM matriculas m/.test(q.sql));
+    assert.equal(matriculas.params[2], 2025, "março antes do início do ano 2026 ainda é 2025");
+  });
+
+  test("depois do prazo bloqueia o professor; gestão corrige com auditoria", async () => {
+    const depois = new Date("2026-03-12T12:00:00Z");
+    const base = { escolaId: 1, turmaId: 4, data: DATA, ordem: 2, registros: [{ aluno_id: 3, status: "atrasado" }], agora: depois };
+
+    await assert.rejects(
+      registrarChamada(bancoDaTurma(), { ...base, usuario: { id: 30, professorIds: [7] } }),
+      (err) => err.status === 409 && err.code === "CHAMADA_BLOQUEADA"
+    );
+
+    // Escola com prazo de 72h: ainda dentro
+    const comPrazo = bancoDaTurma({ config: [{ chave: "frequencia.chamada_prazo_horas", valor: "72" }] });
+    const r1 = await registrarChamada(comPrazo, { ...base, usuario: { id: 30, professorIds: [7] } });
+    assert.equal(r1.fora_do_prazo, false);
+
+    const db = bancoDaTurma();
+    const r2 = await registrarChamada(db, { ...base, usuario: { id: 5, professorIds: null, podeEditarBloqueada: true } });
+    assert.equal(r2.fora_do_prazo, true);
+    assert.ok(db.queries.some((q) => /SELECT id, aula_id, aluno_id, status, observacao FROM chamada_registros/.test(q.sql)));
+  });
+
+  test("offline: prazo pela chegada ao servidor; horário do aparelho só desempata", async () => {
+    // Chamada feita às 11:00Z do dia 10 e sincronizada no dia 11 (dentro do prazo)
+    const agora = new Date("2026-03-11T10:00:00Z");
+    const db = bancoDaTurma({ registrosMaisNovos: [{ aluno_id: 1 }] });
+    const [ok, adiantado] = await sincronizarChamadas(db, {
+      escolaId: 1,
+      usuario: { id: 30, professorIds: [7] },
+      agora,
+      aulas: [
+        { id_local: "a1", turma_id: 4, data: DATA, ordem: 2, todos_presentes: true, registrado_em: "2026-03-10T11:00:00Z" },
+        { id_local: "a2", turma_id: 4, data: DATA, ordem: 2, todos_presentes: true, registrado_em: "2026-03-12T20:00:00Z" },
+      ],
+    });
+
+    assert.equal(ok.ok, true);
+    assert.deepEqual(ok.conflitos, [1]);
+    assert.equal(ok.gravados, 2);
+    const [linhas] = insertRegistros(db).params;
+    assert.deepEqual(linhas.map((l) => l[2]), [2, 3]);
+    assert.equal(linhas[0][6].toISOString(), "2026-03-10T11:00:00.000Z");
+    assert.equal(db.queries.find((q) => /INSERT INTO chamada_aulas/.test(q.sql)).params[11], "offline");
+
+    // Relógio do aparelho no futuro: a marcação vale como feita agora
+    assert.equal(adiantado.ok, true);
+    const segundo = db.queries.filter((q) => /INSERT INTO chamada_registros/.test(q.sql))[1];
+    assert.equal(segundo.params[0][0][6].toISOString(), agora.toISOString());
+
+    // O mesmo lote chegando no dia 13: horário antigo do aparelho não reabre a chamada
+    const [tarde] = await sincronizarChamadas(bancoDaTurma(), {
+      escolaId: 1,
+      usuario: { id: 30, professorIds: [7] },
+      agora: new Date("2026-03-13T10:00:00Z"),
+      aulas: [{ id_local: "a1", turma_id: 4, data: DATA, ordem: 2, todos_presentes: true, registrado_em: "2026-03-10T11:00:00Z" }],
+    });
+    assert.equal(tarde.ok, false);
+    assert.equal(tarde.code, "CHAMADA_BLOQUEADA");
+  });
+});
+
+describe("frequência calculada", () => {
+  function bancoDeFrequencia({ atrasoContaFalta = false, semNota = [] } = {}) {
+    return criarDb((sql, params) => {
+      if (/FROM configuracoes_escola/.test(sql)) {
+        return [atrasoContaFalta ? [{ chave: "frequencia.atraso_conta_falta", valor: "1" }] : [], []];
+      }
+      if (/FROM chamada_registros r/.test(sql)) {
+        return [[
+          { aluno_id: 1, aluno_nome: "Bia", disciplina_id: 3, disciplina_nome: "Matemática", bimestre: 1, aulas: 20, ausencias: 2, atrasos: 1, justificadas: 2 },
+          { aluno_id: 1, aluno_nome: "Bia", disciplina_id: 3, disciplina_nome: "Matemática", bimestre: 2, aulas: 10, ausencias: 0, atrasos: 0, justificadas: 0 },
+          { aluno_id: 1, aluno_nome: "Bia", disciplina_id: 5, disciplina_nome: "Português", bimestre: 1, aulas: 10, ausencias: 4, atrasos: 0, justificadas: 0 },
+          { aluno_id: 2, aluno_nome: "Caio", disciplina_id: 3, disciplina_nome: "Matemática", bimestre: 1, aulas: 20, ausencias: 0, atrasos: 2, justificadas: 0 },
+        ], []];
+      }
+      if (/^\s*UPDATE notas/.test(sql)) {
+        const [, , alunoId, disciplinaId] = params;
+        const falta = semNota.some(([a, d]) => a === alunoId && d === disciplinaId);
+        return [{ affectedRows: falta ? 0 : 1 }, []];
+      }
+      return undefined;
+    });
+  }
+
+  test("por aluno, disciplina e bimestre", async () => {
+    const db = bancoDeFrequencia();
+    const [bia, caio] = await resumoFrequencia(db, { escolaId: 1, ano: 2026, turmaId: 4 });
+
+    assert.equal(bia.aluno_nome, "Bia");
+    assert.equal(bia.aulas, 40);
+    assert.equal(bia.faltas, 6);
+    assert.equal(bia.faltas_justificadas, 2);
+    assert.equal(bia.percentual, 85);
+    assert.deepEqual(bia.bimestres.map((b) => [b.bimestre, b.aulas, b.faltas, b.percentual]), [[1, 30, 6, 80], [2, 10, 0, 100]]);
+    const mat = bia.disciplinas.find((d) => d.disciplina_id === 3);
+    assert.equal(mat.percentual, 93.3);
+    assert.deepEqual(mat.bimestres.map((b) => b.percentual), [90, 100]);
+    assert.equal(caio.percentual, 100, "atraso não conta falta por padrão");
+
+    const sql = db.queries.find((q) => /FROM chamada_registros r/.test(q.sql));
+    assert.deepEqual(sql.params.slice(-4), [1, "2026-02-01", "2027-01-31", 4]);
+  });
+
+  test("atraso como falta e filtro de bimestre", async () => {
+    const db = bancoDeFrequencia({ atrasoContaFalta: true });
+    const alunos = await resumoFrequencia(db, { escolaId: 1, ano: 2026, bimestre: 2 });
+    assert.equal(alunos.find((a) => a.aluno_id === 2).percentual, 90);
+    const sql = db.queries.find((q) => /FROM chamada_registros r/.test(q.sql));
+    assert.deepEqual(sql.params.slice(-3), [1, "2026-05-01", "2026-07-31"]);
+  });
+
+  test("consolidar leva as faltas do bimestre para notas.faltas", async () => {
+    const db = bancoDeFrequencia({ semNota: [[1, 5]] });
+    const r = await consolidarFaltas(db, { escolaId: 1, turmaId: 4, ano: 2026, bimestre: 1 });
+
+    const updates = db.queries.filter((q) => /^\s*UPDATE notas/.test(q.sql)).map((q) => q.params);
+    assert.ok(updates.some((p) => p.join() === [2, 1, 1, 3, 2026, 1].join()));
+    assert.equal(r.atualizadas, updates.length - 1);
+    assert.deepEqual(r.sem_nota, [{ aluno_id: 1, disciplina_id: 5, faltas: 4 }]);
+  });
+});
@@ -0,0 +1,174 @@
+// test/consentimentoImagem.test.js
+// -----------------------------------------------------------------------------
+// Consentimento de imagem (services/consentimentoImagem.js): versão do termo e
+// validade, melhor vínculo por aluno, revogação com expurgo de embeddings,
+// faces desfocadas no overlay e relatório de pendências.
+// -----------------------------------------------------------------------------
+import { afterEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  aoExpurgarEmbeddings,
+  aplicarConsentimentoNasFaces,
+  deveDesfocar,
+  relatorioConsentimento,
+  revogarConsentimento,
+  situacaoDoVinculo,
+  situacaoDosAlunos,
+} from "../services/consentimentoImagem.js";
+import { pixelarRegiao } from "../utils/pixelar.js";
+import { criarDb } from "./helpers/fakeDb.js";
+
+const DIA = 86_400_000;
+
+function vinculo(extra = {}) {
+  return {
+    responsavel_id: 1,
+    consentimento_imagem: 1,
+    consentimento_imagem_em: new Date(Date.now() - 10 * DIA),
+    consentimento_versao_termo: "3.0",
+    ...extra,
+  };
+}
+
+describe("consentimento de imagem", () => {
+  afterEach(() => {
+    delete process.env.CONSENTIMENTO_VALIDADE_DIAS;
+    delete process.env.CONSENTIMENTO_VERSAO_MINIMA;
+    delete process.env.CONSENTIMENTO_DESFOCAR_DESCONHECIDOS;
+  });
+
+  test("versão do termo e validade decidem se o consentimento vale", () => {
+    assert.equal(situacaoDoVinculo(null).situacao, "ausente");
+    assert.equal(situacaoDoVinculo(vinculo({ consentimento_imagem: 0 })).situacao, "ausente");
+    assert.deepEqual(situacaoDoVinculo(vinculo()), { situacao: "valido", vence_em: null });
+    assert.equal(situacaoDoVinculo(vinculo({ consentimento_versao_termo: "2.9" })).motivo, "termo_desatualizado");
+    assert.equal(situacaoDoVinculo(vinculo({ consentimento_versao_termo: "3.10" })).situacao, "valido");
+
+    process.env.CONSENTIMENTO_VALIDADE_DIAS = "7";
+    assert.equal(situacaoDoVinculo(vinculo()).motivo, "prazo_vencido");
+    process.env.CONSENTIMENTO_VALIDADE_DIAS = "30";
+    const s = situacaoDoVinculo(vinculo());
+    assert.equal(s.situacao, "valido");
+    assert.ok(s.vence_em > new Date());
+  });
+
+  test("aluno vale pelo melhor vínculo ativo", async () => {
+    const db = criarDb((sql) => {
+      if (/FROM alunos a/.test(sql)) {
+        return [[
+          { aluno_id: 5, nome: "Ana", ...vinculo({ consentimento_versao_termo: "2.0" }) },
+          { aluno_id: 5, nome: "Ana", ...vinculo({ responsavel_id: 2 }) },
+          { aluno_id: 6, nome: "Bia", responsavel_id: null },
+        ], []];
+      }
+      return undefined;
+    });
+    const mapa = await situacaoDosAlunos(db, 1, { alunoIds: [5, 6] });
+    assert.equal(mapa.get(5).situacao, "valido");
+    assert.equal(mapa.get(5).responsavel_id, 2);
+    assert.equal(mapa.get(6).situacao, "ausente");
+    assert.deepEqual(db.queries[0].params, [1, [5, 6]]);
+  });
+
+  test("revogação grava log, zera a flag e apaga embeddings de quem ficou sem consentimento", async () => {
+    const expurgadas = [];
+    aoExpurgarEmbeddings((escolaId) => expurgadas.push(escolaId));
+
+    const db = criarDb((sql) => {
+      if (/FROM responsaveis WHERE id/.test(sql)) return [[{ nome: "Maria", cpf: "12345678901" }], []];
+      if (/FROM responsaveis_alunos ra/.test(sql)) {
+        return [[
+          { aluno_id: 5, escola_id: 1, consentimento_imagem: 1, aluno_nome: "Ana" },
+          { aluno_id: 6, escola_id: 1, consentimento_imagem: 1, aluno_nome: "Bia" },
+          { aluno_id: 7, escola_id: 1, consentimento_imagem: 0, aluno_nome: "Caio" },
+        ], []];
+      }
+      if (/INSERT INTO consentimentos_log/.test(sql)) return [{ insertId: 99 }, []];
+      // aluno 6 continua com o consentimento do outro responsável
+      if (/FROM alunos a/.test(sql)) return [[{ aluno_id: 5, responsavel_id: null }, { aluno_id: 6, ...vinculo({ responsavel_id: 2 }) }], []];
+      return undefined;
+    });
+
+    const r = await revogarConsentimento(db, { responsavelId: 3, alunoIds: [5, 6, 7], escolaId: 1, canal: "FISICO" });
+
+    assert.deepEqual(r, { revogados: [5, 6], mantidos: [6], embeddings_removidos: [5] });
+    const logs = db.queries.filter((q) => /INSERT INTO consentimentos_log/.test(q.sql));
+    assert.equal(logs.length, 2);
+    assert.match(logs[0].sql, /'REVOGAR'/);
+    assert.ok(db.queries.some((q) => /SET consentimento_imagem\s+= 0/.test(q.sql)));
+    const del = db.queries.find((q) => /^DELETE FROM alunos_embeddings/.test(q.sql));
+    assert.deepEqual(del.params, [1, [5]]);
+    assert.deepEqual(expurgadas, [1]);
+  });
+
+  test("revogação sem vínculo ativo é 404", async () => {
+    const db = criarDb((sql) => (/FROM responsaveis WHERE id/.test(sql) ? [[{ nome: "Maria", cpf: "" }], []] : undefined));
+    await assert.rejects(
+      revogarConsentimento(db, { responsavelId: 3, alunoIds: [5], canal: "DIGITAL_APP" }),
+      (err) => err.status === 404
+    );
+    assert.ok(!db.queries.some((q) => /INSERT|UPDATE|DELETE/.test(q.sql)));
+  });
+
+  test("faces sem consentimento são marcadas para desfoque e perdem o nome", () => {
+    const faces = aplicarConsentimentoNasFaces(
+      [
+        { recognized: true, aluno_id: 5, aluno_nome: "Ana", score: 0.9 },
+        { recognized: true, aluno_id: 6, aluno_nome: "Bia", score: 0.8 },
+        { recognized: false, aluno_nome: "" },
+      ],
+      new Set([5])
+    );
+    assert.equal(faces[0].desfocar, false);
+    assert.equal(faces[0].aluno_nome, "Ana");
+    assert.deepEqual(
+      { desfocar: faces[1].desfocar, recognized: faces[1].recognized, aluno_nome: faces[1].aluno_nome, score: faces[1].score },
+      { desfocar: true, recognized: false, aluno_nome: "", score: 0 }
+    );
+    assert.equal(faces[2].desfocar, true);
+
+    process.env.CONSENTIMENTO_DESFOCAR_DESCONHECIDOS = "0";
+    assert.equal(aplicarConsentimentoNasFaces([{ recognized: false }], new Set())[0].desfocar, false);
+    // faces.json antigo, sem a flag
+    assert.equal(deveDesfocar({ recognized: false }), false);
+    assert.equal(deveDesfocar({ recognized: true, desfocar: true }), true);
+  });
+
+  test("pixelização altera só a região do rosto", () => {
+    const width = 32;
+    const height = 16;
+    const data = Buffer.alloc(width * height * 4);
+    for (let i = 0; i < data.length; i++) data[i] = (i * 37) % 256;
+    const original = Buffer.from(data);
+
+    pixelarRegiao({ data, width, height }, { x: 8, y: 4, width: 16, height: 8 }, 8);
+
+    const px = (buf, x, y) => [...buf.subarray((y * width + x) * 4, (y * width + x) * 4 + 4)];
+    assert.deepEqual(px(data, 0, 0), px(original, 0, 0));
+    assert.deepEqual(px(data, 31, 15), px(original, 31, 15));
+    // bloco 8x8 vira uma cor só
+    assert.deepEqual(px(data, 8, 4), px(data, 15, 11));
+    assert.notDeepEqual(px(data, 8, 4), px(original, 8, 4));
+  });
+
+  test("relatório lista só pendências de alunos ativos, com o resumo", async () => {
+    const db = criarDb((sql) => {
+      if (/FROM alunos a/.test(sql)) {
+        return [[
+          { aluno_id: 1, nome: "Ana", turma: "6A", ...vinculo() },
+          { aluno_id: 2, nome: "Bia", turma: "6A", ...vinculo({ consentimento_versao_termo: "2.0" }) },
+          { aluno_id: 3, nome: "Caio", turma: "5B", responsavel_id: null },
+        ], []];
+      }
+      return undefined;
+    });
+    const r = await relatorioConsentimento(db, 1);
+    assert.deepEqual(r.resumo, { valido: 1, expirado: 1, ausente: 1 });
+    assert.deepEqual(r.alunos.map((a) => [a.aluno_id, a.situacao]), [[3, "ausente"], [2, "expirado"]]);
+    assert.match(db.queries[0].sql, /a\.status = 'ativo'/);
+
+    const soExpirados = await relatorioConsentimento(db, 1, { situacao: "expirado" });
+    assert.deepEqual(soExpirados.alunos.map((a) => a.aluno_id), [2]);
+  });
+});
@@ -0,0 +1,194 @@
+// test/doisFatores.test.js
+// -----------------------------------------------------------------------------
+// Segundo fator (services/doisFatores.js): vetores do RFC 6238, janela e
+// reuso do código, segredo cifrado no banco, códigos de recuperação de uso
+// único, dispositivo confiado pelo cookie, política da escola por perfil e o
+// desafio de login (que não vale como token de API).
+// -----------------------------------------------------------------------------
+import { before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+import {
+  COOKIE_DISPOSITIVO,
+  avaliarLogin,
+  codigoTotp,
+  concluirDesafio,
+  confirmarCadastro,
+  exigidoPelaEscola,
+  iniciarCadastro,
+  lerDesafio,
+  usuarioDoDesafio,
+  verificarSegundoFator,
+  verificarTotp,
+} from "../services/doisFatores.js";
+import { criarDb } from "./helpers/fakeDb.js";
+
+// RFC 6238, apêndice B: segredo ASCII "12345678901234567890" (SHA-1)
+const SEGREDO_RFC = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+const sha256 = (v) => crypto.createHash("sha256").update(v).digest("hex");
+
+// Banco falso com estado mínimo das três tabelas do 2FA. Usuário 10 e 11 são a
+// mesma pessoa (mesmo CPF); responder(sql, params) cobre o resto.
+function bancoDoisFatores(responder = () => undefined) {
+  const estado = { cadastros: new Map(), recuperacao: [], dispositivos: [] };
+  const db = criarDb(responder, async (sql, params) => {
+    if (/FROM usuarios b/.test(sql)) {
+      const id = Number(params[0]);
+      return [[10, 11].includes(id) ? [{ id: 10 }, { id: 11 }] : [{ id }], []];
+    }
+    if (/^INSERT INTO usuarios_dois_fatores/.test(sql)) {
+      estado.cadastros.set(params[0], { usuario_id: params[0], segredo: params[1], ativo: 0, ultimo_passo: null });
+      return [{ affectedRows: 1 }, []];
+    }
+    if (/FROM usuarios_dois_fatores/.test(sql)) {
+      const [ids, ativo] = params;
+      const row = [...estado.cadastros.values()].find((c) => ids.includes(c.usuario_id) && c.ativo === ativo);
+      return [row ? [{ ...row }] : [], []];
+    }
+    if (/SET ativo = 1/.test(sql)) {
+      Object.assign(estado.cadastros.get(params[1]), { ativo: 1, ultimo_passo: params[0] });
+      return [{ affectedRows: 1 }, []];
+    }
+    if (/SET ultimo_passo = \?/.test(sql)) {
+      const c = estado.cadastros.get(params[1]);
+      if (c.ultimo_passo != null && c.ultimo_passo >= params[2]) return [{ affectedRows: 0 }, []];
+      c.ultimo_passo = params[0];
+      return [{ affectedRows: 1 }, []];
+    }
+    if (/^DELETE FROM usuarios_dois_fatores/.test(sql)) {
+      for (const [id, c] of estado.cadastros) if (params[0].includes(id) && c.ativo === 0) estado.cadastros.delete(id);
+      return [{ affectedRows: 1 }, []];
+    }
+    if (/^INSERT INTO dois_fatores_recuperacao/.test(sql)) {
+      for (const [usuario_id, codigo_hash] of params[0]) estado.recuperacao.push({ usuario_id, codigo_hash, usado_em: null });
+      return [{ affectedRows: params[0].length }, []];
+    }
+    if (/^UPDATE dois_fatores_recuperacao/.test(sql)) {
+      const c = estado.recuperacao.find((x) => x.usuario_id === params[0] && x.codigo_hash === params[1] && !x.usado_em);
+      if (c) c.usado_em = new Date();
+      return [{ affectedRows: c ? 1 : 0 }, []];
+    }
+    if (/COUNT\(\*\) AS restantes/.test(sql)) {
+      return [[{ restantes: estado.recuperacao.filter((x) => x.usuario_id === params[0] && !x.usado_em).length }], []];
+    }
+    if (/^INSERT INTO dois_fatores_dispositivos/.test(sql)) {
+      estado.dispositivos.push({ id: estado.dispositivos.length + 1, usuario_id: params[0], token_hash: params[1] });
+      return [{ insertId: estado.dispositivos.length }, []];
+    }
+    if (/FROM dois_fatores_dispositivos WHERE token_hash/.test(sql)) {
+      const d = estado.dispositivos.find((x) => x.token_hash === params[0] && params[1].includes(x.usuario_id));
+      return [d ? [{ id: d.id }] : [], []];
+    }
+  });
+  return { ...db, estado };
+}
+
+function respostaFalsa() {
+  return {
+    cookies: {},
+    cookie(nome, valor, opcoes) {
+      this.cookies[nome] = { valor, opcoes };
+    },
+  };
+}
+
+const agoraDoPasso = (passo) => passo * 30 * 1000;
+
+describe("dois fatores", () => {
+  before(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "segredo-de-teste";
+  });
+
+  test("TOTP: vetores do RFC 6238, janela de ±1 passo e reuso", () => {
+    assert.equal(codigoTotp(SEGREDO_RFC, 1), "287082"); // T = 59 s
+    assert.equal(codigoTotp(SEGREDO_RFC, Math.floor(1111111109 / 30)), "081804");
+
+    const passo = 1000;
+    const codigo = codigoTotp(SEGREDO_RFC, passo);
+    assert.equal(verificarTotp(SEGREDO_RFC, codigo, { agora: agoraDoPasso(passo) }), passo);
+    assert.equal(verificarTotp(SEGREDO_RFC, codigo, { agora: agoraDoPasso(passo + 1) }), passo);
+    assert.equal(verificarTotp(SEGREDO_RFC, codigo, { agora: agoraDoPasso(passo + 2) }), null);
+    assert.equal(verificarTotp(SEGREDO_RFC, codigo, { agora: agoraDoPasso(passo), ultimoPasso: passo }), null);
+    assert.equal(verificarTotp(SEGREDO_RFC, "12345", { agora: agoraDoPasso(passo) }), null);
+  });
+
+  test("cadastro: segredo cifrado, ativação pelo 1º código e recuperação de uso único", async () => {
+    const db = bancoDoisFatores();
+    const { segredo, otpauth_url } = await iniciarCadastro(db, 11, { conta: "diretora@escola.br" });
+    assert.match(otpauth_url, /^otpauth:\/\/totp\/EDUCA\.MELHOR%3Adiretora%40escola\.br\?secret=[A-Z2-7]+/);
+
+    const gravado = db.estado.cadastros.get(11).segredo;
+    assert.match(gravado, /^v1:/);
+    assert.ok(!gravado.includes(segredo), "segredo não pode ir em claro para o banco");
+
+    await assert.rejects(confirmarCadastro(db, 11, "000000"), (err) => err.code === "CODIGO_INVALIDO");
+    const codigo = codigoTotp(segredo, Math.floor(Date.now() / 30000));
+    const { codigos_recuperacao } = await confirmarCadastro(db, 11, codigo);
+    assert.equal(codigos_recuperacao.length, 10);
+    assert.deepEqual(
+      db.estado.recuperacao.map((c) => c.codigo_hash),
+      codigos_recuperacao.map((c) => sha256(c.replace("-", "")))
+    );
+
+    // mesma pessoa em outra escola (usuário 10): já tem 2FA
+    await assert.rejects(iniciarCadastro(db, 10, { conta: "x" }), (err) => err.status === 409);
+
+    // o código da ativação não serve de novo
+    await assert.rejects(verificarSegundoFator(db, 10, { codigo }), (err) => err.status === 401);
+
+    const r = await verificarSegundoFator(db, 10, { codigoRecuperacao: codigos_recuperacao[0].toUpperCase() });
+    assert.deepEqual(r, { metodo: "recuperacao", restantes: 9 });
+    await assert.rejects(
+      verificarSegundoFator(db, 10, { codigoRecuperacao: codigos_recuperacao[0] }),
+      (err) => err.code === "CODIGO_INVALIDO"
+    );
+  });
+
+  test("política da escola por perfil", async () => {
+    const db = bancoDoisFatores((sql, params) =>
+      /FROM configuracoes_escola/.test(sql) ? [params[1] === "seguranca.2fa_secretaria" ? [{ valor: "1" }] : [], []] : undefined
+    );
+    assert.equal(await exigidoPelaEscola(db, 3, "secretario"), true);
+    assert.equal(await exigidoPelaEscola(db, 3, "Vice-Diretor"), false);
+    const antes = db.queries.length;
+    assert.equal(await exigidoPelaEscola(db, 3, "professor"), false);
+    assert.equal(db.queries.length, antes, "perfil sem política nem consulta o banco");
+  });
+
+  test("login: cadastro exigido, verificação e dispositivo confiado", async () => {
+    const db = bancoDoisFatores((sql) => (/FROM configuracoes_escola/.test(sql) ? [[{ valor: "1" }], []] : undefined));
+    const req = { headers: { "user-agent": "Firefox" }, ip: "10.0.0.1" };
+
+    // exigido e sem 2FA → etapa de cadastro
+    const etapa = await avaliarLogin(db, req, { usuarioId: 10, escolaId: 3, perfil: "diretor", conta: "Ana" });
+    assert.equal(etapa.dois_fatores, "cadastrar");
+    assert.equal(usuarioDoDesafio(etapa.desafio), 10);
+    assert.throws(() => jwt.verify(etapa.desafio, process.env.JWT_SECRET), "desafio não pode valer como token de API");
+    assert.throws(() => lerDesafio(etapa.desafio, "plataforma"), (err) => err.code === "DESAFIO_INVALIDO");
+
+    const desafio = lerDesafio(etapa.desafio, "escola");
+    const res = respostaFalsa();
+    const resultado = await concluirDesafio(db, req, res, desafio, {
+      codigo: codigoTotp(etapa.segredo, Math.floor(Date.now() / 30000)),
+      confiar: true,
+    });
+    assert.equal(resultado.codigos_recuperacao.length, 10);
+    const cookie = res.cookies[COOKIE_DISPOSITIVO];
+    assert.equal(cookie.opcoes.httpOnly, true);
+    assert.equal(cookie.opcoes.maxAge, 30 * 24 * 60 * 60 * 1000);
+    assert.equal(db.estado.dispositivos[0].token_hash, sha256(cookie.valor));
+
+    // com 2FA: sem cookie pede verificação; com o cookie do dispositivo, passa
+    const semCookie = await avaliarLogin(db, req, { usuarioId: 11, escolaId: 4, perfil: "professor" });
+    assert.equal(semCookie.dois_fatores, "verificar");
+    assert.equal(semCookie.segredo, undefined);
+    const comCookie = { ...req, headers: { ...req.headers, cookie: `outro=1; ${COOKIE_DISPOSITIVO}=${cookie.valor}` } };
+    assert.equal(await avaliarLogin(db, comCookie, { usuarioId: 11, escolaId: 4, perfil: "professor" }), null);
+
+    // sem 2FA e sem exigência → segue o login normal
+    const livre = bancoDoisFatores();
+    assert.equal(await avaliarLogin(livre, req, { usuarioId: 50, escolaId: 3, perfil: "professor" }), null);
+  });
+});
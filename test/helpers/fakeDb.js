@@ -0,0 +1,97 @@
+// test/helpers/fakeDb.js
+// -----------------------------------------------------------------------------
+// Troca pool.query/getConnection do db.js por um banco em memória que só
+// REGISTRA as queries. Os testes de isolamento por escola não precisam de
+// dados: basta provar quais escola_id chegam ao SQL.
+//
+//   const db = instalarFakeDb(pool);
+//   db.responder((sql, params) => ...)   // resposta específica (ou undefined)
+//   db.queries                           // [{ sql, params }]
+//   db.limpar(); db.restaurar();
+//
+// Para testes de serviço (recebem o db por parâmetro) há criarDb, que não
+// mexe no pool:
+//
+//   const db = criarDb((sql, params) => ...)  // respostas; undefined → [[], []]
+//   criarDb(especificas, estado)              // vários: vale o 1º que responder
+//   db.queries                                // [{ sql, params }]
+//   db.conexao.transacao                      // ["begin", "commit", "release"]
+// -----------------------------------------------------------------------------
+
+function respostaPadrao(sql) {
+  const s = sql.trim().toUpperCase();
+  // autenticarToken → verificarSessaoToken → conta ativa
+  if (/SELECT ATIVO FROM USUARIOS/.test(s)) return [[{ ativo: 1 }], []];
+  if (s.startsWith("INSERT")) return [{ insertId: 1, affectedRows: 1 }, []];
+  // UPDATE/DELETE sem linha correspondente = registro de outra escola
+  if (s.startsWith("UPDATE") || s.startsWith("DELETE")) return [{ affectedRows: 0 }, []];
+  return [[], []];
+}
+
+export function instalarFakeDb(pool) {
+  const original = { query: pool.query, execute: pool.execute, getConnection: pool.getConnection };
+  const estado = { queries: [], handlers: [] };
+
+  async function query(sql, params = []) {
+    const texto = typeof sql === "string" ? sql : sql?.sql || "";
+    estado.queries.push({ sql: texto, params: Array.isArray(params) ? params.flat(Infinity) : [params] });
+    for (const h of estado.handlers) {
+      const r = await h(texto, params);
+      if (r !== undefined) return r;
+    }
+    return respostaPadrao(texto);
+  }
+
+  const conexao = {
+    query,
+    execute: query,
+    beginTransaction: async () => {},
+    commit: async () => {},
+    rollback: async () => {},
+    release: () => {},
+  };
+
+  pool.query = query;
+  pool.execute = query;
+  pool.getConnection = async () => conexao;
+
+  return {
+    get queries() {
+      return estado.queries;
+    },
+    responder(fn) {
+      estado.handlers.push(fn);
+    },
+    limpar() {
+      estado.queries.length = 0;
+      estado.handlers.length = 0;
+    },
+    restaurar() {
+      pool.query = original.query;
+      pool.execute = original.execute;
+      pool.getConnection = original.getConnection;
+    },
+  };
+}
+
+export function criarDb(...responders) {
+  const queries = [];
+  const query = async (sql, params = []) => {
+    queries.push({ sql, params });
+    for (const responder of responders) {
+      const r = await responder(sql, params);
+      if (r !== undefined) return r;
+    }
+    return [[], []];
+  };
+  const transacao = [];
+  const conexao = {
+    query,
+    transacao,
+    beginTransaction: async () => void transacao.push("begin"),
+    commit: async () => void transacao.push("commit"),
+    rollback: async () => void transacao.push("rollback"),
+    release: () => void transacao.push("release"),
+  };
+  return { queries, query, conexao, getConnection: async () => conexao };
+}
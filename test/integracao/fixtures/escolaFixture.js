@@ -0,0 +1,156 @@
+// test/integracao/fixtures/escolaFixture.js
+// -----------------------------------------------------------------------------
+// Escola de teste completa: turmas, disciplinas, professores, equipe gestora,
+// alunos, responsável com vínculo/consentimento, boletim lançado, grade
+// horária publicada e uma avaliação de gabarito com o gabarito oficial.
+// -----------------------------------------------------------------------------
+import bcrypt from "bcryptjs";
+
+export const SENHA_PADRAO = "Teste@2026";
+export const ANO_LETIVO = new Date().getFullYear();
+
+// Apelido em maiúsculas: gabaritoLotes só baixa do Spaces chaves uploads/[A-Z]...
+const ESCOLA = { nome: "CEF Teste de Integração", apelido: "CEF_TESTE" };
+
+async function inserir(pool, tabela, linha) {
+  const [r] = await pool.query(`INSERT INTO ${tabela} SET ?`, [linha]);
+  return r.insertId;
+}
+
+/**
+ * Carrega a escola de teste e devolve ids e credenciais usados pelos testes.
+ * @param {import("mysql2/promise").Pool} pool
+ */
+export async function carregarEscolaFixture(pool) {
+  const escolaId = await inserir(pool, "escolas", { ...ESCOLA, cidade: "Brasília", estado: "DF" });
+
+  const turmas = {
+    "6A": await inserir(pool, "turmas", { escola_id: escolaId, nome: "6º ANO A", etapa: "Anos Finais", ano: "6", serie: "6º ano", turno: "Matutino" }),
+    "6B": await inserir(pool, "turmas", { escola_id: escolaId, nome: "6º ANO B", etapa: "Anos Finais", ano: "6", serie: "6º ano", turno: "Matutino" }),
+  };
+
+  const disciplinas = {
+    portugues: await inserir(pool, "disciplinas", { escola_id: escolaId, nome: "LÍNGUA PORTUGUESA", etapa: "Anos Finais", turno: "Matutino", carga: 5 }),
+    matematica: await inserir(pool, "disciplinas", { escola_id: escolaId, nome: "MATEMÁTICA", etapa: "Anos Finais", turno: "Matutino", carga: 5 }),
+  };
+
+  const professores = {
+    portugues: await inserir(pool, "professores", { escola_id: escolaId, cpf: "11122233344", nome: "Helena Prof", disciplina_id: disciplinas.portugues, aulas: 10 }),
+    matematica: await inserir(pool, "professores", { escola_id: escolaId, cpf: "22233344455", nome: "Caio Prof", disciplina_id: disciplinas.matematica, aulas: 10 }),
+  };
+
+  const senhaHash = await bcrypt.hash(SENHA_PADRAO, 4);
+  const diretor = {
+    email: "direcao@cef-teste.educa.local",
+    cpf: "33344455566",
+  };
+  diretor.id = await inserir(pool, "usuarios", {
+    cpf: diretor.cpf,
+    nome: "Diretora Teste",
+    email: diretor.email,
+    celular: "61999990001",
+    perfil: "diretor",
+    escola_id: escolaId,
+    senha_hash: senhaHash,
+    ativo: 1,
+  });
+  const professorUsuarioId = await inserir(pool, "usuarios", {
+    cpf: "11122233344",
+    nome: "Helena Prof",
+    email: "helena@cef-teste.educa.local",
+    perfil: "professor",
+    escola_id: escolaId,
+    senha_hash: senhaHash,
+    ativo: 1,
+  });
+
+  const alunos = [];
+  for (const [i, nome] of ["ANA BEATRIZ SOUZA", "BRUNO LIMA COSTA", "CLARA MENDES"].entries()) {
+    const codigo = String(100001 + i);
+    const id = await inserir(pool, "alunos", {
+      escola_id: escolaId,
+      codigo,
+      estudante: nome,
+      data_nascimento: `${ANO_LETIVO - 11}-0${i + 3}-15`,
+      sexo: i === 1 ? "M" : "F",
+      turma_id: turmas["6A"],
+      status: "ativo",
+    });
+    alunos.push({ id, codigo, estudante: nome });
+  }
+
+  const responsavel = {
+    cpf: "44455566677",
+    email: "mae.ana@familia.educa.local",
+  };
+  responsavel.id = await inserir(pool, "responsaveis", {
+    nome: "Mariana Souza",
+    cpf: responsavel.cpf,
+    email: responsavel.email,
+    telefone_celular: "61988887777",
+    status_global: "ATIVO",
+    termos_aceitos_em: new Date(),
+  });
+  await inserir(pool, "responsaveis_alunos", {
+    responsavel_id: responsavel.id,
+    aluno_id: alunos[0].id,
+    escola_id: escolaId,
+    parentesco: "MAE",
+    principal: 1,
+    ativo: 1,
+    pode_ver_boletim: 1,
+    pode_autorizar_terceiros: 1,
+    consentimento_imagem: 1,
+    consentimento_imagem_em: new Date(),
+    consentimento_canal: "DIGITAL",
+  });
+
+  // Boletim do 1º bimestre lançado para a turma
+  for (const aluno of alunos) {
+    await inserir(pool, "notas", { escola_id: escolaId, aluno_id: aluno.id, disciplina_id: disciplinas.portugues, ano: ANO_LETIVO, bimestre: 1, nota: 8.5, faltas: 2 });
+    await inserir(pool, "notas", { escola_id: escolaId, aluno_id: aluno.id, disciplina_id: disciplinas.matematica, ano: ANO_LETIVO, bimestre: 1, nota: 7, faltas: 0 });
+  }
+
+  // Grade horária publicada do matutino (segunda, 1º e 2º horários do 6º A)
+  const gradeId = await inserir(pool, "grade_resultado", {
+    escola_id: escolaId,
+    turno: "matutino",
+    status: "publicado",
+    descricao: "Grade fixture",
+    published_at: new Date(),
+  });
+  for (const turmaId of Object.values(turmas)) {
+    await inserir(pool, "grade_resultado_turma", { resultado_id: gradeId, turma_id: turmaId });
+  }
+  await inserir(pool, "grade_slot", { resultado_id: gradeId, turma_id: turmas["6A"], dia_semana: 1, periodo_ordem: 1, disciplina_id: disciplinas.portugues, professor_id: professores.portugues });
+  await inserir(pool, "grade_slot", { resultado_id: gradeId, turma_id: turmas["6A"], dia_semana: 1, periodo_ordem: 2, disciplina_id: disciplinas.matematica, professor_id: professores.matematica });
+
+  const gabarito = ["A", "B", "C", "D", "A"];
+  const avaliacaoGabaritoId = await inserir(pool, "gabarito_avaliacoes", {
+    escola_id: escolaId,
+    titulo: "PROVÃO 1º BIMESTRE",
+    bimestre: "1º Bimestre",
+    num_questoes: gabarito.length,
+    num_alternativas: 4,
+    nota_total: 10,
+    gabarito_oficial: JSON.stringify(gabarito),
+    turmas_ids: JSON.stringify([turmas["6A"]]),
+    turno: "MATUTINO",
+    status: "publicada",
+    criado_por: diretor.id,
+  });
+
+  return {
+    escolaId,
+    apelido: ESCOLA.apelido,
+    turmas,
+    disciplinas,
+    professores,
+    professorUsuarioId,
+    diretor,
+    alunos,
+    responsavel,
+    gradeId,
+    avaliacaoGabarito: { id: avaliacaoGabaritoId, gabarito, turmaNome: "6º ANO A" },
+  };
+}
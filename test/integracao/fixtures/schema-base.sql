@@ -0,0 +1,381 @@
+-- ============================================================================
+-- test/integracao/fixtures/schema-base.sql
+-- Tabelas legadas (anteriores a migrations/versions/) que os fluxos cobertos
+-- pelos testes de integração usam. O restante do schema vem do próprio boot:
+-- migrations/versions (MIGRATIONS_MODE=apply), bootstrap() do server.js e as
+-- auto-migrations do db.js.
+-- Colunas tiradas de _migracao_db/*.sql e dos INSERT/SELECT das rotas.
+-- ============================================================================
+
+CREATE TABLE escolas (
+  id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  nome VARCHAR(255) NOT NULL,
+  apelido VARCHAR(100) DEFAULT NULL,
+  endereco VARCHAR(255) DEFAULT NULL,
+  cidade VARCHAR(100) DEFAULT NULL,
+  estado VARCHAR(2) DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE usuarios (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  cpf VARCHAR(14) DEFAULT NULL,
+  nome VARCHAR(255) DEFAULT NULL,
+  email VARCHAR(255) DEFAULT NULL,
+  celular VARCHAR(20) DEFAULT NULL,
+  foto VARCHAR(500) DEFAULT NULL,
+  perfil VARCHAR(50) DEFAULT NULL,
+  escola_id INT DEFAULT NULL,
+  senha_hash VARCHAR(255) DEFAULT NULL,
+  ativo TINYINT(1) NOT NULL DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_usuarios_escola (escola_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE turmas (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  escola_id INT NOT NULL,
+  nome VARCHAR(100) NOT NULL,
+  etapa VARCHAR(50) DEFAULT NULL,
+  ano VARCHAR(20) DEFAULT NULL,
+  serie VARCHAR(50) DEFAULT NULL,
+  turno VARCHAR(20) DEFAULT NULL,
+  regime VARCHAR(50) DEFAULT NULL,
+  INDEX idx_turmas_escola (escola_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE disciplinas (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  escola_id INT NOT NULL,
+  nome VARCHAR(100) NOT NULL,
+  etapa VARCHAR(50) DEFAULT NULL,
+  turno VARCHAR(20) DEFAULT NULL,
+  carga INT DEFAULT NULL,
+  INDEX idx_disciplinas_escola (escola_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE professores (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  escola_id INT NOT NULL,
+  cpf VARCHAR(14) DEFAULT NULL,
+  nome VARCHAR(255) NOT NULL,
+  disciplina_id INT DEFAULT NULL,
+  aulas INT DEFAULT NULL,
+  status VARCHAR(20) DEFAULT 'ativo',
+  foto VARCHAR(500) DEFAULT NULL,
+  INDEX idx_professores_escola (escola_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE alunos (
+  id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  escola_id INT NOT NULL,
+  codigo VARCHAR(20) DEFAULT NULL,
+  estudante VARCHAR(255) NOT NULL,
+  cpf VARCHAR(14) DEFAULT NULL,
+  data_nascimento DATE DEFAULT NULL,
+  sexo VARCHAR(1) DEFAULT NULL,
+  turma_id INT DEFAULT NULL,
+  status VARCHAR(20) DEFAULT 'ativo',
+  alerta_flag TINYINT(1) DEFAULT 0,
+  foto VARCHAR(500) DEFAULT NULL,
+  INDEX idx_alunos_escola (escola_id),
+  INDEX idx_alunos_codigo (codigo)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE responsaveis (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  nome VARCHAR(255) DEFAULT NULL,
+  cpf VARCHAR(14) NOT NULL,
+  email VARCHAR(255) DEFAULT NULL,
+  telefone VARCHAR(20) DEFAULT NULL,
+  telefone_celular VARCHAR(20) DEFAULT NULL,
+  telefone_secundario VARCHAR(20) DEFAULT NULL,
+  endereco VARCHAR(255) DEFAULT NULL,
+  status_global VARCHAR(20) DEFAULT 'ATIVO',
+  termos_aceitos_em DATETIME DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_responsaveis_cpf (cpf)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE responsaveis_alunos (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  responsavel_id INT NOT NULL,
+  aluno_id BIGINT UNSIGNED NOT NULL,
+  escola_id INT NOT NULL,
+  relacionamento VARCHAR(50) DEFAULT NULL,
+  parentesco VARCHAR(50) DEFAULT NULL,
+  principal TINYINT(1) NOT NULL DEFAULT 0,
+  ativo TINYINT(1) NOT NULL DEFAULT 1,
+  pode_ver_boletim TINYINT(1) NOT NULL DEFAULT 1,
+  pode_ver_frequencia TINYINT(1) NOT NULL DEFAULT 1,
+  pode_ver_agenda TINYINT(1) NOT NULL DEFAULT 1,
+  pode_receber_notificacoes TINYINT(1) NOT NULL DEFAULT 1,
+  pode_autorizar_terceiros TINYINT(1) NOT NULL DEFAULT 0,
+  consentimento_imagem TINYINT(1) NOT NULL DEFAULT 0,
+  consentimento_impresso TINYINT(1) NOT NULL DEFAULT 0,
+  consentimento_imagem_em DATETIME DEFAULT NULL,
+  consentimento_imagem_por VARCHAR(100) DEFAULT NULL,
+  consentimento_canal VARCHAR(20) DEFAULT NULL,
+  consentimento_versao_termo VARCHAR(20) DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_resp_aluno (responsavel_id, aluno_id),
+  INDEX idx_ra_aluno (aluno_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE notas (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  escola_id INT NOT NULL,
+  aluno_id BIGINT UNSIGNED NOT NULL,
+  disciplina_id INT NOT NULL,
+  ano INT NOT NULL,
+  bimestre INT NOT NULL,
+  nota DECIMAL(5,2) DEFAULT NULL,
+  faltas INT DEFAULT 0,
+  data_lancamento DATETIME DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_notas_aluno (escola_id, aluno_id, ano)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- ── Autenticação ────────────────────────────────────────────────────────────
+CREATE TABLE otp_codes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  usuario_id INT NOT NULL,
+  email VARCHAR(255) DEFAULT NULL,
+  codigo VARCHAR(10) NOT NULL,
+  expira_em DATETIME NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE dispositivos_confiados (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  usuario_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  descricao VARCHAR(200) DEFAULT NULL,
+  expira_em DATETIME NOT NULL,
+  ultimo_uso DATETIME DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE access_log (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  usuario_id INT NOT NULL,
+  escola_id INT NOT NULL,
+  perfil VARCHAR(50) DEFAULT NULL,
+  ip VARCHAR(45) DEFAULT NULL,
+  user_agent VARCHAR(512) DEFAULT NULL,
+  action VARCHAR(50) DEFAULT 'login',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE escola_modulos (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  escola_id INT NOT NULL,
+  modulo VARCHAR(50) NOT NULL,
+  ativo TINYINT(1) NOT NULL DEFAULT 1
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE escola_perfil_modulos (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  escola_id INT NOT NULL,
+  perfil VARCHAR(50) NOT NULL,
+  modulo VARCHAR(50) NOT NULL,
+  ativo TINYINT(1) NOT NULL DEFAULT 1
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- ── RBAC dinâmico ───────────────────────────────────────────────────────────
+CREATE TABLE rbac_perfis (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  escola_id INT NOT NULL,
+  codigo VARCHAR(50) NOT NULL,
+  nome VARCHAR(100) DEFAULT NULL,
+  ativo TINYINT(1) NOT NULL DEFAULT 1
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE rbac_permissoes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  chave VARCHAR(100) NOT NULL,
+  descricao VARCHAR(255) DEFAULT NULL,
+  UNIQUE KEY uk_rbac_permissoes_chave (chave)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE rbac_perfil_permissoes (
+  perfil_id INT NOT NULL,
+  permissao_id INT NOT NULL,
+  PRIMARY KEY (perfil_id, permissao_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE rbac_usuario_perfis (
+  usuario_id INT NOT NULL,
+  perfil_id INT NOT NULL,
+  PRIMARY KEY (usuario_id, perfil_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE rbac_usuario_permissoes (
+  usuario_id INT NOT NULL,
+  permissao_id INT NOT NULL,
+  permitido TINYINT(1) NOT NULL DEFAULT 1,
+  PRIMARY KEY (usuario_id, permissao_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE rbac_auditoria (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  usuario_id INT DEFAULT NULL,
+  escola_id INT DEFAULT NULL,
+  perfil VARCHAR(50) DEFAULT NULL,
+  metodo VARCHAR(10) DEFAULT NULL,
+  rota VARCHAR(255) DEFAULT NULL,
+  permissao_requerida VARCHAR(100) DEFAULT NULL,
+  decisao VARCHAR(10) DEFAULT NULL,
+  ip VARCHAR(45) DEFAULT NULL,
+  user_agent VARCHAR(512) DEFAULT NULL,
+  detalhe TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- ── Disciplinar (_migracao_db/create_ocorrencias_disciplinares_table.sql) ───
+-- usuario_registro_id/updated_at/rastreabilidade vêm do bootstrap e da 0001.
+CREATE TABLE ocorrencias_disciplinares (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  aluno_id BIGINT UNSIGNED NOT NULL,
+  escola_id INT,
+  data_ocorrencia DATE NOT NULL,
+  motivo VARCHAR(255) NOT NULL,
+  tipo_ocorrencia VARCHAR(50) DEFAULT NULL,
+  descricao TEXT,
+  registro_interno TEXT,
+  convocar_responsavel TINYINT(1) DEFAULT 0,
+  dias_suspensao INT DEFAULT NULL,
+  data_comparecimento_responsavel DATETIME DEFAULT NULL,
+  usuario_finalizacao_id INT DEFAULT NULL,
+  status VARCHAR(50) DEFAULT 'REGISTRADA',
+  criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  atualizado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (aluno_id) REFERENCES alunos(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- ── Gabarito (_migracao_db/migrate_gabarito_*.sql) ──────────────────────────
+CREATE TABLE gabarito_avaliacoes (
+  id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  escola_id BIGINT UNSIGNED NOT NULL,
+  titulo VARCHAR(200) NOT NULL,
+  bimestre VARCHAR(50) DEFAULT NULL,
+  num_questoes INT NOT NULL,
+  num_alternativas INT NOT NULL,
+  nota_total DECIMAL(5,2) DEFAULT 10.00,
+  modelo ENUM('padrao','enem','simplificado') DEFAULT 'padrao',
+  gabarito_oficial JSON DEFAULT NULL,
+  disciplinas_config JSON DEFAULT NULL,
+  turmas_ids JSON DEFAULT NULL,
+  turno VARCHAR(50) DEFAULT NULL,
+  status ENUM('rascunho','publicada','em_correcao','finalizada','notas_importadas') DEFAULT 'rascunho',
+  criado_por INT DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  CONSTRAINT fk_gab_aval_escola FOREIGN KEY (escola_id) REFERENCES escolas (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE gabarito_respostas (
+  id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  avaliacao_id INT NOT NULL,
+  escola_id BIGINT UNSIGNED NOT NULL,
+  aluno_id INT DEFAULT NULL,
+  codigo_aluno VARCHAR(20) NOT NULL,
+  nome_aluno VARCHAR(200) DEFAULT NULL,
+  turma_id INT DEFAULT NULL,
+  turma_nome VARCHAR(50) DEFAULT NULL,
+  respostas_aluno JSON NOT NULL,
+  acertos INT DEFAULT 0,
+  total_questoes INT DEFAULT NULL,
+  nota DECIMAL(5,2) DEFAULT 0.00,
+  acertos_por_disciplina JSON DEFAULT NULL,
+  detalhes JSON DEFAULT NULL,
+  avisos JSON DEFAULT NULL,
+  origem ENUM('omr','manual') DEFAULT 'omr',
+  corrigido_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  corrigido_por INT DEFAULT NULL,
+  UNIQUE KEY uk_gab_resp_avaliacao_aluno (avaliacao_id, codigo_aluno),
+  CONSTRAINT fk_gab_resp_avaliacao FOREIGN KEY (avaliacao_id) REFERENCES gabarito_avaliacoes (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE gabarito_lotes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  avaliacao_id INT NOT NULL,
+  escola_id INT NOT NULL,
+  turma_nome VARCHAR(100) NOT NULL,
+  total_arquivos INT DEFAULT 0,
+  total_corrigidos INT DEFAULT 0,
+  status ENUM('pendente', 'em_correcao', 'finalizado') DEFAULT 'pendente',
+  professor_id INT DEFAULT NULL,
+  liberado_correcao TINYINT(1) NOT NULL DEFAULT 0,
+  criado_por INT DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_avaliacao_turma (avaliacao_id, turma_nome, escola_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE gabarito_arquivos (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  lote_id INT NOT NULL,
+  escola_id INT NOT NULL,
+  arquivo_nome VARCHAR(255) NOT NULL,
+  arquivo_path VARCHAR(500) NOT NULL,
+  codigo_aluno VARCHAR(20) DEFAULT NULL,
+  nome_aluno VARCHAR(255) DEFAULT NULL,
+  turma_id INT DEFAULT NULL,
+  status ENUM('pendente', 'identificado', 'corrigido', 'erro') DEFAULT 'pendente',
+  qr_data JSON DEFAULT NULL,
+  respostas_aluno JSON DEFAULT NULL,
+  acertos INT DEFAULT NULL,
+  nota DECIMAL(6,2) DEFAULT NULL,
+  corrigido_em TIMESTAMP NULL,
+  corrigido_por INT DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (lote_id) REFERENCES gabarito_lotes(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE gabarito_ajustes_manuais (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  arquivo_id INT NOT NULL,
+  escola_id INT NOT NULL,
+  questao_numero INT NOT NULL,
+  tipo_ajuste ENUM('acerto', 'erro') NOT NULL,
+  justificativa TEXT,
+  professor_id INT DEFAULT NULL,
+  status ENUM('pendente', 'aprovado', 'rejeitado') DEFAULT 'pendente',
+  coordenador_id INT DEFAULT NULL,
+  coordenador_obs TEXT,
+  decidido_em TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_ajuste_arquivo_questao (arquivo_id, questao_numero)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- ── Grade horária (services/gradePersistenceService.js) ─────────────────────
+CREATE TABLE grade_resultado (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  escola_id INT NOT NULL,
+  turno VARCHAR(20) NOT NULL,
+  status ENUM('rascunho', 'publicado', 'arquivado') NOT NULL DEFAULT 'rascunho',
+  version INT NOT NULL DEFAULT 1,
+  descricao VARCHAR(255) DEFAULT NULL,
+  published_at DATETIME DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_grade_resultado_escola (escola_id, turno, status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE grade_resultado_turma (
+  resultado_id INT NOT NULL,
+  turma_id INT NOT NULL,
+  PRIMARY KEY (resultado_id, turma_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE grade_slot (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  resultado_id INT NOT NULL,
+  turma_id INT NOT NULL,
+  dia_semana TINYINT NOT NULL,
+  periodo_ordem TINYINT NOT NULL,
+  disciplina_id INT DEFAULT NULL,
+  professor_id INT DEFAULT NULL,
+  origem VARCHAR(20) DEFAULT 'manual',
+  locked TINYINT(1) NOT NULL DEFAULT 0,
+  UNIQUE KEY uk_grade_slot_turma (resultado_id, turma_id, dia_semana, periodo_ordem)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
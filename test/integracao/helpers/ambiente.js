@@ -0,0 +1,140 @@
+// test/integracao/helpers/ambiente.js
+// -----------------------------------------------------------------------------
+// Sobe a API real (server.js → bootstrap()) contra o MySQL descartável, com as
+// dependências externas falsas e a escola de fixture carregada.
+//
+// Ordem importa: env e stubs ANTES do import de db.js/server.js (o pool lê
+// MYSQL_* no import e o dotenv não sobrescreve o que já está definido).
+// -----------------------------------------------------------------------------
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import mysql from "mysql2/promise";
+
+import { criarBancoDescartavel } from "./mysqlDescartavel.js";
+import { instalarServicosFalsos } from "./servicosFalsos.js";
+import { carregarEscolaFixture } from "../fixtures/escolaFixture.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCHEMA_BASE = path.join(__dirname, "../fixtures/schema-base.sql");
+
+function configurarEnv(banco) {
+  Object.assign(process.env, {
+    NODE_ENV: "test",
+    SERVER_AUTOSTART: "0",
+    MIGRATIONS_MODE: "apply",
+    MYSQL_HOST: banco.host,
+    MYSQL_PORT: String(banco.port),
+    MYSQL_USER: banco.user,
+    MYSQL_PASSWORD: banco.password,
+    MYSQL_DATABASE: banco.database,
+    JWT_SECRET: "jwt-integracao",
+    APP_PAIS_JWT_SECRET: "jwt-app-pais-integracao",
+    PLATFORM_JWT_SECRET: "jwt-plataforma-integracao",
+    RATE_LIMIT_STORE: "memoria",
+    FF_MONITORAMENTO: "0",
+    FF_AGENTE_EDUCADF: "0",
+    // e-mail sai pelo nodemailer falso; vazio ≠ ausente para o dotenv
+    SMTP_HOST: "smtp.teste.local",
+    SMTP_PORT: "587",
+    SMTP_USER: "nao-responda@educa.local",
+    SMTP_PASS: "x",
+    MAIL_HOST: "smtp.teste.local",
+    MAIL_USER: "nao-responda@educa.local",
+    MAIL_PASS: "x",
+    RESEND_API_KEY: "",
+    TWILIO_SID: "",
+    TWILIO_TOKEN: "",
+    DO_SPACES_KEY: "teste",
+    DO_SPACES_SECRET: "teste",
+    DO_SPACES_BUCKET: "educa-teste",
+    DO_SPACES_REGION: "nyc3",
+    DO_SPACES_ENDPOINT: "https://nyc3.digitaloceanspaces.com",
+    OPENAI_API_KEY: "sk-teste",
+    GEMINI_API_KEY: "teste",
+  });
+  delete process.env.DATABASE_URL;
+}
+
+async function carregarSchemaBase(banco) {
+  const conn = await mysql.createConnection({
+    host: banco.host,
+    port: banco.port,
+    user: banco.user,
+    password: banco.password,
+    database: banco.database,
+    multipleStatements: true,
+  });
+  try {
+    await conn.query(fs.readFileSync(SCHEMA_BASE, "utf8"));
+  } finally {
+    await conn.end();
+  }
+}
+
+/**
+ * @returns {Promise<{indisponivel:string}|{
+ *   baseUrl:string, pool:object, servicos:object, fixture:object,
+ *   chamar:Function, encerrar:Function }>}
+ */
+export async function subirAmbiente() {
+  const banco = await criarBancoDescartavel();
+  if (banco.indisponivel) return banco;
+
+  let servicos;
+  let servidor;
+  let pool;
+  try {
+    configurarEnv(banco);
+    servicos = await instalarServicosFalsos();
+    await carregarSchemaBase(banco);
+
+    ({ default: pool } = await import("../../../db.js"));
+    const { app, bootstrap } = await import("../../../server.js");
+    await bootstrap();
+
+    const fixture = await carregarEscolaFixture(pool);
+
+    await new Promise((resolve) => {
+      servidor = app.listen(0, "127.0.0.1", resolve);
+    });
+    const baseUrl = `http://127.0.0.1:${servidor.address().port}`;
+
+    /**
+     * Cliente HTTP mínimo: JSON por padrão, FormData quando `form` é passado.
+     */
+    async function chamar(metodo, caminho, { token, body, form } = {}) {
+      const headers = {};
+      if (token) headers.Authorization = `Bearer ${token}`;
+      if (body !== undefined) headers["Content-Type"] = "application/json";
+      const resp = await fetch(baseUrl + caminho, {
+        method: metodo,
+        headers,
+        body: form ?? (body !== undefined ? JSON.stringify(body) : undefined),
+      });
+      const texto = await resp.text();
+      let json = null;
+      try {
+        json = texto ? JSON.parse(texto) : null;
+      } catch {
+        json = { _texto: texto };
+      }
+      return { status: resp.status, body: json };
+    }
+
+    async function encerrar() {
+      await new Promise((resolve) => (servidor ? servidor.close(resolve) : resolve()));
+      await pool.end().catch(() => {});
+      await servicos.restaurar();
+      await banco.encerrar();
+    }
+
+    return { baseUrl, pool, servicos: servicos.caixa, fixture, chamar, encerrar };
+  } catch (err) {
+    servidor?.close();
+    await pool?.end().catch(() => {});
+    await servicos?.restaurar();
+    await banco.encerrar();
+    throw err;
+  }
+}
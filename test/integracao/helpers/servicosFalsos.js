@@ -0,0 +1,184 @@
+// test/integracao/helpers/servicosFalsos.js
+// -----------------------------------------------------------------------------
+// Dependências externas falsas para rodar a API offline:
+//  - e-mail: nodemailer.createTransport (auth, mailer.js, app-pais SMTP) e
+//    api.resend.com via fetch
+//  - SMS: api.twilio.com via fetch
+//  - push: Expo.prototype.sendPushNotificationsAsync e
+//    getPushNotificationReceiptsAsync (o SDK usa undici, não o fetch global)
+//  - Spaces: S3Client.prototype.send com bucket em memória
+//  - OpenAI/Gemini: respostas fixas via fetch
+//  - OMR: servidor HTTP local (OMR_URL) com a leitura configurável
+// Qualquer outro host fora de 127.0.0.1/localhost é bloqueado e registrado em
+// caixa.bloqueadas — o teste falha se a API tentar sair para a rede.
+//
+// Instalar ANTES de importar db.js/server.js.
+// -----------------------------------------------------------------------------
+import http from "node:http";
+import { Readable } from "node:stream";
+import nodemailer from "nodemailer";
+import { S3Client } from "@aws-sdk/client-s3";
+import { Expo } from "expo-server-sdk";
+
+const HOSTS_LOCAIS = new Set(["127.0.0.1", "localhost", "::1", "[::1]"]);
+
+function respostaJson(corpo, status = 200) {
+  return new Response(JSON.stringify(corpo), { status, headers: { "Content-Type": "application/json" } });
+}
+
+async function lerCorpo(init) {
+  const body = init?.body;
+  if (body == null) return null;
+  const texto = typeof body === "string" ? body : Buffer.from(await new Response(body).arrayBuffer()).toString("utf8");
+  try {
+    return JSON.parse(texto);
+  } catch {
+    return Object.fromEntries(new URLSearchParams(texto));
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// OMR (serviço Python em produção)
+// ─────────────────────────────────────────────────────────────
+function subirOmr(caixa) {
+  const servidor = http.createServer((req, res) => {
+    const partes = [];
+    req.on("data", (c) => partes.push(c));
+    req.on("end", () => {
+      caixa.omr.chamadas.push(req.url);
+      if (req.url === "/health") {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        return res.end(JSON.stringify({ status: "ok" }));
+      }
+      if (req.url === "/crop-gabarito") {
+        res.writeHead(200, { "Content-Type": "image/png" });
+        return res.end(Buffer.concat(partes));
+      }
+      if (req.url === "/corrigir-bolhas") {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        return res.end(JSON.stringify(caixa.omr.leitura));
+      }
+      res.writeHead(404);
+      res.end();
+    });
+  });
+  return new Promise((resolve) => {
+    servidor.listen(0, "127.0.0.1", () => resolve(servidor));
+  });
+}
+
+/**
+ * Instala os stubs e devolve a "caixa" com tudo o que a API tentou enviar.
+ * @returns {Promise<{caixa: object, restaurar: Function}>}
+ */
+export async function instalarServicosFalsos() {
+  const caixa = {
+    emails: [],
+    sms: [],
+    push: [],
+    spaces: new Map(),
+    ia: [],
+    bloqueadas: [],
+    omr: { chamadas: [], leitura: { respostas: [], qrData: null } },
+  };
+
+  // ── E-mail (SMTP) ──────────────────────────────────────────────────────────
+  const createTransportOriginal = nodemailer.createTransport;
+  nodemailer.createTransport = () => ({
+    async sendMail(msg) {
+      caixa.emails.push({ to: msg.to, subject: msg.subject, text: msg.text || "", html: msg.html || "" });
+      return { messageId: `<teste-${caixa.emails.length}@educa.local>` };
+    },
+    async verify() {
+      return true;
+    },
+  });
+
+  // ── fetch global ───────────────────────────────────────────────────────────
+  const fetchOriginal = globalThis.fetch;
+  globalThis.fetch = async (entrada, init) => {
+    const url = new URL(typeof entrada === "string" ? entrada : entrada.url ?? String(entrada));
+    if (HOSTS_LOCAIS.has(url.hostname)) return fetchOriginal(entrada, init);
+
+    if (url.hostname === "api.resend.com") {
+      const b = await lerCorpo(init);
+      const to = Array.isArray(b?.to) ? b.to[0] : b?.to;
+      caixa.emails.push({ to, subject: b?.subject, text: b?.text || "", html: b?.html || "" });
+      return respostaJson({ id: `resend-${caixa.emails.length}` });
+    }
+    if (url.hostname === "api.twilio.com") {
+      const b = await lerCorpo(init);
+      caixa.sms.push({ to: b?.To, body: b?.Body });
+      return respostaJson({ sid: `SM${caixa.sms.length}`, status: "queued" }, 201);
+    }
+    if (url.hostname === "api.openai.com" || url.hostname === "generativelanguage.googleapis.com") {
+      caixa.ia.push({ url: url.href, body: await lerCorpo(init) });
+      return respostaJson({
+        choices: [{ message: { role: "assistant", content: "Resposta simulada." } }],
+        candidates: [{ content: { parts: [{ text: "Resposta simulada." }] } }],
+      });
+    }
+
+    caixa.bloqueadas.push(url.href);
+    throw new TypeError(`[servicosFalsos] rede externa bloqueada no teste: ${url.href}`);
+  };
+
+  // ── Spaces (S3) ────────────────────────────────────────────────────────────
+  const sendOriginal = S3Client.prototype.send;
+  S3Client.prototype.send = async function send(comando) {
+    const { Key, Body, ContentType } = comando.input || {};
+    switch (comando.constructor.name) {
+      case "PutObjectCommand": {
+        const buffer = Buffer.isBuffer(Body) ? Body : Buffer.from(Body ?? "");
+        caixa.spaces.set(Key, { buffer, contentType: ContentType });
+        return { ETag: `"${caixa.spaces.size}"` };
+      }
+      case "GetObjectCommand":
+      case "HeadObjectCommand": {
+        const obj = caixa.spaces.get(Key);
+        if (!obj) {
+          const err = new Error("NoSuchKey");
+          err.name = "NoSuchKey";
+          err.$metadata = { httpStatusCode: 404 };
+          throw err;
+        }
+        const meta = { ContentType: obj.contentType, ContentLength: obj.buffer.length };
+        return comando.constructor.name === "GetObjectCommand" ? { ...meta, Body: Readable.from([obj.buffer]) } : meta;
+      }
+      case "DeleteObjectCommand":
+        caixa.spaces.delete(Key);
+        return {};
+      default:
+        throw new Error(`[servicosFalsos] comando S3 não suportado: ${comando.constructor.name}`);
+    }
+  };
+
+  // ── Push (Expo) ────────────────────────────────────────────────────────────
+  const pushOriginal = Expo.prototype.sendPushNotificationsAsync;
+  Expo.prototype.sendPushNotificationsAsync = async function (mensagens) {
+    caixa.push.push(...mensagens);
+    return mensagens.map((_, i) => ({ status: "ok", id: `ticket-${caixa.push.length}-${i}` }));
+  };
+  const recibosOriginal = Expo.prototype.getPushNotificationReceiptsAsync;
+  Expo.prototype.getPushNotificationReceiptsAsync = async function (ids) {
+    return Object.fromEntries(ids.map((id) => [id, { status: "ok" }]));
+  };
+
+  // ── OMR ────────────────────────────────────────────────────────────────────
+  const omr = await subirOmr(caixa);
+  const omrUrlOriginal = process.env.OMR_URL;
+  process.env.OMR_URL = `http://127.0.0.1:${omr.address().port}`;
+
+  async function restaurar() {
+    nodemailer.createTransport = createTransportOriginal;
+    globalThis.fetch = fetchOriginal;
+    S3Client.prototype.send = sendOriginal;
+    Expo.prototype.sendPushNotificationsAsync = pushOriginal;
+    Expo.prototype.getPushNotificationReceiptsAsync = recibosOriginal;
+    if (omrUrlOriginal === undefined) delete process.env.OMR_URL;
+    else process.env.OMR_URL = omrUrlOriginal;
+    await new Promise((resolve) => omr.close(resolve));
+  }
+
+  return { caixa, restaurar };
+}
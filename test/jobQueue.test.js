@@ -0,0 +1,167 @@
+// test/jobQueue.test.js
+// -----------------------------------------------------------------------------
+// Fila de jobs (services/jobQueue.js): claim sob lock respeitando os limites
+// de concorrência, retentativa com backoff, falha definitiva e o job órfão —
+// devolvido à fila pela manutenção e pego por outro worker, o worker antigo
+// não consegue mais finalizá-lo. E o dedupe por chave quando dois requests
+// enfileiram juntos (o índice único do banco decide).
+// -----------------------------------------------------------------------------
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { calcularBackoff, enfileirarJob, executar, manutencao, registrarHandler, reivindicar } from "../services/jobQueue.js";
+
+// Tabela `jobs` em memória com as consultas do worker
+function filaFalsa(jobs, { lockLivre = true } = {}) {
+  const linhas = jobs.map((j) => ({ tentativas: 0, max_tentativas: 3, escola_id: null, worker_id: null, ...j }));
+  const queries = [];
+  const query = async (sql, params = []) => {
+    queries.push({ sql, params });
+    if (/GET_LOCK/.test(sql)) return [[{ ok: lockLivre ? 1 : 0 }], []];
+    if (/RELEASE_LOCK/.test(sql)) return [[{ ok: 1 }], []];
+    if (/SELECT COUNT\(\*\) AS n FROM jobs/.test(sql)) {
+      return [[{ n: linhas.filter((j) => j.tipo === params[0] && j.status === "executando").length }], []];
+    }
+    if (/SELECT j\.\* FROM jobs j/.test(sql)) {
+      const [tipo, porEscola] = params;
+      const ocupadas = (escola) => linhas.filter((x) => x.tipo === tipo && x.escola_id === escola && x.status === "executando").length;
+      const job = linhas.find((j) => j.tipo === tipo && j.status === "pendente" && (j.escola_id == null || ocupadas(j.escola_id) < porEscola));
+      return [job ? [{ ...job }] : [], []];
+    }
+    if (/SET status = 'executando'/.test(sql)) {
+      const job = linhas.find((j) => j.id === params[1]);
+      Object.assign(job, { status: "executando", tentativas: job.tentativas + 1, worker_id: params[0] });
+      return [{ affectedRows: 1 }, []];
+    }
+    if (/WHERE id = \? AND worker_id = \? AND status = 'executando'/.test(sql)) {
+      const [id, workerId] = params.slice(-2);
+      const job = linhas.find((j) => j.id === id && j.worker_id === workerId && j.status === "executando");
+      if (!job) return [{ affectedRows: 0 }, []];
+      Object.assign(job, { status: /status = '(\w+)'/.exec(sql)[1], worker_id: null, erro: /erro = \?/.test(sql) ? params[0] : null });
+      return [{ affectedRows: 1 }, []];
+    }
+    if (/heartbeat_em < DATE_SUB/.test(sql)) {
+      const orfaos = linhas.filter((j) => j.status === "executando" && j.semHeartbeat);
+      for (const j of orfaos) Object.assign(j, { status: j.tentativas >= j.max_tentativas ? "falhou" : "pendente", worker_id: null });
+      return [{ affectedRows: orfaos.length }, []];
+    }
+    return [{ affectedRows: 0 }, []];
+  };
+  const conexao = { query, beginTransaction: async () => {}, commit: async () => {}, rollback: async () => {}, release: () => {} };
+  return { linhas, queries, query, getConnection: async () => conexao };
+}
+
+const cfg = { concorrencia: 2, concorrenciaPorEscola: 1, maxTentativas: 3, backoffMs: 20_000 };
+const comHandler = (fn) => ({ ...cfg, fn });
+
+describe("jobQueue", () => {
+  test("claim: limite global e por escola, contados sob o lock do tipo", async () => {
+    const db = filaFalsa([
+      { id: 1, tipo: "pdf", status: "pendente", escola_id: 10 },
+      { id: 2, tipo: "pdf", status: "pendente", escola_id: 10 },
+      { id: 3, tipo: "pdf", status: "pendente", escola_id: 20 },
+      { id: 4, tipo: "pdf", status: "pendente", escola_id: 30 },
+    ]);
+
+    const a = await reivindicar(db, "pdf", cfg, { workerId: "w1" });
+    const b = await reivindicar(db, "pdf", cfg, { workerId: "w2" });
+    assert.deepEqual([a.id, b.id], [1, 3], "o job 2 espera: escola 10 já tem um executando");
+    assert.equal(a.tentativas, 1);
+    assert.equal(a.worker_id, "w1");
+    assert.equal(await reivindicar(db, "pdf", cfg), null, "limite global de 2");
+
+    const sqls = db.queries.map((q) => q.sql);
+    assert.ok(sqls.indexOf(sqls.find((s) => /GET_LOCK/.test(s))) < sqls.indexOf(sqls.find((s) => /COUNT\(\*\) AS n/.test(s))));
+    assert.equal(sqls.filter((s) => /GET_LOCK/.test(s)).length, sqls.filter((s) => /RELEASE_LOCK/.test(s)).length);
+  });
+
+  test("claim: lock ocupado por outra instância → não pega nada", async () => {
+    const db = filaFalsa([{ id: 1, tipo: "pdf", status: "pendente" }], { lockLivre: false });
+    assert.equal(await reivindicar(db, "pdf", cfg), null);
+    assert.equal(db.linhas[0].status, "pendente");
+    assert.ok(!db.queries.some((q) => /COUNT\(\*\)|RELEASE_LOCK/.test(q.sql)));
+  });
+
+  test("retentativa com backoff; esgotou ou permanente → falhou", async () => {
+    const db = filaFalsa([{ id: 1, tipo: "pdf", status: "pendente" }]);
+    const erro = comHandler(async () => {
+      throw new Error("Chromium caiu");
+    });
+
+    await executar(db, await reivindicar(db, "pdf", cfg, { workerId: "w1" }), erro);
+    assert.equal(db.linhas[0].status, "pendente");
+    assert.equal(db.linhas[0].erro, "Chromium caiu");
+    const retry = db.queries.find((q) => /disponivel_em = DATE_ADD/.test(q.sql) && /worker_id = \?/.test(q.sql));
+    assert.equal(retry.params[1], calcularBackoff(1, cfg.backoffMs) / 1000);
+
+    const ultima = filaFalsa([{ id: 2, tipo: "pdf", status: "pendente", tentativas: 2 }]);
+    await executar(ultima, await reivindicar(ultima, "pdf", cfg, { workerId: "w1" }), erro);
+    assert.equal(ultima.linhas[0].status, "falhou", "3ª tentativa de 3");
+
+    const db2 = filaFalsa([{ id: 5, tipo: "pdf", status: "pendente" }]);
+    const permanente = comHandler(async () => {
+      throw Object.assign(new Error("Turma inexistente"), { permanente: true });
+    });
+    await executar(db2, await reivindicar(db2, "pdf", cfg, { workerId: "w1" }), permanente);
+    assert.equal(db2.linhas[0].status, "falhou");
+  });
+
+  test("órfão devolvido à fila e pego por outro worker: o antigo não finaliza", async () => {
+    const db = filaFalsa([{ id: 1, tipo: "pdf", status: "pendente" }]);
+    const antigo = await reivindicar(db, "pdf", cfg, { workerId: "w1" });
+
+    let liberar;
+    const lento = new Promise((resolve) => (liberar = resolve));
+    const execucaoAntiga = executar(db, antigo, comHandler(async () => {
+      await lento;
+      return { arquivo: "antigo.pdf" };
+    }));
+
+    // Heartbeat do w1 expira; a manutenção devolve o job e o w2 pega
+    db.linhas[0].semHeartbeat = true;
+    await manutencao(db);
+    assert.equal(db.linhas[0].status, "pendente");
+    delete db.linhas[0].semHeartbeat;
+    const novo = await reivindicar(db, "pdf", cfg, { workerId: "w2" });
+    assert.equal(novo.tentativas, 2);
+
+    liberar();
+    await execucaoAntiga;
+    assert.equal(db.linhas[0].status, "executando", "w1 terminou depois, mas o job é do w2");
+    assert.equal(db.linhas[0].worker_id, "w2");
+
+    await executar(db, novo, comHandler(async () => ({ arquivo: "novo.pdf" })));
+    assert.equal(db.linhas[0].status, "concluido");
+  });
+
+  test("cancelamento só grava para o dono", async () => {
+    const db = filaFalsa([{ id: 1, tipo: "pdf", status: "pendente" }]);
+    const job = await reivindicar(db, "pdf", cfg, { workerId: "w1" });
+    db.linhas[0].worker_id = "w2"; // outro worker assumiu
+    await executar(db, job, comHandler(async () => {
+      throw Object.assign(new Error("Job cancelado pelo usuário."), { code: "JOB_CANCELADO" });
+    }));
+    assert.equal(db.linhas[0].status, "executando");
+  });
+
+  test("chave: INSERT barrado pelo índice único devolve o job que ganhou a corrida", async () => {
+    registrarHandler("boletim_teste", async () => null);
+    let ativo = null;
+    const db = {
+      async query(sql) {
+        if (/WHERE j\.chave = \?/.test(sql)) return [ativo ? [ativo] : [], []];
+        if (/INSERT INTO jobs/.test(sql)) {
+          // o outro request inseriu entre a consulta e este INSERT
+          ativo = { id: 77, tipo: "boletim_teste", status: "pendente" };
+          throw Object.assign(new Error("Duplicate entry for key 'uk_jobs_chave_ativa'"), { code: "ER_DUP_ENTRY" });
+        }
+        return [[], []];
+      },
+    };
+    assert.deepEqual(await enfileirarJob(db, { tipo: "boletim_teste", chave: "boletins:7" }), { id: 77, existente: true });
+
+    // Sem chave, duplicata é erro de verdade
+    ativo = null;
+    await assert.rejects(enfileirarJob(db, { tipo: "boletim_teste" }), (err) => err.code === "ER_DUP_ENTRY");
+  });
+});
@@ -0,0 +1,248 @@
+// test/lgpd.test.js
+// -----------------------------------------------------------------------------
+// Solicitações do titular (services/lgpd.js + utils/zip.js): prazo em dias
+// úteis, ZIP legível, pacote de exportação (fontes ausentes, segredos fora),
+// passos da anonimização conferidos contra o information_schema e as
+// pré-condições (aluno ativo, trava legal, responsável com vínculo).
+// -----------------------------------------------------------------------------
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import zlib from "zlib";
+
+import {
+  abrirSolicitacao,
+  anonimizarAluno,
+  anonimizarResponsavel,
+  gerarPacote,
+  limparCacheColunas,
+  somarDiasUteis,
+} from "../services/lgpd.js";
+import { crc32, criarZip } from "../utils/zip.js";
+import { criarDb } from "./helpers/fakeDb.js";
+
+// Banco falso: `tabelas` = { nome: [colunas] } responde o information_schema;
+// responder(sql, params) cobre o resto
+function bancoComColunas(tabelas, responder = () => undefined) {
+  const colunas = (sql, params) =>
+    /information_schema\.COLUMNS/.test(sql) ? [(tabelas[params[0]] || []).map((coluna) => ({ coluna })), []] : undefined;
+  return criarDb(colunas, responder);
+}
+
+// Lê o diretório central e devolve { nome: Buffer } (confere o CRC)
+function lerZip(buf) {
+  const fim = buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const total = buf.readUInt16LE(fim + 10);
+  let pos = buf.readUInt32LE(fim + 16);
+  const arquivos = {};
+  for (let i = 0; i < total; i++) {
+    assert.equal(buf.readUInt32LE(pos), 0x02014b50);
+    const crc = buf.readUInt32LE(pos + 16);
+    const tamanho = buf.readUInt32LE(pos + 20);
+    const nomeLen = buf.readUInt16LE(pos + 28);
+    const offset = buf.readUInt32LE(pos + 42);
+    const nome = buf.subarray(pos + 46, pos + 46 + nomeLen).toString("utf8");
+    const inicio = offset + 30 + buf.readUInt16LE(offset + 26) + buf.readUInt16LE(offset + 28);
+    const dados = zlib.inflateRawSync(buf.subarray(inicio, inicio + tamanho));
+    assert.equal(crc32(dados), crc, `CRC de ${nome}`);
+    arquivos[nome] = dados;
+    pos += 46 + nomeLen;
+  }
+  return arquivos;
+}
+
+beforeEach(() => limparCacheColunas());
+
+describe("prazo e ZIP", () => {
+  test("somarDiasUteis pula fim de semana", () => {
+    assert.equal(somarDiasUteis("2026-10-16", 1), "2026-10-19"); // sexta → segunda
+    assert.equal(somarDiasUteis("2026-10-19", 15), "2026-11-09");
+    assert.equal(somarDiasUteis("2026-10-17", 5), "2026-10-23"); // sábado conta a partir de segunda
+  });
+
+  test("criarZip gera arquivo legível com nomes UTF-8", () => {
+    const zip = criarZip([
+      { nome: "LEIA-ME.txt", conteudo: "olá" },
+      { nome: "dados/ocorrências.json", conteudo: JSON.stringify({ a: 1 }) },
+      { nome: "vazio.bin", conteudo: Buffer.alloc(0) },
+    ]);
+    const arquivos = lerZip(zip);
+    assert.deepEqual(Object.keys(arquivos), ["LEIA-ME.txt", "dados/ocorrências.json", "vazio.bin"]);
+    assert.equal(arquivos["LEIA-ME.txt"].toString("utf8"), "olá");
+    assert.deepEqual(JSON.parse(arquivos["dados/ocorrências.json"]), { a: 1 });
+    assert.equal(arquivos["vazio.bin"].length, 0);
+  });
+});
+
+describe("exportação", () => {
+  test("pacote traz uma fonte por arquivo, marca ausentes e omite segredos", async () => {
+    const db = bancoComColunas(
+      {
+        alunos: ["id", "escola_id", "estudante", "cpf"],
+        notas: ["id", "aluno_id", "escola_id", "nota"],
+        alunos_embeddings: ["aluno_id", "escola_id", "embedding"],
+        sessoes: ["id"],
+        // ocorrências sem escola_id: filtra só pelo aluno
+        ocorrencias_disciplinares: ["id", "aluno_id", "descricao"],
+      },
+      (sql) => {
+        if (/FROM alunos WHERE/.test(sql)) return [[{ id: 7, escola_id: 1, estudante: "Ana", cpf: "123", senha_hash: "x" }], []];
+        if (/FROM notas WHERE/.test(sql)) return [[{ id: 1, aluno_id: 7, escola_id: 1, nota: "8.50" }], []];
+        if (/FROM alunos_embeddings/.test(sql)) return [[{ aluno_id: 7, embedding: Buffer.from([1, 2, 3]) }], []];
+        if (/FROM ocorrencias_disciplinares/.test(sql)) return [[{ id: 3, aluno_id: 7, descricao: "atraso" }], []];
+        return undefined;
+      }
+    );
+
+    const { zip, manifesto } = await gerarPacote(db, { tipo: "aluno", escola: 1, aluno: 7, solicitacaoId: 5 });
+    const arquivos = lerZip(zip);
+
+    assert.ok(arquivos["LEIA-ME.txt"] && arquivos["manifesto.json"] && arquivos["relatorio.pdf"]);
+    assert.equal(arquivos["relatorio.pdf"].subarray(0, 5).toString(), "%PDF-");
+    assert.deepEqual(JSON.parse(arquivos["dados/cadastro.json"]), [{ id: 7, escola_id: 1, estudante: "Ana", cpf: "123" }]);
+    assert.deepEqual(JSON.parse(arquivos["dados/biometria_embeddings.json"])[0].embedding, { base64: "AQID" });
+
+    const secao = (nome) => manifesto.secoes.find((s) => s.nome === nome);
+    assert.equal(secao("notas").registros, 1);
+    assert.equal(secao("aph_atendimentos").registros, null);
+    assert.match(secao("aph_atendimentos").motivo, /inexistente/);
+    assert.ok(!arquivos["dados/aph_atendimentos.json"]);
+
+    const sqlOcorrencias = db.queries.find((q) => /FROM ocorrencias_disciplinares/.test(q.sql));
+    assert.match(sqlOcorrencias.sql, /WHERE aluno_id = \?/);
+    assert.doesNotMatch(sqlOcorrencias.sql, /escola_id/);
+    assert.deepEqual(sqlOcorrencias.params, [7]);
+  });
+});
+
+describe("anonimização", () => {
+  const TABELAS = {
+    alunos: ["id", "escola_id", "estudante", "cpf", "codigo", "foto", "data_nascimento", "status", "anonimizado_em"],
+    alunos_embeddings: ["aluno_id", "escola_id", "embedding"],
+    monitoramento_eventos: ["id", "aluno_id", "escola_id", "nome"],
+    ocorrencias_disciplinares: ["id", "aluno_id", "escola_id", "descricao", "registro_interno", "atenuantes", "agravantes"],
+    responsaveis_alunos: ["responsavel_id", "aluno_id", "escola_id", "ativo"],
+    notas: ["id", "aluno_id", "escola_id", "nota"],
+  };
+
+  test("aluno ativo é recusado", async () => {
+    const db = bancoComColunas(TABELAS, (sql) => {
+      if (/SELECT id, status, foto FROM alunos/.test(sql)) return [[{ id: 7, status: "ativo", foto: null }], []];
+      return undefined;
+    });
+    await assert.rejects(anonimizarAluno(db, { escola: 1, aluno: 7 }), (err) => err.status === 409);
+    assert.ok(!db.queries.some((q) => /^\s*(UPDATE|DELETE)/.test(q.sql)));
+  });
+
+  test("aluno sob trava legal (caso disciplinar) é recusado", async () => {
+    const db = bancoComColunas(TABELAS, (sql) => {
+      if (/SELECT id, status, foto FROM alunos/.test(sql)) return [[{ id: 7, status: "inativo", foto: null }], []];
+      if (/retencao_bloqueio = 1/.test(sql)) return [[{ id: 42 }], []];
+      return undefined;
+    });
+    await assert.rejects(anonimizarAluno(db, { escola: 1, aluno: 7 }), (err) => err.status === 409 && /#42/.test(err.message));
+    assert.ok(!db.queries.some((q) => /^\s*(UPDATE|DELETE)/.test(q.sql)));
+  });
+
+  test("aluno inativo: troca identificação, apaga biometria e preserva notas", async () => {
+    const db = bancoComColunas(TABELAS, (sql) => {
+      if (/SELECT id, status, foto FROM alunos/.test(sql)) return [[{ id: 7, status: "inativo", foto: null }], []];
+      if (/^\s*(UPDATE|DELETE)/.test(sql)) return [{ affectedRows: 2 }, []];
+      return undefined;
+    });
+
+    const resumo = await anonimizarAluno(db, { escola: 1, aluno: 7 });
+
+    const update = db.queries.find((q) => /^UPDATE alunos SET/.test(q.sql));
+    assert.match(update.sql, /estudante = CONCAT\('Aluno anonimizado #', id\)/);
+    assert.match(update.sql, /cpf = NULL/);
+    assert.match(update.sql, /foto = NULL/);
+    assert.match(update.sql, /MAKEDATE\(YEAR\(data_nascimento\), 1\)/);
+    assert.doesNotMatch(update.sql, /nome_mae/); // coluna inexistente fica de fora
+    assert.deepEqual(update.params, [7, 1]);
+
+    assert.ok(db.queries.some((q) => /^DELETE FROM alunos_embeddings WHERE aluno_id = \? AND escola_id = \?/.test(q.sql)));
+    assert.match(db.queries.find((q) => /^UPDATE ocorrencias_disciplinares/.test(q.sql)).sql, /descricao = NULL/);
+    assert.ok(!db.queries.some((q) => /(UPDATE|DELETE FROM) (notas|consentimentos_log|auditoria_alteracoes)\b/.test(q.sql)));
+
+    assert.deepEqual(resumo.alunos_embeddings, { excluidos: 2 });
+    assert.deepEqual(resumo.aph_atendimentos, { ignorada: true });
+  });
+
+  test("responsável com vínculo ativo é recusado", async () => {
+    const db = bancoComColunas({}, (sql) => {
+      if (/COUNT\(\*\) AS ativos/.test(sql)) return [[{ ativos: 1 }], []];
+      return undefined;
+    });
+    await assert.rejects(anonimizarResponsavel(db, { escola: 1, responsavel: 3 }), (err) => err.status === 409);
+  });
+
+  test("responsável: cpf vira marcador único (coluna NOT NULL UNIQUE)", async () => {
+    const db = bancoComColunas(
+      { responsaveis: ["id", "nome", "cpf", "email", "telefone_celular", "status_global"], mobile_devices: ["id", "responsavel_id"] },
+      (sql) => {
+        if (/COUNT\(\*\) AS ativos/.test(sql)) return [[{ ativos: 0 }], []];
+        return [{ affectedRows: 1 }, []];
+      }
+    );
+    await anonimizarResponsavel(db, { escola: 1, responsavel: 3 });
+
+    const update = db.queries.find((q) => /^UPDATE responsaveis SET/.test(q.sql));
+    assert.match(update.sql, /cpf = CONCAT\('ANON', id\)/);
+    assert.match(update.sql, /email = NULL/);
+    assert.match(update.sql, /status_global = 'INATIVO'/);
+    assert.doesNotMatch(update.sql, /cpf = NULL/);
+    assert.ok(db.queries.some((q) => /^DELETE FROM mobile_devices WHERE responsavel_id = \?/.test(q.sql)));
+  });
+});
+
+describe("solicitações", () => {
+  test("pedido repetido devolve a solicitação aberta", async () => {
+    const aberta = { id: 9, escola_id: 1, tipo: "exportacao", titular_tipo: "aluno", aluno_id: 7, status: "em_andamento", prazo_em: "2026-11-09" };
+    const db = bancoComColunas({}, (sql) => {
+      if (/SELECT id FROM alunos/.test(sql)) return [[{ id: 7 }], []];
+      if (/FROM lgpd_solicitacoes/.test(sql)) return [[aberta], []];
+      return undefined;
+    });
+
+    const { solicitacao, existente } = await abrirSolicitacao(
+      db,
+      { escolaId: 1, tipo: "exportacao", alunoId: 7, origem: "secretaria" },
+      { escolaId: 1 }
+    );
+    assert.equal(existente, true);
+    assert.equal(solicitacao.id, 9);
+    assert.ok(!db.queries.some((q) => /INSERT INTO lgpd_solicitacoes/.test(q.sql)));
+  });
+
+  test("titular de outra escola → 404", async () => {
+    const db = bancoComColunas({});
+    await assert.rejects(
+      abrirSolicitacao(db, { escolaId: 1, tipo: "anonimizacao", responsavelId: 3, origem: "secretaria" }, { escolaId: 1 }),
+      (err) => err.status === 404
+    );
+  });
+
+  test("prazo conta 15 dias úteis a partir do recebimento", async () => {
+    let inserida;
+    const db = bancoComColunas({}, (sql, params) => {
+      if (/SELECT id FROM alunos/.test(sql)) return [[{ id: 7 }], []];
+      if (/INSERT INTO lgpd_solicitacoes/.test(sql)) {
+        inserida = params;
+        return [{ insertId: 10 }, []];
+      }
+      if (/WHERE id = \?/.test(sql) && /lgpd_solicitacoes/.test(sql)) {
+        return [[{ id: 10, escola_id: 1, tipo: "anonimizacao", titular_tipo: "aluno", aluno_id: 7, status: "aberta", prazo_em: inserida[9] }], []];
+      }
+      return undefined;
+    });
+
+    const { solicitacao } = await abrirSolicitacao(
+      db,
+      { escolaId: 1, tipo: "anonimizacao", alunoId: 7, origem: "secretaria", recebidaEm: "2026-10-19" },
+      { escolaId: 1 }
+    );
+    assert.equal(solicitacao.prazo_em, "2026-11-09");
+    assert.equal(solicitacao.status, "aberta"); // anonimização espera a direção
+    assert.ok(!db.queries.some((q) => /INSERT INTO jobs/.test(q.sql)));
+  });
+});
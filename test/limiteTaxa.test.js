@@ -0,0 +1,213 @@
+// test/limiteTaxa.test.js
+// -----------------------------------------------------------------------------
+// Rate limit e bloqueio progressivo (services/limiteTaxa.js +
+// middleware/limitarTentativas.js). Store em memória; a auditoria vai para o
+// fakeDb (test/helpers/fakeDb.js).
+// -----------------------------------------------------------------------------
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+
+process.env.RATE_LIMIT_STORE = "memoria";
+process.env.TRUST_PROXY_HOPS = "1";
+
+let db;
+let limite;
+let mw;
+let servidor;
+let baseUrl;
+
+async function post(caminho, body, ip = "203.0.113.10") {
+  const resp = await fetch(baseUrl + caminho, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Forwarded-For": ip },
+    body: JSON.stringify(body || {}),
+  });
+  return { status: resp.status, body: await resp.json().catch(() => null), retryAfter: resp.headers.get("retry-after") };
+}
+
+// O registro da falha acontece no "finish" da resposta
+const aguardarFinish = () => new Promise((r) => setTimeout(r, 20));
+
+function auditorias() {
+  return db.queries.filter((q) => /INSERT INTO rbac_auditoria/.test(q.sql));
+}
+
+before(async () => {
+  const { default: pool } = await import("../db.js");
+  const { instalarFakeDb } = await import("./helpers/fakeDb.js");
+  db = instalarFakeDb(pool);
+
+  limite = await import("../services/limiteTaxa.js");
+  mw = await import("../middleware/limitarTentativas.js");
+
+  // Rotas de mentira atrás das mesmas regras do server.js
+  const app = express();
+  app.use(express.json());
+  mw.registrarLimitesDeAcesso(app);
+  app.post("/api/auth/login", (req, res) =>
+    req.body.senha === "certa" ? res.json({ ok: true }) : res.status(401).json({ ok: false })
+  );
+  app.post("/api/app-pais/solicitar-codigo", (_req, res) => res.json({ ok: true }));
+  app.post("/api/app-pais/verificar-codigo", (req, res) =>
+    req.body.codigo === "123456" ? res.json({ ok: true }) : res.status(400).json({ message: "Código inválido." })
+  );
+  app.post("/api/convites-ativacao/:token/ativar", (_req, res) => res.status(404).json({ ok: false }));
+
+  await new Promise((resolve) => {
+    servidor = app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${servidor.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => servidor?.close(resolve));
+  db?.restaurar();
+});
+
+beforeEach(() => {
+  db.limpar();
+  limite.definirStore(limite.criarStoreMemoria());
+});
+
+// ─────────────────────────────────────────────────────────────
+// Service
+// ─────────────────────────────────────────────────────────────
+describe("limiteTaxa", () => {
+  test("consumir respeita o máximo da janela", async () => {
+    const regra = { janelaMs: 60_000, max: 3 };
+    const r = [];
+    for (let i = 0; i < 4; i++) r.push(await limite.consumir("t:ip:1", regra));
+    assert.deepEqual(r.map((x) => x.ok), [true, true, true, false]);
+    assert.equal(r[2].restante, 0);
+  });
+
+  test("bloqueio progressivo dobra a duração a cada nível", async () => {
+    const regra = { maxFalhas: 2, janelaMs: 60_000, bloqueioBaseMs: 1000, bloqueioMaxMs: 3000 };
+    const duracoes = [];
+    for (let nivel = 1; nivel <= 3; nivel++) {
+      await limite.registrarFalha("t:falhas:id:x", regra);
+      const antes = Date.now();
+      const r = await limite.registrarFalha("t:falhas:id:x", regra);
+      assert.equal(r.bloqueado, true);
+      assert.equal(r.nivel, nivel);
+      duracoes.push(Math.round((r.ate - antes) / 1000));
+    }
+    assert.deepEqual(duracoes, [1, 2, 3]); // 1s, 2s, teto de 3s
+    assert.equal((await limite.verificarBloqueio("t:falhas:id:x")).bloqueado, true);
+  });
+
+  test("sucesso zera falhas e nível", async () => {
+    const regra = { maxFalhas: 1, janelaMs: 60_000, bloqueioBaseMs: 1000, bloqueioMaxMs: 60_000 };
+    await limite.registrarFalha("t:falhas:id:y", regra);
+    await limite.registrarSucesso("t:falhas:id:y");
+    const r = await limite.verificarBloqueio("t:falhas:id:y");
+    assert.deepEqual(r, { bloqueado: false, ate: null, nivel: 0 });
+  });
+
+  test("store com erro não bloqueia (fail-open)", async () => {
+    limite.definirStore({
+      tipo: "quebrado",
+      incrementar: async () => {
+        throw new Error("sem banco");
+      },
+      ler: async () => {
+        throw new Error("sem banco");
+      },
+    });
+    assert.equal((await limite.consumir("t:ip:2", { janelaMs: 1000, max: 1 })).ok, true);
+    assert.equal((await limite.verificarBloqueio("t:x")).bloqueado, false);
+  });
+
+  test("store MySQL incrementa de forma atômica", async () => {
+    const { default: pool } = await import("../db.js");
+    db.responder((sql) => {
+      if (/SELECT contador, janela_fim FROM limites_taxa/.test(sql)) {
+        return [[{ contador: 2, janela_fim: new Date(Date.now() + 1000) }], []];
+      }
+    });
+    limite.definirStore(limite.criarStoreMysql(pool));
+    const r = await limite.consumir("t:ip:3", { janelaMs: 1000, max: 5 });
+    assert.equal(r.contador, 2);
+    const upsert = db.queries.find((q) => /INSERT INTO limites_taxa/.test(q.sql));
+    assert.match(upsert.sql, /ON DUPLICATE KEY UPDATE/);
+    assert.equal(upsert.params[0], "t:ip:3");
+  });
+
+  test("identificador entra na chave só como hash", () => {
+    const h = limite.hashIdentificador("123.456.789-09");
+    assert.match(h, /^[0-9a-f]{32}$/);
+    assert.ok(!h.includes("123456"));
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// Middleware nas rotas de senha/código
+// ─────────────────────────────────────────────────────────────
+describe("rotas protegidas", () => {
+  test("login: 5 senhas erradas bloqueiam o CPF com 429 + Retry-After e auditoria", async () => {
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await post("/api/auth/login", { cpf: "12345678909", senha: "errada" })).status, 401);
+      await aguardarFinish();
+    }
+    // Senha certa também fica barrada enquanto durar o bloqueio (de outro IP)
+    const r = await post("/api/auth/login", { cpf: "123.456.789-09", senha: "certa" }, "198.51.100.7");
+    assert.equal(r.status, 429);
+    assert.equal(r.body.code, "BLOQUEIO_TEMPORARIO");
+    assert.ok(Number(r.retryAfter) > 0);
+
+    const [aud] = auditorias();
+    assert.ok(aud, "bloqueio deve ser auditado");
+    assert.ok(aud.params.includes("limite:auth_login"));
+    assert.ok(aud.params.includes("DENY"));
+    assert.ok(!JSON.stringify(aud.params).includes("12345678909"), "CPF não vai para a auditoria");
+  });
+
+  test("login: sucesso antes do limite zera as falhas do CPF", async () => {
+    for (let i = 0; i < 4; i++) {
+      await post("/api/auth/login", { cpf: "11122233344", senha: "errada" });
+      await aguardarFinish();
+    }
+    assert.equal((await post("/api/auth/login", { cpf: "11122233344", senha: "certa" })).status, 200);
+    await aguardarFinish();
+    for (let i = 0; i < 4; i++) {
+      assert.equal((await post("/api/auth/login", { cpf: "11122233344", senha: "errada" })).status, 401);
+      await aguardarFinish();
+    }
+  });
+
+  test("app-pais/solicitar-codigo: 5 envios por CPF na janela", async () => {
+    const status = [];
+    for (let i = 0; i < 6; i++) status.push((await post("/api/app-pais/solicitar-codigo", { cpf: "99988877766" })).status);
+    assert.deepEqual(status, [200, 200, 200, 200, 200, 429]);
+    const r = await post("/api/app-pais/solicitar-codigo", { cpf: "99988877766" });
+    assert.equal(r.body.code, "RATE_LIMIT");
+    // Outro CPF no mesmo IP segue liberado
+    assert.equal((await post("/api/app-pais/solicitar-codigo", { cpf: "55566677788" })).status, 200);
+  });
+
+  test("app-pais/verificar-codigo: bloqueio por CPF após códigos errados", async () => {
+    for (let i = 0; i < 5; i++) {
+      await post("/api/app-pais/verificar-codigo", { cpf: "44455566677", codigo: String(100000 + i) });
+      await aguardarFinish();
+    }
+    const r = await post("/api/app-pais/verificar-codigo", { cpf: "44455566677", codigo: "123456" });
+    assert.equal(r.status, 429);
+    assert.equal(r.body.code, "BLOQUEIO_TEMPORARIO");
+  });
+
+  test("convites: varrer tokens do mesmo IP bloqueia pelo IP", async () => {
+    for (let i = 0; i < 30; i++) {
+      await post(`/api/convites-ativacao/token${i}/ativar`, {});
+      await aguardarFinish();
+    }
+    const r = await post("/api/convites-ativacao/outro/ativar", {});
+    assert.equal(r.status, 429);
+    assert.equal(r.body.code, "BLOQUEIO_TEMPORARIO");
+  });
+
+  test("IP vem do último salto do X-Forwarded-For (valor forjado à esquerda não conta)", () => {
+    const req = { headers: { "x-forwarded-for": "1.1.1.1, 203.0.113.9" }, socket: {} };
+    assert.equal(mw.ipDoCliente(req), "203.0.113.9");
+  });
+});
@@ -0,0 +1,262 @@
+// test/logger.test.js
+// -----------------------------------------------------------------------------
+// Log estruturado (services/logger.js + middleware/correlacao.js): redação de
+// dados pessoais, níveis por módulo, contexto do request (request_id, escola,
+// usuário, rota) e propagação do X-Request-Id para chamadas externas e jobs.
+// -----------------------------------------------------------------------------
+import { after, afterEach, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+
+import {
+  cabecalhosCorrelacao,
+  comCorrelacao,
+  criarLogger,
+  definirNivel,
+  executarComContexto,
+  instalarConsoleEstruturado,
+  moduloDoPrefixo,
+  niveisLog,
+  redigir,
+  restaurarConsole,
+} from "../services/logger.js";
+import { correlacionarRequisicao } from "../middleware/correlacao.js";
+
+// Captura as linhas JSON do logger; o resto (saída do runner) passa direto.
+let linhas = [];
+const originais = { out: process.stdout.write, err: process.stderr.write };
+
+function interceptar(stream, original) {
+  stream.write = function (chunk, ...resto) {
+    const texto = String(chunk);
+    try {
+      const obj = JSON.parse(texto);
+      if (obj && obj.modulo && obj.level) {
+        linhas.push(obj);
+        return true;
+      }
+    } catch {
+      // não é linha do logger
+    }
+    return original.call(stream, chunk, ...resto);
+  };
+}
+
+before(() => {
+  interceptar(process.stdout, originais.out);
+  interceptar(process.stderr, originais.err);
+});
+
+after(() => {
+  process.stdout.write = originais.out;
+  process.stderr.write = originais.err;
+  restaurarConsole();
+});
+
+afterEach(() => {
+  linhas = [];
+});
+
+describe("redigir", () => {
+  test("mascara chaves sensíveis e pessoais em objetos aninhados", () => {
+    const r = redigir({
+      usuario: { id: 7, cpf: "12345678901", email: "a@b.com", senha: "x" },
+      headers: { authorization: "Bearer abc" },
+      refresh_token: "r",
+      turma_id: 3,
+      vazio: "",
+    });
+    assert.deepEqual(r, {
+      usuario: { id: 7, cpf: "[redigido]", email: "[redigido]", senha: "[redigido]" },
+      headers: { authorization: "[redigido]" },
+      refresh_token: "[redigido]",
+      turma_id: 3,
+      vazio: "",
+    });
+  });
+
+  test("mascara CPF, e-mail, telefone e tokens dentro de texto livre", () => {
+    const jwt = "eyJhbGciOiJIUzI1NiJ9.eyJpZCI6MX0.c2lnbmF0dXJh";
+    const texto = redigir(
+      `cpf 123.456.789-09, mail mae.ana@familia.com, tel (61) 98888-7777, ${jwt}, Bearer abc.def`
+    );
+    assert.equal(texto, "cpf [cpf], mail [email], tel [telefone], [token], Bearer [token]");
+  });
+
+  test("IDs, timestamps e códigos numéricos não são mascarados; CPF/telefone sem máscara só por campo", () => {
+    const texto = redigir("job 12345678901 em 1760000000 (aluno 2026000123), lote 9876543210");
+    assert.equal(texto, "job 12345678901 em 1760000000 (aluno 2026000123), lote 9876543210");
+    assert.deepEqual(redigir({ aluno_id: 12345678901, criado_em_ms: 1760000000000, responsavel_cpf: "12345678901", whatsapp: "61988887777" }), {
+      aluno_id: 12345678901,
+      criado_em_ms: 1760000000000,
+      responsavel_cpf: "[redigido]",
+      whatsapp: "[redigido]",
+    });
+  });
+
+  test("Error vira { nome, mensagem, code } redigido", () => {
+    const err = Object.assign(new Error("falha para joao@x.com"), { code: "E1" });
+    assert.deepEqual(redigir({ err }), { err: { nome: "Error", mensagem: "falha para [email]", code: "E1" } });
+  });
+});
+
+describe("níveis", () => {
+  afterEach(() => {
+    definirNivel("teste", null);
+  });
+
+  test("debug só sai quando o módulo é rebaixado em runtime", () => {
+    const log = criarLogger("teste");
+    log.debug("oculto");
+    assert.equal(linhas.length, 0);
+
+    assert.deepEqual(definirNivel("TESTE", "debug").modulos.teste, "debug");
+    log.debug("visível", { n: 1 });
+    assert.equal(linhas.length, 1);
+    assert.equal(linhas[0].level, "debug");
+    assert.equal(linhas[0].modulo, "teste");
+    assert.equal(linhas[0].msg, "visível");
+    assert.equal(linhas[0].n, 1);
+    assert.ok(!Number.isNaN(Date.parse(linhas[0].ts)));
+
+    definirNivel("teste", null);
+    assert.equal(niveisLog().modulos.teste, undefined);
+    log.debug("oculto de novo");
+    assert.equal(linhas.length, 1);
+  });
+
+  test("módulo em warn silencia info", () => {
+    definirNivel("teste", "warn");
+    const log = criarLogger("teste");
+    log.info("silenciado");
+    log.error("erro");
+    assert.deepEqual(linhas.map((l) => l.level), ["error"]);
+  });
+
+  test("valores inválidos → erro 400", () => {
+    assert.throws(() => definirNivel("teste", "verboso"), { status: 400 });
+    assert.throws(() => definirNivel("", "info"), { status: 400 });
+    assert.throws(() => definirNivel("*", null), { status: 400 });
+  });
+});
+
+describe("console legado", () => {
+  test("prefixo [TAG] vira módulo e [... DEBUG] vira nível debug", () => {
+    assert.deepEqual(moduloDoPrefixo("[RBAC DEBUG] perfil"), { modulo: "rbac", debug: true });
+    assert.deepEqual(moduloDoPrefixo("[AUTH/login] ok"), { modulo: "auth", debug: false });
+    assert.deepEqual(moduloDoPrefixo("sem tag"), { modulo: "app", debug: false });
+  });
+
+  test("console.* passa pelo logger com redação e nível", () => {
+    instalarConsoleEstruturado();
+    try {
+      console.log("[RBAC DEBUG] perms:", ["alunos:ver"]);
+      console.warn("[JOBS] falhou para", { cpf: "12345678901", id: 3 });
+    } finally {
+      restaurarConsole();
+    }
+    assert.equal(linhas.length, 1);
+    assert.equal(linhas[0].level, "warn");
+    assert.equal(linhas[0].modulo, "jobs");
+    assert.match(linhas[0].msg, /cpf: '\[redigido\]'/);
+    assert.doesNotMatch(linhas[0].msg, /12345678901/);
+  });
+});
+
+describe("correlação", () => {
+  let servidor;
+  let baseUrl;
+  let saidas = [];
+
+  before(async () => {
+    const fetchFalso = async (url, init) => {
+      saidas.push({ url, headers: init.headers });
+      return { ok: true };
+    };
+    const fetchOmr = comCorrelacao(fetchFalso);
+    const log = criarLogger("teste");
+
+    const app = express();
+    app.use(correlacionarRequisicao);
+    // simula autenticarToken + verificarEscola
+    app.use((req, _res, next) => {
+      req.user = { usuarioId: 42, escola_id: 9 };
+      req.escola_id = 9;
+      next();
+    });
+    app.get("/api/omr/:cpf", async (_req, res) => {
+      await new Promise((r) => setTimeout(r, 5));
+      await fetchOmr("http://omr.local/health", { headers: { Accept: "application/json" } });
+      log.warn("chamou o OMR");
+      res.json({ ok: true });
+    });
+
+    await new Promise((resolve) => {
+      servidor = app.listen(0, "127.0.0.1", resolve);
+    });
+    baseUrl = `http://127.0.0.1:${servidor.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => servidor.close(resolve)));
+
+  afterEach(() => {
+    saidas = [];
+  });
+
+  test("request_id do cliente chega ao log, à resposta e à chamada externa", async () => {
+    const resp = await fetch(`${baseUrl}/api/omr/12345678901`, { headers: { "X-Request-Id": "req-cliente-0001" } });
+    assert.equal(resp.status, 200);
+    assert.equal(resp.headers.get("x-request-id"), "req-cliente-0001");
+    await new Promise((r) => setTimeout(r, 20));
+
+    assert.deepEqual(saidas[0].headers, { Accept: "application/json", "X-Request-Id": "req-cliente-0001" });
+
+    const linha = linhas.find((l) => l.msg === "chamou o OMR");
+    assert.equal(linha.request_id, "req-cliente-0001");
+    assert.equal(linha.escola_id, 9);
+    assert.equal(linha.usuario_id, 42);
+    assert.equal(linha.rota, "GET /api/omr/:cpf", "padrão da rota, sem o CPF do caminho");
+
+    const acesso = linhas.find((l) => l.modulo === "http");
+    assert.equal(acesso.request_id, "req-cliente-0001");
+    assert.equal(acesso.status, 200);
+    assert.equal(typeof acesso.duracao_ms, "number");
+  });
+
+  test("request_id inválido é trocado por um UUID", async () => {
+    const resp = await fetch(`${baseUrl}/api/omr/1`, { headers: { "X-Request-Id": "x\"; drop" } });
+    const id = resp.headers.get("x-request-id");
+    assert.match(id, /^[0-9a-f-]{36}$/);
+    assert.equal(saidas[0].headers["X-Request-Id"], id);
+  });
+
+  test("fora de contexto não há header; Headers também é aceito", () => {
+    assert.deepEqual(cabecalhosCorrelacao({ a: "1" }), { a: "1" });
+    executarComContexto({ request_id: "job-77" }, () => {
+      const h = cabecalhosCorrelacao(new Headers({ a: "1" }));
+      assert.equal(h.get("x-request-id"), "job-77");
+    });
+  });
+});
+
+describe("jobs", () => {
+  test("enfileirarJob grava o request_id do contexto", async () => {
+    const { enfileirarJob, registrarHandler } = await import("../services/jobQueue.js");
+    registrarHandler("teste_logger", async () => null);
+
+    const queries = [];
+    const db = {
+      async query(sql, params) {
+        queries.push({ sql, params });
+        return [{ insertId: 5 }];
+      },
+    };
+
+    await executarComContexto({ request_id: "req-job-0001" }, () =>
+      enfileirarJob(db, { tipo: "teste_logger", escolaId: 9, usuarioId: 42 })
+    );
+    const insert = queries.find((q) => /INSERT INTO jobs/.test(q.sql));
+    assert.match(insert.sql, /chave, request_id, payload/);
+    assert.equal(insert.params[4], "req-job-0001");
+  });
+});
@@ -0,0 +1,195 @@
+// test/metricas.test.js
+// -----------------------------------------------------------------------------
+// Métricas Prometheus (services/metricas.js, middleware/metricasHttp.js e
+// GET /metrics em routes/metricas.js).
+// -----------------------------------------------------------------------------
+import { after, afterEach, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+
+import {
+  contador,
+  exportarMetricas,
+  histograma,
+  instrumentarFetch,
+  medidor,
+  medirDependencia,
+  registrarUsoOpenAI,
+  zerarMetricas,
+} from "../services/metricas.js";
+import { medirRequisicao } from "../middleware/metricasHttp.js";
+import metricasRouter from "../routes/metricas.js";
+
+// Linha exata da série (nome + rótulos) → valor numérico
+function valor(texto, serie) {
+  const linha = texto.split("\n").find((l) => l.startsWith(`${serie} `));
+  return linha ? Number(linha.slice(serie.length + 1)) : undefined;
+}
+
+beforeEach(() => zerarMetricas());
+
+describe("registro e formato texto", () => {
+  test("contador com rótulos escapados e HELP/TYPE", () => {
+    const c = contador("teste_eventos_total", "Eventos de teste.", ["origem"]);
+    c.inc({ origem: 'a"b' });
+    c.inc({ origem: 'a"b' }, 2);
+
+    const texto = exportarMetricas();
+    assert.match(texto, /# HELP educa_teste_eventos_total Eventos de teste\./);
+    assert.match(texto, /# TYPE educa_teste_eventos_total counter/);
+    assert.equal(valor(texto, 'educa_teste_eventos_total{origem="a\\"b"}'), 3);
+  });
+
+  test("histograma acumula buckets, soma e contagem", () => {
+    const h = histograma("teste_duracao_segundos", "Duração.", ["op"], [0.1, 1]);
+    h.observar({ op: "x" }, 0.05);
+    h.observar({ op: "x" }, 0.5);
+    h.observar({ op: "x" }, 3);
+
+    const texto = exportarMetricas();
+    assert.equal(valor(texto, 'educa_teste_duracao_segundos_bucket{op="x",le="0.1"}'), 1);
+    assert.equal(valor(texto, 'educa_teste_duracao_segundos_bucket{op="x",le="1"}'), 2);
+    assert.equal(valor(texto, 'educa_teste_duracao_segundos_bucket{op="x",le="+Inf"}'), 3);
+    assert.equal(valor(texto, 'educa_teste_duracao_segundos_sum{op="x"}'), 3.55);
+    assert.equal(valor(texto, 'educa_teste_duracao_segundos_count{op="x"}'), 3);
+  });
+
+  test("medidor com coleta lê o estado na hora do scrape", () => {
+    const conexoes = new Map([[1, 2], [7, 1]]);
+    medidor("teste_conexoes", "Conexões.", ["escola_id"], () =>
+      [...conexoes].map(([escola_id, n]) => [{ escola_id }, n])
+    );
+    conexoes.set(7, 4);
+
+    const texto = exportarMetricas();
+    assert.equal(valor(texto, 'educa_teste_conexoes{escola_id="1"}'), 2);
+    assert.equal(valor(texto, 'educa_teste_conexoes{escola_id="7"}'), 4);
+  });
+
+  test("mesmo nome com outro tipo é erro", () => {
+    contador("teste_tipo_total", "x");
+    assert.throws(() => histograma("teste_tipo_total", "x"), /já registrada como counter/);
+  });
+});
+
+describe("dependências externas", () => {
+  test("instrumentarFetch separa ok, erro_http e falha e ignora URLs sem rótulo", async () => {
+    const respostas = { "/health": { ok: true }, "/corrigir": { ok: false } };
+    const chamadas = [];
+    const fetchFalso = async (url) => {
+      chamadas.push(url);
+      const caminho = new URL(url).pathname;
+      if (caminho === "/cair") throw new Error("ECONNREFUSED");
+      return respostas[caminho] || { ok: true };
+    };
+    const fetchOmr = instrumentarFetch(fetchFalso, {
+      servico: "omr",
+      endpoint: (url) => (url.startsWith("http://omr.local") ? new URL(url).pathname : null),
+    });
+
+    await fetchOmr("http://omr.local/health");
+    await fetchOmr("http://omr.local/corrigir");
+    await assert.rejects(fetchOmr("http://omr.local/cair"), /ECONNREFUSED/);
+    await fetchOmr("https://spaces.local/uploads/foto.jpg");
+    assert.equal(chamadas.length, 4);
+
+    const texto = exportarMetricas();
+    const s = (endpoint, resultado) =>
+      valor(texto, `educa_dependencia_chamadas_total{servico="omr",endpoint="${endpoint}",resultado="${resultado}"}`);
+    assert.equal(s("/health", "ok"), 1);
+    assert.equal(s("/corrigir", "erro_http"), 1);
+    assert.equal(s("/cair", "falha"), 1);
+    assert.doesNotMatch(texto, /spaces\.local|foto\.jpg/);
+    assert.equal(valor(texto, 'educa_dependencia_duracao_segundos_count{servico="omr",endpoint="/health"}'), 1);
+  });
+
+  test("medirDependencia + registrarUsoOpenAI: latência, tokens e custo por escola", async () => {
+    const r = await medirDependencia("openai", "chat.completions", async () => ({
+      usage: { prompt_tokens: 1000, completion_tokens: 2000 },
+    }));
+    registrarUsoOpenAI({ modelo: "gpt-3.5-turbo", usage: r.usage, escolaId: 9 });
+    registrarUsoOpenAI({ modelo: "modelo-sem-preco", usage: r.usage, escolaId: 9 });
+
+    const texto = exportarMetricas();
+    assert.equal(
+      valor(texto, 'educa_dependencia_chamadas_total{servico="openai",endpoint="chat.completions",resultado="ok"}'),
+      1
+    );
+    assert.equal(valor(texto, 'educa_openai_tokens_total{modelo="gpt-3.5-turbo",tipo="entrada",escola_id="9"}'), 1000);
+    assert.equal(valor(texto, 'educa_openai_tokens_total{modelo="gpt-3.5-turbo",tipo="saida",escola_id="9"}'), 2000);
+    // 1k × 0.0005 + 2k × 0.0015
+    assert.equal(valor(texto, 'educa_openai_custo_estimado_usd_total{modelo="gpt-3.5-turbo",escola_id="9"}'), 0.0035);
+    assert.equal(valor(texto, 'educa_openai_custo_estimado_usd_total{modelo="modelo-sem-preco",escola_id="9"}'), undefined);
+  });
+});
+
+describe("HTTP e GET /metrics", () => {
+  let servidor;
+  let baseUrl;
+  const envOriginal = { token: process.env.METRICS_TOKEN, nodeEnv: process.env.NODE_ENV };
+
+  before(async () => {
+    const app = express();
+    app.use(medirRequisicao);
+    app.use("/metrics", metricasRouter);
+
+    const alunos = express.Router();
+    alunos.use((req, _res, next) => {
+      req.escola_id = 9;
+      next();
+    });
+    alunos.get("/:id", (req, res) => res.status(req.params.id === "0" ? 404 : 200).json({ ok: true }));
+    app.use("/api/alunos", alunos);
+
+    await new Promise((resolve) => {
+      servidor = app.listen(0, "127.0.0.1", resolve);
+    });
+    baseUrl = `http://127.0.0.1:${servidor.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => servidor.close(resolve)));
+
+  afterEach(() => {
+    for (const [chave, env] of [["METRICS_TOKEN", envOriginal.token], ["NODE_ENV", envOriginal.nodeEnv]]) {
+      if (env === undefined) delete process.env[chave];
+      else process.env[chave] = env;
+    }
+  });
+
+  test("rota entra como template, com status e volume por escola", async () => {
+    process.env.METRICS_TOKEN = "segredo-metricas";
+    await fetch(`${baseUrl}/api/alunos/15`);
+    await fetch(`${baseUrl}/api/alunos/16`);
+    await fetch(`${baseUrl}/api/alunos/0`);
+    await fetch(`${baseUrl}/nao-existe`);
+
+    const resp = await fetch(`${baseUrl}/metrics`, { headers: { Authorization: "Bearer segredo-metricas" } });
+    assert.equal(resp.status, 200);
+    assert.match(resp.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+    const texto = await resp.text();
+
+    const req = (rota, status) =>
+      valor(texto, `educa_http_requisicoes_total{metodo="GET",rota="${rota}",status="${status}"}`);
+    assert.equal(req("/api/alunos/:id", 200), 2);
+    assert.equal(req("/api/alunos/:id", 404), 1);
+    assert.equal(req("sem_rota", 404), 1);
+    assert.doesNotMatch(texto, /\/api\/alunos\/15/);
+    assert.equal(valor(texto, 'educa_http_requisicao_duracao_segundos_count{metodo="GET",rota="/api/alunos/:id"}'), 3);
+    assert.equal(valor(texto, 'educa_http_requisicoes_escola_total{escola_id="9",classe="2xx"}'), 2);
+    assert.equal(valor(texto, 'educa_http_requisicoes_escola_total{escola_id="9",classe="4xx"}'), 1);
+  });
+
+  test("token errado → 401; produção sem METRICS_TOKEN → 404", async () => {
+    process.env.METRICS_TOKEN = "segredo-metricas";
+    const errado = await fetch(`${baseUrl}/metrics`, { headers: { Authorization: "Bearer outro" } });
+    assert.equal(errado.status, 401);
+    assert.equal((await fetch(`${baseUrl}/metrics`)).status, 401);
+
+    delete process.env.METRICS_TOKEN;
+    process.env.NODE_ENV = "production";
+    assert.equal((await fetch(`${baseUrl}/metrics`)).status, 404);
+
+    process.env.NODE_ENV = "development";
+    assert.equal((await fetch(`${baseUrl}/metrics`)).status, 200);
+  });
+});
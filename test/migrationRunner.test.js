@@ -0,0 +1,132 @@
+// test/migrationRunner.test.js
+// -----------------------------------------------------------------------------
+// Migrações versionadas (services/migrationRunner.js): aplicação em ordem com
+// registro do checksum, drift (arquivo editado / apagado depois de aplicado)
+// e a política de boot por MIGRATIONS_MODE (apply / strict / warn / off).
+// -----------------------------------------------------------------------------
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import {
+  aplicarMigracoes,
+  listarMigracoes,
+  statusMigracoes,
+  verificarMigracoes,
+  verificarMigracoesNoBoot,
+} from "../services/migrationRunner.js";
+
+// Banco falso que só guarda schema_migrations e registra o que as migrações rodam
+function bancoMigracoes(registradas = []) {
+  const estado = { registradas: registradas.map((r) => ({ ...r })), executadas: [] };
+  const query = async (sql, params = []) => {
+    if (/GET_LOCK|RELEASE_LOCK/.test(sql)) return [[{ ok: 1 }], []];
+    if (/CREATE TABLE IF NOT EXISTS schema_migrations/.test(sql)) return [{}, []];
+    if (/FROM schema_migrations/.test(sql)) return [[...estado.registradas].sort((a, b) => a.versao.localeCompare(b.versao)), []];
+    if (/INSERT INTO schema_migrations/.test(sql)) {
+      const [versao, nome, checksum] = params;
+      estado.registradas.push({ versao, nome, checksum });
+      return [{ affectedRows: 1 }, []];
+    }
+    estado.executadas.push(sql);
+    return [[], []];
+  };
+  const pool = { query, getConnection: async () => ({ query, release: () => {} }) };
+  return { pool, estado };
+}
+
+let dir;
+const escrever = (arquivo, tabela) =>
+  fs.writeFileSync(
+    path.join(dir, arquivo),
+    `export const descricao = "${tabela}";\nexport async function up(db) {\n  await db.query("CREATE TABLE ${tabela} (id INT)");\n}\n`
+  );
+const semLog = () => {};
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "migracoes-"));
+  escrever("0001_primeira.js", "t1");
+  escrever("0002_segunda.js", "t2");
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe("migrationRunner", () => {
+  test("aplica as pendentes em ordem e registra o checksum", async () => {
+    const { pool, estado } = bancoMigracoes();
+    const aplicadas = await aplicarMigracoes(pool, { dir, log: semLog });
+    assert.deepEqual(aplicadas, ["0001", "0002"]);
+    assert.deepEqual(estado.executadas, ["CREATE TABLE t1 (id INT)", "CREATE TABLE t2 (id INT)"]);
+
+    const checksums = listarMigracoes(dir).map((m) => m.checksum);
+    assert.deepEqual(estado.registradas.map((r) => r.checksum), checksums);
+    assert.deepEqual(await aplicarMigracoes(pool, { dir, log: semLog }), [], "segunda execução não reaplica");
+  });
+
+  test("drift: arquivo editado ou apagado depois de aplicado", async () => {
+    const [m1, m2] = listarMigracoes(dir);
+    const { pool } = bancoMigracoes([
+      { versao: m1.versao, nome: m1.nome, checksum: "0".repeat(64) },
+      { versao: m2.versao, nome: m2.nome, checksum: m2.checksum },
+      { versao: "0003", nome: "apagada", checksum: "f".repeat(64) },
+    ]);
+    const v = await verificarMigracoes(pool, { dir });
+    assert.equal(v.ok, false);
+    assert.deepEqual(v.divergentes.map((d) => d.versao), ["0001"]);
+    assert.deepEqual(v.ausentes.map((a) => a.versao), ["0003"]);
+    assert.equal(v.pendentes.length, 0);
+  });
+
+  test("CRLF do Windows não conta como drift", async () => {
+    const [m1] = listarMigracoes(dir);
+    const original = fs.readFileSync(m1.caminho, "utf8");
+    fs.writeFileSync(m1.caminho, original.replace(/\n/g, "\r\n"));
+    try {
+      assert.equal(listarMigracoes(dir)[0].checksum, m1.checksum);
+    } finally {
+      fs.writeFileSync(m1.caminho, original);
+    }
+  });
+
+  test("boot: apply é o padrão fora de produção e deixa o schema em dia", async () => {
+    const { pool, estado } = bancoMigracoes();
+    const r = await verificarMigracoesNoBoot(pool, { dir, env: { NODE_ENV: "development" }, log: semLog });
+    assert.equal(r.modo, "apply");
+    assert.equal(r.pendentes.length, 0);
+    assert.equal(estado.registradas.length, 2);
+  });
+
+  test("boot: strict (padrão em produção) não sobe com pendente ou drift", async () => {
+    await assert.rejects(
+      verificarMigracoesNoBoot(bancoMigracoes().pool, { dir, env: { NODE_ENV: "production" }, log: semLog }),
+      /pendente 0001_primeira/
+    );
+
+    const [m1, m2] = listarMigracoes(dir);
+    const editada = bancoMigracoes([
+      { versao: m1.versao, nome: m1.nome, checksum: "0".repeat(64) },
+      { versao: m2.versao, nome: m2.nome, checksum: m2.checksum },
+    ]);
+    await assert.rejects(
+      verificarMigracoesNoBoot(editada.pool, { dir, env: { MIGRATIONS_MODE: "strict" }, log: semLog }),
+      /checksum divergente 0001_primeira/
+    );
+  });
+
+  test("boot: warn só avisa; off nem consulta o banco", async () => {
+    const avisos = [];
+    const { pool, estado } = bancoMigracoes();
+    const r = await verificarMigracoesNoBoot(pool, { dir, env: { NODE_ENV: "production", MIGRATIONS_MODE: "warn" }, log: (m) => avisos.push(m) });
+    assert.equal(r.pendentes.length, 2);
+    assert.equal(estado.registradas.length, 0, "warn não aplica");
+    assert.match(avisos.join("\n"), /npm run migrate/);
+
+    let consultou = false;
+    const off = { query: async () => { consultou = true; return [[], []]; } };
+    const r2 = await verificarMigracoesNoBoot(off, { dir, env: { MIGRATIONS_MODE: "off" }, log: semLog });
+    assert.equal(r2.modo, "off");
+    assert.equal(consultou, false);
+  });
+});
@@ -0,0 +1,425 @@
+// test/notificacoes.test.js
+// -----------------------------------------------------------------------------
+// Outbox de notificações (services/notificacoes.js + canaisNotificacao.js):
+// escolha de canais e dedup no enfileiramento, dispatcher (tickets, token
+// inválido, backoff, erro permanente), recibos do Expo, status por responsável
+// e preferências do responsável (services/preferenciasNotificacao.js).
+// -----------------------------------------------------------------------------
+import { afterEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { definirCanal, smsStub, telefoneE164 } from "../services/canaisNotificacao.js";
+import {
+  conferirRecibos,
+  mascararDestino,
+  montarResumo,
+  notificarResponsaveis,
+  preencherTexto,
+  processarFila,
+  processarResumos,
+  statusPorResponsavel,
+} from "../services/notificacoes.js";
+import { salvarPreferencias, segundosAteFimDoSilencio } from "../services/preferenciasNotificacao.js";
+import { criarDb } from "./helpers/fakeDb.js";
+
+const TOKEN_A = "ExponentPushToken[aaaaaaaaaaaaaaaaaaaaaa]";
+const TOKEN_B = "ExponentPushToken[bbbbbbbbbbbbbbbbbbbbbb]";
+
+// Linhas do INSERT IGNORE em notificacoes_envios (VALUES ? → [[...], ...])
+const COLUNAS = ["escola_id", "responsavel_id", "aluno_id", "evento", "referencia_id", "canal", "destino",
+  "titulo", "mensagem", "payload", "dedup_chave", "max_tentativas", "request_id"];
+function enviosInseridos(db) {
+  return db.queries
+    .filter((q) => /INSERT IGNORE INTO notificacoes_envios/.test(q.sql))
+    .flatMap((q) => q.params[0].map((l) => Object.fromEntries(COLUNAS.map((c, i) => [c, l[i]]))));
+}
+
+function bancoDeResponsaveis(vinculos, devices, { preferencias = [], config = [] } = {}) {
+  return criarDb((sql, params) => {
+    if (/FROM responsaveis_alunos/.test(sql)) return [vinculos, []];
+    if (/FROM mobile_devices/.test(sql)) return [devices, []];
+    if (/FROM notificacoes_preferencias/.test(sql)) return [preferencias, []];
+    if (/FROM notificacoes_config_responsavel/.test(sql)) return [config, []];
+    if (/INSERT IGNORE INTO notificacoes_resumo_itens/.test(sql)) return [{ affectedRows: 1 }, []];
+    if (/INSERT IGNORE INTO notificacoes_envios/.test(sql)) return [{ affectedRows: params[0].length }, []];
+    if (/INSERT INTO notificacoes_mobile/.test(sql)) return [{ insertId: 1, affectedRows: 1 }, []];
+    return undefined;
+  });
+}
+
+afterEach(() => {
+  for (const c of ["push", "email", "sms"]) definirCanal(c, null);
+  smsStub.enviados.length = 0;
+});
+
+describe("enfileiramento", () => {
+  test("canais do evento, SMS só como fallback e token inválido ignorado", async () => {
+    const db = bancoDeResponsaveis(
+      [
+        { aluno_id: 10, aluno_nome: "Ana Souza", aluno_codigo: "A1", responsavel_id: 1, email: "mae@familia.com", telefone_celular: "61988887777" },
+        { aluno_id: 10, aluno_nome: "Ana Souza", aluno_codigo: "A1", responsavel_id: 2, email: null, telefone_celular: "(61) 97777-6666" },
+        { aluno_id: 10, aluno_nome: "Ana Souza", aluno_codigo: "A1", responsavel_id: 3, email: "", telefone_celular: null },
+      ],
+      [
+        { responsavel_id: 1, device_token: TOKEN_A },
+        { responsavel_id: 1, device_token: "token-velho-fcm" },
+      ]
+    );
+
+    const r = await notificarResponsaveis(db, {
+      evento: "OCORRENCIA",
+      escolaId: 9,
+      alunoIds: [10],
+      referenciaId: 55,
+      titulo: "Nova ocorrência",
+      mensagem: "Ocorrência para {aluno} em {data}.",
+      dados: { data: "18/10/2026" },
+    });
+
+    const envios = enviosInseridos(db);
+    assert.deepEqual(
+      envios.map((e) => [e.responsavel_id, e.canal, e.destino]),
+      [
+        [1, "push", TOKEN_A],
+        [1, "email", "mae@familia.com"],
+        [2, "sms", "(61) 97777-6666"],
+      ]
+    );
+    assert.equal(envios[0].mensagem, "Ocorrência para Ana em 18/10/2026.");
+    assert.equal(JSON.parse(envios[0].payload).referencia_id, 55);
+    assert.deepEqual(r, { responsaveis: 3, enfileirados: 3, resumo: 0 });
+
+    // caixa do app: também para o responsável 3, que não tem destino nenhum
+    const caixa = db.queries.filter((q) => /INSERT INTO notificacoes_mobile/.test(q.sql));
+    assert.deepEqual(caixa.map((q) => q.params[0]), [1, 2, 3]);
+  });
+
+  test("dedup: mesma chave para o mesmo evento; comunicado sai uma vez por responsável", async () => {
+    const vinculos = [
+      { aluno_id: 10, aluno_nome: "Ana", responsavel_id: 1, email: null, telefone_celular: null },
+      { aluno_id: 11, aluno_nome: "Bia", responsavel_id: 1, email: null, telefone_celular: null },
+    ];
+    const devices = [{ responsavel_id: 1, device_token: TOKEN_A }, { responsavel_id: 1, device_token: TOKEN_B }];
+    const ev = { evento: "COMUNICADO", escolaId: 9, referenciaId: 7, titulo: "Comunicado", mensagem: "Reunião sexta." };
+
+    const db1 = bancoDeResponsaveis(vinculos, devices);
+    await notificarResponsaveis(db1, ev);
+    const db2 = bancoDeResponsaveis(vinculos, devices);
+    await notificarResponsaveis(db2, ev);
+
+    const chaves1 = enviosInseridos(db1).map((e) => e.dedup_chave);
+    assert.equal(chaves1.length, 2); // um por device, não por filho
+    assert.equal(new Set(chaves1).size, 2);
+    assert.deepEqual(enviosInseridos(db2).map((e) => e.dedup_chave), chaves1);
+    assert.ok(enviosInseridos(db1).every((e) => e.aluno_id === null));
+  });
+
+  test("lista de alunos vazia não vira a escola inteira", async () => {
+    const db = bancoDeResponsaveis([{ aluno_id: 1, responsavel_id: 1 }], []);
+    const r = await notificarResponsaveis(db, { evento: "OCORRENCIA", escolaId: 9, alunoIds: [], titulo: "x", mensagem: "y" });
+    assert.deepEqual(r, { responsaveis: 0, enfileirados: 0, resumo: 0 });
+    assert.equal(db.queries.length, 0);
+  });
+
+  test("evento desconhecido é erro", async () => {
+    await assert.rejects(notificarResponsaveis(criarDb(), { evento: "X", escolaId: 1 }), /desconhecido/);
+  });
+
+  test("texto e máscaras", () => {
+    assert.equal(preencherTexto("{aluno} às {hora}{nada}", { aluno_nome: "  João Pedro ", hora: "07:10" }), "João às 07:10");
+    assert.equal(mascararDestino("email", "maria@escola.df.gov.br"), "ma***@escola.df.gov.br");
+    assert.equal(mascararDestino("sms", "+5561988887777"), "***7777");
+    assert.equal(mascararDestino("push", TOKEN_A), "…aaaaaaa]");
+    assert.equal(telefoneE164("(61) 98888-7777"), "+5561988887777");
+    assert.equal(telefoneE164("5561988887777"), "+5561988887777");
+    assert.equal(telefoneE164("123"), null);
+  });
+});
+
+describe("dispatcher", () => {
+  function bancoDaFila(pendentes) {
+    return criarDb((sql) => {
+      if (/FROM notificacoes_envios\s+WHERE status = 'pendente'/.test(sql)) return [pendentes, []];
+      if (/^\s*UPDATE/.test(sql)) return [{ affectedRows: 1 }, []];
+      return undefined;
+    });
+  }
+  const envio = (id, canal, destino, extra = {}) => ({
+    id, canal, destino, evento: "OCORRENCIA", titulo: "t", mensagem: "m", payload: "{}",
+    tentativas: 0, max_tentativas: 5, ...extra,
+  });
+  const updatesDo = (db, id) =>
+    db.queries.filter((q) => /UPDATE notificacoes_envios/.test(q.sql) && q.params.at(-1) === id);
+
+  test("ticket ok, DeviceNotRegistered, erro transitório e permanente", async () => {
+    const enviadosPush = [];
+    definirCanal("push", {
+      validarDestino: () => true,
+      async enviar(msgs) {
+        enviadosPush.push(...msgs);
+        return [
+          { ok: true, provedorId: "ticket-1" },
+          { ok: false, erro: "DeviceNotRegistered: gone", tokenInvalido: true, permanente: true },
+        ];
+      },
+    });
+    definirCanal("email", {
+      validarDestino: () => true,
+      async enviar() {
+        throw new Error("ETIMEDOUT");
+      },
+    });
+    definirCanal("sms", {
+      validarDestino: () => true,
+      async enviar() {
+        throw Object.assign(new Error("TWILIO_ERROR:400:número inválido"), { permanente: true });
+      },
+    });
+
+    const db = bancoDaFila([
+      envio(1, "push", TOKEN_A),
+      envio(2, "push", TOKEN_B),
+      envio(3, "email", "mae@familia.com"),
+      envio(4, "sms", "61988887777"),
+    ]);
+    assert.equal(await processarFila(db), 4);
+
+    assert.deepEqual(enviadosPush.map((m) => m.destino), [TOKEN_A, TOKEN_B]);
+    assert.match(db.queries.find((q) => /SET status = 'enviando'/.test(q.sql)).sql, /tentativas \+ 1/);
+
+    assert.match(updatesDo(db, 1)[0].sql, /status = 'enviado', provedor_id = \?/);
+    assert.equal(updatesDo(db, 1)[0].params[0], "ticket-1");
+
+    assert.match(updatesDo(db, 2)[0].sql, /status = 'descartado'/);
+    const desativar = db.queries.find((q) => /UPDATE mobile_devices SET ativo = 0/.test(q.sql));
+    assert.deepEqual(desativar.params, [TOKEN_B]);
+
+    const retentar = updatesDo(db, 3)[0];
+    assert.match(retentar.sql, /status = 'pendente'.*INTERVAL \? SECOND/s);
+    assert.equal(retentar.params[1], 60); // 1ª tentativa → base de 60 s
+
+    assert.match(updatesDo(db, 4)[0].sql, /status = 'falhou'/);
+  });
+
+  test("última tentativa com erro transitório → falhou", async () => {
+    definirCanal("email", { validarDestino: () => true, enviar: async () => Promise.reject(new Error("ECONNRESET")) });
+    const db = bancoDaFila([envio(5, "email", "a@b.com", { tentativas: 4 })]);
+    await processarFila(db);
+    assert.match(updatesDo(db, 5)[0].sql, /status = 'falhou'/);
+  });
+
+  test("SMS stub registra em memória", async () => {
+    process.env.SMS_PROVIDER = "stub";
+    try {
+      const db = bancoDaFila([envio(6, "sms", "(61) 98888-7777", { mensagem: "Olá" })]);
+      await processarFila(db);
+      assert.equal(smsStub.enviados.length, 1);
+      assert.equal(smsStub.enviados[0].destino, "+5561988887777");
+      assert.match(updatesDo(db, 6)[0].sql, /status = 'enviado'/);
+    } finally {
+      delete process.env.SMS_PROVIDER;
+    }
+  });
+
+  test("recibos: ok → entregue, DeviceNotRegistered → descartado, ausente fica", async () => {
+    definirCanal("push", {
+      validarDestino: () => true,
+      async recibos(ids) {
+        assert.deepEqual(ids, ["t1", "t2", "t3"]);
+        return { t1: { ok: true }, t2: { ok: false, erro: "DeviceNotRegistered", tokenInvalido: true, permanente: true } };
+      },
+    });
+    const db = criarDb((sql) => {
+      if (/SELECT id, canal, evento, destino, provedor_id/.test(sql)) {
+        return [[
+          { id: 1, canal: "push", evento: "COMUNICADO", destino: TOKEN_A, provedor_id: "t1", tentativas: 1, max_tentativas: 5 },
+          { id: 2, canal: "push", evento: "COMUNICADO", destino: TOKEN_B, provedor_id: "t2", tentativas: 1, max_tentativas: 5 },
+          { id: 3, canal: "push", evento: "COMUNICADO", destino: TOKEN_B, provedor_id: "t3", tentativas: 1, max_tentativas: 5 },
+        ], []];
+      }
+      return [{ affectedRows: 1 }, []];
+    });
+
+    assert.equal(await conferirRecibos(db), 2);
+    assert.match(updatesDo(db, 1)[0].sql, /status = 'entregue', recibo_em = NOW\(\)/);
+    assert.match(updatesDo(db, 2)[0].sql, /status = 'descartado'/);
+    assert.equal(updatesDo(db, 3).length, 0);
+  });
+});
+
+describe("status por responsável", () => {
+  test("agrupa canais e consolida o melhor status, com destino mascarado", async () => {
+    const base = { escola_id: 9, evento: "OCORRENCIA", referencia_id: 55, aluno_id: 10, titulo: "t", tentativas: 1, max_tentativas: 5 };
+    const db = criarDb((sql, params) => {
+      assert.deepEqual(params, [9, "OCORRENCIA", 55]);
+      return [[
+        { ...base, id: 1, responsavel_id: 1, responsavel_nome: "Maria", canal: "push", destino: TOKEN_A, status: "entregue" },
+        { ...base, id: 2, responsavel_id: 1, responsavel_nome: "Maria", canal: "email", destino: "maria@x.com", status: "falhou", erro: "SMTP" },
+        { ...base, id: 3, responsavel_id: 2, responsavel_nome: "José", canal: "sms", destino: "+5561977776666", status: "pendente" },
+      ], []];
+    });
+
+    const r = await statusPorResponsavel(db, { escolaId: 9, evento: "OCORRENCIA", referenciaId: 55 });
+    assert.deepEqual(r.map((g) => [g.responsavel_nome, g.status, g.canais.length]), [["Maria", "entregue", 2], ["José", "pendente", 1]]);
+    assert.equal(r[0].canais[1].destino, "ma***@x.com");
+    assert.equal(r[1].canais[0].destino, "***6666");
+  });
+});
+
+describe("preferências do responsável", () => {
+  const vinculo = { aluno_id: 10, aluno_nome: "Ana", responsavel_id: 1, email: "mae@familia.com", telefone_celular: "61988887777" };
+  const devices = [{ responsavel_id: 1, device_token: TOKEN_A }];
+  const ocorrencia = { evento: "OCORRENCIA", escolaId: 9, alunoIds: [10], referenciaId: 55, titulo: "t", mensagem: "m" };
+  const pref = (categoria, extra = {}) => ({ responsavel_id: 1, aluno_id: 0, categoria, receber: 1, canais: null, resumo_diario: 0, ...extra });
+
+  // "HH:MM" local (America/Sao_Paulo, UTC-3) a partir de agora + deslocamento
+  const horaLocalMais = (min) =>
+    new Date(Date.now() + min * 60_000).toLocaleTimeString("en-GB", { timeZone: "America/Sao_Paulo", hour: "2-digit", minute: "2-digit", hour12: false });
+
+  test("opt-out: só a caixa do app; a preferência do aluno vence a geral", async () => {
+    const db = bancoDeResponsaveis([vinculo], devices, {
+      preferencias: [pref("ocorrencias", { receber: 0 })],
+    });
+    const r = await notificarResponsaveis(db, ocorrencia);
+    assert.equal(enviosInseridos(db).length, 0);
+    assert.equal(r.enfileirados, 0);
+    assert.equal(db.queries.filter((q) => /INSERT INTO notificacoes_mobile/.test(q.sql)).length, 1);
+
+    const db2 = bancoDeResponsaveis([vinculo], devices, {
+      preferencias: [pref("ocorrencias", { receber: 0 }), pref("ocorrencias", { aluno_id: 10, receber: 1 })],
+    });
+    await notificarResponsaveis(db2, ocorrencia);
+    assert.equal(enviosInseridos(db2).length, 2);
+  });
+
+  test("categorias obrigatórias ignoram opt-out e só somam canais", async () => {
+    const db = bancoDeResponsaveis([vinculo], devices, {
+      preferencias: [pref("convocacao", { receber: 0, canais: "sms" })],
+    });
+    await notificarResponsaveis(db, { ...ocorrencia, categoria: "convocacao" });
+    assert.deepEqual(enviosInseridos(db).map((e) => e.canal), ["push", "email", "sms"]);
+  });
+
+  test("canais escolhidos substituem os do evento, sem fallback", async () => {
+    const db = bancoDeResponsaveis([vinculo], devices, { preferencias: [pref("ocorrencias", { canais: "email" })] });
+    await notificarResponsaveis(db, ocorrencia);
+    assert.deepEqual(enviosInseridos(db).map((e) => e.canal), ["email"]);
+
+    const semEmail = { ...vinculo, email: null };
+    const db2 = bancoDeResponsaveis([semEmail], devices, { preferencias: [pref("ocorrencias", { canais: "email" })] });
+    await notificarResponsaveis(db2, ocorrencia);
+    assert.equal(enviosInseridos(db2).length, 0);
+  });
+
+  test("horário de silêncio retém push/SMS; e-mail sai na hora", async () => {
+    const db = bancoDeResponsaveis([vinculo], devices, {
+      config: [{ responsavel_id: 1, silencio_inicio: `${horaLocalMais(-60)}:00`, silencio_fim: horaLocalMais(60) }],
+    });
+    await notificarResponsaveis(db, ocorrencia);
+
+    const reter = db.queries.find((q) => /SET disponivel_em = DATE_ADD/.test(q.sql));
+    assert.ok(reter, "esperava UPDATE de disponivel_em");
+    assert.ok(reter.params[0] > 3000 && reter.params[0] <= 3600, `atraso ${reter.params[0]}`);
+    const push = enviosInseridos(db).find((e) => e.canal === "push");
+    assert.deepEqual(reter.params[1], [push.dedup_chave]);
+  });
+
+  test("silêncio atravessando a meia-noite", () => {
+    const cfg = { silencio_inicio: "22:00", silencio_fim: "07:00" };
+    // 23:30 em Brasília = 02:30Z
+    assert.equal(segundosAteFimDoSilencio(cfg, new Date("2026-10-19T02:30:00Z")), 7.5 * 3600);
+    assert.equal(segundosAteFimDoSilencio(cfg, new Date("2026-10-19T09:00:00Z")), 3600); // 06:00
+    assert.equal(segundosAteFimDoSilencio(cfg, new Date("2026-10-19T15:00:00Z")), 0); // 12:00
+    assert.equal(segundosAteFimDoSilencio({ silencio_inicio: null, silencio_fim: "07:00" }, new Date()), 0);
+  });
+
+  test("resumo diário: categoria resumível vira item, não envio", async () => {
+    const db = bancoDeResponsaveis([vinculo], devices, { preferencias: [pref("presenca", { resumo_diario: 1 })] });
+    const r = await notificarResponsaveis(db, {
+      evento: "PRESENCA_ENTRADA", escolaId: 9, alunoIds: [10], chave: "PRESENCA_ENTRADA:10:2026-10-19",
+      titulo: "Entrada registrada", mensagem: "{aluno} entrou às {hora}.", dados: { hora: "07:10" },
+    });
+    assert.deepEqual(r, { responsaveis: 1, enfileirados: 0, resumo: 1 });
+    assert.equal(enviosInseridos(db).length, 0);
+    const item = db.queries.find((q) => /INSERT IGNORE INTO notificacoes_resumo_itens/.test(q.sql));
+    assert.equal(item.params[3], "presenca");
+    assert.equal(item.params[7], "Ana entrou às 07:10.");
+
+    // ocorrência não é resumível: resumo_diario não se aplica
+    const db2 = bancoDeResponsaveis([vinculo], devices, { preferencias: [pref("ocorrencias", { resumo_diario: 1 })] });
+    await notificarResponsaveis(db2, ocorrencia);
+    assert.equal(enviosInseridos(db2).length, 2);
+  });
+
+  test("processarResumos: envia na hora escolhida, uma vez por dia", async () => {
+    // 20:00 em Brasília
+    const agora = new Date("2026-10-19T23:00:00Z");
+    const grupos = [
+      { responsavel_id: 1, escola_id: 9, resumo_hora: 19, ultimo_resumo_em: null },
+      { responsavel_id: 2, escola_id: 9, resumo_hora: 21, ultimo_resumo_em: null },
+      { responsavel_id: 3, escola_id: 9, resumo_hora: 19, ultimo_resumo_em: new Date("2026-10-19T22:30:00Z") },
+    ];
+    const db = criarDb((sql, params) => {
+      if (/GROUP BY i.responsavel_id/.test(sql)) return [grupos, []];
+      if (/SELECT id, titulo, mensagem/.test(sql)) {
+        assert.equal(params[0], 1);
+        return [[{ id: 7, titulo: "Entrada", mensagem: "Ana entrou às 07:10." }, { id: 8, titulo: "Comunicado", mensagem: "" }], []];
+      }
+      if (/FROM responsaveis_alunos/.test(sql)) return [[{ ...vinculo, aluno_id: 10 }], []];
+      if (/FROM mobile_devices/.test(sql)) return [devices, []];
+      if (/INSERT IGNORE INTO notificacoes_envios/.test(sql)) return [{ affectedRows: params[0].length }, []];
+      return undefined;
+    });
+
+    assert.equal(await processarResumos(db, agora), 1);
+    const [envio] = enviosInseridos(db);
+    assert.equal(envio.evento, "RESUMO_DIARIO");
+    assert.equal(envio.mensagem, "• Ana entrou às 07:10.\n• Comunicado");
+    assert.match(envio.dedup_chave, /^RESUMO_DIARIO:1:9:2026-10-19:/);
+    const filtro = db.queries.find((q) => /FROM responsaveis_alunos/.test(q.sql));
+    assert.match(filtro.sql, /ra.responsavel_id IN \(\?\)/);
+    assert.deepEqual(db.queries.find((q) => /SET resumido_em = NOW\(\)/.test(q.sql)).params, [[7, 8]]);
+
+    assert.match(montarResumo(Array.from({ length: 10 }, (_, i) => ({ mensagem: `m${i}` }))), /e mais 2 aviso\(s\)/);
+  });
+
+  test("salvarPreferencias valida obrigatórias, vínculo e horário", async () => {
+    const db = criarDb();
+    await assert.rejects(
+      salvarPreferencias(db, 1, { preferencias: [{ categoria: "suspensao", receber: false }] }, { alunoIds: [10] }),
+      (err) => err.status === 400 && /obrigatória/.test(err.message)
+    );
+    await assert.rejects(
+      salvarPreferencias(db, 1, { preferencias: [{ aluno_id: 99, categoria: "presenca" }] }, { alunoIds: [10] }),
+      /não vinculado/
+    );
+    await assert.rejects(salvarPreferencias(db, 1, { silencio_inicio: "22:00" }, { alunoIds: [10] }), /início e fim/);
+    await assert.rejects(
+      salvarPreferencias(db, 1, { preferencias: [{ categoria: "boletins", resumo_diario: true }] }, { alunoIds: [10] }),
+      /resumo diário/
+    );
+    assert.equal(db.queries.length, 0);
+
+    const r = await salvarPreferencias(
+      db,
+      1,
+      {
+        silencio_inicio: "22:00",
+        silencio_fim: "07:00",
+        preferencias: [
+          { aluno_id: 10, categoria: "presenca", resumo_diario: true },
+          { categoria: "suspensao", canais: ["sms", "sms"] },
+        ],
+      },
+      { alunoIds: [10] }
+    );
+    const upsert = db.queries.find((q) => /INSERT INTO notificacoes_preferencias/.test(q.sql));
+    assert.deepEqual(upsert.params[0], [
+      [1, 10, "presenca", 1, null, 1],
+      [1, 0, "suspensao", 1, "sms", 0],
+    ]);
+    const cfg = db.queries.find((q) => /INSERT INTO notificacoes_config_responsavel/.test(q.sql));
+    assert.deepEqual(cfg.params.slice(0, 3), [1, "22:00", "07:00"]);
+    assert.equal(r.categorias.find((c) => c.categoria === "convocacao").obrigatoria, true);
+  });
+});
@@ -0,0 +1,276 @@
+// test/personificacao.test.js
+// -----------------------------------------------------------------------------
+// Acesso de suporte do CEO como usuário da escola (services/personificacao.js):
+// pedido ligado ao chamado, aprovação do diretor, token único com prazo e
+// somente leitura, escalonamento de escrita e o bloqueio/registro por request
+// em middleware/autenticarToken.js (test/helpers/fakeDb.js no lugar do pool).
+// -----------------------------------------------------------------------------
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import jwt from "jsonwebtoken";
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "teste_personificacao_jwt";
+process.env.SESSOES_CACHE_MS = "0";
+
+import {
+  bloqueioDaPersonificacao,
+  decidirPersonificacao,
+  escalonarEscrita,
+  iniciarPersonificacao,
+  solicitarPersonificacao,
+} from "../services/personificacao.js";
+import { contextoAuditoria } from "../services/auditoria.js";
+import { criarDb } from "./helpers/fakeDb.js";
+
+const ESCOLA = 5;
+const CEO = 900;
+
+// Banco falso com uma linha de personificacoes; responder(sql, params) cobre o resto
+function bancoPersonificacao(responder = () => undefined, { exigeAprovacao = false } = {}) {
+  const estado = { pedido: null, avisos: [] };
+  const db = criarDb(responder, async (sql, params) => {
+    if (/FROM chamados WHERE/.test(sql)) return [[{ id: 40, escola_id: ESCOLA, status: "aberto" }], []];
+    if (/FROM usuarios WHERE id = \? AND escola_id/.test(sql)) {
+      return [params[0] === 12 && params[1] === ESCOLA ? [{ id: 12, nome: "Ana", perfil: "secretaria", ativo: 1 }] : [], []];
+    }
+    if (/FROM configuracoes_escola/.test(sql)) return [exigeAprovacao ? [{ valor: "1" }] : [], []];
+    if (/^INSERT INTO personificacoes\b/.test(sql)) {
+      const [chamado_id, escola_id, usuario_id, solicitado_por, , motivo, minutos, status] = params;
+      estado.pedido = { id: 1, chamado_id, escola_id, usuario_id, solicitado_por, motivo, minutos, status, escrita: "bloqueada" };
+      return [{ insertId: 1 }, []];
+    }
+    if (/INSERT INTO chamados_mensagens/.test(sql)) {
+      estado.avisos.push(params[1]);
+      return [{ insertId: 1 }, []];
+    }
+    if (/FROM personificacoes p\s/.test(sql) && /LIMIT 1/.test(sql)) {
+      const p = estado.pedido;
+      return [p ? [{ ...p, usuario_nome: "Ana", usuario_perfil: "secretaria", usuario_ativo: 1, escola_apelido: "CEF 01" }] : [], []];
+    }
+    if (/SET status = \?, decidido_por/.test(sql)) {
+      if (estado.pedido.status !== "pendente") return [{ affectedRows: 0 }, []];
+      estado.pedido.status = params[0];
+      return [{ affectedRows: 1 }, []];
+    }
+    if (/SET status = 'ativa'/.test(sql)) {
+      if (estado.pedido.status !== "aprovada") return [{ affectedRows: 0 }, []];
+      Object.assign(estado.pedido, { status: "ativa", expira_em: new Date(Date.now() + params[0] * 60_000) });
+      return [{ affectedRows: 1 }, []];
+    }
+    if (/SET escrita = \?, escrita_motivo/.test(sql)) {
+      estado.pedido.escrita = params[0];
+      return [{ affectedRows: 1 }, []];
+    }
+    if (/SET escrita = \?, escrita_liberada_por/.test(sql)) {
+      estado.pedido.escrita = params[0];
+      return [{ affectedRows: 1 }, []];
+    }
+  });
+  return { ...db, estado };
+}
+
+const ceo = { id: CEO, nome: "Equipe Técnica" };
+
+describe("personificação: pedido, aprovação e token", () => {
+  test("sem aprovação exigida: token único, somente leitura, com o RBAC do usuário", async () => {
+    const db = bancoPersonificacao();
+    await assert.rejects(
+      solicitarPersonificacao(db, { chamadoId: 40, usuarioId: 12, motivo: "curto", solicitante: ceo }),
+      (err) => err.status === 400 && err.code === "MOTIVO_OBRIGATORIO"
+    );
+    await assert.rejects(
+      solicitarPersonificacao(db, { chamadoId: 40, usuarioId: 99, motivo: "Boletim não abre para a secretaria", solicitante: ceo }),
+      (err) => err.status === 404 && err.code === "USUARIO_NAO_ENCONTRADO"
+    );
+    const emAndamento = bancoPersonificacao((sql) => (/FROM personificacoes\s+WHERE chamado_id/.test(sql) ? [[{ id: 7 }], []] : undefined));
+    await assert.rejects(
+      solicitarPersonificacao(emAndamento, { chamadoId: 40, usuarioId: 12, motivo: "Boletim não abre para a secretaria", solicitante: ceo }),
+      (err) => err.status === 409 && err.code === "PERSONIFICACAO_EM_ANDAMENTO"
+    );
+
+    const db2 = bancoPersonificacao();
+    const pedido = await solicitarPersonificacao(db2, {
+      chamadoId: 40,
+      usuarioId: 12,
+      motivo: "Boletim não abre para a secretaria",
+      minutos: 999,
+      solicitante: ceo,
+    });
+    assert.deepEqual([pedido.status, pedido.exige_aprovacao, pedido.minutos], ["aprovada", false, 120]);
+    assert.match(db2.estado.avisos[0], /acesso de leitura como Ana \(secretaria\)/);
+
+    await assert.rejects(
+      iniciarPersonificacao(db2, { id: 1, solicitanteId: 901 }),
+      (err) => err.status === 403 && err.code === "OUTRO_SOLICITANTE"
+    );
+
+    const acesso = await iniciarPersonificacao(db2, {
+      id: 1,
+      solicitanteId: CEO,
+      permissoesDe: async (uid, eid) => ({ perfis: ["secretaria"], permissoes: [`perm_${uid}_${eid}`] }),
+    });
+    const claims = jwt.verify(acesso.token, process.env.JWT_SECRET);
+    assert.equal(claims.scope, "escola");
+    assert.equal(claims.usuario_id, 12);
+    assert.equal(claims.escola_id, ESCOLA);
+    assert.deepEqual(claims.personificacao, { id: 1, por: CEO, chamado_id: 40 });
+    assert.deepEqual(claims.permissoes, ["perm_12_5"]);
+    assert.equal(claims.sid, undefined, "acesso de suporte não abre sessão nem refresh");
+    assert.equal(claims.exp - claims.iat, 120 * 60);
+    assert.equal(acesso.somente_leitura, true);
+
+    await assert.rejects(iniciarPersonificacao(db2, { id: 1, solicitanteId: CEO }), (err) => err.status === 409);
+  });
+
+  test("escola exige aprovação: diretor aprova o acesso e o escalonamento de escrita", async () => {
+    const db = bancoPersonificacao(undefined, { exigeAprovacao: true });
+    const pedido = await solicitarPersonificacao(db, { chamadoId: 40, usuarioId: 12, motivo: "Diário não salva notas", solicitante: ceo });
+    assert.equal(pedido.status, "pendente");
+    await assert.rejects(iniciarPersonificacao(db, { id: 1, solicitanteId: CEO }), (err) => err.code === "AGUARDANDO_APROVACAO");
+
+    assert.deepEqual(await decidirPersonificacao(db, { id: 1, escolaId: ESCOLA, aprovar: true, usuarioId: 3 }), {
+      tipo: "acesso",
+      aprovado: true,
+    });
+    await iniciarPersonificacao(db, { id: 1, solicitanteId: CEO });
+
+    await assert.rejects(escalonarEscrita(db, { id: 1, solicitanteId: CEO, motivo: "" }), (err) => err.code === "MOTIVO_OBRIGATORIO");
+    assert.deepEqual(await escalonarEscrita(db, { id: 1, solicitanteId: CEO, motivo: "Corrigir nota lançada errado" }), {
+      escrita: "pendente",
+    });
+    assert.deepEqual(await decidirPersonificacao(db, { id: 1, escolaId: ESCOLA, aprovar: true, usuarioId: 3 }), {
+      tipo: "escrita",
+      aprovado: true,
+    });
+    assert.equal(db.estado.pedido.escrita, "liberada");
+    await assert.rejects(decidirPersonificacao(db, { id: 1, escolaId: ESCOLA, aprovar: false, usuarioId: 3 }), (err) => err.code === "NADA_A_DECIDIR");
+    assert.ok(db.estado.avisos.some((a) => /aguardando aprovação do diretor/.test(a)));
+  });
+
+  test("bloqueio por método e rota", () => {
+    assert.equal(bloqueioDaPersonificacao("GET", "/api/notas"), null);
+    assert.match(bloqueioDaPersonificacao("POST", "/api/notas"), /somente leitura/);
+    assert.equal(bloqueioDaPersonificacao("POST", "/api/notas", { escrita: true }), null);
+    assert.match(bloqueioDaPersonificacao("POST", "/api/auth/trocar-escola", { escrita: true }), /conta, sessão/);
+    assert.match(bloqueioDaPersonificacao("POST", "/api/suporte/acessos-suporte/1/aprovar", { escrita: true }), /próprio acesso/);
+    // Ler sessões e dispositivos da conta real também não
+    for (const rota of ["/api/auth/sessoes", "/api/auth/2fa", "/api/auth/2fa/dispositivos"]) {
+      assert.match(bloqueioDaPersonificacao("GET", rota, { escrita: true }), /conta, sessão/, rota);
+    }
+  });
+
+  test("GET que grava conta como escrita", () => {
+    for (const rota of ["/api/relatorio-disciplinar/31", "/api/relatorio-disciplinar/31/registro/7", "/api/gabarito-lotes/scan-mobile/sessao-info"]) {
+      assert.match(bloqueioDaPersonificacao("GET", rota), /somente leitura/, rota);
+      assert.equal(bloqueioDaPersonificacao("GET", rota, { escrita: true }), null, rota);
+    }
+    // Telas de consulta vizinhas seguem liberadas
+    assert.equal(bloqueioDaPersonificacao("GET", "/api/relatorio-disciplinar/semestral"), null);
+    assert.equal(bloqueioDaPersonificacao("GET", "/api/relatorio-disciplinar/validar/31"), null);
+    assert.equal(bloqueioDaPersonificacao("GET", "/api/gabarito-lotes/scan-mobile/sessao-qr"), null);
+  });
+});
+
+describe("personificação: autenticarToken", () => {
+  let db;
+  let servidor;
+  let baseUrl;
+  let pedido;
+  let contexto;
+
+  function token(personificacao = { id: 1, por: CEO, chamado_id: 40 }) {
+    return jwt.sign(
+      { scope: "escola", usuario_id: 12, usuarioId: 12, escola_id: ESCOLA, perfil: "secretaria", personificacao },
+      process.env.JWT_SECRET,
+      { expiresIn: "5m" }
+    );
+  }
+
+  async function chamar(metodo, caminho, tk = token()) {
+    const resp = await fetch(baseUrl + caminho, { method: metodo, headers: { Authorization: `Bearer ${tk}` } });
+    // o registro do request é gravado no "finish" da resposta
+    await new Promise((r) => setTimeout(r, 20));
+    return { status: resp.status, body: await resp.json(), header: resp.headers.get("x-personificacao") };
+  }
+
+  const acessos = () => db.queries.filter((q) => /INSERT INTO personificacoes_acessos/.test(q.sql)).map((q) => q.params);
+
+  before(async () => {
+    const { default: pool } = await import("../db.js");
+    const { instalarFakeDb } = await import("./helpers/fakeDb.js");
+    db = instalarFakeDb(pool);
+
+    const { autenticarToken } = await import("../middleware/autenticarToken.js");
+    const app = express();
+    app.use("/api", autenticarToken, (req, res) => {
+      contexto = contextoAuditoria(req);
+      res.json({ ok: true, user: req.user });
+    });
+    await new Promise((resolve) => {
+      servidor = app.listen(0, "127.0.0.1", resolve);
+    });
+    baseUrl = `http://127.0.0.1:${servidor.address().port}`;
+  });
+
+  after(async () => {
+    db.restaurar();
+    await new Promise((r) => servidor.close(r));
+  });
+
+  beforeEach(() => {
+    db.limpar();
+    pedido = { id: 1, escola_id: ESCOLA, usuario_id: 12, solicitado_por: CEO, status: "ativa", escrita: "bloqueada", expira_em: new Date(Date.now() + 60_000) };
+    db.responder((sql) => (/FROM personificacoes WHERE id = \?/.test(sql) ? [[pedido], []] : undefined));
+  });
+
+  test("leitura passa e fica registrada; escrita é barrada e também registrada", async () => {
+    const leitura = await chamar("GET", "/api/notas?turma=3");
+    assert.equal(leitura.status, 200);
+    assert.equal(leitura.header, "1");
+    assert.equal(leitura.body.user.personificacao.escrita, false);
+    assert.equal(contexto.personificacaoId, 1);
+
+    const escrita = await chamar("POST", "/api/notas");
+    assert.equal(escrita.status, 403);
+    assert.equal(escrita.body.code, "PERSONIFICACAO_SOMENTE_LEITURA");
+
+    assert.deepEqual(
+      acessos().map(([id, escola, metodo, rota, status, bloqueado]) => [id, escola, metodo, rota, status, bloqueado]),
+      [
+        [1, ESCOLA, "GET", "/api/notas", 200, 0],
+        [1, ESCOLA, "POST", "/api/notas", 403, 1],
+      ]
+    );
+  });
+
+  test("escalonado escreve, menos em /api/auth", async () => {
+    pedido.escrita = "liberada";
+    assert.equal((await chamar("POST", "/api/notas")).status, 200);
+    assert.equal((await chamar("POST", "/api/auth/refresh")).status, 403);
+  });
+
+  test("GET em /api/auth é barrado e registrado", async () => {
+    const r = await chamar("GET", "/api/auth/sessoes");
+    assert.equal(r.status, 403);
+    assert.equal(r.body.code, "PERSONIFICACAO_SOMENTE_LEITURA");
+    assert.deepEqual(acessos().map(([, , metodo, rota, status, bloqueado]) => [metodo, rota, status, bloqueado]), [
+      ["GET", "/api/auth/sessoes", 403, 1],
+    ]);
+  });
+
+  test("encerrado, expirado ou de outro solicitante: 401", async () => {
+    pedido.status = "encerrada";
+    assert.equal((await chamar("GET", "/api/notas")).body.code, "PERSONIFICACAO_ENCERRADA");
+
+    pedido.status = "ativa";
+    pedido.expira_em = new Date(Date.now() - 1000);
+    assert.equal((await chamar("GET", "/api/notas")).status, 401);
+    assert.ok(db.queries.some((q) => /SET status = 'expirada'/.test(q.sql)));
+
+    pedido.expira_em = new Date(Date.now() + 60_000);
+    const outro = await chamar("GET", "/api/notas", token({ id: 1, por: 777, chamado_id: 40 }));
+    assert.equal(outro.body.code, "PERSONIFICACAO_INVALIDA");
+    assert.equal(acessos().length, 0, "request recusado na validação não chega a ser registrado");
+  });
+});
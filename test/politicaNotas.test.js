@@ -0,0 +1,195 @@
+// test/politicaNotas.test.js
+// -----------------------------------------------------------------------------
+// Política de notas (services/politicaNotas.js): soma limitada à nota máxima,
+// média ponderada pelos pesos do PAP, arredondamento, exceções por etapa e
+// bimestre, validação dos valores da governança, a prévia da fórmula e a
+// recuperação ligada ao item original (maior, substitui, média).
+// -----------------------------------------------------------------------------
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  POLITICA_PADRAO,
+  arredondarNota,
+  calcularNotaBimestre,
+  calcularNotasDoDiario,
+  carregarPoliticaEscola,
+  indiceRecuperado,
+  mediaDasNotas,
+  normalizarPolitica,
+  politicaDaTurma,
+  previaPolitica,
+  resolverPolitica,
+  situacaoDaNota,
+  validarValorPolitica,
+} from "../services/politicaNotas.js";
+import { criarDb } from "./helpers/fakeDb.js";
+
+const ITENS = [
+  { atividade: "Prova", nota_total: 6, peso: 2 },
+  { atividade: "Trabalho", nota_total: 3, peso: 1 },
+  { atividade: "Participação", nota_total: 2, peso: 1 },
+];
+
+describe("política de notas", () => {
+  test("soma: item limitado ao valor dele e bimestre limitado à máxima", () => {
+    const r = calcularNotaBimestre(POLITICA_PADRAO, ITENS, [[4, 3], [2], [2]]);
+    // Prova 7 → 6 (valor do item); 6 + 2 + 2 = 10
+    assert.deepEqual(r.itens.map((i) => i.nota), [6, 2, 2]);
+    assert.equal(r.nota, 10);
+
+    // Itens somando 11 pontos: a nota do bimestre para em 10
+    const cheia = calcularNotaBimestre(POLITICA_PADRAO, ITENS, [[6], [3], [2]]);
+    assert.equal(cheia.bruta, 11);
+    assert.equal(cheia.nota, 10);
+
+    assert.equal(calcularNotaBimestre(POLITICA_PADRAO, ITENS, []).nota, null, "sem lançamento");
+    assert.equal(calcularNotaBimestre(POLITICA_PADRAO, ITENS, [[3]]).nota, 3, "item sem nota conta zero");
+  });
+
+  test("ponderada: máxima × Σ(peso × item/valor) ÷ Σ pesos", () => {
+    const politica = { ...POLITICA_PADRAO, composicao: "ponderada", maxima_bimestre: 20 };
+    // 20 × (2 × 3/6 + 1 × 3/3 + 1 × 0/2) ÷ 4 = 20 × 2 ÷ 4 = 10
+    assert.equal(calcularNotaBimestre(politica, ITENS, [[3], [3], [0]]).nota, 10);
+    // Peso zero tira o item da média
+    const semParticipacao = ITENS.map((i, idx) => (idx === 2 ? { ...i, peso: 0 } : i));
+    assert.equal(calcularNotaBimestre(politica, semParticipacao, [[3], [3], [0]]).nota, 13.33);
+  });
+
+  test("arredondamento 0,1 e 0,5", () => {
+    assert.equal(arredondarNota(7.25, "0.5"), 7.5);
+    assert.equal(arredondarNota(7.24, "0.5"), 7);
+    assert.equal(arredondarNota(7.75, "0.5"), 8);
+    assert.equal(arredondarNota(6.45, "0.1"), 6.5);
+    assert.equal(arredondarNota(6.666, "nenhum"), 6.67);
+    assert.equal(arredondarNota(null, "0.5"), null);
+
+    const politica = { ...POLITICA_PADRAO, arredondamento: "0.5" };
+    assert.equal(calcularNotaBimestre(politica, ITENS, [[4.2], [1.1], [1]]).nota, 6.5);
+  });
+
+  test("exceções: etapa + bimestre vale sobre etapa, que vale sobre bimestre", () => {
+    const cfg = {
+      base: { ...POLITICA_PADRAO },
+      excecoes: [
+        { etapa: "ENSINO MEDIO", bimestre: 4, regras: { maxima_bimestre: 25 } },
+        { etapa: "ENSINO MEDIO", bimestre: null, regras: { maxima_bimestre: 20, media_aprovacao: 12 } },
+        { etapa: null, bimestre: 4, regras: { maxima_bimestre: 5, media_aprovacao: 2.5 } },
+      ],
+    };
+    assert.equal(resolverPolitica(cfg, { etapa: "Ensino Médio", bimestre: 4 }).maxima_bimestre, 25);
+    assert.equal(resolverPolitica(cfg, { etapa: "Ensino Médio", bimestre: 4 }).media_aprovacao, 12);
+    assert.equal(resolverPolitica(cfg, { etapa: "ENSINO MÉDIO", bimestre: 2 }).maxima_bimestre, 20);
+    assert.deepEqual(resolverPolitica(cfg, { etapa: "FUNDAMENTAL II", bimestre: 4 }), {
+      ...POLITICA_PADRAO, maxima_bimestre: 5, media_aprovacao: 2.5,
+    });
+    assert.deepEqual(resolverPolitica(cfg, { etapa: "FUNDAMENTAL II", bimestre: 1 }), POLITICA_PADRAO);
+  });
+
+  test("validação dos valores gravados na governança", () => {
+    assert.equal(validarValorPolitica("nota.composicao", "ponderada"), null);
+    assert.match(validarValorPolitica("nota.composicao", "media"), /Composição inválida/);
+    assert.match(validarValorPolitica("nota.maxima_bimestre", "0"), /entre 0 e 100/);
+    assert.equal(validarValorPolitica("nota.media_aprovacao", "5,5"), null);
+    assert.match(validarValorPolitica("nota.politica_excecoes", "{"), /JSON inválido/);
+    assert.match(validarValorPolitica("nota.politica_excecoes", '[{"maxima_bimestre":20}]'), /etapa e\/ou bimestre/);
+    assert.match(validarValorPolitica("nota.politica_excecoes", '[{"bimestre":5,"maxima_bimestre":20}]'), /1 a 4/);
+    assert.equal(validarValorPolitica("nota.politica_excecoes", '[{"etapa":"Ensino Médio","maxima_bimestre":20}]'), null);
+    assert.equal(validarValorPolitica("prova.permitir_reaplicacao", "qualquer"), null, "chave de fora da política");
+
+    assert.throws(
+      () => normalizarPolitica({ media_aprovacao: 12 }),
+      (err) => err.code === "POLITICA_INVALIDA" && /não pode passar/.test(err.message)
+    );
+  });
+
+  test("notas do diário por aluno e situação", () => {
+    const linhas = [
+      { aluno_id: 1, item_idx: 0, oportunidade_idx: 0, nota: "2.5" },
+      { aluno_id: 1, item_idx: 0, oportunidade_idx: 1, nota: "1.5" },
+      { aluno_id: 1, item_idx: 1, oportunidade_idx: 0, nota: "3" },
+      { aluno_id: 2, item_idx: 2, oportunidade_idx: 0, nota: "1" },
+    ];
+    const notas = calcularNotasDoDiario(POLITICA_PADRAO, ITENS, linhas);
+    assert.equal(notas.get(1).nota, 7);
+    assert.equal(notas.get(2).nota, 1);
+    assert.equal(situacaoDaNota(POLITICA_PADRAO, notas.get(1).nota), "aprovado");
+    assert.equal(situacaoDaNota(POLITICA_PADRAO, notas.get(2).nota), "abaixo_media");
+    assert.equal(situacaoDaNota(POLITICA_PADRAO, null), null);
+    assert.equal(mediaDasNotas({ ...POLITICA_PADRAO, arredondamento: "0.1" }, [7, null, 6.25, 8]), 7.1);
+  });
+
+  test("prévia da fórmula com a metade de cada item", () => {
+    const previa = previaPolitica({ ...POLITICA_PADRAO, composicao: "ponderada" }, ITENS);
+    assert.match(previa.formula, /^Nota do bimestre = 10 × \(2 × Prova\/6 \+ 1 × Trabalho\/3 \+ 1 × Participação\/2\) ÷ 4/);
+    assert.equal(previa.exemplo.nota, 5);
+    assert.equal(previa.exemplo.situacao, "aprovado");
+    assert.match(previaPolitica(POLITICA_PADRAO).formula, /soma dos itens, limitada a 10, sem arredondamento/);
+  });
+
+  test("recuperação: fora da composição, vale sobre o item original pela regra", () => {
+    const itens = [
+      ...ITENS.map((i, idx) => ({ ...i, id: 10 + idx })),
+      // Recuperação da prova valendo 10 (convertida para a escala de 6)
+      { id: 20, atividade: "Recuperação da Prova", nota_total: 10, recuperacao: "continua", recupera_item_id: 10 },
+    ];
+    assert.equal(indiceRecuperado(itens, 3), 0);
+    assert.equal(indiceRecuperado(itens, 0), null);
+
+    // Prova 1/6, trabalho 2, participação 1 → 4 sem recuperação; recuperação 8/10 = 4,8/6
+    const valores = [[1], [2], [1], [8]];
+    const maior = calcularNotaBimestre(POLITICA_PADRAO, itens, valores);
+    assert.equal(maior.nota_sem_recuperacao, 4);
+    assert.equal(maior.nota, 7.8);
+    assert.equal(maior.itens[0].nota_original, 1);
+    assert.equal(maior.itens[0].nota, 4.8);
+
+    const media = calcularNotaBimestre({ ...POLITICA_PADRAO, recuperacao: "media" }, itens, valores);
+    assert.equal(media.nota, 5.9);
+
+    // Substitui: mesmo se a recuperação for menor que a original
+    const substitui = calcularNotaBimestre({ ...POLITICA_PADRAO, recuperacao: "substitui" }, itens, [[5], [2], [1], [5]]);
+    assert.equal(substitui.nota_sem_recuperacao, 8);
+    assert.equal(substitui.nota, 6);
+    assert.equal(calcularNotaBimestre({ ...POLITICA_PADRAO, recuperacao: "maior" }, itens, [[5], [2], [1], [5]]).nota, 8);
+
+    // Sem nota de recuperação: fica a original; ponderada ignora o peso da recuperação
+    assert.equal(calcularNotaBimestre(POLITICA_PADRAO, itens, [[1], [2], [1]]).nota, 4);
+    const ponderada = { ...POLITICA_PADRAO, composicao: "ponderada" };
+    assert.equal(calcularNotaBimestre(ponderada, itens, [[6], [3], [2]]).nota, 10);
+
+    // Recuperação apontando para outra recuperação não vale
+    const ciclo = [...itens, { atividade: "Rec. da rec.", nota_total: 10, recuperacao: "compensatoria", recupera_idx: 3 }];
+    assert.equal(indiceRecuperado(ciclo, 4), null);
+    assert.equal(calcularNotaBimestre(POLITICA_PADRAO, ciclo, [[1], [2], [1], null, [10]]).nota, 4);
+
+    const previa = previaPolitica(POLITICA_PADRAO, itens);
+    assert.equal(previa.exemplo.nota, 5.5, "prévia sem nota na recuperação");
+    assert.match(previa.formula, /= Prova \+ Trabalho \+ Participação,.*Recuperação \(Recuperação da Prova → Prova\): vale a maior/);
+    assert.equal(validarValorPolitica("nota.recuperacao", "media"), null);
+    assert.match(validarValorPolitica("nota.recuperacao", "soma"), /Regra de recuperação inválida/);
+  });
+
+  test("carrega da governança, ignora valor inválido e aplica a etapa da turma", async () => {
+    const db = criarDb((sql) => {
+      if (/FROM configuracoes_escola/.test(sql)) {
+        return [[
+          { chave: "nota.composicao", valor: "ponderada" },
+          { chave: "nota.maxima_bimestre", valor: "abc" },
+          { chave: "nota.arredondamento", valor: "0.5" },
+          { chave: "nota.politica_excecoes", valor: '[{"etapa":"Ensino Médio","maxima_bimestre":20}]' },
+        ], []];
+      }
+      if (/SELECT etapa FROM turmas/.test(sql)) return [[{ etapa: "ENSINO MÉDIO" }], []];
+      return undefined;
+    });
+    const { base, excecoes } = await carregarPoliticaEscola(db, 1);
+    assert.deepEqual(base, { ...POLITICA_PADRAO, composicao: "ponderada", arredondamento: "0.5" });
+    assert.equal(excecoes.length, 1);
+
+    const politica = await politicaDaTurma(db, 1, 7, 2);
+    assert.equal(politica.maxima_bimestre, 20);
+    assert.equal(politica.composicao, "ponderada");
+    assert.deepEqual(db.queries.at(-1).params, [7, 1]);
+  });
+});
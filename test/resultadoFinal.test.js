@@ -0,0 +1,179 @@
+// test/resultadoFinal.test.js
+// -----------------------------------------------------------------------------
+// Resultado final do ano (services/resultadoFinal.js): média anual com
+// recuperação final, regra dos 75%, dependência, decisão do conselho,
+// pendências e a trava da publicação.
+// -----------------------------------------------------------------------------
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { POLITICA_PADRAO } from "../services/politicaNotas.js";
+import {
+  ajustarResultado,
+  avaliarAluno,
+  avaliarDisciplina,
+  conferirDecisaoConselho,
+  lancarRecuperacaoFinal,
+  publicarResultado,
+  resultadoDaTurma,
+} from "../services/resultadoFinal.js";
+import { criarDb } from "./helpers/fakeDb.js";
+
+const politica = { ...POLITICA_PADRAO };
+const disc = (nome, notas, recuperacao_final = null) => ({ disciplina_id: nome.length, nome, notas, recuperacao_final });
+
+// Turma 7 (2026) com dois alunos; Ana sem nota no 4º bimestre de Arte
+function turmaFalsa({ publicado = false, excecoes = null, politicaPublicada = null } = {}) {
+  return criarDb((sql) => {
+    if (/FROM configuracoes_escola/.test(sql)) return [excecoes ? [{ chave: "nota.politica_excecoes", valor: JSON.stringify(excecoes) }] : [], []];
+    if (/FROM matriculas\s+WHERE/.test(sql)) return [[{ aluno_id: 2 }], []];
+    if (/INSERT IGNORE INTO resultado_final_turmas/.test(sql)) return [{ affectedRows: 1 }, []];
+    if (/FROM turmas WHERE id = \?/.test(sql)) return [[{ id: 7, nome: "6A", turno: "MATUTINO", serie: "6", etapa: null, ano: 2026 }], []];
+    if (/FROM resultado_final_turmas/.test(sql)) {
+      const pub = { publicado_em: "2026-12-20", publicado_por: 1, total_alunos: 2, politica_json: politicaPublicada && JSON.stringify(politicaPublicada) };
+      return [publicado ? [pub] : [], []];
+    }
+    if (/FROM matriculas m/.test(sql)) return [[{ aluno_id: 1, nome: "Ana", codigo: "A1" }, { aluno_id: 2, nome: "Bruno", codigo: "B2" }], []];
+    if (/FROM notas n/.test(sql)) {
+      return [[
+        ...[1, 2, 3, 4].map((b) => ({ aluno_id: 1, disciplina_id: 10, bimestre: b, nota: "7.00", disciplina_nome: "Matemática" })),
+        ...[1, 2, 3].map((b) => ({ aluno_id: 1, disciplina_id: 20, bimestre: b, nota: "8.00", disciplina_nome: "Arte" })),
+        ...[1, 2, 3, 4].map((b) => ({ aluno_id: 2, disciplina_id: 10, bimestre: b, nota: "3.00", disciplina_nome: "Matemática" })),
+        ...[1, 2, 3, 4].map((b) => ({ aluno_id: 2, disciplina_id: 20, bimestre: b, nota: "6.00", disciplina_nome: "Arte" })),
+      ], []];
+    }
+    if (/FROM registro_conselho/.test(sql)) return [[{ aluno_codigo: "B2", decisao: "aprovado_conselho", usuario_nome: "Dir", criado_em: "2026-12-10" }], []];
+    return undefined;
+  });
+}
+
+describe("resultado final", () => {
+  test("média anual com recuperação final pela regra da escola", () => {
+    const d = avaliarDisciplina(politica, { notas: [4, 4, 5, 3], recuperacao_final: 6 });
+    assert.equal(d.media, 4);
+    assert.equal(d.media_final, 6);
+    assert.equal(d.situacao, "aprovado");
+    assert.equal(avaliarDisciplina({ ...politica, recuperacao: "media" }, { notas: [4, 4, 4, 4], recuperacao_final: 5 }).situacao, "reprovado");
+    assert.equal(avaliarDisciplina(politica, { notas: [9, 9, 9, 9], recuperacao_final: 2 }).media_final, 9, "maior: a recuperação não baixa");
+    assert.equal(avaliarDisciplina({ ...politica, recuperacao: "substitui" }, { notas: [9, 9, 9, 9], recuperacao_final: 2 }).media_final, 2);
+
+    const pendente = avaliarDisciplina(politica, { notas: [6, null, 8] });
+    assert.equal(pendente.pendente, true);
+    assert.equal(pendente.media, 7);
+    assert.equal(avaliarDisciplina(politica, {}).situacao, "sem_nota");
+  });
+
+  test("aprovado, dependência e reprovado por nota", () => {
+    const aprovado = avaliarAluno(politica, { disciplinas: [disc("Mat", [6, 6, 6, 6])], frequencia: 90 });
+    assert.equal(aprovado.resultado, "aprovado");
+
+    const umaAbaixo = { disciplinas: [disc("Mat", [6, 6, 6, 6]), disc("Geo", [3, 3, 3, 3])], frequencia: 90 };
+    assert.equal(avaliarAluno(politica, umaAbaixo).resultado, "reprovado");
+    const dep = avaliarAluno({ ...politica, max_dependencias: 1 }, umaAbaixo);
+    assert.equal(dep.resultado, "dependencia");
+    assert.deepEqual(dep.reprovadas, ["Geo"]);
+
+    const duas = { disciplinas: [disc("Mat", [1, 1, 1, 1]), disc("Geo", [3, 3, 3, 3])], frequencia: null };
+    assert.equal(avaliarAluno({ ...politica, max_dependencias: 1 }, duas).resultado, "reprovado");
+  });
+
+  test("75% de frequência: o conselho não muda; por nota, muda", () => {
+    const faltoso = avaliarAluno(politica, { disciplinas: [disc("Mat", [9, 9, 9, 9])], frequencia: 74.9, decisaoConselho: "aprovado_conselho" });
+    assert.equal(faltoso.resultado, "reprovado");
+    assert.match(faltoso.motivos[0], /74,9%/);
+
+    const porNota = avaliarAluno(politica, { disciplinas: [disc("Mat", [4, 4, 4, 4])], frequencia: 80, decisaoConselho: "aprovado_conselho" });
+    assert.equal(porNota.resultado, "aprovado_conselho");
+
+    const dep = avaliarAluno({ ...politica, max_dependencias: 1 }, { disciplinas: [disc("Mat", [4, 4, 4, 4])], decisaoConselho: "aprovado_conselho" });
+    assert.equal(dep.resultado, "aprovado_conselho");
+    assert.equal(avaliarAluno(politica, { disciplinas: [disc("Mat", [8, 8, 8, 8])], decisaoConselho: "aprovado_conselho" }).resultado, "aprovado");
+  });
+
+  test("revisão da turma: boletim, conselho e pendências", async () => {
+    const r = await resultadoDaTurma(turmaFalsa(), { escolaId: 1, turmaId: 7 });
+    assert.equal(r.ano, 2026);
+    assert.equal(r.publicado, false);
+    assert.deepEqual(r.disciplinas.map((d) => d.nome), ["Arte", "Matemática"]);
+    const [ana, bruno] = r.alunos;
+    assert.equal(ana.resultado, "aprovado");
+    assert.deepEqual(ana.pendencias, ["Arte"]);
+    assert.equal(bruno.resultado_calculado, "aprovado_conselho");
+    assert.equal(bruno.conselho.decisao, "aprovado_conselho");
+    assert.deepEqual(r.resumo, { total: 2, aprovado: 1, reprovado: 0, aprovado_conselho: 1, dependencia: 0 });
+  });
+
+  test("bimestre com máxima própria entra na média pela escala anual", async () => {
+    const d = avaliarDisciplina({ ...politica, maximas_bimestre: [10, 10, 10, 20] }, { notas: [4, 4, 4, 16] });
+    assert.deepEqual(d.notas, [4, 4, 4, 16], "a nota lançada continua a do boletim");
+    assert.equal(d.media, 5, "16 de 20 vale 8 de 10");
+
+    const excecoes = [{ bimestre: 4, maxima_bimestre: 20 }];
+    const r = await resultadoDaTurma(turmaFalsa({ excecoes }), { escolaId: 1, turmaId: 7 });
+    assert.equal(r.politica.maxima_bimestre, 10);
+    assert.deepEqual(r.politica.maximas_bimestre, [10, 10, 10, 20]);
+    const matematica = (aluno) => aluno.disciplinas.find((x) => x.nome === "Matemática");
+    assert.equal(matematica(r.alunos[0]).media, 6.13, "(7 + 7 + 7 + 3,5) / 4");
+
+    // Recuperação final na escala da média (10), não na do 4º bimestre (20)
+    await assert.rejects(
+      lancarRecuperacaoFinal(turmaFalsa({ excecoes }), { escolaId: 1, turmaId: 7, alunoId: 2, disciplinaId: 10, nota: 15 }),
+      (err) => err.status === 400 && err.code === "NOTA_INVALIDA" && /0 e 10/.test(err.message)
+    );
+    const db = turmaFalsa({ excecoes });
+    await lancarRecuperacaoFinal(db, { escolaId: 1, turmaId: 7, alunoId: 2, disciplinaId: 10, nota: 6 });
+    assert.ok(db.queries.some((q) => /INSERT INTO notas_recuperacao_final/.test(q.sql)));
+  });
+
+  test("publicar: pendência bloqueia; ignorando, grava a fotografia e trava", async () => {
+    await assert.rejects(
+      publicarResultado(turmaFalsa(), { escolaId: 1, turmaId: 7 }),
+      (err) => err.status === 409 && err.code === "RESULTADO_PENDENTE" && err.pendentes[0].nome === "Ana"
+    );
+
+    const db = turmaFalsa();
+    const r = await publicarResultado(db, { escolaId: 1, turmaId: 7, usuarioId: 3, ignorarPendencias: true });
+    assert.equal(r.resumo.total, 2);
+    const foto = db.queries.find((q) => /INSERT INTO resultado_final_alunos/.test(q.sql));
+    assert.equal(foto.params[0].length, 2);
+    assert.equal(foto.params[0][1][5], "aprovado_conselho");
+    assert.equal(JSON.parse(foto.params[0][0][7]).disciplinas.length, 2);
+    const turma = db.queries.find((q) => /INSERT IGNORE INTO resultado_final_turmas/.test(q.sql));
+    assert.equal(JSON.parse(turma.params.at(-1)).maxima_bimestre, 10, "grava a política usada");
+  });
+
+  test("publicado: exibe a política gravada na publicação, não a atual", async () => {
+    const gravada = { ...politica, media_aprovacao: 6, maximas_bimestre: [10, 10, 10, 10] };
+    const excecoes = [{ bimestre: 4, maxima_bimestre: 20 }];
+    const r = await resultadoDaTurma(turmaFalsa({ publicado: true, excecoes, politicaPublicada: gravada }), { escolaId: 1, turmaId: 7 });
+    assert.deepEqual(r.politica.maximas_bimestre, [10, 10, 10, 10]);
+    assert.equal(r.publicacao.politica_json, undefined);
+
+    // Publicado antes da 0047 (sem política gravada): cai na atual
+    const antigo = await resultadoDaTurma(turmaFalsa({ publicado: true, excecoes }), { escolaId: 1, turmaId: 7 });
+    assert.deepEqual(antigo.politica.maximas_bimestre, [10, 10, 10, 20]);
+  });
+
+  test("depois de publicado: recuperação, ajuste e conselho recusados", async () => {
+    const db = turmaFalsa({ publicado: true });
+    await assert.rejects(
+      lancarRecuperacaoFinal(db, { escolaId: 1, turmaId: 7, alunoId: 2, disciplinaId: 10, nota: 6 }),
+      (err) => err.status === 409 && err.code === "RESULTADO_PUBLICADO"
+    );
+    await assert.rejects(
+      ajustarResultado(db, { escolaId: 1, turmaId: 7, alunoId: 2, resultado: "aprovado", justificativa: "Transferência" }),
+      (err) => err.code === "RESULTADO_PUBLICADO"
+    );
+    await assert.rejects(
+      conferirDecisaoConselho(db, { escolaId: 1, turmaId: 7, decisao: "aprovado_conselho" }),
+      (err) => err.code === "RESULTADO_PUBLICADO"
+    );
+    await assert.rejects(publicarResultado(db, { escolaId: 1, turmaId: 7 }), (err) => err.code === "RESULTADO_PUBLICADO");
+    assert.ok(!db.queries.some((q) => /INSERT INTO notas_recuperacao_final|INSERT INTO resultado_final_alunos/.test(q.sql)));
+
+    await assert.rejects(
+      conferirDecisaoConselho(turmaFalsa(), { escolaId: 1, turmaId: 7, decisao: "promovido" }),
+      (err) => err.code === "DECISAO_INVALIDA"
+    );
+  });
+});
@@ -0,0 +1,129 @@
+// test/retencao.test.js
+// -----------------------------------------------------------------------------
+// Retenção (services/retencao.js): simulação não apaga nada, expurgo real
+// apaga disco e banco, trava legal segura os dados do aluno, categoria com
+// erro não derruba as outras e prazos abaixo do mínimo são recusados.
+// -----------------------------------------------------------------------------
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { diretoriosDaEscola, executarRetencao, salvarPoliticas } from "../services/retencao.js";
+import { criarDb } from "./helpers/fakeDb.js";
+
+const DIA = 86_400_000;
+
+function escrever(base, relativo, diasAtras) {
+  const caminho = path.join(base, relativo);
+  fs.mkdirSync(path.dirname(caminho), { recursive: true });
+  fs.writeFileSync(caminho, "jpeg");
+  const quando = new Date(Date.now() - diasAtras * DIA);
+  fs.utimesSync(caminho, quando, quando);
+  return caminho;
+}
+
+// Escola "CEF04" com aluno 5 sob trava legal; aluno 6 inativo há muito tempo
+function bancoDaEscola({ politicas = [], semTabela = null } = {}) {
+  return criarDb((sql) => {
+    if (semTabela && sql.includes(semTabela)) throw Object.assign(new Error("no such table"), { code: "ER_NO_SUCH_TABLE" });
+    if (/FROM escolas WHERE id/.test(sql)) return [[{ id: 1, apelido: "CEF04" }], []];
+    if (/FROM retencao_politicas/.test(sql)) return [politicas, []];
+    if (/SELECT DISTINCT aluno_id FROM ocorrencias_disciplinares/.test(sql)) return [[{ aluno_id: 5 }], []];
+    if (/SELECT id, fotoUrl FROM monitoramento_visitantes/.test(sql)) {
+      return [[{ id: 11, fotoUrl: "/uploads/CEF04/monitoramento/2026/05/v11.jpg" }], []];
+    }
+    if (/FROM alunos_embeddings e/.test(sql)) return [[{ aluno_id: 5 }, { aluno_id: 6 }], []];
+    if (/SELECT COUNT\(\*\) AS total/.test(sql)) return [[{ total: 3 }], []];
+    if (/^\s*(UPDATE|DELETE)/.test(sql)) return [{ affectedRows: 2 }, []];
+    return undefined;
+  });
+}
+
+describe("retenção", () => {
+  let uploads;
+  const arquivos = {};
+
+  before(() => {
+    uploads = fs.mkdtempSync(path.join(os.tmpdir(), "retencao-"));
+  });
+  after(() => fs.rmSync(uploads, { recursive: true, force: true }));
+
+  function prepararArquivos() {
+    arquivos.frameVelho = escrever(uploads, "CEF04/monitoramento/camera-01/frame.jpg", 10);
+    arquivos.frameNovo = escrever(uploads, "CEF04/monitoramento/camera-02/frame.jpg", 1);
+    arquivos.fotoVisitante = escrever(uploads, "CEF04/monitoramento/2026/05/v11.jpg", 40);
+    arquivos.fotoOrfa = escrever(uploads, "CEF04/monitoramento/2026/05/orfa.jpg", 40);
+    arquivos.outraEscola = escrever(uploads, "OUTRA/monitoramento/camera-01/frame.jpg", 10);
+  }
+
+  test("pasta da escola: apelido cru e slug, sem travessia", () => {
+    assert.deepEqual(diretoriosDaEscola("CEF 04 Plano"), ["CEF 04 Plano", "cef_04_plano"]);
+    assert.deepEqual(diretoriosDaEscola("cef04"), ["cef04"]);
+    assert.deepEqual(diretoriosDaEscola("../etc"), ["etc"]);
+  });
+
+  test("simulação conta tudo e não apaga nada", async () => {
+    prepararArquivos();
+    const db = bancoDaEscola();
+    const resumo = await executarRetencao(db, 1, { simulacao: true, uploadsDir: uploads });
+
+    assert.equal(resumo.simulacao, true);
+    assert.equal(resumo.bloqueados, 1);
+    assert.deepEqual(resumo.categorias.camera_frames.amostra, [path.join("CEF04", "monitoramento", "camera-01", "frame.jpg")]);
+    // foto do cadastro + órfã, sem contar a mesma foto duas vezes
+    assert.equal(resumo.categorias.visitantes_fotos.itens, 2);
+    // aluno 5 está sob trava legal
+    assert.deepEqual(resumo.categorias.embeddings.amostra, ["aluno #6"]);
+    assert.equal(resumo.categorias.access_log.itens, 3);
+
+    for (const f of Object.values(arquivos)) assert.ok(fs.existsSync(f), f);
+    assert.ok(!db.queries.some((q) => /^\s*(UPDATE|DELETE)/.test(q.sql)));
+
+    const eventos = db.queries.find((q) => /FROM monitoramento_eventos/.test(q.sql));
+    assert.match(eventos.sql, /aluno_id NOT IN \(\?\)/);
+    assert.deepEqual(eventos.params.at(-1), [5]);
+  });
+
+  test("expurgo apaga disco e banco, fora da trava e do prazo", async () => {
+    prepararArquivos();
+    const db = bancoDaEscola();
+    const resumo = await executarRetencao(db, 1, { uploadsDir: uploads });
+
+    assert.ok(!fs.existsSync(arquivos.frameVelho));
+    assert.ok(!fs.existsSync(arquivos.fotoVisitante));
+    assert.ok(!fs.existsSync(arquivos.fotoOrfa));
+    assert.ok(fs.existsSync(arquivos.frameNovo));
+    assert.ok(fs.existsSync(arquivos.outraEscola));
+
+    const sqls = db.queries.map((q) => q.sql);
+    assert.ok(sqls.some((s) => /UPDATE monitoramento_visitantes SET fotoUrl = NULL/.test(s)));
+    assert.ok(sqls.some((s) => /UPDATE alunos SET inativado_em = NOW\(\)/.test(s)));
+    const embeddings = db.queries.find((q) => /^DELETE FROM alunos_embeddings/.test(q.sql));
+    assert.deepEqual(embeddings.params, [1, [6]]);
+    assert.ok(sqls.some((s) => /^DELETE FROM access_log WHERE escola_id = \? AND created_at < \? LIMIT 5000$/.test(s)));
+    assert.equal(resumo.categorias.rbac_auditoria.itens, 2);
+  });
+
+  test("categoria desligada é pulada; tabela ausente não derruba as demais", async () => {
+    const db = bancoDaEscola({
+      politicas: [{ categoria: "access_log", dias: 400, ativo: 0 }],
+      semTabela: "monitoramento_visitantes",
+    });
+    const resumo = await executarRetencao(db, 1, { simulacao: true, uploadsDir: uploads });
+
+    assert.deepEqual(resumo.categorias.access_log, { desativada: true });
+    assert.equal(resumo.categorias.visitantes_fotos.erro, "tabela inexistente nesta instalação");
+    assert.equal(resumo.categorias.rbac_auditoria.itens, 3);
+  });
+
+  test("prazo abaixo do mínimo é recusado", async () => {
+    const db = criarDb();
+    await assert.rejects(
+      salvarPoliticas(db, 1, [{ categoria: "rbac_auditoria", dias: 30 }], { escolaId: 1 }),
+      (err) => err.status === 400 && /mínimo de 180/.test(err.message)
+    );
+    assert.ok(!db.queries.some((q) => /INSERT INTO retencao_politicas/.test(q.sql)));
+  });
+});
@@ -0,0 +1,111 @@
+// test/sessoes.test.js
+// -----------------------------------------------------------------------------
+// Sessões (services/sessoes.js): rotação do refresh token, detecção de reuso
+// (refresh antigo reapresentado revoga a sessão), refresh expirado / de outro
+// app e a conta ativa do responsável (sem vínculo só vale para a conta demo).
+// -----------------------------------------------------------------------------
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+
+import {
+  CPF_DEMO_APP_STORE,
+  TIPO_RESPONSAVEL,
+  TIPO_USUARIO,
+  criarSessao,
+  rotacionarRefresh,
+  verificarSessaoToken,
+} from "../services/sessoes.js";
+
+const sha256 = (v) => crypto.createHash("sha256").update(String(v), "utf8").digest("hex");
+
+// Tabela `sessoes` em memória + vínculos/CPF dos responsáveis
+function bancoSessoes({ vinculos = {}, cpfs = {} } = {}) {
+  const sessoes = [];
+  const query = async (sql, params = []) => {
+    if (/INSERT INTO sessoes/.test(sql)) {
+      const [sid, tipo_conta, conta_id, escola_id, , ip, , refresh_hash, refresh_expira_em] = params;
+      sessoes.push({ id: sessoes.length + 1, sid, tipo_conta, conta_id, escola_id, ip, refresh_hash, refresh_anterior_hash: null, refresh_expira_em, revogada_em: null });
+      return [{ insertId: sessoes.length }, []];
+    }
+    if (/WHERE refresh_hash = \? LIMIT 1/.test(sql)) return [sessoes.filter((s) => s.refresh_hash === params[0]), []];
+    if (/WHERE refresh_anterior_hash = \?/.test(sql)) {
+      return [sessoes.filter((s) => s.refresh_anterior_hash === params[0] && !s.revogada_em), []];
+    }
+    if (/SET refresh_anterior_hash = refresh_hash/.test(sql)) {
+      const [novo, expira, , id, atual] = params;
+      const s = sessoes.find((x) => x.id === id && x.refresh_hash === atual);
+      if (!s) return [{ affectedRows: 0 }, []];
+      Object.assign(s, { refresh_anterior_hash: s.refresh_hash, refresh_hash: novo, refresh_expira_em: expira });
+      return [{ affectedRows: 1 }, []];
+    }
+    if (/SET revogada_em = NOW\(\)/.test(sql)) {
+      const s = sessoes.find((x) => x.sid === params[2] && !x.revogada_em);
+      if (s) Object.assign(s, { revogada_em: new Date(), motivo_revogacao: params[1] });
+      return [{ affectedRows: s ? 1 : 0 }, []];
+    }
+    if (/FROM sessoes WHERE sid = \?/.test(sql)) return [sessoes.filter((s) => s.sid === params[0]), []];
+    if (/FROM responsaveis_alunos/.test(sql)) {
+      const v = vinculos[params[0]] || [];
+      return [[{ total: v.length, ativos: v.filter(Boolean).length }], []];
+    }
+    if (/FROM responsaveis WHERE id = \?/.test(sql)) return [cpfs[params[0]] ? [{ cpf: cpfs[params[0]] }] : [], []];
+    if (/SELECT ativo FROM usuarios/.test(sql)) return [[{ ativo: 1 }], []];
+    return [[], []];
+  };
+  return { sessoes, query };
+}
+
+describe("sessoes", () => {
+  test("rotação: cada uso troca o refresh; o banco só guarda hashes", async () => {
+    const db = bancoSessoes();
+    const { sid, refresh_token } = await criarSessao(db, { tipoConta: TIPO_USUARIO, contaId: 7, escolaId: 1 });
+    assert.equal(db.sessoes[0].refresh_hash, sha256(refresh_token));
+
+    const r1 = await rotacionarRefresh(db, refresh_token, { tipoConta: TIPO_USUARIO });
+    assert.equal(r1.sessao.sid, sid);
+    assert.notEqual(r1.refresh_token, refresh_token);
+    assert.equal(db.sessoes[0].refresh_hash, sha256(r1.refresh_token));
+    assert.equal(db.sessoes[0].refresh_anterior_hash, sha256(refresh_token));
+
+    const r2 = await rotacionarRefresh(db, r1.refresh_token);
+    assert.equal(db.sessoes[0].refresh_hash, sha256(r2.refresh_token));
+    assert.equal(db.sessoes[0].revogada_em, null);
+  });
+
+  test("reuso: refresh já trocado revoga a sessão inteira", async () => {
+    const db = bancoSessoes();
+    const { refresh_token: antigo } = await criarSessao(db, { tipoConta: TIPO_USUARIO, contaId: 8 });
+    const { refresh_token: atual } = await rotacionarRefresh(db, antigo);
+
+    await assert.rejects(rotacionarRefresh(db, antigo), (err) => err.status === 401 && err.code === "REFRESH_REUTILIZADO");
+    assert.ok(db.sessoes[0].revogada_em);
+    assert.equal(db.sessoes[0].motivo_revogacao, "refresh_reutilizado");
+
+    // O refresh legítimo também morre junto com a sessão
+    await assert.rejects(rotacionarRefresh(db, atual), (err) => err.code === "REFRESH_INVALIDO");
+  });
+
+  test("refresh expirado, desconhecido ou de outro app → REFRESH_INVALIDO", async () => {
+    const db = bancoSessoes();
+    const { refresh_token } = await criarSessao(db, { tipoConta: TIPO_USUARIO, contaId: 9 });
+    await assert.rejects(rotacionarRefresh(db, refresh_token, { tipoConta: TIPO_RESPONSAVEL }), (err) => err.code === "REFRESH_INVALIDO");
+    await assert.rejects(rotacionarRefresh(db, "nao-existe"), (err) => err.code === "REFRESH_INVALIDO");
+
+    db.sessoes[0].refresh_expira_em = new Date(Date.now() - 1000);
+    await assert.rejects(rotacionarRefresh(db, refresh_token), (err) => err.code === "REFRESH_INVALIDO");
+  });
+
+  test("responsável sem vínculo: só a conta demo da App Store segue ativa", async () => {
+    const db = bancoSessoes({
+      vinculos: { 1: [], 2: [], 3: [false, false], 4: [false, true] },
+      cpfs: { 1: "123.456.789-09", 2: CPF_DEMO_APP_STORE },
+    });
+    const token = (id) => ({ tipo: "RESPONSAVEL", responsavel_id: id });
+
+    assert.deepEqual(await verificarSessaoToken(db, token(1)), { ok: false, code: "CONTA_INATIVA" }, "vínculos removidos");
+    assert.deepEqual(await verificarSessaoToken(db, token(2)), { ok: true });
+    assert.deepEqual(await verificarSessaoToken(db, token(3)), { ok: false, code: "CONTA_INATIVA" });
+    assert.deepEqual(await verificarSessaoToken(db, token(4)), { ok: true });
+  });
+});
@@ -0,0 +1,341 @@
+// test/tenant.test.js
+// -----------------------------------------------------------------------------
+// Isolamento por escola (verificarEscola + routers que antes confiavam em
+// x-escola-id / body / query). Roda com `npm test` — sem banco: o pool do
+// db.js é trocado por test/helpers/fakeDb.js e os testes inspecionam o SQL.
+//
+// Escola da sessão: 101. Escola "vizinha": 202. Nenhuma query de dados pode
+// receber 202, e qualquer 202 vindo do cliente tem que virar 403.
+// -----------------------------------------------------------------------------
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "teste_tenant_jwt";
+process.env.SESSOES_CACHE_MS = "0";
+
+const ESCOLA = 101;
+const OUTRA = 202;
+
+let db;
+let servidor;
+let baseUrl;
+let jwt;
+let verificarEscola;
+
+function tokenEscola(extra = {}) {
+  return jwt.sign(
+    {
+      scope: "escola",
+      usuario_id: 7,
+      usuarioId: 7,
+      escola_id: ESCOLA,
+      perfil: "diretor",
+      perfis: ["diretor"],
+      permissoes: ["monitoramento.visualizar", "monitoramento:visualizar"],
+      ...extra,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: "5m" }
+  );
+}
+
+async function chamar(metodo, caminho, { body, headers = {}, token = tokenEscola() } = {}) {
+  const resp = await fetch(baseUrl + caminho, {
+    method: metodo,
+    headers: {
+      "Content-Type": "application/json",
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...headers,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  let json = null;
+  try {
+    json = await resp.json();
+  } catch {
+    json = null;
+  }
+  return { status: resp.status, body: json };
+}
+
+/** Queries de dados (ignora auditoria/sessão, que legitimamente citam o valor recebido). */
+function queriesDeDados() {
+  return db.queries.filter(
+    (q) => !/rbac_auditoria|FROM sessoes|SELECT ativo FROM usuarios|rbac_usuario_permissoes/i.test(q.sql)
+  );
+}
+
+function assertSemOutraEscola() {
+  for (const q of queriesDeDados()) {
+    assert.ok(
+      !q.params.some((p) => Number(p) === OUTRA),
+      `query recebeu escola ${OUTRA}: ${q.sql.replace(/\s+/g, " ").slice(0, 120)} ${JSON.stringify(q.params)}`
+    );
+  }
+}
+
+before(async () => {
+  ({ default: jwt } = await import("jsonwebtoken"));
+  const { default: pool } = await import("../db.js");
+  const { instalarFakeDb } = await import("./helpers/fakeDb.js");
+  db = instalarFakeDb(pool);
+
+  ({ verificarEscola } = await import("../middleware/verificarEscola.js"));
+  const { autenticarToken } = await import("../middleware/autenticarToken.js");
+  const { default: merendaRouter } = await import("../routes/merenda.js");
+  const { default: aphRoutes } = await import("../routes/aph.js");
+  const { default: frequenciaRouter } = await import("../routes/frequencia.js");
+  const { default: gradeSolveRoutes } = await import("../routes/gradeSolve.js");
+  const { default: visitantesRouter } = await import("../routes/monitoramento_visitantes.js");
+
+  // Mesma montagem do server.js
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => {
+    req.db = pool;
+    next();
+  });
+  app.use("/api/merenda", autenticarToken, verificarEscola, merendaRouter);
+  app.use("/api/aph", autenticarToken, verificarEscola, aphRoutes);
+  app.use("/api/frequencia", autenticarToken, verificarEscola, frequenciaRouter);
+  app.use("/api/grade", autenticarToken, verificarEscola, gradeSolveRoutes);
+  app.use("/api/monitoramento", autenticarToken, verificarEscola, visitantesRouter);
+
+  await new Promise((resolve) => {
+    servidor = app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${servidor.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => servidor?.close(resolve));
+  db?.restaurar();
+});
+
+beforeEach(() => db.limpar());
+
+// ─────────────────────────────────────────────────────────────
+// verificarEscola (unidade)
+// ─────────────────────────────────────────────────────────────
+describe("verificarEscola", () => {
+  function executar(req) {
+    const res = {
+      statusCode: 200,
+      corpo: null,
+      status(c) {
+        this.statusCode = c;
+        return this;
+      },
+      json(b) {
+        this.corpo = b;
+        return this;
+      },
+    };
+    let seguiu = false;
+    verificarEscola({ method: "GET", headers: {}, query: {}, body: {}, originalUrl: "/x", ...req }, res, () => {
+      seguiu = true;
+    });
+    return { res, seguiu };
+  }
+
+  test("usa a escola do token e ignora ausência de header", () => {
+    const req = { user: { scope: "escola", escola_id: ESCOLA } };
+    const { seguiu } = executar(req);
+    assert.equal(seguiu, true);
+  });
+
+  test("aceita header/query/body iguais ao token", () => {
+    const { seguiu } = executar({
+      user: { scope: "escola", escola_id: ESCOLA },
+      headers: { "x-escola-id": String(ESCOLA) },
+      query: { escola_id: String(ESCOLA) },
+      body: { escola_id: ESCOLA },
+    });
+    assert.equal(seguiu, true);
+  });
+
+  for (const fonte of ["header", "query", "body"]) {
+    test(`rejeita ${fonte} divergente com 403 ESCOLA_DIVERGENTE`, () => {
+      const req = { user: { scope: "escola", escola_id: ESCOLA } };
+      if (fonte === "header") req.headers = { "x-escola-id": String(OUTRA) };
+      if (fonte === "query") req.query = { escola_id: String(OUTRA) };
+      if (fonte === "body") req.body = { escola_id: OUTRA };
+      const { res, seguiu } = executar(req);
+      assert.equal(seguiu, false);
+      assert.equal(res.statusCode, 403);
+      assert.equal(res.corpo.code, "ESCOLA_DIVERGENTE");
+    });
+  }
+
+  test("token sem escola não ganha escola pelo header", () => {
+    const { res, seguiu } = executar({
+      user: { scope: "escola" },
+      headers: { "x-escola-id": String(OUTRA) },
+    });
+    assert.equal(seguiu, false);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.corpo.code, "ESCOLA_NAO_DEFINIDA");
+  });
+
+  test("token de plataforma é barrado", () => {
+    const { res, seguiu } = executar({ user: { scope: "plataforma" } });
+    assert.equal(seguiu, false);
+    assert.equal(res.statusCode, 403);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// Routers: leitura/escrita sempre na escola da sessão
+// ─────────────────────────────────────────────────────────────
+const ROTAS = [
+  { nome: "merenda produtos", metodo: "GET", caminho: "/api/merenda/produtos" },
+  { nome: "merenda receitas (POST)", metodo: "POST", caminho: "/api/merenda/receitas", body: { nome: "Arroz", itens: [] } },
+  { nome: "aph escola", metodo: "GET", caminho: "/api/aph/escola" },
+  { nome: "aph materiais", metodo: "GET", caminho: "/api/aph/materiais" },
+  { nome: "aph registrar (POST)", metodo: "POST", caminho: "/api/aph", body: { aluno_id: 5, local: "pátio" } },
+  { nome: "frequência justificativas", metodo: "GET", caminho: "/api/frequencia/justificativas" },
+  {
+    nome: "frequência justificativa (POST)",
+    metodo: "POST",
+    caminho: "/api/frequencia/justificativas",
+    body: { aluno_id: 5, tipo: "atestado", data_inicio: "2026-03-02", data_fim: "2026-03-03" },
+  },
+  { nome: "frequência busca ativa", metodo: "GET", caminho: "/api/frequencia/busca-ativa" },
+  { nome: "grade solve (POST)", metodo: "POST", caminho: "/api/grade/solve", body: { turno: "matutino", turma_ids: [1] } },
+  { nome: "visitantes histórico", metodo: "GET", caminho: "/api/monitoramento/visitantes/historico" },
+  { nome: "visitantes registrar (POST)", metodo: "POST", caminho: "/api/monitoramento/visitantes", body: { nome: "Fulano" } },
+];
+
+describe("routers escolares", () => {
+  for (const rota of ROTAS) {
+    test(`${rota.nome}: header x-escola-id de outra escola → 403 sem tocar dados`, async () => {
+      const r = await chamar(rota.metodo, rota.caminho, {
+        body: rota.body,
+        headers: { "x-escola-id": String(OUTRA) },
+      });
+      assert.equal(r.status, 403);
+      assert.equal(r.body?.code, "ESCOLA_DIVERGENTE");
+      assert.equal(queriesDeDados().length, 0);
+    });
+
+    test(`${rota.nome}: ?escola_id de outra escola → 403`, async () => {
+      const r = await chamar(rota.metodo, `${rota.caminho}?escola_id=${OUTRA}`, { body: rota.body });
+      assert.equal(r.status, 403);
+      assert.equal(queriesDeDados().length, 0);
+    });
+
+    if (rota.body) {
+      test(`${rota.nome}: body.escola_id de outra escola → 403`, async () => {
+        const r = await chamar(rota.metodo, rota.caminho, { body: { ...rota.body, escola_id: OUTRA } });
+        assert.equal(r.status, 403);
+        assert.equal(queriesDeDados().length, 0);
+      });
+    }
+
+    test(`${rota.nome}: sem escola no request usa só a escola do token`, async () => {
+      await chamar(rota.metodo, rota.caminho, { body: rota.body });
+      assertSemOutraEscola();
+      const comEscola = queriesDeDados().filter((q) => /escola_id/i.test(q.sql));
+      for (const q of comEscola) {
+        assert.ok(
+          q.params.some((p) => Number(p) === ESCOLA),
+          `query com escola_id sem a escola da sessão: ${q.sql.replace(/\s+/g, " ").slice(0, 120)}`
+        );
+      }
+    });
+  }
+
+  test("token de plataforma não lê merenda", async () => {
+    const r = await chamar("GET", "/api/merenda/produtos", {
+      token: tokenEscola({ scope: "plataforma", escola_id: undefined }),
+    });
+    assert.equal(r.status, 403);
+    assert.equal(queriesDeDados().length, 0);
+  });
+});
+
+describe("escrita em registro de outra escola", () => {
+  test("merenda: PUT /receitas/:id de outra escola → 404 e itens intactos", async () => {
+    db.responder((sql) => (/FROM merenda_produtos WHERE id IN/i.test(sql) ? [[{ id: 1 }, { id: 2 }], []] : undefined));
+    const r = await chamar("PUT", "/api/merenda/receitas/99", { body: { nome: "X", itens: [1, 2] } });
+    assert.equal(r.status, 404);
+    assert.ok(!db.queries.some((q) => /merenda_receita_itens/i.test(q.sql)));
+  });
+
+  const PRODUTO_ALHEIO = [
+    { nome: "entrada", metodo: "POST", caminho: "/api/merenda/entradas", body: { produto_id: 77, lotes: [{ quantidade_unidades: 1 }] }, tabela: "merenda_entradas" },
+    { nome: "saída", metodo: "POST", caminho: "/api/merenda/saidas", body: { produto_id: 77, quantidade_unidades: 1, tipo_movimentacao: "consumo" }, tabela: "merenda_saidas" },
+    { nome: "receita (POST)", metodo: "POST", caminho: "/api/merenda/receitas", body: { nome: "Arroz", itens: [5, 77] }, tabela: "merenda_receita" },
+    { nome: "receita (PUT)", metodo: "PUT", caminho: "/api/merenda/receitas/9", body: { nome: "Arroz", itens: [5, 77] }, tabela: "merenda_receita" },
+    { nome: "percápita", metodo: "POST", caminho: "/api/merenda/percapita", body: { produto_id: 77, percapita_kg: 0.1 }, tabela: "merenda_percapita" },
+    { nome: "cardápio", metodo: "POST", caminho: "/api/merenda/cardapio", body: { data_cardapio: "2026-03-02", nome: "Almoço", itens: [{ produto_id: 77 }] }, tabela: "merenda_cardapio" },
+  ];
+
+  for (const rota of PRODUTO_ALHEIO) {
+    test(`merenda: ${rota.nome} com produto de outra escola → 404 sem gravar`, async () => {
+      // Só o produto 5 é da escola da sessão; o 77 é da vizinha
+      db.responder((sql, params) =>
+        /FROM merenda_produtos WHERE id IN/i.test(sql)
+          ? [params[0].filter((id) => id === 5 && params[1] === ESCOLA).map((id) => ({ id })), []]
+          : undefined
+      );
+      const r = await chamar(rota.metodo, rota.caminho, { body: rota.body });
+      assert.equal(r.status, 404);
+      const checagem = db.queries.find((q) => /FROM merenda_produtos WHERE id IN/i.test(q.sql));
+      assert.equal(checagem.params.at(-1), ESCOLA);
+      assert.ok(!db.queries.some((q) => /^\s*(INSERT|UPDATE|DELETE)/i.test(q.sql) && q.sql.includes(rota.tabela)));
+    });
+  }
+
+  test("merenda: entrada com produto da escola grava normalmente", async () => {
+    db.responder((sql) => (/FROM merenda_produtos WHERE id IN/i.test(sql) ? [[{ id: 5 }], []] : undefined));
+    const r = await chamar("POST", "/api/merenda/entradas", {
+      body: { produto_id: 5, lotes: [{ quantidade_unidades: 2 }] },
+    });
+    assert.equal(r.status, 201);
+    assert.ok(db.queries.some((q) => /INSERT INTO merenda_entradas/i.test(q.sql)));
+  });
+
+  test("merenda: DELETE /produtos/:id filtra pela escola da sessão", async () => {
+    const r = await chamar("DELETE", "/api/merenda/produtos/99");
+    assert.equal(r.status, 404);
+    const del = db.queries.find((q) => /DELETE FROM merenda_produtos/i.test(q.sql));
+    assert.equal(del.params.at(-1), ESCOLA);
+  });
+
+  test("aph: aluno de outra escola → 404 sem INSERT", async () => {
+    const r = await chamar("POST", "/api/aph", { body: { aluno_id: 5 } });
+    assert.equal(r.status, 404);
+    assert.ok(!db.queries.some((q) => /INSERT INTO aph_atendimentos/i.test(q.sql)));
+  });
+
+  test("aph: aluno da escola grava com escola da sessão (sem fallback 1)", async () => {
+    db.responder((sql) => (/FROM alunos WHERE id = \? AND escola_id = \?/i.test(sql) ? [[{ id: 5 }], []] : undefined));
+    const r = await chamar("POST", "/api/aph", { body: { aluno_id: 5 } });
+    assert.equal(r.status, 201);
+    const ins = db.queries.find((q) => /INSERT INTO aph_atendimentos/i.test(q.sql));
+    assert.equal(ins.params[1], ESCOLA);
+  });
+
+  test("frequência: justificativa para aluno de outra escola → 404 sem INSERT", async () => {
+    const r = await chamar("POST", "/api/frequencia/justificativas", {
+      body: { aluno_id: 5, tipo: "atestado", data_inicio: "2026-03-02", data_fim: "2026-03-03" },
+    });
+    assert.equal(r.status, 404);
+    assert.ok(!db.queries.some((q) => /INSERT INTO frequencia_justificativas/i.test(q.sql)));
+  });
+
+  test("frequência: DELETE de justificativa de outra escola → 404", async () => {
+    const r = await chamar("DELETE", "/api/frequencia/justificativas/99");
+    assert.equal(r.status, 404);
+    const del = db.queries.find((q) => /DELETE FROM frequencia_justificativas/i.test(q.sql));
+    assert.equal(del.params.at(-1), ESCOLA);
+  });
+
+  test("visitantes: saída de visitante de outra escola → 404", async () => {
+    const r = await chamar("PATCH", "/api/monitoramento/visitantes/99/saida");
+    assert.equal(r.status, 404);
+    assertSemOutraEscola();
+  });
+});
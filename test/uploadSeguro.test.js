@@ -0,0 +1,195 @@
+// test/uploadSeguro.test.js
+// -----------------------------------------------------------------------------
+// Pipeline de upload (services/uploadSeguro.js + utils/tipoArquivo.js +
+// services/antivirus.js): tipo pela assinatura, poliglotas, dimensões pelo
+// cabeçalho, SVG, antivírus (stub EICAR e scanner de teste), cota por escola e
+// o middleware das rotas com diskStorage.
+//
+// Só caminhos que não chegam ao reencode do sharp (PDF, recusas).
+// -----------------------------------------------------------------------------
+import { afterEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { conteudoAtivo, detectarTipo, dimensoesImagem, sanitizarSvg } from "../utils/tipoArquivo.js";
+import { definirScanner } from "../services/antivirus.js";
+import { contabilizarUso, middlewareUploadSeguro, processarUpload } from "../services/uploadSeguro.js";
+import { criarDb } from "./helpers/fakeDb.js";
+
+function png(largura, altura, sobra = Buffer.alloc(0)) {
+  const ihdr = Buffer.alloc(25);
+  ihdr.writeUInt32BE(13, 0);
+  ihdr.write("IHDR", 4, "latin1");
+  ihdr.writeUInt32BE(largura, 8);
+  ihdr.writeUInt32BE(altura, 12);
+  ihdr[16] = 8; // profundidade
+  ihdr[17] = 6; // RGBA
+  const iend = Buffer.from([0, 0, 0, 0, 0x49, 0x45, 0x4e, 0x44, 0xae, 0x42, 0x60, 0x82]);
+  return Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), ihdr, iend, sobra]);
+}
+
+function jpeg(largura, altura, meio = Buffer.alloc(0)) {
+  const sof = Buffer.from([0xff, 0xc0, 0x00, 0x11, 0x08, altura >> 8, altura & 0xff, largura >> 8, largura & 0xff, 0x03]);
+  return Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x04, 0x00, 0x00]), sof, Buffer.alloc(9), meio, Buffer.from([0xff, 0xd9])]);
+}
+
+const pdf = (corpo = "") => Buffer.from(`%PDF-1.4\n1 0 obj << /Type /Catalog ${corpo} >> endobj\n%%EOF\n`);
+const EICAR = "X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*";
+
+describe("upload seguro", () => {
+  afterEach(() => {
+    definirScanner(null);
+    delete process.env.UPLOAD_SCANNER;
+    delete process.env.UPLOAD_SCANNER_OBRIGATORIO;
+  });
+
+  test("tipo vem da assinatura, não do que o cliente declara", () => {
+    assert.equal(detectarTipo(png(10, 10)).mime, "image/png");
+    assert.equal(detectarTipo(jpeg(10, 10)).mime, "image/jpeg");
+    assert.equal(detectarTipo(pdf()).extensao, "pdf");
+    assert.equal(detectarTipo(Buffer.from("ID3\x04\x00\x00\x00\x00\x00\x00", "latin1")).mime, "audio/mpeg");
+    assert.equal(detectarTipo(Buffer.from("RIFF\x24\x00\x00\x00WAVEfmt ", "latin1")).mime, "audio/wav");
+    assert.equal(detectarTipo(Buffer.from('\uFEFF<?xml version="1.0"?>\n<svg xmlns="x"></svg>')).mime, "image/svg+xml");
+    assert.equal(detectarTipo(Buffer.from("<html><body></body></html>")), null);
+    assert.equal(detectarTipo(Buffer.from("MZ\x90\x00\x03\x00", "latin1")), null);
+  });
+
+  test("dimensões pelo cabeçalho, sem decodificar", () => {
+    assert.deepEqual(dimensoesImagem(png(640, 480), "image/png"), { largura: 640, altura: 480 });
+    assert.deepEqual(dimensoesImagem(jpeg(1024, 768), "image/jpeg"), { largura: 1024, altura: 768 });
+  });
+
+  test("poliglota e conteúdo ativo são recusados", () => {
+    assert.equal(conteudoAtivo(png(10, 10), "image/png"), null);
+    assert.match(conteudoAtivo(png(10, 10, Buffer.alloc(200, 0x41)), "image/png"), /depois do fim/);
+    assert.match(conteudoAtivo(jpeg(10, 10, Buffer.from("PK\x03\x04zip", "latin1")), "image/jpeg"), /ZIP/);
+    assert.match(conteudoAtivo(jpeg(10, 10, Buffer.from("<?php system($_GET[1]); ?>")), "image/jpeg"), /PHP/);
+    assert.match(conteudoAtivo(pdf("/OpenAction << /S /JavaScript /JS (app.alert(1)) >>"), "application/pdf"), /PDF com script/);
+    assert.equal(conteudoAtivo(pdf(), "application/pdf"), null);
+  });
+
+  test("processarUpload: códigos de recusa antes do reencode", async () => {
+    const db = criarDb();
+    const recusa = (file, perfil, codigo, status) =>
+      assert.rejects(processarUpload(db, file, { perfil }), (err) => err.codigo === codigo && err.status === status);
+
+    await recusa({ buffer: Buffer.alloc(0) }, "imagem", "ARQUIVO_AUSENTE", 400);
+    await recusa({ buffer: Buffer.alloc(6 * 1024 * 1024) }, "questao_midia", "ARQUIVO_GRANDE", 413);
+    await recusa({ buffer: pdf(), mimetype: "image/jpeg" }, "imagem", "TIPO_NAO_PERMITIDO", 415);
+    await recusa({ buffer: png(10, 10, Buffer.alloc(200, 0x41)) }, "imagem", "ARQUIVO_SUSPEITO", 422);
+    await recusa({ buffer: png(20000, 100) }, "imagem", "IMAGEM_GRANDE", 413);
+    await recusa({ buffer: png(9000, 9000) }, "imagem", "IMAGEM_GRANDE", 413);
+    await assert.rejects(processarUpload(db, { buffer: pdf() }, { perfil: "inexistente" }), /Perfil de upload desconhecido/);
+
+    // PDF limpo passa intacto (não é reencodado)
+    const ok = await processarUpload(db, { buffer: pdf(), mimetype: "application/octet-stream" }, { perfil: "documento" });
+    assert.deepEqual([ok.mime, ok.extensao, ok.tamanho], ["application/pdf", "pdf", pdf().length]);
+  });
+
+  test("SVG: script, eventos e referências externas saem; DOCTYPE é recusado", () => {
+    const limpo = sanitizarSvg(
+      `<svg xmlns="http://www.w3.org/2000/svg" onload="alert(1)">
+        <script>alert(2)</script>
+        <foreignObject><iframe src="x"></iframe></foreignObject>
+        <a href="javascript:alert(3)"><rect style="fill:url(https://evil/x.svg)"/></a>
+        <use xlink:href="#logo"/>
+        <image href="data:image/svg+xml;base64,PHN2Zz4="/>
+      </svg>`
+    );
+    assert.doesNotMatch(limpo, /script|onload|foreignObject|iframe|javascript:|https:\/\/evil|svg\+xml/i);
+    assert.match(limpo, /xlink:href="#logo"/);
+    assert.throws(
+      () => sanitizarSvg('<!DOCTYPE svg [<!ENTITY x SYSTEM "file:///etc/passwd">]><svg>&x;</svg>'),
+      (err) => err.status === 415 && err.codigo === "SVG_INSEGURO"
+    );
+  });
+
+  test("antivírus: stub EICAR, scanner de teste e modo obrigatório", async () => {
+    const db = criarDb();
+    const infectado = pdf(`/Title (${EICAR})`);
+
+    // sem scanner configurado passa
+    await processarUpload(db, { buffer: infectado }, { perfil: "documento" });
+
+    process.env.UPLOAD_SCANNER = "eicar";
+    await assert.rejects(
+      processarUpload(db, { buffer: infectado }, { perfil: "documento" }),
+      (err) => err.status === 422 && err.codigo === "ARQUIVO_INFECTADO"
+    );
+    await processarUpload(db, { buffer: pdf() }, { perfil: "documento" });
+
+    definirScanner(async () => {
+      throw new Error("clamd fora do ar");
+    });
+    await processarUpload(db, { buffer: pdf() }, { perfil: "documento" });
+    process.env.UPLOAD_SCANNER_OBRIGATORIO = "1";
+    await assert.rejects(
+      processarUpload(db, { buffer: pdf() }, { perfil: "documento" }),
+      (err) => err.status === 503 && err.codigo === "ANTIVIRUS_INDISPONIVEL"
+    );
+  });
+
+  test("cota da escola: recusa quando estoura, soma e devolve uso", async () => {
+    const MB = 1024 * 1024;
+    const db = criarDb((sql) =>
+      /FROM armazenamento_cotas/.test(sql) ? [[{ cota_mb: 1, bytes_usados: MB - 10 }], []] : undefined
+    );
+    await assert.rejects(
+      processarUpload(db, { buffer: pdf() }, { perfil: "documento", escolaId: 7 }),
+      (err) => err.status === 413 && err.codigo === "COTA_EXCEDIDA"
+    );
+    assert.deepEqual(db.queries[0].params, [7]);
+
+    // sem linha: vale UPLOAD_COTA_ESCOLA_MB
+    const livre = criarDb();
+    await processarUpload(livre, { buffer: pdf() }, { perfil: "documento", escolaId: 7 });
+
+    await contabilizarUso(livre, 7, -500);
+    const uso = livre.queries.at(-1);
+    assert.match(uso.sql, /ON DUPLICATE KEY UPDATE bytes_usados = GREATEST\(CAST\(bytes_usados AS SIGNED\) \+ \?, 0\)/);
+    assert.deepEqual(uso.params, [7, -500, -500]);
+
+    // sem escola ou sem bytes, nada a fazer
+    await contabilizarUso(livre, null, 10);
+    await contabilizarUso(livre, 7, 0);
+    assert.equal(livre.queries.at(-1), uso);
+  });
+
+  test("middleware (diskStorage): recusa apaga o arquivo; aceito conta na cota", async () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "upload-seguro-"));
+    try {
+      const db = criarDb();
+      const executar = async (conteudo, mimetype) => {
+        const arquivo = path.join(tmp, `${Date.now()}_${Math.random()}.bin`);
+        fs.writeFileSync(arquivo, conteudo);
+        const req = { db, user: { escola_id: 3 }, file: { path: arquivo, mimetype, originalname: "q.mp3" } };
+        const res = {
+          statusCode: 200,
+          corpo: null,
+          status(c) { this.statusCode = c; return this; },
+          json(b) { this.corpo = b; return this; },
+        };
+        let seguiu = false;
+        await middlewareUploadSeguro("questao_midia")(req, res, (err) => { seguiu = !err; });
+        return { arquivo, req, res, seguiu };
+      };
+
+      const ruim = await executar("<html><script>x</script></html>", "audio/mpeg");
+      assert.equal(ruim.seguiu, false);
+      assert.equal(ruim.res.statusCode, 415);
+      assert.equal(ruim.res.corpo.codigo, "TIPO_NAO_PERMITIDO");
+      assert.equal(fs.existsSync(ruim.arquivo), false);
+
+      const bom = await executar(pdf(), "application/pdf");
+      assert.equal(bom.seguiu, true);
+      assert.equal(bom.req.file.mimetype, "application/pdf");
+      assert.ok(fs.existsSync(bom.arquivo));
+      const uso = db.queries.find((q) => /INSERT INTO armazenamento_cotas/.test(q.sql));
+      assert.deepEqual(uso.params, [3, pdf().length, pdf().length]);
+    } finally {
+      fs.rmSync(tmp, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,203 @@
+// test/validacao.test.js
+// -----------------------------------------------------------------------------
+// Validação por schema (services/validacaoSchema.js + validar()) e geração do
+// OpenAPI (services/openapi.js). Sem banco: test/helpers/fakeDb.js.
+// -----------------------------------------------------------------------------
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+
+const ESCOLA = 101;
+
+let db;
+let servidor;
+let baseUrl;
+let validarSchema;
+let gerarOpenApi;
+let routers;
+
+async function chamar(metodo, caminho, body) {
+  const resp = await fetch(baseUrl + caminho, {
+    method: metodo,
+    headers: { "Content-Type": "application/json" },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: resp.status, body: await resp.json().catch(() => null) };
+}
+
+before(async () => {
+  const { default: pool } = await import("../db.js");
+  const { instalarFakeDb } = await import("./helpers/fakeDb.js");
+  db = instalarFakeDb(pool);
+
+  ({ validarSchema } = await import("../services/validacaoSchema.js"));
+  ({ gerarOpenApi } = await import("../services/openapi.js"));
+  routers = {
+    alunos: (await import("../routes/alunos.js")).default,
+    notas: (await import("../routes/notas.js")).default,
+    avaliacoes: (await import("../routes/avaliacoes.js")).default,
+    appPaisLogin: (await import("../routes/app_pais_login.js")).default,
+  };
+
+  // Sessão já resolvida (autenticarToken/verificarEscola têm testes próprios)
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => {
+    req.user = { usuario_id: 7, usuarioId: 7, escola_id: ESCOLA, perfil: "diretor" };
+    req.escola_id = ESCOLA;
+    next();
+  });
+  app.use("/api/alunos", routers.alunos);
+  app.use("/api/notas", routers.notas);
+  app.use("/api/avaliacoes", routers.avaliacoes);
+
+  await new Promise((resolve) => {
+    servidor = app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${servidor.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => servidor?.close(resolve));
+  db?.restaurar();
+});
+
+beforeEach(() => db.limpar());
+
+// ─────────────────────────────────────────────────────────────
+// Validador
+// ─────────────────────────────────────────────────────────────
+describe("validarSchema", () => {
+  const schema = {
+    type: "object",
+    properties: {
+      turma_ids: { type: "array", items: { type: "integer", minimum: 1 }, minItems: 1, aliases: ["turmaIds"] },
+      data: { type: "string", format: "date" },
+      ativo: { type: "boolean" },
+      codigo: { type: "string", maxLength: 5 },
+    },
+    required: ["turma_ids"],
+  };
+
+  test("coage strings numéricas/booleanas e preenche o alias nos dois nomes", () => {
+    const r = validarSchema(schema, { turmaIds: ["3", 4], ativo: "true", codigo: 123 });
+    assert.deepEqual(r.erros, []);
+    assert.deepEqual(r.valor.turma_ids, [3, 4]);
+    assert.deepEqual(r.valor.turmaIds, [3, 4]);
+    assert.equal(r.valor.ativo, true);
+    assert.equal(r.valor.codigo, "123");
+  });
+
+  test("erros apontam o campo (inclusive dentro de listas)", () => {
+    const r = validarSchema(schema, { turma_ids: [1, "x", 0], data: "31/03/2026" });
+    assert.deepEqual(
+      r.erros.map((e) => e.campo),
+      ["turma_ids[1]", "turma_ids[2]", "data"]
+    );
+    assert.match(r.erros[0].mensagem, /inteiro/);
+    assert.match(r.erros[2].mensagem, /AAAA-MM-DD/);
+  });
+
+  test("obrigatório ausente, nulo ou vazio; opcional vazio é ignorado", () => {
+    assert.deepEqual(validarSchema(schema, { turma_ids: "" }).erros, [
+      { campo: "turma_ids", mensagem: "campo obrigatório" },
+    ]);
+    assert.deepEqual(validarSchema(schema, { turma_ids: [1], data: "", ativo: null }).erros, []);
+  });
+
+  test("additionalProperties valida os valores de um mapa", () => {
+    const mapa = { type: "object", additionalProperties: { type: ["number", "null"] } };
+    assert.deepEqual(validarSchema(mapa, { "9_0_0": "7.5", "9_1_0": null }).valor, { "9_0_0": 7.5, "9_1_0": null });
+    assert.equal(validarSchema(mapa, { "9_0_0": "sete" }).erros[0].campo, "9_0_0");
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// Middleware nas rotas
+// ─────────────────────────────────────────────────────────────
+describe("validar() nas rotas", () => {
+  test("body inválido → 400 no formato único, sem chegar ao banco", async () => {
+    const r = await chamar("POST", "/api/alunos/ocorrencias/lote", {
+      data: "2026-03-10",
+      alunos: [{ alunoId: 5 }, { convocarResponsavel: true }],
+    });
+    assert.equal(r.status, 400);
+    assert.equal(r.body.ok, false);
+    assert.equal(r.body.code, "VALIDACAO");
+    assert.match(r.body.message, /^Dados inválidos: /);
+    assert.deepEqual(
+      r.body.erros.map((e) => `${e.local}:${e.campo}`).sort(),
+      ["body:alunos[1].aluno_id", "body:motivo"]
+    );
+    assert.equal(db.queries.length, 0);
+  });
+
+  test("params e query também são validados", async () => {
+    const p = await chamar("PUT", "/api/alunos/abc/ocorrencias/1", { descricao: "x" });
+    assert.equal(p.status, 400);
+    assert.equal(p.body.erros[0].local, "params");
+    assert.equal(p.body.erros[0].campo, "id");
+
+    const q = await chamar("GET", "/api/avaliacoes/12/notas-diario");
+    assert.equal(q.status, 400);
+    assert.deepEqual(q.body.erros, [{ local: "query", campo: "turma_id", mensagem: "campo obrigatório" }]);
+  });
+
+  test("camelCase chega ao handler com o nome snake_case (e vice-versa)", async () => {
+    const r = await chamar("POST", "/api/notas/mapa-nota/flag", {
+      alunoId: "9",
+      disciplinaId: 3,
+      bimestre: "2",
+      ano: 2026,
+    });
+    assert.equal(r.status, 200);
+    const insert = db.queries.find((q) => /INSERT INTO mapa_nota_flags/.test(q.sql));
+    assert.deepEqual(insert.params, [ESCOLA, 7, 9, 3, 2, 2026]);
+  });
+
+  test("enum fora da lista → 400 com os valores aceitos", async () => {
+    const r = await chamar("PATCH", "/api/avaliacoes/12/status", { status: "APAGADO" });
+    assert.equal(r.status, 400);
+    assert.match(r.body.erros[0].mensagem, /APROVADO, DEVOLVIDO/);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// OpenAPI
+// ─────────────────────────────────────────────────────────────
+describe("gerarOpenApi", () => {
+  let doc;
+  before(() => {
+    doc = gerarOpenApi([
+      { prefixo: "/api/alunos", router: routers.alunos, tag: "Alunos" },
+      { prefixo: "/api/app-pais", router: routers.appPaisLogin, tag: "App Pais" },
+    ]);
+  });
+
+  test("rota validada publica parâmetros, body e resposta 400", () => {
+    const op = doc.paths["/api/alunos/{id}/ocorrencias"].post;
+    assert.equal(op["x-validado"], true);
+    assert.equal(op.parameters[0].name, "id");
+    assert.equal(op.parameters[0].schema.type, "integer");
+    const body = op.requestBody.content["application/json"].schema;
+    assert.deepEqual(body.required, ["data", "motivo"]);
+    assert.deepEqual(body.properties.tipo_ocorrencia["x-aliases"], ["tipoOcorrencia"]);
+    assert.equal(body.properties.tipo_ocorrencia.aliases, undefined);
+    assert.equal(op.responses["400"].$ref, "#/components/responses/ErroValidacao");
+  });
+
+  test("query vira parâmetros; rota pública sem security", () => {
+    const lista = doc.paths["/api/alunos"].get;
+    assert.ok(lista.parameters.some((p) => p.in === "query" && p.name === "turma_id"));
+
+    const login = doc.paths["/api/app-pais/verificar-codigo"].post;
+    assert.deepEqual(login.security, []);
+    assert.equal(login.responses["401"], undefined);
+  });
+
+  test("rotas sem schema entram com x-validado false", () => {
+    assert.equal(doc.paths["/api/alunos/importar-pdf"].post["x-validado"], false);
+    assert.equal(doc.openapi, "3.1.0");
+    assert.ok(doc.components.schemas.ErroValidacao);
+  });
+});
@@ -0,0 +1,46 @@
+// utils/pixelar.js
+// -----------------------------------------------------------------------------
+// Pixelização de uma região do bitmap RGBA (image.bitmap do Jimp) — usada pelo
+// overlay de monitoramento para esconder o rosto de quem não consentiu
+// (services/consentimentoImagem.js). Opera direto no buffer: não depende da
+// API do Jimp, que mudou entre as versões 0.x e 1.x.
+//
+//   pixelarRegiao(image.bitmap, { x, y, width, height });
+// -----------------------------------------------------------------------------
+
+/**
+ * Substitui cada bloco da região pela cor média do bloco. Sem `bloco`, usa
+ * 1/6 do menor lado (mínimo 8 px): rosto vira poucas manchas irreconhecíveis.
+ */
+export function pixelarRegiao(bitmap, regiao, bloco = null) {
+  const { data, width, height } = bitmap;
+  const x0 = Math.max(0, Math.floor(regiao.x));
+  const y0 = Math.max(0, Math.floor(regiao.y));
+  const x1 = Math.min(width, Math.floor(regiao.x + regiao.width));
+  const y1 = Math.min(height, Math.floor(regiao.y + regiao.height));
+  if (x1 <= x0 || y1 <= y0) return;
+
+  const lado = bloco || Math.max(8, Math.round(Math.min(x1 - x0, y1 - y0) / 6));
+
+  for (let by = y0; by < y1; by += lado) {
+    for (let bx = x0; bx < x1; bx += lado) {
+      const ex = Math.min(bx + lado, x1);
+      const ey = Math.min(by + lado, y1);
+      const soma = [0, 0, 0, 0];
+      for (let y = by; y < ey; y++) {
+        for (let x = bx; x < ex; x++) {
+          const i = (y * width + x) * 4;
+          for (let c = 0; c < 4; c++) soma[c] += data[i + c];
+        }
+      }
+      const n = (ex - bx) * (ey - by);
+      const media = soma.map((s) => Math.round(s / n));
+      for (let y = by; y < ey; y++) {
+        for (let x = bx; x < ex; x++) {
+          const i = (y * width + x) * 4;
+          for (let c = 0; c < 4; c++) data[i + c] = media[c];
+        }
+      }
+    }
+  }
+}
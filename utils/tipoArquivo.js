@@ -0,0 +1,158 @@
+// utils/tipoArquivo.js
+// -----------------------------------------------------------------------------
+// Tipo real do arquivo pela assinatura (magic bytes) — o mimetype e a extensão
+// vêm do cliente e não provam nada. Usado por services/uploadSeguro.js.
+//
+//   detectarTipo(buffer)            → { mime, extensao } | null
+//   dimensoesImagem(buffer, mime)   → { largura, altura } | null (só cabeçalho,
+//                                     sem decodificar: barra "bomba" de pixels)
+//   conteudoAtivo(buffer, mime)     → motivo | null (poliglota, script, PDF com ação)
+//   sanitizarSvg(texto)             → SVG sem script, eventos, foreignObject e
+//                                     referências externas (DOCTYPE é recusado)
+// -----------------------------------------------------------------------------
+
+const ASSINATURAS = [
+  { mime: "image/jpeg", extensao: "jpg", teste: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mime: "image/png", extensao: "png", teste: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mime: "image/webp", extensao: "webp", teste: (b) => ascii(b, 0, 4) === "RIFF" && ascii(b, 8, 12) === "WEBP" },
+  { mime: "image/gif", extensao: "gif", teste: (b) => /^GIF8[79]a$/.test(ascii(b, 0, 6)) },
+  { mime: "application/pdf", extensao: "pdf", teste: (b) => ascii(b, 0, 5) === "%PDF-" },
+  { mime: "audio/wav", extensao: "wav", teste: (b) => ascii(b, 0, 4) === "RIFF" && ascii(b, 8, 12) === "WAVE" },
+  // MP3: tag ID3 ou sincronismo de quadro MPEG (11 bits 1)
+  { mime: "audio/mpeg", extensao: "mp3", teste: (b) => ascii(b, 0, 3) === "ID3" || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0) },
+];
+
+function ascii(buffer, inicio, fim) {
+  return buffer.subarray(inicio, fim).toString("latin1");
+}
+
+function ehSvg(buffer) {
+  // texto: BOM, declaração XML e comentários opcionais antes de <svg
+  const inicio = buffer.subarray(0, 4096).toString("utf8").replace(/^\uFEFF/, "");
+  if (/[\x00-\x08\x0e-\x1f]/.test(inicio)) return false;
+  return /^\s*(<\?xml[^>]*\?>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE[^>]*>\s*)?<svg[\s>]/i.test(inicio);
+}
+
+export function detectarTipo(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4) return null;
+  const achado = ASSINATURAS.find((a) => a.teste(buffer));
+  if (achado) return { mime: achado.mime, extensao: achado.extensao };
+  if (ehSvg(buffer)) return { mime: "image/svg+xml", extensao: "svg" };
+  return null;
+}
+
+// ─── Dimensões pelo cabeçalho ─────────────────────────────────────────────
+
+function dimensoesJpeg(b) {
+  let i = 2;
+  while (i + 9 < b.length) {
+    if (b[i] !== 0xff) return null;
+    const marcador = b[i + 1];
+    if (marcador === 0xd8 || (marcador >= 0xd0 && marcador <= 0xd7) || marcador === 0x01) {
+      i += 2;
+      continue;
+    }
+    const tamanho = b.readUInt16BE(i + 2);
+    // SOF0..SOF15, exceto DHT (C4), JPG (C8) e DAC (CC)
+    if (marcador >= 0xc0 && marcador <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marcador)) {
+      return { altura: b.readUInt16BE(i + 5), largura: b.readUInt16BE(i + 7) };
+    }
+    i += 2 + tamanho;
+  }
+  return null;
+}
+
+function dimensoesWebp(b) {
+  const tipo = ascii(b, 12, 16);
+  if (tipo === "VP8 " && b.length >= 30) return { largura: b.readUInt16LE(26) & 0x3fff, altura: b.readUInt16LE(28) & 0x3fff };
+  if (tipo === "VP8L" && b.length >= 25) {
+    const bits = b.readUInt32LE(21);
+    return { largura: (bits & 0x3fff) + 1, altura: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (tipo === "VP8X" && b.length >= 30) return { largura: b.readUIntLE(24, 3) + 1, altura: b.readUIntLE(27, 3) + 1 };
+  return null;
+}
+
+export function dimensoesImagem(buffer, mime) {
+  try {
+    if (mime === "image/png" && buffer.length >= 24) return { largura: buffer.readUInt32BE(16), altura: buffer.readUInt32BE(20) };
+    if (mime === "image/gif" && buffer.length >= 10) return { largura: buffer.readUInt16LE(6), altura: buffer.readUInt16LE(8) };
+    if (mime === "image/jpeg") return dimensoesJpeg(buffer);
+    if (mime === "image/webp") return dimensoesWebp(buffer);
+  } catch {
+    return null;
+  }
+  return null;
+}
+
+// ─── Conteúdo ativo / poliglota ───────────────────────────────────────────
+
+// Marcadores de outro formato executável/interpretável escondido no arquivo.
+// Só sequências longas: em dado binário comprimido, 2–3 bytes aparecem por acaso.
+const MARCADORES_ATIVOS = [
+  { re: /<\?php/i, motivo: "código PHP embutido" },
+  { re: /<script[\s>]/i, motivo: "script embutido" },
+  { re: /<html[\s>]/i, motivo: "HTML embutido" },
+];
+
+function depoisDoFim(buffer, mime) {
+  if (mime === "image/jpeg") {
+    const fim = buffer.lastIndexOf(Buffer.from([0xff, 0xd9]));
+    return fim < 0 ? 0 : buffer.length - (fim + 2);
+  }
+  if (mime === "image/png") {
+    const iend = buffer.lastIndexOf(Buffer.from("IEND", "latin1"));
+    return iend < 0 ? buffer.length : buffer.length - (iend + 8); // "IEND" + CRC
+  }
+  return 0;
+}
+
+// Alguns editores deixam poucos bytes de preenchimento depois do fim da imagem
+const SOBRA_TOLERADA = 64;
+
+export function conteudoAtivo(buffer, mime) {
+  const texto = buffer.toString("latin1");
+
+  if (mime === "application/pdf") {
+    if (/\/(JavaScript|JS|Launch|EmbeddedFile)\b/.test(texto)) {
+      return "PDF com script, ação automática ou arquivo embutido";
+    }
+    return null;
+  }
+  if (mime === "image/svg+xml") return null; // SVG é texto: tratado por sanitizarSvg
+
+  if (mime.startsWith("image/")) {
+    if (depoisDoFim(buffer, mime) > SOBRA_TOLERADA) return "dados depois do fim da imagem (arquivo poliglota)";
+    if (texto.indexOf("%PDF-", 1) >= 0) return "PDF embutido na imagem (arquivo poliglota)";
+    if (texto.indexOf("PK\x03\x04") >= 0) return "ZIP embutido na imagem (arquivo poliglota)";
+  }
+  const marcador = MARCADORES_ATIVOS.find(({ re }) => re.test(texto));
+  return marcador ? marcador.motivo : null;
+}
+
+// ─── SVG ──────────────────────────────────────────────────────────────────
+
+/**
+ * Remove o que pode executar ou buscar recurso externo. DOCTYPE/ENTITY é
+ * recusado (XXE, "billion laughs"): lança erro com status 415.
+ */
+export function sanitizarSvg(texto) {
+  let svg = String(texto).replace(/^\uFEFF/, "");
+  if (/<!DOCTYPE|<!ENTITY/i.test(svg)) {
+    throw Object.assign(new Error("SVG com DOCTYPE/ENTITY não é aceito."), { status: 415, codigo: "SVG_INSEGURO" });
+  }
+  svg = svg
+    .replace(/<\?(?!xml\s)[\s\S]*?\?>/gi, "")
+    .replace(/<(script|foreignObject|iframe|object|embed|audio|video|handler|listener)\b[\s\S]*?<\/\1\s*>/gi, "")
+    .replace(/<(script|foreignObject|iframe|object|embed|audio|video|handler|listener)\b[^>]*\/?>/gi, "")
+    .replace(/\s+on[a-z]+\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, "")
+    // href/xlink:href só para âncora interna (#id) ou imagem embutida em data:image (não SVG)
+    .replace(/\s+(xlink:)?href\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, (attr, _x, valor) => {
+      const v = valor.replace(/^["']|["']$/g, "").trim();
+      return v.startsWith("#") || /^data:image\/(png|jpe?g|gif|webp);/i.test(v) ? attr : "";
+    })
+    // url(...) externo em style/atributos de pintura
+    .replace(/url\(\s*(['"]?)(?!#)[^)]*\1\s*\)/gi, "none")
+    .replace(/@import[^;]*;?/gi, "");
+  return svg;
+}
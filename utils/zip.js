@@ -0,0 +1,151 @@
+// utils/zip.js
+// -----------------------------------------------------------------------------
+// Gerador mínimo de arquivos ZIP (deflate, sem ZIP64) para exportações em
+// memória — pacote LGPD do titular (services/lgpd.js), backup da escola
+// (services/backupEscola.js). Não há dependência de zip no projeto; o formato
+// é pequeno o bastante para escrever direto.
+//
+//   const buf = criarZip([{ nome: "dados/aluno.json", conteudo: "..." }, ...]);
+//   const arquivos = lerZip(buf); // [{ nome, conteudo: Buffer }] — stored/deflate, CRC conferido
+// -----------------------------------------------------------------------------
+import zlib from "zlib";
+
+const TABELA_CRC = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = TABELA_CRC[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Data/hora no formato MS-DOS (resolução de 2 s, hora local)
+function dataDos(d) {
+  const hora = (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2);
+  const data = ((Math.max(d.getFullYear(), 1980) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+  return { hora, data };
+}
+
+/**
+ * @param {Array<{ nome: string, conteudo: Buffer|string, data?: Date }>} arquivos
+ * @returns {Buffer}
+ */
+export function criarZip(arquivos) {
+  if (arquivos.length > 0xffff) throw new Error(`ZIP sem ZIP64 aceita até 65535 arquivos (recebidos ${arquivos.length}).`);
+  const locais = [];
+  const centrais = [];
+  let offset = 0;
+
+  for (const arq of arquivos) {
+    const nome = Buffer.from(String(arq.nome).replace(/^\/+/, ""), "utf8");
+    const dados = Buffer.isBuffer(arq.conteudo) ? arq.conteudo : Buffer.from(String(arq.conteudo ?? ""), "utf8");
+    const comprimido = zlib.deflateRawSync(dados);
+    const crc = crc32(dados);
+    const { hora, data } = dataDos(arq.data || new Date());
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // versão necessária
+    local.writeUInt16LE(0x0800, 6); // nome em UTF-8
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(hora, 10);
+    local.writeUInt16LE(data, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(comprimido.length, 18);
+    local.writeUInt32LE(dados.length, 22);
+    local.writeUInt16LE(nome.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(hora, 12);
+    central.writeUInt16LE(data, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(comprimido.length, 20);
+    central.writeUInt32LE(dados.length, 24);
+    central.writeUInt16LE(nome.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locais.push(local, nome, comprimido);
+    centrais.push(central, nome);
+    offset += local.length + nome.length + comprimido.length;
+    if (offset > 0xffffffff) throw new Error("ZIP sem ZIP64 aceita até 4 GB.");
+  }
+
+  const diretorio = Buffer.concat(centrais);
+  const fim = Buffer.alloc(22);
+  fim.writeUInt32LE(0x06054b50, 0);
+  fim.writeUInt16LE(arquivos.length, 8);
+  fim.writeUInt16LE(arquivos.length, 10);
+  fim.writeUInt32LE(diretorio.length, 12);
+  fim.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locais, diretorio, fim]);
+}
+
+/**
+ * Lê um ZIP inteiro em memória pelo diretório central (sem ZIP64, sem
+ * criptografia). Erro de formato ou de CRC lança com status 400.
+ *
+ * @param {Buffer} buf
+ * @returns {Array<{ nome: string, conteudo: Buffer }>}
+ */
+export function lerZip(buf) {
+  const invalido = (msg) => Object.assign(new Error(`Arquivo ZIP inválido: ${msg}.`), { status: 400 });
+  if (!Buffer.isBuffer(buf) || buf.length < 22) throw invalido("tamanho");
+
+  // fim do diretório central: últimos 22 bytes + comentário (até 64 KB)
+  let fim = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) {
+      fim = i;
+      break;
+    }
+  }
+  if (fim < 0) throw invalido("diretório central ausente");
+
+  const total = buf.readUInt16LE(fim + 10);
+  let pos = buf.readUInt32LE(fim + 16);
+  const arquivos = [];
+
+  for (let n = 0; n < total; n++) {
+    if (pos + 46 > buf.length || buf.readUInt32LE(pos) !== 0x02014b50) throw invalido("entrada do diretório");
+    const flags = buf.readUInt16LE(pos + 8);
+    const metodo = buf.readUInt16LE(pos + 10);
+    const crc = buf.readUInt32LE(pos + 16);
+    const comprimido = buf.readUInt32LE(pos + 20);
+    const tamNome = buf.readUInt16LE(pos + 28);
+    const tamExtra = buf.readUInt16LE(pos + 30);
+    const tamComentario = buf.readUInt16LE(pos + 32);
+    const offsetLocal = buf.readUInt32LE(pos + 42);
+    const nome = buf.subarray(pos + 46, pos + 46 + tamNome).toString("utf8");
+    pos += 46 + tamNome + tamExtra + tamComentario;
+
+    if (flags & 0x1) throw invalido(`${nome} criptografado`);
+    if (offsetLocal + 30 > buf.length || buf.readUInt32LE(offsetLocal) !== 0x04034b50) throw invalido(`cabeçalho de ${nome}`);
+    const inicio = offsetLocal + 30 + buf.readUInt16LE(offsetLocal + 26) + buf.readUInt16LE(offsetLocal + 28);
+    const dados = buf.subarray(inicio, inicio + comprimido);
+    if (dados.length !== comprimido) throw invalido(`${nome} truncado`);
+
+    let conteudo;
+    if (metodo === 0) conteudo = Buffer.from(dados);
+    else if (metodo === 8) {
+      try {
+        conteudo = zlib.inflateRawSync(dados);
+      } catch (err) {
+        throw invalido(`${nome} (${err.message})`);
+      }
+    } else throw invalido(`${nome} com método ${metodo}`);
+    if (crc32(conteudo) !== crc) throw invalido(`CRC de ${nome}`);
+
+    if (!nome.endsWith("/")) arquivos.push({ nome, conteudo });
+  }
+  return arquivos;
+}